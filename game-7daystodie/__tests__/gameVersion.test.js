@@ -0,0 +1,42 @@
+// Run with `node --test game-7daystodie/__tests__` after building the extension.
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { gameVersionKey, isOtherGameVersion, parseLogVersion } = require('../gameVersion');
+
+const ALPHA_LOG = '2023-07-01T12:00:00 0.123 INF Version: Alpha 21.2 (b30) '
+  + 'Compatibility Version: Alpha 21.2, Build: Windows / 64 Bit\r\n';
+const RELEASE_LOG = '2024-07-25T18:00:00 0.456 INF Version: V 1.0 (b333) '
+  + 'Compatibility Version: V 1.0, Build: Windows / 64 Bit\r\n';
+
+describe('7 Days to Die game version', () => {
+  it('reads the game version from the log', () => {
+    assert.strictEqual(parseLogVersion(`INF Command line arguments: 7DaysToDie.exe\r\n${ALPHA_LOG}`), '21.2.30');
+    assert.strictEqual(parseLogVersion(RELEASE_LOG), '1.0.333');
+    assert.strictEqual(parseLogVersion('INF Version: Alpha 20 (b238)'), '20.0.238');
+    assert.strictEqual(parseLogVersion('INF Command line arguments: 7DaysToDie.exe'), undefined);
+  });
+
+  it('maps the logged version to its release', () => {
+    assert.strictEqual(gameVersionKey(parseLogVersion(ALPHA_LOG)), 'A21');
+    assert.strictEqual(gameVersionKey(parseLogVersion(RELEASE_LOG)), 'V1');
+  });
+
+  it('ignores the Unity version stored in the executable', () => {
+    assert.strictEqual(gameVersionKey('2022.3.29.1'), undefined);
+  });
+
+  it('flags modlets declaring a different game version', () => {
+    const installed = gameVersionKey(parseLogVersion(RELEASE_LOG));
+    assert.strictEqual(isOtherGameVersion('A21', installed), true);
+    assert.strictEqual(isOtherGameVersion('Alpha 20', installed), true);
+    assert.strictEqual(isOtherGameVersion('V1.0', installed), false);
+    assert.strictEqual(isOtherGameVersion('1.1', installed), false);
+    assert.strictEqual(isOtherGameVersion('A21', gameVersionKey(parseLogVersion(ALPHA_LOG))), false);
+  });
+
+  it('doesn\'t flag anything without a known version', () => {
+    assert.strictEqual(isOtherGameVersion('A21', undefined), false);
+    assert.strictEqual(isOtherGameVersion('whenever', 'V1'), false);
+  });
+});
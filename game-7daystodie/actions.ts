@@ -1,4 +1,4 @@
-import { LoadOrder } from './types';
+import { IXPathConflict, LoadOrder } from './types';
 import { createAction } from 'redux-act';
 
 export const setPrefixOffset = createAction('7DTD_SET_PREFIX_OFFSET',
@@ -7,5 +7,11 @@ export const setPrefixOffset = createAction('7DTD_SET_PREFIX_OFFSET',
 export const setUDF = createAction('7DTD_SET_UDF',
   (udf: string) => ({ udf }));
 
+export const setServerPath = createAction('7DTD_SET_SERVER_PATH',
+  (serverPath: string) => ({ serverPath }));
+
 export const setPreviousLO = createAction('7DTD_SET_PREVIOUS_LO',
-  (profile: string, previousLO: LoadOrder) => ({ profile, previousLO }));
\ No newline at end of file
+  (profile: string, previousLO: LoadOrder) => ({ profile, previousLO }));
+
+export const setXPathConflicts = createAction('7DTD_SET_XPATH_CONFLICTS',
+  (conflicts: IXPathConflict[]) => ({ conflicts }));
\ No newline at end of file
@@ -3,14 +3,23 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.DEFAULT_LAUNCHER_SETTINGS = exports.gameExecutable = exports.modsRelPath = exports.loadOrderFilePath = exports.launcherSettingsFilePath = exports.INVALID_LO_MOD_TYPES = exports.I18N_NAMESPACE = exports.LO_FILE_NAME = exports.GAME_ID = exports.MOD_INFO = void 0;
+exports.DEFAULT_LAUNCHER_SETTINGS = exports.serverExecutable = exports.gameExecutable = exports.modsRelPath = exports.loadOrderFilePath = exports.launcherSettingsFilePath = exports.MODINFO_ATTRIBUTES = exports.INVALID_LO_MOD_TYPES = exports.SERVER_MOD_TYPE = exports.I18N_NAMESPACE = exports.LO_FILE_NAME = exports.GAME_ID = exports.MOD_INFO = void 0;
 const vortex_api_1 = require("vortex-api");
 const path_1 = __importDefault(require("path"));
 exports.MOD_INFO = 'modinfo.xml';
 exports.GAME_ID = '7daystodie';
 exports.LO_FILE_NAME = 'loadOrder.json';
 exports.I18N_NAMESPACE = `game-${exports.GAME_ID}`;
+exports.SERVER_MOD_TYPE = '7dtd-server-mod';
 exports.INVALID_LO_MOD_TYPES = ['collection', '7dtd-root-mod'];
+exports.MODINFO_ATTRIBUTES = {
+    name: 'modInfoName',
+    displayName: 'modInfoDisplayName',
+    version: 'modInfoVersion',
+    author: 'modInfoAuthor',
+    website: 'modInfoWebsite',
+    gameVersion: 'modInfoGameVersion',
+};
 function launcherSettingsFilePath() {
     return path_1.default.join(vortex_api_1.util.getVortexPath('appData'), '7DaysToDie', 'launchersettings.json');
 }
@@ -27,6 +36,10 @@ function gameExecutable() {
     return '7DaysToDie.exe';
 }
 exports.gameExecutable = gameExecutable;
+function serverExecutable() {
+    return '7DaysToDieServer.exe';
+}
+exports.serverExecutable = serverExecutable;
 exports.DEFAULT_LAUNCHER_SETTINGS = {
     ShowLauncher: false,
     DefaultRunConfig: {
@@ -38,4 +51,4 @@ exports.DEFAULT_LAUNCHER_SETTINGS = {
         AdditionalParameters: ""
     }
 };
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29tbW9uLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiY29tbW9uLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7OztBQUFBLDJDQUFrQztBQUNsQyxnREFBd0I7QUFFWCxRQUFBLFFBQVEsR0FBRyxhQUFhLENBQUM7QUFDekIsUUFBQSxPQUFPLEdBQUcsWUFBWSxDQUFDO0FBQ3ZCLFFBQUEsWUFBWSxHQUFHLGdCQUFnQixDQUFDO0FBQ2hDLFFBQUEsY0FBYyxHQUFHLFFBQVEsZUFBTyxFQUFFLENBQUM7QUFDbkMsUUFBQSxvQkFBb0IsR0FBRyxDQUFDLFlBQVksRUFBRSxlQUFlLENBQUMsQ0FBQztBQUVwRSxTQUFnQix3QkFBd0I7SUFDdEMsT0FBTyxjQUFJLENBQUMsSUFBSSxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLFNBQVMsQ0FBQyxFQUFFLFlBQVksRUFBRSx1QkFBdUIsQ0FBQyxDQUFDO0FBQ3pGLENBQUM7QUFGRCw0REFFQztBQUVELFNBQWdCLGlCQUFpQixDQUFDLFNBQWlCO0lBQ2pELE9BQU8sY0FBSSxDQUFDLElBQUksQ0FBQyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsRUFBRSxZQUFZLEVBQUUsU0FBUyxHQUFHLEdBQUcsR0FBRyxvQkFBWSxDQUFDLENBQUM7QUFDaEcsQ0FBQztBQUZELDhDQUVDO0FBRUQsU0FBZ0IsV0FBVztJQUN6QixPQUFPLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBRkQsa0NBRUM7QUFFRCxTQUFnQixjQUFjO0lBQzVCLE9BQU8sZ0JBQWdCLENBQUM7QUFDMUIsQ0FBQztBQUZELHdDQUVDO0FBRVksUUFBQSx5QkFBeUIsR0FBRztJQUN2QyxZQUFZLEVBQUcsS0FBSztJQUNwQixnQkFBZ0IsRUFBRztRQUNqQixhQUFhLEVBQUcsS0FBSztRQUNyQixRQUFRLEVBQUcsTUFBTTtRQUNqQixhQUFhLEVBQUcsSUFBSTtRQUNwQixNQUFNLEVBQUcsSUFBSTtRQUNiLGNBQWMsRUFBRyxLQUFLO1FBQ3RCLG9CQUFvQixFQUFHLEVBQUU7S0FDMUI7Q0FDRixDQUFBIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuaW1wb3J0IHBhdGggZnJvbSAncGF0aCc7XG5cbmV4cG9ydCBjb25zdCBNT0RfSU5GTyA9ICdtb2RpbmZvLnhtbCc7XG5leHBvcnQgY29uc3QgR0FNRV9JRCA9ICc3ZGF5c3RvZGllJztcbmV4cG9ydCBjb25zdCBMT19GSUxFX05BTUUgPSAnbG9hZE9yZGVyLmpzb24nO1xuZXhwb3J0IGNvbnN0IEkxOE5fTkFNRVNQQUNFID0gYGdhbWUtJHtHQU1FX0lEfWA7XG5leHBvcnQgY29uc3QgSU5WQUxJRF9MT19NT0RfVFlQRVMgPSBbJ2NvbGxlY3Rpb24nLCAnN2R0ZC1yb290LW1vZCddO1xuXG5leHBvcnQgZnVuY3Rpb24gbGF1bmNoZXJTZXR0aW5nc0ZpbGVQYXRoKCk6IHN0cmluZyB7XG4gIHJldHVybiBwYXRoLmpvaW4odXRpbC5nZXRWb3J0ZXhQYXRoKCdhcHBEYXRhJyksICc3RGF5c1RvRGllJywgJ2xhdW5jaGVyc2V0dGluZ3MuanNvbicpO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gbG9hZE9yZGVyRmlsZVBhdGgocHJvZmlsZUlkOiBzdHJpbmcpOiBzdHJpbmcge1xuICByZXR1cm4gcGF0aC5qb2luKHV0aWwuZ2V0Vm9ydGV4UGF0aCgnYXBwRGF0YScpLCAnN0RheXNUb0RpZScsIHByb2ZpbGVJZCArICdfJyArIExPX0ZJTEVfTkFNRSk7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBtb2RzUmVsUGF0aCgpIHtcbiAgcmV0dXJuICdNb2RzJztcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGdhbWVFeGVjdXRhYmxlKCkge1xuICByZXR1cm4gJzdEYXlzVG9EaWUuZXhlJztcbn1cblxuZXhwb3J0IGNvbnN0IERFRkFVTFRfTEFVTkNIRVJfU0VUVElOR1MgPSB7XG4gIFNob3dMYXVuY2hlciA6IGZhbHNlLFxuICBEZWZhdWx0UnVuQ29uZmlnIDoge1xuICAgIEV4Y2x1c2l2ZU1vZGUgOiBmYWxzZSxcbiAgICBSZW5kZXJlciA6IFwiZHgxMVwiLFxuICAgIFVzZUdhbWVzcGFya3MgOiB0cnVlLFxuICAgIFVzZUVBQyA6IHRydWUsXG4gICAgVXNlTmF0aXZlSW5wdXQgOiBmYWxzZSxcbiAgICBBZGRpdGlvbmFsUGFyYW1ldGVycyA6IFwiXCJcbiAgfVxufSJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29tbW9uLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiY29tbW9uLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7OztBQUFBLDJDQUFrQztBQUNsQyxnREFBd0I7QUFFWCxRQUFBLFFBQVEsR0FBRyxhQUFhLENBQUM7QUFDekIsUUFBQSxPQUFPLEdBQUcsWUFBWSxDQUFDO0FBQ3ZCLFFBQUEsWUFBWSxHQUFHLGdCQUFnQixDQUFDO0FBQ2hDLFFBQUEsY0FBYyxHQUFHLFFBQVEsZUFBTyxFQUFFLENBQUM7QUFDbkMsUUFBQSxlQUFlLEdBQUcsaUJBQWlCLENBQUM7QUFDcEMsUUFBQSxvQkFBb0IsR0FBRyxDQUFDLFlBQVksRUFBRSxlQUFlLENBQUMsQ0FBQztBQUd2RCxRQUFBLGtCQUFrQixHQUFnQztJQUM3RCxJQUFJLEVBQUUsYUFBYTtJQUNuQixXQUFXLEVBQUUsb0JBQW9CO0lBQ2pDLE9BQU8sRUFBRSxnQkFBZ0I7SUFDekIsTUFBTSxFQUFFLGVBQWU7SUFDdkIsT0FBTyxFQUFFLGdCQUFnQjtJQUN6QixXQUFXLEVBQUUsb0JBQW9CO0NBQ2xDLENBQUM7QUFFRixTQUFnQix3QkFBd0I7SUFDdEMsT0FBTyxjQUFJLENBQUMsSUFBSSxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLFNBQVMsQ0FBQyxFQUFFLFlBQVksRUFBRSx1QkFBdUIsQ0FBQyxDQUFDO0FBQ3pGLENBQUM7QUFGRCw0REFFQztBQUVELFNBQWdCLGlCQUFpQixDQUFDLFNBQWlCO0lBQ2pELE9BQU8sY0FBSSxDQUFDLElBQUksQ0FBQyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsRUFBRSxZQUFZLEVBQUUsU0FBUyxHQUFHLEdBQUcsR0FBRyxvQkFBWSxDQUFDLENBQUM7QUFDaEcsQ0FBQztBQUZELDhDQUVDO0FBRUQsU0FBZ0IsV0FBVztJQUN6QixPQUFPLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBRkQsa0NBRUM7QUFFRCxTQUFnQixjQUFjO0lBQzVCLE9BQU8sZ0JBQWdCLENBQUM7QUFDMUIsQ0FBQztBQUZELHdDQUVDO0FBRUQsU0FBZ0IsZ0JBQWdCO0lBQzlCLE9BQU8sc0JBQXNCLENBQUM7QUFDaEMsQ0FBQztBQUZELDRDQUVDO0FBRVksUUFBQSx5QkFBeUIsR0FBRztJQUN2QyxZQUFZLEVBQUcsS0FBSztJQUNwQixnQkFBZ0IsRUFBRztRQUNqQixhQUFhLEVBQUcsS0FBSztRQUNyQixRQUFRLEVBQUcsTUFBTTtRQUNqQixhQUFhLEVBQUcsSUFBSTtRQUNwQixNQUFNLEVBQUcsSUFBSTtRQUNiLGNBQWMsRUFBRyxLQUFLO1FBQ3RCLG9CQUFvQixFQUFHLEVBQUU7S0FDMUI7Q0FDRixDQUFBIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuaW1wb3J0IHBhdGggZnJvbSAncGF0aCc7XG5cbmV4cG9ydCBjb25zdCBNT0RfSU5GTyA9ICdtb2RpbmZvLnhtbCc7XG5leHBvcnQgY29uc3QgR0FNRV9JRCA9ICc3ZGF5c3RvZGllJztcbmV4cG9ydCBjb25zdCBMT19GSUxFX05BTUUgPSAnbG9hZE9yZGVyLmpzb24nO1xuZXhwb3J0IGNvbnN0IEkxOE5fTkFNRVNQQUNFID0gYGdhbWUtJHtHQU1FX0lEfWA7XG5leHBvcnQgY29uc3QgU0VSVkVSX01PRF9UWVBFID0gJzdkdGQtc2VydmVyLW1vZCc7XG5leHBvcnQgY29uc3QgSU5WQUxJRF9MT19NT0RfVFlQRVMgPSBbJ2NvbGxlY3Rpb24nLCAnN2R0ZC1yb290LW1vZCddO1xuXG4vLyBNb2RJbmZvLnhtbCBmaWVsZHMgYW5kIHRoZSBtb2QgYXR0cmlidXRlcyB3ZSBzdG9yZSB0aGVtIGFzLlxuZXhwb3J0IGNvbnN0IE1PRElORk9fQVRUUklCVVRFUzogeyBbZmllbGQ6IHN0cmluZ106IHN0cmluZyB9ID0ge1xuICBuYW1lOiAnbW9kSW5mb05hbWUnLFxuICBkaXNwbGF5TmFtZTogJ21vZEluZm9EaXNwbGF5TmFtZScsXG4gIHZlcnNpb246ICdtb2RJbmZvVmVyc2lvbicsXG4gIGF1dGhvcjogJ21vZEluZm9BdXRob3InLFxuICB3ZWJzaXRlOiAnbW9kSW5mb1dlYnNpdGUnLFxuICBnYW1lVmVyc2lvbjogJ21vZEluZm9HYW1lVmVyc2lvbicsXG59O1xuXG5leHBvcnQgZnVuY3Rpb24gbGF1bmNoZXJTZXR0aW5nc0ZpbGVQYXRoKCk6IHN0cmluZyB7XG4gIHJldHVybiBwYXRoLmpvaW4odXRpbC5nZXRWb3J0ZXhQYXRoKCdhcHBEYXRhJyksICc3RGF5c1RvRGllJywgJ2xhdW5jaGVyc2V0dGluZ3MuanNvbicpO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gbG9hZE9yZGVyRmlsZVBhdGgocHJvZmlsZUlkOiBzdHJpbmcpOiBzdHJpbmcge1xuICByZXR1cm4gcGF0aC5qb2luKHV0aWwuZ2V0Vm9ydGV4UGF0aCgnYXBwRGF0YScpLCAnN0RheXNUb0RpZScsIHByb2ZpbGVJZCArICdfJyArIExPX0ZJTEVfTkFNRSk7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBtb2RzUmVsUGF0aCgpIHtcbiAgcmV0dXJuICdNb2RzJztcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGdhbWVFeGVjdXRhYmxlKCkge1xuICByZXR1cm4gJzdEYXlzVG9EaWUuZXhlJztcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIHNlcnZlckV4ZWN1dGFibGUoKSB7XG4gIHJldHVybiAnN0RheXNUb0RpZVNlcnZlci5leGUnO1xufVxuXG5leHBvcnQgY29uc3QgREVGQVVMVF9MQVVOQ0hFUl9TRVRUSU5HUyA9IHtcbiAgU2hvd0xhdW5jaGVyIDogZmFsc2UsXG4gIERlZmF1bHRSdW5Db25maWcgOiB7XG4gICAgRXhjbHVzaXZlTW9kZSA6IGZhbHNlLFxuICAgIFJlbmRlcmVyIDogXCJkeDExXCIsXG4gICAgVXNlR2FtZXNwYXJrcyA6IHRydWUsXG4gICAgVXNlRUFDIDogdHJ1ZSxcbiAgICBVc2VOYXRpdmVJbnB1dCA6IGZhbHNlLFxuICAgIEFkZGl0aW9uYWxQYXJhbWV0ZXJzIDogXCJcIlxuICB9XG59Il19
\ No newline at end of file
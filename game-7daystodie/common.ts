@@ -5,8 +5,19 @@ export const MOD_INFO = 'modinfo.xml';
 export const GAME_ID = '7daystodie';
 export const LO_FILE_NAME = 'loadOrder.json';
 export const I18N_NAMESPACE = `game-${GAME_ID}`;
+export const SERVER_MOD_TYPE = '7dtd-server-mod';
 export const INVALID_LO_MOD_TYPES = ['collection', '7dtd-root-mod'];
 
+// ModInfo.xml fields and the mod attributes we store them as.
+export const MODINFO_ATTRIBUTES: { [field: string]: string } = {
+  name: 'modInfoName',
+  displayName: 'modInfoDisplayName',
+  version: 'modInfoVersion',
+  author: 'modInfoAuthor',
+  website: 'modInfoWebsite',
+  gameVersion: 'modInfoGameVersion',
+};
+
 export function launcherSettingsFilePath(): string {
   return path.join(util.getVortexPath('appData'), '7DaysToDie', 'launchersettings.json');
 }
@@ -23,6 +34,10 @@ export function gameExecutable() {
   return '7DaysToDie.exe';
 }
 
+export function serverExecutable() {
+  return '7DaysToDieServer.exe';
+}
+
 export const DEFAULT_LAUNCHER_SETTINGS = {
   ShowLauncher : false,
   DefaultRunConfig : {
@@ -0,0 +1,36 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.isOtherGameVersion = exports.parseLogVersion = exports.gameVersionKey = void 0;
+const LOG_VERSION_EXP = /\bVersion:\s*(?:Alpha|V)\s*(\d+)(?:\.(\d+))?\s*\(b(\d+)\)/i;
+function gameVersionKey(version) {
+    const alpha = version === null || version === void 0 ? void 0 : version.match(/^\s*(?:a|alpha\s*)(\d{1,2})\b/i);
+    if (alpha !== null && alpha !== undefined) {
+        return `A${parseInt(alpha[1], 10)}`;
+    }
+    const release = version === null || version === void 0 ? void 0 : version.match(/^\s*v?\s*(\d+)(?:\.\d+)*/i);
+    if (release === null || release === undefined) {
+        return undefined;
+    }
+    const major = parseInt(release[1], 10);
+    if (major >= 10 && major <= 21) {
+        return `A${major}`;
+    }
+    return (major > 0 && major < 10) ? `V${major}` : undefined;
+}
+exports.gameVersionKey = gameVersionKey;
+function parseLogVersion(data) {
+    var _a;
+    const match = data.match(LOG_VERSION_EXP);
+    return (match !== null)
+        ? `${match[1]}.${(_a = match[2]) !== null && _a !== void 0 ? _a : '0'}.${match[3]}`
+        : undefined;
+}
+exports.parseLogVersion = parseLogVersion;
+function isOtherGameVersion(declared, installedKey) {
+    const declaredKey = gameVersionKey(declared);
+    return (declaredKey !== undefined)
+        && (installedKey !== undefined)
+        && (declaredKey !== installedKey);
+}
+exports.isOtherGameVersion = isOtherGameVersion;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2FtZVZlcnNpb24uanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJnYW1lVmVyc2lvbi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFNQSxNQUFNLGVBQWUsR0FBRyw0REFBNEQsQ0FBQztBQUtyRixTQUFnQixjQUFjLENBQUMsT0FBZTtJQUM1QyxNQUFNLEtBQUssR0FBRyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsS0FBSyxDQUFDLGdDQUFnQyxDQUFDLENBQUM7SUFDL0QsSUFBSSxLQUFLLEtBQUssSUFBSSxJQUFJLEtBQUssS0FBSyxTQUFTLEVBQUU7UUFDekMsT0FBTyxJQUFJLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEVBQUUsQ0FBQztLQUNyQztJQUNELE1BQU0sT0FBTyxHQUFHLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxLQUFLLENBQUMsMkJBQTJCLENBQUMsQ0FBQztJQUM1RCxJQUFJLE9BQU8sS0FBSyxJQUFJLElBQUksT0FBTyxLQUFLLFNBQVMsRUFBRTtRQUM3QyxPQUFPLFNBQVMsQ0FBQztLQUNsQjtJQUNELE1BQU0sS0FBSyxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFDdkMsSUFBSSxLQUFLLElBQUksRUFBRSxJQUFJLEtBQUssSUFBSSxFQUFFLEVBQUU7UUFDOUIsT0FBTyxJQUFJLEtBQUssRUFBRSxDQUFDO0tBQ3BCO0lBQ0QsT0FBTyxDQUFDLEtBQUssR0FBRyxDQUFDLElBQUksS0FBSyxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7QUFDN0QsQ0FBQztBQWRELHdDQWNDO0FBSUQsU0FBZ0IsZUFBZSxDQUFDLElBQVk7O0lBQzFDLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsZUFBZSxDQUFDLENBQUM7SUFDMUMsT0FBTyxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUM7UUFDckIsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLE1BQUEsS0FBSyxDQUFDLENBQUMsQ0FBQyxtQ0FBSSxHQUFHLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFO1FBQzlDLENBQUMsQ0FBQyxTQUFTLENBQUM7QUFDaEIsQ0FBQztBQUxELDBDQUtDO0FBS0QsU0FBZ0Isa0JBQWtCLENBQUMsUUFBZ0IsRUFBRSxZQUFvQjtJQUN2RSxNQUFNLFdBQVcsR0FBRyxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDN0MsT0FBTyxDQUFDLFdBQVcsS0FBSyxTQUFTLENBQUM7V0FDN0IsQ0FBQyxZQUFZLEtBQUssU0FBUyxDQUFDO1dBQzVCLENBQUMsV0FBVyxLQUFLLFlBQVksQ0FBQyxDQUFDO0FBQ3RDLENBQUM7QUFMRCxnREFLQyIsInNvdXJjZXNDb250ZW50IjpbIi8vIEdhbWUgdmVyc2lvbiBoZWxwZXJzLiBUaGVzZSBkb24ndCB1c2Ugdm9ydGV4LWFwaSBzbyB0aGV5IGNhbiBiZSB0ZXN0ZWRcbi8vICBvdXRzaWRlIG9mIFZvcnRleC5cblxuLy8gVGhlIGdhbWUgbG9ncyBpdHMgdmVyc2lvbiBvbiBzdGFydHVwLCBlLmcuXG4vLyAgXCJJTkYgVmVyc2lvbjogQWxwaGEgMjEuMiAoYjMwKSBDb21wYXRpYmlsaXR5IFZlcnNpb246IEFscGhhIDIxLjIsIEJ1aWxkOiAuLi5cIiBvclxuLy8gIFwiSU5GIFZlcnNpb246IFYgMS4wIChiMzMzKSBDb21wYXRpYmlsaXR5IFZlcnNpb246IFYgMS4wLCBCdWlsZDogLi4uXCJcbmNvbnN0IExPR19WRVJTSU9OX0VYUCA9IC9cXGJWZXJzaW9uOlxccyooPzpBbHBoYXxWKVxccyooXFxkKykoPzpcXC4oXFxkKykpP1xccypcXChiKFxcZCspXFwpL2k7XG5cbi8vIFR1cm5zIGEgdmVyc2lvbiBzdHJpbmcgb3IgYSBoaW50IGxpa2UgXCJBMjFcIiwgXCJBbHBoYSAyMVwiIG9yIFwiVjEuMFwiIGludG8gdGhlXG4vLyAgZ2FtZSByZWxlYXNlIGl0IHJlZmVycyB0bywgZS5nLiAnQTIxJyBvciAnVjEnLiBQbGFpbiBudW1iZXJzIGFyZSByZWFkIGFzXG4vLyAgYWxwaGEgcmVsZWFzZXMgdXAgdG8gMjEsIHdoaWNoIGlzIHRoZSBsYXN0IGFscGhhIGJlZm9yZSAxLjAuXG5leHBvcnQgZnVuY3Rpb24gZ2FtZVZlcnNpb25LZXkodmVyc2lvbjogc3RyaW5nKTogc3RyaW5nIHtcbiAgY29uc3QgYWxwaGEgPSB2ZXJzaW9uPy5tYXRjaCgvXlxccyooPzphfGFscGhhXFxzKikoXFxkezEsMn0pXFxiL2kpO1xuICBpZiAoYWxwaGEgIT09IG51bGwgJiYgYWxwaGEgIT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybiBgQSR7cGFyc2VJbnQoYWxwaGFbMV0sIDEwKX1gO1xuICB9XG4gIGNvbnN0IHJlbGVhc2UgPSB2ZXJzaW9uPy5tYXRjaCgvXlxccyp2P1xccyooXFxkKykoPzpcXC5cXGQrKSovaSk7XG4gIGlmIChyZWxlYXNlID09PSBudWxsIHx8IHJlbGVhc2UgPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybiB1bmRlZmluZWQ7XG4gIH1cbiAgY29uc3QgbWFqb3IgPSBwYXJzZUludChyZWxlYXNlWzFdLCAxMCk7XG4gIGlmIChtYWpvciA+PSAxMCAmJiBtYWpvciA8PSAyMSkge1xuICAgIHJldHVybiBgQSR7bWFqb3J9YDtcbiAgfVxuICByZXR1cm4gKG1ham9yID4gMCAmJiBtYWpvciA8IDEwKSA/IGBWJHttYWpvcn1gIDogdW5kZWZpbmVkO1xufVxuXG4vLyBFeHRyYWN0cyB0aGUgZ2FtZSB2ZXJzaW9uIGZyb20gYSBnYW1lIGxvZyBhcyBtYWpvci5taW5vci5idWlsZCwgZS5nLlxuLy8gICcyMS4yLjMwJyBmb3IgQWxwaGEgMjEuMiAoYjMwKSBvciAnMS4wLjMzMycgZm9yIFYgMS4wIChiMzMzKS5cbmV4cG9ydCBmdW5jdGlvbiBwYXJzZUxvZ1ZlcnNpb24oZGF0YTogc3RyaW5nKTogc3RyaW5nIHtcbiAgY29uc3QgbWF0Y2ggPSBkYXRhLm1hdGNoKExPR19WRVJTSU9OX0VYUCk7XG4gIHJldHVybiAobWF0Y2ggIT09IG51bGwpXG4gICAgPyBgJHttYXRjaFsxXX0uJHttYXRjaFsyXSA/PyAnMCd9LiR7bWF0Y2hbM119YFxuICAgIDogdW5kZWZpbmVkO1xufVxuXG4vLyBXaGV0aGVyIGEgbW9kbGV0IGRlY2xhcmluZyB0aGUgZ2FtZSB2ZXJzaW9uIFwiZGVjbGFyZWRcIiB3YXMgbWFkZSBmb3IgYVxuLy8gIGRpZmZlcmVudCByZWxlYXNlIHRoYW4gdGhlIGluc3RhbGxlZCBvbmUuIERlY2xhcmF0aW9ucyB3ZSBjYW4ndCBtYWtlXG4vLyAgc2Vuc2Ugb2YgYXJlbid0IHJlcG9ydGVkLlxuZXhwb3J0IGZ1bmN0aW9uIGlzT3RoZXJHYW1lVmVyc2lvbihkZWNsYXJlZDogc3RyaW5nLCBpbnN0YWxsZWRLZXk6IHN0cmluZyk6IGJvb2xlYW4ge1xuICBjb25zdCBkZWNsYXJlZEtleSA9IGdhbWVWZXJzaW9uS2V5KGRlY2xhcmVkKTtcbiAgcmV0dXJuIChkZWNsYXJlZEtleSAhPT0gdW5kZWZpbmVkKVxuICAgICYmIChpbnN0YWxsZWRLZXkgIT09IHVuZGVmaW5lZClcbiAgICAmJiAoZGVjbGFyZWRLZXkgIT09IGluc3RhbGxlZEtleSk7XG59XG4iXX0=
\ No newline at end of file
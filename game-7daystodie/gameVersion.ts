@@ -0,0 +1,45 @@
+// Game version helpers. These don't use vortex-api so they can be tested
+//  outside of Vortex.
+
+// The game logs its version on startup, e.g.
+//  "INF Version: Alpha 21.2 (b30) Compatibility Version: Alpha 21.2, Build: ..." or
+//  "INF Version: V 1.0 (b333) Compatibility Version: V 1.0, Build: ..."
+const LOG_VERSION_EXP = /\bVersion:\s*(?:Alpha|V)\s*(\d+)(?:\.(\d+))?\s*\(b(\d+)\)/i;
+
+// Turns a version string or a hint like "A21", "Alpha 21" or "V1.0" into the
+//  game release it refers to, e.g. 'A21' or 'V1'. Plain numbers are read as
+//  alpha releases up to 21, which is the last alpha before 1.0.
+export function gameVersionKey(version: string): string {
+  const alpha = version?.match(/^\s*(?:a|alpha\s*)(\d{1,2})\b/i);
+  if (alpha !== null && alpha !== undefined) {
+    return `A${parseInt(alpha[1], 10)}`;
+  }
+  const release = version?.match(/^\s*v?\s*(\d+)(?:\.\d+)*/i);
+  if (release === null || release === undefined) {
+    return undefined;
+  }
+  const major = parseInt(release[1], 10);
+  if (major >= 10 && major <= 21) {
+    return `A${major}`;
+  }
+  return (major > 0 && major < 10) ? `V${major}` : undefined;
+}
+
+// Extracts the game version from a game log as major.minor.build, e.g.
+//  '21.2.30' for Alpha 21.2 (b30) or '1.0.333' for V 1.0 (b333).
+export function parseLogVersion(data: string): string {
+  const match = data.match(LOG_VERSION_EXP);
+  return (match !== null)
+    ? `${match[1]}.${match[2] ?? '0'}.${match[3]}`
+    : undefined;
+}
+
+// Whether a modlet declaring the game version "declared" was made for a
+//  different release than the installed one. Declarations we can't make
+//  sense of aren't reported.
+export function isOtherGameVersion(declared: string, installedKey: string): boolean {
+  const declaredKey = gameVersionKey(declared);
+  return (declaredKey !== undefined)
+    && (installedKey !== undefined)
+    && (declaredKey !== installedKey);
+}
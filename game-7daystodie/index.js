@@ -44,7 +44,10 @@ const reducers_1 = require("./reducers");
 const common_1 = require("./common");
 const loadOrder_1 = require("./loadOrder");
 const migrations_1 = require("./migrations");
+const serverDeploy_1 = require("./serverDeploy");
+const tests_1 = require("./tests");
 const util_1 = require("./util");
+const xpathConflicts_1 = require("./xpathConflicts");
 const STEAM_ID = '251570';
 const STEAM_DLL = 'steamclient64.dll';
 const ROOT_MOD_CANDIDATES = ['bepinex'];
@@ -186,9 +189,8 @@ function installContent(files, destinationPath, gameId) {
     return __awaiter(this, void 0, void 0, function* () {
         const modFile = files.find(file => path_1.default.basename(file).toLowerCase() === common_1.MOD_INFO);
         const rootPath = path_1.default.dirname(modFile);
-        return (0, util_1.getModName)(path_1.default.join(destinationPath, modFile))
-            .then(modName => {
-            modName = modName.replace(/[^a-zA-Z0-9]/g, '');
+        return (0, util_1.getModInfo)(path_1.default.join(destinationPath, modFile))
+            .then(modInfo => {
             const filtered = files.filter(filePath => filePath.startsWith(rootPath) && !filePath.endsWith(path_1.default.sep));
             const instructions = filtered.map(filePath => {
                 return {
@@ -197,6 +199,13 @@ function installContent(files, destinationPath, gameId) {
                     destination: path_1.default.relative(rootPath, filePath),
                 };
             });
+            Object.keys(common_1.MODINFO_ATTRIBUTES)
+                .filter(key => modInfo[key] !== undefined)
+                .forEach(key => instructions.push({
+                type: 'attribute',
+                key: common_1.MODINFO_ATTRIBUTES[key],
+                value: modInfo[key],
+            }));
             return Promise.resolve({ instructions });
         });
     });
@@ -276,13 +285,46 @@ function InfoPanel(props) {
         React.createElement("div", null, t('7 Days to Die loads mods in alphabetic order so Vortex prefixes '
             + 'the directory names with "AAA, AAB, AAC, ..." to ensure they load in the order you set here.'))));
 }
+function XPathConflicts(props) {
+    const { t, conflicts, loadOrder, mods } = props;
+    if (conflicts.length === 0) {
+        return null;
+    }
+    const modName = (modId) => {
+        var _a, _b;
+        const prefix = (_b = (_a = loadOrder.find(entry => entry.id === modId)) === null || _a === void 0 ? void 0 : _a.data) === null || _b === void 0 ? void 0 : _b.prefix;
+        const name = (mods[modId] !== undefined) ? vortex_api_1.util.renderModName(mods[modId]) : modId;
+        return (prefix !== undefined) ? `${prefix}-${name}` : name;
+    };
+    return (React.createElement("div", null,
+        React.createElement("hr", null),
+        React.createElement("div", null, t('The following XPath nodes are patched by more than one modlet. Modlets further down '
+            + 'the load order are applied later, so the last one to set a node wins, while a node '
+            + 'that got removed can no longer be patched by any modlet.')),
+        React.createElement("div", { style: { maxHeight: '300px', overflowY: 'auto' } }, conflicts.map((conflict) => (React.createElement("details", { key: conflict.id },
+            React.createElement("summary", null,
+                React.createElement("span", { style: { color: 'red' } }, (conflict.type === 'remove') ? t('Removed') : t('Overwritten')),
+                ` ${conflict.file}: ${conflict.xpath}`),
+            React.createElement("ul", null, conflict.entries.map((entry, idx) => (React.createElement("li", { key: idx },
+                `${modName(entry.modId)}: ${entry.op} ${entry.xpath}`,
+                (entry.value !== undefined) ? ` = ${entry.value}` : null)))),
+            React.createElement("div", null, t('Winner: {{name}}', {
+                replace: { name: modName((0, xpathConflicts_1.xpathConflictWinner)(conflict, loadOrder)) }
+            }))))))));
+}
 function InfoPanelWrap(props) {
     const { api, profileId } = props;
     const currentOffset = (0, react_redux_1.useSelector)((state) => (0, util_1.makePrefix)(vortex_api_1.util.getSafe(state, ['settings', '7daystodie', 'prefixOffset', profileId], 0)));
-    return (React.createElement(InfoPanel, { t: api.translate, currentOffset: currentOffset }));
+    const conflicts = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['session', '7daystodie', 'xpathConflicts'], []));
+    const loadOrder = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profileId], []));
+    const mods = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {}));
+    return (React.createElement("div", null,
+        React.createElement(InfoPanel, { t: api.translate, currentOffset: currentOffset }),
+        React.createElement(XPathConflicts, { t: api.translate, conflicts: conflicts, loadOrder: loadOrder, mods: mods })));
 }
 function main(context) {
     context.registerReducer(['settings', '7daystodie'], reducers_1.reducer);
+    context.registerReducer(['session', '7daystodie'], reducers_1.sessionReducer);
     const getModsPath = () => {
         const state = context.api.getState();
         const udf = vortex_api_1.util.getSafe(state, ['settings', '7daystodie', 'udf'], undefined);
@@ -301,6 +343,7 @@ function main(context) {
             (0, common_1.gameExecutable)(),
         ],
         requiresLauncher,
+        getGameVersion: util_1.getGameVersion,
         setup: (0, util_1.toBlue)((discovery) => prepareForModding(context, discovery)),
         environment: {
             SteamAPPId: STEAM_ID,
@@ -340,6 +383,55 @@ function main(context) {
         const activeGame = vortex_api_1.selectors.activeGameId(state);
         return activeGame === common_1.GAME_ID;
     });
+    context.registerAction('fb-load-order-icons', 160, 'settings', {}, 'Dedicated Server Folder', () => {
+        (0, serverDeploy_1.selectServerPath)(context.api, (serverPath) => {
+            context.api.store.dispatch((0, actions_1.setServerPath)(serverPath));
+            (0, serverDeploy_1.applyDeployTargets)(context.api);
+        }).catch(err => {
+            context.api.showErrorNotification('Failed to set dedicated server folder', err, { allowReport: !['ENOENT', 'EPERM'].includes(err.code) });
+        });
+    }, () => {
+        const state = context.api.getState();
+        const activeGame = vortex_api_1.selectors.activeGameId(state);
+        return activeGame === common_1.GAME_ID;
+    });
+    context.registerAction('fb-load-order-icons', 170, 'details', {}, 'Deployment Report', () => {
+        (0, serverDeploy_1.showDeploymentReport)(context.api, (mod) => toLOPrefix(context, mod));
+    }, () => {
+        const state = context.api.getState();
+        const activeGame = vortex_api_1.selectors.activeGameId(state);
+        return activeGame === common_1.GAME_ID;
+    });
+    const deployTargetNames = {
+        both: 'Client & Server',
+        client: 'Client only',
+        server: 'Server only',
+    };
+    context.registerTableAttribute('mods', {
+        id: '7dtd-deploy-target',
+        position: 90,
+        condition: () => (vortex_api_1.selectors.activeGameId(context.api.getState()) === common_1.GAME_ID)
+            && ((0, serverDeploy_1.getServerModsPath)(context.api.getState()) !== undefined),
+        placement: 'both',
+        calc: (mod) => common_1.INVALID_LO_MOD_TYPES.includes(mod.type)
+            ? undefined
+            : deployTargetNames[(0, serverDeploy_1.deployTarget)(mod)],
+        name: 'Deploy To',
+        help: 'Whether the modlet gets deployed to the game, the dedicated server or both',
+        isDefaultVisible: true,
+        isGroupable: true,
+        isSortable: true,
+        edit: {
+            choices: () => Object.keys(deployTargetNames)
+                .map(key => ({ key, text: deployTargetNames[key] })),
+            onChangeValue: (mods, value) => {
+                const modIds = [].concat(mods)
+                    .filter(mod => !common_1.INVALID_LO_MOD_TYPES.includes(mod.type))
+                    .map(mod => mod.id);
+                (0, serverDeploy_1.setDeployTarget)(context.api, modIds, value);
+            },
+        },
+    });
     const getOverhaulPath = (game) => {
         const state = context.api.getState();
         const discovery = vortex_api_1.selectors.discoveryByGame(state, common_1.GAME_ID);
@@ -347,12 +439,62 @@ function main(context) {
     };
     context.registerInstaller('7dtd-mod', 25, (0, util_1.toBlue)(testSupportedContent), (0, util_1.toBlue)(installContent));
     context.registerInstaller('7dtd-root-mod', 20, (0, util_1.toBlue)(testRootMod), (0, util_1.toBlue)(installRootMod));
+    context.registerModType(common_1.SERVER_MOD_TYPE, 25, (gameId) => gameId === common_1.GAME_ID, () => (0, serverDeploy_1.getServerModsPath)(context.api.getState()), () => Promise.resolve(false), { name: 'Dedicated Server Modlet', mergeMods: (mod) => toLOPrefix(context, mod) });
     context.registerModType('7dtd-root-mod', 20, (gameId) => gameId === common_1.GAME_ID, getOverhaulPath, (instructions) => {
         const candidateFound = hasCandidate(instructions
             .filter(instr => !!instr.destination)
             .map(instr => instr.destination));
         return Promise.resolve(candidateFound);
     }, { name: 'Root Directory Mod', mergeMods: true, deploymentEssential: false });
+    context.once(() => {
+        context.api.onAsync('did-deploy', (profileId) => __awaiter(this, void 0, void 0, function* () {
+            const profile = vortex_api_1.selectors.profileById(context.api.getState(), profileId);
+            if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+                return;
+            }
+            try {
+                yield (0, serverDeploy_1.syncServerMods)(context.api, profile, (mod) => toLOPrefix(context, mod));
+            }
+            catch (err) {
+                context.api.showErrorNotification('Failed to deploy modlets to the dedicated server', err, { allowReport: !['ENOENT', 'EPERM', 'EBUSY'].includes(err.code) });
+            }
+            yield (0, xpathConflicts_1.updateXPathConflicts)(context.api);
+        }));
+        context.api.onAsync('did-purge', (profileId) => __awaiter(this, void 0, void 0, function* () {
+            const profile = vortex_api_1.selectors.profileById(context.api.getState(), profileId);
+            if ((profile === null || profile === void 0 ? void 0 : profile.gameId) === common_1.GAME_ID) {
+                yield (0, serverDeploy_1.purgeServerMods)(context.api)
+                    .catch(err => (0, vortex_api_1.log)('warn', 'failed to purge dedicated server modlets', err.message));
+            }
+        }));
+    });
+    const modInfoColumns = [
+        { field: 'name', name: 'Modlet Name',
+            help: 'The name the game identifies the modlet by, as set in its ModInfo.xml' },
+        { field: 'displayName', name: 'Display Name' },
+        { field: 'version', name: 'Modlet Version',
+            help: 'The version set in the ModInfo.xml' },
+        { field: 'author', name: 'Modlet Author' },
+        { field: 'website', name: 'Website' },
+        { field: 'gameVersion', name: 'Game Version',
+            help: 'The game version the modlet was made for, if the author mentions it' },
+    ];
+    modInfoColumns.forEach((column, idx) => {
+        context.registerTableAttribute('mods', {
+            id: `7dtd-modinfo-${column.field}`,
+            position: 100 + idx * 10,
+            condition: () => vortex_api_1.selectors.activeGameId(context.api.getState()) === common_1.GAME_ID,
+            placement: 'both',
+            calc: (mod) => { var _a; return (_a = mod.attributes) === null || _a === void 0 ? void 0 : _a[common_1.MODINFO_ATTRIBUTES[column.field]]; },
+            name: column.name,
+            help: column.help,
+            isDefaultVisible: true,
+            isSortable: true,
+            edit: {},
+        });
+    });
+    context.registerTest('7dtd-modinfo-issues', 'gamemode-activated', (0, util_1.toBlue)(() => (0, tests_1.testModInfo)(context.api)));
+    context.registerTest('7dtd-modinfo-issues', 'mod-activated', (0, util_1.toBlue)(() => (0, tests_1.testModInfo)(context.api)));
     context.registerMigration((0, util_1.toBlue)(old => (0, migrations_1.migrate020)(context.api, old)));
     context.registerMigration((0, util_1.toBlue)(old => (0, migrations_1.migrate100)(context, old)));
     context.registerMigration((0, util_1.toBlue)(old => (0, migrations_1.migrate1011)(context, old)));
@@ -361,4 +503,4 @@ function main(context) {
 module.exports = {
     default: main,
 };
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUFBLGdEQUF3QjtBQUN4Qiw2Q0FBMEM7QUFDMUMsMkNBQWlFO0FBRWpFLDZDQUErQjtBQUUvQix1Q0FBb0Q7QUFDcEQseUNBQXFDO0FBRXJDLHFDQUFrSDtBQUNsSCwyQ0FBK0Q7QUFDL0QsNkNBQW1FO0FBRW5FLGlDQUErRjtBQUUvRixNQUFNLFFBQVEsR0FBRyxRQUFRLENBQUM7QUFDMUIsTUFBTSxTQUFTLEdBQUcsbUJBQW1CLENBQUM7QUFFdEMsTUFBTSxtQkFBbUIsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0FBRXhDLFNBQVMsaUJBQWlCLENBQUMsR0FBd0I7O0lBQ2pELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7SUFDckQsSUFBSSxTQUFTLEtBQUssU0FBUyxFQUFFO1FBRTNCLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyw0QkFBNEIsRUFBRSxTQUFTLEVBQUUsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUMzRixPQUFPO0tBQ1I7SUFFRCxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLHlCQUFlLEVBQUMsU0FBUyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUMzRixNQUFNLEtBQUssR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsaUNBQ3ZDLEtBQUssS0FDUixJQUFJLEVBQUU7WUFDSixNQUFNLEVBQUUsSUFBQSxpQkFBVSxFQUFDLEdBQUcsQ0FBQztTQUN4QixJQUNELENBQUMsQ0FBQztJQUNKLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsWUFBWSxDQUFDLFNBQVMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO0FBQzdELENBQUM7QUFFRCxTQUFTLHFCQUFxQixDQUFDLEdBQXdCO0lBQ3JELE9BQU8sR0FBRyxDQUFDLFVBQVUsQ0FBQyxVQUFVLEVBQUUsdUJBQXVCLEVBQUU7UUFDekQsSUFBSSxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsaURBQWlELENBQUM7UUFDdEUsS0FBSyxFQUFFO1lBQ0w7Z0JBQ0UsRUFBRSxFQUFFLHVCQUF1QjtnQkFDM0IsS0FBSyxFQUFFLGVBQWU7Z0JBQ3RCLElBQUksRUFBRSxNQUFNO2dCQUNaLFdBQVcsRUFBRSxLQUFLO2FBQ25CO1NBQUM7S0FDTCxFQUFFLENBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsQ0FBRSxDQUFDO1NBQzNELElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRTs7UUFDYixJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssS0FBSyxFQUFFO1lBQzNCLE1BQU0sTUFBTSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsdUJBQXVCLENBQUMsQ0FBQztZQUNyRCxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7WUFDZixJQUFJO2dCQUNGLE1BQU0sR0FBRyxJQUFBLG9CQUFhLEVBQUMsTUFBTSxDQUFDLENBQUM7YUFDaEM7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDNUI7WUFDRCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDN0IsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1lBQ3JELElBQUksU0FBUyxLQUFLLFNBQVMsRUFBRTtnQkFFM0IsR0FBRyxDQUFDLHFCQUFxQixDQUFDLDRCQUE0QixFQUFFLFNBQVMsRUFBRSxFQUFFLFdBQVcsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO2dCQUMzRixPQUFPO2FBQ1I7WUFFRCxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLHlCQUFlLEVBQUMsU0FBUyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFDdkQsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUMzRixNQUFNLEtBQUssR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsaUNBQ2hDLEtBQUssS0FDUixJQUFJLEVBQUU7b0JBQ0osTUFBTSxFQUFFLElBQUEsaUJBQVUsRUFBQyxJQUFBLG9CQUFhLEVBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxNQUFNLENBQUM7aUJBQzlELElBQ0QsQ0FBQyxDQUFDO1lBQ0osR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxZQUFZLENBQUMsU0FBUyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7U0FDNUQ7UUFDRCxPQUFPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUMzQixDQUFDLENBQUM7U0FDRCxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUU7UUFDWCxHQUFHLENBQUMscUJBQXFCLENBQUMsNkJBQTZCLEVBQUUsR0FBRyxFQUFFLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDdEYsT0FBTyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDM0IsQ0FBQyxDQUFDLENBQUM7QUFDTCxDQUFDO0FBRUQsU0FBZSxRQUFROztRQUNyQixPQUFPLGlCQUFJLENBQUMsZUFBZSxDQUFDLFdBQVcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2FBQ2hELElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNqQyxDQUFDO0NBQUE7QUFFRCxTQUFTLHlCQUF5QixDQUFDLFVBQWtCOztJQUNuRCxNQUFNLFFBQVEsR0FBRyxVQUFVLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxDQUFDO0lBQzFGLE1BQU0sR0FBRyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsTUFBQSxNQUFBLFFBQVEsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO0lBQ3ZFLE9BQU8sQ0FBQyxHQUFHLElBQUksY0FBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztBQUN6RCxDQUFDO0FBRUQsU0FBZSxpQkFBaUIsQ0FBQyxPQUFnQyxFQUNoQyxTQUFpQzs7O1FBQ2hFLE1BQU0sZUFBZSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQ3pELENBQUMsVUFBVSxFQUFFLFlBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxTQUFTLENBQUMsS0FBSyxTQUFTLENBQUM7UUFDOUQsTUFBTSxnQkFBZ0IsR0FBRyxJQUFBLGlDQUF3QixHQUFFLENBQUM7UUFDcEQsTUFBTSxXQUFXLEdBQUcsR0FBRyxFQUFFO1lBQ3ZCLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLGtCQUFrQixFQUFFO2dCQUN4RCxJQUFJLEVBQUUsOERBQThEO3NCQUM5RCxzRkFBc0Y7YUFDN0YsRUFBRSxDQUFFLEVBQUUsS0FBSyxFQUFFLG1CQUFtQixFQUFFLENBQUUsQ0FBQztpQkFDckMsSUFBSSxDQUFDLEdBQUcsRUFBRTtnQkFDVCxPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUM7WUFDdEUsQ0FBQyxDQUFDLENBQUM7UUFDTCxDQUFDLENBQUE7UUFDRCxNQUFNLFNBQVMsR0FBRyxHQUFTLEVBQUU7WUFDM0IsTUFBTSxHQUFHLEdBQUcsTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxNQUFNLEVBQUUsNEJBQTRCLEVBQUU7Z0JBQzdFLElBQUksRUFBRSxvRkFBb0Y7c0JBQ3BGLHVGQUF1RjtzQkFDdkYsaUdBQWlHO2FBQ3hHLEVBQ0Q7Z0JBQ0UsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFO2dCQUNuQixFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUU7YUFDeEIsQ0FBQyxDQUFDO1lBQ0gsSUFBSSxHQUFHLENBQUMsTUFBTSxLQUFLLFlBQVksRUFBRTtnQkFDL0IsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsNEJBQTRCLENBQUMsQ0FBQyxDQUFDO2FBQy9FO1lBQ0QsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUM7WUFDaEUsTUFBTSxJQUFBLG1CQUFZLEVBQUMsT0FBTyxDQUFDLENBQUM7WUFDNUIsTUFBTSxTQUFTLEdBQUcsTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQztnQkFDNUMsS0FBSyxFQUFFLHlCQUF5QjtnQkFDaEMsV0FBVyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO2FBQ3ZELENBQUMsQ0FBQztZQUNILElBQUksQ0FBQyxTQUFTLEVBQUU7Z0JBQ2QsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsNEJBQTRCLENBQUMsQ0FBQyxDQUFDO2FBQy9FO1lBQ0QsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQztZQUM5RCxNQUFNLFFBQVEsR0FBRyxrQ0FBeUIsQ0FBQztZQUMzQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsb0JBQW9CLEdBQUcsbUJBQW1CLFNBQVMsRUFBRSxDQUFDO1lBQ2hGLE1BQU0sWUFBWSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztZQUN2RCxNQUFNLGVBQUUsQ0FBQyxjQUFjLENBQUMsZ0JBQWdCLEVBQUUsWUFBWSxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDOUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLElBQUEsZ0JBQU0sRUFBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQzlDLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUMvRCxDQUFDLENBQUEsQ0FBQztRQUVGLElBQUk7WUFDRixNQUFNLElBQUksR0FBRyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsZ0JBQWdCLEVBQUUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUM1RSxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ2xDLElBQUksQ0FBQSxNQUFBLFFBQVEsYUFBUixRQUFRLHVCQUFSLFFBQVEsQ0FBRSxnQkFBZ0IsMENBQUUsb0JBQW9CLE1BQUssU0FBUyxFQUFFO2dCQUNsRSxNQUFNLEdBQUcsR0FBRyx5QkFBeUIsQ0FBQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsb0JBQW9CLENBQUMsQ0FBQztnQkFDdEYsSUFBSSxDQUFDLENBQUMsR0FBRyxFQUFFO29CQUNULE1BQU0sZUFBRSxDQUFDLHNCQUFzQixDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7b0JBQ3hELE1BQU0sSUFBQSxtQkFBWSxFQUFDLE9BQU8sQ0FBQyxDQUFDO29CQUM1QixPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBQSxnQkFBTSxFQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7b0JBQ3hDLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztpQkFDOUQ7cUJBQU07b0JBQ0wsT0FBTyxTQUFTLEVBQUUsQ0FBQztpQkFDcEI7YUFDRjtTQUNGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixPQUFPLFNBQVMsRUFBRSxDQUFDO1NBQ3BCOztDQUNGO0FBRUQsU0FBZSxjQUFjLENBQUMsS0FBZSxFQUNmLGVBQXVCLEVBQ3ZCLE1BQWM7O1FBRzFDLE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxjQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLGlCQUFRLENBQUMsQ0FBQztRQUNuRixNQUFNLFFBQVEsR0FBRyxjQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3ZDLE9BQU8sSUFBQSxpQkFBVSxFQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxFQUFFLE9BQU8sQ0FBQyxDQUFDO2FBQ25ELElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUNkLE9BQU8sR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLGVBQWUsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUcvQyxNQUFNLFFBQVEsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQ3ZDLFFBQVEsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBRWpFLE1BQU0sWUFBWSxHQUF5QixRQUFRLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxFQUFFO2dCQUNqRSxPQUFPO29CQUNMLElBQUksRUFBRSxNQUFNO29CQUNaLE1BQU0sRUFBRSxRQUFRO29CQUNoQixXQUFXLEVBQUUsY0FBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDO2lCQUMvQyxDQUFDO1lBQ0osQ0FBQyxDQUFDLENBQUM7WUFFSCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDO1FBQzNDLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQztDQUFBO0FBRUQsU0FBUyxvQkFBb0IsQ0FBQyxLQUFLLEVBQUUsTUFBTTtJQUV6QyxNQUFNLFNBQVMsR0FBRyxDQUFDLE1BQU0sS0FBSyxnQkFBTyxDQUFDO1FBQ3BDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLGNBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsV0FBVyxFQUFFLEtBQUssaUJBQVEsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO0lBQ3JGLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQztRQUNyQixTQUFTO1FBQ1QsYUFBYSxFQUFFLEVBQUU7S0FDbEIsQ0FBQyxDQUFDO0FBQ0wsQ0FBQztBQUVELFNBQVMsWUFBWSxDQUFDLEtBQWU7SUFDbkMsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLEtBQUssQ0FBQyxjQUFJLENBQUMsR0FBRyxDQUFDO1NBQ3pELElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLG1CQUFtQixDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO0FBQ25FLENBQUM7QUFFRCxTQUFTLFlBQVksQ0FBQyxLQUFlO0lBQ25DLE1BQU0sU0FBUyxHQUFHLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN0QyxPQUFPLFNBQVMsS0FBSyxTQUFTLENBQUM7QUFDakMsQ0FBQztBQUVELFNBQWUsY0FBYyxDQUFDLEtBQWUsRUFDZixNQUFjOztRQUMxQyxNQUFNLFFBQVEsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2hFLE1BQU0sU0FBUyxHQUFHLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN0QyxNQUFNLE9BQU8sR0FBRyxTQUFTLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUM7YUFDcEQsU0FBUyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDdkQsTUFBTSxZQUFZLEdBQXlCLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUU7WUFDekUsS0FBSyxDQUFDLElBQUksQ0FBQztnQkFDVCxJQUFJLEVBQUUsTUFBTTtnQkFDWixNQUFNLEVBQUUsSUFBSTtnQkFDWixXQUFXLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxjQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQyxjQUFJLENBQUMsR0FBRyxDQUFDO2FBQ2hFLENBQUMsQ0FBQztZQUNILE9BQU8sS0FBSyxDQUFDO1FBQ2YsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ1AsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsWUFBWSxFQUFFLENBQUMsQ0FBQztJQUMzQyxDQUFDO0NBQUE7QUFFRCxTQUFlLFdBQVcsQ0FBQyxLQUFlLEVBQUUsTUFBYzs7UUFDeEQsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDO1lBQ3JCLGFBQWEsRUFBRSxFQUFFO1lBQ2pCLFNBQVMsRUFBRSxZQUFZLENBQUMsS0FBSyxDQUFDLElBQUksTUFBTSxLQUFLLGdCQUFPO1NBQ3JELENBQUMsQ0FBQztJQUNMLENBQUM7Q0FBQTtBQUVELFNBQVMsVUFBVSxDQUFDLE9BQWdDLEVBQUUsR0FBZTs7SUFDbkUsTUFBTSxLQUFLLEdBQVcsSUFBQSxlQUFRLEVBQUMsT0FBTyxDQUFDLENBQUM7SUFDeEMsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1FBQ3ZCLE9BQU8sT0FBTyxHQUFHLEdBQUcsQ0FBQyxFQUFFLENBQUM7S0FDekI7SUFHRCxNQUFNLFNBQVMsR0FBRyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBSS9GLElBQUksT0FBTyxHQUFvQixTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLEVBQUUsS0FBSyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDaEYsSUFBSSxPQUFPLEtBQUssU0FBUyxFQUFFO1FBTXpCLE1BQU0sSUFBSSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxVQUFVLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZHLE9BQU8sR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLEVBQUUsS0FBSyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7S0FDdkQ7SUFFRCxPQUFPLENBQUMsQ0FBQSxNQUFBLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxJQUFJLDBDQUFFLE1BQU0sTUFBSyxTQUFTLENBQUM7UUFDMUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxHQUFHLEdBQUcsR0FBRyxHQUFHLENBQUMsRUFBRTtRQUNwQyxDQUFDLENBQUMsT0FBTyxHQUFHLEdBQUcsQ0FBQyxFQUFFLENBQUM7QUFDdkIsQ0FBQztBQUVELFNBQVMsZ0JBQWdCLENBQUMsUUFBUTtJQUNoQyxPQUFPLGVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDO1NBQzdCLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQUMsS0FBSyxTQUFTLENBQUM7UUFDekUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLENBQUM7UUFDeEMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDOUIsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0FBQ3ZDLENBQUM7QUFFRCxTQUFTLFNBQVMsQ0FBQyxLQUFLO0lBQ3RCLE1BQU0sRUFBRSxDQUFDLEVBQUUsYUFBYSxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBRW5DLE9BQU8sQ0FDTCw2QkFBSyxLQUFLLEVBQUUsRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFLGFBQWEsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRTtRQUN2RSw2QkFBSyxLQUFLLEVBQUUsRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRTtZQUN4RSxDQUFDLENBQUMseUJBQXlCLENBQUM7WUFDN0IsK0JBQUs7WUFDTCwrQkFBTyxLQUFLLEVBQUUsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLElBQUcsYUFBYSxDQUFTLENBQ25EO1FBQ04sK0JBQUs7UUFDTCxpQ0FDRyxDQUFDLENBQUMsa0VBQWtFO2NBQ2xFLDhGQUE4RixDQUFDLENBQzlGLENBQ0YsQ0FDUCxDQUFDO0FBQ0osQ0FBQztBQUVELFNBQVMsYUFBYSxDQUFDLEtBQXNEO0lBQzNFLE1BQU0sRUFBRSxHQUFHLEVBQUUsU0FBUyxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQ2pDLE1BQU0sYUFBYSxHQUFHLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRSxDQUN4RCxJQUFBLGlCQUFVLEVBQUMsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUMzQixDQUFDLFVBQVUsRUFBRSxZQUFZLEVBQUUsY0FBYyxFQUFFLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUVoRSxPQUFPLENBQ0wsb0JBQUMsU0FBUyxJQUNSLENBQUMsRUFBRSxHQUFHLENBQUMsU0FBUyxFQUNoQixhQUFhLEVBQUUsYUFBYSxHQUM1QixDQUNILENBQUM7QUFDSixDQUFDO0FBRUQsU0FBUyxJQUFJLENBQUMsT0FBZ0M7SUFDNUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxDQUFDLFVBQVUsRUFBRSxZQUFZLENBQUMsRUFBRSxrQkFBTyxDQUFDLENBQUM7SUFFN0QsTUFBTSxXQUFXLEdBQUcsR0FBRyxFQUFFO1FBQ3ZCLE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDckMsTUFBTSxHQUFHLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFlBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUM5RSxPQUFPLEdBQUcsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7SUFDN0QsQ0FBQyxDQUFBO0lBRUQsT0FBTyxDQUFDLFlBQVksQ0FBQztRQUNuQixFQUFFLEVBQUUsZ0JBQU87UUFDWCxJQUFJLEVBQUUsZUFBZTtRQUNyQixTQUFTLEVBQUUsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDO1FBQzVDLFNBQVMsRUFBRSxJQUFBLGFBQU0sRUFBQyxRQUFRLENBQUM7UUFDM0IsY0FBYyxFQUFFLEVBQUU7UUFDbEIsWUFBWSxFQUFFLFdBQVc7UUFDekIsSUFBSSxFQUFFLGFBQWE7UUFDbkIsVUFBVSxFQUFFLHVCQUFjO1FBQzFCLGFBQWEsRUFBRTtZQUNiLElBQUEsdUJBQWMsR0FBRTtTQUNqQjtRQUNELGdCQUFnQjtRQUNoQixLQUFLLEVBQUUsSUFBQSxhQUFNLEVBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLGlCQUFpQixDQUFDLE9BQU8sRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNuRSxXQUFXLEVBQUU7WUFDWCxVQUFVLEVBQUUsUUFBUTtTQUNyQjtRQUNELE9BQU8sRUFBRTtZQUNQLFVBQVUsRUFBRSxDQUFDLFFBQVE7WUFDckIsU0FBUyxFQUFFLENBQUMsNkNBQTZDLENBQUM7U0FDM0Q7S0FDRixDQUFDLENBQUM7SUFFSCxPQUFPLENBQUMsaUJBQWlCLENBQUM7UUFDeEIsb0JBQW9CLEVBQUUsR0FBRyxFQUFFLENBQUMsSUFBQSx1QkFBVyxFQUFDLE9BQU8sQ0FBQztRQUNoRCxrQkFBa0IsRUFBRSxDQUFDLENBQUMsU0FBUyxFQUFFLElBQUksRUFBRSxFQUFFLENBQUMsSUFBQSxxQkFBUyxFQUFDLE9BQU8sRUFBRSxTQUFTLEVBQUUsSUFBSSxDQUFDLENBQVE7UUFDckYsUUFBUSxFQUFSLG9CQUFRO1FBQ1IsTUFBTSxFQUFFLGdCQUFPO1FBQ2YsaUJBQWlCLEVBQUUsS0FBSztRQUN4QixpQkFBaUIsRUFBRSxDQUFDLEdBQUcsRUFBRTs7WUFDdkIsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztZQUNyQyxNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7WUFDckQsSUFBSSxTQUFTLEtBQUssU0FBUyxFQUFFO2dCQUMzQixPQUFPLElBQUksQ0FBQzthQUNiO1lBQ0QsT0FBTyxDQUNMLG9CQUFDLGFBQWEsSUFBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLEdBQUcsRUFBRSxTQUFTLEVBQUUsU0FBUyxHQUFJLENBQzFELENBQUM7UUFDSixDQUFDLENBQVE7S0FDVixDQUFDLENBQUM7SUFFSCxPQUFPLENBQUMsY0FBYyxDQUFDLHFCQUFxQixFQUFFLEdBQUcsRUFBRSxXQUFXLEVBQUUsRUFBRSxFQUMzQyxzQkFBc0IsRUFBRSxHQUFHLEVBQUU7UUFDbEQscUJBQXFCLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3JDLENBQUMsRUFBRSxHQUFHLEVBQUU7UUFDTixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sVUFBVSxHQUFHLHNCQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2pELE9BQU8sVUFBVSxLQUFLLGdCQUFPLENBQUM7SUFDaEMsQ0FBQyxDQUFDLENBQUM7SUFFSCxPQUFPLENBQUMsY0FBYyxDQUFDLHFCQUFxQixFQUFFLEdBQUcsRUFBRSxXQUFXLEVBQUUsRUFBRSxFQUMzQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUU7UUFDakQsaUJBQWlCLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2pDLENBQUMsRUFBRSxHQUFHLEVBQUU7UUFDTixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sVUFBVSxHQUFHLHNCQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2pELE9BQU8sVUFBVSxLQUFLLGdCQUFPLENBQUM7SUFDaEMsQ0FBQyxDQUFDLENBQUM7SUFFSCxNQUFNLGVBQWUsR0FBRyxDQUFDLElBQWlCLEVBQUUsRUFBRTtRQUM1QyxNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sU0FBUyxHQUFHLHNCQUFTLENBQUMsZUFBZSxDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7UUFDNUQsT0FBTyxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUUsSUFBSSxDQUFDO0lBQ3pCLENBQUMsQ0FBQztJQUVGLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxVQUFVLEVBQUUsRUFBRSxFQUN0QyxJQUFBLGFBQU0sRUFBQyxvQkFBb0IsQ0FBQyxFQUFFLElBQUEsYUFBTSxFQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUM7SUFFeEQsT0FBTyxDQUFDLGlCQUFpQixDQUFDLGVBQWUsRUFBRSxFQUFFLEVBQUUsSUFBQSxhQUFNLEVBQUMsV0FBVyxDQUFDLEVBQUUsSUFBQSxhQUFNLEVBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQztJQUM1RixPQUFPLENBQUMsZUFBZSxDQUFDLGVBQWUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sS0FBSyxnQkFBTyxFQUN6RSxlQUFlLEVBQUUsQ0FBQyxZQUFZLEVBQUUsRUFBRTtRQUNoQyxNQUFNLGNBQWMsR0FBRyxZQUFZLENBQUMsWUFBWTthQUM3QyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQzthQUNwQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQztRQUNwQyxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsY0FBYyxDQUFRLENBQUM7SUFDaEQsQ0FBQyxFQUNDLEVBQUUsSUFBSSxFQUFFLG9CQUFvQixFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUVqRixPQUFPLENBQUMsaUJBQWlCLENBQUMsSUFBQSxhQUFNLEVBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFBLHVCQUFVLEVBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDdkUsT0FBTyxDQUFDLGlCQUFpQixDQUFDLElBQUEsYUFBTSxFQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBQSx1QkFBVSxFQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDbkUsT0FBTyxDQUFDLGlCQUFpQixDQUFDLElBQUEsYUFBTSxFQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBQSx3QkFBVyxFQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFcEUsT0FBTyxJQUFJLENBQUM7QUFDZCxDQUFDO0FBRUQsTUFBTSxDQUFDLE9BQU8sR0FBRztJQUNmLE9BQU8sRUFBRSxJQUFJO0NBQ2QsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgdXNlU2VsZWN0b3IgfSBmcm9tICdyZWFjdC1yZWR1eCc7XG5pbXBvcnQgeyBhY3Rpb25zLCBmcywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XG5cbmltcG9ydCB7IHNldFByZWZpeE9mZnNldCwgc2V0VURGIH0gZnJvbSAnLi9hY3Rpb25zJztcbmltcG9ydCB7IHJlZHVjZXIgfSBmcm9tICcuL3JlZHVjZXJzJztcblxuaW1wb3J0IHsgR0FNRV9JRCwgZ2FtZUV4ZWN1dGFibGUsIE1PRF9JTkZPLCBsYXVuY2hlclNldHRpbmdzRmlsZVBhdGgsIERFRkFVTFRfTEFVTkNIRVJfU0VUVElOR1MgfSBmcm9tICcuL2NvbW1vbic7XG5pbXBvcnQgeyBkZXNlcmlhbGl6ZSwgc2VyaWFsaXplLCB2YWxpZGF0ZSB9IGZyb20gJy4vbG9hZE9yZGVyJztcbmltcG9ydCB7IG1pZ3JhdGUwMjAsIG1pZ3JhdGUxMDAsIG1pZ3JhdGUxMDExIH0gZnJvbSAnLi9taWdyYXRpb25zJztcbmltcG9ydCB7IElMb2FkT3JkZXJFbnRyeSwgSVByb3BzIH0gZnJvbSAnLi90eXBlcyc7XG5pbXBvcnQgeyBlbnN1cmVMT0ZpbGUsIGdlblByb3BzLCBnZXRNb2ROYW1lLCBtYWtlUHJlZml4LCByZXZlcnNlUHJlZml4LCB0b0JsdWUgfSBmcm9tICcuL3V0aWwnO1xuXG5jb25zdCBTVEVBTV9JRCA9ICcyNTE1NzAnO1xuY29uc3QgU1RFQU1fRExMID0gJ3N0ZWFtY2xpZW50NjQuZGxsJztcblxuY29uc3QgUk9PVF9NT0RfQ0FORElEQVRFUyA9IFsnYmVwaW5leCddO1xuXG5mdW5jdGlvbiByZXNldFByZWZpeE9mZnNldChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpPy5pZDtcbiAgaWYgKHByb2ZpbGVJZCA9PT0gdW5kZWZpbmVkKSB7XG4gICAgLy8gSG93ID9cbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdObyBhY3RpdmUgcHJvZmlsZSBmb3IgN2R0ZCcsIHVuZGVmaW5lZCwgeyBhbGxvd1JlcG9ydDogZmFsc2UgfSk7XG4gICAgcmV0dXJuO1xuICB9XG5cbiAgYXBpLnN0b3JlLmRpc3BhdGNoKHNldFByZWZpeE9mZnNldChwcm9maWxlSWQsIDApKTtcbiAgY29uc3QgbG9hZE9yZGVyID0gdXRpbC5nZXRTYWZlKGFwaS5nZXRTdGF0ZSgpLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZUlkXSwgW10pO1xuICBjb25zdCBuZXdMTyA9IGxvYWRPcmRlci5tYXAoKGVudHJ5LCBpZHgpID0+ICh7XG4gICAgLi4uZW50cnksXG4gICAgZGF0YToge1xuICAgICAgcHJlZml4OiBtYWtlUHJlZml4KGlkeCksXG4gICAgfSxcbiAgfSkpO1xuICBhcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5zZXRMb2FkT3JkZXIocHJvZmlsZUlkLCBuZXdMTykpO1xufVxuXG5mdW5jdGlvbiBzZXRQcmVmaXhPZmZzZXREaWFsb2coYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XG4gIHJldHVybiBhcGkuc2hvd0RpYWxvZygncXVlc3Rpb24nLCAnU2V0IE5ldyBQcmVmaXggT2Zmc2V0Jywge1xuICAgIHRleHQ6IGFwaS50cmFuc2xhdGUoJ0luc2VydCBuZXcgcHJlZml4IG9mZnNldCBmb3IgbW9kbGV0cyAoQUFBLVpaWik6JyksXG4gICAgaW5wdXQ6IFtcbiAgICAgIHtcbiAgICAgICAgaWQ6ICc3ZHRkcHJlZml4b2Zmc2V0aW5wdXQnLFxuICAgICAgICBsYWJlbDogJ1ByZWZpeCBPZmZzZXQnLFxuICAgICAgICB0eXBlOiAndGV4dCcsXG4gICAgICAgIHBsYWNlaG9sZGVyOiAnQUFBJyxcbiAgICAgIH1dLFxuICB9LCBbIHsgbGFiZWw6ICdDYW5jZWwnIH0sIHsgbGFiZWw6ICdTZXQnLCBkZWZhdWx0OiB0cnVlIH0gXSlcbiAgLnRoZW4ocmVzdWx0ID0+IHtcbiAgICBpZiAocmVzdWx0LmFjdGlvbiA9PT0gJ1NldCcpIHtcbiAgICAgIGNvbnN0IHByZWZpeCA9IHJlc3VsdC5pbnB1dFsnN2R0ZHByZWZpeG9mZnNldGlucHV0J107XG4gICAgICBsZXQgb2Zmc2V0ID0gMDtcbiAgICAgIHRyeSB7XG4gICAgICAgIG9mZnNldCA9IHJldmVyc2VQcmVmaXgocHJlZml4KTtcbiAgICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QoZXJyKTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gICAgICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk/LmlkO1xuICAgICAgaWYgKHByb2ZpbGVJZCA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAgIC8vIEhvdyA/XG4gICAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ05vIGFjdGl2ZSBwcm9maWxlIGZvciA3ZHRkJywgdW5kZWZpbmVkLCB7IGFsbG93UmVwb3J0OiBmYWxzZSB9KTtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuXG4gICAgICBhcGkuc3RvcmUuZGlzcGF0Y2goc2V0UHJlZml4T2Zmc2V0KHByb2ZpbGVJZCwgb2Zmc2V0KSk7XG4gICAgICBjb25zdCBsb2FkT3JkZXIgPSB1dGlsLmdldFNhZmUoYXBpLmdldFN0YXRlKCksIFsncGVyc2lzdGVudCcsICdsb2FkT3JkZXInLCBwcm9maWxlSWRdLCBbXSk7XG4gICAgICBjb25zdCBuZXdMTyA9IGxvYWRPcmRlci5tYXAoZW50cnkgPT4gKHtcbiAgICAgICAgLi4uZW50cnksXG4gICAgICAgIGRhdGE6IHtcbiAgICAgICAgICBwcmVmaXg6IG1ha2VQcmVmaXgocmV2ZXJzZVByZWZpeChlbnRyeS5kYXRhLnByZWZpeCkgKyBvZmZzZXQpLFxuICAgICAgICB9LFxuICAgICAgfSkpO1xuICAgICAgYXBpLnN0b3JlLmRpc3BhdGNoKGFjdGlvbnMuc2V0TG9hZE9yZGVyKHByb2ZpbGVJZCwgbmV3TE8pKTtcbiAgICB9XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xuICB9KVxuICAuY2F0Y2goZXJyID0+IHtcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gc2V0IHByZWZpeCBvZmZzZXQnLCBlcnIsIHsgYWxsb3dSZXBvcnQ6IGZhbHNlIH0pO1xuICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoKTtcbiAgfSk7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGZpbmRHYW1lKCkge1xuICByZXR1cm4gdXRpbC5HYW1lU3RvcmVIZWxwZXIuZmluZEJ5QXBwSWQoW1NURUFNX0lEXSlcbiAgICAudGhlbihnYW1lID0+IGdhbWUuZ2FtZVBhdGgpO1xufVxuXG5mdW5jdGlvbiBwYXJzZUFkZGl0aW9uYWxQYXJhbWV0ZXJzKHBhcmFtZXRlcnM6IHN0cmluZykge1xuICBjb25zdCB1ZGZQYXJhbSA9IHBhcmFtZXRlcnMuc3BsaXQoJy0nKS5maW5kKHBhcmFtID0+IHBhcmFtLnN0YXJ0c1dpdGgoJ1VzZXJEYXRhRm9sZGVyPScpKTtcbiAgY29uc3QgdWRmID0gdWRmUGFyYW0gPyB1ZGZQYXJhbS5zcGxpdCgnPScpPy5bMV0/LnRyaW1FbmQoKSA6IHVuZGVmaW5lZDtcbiAgcmV0dXJuICh1ZGYgJiYgcGF0aC5pc0Fic29sdXRlKHVkZikpID8gdWRmIDogdW5kZWZpbmVkO1xufVxuXG5hc3luYyBmdW5jdGlvbiBwcmVwYXJlRm9yTW9kZGluZyhjb250ZXh0OiB0eXBlcy5JRXh0ZW5zaW9uQ29udGV4dCxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGRpc2NvdmVyeTogdHlwZXMuSURpc2NvdmVyeVJlc3VsdCkge1xuICBjb25zdCByZXF1aXJlc1Jlc3RhcnQgPSB1dGlsLmdldFNhZmUoY29udGV4dC5hcGkuZ2V0U3RhdGUoKSxcbiAgICBbJ3NldHRpbmdzJywgJzdkYXlzdG9kaWUnLCAndWRmJ10sIHVuZGVmaW5lZCkgPT09IHVuZGVmaW5lZDtcbiAgY29uc3QgbGF1bmNoZXJTZXR0aW5ncyA9IGxhdW5jaGVyU2V0dGluZ3NGaWxlUGF0aCgpO1xuICBjb25zdCByZWxhdW5jaEV4dCA9ICgpID0+IHtcbiAgICByZXR1cm4gY29udGV4dC5hcGkuc2hvd0RpYWxvZygnaW5mbycsICdSZXN0YXJ0IFJlcXVpcmVkJywge1xuICAgICAgdGV4dDogJ1RoZSBleHRlbnNpb24gcmVxdWlyZXMgYSByZXN0YXJ0IHRvIGNvbXBsZXRlIHRoZSBVREYgc2V0dXAuICdcbiAgICAgICAgICArICdUaGUgZXh0ZW5zaW9uIHdpbGwgbm93IGV4aXQgLSBwbGVhc2UgcmUtYWN0aXZhdGUgaXQgdmlhIHRoZSBnYW1lcyBwYWdlIG9yIGRhc2hib2FyZC4nLFxuICAgIH0sIFsgeyBsYWJlbDogJ1Jlc3RhcnQgRXh0ZW5zaW9uJyB9IF0pXG4gICAgLnRoZW4oKCkgPT4ge1xuICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnUmVzdGFydCByZXF1aXJlZCcpKTtcbiAgICB9KTtcbiAgfVxuICBjb25zdCBzZWxlY3RVREYgPSBhc3luYyAoKSA9PiB7XG4gICAgY29uc3QgcmVzID0gYXdhaXQgY29udGV4dC5hcGkuc2hvd0RpYWxvZygnaW5mbycsICdDaG9vc2UgVXNlciBEZWZpbmVkIEZvbGRlcicsIHtcbiAgICAgIHRleHQ6ICdUaGUgbW9kZGluZyBwYXR0ZXJuIGZvciA3RFREIGlzIGNoYW5naW5nLiBUaGUgTW9kcyBwYXRoIGluc2lkZSB0aGUgZ2FtZSBkaXJlY3RvcnkgJ1xuICAgICAgICAgICsgJ2lzIGJlaW5nIGRlcHJlY2F0ZWQgYW5kIG1vZHMgbG9jYXRlZCBpbiB0aGUgb2xkIHBhdGggd2lsbCBubyBsb25nZXIgd29yayBpbiB0aGUgbmVhciAnXG4gICAgICAgICAgKyAnZnV0dXJlLiBQbGVhc2Ugc2VsZWN0IHlvdXIgVXNlciBEZWZpbmVkIEZvbGRlciAoVURGKSAtIFZvcnRleCB3aWxsIGRlcGxveSB0byB0aGlzIG5ldyBsb2NhdGlvbi4nLFxuICAgIH0sXG4gICAgW1xuICAgICAgeyBsYWJlbDogJ0NhbmNlbCcgfSxcbiAgICAgIHsgbGFiZWw6ICdTZWxlY3QgVURGJyB9LFxuICAgIF0pO1xuICAgIGlmIChyZXMuYWN0aW9uICE9PSAnU2VsZWN0IFVERicpIHtcbiAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQoJ0Nhbm5vdCBwcm9jZWVkIHdpdGhvdXQgVUZEJykpO1xuICAgIH1cbiAgICBhd2FpdCBmcy5lbnN1cmVEaXJXcml0YWJsZUFzeW5jKHBhdGguZGlybmFtZShsYXVuY2hlclNldHRpbmdzKSk7XG4gICAgYXdhaXQgZW5zdXJlTE9GaWxlKGNvbnRleHQpO1xuICAgIGNvbnN0IGRpcmVjdG9yeSA9IGF3YWl0IGNvbnRleHQuYXBpLnNlbGVjdERpcih7XG4gICAgICB0aXRsZTogJ1NlbGVjdCBVc2VyIERhdGEgRm9sZGVyJyxcbiAgICAgIGRlZmF1bHRQYXRoOiBwYXRoLmpvaW4ocGF0aC5kaXJuYW1lKGxhdW5jaGVyU2V0dGluZ3MpKSxcbiAgICB9KTtcbiAgICBpZiAoIWRpcmVjdG9yeSkge1xuICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnQ2Fubm90IHByb2NlZWQgd2l0aG91dCBVRkQnKSk7XG4gICAgfVxuICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5qb2luKGRpcmVjdG9yeSwgJ01vZHMnKSk7XG4gICAgY29uc3QgbGF1bmNoZXIgPSBERUZBVUxUX0xBVU5DSEVSX1NFVFRJTkdTO1xuICAgIGxhdW5jaGVyLkRlZmF1bHRSdW5Db25maWcuQWRkaXRpb25hbFBhcmFtZXRlcnMgPSBgLVVzZXJEYXRhRm9sZGVyPSR7ZGlyZWN0b3J5fWA7XG4gICAgY29uc3QgbGF1bmNoZXJEYXRhID0gSlNPTi5zdHJpbmdpZnkobGF1bmNoZXIsIG51bGwsIDIpO1xuICAgIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKGxhdW5jaGVyU2V0dGluZ3MsIGxhdW5jaGVyRGF0YSwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xuICAgIGNvbnRleHQuYXBpLnN0b3JlLmRpc3BhdGNoKHNldFVERihkaXJlY3RvcnkpKTtcbiAgICByZXR1cm4gKHJlcXVpcmVzUmVzdGFydCkgPyByZWxhdW5jaEV4dCgpIDogUHJvbWlzZS5yZXNvbHZlKCk7XG4gIH07XG5cbiAgdHJ5IHtcbiAgICBjb25zdCBkYXRhID0gYXdhaXQgZnMucmVhZEZpbGVBc3luYyhsYXVuY2hlclNldHRpbmdzLCB7IGVuY29kaW5nOiAndXRmOCcgfSk7XG4gICAgY29uc3Qgc2V0dGluZ3MgPSBKU09OLnBhcnNlKGRhdGEpO1xuICAgIGlmIChzZXR0aW5ncz8uRGVmYXVsdFJ1bkNvbmZpZz8uQWRkaXRpb25hbFBhcmFtZXRlcnMgIT09IHVuZGVmaW5lZCkge1xuICAgICAgY29uc3QgdWRmID0gcGFyc2VBZGRpdGlvbmFsUGFyYW1ldGVycyhzZXR0aW5ncy5EZWZhdWx0UnVuQ29uZmlnLkFkZGl0aW9uYWxQYXJhbWV0ZXJzKTtcbiAgICAgIGlmICghIXVkZikge1xuICAgICAgICBhd2FpdCBmcy5lbnN1cmVEaXJXcml0YWJsZUFzeW5jKHBhdGguam9pbih1ZGYsICdNb2RzJykpO1xuICAgICAgICBhd2FpdCBlbnN1cmVMT0ZpbGUoY29udGV4dCk7XG4gICAgICAgIGNvbnRleHQuYXBpLnN0b3JlLmRpc3BhdGNoKHNldFVERih1ZGYpKTtcbiAgICAgICAgcmV0dXJuIChyZXF1aXJlc1Jlc3RhcnQpID8gcmVsYXVuY2hFeHQoKSA6IFByb21pc2UucmVzb2x2ZSgpO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgcmV0dXJuIHNlbGVjdFVERigpO1xuICAgICAgfVxuICAgIH1cbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgcmV0dXJuIHNlbGVjdFVERigpO1xuICB9XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGluc3RhbGxDb250ZW50KGZpbGVzOiBzdHJpbmdbXSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGRlc3RpbmF0aW9uUGF0aDogc3RyaW5nLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgZ2FtZUlkOiBzdHJpbmcpOiBQcm9taXNlPHR5cGVzLklJbnN0YWxsUmVzdWx0PiB7XG4gIC8vIFRoZSBtb2RpbmZvLnhtbCBmaWxlIGlzIGV4cGVjdGVkIHRvIGFsd2F5cyBiZSBwb3NpdGlvbmVkIGluIHRoZSByb290IGRpcmVjdG9yeVxuICAvLyAgb2YgdGhlIG1vZCBpdHNlbGY7IHdlJ3JlIGdvaW5nIHRvIGRpc3JlZ2FyZCBhbnl0aGluZyBwbGFjZWQgb3V0c2lkZSB0aGUgcm9vdC5cbiAgY29uc3QgbW9kRmlsZSA9IGZpbGVzLmZpbmQoZmlsZSA9PiBwYXRoLmJhc2VuYW1lKGZpbGUpLnRvTG93ZXJDYXNlKCkgPT09IE1PRF9JTkZPKTtcbiAgY29uc3Qgcm9vdFBhdGggPSBwYXRoLmRpcm5hbWUobW9kRmlsZSk7XG4gIHJldHVybiBnZXRNb2ROYW1lKHBhdGguam9pbihkZXN0aW5hdGlvblBhdGgsIG1vZEZpbGUpKVxuICAgIC50aGVuKG1vZE5hbWUgPT4ge1xuICAgICAgbW9kTmFtZSA9IG1vZE5hbWUucmVwbGFjZSgvW15hLXpBLVowLTldL2csICcnKTtcblxuICAgICAgLy8gUmVtb3ZlIGRpcmVjdG9yaWVzIGFuZCBhbnl0aGluZyB0aGF0IGlzbid0IGluIHRoZSByb290UGF0aCAoYWxzbyBkaXJlY3RvcmllcykuXG4gICAgICBjb25zdCBmaWx0ZXJlZCA9IGZpbGVzLmZpbHRlcihmaWxlUGF0aCA9PlxuICAgICAgICBmaWxlUGF0aC5zdGFydHNXaXRoKHJvb3RQYXRoKSAmJiAhZmlsZVBhdGguZW5kc1dpdGgocGF0aC5zZXApKTtcblxuICAgICAgY29uc3QgaW5zdHJ1Y3Rpb25zOiB0eXBlcy5JSW5zdHJ1Y3Rpb25bXSA9IGZpbHRlcmVkLm1hcChmaWxlUGF0aCA9PiB7XG4gICAgICAgIHJldHVybiB7XG4gICAgICAgICAgdHlwZTogJ2NvcHknLFxuICAgICAgICAgIHNvdXJjZTogZmlsZVBhdGgsXG4gICAgICAgICAgZGVzdGluYXRpb246IHBhdGgucmVsYXRpdmUocm9vdFBhdGgsIGZpbGVQYXRoKSxcbiAgICAgICAgfTtcbiAgICAgIH0pO1xuXG4gICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHsgaW5zdHJ1Y3Rpb25zIH0pO1xuICAgIH0pO1xufVxuXG5mdW5jdGlvbiB0ZXN0U3VwcG9ydGVkQ29udGVudChmaWxlcywgZ2FtZUlkKSB7XG4gIC8vIE1ha2Ugc3VyZSB3ZSdyZSBhYmxlIHRvIHN1cHBvcnQgdGhpcyBtb2QuXG4gIGNvbnN0IHN1cHBvcnRlZCA9IChnYW1lSWQgPT09IEdBTUVfSUQpICYmXG4gICAgKGZpbGVzLmZpbmQoZmlsZSA9PiBwYXRoLmJhc2VuYW1lKGZpbGUpLnRvTG93ZXJDYXNlKCkgPT09IE1PRF9JTkZPKSAhPT0gdW5kZWZpbmVkKTtcbiAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh7XG4gICAgc3VwcG9ydGVkLFxuICAgIHJlcXVpcmVkRmlsZXM6IFtdLFxuICB9KTtcbn1cblxuZnVuY3Rpb24gZmluZENhbmRGaWxlKGZpbGVzOiBzdHJpbmdbXSk6IHN0cmluZyB7XG4gIHJldHVybiBmaWxlcy5maW5kKGZpbGUgPT4gZmlsZS50b0xvd2VyQ2FzZSgpLnNwbGl0KHBhdGguc2VwKVxuICAgIC5maW5kKHNlZyA9PiBST09UX01PRF9DQU5ESURBVEVTLmluY2x1ZGVzKHNlZykpICE9PSB1bmRlZmluZWQpO1xufVxuXG5mdW5jdGlvbiBoYXNDYW5kaWRhdGUoZmlsZXM6IHN0cmluZ1tdKTogYm9vbGVhbiB7XG4gIGNvbnN0IGNhbmRpZGF0ZSA9IGZpbmRDYW5kRmlsZShmaWxlcyk7XG4gIHJldHVybiBjYW5kaWRhdGUgIT09IHVuZGVmaW5lZDtcbn1cblxuYXN5bmMgZnVuY3Rpb24gaW5zdGFsbFJvb3RNb2QoZmlsZXM6IHN0cmluZ1tdLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgZ2FtZUlkOiBzdHJpbmcpOiBQcm9taXNlPHR5cGVzLklJbnN0YWxsUmVzdWx0PiB7XG4gIGNvbnN0IGZpbHRlcmVkID0gZmlsZXMuZmlsdGVyKGZpbGUgPT4gIWZpbGUuZW5kc1dpdGgocGF0aC5zZXApKTtcbiAgY29uc3QgY2FuZGlkYXRlID0gZmluZENhbmRGaWxlKGZpbGVzKTtcbiAgY29uc3QgY2FuZElkeCA9IGNhbmRpZGF0ZS50b0xvd2VyQ2FzZSgpLnNwbGl0KHBhdGguc2VwKVxuICAgIC5maW5kSW5kZXgoc2VnID0+IFJPT1RfTU9EX0NBTkRJREFURVMuaW5jbHVkZXMoc2VnKSk7XG4gIGNvbnN0IGluc3RydWN0aW9uczogdHlwZXMuSUluc3RydWN0aW9uW10gPSBmaWx0ZXJlZC5yZWR1Y2UoKGFjY3VtLCBpdGVyKSA9PiB7XG4gICAgYWNjdW0ucHVzaCh7XG4gICAgICB0eXBlOiAnY29weScsXG4gICAgICBzb3VyY2U6IGl0ZXIsXG4gICAgICBkZXN0aW5hdGlvbjogaXRlci5zcGxpdChwYXRoLnNlcCkuc2xpY2UoY2FuZElkeCkuam9pbihwYXRoLnNlcCksXG4gICAgfSk7XG4gICAgcmV0dXJuIGFjY3VtO1xuICB9LCBbXSk7XG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoeyBpbnN0cnVjdGlvbnMgfSk7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHRlc3RSb290TW9kKGZpbGVzOiBzdHJpbmdbXSwgZ2FtZUlkOiBzdHJpbmcpOiBQcm9taXNlPHR5cGVzLklTdXBwb3J0ZWRSZXN1bHQ+IHtcbiAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh7XG4gICAgcmVxdWlyZWRGaWxlczogW10sXG4gICAgc3VwcG9ydGVkOiBoYXNDYW5kaWRhdGUoZmlsZXMpICYmIGdhbWVJZCA9PT0gR0FNRV9JRCxcbiAgfSk7XG59XG5cbmZ1bmN0aW9uIHRvTE9QcmVmaXgoY29udGV4dDogdHlwZXMuSUV4dGVuc2lvbkNvbnRleHQsIG1vZDogdHlwZXMuSU1vZCk6IHN0cmluZyB7XG4gIGNvbnN0IHByb3BzOiBJUHJvcHMgPSBnZW5Qcm9wcyhjb250ZXh0KTtcbiAgaWYgKHByb3BzID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm4gJ1paWlotJyArIG1vZC5pZDtcbiAgfVxuXG4gIC8vIFJldHJpZXZlIHRoZSBsb2FkIG9yZGVyIGFzIHN0b3JlZCBpbiBWb3J0ZXgncyBhcHBsaWNhdGlvbiBzdGF0ZS5cbiAgY29uc3QgbG9hZE9yZGVyID0gdXRpbC5nZXRTYWZlKHByb3BzLnN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvcHMucHJvZmlsZS5pZF0sIFtdKTtcblxuICAvLyBGaW5kIHRoZSBtb2QgZW50cnkgaW4gdGhlIGxvYWQgb3JkZXIgc3RhdGUgYW5kIGluc2VydCB0aGUgcHJlZml4IGluIGZyb250XG4gIC8vICBvZiB0aGUgbW9kJ3MgbmFtZS9pZC93aGF0ZXZlclxuICBsZXQgbG9FbnRyeTogSUxvYWRPcmRlckVudHJ5ID0gbG9hZE9yZGVyLmZpbmQobG9FbnRyeSA9PiBsb0VudHJ5LmlkID09PSBtb2QuaWQpO1xuICBpZiAobG9FbnRyeSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgLy8gVGhlIG1vZCBlbnRyeSB3YXNuJ3QgZm91bmQgaW4gdGhlIGxvYWQgb3JkZXIgc3RhdGUgLSB0aGlzIGlzIHBvdGVudGlhbGx5XG4gICAgLy8gIGR1ZSB0byB0aGUgbW9kIGJlaW5nIHJlbW92ZWQgYXMgcGFydCBvZiBhbiB1cGRhdGUgb3IgdW5pbnN0YWxsYXRpb24uXG4gICAgLy8gIEl0J3MgaW1wb3J0YW50IHdlIGZpbmQgdGhlIHByZWZpeCBvZiB0aGUgbW9kIGluIHRoaXMgY2FzZSwgYXMgdGhlIGRlcGxveW1lbnRcbiAgICAvLyAgbWV0aG9kIGNvdWxkIHBvdGVudGlhbGx5IGZhaWwgdG8gcmVtb3ZlIHRoZSBtb2QhIFdlJ3JlIGdvaW5nIHRvIGNoZWNrXG4gICAgLy8gIHRoZSBwcmV2aW91cyBsb2FkIG9yZGVyIHNhdmVkIGZvciB0aGlzIHByb2ZpbGUgYW5kIHVzZSB0aGF0IGlmIGl0IGV4aXN0cy5cbiAgICBjb25zdCBwcmV2ID0gdXRpbC5nZXRTYWZlKHByb3BzLnN0YXRlLCBbJ3NldHRpbmdzJywgJzdkYXlzdG9kaWUnLCAncHJldmlvdXNMTycsIHByb3BzLnByb2ZpbGUuaWRdLCBbXSk7XG4gICAgbG9FbnRyeSA9IHByZXYuZmluZChsb0VudHJ5ID0+IGxvRW50cnkuaWQgPT09IG1vZC5pZCk7XG4gIH1cblxuICByZXR1cm4gKGxvRW50cnk/LmRhdGE/LnByZWZpeCAhPT0gdW5kZWZpbmVkKVxuICAgID8gbG9FbnRyeS5kYXRhLnByZWZpeCArICctJyArIG1vZC5pZFxuICAgIDogJ1paWlotJyArIG1vZC5pZDtcbn1cblxuZnVuY3Rpb24gcmVxdWlyZXNMYXVuY2hlcihnYW1lUGF0aCkge1xuICByZXR1cm4gZnMucmVhZGRpckFzeW5jKGdhbWVQYXRoKVxuICAgIC50aGVuKGZpbGVzID0+IChmaWxlcy5maW5kKGZpbGUgPT4gZmlsZS5lbmRzV2l0aChTVEVBTV9ETEwpKSAhPT0gdW5kZWZpbmVkKVxuICAgICAgPyBQcm9taXNlLnJlc29sdmUoeyBsYXVuY2hlcjogJ3N0ZWFtJyB9KVxuICAgICAgOiBQcm9taXNlLnJlc29sdmUodW5kZWZpbmVkKSlcbiAgICAuY2F0Y2goZXJyID0+IFByb21pc2UucmVqZWN0KGVycikpO1xufVxuXG5mdW5jdGlvbiBJbmZvUGFuZWwocHJvcHMpIHtcbiAgY29uc3QgeyB0LCBjdXJyZW50T2Zmc2V0IH0gPSBwcm9wcztcblxuICByZXR1cm4gKFxuICAgIDxkaXYgc3R5bGU9e3sgZGlzcGxheTogJ2ZsZXgnLCBmbGV4RGlyZWN0aW9uOiAnY29sdW1uJywgcGFkZGluZzogJzE2cHgnIH19PlxuICAgICAgPGRpdiBzdHlsZT17eyBkaXNwbGF5OiAnZmxleCcsIHdoaXRlU3BhY2U6ICdub3dyYXAnLCBhbGlnbkl0ZW1zOiAnY2VudGVyJyB9fT5cbiAgICAgICAge3QoJ0N1cnJlbnQgUHJlZml4IE9mZnNldDogJyl9XG4gICAgICAgIDxoci8+XG4gICAgICAgIDxsYWJlbCBzdHlsZT17eyBjb2xvcjogJ3JlZCcgfX0+e2N1cnJlbnRPZmZzZXR9PC9sYWJlbD5cbiAgICAgIDwvZGl2PlxuICAgICAgPGhyLz5cbiAgICAgIDxkaXY+XG4gICAgICAgIHt0KCc3IERheXMgdG8gRGllIGxvYWRzIG1vZHMgaW4gYWxwaGFiZXRpYyBvcmRlciBzbyBWb3J0ZXggcHJlZml4ZXMgJ1xuICAgICAgICAgKyAndGhlIGRpcmVjdG9yeSBuYW1lcyB3aXRoIFwiQUFBLCBBQUIsIEFBQywgLi4uXCIgdG8gZW5zdXJlIHRoZXkgbG9hZCBpbiB0aGUgb3JkZXIgeW91IHNldCBoZXJlLicpfVxuICAgICAgPC9kaXY+XG4gICAgPC9kaXY+XG4gICk7XG59XG5cbmZ1bmN0aW9uIEluZm9QYW5lbFdyYXAocHJvcHM6IHsgYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBwcm9maWxlSWQ6IHN0cmluZyB9KSB7XG4gIGNvbnN0IHsgYXBpLCBwcm9maWxlSWQgfSA9IHByb3BzO1xuICBjb25zdCBjdXJyZW50T2Zmc2V0ID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XG4gICAgbWFrZVByZWZpeCh1dGlsLmdldFNhZmUoc3RhdGUsXG4gICAgICBbJ3NldHRpbmdzJywgJzdkYXlzdG9kaWUnLCAncHJlZml4T2Zmc2V0JywgcHJvZmlsZUlkXSwgMCkpKTtcblxuICByZXR1cm4gKFxuICAgIDxJbmZvUGFuZWxcbiAgICAgIHQ9e2FwaS50cmFuc2xhdGV9XG4gICAgICBjdXJyZW50T2Zmc2V0PXtjdXJyZW50T2Zmc2V0fVxuICAgIC8+XG4gICk7XG59XG5cbmZ1bmN0aW9uIG1haW4oY29udGV4dDogdHlwZXMuSUV4dGVuc2lvbkNvbnRleHQpIHtcbiAgY29udGV4dC5yZWdpc3RlclJlZHVjZXIoWydzZXR0aW5ncycsICc3ZGF5c3RvZGllJ10sIHJlZHVjZXIpO1xuXG4gIGNvbnN0IGdldE1vZHNQYXRoID0gKCkgPT4ge1xuICAgIGNvbnN0IHN0YXRlID0gY29udGV4dC5hcGkuZ2V0U3RhdGUoKTtcbiAgICBjb25zdCB1ZGYgPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsnc2V0dGluZ3MnLCAnN2RheXN0b2RpZScsICd1ZGYnXSwgdW5kZWZpbmVkKTtcbiAgICByZXR1cm4gdWRmICE9PSB1bmRlZmluZWQgPyBwYXRoLmpvaW4odWRmLCAnTW9kcycpIDogJ01vZHMnO1xuICB9XG5cbiAgY29udGV4dC5yZWdpc3RlckdhbWUoe1xuICAgIGlkOiBHQU1FX0lELFxuICAgIG5hbWU6ICc3IERheXMgdG8gRGllJyxcbiAgICBtZXJnZU1vZHM6IChtb2QpID0+IHRvTE9QcmVmaXgoY29udGV4dCwgbW9kKSxcbiAgICBxdWVyeVBhdGg6IHRvQmx1ZShmaW5kR2FtZSksXG4gICAgc3VwcG9ydGVkVG9vbHM6IFtdLFxuICAgIHF1ZXJ5TW9kUGF0aDogZ2V0TW9kc1BhdGgsXG4gICAgbG9nbzogJ2dhbWVhcnQuanBnJyxcbiAgICBleGVjdXRhYmxlOiBnYW1lRXhlY3V0YWJsZSxcbiAgICByZXF1aXJlZEZpbGVzOiBbXG4gICAgICBnYW1lRXhlY3V0YWJsZSgpLFxuICAgIF0sXG4gICAgcmVxdWlyZXNMYXVuY2hlcixcbiAgICBzZXR1cDogdG9CbHVlKChkaXNjb3ZlcnkpID0+IHByZXBhcmVGb3JNb2RkaW5nKGNvbnRleHQsIGRpc2NvdmVyeSkpLFxuICAgIGVudmlyb25tZW50OiB7XG4gICAgICBTdGVhbUFQUElkOiBTVEVBTV9JRCxcbiAgICB9LFxuICAgIGRldGFpbHM6IHtcbiAgICAgIHN0ZWFtQXBwSWQ6ICtTVEVBTV9JRCxcbiAgICAgIGhhc2hGaWxlczogWyc3RGF5c1RvRGllX0RhdGEvTWFuYWdlZC9Bc3NlbWJseS1DU2hhcnAuZGxsJ10sXG4gICAgfSxcbiAgfSk7XG5cbiAgY29udGV4dC5yZWdpc3RlckxvYWRPcmRlcih7XG4gICAgZGVzZXJpYWxpemVMb2FkT3JkZXI6ICgpID0+IGRlc2VyaWFsaXplKGNvbnRleHQpLFxuICAgIHNlcmlhbGl6ZUxvYWRPcmRlcjogKChsb2FkT3JkZXIsIHByZXYpID0+IHNlcmlhbGl6ZShjb250ZXh0LCBsb2FkT3JkZXIsIHByZXYpKSBhcyBhbnksXG4gICAgdmFsaWRhdGUsXG4gICAgZ2FtZUlkOiBHQU1FX0lELFxuICAgIHRvZ2dsZWFibGVFbnRyaWVzOiBmYWxzZSxcbiAgICB1c2FnZUluc3RydWN0aW9uczogKCgpID0+IHtcbiAgICAgIGNvbnN0IHN0YXRlID0gY29udGV4dC5hcGkuZ2V0U3RhdGUoKTtcbiAgICAgIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XG4gICAgICBpZiAocHJvZmlsZUlkID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgcmV0dXJuIG51bGw7XG4gICAgICB9XG4gICAgICByZXR1cm4gKFxuICAgICAgICA8SW5mb1BhbmVsV3JhcCBhcGk9e2NvbnRleHQuYXBpfSBwcm9maWxlSWQ9e3Byb2ZpbGVJZH0gLz5cbiAgICAgICk7XG4gICAgfSkgYXMgYW55LFxuICB9KTtcblxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdmYi1sb2FkLW9yZGVyLWljb25zJywgMTUwLCAnbG9vdC1zb3J0Jywge30sXG4gICAgICAgICAgICAgICAgICAgICAgICAgJ1ByZWZpeCBPZmZzZXQgQXNzaWduJywgKCkgPT4ge1xuICAgIHNldFByZWZpeE9mZnNldERpYWxvZyhjb250ZXh0LmFwaSk7XG4gIH0sICgpID0+IHtcbiAgICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XG4gICAgY29uc3QgYWN0aXZlR2FtZSA9IHNlbGVjdG9ycy5hY3RpdmVHYW1lSWQoc3RhdGUpO1xuICAgIHJldHVybiBhY3RpdmVHYW1lID09PSBHQU1FX0lEO1xuICB9KTtcblxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdmYi1sb2FkLW9yZGVyLWljb25zJywgMTUwLCAnbG9vdC1zb3J0Jywge30sXG4gICAgICAgICAgICAgICAgICAgICAgICAgJ1ByZWZpeCBPZmZzZXQgUmVzZXQnLCAoKSA9PiB7XG4gICAgcmVzZXRQcmVmaXhPZmZzZXQoY29udGV4dC5hcGkpO1xuICB9LCAoKSA9PiB7XG4gICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgIGNvbnN0IGFjdGl2ZUdhbWUgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcbiAgICByZXR1cm4gYWN0aXZlR2FtZSA9PT0gR0FNRV9JRDtcbiAgfSk7XG5cbiAgY29uc3QgZ2V0T3ZlcmhhdWxQYXRoID0gKGdhbWU6IHR5cGVzLklHYW1lKSA9PiB7XG4gICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgIGNvbnN0IGRpc2NvdmVyeSA9IHNlbGVjdG9ycy5kaXNjb3ZlcnlCeUdhbWUoc3RhdGUsIEdBTUVfSUQpO1xuICAgIHJldHVybiBkaXNjb3Zlcnk/LnBhdGg7XG4gIH07XG5cbiAgY29udGV4dC5yZWdpc3Rlckluc3RhbGxlcignN2R0ZC1tb2QnLCAyNSxcbiAgICB0b0JsdWUodGVzdFN1cHBvcnRlZENvbnRlbnQpLCB0b0JsdWUoaW5zdGFsbENvbnRlbnQpKTtcblxuICBjb250ZXh0LnJlZ2lzdGVySW5zdGFsbGVyKCc3ZHRkLXJvb3QtbW9kJywgMjAsIHRvQmx1ZSh0ZXN0Um9vdE1vZCksIHRvQmx1ZShpbnN0YWxsUm9vdE1vZCkpO1xuICBjb250ZXh0LnJlZ2lzdGVyTW9kVHlwZSgnN2R0ZC1yb290LW1vZCcsIDIwLCAoZ2FtZUlkKSA9PiBnYW1lSWQgPT09IEdBTUVfSUQsXG4gICAgZ2V0T3ZlcmhhdWxQYXRoLCAoaW5zdHJ1Y3Rpb25zKSA9PiB7XG4gICAgICBjb25zdCBjYW5kaWRhdGVGb3VuZCA9IGhhc0NhbmRpZGF0ZShpbnN0cnVjdGlvbnNcbiAgICAgICAgLmZpbHRlcihpbnN0ciA9PiAhIWluc3RyLmRlc3RpbmF0aW9uKVxuICAgICAgICAubWFwKGluc3RyID0+IGluc3RyLmRlc3RpbmF0aW9uKSk7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKGNhbmRpZGF0ZUZvdW5kKSBhcyBhbnk7XG4gICAgfSxcbiAgICAgIHsgbmFtZTogJ1Jvb3QgRGlyZWN0b3J5IE1vZCcsIG1lcmdlTW9kczogdHJ1ZSwgZGVwbG95bWVudEVzc2VudGlhbDogZmFsc2UgfSk7XG5cbiAgY29udGV4dC5yZWdpc3Rlck1pZ3JhdGlvbih0b0JsdWUob2xkID0+IG1pZ3JhdGUwMjAoY29udGV4dC5hcGksIG9sZCkpKTtcbiAgY29udGV4dC5yZWdpc3Rlck1pZ3JhdGlvbih0b0JsdWUob2xkID0+IG1pZ3JhdGUxMDAoY29udGV4dCwgb2xkKSkpO1xuICBjb250ZXh0LnJlZ2lzdGVyTWlncmF0aW9uKHRvQmx1ZShvbGQgPT4gbWlncmF0ZTEwMTEoY29udGV4dCwgb2xkKSkpO1xuXG4gIHJldHVybiB0cnVlO1xufVxuXG5tb2R1bGUuZXhwb3J0cyA9IHtcbiAgZGVmYXVsdDogbWFpbixcbn07XG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUFBLGdEQUF3QjtBQUN4Qiw2Q0FBMEM7QUFDMUMsMkNBQXNFO0FBRXRFLDZDQUErQjtBQUUvQix1Q0FBbUU7QUFDbkUseUNBQXFEO0FBRXJELHFDQUM0RjtBQUM1RiwyQ0FBK0Q7QUFDL0QsNkNBQW1FO0FBQ25FLGlEQUN1RjtBQUN2RixtQ0FBc0M7QUFFdEMsaUNBQStHO0FBQy9HLHFEQUE2RTtBQUU3RSxNQUFNLFFBQVEsR0FBRyxRQUFRLENBQUM7QUFDMUIsTUFBTSxTQUFTLEdBQUcsbUJBQW1CLENBQUM7QUFFdEMsTUFBTSxtQkFBbUIsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0FBRXhDLFNBQVMsaUJBQWlCLENBQUMsR0FBd0I7O0lBQ2pELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7SUFDckQsSUFBSSxTQUFTLEtBQUssU0FBUyxFQUFFO1FBRTNCLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyw0QkFBNEIsRUFBRSxTQUFTLEVBQUUsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUMzRixPQUFPO0tBQ1I7SUFFRCxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLHlCQUFlLEVBQUMsU0FBUyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUMzRixNQUFNLEtBQUssR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsaUNBQ3ZDLEtBQUssS0FDUixJQUFJLEVBQUU7WUFDSixNQUFNLEVBQUUsSUFBQSxpQkFBVSxFQUFDLEdBQUcsQ0FBQztTQUN4QixJQUNELENBQUMsQ0FBQztJQUNKLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsWUFBWSxDQUFDLFNBQVMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO0FBQzdELENBQUM7QUFFRCxTQUFTLHFCQUFxQixDQUFDLEdBQXdCO0lBQ3JELE9BQU8sR0FBRyxDQUFDLFVBQVUsQ0FBQyxVQUFVLEVBQUUsdUJBQXVCLEVBQUU7UUFDekQsSUFBSSxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsaURBQWlELENBQUM7UUFDdEUsS0FBSyxFQUFFO1lBQ0w7Z0JBQ0UsRUFBRSxFQUFFLHVCQUF1QjtnQkFDM0IsS0FBSyxFQUFFLGVBQWU7Z0JBQ3RCLElBQUksRUFBRSxNQUFNO2dCQUNaLFdBQVcsRUFBRSxLQUFLO2FBQ25CO1NBQUM7S0FDTCxFQUFFLENBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsQ0FBRSxDQUFDO1NBQzNELElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRTs7UUFDYixJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssS0FBSyxFQUFFO1lBQzNCLE1BQU0sTUFBTSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsdUJBQXVCLENBQUMsQ0FBQztZQUNyRCxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7WUFDZixJQUFJO2dCQUNGLE1BQU0sR0FBRyxJQUFBLG9CQUFhLEVBQUMsTUFBTSxDQUFDLENBQUM7YUFDaEM7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDNUI7WUFDRCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDN0IsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1lBQ3JELElBQUksU0FBUyxLQUFLLFNBQVMsRUFBRTtnQkFFM0IsR0FBRyxDQUFDLHFCQUFxQixDQUFDLDRCQUE0QixFQUFFLFNBQVMsRUFBRSxFQUFFLFdBQVcsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO2dCQUMzRixPQUFPO2FBQ1I7WUFFRCxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLHlCQUFlLEVBQUMsU0FBUyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFDdkQsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUMzRixNQUFNLEtBQUssR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsaUNBQ2hDLEtBQUssS0FDUixJQUFJLEVBQUU7b0JBQ0osTUFBTSxFQUFFLElBQUEsaUJBQVUsRUFBQyxJQUFBLG9CQUFhLEVBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxNQUFNLENBQUM7aUJBQzlELElBQ0QsQ0FBQyxDQUFDO1lBQ0osR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxZQUFZLENBQUMsU0FBUyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7U0FDNUQ7UUFDRCxPQUFPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUMzQixDQUFDLENBQUM7U0FDRCxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUU7UUFDWCxHQUFHLENBQUMscUJBQXFCLENBQUMsNkJBQTZCLEVBQUUsR0FBRyxFQUFFLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDdEYsT0FBTyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDM0IsQ0FBQyxDQUFDLENBQUM7QUFDTCxDQUFDO0FBRUQsU0FBZSxRQUFROztRQUNyQixPQUFPLGlCQUFJLENBQUMsZUFBZSxDQUFDLFdBQVcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2FBQ2hELElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNqQyxDQUFDO0NBQUE7QUFFRCxTQUFTLHlCQUF5QixDQUFDLFVBQWtCOztJQUNuRCxNQUFNLFFBQVEsR0FBRyxVQUFVLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxDQUFDO0lBQzFGLE1BQU0sR0FBRyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsTUFBQSxNQUFBLFFBQVEsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO0lBQ3ZFLE9BQU8sQ0FBQyxHQUFHLElBQUksY0FBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztBQUN6RCxDQUFDO0FBRUQsU0FBZSxpQkFBaUIsQ0FBQyxPQUFnQyxFQUNoQyxTQUFpQzs7O1FBQ2hFLE1BQU0sZUFBZSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQ3pELENBQUMsVUFBVSxFQUFFLFlBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxTQUFTLENBQUMsS0FBSyxTQUFTLENBQUM7UUFDOUQsTUFBTSxnQkFBZ0IsR0FBRyxJQUFBLGlDQUF3QixHQUFFLENBQUM7UUFDcEQsTUFBTSxXQUFXLEdBQUcsR0FBRyxFQUFFO1lBQ3ZCLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLGtCQUFrQixFQUFFO2dCQUN4RCxJQUFJLEVBQUUsOERBQThEO3NCQUM5RCxzRkFBc0Y7YUFDN0YsRUFBRSxDQUFFLEVBQUUsS0FBSyxFQUFFLG1CQUFtQixFQUFFLENBQUUsQ0FBQztpQkFDckMsSUFBSSxDQUFDLEdBQUcsRUFBRTtnQkFDVCxPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUM7WUFDdEUsQ0FBQyxDQUFDLENBQUM7UUFDTCxDQUFDLENBQUE7UUFDRCxNQUFNLFNBQVMsR0FBRyxHQUFTLEVBQUU7WUFDM0IsTUFBTSxHQUFHLEdBQUcsTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxNQUFNLEVBQUUsNEJBQTRCLEVBQUU7Z0JBQzdFLElBQUksRUFBRSxvRkFBb0Y7c0JBQ3BGLHVGQUF1RjtzQkFDdkYsaUdBQWlHO2FBQ3hHLEVBQ0Q7Z0JBQ0UsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFO2dCQUNuQixFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUU7YUFDeEIsQ0FBQyxDQUFDO1lBQ0gsSUFBSSxHQUFHLENBQUMsTUFBTSxLQUFLLFlBQVksRUFBRTtnQkFDL0IsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsNEJBQTRCLENBQUMsQ0FBQyxDQUFDO2FBQy9FO1lBQ0QsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUM7WUFDaEUsTUFBTSxJQUFBLG1CQUFZLEVBQUMsT0FBTyxDQUFDLENBQUM7WUFDNUIsTUFBTSxTQUFTLEdBQUcsTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQztnQkFDNUMsS0FBSyxFQUFFLHlCQUF5QjtnQkFDaEMsV0FBVyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO2FBQ3ZELENBQUMsQ0FBQztZQUNILElBQUksQ0FBQyxTQUFTLEVBQUU7Z0JBQ2QsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsNEJBQTRCLENBQUMsQ0FBQyxDQUFDO2FBQy9FO1lBQ0QsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQztZQUM5RCxNQUFNLFFBQVEsR0FBRyxrQ0FBeUIsQ0FBQztZQUMzQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsb0JBQW9CLEdBQUcsbUJBQW1CLFNBQVMsRUFBRSxDQUFDO1lBQ2hGLE1BQU0sWUFBWSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztZQUN2RCxNQUFNLGVBQUUsQ0FBQyxjQUFjLENBQUMsZ0JBQWdCLEVBQUUsWUFBWSxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDOUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLElBQUEsZ0JBQU0sRUFBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQzlDLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUMvRCxDQUFDLENBQUEsQ0FBQztRQUVGLElBQUk7WUFDRixNQUFNLElBQUksR0FBRyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsZ0JBQWdCLEVBQUUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUM1RSxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ2xDLElBQUksQ0FBQSxNQUFBLFFBQVEsYUFBUixRQUFRLHVCQUFSLFFBQVEsQ0FBRSxnQkFBZ0IsMENBQUUsb0JBQW9CLE1BQUssU0FBUyxFQUFFO2dCQUNsRSxNQUFNLEdBQUcsR0FBRyx5QkFBeUIsQ0FBQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsb0JBQW9CLENBQUMsQ0FBQztnQkFDdEYsSUFBSSxDQUFDLENBQUMsR0FBRyxFQUFFO29CQUNULE1BQU0sZUFBRSxDQUFDLHNCQUFzQixDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7b0JBQ3hELE1BQU0sSUFBQSxtQkFBWSxFQUFDLE9BQU8sQ0FBQyxDQUFDO29CQUM1QixPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBQSxnQkFBTSxFQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7b0JBQ3hDLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztpQkFDOUQ7cUJBQU07b0JBQ0wsT0FBTyxTQUFTLEVBQUUsQ0FBQztpQkFDcEI7YUFDRjtTQUNGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixPQUFPLFNBQVMsRUFBRSxDQUFDO1NBQ3BCOztDQUNGO0FBRUQsU0FBZSxjQUFjLENBQUMsS0FBZSxFQUNmLGVBQXVCLEVBQ3ZCLE1BQWM7O1FBRzFDLE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxjQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLGlCQUFRLENBQUMsQ0FBQztRQUNuRixNQUFNLFFBQVEsR0FBRyxjQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3ZDLE9BQU8sSUFBQSxpQkFBVSxFQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxFQUFFLE9BQU8sQ0FBQyxDQUFDO2FBQ25ELElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUVkLE1BQU0sUUFBUSxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FDdkMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsY0FBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFFakUsTUFBTSxZQUFZLEdBQXlCLFFBQVEsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUU7Z0JBQ2pFLE9BQU87b0JBQ0wsSUFBSSxFQUFFLE1BQU07b0JBQ1osTUFBTSxFQUFFLFFBQVE7b0JBQ2hCLFdBQVcsRUFBRSxjQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUM7aUJBQy9DLENBQUM7WUFDSixDQUFDLENBQUMsQ0FBQztZQUlILE1BQU0sQ0FBQyxJQUFJLENBQUMsMkJBQWtCLENBQUM7aUJBQzVCLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxTQUFTLENBQUM7aUJBQ3pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUM7Z0JBQ2hDLElBQUksRUFBRSxXQUFXO2dCQUNqQixHQUFHLEVBQUUsMkJBQWtCLENBQUMsR0FBRyxDQUFDO2dCQUM1QixLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQzthQUNwQixDQUFDLENBQUMsQ0FBQztZQUVOLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLFlBQVksRUFBRSxDQUFDLENBQUM7UUFDM0MsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDO0NBQUE7QUFFRCxTQUFTLG9CQUFvQixDQUFDLEtBQUssRUFBRSxNQUFNO0lBRXpDLE1BQU0sU0FBUyxHQUFHLENBQUMsTUFBTSxLQUFLLGdCQUFPLENBQUM7UUFDcEMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsY0FBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxpQkFBUSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7SUFDckYsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDO1FBQ3JCLFNBQVM7UUFDVCxhQUFhLEVBQUUsRUFBRTtLQUNsQixDQUFDLENBQUM7QUFDTCxDQUFDO0FBRUQsU0FBUyxZQUFZLENBQUMsS0FBZTtJQUNuQyxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUM7U0FDekQsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7QUFDbkUsQ0FBQztBQUVELFNBQVMsWUFBWSxDQUFDLEtBQWU7SUFDbkMsTUFBTSxTQUFTLEdBQUcsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3RDLE9BQU8sU0FBUyxLQUFLLFNBQVMsQ0FBQztBQUNqQyxDQUFDO0FBRUQsU0FBZSxjQUFjLENBQUMsS0FBZSxFQUNmLE1BQWM7O1FBQzFDLE1BQU0sUUFBUSxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsY0FBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDaEUsTUFBTSxTQUFTLEdBQUcsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3RDLE1BQU0sT0FBTyxHQUFHLFNBQVMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxLQUFLLENBQUMsY0FBSSxDQUFDLEdBQUcsQ0FBQzthQUNwRCxTQUFTLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxtQkFBbUIsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUN2RCxNQUFNLFlBQVksR0FBeUIsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsRUFBRTtZQUN6RSxLQUFLLENBQUMsSUFBSSxDQUFDO2dCQUNULElBQUksRUFBRSxNQUFNO2dCQUNaLE1BQU0sRUFBRSxJQUFJO2dCQUNaLFdBQVcsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUM7YUFDaEUsQ0FBQyxDQUFDO1lBQ0gsT0FBTyxLQUFLLENBQUM7UUFDZixDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDUCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDO0lBQzNDLENBQUM7Q0FBQTtBQUVELFNBQWUsV0FBVyxDQUFDLEtBQWUsRUFBRSxNQUFjOztRQUN4RCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUM7WUFDckIsYUFBYSxFQUFFLEVBQUU7WUFDakIsU0FBUyxFQUFFLFlBQVksQ0FBQyxLQUFLLENBQUMsSUFBSSxNQUFNLEtBQUssZ0JBQU87U0FDckQsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztDQUFBO0FBRUQsU0FBUyxVQUFVLENBQUMsT0FBZ0MsRUFBRSxHQUFlOztJQUNuRSxNQUFNLEtBQUssR0FBVyxJQUFBLGVBQVEsRUFBQyxPQUFPLENBQUMsQ0FBQztJQUN4QyxJQUFJLEtBQUssS0FBSyxTQUFTLEVBQUU7UUFDdkIsT0FBTyxPQUFPLEdBQUcsR0FBRyxDQUFDLEVBQUUsQ0FBQztLQUN6QjtJQUdELE1BQU0sU0FBUyxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFJL0YsSUFBSSxPQUFPLEdBQW9CLFNBQVMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsRUFBRSxLQUFLLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUNoRixJQUFJLE9BQU8sS0FBSyxTQUFTLEVBQUU7UUFNekIsTUFBTSxJQUFJLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxDQUFDLFVBQVUsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDdkcsT0FBTyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsRUFBRSxLQUFLLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztLQUN2RDtJQUVELE9BQU8sQ0FBQyxDQUFBLE1BQUEsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFFLElBQUksMENBQUUsTUFBTSxNQUFLLFNBQVMsQ0FBQztRQUMxQyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLEdBQUcsR0FBRyxHQUFHLEdBQUcsQ0FBQyxFQUFFO1FBQ3BDLENBQUMsQ0FBQyxPQUFPLEdBQUcsR0FBRyxDQUFDLEVBQUUsQ0FBQztBQUN2QixDQUFDO0FBRUQsU0FBUyxnQkFBZ0IsQ0FBQyxRQUFRO0lBQ2hDLE9BQU8sZUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUM7U0FDN0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsQ0FBQyxLQUFLLFNBQVMsQ0FBQztRQUN6RSxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsQ0FBQztRQUN4QyxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUM5QixLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7QUFDdkMsQ0FBQztBQUVELFNBQVMsU0FBUyxDQUFDLEtBQUs7SUFDdEIsTUFBTSxFQUFFLENBQUMsRUFBRSxhQUFhLEVBQUUsR0FBRyxLQUFLLENBQUM7SUFFbkMsT0FBTyxDQUNMLDZCQUFLLEtBQUssRUFBRSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFO1FBQ3ZFLDZCQUFLLEtBQUssRUFBRSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFO1lBQ3hFLENBQUMsQ0FBQyx5QkFBeUIsQ0FBQztZQUM3QiwrQkFBSztZQUNMLCtCQUFPLEtBQUssRUFBRSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsSUFBRyxhQUFhLENBQVMsQ0FDbkQ7UUFDTiwrQkFBSztRQUNMLGlDQUNHLENBQUMsQ0FBQyxrRUFBa0U7Y0FDbEUsOEZBQThGLENBQUMsQ0FDOUYsQ0FDRixDQUNQLENBQUM7QUFDSixDQUFDO0FBRUQsU0FBUyxjQUFjLENBQUMsS0FBSztJQUMzQixNQUFNLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQ2hELElBQUksU0FBUyxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7UUFDMUIsT0FBTyxJQUFJLENBQUM7S0FDYjtJQUVELE1BQU0sT0FBTyxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUU7O1FBQ2hDLE1BQU0sTUFBTSxHQUFHLE1BQUEsTUFBQSxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxLQUFLLENBQUMsMENBQUUsSUFBSSwwQ0FBRSxNQUFNLENBQUM7UUFDekUsTUFBTSxJQUFJLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUM7UUFDbkYsT0FBTyxDQUFDLE1BQU0sS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxNQUFNLElBQUksSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUM3RCxDQUFDLENBQUM7SUFFRixPQUFPLENBQ0w7UUFDRSwrQkFBSztRQUNMLGlDQUNHLENBQUMsQ0FBQyxzRkFBc0Y7Y0FDdEYscUZBQXFGO2NBQ3JGLDBEQUEwRCxDQUFDLENBQzFEO1FBQ04sNkJBQUssS0FBSyxFQUFFLEVBQUUsU0FBUyxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLElBQ2xELFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUF3QixFQUFFLEVBQUUsQ0FBQyxDQUMzQyxpQ0FBUyxHQUFHLEVBQUUsUUFBUSxDQUFDLEVBQUU7WUFDdkI7Z0JBQ0UsOEJBQU0sS0FBSyxFQUFFLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxJQUMxQixDQUFDLFFBQVEsQ0FBQyxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUMxRDtnQkFDTixJQUFJLFFBQVEsQ0FBQyxJQUFJLEtBQUssUUFBUSxDQUFDLEtBQUssRUFBRSxDQUMvQjtZQUNWLGdDQUNHLFFBQVEsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FDcEMsNEJBQUksR0FBRyxFQUFFLEdBQUc7Z0JBQ1QsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssQ0FBQyxFQUFFLElBQUksS0FBSyxDQUFDLEtBQUssRUFBRTtnQkFDckQsQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUN0RCxDQUNOLENBQUMsQ0FDQztZQUNMLGlDQUNHLENBQUMsQ0FBQyxrQkFBa0IsRUFBRTtnQkFDckIsT0FBTyxFQUFFLEVBQUUsSUFBSSxFQUFFLE9BQU8sQ0FBQyxJQUFBLG9DQUFtQixFQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQyxFQUFFO2FBQUUsQ0FBQyxDQUNyRSxDQUNFLENBQ1gsQ0FBQyxDQUNFLENBQ0YsQ0FDUCxDQUFDO0FBQ0osQ0FBQztBQUVELFNBQVMsYUFBYSxDQUFDLEtBQXNEO0lBQzNFLE1BQU0sRUFBRSxHQUFHLEVBQUUsU0FBUyxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQ2pDLE1BQU0sYUFBYSxHQUFHLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRSxDQUN4RCxJQUFBLGlCQUFVLEVBQUMsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUMzQixDQUFDLFVBQVUsRUFBRSxZQUFZLEVBQUUsY0FBYyxFQUFFLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoRSxNQUFNLFNBQVMsR0FBRyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsQ0FDcEQsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsU0FBUyxFQUFFLFlBQVksRUFBRSxnQkFBZ0IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDeEUsTUFBTSxTQUFTLEdBQUcsSUFBQSx5QkFBVyxFQUFDLENBQUMsS0FBbUIsRUFBRSxFQUFFLENBQ3BELGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxXQUFXLEVBQUUsU0FBUyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNuRSxNQUFNLElBQUksR0FBRyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsQ0FDL0MsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUU1RCxPQUFPLENBQ0w7UUFDRSxvQkFBQyxTQUFTLElBQ1IsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxTQUFTLEVBQ2hCLGFBQWEsRUFBRSxhQUFhLEdBQzVCO1FBQ0Ysb0JBQUMsY0FBYyxJQUNiLENBQUMsRUFBRSxHQUFHLENBQUMsU0FBUyxFQUNoQixTQUFTLEVBQUUsU0FBUyxFQUNwQixTQUFTLEVBQUUsU0FBUyxFQUNwQixJQUFJLEVBQUUsSUFBSSxHQUNWLENBQ0UsQ0FDUCxDQUFDO0FBQ0osQ0FBQztBQUVELFNBQVMsSUFBSSxDQUFDLE9BQWdDO0lBQzVDLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxVQUFVLEVBQUUsWUFBWSxDQUFDLEVBQUUsa0JBQU8sQ0FBQyxDQUFDO0lBQzdELE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxTQUFTLEVBQUUsWUFBWSxDQUFDLEVBQUUseUJBQWMsQ0FBQyxDQUFDO0lBRW5FLE1BQU0sV0FBVyxHQUFHLEdBQUcsRUFBRTtRQUN2QixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sR0FBRyxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFVBQVUsRUFBRSxZQUFZLEVBQUUsS0FBSyxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDOUUsT0FBTyxHQUFHLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0lBQzdELENBQUMsQ0FBQTtJQUVELE9BQU8sQ0FBQyxZQUFZLENBQUM7UUFDbkIsRUFBRSxFQUFFLGdCQUFPO1FBQ1gsSUFBSSxFQUFFLGVBQWU7UUFDckIsU0FBUyxFQUFFLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQztRQUM1QyxTQUFTLEVBQUUsSUFBQSxhQUFNLEVBQUMsUUFBUSxDQUFDO1FBQzNCLGNBQWMsRUFBRSxFQUFFO1FBQ2xCLFlBQVksRUFBRSxXQUFXO1FBQ3pCLElBQUksRUFBRSxhQUFhO1FBQ25CLFVBQVUsRUFBRSx1QkFBYztRQUMxQixhQUFhLEVBQUU7WUFDYixJQUFBLHVCQUFjLEdBQUU7U0FDakI7UUFDRCxnQkFBZ0I7UUFDaEIsY0FBYyxFQUFkLHFCQUFjO1FBQ2QsS0FBSyxFQUFFLElBQUEsYUFBTSxFQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDbkUsV0FBVyxFQUFFO1lBQ1gsVUFBVSxFQUFFLFFBQVE7U0FDckI7UUFDRCxPQUFPLEVBQUU7WUFDUCxVQUFVLEVBQUUsQ0FBQyxRQUFRO1lBQ3JCLFNBQVMsRUFBRSxDQUFDLDZDQUE2QyxDQUFDO1NBQzNEO0tBQ0YsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLGlCQUFpQixDQUFDO1FBQ3hCLG9CQUFvQixFQUFFLEdBQUcsRUFBRSxDQUFDLElBQUEsdUJBQVcsRUFBQyxPQUFPLENBQUM7UUFDaEQsa0JBQWtCLEVBQUUsQ0FBQyxDQUFDLFNBQVMsRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDLElBQUEscUJBQVMsRUFBQyxPQUFPLEVBQUUsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFRO1FBQ3JGLFFBQVEsRUFBUixvQkFBUTtRQUNSLE1BQU0sRUFBRSxnQkFBTztRQUNmLGlCQUFpQixFQUFFLEtBQUs7UUFDeEIsaUJBQWlCLEVBQUUsQ0FBQyxHQUFHLEVBQUU7O1lBQ3ZCLE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDckMsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1lBQ3JELElBQUksU0FBUyxLQUFLLFNBQVMsRUFBRTtnQkFDM0IsT0FBTyxJQUFJLENBQUM7YUFDYjtZQUNELE9BQU8sQ0FDTCxvQkFBQyxhQUFhLElBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxHQUFHLEVBQUUsU0FBUyxFQUFFLFNBQVMsR0FBSSxDQUMxRCxDQUFDO1FBQ0osQ0FBQyxDQUFRO0tBQ1YsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLGNBQWMsQ0FBQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUUsV0FBVyxFQUFFLEVBQUUsRUFDM0Msc0JBQXNCLEVBQUUsR0FBRyxFQUFFO1FBQ2xELHFCQUFxQixDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNyQyxDQUFDLEVBQUUsR0FBRyxFQUFFO1FBQ04sTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUNyQyxNQUFNLFVBQVUsR0FBRyxzQkFBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNqRCxPQUFPLFVBQVUsS0FBSyxnQkFBTyxDQUFDO0lBQ2hDLENBQUMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLGNBQWMsQ0FBQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUUsV0FBVyxFQUFFLEVBQUUsRUFDM0MscUJBQXFCLEVBQUUsR0FBRyxFQUFFO1FBQ2pELGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNqQyxDQUFDLEVBQUUsR0FBRyxFQUFFO1FBQ04sTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUNyQyxNQUFNLFVBQVUsR0FBRyxzQkFBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNqRCxPQUFPLFVBQVUsS0FBSyxnQkFBTyxDQUFDO0lBQ2hDLENBQUMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLGNBQWMsQ0FBQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFDMUMseUJBQXlCLEVBQUUsR0FBRyxFQUFFO1FBQ3JELElBQUEsK0JBQWdCLEVBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDLFVBQWtCLEVBQUUsRUFBRTtZQUNuRCxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBQSx1QkFBYSxFQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7WUFDdEQsSUFBQSxpQ0FBa0IsRUFBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDbEMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQ2IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyx1Q0FBdUMsRUFBRSxHQUFHLEVBQzVFLEVBQUUsV0FBVyxFQUFFLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDOUQsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDLEVBQUUsR0FBRyxFQUFFO1FBQ04sTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUNyQyxNQUFNLFVBQVUsR0FBRyxzQkFBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNqRCxPQUFPLFVBQVUsS0FBSyxnQkFBTyxDQUFDO0lBQ2hDLENBQUMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLGNBQWMsQ0FBQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUUsU0FBUyxFQUFFLEVBQUUsRUFDekMsbUJBQW1CLEVBQUUsR0FBRyxFQUFFO1FBQy9DLElBQUEsbUNBQW9CLEVBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3ZFLENBQUMsRUFBRSxHQUFHLEVBQUU7UUFDTixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sVUFBVSxHQUFHLHNCQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2pELE9BQU8sVUFBVSxLQUFLLGdCQUFPLENBQUM7SUFDaEMsQ0FBQyxDQUFDLENBQUM7SUFFSCxNQUFNLGlCQUFpQixHQUFpQztRQUN0RCxJQUFJLEVBQUUsaUJBQWlCO1FBQ3ZCLE1BQU0sRUFBRSxhQUFhO1FBQ3JCLE1BQU0sRUFBRSxhQUFhO0tBQ3RCLENBQUM7SUFDRixPQUFPLENBQUMsc0JBQXNCLENBQUMsTUFBTSxFQUFFO1FBQ3JDLEVBQUUsRUFBRSxvQkFBb0I7UUFDeEIsUUFBUSxFQUFFLEVBQUU7UUFDWixTQUFTLEVBQUUsR0FBRyxFQUFFLENBQUMsQ0FBQyxzQkFBUyxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDLEtBQUssZ0JBQU8sQ0FBQztlQUN4RSxDQUFDLElBQUEsZ0NBQWlCLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxLQUFLLFNBQVMsQ0FBQztRQUM5RCxTQUFTLEVBQUUsTUFBTTtRQUNqQixJQUFJLEVBQUUsQ0FBQyxHQUFlLEVBQUUsRUFBRSxDQUFDLDZCQUFvQixDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDO1lBQ2hFLENBQUMsQ0FBQyxTQUFTO1lBQ1gsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLElBQUEsMkJBQVksRUFBQyxHQUFHLENBQUMsQ0FBQztRQUN4QyxJQUFJLEVBQUUsV0FBVztRQUNqQixJQUFJLEVBQUUsNEVBQTRFO1FBQ2xGLGdCQUFnQixFQUFFLElBQUk7UUFDdEIsV0FBVyxFQUFFLElBQUk7UUFDakIsVUFBVSxFQUFFLElBQUk7UUFDaEIsSUFBSSxFQUFFO1lBQ0osT0FBTyxFQUFFLEdBQUcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUM7aUJBQzFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUN0RCxhQUFhLEVBQUUsQ0FBQyxJQUErQixFQUFFLEtBQW1CLEVBQUUsRUFBRTtnQkFDdEUsTUFBTSxNQUFNLEdBQUcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUM7cUJBQzNCLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsNkJBQW9CLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztxQkFDdkQsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDO2dCQUN0QixJQUFBLDhCQUFlLEVBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxNQUFNLEVBQUUsS0FBSyxDQUFDLENBQUM7WUFDOUMsQ0FBQztTQUNGO0tBQ0YsQ0FBQyxDQUFDO0lBRUgsTUFBTSxlQUFlLEdBQUcsQ0FBQyxJQUFpQixFQUFFLEVBQUU7UUFDNUMsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUNyQyxNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLGVBQWUsQ0FBQyxLQUFLLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1FBQzVELE9BQU8sU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLElBQUksQ0FBQztJQUN6QixDQUFDLENBQUM7SUFFRixPQUFPLENBQUMsaUJBQWlCLENBQUMsVUFBVSxFQUFFLEVBQUUsRUFDdEMsSUFBQSxhQUFNLEVBQUMsb0JBQW9CLENBQUMsRUFBRSxJQUFBLGFBQU0sRUFBQyxjQUFjLENBQUMsQ0FBQyxDQUFDO0lBRXhELE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxlQUFlLEVBQUUsRUFBRSxFQUFFLElBQUEsYUFBTSxFQUFDLFdBQVcsQ0FBQyxFQUFFLElBQUEsYUFBTSxFQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUM7SUFDNUYsT0FBTyxDQUFDLGVBQWUsQ0FBQyx3QkFBZSxFQUFFLEVBQUUsRUFBRSxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsTUFBTSxLQUFLLGdCQUFPLEVBQ3pFLEdBQUcsRUFBRSxDQUFDLElBQUEsZ0NBQWlCLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFRLEVBQ3BGLEVBQUUsSUFBSSxFQUFFLHlCQUF5QixFQUFFLFNBQVMsRUFBRSxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBUyxDQUFDLENBQUM7SUFDNUYsT0FBTyxDQUFDLGVBQWUsQ0FBQyxlQUFlLEVBQUUsRUFBRSxFQUFFLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLEtBQUssZ0JBQU8sRUFDekUsZUFBZSxFQUFFLENBQUMsWUFBWSxFQUFFLEVBQUU7UUFDaEMsTUFBTSxjQUFjLEdBQUcsWUFBWSxDQUFDLFlBQVk7YUFDN0MsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUM7YUFDcEMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7UUFDcEMsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBUSxDQUFDO0lBQ2hELENBQUMsRUFDQyxFQUFFLElBQUksRUFBRSxvQkFBb0IsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7SUFFakYsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUU7UUFDaEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLENBQU8sU0FBaUIsRUFBRSxFQUFFO1lBQzVELE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQUUsU0FBUyxDQUFDLENBQUM7WUFDekUsSUFBSSxDQUFBLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxNQUFNLE1BQUssZ0JBQU8sRUFBRTtnQkFDL0IsT0FBTzthQUNSO1lBQ0QsSUFBSTtnQkFDRixNQUFNLElBQUEsNkJBQWMsRUFBQyxPQUFPLENBQUMsR0FBRyxFQUFFLE9BQU8sRUFBRSxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDO2FBQy9FO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyxrREFBa0QsRUFBRSxHQUFHLEVBQ3ZGLEVBQUUsV0FBVyxFQUFFLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2FBQ3RFO1lBQ0QsTUFBTSxJQUFBLHFDQUFvQixFQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUMxQyxDQUFDLENBQUEsQ0FBQyxDQUFDO1FBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsV0FBVyxFQUFFLENBQU8sU0FBaUIsRUFBRSxFQUFFO1lBQzNELE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQUUsU0FBUyxDQUFDLENBQUM7WUFDekUsSUFBSSxDQUFBLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxNQUFNLE1BQUssZ0JBQU8sRUFBRTtnQkFDL0IsTUFBTSxJQUFBLDhCQUFlLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQztxQkFDL0IsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSwwQ0FBMEMsRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQzthQUN2RjtRQUNILENBQUMsQ0FBQSxDQUFDLENBQUM7SUFDTCxDQUFDLENBQUMsQ0FBQztJQUdILE1BQU0sY0FBYyxHQUFHO1FBQ3JCLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsYUFBYTtZQUNsQyxJQUFJLEVBQUUsdUVBQXVFLEVBQUU7UUFDakYsRUFBRSxLQUFLLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUU7UUFDOUMsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxnQkFBZ0I7WUFDeEMsSUFBSSxFQUFFLG9DQUFvQyxFQUFFO1FBQzlDLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFO1FBQzFDLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO1FBQ3JDLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsY0FBYztZQUMxQyxJQUFJLEVBQUUscUVBQXFFLEVBQUU7S0FDaEYsQ0FBQztJQUNGLGNBQWMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxNQUFNLEVBQUUsR0FBRyxFQUFFLEVBQUU7UUFDckMsT0FBTyxDQUFDLHNCQUFzQixDQUFDLE1BQU0sRUFBRTtZQUNyQyxFQUFFLEVBQUUsZ0JBQWdCLE1BQU0sQ0FBQyxLQUFLLEVBQUU7WUFDbEMsUUFBUSxFQUFFLEdBQUcsR0FBRyxHQUFHLEdBQUcsRUFBRTtZQUN4QixTQUFTLEVBQUUsR0FBRyxFQUFFLENBQUMsc0JBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxLQUFLLGdCQUFPO1lBQzNFLFNBQVMsRUFBRSxNQUFNO1lBQ2pCLElBQUksRUFBRSxDQUFDLEdBQWUsRUFBRSxFQUFFLFdBQUMsT0FBQSxNQUFBLEdBQUcsQ0FBQyxVQUFVLDBDQUFHLDJCQUFrQixDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFBLEVBQUE7WUFDN0UsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJO1lBQ2pCLElBQUksRUFBRSxNQUFNLENBQUMsSUFBSTtZQUNqQixnQkFBZ0IsRUFBRSxJQUFJO1lBQ3RCLFVBQVUsRUFBRSxJQUFJO1lBQ2hCLElBQUksRUFBRSxFQUFFO1NBQ1QsQ0FBQyxDQUFDO0lBQ0wsQ0FBQyxDQUFDLENBQUM7SUFFSCxPQUFPLENBQUMsWUFBWSxDQUFDLHFCQUFxQixFQUFFLG9CQUFvQixFQUM5RCxJQUFBLGFBQU0sRUFBQyxHQUFHLEVBQUUsQ0FBQyxJQUFBLG1CQUFXLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMxQyxPQUFPLENBQUMsWUFBWSxDQUFDLHFCQUFxQixFQUFFLGVBQWUsRUFDekQsSUFBQSxhQUFNLEVBQUMsR0FBRyxFQUFFLENBQUMsSUFBQSxtQkFBVyxFQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFMUMsT0FBTyxDQUFDLGlCQUFpQixDQUFDLElBQUEsYUFBTSxFQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBQSx1QkFBVSxFQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3ZFLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxJQUFBLGFBQU0sRUFBQyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUEsdUJBQVUsRUFBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ25FLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxJQUFBLGFBQU0sRUFBQyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUEsd0JBQVcsRUFBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBRXBFLE9BQU8sSUFBSSxDQUFDO0FBQ2QsQ0FBQztBQUVELE1BQU0sQ0FBQyxPQUFPLEdBQUc7SUFDZixPQUFPLEVBQUUsSUFBSTtDQUNkLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgcGF0aCBmcm9tICdwYXRoJztcbmltcG9ydCB7IHVzZVNlbGVjdG9yIH0gZnJvbSAncmVhY3QtcmVkdXgnO1xuaW1wb3J0IHsgYWN0aW9ucywgZnMsIGxvZywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XG5cbmltcG9ydCB7IHNldFByZWZpeE9mZnNldCwgc2V0U2VydmVyUGF0aCwgc2V0VURGIH0gZnJvbSAnLi9hY3Rpb25zJztcbmltcG9ydCB7IHJlZHVjZXIsIHNlc3Npb25SZWR1Y2VyIH0gZnJvbSAnLi9yZWR1Y2Vycyc7XG5cbmltcG9ydCB7IEdBTUVfSUQsIGdhbWVFeGVjdXRhYmxlLCBNT0RfSU5GTywgTU9ESU5GT19BVFRSSUJVVEVTLCBsYXVuY2hlclNldHRpbmdzRmlsZVBhdGgsXG4gICAgICAgICBERUZBVUxUX0xBVU5DSEVSX1NFVFRJTkdTLCBJTlZBTElEX0xPX01PRF9UWVBFUywgU0VSVkVSX01PRF9UWVBFIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgZGVzZXJpYWxpemUsIHNlcmlhbGl6ZSwgdmFsaWRhdGUgfSBmcm9tICcuL2xvYWRPcmRlcic7XG5pbXBvcnQgeyBtaWdyYXRlMDIwLCBtaWdyYXRlMTAwLCBtaWdyYXRlMTAxMSB9IGZyb20gJy4vbWlncmF0aW9ucyc7XG5pbXBvcnQgeyBhcHBseURlcGxveVRhcmdldHMsIGRlcGxveVRhcmdldCwgZ2V0U2VydmVyTW9kc1BhdGgsIHB1cmdlU2VydmVyTW9kcywgc2VsZWN0U2VydmVyUGF0aCxcbiAgICAgICAgIHNldERlcGxveVRhcmdldCwgc2hvd0RlcGxveW1lbnRSZXBvcnQsIHN5bmNTZXJ2ZXJNb2RzIH0gZnJvbSAnLi9zZXJ2ZXJEZXBsb3knO1xuaW1wb3J0IHsgdGVzdE1vZEluZm8gfSBmcm9tICcuL3Rlc3RzJztcbmltcG9ydCB7IERlcGxveVRhcmdldCwgSUxvYWRPcmRlckVudHJ5LCBJUHJvcHMsIElYUGF0aENvbmZsaWN0IH0gZnJvbSAnLi90eXBlcyc7XG5pbXBvcnQgeyBlbnN1cmVMT0ZpbGUsIGdlblByb3BzLCBnZXRHYW1lVmVyc2lvbiwgZ2V0TW9kSW5mbywgbWFrZVByZWZpeCwgcmV2ZXJzZVByZWZpeCwgdG9CbHVlIH0gZnJvbSAnLi91dGlsJztcbmltcG9ydCB7IHVwZGF0ZVhQYXRoQ29uZmxpY3RzLCB4cGF0aENvbmZsaWN0V2lubmVyIH0gZnJvbSAnLi94cGF0aENvbmZsaWN0cyc7XG5cbmNvbnN0IFNURUFNX0lEID0gJzI1MTU3MCc7XG5jb25zdCBTVEVBTV9ETEwgPSAnc3RlYW1jbGllbnQ2NC5kbGwnO1xuXG5jb25zdCBST09UX01PRF9DQU5ESURBVEVTID0gWydiZXBpbmV4J107XG5cbmZ1bmN0aW9uIHJlc2V0UHJlZml4T2Zmc2V0KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk/LmlkO1xuICBpZiAocHJvZmlsZUlkID09PSB1bmRlZmluZWQpIHtcbiAgICAvLyBIb3cgP1xuICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ05vIGFjdGl2ZSBwcm9maWxlIGZvciA3ZHRkJywgdW5kZWZpbmVkLCB7IGFsbG93UmVwb3J0OiBmYWxzZSB9KTtcbiAgICByZXR1cm47XG4gIH1cblxuICBhcGkuc3RvcmUuZGlzcGF0Y2goc2V0UHJlZml4T2Zmc2V0KHByb2ZpbGVJZCwgMCkpO1xuICBjb25zdCBsb2FkT3JkZXIgPSB1dGlsLmdldFNhZmUoYXBpLmdldFN0YXRlKCksIFsncGVyc2lzdGVudCcsICdsb2FkT3JkZXInLCBwcm9maWxlSWRdLCBbXSk7XG4gIGNvbnN0IG5ld0xPID0gbG9hZE9yZGVyLm1hcCgoZW50cnksIGlkeCkgPT4gKHtcbiAgICAuLi5lbnRyeSxcbiAgICBkYXRhOiB7XG4gICAgICBwcmVmaXg6IG1ha2VQcmVmaXgoaWR4KSxcbiAgICB9LFxuICB9KSk7XG4gIGFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLnNldExvYWRPcmRlcihwcm9maWxlSWQsIG5ld0xPKSk7XG59XG5cbmZ1bmN0aW9uIHNldFByZWZpeE9mZnNldERpYWxvZyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcbiAgcmV0dXJuIGFwaS5zaG93RGlhbG9nKCdxdWVzdGlvbicsICdTZXQgTmV3IFByZWZpeCBPZmZzZXQnLCB7XG4gICAgdGV4dDogYXBpLnRyYW5zbGF0ZSgnSW5zZXJ0IG5ldyBwcmVmaXggb2Zmc2V0IGZvciBtb2RsZXRzIChBQUEtWlpaKTonKSxcbiAgICBpbnB1dDogW1xuICAgICAge1xuICAgICAgICBpZDogJzdkdGRwcmVmaXhvZmZzZXRpbnB1dCcsXG4gICAgICAgIGxhYmVsOiAnUHJlZml4IE9mZnNldCcsXG4gICAgICAgIHR5cGU6ICd0ZXh0JyxcbiAgICAgICAgcGxhY2Vob2xkZXI6ICdBQUEnLFxuICAgICAgfV0sXG4gIH0sIFsgeyBsYWJlbDogJ0NhbmNlbCcgfSwgeyBsYWJlbDogJ1NldCcsIGRlZmF1bHQ6IHRydWUgfSBdKVxuICAudGhlbihyZXN1bHQgPT4ge1xuICAgIGlmIChyZXN1bHQuYWN0aW9uID09PSAnU2V0Jykge1xuICAgICAgY29uc3QgcHJlZml4ID0gcmVzdWx0LmlucHV0Wyc3ZHRkcHJlZml4b2Zmc2V0aW5wdXQnXTtcbiAgICAgIGxldCBvZmZzZXQgPSAwO1xuICAgICAgdHJ5IHtcbiAgICAgICAgb2Zmc2V0ID0gcmV2ZXJzZVByZWZpeChwcmVmaXgpO1xuICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xuICAgICAgfVxuICAgICAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgICAgIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XG4gICAgICBpZiAocHJvZmlsZUlkID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgLy8gSG93ID9cbiAgICAgICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignTm8gYWN0aXZlIHByb2ZpbGUgZm9yIDdkdGQnLCB1bmRlZmluZWQsIHsgYWxsb3dSZXBvcnQ6IGZhbHNlIH0pO1xuICAgICAgICByZXR1cm47XG4gICAgICB9XG5cbiAgICAgIGFwaS5zdG9yZS5kaXNwYXRjaChzZXRQcmVmaXhPZmZzZXQocHJvZmlsZUlkLCBvZmZzZXQpKTtcbiAgICAgIGNvbnN0IGxvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIFtdKTtcbiAgICAgIGNvbnN0IG5ld0xPID0gbG9hZE9yZGVyLm1hcChlbnRyeSA9PiAoe1xuICAgICAgICAuLi5lbnRyeSxcbiAgICAgICAgZGF0YToge1xuICAgICAgICAgIHByZWZpeDogbWFrZVByZWZpeChyZXZlcnNlUHJlZml4KGVudHJ5LmRhdGEucHJlZml4KSArIG9mZnNldCksXG4gICAgICAgIH0sXG4gICAgICB9KSk7XG4gICAgICBhcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5zZXRMb2FkT3JkZXIocHJvZmlsZUlkLCBuZXdMTykpO1xuICAgIH1cbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XG4gIH0pXG4gIC5jYXRjaChlcnIgPT4ge1xuICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBzZXQgcHJlZml4IG9mZnNldCcsIGVyciwgeyBhbGxvd1JlcG9ydDogZmFsc2UgfSk7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xuICB9KTtcbn1cblxuYXN5bmMgZnVuY3Rpb24gZmluZEdhbWUoKSB7XG4gIHJldHVybiB1dGlsLkdhbWVTdG9yZUhlbHBlci5maW5kQnlBcHBJZChbU1RFQU1fSURdKVxuICAgIC50aGVuKGdhbWUgPT4gZ2FtZS5nYW1lUGF0aCk7XG59XG5cbmZ1bmN0aW9uIHBhcnNlQWRkaXRpb25hbFBhcmFtZXRlcnMocGFyYW1ldGVyczogc3RyaW5nKSB7XG4gIGNvbnN0IHVkZlBhcmFtID0gcGFyYW1ldGVycy5zcGxpdCgnLScpLmZpbmQocGFyYW0gPT4gcGFyYW0uc3RhcnRzV2l0aCgnVXNlckRhdGFGb2xkZXI9JykpO1xuICBjb25zdCB1ZGYgPSB1ZGZQYXJhbSA/IHVkZlBhcmFtLnNwbGl0KCc9Jyk/LlsxXT8udHJpbUVuZCgpIDogdW5kZWZpbmVkO1xuICByZXR1cm4gKHVkZiAmJiBwYXRoLmlzQWJzb2x1dGUodWRmKSkgPyB1ZGYgOiB1bmRlZmluZWQ7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHByZXBhcmVGb3JNb2RkaW5nKGNvbnRleHQ6IHR5cGVzLklFeHRlbnNpb25Db250ZXh0LFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgZGlzY292ZXJ5OiB0eXBlcy5JRGlzY292ZXJ5UmVzdWx0KSB7XG4gIGNvbnN0IHJlcXVpcmVzUmVzdGFydCA9IHV0aWwuZ2V0U2FmZShjb250ZXh0LmFwaS5nZXRTdGF0ZSgpLFxuICAgIFsnc2V0dGluZ3MnLCAnN2RheXN0b2RpZScsICd1ZGYnXSwgdW5kZWZpbmVkKSA9PT0gdW5kZWZpbmVkO1xuICBjb25zdCBsYXVuY2hlclNldHRpbmdzID0gbGF1bmNoZXJTZXR0aW5nc0ZpbGVQYXRoKCk7XG4gIGNvbnN0IHJlbGF1bmNoRXh0ID0gKCkgPT4ge1xuICAgIHJldHVybiBjb250ZXh0LmFwaS5zaG93RGlhbG9nKCdpbmZvJywgJ1Jlc3RhcnQgUmVxdWlyZWQnLCB7XG4gICAgICB0ZXh0OiAnVGhlIGV4dGVuc2lvbiByZXF1aXJlcyBhIHJlc3RhcnQgdG8gY29tcGxldGUgdGhlIFVERiBzZXR1cC4gJ1xuICAgICAgICAgICsgJ1RoZSBleHRlbnNpb24gd2lsbCBub3cgZXhpdCAtIHBsZWFzZSByZS1hY3RpdmF0ZSBpdCB2aWEgdGhlIGdhbWVzIHBhZ2Ugb3IgZGFzaGJvYXJkLicsXG4gICAgfSwgWyB7IGxhYmVsOiAnUmVzdGFydCBFeHRlbnNpb24nIH0gXSlcbiAgICAudGhlbigoKSA9PiB7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IHV0aWwuUHJvY2Vzc0NhbmNlbGVkKCdSZXN0YXJ0IHJlcXVpcmVkJykpO1xuICAgIH0pO1xuICB9XG4gIGNvbnN0IHNlbGVjdFVERiA9IGFzeW5jICgpID0+IHtcbiAgICBjb25zdCByZXMgPSBhd2FpdCBjb250ZXh0LmFwaS5zaG93RGlhbG9nKCdpbmZvJywgJ0Nob29zZSBVc2VyIERlZmluZWQgRm9sZGVyJywge1xuICAgICAgdGV4dDogJ1RoZSBtb2RkaW5nIHBhdHRlcm4gZm9yIDdEVEQgaXMgY2hhbmdpbmcuIFRoZSBNb2RzIHBhdGggaW5zaWRlIHRoZSBnYW1lIGRpcmVjdG9yeSAnXG4gICAgICAgICAgKyAnaXMgYmVpbmcgZGVwcmVjYXRlZCBhbmQgbW9kcyBsb2NhdGVkIGluIHRoZSBvbGQgcGF0aCB3aWxsIG5vIGxvbmdlciB3b3JrIGluIHRoZSBuZWFyICdcbiAgICAgICAgICArICdmdXR1cmUuIFBsZWFzZSBzZWxlY3QgeW91ciBVc2VyIERlZmluZWQgRm9sZGVyIChVREYpIC0gVm9ydGV4IHdpbGwgZGVwbG95IHRvIHRoaXMgbmV3IGxvY2F0aW9uLicsXG4gICAgfSxcbiAgICBbXG4gICAgICB7IGxhYmVsOiAnQ2FuY2VsJyB9LFxuICAgICAgeyBsYWJlbDogJ1NlbGVjdCBVREYnIH0sXG4gICAgXSk7XG4gICAgaWYgKHJlcy5hY3Rpb24gIT09ICdTZWxlY3QgVURGJykge1xuICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnQ2Fubm90IHByb2NlZWQgd2l0aG91dCBVRkQnKSk7XG4gICAgfVxuICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5kaXJuYW1lKGxhdW5jaGVyU2V0dGluZ3MpKTtcbiAgICBhd2FpdCBlbnN1cmVMT0ZpbGUoY29udGV4dCk7XG4gICAgY29uc3QgZGlyZWN0b3J5ID0gYXdhaXQgY29udGV4dC5hcGkuc2VsZWN0RGlyKHtcbiAgICAgIHRpdGxlOiAnU2VsZWN0IFVzZXIgRGF0YSBGb2xkZXInLFxuICAgICAgZGVmYXVsdFBhdGg6IHBhdGguam9pbihwYXRoLmRpcm5hbWUobGF1bmNoZXJTZXR0aW5ncykpLFxuICAgIH0pO1xuICAgIGlmICghZGlyZWN0b3J5KSB7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IHV0aWwuUHJvY2Vzc0NhbmNlbGVkKCdDYW5ub3QgcHJvY2VlZCB3aXRob3V0IFVGRCcpKTtcbiAgICB9XG4gICAgYXdhaXQgZnMuZW5zdXJlRGlyV3JpdGFibGVBc3luYyhwYXRoLmpvaW4oZGlyZWN0b3J5LCAnTW9kcycpKTtcbiAgICBjb25zdCBsYXVuY2hlciA9IERFRkFVTFRfTEFVTkNIRVJfU0VUVElOR1M7XG4gICAgbGF1bmNoZXIuRGVmYXVsdFJ1bkNvbmZpZy5BZGRpdGlvbmFsUGFyYW1ldGVycyA9IGAtVXNlckRhdGFGb2xkZXI9JHtkaXJlY3Rvcnl9YDtcbiAgICBjb25zdCBsYXVuY2hlckRhdGEgPSBKU09OLnN0cmluZ2lmeShsYXVuY2hlciwgbnVsbCwgMik7XG4gICAgYXdhaXQgZnMud3JpdGVGaWxlQXN5bmMobGF1bmNoZXJTZXR0aW5ncywgbGF1bmNoZXJEYXRhLCB7IGVuY29kaW5nOiAndXRmOCcgfSk7XG4gICAgY29udGV4dC5hcGkuc3RvcmUuZGlzcGF0Y2goc2V0VURGKGRpcmVjdG9yeSkpO1xuICAgIHJldHVybiAocmVxdWlyZXNSZXN0YXJ0KSA/IHJlbGF1bmNoRXh0KCkgOiBQcm9taXNlLnJlc29sdmUoKTtcbiAgfTtcblxuICB0cnkge1xuICAgIGNvbnN0IGRhdGEgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKGxhdW5jaGVyU2V0dGluZ3MsIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KTtcbiAgICBjb25zdCBzZXR0aW5ncyA9IEpTT04ucGFyc2UoZGF0YSk7XG4gICAgaWYgKHNldHRpbmdzPy5EZWZhdWx0UnVuQ29uZmlnPy5BZGRpdGlvbmFsUGFyYW1ldGVycyAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICBjb25zdCB1ZGYgPSBwYXJzZUFkZGl0aW9uYWxQYXJhbWV0ZXJzKHNldHRpbmdzLkRlZmF1bHRSdW5Db25maWcuQWRkaXRpb25hbFBhcmFtZXRlcnMpO1xuICAgICAgaWYgKCEhdWRmKSB7XG4gICAgICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5qb2luKHVkZiwgJ01vZHMnKSk7XG4gICAgICAgIGF3YWl0IGVuc3VyZUxPRmlsZShjb250ZXh0KTtcbiAgICAgICAgY29udGV4dC5hcGkuc3RvcmUuZGlzcGF0Y2goc2V0VURGKHVkZikpO1xuICAgICAgICByZXR1cm4gKHJlcXVpcmVzUmVzdGFydCkgPyByZWxhdW5jaEV4dCgpIDogUHJvbWlzZS5yZXNvbHZlKCk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICByZXR1cm4gc2VsZWN0VURGKCk7XG4gICAgICB9XG4gICAgfVxuICB9IGNhdGNoIChlcnIpIHtcbiAgICByZXR1cm4gc2VsZWN0VURGKCk7XG4gIH1cbn1cblxuYXN5bmMgZnVuY3Rpb24gaW5zdGFsbENvbnRlbnQoZmlsZXM6IHN0cmluZ1tdLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgZGVzdGluYXRpb25QYXRoOiBzdHJpbmcsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICBnYW1lSWQ6IHN0cmluZyk6IFByb21pc2U8dHlwZXMuSUluc3RhbGxSZXN1bHQ+IHtcbiAgLy8gVGhlIG1vZGluZm8ueG1sIGZpbGUgaXMgZXhwZWN0ZWQgdG8gYWx3YXlzIGJlIHBvc2l0aW9uZWQgaW4gdGhlIHJvb3QgZGlyZWN0b3J5XG4gIC8vICBvZiB0aGUgbW9kIGl0c2VsZjsgd2UncmUgZ29pbmcgdG8gZGlzcmVnYXJkIGFueXRoaW5nIHBsYWNlZCBvdXRzaWRlIHRoZSByb290LlxuICBjb25zdCBtb2RGaWxlID0gZmlsZXMuZmluZChmaWxlID0+IHBhdGguYmFzZW5hbWUoZmlsZSkudG9Mb3dlckNhc2UoKSA9PT0gTU9EX0lORk8pO1xuICBjb25zdCByb290UGF0aCA9IHBhdGguZGlybmFtZShtb2RGaWxlKTtcbiAgcmV0dXJuIGdldE1vZEluZm8ocGF0aC5qb2luKGRlc3RpbmF0aW9uUGF0aCwgbW9kRmlsZSkpXG4gICAgLnRoZW4obW9kSW5mbyA9PiB7XG4gICAgICAvLyBSZW1vdmUgZGlyZWN0b3JpZXMgYW5kIGFueXRoaW5nIHRoYXQgaXNuJ3QgaW4gdGhlIHJvb3RQYXRoIChhbHNvIGRpcmVjdG9yaWVzKS5cbiAgICAgIGNvbnN0IGZpbHRlcmVkID0gZmlsZXMuZmlsdGVyKGZpbGVQYXRoID0+XG4gICAgICAgIGZpbGVQYXRoLnN0YXJ0c1dpdGgocm9vdFBhdGgpICYmICFmaWxlUGF0aC5lbmRzV2l0aChwYXRoLnNlcCkpO1xuXG4gICAgICBjb25zdCBpbnN0cnVjdGlvbnM6IHR5cGVzLklJbnN0cnVjdGlvbltdID0gZmlsdGVyZWQubWFwKGZpbGVQYXRoID0+IHtcbiAgICAgICAgcmV0dXJuIHtcbiAgICAgICAgICB0eXBlOiAnY29weScsXG4gICAgICAgICAgc291cmNlOiBmaWxlUGF0aCxcbiAgICAgICAgICBkZXN0aW5hdGlvbjogcGF0aC5yZWxhdGl2ZShyb290UGF0aCwgZmlsZVBhdGgpLFxuICAgICAgICB9O1xuICAgICAgfSk7XG5cbiAgICAgIC8vIFN0b3JlIHRoZSBNb2RJbmZvLnhtbCBmaWVsZHMgc28gd2UgY2FuIGRpc3BsYXkgdGhlbSBhbmQgY2hlY2sgZm9yIGlzc3Vlc1xuICAgICAgLy8gIHdpdGhvdXQgaGF2aW5nIHRvIHBhcnNlIHRoZSBmaWxlIGFnYWluLlxuICAgICAgT2JqZWN0LmtleXMoTU9ESU5GT19BVFRSSUJVVEVTKVxuICAgICAgICAuZmlsdGVyKGtleSA9PiBtb2RJbmZvW2tleV0gIT09IHVuZGVmaW5lZClcbiAgICAgICAgLmZvckVhY2goa2V5ID0+IGluc3RydWN0aW9ucy5wdXNoKHtcbiAgICAgICAgICB0eXBlOiAnYXR0cmlidXRlJyxcbiAgICAgICAgICBrZXk6IE1PRElORk9fQVRUUklCVVRFU1trZXldLFxuICAgICAgICAgIHZhbHVlOiBtb2RJbmZvW2tleV0sXG4gICAgICAgIH0pKTtcblxuICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh7IGluc3RydWN0aW9ucyB9KTtcbiAgICB9KTtcbn1cblxuZnVuY3Rpb24gdGVzdFN1cHBvcnRlZENvbnRlbnQoZmlsZXMsIGdhbWVJZCkge1xuICAvLyBNYWtlIHN1cmUgd2UncmUgYWJsZSB0byBzdXBwb3J0IHRoaXMgbW9kLlxuICBjb25zdCBzdXBwb3J0ZWQgPSAoZ2FtZUlkID09PSBHQU1FX0lEKSAmJlxuICAgIChmaWxlcy5maW5kKGZpbGUgPT4gcGF0aC5iYXNlbmFtZShmaWxlKS50b0xvd2VyQ2FzZSgpID09PSBNT0RfSU5GTykgIT09IHVuZGVmaW5lZCk7XG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoe1xuICAgIHN1cHBvcnRlZCxcbiAgICByZXF1aXJlZEZpbGVzOiBbXSxcbiAgfSk7XG59XG5cbmZ1bmN0aW9uIGZpbmRDYW5kRmlsZShmaWxlczogc3RyaW5nW10pOiBzdHJpbmcge1xuICByZXR1cm4gZmlsZXMuZmluZChmaWxlID0+IGZpbGUudG9Mb3dlckNhc2UoKS5zcGxpdChwYXRoLnNlcClcbiAgICAuZmluZChzZWcgPT4gUk9PVF9NT0RfQ0FORElEQVRFUy5pbmNsdWRlcyhzZWcpKSAhPT0gdW5kZWZpbmVkKTtcbn1cblxuZnVuY3Rpb24gaGFzQ2FuZGlkYXRlKGZpbGVzOiBzdHJpbmdbXSk6IGJvb2xlYW4ge1xuICBjb25zdCBjYW5kaWRhdGUgPSBmaW5kQ2FuZEZpbGUoZmlsZXMpO1xuICByZXR1cm4gY2FuZGlkYXRlICE9PSB1bmRlZmluZWQ7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGluc3RhbGxSb290TW9kKGZpbGVzOiBzdHJpbmdbXSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGdhbWVJZDogc3RyaW5nKTogUHJvbWlzZTx0eXBlcy5JSW5zdGFsbFJlc3VsdD4ge1xuICBjb25zdCBmaWx0ZXJlZCA9IGZpbGVzLmZpbHRlcihmaWxlID0+ICFmaWxlLmVuZHNXaXRoKHBhdGguc2VwKSk7XG4gIGNvbnN0IGNhbmRpZGF0ZSA9IGZpbmRDYW5kRmlsZShmaWxlcyk7XG4gIGNvbnN0IGNhbmRJZHggPSBjYW5kaWRhdGUudG9Mb3dlckNhc2UoKS5zcGxpdChwYXRoLnNlcClcbiAgICAuZmluZEluZGV4KHNlZyA9PiBST09UX01PRF9DQU5ESURBVEVTLmluY2x1ZGVzKHNlZykpO1xuICBjb25zdCBpbnN0cnVjdGlvbnM6IHR5cGVzLklJbnN0cnVjdGlvbltdID0gZmlsdGVyZWQucmVkdWNlKChhY2N1bSwgaXRlcikgPT4ge1xuICAgIGFjY3VtLnB1c2goe1xuICAgICAgdHlwZTogJ2NvcHknLFxuICAgICAgc291cmNlOiBpdGVyLFxuICAgICAgZGVzdGluYXRpb246IGl0ZXIuc3BsaXQocGF0aC5zZXApLnNsaWNlKGNhbmRJZHgpLmpvaW4ocGF0aC5zZXApLFxuICAgIH0pO1xuICAgIHJldHVybiBhY2N1bTtcbiAgfSwgW10pO1xuICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHsgaW5zdHJ1Y3Rpb25zIH0pO1xufVxuXG5hc3luYyBmdW5jdGlvbiB0ZXN0Um9vdE1vZChmaWxlczogc3RyaW5nW10sIGdhbWVJZDogc3RyaW5nKTogUHJvbWlzZTx0eXBlcy5JU3VwcG9ydGVkUmVzdWx0PiB7XG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoe1xuICAgIHJlcXVpcmVkRmlsZXM6IFtdLFxuICAgIHN1cHBvcnRlZDogaGFzQ2FuZGlkYXRlKGZpbGVzKSAmJiBnYW1lSWQgPT09IEdBTUVfSUQsXG4gIH0pO1xufVxuXG5mdW5jdGlvbiB0b0xPUHJlZml4KGNvbnRleHQ6IHR5cGVzLklFeHRlbnNpb25Db250ZXh0LCBtb2Q6IHR5cGVzLklNb2QpOiBzdHJpbmcge1xuICBjb25zdCBwcm9wczogSVByb3BzID0gZ2VuUHJvcHMoY29udGV4dCk7XG4gIGlmIChwcm9wcyA9PT0gdW5kZWZpbmVkKSB7XG4gICAgcmV0dXJuICdaWlpaLScgKyBtb2QuaWQ7XG4gIH1cblxuICAvLyBSZXRyaWV2ZSB0aGUgbG9hZCBvcmRlciBhcyBzdG9yZWQgaW4gVm9ydGV4J3MgYXBwbGljYXRpb24gc3RhdGUuXG4gIGNvbnN0IGxvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShwcm9wcy5zdGF0ZSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb3BzLnByb2ZpbGUuaWRdLCBbXSk7XG5cbiAgLy8gRmluZCB0aGUgbW9kIGVudHJ5IGluIHRoZSBsb2FkIG9yZGVyIHN0YXRlIGFuZCBpbnNlcnQgdGhlIHByZWZpeCBpbiBmcm9udFxuICAvLyAgb2YgdGhlIG1vZCdzIG5hbWUvaWQvd2hhdGV2ZXJcbiAgbGV0IGxvRW50cnk6IElMb2FkT3JkZXJFbnRyeSA9IGxvYWRPcmRlci5maW5kKGxvRW50cnkgPT4gbG9FbnRyeS5pZCA9PT0gbW9kLmlkKTtcbiAgaWYgKGxvRW50cnkgPT09IHVuZGVmaW5lZCkge1xuICAgIC8vIFRoZSBtb2QgZW50cnkgd2Fzbid0IGZvdW5kIGluIHRoZSBsb2FkIG9yZGVyIHN0YXRlIC0gdGhpcyBpcyBwb3RlbnRpYWxseVxuICAgIC8vICBkdWUgdG8gdGhlIG1vZCBiZWluZyByZW1vdmVkIGFzIHBhcnQgb2YgYW4gdXBkYXRlIG9yIHVuaW5zdGFsbGF0aW9uLlxuICAgIC8vICBJdCdzIGltcG9ydGFudCB3ZSBmaW5kIHRoZSBwcmVmaXggb2YgdGhlIG1vZCBpbiB0aGlzIGNhc2UsIGFzIHRoZSBkZXBsb3ltZW50XG4gICAgLy8gIG1ldGhvZCBjb3VsZCBwb3RlbnRpYWxseSBmYWlsIHRvIHJlbW92ZSB0aGUgbW9kISBXZSdyZSBnb2luZyB0byBjaGVja1xuICAgIC8vICB0aGUgcHJldmlvdXMgbG9hZCBvcmRlciBzYXZlZCBmb3IgdGhpcyBwcm9maWxlIGFuZCB1c2UgdGhhdCBpZiBpdCBleGlzdHMuXG4gICAgY29uc3QgcHJldiA9IHV0aWwuZ2V0U2FmZShwcm9wcy5zdGF0ZSwgWydzZXR0aW5ncycsICc3ZGF5c3RvZGllJywgJ3ByZXZpb3VzTE8nLCBwcm9wcy5wcm9maWxlLmlkXSwgW10pO1xuICAgIGxvRW50cnkgPSBwcmV2LmZpbmQobG9FbnRyeSA9PiBsb0VudHJ5LmlkID09PSBtb2QuaWQpO1xuICB9XG5cbiAgcmV0dXJuIChsb0VudHJ5Py5kYXRhPy5wcmVmaXggIT09IHVuZGVmaW5lZClcbiAgICA/IGxvRW50cnkuZGF0YS5wcmVmaXggKyAnLScgKyBtb2QuaWRcbiAgICA6ICdaWlpaLScgKyBtb2QuaWQ7XG59XG5cbmZ1bmN0aW9uIHJlcXVpcmVzTGF1bmNoZXIoZ2FtZVBhdGgpIHtcbiAgcmV0dXJuIGZzLnJlYWRkaXJBc3luYyhnYW1lUGF0aClcbiAgICAudGhlbihmaWxlcyA9PiAoZmlsZXMuZmluZChmaWxlID0+IGZpbGUuZW5kc1dpdGgoU1RFQU1fRExMKSkgIT09IHVuZGVmaW5lZClcbiAgICAgID8gUHJvbWlzZS5yZXNvbHZlKHsgbGF1bmNoZXI6ICdzdGVhbScgfSlcbiAgICAgIDogUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCkpXG4gICAgLmNhdGNoKGVyciA9PiBQcm9taXNlLnJlamVjdChlcnIpKTtcbn1cblxuZnVuY3Rpb24gSW5mb1BhbmVsKHByb3BzKSB7XG4gIGNvbnN0IHsgdCwgY3VycmVudE9mZnNldCB9ID0gcHJvcHM7XG5cbiAgcmV0dXJuIChcbiAgICA8ZGl2IHN0eWxlPXt7IGRpc3BsYXk6ICdmbGV4JywgZmxleERpcmVjdGlvbjogJ2NvbHVtbicsIHBhZGRpbmc6ICcxNnB4JyB9fT5cbiAgICAgIDxkaXYgc3R5bGU9e3sgZGlzcGxheTogJ2ZsZXgnLCB3aGl0ZVNwYWNlOiAnbm93cmFwJywgYWxpZ25JdGVtczogJ2NlbnRlcicgfX0+XG4gICAgICAgIHt0KCdDdXJyZW50IFByZWZpeCBPZmZzZXQ6ICcpfVxuICAgICAgICA8aHIvPlxuICAgICAgICA8bGFiZWwgc3R5bGU9e3sgY29sb3I6ICdyZWQnIH19PntjdXJyZW50T2Zmc2V0fTwvbGFiZWw+XG4gICAgICA8L2Rpdj5cbiAgICAgIDxoci8+XG4gICAgICA8ZGl2PlxuICAgICAgICB7dCgnNyBEYXlzIHRvIERpZSBsb2FkcyBtb2RzIGluIGFscGhhYmV0aWMgb3JkZXIgc28gVm9ydGV4IHByZWZpeGVzICdcbiAgICAgICAgICsgJ3RoZSBkaXJlY3RvcnkgbmFtZXMgd2l0aCBcIkFBQSwgQUFCLCBBQUMsIC4uLlwiIHRvIGVuc3VyZSB0aGV5IGxvYWQgaW4gdGhlIG9yZGVyIHlvdSBzZXQgaGVyZS4nKX1cbiAgICAgIDwvZGl2PlxuICAgIDwvZGl2PlxuICApO1xufVxuXG5mdW5jdGlvbiBYUGF0aENvbmZsaWN0cyhwcm9wcykge1xuICBjb25zdCB7IHQsIGNvbmZsaWN0cywgbG9hZE9yZGVyLCBtb2RzIH0gPSBwcm9wcztcbiAgaWYgKGNvbmZsaWN0cy5sZW5ndGggPT09IDApIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuXG4gIGNvbnN0IG1vZE5hbWUgPSAobW9kSWQ6IHN0cmluZykgPT4ge1xuICAgIGNvbnN0IHByZWZpeCA9IGxvYWRPcmRlci5maW5kKGVudHJ5ID0+IGVudHJ5LmlkID09PSBtb2RJZCk/LmRhdGE/LnByZWZpeDtcbiAgICBjb25zdCBuYW1lID0gKG1vZHNbbW9kSWRdICE9PSB1bmRlZmluZWQpID8gdXRpbC5yZW5kZXJNb2ROYW1lKG1vZHNbbW9kSWRdKSA6IG1vZElkO1xuICAgIHJldHVybiAocHJlZml4ICE9PSB1bmRlZmluZWQpID8gYCR7cHJlZml4fS0ke25hbWV9YCA6IG5hbWU7XG4gIH07XG5cbiAgcmV0dXJuIChcbiAgICA8ZGl2PlxuICAgICAgPGhyLz5cbiAgICAgIDxkaXY+XG4gICAgICAgIHt0KCdUaGUgZm9sbG93aW5nIFhQYXRoIG5vZGVzIGFyZSBwYXRjaGVkIGJ5IG1vcmUgdGhhbiBvbmUgbW9kbGV0LiBNb2RsZXRzIGZ1cnRoZXIgZG93biAnXG4gICAgICAgICArICd0aGUgbG9hZCBvcmRlciBhcmUgYXBwbGllZCBsYXRlciwgc28gdGhlIGxhc3Qgb25lIHRvIHNldCBhIG5vZGUgd2lucywgd2hpbGUgYSBub2RlICdcbiAgICAgICAgICsgJ3RoYXQgZ290IHJlbW92ZWQgY2FuIG5vIGxvbmdlciBiZSBwYXRjaGVkIGJ5IGFueSBtb2RsZXQuJyl9XG4gICAgICA8L2Rpdj5cbiAgICAgIDxkaXYgc3R5bGU9e3sgbWF4SGVpZ2h0OiAnMzAwcHgnLCBvdmVyZmxvd1k6ICdhdXRvJyB9fT5cbiAgICAgICAge2NvbmZsaWN0cy5tYXAoKGNvbmZsaWN0OiBJWFBhdGhDb25mbGljdCkgPT4gKFxuICAgICAgICAgIDxkZXRhaWxzIGtleT17Y29uZmxpY3QuaWR9PlxuICAgICAgICAgICAgPHN1bW1hcnk+XG4gICAgICAgICAgICAgIDxzcGFuIHN0eWxlPXt7IGNvbG9yOiAncmVkJyB9fT5cbiAgICAgICAgICAgICAgICB7KGNvbmZsaWN0LnR5cGUgPT09ICdyZW1vdmUnKSA/IHQoJ1JlbW92ZWQnKSA6IHQoJ092ZXJ3cml0dGVuJyl9XG4gICAgICAgICAgICAgIDwvc3Bhbj5cbiAgICAgICAgICAgICAge2AgJHtjb25mbGljdC5maWxlfTogJHtjb25mbGljdC54cGF0aH1gfVxuICAgICAgICAgICAgPC9zdW1tYXJ5PlxuICAgICAgICAgICAgPHVsPlxuICAgICAgICAgICAgICB7Y29uZmxpY3QuZW50cmllcy5tYXAoKGVudHJ5LCBpZHgpID0+IChcbiAgICAgICAgICAgICAgICA8bGkga2V5PXtpZHh9PlxuICAgICAgICAgICAgICAgICAge2Ake21vZE5hbWUoZW50cnkubW9kSWQpfTogJHtlbnRyeS5vcH0gJHtlbnRyeS54cGF0aH1gfVxuICAgICAgICAgICAgICAgICAgeyhlbnRyeS52YWx1ZSAhPT0gdW5kZWZpbmVkKSA/IGAgPSAke2VudHJ5LnZhbHVlfWAgOiBudWxsfVxuICAgICAgICAgICAgICAgIDwvbGk+XG4gICAgICAgICAgICAgICkpfVxuICAgICAgICAgICAgPC91bD5cbiAgICAgICAgICAgIDxkaXY+XG4gICAgICAgICAgICAgIHt0KCdXaW5uZXI6IHt7bmFtZX19Jywge1xuICAgICAgICAgICAgICAgIHJlcGxhY2U6IHsgbmFtZTogbW9kTmFtZSh4cGF0aENvbmZsaWN0V2lubmVyKGNvbmZsaWN0LCBsb2FkT3JkZXIpKSB9IH0pfVxuICAgICAgICAgICAgPC9kaXY+XG4gICAgICAgICAgPC9kZXRhaWxzPlxuICAgICAgICApKX1cbiAgICAgIDwvZGl2PlxuICAgIDwvZGl2PlxuICApO1xufVxuXG5mdW5jdGlvbiBJbmZvUGFuZWxXcmFwKHByb3BzOiB7IGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgcHJvZmlsZUlkOiBzdHJpbmcgfSkge1xuICBjb25zdCB7IGFwaSwgcHJvZmlsZUlkIH0gPSBwcm9wcztcbiAgY29uc3QgY3VycmVudE9mZnNldCA9IHVzZVNlbGVjdG9yKChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PlxuICAgIG1ha2VQcmVmaXgodXRpbC5nZXRTYWZlKHN0YXRlLFxuICAgICAgWydzZXR0aW5ncycsICc3ZGF5c3RvZGllJywgJ3ByZWZpeE9mZnNldCcsIHByb2ZpbGVJZF0sIDApKSk7XG4gIGNvbnN0IGNvbmZsaWN0cyA9IHVzZVNlbGVjdG9yKChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PlxuICAgIHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXNzaW9uJywgJzdkYXlzdG9kaWUnLCAneHBhdGhDb25mbGljdHMnXSwgW10pKTtcbiAgY29uc3QgbG9hZE9yZGVyID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XG4gICAgdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZUlkXSwgW10pKTtcbiAgY29uc3QgbW9kcyA9IHVzZVNlbGVjdG9yKChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PlxuICAgIHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pKTtcblxuICByZXR1cm4gKFxuICAgIDxkaXY+XG4gICAgICA8SW5mb1BhbmVsXG4gICAgICAgIHQ9e2FwaS50cmFuc2xhdGV9XG4gICAgICAgIGN1cnJlbnRPZmZzZXQ9e2N1cnJlbnRPZmZzZXR9XG4gICAgICAvPlxuICAgICAgPFhQYXRoQ29uZmxpY3RzXG4gICAgICAgIHQ9e2FwaS50cmFuc2xhdGV9XG4gICAgICAgIGNvbmZsaWN0cz17Y29uZmxpY3RzfVxuICAgICAgICBsb2FkT3JkZXI9e2xvYWRPcmRlcn1cbiAgICAgICAgbW9kcz17bW9kc31cbiAgICAgIC8+XG4gICAgPC9kaXY+XG4gICk7XG59XG5cbmZ1bmN0aW9uIG1haW4oY29udGV4dDogdHlwZXMuSUV4dGVuc2lvbkNvbnRleHQpIHtcbiAgY29udGV4dC5yZWdpc3RlclJlZHVjZXIoWydzZXR0aW5ncycsICc3ZGF5c3RvZGllJ10sIHJlZHVjZXIpO1xuICBjb250ZXh0LnJlZ2lzdGVyUmVkdWNlcihbJ3Nlc3Npb24nLCAnN2RheXN0b2RpZSddLCBzZXNzaW9uUmVkdWNlcik7XG5cbiAgY29uc3QgZ2V0TW9kc1BhdGggPSAoKSA9PiB7XG4gICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgIGNvbnN0IHVkZiA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXR0aW5ncycsICc3ZGF5c3RvZGllJywgJ3VkZiddLCB1bmRlZmluZWQpO1xuICAgIHJldHVybiB1ZGYgIT09IHVuZGVmaW5lZCA/IHBhdGguam9pbih1ZGYsICdNb2RzJykgOiAnTW9kcyc7XG4gIH1cblxuICBjb250ZXh0LnJlZ2lzdGVyR2FtZSh7XG4gICAgaWQ6IEdBTUVfSUQsXG4gICAgbmFtZTogJzcgRGF5cyB0byBEaWUnLFxuICAgIG1lcmdlTW9kczogKG1vZCkgPT4gdG9MT1ByZWZpeChjb250ZXh0LCBtb2QpLFxuICAgIHF1ZXJ5UGF0aDogdG9CbHVlKGZpbmRHYW1lKSxcbiAgICBzdXBwb3J0ZWRUb29sczogW10sXG4gICAgcXVlcnlNb2RQYXRoOiBnZXRNb2RzUGF0aCxcbiAgICBsb2dvOiAnZ2FtZWFydC5qcGcnLFxuICAgIGV4ZWN1dGFibGU6IGdhbWVFeGVjdXRhYmxlLFxuICAgIHJlcXVpcmVkRmlsZXM6IFtcbiAgICAgIGdhbWVFeGVjdXRhYmxlKCksXG4gICAgXSxcbiAgICByZXF1aXJlc0xhdW5jaGVyLFxuICAgIGdldEdhbWVWZXJzaW9uLFxuICAgIHNldHVwOiB0b0JsdWUoKGRpc2NvdmVyeSkgPT4gcHJlcGFyZUZvck1vZGRpbmcoY29udGV4dCwgZGlzY292ZXJ5KSksXG4gICAgZW52aXJvbm1lbnQ6IHtcbiAgICAgIFN0ZWFtQVBQSWQ6IFNURUFNX0lELFxuICAgIH0sXG4gICAgZGV0YWlsczoge1xuICAgICAgc3RlYW1BcHBJZDogK1NURUFNX0lELFxuICAgICAgaGFzaEZpbGVzOiBbJzdEYXlzVG9EaWVfRGF0YS9NYW5hZ2VkL0Fzc2VtYmx5LUNTaGFycC5kbGwnXSxcbiAgICB9LFxuICB9KTtcblxuICBjb250ZXh0LnJlZ2lzdGVyTG9hZE9yZGVyKHtcbiAgICBkZXNlcmlhbGl6ZUxvYWRPcmRlcjogKCkgPT4gZGVzZXJpYWxpemUoY29udGV4dCksXG4gICAgc2VyaWFsaXplTG9hZE9yZGVyOiAoKGxvYWRPcmRlciwgcHJldikgPT4gc2VyaWFsaXplKGNvbnRleHQsIGxvYWRPcmRlciwgcHJldikpIGFzIGFueSxcbiAgICB2YWxpZGF0ZSxcbiAgICBnYW1lSWQ6IEdBTUVfSUQsXG4gICAgdG9nZ2xlYWJsZUVudHJpZXM6IGZhbHNlLFxuICAgIHVzYWdlSW5zdHJ1Y3Rpb25zOiAoKCkgPT4ge1xuICAgICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgICAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpPy5pZDtcbiAgICAgIGlmIChwcm9maWxlSWQgPT09IHVuZGVmaW5lZCkge1xuICAgICAgICByZXR1cm4gbnVsbDtcbiAgICAgIH1cbiAgICAgIHJldHVybiAoXG4gICAgICAgIDxJbmZvUGFuZWxXcmFwIGFwaT17Y29udGV4dC5hcGl9IHByb2ZpbGVJZD17cHJvZmlsZUlkfSAvPlxuICAgICAgKTtcbiAgICB9KSBhcyBhbnksXG4gIH0pO1xuXG4gIGNvbnRleHQucmVnaXN0ZXJBY3Rpb24oJ2ZiLWxvYWQtb3JkZXItaWNvbnMnLCAxNTAsICdsb290LXNvcnQnLCB7fSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAnUHJlZml4IE9mZnNldCBBc3NpZ24nLCAoKSA9PiB7XG4gICAgc2V0UHJlZml4T2Zmc2V0RGlhbG9nKGNvbnRleHQuYXBpKTtcbiAgfSwgKCkgPT4ge1xuICAgIGNvbnN0IHN0YXRlID0gY29udGV4dC5hcGkuZ2V0U3RhdGUoKTtcbiAgICBjb25zdCBhY3RpdmVHYW1lID0gc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChzdGF0ZSk7XG4gICAgcmV0dXJuIGFjdGl2ZUdhbWUgPT09IEdBTUVfSUQ7XG4gIH0pO1xuXG4gIGNvbnRleHQucmVnaXN0ZXJBY3Rpb24oJ2ZiLWxvYWQtb3JkZXItaWNvbnMnLCAxNTAsICdsb290LXNvcnQnLCB7fSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAnUHJlZml4IE9mZnNldCBSZXNldCcsICgpID0+IHtcbiAgICByZXNldFByZWZpeE9mZnNldChjb250ZXh0LmFwaSk7XG4gIH0sICgpID0+IHtcbiAgICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XG4gICAgY29uc3QgYWN0aXZlR2FtZSA9IHNlbGVjdG9ycy5hY3RpdmVHYW1lSWQoc3RhdGUpO1xuICAgIHJldHVybiBhY3RpdmVHYW1lID09PSBHQU1FX0lEO1xuICB9KTtcblxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdmYi1sb2FkLW9yZGVyLWljb25zJywgMTYwLCAnc2V0dGluZ3MnLCB7fSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAnRGVkaWNhdGVkIFNlcnZlciBGb2xkZXInLCAoKSA9PiB7XG4gICAgc2VsZWN0U2VydmVyUGF0aChjb250ZXh0LmFwaSwgKHNlcnZlclBhdGg6IHN0cmluZykgPT4ge1xuICAgICAgY29udGV4dC5hcGkuc3RvcmUuZGlzcGF0Y2goc2V0U2VydmVyUGF0aChzZXJ2ZXJQYXRoKSk7XG4gICAgICBhcHBseURlcGxveVRhcmdldHMoY29udGV4dC5hcGkpO1xuICAgIH0pLmNhdGNoKGVyciA9PiB7XG4gICAgICBjb250ZXh0LmFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBzZXQgZGVkaWNhdGVkIHNlcnZlciBmb2xkZXInLCBlcnIsXG4gICAgICAgIHsgYWxsb3dSZXBvcnQ6ICFbJ0VOT0VOVCcsICdFUEVSTSddLmluY2x1ZGVzKGVyci5jb2RlKSB9KTtcbiAgICB9KTtcbiAgfSwgKCkgPT4ge1xuICAgIGNvbnN0IHN0YXRlID0gY29udGV4dC5hcGkuZ2V0U3RhdGUoKTtcbiAgICBjb25zdCBhY3RpdmVHYW1lID0gc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChzdGF0ZSk7XG4gICAgcmV0dXJuIGFjdGl2ZUdhbWUgPT09IEdBTUVfSUQ7XG4gIH0pO1xuXG4gIGNvbnRleHQucmVnaXN0ZXJBY3Rpb24oJ2ZiLWxvYWQtb3JkZXItaWNvbnMnLCAxNzAsICdkZXRhaWxzJywge30sXG4gICAgICAgICAgICAgICAgICAgICAgICAgJ0RlcGxveW1lbnQgUmVwb3J0JywgKCkgPT4ge1xuICAgIHNob3dEZXBsb3ltZW50UmVwb3J0KGNvbnRleHQuYXBpLCAobW9kKSA9PiB0b0xPUHJlZml4KGNvbnRleHQsIG1vZCkpO1xuICB9LCAoKSA9PiB7XG4gICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgIGNvbnN0IGFjdGl2ZUdhbWUgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcbiAgICByZXR1cm4gYWN0aXZlR2FtZSA9PT0gR0FNRV9JRDtcbiAgfSk7XG5cbiAgY29uc3QgZGVwbG95VGFyZ2V0TmFtZXM6IHsgW3RhcmdldDogc3RyaW5nXTogc3RyaW5nIH0gPSB7XG4gICAgYm90aDogJ0NsaWVudCAmIFNlcnZlcicsXG4gICAgY2xpZW50OiAnQ2xpZW50IG9ubHknLFxuICAgIHNlcnZlcjogJ1NlcnZlciBvbmx5JyxcbiAgfTtcbiAgY29udGV4dC5yZWdpc3RlclRhYmxlQXR0cmlidXRlKCdtb2RzJywge1xuICAgIGlkOiAnN2R0ZC1kZXBsb3ktdGFyZ2V0JyxcbiAgICBwb3NpdGlvbjogOTAsXG4gICAgY29uZGl0aW9uOiAoKSA9PiAoc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChjb250ZXh0LmFwaS5nZXRTdGF0ZSgpKSA9PT0gR0FNRV9JRClcbiAgICAgICYmIChnZXRTZXJ2ZXJNb2RzUGF0aChjb250ZXh0LmFwaS5nZXRTdGF0ZSgpKSAhPT0gdW5kZWZpbmVkKSxcbiAgICBwbGFjZW1lbnQ6ICdib3RoJyxcbiAgICBjYWxjOiAobW9kOiB0eXBlcy5JTW9kKSA9PiBJTlZBTElEX0xPX01PRF9UWVBFUy5pbmNsdWRlcyhtb2QudHlwZSlcbiAgICAgID8gdW5kZWZpbmVkXG4gICAgICA6IGRlcGxveVRhcmdldE5hbWVzW2RlcGxveVRhcmdldChtb2QpXSxcbiAgICBuYW1lOiAnRGVwbG95IFRvJyxcbiAgICBoZWxwOiAnV2hldGhlciB0aGUgbW9kbGV0IGdldHMgZGVwbG95ZWQgdG8gdGhlIGdhbWUsIHRoZSBkZWRpY2F0ZWQgc2VydmVyIG9yIGJvdGgnLFxuICAgIGlzRGVmYXVsdFZpc2libGU6IHRydWUsXG4gICAgaXNHcm91cGFibGU6IHRydWUsXG4gICAgaXNTb3J0YWJsZTogdHJ1ZSxcbiAgICBlZGl0OiB7XG4gICAgICBjaG9pY2VzOiAoKSA9PiBPYmplY3Qua2V5cyhkZXBsb3lUYXJnZXROYW1lcylcbiAgICAgICAgLm1hcChrZXkgPT4gKHsga2V5LCB0ZXh0OiBkZXBsb3lUYXJnZXROYW1lc1trZXldIH0pKSxcbiAgICAgIG9uQ2hhbmdlVmFsdWU6IChtb2RzOiB0eXBlcy5JTW9kIHwgdHlwZXMuSU1vZFtdLCB2YWx1ZTogRGVwbG95VGFyZ2V0KSA9PiB7XG4gICAgICAgIGNvbnN0IG1vZElkcyA9IFtdLmNvbmNhdChtb2RzKVxuICAgICAgICAgIC5maWx0ZXIobW9kID0+ICFJTlZBTElEX0xPX01PRF9UWVBFUy5pbmNsdWRlcyhtb2QudHlwZSkpXG4gICAgICAgICAgLm1hcChtb2QgPT4gbW9kLmlkKTtcbiAgICAgICAgc2V0RGVwbG95VGFyZ2V0KGNvbnRleHQuYXBpLCBtb2RJZHMsIHZhbHVlKTtcbiAgICAgIH0sXG4gICAgfSxcbiAgfSk7XG5cbiAgY29uc3QgZ2V0T3ZlcmhhdWxQYXRoID0gKGdhbWU6IHR5cGVzLklHYW1lKSA9PiB7XG4gICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgIGNvbnN0IGRpc2NvdmVyeSA9IHNlbGVjdG9ycy5kaXNjb3ZlcnlCeUdhbWUoc3RhdGUsIEdBTUVfSUQpO1xuICAgIHJldHVybiBkaXNjb3Zlcnk/LnBhdGg7XG4gIH07XG5cbiAgY29udGV4dC5yZWdpc3Rlckluc3RhbGxlcignN2R0ZC1tb2QnLCAyNSxcbiAgICB0b0JsdWUodGVzdFN1cHBvcnRlZENvbnRlbnQpLCB0b0JsdWUoaW5zdGFsbENvbnRlbnQpKTtcblxuICBjb250ZXh0LnJlZ2lzdGVySW5zdGFsbGVyKCc3ZHRkLXJvb3QtbW9kJywgMjAsIHRvQmx1ZSh0ZXN0Um9vdE1vZCksIHRvQmx1ZShpbnN0YWxsUm9vdE1vZCkpO1xuICBjb250ZXh0LnJlZ2lzdGVyTW9kVHlwZShTRVJWRVJfTU9EX1RZUEUsIDI1LCAoZ2FtZUlkKSA9PiBnYW1lSWQgPT09IEdBTUVfSUQsXG4gICAgKCkgPT4gZ2V0U2VydmVyTW9kc1BhdGgoY29udGV4dC5hcGkuZ2V0U3RhdGUoKSksICgpID0+IFByb21pc2UucmVzb2x2ZShmYWxzZSkgYXMgYW55LFxuICAgIHsgbmFtZTogJ0RlZGljYXRlZCBTZXJ2ZXIgTW9kbGV0JywgbWVyZ2VNb2RzOiAobW9kKSA9PiB0b0xPUHJlZml4KGNvbnRleHQsIG1vZCkgfSBhcyBhbnkpO1xuICBjb250ZXh0LnJlZ2lzdGVyTW9kVHlwZSgnN2R0ZC1yb290LW1vZCcsIDIwLCAoZ2FtZUlkKSA9PiBnYW1lSWQgPT09IEdBTUVfSUQsXG4gICAgZ2V0T3ZlcmhhdWxQYXRoLCAoaW5zdHJ1Y3Rpb25zKSA9PiB7XG4gICAgICBjb25zdCBjYW5kaWRhdGVGb3VuZCA9IGhhc0NhbmRpZGF0ZShpbnN0cnVjdGlvbnNcbiAgICAgICAgLmZpbHRlcihpbnN0ciA9PiAhIWluc3RyLmRlc3RpbmF0aW9uKVxuICAgICAgICAubWFwKGluc3RyID0+IGluc3RyLmRlc3RpbmF0aW9uKSk7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKGNhbmRpZGF0ZUZvdW5kKSBhcyBhbnk7XG4gICAgfSxcbiAgICAgIHsgbmFtZTogJ1Jvb3QgRGlyZWN0b3J5IE1vZCcsIG1lcmdlTW9kczogdHJ1ZSwgZGVwbG95bWVudEVzc2VudGlhbDogZmFsc2UgfSk7XG5cbiAgY29udGV4dC5vbmNlKCgpID0+IHtcbiAgICBjb250ZXh0LmFwaS5vbkFzeW5jKCdkaWQtZGVwbG95JywgYXN5bmMgKHByb2ZpbGVJZDogc3RyaW5nKSA9PiB7XG4gICAgICBjb25zdCBwcm9maWxlID0gc2VsZWN0b3JzLnByb2ZpbGVCeUlkKGNvbnRleHQuYXBpLmdldFN0YXRlKCksIHByb2ZpbGVJZCk7XG4gICAgICBpZiAocHJvZmlsZT8uZ2FtZUlkICE9PSBHQU1FX0lEKSB7XG4gICAgICAgIHJldHVybjtcbiAgICAgIH1cbiAgICAgIHRyeSB7XG4gICAgICAgIGF3YWl0IHN5bmNTZXJ2ZXJNb2RzKGNvbnRleHQuYXBpLCBwcm9maWxlLCAobW9kKSA9PiB0b0xPUHJlZml4KGNvbnRleHQsIG1vZCkpO1xuICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgIGNvbnRleHQuYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIGRlcGxveSBtb2RsZXRzIHRvIHRoZSBkZWRpY2F0ZWQgc2VydmVyJywgZXJyLFxuICAgICAgICAgIHsgYWxsb3dSZXBvcnQ6ICFbJ0VOT0VOVCcsICdFUEVSTScsICdFQlVTWSddLmluY2x1ZGVzKGVyci5jb2RlKSB9KTtcbiAgICAgIH1cbiAgICAgIGF3YWl0IHVwZGF0ZVhQYXRoQ29uZmxpY3RzKGNvbnRleHQuYXBpKTtcbiAgICB9KTtcbiAgICBjb250ZXh0LmFwaS5vbkFzeW5jKCdkaWQtcHVyZ2UnLCBhc3luYyAocHJvZmlsZUlkOiBzdHJpbmcpID0+IHtcbiAgICAgIGNvbnN0IHByb2ZpbGUgPSBzZWxlY3RvcnMucHJvZmlsZUJ5SWQoY29udGV4dC5hcGkuZ2V0U3RhdGUoKSwgcHJvZmlsZUlkKTtcbiAgICAgIGlmIChwcm9maWxlPy5nYW1lSWQgPT09IEdBTUVfSUQpIHtcbiAgICAgICAgYXdhaXQgcHVyZ2VTZXJ2ZXJNb2RzKGNvbnRleHQuYXBpKVxuICAgICAgICAgIC5jYXRjaChlcnIgPT4gbG9nKCd3YXJuJywgJ2ZhaWxlZCB0byBwdXJnZSBkZWRpY2F0ZWQgc2VydmVyIG1vZGxldHMnLCBlcnIubWVzc2FnZSkpO1xuICAgICAgfVxuICAgIH0pO1xuICB9KTtcblxuICAvLyB0aGUgTW9kSW5mby54bWwgZmllbGRzLCBzaG93biBhcyBjb2x1bW5zIG9uIHRoZSBNb2RzIHBhZ2VcbiAgY29uc3QgbW9kSW5mb0NvbHVtbnMgPSBbXG4gICAgeyBmaWVsZDogJ25hbWUnLCBuYW1lOiAnTW9kbGV0IE5hbWUnLFxuICAgICAgaGVscDogJ1RoZSBuYW1lIHRoZSBnYW1lIGlkZW50aWZpZXMgdGhlIG1vZGxldCBieSwgYXMgc2V0IGluIGl0cyBNb2RJbmZvLnhtbCcgfSxcbiAgICB7IGZpZWxkOiAnZGlzcGxheU5hbWUnLCBuYW1lOiAnRGlzcGxheSBOYW1lJyB9LFxuICAgIHsgZmllbGQ6ICd2ZXJzaW9uJywgbmFtZTogJ01vZGxldCBWZXJzaW9uJyxcbiAgICAgIGhlbHA6ICdUaGUgdmVyc2lvbiBzZXQgaW4gdGhlIE1vZEluZm8ueG1sJyB9LFxuICAgIHsgZmllbGQ6ICdhdXRob3InLCBuYW1lOiAnTW9kbGV0IEF1dGhvcicgfSxcbiAgICB7IGZpZWxkOiAnd2Vic2l0ZScsIG5hbWU6ICdXZWJzaXRlJyB9LFxuICAgIHsgZmllbGQ6ICdnYW1lVmVyc2lvbicsIG5hbWU6ICdHYW1lIFZlcnNpb24nLFxuICAgICAgaGVscDogJ1RoZSBnYW1lIHZlcnNpb24gdGhlIG1vZGxldCB3YXMgbWFkZSBmb3IsIGlmIHRoZSBhdXRob3IgbWVudGlvbnMgaXQnIH0sXG4gIF07XG4gIG1vZEluZm9Db2x1bW5zLmZvckVhY2goKGNvbHVtbiwgaWR4KSA9PiB7XG4gICAgY29udGV4dC5yZWdpc3RlclRhYmxlQXR0cmlidXRlKCdtb2RzJywge1xuICAgICAgaWQ6IGA3ZHRkLW1vZGluZm8tJHtjb2x1bW4uZmllbGR9YCxcbiAgICAgIHBvc2l0aW9uOiAxMDAgKyBpZHggKiAxMCxcbiAgICAgIGNvbmRpdGlvbjogKCkgPT4gc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChjb250ZXh0LmFwaS5nZXRTdGF0ZSgpKSA9PT0gR0FNRV9JRCxcbiAgICAgIHBsYWNlbWVudDogJ2JvdGgnLFxuICAgICAgY2FsYzogKG1vZDogdHlwZXMuSU1vZCkgPT4gbW9kLmF0dHJpYnV0ZXM/LltNT0RJTkZPX0FUVFJJQlVURVNbY29sdW1uLmZpZWxkXV0sXG4gICAgICBuYW1lOiBjb2x1bW4ubmFtZSxcbiAgICAgIGhlbHA6IGNvbHVtbi5oZWxwLFxuICAgICAgaXNEZWZhdWx0VmlzaWJsZTogdHJ1ZSxcbiAgICAgIGlzU29ydGFibGU6IHRydWUsXG4gICAgICBlZGl0OiB7fSxcbiAgICB9KTtcbiAgfSk7XG5cbiAgY29udGV4dC5yZWdpc3RlclRlc3QoJzdkdGQtbW9kaW5mby1pc3N1ZXMnLCAnZ2FtZW1vZGUtYWN0aXZhdGVkJyxcbiAgICB0b0JsdWUoKCkgPT4gdGVzdE1vZEluZm8oY29udGV4dC5hcGkpKSk7XG4gIGNvbnRleHQucmVnaXN0ZXJUZXN0KCc3ZHRkLW1vZGluZm8taXNzdWVzJywgJ21vZC1hY3RpdmF0ZWQnLFxuICAgIHRvQmx1ZSgoKSA9PiB0ZXN0TW9kSW5mbyhjb250ZXh0LmFwaSkpKTtcblxuICBjb250ZXh0LnJlZ2lzdGVyTWlncmF0aW9uKHRvQmx1ZShvbGQgPT4gbWlncmF0ZTAyMChjb250ZXh0LmFwaSwgb2xkKSkpO1xuICBjb250ZXh0LnJlZ2lzdGVyTWlncmF0aW9uKHRvQmx1ZShvbGQgPT4gbWlncmF0ZTEwMChjb250ZXh0LCBvbGQpKSk7XG4gIGNvbnRleHQucmVnaXN0ZXJNaWdyYXRpb24odG9CbHVlKG9sZCA9PiBtaWdyYXRlMTAxMShjb250ZXh0LCBvbGQpKSk7XG5cbiAgcmV0dXJuIHRydWU7XG59XG5cbm1vZHVsZS5leHBvcnRzID0ge1xuICBkZWZhdWx0OiBtYWluLFxufTtcbiJdfQ==
\ No newline at end of file
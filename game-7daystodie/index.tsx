@@ -1,17 +1,22 @@
 import path from 'path';
 import { useSelector } from 'react-redux';
-import { actions, fs, selectors, types, util } from 'vortex-api';
+import { actions, fs, log, selectors, types, util } from 'vortex-api';
 
 import * as React from 'react';
 
-import { setPrefixOffset, setUDF } from './actions';
-import { reducer } from './reducers';
+import { setPrefixOffset, setServerPath, setUDF } from './actions';
+import { reducer, sessionReducer } from './reducers';
 
-import { GAME_ID, gameExecutable, MOD_INFO, launcherSettingsFilePath, DEFAULT_LAUNCHER_SETTINGS } from './common';
+import { GAME_ID, gameExecutable, MOD_INFO, MODINFO_ATTRIBUTES, launcherSettingsFilePath,
+         DEFAULT_LAUNCHER_SETTINGS, INVALID_LO_MOD_TYPES, SERVER_MOD_TYPE } from './common';
 import { deserialize, serialize, validate } from './loadOrder';
 import { migrate020, migrate100, migrate1011 } from './migrations';
-import { ILoadOrderEntry, IProps } from './types';
-import { ensureLOFile, genProps, getModName, makePrefix, reversePrefix, toBlue } from './util';
+import { applyDeployTargets, deployTarget, getServerModsPath, purgeServerMods, selectServerPath,
+         setDeployTarget, showDeploymentReport, syncServerMods } from './serverDeploy';
+import { testModInfo } from './tests';
+import { DeployTarget, ILoadOrderEntry, IProps, IXPathConflict } from './types';
+import { ensureLOFile, genProps, getGameVersion, getModInfo, makePrefix, reversePrefix, toBlue } from './util';
+import { updateXPathConflicts, xpathConflictWinner } from './xpathConflicts';
 
 const STEAM_ID = '251570';
 const STEAM_DLL = 'steamclient64.dll';
@@ -166,10 +171,8 @@ async function installContent(files: string[],
   //  of the mod itself; we're going to disregard anything placed outside the root.
   const modFile = files.find(file => path.basename(file).toLowerCase() === MOD_INFO);
   const rootPath = path.dirname(modFile);
-  return getModName(path.join(destinationPath, modFile))
-    .then(modName => {
-      modName = modName.replace(/[^a-zA-Z0-9]/g, '');
-
+  return getModInfo(path.join(destinationPath, modFile))
+    .then(modInfo => {
       // Remove directories and anything that isn't in the rootPath (also directories).
       const filtered = files.filter(filePath =>
         filePath.startsWith(rootPath) && !filePath.endsWith(path.sep));
@@ -182,6 +185,16 @@ async function installContent(files: string[],
         };
       });
 
+      // Store the ModInfo.xml fields so we can display them and check for issues
+      //  without having to parse the file again.
+      Object.keys(MODINFO_ATTRIBUTES)
+        .filter(key => modInfo[key] !== undefined)
+        .forEach(key => instructions.push({
+          type: 'attribute',
+          key: MODINFO_ATTRIBUTES[key],
+          value: modInfo[key],
+        }));
+
       return Promise.resolve({ instructions });
     });
 }
@@ -284,22 +297,85 @@ function InfoPanel(props) {
   );
 }
 
+function XPathConflicts(props) {
+  const { t, conflicts, loadOrder, mods } = props;
+  if (conflicts.length === 0) {
+    return null;
+  }
+
+  const modName = (modId: string) => {
+    const prefix = loadOrder.find(entry => entry.id === modId)?.data?.prefix;
+    const name = (mods[modId] !== undefined) ? util.renderModName(mods[modId]) : modId;
+    return (prefix !== undefined) ? `${prefix}-${name}` : name;
+  };
+
+  return (
+    <div>
+      <hr/>
+      <div>
+        {t('The following XPath nodes are patched by more than one modlet. Modlets further down '
+         + 'the load order are applied later, so the last one to set a node wins, while a node '
+         + 'that got removed can no longer be patched by any modlet.')}
+      </div>
+      <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+        {conflicts.map((conflict: IXPathConflict) => (
+          <details key={conflict.id}>
+            <summary>
+              <span style={{ color: 'red' }}>
+                {(conflict.type === 'remove') ? t('Removed') : t('Overwritten')}
+              </span>
+              {` ${conflict.file}: ${conflict.xpath}`}
+            </summary>
+            <ul>
+              {conflict.entries.map((entry, idx) => (
+                <li key={idx}>
+                  {`${modName(entry.modId)}: ${entry.op} ${entry.xpath}`}
+                  {(entry.value !== undefined) ? ` = ${entry.value}` : null}
+                </li>
+              ))}
+            </ul>
+            <div>
+              {t('Winner: {{name}}', {
+                replace: { name: modName(xpathConflictWinner(conflict, loadOrder)) } })}
+            </div>
+          </details>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function InfoPanelWrap(props: { api: types.IExtensionApi, profileId: string }) {
   const { api, profileId } = props;
   const currentOffset = useSelector((state: types.IState) =>
     makePrefix(util.getSafe(state,
       ['settings', '7daystodie', 'prefixOffset', profileId], 0)));
+  const conflicts = useSelector((state: types.IState) =>
+    util.getSafe(state, ['session', '7daystodie', 'xpathConflicts'], []));
+  const loadOrder = useSelector((state: types.IState) =>
+    util.getSafe(state, ['persistent', 'loadOrder', profileId], []));
+  const mods = useSelector((state: types.IState) =>
+    util.getSafe(state, ['persistent', 'mods', GAME_ID], {}));
 
   return (
-    <InfoPanel
-      t={api.translate}
-      currentOffset={currentOffset}
-    />
+    <div>
+      <InfoPanel
+        t={api.translate}
+        currentOffset={currentOffset}
+      />
+      <XPathConflicts
+        t={api.translate}
+        conflicts={conflicts}
+        loadOrder={loadOrder}
+        mods={mods}
+      />
+    </div>
   );
 }
 
 function main(context: types.IExtensionContext) {
   context.registerReducer(['settings', '7daystodie'], reducer);
+  context.registerReducer(['session', '7daystodie'], sessionReducer);
 
   const getModsPath = () => {
     const state = context.api.getState();
@@ -320,6 +396,7 @@ function main(context: types.IExtensionContext) {
       gameExecutable(),
     ],
     requiresLauncher,
+    getGameVersion,
     setup: toBlue((discovery) => prepareForModding(context, discovery)),
     environment: {
       SteamAPPId: STEAM_ID,
@@ -366,6 +443,61 @@ function main(context: types.IExtensionContext) {
     return activeGame === GAME_ID;
   });
 
+  context.registerAction('fb-load-order-icons', 160, 'settings', {},
+                         'Dedicated Server Folder', () => {
+    selectServerPath(context.api, (serverPath: string) => {
+      context.api.store.dispatch(setServerPath(serverPath));
+      applyDeployTargets(context.api);
+    }).catch(err => {
+      context.api.showErrorNotification('Failed to set dedicated server folder', err,
+        { allowReport: !['ENOENT', 'EPERM'].includes(err.code) });
+    });
+  }, () => {
+    const state = context.api.getState();
+    const activeGame = selectors.activeGameId(state);
+    return activeGame === GAME_ID;
+  });
+
+  context.registerAction('fb-load-order-icons', 170, 'details', {},
+                         'Deployment Report', () => {
+    showDeploymentReport(context.api, (mod) => toLOPrefix(context, mod));
+  }, () => {
+    const state = context.api.getState();
+    const activeGame = selectors.activeGameId(state);
+    return activeGame === GAME_ID;
+  });
+
+  const deployTargetNames: { [target: string]: string } = {
+    both: 'Client & Server',
+    client: 'Client only',
+    server: 'Server only',
+  };
+  context.registerTableAttribute('mods', {
+    id: '7dtd-deploy-target',
+    position: 90,
+    condition: () => (selectors.activeGameId(context.api.getState()) === GAME_ID)
+      && (getServerModsPath(context.api.getState()) !== undefined),
+    placement: 'both',
+    calc: (mod: types.IMod) => INVALID_LO_MOD_TYPES.includes(mod.type)
+      ? undefined
+      : deployTargetNames[deployTarget(mod)],
+    name: 'Deploy To',
+    help: 'Whether the modlet gets deployed to the game, the dedicated server or both',
+    isDefaultVisible: true,
+    isGroupable: true,
+    isSortable: true,
+    edit: {
+      choices: () => Object.keys(deployTargetNames)
+        .map(key => ({ key, text: deployTargetNames[key] })),
+      onChangeValue: (mods: types.IMod | types.IMod[], value: DeployTarget) => {
+        const modIds = [].concat(mods)
+          .filter(mod => !INVALID_LO_MOD_TYPES.includes(mod.type))
+          .map(mod => mod.id);
+        setDeployTarget(context.api, modIds, value);
+      },
+    },
+  });
+
   const getOverhaulPath = (game: types.IGame) => {
     const state = context.api.getState();
     const discovery = selectors.discoveryByGame(state, GAME_ID);
@@ -376,6 +508,9 @@ function main(context: types.IExtensionContext) {
     toBlue(testSupportedContent), toBlue(installContent));
 
   context.registerInstaller('7dtd-root-mod', 20, toBlue(testRootMod), toBlue(installRootMod));
+  context.registerModType(SERVER_MOD_TYPE, 25, (gameId) => gameId === GAME_ID,
+    () => getServerModsPath(context.api.getState()), () => Promise.resolve(false) as any,
+    { name: 'Dedicated Server Modlet', mergeMods: (mod) => toLOPrefix(context, mod) } as any);
   context.registerModType('7dtd-root-mod', 20, (gameId) => gameId === GAME_ID,
     getOverhaulPath, (instructions) => {
       const candidateFound = hasCandidate(instructions
@@ -385,6 +520,61 @@ function main(context: types.IExtensionContext) {
     },
       { name: 'Root Directory Mod', mergeMods: true, deploymentEssential: false });
 
+  context.once(() => {
+    context.api.onAsync('did-deploy', async (profileId: string) => {
+      const profile = selectors.profileById(context.api.getState(), profileId);
+      if (profile?.gameId !== GAME_ID) {
+        return;
+      }
+      try {
+        await syncServerMods(context.api, profile, (mod) => toLOPrefix(context, mod));
+      } catch (err) {
+        context.api.showErrorNotification('Failed to deploy modlets to the dedicated server', err,
+          { allowReport: !['ENOENT', 'EPERM', 'EBUSY'].includes(err.code) });
+      }
+      await updateXPathConflicts(context.api);
+    });
+    context.api.onAsync('did-purge', async (profileId: string) => {
+      const profile = selectors.profileById(context.api.getState(), profileId);
+      if (profile?.gameId === GAME_ID) {
+        await purgeServerMods(context.api)
+          .catch(err => log('warn', 'failed to purge dedicated server modlets', err.message));
+      }
+    });
+  });
+
+  // the ModInfo.xml fields, shown as columns on the Mods page
+  const modInfoColumns = [
+    { field: 'name', name: 'Modlet Name',
+      help: 'The name the game identifies the modlet by, as set in its ModInfo.xml' },
+    { field: 'displayName', name: 'Display Name' },
+    { field: 'version', name: 'Modlet Version',
+      help: 'The version set in the ModInfo.xml' },
+    { field: 'author', name: 'Modlet Author' },
+    { field: 'website', name: 'Website' },
+    { field: 'gameVersion', name: 'Game Version',
+      help: 'The game version the modlet was made for, if the author mentions it' },
+  ];
+  modInfoColumns.forEach((column, idx) => {
+    context.registerTableAttribute('mods', {
+      id: `7dtd-modinfo-${column.field}`,
+      position: 100 + idx * 10,
+      condition: () => selectors.activeGameId(context.api.getState()) === GAME_ID,
+      placement: 'both',
+      calc: (mod: types.IMod) => mod.attributes?.[MODINFO_ATTRIBUTES[column.field]],
+      name: column.name,
+      help: column.help,
+      isDefaultVisible: true,
+      isSortable: true,
+      edit: {},
+    });
+  });
+
+  context.registerTest('7dtd-modinfo-issues', 'gamemode-activated',
+    toBlue(() => testModInfo(context.api)));
+  context.registerTest('7dtd-modinfo-issues', 'mod-activated',
+    toBlue(() => testModInfo(context.api)));
+
   context.registerMigration(toBlue(old => migrate020(context.api, old)));
   context.registerMigration(toBlue(old => migrate100(context, old)));
   context.registerMigration(toBlue(old => migrate1011(context, old)));
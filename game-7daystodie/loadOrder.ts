@@ -5,6 +5,7 @@ import { setPreviousLO } from './actions';
 import { GAME_ID, INVALID_LO_MOD_TYPES } from './common';
 import { ILoadOrderEntry, IProps, ISerializableData, LoadOrder } from './types';
 import { ensureLOFile, genProps, getPrefixOffset, makePrefix } from './util';
+import { updateXPathConflicts } from './xpathConflicts';
 
 function isLODifferent(prev: LoadOrder, current: LoadOrder) {
   const diff = _.difference(prev, current);
@@ -139,6 +140,10 @@ export async function deserialize(context: types.IExtensionContext): Promise<Loa
       });
     });
 
+    // The winners of modlet conflicts are derived from the load order, but the
+    //  enabled modlets may have changed so the patches need to be re-analyzed.
+    updateXPathConflicts(context.api);
+
     // At this point you may have noticed that we're not setting the prefix
     //  for the newly added mod entries - we could certainly do that here,
     //  but that would simply be code duplication as we need to assign prefixes
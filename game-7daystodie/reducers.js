@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.reducer = void 0;
+exports.sessionReducer = exports.reducer = void 0;
 const actions_1 = require("./actions");
 const vortex_api_1 = require("vortex-api");
 exports.reducer = {
@@ -16,8 +16,25 @@ exports.reducer = {
         [actions_1.setPreviousLO]: (state, payload) => {
             const { profile, previousLO } = payload;
             return vortex_api_1.util.setSafe(state, ['previousLO', profile], previousLO);
-        }
+        },
+        [actions_1.setServerPath]: (state, payload) => {
+            const { serverPath } = payload;
+            return (serverPath !== undefined)
+                ? vortex_api_1.util.setSafe(state, ['serverPath'], serverPath)
+                : vortex_api_1.util.deleteOrNop(state, ['serverPath']);
+        },
     },
     defaults: {},
 };
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVkdWNlcnMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJyZWR1Y2Vycy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSx1Q0FBbUU7QUFDbkUsMkNBQXlDO0FBQzVCLFFBQUEsT0FBTyxHQUF1QjtJQUN6QyxRQUFRLEVBQUU7UUFDUixDQUFDLHlCQUFzQixDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUU7WUFDM0MsTUFBTSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsR0FBRyxPQUFPLENBQUM7WUFDcEMsT0FBTyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxjQUFjLEVBQUUsT0FBTyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDaEUsQ0FBQztRQUNELENBQUMsZ0JBQWEsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ2xDLE1BQU0sRUFBRSxHQUFHLEVBQUUsR0FBRyxPQUFPLENBQUM7WUFDeEIsT0FBTyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQztRQUMzQyxDQUFDO1FBQ0QsQ0FBQyx1QkFBb0IsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ3pDLE1BQU0sRUFBRSxPQUFPLEVBQUUsVUFBVSxFQUFFLEdBQUcsT0FBTyxDQUFDO1lBQ3hDLE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxFQUFFLFVBQVUsQ0FBQyxDQUFDO1FBQ2xFLENBQUM7S0FDRjtJQUNELFFBQVEsRUFBRSxFQUFFO0NBQ2IsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IHNldFByZWZpeE9mZnNldCwgc2V0UHJldmlvdXNMTywgc2V0VURGIH0gZnJvbSAnLi9hY3Rpb25zJztcbmltcG9ydCB7IHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5leHBvcnQgY29uc3QgcmVkdWNlcjogdHlwZXMuSVJlZHVjZXJTcGVjID0ge1xuICByZWR1Y2Vyczoge1xuICAgIFtzZXRQcmVmaXhPZmZzZXQgYXMgYW55XTogKHN0YXRlLCBwYXlsb2FkKSA9PiB7XG4gICAgICBjb25zdCB7IHByb2ZpbGUsIG9mZnNldCB9ID0gcGF5bG9hZDtcbiAgICAgIHJldHVybiB1dGlsLnNldFNhZmUoc3RhdGUsIFsncHJlZml4T2Zmc2V0JywgcHJvZmlsZV0sIG9mZnNldCk7XG4gICAgfSxcbiAgICBbc2V0VURGIGFzIGFueV06IChzdGF0ZSwgcGF5bG9hZCkgPT4ge1xuICAgICAgY29uc3QgeyB1ZGYgfSA9IHBheWxvYWQ7XG4gICAgICByZXR1cm4gdXRpbC5zZXRTYWZlKHN0YXRlLCBbJ3VkZiddLCB1ZGYpO1xuICAgIH0sXG4gICAgW3NldFByZXZpb3VzTE8gYXMgYW55XTogKHN0YXRlLCBwYXlsb2FkKSA9PiB7XG4gICAgICBjb25zdCB7IHByb2ZpbGUsIHByZXZpb3VzTE8gfSA9IHBheWxvYWQ7XG4gICAgICByZXR1cm4gdXRpbC5zZXRTYWZlKHN0YXRlLCBbJ3ByZXZpb3VzTE8nLCBwcm9maWxlXSwgcHJldmlvdXNMTyk7XG4gICAgfVxuICB9LFxuICBkZWZhdWx0czoge30sXG59OyJdfQ==
\ No newline at end of file
+exports.sessionReducer = {
+    reducers: {
+        [actions_1.setXPathConflicts]: (state, payload) => {
+            const { conflicts } = payload;
+            return vortex_api_1.util.setSafe(state, ['xpathConflicts'], conflicts);
+        },
+    },
+    defaults: {
+        xpathConflicts: [],
+    },
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVkdWNlcnMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJyZWR1Y2Vycy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSx1Q0FBcUc7QUFDckcsMkNBQXlDO0FBQzVCLFFBQUEsT0FBTyxHQUF1QjtJQUN6QyxRQUFRLEVBQUU7UUFDUixDQUFDLHlCQUFzQixDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUU7WUFDM0MsTUFBTSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsR0FBRyxPQUFPLENBQUM7WUFDcEMsT0FBTyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxjQUFjLEVBQUUsT0FBTyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDaEUsQ0FBQztRQUNELENBQUMsZ0JBQWEsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ2xDLE1BQU0sRUFBRSxHQUFHLEVBQUUsR0FBRyxPQUFPLENBQUM7WUFDeEIsT0FBTyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQztRQUMzQyxDQUFDO1FBQ0QsQ0FBQyx1QkFBb0IsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ3pDLE1BQU0sRUFBRSxPQUFPLEVBQUUsVUFBVSxFQUFFLEdBQUcsT0FBTyxDQUFDO1lBQ3hDLE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxFQUFFLFVBQVUsQ0FBQyxDQUFDO1FBQ2xFLENBQUM7UUFDRCxDQUFDLHVCQUFvQixDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUU7WUFDekMsTUFBTSxFQUFFLFVBQVUsRUFBRSxHQUFHLE9BQU8sQ0FBQztZQUMvQixPQUFPLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQztnQkFDL0IsQ0FBQyxDQUFDLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksQ0FBQyxFQUFFLFVBQVUsQ0FBQztnQkFDakQsQ0FBQyxDQUFDLGlCQUFJLENBQUMsV0FBVyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7UUFDOUMsQ0FBQztLQUNGO0lBQ0QsUUFBUSxFQUFFLEVBQUU7Q0FDYixDQUFDO0FBRVcsUUFBQSxjQUFjLEdBQXVCO0lBQ2hELFFBQVEsRUFBRTtRQUNSLENBQUMsMkJBQXdCLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUM3QyxNQUFNLEVBQUUsU0FBUyxFQUFFLEdBQUcsT0FBTyxDQUFDO1lBQzlCLE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsZ0JBQWdCLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUM1RCxDQUFDO0tBQ0Y7SUFDRCxRQUFRLEVBQUU7UUFDUixjQUFjLEVBQUUsRUFBRTtLQUNuQjtDQUNGLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBzZXRQcmVmaXhPZmZzZXQsIHNldFByZXZpb3VzTE8sIHNldFNlcnZlclBhdGgsIHNldFVERiwgc2V0WFBhdGhDb25mbGljdHMgfSBmcm9tICcuL2FjdGlvbnMnO1xuaW1wb3J0IHsgdHlwZXMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcbmV4cG9ydCBjb25zdCByZWR1Y2VyOiB0eXBlcy5JUmVkdWNlclNwZWMgPSB7XG4gIHJlZHVjZXJzOiB7XG4gICAgW3NldFByZWZpeE9mZnNldCBhcyBhbnldOiAoc3RhdGUsIHBheWxvYWQpID0+IHtcbiAgICAgIGNvbnN0IHsgcHJvZmlsZSwgb2Zmc2V0IH0gPSBwYXlsb2FkO1xuICAgICAgcmV0dXJuIHV0aWwuc2V0U2FmZShzdGF0ZSwgWydwcmVmaXhPZmZzZXQnLCBwcm9maWxlXSwgb2Zmc2V0KTtcbiAgICB9LFxuICAgIFtzZXRVREYgYXMgYW55XTogKHN0YXRlLCBwYXlsb2FkKSA9PiB7XG4gICAgICBjb25zdCB7IHVkZiB9ID0gcGF5bG9hZDtcbiAgICAgIHJldHVybiB1dGlsLnNldFNhZmUoc3RhdGUsIFsndWRmJ10sIHVkZik7XG4gICAgfSxcbiAgICBbc2V0UHJldmlvdXNMTyBhcyBhbnldOiAoc3RhdGUsIHBheWxvYWQpID0+IHtcbiAgICAgIGNvbnN0IHsgcHJvZmlsZSwgcHJldmlvdXNMTyB9ID0gcGF5bG9hZDtcbiAgICAgIHJldHVybiB1dGlsLnNldFNhZmUoc3RhdGUsIFsncHJldmlvdXNMTycsIHByb2ZpbGVdLCBwcmV2aW91c0xPKTtcbiAgICB9LFxuICAgIFtzZXRTZXJ2ZXJQYXRoIGFzIGFueV06IChzdGF0ZSwgcGF5bG9hZCkgPT4ge1xuICAgICAgY29uc3QgeyBzZXJ2ZXJQYXRoIH0gPSBwYXlsb2FkO1xuICAgICAgcmV0dXJuIChzZXJ2ZXJQYXRoICE9PSB1bmRlZmluZWQpXG4gICAgICAgID8gdXRpbC5zZXRTYWZlKHN0YXRlLCBbJ3NlcnZlclBhdGgnXSwgc2VydmVyUGF0aClcbiAgICAgICAgOiB1dGlsLmRlbGV0ZU9yTm9wKHN0YXRlLCBbJ3NlcnZlclBhdGgnXSk7XG4gICAgfSxcbiAgfSxcbiAgZGVmYXVsdHM6IHt9LFxufTtcblxuZXhwb3J0IGNvbnN0IHNlc3Npb25SZWR1Y2VyOiB0eXBlcy5JUmVkdWNlclNwZWMgPSB7XG4gIHJlZHVjZXJzOiB7XG4gICAgW3NldFhQYXRoQ29uZmxpY3RzIGFzIGFueV06IChzdGF0ZSwgcGF5bG9hZCkgPT4ge1xuICAgICAgY29uc3QgeyBjb25mbGljdHMgfSA9IHBheWxvYWQ7XG4gICAgICByZXR1cm4gdXRpbC5zZXRTYWZlKHN0YXRlLCBbJ3hwYXRoQ29uZmxpY3RzJ10sIGNvbmZsaWN0cyk7XG4gICAgfSxcbiAgfSxcbiAgZGVmYXVsdHM6IHtcbiAgICB4cGF0aENvbmZsaWN0czogW10sXG4gIH0sXG59OyJdfQ==
\ No newline at end of file
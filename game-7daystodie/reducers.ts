@@ -1,4 +1,4 @@
-import { setPrefixOffset, setPreviousLO, setUDF } from './actions';
+import { setPrefixOffset, setPreviousLO, setServerPath, setUDF, setXPathConflicts } from './actions';
 import { types, util } from 'vortex-api';
 export const reducer: types.IReducerSpec = {
   reducers: {
@@ -13,7 +13,25 @@ export const reducer: types.IReducerSpec = {
     [setPreviousLO as any]: (state, payload) => {
       const { profile, previousLO } = payload;
       return util.setSafe(state, ['previousLO', profile], previousLO);
-    }
+    },
+    [setServerPath as any]: (state, payload) => {
+      const { serverPath } = payload;
+      return (serverPath !== undefined)
+        ? util.setSafe(state, ['serverPath'], serverPath)
+        : util.deleteOrNop(state, ['serverPath']);
+    },
   },
   defaults: {},
+};
+
+export const sessionReducer: types.IReducerSpec = {
+  reducers: {
+    [setXPathConflicts as any]: (state, payload) => {
+      const { conflicts } = payload;
+      return util.setSafe(state, ['xpathConflicts'], conflicts);
+    },
+  },
+  defaults: {
+    xpathConflicts: [],
+  },
 };
\ No newline at end of file
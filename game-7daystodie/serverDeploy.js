@@ -0,0 +1,278 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.showDeploymentReport = exports.selectServerPath = exports.purgeServerMods = exports.syncServerMods = exports.setDeployTarget = exports.applyDeployTargets = exports.deployTarget = exports.getServerModsPath = exports.getServerPath = void 0;
+const path_1 = __importDefault(require("path"));
+const vortex_api_1 = require("vortex-api");
+const common_1 = require("./common");
+const MANIFEST_FILE = 'vortex_7dtd_server.json';
+const COLLISION_NOTIFICATION_ID = '7dtd-server-mod-collisions';
+function getServerPath(state) {
+    return vortex_api_1.util.getSafe(state, ['settings', '7daystodie', 'serverPath'], undefined);
+}
+exports.getServerPath = getServerPath;
+function getServerModsPath(state) {
+    const serverPath = getServerPath(state);
+    return (serverPath !== undefined) ? path_1.default.join(serverPath, 'Mods') : undefined;
+}
+exports.getServerModsPath = getServerModsPath;
+function deployTarget(mod) {
+    var _a, _b;
+    return (_b = (_a = mod === null || mod === void 0 ? void 0 : mod.attributes) === null || _a === void 0 ? void 0 : _a.deployTarget) !== null && _b !== void 0 ? _b : 'both';
+}
+exports.deployTarget = deployTarget;
+function applyDeployTargets(api) {
+    const state = api.getState();
+    const hasServer = getServerPath(state) !== undefined;
+    const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+    const batched = Object.values(mods)
+        .filter(mod => { var _a; return ['', common_1.SERVER_MOD_TYPE].includes((_a = mod.type) !== null && _a !== void 0 ? _a : ''); })
+        .map(mod => ({
+        mod,
+        type: (hasServer && (deployTarget(mod) === 'server')) ? common_1.SERVER_MOD_TYPE : '',
+    }))
+        .filter(iter => { var _a; return ((_a = iter.mod.type) !== null && _a !== void 0 ? _a : '') !== iter.type; })
+        .map(iter => vortex_api_1.actions.setModType(common_1.GAME_ID, iter.mod.id, iter.type));
+    if (batched.length > 0) {
+        batched.push(vortex_api_1.actions.setDeploymentNecessary(common_1.GAME_ID, true));
+        vortex_api_1.util.batchDispatch(api.store, batched);
+    }
+}
+exports.applyDeployTargets = applyDeployTargets;
+function setDeployTarget(api, modIds, target) {
+    if ((target !== 'both') && (getServerPath(api.getState()) === undefined)) {
+        api.showErrorNotification('No dedicated server set up', 'Please select your dedicated server folder on the load order page first.', { allowReport: false });
+        return;
+    }
+    vortex_api_1.util.batchDispatch(api.store, modIds.map(modId => vortex_api_1.actions.setModAttribute(common_1.GAME_ID, modId, 'deployTarget', target)));
+    applyDeployTargets(api);
+}
+exports.setDeployTarget = setDeployTarget;
+function readManifest(modsPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const data = yield vortex_api_1.fs.readFileAsync(path_1.default.join(modsPath, MANIFEST_FILE), { encoding: 'utf8' });
+            return JSON.parse(data);
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT') {
+                (0, vortex_api_1.log)('warn', 'failed to read server manifest', err.message);
+            }
+            return [];
+        }
+    });
+}
+function writeManifest(modsPath, entries) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield vortex_api_1.util.writeFileAtomic(path_1.default.join(modsPath, MANIFEST_FILE), JSON.stringify(entries, undefined, 2));
+    });
+}
+function enabledLoadOrder(state, profile) {
+    const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+    const loadOrder = vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profile.id], []);
+    return loadOrder.filter(entry => (mods[entry.id] !== undefined)
+        && vortex_api_1.util.getSafe(profile, ['modState', entry.id, 'enabled'], false)
+        && !common_1.INVALID_LO_MOD_TYPES.includes(mods[entry.id].type));
+}
+function syncServerMods(api, profile, prefixFor) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const modsPath = getServerModsPath(state);
+        if (modsPath === undefined) {
+            return;
+        }
+        const stagingPath = vortex_api_1.selectors.installPathForGame(state, common_1.GAME_ID);
+        const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+        const wanted = enabledLoadOrder(state, profile)
+            .map(entry => mods[entry.id])
+            .filter(mod => { var _a; return ((_a = mod.type) !== null && _a !== void 0 ? _a : '') === '' && deployTarget(mod) === 'both'; })
+            .map(mod => {
+            var _a, _b;
+            return ({
+                modId: mod.id,
+                folder: prefixFor(mod),
+                installTime: String((_b = (_a = mod.attributes) === null || _a === void 0 ? void 0 : _a.installTime) !== null && _b !== void 0 ? _b : ''),
+            });
+        });
+        yield vortex_api_1.fs.ensureDirWritableAsync(modsPath);
+        const previous = yield readManifest(modsPath);
+        const isSame = (lhs, rhs) => (lhs.modId === rhs.modId) && (lhs.folder === rhs.folder) && (lhs.installTime === rhs.installTime);
+        for (const entry of previous.filter(prev => wanted.find(iter => isSame(iter, prev)) === undefined)) {
+            yield vortex_api_1.fs.removeAsync(path_1.default.join(modsPath, entry.folder))
+                .catch({ code: 'ENOENT' }, () => Promise.resolve());
+        }
+        const isOurs = (folder) => previous.find(prev => prev.folder.toLowerCase() === folder.toLowerCase()) !== undefined;
+        const synced = [];
+        const collisions = [];
+        try {
+            for (const entry of wanted) {
+                const destination = path_1.default.join(modsPath, entry.folder);
+                const exists = yield vortex_api_1.fs.statAsync(destination).then(() => true, () => false);
+                if (exists && !isOurs(entry.folder)) {
+                    collisions.push(entry);
+                    continue;
+                }
+                const upToDate = exists && (previous.find(prev => isSame(prev, entry)) !== undefined);
+                if (!upToDate) {
+                    yield vortex_api_1.fs.removeAsync(destination).catch({ code: 'ENOENT' }, () => Promise.resolve());
+                    yield vortex_api_1.fs.copyAsync(path_1.default.join(stagingPath, mods[entry.modId].installationPath), destination);
+                }
+                synced.push(entry);
+            }
+        }
+        finally {
+            yield writeManifest(modsPath, synced);
+        }
+        notifyCollisions(api, modsPath, collisions.map(entry => (Object.assign(Object.assign({}, entry), { mod: mods[entry.modId] }))));
+    });
+}
+exports.syncServerMods = syncServerMods;
+function notifyCollisions(api, modsPath, collisions) {
+    if (collisions.length === 0) {
+        api.dismissNotification(COLLISION_NOTIFICATION_ID);
+        return;
+    }
+    const t = api.translate;
+    api.sendNotification({
+        id: COLLISION_NOTIFICATION_ID,
+        type: 'warning',
+        message: t('Some modlets were not copied to the dedicated server', { ns: common_1.I18N_NAMESPACE }),
+        actions: [
+            {
+                title: 'More',
+                action: () => api.showDialog('info', 'Dedicated Server', {
+                    bbcode: t('The Mods folder of the dedicated server ("{{modsPath}}") already contains folders '
+                        + 'of the same name that weren\'t deployed by Vortex, these were left untouched. '
+                        + 'Remove or rename those folders if you want Vortex to manage them:', { replace: { modsPath }, ns: common_1.I18N_NAMESPACE })
+                        + '[list]' + collisions.map(entry => `[*]${entry.folder} (${vortex_api_1.util.renderModName(entry.mod)})`).join('') + '[/list]',
+                }, [
+                    { label: 'Close' },
+                ]),
+            },
+        ],
+    });
+}
+function purgeServerMods(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const modsPath = getServerModsPath(api.getState());
+        if (modsPath === undefined) {
+            return;
+        }
+        const previous = yield readManifest(modsPath);
+        for (const entry of previous) {
+            yield vortex_api_1.fs.removeAsync(path_1.default.join(modsPath, entry.folder))
+                .catch({ code: 'ENOENT' }, () => Promise.resolve());
+        }
+        yield vortex_api_1.fs.removeAsync(path_1.default.join(modsPath, MANIFEST_FILE))
+            .catch({ code: 'ENOENT' }, () => Promise.resolve());
+    });
+}
+exports.purgeServerMods = purgeServerMods;
+function purgeAll(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield vortex_api_1.util.toPromise(cb => api.events.emit('purge-mods', false, cb));
+        yield purgeServerMods(api);
+    });
+}
+function selectServerPath(api, onChanged) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const current = getServerPath(api.getState());
+        if (current !== undefined) {
+            const result = yield api.showDialog('question', 'Dedicated Server', {
+                text: api.translate('Modlets are currently also deployed to the dedicated server at "{{serverPath}}".', { replace: { serverPath: current }, ns: common_1.I18N_NAMESPACE }),
+            }, [
+                { label: 'Cancel' },
+                { label: 'Stop Deploying to Server' },
+                { label: 'Change Folder' },
+            ]);
+            if (result.action === 'Stop Deploying to Server') {
+                yield purgeAll(api);
+                return onChanged(undefined);
+            }
+            else if (result.action !== 'Change Folder') {
+                return;
+            }
+        }
+        const directory = yield api.selectDir({
+            title: 'Select Dedicated Server Folder',
+            defaultPath: current,
+        });
+        if (!directory) {
+            return;
+        }
+        const files = yield vortex_api_1.fs.readdirAsync(directory).catch(() => []);
+        if (files.find(file => file.toLowerCase() === (0, common_1.serverExecutable)().toLowerCase()) === undefined) {
+            const result = yield api.showDialog('question', 'Dedicated Server', {
+                text: api.translate('"{{directory}}" doesn\'t seem to contain a 7 Days to Die dedicated server '
+                    + '({{exe}} is missing). Use it anyway?', { replace: { directory, exe: (0, common_1.serverExecutable)() }, ns: common_1.I18N_NAMESPACE }),
+            }, [
+                { label: 'Cancel' },
+                { label: 'Use Folder' },
+            ]);
+            if (result.action !== 'Use Folder') {
+                return;
+            }
+        }
+        if ((current !== undefined) && (current !== directory)) {
+            yield purgeAll(api);
+        }
+        yield vortex_api_1.fs.ensureDirWritableAsync(path_1.default.join(directory, 'Mods'));
+        onChanged(directory);
+    });
+}
+exports.selectServerPath = selectServerPath;
+function showDeploymentReport(api, prefixFor) {
+    var _a, _b;
+    return __awaiter(this, void 0, void 0, function* () {
+        const t = api.translate;
+        const state = api.getState();
+        const profile = vortex_api_1.selectors.activeProfile(state);
+        if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+            return;
+        }
+        const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+        const serverModsPath = getServerModsPath(state);
+        const synced = (serverModsPath !== undefined) ? yield readManifest(serverModsPath) : [];
+        const client = [];
+        const server = [];
+        enabledLoadOrder(state, profile).forEach(entry => {
+            const mod = mods[entry.id];
+            const line = `[*]${prefixFor(mod)} (${vortex_api_1.util.renderModName(mod)})`;
+            if (mod.type === common_1.SERVER_MOD_TYPE) {
+                server.push(line);
+            }
+            else {
+                client.push(line);
+                if (synced.find(iter => iter.modId === mod.id) !== undefined) {
+                    server.push(line);
+                }
+            }
+        });
+        const renderList = (lines) => (lines.length > 0)
+            ? `[list]${lines.join('')}[/list]`
+            : t('None', { ns: common_1.I18N_NAMESPACE }) + '[br][/br][br][/br]';
+        const serverText = (serverModsPath !== undefined)
+            ? `[b]${t('Dedicated Server', { ns: common_1.I18N_NAMESPACE })}[/b] (${serverModsPath})` + renderList(server)
+            : t('No dedicated server is set up.', { ns: common_1.I18N_NAMESPACE });
+        return api.showDialog('info', 'Deployment Report', {
+            bbcode: `[b]${t('Client', { ns: common_1.I18N_NAMESPACE })}[/b]`
+                + ` (${(_b = (_a = vortex_api_1.selectors.modPathsForGame(state, common_1.GAME_ID)) === null || _a === void 0 ? void 0 : _a['']) !== null && _b !== void 0 ? _b : ''})`
+                + renderList(client) + serverText,
+        }, [
+            { label: 'Close' },
+        ]);
+    });
+}
+exports.showDeploymentReport = showDeploymentReport;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2VydmVyRGVwbG95LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsic2VydmVyRGVwbG95LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7OztBQUFBLGdEQUF3QjtBQUN4QiwyQ0FBc0U7QUFFdEUscUNBQTRHO0FBUzVHLE1BQU0sYUFBYSxHQUFHLHlCQUF5QixDQUFDO0FBQ2hELE1BQU0seUJBQXlCLEdBQUcsNEJBQTRCLENBQUM7QUFXL0QsU0FBZ0IsYUFBYSxDQUFDLEtBQW1CO0lBQy9DLE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFlBQVksRUFBRSxZQUFZLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztBQUNsRixDQUFDO0FBRkQsc0NBRUM7QUFFRCxTQUFnQixpQkFBaUIsQ0FBQyxLQUFtQjtJQUNuRCxNQUFNLFVBQVUsR0FBRyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDeEMsT0FBTyxDQUFDLFVBQVUsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxVQUFVLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztBQUNoRixDQUFDO0FBSEQsOENBR0M7QUFFRCxTQUFnQixZQUFZLENBQUMsR0FBZTs7SUFDMUMsT0FBTyxNQUFBLE1BQUEsR0FBRyxhQUFILEdBQUcsdUJBQUgsR0FBRyxDQUFFLFVBQVUsMENBQUUsWUFBWSxtQ0FBSSxNQUFNLENBQUM7QUFDakQsQ0FBQztBQUZELG9DQUVDO0FBS0QsU0FBZ0Isa0JBQWtCLENBQUMsR0FBd0I7SUFDekQsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzdCLE1BQU0sU0FBUyxHQUFHLGFBQWEsQ0FBQyxLQUFLLENBQUMsS0FBSyxTQUFTLENBQUM7SUFDckQsTUFBTSxJQUFJLEdBQW9DLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQ3ZHLE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDO1NBQ2hDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxXQUFDLE9BQUEsQ0FBQyxFQUFFLEVBQUUsd0JBQWUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFBLEdBQUcsQ0FBQyxJQUFJLG1DQUFJLEVBQUUsQ0FBQyxDQUFBLEVBQUEsQ0FBQztTQUM3RCxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ1gsR0FBRztRQUNILElBQUksRUFBRSxDQUFDLFNBQVMsSUFBSSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyx3QkFBZSxDQUFDLENBQUMsQ0FBQyxFQUFFO0tBQzdFLENBQUMsQ0FBQztTQUNGLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxXQUFDLE9BQUEsQ0FBQyxNQUFBLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxtQ0FBSSxFQUFFLENBQUMsS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFBLEVBQUEsQ0FBQztTQUNuRCxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxvQkFBTyxDQUFDLFVBQVUsQ0FBQyxnQkFBTyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQ3BFLElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7UUFDdEIsT0FBTyxDQUFDLElBQUksQ0FBQyxvQkFBTyxDQUFDLHNCQUFzQixDQUFDLGdCQUFPLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUM1RCxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0tBQ3hDO0FBQ0gsQ0FBQztBQWhCRCxnREFnQkM7QUFFRCxTQUFnQixlQUFlLENBQUMsR0FBd0IsRUFBRSxNQUFnQixFQUFFLE1BQW9CO0lBQzlGLElBQUksQ0FBQyxNQUFNLEtBQUssTUFBTSxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDLEtBQUssU0FBUyxDQUFDLEVBQUU7UUFDeEUsR0FBRyxDQUFDLHFCQUFxQixDQUFDLDRCQUE0QixFQUNwRCwwRUFBMEUsRUFDMUUsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUMxQixPQUFPO0tBQ1I7SUFDRCxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FDL0Msb0JBQU8sQ0FBQyxlQUFlLENBQUMsZ0JBQU8sRUFBRSxLQUFLLEVBQUUsY0FBYyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwRSxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsQ0FBQztBQUMxQixDQUFDO0FBVkQsMENBVUM7QUFFRCxTQUFlLFlBQVksQ0FBQyxRQUFnQjs7UUFDMUMsSUFBSTtZQUNGLE1BQU0sSUFBSSxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxhQUFhLENBQUMsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO1lBQzlGLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUN6QjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osSUFBSSxHQUFHLENBQUMsSUFBSSxLQUFLLFFBQVEsRUFBRTtnQkFDekIsSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSxnQ0FBZ0MsRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7YUFDNUQ7WUFDRCxPQUFPLEVBQUUsQ0FBQztTQUNYO0lBQ0gsQ0FBQztDQUFBO0FBRUQsU0FBZSxhQUFhLENBQUMsUUFBZ0IsRUFBRSxPQUErQjs7UUFDNUUsTUFBTSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxhQUFhLENBQUMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sRUFBRSxTQUFTLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN4RyxDQUFDO0NBQUE7QUFFRCxTQUFTLGdCQUFnQixDQUFDLEtBQW1CLEVBQUUsT0FBdUI7SUFDcEUsTUFBTSxJQUFJLEdBQW9DLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQ3ZHLE1BQU0sU0FBUyxHQUFzQixpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN0RyxPQUFPLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssU0FBUyxDQUFDO1dBQzFELGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVUsRUFBRSxLQUFLLENBQUMsRUFBRSxFQUFFLFNBQVMsQ0FBQyxFQUFFLEtBQUssQ0FBQztXQUMvRCxDQUFDLDZCQUFvQixDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7QUFDNUQsQ0FBQztBQUlELFNBQXNCLGNBQWMsQ0FBQyxHQUF3QixFQUN4QixPQUF1QixFQUN2QixTQUFxQjs7UUFDeEQsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sUUFBUSxHQUFHLGlCQUFpQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzFDLElBQUksUUFBUSxLQUFLLFNBQVMsRUFBRTtZQUMxQixPQUFPO1NBQ1I7UUFDRCxNQUFNLFdBQVcsR0FBRyxzQkFBUyxDQUFDLGtCQUFrQixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7UUFDakUsTUFBTSxJQUFJLEdBQW9DLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZHLE1BQU0sTUFBTSxHQUEyQixnQkFBZ0IsQ0FBQyxLQUFLLEVBQUUsT0FBTyxDQUFDO2FBQ3BFLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUM7YUFDNUIsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLFdBQUMsT0FBQSxDQUFDLE1BQUEsR0FBRyxDQUFDLElBQUksbUNBQUksRUFBRSxDQUFDLEtBQUssRUFBRSxJQUFJLFlBQVksQ0FBQyxHQUFHLENBQUMsS0FBSyxNQUFNLENBQUEsRUFBQSxDQUFDO2FBQ3RFLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRTs7WUFBQyxPQUFBLENBQUM7Z0JBQ1gsS0FBSyxFQUFFLEdBQUcsQ0FBQyxFQUFFO2dCQUNiLE1BQU0sRUFBRSxTQUFTLENBQUMsR0FBRyxDQUFDO2dCQUN0QixXQUFXLEVBQUUsTUFBTSxDQUFDLE1BQUEsTUFBQSxHQUFHLENBQUMsVUFBVSwwQ0FBRSxXQUFXLG1DQUFJLEVBQUUsQ0FBQzthQUN2RCxDQUFDLENBQUE7U0FBQSxDQUFDLENBQUM7UUFFTixNQUFNLGVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUMxQyxNQUFNLFFBQVEsR0FBRyxNQUFNLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUM5QyxNQUFNLE1BQU0sR0FBRyxDQUFDLEdBQXlCLEVBQUUsR0FBeUIsRUFBRSxFQUFFLENBQ3RFLENBQUMsR0FBRyxDQUFDLEtBQUssS0FBSyxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxLQUFLLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxXQUFXLEtBQUssR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBRXBHLEtBQUssTUFBTSxLQUFLLElBQUksUUFBUSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDLEtBQUssU0FBUyxDQUFDLEVBQUU7WUFDbEcsTUFBTSxlQUFFLENBQUMsV0FBVyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQztpQkFDcEQsS0FBSyxDQUFDLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1NBQ3ZEO1FBSUQsTUFBTSxNQUFNLEdBQUcsQ0FBQyxNQUFjLEVBQUUsRUFBRSxDQUNoQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxXQUFXLEVBQUUsS0FBSyxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxTQUFTLENBQUM7UUFFMUYsTUFBTSxNQUFNLEdBQTJCLEVBQUUsQ0FBQztRQUMxQyxNQUFNLFVBQVUsR0FBMkIsRUFBRSxDQUFDO1FBQzlDLElBQUk7WUFDRixLQUFLLE1BQU0sS0FBSyxJQUFJLE1BQU0sRUFBRTtnQkFDMUIsTUFBTSxXQUFXLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO2dCQUN0RCxNQUFNLE1BQU0sR0FBRyxNQUFNLGVBQUUsQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksRUFBRSxHQUFHLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDN0UsSUFBSSxNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFFO29CQUNuQyxVQUFVLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO29CQUN2QixTQUFTO2lCQUNWO2dCQUNELE1BQU0sUUFBUSxHQUFHLE1BQU0sSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7Z0JBQ3RGLElBQUksQ0FBQyxRQUFRLEVBQUU7b0JBQ2IsTUFBTSxlQUFFLENBQUMsV0FBVyxDQUFDLFdBQVcsQ0FBQyxDQUFDLEtBQUssQ0FBQyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztvQkFDckYsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsZ0JBQWdCLENBQUMsRUFBRSxXQUFXLENBQUMsQ0FBQztpQkFDN0Y7Z0JBQ0QsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNwQjtTQUNGO2dCQUFTO1lBR1IsTUFBTSxhQUFhLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1NBQ3ZDO1FBQ0QsZ0JBQWdCLENBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxVQUFVLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsaUNBQU0sS0FBSyxLQUFFLEdBQUcsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxJQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ25HLENBQUM7Q0FBQTtBQXpERCx3Q0F5REM7QUFFRCxTQUFTLGdCQUFnQixDQUFDLEdBQXdCLEVBQ3hCLFFBQWdCLEVBQ2hCLFVBQTZEO0lBQ3JGLElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7UUFDM0IsR0FBRyxDQUFDLG1CQUFtQixDQUFDLHlCQUF5QixDQUFDLENBQUM7UUFDbkQsT0FBTztLQUNSO0lBQ0QsTUFBTSxDQUFDLEdBQUcsR0FBRyxDQUFDLFNBQVMsQ0FBQztJQUN4QixHQUFHLENBQUMsZ0JBQWdCLENBQUM7UUFDbkIsRUFBRSxFQUFFLHlCQUF5QjtRQUM3QixJQUFJLEVBQUUsU0FBUztRQUNmLE9BQU8sRUFBRSxDQUFDLENBQUMsc0RBQXNELEVBQUUsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDO1FBQzFGLE9BQU8sRUFBRTtZQUNQO2dCQUNFLEtBQUssRUFBRSxNQUFNO2dCQUNiLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLE1BQU0sRUFBRSxrQkFBa0IsRUFBRTtvQkFDdkQsTUFBTSxFQUFFLENBQUMsQ0FBQyxvRkFBb0Y7MEJBQzFGLGdGQUFnRjswQkFDaEYsbUVBQW1FLEVBQ3JFLEVBQUUsT0FBTyxFQUFFLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQzswQkFDNUMsUUFBUSxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FDbEMsTUFBTSxLQUFLLENBQUMsTUFBTSxLQUFLLGlCQUFJLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFNBQVM7aUJBQ2xGLEVBQUU7b0JBQ0QsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFO2lCQUNuQixDQUFDO2FBQ0g7U0FDRjtLQUNGLENBQUMsQ0FBQztBQUNMLENBQUM7QUFFRCxTQUFzQixlQUFlLENBQUMsR0FBd0I7O1FBQzVELE1BQU0sUUFBUSxHQUFHLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQ25ELElBQUksUUFBUSxLQUFLLFNBQVMsRUFBRTtZQUMxQixPQUFPO1NBQ1I7UUFDRCxNQUFNLFFBQVEsR0FBRyxNQUFNLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUM5QyxLQUFLLE1BQU0sS0FBSyxJQUFJLFFBQVEsRUFBRTtZQUM1QixNQUFNLGVBQUUsQ0FBQyxXQUFXLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO2lCQUNwRCxLQUFLLENBQUMsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7U0FDdkQ7UUFDRCxNQUFNLGVBQUUsQ0FBQyxXQUFXLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsYUFBYSxDQUFDLENBQUM7YUFDckQsS0FBSyxDQUFDLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQ3hELENBQUM7Q0FBQTtBQVpELDBDQVlDO0FBSUQsU0FBZSxRQUFRLENBQUMsR0FBd0I7O1FBQzlDLE1BQU0saUJBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDckUsTUFBTSxlQUFlLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDN0IsQ0FBQztDQUFBO0FBRUQsU0FBc0IsZ0JBQWdCLENBQUMsR0FBd0IsRUFDeEIsU0FBdUM7O1FBQzVFLE1BQU0sT0FBTyxHQUFHLGFBQWEsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztRQUM5QyxJQUFJLE9BQU8sS0FBSyxTQUFTLEVBQUU7WUFDekIsTUFBTSxNQUFNLEdBQUcsTUFBTSxHQUFHLENBQUMsVUFBVSxDQUFDLFVBQVUsRUFBRSxrQkFBa0IsRUFBRTtnQkFDbEUsSUFBSSxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsa0ZBQWtGLEVBQ3BHLEVBQUUsT0FBTyxFQUFFLEVBQUUsVUFBVSxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsRUFBRSx1QkFBYyxFQUFFLENBQUM7YUFDNUQsRUFBRTtnQkFDRCxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUU7Z0JBQ25CLEVBQUUsS0FBSyxFQUFFLDBCQUEwQixFQUFFO2dCQUNyQyxFQUFFLEtBQUssRUFBRSxlQUFlLEVBQUU7YUFDM0IsQ0FBQyxDQUFDO1lBQ0gsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLDBCQUEwQixFQUFFO2dCQUNoRCxNQUFNLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQztnQkFDcEIsT0FBTyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7YUFDN0I7aUJBQU0sSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLGVBQWUsRUFBRTtnQkFDNUMsT0FBTzthQUNSO1NBQ0Y7UUFFRCxNQUFNLFNBQVMsR0FBRyxNQUFNLEdBQUcsQ0FBQyxTQUFTLENBQUM7WUFDcEMsS0FBSyxFQUFFLGdDQUFnQztZQUN2QyxXQUFXLEVBQUUsT0FBTztTQUNyQixDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ2QsT0FBTztTQUNSO1FBQ0QsTUFBTSxLQUFLLEdBQWEsTUFBTSxlQUFFLENBQUMsWUFBWSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUN6RSxJQUFJLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLEtBQUssSUFBQSx5QkFBZ0IsR0FBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLEtBQUssU0FBUyxFQUFFO1lBQzdGLE1BQU0sTUFBTSxHQUFHLE1BQU0sR0FBRyxDQUFDLFVBQVUsQ0FBQyxVQUFVLEVBQUUsa0JBQWtCLEVBQUU7Z0JBQ2xFLElBQUksRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLDRFQUE0RTtzQkFDNUYsc0NBQXNDLEVBQ3hDLEVBQUUsT0FBTyxFQUFFLEVBQUUsU0FBUyxFQUFFLEdBQUcsRUFBRSxJQUFBLHlCQUFnQixHQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDO2FBQzNFLEVBQUU7Z0JBQ0QsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFO2dCQUNuQixFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUU7YUFDeEIsQ0FBQyxDQUFDO1lBQ0gsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLFlBQVksRUFBRTtnQkFDbEMsT0FBTzthQUNSO1NBQ0Y7UUFDRCxJQUFJLENBQUMsT0FBTyxLQUFLLFNBQVMsQ0FBQyxJQUFJLENBQUMsT0FBTyxLQUFLLFNBQVMsQ0FBQyxFQUFFO1lBQ3RELE1BQU0sUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQ3JCO1FBQ0QsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUM5RCxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDdkIsQ0FBQztDQUFBO0FBOUNELDRDQThDQztBQUlELFNBQXNCLG9CQUFvQixDQUFDLEdBQXdCLEVBQUUsU0FBcUI7OztRQUN4RixNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLE9BQU8sR0FBRyxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMvQyxJQUFJLENBQUEsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFFLE1BQU0sTUFBSyxnQkFBTyxFQUFFO1lBQy9CLE9BQU87U0FDUjtRQUNELE1BQU0sSUFBSSxHQUFvQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUN2RyxNQUFNLGNBQWMsR0FBRyxpQkFBaUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNoRCxNQUFNLE1BQU0sR0FBRyxDQUFDLGNBQWMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxZQUFZLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUN4RixNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7UUFDNUIsTUFBTSxNQUFNLEdBQWEsRUFBRSxDQUFDO1FBQzVCLGdCQUFnQixDQUFDLEtBQUssRUFBRSxPQUFPLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDL0MsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUMzQixNQUFNLElBQUksR0FBRyxNQUFNLFNBQVMsQ0FBQyxHQUFHLENBQUMsS0FBSyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDO1lBQ2pFLElBQUksR0FBRyxDQUFDLElBQUksS0FBSyx3QkFBZSxFQUFFO2dCQUNoQyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQ25CO2lCQUFNO2dCQUNMLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ2xCLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxLQUFLLEtBQUssR0FBRyxDQUFDLEVBQUUsQ0FBQyxLQUFLLFNBQVMsRUFBRTtvQkFDNUQsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztpQkFDbkI7YUFDRjtRQUNILENBQUMsQ0FBQyxDQUFDO1FBRUgsTUFBTSxVQUFVLEdBQUcsQ0FBQyxLQUFlLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7WUFDeEQsQ0FBQyxDQUFDLFNBQVMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsU0FBUztZQUNsQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxFQUFFLEVBQUUsRUFBRSx1QkFBYyxFQUFFLENBQUMsR0FBRyxvQkFBb0IsQ0FBQztRQUM3RCxNQUFNLFVBQVUsR0FBRyxDQUFDLGNBQWMsS0FBSyxTQUFTLENBQUM7WUFDL0MsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLGtCQUFrQixFQUFFLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQyxTQUFTLGNBQWMsR0FBRyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUM7WUFDcEcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxnQ0FBZ0MsRUFBRSxFQUFFLEVBQUUsRUFBRSx1QkFBYyxFQUFFLENBQUMsQ0FBQztRQUNoRSxPQUFPLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLG1CQUFtQixFQUFFO1lBQ2pELE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDLE1BQU07a0JBQ25ELEtBQUssTUFBQSxNQUFBLHNCQUFTLENBQUMsZUFBZSxDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLDBDQUFHLEVBQUUsQ0FBQyxtQ0FBSSxFQUFFLEdBQUc7a0JBQzdELFVBQVUsQ0FBQyxNQUFNLENBQUMsR0FBRyxVQUFVO1NBQ3BDLEVBQUU7WUFDRCxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUU7U0FDbkIsQ0FBQyxDQUFDOztDQUNKO0FBdENELG9EQXNDQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgYWN0aW9ucywgZnMsIGxvZywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBHQU1FX0lELCBJMThOX05BTUVTUEFDRSwgSU5WQUxJRF9MT19NT0RfVFlQRVMsIFNFUlZFUl9NT0RfVFlQRSwgc2VydmVyRXhlY3V0YWJsZSB9IGZyb20gJy4vY29tbW9uJztcbmltcG9ydCB7IERlcGxveVRhcmdldCwgSUxvYWRPcmRlckVudHJ5IH0gZnJvbSAnLi90eXBlcyc7XG5cbi8vIE1vZGxldHMgY2FuIG9wdGlvbmFsbHkgYmUgZGVwbG95ZWQgdG8gYSBsb2NhbCBkZWRpY2F0ZWQgc2VydmVyIGFzIHdlbGwuIFZvcnRleFxuLy8gIG9ubHkgZGVwbG95cyBhIG1vZCBvbmNlLCBzbyBtb2RsZXRzIG1lYW50IGZvciBib3RoIHRoZSBjbGllbnQgYW5kIHRoZSBzZXJ2ZXJcbi8vICBhcmUgZGVwbG95ZWQgdG8gdGhlIGNsaWVudCdzIE1vZHMgZm9sZGVyIGFzIHVzdWFsIGFuZCB0aGVuIGNvcGllZCBvdmVyIHRvIHRoZVxuLy8gIHNlcnZlciBhZnRlciBlYWNoIGRlcGxveW1lbnQuIFNlcnZlci1vbmx5IG1vZGxldHMgZ2V0IHRoZWlyIG93biBtb2QgdHlwZSB3aGljaFxuLy8gIG1ha2VzIFZvcnRleCBkZXBsb3kgdGhlbSB0byB0aGUgc2VydmVyIGluc3RlYWQgb2YgdGhlIGNsaWVudC5cblxuY29uc3QgTUFOSUZFU1RfRklMRSA9ICd2b3J0ZXhfN2R0ZF9zZXJ2ZXIuanNvbic7XG5jb25zdCBDT0xMSVNJT05fTk9USUZJQ0FUSU9OX0lEID0gJzdkdGQtc2VydmVyLW1vZC1jb2xsaXNpb25zJztcblxuaW50ZXJmYWNlIElTZXJ2ZXJNYW5pZmVzdEVudHJ5IHtcbiAgbW9kSWQ6IHN0cmluZztcbiAgZm9sZGVyOiBzdHJpbmc7XG4gIC8vIFVzZWQgdG8gZGV0ZWN0IHdoZXRoZXIgdGhlIG1vZCBnb3QgcmVpbnN0YWxsZWQgc2luY2Ugd2UgY29waWVkIGl0LlxuICBpbnN0YWxsVGltZTogc3RyaW5nO1xufVxuXG5leHBvcnQgdHlwZSBQcmVmaXhGdW5jID0gKG1vZDogdHlwZXMuSU1vZCkgPT4gc3RyaW5nO1xuXG5leHBvcnQgZnVuY3Rpb24gZ2V0U2VydmVyUGF0aChzdGF0ZTogdHlwZXMuSVN0YXRlKTogc3RyaW5nIHtcbiAgcmV0dXJuIHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXR0aW5ncycsICc3ZGF5c3RvZGllJywgJ3NlcnZlclBhdGgnXSwgdW5kZWZpbmVkKTtcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGdldFNlcnZlck1vZHNQYXRoKHN0YXRlOiB0eXBlcy5JU3RhdGUpOiBzdHJpbmcge1xuICBjb25zdCBzZXJ2ZXJQYXRoID0gZ2V0U2VydmVyUGF0aChzdGF0ZSk7XG4gIHJldHVybiAoc2VydmVyUGF0aCAhPT0gdW5kZWZpbmVkKSA/IHBhdGguam9pbihzZXJ2ZXJQYXRoLCAnTW9kcycpIDogdW5kZWZpbmVkO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gZGVwbG95VGFyZ2V0KG1vZDogdHlwZXMuSU1vZCk6IERlcGxveVRhcmdldCB7XG4gIHJldHVybiBtb2Q/LmF0dHJpYnV0ZXM/LmRlcGxveVRhcmdldCA/PyAnYm90aCc7XG59XG5cbi8vIFRoZSBtb2QgdHlwZSBkZWNpZGVzIHdoZXRoZXIgVm9ydGV4IGRlcGxveXMgdGhlIG1vZCB0byB0aGUgY2xpZW50IG9yIHRvIHRoZVxuLy8gIHNlcnZlciBzbyBpdCBoYXMgdG8gZm9sbG93IHRoZSBkZXBsb3kgdGFyZ2V0LiBXaXRob3V0IGEgc2VydmVyIGFsbCBtb2RsZXRzXG4vLyAgZ28gdG8gdGhlIGNsaWVudC5cbmV4cG9ydCBmdW5jdGlvbiBhcHBseURlcGxveVRhcmdldHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IGhhc1NlcnZlciA9IGdldFNlcnZlclBhdGgoc3RhdGUpICE9PSB1bmRlZmluZWQ7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KTtcbiAgY29uc3QgYmF0Y2hlZCA9IE9iamVjdC52YWx1ZXMobW9kcylcbiAgICAuZmlsdGVyKG1vZCA9PiBbJycsIFNFUlZFUl9NT0RfVFlQRV0uaW5jbHVkZXMobW9kLnR5cGUgPz8gJycpKVxuICAgIC5tYXAobW9kID0+ICh7XG4gICAgICBtb2QsXG4gICAgICB0eXBlOiAoaGFzU2VydmVyICYmIChkZXBsb3lUYXJnZXQobW9kKSA9PT0gJ3NlcnZlcicpKSA/IFNFUlZFUl9NT0RfVFlQRSA6ICcnLFxuICAgIH0pKVxuICAgIC5maWx0ZXIoaXRlciA9PiAoaXRlci5tb2QudHlwZSA/PyAnJykgIT09IGl0ZXIudHlwZSlcbiAgICAubWFwKGl0ZXIgPT4gYWN0aW9ucy5zZXRNb2RUeXBlKEdBTUVfSUQsIGl0ZXIubW9kLmlkLCBpdGVyLnR5cGUpKTtcbiAgaWYgKGJhdGNoZWQubGVuZ3RoID4gMCkge1xuICAgIGJhdGNoZWQucHVzaChhY3Rpb25zLnNldERlcGxveW1lbnROZWNlc3NhcnkoR0FNRV9JRCwgdHJ1ZSkpO1xuICAgIHV0aWwuYmF0Y2hEaXNwYXRjaChhcGkuc3RvcmUsIGJhdGNoZWQpO1xuICB9XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBzZXREZXBsb3lUYXJnZXQoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBtb2RJZHM6IHN0cmluZ1tdLCB0YXJnZXQ6IERlcGxveVRhcmdldCkge1xuICBpZiAoKHRhcmdldCAhPT0gJ2JvdGgnKSAmJiAoZ2V0U2VydmVyUGF0aChhcGkuZ2V0U3RhdGUoKSkgPT09IHVuZGVmaW5lZCkpIHtcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdObyBkZWRpY2F0ZWQgc2VydmVyIHNldCB1cCcsXG4gICAgICAnUGxlYXNlIHNlbGVjdCB5b3VyIGRlZGljYXRlZCBzZXJ2ZXIgZm9sZGVyIG9uIHRoZSBsb2FkIG9yZGVyIHBhZ2UgZmlyc3QuJyxcbiAgICAgIHsgYWxsb3dSZXBvcnQ6IGZhbHNlIH0pO1xuICAgIHJldHVybjtcbiAgfVxuICB1dGlsLmJhdGNoRGlzcGF0Y2goYXBpLnN0b3JlLCBtb2RJZHMubWFwKG1vZElkID0+XG4gICAgYWN0aW9ucy5zZXRNb2RBdHRyaWJ1dGUoR0FNRV9JRCwgbW9kSWQsICdkZXBsb3lUYXJnZXQnLCB0YXJnZXQpKSk7XG4gIGFwcGx5RGVwbG95VGFyZ2V0cyhhcGkpO1xufVxuXG5hc3luYyBmdW5jdGlvbiByZWFkTWFuaWZlc3QobW9kc1BhdGg6IHN0cmluZyk6IFByb21pc2U8SVNlcnZlck1hbmlmZXN0RW50cnlbXT4ge1xuICB0cnkge1xuICAgIGNvbnN0IGRhdGEgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKHBhdGguam9pbihtb2RzUGF0aCwgTUFOSUZFU1RfRklMRSksIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KTtcbiAgICByZXR1cm4gSlNPTi5wYXJzZShkYXRhKTtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgaWYgKGVyci5jb2RlICE9PSAnRU5PRU5UJykge1xuICAgICAgbG9nKCd3YXJuJywgJ2ZhaWxlZCB0byByZWFkIHNlcnZlciBtYW5pZmVzdCcsIGVyci5tZXNzYWdlKTtcbiAgICB9XG4gICAgcmV0dXJuIFtdO1xuICB9XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHdyaXRlTWFuaWZlc3QobW9kc1BhdGg6IHN0cmluZywgZW50cmllczogSVNlcnZlck1hbmlmZXN0RW50cnlbXSk6IFByb21pc2U8dm9pZD4ge1xuICBhd2FpdCB1dGlsLndyaXRlRmlsZUF0b21pYyhwYXRoLmpvaW4obW9kc1BhdGgsIE1BTklGRVNUX0ZJTEUpLCBKU09OLnN0cmluZ2lmeShlbnRyaWVzLCB1bmRlZmluZWQsIDIpKTtcbn1cblxuZnVuY3Rpb24gZW5hYmxlZExvYWRPcmRlcihzdGF0ZTogdHlwZXMuSVN0YXRlLCBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZSk6IElMb2FkT3JkZXJFbnRyeVtdIHtcbiAgY29uc3QgbW9kczogeyBbbW9kSWQ6IHN0cmluZ106IHR5cGVzLklNb2QgfSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xuICBjb25zdCBsb2FkT3JkZXI6IElMb2FkT3JkZXJFbnRyeVtdID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZS5pZF0sIFtdKTtcbiAgcmV0dXJuIGxvYWRPcmRlci5maWx0ZXIoZW50cnkgPT4gKG1vZHNbZW50cnkuaWRdICE9PSB1bmRlZmluZWQpXG4gICAgJiYgdXRpbC5nZXRTYWZlKHByb2ZpbGUsIFsnbW9kU3RhdGUnLCBlbnRyeS5pZCwgJ2VuYWJsZWQnXSwgZmFsc2UpXG4gICAgJiYgIUlOVkFMSURfTE9fTU9EX1RZUEVTLmluY2x1ZGVzKG1vZHNbZW50cnkuaWRdLnR5cGUpKTtcbn1cblxuLy8gQ29waWVzIHRoZSBtb2RsZXRzIG1lYW50IGZvciBib3RoIGNsaWVudCBhbmQgc2VydmVyIHRvIHRoZSBzZXJ2ZXIncyBNb2RzIGZvbGRlclxuLy8gIGFuZCByZW1vdmVzIHRoZSBjb3BpZXMgb2YgbW9kbGV0cyB0aGF0IGFyZSBubyBsb25nZXIgbWVhbnQgdG8gYmUgdGhlcmUuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gc3luY1NlcnZlck1vZHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHByb2ZpbGU6IHR5cGVzLklQcm9maWxlLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHByZWZpeEZvcjogUHJlZml4RnVuYyk6IFByb21pc2U8dm9pZD4ge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBtb2RzUGF0aCA9IGdldFNlcnZlck1vZHNQYXRoKHN0YXRlKTtcbiAgaWYgKG1vZHNQYXRoID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm47XG4gIH1cbiAgY29uc3Qgc3RhZ2luZ1BhdGggPSBzZWxlY3RvcnMuaW5zdGFsbFBhdGhGb3JHYW1lKHN0YXRlLCBHQU1FX0lEKTtcbiAgY29uc3QgbW9kczogeyBbbW9kSWQ6IHN0cmluZ106IHR5cGVzLklNb2QgfSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xuICBjb25zdCB3YW50ZWQ6IElTZXJ2ZXJNYW5pZmVzdEVudHJ5W10gPSBlbmFibGVkTG9hZE9yZGVyKHN0YXRlLCBwcm9maWxlKVxuICAgIC5tYXAoZW50cnkgPT4gbW9kc1tlbnRyeS5pZF0pXG4gICAgLmZpbHRlcihtb2QgPT4gKG1vZC50eXBlID8/ICcnKSA9PT0gJycgJiYgZGVwbG95VGFyZ2V0KG1vZCkgPT09ICdib3RoJylcbiAgICAubWFwKG1vZCA9PiAoe1xuICAgICAgbW9kSWQ6IG1vZC5pZCxcbiAgICAgIGZvbGRlcjogcHJlZml4Rm9yKG1vZCksXG4gICAgICBpbnN0YWxsVGltZTogU3RyaW5nKG1vZC5hdHRyaWJ1dGVzPy5pbnN0YWxsVGltZSA/PyAnJyksXG4gICAgfSkpO1xuXG4gIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMobW9kc1BhdGgpO1xuICBjb25zdCBwcmV2aW91cyA9IGF3YWl0IHJlYWRNYW5pZmVzdChtb2RzUGF0aCk7XG4gIGNvbnN0IGlzU2FtZSA9IChsaHM6IElTZXJ2ZXJNYW5pZmVzdEVudHJ5LCByaHM6IElTZXJ2ZXJNYW5pZmVzdEVudHJ5KSA9PlxuICAgIChsaHMubW9kSWQgPT09IHJocy5tb2RJZCkgJiYgKGxocy5mb2xkZXIgPT09IHJocy5mb2xkZXIpICYmIChsaHMuaW5zdGFsbFRpbWUgPT09IHJocy5pbnN0YWxsVGltZSk7XG5cbiAgZm9yIChjb25zdCBlbnRyeSBvZiBwcmV2aW91cy5maWx0ZXIocHJldiA9PiB3YW50ZWQuZmluZChpdGVyID0+IGlzU2FtZShpdGVyLCBwcmV2KSkgPT09IHVuZGVmaW5lZCkpIHtcbiAgICBhd2FpdCBmcy5yZW1vdmVBc3luYyhwYXRoLmpvaW4obW9kc1BhdGgsIGVudHJ5LmZvbGRlcikpXG4gICAgICAuY2F0Y2goeyBjb2RlOiAnRU5PRU5UJyB9LCAoKSA9PiBQcm9taXNlLnJlc29sdmUoKSk7XG4gIH1cblxuICAvLyBGb2xkZXJzIHdlIGRpZG4ndCBwdXQgdGhlcmUgd2VyZSBpbnN0YWxsZWQgb24gdGhlIHNlcnZlciBieSBvdGhlciBtZWFucyxcbiAgLy8gIHRob3NlIGFyZSBuZXZlciBvdmVyd3JpdHRlbi5cbiAgY29uc3QgaXNPdXJzID0gKGZvbGRlcjogc3RyaW5nKSA9PlxuICAgIHByZXZpb3VzLmZpbmQocHJldiA9PiBwcmV2LmZvbGRlci50b0xvd2VyQ2FzZSgpID09PSBmb2xkZXIudG9Mb3dlckNhc2UoKSkgIT09IHVuZGVmaW5lZDtcblxuICBjb25zdCBzeW5jZWQ6IElTZXJ2ZXJNYW5pZmVzdEVudHJ5W10gPSBbXTtcbiAgY29uc3QgY29sbGlzaW9uczogSVNlcnZlck1hbmlmZXN0RW50cnlbXSA9IFtdO1xuICB0cnkge1xuICAgIGZvciAoY29uc3QgZW50cnkgb2Ygd2FudGVkKSB7XG4gICAgICBjb25zdCBkZXN0aW5hdGlvbiA9IHBhdGguam9pbihtb2RzUGF0aCwgZW50cnkuZm9sZGVyKTtcbiAgICAgIGNvbnN0IGV4aXN0cyA9IGF3YWl0IGZzLnN0YXRBc3luYyhkZXN0aW5hdGlvbikudGhlbigoKSA9PiB0cnVlLCAoKSA9PiBmYWxzZSk7XG4gICAgICBpZiAoZXhpc3RzICYmICFpc091cnMoZW50cnkuZm9sZGVyKSkge1xuICAgICAgICBjb2xsaXNpb25zLnB1c2goZW50cnkpO1xuICAgICAgICBjb250aW51ZTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IHVwVG9EYXRlID0gZXhpc3RzICYmIChwcmV2aW91cy5maW5kKHByZXYgPT4gaXNTYW1lKHByZXYsIGVudHJ5KSkgIT09IHVuZGVmaW5lZCk7XG4gICAgICBpZiAoIXVwVG9EYXRlKSB7XG4gICAgICAgIGF3YWl0IGZzLnJlbW92ZUFzeW5jKGRlc3RpbmF0aW9uKS5jYXRjaCh7IGNvZGU6ICdFTk9FTlQnIH0sICgpID0+IFByb21pc2UucmVzb2x2ZSgpKTtcbiAgICAgICAgYXdhaXQgZnMuY29weUFzeW5jKHBhdGguam9pbihzdGFnaW5nUGF0aCwgbW9kc1tlbnRyeS5tb2RJZF0uaW5zdGFsbGF0aW9uUGF0aCksIGRlc3RpbmF0aW9uKTtcbiAgICAgIH1cbiAgICAgIHN5bmNlZC5wdXNoKGVudHJ5KTtcbiAgICB9XG4gIH0gZmluYWxseSB7XG4gICAgLy8gT25seSByZWNvcmQgd2hhdCBhY3R1YWxseSBtYWRlIGl0IHRvIHRoZSBzZXJ2ZXIgc28gdGhhdCB3ZSBjbGVhbiB1cFxuICAgIC8vICBwcm9wZXJseSBuZXh0IHRpbWUuXG4gICAgYXdhaXQgd3JpdGVNYW5pZmVzdChtb2RzUGF0aCwgc3luY2VkKTtcbiAgfVxuICBub3RpZnlDb2xsaXNpb25zKGFwaSwgbW9kc1BhdGgsIGNvbGxpc2lvbnMubWFwKGVudHJ5ID0+ICh7IC4uLmVudHJ5LCBtb2Q6IG1vZHNbZW50cnkubW9kSWRdIH0pKSk7XG59XG5cbmZ1bmN0aW9uIG5vdGlmeUNvbGxpc2lvbnMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICBtb2RzUGF0aDogc3RyaW5nLFxuICAgICAgICAgICAgICAgICAgICAgICAgICBjb2xsaXNpb25zOiBBcnJheTxJU2VydmVyTWFuaWZlc3RFbnRyeSAmIHsgbW9kOiB0eXBlcy5JTW9kIH0+KSB7XG4gIGlmIChjb2xsaXNpb25zLmxlbmd0aCA9PT0gMCkge1xuICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKENPTExJU0lPTl9OT1RJRklDQVRJT05fSUQpO1xuICAgIHJldHVybjtcbiAgfVxuICBjb25zdCB0ID0gYXBpLnRyYW5zbGF0ZTtcbiAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgIGlkOiBDT0xMSVNJT05fTk9USUZJQ0FUSU9OX0lELFxuICAgIHR5cGU6ICd3YXJuaW5nJyxcbiAgICBtZXNzYWdlOiB0KCdTb21lIG1vZGxldHMgd2VyZSBub3QgY29waWVkIHRvIHRoZSBkZWRpY2F0ZWQgc2VydmVyJywgeyBuczogSTE4Tl9OQU1FU1BBQ0UgfSksXG4gICAgYWN0aW9uczogW1xuICAgICAge1xuICAgICAgICB0aXRsZTogJ01vcmUnLFxuICAgICAgICBhY3Rpb246ICgpID0+IGFwaS5zaG93RGlhbG9nKCdpbmZvJywgJ0RlZGljYXRlZCBTZXJ2ZXInLCB7XG4gICAgICAgICAgYmJjb2RlOiB0KCdUaGUgTW9kcyBmb2xkZXIgb2YgdGhlIGRlZGljYXRlZCBzZXJ2ZXIgKFwie3ttb2RzUGF0aH19XCIpIGFscmVhZHkgY29udGFpbnMgZm9sZGVycyAnXG4gICAgICAgICAgICArICdvZiB0aGUgc2FtZSBuYW1lIHRoYXQgd2VyZW5cXCd0IGRlcGxveWVkIGJ5IFZvcnRleCwgdGhlc2Ugd2VyZSBsZWZ0IHVudG91Y2hlZC4gJ1xuICAgICAgICAgICAgKyAnUmVtb3ZlIG9yIHJlbmFtZSB0aG9zZSBmb2xkZXJzIGlmIHlvdSB3YW50IFZvcnRleCB0byBtYW5hZ2UgdGhlbTonLFxuICAgICAgICAgICAgeyByZXBsYWNlOiB7IG1vZHNQYXRoIH0sIG5zOiBJMThOX05BTUVTUEFDRSB9KVxuICAgICAgICAgICAgKyAnW2xpc3RdJyArIGNvbGxpc2lvbnMubWFwKGVudHJ5ID0+XG4gICAgICAgICAgICAgIGBbKl0ke2VudHJ5LmZvbGRlcn0gKCR7dXRpbC5yZW5kZXJNb2ROYW1lKGVudHJ5Lm1vZCl9KWApLmpvaW4oJycpICsgJ1svbGlzdF0nLFxuICAgICAgICB9LCBbXG4gICAgICAgICAgeyBsYWJlbDogJ0Nsb3NlJyB9LFxuICAgICAgICBdKSxcbiAgICAgIH0sXG4gICAgXSxcbiAgfSk7XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBwdXJnZVNlcnZlck1vZHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogUHJvbWlzZTx2b2lkPiB7XG4gIGNvbnN0IG1vZHNQYXRoID0gZ2V0U2VydmVyTW9kc1BhdGgoYXBpLmdldFN0YXRlKCkpO1xuICBpZiAobW9kc1BhdGggPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybjtcbiAgfVxuICBjb25zdCBwcmV2aW91cyA9IGF3YWl0IHJlYWRNYW5pZmVzdChtb2RzUGF0aCk7XG4gIGZvciAoY29uc3QgZW50cnkgb2YgcHJldmlvdXMpIHtcbiAgICBhd2FpdCBmcy5yZW1vdmVBc3luYyhwYXRoLmpvaW4obW9kc1BhdGgsIGVudHJ5LmZvbGRlcikpXG4gICAgICAuY2F0Y2goeyBjb2RlOiAnRU5PRU5UJyB9LCAoKSA9PiBQcm9taXNlLnJlc29sdmUoKSk7XG4gIH1cbiAgYXdhaXQgZnMucmVtb3ZlQXN5bmMocGF0aC5qb2luKG1vZHNQYXRoLCBNQU5JRkVTVF9GSUxFKSlcbiAgICAuY2F0Y2goeyBjb2RlOiAnRU5PRU5UJyB9LCAoKSA9PiBQcm9taXNlLnJlc29sdmUoKSk7XG59XG5cbi8vIFNlcnZlci1vbmx5IG1vZGxldHMgYXJlIGRlcGxveWVkIHRvIHRoZSBzZXJ2ZXIgZm9sZGVyIGJ5IFZvcnRleCBpdHNlbGYsIHRoZXlcbi8vICBoYXZlIHRvIGJlIHB1cmdlZCBiZWZvcmUgdGhhdCBmb2xkZXIgY2hhbmdlcyBvciBWb3J0ZXggbG9zZXMgdHJhY2sgb2YgdGhlbS5cbmFzeW5jIGZ1bmN0aW9uIHB1cmdlQWxsKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8dm9pZD4ge1xuICBhd2FpdCB1dGlsLnRvUHJvbWlzZShjYiA9PiBhcGkuZXZlbnRzLmVtaXQoJ3B1cmdlLW1vZHMnLCBmYWxzZSwgY2IpKTtcbiAgYXdhaXQgcHVyZ2VTZXJ2ZXJNb2RzKGFwaSk7XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBzZWxlY3RTZXJ2ZXJQYXRoKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG9uQ2hhbmdlZDogKHNlcnZlclBhdGg6IHN0cmluZykgPT4gdm9pZCk6IFByb21pc2U8dm9pZD4ge1xuICBjb25zdCBjdXJyZW50ID0gZ2V0U2VydmVyUGF0aChhcGkuZ2V0U3RhdGUoKSk7XG4gIGlmIChjdXJyZW50ICE9PSB1bmRlZmluZWQpIHtcbiAgICBjb25zdCByZXN1bHQgPSBhd2FpdCBhcGkuc2hvd0RpYWxvZygncXVlc3Rpb24nLCAnRGVkaWNhdGVkIFNlcnZlcicsIHtcbiAgICAgIHRleHQ6IGFwaS50cmFuc2xhdGUoJ01vZGxldHMgYXJlIGN1cnJlbnRseSBhbHNvIGRlcGxveWVkIHRvIHRoZSBkZWRpY2F0ZWQgc2VydmVyIGF0IFwie3tzZXJ2ZXJQYXRofX1cIi4nLFxuICAgICAgICB7IHJlcGxhY2U6IHsgc2VydmVyUGF0aDogY3VycmVudCB9LCBuczogSTE4Tl9OQU1FU1BBQ0UgfSksXG4gICAgfSwgW1xuICAgICAgeyBsYWJlbDogJ0NhbmNlbCcgfSxcbiAgICAgIHsgbGFiZWw6ICdTdG9wIERlcGxveWluZyB0byBTZXJ2ZXInIH0sXG4gICAgICB7IGxhYmVsOiAnQ2hhbmdlIEZvbGRlcicgfSxcbiAgICBdKTtcbiAgICBpZiAocmVzdWx0LmFjdGlvbiA9PT0gJ1N0b3AgRGVwbG95aW5nIHRvIFNlcnZlcicpIHtcbiAgICAgIGF3YWl0IHB1cmdlQWxsKGFwaSk7XG4gICAgICByZXR1cm4gb25DaGFuZ2VkKHVuZGVmaW5lZCk7XG4gICAgfSBlbHNlIGlmIChyZXN1bHQuYWN0aW9uICE9PSAnQ2hhbmdlIEZvbGRlcicpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gIH1cblxuICBjb25zdCBkaXJlY3RvcnkgPSBhd2FpdCBhcGkuc2VsZWN0RGlyKHtcbiAgICB0aXRsZTogJ1NlbGVjdCBEZWRpY2F0ZWQgU2VydmVyIEZvbGRlcicsXG4gICAgZGVmYXVsdFBhdGg6IGN1cnJlbnQsXG4gIH0pO1xuICBpZiAoIWRpcmVjdG9yeSkge1xuICAgIHJldHVybjtcbiAgfVxuICBjb25zdCBmaWxlczogc3RyaW5nW10gPSBhd2FpdCBmcy5yZWFkZGlyQXN5bmMoZGlyZWN0b3J5KS5jYXRjaCgoKSA9PiBbXSk7XG4gIGlmIChmaWxlcy5maW5kKGZpbGUgPT4gZmlsZS50b0xvd2VyQ2FzZSgpID09PSBzZXJ2ZXJFeGVjdXRhYmxlKCkudG9Mb3dlckNhc2UoKSkgPT09IHVuZGVmaW5lZCkge1xuICAgIGNvbnN0IHJlc3VsdCA9IGF3YWl0IGFwaS5zaG93RGlhbG9nKCdxdWVzdGlvbicsICdEZWRpY2F0ZWQgU2VydmVyJywge1xuICAgICAgdGV4dDogYXBpLnRyYW5zbGF0ZSgnXCJ7e2RpcmVjdG9yeX19XCIgZG9lc25cXCd0IHNlZW0gdG8gY29udGFpbiBhIDcgRGF5cyB0byBEaWUgZGVkaWNhdGVkIHNlcnZlciAnXG4gICAgICAgICsgJyh7e2V4ZX19IGlzIG1pc3NpbmcpLiBVc2UgaXQgYW55d2F5PycsXG4gICAgICAgIHsgcmVwbGFjZTogeyBkaXJlY3RvcnksIGV4ZTogc2VydmVyRXhlY3V0YWJsZSgpIH0sIG5zOiBJMThOX05BTUVTUEFDRSB9KSxcbiAgICB9LCBbXG4gICAgICB7IGxhYmVsOiAnQ2FuY2VsJyB9LFxuICAgICAgeyBsYWJlbDogJ1VzZSBGb2xkZXInIH0sXG4gICAgXSk7XG4gICAgaWYgKHJlc3VsdC5hY3Rpb24gIT09ICdVc2UgRm9sZGVyJykge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgfVxuICBpZiAoKGN1cnJlbnQgIT09IHVuZGVmaW5lZCkgJiYgKGN1cnJlbnQgIT09IGRpcmVjdG9yeSkpIHtcbiAgICBhd2FpdCBwdXJnZUFsbChhcGkpO1xuICB9XG4gIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5qb2luKGRpcmVjdG9yeSwgJ01vZHMnKSk7XG4gIG9uQ2hhbmdlZChkaXJlY3RvcnkpO1xufVxuXG4vLyBMaXN0cyB0aGUgZm9sZGVycyB0aGUgZW5hYmxlZCBtb2RsZXRzIGdvdCBkZXBsb3llZCB0by4gU2VydmVyLW9ubHkgbW9kbGV0cyBhcmVcbi8vICBkZXBsb3llZCBieSBWb3J0ZXggaXRzZWxmLCBhbGwgb3RoZXJzIGFyZSBsaXN0ZWQgYXMgY29waWVkIGR1cmluZyB0aGUgbGFzdCBzeW5jLlxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHNob3dEZXBsb3ltZW50UmVwb3J0KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgcHJlZml4Rm9yOiBQcmVmaXhGdW5jKSB7XG4gIGNvbnN0IHQgPSBhcGkudHJhbnNsYXRlO1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBwcm9maWxlID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpO1xuICBpZiAocHJvZmlsZT8uZ2FtZUlkICE9PSBHQU1FX0lEKSB7XG4gICAgcmV0dXJuO1xuICB9XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KTtcbiAgY29uc3Qgc2VydmVyTW9kc1BhdGggPSBnZXRTZXJ2ZXJNb2RzUGF0aChzdGF0ZSk7XG4gIGNvbnN0IHN5bmNlZCA9IChzZXJ2ZXJNb2RzUGF0aCAhPT0gdW5kZWZpbmVkKSA/IGF3YWl0IHJlYWRNYW5pZmVzdChzZXJ2ZXJNb2RzUGF0aCkgOiBbXTtcbiAgY29uc3QgY2xpZW50OiBzdHJpbmdbXSA9IFtdO1xuICBjb25zdCBzZXJ2ZXI6IHN0cmluZ1tdID0gW107XG4gIGVuYWJsZWRMb2FkT3JkZXIoc3RhdGUsIHByb2ZpbGUpLmZvckVhY2goZW50cnkgPT4ge1xuICAgIGNvbnN0IG1vZCA9IG1vZHNbZW50cnkuaWRdO1xuICAgIGNvbnN0IGxpbmUgPSBgWypdJHtwcmVmaXhGb3IobW9kKX0gKCR7dXRpbC5yZW5kZXJNb2ROYW1lKG1vZCl9KWA7XG4gICAgaWYgKG1vZC50eXBlID09PSBTRVJWRVJfTU9EX1RZUEUpIHtcbiAgICAgIHNlcnZlci5wdXNoKGxpbmUpO1xuICAgIH0gZWxzZSB7XG4gICAgICBjbGllbnQucHVzaChsaW5lKTtcbiAgICAgIGlmIChzeW5jZWQuZmluZChpdGVyID0+IGl0ZXIubW9kSWQgPT09IG1vZC5pZCkgIT09IHVuZGVmaW5lZCkge1xuICAgICAgICBzZXJ2ZXIucHVzaChsaW5lKTtcbiAgICAgIH1cbiAgICB9XG4gIH0pO1xuXG4gIGNvbnN0IHJlbmRlckxpc3QgPSAobGluZXM6IHN0cmluZ1tdKSA9PiAobGluZXMubGVuZ3RoID4gMClcbiAgICA/IGBbbGlzdF0ke2xpbmVzLmpvaW4oJycpfVsvbGlzdF1gXG4gICAgOiB0KCdOb25lJywgeyBuczogSTE4Tl9OQU1FU1BBQ0UgfSkgKyAnW2JyXVsvYnJdW2JyXVsvYnJdJztcbiAgY29uc3Qgc2VydmVyVGV4dCA9IChzZXJ2ZXJNb2RzUGF0aCAhPT0gdW5kZWZpbmVkKVxuICAgID8gYFtiXSR7dCgnRGVkaWNhdGVkIFNlcnZlcicsIHsgbnM6IEkxOE5fTkFNRVNQQUNFIH0pfVsvYl0gKCR7c2VydmVyTW9kc1BhdGh9KWAgKyByZW5kZXJMaXN0KHNlcnZlcilcbiAgICA6IHQoJ05vIGRlZGljYXRlZCBzZXJ2ZXIgaXMgc2V0IHVwLicsIHsgbnM6IEkxOE5fTkFNRVNQQUNFIH0pO1xuICByZXR1cm4gYXBpLnNob3dEaWFsb2coJ2luZm8nLCAnRGVwbG95bWVudCBSZXBvcnQnLCB7XG4gICAgYmJjb2RlOiBgW2JdJHt0KCdDbGllbnQnLCB7IG5zOiBJMThOX05BTUVTUEFDRSB9KX1bL2JdYFxuICAgICAgKyBgICgke3NlbGVjdG9ycy5tb2RQYXRoc0ZvckdhbWUoc3RhdGUsIEdBTUVfSUQpPy5bJyddID8/ICcnfSlgXG4gICAgICArIHJlbmRlckxpc3QoY2xpZW50KSArIHNlcnZlclRleHQsXG4gIH0sIFtcbiAgICB7IGxhYmVsOiAnQ2xvc2UnIH0sXG4gIF0pO1xufVxuIl19
\ No newline at end of file
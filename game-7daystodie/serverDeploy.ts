@@ -0,0 +1,295 @@
+import path from 'path';
+import { actions, fs, log, selectors, types, util } from 'vortex-api';
+
+import { GAME_ID, I18N_NAMESPACE, INVALID_LO_MOD_TYPES, SERVER_MOD_TYPE, serverExecutable } from './common';
+import { DeployTarget, ILoadOrderEntry } from './types';
+
+// Modlets can optionally be deployed to a local dedicated server as well. Vortex
+//  only deploys a mod once, so modlets meant for both the client and the server
+//  are deployed to the client's Mods folder as usual and then copied over to the
+//  server after each deployment. Server-only modlets get their own mod type which
+//  makes Vortex deploy them to the server instead of the client.
+
+const MANIFEST_FILE = 'vortex_7dtd_server.json';
+const COLLISION_NOTIFICATION_ID = '7dtd-server-mod-collisions';
+
+interface IServerManifestEntry {
+  modId: string;
+  folder: string;
+  // Used to detect whether the mod got reinstalled since we copied it.
+  installTime: string;
+}
+
+export type PrefixFunc = (mod: types.IMod) => string;
+
+export function getServerPath(state: types.IState): string {
+  return util.getSafe(state, ['settings', '7daystodie', 'serverPath'], undefined);
+}
+
+export function getServerModsPath(state: types.IState): string {
+  const serverPath = getServerPath(state);
+  return (serverPath !== undefined) ? path.join(serverPath, 'Mods') : undefined;
+}
+
+export function deployTarget(mod: types.IMod): DeployTarget {
+  return mod?.attributes?.deployTarget ?? 'both';
+}
+
+// The mod type decides whether Vortex deploys the mod to the client or to the
+//  server so it has to follow the deploy target. Without a server all modlets
+//  go to the client.
+export function applyDeployTargets(api: types.IExtensionApi) {
+  const state = api.getState();
+  const hasServer = getServerPath(state) !== undefined;
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const batched = Object.values(mods)
+    .filter(mod => ['', SERVER_MOD_TYPE].includes(mod.type ?? ''))
+    .map(mod => ({
+      mod,
+      type: (hasServer && (deployTarget(mod) === 'server')) ? SERVER_MOD_TYPE : '',
+    }))
+    .filter(iter => (iter.mod.type ?? '') !== iter.type)
+    .map(iter => actions.setModType(GAME_ID, iter.mod.id, iter.type));
+  if (batched.length > 0) {
+    batched.push(actions.setDeploymentNecessary(GAME_ID, true));
+    util.batchDispatch(api.store, batched);
+  }
+}
+
+export function setDeployTarget(api: types.IExtensionApi, modIds: string[], target: DeployTarget) {
+  if ((target !== 'both') && (getServerPath(api.getState()) === undefined)) {
+    api.showErrorNotification('No dedicated server set up',
+      'Please select your dedicated server folder on the load order page first.',
+      { allowReport: false });
+    return;
+  }
+  util.batchDispatch(api.store, modIds.map(modId =>
+    actions.setModAttribute(GAME_ID, modId, 'deployTarget', target)));
+  applyDeployTargets(api);
+}
+
+async function readManifest(modsPath: string): Promise<IServerManifestEntry[]> {
+  try {
+    const data = await fs.readFileAsync(path.join(modsPath, MANIFEST_FILE), { encoding: 'utf8' });
+    return JSON.parse(data);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log('warn', 'failed to read server manifest', err.message);
+    }
+    return [];
+  }
+}
+
+async function writeManifest(modsPath: string, entries: IServerManifestEntry[]): Promise<void> {
+  await util.writeFileAtomic(path.join(modsPath, MANIFEST_FILE), JSON.stringify(entries, undefined, 2));
+}
+
+function enabledLoadOrder(state: types.IState, profile: types.IProfile): ILoadOrderEntry[] {
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const loadOrder: ILoadOrderEntry[] = util.getSafe(state, ['persistent', 'loadOrder', profile.id], []);
+  return loadOrder.filter(entry => (mods[entry.id] !== undefined)
+    && util.getSafe(profile, ['modState', entry.id, 'enabled'], false)
+    && !INVALID_LO_MOD_TYPES.includes(mods[entry.id].type));
+}
+
+// Copies the modlets meant for both client and server to the server's Mods folder
+//  and removes the copies of modlets that are no longer meant to be there.
+export async function syncServerMods(api: types.IExtensionApi,
+                                     profile: types.IProfile,
+                                     prefixFor: PrefixFunc): Promise<void> {
+  const state = api.getState();
+  const modsPath = getServerModsPath(state);
+  if (modsPath === undefined) {
+    return;
+  }
+  const stagingPath = selectors.installPathForGame(state, GAME_ID);
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const wanted: IServerManifestEntry[] = enabledLoadOrder(state, profile)
+    .map(entry => mods[entry.id])
+    .filter(mod => (mod.type ?? '') === '' && deployTarget(mod) === 'both')
+    .map(mod => ({
+      modId: mod.id,
+      folder: prefixFor(mod),
+      installTime: String(mod.attributes?.installTime ?? ''),
+    }));
+
+  await fs.ensureDirWritableAsync(modsPath);
+  const previous = await readManifest(modsPath);
+  const isSame = (lhs: IServerManifestEntry, rhs: IServerManifestEntry) =>
+    (lhs.modId === rhs.modId) && (lhs.folder === rhs.folder) && (lhs.installTime === rhs.installTime);
+
+  for (const entry of previous.filter(prev => wanted.find(iter => isSame(iter, prev)) === undefined)) {
+    await fs.removeAsync(path.join(modsPath, entry.folder))
+      .catch({ code: 'ENOENT' }, () => Promise.resolve());
+  }
+
+  // Folders we didn't put there were installed on the server by other means,
+  //  those are never overwritten.
+  const isOurs = (folder: string) =>
+    previous.find(prev => prev.folder.toLowerCase() === folder.toLowerCase()) !== undefined;
+
+  const synced: IServerManifestEntry[] = [];
+  const collisions: IServerManifestEntry[] = [];
+  try {
+    for (const entry of wanted) {
+      const destination = path.join(modsPath, entry.folder);
+      const exists = await fs.statAsync(destination).then(() => true, () => false);
+      if (exists && !isOurs(entry.folder)) {
+        collisions.push(entry);
+        continue;
+      }
+      const upToDate = exists && (previous.find(prev => isSame(prev, entry)) !== undefined);
+      if (!upToDate) {
+        await fs.removeAsync(destination).catch({ code: 'ENOENT' }, () => Promise.resolve());
+        await fs.copyAsync(path.join(stagingPath, mods[entry.modId].installationPath), destination);
+      }
+      synced.push(entry);
+    }
+  } finally {
+    // Only record what actually made it to the server so that we clean up
+    //  properly next time.
+    await writeManifest(modsPath, synced);
+  }
+  notifyCollisions(api, modsPath, collisions.map(entry => ({ ...entry, mod: mods[entry.modId] })));
+}
+
+function notifyCollisions(api: types.IExtensionApi,
+                          modsPath: string,
+                          collisions: Array<IServerManifestEntry & { mod: types.IMod }>) {
+  if (collisions.length === 0) {
+    api.dismissNotification(COLLISION_NOTIFICATION_ID);
+    return;
+  }
+  const t = api.translate;
+  api.sendNotification({
+    id: COLLISION_NOTIFICATION_ID,
+    type: 'warning',
+    message: t('Some modlets were not copied to the dedicated server', { ns: I18N_NAMESPACE }),
+    actions: [
+      {
+        title: 'More',
+        action: () => api.showDialog('info', 'Dedicated Server', {
+          bbcode: t('The Mods folder of the dedicated server ("{{modsPath}}") already contains folders '
+            + 'of the same name that weren\'t deployed by Vortex, these were left untouched. '
+            + 'Remove or rename those folders if you want Vortex to manage them:',
+            { replace: { modsPath }, ns: I18N_NAMESPACE })
+            + '[list]' + collisions.map(entry =>
+              `[*]${entry.folder} (${util.renderModName(entry.mod)})`).join('') + '[/list]',
+        }, [
+          { label: 'Close' },
+        ]),
+      },
+    ],
+  });
+}
+
+export async function purgeServerMods(api: types.IExtensionApi): Promise<void> {
+  const modsPath = getServerModsPath(api.getState());
+  if (modsPath === undefined) {
+    return;
+  }
+  const previous = await readManifest(modsPath);
+  for (const entry of previous) {
+    await fs.removeAsync(path.join(modsPath, entry.folder))
+      .catch({ code: 'ENOENT' }, () => Promise.resolve());
+  }
+  await fs.removeAsync(path.join(modsPath, MANIFEST_FILE))
+    .catch({ code: 'ENOENT' }, () => Promise.resolve());
+}
+
+// Server-only modlets are deployed to the server folder by Vortex itself, they
+//  have to be purged before that folder changes or Vortex loses track of them.
+async function purgeAll(api: types.IExtensionApi): Promise<void> {
+  await util.toPromise(cb => api.events.emit('purge-mods', false, cb));
+  await purgeServerMods(api);
+}
+
+export async function selectServerPath(api: types.IExtensionApi,
+                                       onChanged: (serverPath: string) => void): Promise<void> {
+  const current = getServerPath(api.getState());
+  if (current !== undefined) {
+    const result = await api.showDialog('question', 'Dedicated Server', {
+      text: api.translate('Modlets are currently also deployed to the dedicated server at "{{serverPath}}".',
+        { replace: { serverPath: current }, ns: I18N_NAMESPACE }),
+    }, [
+      { label: 'Cancel' },
+      { label: 'Stop Deploying to Server' },
+      { label: 'Change Folder' },
+    ]);
+    if (result.action === 'Stop Deploying to Server') {
+      await purgeAll(api);
+      return onChanged(undefined);
+    } else if (result.action !== 'Change Folder') {
+      return;
+    }
+  }
+
+  const directory = await api.selectDir({
+    title: 'Select Dedicated Server Folder',
+    defaultPath: current,
+  });
+  if (!directory) {
+    return;
+  }
+  const files: string[] = await fs.readdirAsync(directory).catch(() => []);
+  if (files.find(file => file.toLowerCase() === serverExecutable().toLowerCase()) === undefined) {
+    const result = await api.showDialog('question', 'Dedicated Server', {
+      text: api.translate('"{{directory}}" doesn\'t seem to contain a 7 Days to Die dedicated server '
+        + '({{exe}} is missing). Use it anyway?',
+        { replace: { directory, exe: serverExecutable() }, ns: I18N_NAMESPACE }),
+    }, [
+      { label: 'Cancel' },
+      { label: 'Use Folder' },
+    ]);
+    if (result.action !== 'Use Folder') {
+      return;
+    }
+  }
+  if ((current !== undefined) && (current !== directory)) {
+    await purgeAll(api);
+  }
+  await fs.ensureDirWritableAsync(path.join(directory, 'Mods'));
+  onChanged(directory);
+}
+
+// Lists the folders the enabled modlets got deployed to. Server-only modlets are
+//  deployed by Vortex itself, all others are listed as copied during the last sync.
+export async function showDeploymentReport(api: types.IExtensionApi, prefixFor: PrefixFunc) {
+  const t = api.translate;
+  const state = api.getState();
+  const profile = selectors.activeProfile(state);
+  if (profile?.gameId !== GAME_ID) {
+    return;
+  }
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const serverModsPath = getServerModsPath(state);
+  const synced = (serverModsPath !== undefined) ? await readManifest(serverModsPath) : [];
+  const client: string[] = [];
+  const server: string[] = [];
+  enabledLoadOrder(state, profile).forEach(entry => {
+    const mod = mods[entry.id];
+    const line = `[*]${prefixFor(mod)} (${util.renderModName(mod)})`;
+    if (mod.type === SERVER_MOD_TYPE) {
+      server.push(line);
+    } else {
+      client.push(line);
+      if (synced.find(iter => iter.modId === mod.id) !== undefined) {
+        server.push(line);
+      }
+    }
+  });
+
+  const renderList = (lines: string[]) => (lines.length > 0)
+    ? `[list]${lines.join('')}[/list]`
+    : t('None', { ns: I18N_NAMESPACE }) + '[br][/br][br][/br]';
+  const serverText = (serverModsPath !== undefined)
+    ? `[b]${t('Dedicated Server', { ns: I18N_NAMESPACE })}[/b] (${serverModsPath})` + renderList(server)
+    : t('No dedicated server is set up.', { ns: I18N_NAMESPACE });
+  return api.showDialog('info', 'Deployment Report', {
+    bbcode: `[b]${t('Client', { ns: I18N_NAMESPACE })}[/b]`
+      + ` (${selectors.modPathsForGame(state, GAME_ID)?.[''] ?? ''})`
+      + renderList(client) + serverText,
+  }, [
+    { label: 'Close' },
+  ]);
+}
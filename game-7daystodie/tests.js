@@ -0,0 +1,117 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.testModInfo = void 0;
+const path_1 = __importDefault(require("path"));
+const vortex_api_1 = require("vortex-api");
+const common_1 = require("./common");
+const gameVersion_1 = require("./gameVersion");
+const util_1 = require("./util");
+function ensureModInfoAttributes(api, mods) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const stagingPath = vortex_api_1.selectors.installPathForGame(api.getState(), common_1.GAME_ID);
+        for (const mod of mods.filter(iter => { var _a; return ((_a = iter.attributes) === null || _a === void 0 ? void 0 : _a[common_1.MODINFO_ATTRIBUTES.name]) === undefined; })) {
+            try {
+                const modPath = path_1.default.join(stagingPath, mod.installationPath);
+                const modInfoFile = (yield vortex_api_1.fs.readdirAsync(modPath))
+                    .find(fileName => fileName.toLowerCase() === common_1.MOD_INFO);
+                if (modInfoFile === undefined) {
+                    continue;
+                }
+                const modInfo = yield (0, util_1.getModInfo)(path_1.default.join(modPath, modInfoFile));
+                const batched = Object.keys(common_1.MODINFO_ATTRIBUTES)
+                    .filter(key => modInfo[key] !== undefined)
+                    .map(key => vortex_api_1.actions.setModAttribute(common_1.GAME_ID, mod.id, common_1.MODINFO_ATTRIBUTES[key], modInfo[key]));
+                vortex_api_1.util.batchDispatch(api.store, batched);
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('debug', 'failed to read modinfo.xml', { modId: mod.id, error: err.message });
+            }
+        }
+    });
+}
+function installedGameVersion(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const discovery = vortex_api_1.selectors.discoveryByGame(api.getState(), common_1.GAME_ID);
+        if ((discovery === null || discovery === void 0 ? void 0 : discovery.path) === undefined) {
+            return undefined;
+        }
+        try {
+            return (0, gameVersion_1.gameVersionKey)(yield vortex_api_1.util.getGame(common_1.GAME_ID).getInstalledVersion(discovery));
+        }
+        catch (err) {
+            (0, vortex_api_1.log)('debug', 'failed to determine game version', err.message);
+            return undefined;
+        }
+    });
+}
+function testModInfo(api) {
+    var _a, _b;
+    return __awaiter(this, void 0, void 0, function* () {
+        const t = api.translate;
+        const profile = vortex_api_1.selectors.activeProfile(api.getState());
+        if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+            return Promise.resolve(undefined);
+        }
+        const isEnabled = (mod) => (mod.installationPath !== undefined)
+            && vortex_api_1.util.getSafe(profile, ['modState', mod.id, 'enabled'], false)
+            && !common_1.INVALID_LO_MOD_TYPES.includes(mod.type);
+        yield ensureModInfoAttributes(api, Object.values((_a = api.getState().persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {}).filter(isEnabled));
+        const enabled = Object.values((_b = api.getState().persistent.mods[common_1.GAME_ID]) !== null && _b !== void 0 ? _b : {})
+            .filter(isEnabled);
+        const gameVersion = yield installedGameVersion(api);
+        const outdated = (gameVersion !== undefined)
+            ? enabled.filter(mod => {
+                var _a;
+                const declared = (_a = mod.attributes) === null || _a === void 0 ? void 0 : _a[common_1.MODINFO_ATTRIBUTES.gameVersion];
+                return (declared !== undefined) && (0, gameVersion_1.isOtherGameVersion)(declared, gameVersion);
+            })
+            : [];
+        const byName = enabled.reduce((accum, mod) => {
+            var _a, _b;
+            const name = (_a = mod.attributes) === null || _a === void 0 ? void 0 : _a[common_1.MODINFO_ATTRIBUTES.name];
+            if (name !== undefined) {
+                const key = (0, util_1.sanitizeModName)(name);
+                accum[key] = [].concat((_b = accum[key]) !== null && _b !== void 0 ? _b : [], mod);
+            }
+            return accum;
+        }, {});
+        const duplicates = Object.keys(byName).filter(key => byName[key].length > 1);
+        if ((outdated.length === 0) && (duplicates.length === 0)) {
+            return Promise.resolve(undefined);
+        }
+        const renderMod = (mod) => vortex_api_1.util.renderModName(mod);
+        let long = '';
+        if (outdated.length > 0) {
+            long += t('The following modlets were made for a different version of the game '
+                + '(the installed version is {{gameVersion}}). They may not work or cause errors '
+                + 'when loading a game:', { replace: { gameVersion }, ns: common_1.I18N_NAMESPACE })
+                + '[list]' + outdated.map(mod => `[*]${renderMod(mod)} `
+                + `(${mod.attributes[common_1.MODINFO_ATTRIBUTES.gameVersion]})`).join('') + '[/list]';
+        }
+        if (duplicates.length > 0) {
+            long += t('The following modlets share the same name. The game only loads one of them:', { ns: common_1.I18N_NAMESPACE })
+                + '[list]' + duplicates.map(key => `[*]${key}: ${byName[key].map(renderMod).join(' / ')}`).join('') + '[/list]';
+        }
+        return Promise.resolve({
+            description: {
+                short: t('Modlet issues detected', { ns: common_1.I18N_NAMESPACE }),
+                long,
+            },
+            severity: 'warning',
+        });
+    });
+}
+exports.testModInfo = testModInfo;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVzdHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0ZXN0cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7QUFBQSxnREFBd0I7QUFDeEIsMkNBQXNFO0FBRXRFLHFDQUF1RztBQUN2RywrQ0FBbUU7QUFDbkUsaUNBQXFEO0FBSXJELFNBQWUsdUJBQXVCLENBQUMsR0FBd0IsRUFBRSxJQUFrQjs7UUFDakYsTUFBTSxXQUFXLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1FBQzFFLEtBQUssTUFBTSxHQUFHLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxXQUFDLE9BQUEsQ0FBQSxNQUFBLElBQUksQ0FBQyxVQUFVLDBDQUFHLDJCQUFrQixDQUFDLElBQUksQ0FBQyxNQUFLLFNBQVMsQ0FBQSxFQUFBLENBQUMsRUFBRTtZQUMvRixJQUFJO2dCQUNGLE1BQU0sT0FBTyxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO2dCQUM3RCxNQUFNLFdBQVcsR0FBRyxDQUFDLE1BQU0sZUFBRSxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQztxQkFDakQsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLFdBQVcsRUFBRSxLQUFLLGlCQUFRLENBQUMsQ0FBQztnQkFDekQsSUFBSSxXQUFXLEtBQUssU0FBUyxFQUFFO29CQUM3QixTQUFTO2lCQUNWO2dCQUNELE1BQU0sT0FBTyxHQUFHLE1BQU0sSUFBQSxpQkFBVSxFQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLFdBQVcsQ0FBQyxDQUFDLENBQUM7Z0JBQ2xFLE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsMkJBQWtCLENBQUM7cUJBQzVDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxTQUFTLENBQUM7cUJBQ3pDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLG9CQUFPLENBQUMsZUFBZSxDQUFDLGdCQUFPLEVBQUUsR0FBRyxDQUFDLEVBQUUsRUFBRSwyQkFBa0IsQ0FBQyxHQUFHLENBQUMsRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUMvRixpQkFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLE9BQU8sQ0FBQyxDQUFDO2FBQ3hDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSw0QkFBNEIsRUFBRSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsRUFBRSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQzthQUNuRjtTQUNGO0lBQ0gsQ0FBQztDQUFBO0FBRUQsU0FBZSxvQkFBb0IsQ0FBQyxHQUF3Qjs7UUFDMUQsTUFBTSxTQUFTLEdBQUcsc0JBQVMsQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLGdCQUFPLENBQUMsQ0FBQztRQUNyRSxJQUFJLENBQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLElBQUksTUFBSyxTQUFTLEVBQUU7WUFDakMsT0FBTyxTQUFTLENBQUM7U0FDbEI7UUFDRCxJQUFJO1lBQ0YsT0FBTyxJQUFBLDRCQUFjLEVBQUMsTUFBTSxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxnQkFBTyxDQUFDLENBQUMsbUJBQW1CLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztTQUNuRjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSxrQ0FBa0MsRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDOUQsT0FBTyxTQUFTLENBQUM7U0FDbEI7SUFDSCxDQUFDO0NBQUE7QUFFRCxTQUFzQixXQUFXLENBQUMsR0FBd0I7OztRQUN4RCxNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE1BQU0sT0FBTyxHQUFtQixzQkFBUyxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztRQUN4RSxJQUFJLENBQUEsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFFLE1BQU0sTUFBSyxnQkFBTyxFQUFFO1lBQy9CLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUVELE1BQU0sU0FBUyxHQUFHLENBQUMsR0FBZSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsS0FBSyxTQUFTLENBQUM7ZUFDdEUsaUJBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsVUFBVSxFQUFFLEdBQUcsQ0FBQyxFQUFFLEVBQUUsU0FBUyxDQUFDLEVBQUUsS0FBSyxDQUFDO2VBQzdELENBQUMsNkJBQW9CLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM5QyxNQUFNLHVCQUF1QixDQUFDLEdBQUcsRUFDL0IsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFBLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLGdCQUFPLENBQUMsbUNBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDbEYsTUFBTSxPQUFPLEdBQWlCLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBQSxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxnQkFBTyxDQUFDLG1DQUFJLEVBQUUsQ0FBQzthQUN2RixNQUFNLENBQUMsU0FBUyxDQUFDLENBQUM7UUFFckIsTUFBTSxXQUFXLEdBQUcsTUFBTSxvQkFBb0IsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNwRCxNQUFNLFFBQVEsR0FBRyxDQUFDLFdBQVcsS0FBSyxTQUFTLENBQUM7WUFDMUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUU7O2dCQUNyQixNQUFNLFFBQVEsR0FBRyxNQUFBLEdBQUcsQ0FBQyxVQUFVLDBDQUFHLDJCQUFrQixDQUFDLFdBQVcsQ0FBQyxDQUFDO2dCQUNsRSxPQUFPLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxJQUFJLElBQUEsZ0NBQWtCLEVBQUMsUUFBUSxFQUFFLFdBQVcsQ0FBQyxDQUFDO1lBQy9FLENBQUMsQ0FBQztZQUNGLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFHUCxNQUFNLE1BQU0sR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFOztZQUMzQyxNQUFNLElBQUksR0FBRyxNQUFBLEdBQUcsQ0FBQyxVQUFVLDBDQUFHLDJCQUFrQixDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3ZELElBQUksSUFBSSxLQUFLLFNBQVMsRUFBRTtnQkFDdEIsTUFBTSxHQUFHLEdBQUcsSUFBQSxzQkFBZSxFQUFDLElBQUksQ0FBQyxDQUFDO2dCQUNsQyxLQUFLLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFBLEtBQUssQ0FBQyxHQUFHLENBQUMsbUNBQUksRUFBRSxFQUFFLEdBQUcsQ0FBQyxDQUFDO2FBQy9DO1lBQ0QsT0FBTyxLQUFLLENBQUM7UUFDZixDQUFDLEVBQUUsRUFBc0MsQ0FBQyxDQUFDO1FBQzNDLE1BQU0sVUFBVSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUU3RSxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLEVBQUU7WUFDeEQsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DO1FBRUQsTUFBTSxTQUFTLEdBQUcsQ0FBQyxHQUFlLEVBQUUsRUFBRSxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQy9ELElBQUksSUFBSSxHQUFHLEVBQUUsQ0FBQztRQUNkLElBQUksUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDdkIsSUFBSSxJQUFJLENBQUMsQ0FBQyxzRUFBc0U7a0JBQzVFLGdGQUFnRjtrQkFDaEYsc0JBQXNCLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxXQUFXLEVBQUUsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDO2tCQUN6RSxRQUFRLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sU0FBUyxDQUFDLEdBQUcsQ0FBQyxHQUFHO2tCQUNwRCxJQUFJLEdBQUcsQ0FBQyxVQUFVLENBQUMsMkJBQWtCLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsR0FBRyxTQUFTLENBQUM7U0FDbkY7UUFDRCxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3pCLElBQUksSUFBSSxDQUFDLENBQUMsNkVBQTZFLEVBQ3JGLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQztrQkFDckIsUUFBUSxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FDaEMsTUFBTSxHQUFHLEtBQUssTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsR0FBRyxTQUFTLENBQUM7U0FDbEY7UUFFRCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUM7WUFDckIsV0FBVyxFQUFFO2dCQUNYLEtBQUssRUFBRSxDQUFDLENBQUMsd0JBQXdCLEVBQUUsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDO2dCQUMxRCxJQUFJO2FBQ0w7WUFDRCxRQUFRLEVBQUUsU0FBa0M7U0FDN0MsQ0FBQyxDQUFDOztDQUNKO0FBN0RELGtDQTZEQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgYWN0aW9ucywgZnMsIGxvZywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBHQU1FX0lELCBJMThOX05BTUVTUEFDRSwgSU5WQUxJRF9MT19NT0RfVFlQRVMsIE1PRF9JTkZPLCBNT0RJTkZPX0FUVFJJQlVURVMgfSBmcm9tICcuL2NvbW1vbic7XG5pbXBvcnQgeyBnYW1lVmVyc2lvbktleSwgaXNPdGhlckdhbWVWZXJzaW9uIH0gZnJvbSAnLi9nYW1lVmVyc2lvbic7XG5pbXBvcnQgeyBnZXRNb2RJbmZvLCBzYW5pdGl6ZU1vZE5hbWUgfSBmcm9tICcuL3V0aWwnO1xuXG4vLyBNb2RzIGluc3RhbGxlZCBieSBvbGRlciB2ZXJzaW9ucyBvZiB0aGUgZXh0ZW5zaW9uIGRvbid0IGhhdmUgdGhlIE1vZEluZm8ueG1sXG4vLyAgZmllbGRzIHN0b3JlZCBhcyBhdHRyaWJ1dGVzIHlldCwgcmVhZCB0aGVtIGZyb20gdGhlIHN0YWdpbmcgZm9sZGVyLlxuYXN5bmMgZnVuY3Rpb24gZW5zdXJlTW9kSW5mb0F0dHJpYnV0ZXMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBtb2RzOiB0eXBlcy5JTW9kW10pOiBQcm9taXNlPHZvaWQ+IHtcbiAgY29uc3Qgc3RhZ2luZ1BhdGggPSBzZWxlY3RvcnMuaW5zdGFsbFBhdGhGb3JHYW1lKGFwaS5nZXRTdGF0ZSgpLCBHQU1FX0lEKTtcbiAgZm9yIChjb25zdCBtb2Qgb2YgbW9kcy5maWx0ZXIoaXRlciA9PiBpdGVyLmF0dHJpYnV0ZXM/LltNT0RJTkZPX0FUVFJJQlVURVMubmFtZV0gPT09IHVuZGVmaW5lZCkpIHtcbiAgICB0cnkge1xuICAgICAgY29uc3QgbW9kUGF0aCA9IHBhdGguam9pbihzdGFnaW5nUGF0aCwgbW9kLmluc3RhbGxhdGlvblBhdGgpO1xuICAgICAgY29uc3QgbW9kSW5mb0ZpbGUgPSAoYXdhaXQgZnMucmVhZGRpckFzeW5jKG1vZFBhdGgpKVxuICAgICAgICAuZmluZChmaWxlTmFtZSA9PiBmaWxlTmFtZS50b0xvd2VyQ2FzZSgpID09PSBNT0RfSU5GTyk7XG4gICAgICBpZiAobW9kSW5mb0ZpbGUgPT09IHVuZGVmaW5lZCkge1xuICAgICAgICBjb250aW51ZTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IG1vZEluZm8gPSBhd2FpdCBnZXRNb2RJbmZvKHBhdGguam9pbihtb2RQYXRoLCBtb2RJbmZvRmlsZSkpO1xuICAgICAgY29uc3QgYmF0Y2hlZCA9IE9iamVjdC5rZXlzKE1PRElORk9fQVRUUklCVVRFUylcbiAgICAgICAgLmZpbHRlcihrZXkgPT4gbW9kSW5mb1trZXldICE9PSB1bmRlZmluZWQpXG4gICAgICAgIC5tYXAoa2V5ID0+IGFjdGlvbnMuc2V0TW9kQXR0cmlidXRlKEdBTUVfSUQsIG1vZC5pZCwgTU9ESU5GT19BVFRSSUJVVEVTW2tleV0sIG1vZEluZm9ba2V5XSkpO1xuICAgICAgdXRpbC5iYXRjaERpc3BhdGNoKGFwaS5zdG9yZSwgYmF0Y2hlZCk7XG4gICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICBsb2coJ2RlYnVnJywgJ2ZhaWxlZCB0byByZWFkIG1vZGluZm8ueG1sJywgeyBtb2RJZDogbW9kLmlkLCBlcnJvcjogZXJyLm1lc3NhZ2UgfSk7XG4gICAgfVxuICB9XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGluc3RhbGxlZEdhbWVWZXJzaW9uKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8c3RyaW5nPiB7XG4gIGNvbnN0IGRpc2NvdmVyeSA9IHNlbGVjdG9ycy5kaXNjb3ZlcnlCeUdhbWUoYXBpLmdldFN0YXRlKCksIEdBTUVfSUQpO1xuICBpZiAoZGlzY292ZXJ5Py5wYXRoID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm4gdW5kZWZpbmVkO1xuICB9XG4gIHRyeSB7XG4gICAgcmV0dXJuIGdhbWVWZXJzaW9uS2V5KGF3YWl0IHV0aWwuZ2V0R2FtZShHQU1FX0lEKS5nZXRJbnN0YWxsZWRWZXJzaW9uKGRpc2NvdmVyeSkpO1xuICB9IGNhdGNoIChlcnIpIHtcbiAgICBsb2coJ2RlYnVnJywgJ2ZhaWxlZCB0byBkZXRlcm1pbmUgZ2FtZSB2ZXJzaW9uJywgZXJyLm1lc3NhZ2UpO1xuICAgIHJldHVybiB1bmRlZmluZWQ7XG4gIH1cbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHRlc3RNb2RJbmZvKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8dHlwZXMuSVRlc3RSZXN1bHQ+IHtcbiAgY29uc3QgdCA9IGFwaS50cmFuc2xhdGU7XG4gIGNvbnN0IHByb2ZpbGU6IHR5cGVzLklQcm9maWxlID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoYXBpLmdldFN0YXRlKCkpO1xuICBpZiAocHJvZmlsZT8uZ2FtZUlkICE9PSBHQU1FX0lEKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xuICB9XG5cbiAgY29uc3QgaXNFbmFibGVkID0gKG1vZDogdHlwZXMuSU1vZCkgPT4gKG1vZC5pbnN0YWxsYXRpb25QYXRoICE9PSB1bmRlZmluZWQpXG4gICAgJiYgdXRpbC5nZXRTYWZlKHByb2ZpbGUsIFsnbW9kU3RhdGUnLCBtb2QuaWQsICdlbmFibGVkJ10sIGZhbHNlKVxuICAgICYmICFJTlZBTElEX0xPX01PRF9UWVBFUy5pbmNsdWRlcyhtb2QudHlwZSk7XG4gIGF3YWl0IGVuc3VyZU1vZEluZm9BdHRyaWJ1dGVzKGFwaSxcbiAgICBPYmplY3QudmFsdWVzKGFwaS5nZXRTdGF0ZSgpLnBlcnNpc3RlbnQubW9kc1tHQU1FX0lEXSA/PyB7fSkuZmlsdGVyKGlzRW5hYmxlZCkpO1xuICBjb25zdCBlbmFibGVkOiB0eXBlcy5JTW9kW10gPSBPYmplY3QudmFsdWVzKGFwaS5nZXRTdGF0ZSgpLnBlcnNpc3RlbnQubW9kc1tHQU1FX0lEXSA/PyB7fSlcbiAgICAuZmlsdGVyKGlzRW5hYmxlZCk7XG5cbiAgY29uc3QgZ2FtZVZlcnNpb24gPSBhd2FpdCBpbnN0YWxsZWRHYW1lVmVyc2lvbihhcGkpO1xuICBjb25zdCBvdXRkYXRlZCA9IChnYW1lVmVyc2lvbiAhPT0gdW5kZWZpbmVkKVxuICAgID8gZW5hYmxlZC5maWx0ZXIobW9kID0+IHtcbiAgICAgIGNvbnN0IGRlY2xhcmVkID0gbW9kLmF0dHJpYnV0ZXM/LltNT0RJTkZPX0FUVFJJQlVURVMuZ2FtZVZlcnNpb25dO1xuICAgICAgcmV0dXJuIChkZWNsYXJlZCAhPT0gdW5kZWZpbmVkKSAmJiBpc090aGVyR2FtZVZlcnNpb24oZGVjbGFyZWQsIGdhbWVWZXJzaW9uKTtcbiAgICB9KVxuICAgIDogW107XG5cbiAgLy8gVGhlIGdhbWUgcmVmdXNlcyB0byBsb2FkIGEgbW9kbGV0IGlmIGFub3RoZXIgb25lIHdpdGggdGhlIHNhbWUgbmFtZSBpcyBsb2FkZWQgYWxyZWFkeVxuICBjb25zdCBieU5hbWUgPSBlbmFibGVkLnJlZHVjZSgoYWNjdW0sIG1vZCkgPT4ge1xuICAgIGNvbnN0IG5hbWUgPSBtb2QuYXR0cmlidXRlcz8uW01PRElORk9fQVRUUklCVVRFUy5uYW1lXTtcbiAgICBpZiAobmFtZSAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICBjb25zdCBrZXkgPSBzYW5pdGl6ZU1vZE5hbWUobmFtZSk7XG4gICAgICBhY2N1bVtrZXldID0gW10uY29uY2F0KGFjY3VtW2tleV0gPz8gW10sIG1vZCk7XG4gICAgfVxuICAgIHJldHVybiBhY2N1bTtcbiAgfSwge30gYXMgeyBbbmFtZTogc3RyaW5nXTogdHlwZXMuSU1vZFtdIH0pO1xuICBjb25zdCBkdXBsaWNhdGVzID0gT2JqZWN0LmtleXMoYnlOYW1lKS5maWx0ZXIoa2V5ID0+IGJ5TmFtZVtrZXldLmxlbmd0aCA+IDEpO1xuXG4gIGlmICgob3V0ZGF0ZWQubGVuZ3RoID09PSAwKSAmJiAoZHVwbGljYXRlcy5sZW5ndGggPT09IDApKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xuICB9XG5cbiAgY29uc3QgcmVuZGVyTW9kID0gKG1vZDogdHlwZXMuSU1vZCkgPT4gdXRpbC5yZW5kZXJNb2ROYW1lKG1vZCk7XG4gIGxldCBsb25nID0gJyc7XG4gIGlmIChvdXRkYXRlZC5sZW5ndGggPiAwKSB7XG4gICAgbG9uZyArPSB0KCdUaGUgZm9sbG93aW5nIG1vZGxldHMgd2VyZSBtYWRlIGZvciBhIGRpZmZlcmVudCB2ZXJzaW9uIG9mIHRoZSBnYW1lICdcbiAgICAgICsgJyh0aGUgaW5zdGFsbGVkIHZlcnNpb24gaXMge3tnYW1lVmVyc2lvbn19KS4gVGhleSBtYXkgbm90IHdvcmsgb3IgY2F1c2UgZXJyb3JzICdcbiAgICAgICsgJ3doZW4gbG9hZGluZyBhIGdhbWU6JywgeyByZXBsYWNlOiB7IGdhbWVWZXJzaW9uIH0sIG5zOiBJMThOX05BTUVTUEFDRSB9KVxuICAgICAgKyAnW2xpc3RdJyArIG91dGRhdGVkLm1hcChtb2QgPT4gYFsqXSR7cmVuZGVyTW9kKG1vZCl9IGBcbiAgICAgICAgKyBgKCR7bW9kLmF0dHJpYnV0ZXNbTU9ESU5GT19BVFRSSUJVVEVTLmdhbWVWZXJzaW9uXX0pYCkuam9pbignJykgKyAnWy9saXN0XSc7XG4gIH1cbiAgaWYgKGR1cGxpY2F0ZXMubGVuZ3RoID4gMCkge1xuICAgIGxvbmcgKz0gdCgnVGhlIGZvbGxvd2luZyBtb2RsZXRzIHNoYXJlIHRoZSBzYW1lIG5hbWUuIFRoZSBnYW1lIG9ubHkgbG9hZHMgb25lIG9mIHRoZW06JyxcbiAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFIH0pXG4gICAgICArICdbbGlzdF0nICsgZHVwbGljYXRlcy5tYXAoa2V5ID0+XG4gICAgICAgIGBbKl0ke2tleX06ICR7YnlOYW1lW2tleV0ubWFwKHJlbmRlck1vZCkuam9pbignIC8gJyl9YCkuam9pbignJykgKyAnWy9saXN0XSc7XG4gIH1cblxuICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHtcbiAgICBkZXNjcmlwdGlvbjoge1xuICAgICAgc2hvcnQ6IHQoJ01vZGxldCBpc3N1ZXMgZGV0ZWN0ZWQnLCB7IG5zOiBJMThOX05BTUVTUEFDRSB9KSxcbiAgICAgIGxvbmcsXG4gICAgfSxcbiAgICBzZXZlcml0eTogJ3dhcm5pbmcnIGFzIHR5cGVzLlByb2JsZW1TZXZlcml0eSxcbiAgfSk7XG59XG4iXX0=
\ No newline at end of file
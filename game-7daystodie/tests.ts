@@ -0,0 +1,105 @@
+import path from 'path';
+import { actions, fs, log, selectors, types, util } from 'vortex-api';
+
+import { GAME_ID, I18N_NAMESPACE, INVALID_LO_MOD_TYPES, MOD_INFO, MODINFO_ATTRIBUTES } from './common';
+import { gameVersionKey, isOtherGameVersion } from './gameVersion';
+import { getModInfo, sanitizeModName } from './util';
+
+// Mods installed by older versions of the extension don't have the ModInfo.xml
+//  fields stored as attributes yet, read them from the staging folder.
+async function ensureModInfoAttributes(api: types.IExtensionApi, mods: types.IMod[]): Promise<void> {
+  const stagingPath = selectors.installPathForGame(api.getState(), GAME_ID);
+  for (const mod of mods.filter(iter => iter.attributes?.[MODINFO_ATTRIBUTES.name] === undefined)) {
+    try {
+      const modPath = path.join(stagingPath, mod.installationPath);
+      const modInfoFile = (await fs.readdirAsync(modPath))
+        .find(fileName => fileName.toLowerCase() === MOD_INFO);
+      if (modInfoFile === undefined) {
+        continue;
+      }
+      const modInfo = await getModInfo(path.join(modPath, modInfoFile));
+      const batched = Object.keys(MODINFO_ATTRIBUTES)
+        .filter(key => modInfo[key] !== undefined)
+        .map(key => actions.setModAttribute(GAME_ID, mod.id, MODINFO_ATTRIBUTES[key], modInfo[key]));
+      util.batchDispatch(api.store, batched);
+    } catch (err) {
+      log('debug', 'failed to read modinfo.xml', { modId: mod.id, error: err.message });
+    }
+  }
+}
+
+async function installedGameVersion(api: types.IExtensionApi): Promise<string> {
+  const discovery = selectors.discoveryByGame(api.getState(), GAME_ID);
+  if (discovery?.path === undefined) {
+    return undefined;
+  }
+  try {
+    return gameVersionKey(await util.getGame(GAME_ID).getInstalledVersion(discovery));
+  } catch (err) {
+    log('debug', 'failed to determine game version', err.message);
+    return undefined;
+  }
+}
+
+export async function testModInfo(api: types.IExtensionApi): Promise<types.ITestResult> {
+  const t = api.translate;
+  const profile: types.IProfile = selectors.activeProfile(api.getState());
+  if (profile?.gameId !== GAME_ID) {
+    return Promise.resolve(undefined);
+  }
+
+  const isEnabled = (mod: types.IMod) => (mod.installationPath !== undefined)
+    && util.getSafe(profile, ['modState', mod.id, 'enabled'], false)
+    && !INVALID_LO_MOD_TYPES.includes(mod.type);
+  await ensureModInfoAttributes(api,
+    Object.values(api.getState().persistent.mods[GAME_ID] ?? {}).filter(isEnabled));
+  const enabled: types.IMod[] = Object.values(api.getState().persistent.mods[GAME_ID] ?? {})
+    .filter(isEnabled);
+
+  const gameVersion = await installedGameVersion(api);
+  const outdated = (gameVersion !== undefined)
+    ? enabled.filter(mod => {
+      const declared = mod.attributes?.[MODINFO_ATTRIBUTES.gameVersion];
+      return (declared !== undefined) && isOtherGameVersion(declared, gameVersion);
+    })
+    : [];
+
+  // The game refuses to load a modlet if another one with the same name is loaded already
+  const byName = enabled.reduce((accum, mod) => {
+    const name = mod.attributes?.[MODINFO_ATTRIBUTES.name];
+    if (name !== undefined) {
+      const key = sanitizeModName(name);
+      accum[key] = [].concat(accum[key] ?? [], mod);
+    }
+    return accum;
+  }, {} as { [name: string]: types.IMod[] });
+  const duplicates = Object.keys(byName).filter(key => byName[key].length > 1);
+
+  if ((outdated.length === 0) && (duplicates.length === 0)) {
+    return Promise.resolve(undefined);
+  }
+
+  const renderMod = (mod: types.IMod) => util.renderModName(mod);
+  let long = '';
+  if (outdated.length > 0) {
+    long += t('The following modlets were made for a different version of the game '
+      + '(the installed version is {{gameVersion}}). They may not work or cause errors '
+      + 'when loading a game:', { replace: { gameVersion }, ns: I18N_NAMESPACE })
+      + '[list]' + outdated.map(mod => `[*]${renderMod(mod)} `
+        + `(${mod.attributes[MODINFO_ATTRIBUTES.gameVersion]})`).join('') + '[/list]';
+  }
+  if (duplicates.length > 0) {
+    long += t('The following modlets share the same name. The game only loads one of them:',
+      { ns: I18N_NAMESPACE })
+      + '[list]' + duplicates.map(key =>
+        `[*]${key}: ${byName[key].map(renderMod).join(' / ')}`).join('') + '[/list]';
+  }
+
+  return Promise.resolve({
+    description: {
+      short: t('Modlet issues detected', { ns: I18N_NAMESPACE }),
+      long,
+    },
+    severity: 'warning' as types.ProblemSeverity,
+  });
+}
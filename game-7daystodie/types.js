@@ -1,3 +1,3 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgdHlwZXMgfSBmcm9tICd2b3J0ZXgtYXBpJztcblxuZXhwb3J0IHR5cGUgTG9ja2VkU3RhdGUgPSAndHJ1ZScgfCAnZmFsc2UnIHwgJ2Fsd2F5cycgfCAnbmV2ZXInO1xuZXhwb3J0IHR5cGUgTG9hZE9yZGVyID0gSUxvYWRPcmRlckVudHJ5W107XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVByb3BzIHtcbiAgc3RhdGU6IHR5cGVzLklTdGF0ZTtcbiAgYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpO1xuICBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZTtcbiAgZGlzY292ZXJ5OiB0eXBlcy5JRGlzY292ZXJ5UmVzdWx0O1xuICBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9O1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElTZXJpYWxpemFibGVEYXRhIHtcbiAgLy8gVGhlIHByZWZpeCB3ZSB3YW50IHRvIGFkZCB0byB0aGUgZm9sZGVyIG5hbWUgb24gZGVwbG95bWVudC5cbiAgcHJlZml4OiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUxvYWRPcmRlckVudHJ5IHtcbiAgLy8gQW4gYXJiaXRyYXJ5IHVuaXF1ZSBJZC5cbiAgaWQ6IHN0cmluZztcblxuICAvLyBUaGlzIHByb3BlcnR5IGlzIHJlcXVpcmVkIGJ5IHRoZSBGQkxPIEFQSSBmdW5jdG9ycy5cbiAgLy8gIFRoaXMgZ2FtZSB3aWxsIG5vdCBiZSB1c2luZyBjaGVja2JveGVzIHNvIHdlJ3JlIGp1c3QgZ29pbmcgdG9cbiAgLy8gIGFzc2lnbiBcInRydWVcIiB3aGVuIHdlIGJ1aWxkIHRoZSBsb2FkIG9yZGVyIGVudHJ5IGluc3RhbmNlLlxuICBlbmFibGVkOiBib29sZWFuO1xuXG4gIC8vIEh1bWFuIHJlYWRhYmxlIG5hbWUgZm9yIHRoZSBtb2QgLSB0aGlzIGlzIHdoYXQgd2UgZGlzcGxheSB0byB0aGUgdXNlclxuICAvLyAgaW4gdGhlIGxvYWQgb3JkZXIgcGFnZS5cbiAgbmFtZTogc3RyaW5nO1xuXG4gIC8vIFRoZSBtb2RJZCBhcyBzdG9yZWQgYnkgVm9ydGV4IGluIGl0cyBhcHBsaWNhdGlvbiBzdGF0ZS4gUmVtZW1iZXIsIGluXG4gIC8vICBvdGhlciBnYW1lcywgMSBtb2RJZCBjb3VsZCBoYXZlIHNldmVyYWwgbW9kIGVudHJpZXMgaW4gdGhlIGxvYWQgb3JkZXJcbiAgLy8gIHBhZ2UgdGhhdCBhcmUgdGllZCB0byBpdC4gVGhhdCdzIHdoeSB3ZSBoYXZlIHR3byBzZXBhcmF0ZSBpZCBwcm9wZXJ0aWVzLlxuICBtb2RJZD86IHN0cmluZztcblxuICAvLyBBbnkgYWRkaXRpb25hbCBkYXRhIHdlIHdhbnQgdG8gc3RvcmUgaW4gdGhlIGxvYWQgb3JkZXIgZmlsZS5cbiAgZGF0YT86IElTZXJpYWxpemFibGVEYXRhO1xufVxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgdHlwZXMgfSBmcm9tICd2b3J0ZXgtYXBpJztcblxuZXhwb3J0IHR5cGUgTG9ja2VkU3RhdGUgPSAndHJ1ZScgfCAnZmFsc2UnIHwgJ2Fsd2F5cycgfCAnbmV2ZXInO1xuZXhwb3J0IHR5cGUgTG9hZE9yZGVyID0gSUxvYWRPcmRlckVudHJ5W107XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVByb3BzIHtcbiAgc3RhdGU6IHR5cGVzLklTdGF0ZTtcbiAgYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpO1xuICBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZTtcbiAgZGlzY292ZXJ5OiB0eXBlcy5JRGlzY292ZXJ5UmVzdWx0O1xuICBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9O1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElTZXJpYWxpemFibGVEYXRhIHtcbiAgLy8gVGhlIHByZWZpeCB3ZSB3YW50IHRvIGFkZCB0byB0aGUgZm9sZGVyIG5hbWUgb24gZGVwbG95bWVudC5cbiAgcHJlZml4OiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUxvYWRPcmRlckVudHJ5IHtcbiAgLy8gQW4gYXJiaXRyYXJ5IHVuaXF1ZSBJZC5cbiAgaWQ6IHN0cmluZztcblxuICAvLyBUaGlzIHByb3BlcnR5IGlzIHJlcXVpcmVkIGJ5IHRoZSBGQkxPIEFQSSBmdW5jdG9ycy5cbiAgLy8gIFRoaXMgZ2FtZSB3aWxsIG5vdCBiZSB1c2luZyBjaGVja2JveGVzIHNvIHdlJ3JlIGp1c3QgZ29pbmcgdG9cbiAgLy8gIGFzc2lnbiBcInRydWVcIiB3aGVuIHdlIGJ1aWxkIHRoZSBsb2FkIG9yZGVyIGVudHJ5IGluc3RhbmNlLlxuICBlbmFibGVkOiBib29sZWFuO1xuXG4gIC8vIEh1bWFuIHJlYWRhYmxlIG5hbWUgZm9yIHRoZSBtb2QgLSB0aGlzIGlzIHdoYXQgd2UgZGlzcGxheSB0byB0aGUgdXNlclxuICAvLyAgaW4gdGhlIGxvYWQgb3JkZXIgcGFnZS5cbiAgbmFtZTogc3RyaW5nO1xuXG4gIC8vIFRoZSBtb2RJZCBhcyBzdG9yZWQgYnkgVm9ydGV4IGluIGl0cyBhcHBsaWNhdGlvbiBzdGF0ZS4gUmVtZW1iZXIsIGluXG4gIC8vICBvdGhlciBnYW1lcywgMSBtb2RJZCBjb3VsZCBoYXZlIHNldmVyYWwgbW9kIGVudHJpZXMgaW4gdGhlIGxvYWQgb3JkZXJcbiAgLy8gIHBhZ2UgdGhhdCBhcmUgdGllZCB0byBpdC4gVGhhdCdzIHdoeSB3ZSBoYXZlIHR3byBzZXBhcmF0ZSBpZCBwcm9wZXJ0aWVzLlxuICBtb2RJZD86IHN0cmluZztcblxuICAvLyBBbnkgYWRkaXRpb25hbCBkYXRhIHdlIHdhbnQgdG8gc3RvcmUgaW4gdGhlIGxvYWQgb3JkZXIgZmlsZS5cbiAgZGF0YT86IElTZXJpYWxpemFibGVEYXRhO1xufVxuXG5leHBvcnQgdHlwZSBYUGF0aENvbmZsaWN0VHlwZSA9ICdvdmVyd3JpdGUnIHwgJ3JlbW92ZSc7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVhQYXRoT3BlcmF0aW9uIHtcbiAgbW9kSWQ6IHN0cmluZztcblxuICAvLyBQYXRoIG9mIHRoZSBwYXRjaGVkIGZpbGUgcmVsYXRpdmUgdG8gdGhlIENvbmZpZyBmb2xkZXIsIGxvd2VyIGNhc2VcbiAgLy8gIGFuZCB1c2luZyBmb3J3YXJkIHNsYXNoZXMsIGUuZy4gJ2l0ZW1zLnhtbCcgb3IgJ3h1aS93aW5kb3dzLnhtbCcuXG4gIGZpbGU6IHN0cmluZztcblxuICAvLyBMb3dlciBjYXNlIG5hbWUgb2YgdGhlIG9wZXJhdGlvbiwgZS5nLiAnc2V0JywgJ2FwcGVuZCcsICdyZW1vdmUnLlxuICBvcDogc3RyaW5nO1xuXG4gIC8vIE5vcm1hbGl6ZWQgc28gdGhhdCBlcXVpdmFsZW50IGV4cHJlc3Npb25zIGNhbiBiZSBjb21wYXJlZC5cbiAgeHBhdGg6IHN0cmluZztcblxuICAvLyBUZXh0IGNvbnRlbnQgb2YgdGhlIG9wZXJhdGlvbiwgaWYgYW55LlxuICB2YWx1ZT86IHN0cmluZztcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJWFBhdGhDb25mbGljdCB7XG4gIGlkOiBzdHJpbmc7XG4gIHR5cGU6IFhQYXRoQ29uZmxpY3RUeXBlO1xuICBmaWxlOiBzdHJpbmc7XG4gIHhwYXRoOiBzdHJpbmc7XG4gIGVudHJpZXM6IElYUGF0aE9wZXJhdGlvbltdO1xufVxuXG5cbi8vIFRoZSBmaWVsZHMgb2YgYSBtb2RsZXQncyBNb2RJbmZvLnhtbC4gVjEgZmlsZXMgd3JhcCB0aGVzZSBpbiBhIDxNb2RJbmZvPiBub2RlLFxuLy8gIFYyIGZpbGVzIChBMjEgYW5kIG5ld2VyKSBrZWVwIHRoZW0gYXQgdGhlIHRvcCBsZXZlbCBhbmQgYWRkIERpc3BsYXlOYW1lLlxuZXhwb3J0IGludGVyZmFjZSBJTW9kSW5mbyB7XG4gIC8vIFVzZWQgYnkgdGhlIGdhbWUgdG8gaWRlbnRpZnkgdGhlIG1vZGxldCwgbXVzdCBiZSB1bmlxdWUuXG4gIG5hbWU6IHN0cmluZztcbiAgZGlzcGxheU5hbWU/OiBzdHJpbmc7XG4gIHZlcnNpb24/OiBzdHJpbmc7XG4gIGF1dGhvcj86IHN0cmluZztcbiAgd2Vic2l0ZT86IHN0cmluZztcbiAgZGVzY3JpcHRpb24/OiBzdHJpbmc7XG5cbiAgLy8gVGhlIGdhbWUgdmVyc2lvbiB0aGUgbW9kbGV0IHdhcyBtYWRlIGZvciBpZiB0aGUgYXV0aG9yIG1lbnRpb25zIGl0LCBlLmcuICdBMjEnIG9yICdWMScuXG4gIGdhbWVWZXJzaW9uPzogc3RyaW5nO1xufVxuXG4vLyBXaGVyZSBhIG1vZGxldCBnZXRzIGRlcGxveWVkIHRvIGlmIGEgZGVkaWNhdGVkIHNlcnZlciBpcyBzZXQgdXAuXG5leHBvcnQgdHlwZSBEZXBsb3lUYXJnZXQgPSAnY2xpZW50JyB8ICdzZXJ2ZXInIHwgJ2JvdGgnO1xuIl19
\ No newline at end of file
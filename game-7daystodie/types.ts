@@ -37,3 +37,49 @@ export interface ILoadOrderEntry {
   // Any additional data we want to store in the load order file.
   data?: ISerializableData;
 }
+
+export type XPathConflictType = 'overwrite' | 'remove';
+
+export interface IXPathOperation {
+  modId: string;
+
+  // Path of the patched file relative to the Config folder, lower case
+  //  and using forward slashes, e.g. 'items.xml' or 'xui/windows.xml'.
+  file: string;
+
+  // Lower case name of the operation, e.g. 'set', 'append', 'remove'.
+  op: string;
+
+  // Normalized so that equivalent expressions can be compared.
+  xpath: string;
+
+  // Text content of the operation, if any.
+  value?: string;
+}
+
+export interface IXPathConflict {
+  id: string;
+  type: XPathConflictType;
+  file: string;
+  xpath: string;
+  entries: IXPathOperation[];
+}
+
+
+// The fields of a modlet's ModInfo.xml. V1 files wrap these in a <ModInfo> node,
+//  V2 files (A21 and newer) keep them at the top level and add DisplayName.
+export interface IModInfo {
+  // Used by the game to identify the modlet, must be unique.
+  name: string;
+  displayName?: string;
+  version?: string;
+  author?: string;
+  website?: string;
+  description?: string;
+
+  // The game version the modlet was made for if the author mentions it, e.g. 'A21' or 'V1'.
+  gameVersion?: string;
+}
+
+// Where a modlet gets deployed to if a dedicated server is set up.
+export type DeployTarget = 'client' | 'server' | 'both';
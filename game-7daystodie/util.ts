@@ -1,11 +1,12 @@
 import Bluebird from 'bluebird';
 import path from 'path';
 import turbowalk from 'turbowalk';
-import { fs, selectors, types, util } from 'vortex-api';
+import { fs, log, selectors, types, util } from 'vortex-api';
 import { Parser } from 'xml2js';
 
 import { GAME_ID, MOD_INFO, loadOrderFilePath } from './common';
-import { IProps } from './types';
+import { gameVersionKey, parseLogVersion } from './gameVersion';
+import { IModInfo, IProps } from './types';
 
 const PARSER = new Parser({explicitRoot: false});
 
@@ -96,20 +97,95 @@ export function makePrefix(input: number) {
   return util.pad((res as any), 'A', 3);
 }
 
-export async function getModName(modInfoPath): Promise<any> {
+// The executable only carries the version of the Unity engine, the actual game
+//  version can only be found in the logs the game writes on startup. Those go
+//  to AppData, older releases wrote them to the data folder.
+export async function getGameVersion(gamePath: string): Promise<string> {
+  const logDirs = [
+    path.join(util.getVortexPath('appData'), '7DaysToDie', 'logs'),
+    path.join(gamePath, '7DaysToDie_Data'),
+  ];
+  const logFiles: Array<{ filePath: string, mtime: number }> = [];
+  for (const logDir of logDirs) {
+    try {
+      const entries = (await fs.readdirAsync(logDir))
+        .filter((fileName: string) => /^output_log.*\.txt$/i.test(fileName));
+      for (const fileName of entries) {
+        const filePath = path.join(logDir, fileName);
+        logFiles.push({ filePath, mtime: (await fs.statAsync(filePath)).mtimeMs });
+      }
+    } catch (err) {
+      // the game hasn't been run yet
+    }
+  }
+
+  for (const logFile of logFiles.sort((lhs, rhs) => rhs.mtime - lhs.mtime)) {
+    try {
+      const version = parseLogVersion(await fs.readFileAsync(logFile.filePath, { encoding: 'utf8' }));
+      if (version !== undefined) {
+        return version;
+      }
+    } catch (err) {
+      log('debug', 'failed to read game log', { filePath: logFile.filePath, error: err.message });
+    }
+  }
+  return Promise.reject(new util.DataInvalid('Failed to determine the game version, '
+    + 'run the game once so it writes its log'));
+}
+
+// Authors usually only mention the game version in the display name or the
+//  description (e.g. "[A21] My Modlet"). Version numbers of the modlet itself
+//  look just like game versions though, so only alpha tags are picked up there.
+function gameVersionHint(texts: string[]): string {
+  for (const text of texts.filter(iter => iter !== undefined)) {
+    const match = text.match(/\b(?:a|alpha\s*)(\d{2})\b/i);
+    if (match !== null) {
+      return `A${parseInt(match[1], 10)}`;
+    }
+  }
+  return undefined;
+}
+
+export function sanitizeModName(name: string): string {
+  return name.replace(/[^a-zA-Z0-9]/g, '');
+}
+
+export async function getModInfo(modInfoPath: string): Promise<IModInfo> {
   let modInfo;
   try {
-    const xmlData = await fs.readFileAsync(modInfoPath);
-    modInfo = await PARSER.parseStringPromise(xmlData);
-    const modName = modInfo?.DisplayName?.[0]?.$?.value
-                 || modInfo?.ModInfo?.[0]?.Name?.[0]?.$?.value
-                 || modInfo?.Name?.[0]?.$?.value;
-    return (modName !== undefined)
-      ? Promise.resolve(modName)
-      : Promise.reject(new util.DataInvalid('Unexpected modinfo.xml format'));
+    const xmlData = await fs.readFileAsync(modInfoPath, { encoding: 'utf8' });
+    modInfo = await PARSER.parseStringPromise(util.deBOM(xmlData));
   } catch (err) {
     return Promise.reject(new util.DataInvalid('Failed to parse ModInfo.xml file'));
   }
+  const root = modInfo?.ModInfo?.[0] ?? modInfo;
+  const field = (key: string, attribute: string = 'value'): string => {
+    const value = root?.[key]?.[0]?.$?.[attribute];
+    return ((typeof value === 'string') && (value.trim().length > 0)) ? value.trim() : undefined;
+  };
+  const name = field('Name');
+  if (name === undefined) {
+    return Promise.reject(new util.DataInvalid('Unexpected modinfo.xml format'));
+  }
+  const displayName = field('DisplayName');
+  const description = field('Description');
+  const compat = field('Version', 'compat');
+  return {
+    name,
+    displayName,
+    version: field('Version'),
+    author: field('Author'),
+    website: field('Website'),
+    description,
+    gameVersion: (compat !== undefined)
+      ? (gameVersionKey(compat) ?? compat)
+      : gameVersionHint([displayName, name, description]),
+  };
+}
+
+export async function getModName(modInfoPath): Promise<any> {
+  const modInfo = await getModInfo(modInfoPath);
+  return modInfo.displayName ?? modInfo.name;
 }
 
 export async function getModInfoFiles(basePath: string): Promise<string[]> {
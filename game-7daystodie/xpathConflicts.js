@@ -0,0 +1,217 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.updateXPathConflicts = exports.analyzeXPathConflicts = exports.xpathConflictWinner = exports.findXPathConflicts = exports.parsePatchOperations = exports.normalizeXPath = void 0;
+const path_1 = __importDefault(require("path"));
+const turbowalk_1 = __importDefault(require("turbowalk"));
+const vortex_api_1 = require("vortex-api");
+const xml2js_1 = require("xml2js");
+const actions_1 = require("./actions");
+const common_1 = require("./common");
+const PARSER = new xml2js_1.Parser({ explicitRoot: false });
+const REMOVE_OPS = ['remove', 'removeattribute'];
+const SET_OPS = ['set', 'setattribute'];
+const operationCache = {};
+function normalizeXPath(xpath) {
+    return xpath.trim()
+        .split(/('[^']*'|"[^"]*")/)
+        .map((part, idx) => {
+        if (idx % 2 === 1) {
+            const value = part.slice(1, -1);
+            return value.includes('"') ? part : `"${value}"`;
+        }
+        return part
+            .replace(/\s+/g, ' ')
+            .replace(/\s*([\[\]=\/,@()])\s*/g, '$1');
+    })
+        .join('');
+}
+exports.normalizeXPath = normalizeXPath;
+function nodeText(node) {
+    if (typeof node === 'string') {
+        return node.trim();
+    }
+    const text = (typeof (node === null || node === void 0 ? void 0 : node._) === 'string') ? node._.trim() : '';
+    return (text.length > 0) ? text : undefined;
+}
+function parsePatchOperations(data, file, modId) {
+    const result = [];
+    const visit = (node) => {
+        if ((node === null) || (typeof node !== 'object')) {
+            return;
+        }
+        Object.keys(node).filter(key => !['$', '_'].includes(key)).forEach(key => {
+            (Array.isArray(node[key]) ? node[key] : [node[key]]).forEach(child => {
+                var _a;
+                const xpath = (_a = child === null || child === void 0 ? void 0 : child.$) === null || _a === void 0 ? void 0 : _a.xpath;
+                if (xpath === undefined) {
+                    visit(child);
+                    return;
+                }
+                const op = key.toLowerCase();
+                const attribute = child.$.name;
+                result.push({
+                    modId,
+                    file,
+                    op,
+                    xpath: normalizeXPath(((op === 'setattribute') && (attribute !== undefined))
+                        ? `${xpath}/@${attribute}`
+                        : xpath),
+                    value: nodeText(child),
+                });
+            });
+        });
+    };
+    visit(data);
+    return result;
+}
+exports.parsePatchOperations = parsePatchOperations;
+function findConfigFiles(configPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        let entries = [];
+        yield (0, turbowalk_1.default)(configPath, files => {
+            entries = entries.concat(files
+                .filter(entry => !entry.isDirectory && (path_1.default.extname(entry.filePath).toLowerCase() === '.xml'))
+                .map(entry => ({
+                relPath: path_1.default.relative(configPath, entry.filePath),
+                size: entry.size,
+                mtime: entry.mtime,
+            })));
+        }, { recurse: true, skipLinks: true });
+        return entries;
+    });
+}
+function readModOperations(modPath, modId) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const configDir = (yield vortex_api_1.fs.readdirAsync(modPath))
+            .find(name => name.toLowerCase() === 'config');
+        if (configDir === undefined) {
+            return [];
+        }
+        const configPath = path_1.default.join(modPath, configDir);
+        let result = [];
+        for (const configFile of yield findConfigFiles(configPath)) {
+            const filePath = path_1.default.join(configPath, configFile.relPath);
+            const file = configFile.relPath.split(path_1.default.sep).join('/').toLowerCase();
+            const cached = operationCache[filePath];
+            if ((cached !== undefined) && (cached.size === configFile.size) && (cached.mtime === configFile.mtime)) {
+                result = result.concat(cached.operations);
+                continue;
+            }
+            try {
+                const xmlData = yield vortex_api_1.fs.readFileAsync(filePath, { encoding: 'utf8' });
+                const data = yield PARSER.parseStringPromise(vortex_api_1.util.deBOM(xmlData));
+                const operations = parsePatchOperations(data, file, modId);
+                operationCache[filePath] = { size: configFile.size, mtime: configFile.mtime, operations };
+                result = result.concat(operations);
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('warn', 'failed to parse modlet config patch', { modId, file, error: err.message });
+            }
+        }
+        return result;
+    });
+}
+function isAffectedBy(op, removal) {
+    return (op.file === removal.file)
+        && ((op.xpath === removal.xpath) || op.xpath.startsWith(removal.xpath + '/'));
+}
+function findXPathConflicts(operations) {
+    const conflicts = {};
+    const addConflict = (type, anchor, ops) => {
+        var _a;
+        const id = `${type}:${anchor.file}:${anchor.xpath}`;
+        const conflict = (_a = conflicts[id]) !== null && _a !== void 0 ? _a : { id, type, file: anchor.file, xpath: anchor.xpath, entries: [] };
+        ops.forEach(op => {
+            if (!conflict.entries.includes(op)) {
+                conflict.entries.push(op);
+            }
+        });
+        conflicts[id] = conflict;
+    };
+    operations.filter(op => REMOVE_OPS.includes(op.op)).forEach(removal => {
+        const affected = operations.filter(op => (op.modId !== removal.modId) && isAffectedBy(op, removal));
+        if (affected.length > 0) {
+            addConflict('remove', removal, [removal, ...affected]);
+        }
+    });
+    const setters = operations.filter(op => SET_OPS.includes(op.op));
+    const byNode = setters.reduce((accum, op) => {
+        var _a;
+        const key = `${op.file}:${op.xpath}`;
+        accum[key] = [].concat((_a = accum[key]) !== null && _a !== void 0 ? _a : [], op);
+        return accum;
+    }, {});
+    Object.values(byNode).forEach(ops => {
+        const modIds = new Set(ops.map(op => op.modId));
+        const values = new Set(ops.map(op => op.value));
+        if ((modIds.size > 1) && (values.size > 1)) {
+            addConflict('overwrite', ops[0], ops);
+        }
+    });
+    return Object.values(conflicts)
+        .sort((lhs, rhs) => lhs.file.localeCompare(rhs.file) || lhs.xpath.localeCompare(rhs.xpath));
+}
+exports.findXPathConflicts = findXPathConflicts;
+function loPosition(loadOrder, modId) {
+    const idx = loadOrder.findIndex(entry => entry.id === modId);
+    return (idx === -1) ? Number.MAX_SAFE_INTEGER : idx;
+}
+function xpathConflictWinner(conflict, loadOrder) {
+    const candidates = (conflict.type === 'remove')
+        ? conflict.entries.filter(op => REMOVE_OPS.includes(op.op))
+        : conflict.entries;
+    return candidates
+        .map(op => op.modId)
+        .sort((lhs, rhs) => loPosition(loadOrder, lhs) - loPosition(loadOrder, rhs))
+        .pop();
+}
+exports.xpathConflictWinner = xpathConflictWinner;
+function analyzeXPathConflicts(api, profile) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const stagingPath = vortex_api_1.selectors.installPathForGame(state, common_1.GAME_ID);
+        const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+        const enabled = Object.values(mods).filter(mod => (mod.installationPath !== undefined)
+            && vortex_api_1.util.getSafe(profile, ['modState', mod.id, 'enabled'], false)
+            && !common_1.INVALID_LO_MOD_TYPES.includes(mod.type));
+        let operations = [];
+        for (const mod of enabled) {
+            try {
+                operations = operations.concat(yield readModOperations(path_1.default.join(stagingPath, mod.installationPath), mod.id));
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('debug', 'failed to read modlet operations', { modId: mod.id, error: err.message });
+            }
+        }
+        return findXPathConflicts(operations);
+    });
+}
+exports.analyzeXPathConflicts = analyzeXPathConflicts;
+function updateXPathConflicts(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const profile = vortex_api_1.selectors.activeProfile(api.getState());
+        if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+            return;
+        }
+        try {
+            api.store.dispatch((0, actions_1.setXPathConflicts)(yield analyzeXPathConflicts(api, profile)));
+        }
+        catch (err) {
+            (0, vortex_api_1.log)('error', 'failed to analyze modlet conflicts', err);
+        }
+    });
+}
+exports.updateXPathConflicts = updateXPathConflicts;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoieHBhdGhDb25mbGljdHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ4cGF0aENvbmZsaWN0cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7QUFBQSxnREFBd0I7QUFDeEIsMERBQWtDO0FBQ2xDLDJDQUE2RDtBQUM3RCxtQ0FBZ0M7QUFFaEMsdUNBQThDO0FBQzlDLHFDQUF5RDtBQUd6RCxNQUFNLE1BQU0sR0FBRyxJQUFJLGVBQU0sQ0FBQyxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO0FBRW5ELE1BQU0sVUFBVSxHQUFHLENBQUMsUUFBUSxFQUFFLGlCQUFpQixDQUFDLENBQUM7QUFDakQsTUFBTSxPQUFPLEdBQUcsQ0FBQyxLQUFLLEVBQUUsY0FBYyxDQUFDLENBQUM7QUFJeEMsTUFBTSxjQUFjLEdBRWhCLEVBQUUsQ0FBQztBQWVQLFNBQWdCLGNBQWMsQ0FBQyxLQUFhO0lBQzFDLE9BQU8sS0FBSyxDQUFDLElBQUksRUFBRTtTQUNoQixLQUFLLENBQUMsbUJBQW1CLENBQUM7U0FDMUIsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLEdBQUcsRUFBRSxFQUFFO1FBQ2pCLElBQUksR0FBRyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDakIsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNoQyxPQUFPLEtBQUssQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxLQUFLLEdBQUcsQ0FBQztTQUNsRDtRQUNELE9BQU8sSUFBSTthQUNSLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDO2FBQ3BCLE9BQU8sQ0FBQyx3QkFBd0IsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUM3QyxDQUFDLENBQUM7U0FDRCxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7QUFDZCxDQUFDO0FBYkQsd0NBYUM7QUFFRCxTQUFTLFFBQVEsQ0FBQyxJQUFTO0lBQ3pCLElBQUksT0FBTyxJQUFJLEtBQUssUUFBUSxFQUFFO1FBQzVCLE9BQU8sSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO0tBQ3BCO0lBQ0QsTUFBTSxJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUEsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLENBQUMsQ0FBQSxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFDaEUsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO0FBQzlDLENBQUM7QUFJRCxTQUFnQixvQkFBb0IsQ0FBQyxJQUFTLEVBQUUsSUFBWSxFQUFFLEtBQWE7SUFDekUsTUFBTSxNQUFNLEdBQXNCLEVBQUUsQ0FBQztJQUNyQyxNQUFNLEtBQUssR0FBRyxDQUFDLElBQVMsRUFBRSxFQUFFO1FBQzFCLElBQUksQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLElBQUksS0FBSyxRQUFRLENBQUMsRUFBRTtZQUNqRCxPQUFPO1NBQ1I7UUFDRCxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQ3ZFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxFQUFFOztnQkFDbkUsTUFBTSxLQUFLLEdBQVcsTUFBQSxLQUFLLGFBQUwsS0FBSyx1QkFBTCxLQUFLLENBQUUsQ0FBQywwQ0FBRSxLQUFLLENBQUM7Z0JBQ3RDLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtvQkFDdkIsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO29CQUNiLE9BQU87aUJBQ1I7Z0JBQ0QsTUFBTSxFQUFFLEdBQUcsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDO2dCQUM3QixNQUFNLFNBQVMsR0FBVyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztnQkFDdkMsTUFBTSxDQUFDLElBQUksQ0FBQztvQkFDVixLQUFLO29CQUNMLElBQUk7b0JBQ0osRUFBRTtvQkFDRixLQUFLLEVBQUUsY0FBYyxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssY0FBYyxDQUFDLElBQUksQ0FBQyxTQUFTLEtBQUssU0FBUyxDQUFDLENBQUM7d0JBQzFFLENBQUMsQ0FBQyxHQUFHLEtBQUssS0FBSyxTQUFTLEVBQUU7d0JBQzFCLENBQUMsQ0FBQyxLQUFLLENBQUM7b0JBQ1YsS0FBSyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUM7aUJBQ3ZCLENBQUMsQ0FBQztZQUNMLENBQUMsQ0FBQyxDQUFDO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDLENBQUM7SUFDRixLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDWixPQUFPLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBN0JELG9EQTZCQztBQUlELFNBQWUsZUFBZSxDQUFDLFVBQWtCOztRQUMvQyxJQUFJLE9BQU8sR0FBa0IsRUFBRSxDQUFDO1FBQ2hDLE1BQU0sSUFBQSxtQkFBUyxFQUFDLFVBQVUsRUFBRSxLQUFLLENBQUMsRUFBRTtZQUNsQyxPQUFPLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO2lCQUMzQixNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxXQUFXLElBQUksQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxNQUFNLENBQUMsQ0FBQztpQkFDOUYsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQztnQkFDYixPQUFPLEVBQUUsY0FBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDLFFBQVEsQ0FBQztnQkFDbEQsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJO2dCQUNoQixLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7YUFDbkIsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNULENBQUMsRUFBRSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7UUFDdkMsT0FBTyxPQUFPLENBQUM7SUFDakIsQ0FBQztDQUFBO0FBRUQsU0FBZSxpQkFBaUIsQ0FBQyxPQUFlLEVBQUUsS0FBYTs7UUFDN0QsTUFBTSxTQUFTLEdBQUcsQ0FBQyxNQUFNLGVBQUUsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUM7YUFDL0MsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxLQUFLLFFBQVEsQ0FBQyxDQUFDO1FBQ2pELElBQUksU0FBUyxLQUFLLFNBQVMsRUFBRTtZQUUzQixPQUFPLEVBQUUsQ0FBQztTQUNYO1FBQ0QsTUFBTSxVQUFVLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDakQsSUFBSSxNQUFNLEdBQXNCLEVBQUUsQ0FBQztRQUNuQyxLQUFLLE1BQU0sVUFBVSxJQUFJLE1BQU0sZUFBZSxDQUFDLFVBQVUsQ0FBQyxFQUFFO1lBQzFELE1BQU0sUUFBUSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUMzRCxNQUFNLElBQUksR0FBRyxVQUFVLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxjQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQ3hFLE1BQU0sTUFBTSxHQUFHLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN4QyxJQUFJLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksS0FBSyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxLQUFLLFVBQVUsQ0FBQyxLQUFLLENBQUMsRUFBRTtnQkFDdEcsTUFBTSxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2dCQUMxQyxTQUFTO2FBQ1Y7WUFDRCxJQUFJO2dCQUNGLE1BQU0sT0FBTyxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztnQkFDdkUsTUFBTSxJQUFJLEdBQUcsTUFBTSxNQUFNLENBQUMsa0JBQWtCLENBQUMsaUJBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztnQkFDbEUsTUFBTSxVQUFVLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQztnQkFDM0QsY0FBYyxDQUFDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLFVBQVUsQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLFVBQVUsQ0FBQyxLQUFLLEVBQUUsVUFBVSxFQUFFLENBQUM7Z0JBQzFGLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2FBQ3BDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSxxQ0FBcUMsRUFBRSxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2FBQ3pGO1NBQ0Y7UUFDRCxPQUFPLE1BQU0sQ0FBQztJQUNoQixDQUFDO0NBQUE7QUFFRCxTQUFTLFlBQVksQ0FBQyxFQUFtQixFQUFFLE9BQXdCO0lBQ2pFLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxLQUFLLE9BQU8sQ0FBQyxJQUFJLENBQUM7V0FDNUIsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEtBQUssT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQztBQUNsRixDQUFDO0FBS0QsU0FBZ0Isa0JBQWtCLENBQUMsVUFBNkI7SUFDOUQsTUFBTSxTQUFTLEdBQXFDLEVBQUUsQ0FBQztJQUN2RCxNQUFNLFdBQVcsR0FBRyxDQUFDLElBQXVCLEVBQUUsTUFBdUIsRUFBRSxHQUFzQixFQUFFLEVBQUU7O1FBQy9GLE1BQU0sRUFBRSxHQUFHLEdBQUcsSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLElBQUksTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ3BELE1BQU0sUUFBUSxHQUFHLE1BQUEsU0FBUyxDQUFDLEVBQUUsQ0FBQyxtQ0FBSSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBRSxDQUFDO1FBQ3BHLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUU7WUFDZixJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLEVBQUU7Z0JBQ2xDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2FBQzNCO1FBQ0gsQ0FBQyxDQUFDLENBQUM7UUFDSCxTQUFTLENBQUMsRUFBRSxDQUFDLEdBQUcsUUFBUSxDQUFDO0lBQzNCLENBQUMsQ0FBQztJQUVGLFVBQVUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRTtRQUNwRSxNQUFNLFFBQVEsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsS0FBSyxLQUFLLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxZQUFZLENBQUMsRUFBRSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDcEcsSUFBSSxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUN2QixXQUFXLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUM7U0FDeEQ7SUFDSCxDQUFDLENBQUMsQ0FBQztJQUVILE1BQU0sT0FBTyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2pFLE1BQU0sTUFBTSxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxFQUFFLEVBQUU7O1FBQzFDLE1BQU0sR0FBRyxHQUFHLEdBQUcsRUFBRSxDQUFDLElBQUksSUFBSSxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDckMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBQSxLQUFLLENBQUMsR0FBRyxDQUFDLG1DQUFJLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUM3QyxPQUFPLEtBQUssQ0FBQztJQUNmLENBQUMsRUFBRSxFQUEwQyxDQUFDLENBQUM7SUFDL0MsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEVBQUU7UUFDbEMsTUFBTSxNQUFNLEdBQUcsSUFBSSxHQUFHLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQ2hELE1BQU0sTUFBTSxHQUFHLElBQUksR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNoRCxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEVBQUU7WUFDMUMsV0FBVyxDQUFDLFdBQVcsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7U0FDdkM7SUFDSCxDQUFDLENBQUMsQ0FBQztJQUVILE9BQU8sTUFBTSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUM7U0FDNUIsSUFBSSxDQUFDLENBQUMsR0FBRyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxLQUFLLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0FBQ2hHLENBQUM7QUFwQ0QsZ0RBb0NDO0FBRUQsU0FBUyxVQUFVLENBQUMsU0FBNEIsRUFBRSxLQUFhO0lBQzdELE1BQU0sR0FBRyxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxLQUFLLEtBQUssQ0FBQyxDQUFDO0lBQzdELE9BQU8sQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUM7QUFDdEQsQ0FBQztBQUlELFNBQWdCLG1CQUFtQixDQUFDLFFBQXdCLEVBQUUsU0FBNEI7SUFDeEYsTUFBTSxVQUFVLEdBQUcsQ0FBQyxRQUFRLENBQUMsSUFBSSxLQUFLLFFBQVEsQ0FBQztRQUM3QyxDQUFDLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMzRCxDQUFDLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQztJQUNyQixPQUFPLFVBQVU7U0FDZCxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDO1NBQ25CLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDLFNBQVMsRUFBRSxHQUFHLENBQUMsQ0FBQztTQUMzRSxHQUFHLEVBQUUsQ0FBQztBQUNYLENBQUM7QUFSRCxrREFRQztBQUVELFNBQXNCLHFCQUFxQixDQUFDLEdBQXdCLEVBQ3hCLE9BQXVCOztRQUNqRSxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxXQUFXLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1FBQ2pFLE1BQU0sSUFBSSxHQUFvQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUN2RyxNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLGdCQUFnQixLQUFLLFNBQVMsQ0FBQztlQUNqRixpQkFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxVQUFVLEVBQUUsR0FBRyxDQUFDLEVBQUUsRUFBRSxTQUFTLENBQUMsRUFBRSxLQUFLLENBQUM7ZUFDN0QsQ0FBQyw2QkFBb0IsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDL0MsSUFBSSxVQUFVLEdBQXNCLEVBQUUsQ0FBQztRQUN2QyxLQUFLLE1BQU0sR0FBRyxJQUFJLE9BQU8sRUFBRTtZQUN6QixJQUFJO2dCQUNGLFVBQVUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUM1QixNQUFNLGlCQUFpQixDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ2xGO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSxrQ0FBa0MsRUFBRSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsRUFBRSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQzthQUN6RjtTQUNGO1FBQ0QsT0FBTyxrQkFBa0IsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUN4QyxDQUFDO0NBQUE7QUFsQkQsc0RBa0JDO0FBRUQsU0FBc0Isb0JBQW9CLENBQUMsR0FBd0I7O1FBQ2pFLE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQ3hELElBQUksQ0FBQSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsTUFBTSxNQUFLLGdCQUFPLEVBQUU7WUFDL0IsT0FBTztTQUNSO1FBQ0QsSUFBSTtZQUNGLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLElBQUEsMkJBQWlCLEVBQUMsTUFBTSxxQkFBcUIsQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ2xGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLG9DQUFvQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1NBQ3pEO0lBQ0gsQ0FBQztDQUFBO0FBVkQsb0RBVUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgcGF0aCBmcm9tICdwYXRoJztcbmltcG9ydCB0dXJib3dhbGsgZnJvbSAndHVyYm93YWxrJztcbmltcG9ydCB7IGZzLCBsb2csIHNlbGVjdG9ycywgdHlwZXMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcbmltcG9ydCB7IFBhcnNlciB9IGZyb20gJ3htbDJqcyc7XG5cbmltcG9ydCB7IHNldFhQYXRoQ29uZmxpY3RzIH0gZnJvbSAnLi9hY3Rpb25zJztcbmltcG9ydCB7IEdBTUVfSUQsIElOVkFMSURfTE9fTU9EX1RZUEVTIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgSUxvYWRPcmRlckVudHJ5LCBJWFBhdGhDb25mbGljdCwgSVhQYXRoT3BlcmF0aW9uLCBYUGF0aENvbmZsaWN0VHlwZSB9IGZyb20gJy4vdHlwZXMnO1xuXG5jb25zdCBQQVJTRVIgPSBuZXcgUGFyc2VyKHsgZXhwbGljaXRSb290OiBmYWxzZSB9KTtcblxuY29uc3QgUkVNT1ZFX09QUyA9IFsncmVtb3ZlJywgJ3JlbW92ZWF0dHJpYnV0ZSddO1xuY29uc3QgU0VUX09QUyA9IFsnc2V0JywgJ3NldGF0dHJpYnV0ZSddO1xuXG4vLyBvcGVyYXRpb25zIG9mIHBhdGNoIGZpbGVzIHdlIGFscmVhZHkgcGFyc2VkLCBrZXllZCBieSBwYXRoIGFuZCBvbmx5IHZhbGlkIGFzXG4vLyAgbG9uZyBhcyB0aGUgZmlsZSdzIHNpemUgYW5kIG1vZGlmaWNhdGlvbiB0aW1lIGRvbid0IGNoYW5nZVxuY29uc3Qgb3BlcmF0aW9uQ2FjaGU6IHtcbiAgW2ZpbGVQYXRoOiBzdHJpbmddOiB7IHNpemU6IG51bWJlciwgbXRpbWU6IG51bWJlciwgb3BlcmF0aW9uczogSVhQYXRoT3BlcmF0aW9uW10gfSxcbn0gPSB7fTtcblxuaW50ZXJmYWNlIElDb25maWdGaWxlIHtcbiAgcmVsUGF0aDogc3RyaW5nO1xuICBzaXplOiBudW1iZXI7XG4gIG10aW1lOiBudW1iZXI7XG59XG5cbi8vIE1vZGxldHMgcGF0Y2ggdGhlIGdhbWUncyBDb25maWcvKi54bWwgZmlsZXMgdGhyb3VnaCBYUGF0aCBvcGVyYXRpb25zLCBlLmcuXG4vLyAgPHNldCB4cGF0aD1cIi9pdGVtcy9pdGVtW0BuYW1lPSdndW5QaXN0b2wnXS9wcm9wZXJ0eVtAbmFtZT0nU3RhY2tudW1iZXInXS9AdmFsdWVcIj41PC9zZXQ+XG4vLyAgVGhlIGdhbWUgYXBwbGllcyB0aGUgbW9kbGV0cyBpbiBhbHBoYWJldGljYWwgb3JkZXIgb2YgdGhlaXIgZm9sZGVycywgd2hpY2hcbi8vICBmb3IgdXMgaXMgdGhlIHByZWZpeCBvcmRlciBvZiB0aGUgbG9hZCBvcmRlci5cblxuLy8gV2hpdGVzcGFjZSBhbmQgdGhlIHF1b3RlcyB1c2VkIGRvbid0IG1hdHRlciBpbiB0aGUgWFBhdGggaXRzZWxmIGJ1dCB0aGVcbi8vICBxdW90ZWQgdmFsdWVzIG9mIHByZWRpY2F0ZXMgaGF2ZSB0byBiZSBrZXB0IGFzIHRoZXkgYXJlLlxuZXhwb3J0IGZ1bmN0aW9uIG5vcm1hbGl6ZVhQYXRoKHhwYXRoOiBzdHJpbmcpOiBzdHJpbmcge1xuICByZXR1cm4geHBhdGgudHJpbSgpXG4gICAgLnNwbGl0KC8oJ1teJ10qJ3xcIlteXCJdKlwiKS8pXG4gICAgLm1hcCgocGFydCwgaWR4KSA9PiB7XG4gICAgICBpZiAoaWR4ICUgMiA9PT0gMSkge1xuICAgICAgICBjb25zdCB2YWx1ZSA9IHBhcnQuc2xpY2UoMSwgLTEpO1xuICAgICAgICByZXR1cm4gdmFsdWUuaW5jbHVkZXMoJ1wiJykgPyBwYXJ0IDogYFwiJHt2YWx1ZX1cImA7XG4gICAgICB9XG4gICAgICByZXR1cm4gcGFydFxuICAgICAgICAucmVwbGFjZSgvXFxzKy9nLCAnICcpXG4gICAgICAgIC5yZXBsYWNlKC9cXHMqKFtcXFtcXF09XFwvLEAoKV0pXFxzKi9nLCAnJDEnKTtcbiAgICB9KVxuICAgIC5qb2luKCcnKTtcbn1cblxuZnVuY3Rpb24gbm9kZVRleHQobm9kZTogYW55KTogc3RyaW5nIHtcbiAgaWYgKHR5cGVvZiBub2RlID09PSAnc3RyaW5nJykge1xuICAgIHJldHVybiBub2RlLnRyaW0oKTtcbiAgfVxuICBjb25zdCB0ZXh0ID0gKHR5cGVvZiBub2RlPy5fID09PSAnc3RyaW5nJykgPyBub2RlLl8udHJpbSgpIDogJyc7XG4gIHJldHVybiAodGV4dC5sZW5ndGggPiAwKSA/IHRleHQgOiB1bmRlZmluZWQ7XG59XG5cbi8vIENvbGxlY3RzIGFsbCBvcGVyYXRpb25zIG9mIGEgcGF0Y2ggZmlsZS4gT3BlcmF0aW9ucyBtYXkgYmUgbmVzdGVkIGluc2lkZVxuLy8gIGNvbmRpdGlvbmFscywgdGhlc2UgYXJlIHRyZWF0ZWQgYXMgaWYgdGhleSBhbHdheXMgYXBwbGllZC5cbmV4cG9ydCBmdW5jdGlvbiBwYXJzZVBhdGNoT3BlcmF0aW9ucyhkYXRhOiBhbnksIGZpbGU6IHN0cmluZywgbW9kSWQ6IHN0cmluZyk6IElYUGF0aE9wZXJhdGlvbltdIHtcbiAgY29uc3QgcmVzdWx0OiBJWFBhdGhPcGVyYXRpb25bXSA9IFtdO1xuICBjb25zdCB2aXNpdCA9IChub2RlOiBhbnkpID0+IHtcbiAgICBpZiAoKG5vZGUgPT09IG51bGwpIHx8ICh0eXBlb2Ygbm9kZSAhPT0gJ29iamVjdCcpKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIE9iamVjdC5rZXlzKG5vZGUpLmZpbHRlcihrZXkgPT4gIVsnJCcsICdfJ10uaW5jbHVkZXMoa2V5KSkuZm9yRWFjaChrZXkgPT4ge1xuICAgICAgKEFycmF5LmlzQXJyYXkobm9kZVtrZXldKSA/IG5vZGVba2V5XSA6IFtub2RlW2tleV1dKS5mb3JFYWNoKGNoaWxkID0+IHtcbiAgICAgICAgY29uc3QgeHBhdGg6IHN0cmluZyA9IGNoaWxkPy4kPy54cGF0aDtcbiAgICAgICAgaWYgKHhwYXRoID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgICB2aXNpdChjaGlsZCk7XG4gICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IG9wID0ga2V5LnRvTG93ZXJDYXNlKCk7XG4gICAgICAgIGNvbnN0IGF0dHJpYnV0ZTogc3RyaW5nID0gY2hpbGQuJC5uYW1lO1xuICAgICAgICByZXN1bHQucHVzaCh7XG4gICAgICAgICAgbW9kSWQsXG4gICAgICAgICAgZmlsZSxcbiAgICAgICAgICBvcCxcbiAgICAgICAgICB4cGF0aDogbm9ybWFsaXplWFBhdGgoKChvcCA9PT0gJ3NldGF0dHJpYnV0ZScpICYmIChhdHRyaWJ1dGUgIT09IHVuZGVmaW5lZCkpXG4gICAgICAgICAgICA/IGAke3hwYXRofS9AJHthdHRyaWJ1dGV9YFxuICAgICAgICAgICAgOiB4cGF0aCksXG4gICAgICAgICAgdmFsdWU6IG5vZGVUZXh0KGNoaWxkKSxcbiAgICAgICAgfSk7XG4gICAgICB9KTtcbiAgICB9KTtcbiAgfTtcbiAgdmlzaXQoZGF0YSk7XG4gIHJldHVybiByZXN1bHQ7XG59XG5cbi8vIFJldHVybnMgYWxsIHhtbCBmaWxlcyBpbnNpZGUgdGhlIG1vZGxldCdzIENvbmZpZyBmb2xkZXIsIHdpdGggdGhlaXIgcGF0aHNcbi8vICByZWxhdGl2ZSB0byB0aGF0IGZvbGRlci5cbmFzeW5jIGZ1bmN0aW9uIGZpbmRDb25maWdGaWxlcyhjb25maWdQYXRoOiBzdHJpbmcpOiBQcm9taXNlPElDb25maWdGaWxlW10+IHtcbiAgbGV0IGVudHJpZXM6IElDb25maWdGaWxlW10gPSBbXTtcbiAgYXdhaXQgdHVyYm93YWxrKGNvbmZpZ1BhdGgsIGZpbGVzID0+IHtcbiAgICBlbnRyaWVzID0gZW50cmllcy5jb25jYXQoZmlsZXNcbiAgICAgIC5maWx0ZXIoZW50cnkgPT4gIWVudHJ5LmlzRGlyZWN0b3J5ICYmIChwYXRoLmV4dG5hbWUoZW50cnkuZmlsZVBhdGgpLnRvTG93ZXJDYXNlKCkgPT09ICcueG1sJykpXG4gICAgICAubWFwKGVudHJ5ID0+ICh7XG4gICAgICAgIHJlbFBhdGg6IHBhdGgucmVsYXRpdmUoY29uZmlnUGF0aCwgZW50cnkuZmlsZVBhdGgpLFxuICAgICAgICBzaXplOiBlbnRyeS5zaXplLFxuICAgICAgICBtdGltZTogZW50cnkubXRpbWUsXG4gICAgICB9KSkpO1xuICB9LCB7IHJlY3Vyc2U6IHRydWUsIHNraXBMaW5rczogdHJ1ZSB9KTtcbiAgcmV0dXJuIGVudHJpZXM7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHJlYWRNb2RPcGVyYXRpb25zKG1vZFBhdGg6IHN0cmluZywgbW9kSWQ6IHN0cmluZyk6IFByb21pc2U8SVhQYXRoT3BlcmF0aW9uW10+IHtcbiAgY29uc3QgY29uZmlnRGlyID0gKGF3YWl0IGZzLnJlYWRkaXJBc3luYyhtb2RQYXRoKSlcbiAgICAuZmluZChuYW1lID0+IG5hbWUudG9Mb3dlckNhc2UoKSA9PT0gJ2NvbmZpZycpO1xuICBpZiAoY29uZmlnRGlyID09PSB1bmRlZmluZWQpIHtcbiAgICAvLyBOb3QgZXZlcnkgbW9kbGV0IHBhdGNoZXMgdGhlIGdhbWUncyBjb25maWd1cmF0aW9uLlxuICAgIHJldHVybiBbXTtcbiAgfVxuICBjb25zdCBjb25maWdQYXRoID0gcGF0aC5qb2luKG1vZFBhdGgsIGNvbmZpZ0Rpcik7XG4gIGxldCByZXN1bHQ6IElYUGF0aE9wZXJhdGlvbltdID0gW107XG4gIGZvciAoY29uc3QgY29uZmlnRmlsZSBvZiBhd2FpdCBmaW5kQ29uZmlnRmlsZXMoY29uZmlnUGF0aCkpIHtcbiAgICBjb25zdCBmaWxlUGF0aCA9IHBhdGguam9pbihjb25maWdQYXRoLCBjb25maWdGaWxlLnJlbFBhdGgpO1xuICAgIGNvbnN0IGZpbGUgPSBjb25maWdGaWxlLnJlbFBhdGguc3BsaXQocGF0aC5zZXApLmpvaW4oJy8nKS50b0xvd2VyQ2FzZSgpO1xuICAgIGNvbnN0IGNhY2hlZCA9IG9wZXJhdGlvbkNhY2hlW2ZpbGVQYXRoXTtcbiAgICBpZiAoKGNhY2hlZCAhPT0gdW5kZWZpbmVkKSAmJiAoY2FjaGVkLnNpemUgPT09IGNvbmZpZ0ZpbGUuc2l6ZSkgJiYgKGNhY2hlZC5tdGltZSA9PT0gY29uZmlnRmlsZS5tdGltZSkpIHtcbiAgICAgIHJlc3VsdCA9IHJlc3VsdC5jb25jYXQoY2FjaGVkLm9wZXJhdGlvbnMpO1xuICAgICAgY29udGludWU7XG4gICAgfVxuICAgIHRyeSB7XG4gICAgICBjb25zdCB4bWxEYXRhID0gYXdhaXQgZnMucmVhZEZpbGVBc3luYyhmaWxlUGF0aCwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xuICAgICAgY29uc3QgZGF0YSA9IGF3YWl0IFBBUlNFUi5wYXJzZVN0cmluZ1Byb21pc2UodXRpbC5kZUJPTSh4bWxEYXRhKSk7XG4gICAgICBjb25zdCBvcGVyYXRpb25zID0gcGFyc2VQYXRjaE9wZXJhdGlvbnMoZGF0YSwgZmlsZSwgbW9kSWQpO1xuICAgICAgb3BlcmF0aW9uQ2FjaGVbZmlsZVBhdGhdID0geyBzaXplOiBjb25maWdGaWxlLnNpemUsIG10aW1lOiBjb25maWdGaWxlLm10aW1lLCBvcGVyYXRpb25zIH07XG4gICAgICByZXN1bHQgPSByZXN1bHQuY29uY2F0KG9wZXJhdGlvbnMpO1xuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgbG9nKCd3YXJuJywgJ2ZhaWxlZCB0byBwYXJzZSBtb2RsZXQgY29uZmlnIHBhdGNoJywgeyBtb2RJZCwgZmlsZSwgZXJyb3I6IGVyci5tZXNzYWdlIH0pO1xuICAgIH1cbiAgfVxuICByZXR1cm4gcmVzdWx0O1xufVxuXG5mdW5jdGlvbiBpc0FmZmVjdGVkQnkob3A6IElYUGF0aE9wZXJhdGlvbiwgcmVtb3ZhbDogSVhQYXRoT3BlcmF0aW9uKTogYm9vbGVhbiB7XG4gIHJldHVybiAob3AuZmlsZSA9PT0gcmVtb3ZhbC5maWxlKVxuICAgICYmICgob3AueHBhdGggPT09IHJlbW92YWwueHBhdGgpIHx8IG9wLnhwYXRoLnN0YXJ0c1dpdGgocmVtb3ZhbC54cGF0aCArICcvJykpO1xufVxuXG4vLyBGaW5kcyB0aGUgWFBhdGggbm9kZXMgdGhhdCBhcmUgcGF0Y2hlZCBieSBtb3JlIHRoYW4gb25lIG1vZGxldCBpbiBhIHdheSB0aGF0XG4vLyAgdGhlIG91dGNvbWUgZGVwZW5kcyBvbiB0aGUgbG9hZCBvcmRlcjogbm9kZXMgc2V0IHRvIGRpZmZlcmVudCB2YWx1ZXMgYW5kXG4vLyAgbm9kZXMgKG9yIHRoZWlyIGFuY2VzdG9ycykgcmVtb3ZlZCBieSBvbmUgbW9kbGV0IHdoaWxlIGFub3RoZXIgbW9kbGV0IHBhdGNoZXMgdGhlbS5cbmV4cG9ydCBmdW5jdGlvbiBmaW5kWFBhdGhDb25mbGljdHMob3BlcmF0aW9uczogSVhQYXRoT3BlcmF0aW9uW10pOiBJWFBhdGhDb25mbGljdFtdIHtcbiAgY29uc3QgY29uZmxpY3RzOiB7IFtpZDogc3RyaW5nXTogSVhQYXRoQ29uZmxpY3QgfSA9IHt9O1xuICBjb25zdCBhZGRDb25mbGljdCA9ICh0eXBlOiBYUGF0aENvbmZsaWN0VHlwZSwgYW5jaG9yOiBJWFBhdGhPcGVyYXRpb24sIG9wczogSVhQYXRoT3BlcmF0aW9uW10pID0+IHtcbiAgICBjb25zdCBpZCA9IGAke3R5cGV9OiR7YW5jaG9yLmZpbGV9OiR7YW5jaG9yLnhwYXRofWA7XG4gICAgY29uc3QgY29uZmxpY3QgPSBjb25mbGljdHNbaWRdID8/IHsgaWQsIHR5cGUsIGZpbGU6IGFuY2hvci5maWxlLCB4cGF0aDogYW5jaG9yLnhwYXRoLCBlbnRyaWVzOiBbXSB9O1xuICAgIG9wcy5mb3JFYWNoKG9wID0+IHtcbiAgICAgIGlmICghY29uZmxpY3QuZW50cmllcy5pbmNsdWRlcyhvcCkpIHtcbiAgICAgICAgY29uZmxpY3QuZW50cmllcy5wdXNoKG9wKTtcbiAgICAgIH1cbiAgICB9KTtcbiAgICBjb25mbGljdHNbaWRdID0gY29uZmxpY3Q7XG4gIH07XG5cbiAgb3BlcmF0aW9ucy5maWx0ZXIob3AgPT4gUkVNT1ZFX09QUy5pbmNsdWRlcyhvcC5vcCkpLmZvckVhY2gocmVtb3ZhbCA9PiB7XG4gICAgY29uc3QgYWZmZWN0ZWQgPSBvcGVyYXRpb25zLmZpbHRlcihvcCA9PiAob3AubW9kSWQgIT09IHJlbW92YWwubW9kSWQpICYmIGlzQWZmZWN0ZWRCeShvcCwgcmVtb3ZhbCkpO1xuICAgIGlmIChhZmZlY3RlZC5sZW5ndGggPiAwKSB7XG4gICAgICBhZGRDb25mbGljdCgncmVtb3ZlJywgcmVtb3ZhbCwgW3JlbW92YWwsIC4uLmFmZmVjdGVkXSk7XG4gICAgfVxuICB9KTtcblxuICBjb25zdCBzZXR0ZXJzID0gb3BlcmF0aW9ucy5maWx0ZXIob3AgPT4gU0VUX09QUy5pbmNsdWRlcyhvcC5vcCkpO1xuICBjb25zdCBieU5vZGUgPSBzZXR0ZXJzLnJlZHVjZSgoYWNjdW0sIG9wKSA9PiB7XG4gICAgY29uc3Qga2V5ID0gYCR7b3AuZmlsZX06JHtvcC54cGF0aH1gO1xuICAgIGFjY3VtW2tleV0gPSBbXS5jb25jYXQoYWNjdW1ba2V5XSA/PyBbXSwgb3ApO1xuICAgIHJldHVybiBhY2N1bTtcbiAgfSwge30gYXMgeyBba2V5OiBzdHJpbmddOiBJWFBhdGhPcGVyYXRpb25bXSB9KTtcbiAgT2JqZWN0LnZhbHVlcyhieU5vZGUpLmZvckVhY2gob3BzID0+IHtcbiAgICBjb25zdCBtb2RJZHMgPSBuZXcgU2V0KG9wcy5tYXAob3AgPT4gb3AubW9kSWQpKTtcbiAgICBjb25zdCB2YWx1ZXMgPSBuZXcgU2V0KG9wcy5tYXAob3AgPT4gb3AudmFsdWUpKTtcbiAgICBpZiAoKG1vZElkcy5zaXplID4gMSkgJiYgKHZhbHVlcy5zaXplID4gMSkpIHtcbiAgICAgIGFkZENvbmZsaWN0KCdvdmVyd3JpdGUnLCBvcHNbMF0sIG9wcyk7XG4gICAgfVxuICB9KTtcblxuICByZXR1cm4gT2JqZWN0LnZhbHVlcyhjb25mbGljdHMpXG4gICAgLnNvcnQoKGxocywgcmhzKSA9PiBsaHMuZmlsZS5sb2NhbGVDb21wYXJlKHJocy5maWxlKSB8fCBsaHMueHBhdGgubG9jYWxlQ29tcGFyZShyaHMueHBhdGgpKTtcbn1cblxuZnVuY3Rpb24gbG9Qb3NpdGlvbihsb2FkT3JkZXI6IElMb2FkT3JkZXJFbnRyeVtdLCBtb2RJZDogc3RyaW5nKTogbnVtYmVyIHtcbiAgY29uc3QgaWR4ID0gbG9hZE9yZGVyLmZpbmRJbmRleChlbnRyeSA9PiBlbnRyeS5pZCA9PT0gbW9kSWQpO1xuICByZXR1cm4gKGlkeCA9PT0gLTEpID8gTnVtYmVyLk1BWF9TQUZFX0lOVEVHRVIgOiBpZHg7XG59XG5cbi8vIE1vZGxldHMgYXJlIGFwcGxpZWQgaW4gcHJlZml4IG9yZGVyLCB0aGUgbGFzdCBtb2RsZXQgdG8gc2V0IGEgbm9kZSB3aW5zLiBBXG4vLyAgcmVtb3ZhbCBhbHdheXMgd2luczogcGF0Y2hlcyBhcHBsaWVkIGFmdGVyIGl0IG5vIGxvbmdlciBmaW5kIHRoZWlyIG5vZGUuXG5leHBvcnQgZnVuY3Rpb24geHBhdGhDb25mbGljdFdpbm5lcihjb25mbGljdDogSVhQYXRoQ29uZmxpY3QsIGxvYWRPcmRlcjogSUxvYWRPcmRlckVudHJ5W10pOiBzdHJpbmcge1xuICBjb25zdCBjYW5kaWRhdGVzID0gKGNvbmZsaWN0LnR5cGUgPT09ICdyZW1vdmUnKVxuICAgID8gY29uZmxpY3QuZW50cmllcy5maWx0ZXIob3AgPT4gUkVNT1ZFX09QUy5pbmNsdWRlcyhvcC5vcCkpXG4gICAgOiBjb25mbGljdC5lbnRyaWVzO1xuICByZXR1cm4gY2FuZGlkYXRlc1xuICAgIC5tYXAob3AgPT4gb3AubW9kSWQpXG4gICAgLnNvcnQoKGxocywgcmhzKSA9PiBsb1Bvc2l0aW9uKGxvYWRPcmRlciwgbGhzKSAtIGxvUG9zaXRpb24obG9hZE9yZGVyLCByaHMpKVxuICAgIC5wb3AoKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGFuYWx5emVYUGF0aENvbmZsaWN0cyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHByb2ZpbGU6IHR5cGVzLklQcm9maWxlKTogUHJvbWlzZTxJWFBhdGhDb25mbGljdFtdPiB7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHN0YWdpbmdQYXRoID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KTtcbiAgY29uc3QgZW5hYmxlZCA9IE9iamVjdC52YWx1ZXMobW9kcykuZmlsdGVyKG1vZCA9PiAobW9kLmluc3RhbGxhdGlvblBhdGggIT09IHVuZGVmaW5lZClcbiAgICAmJiB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZScsIG1vZC5pZCwgJ2VuYWJsZWQnXSwgZmFsc2UpXG4gICAgJiYgIUlOVkFMSURfTE9fTU9EX1RZUEVTLmluY2x1ZGVzKG1vZC50eXBlKSk7XG4gIGxldCBvcGVyYXRpb25zOiBJWFBhdGhPcGVyYXRpb25bXSA9IFtdO1xuICBmb3IgKGNvbnN0IG1vZCBvZiBlbmFibGVkKSB7XG4gICAgdHJ5IHtcbiAgICAgIG9wZXJhdGlvbnMgPSBvcGVyYXRpb25zLmNvbmNhdChcbiAgICAgICAgYXdhaXQgcmVhZE1vZE9wZXJhdGlvbnMocGF0aC5qb2luKHN0YWdpbmdQYXRoLCBtb2QuaW5zdGFsbGF0aW9uUGF0aCksIG1vZC5pZCkpO1xuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgbG9nKCdkZWJ1ZycsICdmYWlsZWQgdG8gcmVhZCBtb2RsZXQgb3BlcmF0aW9ucycsIHsgbW9kSWQ6IG1vZC5pZCwgZXJyb3I6IGVyci5tZXNzYWdlIH0pO1xuICAgIH1cbiAgfVxuICByZXR1cm4gZmluZFhQYXRoQ29uZmxpY3RzKG9wZXJhdGlvbnMpO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gdXBkYXRlWFBhdGhDb25mbGljdHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogUHJvbWlzZTx2b2lkPiB7XG4gIGNvbnN0IHByb2ZpbGUgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShhcGkuZ2V0U3RhdGUoKSk7XG4gIGlmIChwcm9maWxlPy5nYW1lSWQgIT09IEdBTUVfSUQpIHtcbiAgICByZXR1cm47XG4gIH1cbiAgdHJ5IHtcbiAgICBhcGkuc3RvcmUuZGlzcGF0Y2goc2V0WFBhdGhDb25mbGljdHMoYXdhaXQgYW5hbHl6ZVhQYXRoQ29uZmxpY3RzKGFwaSwgcHJvZmlsZSkpKTtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgbG9nKCdlcnJvcicsICdmYWlsZWQgdG8gYW5hbHl6ZSBtb2RsZXQgY29uZmxpY3RzJywgZXJyKTtcbiAgfVxufVxuIl19
\ No newline at end of file
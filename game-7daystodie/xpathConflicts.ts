@@ -0,0 +1,229 @@
+import path from 'path';
+import turbowalk from 'turbowalk';
+import { fs, log, selectors, types, util } from 'vortex-api';
+import { Parser } from 'xml2js';
+
+import { setXPathConflicts } from './actions';
+import { GAME_ID, INVALID_LO_MOD_TYPES } from './common';
+import { ILoadOrderEntry, IXPathConflict, IXPathOperation, XPathConflictType } from './types';
+
+const PARSER = new Parser({ explicitRoot: false });
+
+const REMOVE_OPS = ['remove', 'removeattribute'];
+const SET_OPS = ['set', 'setattribute'];
+
+// operations of patch files we already parsed, keyed by path and only valid as
+//  long as the file's size and modification time don't change
+const operationCache: {
+  [filePath: string]: { size: number, mtime: number, operations: IXPathOperation[] },
+} = {};
+
+interface IConfigFile {
+  relPath: string;
+  size: number;
+  mtime: number;
+}
+
+// Modlets patch the game's Config/*.xml files through XPath operations, e.g.
+//  <set xpath="/items/item[@name='gunPistol']/property[@name='Stacknumber']/@value">5</set>
+//  The game applies the modlets in alphabetical order of their folders, which
+//  for us is the prefix order of the load order.
+
+// Whitespace and the quotes used don't matter in the XPath itself but the
+//  quoted values of predicates have to be kept as they are.
+export function normalizeXPath(xpath: string): string {
+  return xpath.trim()
+    .split(/('[^']*'|"[^"]*")/)
+    .map((part, idx) => {
+      if (idx % 2 === 1) {
+        const value = part.slice(1, -1);
+        return value.includes('"') ? part : `"${value}"`;
+      }
+      return part
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([\[\]=\/,@()])\s*/g, '$1');
+    })
+    .join('');
+}
+
+function nodeText(node: any): string {
+  if (typeof node === 'string') {
+    return node.trim();
+  }
+  const text = (typeof node?._ === 'string') ? node._.trim() : '';
+  return (text.length > 0) ? text : undefined;
+}
+
+// Collects all operations of a patch file. Operations may be nested inside
+//  conditionals, these are treated as if they always applied.
+export function parsePatchOperations(data: any, file: string, modId: string): IXPathOperation[] {
+  const result: IXPathOperation[] = [];
+  const visit = (node: any) => {
+    if ((node === null) || (typeof node !== 'object')) {
+      return;
+    }
+    Object.keys(node).filter(key => !['$', '_'].includes(key)).forEach(key => {
+      (Array.isArray(node[key]) ? node[key] : [node[key]]).forEach(child => {
+        const xpath: string = child?.$?.xpath;
+        if (xpath === undefined) {
+          visit(child);
+          return;
+        }
+        const op = key.toLowerCase();
+        const attribute: string = child.$.name;
+        result.push({
+          modId,
+          file,
+          op,
+          xpath: normalizeXPath(((op === 'setattribute') && (attribute !== undefined))
+            ? `${xpath}/@${attribute}`
+            : xpath),
+          value: nodeText(child),
+        });
+      });
+    });
+  };
+  visit(data);
+  return result;
+}
+
+// Returns all xml files inside the modlet's Config folder, with their paths
+//  relative to that folder.
+async function findConfigFiles(configPath: string): Promise<IConfigFile[]> {
+  let entries: IConfigFile[] = [];
+  await turbowalk(configPath, files => {
+    entries = entries.concat(files
+      .filter(entry => !entry.isDirectory && (path.extname(entry.filePath).toLowerCase() === '.xml'))
+      .map(entry => ({
+        relPath: path.relative(configPath, entry.filePath),
+        size: entry.size,
+        mtime: entry.mtime,
+      })));
+  }, { recurse: true, skipLinks: true });
+  return entries;
+}
+
+async function readModOperations(modPath: string, modId: string): Promise<IXPathOperation[]> {
+  const configDir = (await fs.readdirAsync(modPath))
+    .find(name => name.toLowerCase() === 'config');
+  if (configDir === undefined) {
+    // Not every modlet patches the game's configuration.
+    return [];
+  }
+  const configPath = path.join(modPath, configDir);
+  let result: IXPathOperation[] = [];
+  for (const configFile of await findConfigFiles(configPath)) {
+    const filePath = path.join(configPath, configFile.relPath);
+    const file = configFile.relPath.split(path.sep).join('/').toLowerCase();
+    const cached = operationCache[filePath];
+    if ((cached !== undefined) && (cached.size === configFile.size) && (cached.mtime === configFile.mtime)) {
+      result = result.concat(cached.operations);
+      continue;
+    }
+    try {
+      const xmlData = await fs.readFileAsync(filePath, { encoding: 'utf8' });
+      const data = await PARSER.parseStringPromise(util.deBOM(xmlData));
+      const operations = parsePatchOperations(data, file, modId);
+      operationCache[filePath] = { size: configFile.size, mtime: configFile.mtime, operations };
+      result = result.concat(operations);
+    } catch (err) {
+      log('warn', 'failed to parse modlet config patch', { modId, file, error: err.message });
+    }
+  }
+  return result;
+}
+
+function isAffectedBy(op: IXPathOperation, removal: IXPathOperation): boolean {
+  return (op.file === removal.file)
+    && ((op.xpath === removal.xpath) || op.xpath.startsWith(removal.xpath + '/'));
+}
+
+// Finds the XPath nodes that are patched by more than one modlet in a way that
+//  the outcome depends on the load order: nodes set to different values and
+//  nodes (or their ancestors) removed by one modlet while another modlet patches them.
+export function findXPathConflicts(operations: IXPathOperation[]): IXPathConflict[] {
+  const conflicts: { [id: string]: IXPathConflict } = {};
+  const addConflict = (type: XPathConflictType, anchor: IXPathOperation, ops: IXPathOperation[]) => {
+    const id = `${type}:${anchor.file}:${anchor.xpath}`;
+    const conflict = conflicts[id] ?? { id, type, file: anchor.file, xpath: anchor.xpath, entries: [] };
+    ops.forEach(op => {
+      if (!conflict.entries.includes(op)) {
+        conflict.entries.push(op);
+      }
+    });
+    conflicts[id] = conflict;
+  };
+
+  operations.filter(op => REMOVE_OPS.includes(op.op)).forEach(removal => {
+    const affected = operations.filter(op => (op.modId !== removal.modId) && isAffectedBy(op, removal));
+    if (affected.length > 0) {
+      addConflict('remove', removal, [removal, ...affected]);
+    }
+  });
+
+  const setters = operations.filter(op => SET_OPS.includes(op.op));
+  const byNode = setters.reduce((accum, op) => {
+    const key = `${op.file}:${op.xpath}`;
+    accum[key] = [].concat(accum[key] ?? [], op);
+    return accum;
+  }, {} as { [key: string]: IXPathOperation[] });
+  Object.values(byNode).forEach(ops => {
+    const modIds = new Set(ops.map(op => op.modId));
+    const values = new Set(ops.map(op => op.value));
+    if ((modIds.size > 1) && (values.size > 1)) {
+      addConflict('overwrite', ops[0], ops);
+    }
+  });
+
+  return Object.values(conflicts)
+    .sort((lhs, rhs) => lhs.file.localeCompare(rhs.file) || lhs.xpath.localeCompare(rhs.xpath));
+}
+
+function loPosition(loadOrder: ILoadOrderEntry[], modId: string): number {
+  const idx = loadOrder.findIndex(entry => entry.id === modId);
+  return (idx === -1) ? Number.MAX_SAFE_INTEGER : idx;
+}
+
+// Modlets are applied in prefix order, the last modlet to set a node wins. A
+//  removal always wins: patches applied after it no longer find their node.
+export function xpathConflictWinner(conflict: IXPathConflict, loadOrder: ILoadOrderEntry[]): string {
+  const candidates = (conflict.type === 'remove')
+    ? conflict.entries.filter(op => REMOVE_OPS.includes(op.op))
+    : conflict.entries;
+  return candidates
+    .map(op => op.modId)
+    .sort((lhs, rhs) => loPosition(loadOrder, lhs) - loPosition(loadOrder, rhs))
+    .pop();
+}
+
+export async function analyzeXPathConflicts(api: types.IExtensionApi,
+                                            profile: types.IProfile): Promise<IXPathConflict[]> {
+  const state = api.getState();
+  const stagingPath = selectors.installPathForGame(state, GAME_ID);
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const enabled = Object.values(mods).filter(mod => (mod.installationPath !== undefined)
+    && util.getSafe(profile, ['modState', mod.id, 'enabled'], false)
+    && !INVALID_LO_MOD_TYPES.includes(mod.type));
+  let operations: IXPathOperation[] = [];
+  for (const mod of enabled) {
+    try {
+      operations = operations.concat(
+        await readModOperations(path.join(stagingPath, mod.installationPath), mod.id));
+    } catch (err) {
+      log('debug', 'failed to read modlet operations', { modId: mod.id, error: err.message });
+    }
+  }
+  return findXPathConflicts(operations);
+}
+
+export async function updateXPathConflicts(api: types.IExtensionApi): Promise<void> {
+  const profile = selectors.activeProfile(api.getState());
+  if (profile?.gameId !== GAME_ID) {
+    return;
+  }
+  try {
+    api.store.dispatch(setXPathConflicts(await analyzeXPathConflicts(api, profile)));
+  } catch (err) {
+    log('error', 'failed to analyze modlet conflicts', err);
+  }
+}
@@ -40,6 +40,7 @@ const react_redux_1 = require("react-redux");
 const util_1 = require("./util");
 const actions_1 = require("./actions");
 const common_1 = require("./common");
+const PakConflictsPanel_1 = require("./PakConflictsPanel");
 function InfoPanelWrap(props) {
     const { api, getOwnGameVersion, readStoredLO, installLSLib, getLatestLSLibMod } = props;
     const currentProfile = (0, react_redux_1.useSelector)((state) => { var _a; return (_a = state.settings['baldursgate3']) === null || _a === void 0 ? void 0 : _a.playerProfile; });
@@ -98,7 +99,9 @@ function InfoPanel(props) {
         It can also be used to export to a different file as a backup.`)),
         React.createElement("h4", { style: { margin: 0 } }, t('Import from Baldur\'s Gate 3 Mod Manager')),
         React.createElement("div", null, t('Vortex can sort your load order based on a BG3MM .json load order file. Any mods that are not installed through Vortex will be ignored.')),
-        React.createElement("div", null, t('Please note that any mods that are not present in the BG3MM load order file will be placed at the bottom of the load order.')))) : (React.createElement("div", { style: { display: 'flex', flexDirection: 'column', gap: '12px' } },
+        React.createElement("div", null, t('Please note that any mods that are not present in the BG3MM load order file will be placed at the bottom of the load order.')),
+        React.createElement("div", null, t('Use "Export to BG3MM..." to share your load order with BG3MM users.')),
+        React.createElement(PakConflictsPanel_1.PakConflictsSummary, null))) : (React.createElement("div", { style: { display: 'flex', flexDirection: 'column', gap: '12px' } },
         React.createElement("h4", { style: { margin: 0 } }, t('LSLib is not installed')),
         React.createElement("div", null, t('To take full advantage of Vortex\'s Baldur\s Gate 3 modding capabilities such as managing the '
             + 'order in which mods are loaded into the game; Vortex requires a 3rd party tool called LSLib.')),
@@ -110,4 +113,4 @@ function mapDispatchToProps(dispatch) {
         onSetProfile: (profile) => dispatch((0, actions_1.setPlayerProfile)(profile)),
     };
 }
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiSW5mb1BhbmVsLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiSW5mb1BhbmVsLnRzeCJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUNBLDZDQUErQjtBQUMvQiwyQ0FBNEM7QUFFNUMscURBQXdDO0FBQ3hDLDZDQUEwQztBQUcxQyxpQ0FBc0M7QUFHdEMsdUNBQTZDO0FBQzdDLHFDQUFtQztBQWNuQyxTQUFnQixhQUFhLENBQUMsS0FBaUI7SUFDN0MsTUFBTSxFQUFFLEdBQUcsRUFBRSxpQkFBaUIsRUFBRSxZQUFZLEVBQzFDLFlBQVksRUFBRSxpQkFBaUIsRUFBRSxHQUFHLEtBQUssQ0FBQztJQUU1QyxNQUFNLGNBQWMsR0FBRyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsV0FDekQsT0FBQSxNQUFBLEtBQUssQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLDBDQUFFLGFBQWEsQ0FBQSxFQUFBLENBQUMsQ0FBQztJQUVqRCxNQUFNLENBQUMsV0FBVyxFQUFFLGNBQWMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxRQUFRLEVBQVUsQ0FBQztJQUUvRCxLQUFLLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRTtRQUNuQixDQUFDLEdBQVMsRUFBRTtZQUNWLElBQUksQ0FBQyxXQUFXLEVBQUU7Z0JBQ2hCLGNBQWMsQ0FBQyxNQUFNLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDLENBQUM7YUFDekQ7UUFDSCxDQUFDLENBQUEsQ0FBQyxFQUFFLENBQUM7SUFDUCxDQUFDLEVBQUUsQ0FBQyxXQUFXLEVBQUUsY0FBYyxDQUFDLENBQUMsQ0FBQztJQUVsQyxNQUFNLFlBQVksR0FBRyxLQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsV0FBbUIsRUFBRSxFQUFFO1FBQzdELE1BQU0sSUFBSSxHQUFHLEdBQVMsRUFBRTtZQUN0QixHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLDBCQUFnQixFQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDbEQsSUFBSTtnQkFDRixNQUFNLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUN6QjtZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQywyQkFBMkIsRUFBRSxHQUFHLEVBQUU7b0JBQzFELE9BQU8sRUFBRSw4Q0FBOEM7b0JBQ3ZELFdBQVcsRUFBRSxLQUFLO2lCQUNuQixDQUFDLENBQUM7YUFDSjtZQUNELElBQUEsbUJBQVksRUFBQyxHQUFHLENBQUMsQ0FBQztRQUNwQixDQUFDLENBQUEsQ0FBQztRQUNGLElBQUksRUFBRSxDQUFDO0lBQ1QsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUVWLE1BQU0sZ0JBQWdCLEdBQUcsS0FBSyxDQUFDLFdBQVcsQ0FBQyxHQUFHLEVBQUU7UUFDOUMsT0FBTyxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsS0FBSyxTQUFTLENBQUM7SUFDOUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUVWLE1BQU0sY0FBYyxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsR0FBRyxFQUFFO1FBQzVDLFlBQVksQ0FBQyxHQUFHLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO0lBQzdCLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFFVixJQUFJLENBQUMsV0FBVyxFQUFFO1FBQ2hCLE9BQU8sSUFBSSxDQUFDO0tBQ2I7SUFFRCxPQUFPLENBQ0wsb0JBQUMsU0FBUyxJQUNSLENBQUMsRUFBRSxHQUFHLENBQUMsU0FBUyxFQUNoQixXQUFXLEVBQUUsV0FBVyxFQUN4QixjQUFjLEVBQUUsY0FBYyxFQUM5QixrQkFBa0IsRUFBRSxZQUFZLEVBQ2hDLGdCQUFnQixFQUFFLGdCQUFnQixFQUNsQyxjQUFjLEVBQUUsY0FBYyxHQUM5QixDQUNILENBQUM7QUFDSixDQUFDO0FBdkRELHNDQXVEQztBQUVELFNBQVMsU0FBUyxDQUFDLEtBQVU7SUFDM0IsTUFBTSxFQUFFLENBQUMsRUFBRSxjQUFjLEVBQUUsZ0JBQWdCLEVBQUUsR0FBRyxLQUFLLENBQUM7SUFFdEQsT0FBTyxnQkFBZ0IsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUMxQiw2QkFBSyxLQUFLLEVBQUUsRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFLGFBQWEsRUFBRSxRQUFRLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFO1FBQ3hGLG9CQUFDLHVCQUFLLElBQUMsT0FBTyxFQUFDLFNBQVMsRUFBQyxLQUFLLEVBQUUsRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFLGFBQWEsRUFBRSxRQUFRLEVBQUUsR0FBRyxFQUFFLEtBQUssRUFBRTtZQUN0RixpQ0FDRyxDQUFDLENBQUM7NklBQ2dJLENBQUMsQ0FDaEk7WUFDTixpQ0FDRyxDQUFDLENBQUM7K0hBQ2tILENBQUMsQ0FDbEgsQ0FDQTtRQUNSLGlDQUNHLENBQUMsQ0FBQyxnSEFBZ0gsQ0FBQyxDQUNoSDtRQUNOLGlDQUNHLENBQUMsQ0FBQyxxRkFBcUYsQ0FBQyxDQUNyRjtRQUNOLGlDQUNHLENBQUMsQ0FBQztnRkFDcUUsQ0FBQyxDQUNyRTtRQUNOLDRCQUFJLEtBQUssRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsSUFDckIsQ0FBQyxDQUFDLG1CQUFtQixDQUFDLENBQ3BCO1FBQ0wsaUNBQ0csQ0FBQyxDQUFDOzBFQUMrRCxDQUFDLENBQy9EO1FBQ04saUNBQ0csQ0FBQyxDQUFDO3VFQUM0RCxDQUFDLENBQzVEO1FBQ04sNEJBQUksS0FBSyxFQUFFLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxJQUNyQixDQUFDLENBQUMsMENBQTBDLENBQUMsQ0FDM0M7UUFDTCxpQ0FDRyxDQUFDLENBQUMseUlBQXlJLENBQUMsQ0FDekk7UUFDTixpQ0FDRyxDQUFDLENBQUMsNkhBQTZILENBQUMsQ0FDN0gsQ0FFRixDQUNQLENBQUMsQ0FBQyxDQUFDLENBQ0YsNkJBQUssS0FBSyxFQUFFLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxhQUFhLEVBQUUsUUFBUSxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUU7UUFDbkUsNEJBQUksS0FBSyxFQUFFLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxJQUNyQixDQUFDLENBQUMsd0JBQXdCLENBQUMsQ0FDekI7UUFDTCxpQ0FDRyxDQUFDLENBQUMsZ0dBQWdHO2NBQy9GLDhGQUE4RixDQUFDLENBQy9GO1FBQ04saUNBQ0csQ0FBQyxDQUFDLCtFQUErRSxDQUFDLENBQy9FO1FBQ04sb0JBQUMsb0JBQU8sQ0FBQyxNQUFNLElBQ2IsT0FBTyxFQUFFLGVBQWUsRUFDeEIsT0FBTyxFQUFFLGNBQWMsSUFFdEIsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxDQUNKLENBQ2IsQ0FDUCxDQUFDO0FBQ0osQ0FBQztBQVFELFNBQVMsa0JBQWtCLENBQUMsUUFBK0M7SUFDekUsT0FBTztRQUNMLFlBQVksRUFBRSxDQUFDLE9BQWUsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLElBQUEsMEJBQWdCLEVBQUMsT0FBTyxDQUFDLENBQUM7S0FDdkUsQ0FBQztBQUNKLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xyXG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XHJcbmltcG9ydCB7IHR5cGVzLCB0b29sdGlwIH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcblxyXG5pbXBvcnQgeyBBbGVydCB9IGZyb20gJ3JlYWN0LWJvb3RzdHJhcCc7XHJcbmltcG9ydCB7IHVzZVNlbGVjdG9yIH0gZnJvbSAncmVhY3QtcmVkdXgnO1xyXG5pbXBvcnQgKiBhcyBSZWR1eCBmcm9tICdyZWR1eCc7XHJcblxyXG5pbXBvcnQgeyBmb3JjZVJlZnJlc2ggfSBmcm9tICcuL3V0aWwnO1xyXG5pbXBvcnQgeyBUaHVua0Rpc3BhdGNoIH0gZnJvbSAncmVkdXgtdGh1bmsnO1xyXG5cclxuaW1wb3J0IHsgc2V0UGxheWVyUHJvZmlsZSB9IGZyb20gJy4vYWN0aW9ucyc7XHJcbmltcG9ydCB7IEdBTUVfSUQgfSBmcm9tICcuL2NvbW1vbic7XHJcblxyXG5pbnRlcmZhY2UgSUJhc2VQcm9wcyB7XHJcbiAgYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpO1xyXG4gIGdldE93bkdhbWVWZXJzaW9uOiAoc3RhdGU6IHR5cGVzLklTdGF0ZSkgPT4gUHJvbWlzZTxzdHJpbmc+O1xyXG4gIHJlYWRTdG9yZWRMTzogKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkgPT4gUHJvbWlzZTx2b2lkPjtcclxuICBpbnN0YWxsTFNMaWI6IChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGdhbWVJZDogc3RyaW5nKSA9PiBQcm9taXNlPHZvaWQ+O1xyXG4gIGdldExhdGVzdExTTGliTW9kOiAoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSA9PiB0eXBlcy5JTW9kO1xyXG59XHJcblxyXG5pbnRlcmZhY2UgSUFjdGlvblByb3BzIHtcclxuICBvblNldFByb2ZpbGU6IChwcm9maWxlTmFtZTogc3RyaW5nKSA9PiB2b2lkO1xyXG59XHJcblxyXG5leHBvcnQgZnVuY3Rpb24gSW5mb1BhbmVsV3JhcChwcm9wczogSUJhc2VQcm9wcykge1xyXG4gIGNvbnN0IHsgYXBpLCBnZXRPd25HYW1lVmVyc2lvbiwgcmVhZFN0b3JlZExPLFxyXG4gICAgaW5zdGFsbExTTGliLCBnZXRMYXRlc3RMU0xpYk1vZCB9ID0gcHJvcHM7XHJcblxyXG4gIGNvbnN0IGN1cnJlbnRQcm9maWxlID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XHJcbiAgICBzdGF0ZS5zZXR0aW5nc1snYmFsZHVyc2dhdGUzJ10/LnBsYXllclByb2ZpbGUpO1xyXG5cclxuICBjb25zdCBbZ2FtZVZlcnNpb24sIHNldEdhbWVWZXJzaW9uXSA9IFJlYWN0LnVzZVN0YXRlPHN0cmluZz4oKTtcclxuXHJcbiAgUmVhY3QudXNlRWZmZWN0KCgpID0+IHtcclxuICAgIChhc3luYyAoKSA9PiB7XHJcbiAgICAgIGlmICghZ2FtZVZlcnNpb24pIHtcclxuICAgICAgICBzZXRHYW1lVmVyc2lvbihhd2FpdCBnZXRPd25HYW1lVmVyc2lvbihhcGkuZ2V0U3RhdGUoKSkpO1xyXG4gICAgICB9XHJcbiAgICB9KSgpO1xyXG4gIH0sIFtnYW1lVmVyc2lvbiwgc2V0R2FtZVZlcnNpb25dKTtcclxuXHJcbiAgY29uc3Qgb25TZXRQcm9maWxlID0gUmVhY3QudXNlQ2FsbGJhY2soKHByb2ZpbGVOYW1lOiBzdHJpbmcpID0+IHtcclxuICAgIGNvbnN0IGltcGwgPSBhc3luYyAoKSA9PiB7XHJcbiAgICAgIGFwaS5zdG9yZS5kaXNwYXRjaChzZXRQbGF5ZXJQcm9maWxlKHByb2ZpbGVOYW1lKSk7XHJcbiAgICAgIHRyeSB7XHJcbiAgICAgICAgYXdhaXQgcmVhZFN0b3JlZExPKGFwaSk7XHJcbiAgICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byByZWFkIGxvYWQgb3JkZXInLCBlcnIsIHtcclxuICAgICAgICAgIG1lc3NhZ2U6ICdQbGVhc2UgcnVuIHRoZSBnYW1lIGJlZm9yZSB5b3Ugc3RhcnQgbW9kZGluZycsXHJcbiAgICAgICAgICBhbGxvd1JlcG9ydDogZmFsc2UsXHJcbiAgICAgICAgfSk7XHJcbiAgICAgIH1cclxuICAgICAgZm9yY2VSZWZyZXNoKGFwaSk7XHJcbiAgICB9O1xyXG4gICAgaW1wbCgpO1xyXG4gIH0sIFthcGldKTtcclxuXHJcbiAgY29uc3QgaXNMc0xpYkluc3RhbGxlZCA9IFJlYWN0LnVzZUNhbGxiYWNrKCgpID0+IHtcclxuICAgIHJldHVybiBnZXRMYXRlc3RMU0xpYk1vZChhcGkpICE9PSB1bmRlZmluZWQ7XHJcbiAgfSwgW2FwaV0pO1xyXG5cclxuICBjb25zdCBvbkluc3RhbGxMU0xpYiA9IFJlYWN0LnVzZUNhbGxiYWNrKCgpID0+IHtcclxuICAgIGluc3RhbGxMU0xpYihhcGksIEdBTUVfSUQpO1xyXG4gIH0sIFthcGldKTtcclxuXHJcbiAgaWYgKCFnYW1lVmVyc2lvbikge1xyXG4gICAgcmV0dXJuIG51bGw7XHJcbiAgfVxyXG5cclxuICByZXR1cm4gKFxyXG4gICAgPEluZm9QYW5lbFxyXG4gICAgICB0PXthcGkudHJhbnNsYXRlfVxyXG4gICAgICBnYW1lVmVyc2lvbj17Z2FtZVZlcnNpb259XHJcbiAgICAgIGN1cnJlbnRQcm9maWxlPXtjdXJyZW50UHJvZmlsZX1cclxuICAgICAgb25TZXRQbGF5ZXJQcm9maWxlPXtvblNldFByb2ZpbGV9XHJcbiAgICAgIGlzTHNMaWJJbnN0YWxsZWQ9e2lzTHNMaWJJbnN0YWxsZWR9XHJcbiAgICAgIG9uSW5zdGFsbExTTGliPXtvbkluc3RhbGxMU0xpYn1cclxuICAgIC8+XHJcbiAgKTtcclxufVxyXG5cclxuZnVuY3Rpb24gSW5mb1BhbmVsKHByb3BzOiBhbnkpIHtcclxuICBjb25zdCB7IHQsIG9uSW5zdGFsbExTTGliLCBpc0xzTGliSW5zdGFsbGVkIH0gPSBwcm9wcztcclxuXHJcbiAgcmV0dXJuIGlzTHNMaWJJbnN0YWxsZWQoKSA/IChcclxuICAgIDxkaXYgc3R5bGU9e3sgZGlzcGxheTogJ2ZsZXgnLCBmbGV4RGlyZWN0aW9uOiAnY29sdW1uJywgZ2FwOiAnMTJweCcsIG1hcmdpblJpZ2h0OiAnMTZweCcgfX0+XHJcbiAgICAgIDxBbGVydCBic1N0eWxlPSd3YXJuaW5nJyBzdHlsZT17eyBkaXNwbGF5OiAnZmxleCcsIGZsZXhEaXJlY3Rpb246ICdjb2x1bW4nLCBnYXA6ICc4cHgnIH19PlxyXG4gICAgICAgIDxkaXY+XHJcbiAgICAgICAgICB7dChgVmVyc2lvbiAwLjMgb2YgdGhlIGV4dGVuc2lvbiBpcyBhbG1vc3QgYSBjb21wbGV0ZSByZXdyaXRlIG9mIGxvYWQgb3JkZXIgYW5kIG1pZ3JhdGlvbiBmcm9tIHByZXZpb3VzIHZlcnNpb25zIG1heSBjYXVzZSBpc3N1ZXMuXHJcbiAgICAgICAgQSBQdXJnZSB0aGVuIGEgRGVwbG95IHdpbGwgbm9ybWFsbHkgc29sdmUgYWxsIGlzc3VlcyBidXQgcGxlYXNlIG1ha2UgYSBiYWNrdXAgZmlyc3QgdXNpbmcgRXhwb3J0Li4uIGFzIHRoZSBsb2FkIG9yZGVyIHdpbGwgYmUgcmVzZXQuYCl9XHJcbiAgICAgICAgPC9kaXY+XHJcbiAgICAgICAgPGRpdj5cclxuICAgICAgICAgIHt0KGBBIGJhY2t1cCBpcyBtYWRlIG9mIHRoZSBnYW1lJ3MgbW9kc2V0dGluZ3MubHN4IGZpbGUgYmVmb3JlIGFueXRoaW5nIGlzIGNoYW5nZWQuXHJcbiAgICAgICAgVGhpcyBjYW4gYmUgZm91bmQgYXQgJUFQUERBVEElXFxcXExvY2FsXFxcXExhcmlhbiBTdHVkaW9zXFxcXEJhbGR1cidzIEdhdGUgM1xcXFxQbGF5ZXJQcm9maWxlc1xcXFxQdWJsaWNcXFxcbW9kc2V0dGluZ3MubHN4LmJhY2t1cGApfVxyXG4gICAgICAgIDwvZGl2PlxyXG4gICAgICA8L0FsZXJ0PlxyXG4gICAgICA8ZGl2PlxyXG4gICAgICAgIHt0KGBEcmFnIGFuZCBEcm9wIFBBSyBmaWxlcyB0byByZW9yZGVyIGhvdyB0aGUgZ2FtZSBsb2FkcyB0aGVtLiBQbGVhc2Ugbm90ZSwgc29tZSBtb2RzIGNvbnRhaW4gbXVsdGlwbGUgUEFLIGZpbGVzLmApfVxyXG4gICAgICA8L2Rpdj5cclxuICAgICAgPGRpdj5cclxuICAgICAgICB7dChgTW9kIGRlc2NyaXB0aW9ucyBmcm9tIG1vZCBhdXRob3JzIG1heSBoYXZlIGluZm9ybWF0aW9uIHRvIGRldGVybWluZSB0aGUgYmVzdCBvcmRlci5gKX1cclxuICAgICAgPC9kaXY+XHJcbiAgICAgIDxkaXY+XHJcbiAgICAgICAge3QoYFNvbWUgbW9kcyBtYXkgYmUgbG9ja2VkIGluIHRoaXMgbGlzdCBiZWNhdXNlIHRoZXkgYXJlIGxvYWRlZCBkaWZmZXJlbnRseSBieSB0aGUgZ2FtZSBhbmQgY2FuIHRoZXJlZm9yZSBub3QgYmUgbG9hZC1vcmRlcmVkIGJ5IG1vZCBtYW5hZ2Vycy4gXHJcbiAgICAgICAgSWYgeW91IG5lZWQgdG8gZGlzYWJsZSBzdWNoIGEgbW9kLCBwbGVhc2UgZG8gc28gaW4gVm9ydGV4XFwncyBNb2RzIHBhZ2UuYCl9XHJcbiAgICAgIDwvZGl2PlxyXG4gICAgICA8aDQgc3R5bGU9e3sgbWFyZ2luOiAwIH19PlxyXG4gICAgICAgIHt0KCdJbXBvcnQgYW5kIEV4cG9ydCcpfVxyXG4gICAgICA8L2g0PlxyXG4gICAgICA8ZGl2PlxyXG4gICAgICAgIHt0KGBJbXBvcnQgaXMgYW4gZXhwZXJpbWVudGFsIHRvb2wgdG8gaGVscCBtaWdyYXRpb24gZnJvbSBhIGdhbWUgbG9hZCBvcmRlciAoLmxzeCBmaWxlKSB0byBWb3J0ZXguIEl0IHdvcmtzIGJ5IGltcG9ydGluZyB0aGUgZ2FtZSdzIG1vZHNldHRpbmdzIGZpbGVcclxuICAgICAgICBhbmQgYXR0ZW1wdHMgdG8gbWF0Y2ggdXAgbW9kcyB0aGF0IGhhdmUgYmVlbiBpbnN0YWxsZWQgYnkgVm9ydGV4LmApfVxyXG4gICAgICA8L2Rpdj5cclxuICAgICAgPGRpdj5cclxuICAgICAgICB7dChgRXhwb3J0IGNhbiBiZSB1c2VkIHRvIG1hbnVhbGx5IHVwZGF0ZSB0aGUgZ2FtZSdzIG1vZHNldHRpbmdzLmxzeCBmaWxlIGlmICdTZXR0aW5ncyA+IE1vZHMgPiBBdXRvIGV4cG9ydCBsb2FkIG9yZGVyJyBpc24ndCBzZXQgdG8gZG8gdGhpcyBhdXRvbWF0aWNhbGx5LiBcclxuICAgICAgICBJdCBjYW4gYWxzbyBiZSB1c2VkIHRvIGV4cG9ydCB0byBhIGRpZmZlcmVudCBmaWxlIGFzIGEgYmFja3VwLmApfVxyXG4gICAgICA8L2Rpdj5cclxuICAgICAgPGg0IHN0eWxlPXt7IG1hcmdpbjogMCB9fT5cclxuICAgICAgICB7dCgnSW1wb3J0IGZyb20gQmFsZHVyXFwncyBHYXRlIDMgTW9kIE1hbmFnZXInKX1cclxuICAgICAgPC9oND5cclxuICAgICAgPGRpdj5cclxuICAgICAgICB7dCgnVm9ydGV4IGNhbiBzb3J0IHlvdXIgbG9hZCBvcmRlciBiYXNlZCBvbiBhIEJHM01NIC5qc29uIGxvYWQgb3JkZXIgZmlsZS4gQW55IG1vZHMgdGhhdCBhcmUgbm90IGluc3RhbGxlZCB0aHJvdWdoIFZvcnRleCB3aWxsIGJlIGlnbm9yZWQuJyl9XHJcbiAgICAgIDwvZGl2PlxyXG4gICAgICA8ZGl2PlxyXG4gICAgICAgIHt0KCdQbGVhc2Ugbm90ZSB0aGF0IGFueSBtb2RzIHRoYXQgYXJlIG5vdCBwcmVzZW50IGluIHRoZSBCRzNNTSBsb2FkIG9yZGVyIGZpbGUgd2lsbCBiZSBwbGFjZWQgYXQgdGhlIGJvdHRvbSBvZiB0aGUgbG9hZCBvcmRlci4nKX1cclxuICAgICAgPC9kaXY+XHJcblxyXG4gICAgPC9kaXY+XHJcbiAgKSA6IChcclxuICAgIDxkaXYgc3R5bGU9e3sgZGlzcGxheTogJ2ZsZXgnLCBmbGV4RGlyZWN0aW9uOiAnY29sdW1uJywgZ2FwOiAnMTJweCcgfX0+XHJcbiAgICAgIDxoNCBzdHlsZT17eyBtYXJnaW46IDAgfX0+XHJcbiAgICAgICAge3QoJ0xTTGliIGlzIG5vdCBpbnN0YWxsZWQnKX1cclxuICAgICAgPC9oND5cclxuICAgICAgPGRpdj5cclxuICAgICAgICB7dCgnVG8gdGFrZSBmdWxsIGFkdmFudGFnZSBvZiBWb3J0ZXhcXCdzIEJhbGR1clxccyBHYXRlIDMgbW9kZGluZyBjYXBhYmlsaXRpZXMgc3VjaCBhcyBtYW5hZ2luZyB0aGUgJ1xyXG4gICAgICAgICAgKyAnb3JkZXIgaW4gd2hpY2ggbW9kcyBhcmUgbG9hZGVkIGludG8gdGhlIGdhbWU7IFZvcnRleCByZXF1aXJlcyBhIDNyZCBwYXJ0eSB0b29sIGNhbGxlZCBMU0xpYi4nKX1cclxuICAgICAgPC9kaXY+XHJcbiAgICAgIDxkaXY+XHJcbiAgICAgICAge3QoJ1BsZWFzZSBpbnN0YWxsIHRoZSBsaWJyYXJ5IHVzaW5nIHRoZSBidXR0b25zIGJlbG93IHRvIG1hbmFnZSB5b3VyIGxvYWQgb3JkZXIuJyl9XHJcbiAgICAgIDwvZGl2PlxyXG4gICAgICA8dG9vbHRpcC5CdXR0b25cclxuICAgICAgICB0b29sdGlwPXsnSW5zdGFsbCBMU0xpYid9XHJcbiAgICAgICAgb25DbGljaz17b25JbnN0YWxsTFNMaWJ9XHJcbiAgICAgID5cclxuICAgICAgICB7dCgnSW5zdGFsbCBMU0xpYicpfVxyXG4gICAgICA8L3Rvb2x0aXAuQnV0dG9uPlxyXG4gICAgPC9kaXY+XHJcbiAgKTtcclxufVxyXG5cclxuLy8gZnVuY3Rpb24gbWFwU3RhdGVUb1Byb3BzKHN0YXRlOiBhbnkpOiBJQ29ubmVjdGVkUHJvcHMge1xyXG4vLyAgIHJldHVybiB7XHJcbi8vICAgICBjdXJyZW50VGhlbWU6IHN0YXRlLnNldHRpbmdzLmludGVyZmFjZS5jdXJyZW50VGhlbWUsXHJcbi8vICAgfTtcclxuLy8gfVxyXG5cclxuZnVuY3Rpb24gbWFwRGlzcGF0Y2hUb1Byb3BzKGRpc3BhdGNoOiBUaHVua0Rpc3BhdGNoPGFueSwgYW55LCBSZWR1eC5BY3Rpb24+KTogSUFjdGlvblByb3BzIHtcclxuICByZXR1cm4ge1xyXG4gICAgb25TZXRQcm9maWxlOiAocHJvZmlsZTogc3RyaW5nKSA9PiBkaXNwYXRjaChzZXRQbGF5ZXJQcm9maWxlKHByb2ZpbGUpKSxcclxuICB9O1xyXG59Il19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiSW5mb1BhbmVsLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiSW5mb1BhbmVsLnRzeCJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUNBLDZDQUErQjtBQUMvQiwyQ0FBNEM7QUFFNUMscURBQXdDO0FBQ3hDLDZDQUEwQztBQUcxQyxpQ0FBc0M7QUFHdEMsdUNBQTZDO0FBQzdDLHFDQUFtQztBQUNuQywyREFBMEQ7QUFjMUQsU0FBZ0IsYUFBYSxDQUFDLEtBQWlCO0lBQzdDLE1BQU0sRUFBRSxHQUFHLEVBQUUsaUJBQWlCLEVBQUUsWUFBWSxFQUMxQyxZQUFZLEVBQUUsaUJBQWlCLEVBQUUsR0FBRyxLQUFLLENBQUM7SUFFNUMsTUFBTSxjQUFjLEdBQUcsSUFBQSx5QkFBVyxFQUFDLENBQUMsS0FBbUIsRUFBRSxFQUFFLFdBQ3pELE9BQUEsTUFBQSxLQUFLLENBQUMsUUFBUSxDQUFDLGNBQWMsQ0FBQywwQ0FBRSxhQUFhLENBQUEsRUFBQSxDQUFDLENBQUM7SUFFakQsTUFBTSxDQUFDLFdBQVcsRUFBRSxjQUFjLENBQUMsR0FBRyxLQUFLLENBQUMsUUFBUSxFQUFVLENBQUM7SUFFL0QsS0FBSyxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7UUFDbkIsQ0FBQyxHQUFTLEVBQUU7WUFDVixJQUFJLENBQUMsV0FBVyxFQUFFO2dCQUNoQixjQUFjLENBQUMsTUFBTSxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ3pEO1FBQ0gsQ0FBQyxDQUFBLENBQUMsRUFBRSxDQUFDO0lBQ1AsQ0FBQyxFQUFFLENBQUMsV0FBVyxFQUFFLGNBQWMsQ0FBQyxDQUFDLENBQUM7SUFFbEMsTUFBTSxZQUFZLEdBQUcsS0FBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDLFdBQW1CLEVBQUUsRUFBRTtRQUM3RCxNQUFNLElBQUksR0FBRyxHQUFTLEVBQUU7WUFDdEIsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBQSwwQkFBZ0IsRUFBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO1lBQ2xELElBQUk7Z0JBQ0YsTUFBTSxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDekI7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixHQUFHLENBQUMscUJBQXFCLENBQUMsMkJBQTJCLEVBQUUsR0FBRyxFQUFFO29CQUMxRCxPQUFPLEVBQUUsOENBQThDO29CQUN2RCxXQUFXLEVBQUUsS0FBSztpQkFDbkIsQ0FBQyxDQUFDO2FBQ0o7WUFDRCxJQUFBLG1CQUFZLEVBQUMsR0FBRyxDQUFDLENBQUM7UUFDcEIsQ0FBQyxDQUFBLENBQUM7UUFDRixJQUFJLEVBQUUsQ0FBQztJQUNULENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFFVixNQUFNLGdCQUFnQixHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsR0FBRyxFQUFFO1FBQzlDLE9BQU8saUJBQWlCLENBQUMsR0FBRyxDQUFDLEtBQUssU0FBUyxDQUFDO0lBQzlDLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFFVixNQUFNLGNBQWMsR0FBRyxLQUFLLENBQUMsV0FBVyxDQUFDLEdBQUcsRUFBRTtRQUM1QyxZQUFZLENBQUMsR0FBRyxFQUFFLGdCQUFPLENBQUMsQ0FBQztJQUM3QixDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBRVYsSUFBSSxDQUFDLFdBQVcsRUFBRTtRQUNoQixPQUFPLElBQUksQ0FBQztLQUNiO0lBRUQsT0FBTyxDQUNMLG9CQUFDLFNBQVMsSUFDUixDQUFDLEVBQUUsR0FBRyxDQUFDLFNBQVMsRUFDaEIsV0FBVyxFQUFFLFdBQVcsRUFDeEIsY0FBYyxFQUFFLGNBQWMsRUFDOUIsa0JBQWtCLEVBQUUsWUFBWSxFQUNoQyxnQkFBZ0IsRUFBRSxnQkFBZ0IsRUFDbEMsY0FBYyxFQUFFLGNBQWMsR0FDOUIsQ0FDSCxDQUFDO0FBQ0osQ0FBQztBQXZERCxzQ0F1REM7QUFFRCxTQUFTLFNBQVMsQ0FBQyxLQUFVO0lBQzNCLE1BQU0sRUFBRSxDQUFDLEVBQUUsY0FBYyxFQUFFLGdCQUFnQixFQUFFLEdBQUcsS0FBSyxDQUFDO0lBRXRELE9BQU8sZ0JBQWdCLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FDMUIsNkJBQUssS0FBSyxFQUFFLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxhQUFhLEVBQUUsUUFBUSxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRTtRQUN4RixvQkFBQyx1QkFBSyxJQUFDLE9BQU8sRUFBQyxTQUFTLEVBQUMsS0FBSyxFQUFFLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxhQUFhLEVBQUUsUUFBUSxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUU7WUFDdEYsaUNBQ0csQ0FBQyxDQUFDOzZJQUNnSSxDQUFDLENBQ2hJO1lBQ04saUNBQ0csQ0FBQyxDQUFDOytIQUNrSCxDQUFDLENBQ2xILENBQ0E7UUFDUixpQ0FDRyxDQUFDLENBQUMsZ0hBQWdILENBQUMsQ0FDaEg7UUFDTixpQ0FDRyxDQUFDLENBQUMscUZBQXFGLENBQUMsQ0FDckY7UUFDTixpQ0FDRyxDQUFDLENBQUM7Z0ZBQ3FFLENBQUMsQ0FDckU7UUFDTiw0QkFBSSxLQUFLLEVBQUUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLElBQ3JCLENBQUMsQ0FBQyxtQkFBbUIsQ0FBQyxDQUNwQjtRQUNMLGlDQUNHLENBQUMsQ0FBQzswRUFDK0QsQ0FBQyxDQUMvRDtRQUNOLGlDQUNHLENBQUMsQ0FBQzt1RUFDNEQsQ0FBQyxDQUM1RDtRQUNOLDRCQUFJLEtBQUssRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsSUFDckIsQ0FBQyxDQUFDLDBDQUEwQyxDQUFDLENBQzNDO1FBQ0wsaUNBQ0csQ0FBQyxDQUFDLHlJQUF5SSxDQUFDLENBQ3pJO1FBQ04saUNBQ0csQ0FBQyxDQUFDLDZIQUE2SCxDQUFDLENBQzdIO1FBQ04saUNBQ0csQ0FBQyxDQUFDLHFFQUFxRSxDQUFDLENBQ3JFO1FBQ04sb0JBQUMsdUNBQW1CLE9BQUcsQ0FFbkIsQ0FDUCxDQUFDLENBQUMsQ0FBQyxDQUNGLDZCQUFLLEtBQUssRUFBRSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLFFBQVEsRUFBRSxHQUFHLEVBQUUsTUFBTSxFQUFFO1FBQ25FLDRCQUFJLEtBQUssRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsSUFDckIsQ0FBQyxDQUFDLHdCQUF3QixDQUFDLENBQ3pCO1FBQ0wsaUNBQ0csQ0FBQyxDQUFDLGdHQUFnRztjQUMvRiw4RkFBOEYsQ0FBQyxDQUMvRjtRQUNOLGlDQUNHLENBQUMsQ0FBQywrRUFBK0UsQ0FBQyxDQUMvRTtRQUNOLG9CQUFDLG9CQUFPLENBQUMsTUFBTSxJQUNiLE9BQU8sRUFBRSxlQUFlLEVBQ3hCLE9BQU8sRUFBRSxjQUFjLElBRXRCLENBQUMsQ0FBQyxlQUFlLENBQUMsQ0FDSixDQUNiLENBQ1AsQ0FBQztBQUNKLENBQUM7QUFRRCxTQUFTLGtCQUFrQixDQUFDLFFBQStDO0lBQ3pFLE9BQU87UUFDTCxZQUFZLEVBQUUsQ0FBQyxPQUFlLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxJQUFBLDBCQUFnQixFQUFDLE9BQU8sQ0FBQyxDQUFDO0tBQ3ZFLENBQUM7QUFDSixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyogZXNsaW50LWRpc2FibGUgKi9cbmltcG9ydCAqIGFzIFJlYWN0IGZyb20gJ3JlYWN0JztcbmltcG9ydCB7IHR5cGVzLCB0b29sdGlwIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5cbmltcG9ydCB7IEFsZXJ0IH0gZnJvbSAncmVhY3QtYm9vdHN0cmFwJztcbmltcG9ydCB7IHVzZVNlbGVjdG9yIH0gZnJvbSAncmVhY3QtcmVkdXgnO1xuaW1wb3J0ICogYXMgUmVkdXggZnJvbSAncmVkdXgnO1xuXG5pbXBvcnQgeyBmb3JjZVJlZnJlc2ggfSBmcm9tICcuL3V0aWwnO1xuaW1wb3J0IHsgVGh1bmtEaXNwYXRjaCB9IGZyb20gJ3JlZHV4LXRodW5rJztcblxuaW1wb3J0IHsgc2V0UGxheWVyUHJvZmlsZSB9IGZyb20gJy4vYWN0aW9ucyc7XG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgUGFrQ29uZmxpY3RzU3VtbWFyeSB9IGZyb20gJy4vUGFrQ29uZmxpY3RzUGFuZWwnO1xuXG5pbnRlcmZhY2UgSUJhc2VQcm9wcyB7XG4gIGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaTtcbiAgZ2V0T3duR2FtZVZlcnNpb246IChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PiBQcm9taXNlPHN0cmluZz47XG4gIHJlYWRTdG9yZWRMTzogKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkgPT4gUHJvbWlzZTx2b2lkPjtcbiAgaW5zdGFsbExTTGliOiAoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBnYW1lSWQ6IHN0cmluZykgPT4gUHJvbWlzZTx2b2lkPjtcbiAgZ2V0TGF0ZXN0TFNMaWJNb2Q6IChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpID0+IHR5cGVzLklNb2Q7XG59XG5cbmludGVyZmFjZSBJQWN0aW9uUHJvcHMge1xuICBvblNldFByb2ZpbGU6IChwcm9maWxlTmFtZTogc3RyaW5nKSA9PiB2b2lkO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gSW5mb1BhbmVsV3JhcChwcm9wczogSUJhc2VQcm9wcykge1xuICBjb25zdCB7IGFwaSwgZ2V0T3duR2FtZVZlcnNpb24sIHJlYWRTdG9yZWRMTyxcbiAgICBpbnN0YWxsTFNMaWIsIGdldExhdGVzdExTTGliTW9kIH0gPSBwcm9wcztcblxuICBjb25zdCBjdXJyZW50UHJvZmlsZSA9IHVzZVNlbGVjdG9yKChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PlxuICAgIHN0YXRlLnNldHRpbmdzWydiYWxkdXJzZ2F0ZTMnXT8ucGxheWVyUHJvZmlsZSk7XG5cbiAgY29uc3QgW2dhbWVWZXJzaW9uLCBzZXRHYW1lVmVyc2lvbl0gPSBSZWFjdC51c2VTdGF0ZTxzdHJpbmc+KCk7XG5cbiAgUmVhY3QudXNlRWZmZWN0KCgpID0+IHtcbiAgICAoYXN5bmMgKCkgPT4ge1xuICAgICAgaWYgKCFnYW1lVmVyc2lvbikge1xuICAgICAgICBzZXRHYW1lVmVyc2lvbihhd2FpdCBnZXRPd25HYW1lVmVyc2lvbihhcGkuZ2V0U3RhdGUoKSkpO1xuICAgICAgfVxuICAgIH0pKCk7XG4gIH0sIFtnYW1lVmVyc2lvbiwgc2V0R2FtZVZlcnNpb25dKTtcblxuICBjb25zdCBvblNldFByb2ZpbGUgPSBSZWFjdC51c2VDYWxsYmFjaygocHJvZmlsZU5hbWU6IHN0cmluZykgPT4ge1xuICAgIGNvbnN0IGltcGwgPSBhc3luYyAoKSA9PiB7XG4gICAgICBhcGkuc3RvcmUuZGlzcGF0Y2goc2V0UGxheWVyUHJvZmlsZShwcm9maWxlTmFtZSkpO1xuICAgICAgdHJ5IHtcbiAgICAgICAgYXdhaXQgcmVhZFN0b3JlZExPKGFwaSk7XG4gICAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIHJlYWQgbG9hZCBvcmRlcicsIGVyciwge1xuICAgICAgICAgIG1lc3NhZ2U6ICdQbGVhc2UgcnVuIHRoZSBnYW1lIGJlZm9yZSB5b3Ugc3RhcnQgbW9kZGluZycsXG4gICAgICAgICAgYWxsb3dSZXBvcnQ6IGZhbHNlLFxuICAgICAgICB9KTtcbiAgICAgIH1cbiAgICAgIGZvcmNlUmVmcmVzaChhcGkpO1xuICAgIH07XG4gICAgaW1wbCgpO1xuICB9LCBbYXBpXSk7XG5cbiAgY29uc3QgaXNMc0xpYkluc3RhbGxlZCA9IFJlYWN0LnVzZUNhbGxiYWNrKCgpID0+IHtcbiAgICByZXR1cm4gZ2V0TGF0ZXN0TFNMaWJNb2QoYXBpKSAhPT0gdW5kZWZpbmVkO1xuICB9LCBbYXBpXSk7XG5cbiAgY29uc3Qgb25JbnN0YWxsTFNMaWIgPSBSZWFjdC51c2VDYWxsYmFjaygoKSA9PiB7XG4gICAgaW5zdGFsbExTTGliKGFwaSwgR0FNRV9JRCk7XG4gIH0sIFthcGldKTtcblxuICBpZiAoIWdhbWVWZXJzaW9uKSB7XG4gICAgcmV0dXJuIG51bGw7XG4gIH1cblxuICByZXR1cm4gKFxuICAgIDxJbmZvUGFuZWxcbiAgICAgIHQ9e2FwaS50cmFuc2xhdGV9XG4gICAgICBnYW1lVmVyc2lvbj17Z2FtZVZlcnNpb259XG4gICAgICBjdXJyZW50UHJvZmlsZT17Y3VycmVudFByb2ZpbGV9XG4gICAgICBvblNldFBsYXllclByb2ZpbGU9e29uU2V0UHJvZmlsZX1cbiAgICAgIGlzTHNMaWJJbnN0YWxsZWQ9e2lzTHNMaWJJbnN0YWxsZWR9XG4gICAgICBvbkluc3RhbGxMU0xpYj17b25JbnN0YWxsTFNMaWJ9XG4gICAgLz5cbiAgKTtcbn1cblxuZnVuY3Rpb24gSW5mb1BhbmVsKHByb3BzOiBhbnkpIHtcbiAgY29uc3QgeyB0LCBvbkluc3RhbGxMU0xpYiwgaXNMc0xpYkluc3RhbGxlZCB9ID0gcHJvcHM7XG5cbiAgcmV0dXJuIGlzTHNMaWJJbnN0YWxsZWQoKSA/IChcbiAgICA8ZGl2IHN0eWxlPXt7IGRpc3BsYXk6ICdmbGV4JywgZmxleERpcmVjdGlvbjogJ2NvbHVtbicsIGdhcDogJzEycHgnLCBtYXJnaW5SaWdodDogJzE2cHgnIH19PlxuICAgICAgPEFsZXJ0IGJzU3R5bGU9J3dhcm5pbmcnIHN0eWxlPXt7IGRpc3BsYXk6ICdmbGV4JywgZmxleERpcmVjdGlvbjogJ2NvbHVtbicsIGdhcDogJzhweCcgfX0+XG4gICAgICAgIDxkaXY+XG4gICAgICAgICAge3QoYFZlcnNpb24gMC4zIG9mIHRoZSBleHRlbnNpb24gaXMgYWxtb3N0IGEgY29tcGxldGUgcmV3cml0ZSBvZiBsb2FkIG9yZGVyIGFuZCBtaWdyYXRpb24gZnJvbSBwcmV2aW91cyB2ZXJzaW9ucyBtYXkgY2F1c2UgaXNzdWVzLlxuICAgICAgICBBIFB1cmdlIHRoZW4gYSBEZXBsb3kgd2lsbCBub3JtYWxseSBzb2x2ZSBhbGwgaXNzdWVzIGJ1dCBwbGVhc2UgbWFrZSBhIGJhY2t1cCBmaXJzdCB1c2luZyBFeHBvcnQuLi4gYXMgdGhlIGxvYWQgb3JkZXIgd2lsbCBiZSByZXNldC5gKX1cbiAgICAgICAgPC9kaXY+XG4gICAgICAgIDxkaXY+XG4gICAgICAgICAge3QoYEEgYmFja3VwIGlzIG1hZGUgb2YgdGhlIGdhbWUncyBtb2RzZXR0aW5ncy5sc3ggZmlsZSBiZWZvcmUgYW55dGhpbmcgaXMgY2hhbmdlZC5cbiAgICAgICAgVGhpcyBjYW4gYmUgZm91bmQgYXQgJUFQUERBVEElXFxcXExvY2FsXFxcXExhcmlhbiBTdHVkaW9zXFxcXEJhbGR1cidzIEdhdGUgM1xcXFxQbGF5ZXJQcm9maWxlc1xcXFxQdWJsaWNcXFxcbW9kc2V0dGluZ3MubHN4LmJhY2t1cGApfVxuICAgICAgICA8L2Rpdj5cbiAgICAgIDwvQWxlcnQ+XG4gICAgICA8ZGl2PlxuICAgICAgICB7dChgRHJhZyBhbmQgRHJvcCBQQUsgZmlsZXMgdG8gcmVvcmRlciBob3cgdGhlIGdhbWUgbG9hZHMgdGhlbS4gUGxlYXNlIG5vdGUsIHNvbWUgbW9kcyBjb250YWluIG11bHRpcGxlIFBBSyBmaWxlcy5gKX1cbiAgICAgIDwvZGl2PlxuICAgICAgPGRpdj5cbiAgICAgICAge3QoYE1vZCBkZXNjcmlwdGlvbnMgZnJvbSBtb2QgYXV0aG9ycyBtYXkgaGF2ZSBpbmZvcm1hdGlvbiB0byBkZXRlcm1pbmUgdGhlIGJlc3Qgb3JkZXIuYCl9XG4gICAgICA8L2Rpdj5cbiAgICAgIDxkaXY+XG4gICAgICAgIHt0KGBTb21lIG1vZHMgbWF5IGJlIGxvY2tlZCBpbiB0aGlzIGxpc3QgYmVjYXVzZSB0aGV5IGFyZSBsb2FkZWQgZGlmZmVyZW50bHkgYnkgdGhlIGdhbWUgYW5kIGNhbiB0aGVyZWZvcmUgbm90IGJlIGxvYWQtb3JkZXJlZCBieSBtb2QgbWFuYWdlcnMuIFxuICAgICAgICBJZiB5b3UgbmVlZCB0byBkaXNhYmxlIHN1Y2ggYSBtb2QsIHBsZWFzZSBkbyBzbyBpbiBWb3J0ZXhcXCdzIE1vZHMgcGFnZS5gKX1cbiAgICAgIDwvZGl2PlxuICAgICAgPGg0IHN0eWxlPXt7IG1hcmdpbjogMCB9fT5cbiAgICAgICAge3QoJ0ltcG9ydCBhbmQgRXhwb3J0Jyl9XG4gICAgICA8L2g0PlxuICAgICAgPGRpdj5cbiAgICAgICAge3QoYEltcG9ydCBpcyBhbiBleHBlcmltZW50YWwgdG9vbCB0byBoZWxwIG1pZ3JhdGlvbiBmcm9tIGEgZ2FtZSBsb2FkIG9yZGVyICgubHN4IGZpbGUpIHRvIFZvcnRleC4gSXQgd29ya3MgYnkgaW1wb3J0aW5nIHRoZSBnYW1lJ3MgbW9kc2V0dGluZ3MgZmlsZVxuICAgICAgICBhbmQgYXR0ZW1wdHMgdG8gbWF0Y2ggdXAgbW9kcyB0aGF0IGhhdmUgYmVlbiBpbnN0YWxsZWQgYnkgVm9ydGV4LmApfVxuICAgICAgPC9kaXY+XG4gICAgICA8ZGl2PlxuICAgICAgICB7dChgRXhwb3J0IGNhbiBiZSB1c2VkIHRvIG1hbnVhbGx5IHVwZGF0ZSB0aGUgZ2FtZSdzIG1vZHNldHRpbmdzLmxzeCBmaWxlIGlmICdTZXR0aW5ncyA+IE1vZHMgPiBBdXRvIGV4cG9ydCBsb2FkIG9yZGVyJyBpc24ndCBzZXQgdG8gZG8gdGhpcyBhdXRvbWF0aWNhbGx5LiBcbiAgICAgICAgSXQgY2FuIGFsc28gYmUgdXNlZCB0byBleHBvcnQgdG8gYSBkaWZmZXJlbnQgZmlsZSBhcyBhIGJhY2t1cC5gKX1cbiAgICAgIDwvZGl2PlxuICAgICAgPGg0IHN0eWxlPXt7IG1hcmdpbjogMCB9fT5cbiAgICAgICAge3QoJ0ltcG9ydCBmcm9tIEJhbGR1clxcJ3MgR2F0ZSAzIE1vZCBNYW5hZ2VyJyl9XG4gICAgICA8L2g0PlxuICAgICAgPGRpdj5cbiAgICAgICAge3QoJ1ZvcnRleCBjYW4gc29ydCB5b3VyIGxvYWQgb3JkZXIgYmFzZWQgb24gYSBCRzNNTSAuanNvbiBsb2FkIG9yZGVyIGZpbGUuIEFueSBtb2RzIHRoYXQgYXJlIG5vdCBpbnN0YWxsZWQgdGhyb3VnaCBWb3J0ZXggd2lsbCBiZSBpZ25vcmVkLicpfVxuICAgICAgPC9kaXY+XG4gICAgICA8ZGl2PlxuICAgICAgICB7dCgnUGxlYXNlIG5vdGUgdGhhdCBhbnkgbW9kcyB0aGF0IGFyZSBub3QgcHJlc2VudCBpbiB0aGUgQkczTU0gbG9hZCBvcmRlciBmaWxlIHdpbGwgYmUgcGxhY2VkIGF0IHRoZSBib3R0b20gb2YgdGhlIGxvYWQgb3JkZXIuJyl9XG4gICAgICA8L2Rpdj5cbiAgICAgIDxkaXY+XG4gICAgICAgIHt0KCdVc2UgXCJFeHBvcnQgdG8gQkczTU0uLi5cIiB0byBzaGFyZSB5b3VyIGxvYWQgb3JkZXIgd2l0aCBCRzNNTSB1c2Vycy4nKX1cbiAgICAgIDwvZGl2PlxuICAgICAgPFBha0NvbmZsaWN0c1N1bW1hcnkgLz5cblxuICAgIDwvZGl2PlxuICApIDogKFxuICAgIDxkaXYgc3R5bGU9e3sgZGlzcGxheTogJ2ZsZXgnLCBmbGV4RGlyZWN0aW9uOiAnY29sdW1uJywgZ2FwOiAnMTJweCcgfX0+XG4gICAgICA8aDQgc3R5bGU9e3sgbWFyZ2luOiAwIH19PlxuICAgICAgICB7dCgnTFNMaWIgaXMgbm90IGluc3RhbGxlZCcpfVxuICAgICAgPC9oND5cbiAgICAgIDxkaXY+XG4gICAgICAgIHt0KCdUbyB0YWtlIGZ1bGwgYWR2YW50YWdlIG9mIFZvcnRleFxcJ3MgQmFsZHVyXFxzIEdhdGUgMyBtb2RkaW5nIGNhcGFiaWxpdGllcyBzdWNoIGFzIG1hbmFnaW5nIHRoZSAnXG4gICAgICAgICAgKyAnb3JkZXIgaW4gd2hpY2ggbW9kcyBhcmUgbG9hZGVkIGludG8gdGhlIGdhbWU7IFZvcnRleCByZXF1aXJlcyBhIDNyZCBwYXJ0eSB0b29sIGNhbGxlZCBMU0xpYi4nKX1cbiAgICAgIDwvZGl2PlxuICAgICAgPGRpdj5cbiAgICAgICAge3QoJ1BsZWFzZSBpbnN0YWxsIHRoZSBsaWJyYXJ5IHVzaW5nIHRoZSBidXR0b25zIGJlbG93IHRvIG1hbmFnZSB5b3VyIGxvYWQgb3JkZXIuJyl9XG4gICAgICA8L2Rpdj5cbiAgICAgIDx0b29sdGlwLkJ1dHRvblxuICAgICAgICB0b29sdGlwPXsnSW5zdGFsbCBMU0xpYid9XG4gICAgICAgIG9uQ2xpY2s9e29uSW5zdGFsbExTTGlifVxuICAgICAgPlxuICAgICAgICB7dCgnSW5zdGFsbCBMU0xpYicpfVxuICAgICAgPC90b29sdGlwLkJ1dHRvbj5cbiAgICA8L2Rpdj5cbiAgKTtcbn1cblxuLy8gZnVuY3Rpb24gbWFwU3RhdGVUb1Byb3BzKHN0YXRlOiBhbnkpOiBJQ29ubmVjdGVkUHJvcHMge1xuLy8gICByZXR1cm4ge1xuLy8gICAgIGN1cnJlbnRUaGVtZTogc3RhdGUuc2V0dGluZ3MuaW50ZXJmYWNlLmN1cnJlbnRUaGVtZSxcbi8vICAgfTtcbi8vIH1cblxuZnVuY3Rpb24gbWFwRGlzcGF0Y2hUb1Byb3BzKGRpc3BhdGNoOiBUaHVua0Rpc3BhdGNoPGFueSwgYW55LCBSZWR1eC5BY3Rpb24+KTogSUFjdGlvblByb3BzIHtcbiAgcmV0dXJuIHtcbiAgICBvblNldFByb2ZpbGU6IChwcm9maWxlOiBzdHJpbmcpID0+IGRpc3BhdGNoKHNldFBsYXllclByb2ZpbGUocHJvZmlsZSkpLFxuICB9O1xufSJdfQ==
\ No newline at end of file
@@ -11,6 +11,7 @@ import { ThunkDispatch } from 'redux-thunk';
 
 import { setPlayerProfile } from './actions';
 import { GAME_ID } from './common';
+import { PakConflictsSummary } from './PakConflictsPanel';
 
 interface IBaseProps {
   api: types.IExtensionApi;
@@ -126,6 +127,10 @@ function InfoPanel(props: any) {
       <div>
         {t('Please note that any mods that are not present in the BG3MM load order file will be placed at the bottom of the load order.')}
       </div>
+      <div>
+        {t('Use "Export to BG3MM..." to share your load order with BG3MM users.')}
+      </div>
+      <PakConflictsSummary />
 
     </div>
   ) : (
@@ -0,0 +1,100 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PakConflictsSummary = exports.PakConflictsPanel = void 0;
+const React = __importStar(require("react"));
+const react_i18next_1 = require("react-i18next");
+const react_redux_1 = require("react-redux");
+const vortex_api_1 = require("vortex-api");
+const pakConflicts_1 = require("./pakConflicts");
+function useLoadOrder() {
+    return (0, react_redux_1.useSelector)((state) => {
+        var _a;
+        const profileId = (_a = vortex_api_1.selectors.activeProfile(state)) === null || _a === void 0 ? void 0 : _a.id;
+        return vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+    });
+}
+function usePakConflicts() {
+    return (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['session', 'baldursgate3', 'pakConflicts'], {}));
+}
+function FileList(props) {
+    const { summary, files } = props;
+    return (React.createElement("details", null,
+        React.createElement("summary", null, summary),
+        React.createElement("ul", { style: { maxHeight: '200px', overflowY: 'auto' } }, files.map(filePath => React.createElement("li", { key: filePath }, filePath)))));
+}
+function PakConflictsPanel(props) {
+    const { mod } = props;
+    const { t } = (0, react_i18next_1.useTranslation)();
+    const loadOrder = useLoadOrder();
+    const conflicts = usePakConflicts();
+    const paks = loadOrder.filter(entry => entry.modId === (mod === null || mod === void 0 ? void 0 : mod.id));
+    const details = paks
+        .map(entry => (Object.assign({ pakName: entry.id }, (0, pakConflicts_1.pakOverrides)(conflicts, entry.id, loadOrder))))
+        .filter(iter => (Object.keys(iter.overrides).length > 0)
+        || (Object.keys(iter.overriddenBy).length > 0));
+    if (details.length === 0) {
+        return React.createElement("div", null, t('No file conflicts with other paks'));
+    }
+    return (React.createElement("div", null, details.map(iter => (React.createElement("div", { key: iter.pakName },
+        (paks.length > 1) ? React.createElement("h5", null, iter.pakName) : null,
+        Object.keys(iter.overrides).map(other => (React.createElement(FileList, { key: `overrides-${other}`, summary: t('Overrides {{count}} file(s) from "{{pak}}"', { count: iter.overrides[other].length, replace: { pak: other } }), files: iter.overrides[other] }))),
+        Object.keys(iter.overriddenBy).map(other => (React.createElement(FileList, { key: `overridden-${other}`, summary: t('{{count}} file(s) overridden by "{{pak}}"', { count: iter.overriddenBy[other].length, replace: { pak: other } }), files: iter.overriddenBy[other] }))))))));
+}
+exports.PakConflictsPanel = PakConflictsPanel;
+function PakConflictsSummary() {
+    const { t } = (0, react_i18next_1.useTranslation)();
+    const loadOrder = useLoadOrder();
+    const conflicts = usePakConflicts();
+    const pairs = React.useMemo(() => Object.keys(conflicts).reduce((accum, filePath) => {
+        const winner = (0, pakConflicts_1.conflictWinner)(conflicts[filePath], loadOrder);
+        if (winner === undefined) {
+            return accum;
+        }
+        conflicts[filePath]
+            .filter(pakName => (pakName !== winner)
+            && (loadOrder.find(entry => entry.id === pakName) !== undefined))
+            .forEach(loser => {
+            var _a;
+            const key = `${winner}\t${loser}`;
+            accum[key] = [].concat((_a = accum[key]) !== null && _a !== void 0 ? _a : [], filePath);
+        });
+        return accum;
+    }, {}), [conflicts, loadOrder]);
+    const keys = Object.keys(pairs);
+    if (keys.length === 0) {
+        return null;
+    }
+    return (React.createElement("div", null,
+        React.createElement("h4", { style: { margin: 0 } }, t('File Overrides')),
+        React.createElement("div", null, t('The following paks contain the same files, the pak loaded last wins. '
+            + 'Reorder the paks to change which version of a file the game uses.')),
+        keys.map(key => {
+            const [winner, loser] = key.split('\t');
+            return (React.createElement(FileList, { key: key, summary: t('"{{winner}}" overrides "{{loser}}" ({{count}} file(s))', { count: pairs[key].length, replace: { winner, loser } }), files: pairs[key] }));
+        })));
+}
+exports.PakConflictsSummary = PakConflictsSummary;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiUGFrQ29uZmxpY3RzUGFuZWwuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJQYWtDb25mbGljdHNQYW5lbC50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFDQSw2Q0FBK0I7QUFDL0IsaURBQStDO0FBQy9DLDZDQUEwQztBQUMxQywyQ0FBb0Q7QUFFcEQsaURBQThEO0FBRzlELFNBQVMsWUFBWTtJQUNuQixPQUFPLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRTs7UUFDekMsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1FBQ3JELE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN6RSxDQUFDLENBQUMsQ0FBQztBQUNMLENBQUM7QUFFRCxTQUFTLGVBQWU7SUFDdEIsT0FBTyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsQ0FDekMsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsU0FBUyxFQUFFLGNBQWMsRUFBRSxjQUFjLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO0FBQzFFLENBQUM7QUFFRCxTQUFTLFFBQVEsQ0FBQyxLQUEyQztJQUMzRCxNQUFNLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxHQUFHLEtBQUssQ0FBQztJQUNqQyxPQUFPLENBQ0w7UUFDRSxxQ0FBVSxPQUFPLENBQVc7UUFDNUIsNEJBQUksS0FBSyxFQUFFLEVBQUUsU0FBUyxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLElBQ2pELEtBQUssQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyw0QkFBSSxHQUFHLEVBQUUsUUFBUSxJQUFHLFFBQVEsQ0FBTSxDQUFDLENBQ3ZELENBQ0csQ0FDWCxDQUFDO0FBQ0osQ0FBQztBQU9ELFNBQWdCLGlCQUFpQixDQUFDLEtBQThCO0lBQzlELE1BQU0sRUFBRSxHQUFHLEVBQUUsR0FBRyxLQUFLLENBQUM7SUFDdEIsTUFBTSxFQUFFLENBQUMsRUFBRSxHQUFHLElBQUEsOEJBQWMsR0FBRSxDQUFDO0lBQy9CLE1BQU0sU0FBUyxHQUFHLFlBQVksRUFBRSxDQUFDO0lBQ2pDLE1BQU0sU0FBUyxHQUFHLGVBQWUsRUFBRSxDQUFDO0lBRXBDLE1BQU0sSUFBSSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxNQUFLLEdBQUcsYUFBSCxHQUFHLHVCQUFILEdBQUcsQ0FBRSxFQUFFLENBQUEsQ0FBQyxDQUFDO0lBQ2hFLE1BQU0sT0FBTyxHQUFHLElBQUk7U0FDakIsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsaUJBQUcsT0FBTyxFQUFFLEtBQUssQ0FBQyxFQUFFLElBQUssSUFBQSwyQkFBWSxFQUFDLFNBQVMsRUFBRSxLQUFLLENBQUMsRUFBRSxFQUFFLFNBQVMsQ0FBQyxFQUFHLENBQUM7U0FDdEYsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1dBQ3hDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFL0QsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUN4QixPQUFPLGlDQUFNLENBQUMsQ0FBQyxtQ0FBbUMsQ0FBQyxDQUFPLENBQUM7S0FDNUQ7SUFFRCxPQUFPLENBQ0wsaUNBQ0csT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQ25CLDZCQUFLLEdBQUcsRUFBRSxJQUFJLENBQUMsT0FBTztRQUNuQixDQUFDLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGdDQUFLLElBQUksQ0FBQyxPQUFPLENBQU0sQ0FBQyxDQUFDLENBQUMsSUFBSTtRQUNsRCxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUN4QyxvQkFBQyxRQUFRLElBQ1AsR0FBRyxFQUFFLGFBQWEsS0FBSyxFQUFFLEVBQ3pCLE9BQU8sRUFBRSxDQUFDLENBQUMsNENBQTRDLEVBQ3JELEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsTUFBTSxFQUFFLE9BQU8sRUFBRSxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEVBQ25FLEtBQUssRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxHQUM1QixDQUNILENBQUM7UUFDRCxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUMzQyxvQkFBQyxRQUFRLElBQ1AsR0FBRyxFQUFFLGNBQWMsS0FBSyxFQUFFLEVBQzFCLE9BQU8sRUFBRSxDQUFDLENBQUMsMkNBQTJDLEVBQ3BELEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUMsTUFBTSxFQUFFLE9BQU8sRUFBRSxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEVBQ3RFLEtBQUssRUFBRSxJQUFJLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxHQUMvQixDQUNILENBQUMsQ0FDRSxDQUNQLENBQUMsQ0FDRSxDQUNQLENBQUM7QUFDSixDQUFDO0FBekNELDhDQXlDQztBQUlELFNBQWdCLG1CQUFtQjtJQUNqQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEdBQUcsSUFBQSw4QkFBYyxHQUFFLENBQUM7SUFDL0IsTUFBTSxTQUFTLEdBQUcsWUFBWSxFQUFFLENBQUM7SUFDakMsTUFBTSxTQUFTLEdBQUcsZUFBZSxFQUFFLENBQUM7SUFFcEMsTUFBTSxLQUFLLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxRQUFRLEVBQUUsRUFBRTtRQUNsRixNQUFNLE1BQU0sR0FBRyxJQUFBLDZCQUFjLEVBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQzlELElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUN4QixPQUFPLEtBQUssQ0FBQztTQUNkO1FBQ0QsU0FBUyxDQUFDLFFBQVEsQ0FBQzthQUNoQixNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sS0FBSyxNQUFNLENBQUM7ZUFDcEIsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxPQUFPLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQzthQUNoRixPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUU7O1lBQ2YsTUFBTSxHQUFHLEdBQUcsR0FBRyxNQUFNLEtBQUssS0FBSyxFQUFFLENBQUM7WUFDbEMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBQSxLQUFLLENBQUMsR0FBRyxDQUFDLG1DQUFJLEVBQUUsRUFBRSxRQUFRLENBQUMsQ0FBQztRQUNyRCxDQUFDLENBQUMsQ0FBQztRQUNMLE9BQU8sS0FBSyxDQUFDO0lBQ2YsQ0FBQyxFQUFFLEVBQWlDLENBQUMsRUFBRSxDQUFDLFNBQVMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBRS9ELE1BQU0sSUFBSSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDaEMsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUNyQixPQUFPLElBQUksQ0FBQztLQUNiO0lBRUQsT0FBTyxDQUNMO1FBQ0UsNEJBQUksS0FBSyxFQUFFLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxJQUNyQixDQUFDLENBQUMsZ0JBQWdCLENBQUMsQ0FDakI7UUFDTCxpQ0FDRyxDQUFDLENBQUMsdUVBQXVFO2NBQ3RFLG1FQUFtRSxDQUFDLENBQ3BFO1FBQ0wsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRTtZQUNkLE1BQU0sQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN4QyxPQUFPLENBQ0wsb0JBQUMsUUFBUSxJQUNQLEdBQUcsRUFBRSxHQUFHLEVBQ1IsT0FBTyxFQUFFLENBQUMsQ0FBQyx3REFBd0QsRUFDakUsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxFQUMzRCxLQUFLLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUNqQixDQUNILENBQUM7UUFDSixDQUFDLENBQUMsQ0FDRSxDQUNQLENBQUM7QUFDSixDQUFDO0FBL0NELGtEQStDQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XG5pbXBvcnQgeyB1c2VUcmFuc2xhdGlvbiB9IGZyb20gJ3JlYWN0LWkxOG5leHQnO1xuaW1wb3J0IHsgdXNlU2VsZWN0b3IgfSBmcm9tICdyZWFjdC1yZWR1eCc7XG5pbXBvcnQgeyBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5cbmltcG9ydCB7IGNvbmZsaWN0V2lubmVyLCBwYWtPdmVycmlkZXMgfSBmcm9tICcuL3Bha0NvbmZsaWN0cyc7XG5pbXBvcnQgeyBJUGFrQ29uZmxpY3RzIH0gZnJvbSAnLi90eXBlcyc7XG5cbmZ1bmN0aW9uIHVzZUxvYWRPcmRlcigpOiB0eXBlcy5Mb2FkT3JkZXIge1xuICByZXR1cm4gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+IHtcbiAgICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk/LmlkO1xuICAgIHJldHVybiB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdsb2FkT3JkZXInLCBwcm9maWxlSWRdLCBbXSk7XG4gIH0pO1xufVxuXG5mdW5jdGlvbiB1c2VQYWtDb25mbGljdHMoKTogSVBha0NvbmZsaWN0cyB7XG4gIHJldHVybiB1c2VTZWxlY3Rvcigoc3RhdGU6IHR5cGVzLklTdGF0ZSkgPT5cbiAgICB1dGlsLmdldFNhZmUoc3RhdGUsIFsnc2Vzc2lvbicsICdiYWxkdXJzZ2F0ZTMnLCAncGFrQ29uZmxpY3RzJ10sIHt9KSk7XG59XG5cbmZ1bmN0aW9uIEZpbGVMaXN0KHByb3BzOiB7IHN1bW1hcnk6IHN0cmluZywgZmlsZXM6IHN0cmluZ1tdIH0pIHtcbiAgY29uc3QgeyBzdW1tYXJ5LCBmaWxlcyB9ID0gcHJvcHM7XG4gIHJldHVybiAoXG4gICAgPGRldGFpbHM+XG4gICAgICA8c3VtbWFyeT57c3VtbWFyeX08L3N1bW1hcnk+XG4gICAgICA8dWwgc3R5bGU9e3sgbWF4SGVpZ2h0OiAnMjAwcHgnLCBvdmVyZmxvd1k6ICdhdXRvJyB9fT5cbiAgICAgICAge2ZpbGVzLm1hcChmaWxlUGF0aCA9PiA8bGkga2V5PXtmaWxlUGF0aH0+e2ZpbGVQYXRofTwvbGk+KX1cbiAgICAgIDwvdWw+XG4gICAgPC9kZXRhaWxzPlxuICApO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElQYWtDb25mbGljdHNQYW5lbFByb3BzIHtcbiAgbW9kOiB0eXBlcy5JTW9kO1xufVxuXG4vLyBMaXN0cyB0aGUgZmlsZXMgdGhlIHBha3Mgb2YgYSBtb2Qgb3ZlcnJpZGUgb3IgZ2V0IG92ZXJyaWRkZW4gYnlcbmV4cG9ydCBmdW5jdGlvbiBQYWtDb25mbGljdHNQYW5lbChwcm9wczogSVBha0NvbmZsaWN0c1BhbmVsUHJvcHMpIHtcbiAgY29uc3QgeyBtb2QgfSA9IHByb3BzO1xuICBjb25zdCB7IHQgfSA9IHVzZVRyYW5zbGF0aW9uKCk7XG4gIGNvbnN0IGxvYWRPcmRlciA9IHVzZUxvYWRPcmRlcigpO1xuICBjb25zdCBjb25mbGljdHMgPSB1c2VQYWtDb25mbGljdHMoKTtcblxuICBjb25zdCBwYWtzID0gbG9hZE9yZGVyLmZpbHRlcihlbnRyeSA9PiBlbnRyeS5tb2RJZCA9PT0gbW9kPy5pZCk7XG4gIGNvbnN0IGRldGFpbHMgPSBwYWtzXG4gICAgLm1hcChlbnRyeSA9PiAoeyBwYWtOYW1lOiBlbnRyeS5pZCwgLi4ucGFrT3ZlcnJpZGVzKGNvbmZsaWN0cywgZW50cnkuaWQsIGxvYWRPcmRlcikgfSkpXG4gICAgLmZpbHRlcihpdGVyID0+IChPYmplY3Qua2V5cyhpdGVyLm92ZXJyaWRlcykubGVuZ3RoID4gMClcbiAgICAgICAgICAgICAgICAgfHwgKE9iamVjdC5rZXlzKGl0ZXIub3ZlcnJpZGRlbkJ5KS5sZW5ndGggPiAwKSk7XG5cbiAgaWYgKGRldGFpbHMubGVuZ3RoID09PSAwKSB7XG4gICAgcmV0dXJuIDxkaXY+e3QoJ05vIGZpbGUgY29uZmxpY3RzIHdpdGggb3RoZXIgcGFrcycpfTwvZGl2PjtcbiAgfVxuXG4gIHJldHVybiAoXG4gICAgPGRpdj5cbiAgICAgIHtkZXRhaWxzLm1hcChpdGVyID0+IChcbiAgICAgICAgPGRpdiBrZXk9e2l0ZXIucGFrTmFtZX0+XG4gICAgICAgICAgeyhwYWtzLmxlbmd0aCA+IDEpID8gPGg1PntpdGVyLnBha05hbWV9PC9oNT4gOiBudWxsfVxuICAgICAgICAgIHtPYmplY3Qua2V5cyhpdGVyLm92ZXJyaWRlcykubWFwKG90aGVyID0+IChcbiAgICAgICAgICAgIDxGaWxlTGlzdFxuICAgICAgICAgICAgICBrZXk9e2BvdmVycmlkZXMtJHtvdGhlcn1gfVxuICAgICAgICAgICAgICBzdW1tYXJ5PXt0KCdPdmVycmlkZXMge3tjb3VudH19IGZpbGUocykgZnJvbSBcInt7cGFrfX1cIicsXG4gICAgICAgICAgICAgICAgeyBjb3VudDogaXRlci5vdmVycmlkZXNbb3RoZXJdLmxlbmd0aCwgcmVwbGFjZTogeyBwYWs6IG90aGVyIH0gfSl9XG4gICAgICAgICAgICAgIGZpbGVzPXtpdGVyLm92ZXJyaWRlc1tvdGhlcl19XG4gICAgICAgICAgICAvPlxuICAgICAgICAgICkpfVxuICAgICAgICAgIHtPYmplY3Qua2V5cyhpdGVyLm92ZXJyaWRkZW5CeSkubWFwKG90aGVyID0+IChcbiAgICAgICAgICAgIDxGaWxlTGlzdFxuICAgICAgICAgICAgICBrZXk9e2BvdmVycmlkZGVuLSR7b3RoZXJ9YH1cbiAgICAgICAgICAgICAgc3VtbWFyeT17dCgne3tjb3VudH19IGZpbGUocykgb3ZlcnJpZGRlbiBieSBcInt7cGFrfX1cIicsXG4gICAgICAgICAgICAgICAgeyBjb3VudDogaXRlci5vdmVycmlkZGVuQnlbb3RoZXJdLmxlbmd0aCwgcmVwbGFjZTogeyBwYWs6IG90aGVyIH0gfSl9XG4gICAgICAgICAgICAgIGZpbGVzPXtpdGVyLm92ZXJyaWRkZW5CeVtvdGhlcl19XG4gICAgICAgICAgICAvPlxuICAgICAgICAgICkpfVxuICAgICAgICA8L2Rpdj5cbiAgICAgICkpfVxuICAgIDwvZGl2PlxuICApO1xufVxuXG4vLyBTdW1tYXJ5IG9mIGFsbCBvdmVycmlkZXMgZm9yIHRoZSBsb2FkIG9yZGVyIHBhZ2UsIGdyb3VwZWQgYnkgdGhlIHBhaXIgb2Zcbi8vICBwYWtzIGludm9sdmVkLlxuZXhwb3J0IGZ1bmN0aW9uIFBha0NvbmZsaWN0c1N1bW1hcnkoKSB7XG4gIGNvbnN0IHsgdCB9ID0gdXNlVHJhbnNsYXRpb24oKTtcbiAgY29uc3QgbG9hZE9yZGVyID0gdXNlTG9hZE9yZGVyKCk7XG4gIGNvbnN0IGNvbmZsaWN0cyA9IHVzZVBha0NvbmZsaWN0cygpO1xuXG4gIGNvbnN0IHBhaXJzID0gUmVhY3QudXNlTWVtbygoKSA9PiBPYmplY3Qua2V5cyhjb25mbGljdHMpLnJlZHVjZSgoYWNjdW0sIGZpbGVQYXRoKSA9PiB7XG4gICAgY29uc3Qgd2lubmVyID0gY29uZmxpY3RXaW5uZXIoY29uZmxpY3RzW2ZpbGVQYXRoXSwgbG9hZE9yZGVyKTtcbiAgICBpZiAod2lubmVyID09PSB1bmRlZmluZWQpIHtcbiAgICAgIHJldHVybiBhY2N1bTtcbiAgICB9XG4gICAgY29uZmxpY3RzW2ZpbGVQYXRoXVxuICAgICAgLmZpbHRlcihwYWtOYW1lID0+IChwYWtOYW1lICE9PSB3aW5uZXIpXG4gICAgICAgICAgICAgICAgICAgICAgJiYgKGxvYWRPcmRlci5maW5kKGVudHJ5ID0+IGVudHJ5LmlkID09PSBwYWtOYW1lKSAhPT0gdW5kZWZpbmVkKSlcbiAgICAgIC5mb3JFYWNoKGxvc2VyID0+IHtcbiAgICAgICAgY29uc3Qga2V5ID0gYCR7d2lubmVyfVxcdCR7bG9zZXJ9YDtcbiAgICAgICAgYWNjdW1ba2V5XSA9IFtdLmNvbmNhdChhY2N1bVtrZXldID8/IFtdLCBmaWxlUGF0aCk7XG4gICAgICB9KTtcbiAgICByZXR1cm4gYWNjdW07XG4gIH0sIHt9IGFzIHsgW2tleTogc3RyaW5nXTogc3RyaW5nW10gfSksIFtjb25mbGljdHMsIGxvYWRPcmRlcl0pO1xuXG4gIGNvbnN0IGtleXMgPSBPYmplY3Qua2V5cyhwYWlycyk7XG4gIGlmIChrZXlzLmxlbmd0aCA9PT0gMCkge1xuICAgIHJldHVybiBudWxsO1xuICB9XG5cbiAgcmV0dXJuIChcbiAgICA8ZGl2PlxuICAgICAgPGg0IHN0eWxlPXt7IG1hcmdpbjogMCB9fT5cbiAgICAgICAge3QoJ0ZpbGUgT3ZlcnJpZGVzJyl9XG4gICAgICA8L2g0PlxuICAgICAgPGRpdj5cbiAgICAgICAge3QoJ1RoZSBmb2xsb3dpbmcgcGFrcyBjb250YWluIHRoZSBzYW1lIGZpbGVzLCB0aGUgcGFrIGxvYWRlZCBsYXN0IHdpbnMuICdcbiAgICAgICAgICArICdSZW9yZGVyIHRoZSBwYWtzIHRvIGNoYW5nZSB3aGljaCB2ZXJzaW9uIG9mIGEgZmlsZSB0aGUgZ2FtZSB1c2VzLicpfVxuICAgICAgPC9kaXY+XG4gICAgICB7a2V5cy5tYXAoa2V5ID0+IHtcbiAgICAgICAgY29uc3QgW3dpbm5lciwgbG9zZXJdID0ga2V5LnNwbGl0KCdcXHQnKTtcbiAgICAgICAgcmV0dXJuIChcbiAgICAgICAgICA8RmlsZUxpc3RcbiAgICAgICAgICAgIGtleT17a2V5fVxuICAgICAgICAgICAgc3VtbWFyeT17dCgnXCJ7e3dpbm5lcn19XCIgb3ZlcnJpZGVzIFwie3tsb3Nlcn19XCIgKHt7Y291bnR9fSBmaWxlKHMpKScsXG4gICAgICAgICAgICAgIHsgY291bnQ6IHBhaXJzW2tleV0ubGVuZ3RoLCByZXBsYWNlOiB7IHdpbm5lciwgbG9zZXIgfSB9KX1cbiAgICAgICAgICAgIGZpbGVzPXtwYWlyc1trZXldfVxuICAgICAgICAgIC8+XG4gICAgICAgICk7XG4gICAgICB9KX1cbiAgICA8L2Rpdj5cbiAgKTtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,131 @@
+/* eslint-disable */
+import * as React from 'react';
+import { useTranslation } from 'react-i18next';
+import { useSelector } from 'react-redux';
+import { selectors, types, util } from 'vortex-api';
+
+import { conflictWinner, pakOverrides } from './pakConflicts';
+import { IPakConflicts } from './types';
+
+function useLoadOrder(): types.LoadOrder {
+  return useSelector((state: types.IState) => {
+    const profileId = selectors.activeProfile(state)?.id;
+    return util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+  });
+}
+
+function usePakConflicts(): IPakConflicts {
+  return useSelector((state: types.IState) =>
+    util.getSafe(state, ['session', 'baldursgate3', 'pakConflicts'], {}));
+}
+
+function FileList(props: { summary: string, files: string[] }) {
+  const { summary, files } = props;
+  return (
+    <details>
+      <summary>{summary}</summary>
+      <ul style={{ maxHeight: '200px', overflowY: 'auto' }}>
+        {files.map(filePath => <li key={filePath}>{filePath}</li>)}
+      </ul>
+    </details>
+  );
+}
+
+export interface IPakConflictsPanelProps {
+  mod: types.IMod;
+}
+
+// Lists the files the paks of a mod override or get overridden by
+export function PakConflictsPanel(props: IPakConflictsPanelProps) {
+  const { mod } = props;
+  const { t } = useTranslation();
+  const loadOrder = useLoadOrder();
+  const conflicts = usePakConflicts();
+
+  const paks = loadOrder.filter(entry => entry.modId === mod?.id);
+  const details = paks
+    .map(entry => ({ pakName: entry.id, ...pakOverrides(conflicts, entry.id, loadOrder) }))
+    .filter(iter => (Object.keys(iter.overrides).length > 0)
+                 || (Object.keys(iter.overriddenBy).length > 0));
+
+  if (details.length === 0) {
+    return <div>{t('No file conflicts with other paks')}</div>;
+  }
+
+  return (
+    <div>
+      {details.map(iter => (
+        <div key={iter.pakName}>
+          {(paks.length > 1) ? <h5>{iter.pakName}</h5> : null}
+          {Object.keys(iter.overrides).map(other => (
+            <FileList
+              key={`overrides-${other}`}
+              summary={t('Overrides {{count}} file(s) from "{{pak}}"',
+                { count: iter.overrides[other].length, replace: { pak: other } })}
+              files={iter.overrides[other]}
+            />
+          ))}
+          {Object.keys(iter.overriddenBy).map(other => (
+            <FileList
+              key={`overridden-${other}`}
+              summary={t('{{count}} file(s) overridden by "{{pak}}"',
+                { count: iter.overriddenBy[other].length, replace: { pak: other } })}
+              files={iter.overriddenBy[other]}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Summary of all overrides for the load order page, grouped by the pair of
+//  paks involved.
+export function PakConflictsSummary() {
+  const { t } = useTranslation();
+  const loadOrder = useLoadOrder();
+  const conflicts = usePakConflicts();
+
+  const pairs = React.useMemo(() => Object.keys(conflicts).reduce((accum, filePath) => {
+    const winner = conflictWinner(conflicts[filePath], loadOrder);
+    if (winner === undefined) {
+      return accum;
+    }
+    conflicts[filePath]
+      .filter(pakName => (pakName !== winner)
+                      && (loadOrder.find(entry => entry.id === pakName) !== undefined))
+      .forEach(loser => {
+        const key = `${winner}\t${loser}`;
+        accum[key] = [].concat(accum[key] ?? [], filePath);
+      });
+    return accum;
+  }, {} as { [key: string]: string[] }), [conflicts, loadOrder]);
+
+  const keys = Object.keys(pairs);
+  if (keys.length === 0) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h4 style={{ margin: 0 }}>
+        {t('File Overrides')}
+      </h4>
+      <div>
+        {t('The following paks contain the same files, the pak loaded last wins. '
+          + 'Reorder the paks to change which version of a file the game uses.')}
+      </div>
+      {keys.map(key => {
+        const [winner, loser] = key.split('\t');
+        return (
+          <FileList
+            key={key}
+            summary={t('"{{winner}}" overrides "{{loser}}" ({{count}} file(s))',
+              { count: pairs[key].length, replace: { winner, loser } })}
+            files={pairs[key]}
+          />
+        );
+      })}
+    </div>
+  );
+}
@@ -16,6 +16,14 @@ function Settings() {
         console.log(`setAutoExportLoadOrder=${enabled}`);
         store.dispatch((0, actions_1.setAutoExportLoadOrder)(enabled));
     }, []);
+    const syncPlayerProfiles = (0, react_redux_1.useSelector)((state) => { var _a; return (_a = state.settings['baldursgate3']) === null || _a === void 0 ? void 0 : _a.syncPlayerProfiles; });
+    const setUseSyncPlayerProfiles = react_1.default.useCallback((enabled) => {
+        store.dispatch((0, actions_1.setSyncPlayerProfiles)(enabled));
+    }, []);
+    const packLooseMods = (0, react_redux_1.useSelector)((state) => { var _a; return (_a = state.settings['baldursgate3']) === null || _a === void 0 ? void 0 : _a.packLooseMods; });
+    const setUsePackLooseMods = react_1.default.useCallback((enabled) => {
+        store.dispatch((0, actions_1.setPackLooseMods)(enabled));
+    }, []);
     const { t } = (0, react_i18next_1.useTranslation)();
     return (react_1.default.createElement("form", null,
         react_1.default.createElement(react_bootstrap_1.FormGroup, { controlId: 'default-enable' },
@@ -25,7 +33,15 @@ function Settings() {
                     react_1.default.createElement(vortex_api_1.Toggle, { checked: autoExportLoadOrder, onToggle: setUseAutoExportLoadOrderToGame }, t('Auto export load order')),
                     react_1.default.createElement(react_bootstrap_1.HelpBlock, null, t(`If enabled, when Vortex saves it's load order, it will also update the games load order. 
               If disabled, and you wish the game to use your load order, then this will need to be completed 
-              manually using the Export to Game button on the load order screen`)))))));
+              manually using the Export to Game button on the load order screen`)),
+                    react_1.default.createElement(vortex_api_1.Toggle, { checked: syncPlayerProfiles, onToggle: setUseSyncPlayerProfiles }, t('Write load order to all player profiles')),
+                    react_1.default.createElement(react_bootstrap_1.HelpBlock, null, t('If enabled, exporting the load order to the game will update the modsettings.lsx '
+                        + 'of every player profile instead of just the Public one, keeping them in sync.')),
+                    react_1.default.createElement(vortex_api_1.Toggle, { checked: packLooseMods, onToggle: setUsePackLooseMods }, t('Pack loose file mods on deploy')),
+                    react_1.default.createElement(react_bootstrap_1.HelpBlock, null, t('If enabled, mods that ship loose Data, Public or Generated folders are packed into a .pak '
+                        + 'file using LSLib when deploying. The packed mod is deployed and added to the load order '
+                        + 'instead of the loose files and gets rebuilt whenever the original mod changes. '
+                        + 'Use "Keep Loose Files" on the Mods page to deploy the loose files of a mod instead.')))))));
 }
 exports.default = Settings;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiU2V0dGluZ3MuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJTZXR0aW5ncy50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7QUFBQSxrREFBMEI7QUFDMUIscURBQTRFO0FBQzVFLGlEQUErQztBQUMvQyw2Q0FBb0Q7QUFDcEQsMkNBQTJDO0FBQzNDLHVDQUFtRDtBQUVuRCxTQUFTLFFBQVE7SUFFZixNQUFNLEtBQUssR0FBRyxJQUFBLHNCQUFRLEdBQUUsQ0FBQztJQUV6QixNQUFNLG1CQUFtQixHQUFHLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRSxXQUM5RCxPQUFBLE1BQUEsS0FBSyxDQUFDLFFBQVEsQ0FBQyxjQUFjLENBQUMsMENBQUUsbUJBQW1CLENBQUEsRUFBQSxDQUFDLENBQUM7SUFFdkQsTUFBTSwrQkFBK0IsR0FBRyxlQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsT0FBZ0IsRUFBRSxFQUFFO1FBQzdFLE9BQU8sQ0FBQyxHQUFHLENBQUMsMEJBQTBCLE9BQU8sRUFBRSxDQUFDLENBQUE7UUFDaEQsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLGdDQUFzQixFQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDbEQsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBRVAsTUFBTSxFQUFFLENBQUMsRUFBRSxHQUFHLElBQUEsOEJBQWMsR0FBRSxDQUFDO0lBRS9CLE9BQU8sQ0FDTDtRQUNFLDhCQUFDLDJCQUFTLElBQUMsU0FBUyxFQUFDLGdCQUFnQjtZQUNuQyw4QkFBQyx1QkFBSztnQkFDSiw4QkFBQyx1QkFBSyxDQUFDLElBQUk7b0JBQ1QsOEJBQUMsOEJBQVksUUFBRSxDQUFDLENBQUMsa0JBQWtCLENBQUMsQ0FBZ0I7b0JBQ3BELDhCQUFDLG1CQUFNLElBQ0wsT0FBTyxFQUFFLG1CQUFtQixFQUM1QixRQUFRLEVBQUUsK0JBQStCLElBRXhDLENBQUMsQ0FBQyx3QkFBd0IsQ0FBQyxDQUNyQjtvQkFDVCw4QkFBQywyQkFBUyxRQUNQLENBQUMsQ0FBQzs7Z0ZBRStELENBQUMsQ0FDekQsQ0FDRCxDQUNQLENBQ0UsQ0FDUCxDQUNSLENBQUM7QUFDSixDQUFDO0FBRUQsa0JBQWUsUUFBUSxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IFJlYWN0IGZyb20gJ3JlYWN0JztcclxuaW1wb3J0IHsgQ29udHJvbExhYmVsLCBGb3JtR3JvdXAsIEhlbHBCbG9jaywgUGFuZWwgfSBmcm9tICdyZWFjdC1ib290c3RyYXAnO1xyXG5pbXBvcnQgeyB1c2VUcmFuc2xhdGlvbiB9IGZyb20gJ3JlYWN0LWkxOG5leHQnO1xyXG5pbXBvcnQgeyB1c2VTZWxlY3RvciwgdXNlU3RvcmUgfSBmcm9tICdyZWFjdC1yZWR1eCc7XHJcbmltcG9ydCB7IFRvZ2dsZSwgdHlwZXMgfSBmcm9tICd2b3J0ZXgtYXBpJztcclxuaW1wb3J0IHsgc2V0QXV0b0V4cG9ydExvYWRPcmRlciB9IGZyb20gJy4vYWN0aW9ucyc7XHJcblxyXG5mdW5jdGlvbiBTZXR0aW5ncygpIHtcclxuXHJcbiAgY29uc3Qgc3RvcmUgPSB1c2VTdG9yZSgpO1xyXG5cclxuICBjb25zdCBhdXRvRXhwb3J0TG9hZE9yZGVyID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XHJcbiAgICBzdGF0ZS5zZXR0aW5nc1snYmFsZHVyc2dhdGUzJ10/LmF1dG9FeHBvcnRMb2FkT3JkZXIpO1xyXG5cclxuICBjb25zdCBzZXRVc2VBdXRvRXhwb3J0TG9hZE9yZGVyVG9HYW1lID0gUmVhY3QudXNlQ2FsbGJhY2soKGVuYWJsZWQ6IGJvb2xlYW4pID0+IHtcclxuICAgIGNvbnNvbGUubG9nKGBzZXRBdXRvRXhwb3J0TG9hZE9yZGVyPSR7ZW5hYmxlZH1gKVxyXG4gICAgc3RvcmUuZGlzcGF0Y2goc2V0QXV0b0V4cG9ydExvYWRPcmRlcihlbmFibGVkKSk7XHJcbiAgfSwgW10pO1xyXG4gIFxyXG4gIGNvbnN0IHsgdCB9ID0gdXNlVHJhbnNsYXRpb24oKTtcclxuXHJcbiAgcmV0dXJuIChcclxuICAgIDxmb3JtPlxyXG4gICAgICA8Rm9ybUdyb3VwIGNvbnRyb2xJZD0nZGVmYXVsdC1lbmFibGUnPlxyXG4gICAgICAgIDxQYW5lbD5cclxuICAgICAgICAgIDxQYW5lbC5Cb2R5PlxyXG4gICAgICAgICAgICA8Q29udHJvbExhYmVsPnt0KCdCYWxkdXJcXCdzIEdhdGUgMycpfTwvQ29udHJvbExhYmVsPlxyXG4gICAgICAgICAgICA8VG9nZ2xlXHJcbiAgICAgICAgICAgICAgY2hlY2tlZD17YXV0b0V4cG9ydExvYWRPcmRlcn1cclxuICAgICAgICAgICAgICBvblRvZ2dsZT17c2V0VXNlQXV0b0V4cG9ydExvYWRPcmRlclRvR2FtZX1cclxuICAgICAgICAgICAgPlxyXG4gICAgICAgICAgICAgIHt0KCdBdXRvIGV4cG9ydCBsb2FkIG9yZGVyJyl9XHJcbiAgICAgICAgICAgIDwvVG9nZ2xlPlxyXG4gICAgICAgICAgICA8SGVscEJsb2NrPlxyXG4gICAgICAgICAgICAgIHt0KGBJZiBlbmFibGVkLCB3aGVuIFZvcnRleCBzYXZlcyBpdCdzIGxvYWQgb3JkZXIsIGl0IHdpbGwgYWxzbyB1cGRhdGUgdGhlIGdhbWVzIGxvYWQgb3JkZXIuIFxyXG4gICAgICAgICAgICAgIElmIGRpc2FibGVkLCBhbmQgeW91IHdpc2ggdGhlIGdhbWUgdG8gdXNlIHlvdXIgbG9hZCBvcmRlciwgdGhlbiB0aGlzIHdpbGwgbmVlZCB0byBiZSBjb21wbGV0ZWQgXHJcbiAgICAgICAgICAgICAgbWFudWFsbHkgdXNpbmcgdGhlIEV4cG9ydCB0byBHYW1lIGJ1dHRvbiBvbiB0aGUgbG9hZCBvcmRlciBzY3JlZW5gKX1cclxuICAgICAgICAgICAgPC9IZWxwQmxvY2s+XHJcbiAgICAgICAgICA8L1BhbmVsLkJvZHk+XHJcbiAgICAgICAgPC9QYW5lbD5cclxuICAgICAgPC9Gb3JtR3JvdXA+XHJcbiAgICA8L2Zvcm0+XHJcbiAgKTtcclxufVxyXG5cclxuZXhwb3J0IGRlZmF1bHQgU2V0dGluZ3M7XHJcbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiU2V0dGluZ3MuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJTZXR0aW5ncy50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7QUFBQSxrREFBMEI7QUFDMUIscURBQTRFO0FBQzVFLGlEQUErQztBQUMvQyw2Q0FBb0Q7QUFDcEQsMkNBQTJDO0FBQzNDLHVDQUE0RjtBQUU1RixTQUFTLFFBQVE7SUFFZixNQUFNLEtBQUssR0FBRyxJQUFBLHNCQUFRLEdBQUUsQ0FBQztJQUV6QixNQUFNLG1CQUFtQixHQUFHLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRSxXQUM5RCxPQUFBLE1BQUEsS0FBSyxDQUFDLFFBQVEsQ0FBQyxjQUFjLENBQUMsMENBQUUsbUJBQW1CLENBQUEsRUFBQSxDQUFDLENBQUM7SUFFdkQsTUFBTSwrQkFBK0IsR0FBRyxlQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsT0FBZ0IsRUFBRSxFQUFFO1FBQzdFLE9BQU8sQ0FBQyxHQUFHLENBQUMsMEJBQTBCLE9BQU8sRUFBRSxDQUFDLENBQUE7UUFDaEQsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLGdDQUFzQixFQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDbEQsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBRVAsTUFBTSxrQkFBa0IsR0FBRyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsV0FDN0QsT0FBQSxNQUFBLEtBQUssQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLDBDQUFFLGtCQUFrQixDQUFBLEVBQUEsQ0FBQyxDQUFDO0lBRXRELE1BQU0sd0JBQXdCLEdBQUcsZUFBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDLE9BQWdCLEVBQUUsRUFBRTtRQUN0RSxLQUFLLENBQUMsUUFBUSxDQUFDLElBQUEsK0JBQXFCLEVBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztJQUNqRCxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFFUCxNQUFNLGFBQWEsR0FBRyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsV0FDeEQsT0FBQSxNQUFBLEtBQUssQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLDBDQUFFLGFBQWEsQ0FBQSxFQUFBLENBQUMsQ0FBQztJQUVqRCxNQUFNLG1CQUFtQixHQUFHLGVBQUssQ0FBQyxXQUFXLENBQUMsQ0FBQyxPQUFnQixFQUFFLEVBQUU7UUFDakUsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLDBCQUFnQixFQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDNUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBRVAsTUFBTSxFQUFFLENBQUMsRUFBRSxHQUFHLElBQUEsOEJBQWMsR0FBRSxDQUFDO0lBRS9CLE9BQU8sQ0FDTDtRQUNFLDhCQUFDLDJCQUFTLElBQUMsU0FBUyxFQUFDLGdCQUFnQjtZQUNuQyw4QkFBQyx1QkFBSztnQkFDSiw4QkFBQyx1QkFBSyxDQUFDLElBQUk7b0JBQ1QsOEJBQUMsOEJBQVksUUFBRSxDQUFDLENBQUMsa0JBQWtCLENBQUMsQ0FBZ0I7b0JBQ3BELDhCQUFDLG1CQUFNLElBQ0wsT0FBTyxFQUFFLG1CQUFtQixFQUM1QixRQUFRLEVBQUUsK0JBQStCLElBRXhDLENBQUMsQ0FBQyx3QkFBd0IsQ0FBQyxDQUNyQjtvQkFDVCw4QkFBQywyQkFBUyxRQUNQLENBQUMsQ0FBQzs7Z0ZBRStELENBQUMsQ0FDekQ7b0JBQ1osOEJBQUMsbUJBQU0sSUFDTCxPQUFPLEVBQUUsa0JBQWtCLEVBQzNCLFFBQVEsRUFBRSx3QkFBd0IsSUFFakMsQ0FBQyxDQUFDLHlDQUF5QyxDQUFDLENBQ3RDO29CQUNULDhCQUFDLDJCQUFTLFFBQ1AsQ0FBQyxDQUFDLG1GQUFtRjswQkFDbEYsK0VBQStFLENBQUMsQ0FDMUU7b0JBQ1osOEJBQUMsbUJBQU0sSUFDTCxPQUFPLEVBQUUsYUFBYSxFQUN0QixRQUFRLEVBQUUsbUJBQW1CLElBRTVCLENBQUMsQ0FBQyxnQ0FBZ0MsQ0FBQyxDQUM3QjtvQkFDVCw4QkFBQywyQkFBUyxRQUNQLENBQUMsQ0FBQyw0RkFBNEY7MEJBQzNGLDBGQUEwRjswQkFDMUYsaUZBQWlGOzBCQUNqRixxRkFBcUYsQ0FBQyxDQUNoRixDQUNELENBQ1AsQ0FDRSxDQUNQLENBQ1IsQ0FBQztBQUNKLENBQUM7QUFFRCxrQkFBZSxRQUFRLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgUmVhY3QgZnJvbSAncmVhY3QnO1xuaW1wb3J0IHsgQ29udHJvbExhYmVsLCBGb3JtR3JvdXAsIEhlbHBCbG9jaywgUGFuZWwgfSBmcm9tICdyZWFjdC1ib290c3RyYXAnO1xuaW1wb3J0IHsgdXNlVHJhbnNsYXRpb24gfSBmcm9tICdyZWFjdC1pMThuZXh0JztcbmltcG9ydCB7IHVzZVNlbGVjdG9yLCB1c2VTdG9yZSB9IGZyb20gJ3JlYWN0LXJlZHV4JztcbmltcG9ydCB7IFRvZ2dsZSwgdHlwZXMgfSBmcm9tICd2b3J0ZXgtYXBpJztcbmltcG9ydCB7IHNldEF1dG9FeHBvcnRMb2FkT3JkZXIsIHNldFBhY2tMb29zZU1vZHMsIHNldFN5bmNQbGF5ZXJQcm9maWxlcyB9IGZyb20gJy4vYWN0aW9ucyc7XG5cbmZ1bmN0aW9uIFNldHRpbmdzKCkge1xuXG4gIGNvbnN0IHN0b3JlID0gdXNlU3RvcmUoKTtcblxuICBjb25zdCBhdXRvRXhwb3J0TG9hZE9yZGVyID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XG4gICAgc3RhdGUuc2V0dGluZ3NbJ2JhbGR1cnNnYXRlMyddPy5hdXRvRXhwb3J0TG9hZE9yZGVyKTtcblxuICBjb25zdCBzZXRVc2VBdXRvRXhwb3J0TG9hZE9yZGVyVG9HYW1lID0gUmVhY3QudXNlQ2FsbGJhY2soKGVuYWJsZWQ6IGJvb2xlYW4pID0+IHtcbiAgICBjb25zb2xlLmxvZyhgc2V0QXV0b0V4cG9ydExvYWRPcmRlcj0ke2VuYWJsZWR9YClcbiAgICBzdG9yZS5kaXNwYXRjaChzZXRBdXRvRXhwb3J0TG9hZE9yZGVyKGVuYWJsZWQpKTtcbiAgfSwgW10pO1xuXG4gIGNvbnN0IHN5bmNQbGF5ZXJQcm9maWxlcyA9IHVzZVNlbGVjdG9yKChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PlxuICAgIHN0YXRlLnNldHRpbmdzWydiYWxkdXJzZ2F0ZTMnXT8uc3luY1BsYXllclByb2ZpbGVzKTtcblxuICBjb25zdCBzZXRVc2VTeW5jUGxheWVyUHJvZmlsZXMgPSBSZWFjdC51c2VDYWxsYmFjaygoZW5hYmxlZDogYm9vbGVhbikgPT4ge1xuICAgIHN0b3JlLmRpc3BhdGNoKHNldFN5bmNQbGF5ZXJQcm9maWxlcyhlbmFibGVkKSk7XG4gIH0sIFtdKTtcblxuICBjb25zdCBwYWNrTG9vc2VNb2RzID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XG4gICAgc3RhdGUuc2V0dGluZ3NbJ2JhbGR1cnNnYXRlMyddPy5wYWNrTG9vc2VNb2RzKTtcblxuICBjb25zdCBzZXRVc2VQYWNrTG9vc2VNb2RzID0gUmVhY3QudXNlQ2FsbGJhY2soKGVuYWJsZWQ6IGJvb2xlYW4pID0+IHtcbiAgICBzdG9yZS5kaXNwYXRjaChzZXRQYWNrTG9vc2VNb2RzKGVuYWJsZWQpKTtcbiAgfSwgW10pO1xuICBcbiAgY29uc3QgeyB0IH0gPSB1c2VUcmFuc2xhdGlvbigpO1xuXG4gIHJldHVybiAoXG4gICAgPGZvcm0+XG4gICAgICA8Rm9ybUdyb3VwIGNvbnRyb2xJZD0nZGVmYXVsdC1lbmFibGUnPlxuICAgICAgICA8UGFuZWw+XG4gICAgICAgICAgPFBhbmVsLkJvZHk+XG4gICAgICAgICAgICA8Q29udHJvbExhYmVsPnt0KCdCYWxkdXJcXCdzIEdhdGUgMycpfTwvQ29udHJvbExhYmVsPlxuICAgICAgICAgICAgPFRvZ2dsZVxuICAgICAgICAgICAgICBjaGVja2VkPXthdXRvRXhwb3J0TG9hZE9yZGVyfVxuICAgICAgICAgICAgICBvblRvZ2dsZT17c2V0VXNlQXV0b0V4cG9ydExvYWRPcmRlclRvR2FtZX1cbiAgICAgICAgICAgID5cbiAgICAgICAgICAgICAge3QoJ0F1dG8gZXhwb3J0IGxvYWQgb3JkZXInKX1cbiAgICAgICAgICAgIDwvVG9nZ2xlPlxuICAgICAgICAgICAgPEhlbHBCbG9jaz5cbiAgICAgICAgICAgICAge3QoYElmIGVuYWJsZWQsIHdoZW4gVm9ydGV4IHNhdmVzIGl0J3MgbG9hZCBvcmRlciwgaXQgd2lsbCBhbHNvIHVwZGF0ZSB0aGUgZ2FtZXMgbG9hZCBvcmRlci4gXG4gICAgICAgICAgICAgIElmIGRpc2FibGVkLCBhbmQgeW91IHdpc2ggdGhlIGdhbWUgdG8gdXNlIHlvdXIgbG9hZCBvcmRlciwgdGhlbiB0aGlzIHdpbGwgbmVlZCB0byBiZSBjb21wbGV0ZWQgXG4gICAgICAgICAgICAgIG1hbnVhbGx5IHVzaW5nIHRoZSBFeHBvcnQgdG8gR2FtZSBidXR0b24gb24gdGhlIGxvYWQgb3JkZXIgc2NyZWVuYCl9XG4gICAgICAgICAgICA8L0hlbHBCbG9jaz5cbiAgICAgICAgICAgIDxUb2dnbGVcbiAgICAgICAgICAgICAgY2hlY2tlZD17c3luY1BsYXllclByb2ZpbGVzfVxuICAgICAgICAgICAgICBvblRvZ2dsZT17c2V0VXNlU3luY1BsYXllclByb2ZpbGVzfVxuICAgICAgICAgICAgPlxuICAgICAgICAgICAgICB7dCgnV3JpdGUgbG9hZCBvcmRlciB0byBhbGwgcGxheWVyIHByb2ZpbGVzJyl9XG4gICAgICAgICAgICA8L1RvZ2dsZT5cbiAgICAgICAgICAgIDxIZWxwQmxvY2s+XG4gICAgICAgICAgICAgIHt0KCdJZiBlbmFibGVkLCBleHBvcnRpbmcgdGhlIGxvYWQgb3JkZXIgdG8gdGhlIGdhbWUgd2lsbCB1cGRhdGUgdGhlIG1vZHNldHRpbmdzLmxzeCAnXG4gICAgICAgICAgICAgICAgKyAnb2YgZXZlcnkgcGxheWVyIHByb2ZpbGUgaW5zdGVhZCBvZiBqdXN0IHRoZSBQdWJsaWMgb25lLCBrZWVwaW5nIHRoZW0gaW4gc3luYy4nKX1cbiAgICAgICAgICAgIDwvSGVscEJsb2NrPlxuICAgICAgICAgICAgPFRvZ2dsZVxuICAgICAgICAgICAgICBjaGVja2VkPXtwYWNrTG9vc2VNb2RzfVxuICAgICAgICAgICAgICBvblRvZ2dsZT17c2V0VXNlUGFja0xvb3NlTW9kc31cbiAgICAgICAgICAgID5cbiAgICAgICAgICAgICAge3QoJ1BhY2sgbG9vc2UgZmlsZSBtb2RzIG9uIGRlcGxveScpfVxuICAgICAgICAgICAgPC9Ub2dnbGU+XG4gICAgICAgICAgICA8SGVscEJsb2NrPlxuICAgICAgICAgICAgICB7dCgnSWYgZW5hYmxlZCwgbW9kcyB0aGF0IHNoaXAgbG9vc2UgRGF0YSwgUHVibGljIG9yIEdlbmVyYXRlZCBmb2xkZXJzIGFyZSBwYWNrZWQgaW50byBhIC5wYWsgJ1xuICAgICAgICAgICAgICAgICsgJ2ZpbGUgdXNpbmcgTFNMaWIgd2hlbiBkZXBsb3lpbmcuIFRoZSBwYWNrZWQgbW9kIGlzIGRlcGxveWVkIGFuZCBhZGRlZCB0byB0aGUgbG9hZCBvcmRlciAnXG4gICAgICAgICAgICAgICAgKyAnaW5zdGVhZCBvZiB0aGUgbG9vc2UgZmlsZXMgYW5kIGdldHMgcmVidWlsdCB3aGVuZXZlciB0aGUgb3JpZ2luYWwgbW9kIGNoYW5nZXMuICdcbiAgICAgICAgICAgICAgICArICdVc2UgXCJLZWVwIExvb3NlIEZpbGVzXCIgb24gdGhlIE1vZHMgcGFnZSB0byBkZXBsb3kgdGhlIGxvb3NlIGZpbGVzIG9mIGEgbW9kIGluc3RlYWQuJyl9XG4gICAgICAgICAgICA8L0hlbHBCbG9jaz5cbiAgICAgICAgICA8L1BhbmVsLkJvZHk+XG4gICAgICAgIDwvUGFuZWw+XG4gICAgICA8L0Zvcm1Hcm91cD5cbiAgICA8L2Zvcm0+XG4gICk7XG59XG5cbmV4cG9ydCBkZWZhdWx0IFNldHRpbmdzO1xuIl19
\ No newline at end of file
@@ -3,7 +3,7 @@ import { ControlLabel, FormGroup, HelpBlock, Panel } from 'react-bootstrap';
 import { useTranslation } from 'react-i18next';
 import { useSelector, useStore } from 'react-redux';
 import { Toggle, types } from 'vortex-api';
-import { setAutoExportLoadOrder } from './actions';
+import { setAutoExportLoadOrder, setPackLooseMods, setSyncPlayerProfiles } from './actions';
 
 function Settings() {
 
@@ -16,6 +16,20 @@ function Settings() {
     console.log(`setAutoExportLoadOrder=${enabled}`)
     store.dispatch(setAutoExportLoadOrder(enabled));
   }, []);
+
+  const syncPlayerProfiles = useSelector((state: types.IState) =>
+    state.settings['baldursgate3']?.syncPlayerProfiles);
+
+  const setUseSyncPlayerProfiles = React.useCallback((enabled: boolean) => {
+    store.dispatch(setSyncPlayerProfiles(enabled));
+  }, []);
+
+  const packLooseMods = useSelector((state: types.IState) =>
+    state.settings['baldursgate3']?.packLooseMods);
+
+  const setUsePackLooseMods = React.useCallback((enabled: boolean) => {
+    store.dispatch(setPackLooseMods(enabled));
+  }, []);
   
   const { t } = useTranslation();
 
@@ -36,6 +50,28 @@ function Settings() {
               If disabled, and you wish the game to use your load order, then this will need to be completed 
               manually using the Export to Game button on the load order screen`)}
             </HelpBlock>
+            <Toggle
+              checked={syncPlayerProfiles}
+              onToggle={setUseSyncPlayerProfiles}
+            >
+              {t('Write load order to all player profiles')}
+            </Toggle>
+            <HelpBlock>
+              {t('If enabled, exporting the load order to the game will update the modsettings.lsx '
+                + 'of every player profile instead of just the Public one, keeping them in sync.')}
+            </HelpBlock>
+            <Toggle
+              checked={packLooseMods}
+              onToggle={setUsePackLooseMods}
+            >
+              {t('Pack loose file mods on deploy')}
+            </Toggle>
+            <HelpBlock>
+              {t('If enabled, mods that ship loose Data, Public or Generated folders are packed into a .pak '
+                + 'file using LSLib when deploying. The packed mod is deployed and added to the load order '
+                + 'instead of the loose files and gets rebuilt whenever the original mod changes. '
+                + 'Use "Keep Loose Files" on the Mods page to deploy the loose files of a mod instead.')}
+            </HelpBlock>
           </Panel.Body>
         </Panel>
       </FormGroup>
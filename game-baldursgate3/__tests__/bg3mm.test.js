@@ -0,0 +1,91 @@
+// Run with `node --test game-baldursgate3/__tests__` after building the extension.
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { applyBG3MMOrder, parseBG3MMOrder, toBG3MMOrder } = require('../bg3mm');
+
+// Load order entries as deserialize builds them from the cached pak info
+function loEntry(fileName, uuid, name, extra = {}) {
+  return {
+    id: fileName,
+    name: fileName,
+    modId: `mod-${name}`,
+    enabled: true,
+    data: {
+      uuid,
+      name,
+      folder: `${name}_${uuid.slice(0, 8)}`,
+      version: '36028797018963968',
+      md5: '',
+      ...extra,
+    },
+  };
+}
+
+const LOAD_ORDER = [
+  loEntry('Camp Event Notifications.pak', '1c1b7e2f-8e3b-4a2e-9a5e-7d0b7a0c1f01', 'Camp Event Notifications'),
+  loEntry('ImprovedUI.pak', '2d2c8f30-9f4c-4b3f-8b6f-8e1c8b1d2a02', 'ImprovedUI', { author: 'ShinyHobo' }),
+  loEntry('Tav\'s Hair.pak', '3e3d9041-a05d-4c40-9c70-9f2d9c2e3b03', 'Tav\'s Hair', { description: 'More hair' }),
+  loEntry('5e Spells.pak', '4f4ea152-b16e-4d51-ad81-a03ead3f4c04', '5e Spells'),
+];
+
+// BG3MM file describing a different order than the current one
+const BG3MM_ORDER = [
+  LOAD_ORDER[3], LOAD_ORDER[0], LOAD_ORDER[2], LOAD_ORDER[1],
+].map((entry, idx) => ({
+  Index: idx,
+  FileName: entry.id,
+  UUID: entry.data.uuid,
+  Folder: entry.data.folder,
+  Name: entry.data.name,
+  Version: entry.data.version,
+}));
+
+function roundTrip(data, loadOrder) {
+  return toBG3MMOrder(applyBG3MMOrder(loadOrder, parseBG3MMOrder(data)));
+}
+
+describe('BG3MM round trip', () => {
+  it('keeps UUIDs, names and order of an exported order', () => {
+    const exported = roundTrip(JSON.stringify(BG3MM_ORDER), LOAD_ORDER);
+    assert.deepStrictEqual(exported.map(entry => entry.UUID), BG3MM_ORDER.map(entry => entry.UUID));
+    assert.deepStrictEqual(exported.map(entry => entry.Name), BG3MM_ORDER.map(entry => entry.Name));
+    assert.deepStrictEqual(exported.map(entry => entry.Index), [0, 1, 2, 3]);
+  });
+
+  it('reads saved orders and files starting with a BOM', () => {
+    const saved = '\uFEFF' + JSON.stringify({ Order: BG3MM_ORDER });
+    assert.deepStrictEqual(roundTrip(saved, LOAD_ORDER).map(entry => entry.UUID),
+                           BG3MM_ORDER.map(entry => entry.UUID));
+  });
+
+  it('is stable when exporting and importing again', () => {
+    const first = roundTrip(JSON.stringify(BG3MM_ORDER), LOAD_ORDER);
+    const second = roundTrip(JSON.stringify(first, undefined, 2), [...LOAD_ORDER].reverse());
+    assert.deepStrictEqual(second, first);
+  });
+
+  it('puts mods BG3MM doesn\'t know about last, in their current order', () => {
+    const extra = [
+      loEntry('Extra A.pak', '5a5fb263-c27f-4e62-be92-b14fb25a5d05', 'Extra A'),
+      loEntry('Extra B.pak', '6b60c374-d380-4f73-8fa3-c2500361ae06', 'Extra B'),
+    ];
+    const exported = roundTrip(JSON.stringify(BG3MM_ORDER), [extra[0], ...LOAD_ORDER, extra[1]]);
+    assert.deepStrictEqual(exported.map(entry => entry.Name),
+                           [...BG3MM_ORDER.map(entry => entry.Name), 'Extra A', 'Extra B']);
+  });
+
+  it('only exports the mods written to modsettings.lsx', () => {
+    const loadOrder = [
+      ...LOAD_ORDER,
+      { ...loEntry('Disabled.pak', '7c71d485-e491-4084-90b4-d3611472bf07', 'Disabled'), enabled: false },
+      loEntry('Listed.pak', '8d82e596-f5a2-4195-a1c5-e4722583c008', 'Listed', { isListed: true }),
+    ];
+    assert.deepStrictEqual(toBG3MMOrder(loadOrder).map(entry => entry.Name),
+                           LOAD_ORDER.map(entry => entry.data.name));
+  });
+
+  it('rejects files that aren\'t BG3MM orders', () => {
+    assert.throws(() => parseBG3MMOrder(JSON.stringify({ mods: [] })), /Not a BG3MM load order file/);
+  });
+});
@@ -1,9 +1,12 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.settingsWritten = exports.setPlayerProfile = exports.setMigration = exports.setAutoExportLoadOrder = void 0;
+exports.setPakConflicts = exports.settingsWritten = exports.setPlayerProfile = exports.setMigration = exports.setPackLooseMods = exports.setSyncPlayerProfiles = exports.setAutoExportLoadOrder = void 0;
 const redux_act_1 = require("redux-act");
 exports.setAutoExportLoadOrder = (0, redux_act_1.createAction)('BG3_SETTINGS_AUTO_EXPORT', (enabled) => enabled);
+exports.setSyncPlayerProfiles = (0, redux_act_1.createAction)('BG3_SETTINGS_SYNC_PLAYER_PROFILES', (enabled) => enabled);
+exports.setPackLooseMods = (0, redux_act_1.createAction)('BG3_SETTINGS_PACK_LOOSE_MODS', (enabled) => enabled);
 exports.setMigration = (0, redux_act_1.createAction)('BG3_SET_MIGRATION', (enabled) => enabled);
 exports.setPlayerProfile = (0, redux_act_1.createAction)('BG3_SET_PLAYERPROFILE', name => name);
 exports.settingsWritten = (0, redux_act_1.createAction)('BG3_SETTINGS_WRITTEN', (profile, time, count) => ({ profile, time, count }));
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWN0aW9ucy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFjdGlvbnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEseUNBQXlDO0FBRzVCLFFBQUEsc0JBQXNCLEdBQUcsSUFBQSx3QkFBWSxFQUFDLDBCQUEwQixFQUFFLENBQUMsT0FBZ0IsRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDakcsUUFBQSxZQUFZLEdBQUcsSUFBQSx3QkFBWSxFQUFDLG1CQUFtQixFQUFFLENBQUMsT0FBZ0IsRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDaEYsUUFBQSxnQkFBZ0IsR0FBRyxJQUFBLHdCQUFZLEVBQUMsdUJBQXVCLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUN2RSxRQUFBLGVBQWUsR0FBRyxJQUFBLHdCQUFZLEVBQUMsc0JBQXNCLEVBQUcsQ0FBQyxPQUFlLEVBQUUsSUFBWSxFQUFFLEtBQWEsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgY3JlYXRlQWN0aW9uIH0gZnJvbSAncmVkdXgtYWN0JztcclxuXHJcbi8vIGFjdGlvbnNcclxuZXhwb3J0IGNvbnN0IHNldEF1dG9FeHBvcnRMb2FkT3JkZXIgPSBjcmVhdGVBY3Rpb24oJ0JHM19TRVRUSU5HU19BVVRPX0VYUE9SVCcsIChlbmFibGVkOiBib29sZWFuKSA9PiBlbmFibGVkKTtcclxuZXhwb3J0IGNvbnN0IHNldE1pZ3JhdGlvbiA9IGNyZWF0ZUFjdGlvbignQkczX1NFVF9NSUdSQVRJT04nLCAoZW5hYmxlZDogYm9vbGVhbikgPT4gZW5hYmxlZCk7XHJcbmV4cG9ydCBjb25zdCBzZXRQbGF5ZXJQcm9maWxlID0gY3JlYXRlQWN0aW9uKCdCRzNfU0VUX1BMQVlFUlBST0ZJTEUnLCBuYW1lID0+IG5hbWUpO1xyXG5leHBvcnQgY29uc3Qgc2V0dGluZ3NXcml0dGVuID0gY3JlYXRlQWN0aW9uKCdCRzNfU0VUVElOR1NfV1JJVFRFTicsICAocHJvZmlsZTogc3RyaW5nLCB0aW1lOiBudW1iZXIsIGNvdW50OiBudW1iZXIpID0+ICh7IHByb2ZpbGUsIHRpbWUsIGNvdW50IH0pKTtcclxuXHJcbiJdfQ==
\ No newline at end of file
+exports.setPakConflicts = (0, redux_act_1.createAction)('BG3_SET_PAK_CONFLICTS', (conflicts) => conflicts);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWN0aW9ucy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFjdGlvbnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEseUNBQXlDO0FBSTVCLFFBQUEsc0JBQXNCLEdBQUcsSUFBQSx3QkFBWSxFQUFDLDBCQUEwQixFQUFFLENBQUMsT0FBZ0IsRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDakcsUUFBQSxxQkFBcUIsR0FBRyxJQUFBLHdCQUFZLEVBQUMsbUNBQW1DLEVBQUUsQ0FBQyxPQUFnQixFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUN6RyxRQUFBLGdCQUFnQixHQUFHLElBQUEsd0JBQVksRUFBQyw4QkFBOEIsRUFBRSxDQUFDLE9BQWdCLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0FBQy9GLFFBQUEsWUFBWSxHQUFHLElBQUEsd0JBQVksRUFBQyxtQkFBbUIsRUFBRSxDQUFDLE9BQWdCLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0FBQ2hGLFFBQUEsZ0JBQWdCLEdBQUcsSUFBQSx3QkFBWSxFQUFDLHVCQUF1QixFQUFFLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDdkUsUUFBQSxlQUFlLEdBQUcsSUFBQSx3QkFBWSxFQUFDLHNCQUFzQixFQUFHLENBQUMsT0FBZSxFQUFFLElBQVksRUFBRSxLQUFhLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztBQUN0SSxRQUFBLGVBQWUsR0FBRyxJQUFBLHdCQUFZLEVBQUMsdUJBQXVCLEVBQUUsQ0FBQyxTQUF3QixFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IGNyZWF0ZUFjdGlvbiB9IGZyb20gJ3JlZHV4LWFjdCc7XHJcbmltcG9ydCB7IElQYWtDb25mbGljdHMgfSBmcm9tICcuL3R5cGVzJztcclxuXHJcbi8vIGFjdGlvbnNcclxuZXhwb3J0IGNvbnN0IHNldEF1dG9FeHBvcnRMb2FkT3JkZXIgPSBjcmVhdGVBY3Rpb24oJ0JHM19TRVRUSU5HU19BVVRPX0VYUE9SVCcsIChlbmFibGVkOiBib29sZWFuKSA9PiBlbmFibGVkKTtcclxuZXhwb3J0IGNvbnN0IHNldFN5bmNQbGF5ZXJQcm9maWxlcyA9IGNyZWF0ZUFjdGlvbignQkczX1NFVFRJTkdTX1NZTkNfUExBWUVSX1BST0ZJTEVTJywgKGVuYWJsZWQ6IGJvb2xlYW4pID0+IGVuYWJsZWQpO1xyXG5leHBvcnQgY29uc3Qgc2V0UGFja0xvb3NlTW9kcyA9IGNyZWF0ZUFjdGlvbignQkczX1NFVFRJTkdTX1BBQ0tfTE9PU0VfTU9EUycsIChlbmFibGVkOiBib29sZWFuKSA9PiBlbmFibGVkKTtcclxuZXhwb3J0IGNvbnN0IHNldE1pZ3JhdGlvbiA9IGNyZWF0ZUFjdGlvbignQkczX1NFVF9NSUdSQVRJT04nLCAoZW5hYmxlZDogYm9vbGVhbikgPT4gZW5hYmxlZCk7XHJcbmV4cG9ydCBjb25zdCBzZXRQbGF5ZXJQcm9maWxlID0gY3JlYXRlQWN0aW9uKCdCRzNfU0VUX1BMQVlFUlBST0ZJTEUnLCBuYW1lID0+IG5hbWUpO1xyXG5leHBvcnQgY29uc3Qgc2V0dGluZ3NXcml0dGVuID0gY3JlYXRlQWN0aW9uKCdCRzNfU0VUVElOR1NfV1JJVFRFTicsICAocHJvZmlsZTogc3RyaW5nLCB0aW1lOiBudW1iZXIsIGNvdW50OiBudW1iZXIpID0+ICh7IHByb2ZpbGUsIHRpbWUsIGNvdW50IH0pKTtcclxuZXhwb3J0IGNvbnN0IHNldFBha0NvbmZsaWN0cyA9IGNyZWF0ZUFjdGlvbignQkczX1NFVF9QQUtfQ09ORkxJQ1RTJywgKGNvbmZsaWN0czogSVBha0NvbmZsaWN0cykgPT4gY29uZmxpY3RzKTtcclxuXHJcbiJdfQ==
\ No newline at end of file
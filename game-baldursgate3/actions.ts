@@ -1,8 +1,12 @@
 import { createAction } from 'redux-act';
+import { IPakConflicts } from './types';
 
 // actions
 export const setAutoExportLoadOrder = createAction('BG3_SETTINGS_AUTO_EXPORT', (enabled: boolean) => enabled);
+export const setSyncPlayerProfiles = createAction('BG3_SETTINGS_SYNC_PLAYER_PROFILES', (enabled: boolean) => enabled);
+export const setPackLooseMods = createAction('BG3_SETTINGS_PACK_LOOSE_MODS', (enabled: boolean) => enabled);
 export const setMigration = createAction('BG3_SET_MIGRATION', (enabled: boolean) => enabled);
 export const setPlayerProfile = createAction('BG3_SET_PLAYERPROFILE', name => name);
 export const settingsWritten = createAction('BG3_SETTINGS_WRITTEN',  (profile: string, time: number, count: number) => ({ profile, time, count }));
+export const setPakConflicts = createAction('BG3_SET_PAK_CONFLICTS', (conflicts: IPakConflicts) => conflicts);
 
@@ -0,0 +1,37 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toBG3MMOrder = exports.applyBG3MMOrder = exports.parseBG3MMOrder = void 0;
+function parseBG3MMOrder(data) {
+    const parsed = JSON.parse(data.replace(/^\uFEFF/, ''));
+    const entries = Array.isArray(parsed) ? parsed : parsed === null || parsed === void 0 ? void 0 : parsed.Order;
+    if (!Array.isArray(entries)) {
+        throw new Error('Not a BG3MM load order file');
+    }
+    return entries;
+}
+exports.parseBG3MMOrder = parseBG3MMOrder;
+function applyBG3MMOrder(loadOrder, order) {
+    const getIndex = (uuid) => {
+        const index = order.findIndex(entry => entry.UUID !== undefined && entry.UUID === uuid);
+        return index !== -1 ? index : Infinity;
+    };
+    return [...loadOrder].sort((a, b) => { var _a, _b; return (getIndex((_a = a.data) === null || _a === void 0 ? void 0 : _a.uuid) - getIndex((_b = b.data) === null || _b === void 0 ? void 0 : _b.uuid)) || 0; });
+}
+exports.applyBG3MMOrder = applyBG3MMOrder;
+function toBG3MMOrder(loadOrder) {
+    return loadOrder
+        .filter(entry => { var _a, _b; return !!((_a = entry.data) === null || _a === void 0 ? void 0 : _a.uuid) && entry.enabled && !((_b = entry.data) === null || _b === void 0 ? void 0 : _b.isListed); })
+        .map((entry, idx) => ({
+        Index: idx,
+        FileName: entry.id,
+        UUID: entry.data.uuid,
+        Folder: entry.data.folder,
+        Name: entry.data.name,
+        Description: entry.data.description,
+        Author: entry.data.author,
+        Version: entry.data.version,
+        MD5: entry.data.md5,
+    }));
+}
+exports.toBG3MMOrder = toBG3MMOrder;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYmczbW0uanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJiZzNtbS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFTQSxTQUFnQixlQUFlLENBQUMsSUFBWTtJQUMxQyxNQUFNLE1BQU0sR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFHdkQsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxNQUFNLGFBQU4sTUFBTSx1QkFBTixNQUFNLENBQUUsS0FBSyxDQUFDO0lBQy9ELElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1FBQzNCLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLENBQUMsQ0FBQztLQUNoRDtJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ2pCLENBQUM7QUFURCwwQ0FTQztBQUlELFNBQWdCLGVBQWUsQ0FBQyxTQUEwQixFQUFFLEtBQW9CO0lBQzlFLE1BQU0sUUFBUSxHQUFHLENBQUMsSUFBWSxFQUFVLEVBQUU7UUFDeEMsTUFBTSxLQUFLLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEtBQUssU0FBUyxJQUFJLEtBQUssQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLENBQUM7UUFDeEYsT0FBTyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDO0lBQ3pDLENBQUMsQ0FBQztJQUNGLE9BQU8sQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxlQUFDLE9BQUEsQ0FBQyxRQUFRLENBQUMsTUFBQSxDQUFDLENBQUMsSUFBSSwwQ0FBRSxJQUFJLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBQSxDQUFDLENBQUMsSUFBSSwwQ0FBRSxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQSxFQUFBLENBQUMsQ0FBQztBQUMvRixDQUFDO0FBTkQsMENBTUM7QUFFRCxTQUFnQixZQUFZLENBQUMsU0FBMEI7SUFFckQsT0FBTyxTQUFTO1NBQ2IsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLGVBQUMsT0FBQSxDQUFDLENBQUMsQ0FBQSxNQUFBLEtBQUssQ0FBQyxJQUFJLDBDQUFFLElBQUksQ0FBQSxJQUFJLEtBQUssQ0FBQyxPQUFPLElBQUksQ0FBQyxDQUFBLE1BQUEsS0FBSyxDQUFDLElBQUksMENBQUUsUUFBUSxDQUFBLENBQUEsRUFBQSxDQUFDO1NBQzdFLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQWUsRUFBRSxDQUFDLENBQUM7UUFDakMsS0FBSyxFQUFFLEdBQUc7UUFDVixRQUFRLEVBQUUsS0FBSyxDQUFDLEVBQUU7UUFDbEIsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSTtRQUNyQixNQUFNLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNO1FBQ3pCLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUk7UUFDckIsV0FBVyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsV0FBVztRQUNuQyxNQUFNLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNO1FBQ3pCLE9BQU8sRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLE9BQU87UUFDM0IsR0FBRyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRztLQUNwQixDQUFDLENBQUMsQ0FBQztBQUNSLENBQUM7QUFmRCxvQ0FlQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgeyB0eXBlcyB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBJQkczTU1FbnRyeSB9IGZyb20gJy4vdHlwZXMnO1xuXG4vLyBDb252ZXJzaW9uIGJldHdlZW4gb3VyIGxvYWQgb3JkZXIgYW5kIHRoZSAuanNvbiBsb2FkIG9yZGVyIGZpbGVzIG9mIEJhbGR1cidzXG4vLyAgR2F0ZSAzIE1vZCBNYW5hZ2VyIChCRzNNTSkuIE9ubHkgdHlwZXMgYXJlIHVzZWQgZnJvbSB2b3J0ZXgtYXBpIHNvIHRoZVxuLy8gIGNvbnZlcnNpb24gY2FuIGJlIHRlc3RlZCBvdXRzaWRlIG9mIFZvcnRleC5cblxuZXhwb3J0IGZ1bmN0aW9uIHBhcnNlQkczTU1PcmRlcihkYXRhOiBzdHJpbmcpOiBJQkczTU1FbnRyeVtdIHtcbiAgY29uc3QgcGFyc2VkID0gSlNPTi5wYXJzZShkYXRhLnJlcGxhY2UoL15cXHVGRUZGLywgJycpKTtcbiAgLy8gQkczTU0gZXhwb3J0cyBhIHBsYWluIGxpc3Qgb2YgbW9kcywgd2hpbGUgaXRzIHNhdmVkIG9yZGVycyB3cmFwIHRoZVxuICAvLyAgbGlzdCBpbiBhbiBvYmplY3QuXG4gIGNvbnN0IGVudHJpZXMgPSBBcnJheS5pc0FycmF5KHBhcnNlZCkgPyBwYXJzZWQgOiBwYXJzZWQ/Lk9yZGVyO1xuICBpZiAoIUFycmF5LmlzQXJyYXkoZW50cmllcykpIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IoJ05vdCBhIEJHM01NIGxvYWQgb3JkZXIgZmlsZScpO1xuICB9XG4gIHJldHVybiBlbnRyaWVzO1xufVxuXG4vLyBTb3J0cyB0aGUgbG9hZCBvcmRlciBsaWtlIHRoZSBCRzNNTSBvcmRlciwgbW9kcyBCRzNNTSBkb2Vzbid0IGtub3cgYWJvdXRcbi8vICBrZWVwIHRoZWlyIHJlbGF0aXZlIG9yZGVyIGF0IHRoZSBlbmQuXG5leHBvcnQgZnVuY3Rpb24gYXBwbHlCRzNNTU9yZGVyKGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyLCBvcmRlcjogSUJHM01NRW50cnlbXSk6IHR5cGVzLkxvYWRPcmRlciB7XG4gIGNvbnN0IGdldEluZGV4ID0gKHV1aWQ6IHN0cmluZyk6IG51bWJlciA9PiB7XG4gICAgY29uc3QgaW5kZXggPSBvcmRlci5maW5kSW5kZXgoZW50cnkgPT4gZW50cnkuVVVJRCAhPT0gdW5kZWZpbmVkICYmIGVudHJ5LlVVSUQgPT09IHV1aWQpO1xuICAgIHJldHVybiBpbmRleCAhPT0gLTEgPyBpbmRleCA6IEluZmluaXR5O1xuICB9O1xuICByZXR1cm4gWy4uLmxvYWRPcmRlcl0uc29ydCgoYSwgYikgPT4gKGdldEluZGV4KGEuZGF0YT8udXVpZCkgLSBnZXRJbmRleChiLmRhdGE/LnV1aWQpKSB8fCAwKTtcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIHRvQkczTU1PcmRlcihsb2FkT3JkZXI6IHR5cGVzLkxvYWRPcmRlcik6IElCRzNNTUVudHJ5W10ge1xuICAvLyBzYW1lIHNlbGVjdGlvbiBvZiBtb2RzIGFzIHRoZSBvbmUgd2Ugd3JpdGUgdG8gbW9kc2V0dGluZ3MubHN4XG4gIHJldHVybiBsb2FkT3JkZXJcbiAgICAuZmlsdGVyKGVudHJ5ID0+ICEhZW50cnkuZGF0YT8udXVpZCAmJiBlbnRyeS5lbmFibGVkICYmICFlbnRyeS5kYXRhPy5pc0xpc3RlZClcbiAgICAubWFwKChlbnRyeSwgaWR4KTogSUJHM01NRW50cnkgPT4gKHtcbiAgICAgIEluZGV4OiBpZHgsXG4gICAgICBGaWxlTmFtZTogZW50cnkuaWQsXG4gICAgICBVVUlEOiBlbnRyeS5kYXRhLnV1aWQsXG4gICAgICBGb2xkZXI6IGVudHJ5LmRhdGEuZm9sZGVyLFxuICAgICAgTmFtZTogZW50cnkuZGF0YS5uYW1lLFxuICAgICAgRGVzY3JpcHRpb246IGVudHJ5LmRhdGEuZGVzY3JpcHRpb24sXG4gICAgICBBdXRob3I6IGVudHJ5LmRhdGEuYXV0aG9yLFxuICAgICAgVmVyc2lvbjogZW50cnkuZGF0YS52ZXJzaW9uLFxuICAgICAgTUQ1OiBlbnRyeS5kYXRhLm1kNSxcbiAgICB9KSk7XG59XG4iXX0=
\ No newline at end of file
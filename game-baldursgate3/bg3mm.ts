@@ -0,0 +1,46 @@
+/* eslint-disable */
+import { types } from 'vortex-api';
+
+import { IBG3MMEntry } from './types';
+
+// Conversion between our load order and the .json load order files of Baldur's
+//  Gate 3 Mod Manager (BG3MM). Only types are used from vortex-api so the
+//  conversion can be tested outside of Vortex.
+
+export function parseBG3MMOrder(data: string): IBG3MMEntry[] {
+  const parsed = JSON.parse(data.replace(/^\uFEFF/, ''));
+  // BG3MM exports a plain list of mods, while its saved orders wrap the
+  //  list in an object.
+  const entries = Array.isArray(parsed) ? parsed : parsed?.Order;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a BG3MM load order file');
+  }
+  return entries;
+}
+
+// Sorts the load order like the BG3MM order, mods BG3MM doesn't know about
+//  keep their relative order at the end.
+export function applyBG3MMOrder(loadOrder: types.LoadOrder, order: IBG3MMEntry[]): types.LoadOrder {
+  const getIndex = (uuid: string): number => {
+    const index = order.findIndex(entry => entry.UUID !== undefined && entry.UUID === uuid);
+    return index !== -1 ? index : Infinity;
+  };
+  return [...loadOrder].sort((a, b) => (getIndex(a.data?.uuid) - getIndex(b.data?.uuid)) || 0);
+}
+
+export function toBG3MMOrder(loadOrder: types.LoadOrder): IBG3MMEntry[] {
+  // same selection of mods as the one we write to modsettings.lsx
+  return loadOrder
+    .filter(entry => !!entry.data?.uuid && entry.enabled && !entry.data?.isListed)
+    .map((entry, idx): IBG3MMEntry => ({
+      Index: idx,
+      FileName: entry.id,
+      UUID: entry.data.uuid,
+      Folder: entry.data.folder,
+      Name: entry.data.name,
+      Description: entry.data.description,
+      Author: entry.data.author,
+      Version: entry.data.version,
+      MD5: entry.data.md5,
+    }));
+}
@@ -54,6 +54,7 @@ class PakInfoCache {
         this.load(api);
     }
     getCacheEntry(api, filePath, mod) {
+        var _a;
         return __awaiter(this, void 0, void 0, function* () {
             const id = this.fileId(filePath);
             const stat = yield vortex_api_1.fs.statAsync(filePath);
@@ -66,7 +67,8 @@ class PakInfoCache {
             };
             const cacheEntry = yield this.mCache.get(id);
             const packageNotListed = ((cacheEntry === null || cacheEntry === void 0 ? void 0 : cacheEntry.packageList) || []).length === 0;
-            if (!cacheEntry || hasChanged(cacheEntry) || packageNotListed) {
+            const missingDependencies = ((_a = cacheEntry === null || cacheEntry === void 0 ? void 0 : cacheEntry.info) === null || _a === void 0 ? void 0 : _a.dependencies) === undefined;
+            if (!cacheEntry || hasChanged(cacheEntry) || packageNotListed || missingDependencies) {
                 const packageList = yield (0, divineWrapper_1.listPackage)(api, filePath);
                 const isListed = this.isLOListed(api, filePath, packageList);
                 const info = yield (0, util_1.extractPakInfoImpl)(api, filePath, mod, isListed);
@@ -141,4 +143,4 @@ class PakInfoCache {
 }
 exports.default = PakInfoCache;
 PakInfoCache.instance = null;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2FjaGUuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJjYWNoZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQ0EsMkNBQTZCO0FBQzdCLDJDQUE2RDtBQUU3RCxxQ0FBbUM7QUFDbkMsbURBQThDO0FBRTlDLGlDQUFzRDtBQUV0RCwwREFBNEI7QUFhNUIsTUFBcUIsWUFBWTtJQUV4QixNQUFNLENBQUMsV0FBVyxDQUFDLEdBQXdCO1FBQ2hELElBQUksQ0FBQyxZQUFZLENBQUMsUUFBUSxFQUFFO1lBQzFCLFlBQVksQ0FBQyxRQUFRLEdBQUcsSUFBSSxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDL0M7UUFFRCxPQUFPLFlBQVksQ0FBQyxRQUFRLENBQUM7SUFDL0IsQ0FBQztJQUtELFlBQVksR0FBd0I7UUFFbEMsSUFBSSxDQUFDLElBQUksR0FBRyxHQUFHLENBQUM7UUFDaEIsSUFBSSxDQUFDLE1BQU0sR0FBRyxJQUFJLG1CQUFHLENBQXNCLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDLENBQUM7UUFDekQsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNqQixDQUFDO0lBRVksYUFBYSxDQUFDLEdBQXdCLEVBQ3hCLFFBQWdCLEVBQ2hCLEdBQWdCOztZQUN6QyxNQUFNLEVBQUUsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQ2pDLE1BQU0sSUFBSSxHQUFHLE1BQU0sZUFBRSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUMxQyxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDO1lBQzNCLE1BQU0sVUFBVSxHQUFHLENBQUMsS0FBa0IsRUFBRSxFQUFFOztnQkFDeEMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUM7b0JBQzNCLENBQUMsQ0FBQyxDQUFBLE1BQUEsR0FBRyxDQUFDLFVBQVUsMENBQUUsTUFBTSxPQUFLLE1BQUEsS0FBSyxDQUFDLEdBQUcsQ0FBQyxVQUFVLDBDQUFFLE1BQU0sQ0FBQTtvQkFDekQsQ0FBQyxDQUFDLEtBQUssTUFBSyxLQUFLLGFBQUwsS0FBSyx1QkFBTCxLQUFLLENBQUUsWUFBWSxDQUFBLENBQUM7WUFDcEMsQ0FBQyxDQUFDO1lBRUYsTUFBTSxVQUFVLEdBQUcsTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUM3QyxNQUFNLGdCQUFnQixHQUFHLENBQUMsQ0FBQSxVQUFVLGFBQVYsVUFBVSx1QkFBVixVQUFVLENBQUUsV0FBVyxLQUFJLEVBQUUsQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUM7WUFDdEUsSUFBSSxDQUFDLFVBQVUsSUFBSSxVQUFVLENBQUMsVUFBVSxDQUFDLElBQUksZ0JBQWdCLEVBQUU7Z0JBQzdELE1BQU0sV0FBVyxHQUFHLE1BQU0sSUFBQSwyQkFBVyxFQUFDLEdBQUcsRUFBRSxRQUFRLENBQUMsQ0FBQztnQkFDckQsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsUUFBUSxFQUFFLFdBQVcsQ0FBQyxDQUFDO2dCQUM3RCxNQUFNLElBQUksR0FBRyxNQUFNLElBQUEseUJBQWtCLEVBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxHQUFHLEVBQUUsUUFBUSxDQUFDLENBQUM7Z0JBQ3BFLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsRUFBRTtvQkFDbEIsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDO29CQUNqQyxZQUFZLEVBQUUsS0FBSztvQkFDbkIsSUFBSTtvQkFDSixXQUFXO29CQUNYLEdBQUc7b0JBQ0gsUUFBUTtpQkFDVCxDQUFDLENBQUM7YUFDSjtZQUNELE9BQU8sSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDN0IsQ0FBQztLQUFBO0lBRU0sS0FBSztRQUNWLElBQUksQ0FBQyxNQUFNLEdBQUcsSUFBSSxtQkFBRyxDQUFzQixFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsQ0FBQyxDQUFDO0lBQzNELENBQUM7SUFFWSxJQUFJOztZQUNmLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFO2dCQUVoQixPQUFPO2FBQ1I7WUFDRCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ25DLE1BQU0sU0FBUyxHQUFHLHNCQUFTLENBQUMsd0JBQXdCLENBQUMsS0FBSyxFQUFFLGdCQUFPLENBQUMsQ0FBQztZQUNyRSxNQUFNLE9BQU8sR0FBRyxzQkFBUyxDQUFDLGtCQUFrQixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7WUFDN0QsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLE9BQU8sRUFBRSxTQUFTLEdBQUcsT0FBTyxDQUFDLENBQUM7WUFDakYsSUFBSTtnQkFDRixNQUFNLGVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pELE1BQU0saUJBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7YUFDM0U7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLHNCQUFzQixFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUMxQyxPQUFPO2FBQ1I7UUFDSCxDQUFDO0tBQUE7SUFFYSxJQUFJLENBQUMsR0FBd0I7O1lBQ3pDLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztZQUM3QixNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLHdCQUF3QixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7WUFDckUsTUFBTSxPQUFPLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1lBQzdELE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxPQUFPLEVBQUUsU0FBUyxHQUFHLE9BQU8sQ0FBQyxDQUFDO1lBQ2pGLElBQUk7Z0JBQ0YsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO2dCQUN6RCxNQUFNLElBQUksR0FBRyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsU0FBUyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7Z0JBQ3JFLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQzthQUNwQztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLElBQUksQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7b0JBQ2xDLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsc0JBQXNCLEVBQUUsR0FBRyxDQUFDLENBQUM7aUJBQzNDO2FBQ0Y7UUFDSCxDQUFDO0tBQUE7SUFFTyxVQUFVLENBQUMsR0FBd0IsRUFBRSxPQUFlLEVBQUUsV0FBcUI7UUFDakYsSUFBSTtZQUdGLE1BQU0sZ0JBQWdCLEdBQUcsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLFVBQVUsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUM7WUFHaEosT0FBTyxDQUFDLGdCQUFnQixDQUFDO1NBQzFCO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixHQUFHLENBQUMsZ0JBQWdCLENBQUM7Z0JBQ25CLElBQUksRUFBRSxPQUFPO2dCQUNiLE9BQU8sRUFBRSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLG9HQUFvRzthQUN2SSxDQUFDLENBQUM7WUFDSCxPQUFPLEtBQUssQ0FBQztTQUNkO0lBQ0gsQ0FBQztJQUVPLE1BQU0sQ0FBQyxRQUFnQjtRQUM3QixPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDL0MsQ0FBQzs7QUEzR0gsK0JBNEdDO0FBM0dnQixxQkFBUSxHQUFpQixJQUFJLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xyXG5pbXBvcnQgKiBhcyBwYXRoIGZyb20gJ3BhdGgnO1xyXG5pbXBvcnQgeyBmcywgbG9nLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcblxyXG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xyXG5pbXBvcnQgeyBsaXN0UGFja2FnZSB9IGZyb20gJy4vZGl2aW5lV3JhcHBlcic7XHJcbmltcG9ydCB7IElQYWtJbmZvIH0gZnJvbSAnLi90eXBlcyc7XHJcbmltcG9ydCB7IGV4dHJhY3RQYWtJbmZvSW1wbCwgbG9nRGVidWcgfSBmcm9tICcuL3V0aWwnO1xyXG5cclxuaW1wb3J0IExSVSBmcm9tICdscnUtY2FjaGUnO1xyXG5pbXBvcnQgeyBzZXRUaW1lb3V0IH0gZnJvbSAndGltZXJzL3Byb21pc2VzJztcclxuXHJcbmV4cG9ydCBpbnRlcmZhY2UgSUNhY2hlRW50cnkge1xyXG4gIGxhc3RNb2RpZmllZDogbnVtYmVyO1xyXG4gIGluZm86IElQYWtJbmZvO1xyXG4gIGZpbGVOYW1lOiBzdHJpbmc7XHJcbiAgcGFja2FnZUxpc3Q6IHN0cmluZ1tdO1xyXG4gIGlzTGlzdGVkOiBib29sZWFuO1xyXG4gIG1vZD86IHR5cGVzLklNb2Q7XHJcbn1cclxuXHJcbnR5cGUgSVBha01hcCA9IExSVTxzdHJpbmcsIElDYWNoZUVudHJ5PjtcclxuZXhwb3J0IGRlZmF1bHQgY2xhc3MgUGFrSW5mb0NhY2hlIHtcclxuICBwcml2YXRlIHN0YXRpYyBpbnN0YW5jZTogUGFrSW5mb0NhY2hlID0gbnVsbDtcclxuICBwdWJsaWMgc3RhdGljIGdldEluc3RhbmNlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFBha0luZm9DYWNoZSB7XHJcbiAgICBpZiAoIVBha0luZm9DYWNoZS5pbnN0YW5jZSkge1xyXG4gICAgICBQYWtJbmZvQ2FjaGUuaW5zdGFuY2UgPSBuZXcgUGFrSW5mb0NhY2hlKGFwaSk7XHJcbiAgICB9XHJcblxyXG4gICAgcmV0dXJuIFBha0luZm9DYWNoZS5pbnN0YW5jZTtcclxuICB9XHJcblxyXG4gIHByaXZhdGUgbUNhY2hlOiBJUGFrTWFwO1xyXG4gIHByaXZhdGUgbUFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaTtcclxuXHJcbiAgY29uc3RydWN0b3IoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XHJcbiAgICAvLyA3MDAgc2hvdWxkIGJlIGVub3VnaCBmb3IgZXZlcnlvbmUgSSBob3BlLlxyXG4gICAgdGhpcy5tQXBpID0gYXBpO1xyXG4gICAgdGhpcy5tQ2FjaGUgPSBuZXcgTFJVPHN0cmluZywgSUNhY2hlRW50cnk+KHsgbWF4OiA3MDAgfSk7XHJcbiAgICB0aGlzLmxvYWQoYXBpKTtcclxuICB9XHJcblxyXG4gIHB1YmxpYyBhc3luYyBnZXRDYWNoZUVudHJ5KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICBmaWxlUGF0aDogc3RyaW5nLFxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgIG1vZD86IHR5cGVzLklNb2QpOiBQcm9taXNlPElDYWNoZUVudHJ5PiB7XHJcbiAgICBjb25zdCBpZCA9IHRoaXMuZmlsZUlkKGZpbGVQYXRoKTtcclxuICAgIGNvbnN0IHN0YXQgPSBhd2FpdCBmcy5zdGF0QXN5bmMoZmlsZVBhdGgpO1xyXG4gICAgY29uc3QgY3RpbWUgPSBzdGF0LmN0aW1lTXM7XHJcbiAgICBjb25zdCBoYXNDaGFuZ2VkID0gKGVudHJ5OiBJQ2FjaGVFbnRyeSkgPT4ge1xyXG4gICAgICByZXR1cm4gKCEhbW9kICYmICEhZW50cnkubW9kKVxyXG4gICAgICAgID8gbW9kLmF0dHJpYnV0ZXM/LmZpbGVJZCAhPT0gZW50cnkubW9kLmF0dHJpYnV0ZXM/LmZpbGVJZFxyXG4gICAgICAgIDogY3RpbWUgIT09IGVudHJ5Py5sYXN0TW9kaWZpZWQ7XHJcbiAgICB9O1xyXG5cclxuICAgIGNvbnN0IGNhY2hlRW50cnkgPSBhd2FpdCB0aGlzLm1DYWNoZS5nZXQoaWQpO1xyXG4gICAgY29uc3QgcGFja2FnZU5vdExpc3RlZCA9IChjYWNoZUVudHJ5Py5wYWNrYWdlTGlzdCB8fCBbXSkubGVuZ3RoID09PSAwO1xyXG4gICAgaWYgKCFjYWNoZUVudHJ5IHx8IGhhc0NoYW5nZWQoY2FjaGVFbnRyeSkgfHwgcGFja2FnZU5vdExpc3RlZCkge1xyXG4gICAgICBjb25zdCBwYWNrYWdlTGlzdCA9IGF3YWl0IGxpc3RQYWNrYWdlKGFwaSwgZmlsZVBhdGgpO1xyXG4gICAgICBjb25zdCBpc0xpc3RlZCA9IHRoaXMuaXNMT0xpc3RlZChhcGksIGZpbGVQYXRoLCBwYWNrYWdlTGlzdCk7XHJcbiAgICAgIGNvbnN0IGluZm8gPSBhd2FpdCBleHRyYWN0UGFrSW5mb0ltcGwoYXBpLCBmaWxlUGF0aCwgbW9kLCBpc0xpc3RlZCk7XHJcbiAgICAgIHRoaXMubUNhY2hlLnNldChpZCwge1xyXG4gICAgICAgIGZpbGVOYW1lOiBwYXRoLmJhc2VuYW1lKGZpbGVQYXRoKSxcclxuICAgICAgICBsYXN0TW9kaWZpZWQ6IGN0aW1lLFxyXG4gICAgICAgIGluZm8sXHJcbiAgICAgICAgcGFja2FnZUxpc3QsXHJcbiAgICAgICAgbW9kLFxyXG4gICAgICAgIGlzTGlzdGVkLFxyXG4gICAgICB9KTtcclxuICAgIH1cclxuICAgIHJldHVybiB0aGlzLm1DYWNoZS5nZXQoaWQpO1xyXG4gIH1cclxuXHJcbiAgcHVibGljIHJlc2V0KCkge1xyXG4gICAgdGhpcy5tQ2FjaGUgPSBuZXcgTFJVPHN0cmluZywgSUNhY2hlRW50cnk+KHsgbWF4OiA3MDAgfSk7XHJcbiAgfVxyXG5cclxuICBwdWJsaWMgYXN5bmMgc2F2ZSgpIHtcclxuICAgIGlmICghdGhpcy5tQ2FjaGUpIHtcclxuICAgICAgLy8gTm90aGluZyB0byBzYXZlLlxyXG4gICAgICByZXR1cm47XHJcbiAgICB9XHJcbiAgICBjb25zdCBzdGF0ZSA9IHRoaXMubUFwaS5nZXRTdGF0ZSgpO1xyXG4gICAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmxhc3RBY3RpdmVQcm9maWxlRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XHJcbiAgICBjb25zdCBzdGFnaW5nID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XHJcbiAgICBjb25zdCBjYWNoZVBhdGggPSBwYXRoLmpvaW4ocGF0aC5kaXJuYW1lKHN0YWdpbmcpLCAnY2FjaGUnLCBwcm9maWxlSWQgKyAnLmpzb24nKTtcclxuICAgIHRyeSB7XHJcbiAgICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5kaXJuYW1lKGNhY2hlUGF0aCkpO1xyXG4gICAgICBhd2FpdCB1dGlsLndyaXRlRmlsZUF0b21pYyhjYWNoZVBhdGgsIEpTT04uc3RyaW5naWZ5KHRoaXMubUNhY2hlLmR1bXAoKSkpO1xyXG4gICAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIHNhdmUgY2FjaGUnLCBlcnIpO1xyXG4gICAgICByZXR1cm47XHJcbiAgICB9XHJcbiAgfVxyXG5cclxuICBwcml2YXRlIGFzeW5jIGxvYWQoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogUHJvbWlzZTx2b2lkPiB7XHJcbiAgICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xyXG4gICAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmxhc3RBY3RpdmVQcm9maWxlRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XHJcbiAgICBjb25zdCBzdGFnaW5nID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XHJcbiAgICBjb25zdCBjYWNoZVBhdGggPSBwYXRoLmpvaW4ocGF0aC5kaXJuYW1lKHN0YWdpbmcpLCAnY2FjaGUnLCBwcm9maWxlSWQgKyAnLmpzb24nKTtcclxuICAgIHRyeSB7XHJcbiAgICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5kaXJuYW1lKGNhY2hlUGF0aCkpO1xyXG4gICAgICBjb25zdCBkYXRhID0gYXdhaXQgZnMucmVhZEZpbGVBc3luYyhjYWNoZVBhdGgsIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KTtcclxuICAgICAgdGhpcy5tQ2FjaGUubG9hZChKU09OLnBhcnNlKGRhdGEpKTtcclxuICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICBpZiAoIVsnRU5PRU5UJ10uaW5jbHVkZXMoZXJyLmNvZGUpKSB7XHJcbiAgICAgICAgbG9nKCdlcnJvcicsICdmYWlsZWQgdG8gbG9hZCBjYWNoZScsIGVycik7XHJcbiAgICAgIH1cclxuICAgIH1cclxuICB9XHJcblxyXG4gIHByaXZhdGUgaXNMT0xpc3RlZChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIHBha1BhdGg6IHN0cmluZywgcGFja2FnZUxpc3Q6IHN0cmluZ1tdKTogYm9vbGVhbiB7XHJcbiAgICB0cnkge1xyXG4gICAgICAvLyBsb29rIGF0IHRoZSBlbmQgb2YgdGhlIGZpcnN0IGJpdCBvZiBkYXRhIHRvIHNlZSBpZiBpdCBoYXMgYSBtZXRhLmxzeCBmaWxlXHJcbiAgICAgIC8vIGV4YW1wbGUgJ01vZHMvU2FmZSBFZGl0aW9uL21ldGEubHN4XFx0MTc1OVxcdDAnXHJcbiAgICAgIGNvbnN0IGNvbnRhaW5zTWV0YUZpbGUgPSBwYWNrYWdlTGlzdC5maW5kKGxpbmUgPT4gcGF0aC5iYXNlbmFtZShsaW5lLnNwbGl0KCdcXHQnKVswXSkudG9Mb3dlckNhc2UoKSA9PT0gJ21ldGEubHN4JykgIT09IHVuZGVmaW5lZCA/IHRydWUgOiBmYWxzZTtcclxuXHJcbiAgICAgIC8vIGludmVydCByZXN1bHQgYXMgJ2xpc3RlZCcgbWVhbnMgaXQgZG9lc24ndCBjb250YWluIGEgbWV0YSBmaWxlLlxyXG4gICAgICByZXR1cm4gIWNvbnRhaW5zTWV0YUZpbGU7XHJcbiAgICB9IGNhdGNoIChlcnIpIHtcclxuICAgICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xyXG4gICAgICAgIHR5cGU6ICdlcnJvcicsXHJcbiAgICAgICAgbWVzc2FnZTogYCR7cGF0aC5iYXNlbmFtZShwYWtQYXRoKX0gY291bGRuJ3QgYmUgcmVhZCBjb3JyZWN0bHkuIFRoaXMgbW9kIGJlIGluY29ycmVjdGx5IGxvY2tlZC91bmxvY2tlZCBidXQgd2lsbCBkZWZhdWx0IHRvIHVubG9ja2VkLmAsXHJcbiAgICAgIH0pO1xyXG4gICAgICByZXR1cm4gZmFsc2U7ICAgIFxyXG4gICAgfVxyXG4gIH1cclxuXHJcbiAgcHJpdmF0ZSBmaWxlSWQoZmlsZVBhdGg6IHN0cmluZyk6IHN0cmluZyB7XHJcbiAgICByZXR1cm4gcGF0aC5iYXNlbmFtZShmaWxlUGF0aCkudG9VcHBlckNhc2UoKTtcclxuICB9XHJcbn1cclxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2FjaGUuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJjYWNoZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQ0EsMkNBQTZCO0FBQzdCLDJDQUE2RDtBQUU3RCxxQ0FBbUM7QUFDbkMsbURBQThDO0FBRTlDLGlDQUFzRDtBQUV0RCwwREFBNEI7QUFhNUIsTUFBcUIsWUFBWTtJQUV4QixNQUFNLENBQUMsV0FBVyxDQUFDLEdBQXdCO1FBQ2hELElBQUksQ0FBQyxZQUFZLENBQUMsUUFBUSxFQUFFO1lBQzFCLFlBQVksQ0FBQyxRQUFRLEdBQUcsSUFBSSxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDL0M7UUFFRCxPQUFPLFlBQVksQ0FBQyxRQUFRLENBQUM7SUFDL0IsQ0FBQztJQUtELFlBQVksR0FBd0I7UUFFbEMsSUFBSSxDQUFDLElBQUksR0FBRyxHQUFHLENBQUM7UUFDaEIsSUFBSSxDQUFDLE1BQU0sR0FBRyxJQUFJLG1CQUFHLENBQXNCLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDLENBQUM7UUFDekQsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNqQixDQUFDO0lBRVksYUFBYSxDQUFDLEdBQXdCLEVBQ3hCLFFBQWdCLEVBQ2hCLEdBQWdCOzs7WUFDekMsTUFBTSxFQUFFLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUNqQyxNQUFNLElBQUksR0FBRyxNQUFNLGVBQUUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDMUMsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQztZQUMzQixNQUFNLFVBQVUsR0FBRyxDQUFDLEtBQWtCLEVBQUUsRUFBRTs7Z0JBQ3hDLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDO29CQUMzQixDQUFDLENBQUMsQ0FBQSxNQUFBLEdBQUcsQ0FBQyxVQUFVLDBDQUFFLE1BQU0sT0FBSyxNQUFBLEtBQUssQ0FBQyxHQUFHLENBQUMsVUFBVSwwQ0FBRSxNQUFNLENBQUE7b0JBQ3pELENBQUMsQ0FBQyxLQUFLLE1BQUssS0FBSyxhQUFMLEtBQUssdUJBQUwsS0FBSyxDQUFFLFlBQVksQ0FBQSxDQUFDO1lBQ3BDLENBQUMsQ0FBQztZQUVGLE1BQU0sVUFBVSxHQUFHLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDN0MsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLENBQUEsVUFBVSxhQUFWLFVBQVUsdUJBQVYsVUFBVSxDQUFFLFdBQVcsS0FBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDO1lBRXRFLE1BQU0sbUJBQW1CLEdBQUcsQ0FBQSxNQUFBLFVBQVUsYUFBVixVQUFVLHVCQUFWLFVBQVUsQ0FBRSxJQUFJLDBDQUFFLFlBQVksTUFBSyxTQUFTLENBQUM7WUFDekUsSUFBSSxDQUFDLFVBQVUsSUFBSSxVQUFVLENBQUMsVUFBVSxDQUFDLElBQUksZ0JBQWdCLElBQUksbUJBQW1CLEVBQUU7Z0JBQ3BGLE1BQU0sV0FBVyxHQUFHLE1BQU0sSUFBQSwyQkFBVyxFQUFDLEdBQUcsRUFBRSxRQUFRLENBQUMsQ0FBQztnQkFDckQsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsUUFBUSxFQUFFLFdBQVcsQ0FBQyxDQUFDO2dCQUM3RCxNQUFNLElBQUksR0FBRyxNQUFNLElBQUEseUJBQWtCLEVBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxHQUFHLEVBQUUsUUFBUSxDQUFDLENBQUM7Z0JBQ3BFLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsRUFBRTtvQkFDbEIsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDO29CQUNqQyxZQUFZLEVBQUUsS0FBSztvQkFDbkIsSUFBSTtvQkFDSixXQUFXO29CQUNYLEdBQUc7b0JBQ0gsUUFBUTtpQkFDVCxDQUFDLENBQUM7YUFDSjtZQUNELE9BQU8sSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7O0tBQzVCO0lBRU0sS0FBSztRQUNWLElBQUksQ0FBQyxNQUFNLEdBQUcsSUFBSSxtQkFBRyxDQUFzQixFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsQ0FBQyxDQUFDO0lBQzNELENBQUM7SUFFWSxJQUFJOztZQUNmLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFO2dCQUVoQixPQUFPO2FBQ1I7WUFDRCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ25DLE1BQU0sU0FBUyxHQUFHLHNCQUFTLENBQUMsd0JBQXdCLENBQUMsS0FBSyxFQUFFLGdCQUFPLENBQUMsQ0FBQztZQUNyRSxNQUFNLE9BQU8sR0FBRyxzQkFBUyxDQUFDLGtCQUFrQixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7WUFDN0QsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLE9BQU8sRUFBRSxTQUFTLEdBQUcsT0FBTyxDQUFDLENBQUM7WUFDakYsSUFBSTtnQkFDRixNQUFNLGVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pELE1BQU0saUJBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7YUFDM0U7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLHNCQUFzQixFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUMxQyxPQUFPO2FBQ1I7UUFDSCxDQUFDO0tBQUE7SUFFYSxJQUFJLENBQUMsR0FBd0I7O1lBQ3pDLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztZQUM3QixNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLHdCQUF3QixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7WUFDckUsTUFBTSxPQUFPLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1lBQzdELE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxPQUFPLEVBQUUsU0FBUyxHQUFHLE9BQU8sQ0FBQyxDQUFDO1lBQ2pGLElBQUk7Z0JBQ0YsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO2dCQUN6RCxNQUFNLElBQUksR0FBRyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsU0FBUyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7Z0JBQ3JFLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQzthQUNwQztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLElBQUksQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7b0JBQ2xDLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsc0JBQXNCLEVBQUUsR0FBRyxDQUFDLENBQUM7aUJBQzNDO2FBQ0Y7UUFDSCxDQUFDO0tBQUE7SUFFTyxVQUFVLENBQUMsR0FBd0IsRUFBRSxPQUFlLEVBQUUsV0FBcUI7UUFDakYsSUFBSTtZQUdGLE1BQU0sZ0JBQWdCLEdBQUcsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLFVBQVUsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUM7WUFHaEosT0FBTyxDQUFDLGdCQUFnQixDQUFDO1NBQzFCO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixHQUFHLENBQUMsZ0JBQWdCLENBQUM7Z0JBQ25CLElBQUksRUFBRSxPQUFPO2dCQUNiLE9BQU8sRUFBRSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLG9HQUFvRzthQUN2SSxDQUFDLENBQUM7WUFDSCxPQUFPLEtBQUssQ0FBQztTQUNkO0lBQ0gsQ0FBQztJQUVPLE1BQU0sQ0FBQyxRQUFnQjtRQUM3QixPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDL0MsQ0FBQzs7QUE3R0gsK0JBOEdDO0FBN0dnQixxQkFBUSxHQUFpQixJQUFJLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xuaW1wb3J0ICogYXMgcGF0aCBmcm9tICdwYXRoJztcbmltcG9ydCB7IGZzLCBsb2csIHNlbGVjdG9ycywgdHlwZXMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcblxuaW1wb3J0IHsgR0FNRV9JRCB9IGZyb20gJy4vY29tbW9uJztcbmltcG9ydCB7IGxpc3RQYWNrYWdlIH0gZnJvbSAnLi9kaXZpbmVXcmFwcGVyJztcbmltcG9ydCB7IElQYWtJbmZvIH0gZnJvbSAnLi90eXBlcyc7XG5pbXBvcnQgeyBleHRyYWN0UGFrSW5mb0ltcGwsIGxvZ0RlYnVnIH0gZnJvbSAnLi91dGlsJztcblxuaW1wb3J0IExSVSBmcm9tICdscnUtY2FjaGUnO1xuaW1wb3J0IHsgc2V0VGltZW91dCB9IGZyb20gJ3RpbWVycy9wcm9taXNlcyc7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUNhY2hlRW50cnkge1xuICBsYXN0TW9kaWZpZWQ6IG51bWJlcjtcbiAgaW5mbzogSVBha0luZm87XG4gIGZpbGVOYW1lOiBzdHJpbmc7XG4gIHBhY2thZ2VMaXN0OiBzdHJpbmdbXTtcbiAgaXNMaXN0ZWQ6IGJvb2xlYW47XG4gIG1vZD86IHR5cGVzLklNb2Q7XG59XG5cbnR5cGUgSVBha01hcCA9IExSVTxzdHJpbmcsIElDYWNoZUVudHJ5PjtcbmV4cG9ydCBkZWZhdWx0IGNsYXNzIFBha0luZm9DYWNoZSB7XG4gIHByaXZhdGUgc3RhdGljIGluc3RhbmNlOiBQYWtJbmZvQ2FjaGUgPSBudWxsO1xuICBwdWJsaWMgc3RhdGljIGdldEluc3RhbmNlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFBha0luZm9DYWNoZSB7XG4gICAgaWYgKCFQYWtJbmZvQ2FjaGUuaW5zdGFuY2UpIHtcbiAgICAgIFBha0luZm9DYWNoZS5pbnN0YW5jZSA9IG5ldyBQYWtJbmZvQ2FjaGUoYXBpKTtcbiAgICB9XG5cbiAgICByZXR1cm4gUGFrSW5mb0NhY2hlLmluc3RhbmNlO1xuICB9XG5cbiAgcHJpdmF0ZSBtQ2FjaGU6IElQYWtNYXA7XG4gIHByaXZhdGUgbUFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaTtcblxuICBjb25zdHJ1Y3RvcihhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcbiAgICAvLyA3MDAgc2hvdWxkIGJlIGVub3VnaCBmb3IgZXZlcnlvbmUgSSBob3BlLlxuICAgIHRoaXMubUFwaSA9IGFwaTtcbiAgICB0aGlzLm1DYWNoZSA9IG5ldyBMUlU8c3RyaW5nLCBJQ2FjaGVFbnRyeT4oeyBtYXg6IDcwMCB9KTtcbiAgICB0aGlzLmxvYWQoYXBpKTtcbiAgfVxuXG4gIHB1YmxpYyBhc3luYyBnZXRDYWNoZUVudHJ5KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgZmlsZVBhdGg6IHN0cmluZyxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgbW9kPzogdHlwZXMuSU1vZCk6IFByb21pc2U8SUNhY2hlRW50cnk+IHtcbiAgICBjb25zdCBpZCA9IHRoaXMuZmlsZUlkKGZpbGVQYXRoKTtcbiAgICBjb25zdCBzdGF0ID0gYXdhaXQgZnMuc3RhdEFzeW5jKGZpbGVQYXRoKTtcbiAgICBjb25zdCBjdGltZSA9IHN0YXQuY3RpbWVNcztcbiAgICBjb25zdCBoYXNDaGFuZ2VkID0gKGVudHJ5OiBJQ2FjaGVFbnRyeSkgPT4ge1xuICAgICAgcmV0dXJuICghIW1vZCAmJiAhIWVudHJ5Lm1vZClcbiAgICAgICAgPyBtb2QuYXR0cmlidXRlcz8uZmlsZUlkICE9PSBlbnRyeS5tb2QuYXR0cmlidXRlcz8uZmlsZUlkXG4gICAgICAgIDogY3RpbWUgIT09IGVudHJ5Py5sYXN0TW9kaWZpZWQ7XG4gICAgfTtcblxuICAgIGNvbnN0IGNhY2hlRW50cnkgPSBhd2FpdCB0aGlzLm1DYWNoZS5nZXQoaWQpO1xuICAgIGNvbnN0IHBhY2thZ2VOb3RMaXN0ZWQgPSAoY2FjaGVFbnRyeT8ucGFja2FnZUxpc3QgfHwgW10pLmxlbmd0aCA9PT0gMDtcbiAgICAvLyBlbnRyaWVzIGNhY2hlZCBieSBvbGRlciB2ZXJzaW9ucyBkb24ndCBjb250YWluIHRoZSBkZXBlbmRlbmN5IGluZm9ybWF0aW9uXG4gICAgY29uc3QgbWlzc2luZ0RlcGVuZGVuY2llcyA9IGNhY2hlRW50cnk/LmluZm8/LmRlcGVuZGVuY2llcyA9PT0gdW5kZWZpbmVkO1xuICAgIGlmICghY2FjaGVFbnRyeSB8fCBoYXNDaGFuZ2VkKGNhY2hlRW50cnkpIHx8IHBhY2thZ2VOb3RMaXN0ZWQgfHwgbWlzc2luZ0RlcGVuZGVuY2llcykge1xuICAgICAgY29uc3QgcGFja2FnZUxpc3QgPSBhd2FpdCBsaXN0UGFja2FnZShhcGksIGZpbGVQYXRoKTtcbiAgICAgIGNvbnN0IGlzTGlzdGVkID0gdGhpcy5pc0xPTGlzdGVkKGFwaSwgZmlsZVBhdGgsIHBhY2thZ2VMaXN0KTtcbiAgICAgIGNvbnN0IGluZm8gPSBhd2FpdCBleHRyYWN0UGFrSW5mb0ltcGwoYXBpLCBmaWxlUGF0aCwgbW9kLCBpc0xpc3RlZCk7XG4gICAgICB0aGlzLm1DYWNoZS5zZXQoaWQsIHtcbiAgICAgICAgZmlsZU5hbWU6IHBhdGguYmFzZW5hbWUoZmlsZVBhdGgpLFxuICAgICAgICBsYXN0TW9kaWZpZWQ6IGN0aW1lLFxuICAgICAgICBpbmZvLFxuICAgICAgICBwYWNrYWdlTGlzdCxcbiAgICAgICAgbW9kLFxuICAgICAgICBpc0xpc3RlZCxcbiAgICAgIH0pO1xuICAgIH1cbiAgICByZXR1cm4gdGhpcy5tQ2FjaGUuZ2V0KGlkKTtcbiAgfVxuXG4gIHB1YmxpYyByZXNldCgpIHtcbiAgICB0aGlzLm1DYWNoZSA9IG5ldyBMUlU8c3RyaW5nLCBJQ2FjaGVFbnRyeT4oeyBtYXg6IDcwMCB9KTtcbiAgfVxuXG4gIHB1YmxpYyBhc3luYyBzYXZlKCkge1xuICAgIGlmICghdGhpcy5tQ2FjaGUpIHtcbiAgICAgIC8vIE5vdGhpbmcgdG8gc2F2ZS5cbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgY29uc3Qgc3RhdGUgPSB0aGlzLm1BcGkuZ2V0U3RhdGUoKTtcbiAgICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMubGFzdEFjdGl2ZVByb2ZpbGVGb3JHYW1lKHN0YXRlLCBHQU1FX0lEKTtcbiAgICBjb25zdCBzdGFnaW5nID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XG4gICAgY29uc3QgY2FjaGVQYXRoID0gcGF0aC5qb2luKHBhdGguZGlybmFtZShzdGFnaW5nKSwgJ2NhY2hlJywgcHJvZmlsZUlkICsgJy5qc29uJyk7XG4gICAgdHJ5IHtcbiAgICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5kaXJuYW1lKGNhY2hlUGF0aCkpO1xuICAgICAgYXdhaXQgdXRpbC53cml0ZUZpbGVBdG9taWMoY2FjaGVQYXRoLCBKU09OLnN0cmluZ2lmeSh0aGlzLm1DYWNoZS5kdW1wKCkpKTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIHNhdmUgY2FjaGUnLCBlcnIpO1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgfVxuXG4gIHByaXZhdGUgYXN5bmMgbG9hZChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPHZvaWQ+IHtcbiAgICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICAgIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5sYXN0QWN0aXZlUHJvZmlsZUZvckdhbWUoc3RhdGUsIEdBTUVfSUQpO1xuICAgIGNvbnN0IHN0YWdpbmcgPSBzZWxlY3RvcnMuaW5zdGFsbFBhdGhGb3JHYW1lKHN0YXRlLCBHQU1FX0lEKTtcbiAgICBjb25zdCBjYWNoZVBhdGggPSBwYXRoLmpvaW4ocGF0aC5kaXJuYW1lKHN0YWdpbmcpLCAnY2FjaGUnLCBwcm9maWxlSWQgKyAnLmpzb24nKTtcbiAgICB0cnkge1xuICAgICAgYXdhaXQgZnMuZW5zdXJlRGlyV3JpdGFibGVBc3luYyhwYXRoLmRpcm5hbWUoY2FjaGVQYXRoKSk7XG4gICAgICBjb25zdCBkYXRhID0gYXdhaXQgZnMucmVhZEZpbGVBc3luYyhjYWNoZVBhdGgsIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KTtcbiAgICAgIHRoaXMubUNhY2hlLmxvYWQoSlNPTi5wYXJzZShkYXRhKSk7XG4gICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICBpZiAoIVsnRU5PRU5UJ10uaW5jbHVkZXMoZXJyLmNvZGUpKSB7XG4gICAgICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIGxvYWQgY2FjaGUnLCBlcnIpO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHByaXZhdGUgaXNMT0xpc3RlZChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIHBha1BhdGg6IHN0cmluZywgcGFja2FnZUxpc3Q6IHN0cmluZ1tdKTogYm9vbGVhbiB7XG4gICAgdHJ5IHtcbiAgICAgIC8vIGxvb2sgYXQgdGhlIGVuZCBvZiB0aGUgZmlyc3QgYml0IG9mIGRhdGEgdG8gc2VlIGlmIGl0IGhhcyBhIG1ldGEubHN4IGZpbGVcbiAgICAgIC8vIGV4YW1wbGUgJ01vZHMvU2FmZSBFZGl0aW9uL21ldGEubHN4XFx0MTc1OVxcdDAnXG4gICAgICBjb25zdCBjb250YWluc01ldGFGaWxlID0gcGFja2FnZUxpc3QuZmluZChsaW5lID0+IHBhdGguYmFzZW5hbWUobGluZS5zcGxpdCgnXFx0JylbMF0pLnRvTG93ZXJDYXNlKCkgPT09ICdtZXRhLmxzeCcpICE9PSB1bmRlZmluZWQgPyB0cnVlIDogZmFsc2U7XG5cbiAgICAgIC8vIGludmVydCByZXN1bHQgYXMgJ2xpc3RlZCcgbWVhbnMgaXQgZG9lc24ndCBjb250YWluIGEgbWV0YSBmaWxlLlxuICAgICAgcmV0dXJuICFjb250YWluc01ldGFGaWxlO1xuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgICAgICB0eXBlOiAnZXJyb3InLFxuICAgICAgICBtZXNzYWdlOiBgJHtwYXRoLmJhc2VuYW1lKHBha1BhdGgpfSBjb3VsZG4ndCBiZSByZWFkIGNvcnJlY3RseS4gVGhpcyBtb2QgYmUgaW5jb3JyZWN0bHkgbG9ja2VkL3VubG9ja2VkIGJ1dCB3aWxsIGRlZmF1bHQgdG8gdW5sb2NrZWQuYCxcbiAgICAgIH0pO1xuICAgICAgcmV0dXJuIGZhbHNlOyAgICBcbiAgICB9XG4gIH1cblxuICBwcml2YXRlIGZpbGVJZChmaWxlUGF0aDogc3RyaW5nKTogc3RyaW5nIHtcbiAgICByZXR1cm4gcGF0aC5iYXNlbmFtZShmaWxlUGF0aCkudG9VcHBlckNhc2UoKTtcbiAgfVxufVxuIl19
\ No newline at end of file
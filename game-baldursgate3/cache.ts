@@ -54,7 +54,9 @@ export default class PakInfoCache {
 
     const cacheEntry = await this.mCache.get(id);
     const packageNotListed = (cacheEntry?.packageList || []).length === 0;
-    if (!cacheEntry || hasChanged(cacheEntry) || packageNotListed) {
+    // entries cached by older versions don't contain the dependency information
+    const missingDependencies = cacheEntry?.info?.dependencies === undefined;
+    if (!cacheEntry || hasChanged(cacheEntry) || packageNotListed || missingDependencies) {
       const packageList = await listPackage(api, filePath);
       const isListed = this.isLOListed(api, filePath, packageList);
       const info = await extractPakInfoImpl(api, filePath, mod, isListed);
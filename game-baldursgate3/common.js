@@ -3,7 +3,7 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.NOTIF_IMPORT_ACTIVITY = exports.LSLIB_FILES = exports.ORIGINAL_FILES = exports.MOD_TYPE_LOOSE = exports.MOD_TYPE_REPLACER = exports.MOD_TYPE_BG3SE = exports.MOD_TYPE_LSLIB = exports.IGNORE_PATTERNS = exports.INVALID_LO_MOD_TYPES = exports.LO_FILE_NAME = exports.LSLIB_URL = exports.DEBUG = exports.GAME_ID = exports.DEFAULT_MOD_SETTINGS = void 0;
+exports.GAME_MODULES = exports.NOTIF_MISSING_DEPENDENCIES = exports.NOTIF_IMPORT_ACTIVITY = exports.LSLIB_FILES = exports.ORIGINAL_FILES = exports.MOD_TYPE_LOOSE = exports.MOD_TYPE_REPLACER = exports.MOD_TYPE_BG3SE = exports.MOD_TYPE_LSLIB = exports.IGNORE_PATTERNS = exports.INVALID_LO_MOD_TYPES = exports.LO_FILE_NAME = exports.LSLIB_URL = exports.DEBUG = exports.GAME_ID = exports.DEFAULT_MOD_SETTINGS = void 0;
 const path_1 = __importDefault(require("path"));
 exports.DEFAULT_MOD_SETTINGS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <save>
@@ -67,4 +67,15 @@ exports.LSLIB_FILES = new Set([
     'lslib.dll',
 ]);
 exports.NOTIF_IMPORT_ACTIVITY = 'bg3-loadorder-import-activity';
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29tbW9uLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiY29tbW9uLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7OztBQUFBLGdEQUF3QjtBQUNYLFFBQUEsb0JBQW9CLEdBQUc7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O1FBdUI1QixDQUFDO0FBQ0ksUUFBQSxPQUFPLEdBQUcsY0FBYyxDQUFDO0FBQ3pCLFFBQUEsS0FBSyxHQUFHLEtBQUssQ0FBQztBQUNkLFFBQUEsU0FBUyxHQUFHLGtDQUFrQyxDQUFDO0FBQy9DLFFBQUEsWUFBWSxHQUFHLGdCQUFnQixDQUFDO0FBQ2hDLFFBQUEsb0JBQW9CLEdBQUcsQ0FBQyx1QkFBdUIsRUFBRSxXQUFXLEVBQUUsY0FBYyxFQUFFLFdBQVcsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUVyRyxRQUFBLGVBQWUsR0FBRztJQUM3QixjQUFJLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxXQUFXLENBQUM7Q0FDN0IsQ0FBQztBQUNXLFFBQUEsY0FBYyxHQUFHLHVCQUF1QixDQUFDO0FBQ3pDLFFBQUEsY0FBYyxHQUFHLFdBQVcsQ0FBQztBQUM3QixRQUFBLGlCQUFpQixHQUFHLGNBQWMsQ0FBQztBQUNuQyxRQUFBLGNBQWMsR0FBRyxXQUFXLENBQUM7QUFFN0IsUUFBQSxjQUFjLEdBQUcsSUFBSSxHQUFHLENBQUM7SUFDcEMsWUFBWTtJQUNaLFlBQVk7SUFDWixhQUFhO0lBQ2IsWUFBWTtJQUNaLG1CQUFtQjtJQUNuQixVQUFVO0lBQ1Ysa0JBQWtCO0lBQ2xCLFlBQVk7SUFDWixxQkFBcUI7SUFDckIsV0FBVztJQUNYLFlBQVk7SUFDWixlQUFlO0lBQ2YsY0FBYztJQUNkLFlBQVk7SUFDWixZQUFZO0lBQ1osc0JBQXNCO0lBQ3RCLGtCQUFrQjtJQUNsQixjQUFjO0lBQ2QscUJBQXFCO0NBQ3RCLENBQUMsQ0FBQztBQUVVLFFBQUEsV0FBVyxHQUFHLElBQUksR0FBRyxDQUFDO0lBQ2pDLFlBQVk7SUFDWixXQUFXO0NBQ1osQ0FBQyxDQUFDO0FBRVUsUUFBQSxxQkFBcUIsR0FBRywrQkFBK0IsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xyXG5leHBvcnQgY29uc3QgREVGQVVMVF9NT0RfU0VUVElOR1MgPSBgPD94bWwgdmVyc2lvbj1cIjEuMFwiIGVuY29kaW5nPVwiVVRGLThcIiBzdGFuZGFsb25lPVwieWVzXCI/PlxyXG48c2F2ZT5cclxuICA8dmVyc2lvbiBtYWpvcj1cIjRcIiBtaW5vcj1cIjBcIiByZXZpc2lvbj1cIjEwXCIgYnVpbGQ9XCIxMDBcIi8+XHJcbiAgPHJlZ2lvbiBpZD1cIk1vZHVsZVNldHRpbmdzXCI+XHJcbiAgICA8bm9kZSBpZD1cInJvb3RcIj5cclxuICAgICAgPGNoaWxkcmVuPlxyXG4gICAgICAgIDxub2RlIGlkPVwiTW9kT3JkZXJcIj5cclxuICAgICAgICAgIDxjaGlsZHJlbi8+XHJcbiAgICAgICAgPC9ub2RlPlxyXG4gICAgICAgIDxub2RlIGlkPVwiTW9kc1wiPlxyXG4gICAgICAgICAgPGNoaWxkcmVuPlxyXG4gICAgICAgICAgICA8bm9kZSBpZD1cIk1vZHVsZVNob3J0RGVzY1wiPlxyXG4gICAgICAgICAgICAgIDxhdHRyaWJ1dGUgaWQ9XCJGb2xkZXJcIiB0eXBlPVwiTFNTdHJpbmdcIiB2YWx1ZT1cIkd1c3RhdkRldlwiLz5cclxuICAgICAgICAgICAgICA8YXR0cmlidXRlIGlkPVwiTUQ1XCIgdHlwZT1cIkxTU3RyaW5nXCIgdmFsdWU9XCJcIi8+XHJcbiAgICAgICAgICAgICAgPGF0dHJpYnV0ZSBpZD1cIk5hbWVcIiB0eXBlPVwiTFNTdHJpbmdcIiB2YWx1ZT1cIkd1c3RhdkRldlwiLz5cclxuICAgICAgICAgICAgICA8YXR0cmlidXRlIGlkPVwiVVVJRFwiIHR5cGU9XCJGaXhlZFN0cmluZ1wiIHZhbHVlPVwiMjhhYzljZTItMmFiYS04Y2RhLWIzYjUtNmU5MjJmNzFiNmI4XCIvPlxyXG4gICAgICAgICAgICAgIDxhdHRyaWJ1dGUgaWQ9XCJWZXJzaW9uNjRcIiB0eXBlPVwiaW50NjRcIiB2YWx1ZT1cIjM2MDI4Nzk3MDE4OTYzOTY4XCIvPlxyXG4gICAgICAgICAgICA8L25vZGU+XHJcbiAgICAgICAgICA8L2NoaWxkcmVuPlxyXG4gICAgICAgIDwvbm9kZT5cclxuICAgICAgPC9jaGlsZHJlbj5cclxuICAgIDwvbm9kZT5cclxuICA8L3JlZ2lvbj5cclxuPC9zYXZlPmA7XHJcbmV4cG9ydCBjb25zdCBHQU1FX0lEID0gJ2JhbGR1cnNnYXRlMyc7XHJcbmV4cG9ydCBjb25zdCBERUJVRyA9IGZhbHNlO1xyXG5leHBvcnQgY29uc3QgTFNMSUJfVVJMID0gJ2h0dHBzOi8vZ2l0aHViLmNvbS9Ob3JieXRlL2xzbGliJztcclxuZXhwb3J0IGNvbnN0IExPX0ZJTEVfTkFNRSA9ICdsb2FkT3JkZXIuanNvbic7XHJcbmV4cG9ydCBjb25zdCBJTlZBTElEX0xPX01PRF9UWVBFUyA9IFsnYmczLWxzbGliLWRpdmluZS10b29sJywgJ2JnMy1iZzNzZScsICdiZzMtcmVwbGFjZXInLCAnYmczLWxvb3NlJywgJ2RpbnB1dCddO1xyXG5cclxuZXhwb3J0IGNvbnN0IElHTk9SRV9QQVRURVJOUyA9IFtcclxuICBwYXRoLmpvaW4oJyoqJywgJ2luZm8uanNvbicpLFxyXG5dO1xyXG5leHBvcnQgY29uc3QgTU9EX1RZUEVfTFNMSUIgPSAnYmczLWxzbGliLWRpdmluZS10b29sJztcclxuZXhwb3J0IGNvbnN0IE1PRF9UWVBFX0JHM1NFID0gJ2JnMy1iZzNzZSc7XHJcbmV4cG9ydCBjb25zdCBNT0RfVFlQRV9SRVBMQUNFUiA9ICdiZzMtcmVwbGFjZXInO1xyXG5leHBvcnQgY29uc3QgTU9EX1RZUEVfTE9PU0UgPSAnYmczLWxvb3NlJztcclxuXHJcbmV4cG9ydCBjb25zdCBPUklHSU5BTF9GSUxFUyA9IG5ldyBTZXQoW1xyXG4gICdhc3NldHMucGFrJyxcclxuICAnYXNzZXRzLnBhaycsXHJcbiAgJ2VmZmVjdHMucGFrJyxcclxuICAnZW5naW5lLnBhaycsXHJcbiAgJ2VuZ2luZXNoYWRlcnMucGFrJyxcclxuICAnZ2FtZS5wYWsnLFxyXG4gICdnYW1lcGxhdGZvcm0ucGFrJyxcclxuICAnZ3VzdGF2LnBhaycsXHJcbiAgJ2d1c3Rhdl90ZXh0dXJlcy5wYWsnLFxyXG4gICdpY29ucy5wYWsnLFxyXG4gICdsb3d0ZXgucGFrJyxcclxuICAnbWF0ZXJpYWxzLnBhaycsXHJcbiAgJ21pbmltYXBzLnBhaycsXHJcbiAgJ21vZGVscy5wYWsnLFxyXG4gICdzaGFyZWQucGFrJyxcclxuICAnc2hhcmVkc291bmRiYW5rcy5wYWsnLFxyXG4gICdzaGFyZWRzb3VuZHMucGFrJyxcclxuICAndGV4dHVyZXMucGFrJyxcclxuICAndmlydHVhbHRleHR1cmVzLnBhaycsXHJcbl0pO1xyXG5cclxuZXhwb3J0IGNvbnN0IExTTElCX0ZJTEVTID0gbmV3IFNldChbXHJcbiAgJ2RpdmluZS5leGUnLFxyXG4gICdsc2xpYi5kbGwnLFxyXG5dKTtcclxuXHJcbmV4cG9ydCBjb25zdCBOT1RJRl9JTVBPUlRfQUNUSVZJVFkgPSAnYmczLWxvYWRvcmRlci1pbXBvcnQtYWN0aXZpdHknOyJdfQ==
\ No newline at end of file
+exports.NOTIF_MISSING_DEPENDENCIES = 'bg3-missing-dependencies';
+exports.GAME_MODULES = {
+    '991c9c7a-fb80-40cb-8f0d-b92d4e80e9b1': 'Gustav',
+    '28ac9ce2-2aba-8cda-b3b5-6e922f71b6b8': 'GustavDev',
+    'cb555efe-2d9e-131f-8195-a89329d218ea': 'GustavX',
+    'ed539163-bb70-431b-96a7-f5b2eda5376b': 'Shared',
+    '3d0c5ff8-c95d-c907-ff3e-34b204f1c630': 'SharedDev',
+    'b77b6210-ac50-4cb1-a3d5-5702fb9c744c': 'Honour',
+    '767d0062-d82c-279c-e16b-dfee7fe94cdd': 'HonourX',
+    '630daa32-70f8-3da5-41b9-154fe8410236': 'MainUI',
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29tbW9uLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiY29tbW9uLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7OztBQUFBLGdEQUF3QjtBQUNYLFFBQUEsb0JBQW9CLEdBQUc7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O1FBdUI1QixDQUFDO0FBQ0ksUUFBQSxPQUFPLEdBQUcsY0FBYyxDQUFDO0FBQ3pCLFFBQUEsS0FBSyxHQUFHLEtBQUssQ0FBQztBQUNkLFFBQUEsU0FBUyxHQUFHLGtDQUFrQyxDQUFDO0FBQy9DLFFBQUEsWUFBWSxHQUFHLGdCQUFnQixDQUFDO0FBQ2hDLFFBQUEsb0JBQW9CLEdBQUcsQ0FBQyx1QkFBdUIsRUFBRSxXQUFXLEVBQUUsY0FBYyxFQUFFLFdBQVcsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUVyRyxRQUFBLGVBQWUsR0FBRztJQUM3QixjQUFJLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxXQUFXLENBQUM7Q0FDN0IsQ0FBQztBQUNXLFFBQUEsY0FBYyxHQUFHLHVCQUF1QixDQUFDO0FBQ3pDLFFBQUEsY0FBYyxHQUFHLFdBQVcsQ0FBQztBQUM3QixRQUFBLGlCQUFpQixHQUFHLGNBQWMsQ0FBQztBQUNuQyxRQUFBLGNBQWMsR0FBRyxXQUFXLENBQUM7QUFFN0IsUUFBQSxjQUFjLEdBQUcsSUFBSSxHQUFHLENBQUM7SUFDcEMsWUFBWTtJQUNaLFlBQVk7SUFDWixhQUFhO0lBQ2IsWUFBWTtJQUNaLG1CQUFtQjtJQUNuQixVQUFVO0lBQ1Ysa0JBQWtCO0lBQ2xCLFlBQVk7SUFDWixxQkFBcUI7SUFDckIsV0FBVztJQUNYLFlBQVk7SUFDWixlQUFlO0lBQ2YsY0FBYztJQUNkLFlBQVk7SUFDWixZQUFZO0lBQ1osc0JBQXNCO0lBQ3RCLGtCQUFrQjtJQUNsQixjQUFjO0lBQ2QscUJBQXFCO0NBQ3RCLENBQUMsQ0FBQztBQUVVLFFBQUEsV0FBVyxHQUFHLElBQUksR0FBRyxDQUFDO0lBQ2pDLFlBQVk7SUFDWixXQUFXO0NBQ1osQ0FBQyxDQUFDO0FBRVUsUUFBQSxxQkFBcUIsR0FBRywrQkFBK0IsQ0FBQztBQUN4RCxRQUFBLDBCQUEwQixHQUFHLDBCQUEwQixDQUFDO0FBS3hELFFBQUEsWUFBWSxHQUErQjtJQUN0RCxzQ0FBc0MsRUFBRSxRQUFRO0lBQ2hELHNDQUFzQyxFQUFFLFdBQVc7SUFDbkQsc0NBQXNDLEVBQUUsU0FBUztJQUNqRCxzQ0FBc0MsRUFBRSxRQUFRO0lBQ2hELHNDQUFzQyxFQUFFLFdBQVc7SUFDbkQsc0NBQXNDLEVBQUUsUUFBUTtJQUNoRCxzQ0FBc0MsRUFBRSxTQUFTO0lBQ2pELHNDQUFzQyxFQUFFLFFBQVE7Q0FDakQsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xyXG5leHBvcnQgY29uc3QgREVGQVVMVF9NT0RfU0VUVElOR1MgPSBgPD94bWwgdmVyc2lvbj1cIjEuMFwiIGVuY29kaW5nPVwiVVRGLThcIiBzdGFuZGFsb25lPVwieWVzXCI/PlxyXG48c2F2ZT5cclxuICA8dmVyc2lvbiBtYWpvcj1cIjRcIiBtaW5vcj1cIjBcIiByZXZpc2lvbj1cIjEwXCIgYnVpbGQ9XCIxMDBcIi8+XHJcbiAgPHJlZ2lvbiBpZD1cIk1vZHVsZVNldHRpbmdzXCI+XHJcbiAgICA8bm9kZSBpZD1cInJvb3RcIj5cclxuICAgICAgPGNoaWxkcmVuPlxyXG4gICAgICAgIDxub2RlIGlkPVwiTW9kT3JkZXJcIj5cclxuICAgICAgICAgIDxjaGlsZHJlbi8+XHJcbiAgICAgICAgPC9ub2RlPlxyXG4gICAgICAgIDxub2RlIGlkPVwiTW9kc1wiPlxyXG4gICAgICAgICAgPGNoaWxkcmVuPlxyXG4gICAgICAgICAgICA8bm9kZSBpZD1cIk1vZHVsZVNob3J0RGVzY1wiPlxyXG4gICAgICAgICAgICAgIDxhdHRyaWJ1dGUgaWQ9XCJGb2xkZXJcIiB0eXBlPVwiTFNTdHJpbmdcIiB2YWx1ZT1cIkd1c3RhdkRldlwiLz5cclxuICAgICAgICAgICAgICA8YXR0cmlidXRlIGlkPVwiTUQ1XCIgdHlwZT1cIkxTU3RyaW5nXCIgdmFsdWU9XCJcIi8+XHJcbiAgICAgICAgICAgICAgPGF0dHJpYnV0ZSBpZD1cIk5hbWVcIiB0eXBlPVwiTFNTdHJpbmdcIiB2YWx1ZT1cIkd1c3RhdkRldlwiLz5cclxuICAgICAgICAgICAgICA8YXR0cmlidXRlIGlkPVwiVVVJRFwiIHR5cGU9XCJGaXhlZFN0cmluZ1wiIHZhbHVlPVwiMjhhYzljZTItMmFiYS04Y2RhLWIzYjUtNmU5MjJmNzFiNmI4XCIvPlxyXG4gICAgICAgICAgICAgIDxhdHRyaWJ1dGUgaWQ9XCJWZXJzaW9uNjRcIiB0eXBlPVwiaW50NjRcIiB2YWx1ZT1cIjM2MDI4Nzk3MDE4OTYzOTY4XCIvPlxyXG4gICAgICAgICAgICA8L25vZGU+XHJcbiAgICAgICAgICA8L2NoaWxkcmVuPlxyXG4gICAgICAgIDwvbm9kZT5cclxuICAgICAgPC9jaGlsZHJlbj5cclxuICAgIDwvbm9kZT5cclxuICA8L3JlZ2lvbj5cclxuPC9zYXZlPmA7XHJcbmV4cG9ydCBjb25zdCBHQU1FX0lEID0gJ2JhbGR1cnNnYXRlMyc7XHJcbmV4cG9ydCBjb25zdCBERUJVRyA9IGZhbHNlO1xyXG5leHBvcnQgY29uc3QgTFNMSUJfVVJMID0gJ2h0dHBzOi8vZ2l0aHViLmNvbS9Ob3JieXRlL2xzbGliJztcclxuZXhwb3J0IGNvbnN0IExPX0ZJTEVfTkFNRSA9ICdsb2FkT3JkZXIuanNvbic7XHJcbmV4cG9ydCBjb25zdCBJTlZBTElEX0xPX01PRF9UWVBFUyA9IFsnYmczLWxzbGliLWRpdmluZS10b29sJywgJ2JnMy1iZzNzZScsICdiZzMtcmVwbGFjZXInLCAnYmczLWxvb3NlJywgJ2RpbnB1dCddO1xyXG5cclxuZXhwb3J0IGNvbnN0IElHTk9SRV9QQVRURVJOUyA9IFtcclxuICBwYXRoLmpvaW4oJyoqJywgJ2luZm8uanNvbicpLFxyXG5dO1xyXG5leHBvcnQgY29uc3QgTU9EX1RZUEVfTFNMSUIgPSAnYmczLWxzbGliLWRpdmluZS10b29sJztcclxuZXhwb3J0IGNvbnN0IE1PRF9UWVBFX0JHM1NFID0gJ2JnMy1iZzNzZSc7XHJcbmV4cG9ydCBjb25zdCBNT0RfVFlQRV9SRVBMQUNFUiA9ICdiZzMtcmVwbGFjZXInO1xyXG5leHBvcnQgY29uc3QgTU9EX1RZUEVfTE9PU0UgPSAnYmczLWxvb3NlJztcclxuXHJcbmV4cG9ydCBjb25zdCBPUklHSU5BTF9GSUxFUyA9IG5ldyBTZXQoW1xyXG4gICdhc3NldHMucGFrJyxcclxuICAnYXNzZXRzLnBhaycsXHJcbiAgJ2VmZmVjdHMucGFrJyxcclxuICAnZW5naW5lLnBhaycsXHJcbiAgJ2VuZ2luZXNoYWRlcnMucGFrJyxcclxuICAnZ2FtZS5wYWsnLFxyXG4gICdnYW1lcGxhdGZvcm0ucGFrJyxcclxuICAnZ3VzdGF2LnBhaycsXHJcbiAgJ2d1c3Rhdl90ZXh0dXJlcy5wYWsnLFxyXG4gICdpY29ucy5wYWsnLFxyXG4gICdsb3d0ZXgucGFrJyxcclxuICAnbWF0ZXJpYWxzLnBhaycsXHJcbiAgJ21pbmltYXBzLnBhaycsXHJcbiAgJ21vZGVscy5wYWsnLFxyXG4gICdzaGFyZWQucGFrJyxcclxuICAnc2hhcmVkc291bmRiYW5rcy5wYWsnLFxyXG4gICdzaGFyZWRzb3VuZHMucGFrJyxcclxuICAndGV4dHVyZXMucGFrJyxcclxuICAndmlydHVhbHRleHR1cmVzLnBhaycsXHJcbl0pO1xyXG5cclxuZXhwb3J0IGNvbnN0IExTTElCX0ZJTEVTID0gbmV3IFNldChbXHJcbiAgJ2RpdmluZS5leGUnLFxyXG4gICdsc2xpYi5kbGwnLFxyXG5dKTtcclxuXHJcbmV4cG9ydCBjb25zdCBOT1RJRl9JTVBPUlRfQUNUSVZJVFkgPSAnYmczLWxvYWRvcmRlci1pbXBvcnQtYWN0aXZpdHknO1xyXG5leHBvcnQgY29uc3QgTk9USUZfTUlTU0lOR19ERVBFTkRFTkNJRVMgPSAnYmczLW1pc3NpbmctZGVwZW5kZW5jaWVzJztcclxuXHJcbi8vIE1vZHVsZXMgc2hpcHBlZCB3aXRoIHRoZSBnYW1lLCBrZXllZCBieSBVVUlELiBNb2RzIGNvbW1vbmx5IGRlY2xhcmUgdGhlc2UgYXNcclxuLy8gIGRlcGVuZGVuY2llcyBidXQgdGhleSBuZXZlciBhcHBlYXIgaW4gdGhlIGxvYWQgb3JkZXIuIFRoZSBiYXNlIG1vZHVsZSBjaGFuZ2VkXHJcbi8vICBmcm9tIEd1c3RhdkRldiB0byBHdXN0YXZYIHdpdGggcGF0Y2ggNy5cclxuZXhwb3J0IGNvbnN0IEdBTUVfTU9EVUxFUzogeyBbdXVpZDogc3RyaW5nXTogc3RyaW5nIH0gPSB7XHJcbiAgJzk5MWM5YzdhLWZiODAtNDBjYi04ZjBkLWI5MmQ0ZTgwZTliMSc6ICdHdXN0YXYnLFxyXG4gICcyOGFjOWNlMi0yYWJhLThjZGEtYjNiNS02ZTkyMmY3MWI2YjgnOiAnR3VzdGF2RGV2JyxcclxuICAnY2I1NTVlZmUtMmQ5ZS0xMzFmLTgxOTUtYTg5MzI5ZDIxOGVhJzogJ0d1c3RhdlgnLFxyXG4gICdlZDUzOTE2My1iYjcwLTQzMWItOTZhNy1mNWIyZWRhNTM3NmInOiAnU2hhcmVkJyxcclxuICAnM2QwYzVmZjgtYzk1ZC1jOTA3LWZmM2UtMzRiMjA0ZjFjNjMwJzogJ1NoYXJlZERldicsXHJcbiAgJ2I3N2I2MjEwLWFjNTAtNGNiMS1hM2Q1LTU3MDJmYjljNzQ0Yyc6ICdIb25vdXInLFxyXG4gICc3NjdkMDA2Mi1kODJjLTI3OWMtZTE2Yi1kZmVlN2ZlOTRjZGQnOiAnSG9ub3VyWCcsXHJcbiAgJzYzMGRhYTMyLTcwZjgtM2RhNS00MWI5LTE1NGZlODQxMDIzNic6ICdNYWluVUknLFxyXG59OyJdfQ==
\ No newline at end of file
@@ -64,4 +64,19 @@ export const LSLIB_FILES = new Set([
   'lslib.dll',
 ]);
 
-export const NOTIF_IMPORT_ACTIVITY = 'bg3-loadorder-import-activity';
\ No newline at end of file
+export const NOTIF_IMPORT_ACTIVITY = 'bg3-loadorder-import-activity';
+export const NOTIF_MISSING_DEPENDENCIES = 'bg3-missing-dependencies';
+
+// Modules shipped with the game, keyed by UUID. Mods commonly declare these as
+//  dependencies but they never appear in the load order. The base module changed
+//  from GustavDev to GustavX with patch 7.
+export const GAME_MODULES: { [uuid: string]: string } = {
+  '991c9c7a-fb80-40cb-8f0d-b92d4e80e9b1': 'Gustav',
+  '28ac9ce2-2aba-8cda-b3b5-6e922f71b6b8': 'GustavDev',
+  'cb555efe-2d9e-131f-8195-a89329d218ea': 'GustavX',
+  'ed539163-bb70-431b-96a7-f5b2eda5376b': 'Shared',
+  '3d0c5ff8-c95d-c907-ff3e-34b204f1c630': 'SharedDev',
+  'b77b6210-ac50-4cb1-a3d5-5702fb9c744c': 'Honour',
+  '767d0062-d82c-279c-e16b-dfee7fe94cdd': 'HonourX',
+  '630daa32-70f8-3da5-41b9-154fe8410236': 'MainUI',
+};
\ No newline at end of file
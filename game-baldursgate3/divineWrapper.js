@@ -32,16 +32,18 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
     });
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.listPackage = exports.extractPak = exports.DivineTimedOut = exports.DivineMissingDotNet = exports.DivineExecMissing = void 0;
+exports.listPackage = exports.createPackage = exports.extractPak = exports.DivineTimedOut = exports.DivineMissingDotNet = exports.DivineExecMissing = void 0;
 const path = __importStar(require("path"));
 const vortex_api_1 = require("vortex-api");
 const common_1 = require("./common");
+const lspk_1 = require("./lspk");
 const util_1 = require("./util");
 const nodeUtil = __importStar(require("util"));
 const child_process = __importStar(require("child_process"));
 const exec = nodeUtil.promisify(child_process.exec);
 const concurrencyLimiter = new vortex_api_1.util.ConcurrencyLimiter(5, () => true);
 const TIMEOUT_MS = 10000;
+const PACK_TIMEOUT_MS = 120000;
 class DivineExecMissing extends Error {
     constructor() {
         super('Divine executable is missing');
@@ -66,11 +68,11 @@ exports.DivineTimedOut = DivineTimedOut;
 const execOpts = {
     timeout: TIMEOUT_MS,
 };
-function runDivine(api, action, divineOpts) {
+function runDivine(api, action, divineOpts, opts = execOpts) {
     return __awaiter(this, void 0, void 0, function* () {
         return new Promise((resolve, reject) => concurrencyLimiter.do(() => __awaiter(this, void 0, void 0, function* () {
             try {
-                const result = yield divine(api, action, divineOpts, execOpts);
+                const result = yield divine(api, action, divineOpts, opts);
                 return resolve(result);
             }
             catch (err) {
@@ -144,7 +146,30 @@ function extractPak(api, pakPath, destPath, pattern) {
     });
 }
 exports.extractPak = extractPak;
+function createPackage(api, sourcePath, pakPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        return runDivine(api, 'create-package', { source: sourcePath, destination: pakPath, loglevel: 'error' }, Object.assign(Object.assign({}, execOpts), { timeout: PACK_TIMEOUT_MS }));
+    });
+}
+exports.createPackage = createPackage;
 function listPackage(api, pakPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const pkg = yield (0, lspk_1.readPackage)(pakPath);
+            return pkg.entries.map(entry => `${entry.name}\t${entry.uncompressedSize || entry.sizeOnDisk}\t${entry.crc}`);
+        }
+        catch (err) {
+            if (!(err instanceof lspk_1.LSPKUnsupported)) {
+                (0, util_1.logError)(`listPackage failed to read package: `, { pakPath, error: err.message });
+                return [];
+            }
+            (0, util_1.logDebug)(`listPackage falling back to divine: `, { pakPath, reason: err.message });
+        }
+        return listPackageDivine(api, pakPath);
+    });
+}
+exports.listPackage = listPackage;
+function listPackageDivine(api, pakPath) {
     return __awaiter(this, void 0, void 0, function* () {
         let res;
         try {
@@ -167,5 +192,4 @@ function listPackage(api, pakPath) {
         return lines;
     });
 }
-exports.listPackage = listPackage;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGl2aW5lV3JhcHBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImRpdmluZVdyYXBwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFDQSwyQ0FBNkI7QUFDN0IsMkNBQXlEO0FBRXpELHFDQUFtQztBQUVuQyxpQ0FBcUQ7QUFFckQsK0NBQWlDO0FBQ2pDLDZEQUErQztBQUUvQyxNQUFNLElBQUksR0FBRyxRQUFRLENBQUMsU0FBUyxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUdwRCxNQUFNLGtCQUFrQixHQUE0QixJQUFJLGlCQUFJLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBSS9GLE1BQU0sVUFBVSxHQUFHLEtBQUssQ0FBQztBQUV6QixNQUFhLGlCQUFrQixTQUFRLEtBQUs7SUFDMUM7UUFDRSxLQUFLLENBQUMsOEJBQThCLENBQUMsQ0FBQztRQUN0QyxJQUFJLENBQUMsSUFBSSxHQUFHLG1CQUFtQixDQUFDO0lBQ2xDLENBQUM7Q0FDRjtBQUxELDhDQUtDO0FBRUQsTUFBYSxtQkFBb0IsU0FBUSxLQUFLO0lBQzVDO1FBQ0UsS0FBSyxDQUFDLHdEQUF3RCxDQUFDLENBQUM7UUFDaEUsSUFBSSxDQUFDLElBQUksR0FBRyxxQkFBcUIsQ0FBQztJQUNwQyxDQUFDO0NBQ0Y7QUFMRCxrREFLQztBQUVELE1BQWEsY0FBZSxTQUFRLEtBQUs7SUFDdkM7UUFDRSxLQUFLLENBQUMsMEJBQTBCLENBQUMsQ0FBQztRQUNsQyxJQUFJLENBQUMsSUFBSSxHQUFHLGdCQUFnQixDQUFDO0lBQy9CLENBQUM7Q0FDRjtBQUxELHdDQUtDO0FBRUQsTUFBTSxRQUFRLEdBQThCO0lBQzFDLE9BQU8sRUFBRSxVQUFVO0NBQ3BCLENBQUM7QUFFRixTQUFlLFNBQVMsQ0FBQyxHQUF3QixFQUN4QixNQUFvQixFQUNwQixVQUEwQjs7UUFFakQsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLGtCQUFrQixDQUFDLEVBQUUsQ0FBQyxHQUFTLEVBQUU7WUFDdkUsSUFBSTtnQkFDRixNQUFNLE1BQU0sR0FBRyxNQUFNLE1BQU0sQ0FBQyxHQUFHLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxRQUFRLENBQUMsQ0FBQztnQkFDL0QsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUM7YUFDeEI7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixPQUFPLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNwQjtRQUNILENBQUMsQ0FBQSxDQUFDLENBQUMsQ0FBQztJQUNOLENBQUM7Q0FBQTtBQUVELFNBQWUsTUFBTSxDQUFDLEdBQXdCLEVBQzVDLE1BQW9CLEVBQ3BCLFVBQTBCLEVBQzFCLFFBQW1DOztRQUNuQyxPQUFPLElBQUksT0FBTyxDQUFnQixDQUFPLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtZQUMxRCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDN0IsTUFBTSxhQUFhLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1lBQ25FLE1BQU0sS0FBSyxHQUFlLElBQUEsd0JBQWlCLEVBQUMsR0FBRyxDQUFDLENBQUM7WUFDakQsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO2dCQUN2QixNQUFNLEdBQUcsR0FBRyxJQUFJLEtBQUssQ0FBQyw4QkFBOEIsQ0FBQyxDQUFDO2dCQUN0RCxHQUFHLENBQUMsbUJBQW1CLENBQUMsR0FBRyxLQUFLLENBQUM7Z0JBQ2pDLE9BQU8sTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQ3BCO1lBQ0QsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsS0FBSyxDQUFDLGdCQUFnQixFQUFFLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQztZQUNwRixNQUFNLElBQUksR0FBRztnQkFDWCxVQUFVLEVBQUUsTUFBTTtnQkFDbEIsVUFBVSxFQUFFLElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRztnQkFDcEMsUUFBUSxFQUFFLEtBQUs7YUFDaEIsQ0FBQztZQUVGLElBQUksVUFBVSxDQUFDLFFBQVEsS0FBSyxTQUFTLEVBQUU7Z0JBQ3JDLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQzthQUM5QztpQkFBTTtnQkFDTCxJQUFJLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxLQUFLLENBQUMsQ0FBQzthQUNoQztZQUVELElBQUksVUFBVSxDQUFDLFdBQVcsS0FBSyxTQUFTLEVBQUU7Z0JBQ3hDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxFQUFFLElBQUksVUFBVSxDQUFDLFdBQVcsR0FBRyxDQUFDLENBQUM7YUFDM0Q7WUFDRCxJQUFJLFVBQVUsQ0FBQyxVQUFVLEtBQUssU0FBUyxFQUFFO2dCQUN2QyxJQUFJLENBQUMsSUFBSSxDQUFDLGNBQWMsRUFBRSxJQUFJLFVBQVUsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDO2FBQ3pEO1lBRUQsSUFBSTtnQkFDRixNQUFNLE9BQU8sR0FBRyxJQUFJLEdBQUcsS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7Z0JBQzdDLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsTUFBTSxJQUFJLENBQUMsT0FBTyxFQUFFLFFBQVEsQ0FBQyxDQUFDO2dCQUN6RCxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUU7b0JBQ1osT0FBTyxNQUFNLENBQUMsSUFBSSxLQUFLLENBQUMsc0JBQXNCLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDMUQ7Z0JBQ0QsSUFBSSxDQUFDLE1BQU0sSUFBSSxNQUFNLEtBQUssY0FBYyxFQUFFO29CQUN4QyxPQUFPLE9BQU8sQ0FBQyxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUE7aUJBQzlDO2dCQUNELElBQUksQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFdBQVcsRUFBRSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO29CQUVwRSxPQUFPLE1BQU0sQ0FBQyxJQUFJLEtBQUssQ0FBQyxzQkFBc0IsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDO2lCQUMxRDtxQkFBTztvQkFDTixPQUFPLE9BQU8sQ0FBQyxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztpQkFDM0M7YUFDRjtZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLElBQUksR0FBRyxDQUFDLElBQUksS0FBSyxRQUFRLEVBQUU7b0JBQ3pCLE9BQU8sTUFBTSxDQUFDLElBQUksaUJBQWlCLEVBQUUsQ0FBQyxDQUFDO2lCQUN4QztnQkFFRCxJQUFHLEdBQUcsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLGlDQUFpQyxDQUFDLEVBQUU7b0JBQzFELE9BQU8sTUFBTSxDQUFDLElBQUksbUJBQW1CLEVBQUUsQ0FBQyxDQUFDO2lCQUMxQztnQkFFRCxNQUFNLEtBQUssR0FBRyxJQUFJLEtBQUssQ0FBQyxzQkFBc0IsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7Z0JBQzdELEtBQUssQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLElBQUksQ0FBQztnQkFDbEMsT0FBTyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDdEI7UUFDSCxDQUFDLENBQUEsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztDQUFBO0FBRUQsU0FBc0IsVUFBVSxDQUFDLEdBQXdCLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxPQUFPOztRQUNuRixPQUFPLFNBQVMsQ0FBQyxHQUFHLEVBQUUsaUJBQWlCLEVBQ3JDLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxXQUFXLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQ3JFLENBQUM7Q0FBQTtBQUhELGdDQUdDO0FBRUQsU0FBc0IsV0FBVyxDQUFDLEdBQXdCLEVBQUUsT0FBZTs7UUFDekUsSUFBSSxHQUFHLENBQUM7UUFDUixJQUFJO1lBQ0YsR0FBRyxHQUFHLE1BQU0sU0FBUyxDQUFDLEdBQUcsRUFBRSxjQUFjLEVBQUUsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO1NBQ2xGO1FBQUMsT0FBTyxLQUFLLEVBQUU7WUFDZCxJQUFBLGVBQVEsRUFBQyw0QkFBNEIsRUFBRSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7WUFHbEQsSUFBRyxLQUFLLFlBQVksbUJBQW1CLEVBQUU7Z0JBQ3ZDLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsY0FBYyxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztnQkFDNUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLDJCQUEyQixDQUFDLENBQUM7Z0JBQ3JELEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyx1QkFBdUIsRUFDakQsd0RBQXdEO29CQUN4RCxvQkFBb0I7b0JBQ3BCLDZMQUE2TDtvQkFDN0wsaUJBQWlCO29CQUNqQixxQkFBcUI7b0JBQ3JCLHVCQUF1QixFQUN0QixFQUFFLEVBQUUsRUFBRSxrQkFBa0IsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO2FBQ2xFO1NBQ0Y7UUFHRCxNQUFNLEtBQUssR0FBRyxDQUFDLENBQUEsR0FBRyxhQUFILEdBQUcsdUJBQUgsR0FBRyxDQUFFLE1BQU0sS0FBSSxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQztRQUl6RyxPQUFPLEtBQUssQ0FBQztJQUNmLENBQUM7Q0FBQTtBQTVCRCxrQ0E0QkMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xyXG5pbXBvcnQgKiBhcyBwYXRoIGZyb20gJ3BhdGgnO1xyXG5pbXBvcnQgeyBsb2csIHNlbGVjdG9ycywgdHlwZXMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcclxuXHJcbmltcG9ydCB7IEdBTUVfSUQgfSBmcm9tICcuL2NvbW1vbic7XHJcbmltcG9ydCB7IERpdmluZUFjdGlvbiwgSURpdmluZU9wdGlvbnMsIElEaXZpbmVPdXRwdXQgfSBmcm9tICcuL3R5cGVzJztcclxuaW1wb3J0IHsgZ2V0TGF0ZXN0TFNMaWJNb2QsIGxvZ0Vycm9yIH0gZnJvbSAnLi91dGlsJztcclxuXHJcbmltcG9ydCAqIGFzIG5vZGVVdGlsIGZyb20gJ3V0aWwnO1xyXG5pbXBvcnQgKiBhcyBjaGlsZF9wcm9jZXNzIGZyb20gJ2NoaWxkX3Byb2Nlc3MnO1xyXG5cclxuY29uc3QgZXhlYyA9IG5vZGVVdGlsLnByb21pc2lmeShjaGlsZF9wcm9jZXNzLmV4ZWMpO1xyXG5cclxuLy8gUnVuIDUgY29uY3VycmVudCBEaXZpbmUgcHJvY2Vzc2VzIC0gcmV0cnkgZWFjaCBwcm9jZXNzIDUgdGltZXMgaWYgaXQgZmFpbHMuXHJcbmNvbnN0IGNvbmN1cnJlbmN5TGltaXRlcjogdXRpbC5Db25jdXJyZW5jeUxpbWl0ZXIgPSBuZXcgdXRpbC5Db25jdXJyZW5jeUxpbWl0ZXIoNSwgKCkgPT4gdHJ1ZSk7XHJcblxyXG4vLyBUaGlzIGlzIHByb2JhYmx5IG92ZXJraWxsIC0gbW9kIGV4dHJhY3Rpb24gc2hvdWxkbid0IHRha2VcclxuLy8gIG1vcmUgdGhhbiBhIGZldyBzZWNvbmRzLlxyXG5jb25zdCBUSU1FT1VUX01TID0gMTAwMDA7XHJcblxyXG5leHBvcnQgY2xhc3MgRGl2aW5lRXhlY01pc3NpbmcgZXh0ZW5kcyBFcnJvciB7XHJcbiAgY29uc3RydWN0b3IoKSB7XHJcbiAgICBzdXBlcignRGl2aW5lIGV4ZWN1dGFibGUgaXMgbWlzc2luZycpO1xyXG4gICAgdGhpcy5uYW1lID0gJ0RpdmluZUV4ZWNNaXNzaW5nJztcclxuICB9XHJcbn1cclxuXHJcbmV4cG9ydCBjbGFzcyBEaXZpbmVNaXNzaW5nRG90TmV0IGV4dGVuZHMgRXJyb3Ige1xyXG4gIGNvbnN0cnVjdG9yKCkge1xyXG4gICAgc3VwZXIoJ0xTTGliIHJlcXVpcmVzIC5ORVQgOCBEZXNrdG9wIFJ1bnRpbWUgdG8gYmUgaW5zdGFsbGVkLicpO1xyXG4gICAgdGhpcy5uYW1lID0gJ0RpdmluZU1pc3NpbmdEb3ROZXQnO1xyXG4gIH1cclxufVxyXG5cclxuZXhwb3J0IGNsYXNzIERpdmluZVRpbWVkT3V0IGV4dGVuZHMgRXJyb3Ige1xyXG4gIGNvbnN0cnVjdG9yKCkge1xyXG4gICAgc3VwZXIoJ0RpdmluZSBwcm9jZXNzIHRpbWVkIG91dCcpO1xyXG4gICAgdGhpcy5uYW1lID0gJ0RpdmluZVRpbWVkT3V0JztcclxuICB9XHJcbn1cclxuXHJcbmNvbnN0IGV4ZWNPcHRzOiBjaGlsZF9wcm9jZXNzLkV4ZWNPcHRpb25zID0ge1xyXG4gIHRpbWVvdXQ6IFRJTUVPVVRfTVMsXHJcbn07XHJcblxyXG5hc3luYyBmdW5jdGlvbiBydW5EaXZpbmUoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgYWN0aW9uOiBEaXZpbmVBY3Rpb24sXHJcbiAgICAgICAgICAgICAgICAgICAgICAgICBkaXZpbmVPcHRzOiBJRGl2aW5lT3B0aW9ucylcclxuICAgICAgICAgICAgICAgICAgICAgICAgIDogUHJvbWlzZTxJRGl2aW5lT3V0cHV0PiB7XHJcbiAgcmV0dXJuIG5ldyBQcm9taXNlKChyZXNvbHZlLCByZWplY3QpID0+IGNvbmN1cnJlbmN5TGltaXRlci5kbyhhc3luYyAoKSA9PiB7XHJcbiAgICB0cnkge1xyXG4gICAgICBjb25zdCByZXN1bHQgPSBhd2FpdCBkaXZpbmUoYXBpLCBhY3Rpb24sIGRpdmluZU9wdHMsIGV4ZWNPcHRzKTtcclxuICAgICAgcmV0dXJuIHJlc29sdmUocmVzdWx0KTtcclxuICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICByZXR1cm4gcmVqZWN0KGVycik7XHJcbiAgICB9XHJcbiAgfSkpO1xyXG59XHJcblxyXG5hc3luYyBmdW5jdGlvbiBkaXZpbmUoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxyXG4gIGFjdGlvbjogRGl2aW5lQWN0aW9uLFxyXG4gIGRpdmluZU9wdHM6IElEaXZpbmVPcHRpb25zLFxyXG4gIGV4ZWNPcHRzOiBjaGlsZF9wcm9jZXNzLkV4ZWNPcHRpb25zKTogUHJvbWlzZTxJRGl2aW5lT3V0cHV0PiB7XHJcbiAgcmV0dXJuIG5ldyBQcm9taXNlPElEaXZpbmVPdXRwdXQ+KGFzeW5jIChyZXNvbHZlLCByZWplY3QpID0+IHtcclxuICAgIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XHJcbiAgICBjb25zdCBzdGFnaW5nRm9sZGVyID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XHJcbiAgICBjb25zdCBsc0xpYjogdHlwZXMuSU1vZCA9IGdldExhdGVzdExTTGliTW9kKGFwaSk7XHJcbiAgICBpZiAobHNMaWIgPT09IHVuZGVmaW5lZCkge1xyXG4gICAgICBjb25zdCBlcnIgPSBuZXcgRXJyb3IoJ0xTTGliL0RpdmluZSB0b29sIGlzIG1pc3NpbmcnKTtcclxuICAgICAgZXJyWydhdHRhY2hMb2dPblJlcG9ydCddID0gZmFsc2U7XHJcbiAgICAgIHJldHVybiByZWplY3QoZXJyKTtcclxuICAgIH1cclxuICAgIGNvbnN0IGV4ZSA9IHBhdGguam9pbihzdGFnaW5nRm9sZGVyLCBsc0xpYi5pbnN0YWxsYXRpb25QYXRoLCAndG9vbHMnLCAnZGl2aW5lLmV4ZScpO1xyXG4gICAgY29uc3QgYXJncyA9IFtcclxuICAgICAgJy0tYWN0aW9uJywgYWN0aW9uLFxyXG4gICAgICAnLS1zb3VyY2UnLCBgXCIke2RpdmluZU9wdHMuc291cmNlfVwiYCxcclxuICAgICAgJy0tZ2FtZScsICdiZzMnLFxyXG4gICAgXTtcclxuXHJcbiAgICBpZiAoZGl2aW5lT3B0cy5sb2dsZXZlbCAhPT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgIGFyZ3MucHVzaCgnLS1sb2dsZXZlbCcsIGRpdmluZU9wdHMubG9nbGV2ZWwpO1xyXG4gICAgfSBlbHNlIHtcclxuICAgICAgYXJncy5wdXNoKCctLWxvZ2xldmVsJywgJ29mZicpO1xyXG4gICAgfVxyXG5cclxuICAgIGlmIChkaXZpbmVPcHRzLmRlc3RpbmF0aW9uICE9PSB1bmRlZmluZWQpIHtcclxuICAgICAgYXJncy5wdXNoKCctLWRlc3RpbmF0aW9uJywgYFwiJHtkaXZpbmVPcHRzLmRlc3RpbmF0aW9ufVwiYCk7XHJcbiAgICB9XHJcbiAgICBpZiAoZGl2aW5lT3B0cy5leHByZXNzaW9uICE9PSB1bmRlZmluZWQpIHtcclxuICAgICAgYXJncy5wdXNoKCctLWV4cHJlc3Npb24nLCBgXCIke2RpdmluZU9wdHMuZXhwcmVzc2lvbn1cImApO1xyXG4gICAgfVxyXG5cclxuICAgIHRyeSB7XHJcbiAgICAgIGNvbnN0IGNvbW1hbmQgPSBgXCIke2V4ZX1cIiAke2FyZ3Muam9pbignICcpfWA7XHJcbiAgICAgIGNvbnN0IHsgc3Rkb3V0LCBzdGRlcnIgfSA9IGF3YWl0IGV4ZWMoY29tbWFuZCwgZXhlY09wdHMpO1xyXG4gICAgICBpZiAoISFzdGRlcnIpIHtcclxuICAgICAgICByZXR1cm4gcmVqZWN0KG5ldyBFcnJvcihgZGl2aW5lLmV4ZSBmYWlsZWQ6ICR7c3RkZXJyfWApKTtcclxuICAgICAgfVxyXG4gICAgICBpZiAoIXN0ZG91dCAmJiBhY3Rpb24gIT09ICdsaXN0LXBhY2thZ2UnKSB7XHJcbiAgICAgICAgcmV0dXJuIHJlc29sdmUoeyBzdGRvdXQ6ICcnLCByZXR1cm5Db2RlOiAyIH0pXHJcbiAgICAgIH0gICAgICBcclxuICAgICAgaWYgKFsnZXJyb3InLCAnZmF0YWwnXS5zb21lKHggPT4gc3Rkb3V0LnRvTG93ZXJDYXNlKCkuc3RhcnRzV2l0aCh4KSkpIHtcclxuICAgICAgICAvLyBSZWFsbHk/XHJcbiAgICAgICAgcmV0dXJuIHJlamVjdChuZXcgRXJyb3IoYGRpdmluZS5leGUgZmFpbGVkOiAke3N0ZG91dH1gKSk7XHJcbiAgICAgIH0gZWxzZSAge1xyXG4gICAgICAgIHJldHVybiByZXNvbHZlKHsgc3Rkb3V0LCByZXR1cm5Db2RlOiAwIH0pO1xyXG4gICAgICB9XHJcbiAgICB9IGNhdGNoIChlcnIpIHtcclxuICAgICAgaWYgKGVyci5jb2RlID09PSAnRU5PRU5UJykge1xyXG4gICAgICAgIHJldHVybiByZWplY3QobmV3IERpdmluZUV4ZWNNaXNzaW5nKCkpO1xyXG4gICAgICB9XHJcblxyXG4gICAgICBpZihlcnIubWVzc2FnZS5pbmNsdWRlcygnWW91IG11c3QgaW5zdGFsbCBvciB1cGRhdGUgLk5FVCcpKSB7XHJcbiAgICAgICAgcmV0dXJuIHJlamVjdChuZXcgRGl2aW5lTWlzc2luZ0RvdE5ldCgpKTtcclxuICAgICAgfVxyXG5cclxuICAgICAgY29uc3QgZXJyb3IgPSBuZXcgRXJyb3IoYGRpdmluZS5leGUgZmFpbGVkOiAke2Vyci5tZXNzYWdlfWApO1xyXG4gICAgICBlcnJvclsnYXR0YWNoTG9nT25SZXBvcnQnXSA9IHRydWU7XHJcbiAgICAgIHJldHVybiByZWplY3QoZXJyb3IpO1xyXG4gICAgfVxyXG4gIH0pO1xyXG59XHJcblxyXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZXh0cmFjdFBhayhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIHBha1BhdGgsIGRlc3RQYXRoLCBwYXR0ZXJuKSB7XHJcbiAgcmV0dXJuIHJ1bkRpdmluZShhcGksICdleHRyYWN0LXBhY2thZ2UnLFxyXG4gICAgeyBzb3VyY2U6IHBha1BhdGgsIGRlc3RpbmF0aW9uOiBkZXN0UGF0aCwgZXhwcmVzc2lvbjogcGF0dGVybiB9KTtcclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGxpc3RQYWNrYWdlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgcGFrUGF0aDogc3RyaW5nKTogUHJvbWlzZTxzdHJpbmdbXT4ge1xyXG4gIGxldCByZXM7XHJcbiAgdHJ5IHtcclxuICAgIHJlcyA9IGF3YWl0IHJ1bkRpdmluZShhcGksICdsaXN0LXBhY2thZ2UnLCB7IHNvdXJjZTogcGFrUGF0aCwgbG9nbGV2ZWw6ICdvZmYnIH0pO1xyXG4gIH0gY2F0Y2ggKGVycm9yKSB7ICAgIFxyXG4gICAgbG9nRXJyb3IoYGxpc3RQYWNrYWdlIGNhdWdodCBlcnJvcjogYCwgeyBlcnJvciB9KTtcclxuICAgIC8vbG9nKCdkZWJ1ZycsICdsaXN0UGFja2FnZSBlcnJvcicsIGVycm9yLm1lc3NhZ2UpO1xyXG5cclxuICAgIGlmKGVycm9yIGluc3RhbmNlb2YgRGl2aW5lTWlzc2luZ0RvdE5ldCkgeyAgXHJcbiAgICAgIGxvZygnZXJyb3InLCAnTWlzc2luZyAuTkVUJywgZXJyb3IubWVzc2FnZSk7XHJcbiAgICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKCdiZzMtcmVhZGluZy1wYWtzLWFjdGl2aXR5Jyk7XHJcbiAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0xTTGliIHJlcXVpcmVzIC5ORVQgOCcsIFxyXG4gICAgICAnTFNMaWIgcmVxdWlyZXMgLk5FVCA4IERlc2t0b3AgUnVudGltZSB0byBiZSBpbnN0YWxsZWQuJyArXHJcbiAgICAgICdbYnJdWy9icl1bYnJdWy9icl0nICtcclxuICAgICAgJ1tsaXN0PTFdWypdRG93bmxvYWQgYW5kIEluc3RhbGwgW3VybD1odHRwczovL2RvdG5ldC5taWNyb3NvZnQuY29tL2VuLXVzL2Rvd25sb2FkL2RvdG5ldC90aGFuay15b3UvcnVudGltZS1kZXNrdG9wLTguMC4zLXdpbmRvd3MteDY0LWluc3RhbGxlcl0uTkVUIDguMCBEZXNrdG9wIFJ1bnRpbWUgZnJvbSBNaWNyb3NvZnRbL3VybF0nICArIFxyXG4gICAgICAnWypdQ2xvc2UgVm9ydGV4JyArIFxyXG4gICAgICAnWypdUmVzdGFydCBDb21wdXRlcicgKyBcclxuICAgICAgJ1sqXU9wZW4gVm9ydGV4Wy9saXN0XScsXHJcbiAgICAgICB7IGlkOiAnYmczLWRvdG5ldC1lcnJvcicsIGFsbG93UmVwb3J0OiBmYWxzZSwgaXNCQkNvZGU6IHRydWUgfSk7XHJcbiAgICB9XHJcbiAgfVxyXG5cclxuICAvL2xvZ0RlYnVnKGBsaXN0UGFja2FnZSByZXM9YCwgcmVzKTtcclxuICBjb25zdCBsaW5lcyA9IChyZXM/LnN0ZG91dCB8fCAnJykuc3BsaXQoJ1xcbicpLm1hcChsaW5lID0+IGxpbmUudHJpbSgpKS5maWx0ZXIobGluZSA9PiBsaW5lLmxlbmd0aCAhPT0gMCk7XHJcblxyXG4gIC8vbG9nRGVidWcoYGxpc3RQYWNrYWdlIGxpbmVzPWAsIGxpbmVzKTtcclxuXHJcbiAgcmV0dXJuIGxpbmVzO1xyXG59Il19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGl2aW5lV3JhcHBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImRpdmluZVdyYXBwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFDQSwyQ0FBNkI7QUFDN0IsMkNBQXlEO0FBRXpELHFDQUFtQztBQUNuQyxpQ0FBc0Q7QUFFdEQsaUNBQStEO0FBRS9ELCtDQUFpQztBQUNqQyw2REFBK0M7QUFFL0MsTUFBTSxJQUFJLEdBQUcsUUFBUSxDQUFDLFNBQVMsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUM7QUFHcEQsTUFBTSxrQkFBa0IsR0FBNEIsSUFBSSxpQkFBSSxDQUFDLGtCQUFrQixDQUFDLENBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUkvRixNQUFNLFVBQVUsR0FBRyxLQUFLLENBQUM7QUFJekIsTUFBTSxlQUFlLEdBQUcsTUFBTSxDQUFDO0FBRS9CLE1BQWEsaUJBQWtCLFNBQVEsS0FBSztJQUMxQztRQUNFLEtBQUssQ0FBQyw4QkFBOEIsQ0FBQyxDQUFDO1FBQ3RDLElBQUksQ0FBQyxJQUFJLEdBQUcsbUJBQW1CLENBQUM7SUFDbEMsQ0FBQztDQUNGO0FBTEQsOENBS0M7QUFFRCxNQUFhLG1CQUFvQixTQUFRLEtBQUs7SUFDNUM7UUFDRSxLQUFLLENBQUMsd0RBQXdELENBQUMsQ0FBQztRQUNoRSxJQUFJLENBQUMsSUFBSSxHQUFHLHFCQUFxQixDQUFDO0lBQ3BDLENBQUM7Q0FDRjtBQUxELGtEQUtDO0FBRUQsTUFBYSxjQUFlLFNBQVEsS0FBSztJQUN2QztRQUNFLEtBQUssQ0FBQywwQkFBMEIsQ0FBQyxDQUFDO1FBQ2xDLElBQUksQ0FBQyxJQUFJLEdBQUcsZ0JBQWdCLENBQUM7SUFDL0IsQ0FBQztDQUNGO0FBTEQsd0NBS0M7QUFFRCxNQUFNLFFBQVEsR0FBOEI7SUFDMUMsT0FBTyxFQUFFLFVBQVU7Q0FDcEIsQ0FBQztBQUVGLFNBQWUsU0FBUyxDQUFDLEdBQXdCLEVBQ3hCLE1BQW9CLEVBQ3BCLFVBQTBCLEVBQzFCLE9BQWtDLFFBQVE7O1FBRWpFLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxFQUFFLENBQUMsR0FBUyxFQUFFO1lBQ3ZFLElBQUk7Z0JBQ0YsTUFBTSxNQUFNLEdBQUcsTUFBTSxNQUFNLENBQUMsR0FBRyxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsSUFBSSxDQUFDLENBQUM7Z0JBQzNELE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO2FBQ3hCO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osT0FBTyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDcEI7UUFDSCxDQUFDLENBQUEsQ0FBQyxDQUFDLENBQUM7SUFDTixDQUFDO0NBQUE7QUFFRCxTQUFlLE1BQU0sQ0FBQyxHQUF3QixFQUM1QyxNQUFvQixFQUNwQixVQUEwQixFQUMxQixRQUFtQzs7UUFDbkMsT0FBTyxJQUFJLE9BQU8sQ0FBZ0IsQ0FBTyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7WUFDMUQsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQzdCLE1BQU0sYUFBYSxHQUFHLHNCQUFTLENBQUMsa0JBQWtCLENBQUMsS0FBSyxFQUFFLGdCQUFPLENBQUMsQ0FBQztZQUNuRSxNQUFNLEtBQUssR0FBZSxJQUFBLHdCQUFpQixFQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ2pELElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtnQkFDdkIsTUFBTSxHQUFHLEdBQUcsSUFBSSxLQUFLLENBQUMsOEJBQThCLENBQUMsQ0FBQztnQkFDdEQsR0FBRyxDQUFDLG1CQUFtQixDQUFDLEdBQUcsS0FBSyxDQUFDO2dCQUNqQyxPQUFPLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNwQjtZQUNELE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLEtBQUssQ0FBQyxnQkFBZ0IsRUFBRSxPQUFPLEVBQUUsWUFBWSxDQUFDLENBQUM7WUFDcEYsTUFBTSxJQUFJLEdBQUc7Z0JBQ1gsVUFBVSxFQUFFLE1BQU07Z0JBQ2xCLFVBQVUsRUFBRSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUc7Z0JBQ3BDLFFBQVEsRUFBRSxLQUFLO2FBQ2hCLENBQUM7WUFFRixJQUFJLFVBQVUsQ0FBQyxRQUFRLEtBQUssU0FBUyxFQUFFO2dCQUNyQyxJQUFJLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUM7YUFDOUM7aUJBQU07Z0JBQ0wsSUFBSSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDaEM7WUFFRCxJQUFJLFVBQVUsQ0FBQyxXQUFXLEtBQUssU0FBUyxFQUFFO2dCQUN4QyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsRUFBRSxJQUFJLFVBQVUsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDO2FBQzNEO1lBQ0QsSUFBSSxVQUFVLENBQUMsVUFBVSxLQUFLLFNBQVMsRUFBRTtnQkFDdkMsSUFBSSxDQUFDLElBQUksQ0FBQyxjQUFjLEVBQUUsSUFBSSxVQUFVLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQzthQUN6RDtZQUVELElBQUk7Z0JBQ0YsTUFBTSxPQUFPLEdBQUcsSUFBSSxHQUFHLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO2dCQUM3QyxNQUFNLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxHQUFHLE1BQU0sSUFBSSxDQUFDLE9BQU8sRUFBRSxRQUFRLENBQUMsQ0FBQztnQkFDekQsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFO29CQUNaLE9BQU8sTUFBTSxDQUFDLElBQUksS0FBSyxDQUFDLHNCQUFzQixNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7aUJBQzFEO2dCQUNELElBQUksQ0FBQyxNQUFNLElBQUksTUFBTSxLQUFLLGNBQWMsRUFBRTtvQkFDeEMsT0FBTyxPQUFPLENBQUMsRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLFVBQVUsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFBO2lCQUM5QztnQkFDRCxJQUFJLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtvQkFFcEUsT0FBTyxNQUFNLENBQUMsSUFBSSxLQUFLLENBQUMsc0JBQXNCLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDMUQ7cUJBQU87b0JBQ04sT0FBTyxPQUFPLENBQUMsRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUM7aUJBQzNDO2FBQ0Y7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixJQUFJLEdBQUcsQ0FBQyxJQUFJLEtBQUssUUFBUSxFQUFFO29CQUN6QixPQUFPLE1BQU0sQ0FBQyxJQUFJLGlCQUFpQixFQUFFLENBQUMsQ0FBQztpQkFDeEM7Z0JBRUQsSUFBRyxHQUFHLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxpQ0FBaUMsQ0FBQyxFQUFFO29CQUMxRCxPQUFPLE1BQU0sQ0FBQyxJQUFJLG1CQUFtQixFQUFFLENBQUMsQ0FBQztpQkFDMUM7Z0JBRUQsTUFBTSxLQUFLLEdBQUcsSUFBSSxLQUFLLENBQUMsc0JBQXNCLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2dCQUM3RCxLQUFLLENBQUMsbUJBQW1CLENBQUMsR0FBRyxJQUFJLENBQUM7Z0JBQ2xDLE9BQU8sTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ3RCO1FBQ0gsQ0FBQyxDQUFBLENBQUMsQ0FBQztJQUNMLENBQUM7Q0FBQTtBQUVELFNBQXNCLFVBQVUsQ0FBQyxHQUF3QixFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsT0FBTzs7UUFDbkYsT0FBTyxTQUFTLENBQUMsR0FBRyxFQUFFLGlCQUFpQixFQUNyQyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztJQUNyRSxDQUFDO0NBQUE7QUFIRCxnQ0FHQztBQUVELFNBQXNCLGFBQWEsQ0FBQyxHQUF3QixFQUFFLFVBQWtCLEVBQUUsT0FBZTs7UUFDL0YsT0FBTyxTQUFTLENBQUMsR0FBRyxFQUFFLGdCQUFnQixFQUNwQyxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsV0FBVyxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLGtDQUMxRCxRQUFRLEtBQUUsT0FBTyxFQUFFLGVBQWUsSUFBRyxDQUFDO0lBQy9DLENBQUM7Q0FBQTtBQUpELHNDQUlDO0FBRUQsU0FBc0IsV0FBVyxDQUFDLEdBQXdCLEVBQUUsT0FBZTs7UUFDekUsSUFBSTtZQUNGLE1BQU0sR0FBRyxHQUFHLE1BQU0sSUFBQSxrQkFBVyxFQUFDLE9BQU8sQ0FBQyxDQUFDO1lBRXZDLE9BQU8sR0FBRyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FDN0IsR0FBRyxLQUFLLENBQUMsSUFBSSxLQUFLLEtBQUssQ0FBQyxnQkFBZ0IsSUFBSSxLQUFLLENBQUMsVUFBVSxLQUFLLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQ2pGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixJQUFJLENBQUMsQ0FBQyxHQUFHLFlBQVksc0JBQWUsQ0FBQyxFQUFFO2dCQUNyQyxJQUFBLGVBQVEsRUFBQyxzQ0FBc0MsRUFBRSxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7Z0JBQ2xGLE9BQU8sRUFBRSxDQUFDO2FBQ1g7WUFDRCxJQUFBLGVBQVEsRUFBQyxzQ0FBc0MsRUFBRSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7U0FDcEY7UUFDRCxPQUFPLGlCQUFpQixDQUFDLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUN6QyxDQUFDO0NBQUE7QUFkRCxrQ0FjQztBQUVELFNBQWUsaUJBQWlCLENBQUMsR0FBd0IsRUFBRSxPQUFlOztRQUN4RSxJQUFJLEdBQUcsQ0FBQztRQUNSLElBQUk7WUFDRixHQUFHLEdBQUcsTUFBTSxTQUFTLENBQUMsR0FBRyxFQUFFLGNBQWMsRUFBRSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7U0FDbEY7UUFBQyxPQUFPLEtBQUssRUFBRTtZQUNkLElBQUEsZUFBUSxFQUFDLDRCQUE0QixFQUFFLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztZQUdsRCxJQUFHLEtBQUssWUFBWSxtQkFBbUIsRUFBRTtnQkFDdkMsSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSxjQUFjLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUM1QyxHQUFHLENBQUMsbUJBQW1CLENBQUMsMkJBQTJCLENBQUMsQ0FBQztnQkFDckQsR0FBRyxDQUFDLHFCQUFxQixDQUFDLHVCQUF1QixFQUNqRCx3REFBd0Q7b0JBQ3hELG9CQUFvQjtvQkFDcEIsNkxBQTZMO29CQUM3TCxpQkFBaUI7b0JBQ2pCLHFCQUFxQjtvQkFDckIsdUJBQXVCLEVBQ3RCLEVBQUUsRUFBRSxFQUFFLGtCQUFrQixFQUFFLFdBQVcsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7YUFDbEU7U0FDRjtRQUdELE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBQSxHQUFHLGFBQUgsR0FBRyx1QkFBSCxHQUFHLENBQUUsTUFBTSxLQUFJLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBSXpHLE9BQU8sS0FBSyxDQUFDO0lBQ2YsQ0FBQztDQUFBIiwic291cmNlc0NvbnRlbnQiOlsiLyogZXNsaW50LWRpc2FibGUgKi9cclxuaW1wb3J0ICogYXMgcGF0aCBmcm9tICdwYXRoJztcclxuaW1wb3J0IHsgbG9nLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcblxyXG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xyXG5pbXBvcnQgeyBMU1BLVW5zdXBwb3J0ZWQsIHJlYWRQYWNrYWdlIH0gZnJvbSAnLi9sc3BrJztcclxuaW1wb3J0IHsgRGl2aW5lQWN0aW9uLCBJRGl2aW5lT3B0aW9ucywgSURpdmluZU91dHB1dCB9IGZyb20gJy4vdHlwZXMnO1xyXG5pbXBvcnQgeyBnZXRMYXRlc3RMU0xpYk1vZCwgbG9nRGVidWcsIGxvZ0Vycm9yIH0gZnJvbSAnLi91dGlsJztcclxuXHJcbmltcG9ydCAqIGFzIG5vZGVVdGlsIGZyb20gJ3V0aWwnO1xyXG5pbXBvcnQgKiBhcyBjaGlsZF9wcm9jZXNzIGZyb20gJ2NoaWxkX3Byb2Nlc3MnO1xyXG5cclxuY29uc3QgZXhlYyA9IG5vZGVVdGlsLnByb21pc2lmeShjaGlsZF9wcm9jZXNzLmV4ZWMpO1xyXG5cclxuLy8gUnVuIDUgY29uY3VycmVudCBEaXZpbmUgcHJvY2Vzc2VzIC0gcmV0cnkgZWFjaCBwcm9jZXNzIDUgdGltZXMgaWYgaXQgZmFpbHMuXHJcbmNvbnN0IGNvbmN1cnJlbmN5TGltaXRlcjogdXRpbC5Db25jdXJyZW5jeUxpbWl0ZXIgPSBuZXcgdXRpbC5Db25jdXJyZW5jeUxpbWl0ZXIoNSwgKCkgPT4gdHJ1ZSk7XHJcblxyXG4vLyBUaGlzIGlzIHByb2JhYmx5IG92ZXJraWxsIC0gbW9kIGV4dHJhY3Rpb24gc2hvdWxkbid0IHRha2VcclxuLy8gIG1vcmUgdGhhbiBhIGZldyBzZWNvbmRzLlxyXG5jb25zdCBUSU1FT1VUX01TID0gMTAwMDA7XHJcblxyXG4vLyBQYWNraW5nIGEgbW9kIGhhcyB0byBjb21wcmVzcyBldmVyeSBmaWxlIGl0IGNvbnRhaW5zIHNvIGl0IGdldHMgY29uc2lkZXJhYmx5XHJcbi8vICBtb3JlIHRpbWUuXHJcbmNvbnN0IFBBQ0tfVElNRU9VVF9NUyA9IDEyMDAwMDtcclxuXHJcbmV4cG9ydCBjbGFzcyBEaXZpbmVFeGVjTWlzc2luZyBleHRlbmRzIEVycm9yIHtcclxuICBjb25zdHJ1Y3RvcigpIHtcclxuICAgIHN1cGVyKCdEaXZpbmUgZXhlY3V0YWJsZSBpcyBtaXNzaW5nJyk7XHJcbiAgICB0aGlzLm5hbWUgPSAnRGl2aW5lRXhlY01pc3NpbmcnO1xyXG4gIH1cclxufVxyXG5cclxuZXhwb3J0IGNsYXNzIERpdmluZU1pc3NpbmdEb3ROZXQgZXh0ZW5kcyBFcnJvciB7XHJcbiAgY29uc3RydWN0b3IoKSB7XHJcbiAgICBzdXBlcignTFNMaWIgcmVxdWlyZXMgLk5FVCA4IERlc2t0b3AgUnVudGltZSB0byBiZSBpbnN0YWxsZWQuJyk7XHJcbiAgICB0aGlzLm5hbWUgPSAnRGl2aW5lTWlzc2luZ0RvdE5ldCc7XHJcbiAgfVxyXG59XHJcblxyXG5leHBvcnQgY2xhc3MgRGl2aW5lVGltZWRPdXQgZXh0ZW5kcyBFcnJvciB7XHJcbiAgY29uc3RydWN0b3IoKSB7XHJcbiAgICBzdXBlcignRGl2aW5lIHByb2Nlc3MgdGltZWQgb3V0Jyk7XHJcbiAgICB0aGlzLm5hbWUgPSAnRGl2aW5lVGltZWRPdXQnO1xyXG4gIH1cclxufVxyXG5cclxuY29uc3QgZXhlY09wdHM6IGNoaWxkX3Byb2Nlc3MuRXhlY09wdGlvbnMgPSB7XHJcbiAgdGltZW91dDogVElNRU9VVF9NUyxcclxufTtcclxuXHJcbmFzeW5jIGZ1bmN0aW9uIHJ1bkRpdmluZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksXHJcbiAgICAgICAgICAgICAgICAgICAgICAgICBhY3Rpb246IERpdmluZUFjdGlvbixcclxuICAgICAgICAgICAgICAgICAgICAgICAgIGRpdmluZU9wdHM6IElEaXZpbmVPcHRpb25zLFxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgb3B0czogY2hpbGRfcHJvY2Vzcy5FeGVjT3B0aW9ucyA9IGV4ZWNPcHRzKVxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgOiBQcm9taXNlPElEaXZpbmVPdXRwdXQ+IHtcclxuICByZXR1cm4gbmV3IFByb21pc2UoKHJlc29sdmUsIHJlamVjdCkgPT4gY29uY3VycmVuY3lMaW1pdGVyLmRvKGFzeW5jICgpID0+IHtcclxuICAgIHRyeSB7XHJcbiAgICAgIGNvbnN0IHJlc3VsdCA9IGF3YWl0IGRpdmluZShhcGksIGFjdGlvbiwgZGl2aW5lT3B0cywgb3B0cyk7XHJcbiAgICAgIHJldHVybiByZXNvbHZlKHJlc3VsdCk7XHJcbiAgICB9IGNhdGNoIChlcnIpIHtcclxuICAgICAgcmV0dXJuIHJlamVjdChlcnIpO1xyXG4gICAgfVxyXG4gIH0pKTtcclxufVxyXG5cclxuYXN5bmMgZnVuY3Rpb24gZGl2aW5lKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcclxuICBhY3Rpb246IERpdmluZUFjdGlvbixcclxuICBkaXZpbmVPcHRzOiBJRGl2aW5lT3B0aW9ucyxcclxuICBleGVjT3B0czogY2hpbGRfcHJvY2Vzcy5FeGVjT3B0aW9ucyk6IFByb21pc2U8SURpdmluZU91dHB1dD4ge1xyXG4gIHJldHVybiBuZXcgUHJvbWlzZTxJRGl2aW5lT3V0cHV0Pihhc3luYyAocmVzb2x2ZSwgcmVqZWN0KSA9PiB7XHJcbiAgICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xyXG4gICAgY29uc3Qgc3RhZ2luZ0ZvbGRlciA9IHNlbGVjdG9ycy5pbnN0YWxsUGF0aEZvckdhbWUoc3RhdGUsIEdBTUVfSUQpO1xyXG4gICAgY29uc3QgbHNMaWI6IHR5cGVzLklNb2QgPSBnZXRMYXRlc3RMU0xpYk1vZChhcGkpO1xyXG4gICAgaWYgKGxzTGliID09PSB1bmRlZmluZWQpIHtcclxuICAgICAgY29uc3QgZXJyID0gbmV3IEVycm9yKCdMU0xpYi9EaXZpbmUgdG9vbCBpcyBtaXNzaW5nJyk7XHJcbiAgICAgIGVyclsnYXR0YWNoTG9nT25SZXBvcnQnXSA9IGZhbHNlO1xyXG4gICAgICByZXR1cm4gcmVqZWN0KGVycik7XHJcbiAgICB9XHJcbiAgICBjb25zdCBleGUgPSBwYXRoLmpvaW4oc3RhZ2luZ0ZvbGRlciwgbHNMaWIuaW5zdGFsbGF0aW9uUGF0aCwgJ3Rvb2xzJywgJ2RpdmluZS5leGUnKTtcclxuICAgIGNvbnN0IGFyZ3MgPSBbXHJcbiAgICAgICctLWFjdGlvbicsIGFjdGlvbixcclxuICAgICAgJy0tc291cmNlJywgYFwiJHtkaXZpbmVPcHRzLnNvdXJjZX1cImAsXHJcbiAgICAgICctLWdhbWUnLCAnYmczJyxcclxuICAgIF07XHJcblxyXG4gICAgaWYgKGRpdmluZU9wdHMubG9nbGV2ZWwgIT09IHVuZGVmaW5lZCkge1xyXG4gICAgICBhcmdzLnB1c2goJy0tbG9nbGV2ZWwnLCBkaXZpbmVPcHRzLmxvZ2xldmVsKTtcclxuICAgIH0gZWxzZSB7XHJcbiAgICAgIGFyZ3MucHVzaCgnLS1sb2dsZXZlbCcsICdvZmYnKTtcclxuICAgIH1cclxuXHJcbiAgICBpZiAoZGl2aW5lT3B0cy5kZXN0aW5hdGlvbiAhPT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgIGFyZ3MucHVzaCgnLS1kZXN0aW5hdGlvbicsIGBcIiR7ZGl2aW5lT3B0cy5kZXN0aW5hdGlvbn1cImApO1xyXG4gICAgfVxyXG4gICAgaWYgKGRpdmluZU9wdHMuZXhwcmVzc2lvbiAhPT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgIGFyZ3MucHVzaCgnLS1leHByZXNzaW9uJywgYFwiJHtkaXZpbmVPcHRzLmV4cHJlc3Npb259XCJgKTtcclxuICAgIH1cclxuXHJcbiAgICB0cnkge1xyXG4gICAgICBjb25zdCBjb21tYW5kID0gYFwiJHtleGV9XCIgJHthcmdzLmpvaW4oJyAnKX1gO1xyXG4gICAgICBjb25zdCB7IHN0ZG91dCwgc3RkZXJyIH0gPSBhd2FpdCBleGVjKGNvbW1hbmQsIGV4ZWNPcHRzKTtcclxuICAgICAgaWYgKCEhc3RkZXJyKSB7XHJcbiAgICAgICAgcmV0dXJuIHJlamVjdChuZXcgRXJyb3IoYGRpdmluZS5leGUgZmFpbGVkOiAke3N0ZGVycn1gKSk7XHJcbiAgICAgIH1cclxuICAgICAgaWYgKCFzdGRvdXQgJiYgYWN0aW9uICE9PSAnbGlzdC1wYWNrYWdlJykge1xyXG4gICAgICAgIHJldHVybiByZXNvbHZlKHsgc3Rkb3V0OiAnJywgcmV0dXJuQ29kZTogMiB9KVxyXG4gICAgICB9ICAgICAgXHJcbiAgICAgIGlmIChbJ2Vycm9yJywgJ2ZhdGFsJ10uc29tZSh4ID0+IHN0ZG91dC50b0xvd2VyQ2FzZSgpLnN0YXJ0c1dpdGgoeCkpKSB7XHJcbiAgICAgICAgLy8gUmVhbGx5P1xyXG4gICAgICAgIHJldHVybiByZWplY3QobmV3IEVycm9yKGBkaXZpbmUuZXhlIGZhaWxlZDogJHtzdGRvdXR9YCkpO1xyXG4gICAgICB9IGVsc2UgIHtcclxuICAgICAgICByZXR1cm4gcmVzb2x2ZSh7IHN0ZG91dCwgcmV0dXJuQ29kZTogMCB9KTtcclxuICAgICAgfVxyXG4gICAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICAgIGlmIChlcnIuY29kZSA9PT0gJ0VOT0VOVCcpIHtcclxuICAgICAgICByZXR1cm4gcmVqZWN0KG5ldyBEaXZpbmVFeGVjTWlzc2luZygpKTtcclxuICAgICAgfVxyXG5cclxuICAgICAgaWYoZXJyLm1lc3NhZ2UuaW5jbHVkZXMoJ1lvdSBtdXN0IGluc3RhbGwgb3IgdXBkYXRlIC5ORVQnKSkge1xyXG4gICAgICAgIHJldHVybiByZWplY3QobmV3IERpdmluZU1pc3NpbmdEb3ROZXQoKSk7XHJcbiAgICAgIH1cclxuXHJcbiAgICAgIGNvbnN0IGVycm9yID0gbmV3IEVycm9yKGBkaXZpbmUuZXhlIGZhaWxlZDogJHtlcnIubWVzc2FnZX1gKTtcclxuICAgICAgZXJyb3JbJ2F0dGFjaExvZ09uUmVwb3J0J10gPSB0cnVlO1xyXG4gICAgICByZXR1cm4gcmVqZWN0KGVycm9yKTtcclxuICAgIH1cclxuICB9KTtcclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGV4dHJhY3RQYWsoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBwYWtQYXRoLCBkZXN0UGF0aCwgcGF0dGVybikge1xyXG4gIHJldHVybiBydW5EaXZpbmUoYXBpLCAnZXh0cmFjdC1wYWNrYWdlJyxcclxuICAgIHsgc291cmNlOiBwYWtQYXRoLCBkZXN0aW5hdGlvbjogZGVzdFBhdGgsIGV4cHJlc3Npb246IHBhdHRlcm4gfSk7XHJcbn1cclxuXHJcbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBjcmVhdGVQYWNrYWdlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgc291cmNlUGF0aDogc3RyaW5nLCBwYWtQYXRoOiBzdHJpbmcpIHtcclxuICByZXR1cm4gcnVuRGl2aW5lKGFwaSwgJ2NyZWF0ZS1wYWNrYWdlJyxcclxuICAgIHsgc291cmNlOiBzb3VyY2VQYXRoLCBkZXN0aW5hdGlvbjogcGFrUGF0aCwgbG9nbGV2ZWw6ICdlcnJvcicgfSxcclxuICAgIHsgLi4uZXhlY09wdHMsIHRpbWVvdXQ6IFBBQ0tfVElNRU9VVF9NUyB9KTtcclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGxpc3RQYWNrYWdlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgcGFrUGF0aDogc3RyaW5nKTogUHJvbWlzZTxzdHJpbmdbXT4ge1xyXG4gIHRyeSB7XHJcbiAgICBjb25zdCBwa2cgPSBhd2FpdCByZWFkUGFja2FnZShwYWtQYXRoKTtcclxuICAgIC8vIHNhbWUgZm9ybWF0IGFzIGRpdmluZSdzIG91dHB1dDogbmFtZSwgc2l6ZSBhbmQgY3JjIHNlcGFyYXRlZCBieSB0YWJzXHJcbiAgICByZXR1cm4gcGtnLmVudHJpZXMubWFwKGVudHJ5ID0+XHJcbiAgICAgIGAke2VudHJ5Lm5hbWV9XFx0JHtlbnRyeS51bmNvbXByZXNzZWRTaXplIHx8IGVudHJ5LnNpemVPbkRpc2t9XFx0JHtlbnRyeS5jcmN9YCk7XHJcbiAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICBpZiAoIShlcnIgaW5zdGFuY2VvZiBMU1BLVW5zdXBwb3J0ZWQpKSB7XHJcbiAgICAgIGxvZ0Vycm9yKGBsaXN0UGFja2FnZSBmYWlsZWQgdG8gcmVhZCBwYWNrYWdlOiBgLCB7IHBha1BhdGgsIGVycm9yOiBlcnIubWVzc2FnZSB9KTtcclxuICAgICAgcmV0dXJuIFtdO1xyXG4gICAgfVxyXG4gICAgbG9nRGVidWcoYGxpc3RQYWNrYWdlIGZhbGxpbmcgYmFjayB0byBkaXZpbmU6IGAsIHsgcGFrUGF0aCwgcmVhc29uOiBlcnIubWVzc2FnZSB9KTtcclxuICB9XHJcbiAgcmV0dXJuIGxpc3RQYWNrYWdlRGl2aW5lKGFwaSwgcGFrUGF0aCk7XHJcbn1cclxuXHJcbmFzeW5jIGZ1bmN0aW9uIGxpc3RQYWNrYWdlRGl2aW5lKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgcGFrUGF0aDogc3RyaW5nKTogUHJvbWlzZTxzdHJpbmdbXT4ge1xyXG4gIGxldCByZXM7XHJcbiAgdHJ5IHtcclxuICAgIHJlcyA9IGF3YWl0IHJ1bkRpdmluZShhcGksICdsaXN0LXBhY2thZ2UnLCB7IHNvdXJjZTogcGFrUGF0aCwgbG9nbGV2ZWw6ICdvZmYnIH0pO1xyXG4gIH0gY2F0Y2ggKGVycm9yKSB7ICAgIFxyXG4gICAgbG9nRXJyb3IoYGxpc3RQYWNrYWdlIGNhdWdodCBlcnJvcjogYCwgeyBlcnJvciB9KTtcclxuICAgIC8vbG9nKCdkZWJ1ZycsICdsaXN0UGFja2FnZSBlcnJvcicsIGVycm9yLm1lc3NhZ2UpO1xyXG5cclxuICAgIGlmKGVycm9yIGluc3RhbmNlb2YgRGl2aW5lTWlzc2luZ0RvdE5ldCkgeyAgXHJcbiAgICAgIGxvZygnZXJyb3InLCAnTWlzc2luZyAuTkVUJywgZXJyb3IubWVzc2FnZSk7XHJcbiAgICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKCdiZzMtcmVhZGluZy1wYWtzLWFjdGl2aXR5Jyk7XHJcbiAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0xTTGliIHJlcXVpcmVzIC5ORVQgOCcsIFxyXG4gICAgICAnTFNMaWIgcmVxdWlyZXMgLk5FVCA4IERlc2t0b3AgUnVudGltZSB0byBiZSBpbnN0YWxsZWQuJyArXHJcbiAgICAgICdbYnJdWy9icl1bYnJdWy9icl0nICtcclxuICAgICAgJ1tsaXN0PTFdWypdRG93bmxvYWQgYW5kIEluc3RhbGwgW3VybD1odHRwczovL2RvdG5ldC5taWNyb3NvZnQuY29tL2VuLXVzL2Rvd25sb2FkL2RvdG5ldC90aGFuay15b3UvcnVudGltZS1kZXNrdG9wLTguMC4zLXdpbmRvd3MteDY0LWluc3RhbGxlcl0uTkVUIDguMCBEZXNrdG9wIFJ1bnRpbWUgZnJvbSBNaWNyb3NvZnRbL3VybF0nICArIFxyXG4gICAgICAnWypdQ2xvc2UgVm9ydGV4JyArIFxyXG4gICAgICAnWypdUmVzdGFydCBDb21wdXRlcicgKyBcclxuICAgICAgJ1sqXU9wZW4gVm9ydGV4Wy9saXN0XScsXHJcbiAgICAgICB7IGlkOiAnYmczLWRvdG5ldC1lcnJvcicsIGFsbG93UmVwb3J0OiBmYWxzZSwgaXNCQkNvZGU6IHRydWUgfSk7XHJcbiAgICB9XHJcbiAgfVxyXG5cclxuICAvL2xvZ0RlYnVnKGBsaXN0UGFja2FnZSByZXM9YCwgcmVzKTtcclxuICBjb25zdCBsaW5lcyA9IChyZXM/LnN0ZG91dCB8fCAnJykuc3BsaXQoJ1xcbicpLm1hcChsaW5lID0+IGxpbmUudHJpbSgpKS5maWx0ZXIobGluZSA9PiBsaW5lLmxlbmd0aCAhPT0gMCk7XHJcblxyXG4gIC8vbG9nRGVidWcoYGxpc3RQYWNrYWdlIGxpbmVzPWAsIGxpbmVzKTtcclxuXHJcbiAgcmV0dXJuIGxpbmVzO1xyXG59Il19
\ No newline at end of file
@@ -3,8 +3,9 @@ import * as path from 'path';
 import { log, selectors, types, util } from 'vortex-api';
 
 import { GAME_ID } from './common';
+import { LSPKUnsupported, readPackage } from './lspk';
 import { DivineAction, IDivineOptions, IDivineOutput } from './types';
-import { getLatestLSLibMod, logError } from './util';
+import { getLatestLSLibMod, logDebug, logError } from './util';
 
 import * as nodeUtil from 'util';
 import * as child_process from 'child_process';
@@ -18,6 +19,10 @@ const concurrencyLimiter: util.ConcurrencyLimiter = new util.ConcurrencyLimiter(
 //  more than a few seconds.
 const TIMEOUT_MS = 10000;
 
+// Packing a mod has to compress every file it contains so it gets considerably
+//  more time.
+const PACK_TIMEOUT_MS = 120000;
+
 export class DivineExecMissing extends Error {
   constructor() {
     super('Divine executable is missing');
@@ -45,11 +50,12 @@ const execOpts: child_process.ExecOptions = {
 
 async function runDivine(api: types.IExtensionApi,
                          action: DivineAction,
-                         divineOpts: IDivineOptions)
+                         divineOpts: IDivineOptions,
+                         opts: child_process.ExecOptions = execOpts)
                          : Promise<IDivineOutput> {
   return new Promise((resolve, reject) => concurrencyLimiter.do(async () => {
     try {
-      const result = await divine(api, action, divineOpts, execOpts);
+      const result = await divine(api, action, divineOpts, opts);
       return resolve(result);
     } catch (err) {
       return reject(err);
@@ -126,7 +132,29 @@ export async function extractPak(api: types.IExtensionApi, pakPath, destPath, pa
     { source: pakPath, destination: destPath, expression: pattern });
 }
 
+export async function createPackage(api: types.IExtensionApi, sourcePath: string, pakPath: string) {
+  return runDivine(api, 'create-package',
+    { source: sourcePath, destination: pakPath, loglevel: 'error' },
+    { ...execOpts, timeout: PACK_TIMEOUT_MS });
+}
+
 export async function listPackage(api: types.IExtensionApi, pakPath: string): Promise<string[]> {
+  try {
+    const pkg = await readPackage(pakPath);
+    // same format as divine's output: name, size and crc separated by tabs
+    return pkg.entries.map(entry =>
+      `${entry.name}\t${entry.uncompressedSize || entry.sizeOnDisk}\t${entry.crc}`);
+  } catch (err) {
+    if (!(err instanceof LSPKUnsupported)) {
+      logError(`listPackage failed to read package: `, { pakPath, error: err.message });
+      return [];
+    }
+    logDebug(`listPackage falling back to divine: `, { pakPath, reason: err.message });
+  }
+  return listPackageDivine(api, pakPath);
+}
+
+async function listPackageDivine(api: types.IExtensionApi, pakPath: string): Promise<string[]> {
   let res;
   try {
     res = await runDivine(api, 'list-package', { source: pakPath, loglevel: 'off' });
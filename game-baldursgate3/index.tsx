@@ -20,7 +20,7 @@ import {
 } from './common';
 import * as gitHubDownloader from './githubDownloader';
 import Settings from './Settings';
-import reducer from './reducers';
+import reducer, { sessionReducer } from './reducers';
 import { migrate } from './migrations';
 
 import {
@@ -41,10 +41,14 @@ import {
 import {
   deserialize, importModSettingsFile, importModSettingsGame,
   importFromBG3MM, serialize, exportToGame, exportToFile, validate,
+  checkModSettingsChanged,
+  sortLoadOrderByDependencies, exportToBG3MM,
 } from './loadOrder';
 
 import { InfoPanelWrap } from './InfoPanel'
 import PakInfoCache from './cache';
+import { PakConflictsPanel } from './PakConflictsPanel';
+import { canSetKeepLooseFiles, packLooseMods, removeOrphanedPackedMods, setKeepLooseFiles } from './packLoose';
 
 const STOP_PATTERNS = ['[^/]*\\.pak$'];
 
@@ -202,6 +206,7 @@ async function onGameModeActivated(api: types.IExtensionApi, gameId: string) {
 
 function main(context: types.IExtensionContext) {
   context.registerReducer(['settings', 'baldursgate3'], reducer);
+  context.registerReducer(['session', 'baldursgate3'], sessionReducer);
 
   context.registerGame({
     id: GAME_ID,
@@ -312,10 +317,36 @@ function main(context: types.IExtensionContext) {
   context.registerAction('fb-load-order-icons', 161, 'import', {}, 'Import from File...', () => { 
     importModSettingsFile(context.api); 
   }, isBG3);
+  context.registerAction('fb-load-order-icons', 152, 'changelog', {}, 'Export to BG3MM...', () => { exportToBG3MM(context.api); }, isBG3);
   context.registerAction('fb-load-order-icons', 170, 'import', {}, 'Import from BG3MM...', () => { importFromBG3MM(context); }, isBG3);
+  context.registerAction('fb-load-order-icons', 100, 'loot-sort', {}, 'Sort by Dependencies', () => {
+    sortLoadOrderByDependencies(context.api);
+  }, isBG3);
 
   context.registerSettings('Mods', Settings, undefined, isBG3, 150);
 
+  const keepLooseCondition = (keepLoose: boolean) => (instanceIds: string[]) =>
+    isBG3() && canSetKeepLooseFiles(context.api.getState(), instanceIds, keepLoose);
+  context.registerAction('mods-action-icons', 300, 'settings', {}, 'Keep Loose Files',
+    (instanceIds: string[]) => setKeepLooseFiles(context.api, instanceIds, true), keepLooseCondition(true));
+  context.registerAction('mods-action-icons', 300, 'settings', {}, 'Pack Loose Files',
+    (instanceIds: string[]) => setKeepLooseFiles(context.api, instanceIds, false), keepLooseCondition(false));
+  context.registerAction('mods-multirow-actions', 300, 'settings', {}, 'Keep Loose Files',
+    (instanceIds: string[]) => setKeepLooseFiles(context.api, instanceIds, true), keepLooseCondition(true));
+  context.registerAction('mods-multirow-actions', 300, 'settings', {}, 'Pack Loose Files',
+    (instanceIds: string[]) => setKeepLooseFiles(context.api, instanceIds, false), keepLooseCondition(false));
+
+  context.registerTableAttribute('mods', {
+    id: 'bg3-pak-conflicts',
+    position: 100,
+    condition: isBG3,
+    placement: 'detail',
+    calc: (mod: types.IMod) => mod.id,
+    customRenderer: (mod: types.IMod) => React.createElement(PakConflictsPanel, { mod }),
+    name: 'PAK File Conflicts',
+    edit: {},
+  });
+
   context.once(() => {
     context.api.onStateChange(['session', 'base', 'toolsRunning'],
       async (prev: any, current: any) => {
@@ -331,9 +362,29 @@ function main(context: types.IExtensionContext) {
               allowReport: false,
             });
           }
+          try {
+            await checkModSettingsChanged(context.api);
+          } catch (err) {
+            context.api.showErrorNotification('Failed to check load order for changes', err, {
+              allowReport: false,
+            });
+          }
         }
       });
 
+    context.api.onAsync('will-deploy', async (profileId: string) => {
+      const profile = selectors.profileById(context.api.getState(), profileId);
+      if (profile?.gameId === GAME_ID) {
+        await packLooseMods(context.api, profile);
+      }
+    });
+
+    context.api.onAsync('did-remove-mod', async (gameId: string) => {
+      if (gameId === GAME_ID) {
+        await removeOrphanedPackedMods(context.api);
+      }
+    });
+
     context.api.onAsync('did-deploy', async (profileId: string, deployment) => {
       const profile = selectors.profileById(context.api.getState(), profileId);
       if (profile?.gameId === GAME_ID) {
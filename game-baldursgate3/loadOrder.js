@@ -1,27 +1,4 @@
 "use strict";
-var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
-    if (k2 === undefined) k2 = k;
-    var desc = Object.getOwnPropertyDescriptor(m, k);
-    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
-      desc = { enumerable: true, get: function() { return m[k]; } };
-    }
-    Object.defineProperty(o, k2, desc);
-}) : (function(o, m, k, k2) {
-    if (k2 === undefined) k2 = k;
-    o[k2] = m[k];
-}));
-var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
-    Object.defineProperty(o, "default", { enumerable: true, value: v });
-}) : function(o, v) {
-    o["default"] = v;
-});
-var __importStar = (this && this.__importStar) || function (mod) {
-    if (mod && mod.__esModule) return mod;
-    var result = {};
-    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
-    __setModuleDefault(result, mod);
-    return result;
-};
 var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
     function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
     return new (P || (P = Promise))(function (resolve, reject) {
@@ -35,16 +12,18 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.loadOrderFilePath = exports.ensureLOFile = exports.genProps = exports.validate = exports.deepRefresh = exports.exportToGame = exports.exportToFile = exports.importModSettingsGame = exports.importModSettingsFile = exports.importFromBG3MM = exports.deserialize = exports.serialize = void 0;
+exports.loadOrderFilePath = exports.ensureLOFile = exports.genProps = exports.sortLoadOrderByDependencies = exports.sortByDependencies = exports.notifyMissingDependencies = exports.validate = exports.deepRefresh = exports.checkModSettingsChanged = exports.diffModOrder = exports.gameSettingsPaths = exports.exportToGame = exports.exportToFile = exports.importModSettingsGame = exports.importModSettingsFile = exports.exportToBG3MM = exports.importFromBG3MM = exports.deserialize = exports.serialize = void 0;
 const vortex_api_1 = require("vortex-api");
 const path_1 = __importDefault(require("path"));
-const semver = __importStar(require("semver"));
 const bluebird_1 = __importDefault(require("bluebird"));
 const common_1 = require("./common");
+const bg3mm_1 = require("./bg3mm");
 const xml2js_1 = require("xml2js");
 const divineWrapper_1 = require("./divineWrapper");
 const util_1 = require("./util");
 const cache_1 = __importDefault(require("./cache"));
+const actions_1 = require("./actions");
+const pakConflicts_1 = require("./pakConflicts");
 function serialize(context, loadOrder, profileId) {
     var _a;
     return __awaiter(this, void 0, void 0, function* () {
@@ -57,6 +36,7 @@ function serialize(context, loadOrder, profileId) {
         (0, util_1.logDebug)('serialize loadOrder=', loadOrder);
         yield vortex_api_1.fs.removeAsync(loFilePath).catch({ code: 'ENOENT' }, () => Promise.resolve());
         yield vortex_api_1.fs.writeFileAsync(loFilePath, JSON.stringify(loadOrder), { encoding: 'utf8' });
+        notifyMissingDependencies(context.api, loadOrder);
         const autoExportToGame = (_a = state.settings['baldursgate3'].autoExportLoadOrder) !== null && _a !== void 0 ? _a : false;
         (0, util_1.logDebug)('serialize autoExportToGame=', autoExportToGame);
         if (autoExportToGame)
@@ -73,6 +53,7 @@ function deserialize(context) {
             return [];
         }
         const paks = yield readPAKs(context.api);
+        context.api.store.dispatch((0, actions_1.setPakConflicts)((0, pakConflicts_1.findPakConflicts)(paks)));
         const loFilePath = yield ensureLOFile(context);
         const fileData = yield vortex_api_1.fs.readFileAsync(loFilePath, { encoding: 'utf8' });
         let loadOrder = [];
@@ -97,7 +78,13 @@ function deserialize(context) {
                 });
             }
             (0, util_1.logDebug)('deserialize loadOrder=', loadOrder);
-            const filteredLoadOrder = loadOrder.filter(entry => paks.find(pak => pak.fileName === entry.id));
+            const filteredLoadOrder = loadOrder.reduce((acc, entry) => {
+                const pak = paks.find(pak => pak.fileName === entry.id);
+                if (pak !== undefined) {
+                    acc.push(Object.assign(Object.assign({}, entry), { data: pak.info }));
+                }
+                return acc;
+            }, []);
             (0, util_1.logDebug)('deserialize filteredLoadOrder=', filteredLoadOrder);
             const processedPaks = paks.reduce((acc, curr) => {
                 if (curr.mod === undefined) {
@@ -144,16 +131,12 @@ function importFromBG3MM(context) {
         }
         try {
             const data = yield vortex_api_1.fs.readFileAsync(selectedPath, { encoding: 'utf8' });
-            const loadOrder = JSON.parse(data);
+            const loadOrder = (0, bg3mm_1.parseBG3MMOrder)(data);
             (0, util_1.logDebug)('importFromBG3MM loadOrder=', loadOrder);
-            const getIndex = (uuid) => {
-                const index = loadOrder.findIndex(entry => entry.UUID !== undefined && entry.UUID === uuid);
-                return index !== -1 ? index : Infinity;
-            };
             const state = api.getState();
             const profileId = (_a = vortex_api_1.selectors.activeProfile(state)) === null || _a === void 0 ? void 0 : _a.id;
             const currentLoadOrder = vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
-            const newLO = [...currentLoadOrder].sort((a, b) => { var _a, _b; return getIndex((_a = a.data) === null || _a === void 0 ? void 0 : _a.uuid) - getIndex((_b = b.data) === null || _b === void 0 ? void 0 : _b.uuid); });
+            const newLO = (0, bg3mm_1.applyBG3MMOrder)(currentLoadOrder, loadOrder);
             yield serialize(context, newLO, profileId);
         }
         catch (err) {
@@ -165,6 +148,48 @@ function importFromBG3MM(context) {
     });
 }
 exports.importFromBG3MM = importFromBG3MM;
+function exportToBG3MM(api) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        let selectedPath;
+        if (api.saveFile !== undefined) {
+            const options = {
+                title: api.translate('Please choose a BG3MM .json file to export to'),
+                filters: [{ name: 'BG3MM Load Order', extensions: ['json'] }],
+            };
+            selectedPath = yield api.saveFile(options);
+        }
+        else {
+            const options = {
+                title: api.translate('Please choose a BG3MM .json file to export to'),
+                filters: [{ name: 'BG3MM Load Order', extensions: ['json'] }],
+                create: true
+            };
+            selectedPath = yield api.selectFile(options);
+        }
+        (0, util_1.logDebug)(`exportToBG3MM ${selectedPath}`);
+        if (selectedPath === undefined) {
+            return;
+        }
+        const state = api.getState();
+        const profileId = (_a = vortex_api_1.selectors.activeProfile(state)) === null || _a === void 0 ? void 0 : _a.id;
+        const loadOrder = vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+        try {
+            yield vortex_api_1.fs.writeFileAsync(selectedPath, JSON.stringify((0, bg3mm_1.toBG3MMOrder)(loadOrder), undefined, 2), { encoding: 'utf8' });
+            api.sendNotification({
+                type: 'success',
+                id: 'bg3-loadorder-exported',
+                title: 'Load Order Exported',
+                message: selectedPath,
+                displayMS: 3000
+            });
+        }
+        catch (err) {
+            api.showErrorNotification('Failed to export BG3MM load order file', err, { allowReport: false });
+        }
+    });
+}
+exports.exportToBG3MM = exportToBG3MM;
 function importModSettingsFile(api) {
     var _a;
     return __awaiter(this, void 0, void 0, function* () {
@@ -314,7 +339,7 @@ function processLsxFile(api, lsxPath) {
         }
     });
 }
-function exportTo(api, filepath) {
+function exportTo(api, filepaths) {
     var _a, _b, _c, _d, _e, _f, _g, _h, _j, _k, _l, _m;
     return __awaiter(this, void 0, void 0, function* () {
         const state = api.getState();
@@ -362,12 +387,14 @@ function exportTo(api, filepath) {
             }));
             modsNode.children[0].node = descriptionNodes;
             loNode.children[0].node = loadOrderNodes;
-            writeModSettings(api, modSettings, filepath);
+            for (const filepath of filepaths) {
+                yield writeModSettings(api, modSettings, filepath);
+            }
             api.sendNotification({
                 type: 'success',
                 id: 'bg3-loadorder-exported',
                 title: 'Load Order Exported',
-                message: filepath,
+                message: filepaths.join('\n'),
                 displayMS: 3000
             });
         }
@@ -400,18 +427,146 @@ function exportToFile(api) {
         (0, util_1.logDebug)(`exportToFile ${selectedPath}`);
         if (selectedPath === undefined)
             return;
-        exportTo(api, selectedPath);
+        exportTo(api, [selectedPath]);
     });
 }
 exports.exportToFile = exportToFile;
 function exportToGame(api) {
     return __awaiter(this, void 0, void 0, function* () {
-        const settingsPath = path_1.default.join((0, util_1.profilesPath)(), 'Public', 'modsettings.lsx');
-        (0, util_1.logDebug)(`exportToGame ${settingsPath}`);
-        exportTo(api, settingsPath);
+        const settingsPaths = gameSettingsPaths(api);
+        (0, util_1.logDebug)('exportToGame', settingsPaths);
+        yield exportTo(api, settingsPaths);
     });
 }
 exports.exportToGame = exportToGame;
+function gameSettingsPaths(api) {
+    var _a, _b;
+    const publicPath = path_1.default.join((0, util_1.profilesPath)(), 'Public', 'modsettings.lsx');
+    if (!((_b = (_a = api.getState().settings['baldursgate3']) === null || _a === void 0 ? void 0 : _a.syncPlayerProfiles) !== null && _b !== void 0 ? _b : false)) {
+        return [publicPath];
+    }
+    const profilePaths = (0, util_1.getPlayerProfiles)()
+        .map(name => path_1.default.join((0, util_1.profilesPath)(), name, 'modsettings.lsx'));
+    return Array.from(new Set([publicPath, ...profilePaths]));
+}
+exports.gameSettingsPaths = gameSettingsPaths;
+function modOrderFromSettings(modSettings) {
+    var _a, _b, _c, _d, _e, _f, _g, _h, _j, _k, _l, _m, _o;
+    const region = (0, util_1.findNode)((_a = modSettings === null || modSettings === void 0 ? void 0 : modSettings.save) === null || _a === void 0 ? void 0 : _a.region, 'ModuleSettings');
+    const root = (0, util_1.findNode)(region === null || region === void 0 ? void 0 : region.node, 'root');
+    const modNodes = (_g = (_f = (_e = (_d = (0, util_1.findNode)((_c = (_b = root === null || root === void 0 ? void 0 : root.children) === null || _b === void 0 ? void 0 : _b[0]) === null || _c === void 0 ? void 0 : _c.node, 'Mods')) === null || _d === void 0 ? void 0 : _d.children) === null || _e === void 0 ? void 0 : _e[0]) === null || _f === void 0 ? void 0 : _f.node) !== null && _g !== void 0 ? _g : [];
+    const orderNodes = (_o = (_m = (_l = (_k = (0, util_1.findNode)((_j = (_h = root === null || root === void 0 ? void 0 : root.children) === null || _h === void 0 ? void 0 : _h[0]) === null || _j === void 0 ? void 0 : _j.node, 'ModOrder')) === null || _k === void 0 ? void 0 : _k.children) === null || _l === void 0 ? void 0 : _l[0]) === null || _m === void 0 ? void 0 : _m.node) !== null && _o !== void 0 ? _o : [];
+    const names = modNodes.reduce((accum, node) => {
+        accum[getAttribute(node, 'UUID')] = getAttribute(node, 'Name');
+        return accum;
+    }, {});
+    const uuids = ((orderNodes.length > 0) ? orderNodes : modNodes)
+        .map(node => getAttribute(node, 'UUID'))
+        .filter(uuid => uuid !== undefined);
+    return Array.from(new Set(uuids))
+        .map(uuid => { var _a; return ({ uuid, name: (_a = names[uuid]) !== null && _a !== void 0 ? _a : uuid }); })
+        .filter(mod => common_1.GAME_MODULES[mod.uuid] === undefined);
+}
+function modOrderFromLoadOrder(loadOrder) {
+    return loadOrder
+        .filter(entry => { var _a, _b; return !!((_a = entry.data) === null || _a === void 0 ? void 0 : _a.uuid) && entry.enabled && !((_b = entry.data) === null || _b === void 0 ? void 0 : _b.isListed); })
+        .map(entry => { var _a; return ({ uuid: entry.data.uuid, name: (_a = entry.data.name) !== null && _a !== void 0 ? _a : entry.name }); });
+}
+function findReordered(lhs, rhs) {
+    const lengths = Array.from({ length: lhs.length + 1 }, () => new Array(rhs.length + 1).fill(0));
+    for (let i = lhs.length - 1; i >= 0; --i) {
+        for (let j = rhs.length - 1; j >= 0; --j) {
+            lengths[i][j] = (lhs[i].uuid === rhs[j].uuid)
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const kept = new Set();
+    let i = 0;
+    let j = 0;
+    while ((i < lhs.length) && (j < rhs.length)) {
+        if (lhs[i].uuid === rhs[j].uuid) {
+            kept.add(lhs[i].uuid);
+            ++i;
+            ++j;
+        }
+        else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ++i;
+        }
+        else {
+            ++j;
+        }
+    }
+    return rhs.filter(mod => !kept.has(mod.uuid));
+}
+function diffModOrder(expected, actual) {
+    const expectedIds = new Set(expected.map(mod => mod.uuid));
+    const actualIds = new Set(actual.map(mod => mod.uuid));
+    return {
+        added: actual.filter(mod => !expectedIds.has(mod.uuid)),
+        removed: expected.filter(mod => !actualIds.has(mod.uuid)),
+        reordered: findReordered(expected.filter(mod => actualIds.has(mod.uuid)), actual.filter(mod => expectedIds.has(mod.uuid))),
+    };
+}
+exports.diffModOrder = diffModOrder;
+function renderDiff(api, diff) {
+    const t = api.translate;
+    const section = (title, mods) => (mods.length > 0)
+        ? `[b]${t(title)}[/b][list]${mods.map(mod => `[*]${mod.name}`).join('')}[/list]`
+        : '';
+    return [
+        section('Added', diff.added),
+        section('Removed', diff.removed),
+        section('Moved', diff.reordered),
+    ].join('');
+}
+function checkModSettingsChanged(api) {
+    var _a, _b, _c;
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        if (!((_b = (_a = state.settings['baldursgate3']) === null || _a === void 0 ? void 0 : _a.autoExportLoadOrder) !== null && _b !== void 0 ? _b : false)) {
+            return;
+        }
+        const profileId = (_c = vortex_api_1.selectors.activeProfile(state)) === null || _c === void 0 ? void 0 : _c.id;
+        const loadOrder = vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+        const expected = modOrderFromLoadOrder(loadOrder);
+        for (const settingsPath of gameSettingsPaths(api)) {
+            let modSettings;
+            try {
+                modSettings = yield readLsxFile(settingsPath);
+            }
+            catch (err) {
+                if (err.code !== 'ENOENT') {
+                    (0, vortex_api_1.log)('warn', 'failed to read mod settings', { settingsPath, error: err.message });
+                }
+                continue;
+            }
+            const diff = diffModOrder(expected, modOrderFromSettings(modSettings));
+            if ((diff.added.length + diff.removed.length + diff.reordered.length) === 0) {
+                continue;
+            }
+            const result = yield api.showDialog('question', 'Load Order Changed', {
+                bbcode: api.translate('The load order in "{{settingsPath}}" was changed outside of Vortex, '
+                    + 'most likely by the game or another mod manager.[br][/br][br][/br]', { replace: { settingsPath } })
+                    + renderDiff(api, diff)
+                    + api.translate('[br][/br]You can accept these changes into your Vortex load order '
+                        + 'or overwrite them with the load order managed by Vortex.'),
+            }, [
+                { label: 'Accept Changes' },
+                { label: 'Re-apply Vortex Order', default: true },
+            ]);
+            if (result.action === 'Accept Changes') {
+                yield processLsxFile(api, settingsPath);
+                yield exportToGame(api);
+            }
+            else if (result.action === 'Re-apply Vortex Order') {
+                yield exportToGame(api);
+            }
+            return;
+        }
+    });
+}
+exports.checkModSettingsChanged = checkModSettingsChanged;
 function deepRefresh(api) {
     var _a;
     return __awaiter(this, void 0, void 0, function* () {
@@ -451,19 +606,135 @@ function writeModSettings(api, data, filepath) {
         }
     });
 }
+function isGameModule(dependency) {
+    return common_1.GAME_MODULES[dependency.uuid] !== undefined;
+}
+function dependencyName(dependency) {
+    var _a, _b;
+    return (_b = (_a = dependency.name) !== null && _a !== void 0 ? _a : dependency.folder) !== null && _b !== void 0 ? _b : dependency.uuid;
+}
+function findDependencyIssues(loadOrder) {
+    const enabled = loadOrder.filter(entry => entry.enabled);
+    const positions = enabled.reduce((accum, entry, idx) => {
+        var _a;
+        if (((_a = entry.data) === null || _a === void 0 ? void 0 : _a.uuid) !== undefined) {
+            accum[entry.data.uuid] = idx;
+        }
+        return accum;
+    }, {});
+    return enabled.map((entry, idx) => {
+        var _a, _b;
+        const dependencies = ((_b = (_a = entry.data) === null || _a === void 0 ? void 0 : _a.dependencies) !== null && _b !== void 0 ? _b : [])
+            .filter(dep => !isGameModule(dep));
+        return {
+            entry,
+            missing: dependencies.filter(dep => positions[dep.uuid] === undefined),
+            loadedAfter: dependencies.filter(dep => positions[dep.uuid] > idx),
+        };
+    }).filter(issues => (issues.missing.length > 0) || (issues.loadedAfter.length > 0));
+}
 function validate(prev, current) {
     return __awaiter(this, void 0, void 0, function* () {
-        return undefined;
+        const invalid = findDependencyIssues(current)
+            .filter(issues => issues.loadedAfter.length > 0)
+            .map(issues => ({
+            id: issues.entry.id,
+            reason: `Must be loaded after: ${issues.loadedAfter.map(dependencyName).join(', ')}`,
+        }));
+        return (invalid.length > 0) ? { invalid } : undefined;
     });
 }
 exports.validate = validate;
-function readPAKs(api) {
+function notifyMissingDependencies(api, loadOrder) {
+    const missing = findDependencyIssues(loadOrder).filter(issues => issues.missing.length > 0);
+    if (missing.length === 0) {
+        api.dismissNotification(common_1.NOTIF_MISSING_DEPENDENCIES);
+        return;
+    }
+    api.sendNotification({
+        id: common_1.NOTIF_MISSING_DEPENDENCIES,
+        type: 'warning',
+        message: 'Some mods are missing dependencies',
+        actions: [
+            {
+                title: 'More',
+                action: () => api.showDialog('info', 'Missing Dependencies', {
+                    bbcode: api.translate('The following mods require other mods that are not installed or not '
+                        + 'enabled. They will not work correctly until you install and enable them.')
+                        + '[list]' + missing.map(issues => `[*]${issues.entry.name}: `
+                        + issues.missing.map(dependencyName).join(', ')).join('') + '[/list]',
+                }, [
+                    { label: 'Close' },
+                ]),
+            },
+        ],
+    });
+}
+exports.notifyMissingDependencies = notifyMissingDependencies;
+function sortByDependencies(loadOrder) {
+    const unlocked = loadOrder.filter(entry => !entry.locked);
+    const uuids = new Set(unlocked.map(entry => { var _a; return (_a = entry.data) === null || _a === void 0 ? void 0 : _a.uuid; }).filter(uuid => uuid !== undefined));
+    const dependsOn = (entry) => {
+        var _a, _b;
+        return ((_b = (_a = entry.data) === null || _a === void 0 ? void 0 : _a.dependencies) !== null && _b !== void 0 ? _b : [])
+            .map(dep => dep.uuid)
+            .filter(uuid => { var _a; return uuids.has(uuid) && (uuid !== ((_a = entry.data) === null || _a === void 0 ? void 0 : _a.uuid)); });
+    };
+    const byUuid = unlocked.reduce((accum, entry) => {
+        var _a;
+        if (((_a = entry.data) === null || _a === void 0 ? void 0 : _a.uuid) !== undefined) {
+            accum[entry.data.uuid] = entry;
+        }
+        return accum;
+    }, {});
+    const sorted = [];
+    const placed = new Set();
+    const visiting = [];
+    const place = (entry) => {
+        if (placed.has(entry)) {
+            return;
+        }
+        if (visiting.includes(entry)) {
+            const cycle = visiting.slice(visiting.indexOf(entry)).map(iter => iter.name).join(', ');
+            throw new vortex_api_1.util.DataInvalid(`These mods have cyclic dependencies: ${cycle}`);
+        }
+        visiting.push(entry);
+        dependsOn(entry).forEach(uuid => place(byUuid[uuid]));
+        visiting.pop();
+        placed.add(entry);
+        sorted.push(entry);
+    };
+    unlocked.forEach(place);
+    return loadOrder.map(entry => entry.locked ? entry : sorted.shift());
+}
+exports.sortByDependencies = sortByDependencies;
+function sortLoadOrderByDependencies(api) {
+    var _a;
     return __awaiter(this, void 0, void 0, function* () {
         const state = api.getState();
-        const lsLib = getLatestLSLibMod(api);
-        if (lsLib === undefined) {
-            return [];
+        const profileId = (_a = vortex_api_1.selectors.activeProfile(state)) === null || _a === void 0 ? void 0 : _a.id;
+        const loadOrder = vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+        try {
+            const newLO = sortByDependencies(loadOrder);
+            api.store.dispatch(vortex_api_1.actions.setLoadOrder(profileId, newLO));
+            api.sendNotification({
+                type: 'success',
+                id: 'bg3-loadorder-sorted',
+                message: 'Load order sorted by dependencies',
+                displayMS: 3000,
+            });
+        }
+        catch (err) {
+            api.showErrorNotification('Failed to sort load order', err, {
+                allowReport: !(err instanceof vortex_api_1.util.DataInvalid),
+            });
         }
+    });
+}
+exports.sortLoadOrderByDependencies = sortLoadOrderByDependencies;
+function readPAKs(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
         const paks = yield readPAKList(api);
         let manifest;
         try {
@@ -543,34 +814,6 @@ function readPAKList(api) {
         return paks;
     });
 }
-function getLatestLSLibMod(api) {
-    const state = api.getState();
-    const mods = state.persistent.mods[common_1.GAME_ID];
-    if (mods === undefined) {
-        (0, vortex_api_1.log)('warn', 'LSLib is not installed');
-        return undefined;
-    }
-    const lsLib = Object.keys(mods).reduce((prev, id) => {
-        if (mods[id].type === 'bg3-lslib-divine-tool') {
-            const latestVer = vortex_api_1.util.getSafe(prev, ['attributes', 'version'], '0.0.0');
-            const currentVer = vortex_api_1.util.getSafe(mods[id], ['attributes', 'version'], '0.0.0');
-            try {
-                if (semver.gt(currentVer, latestVer)) {
-                    prev = mods[id];
-                }
-            }
-            catch (err) {
-                (0, vortex_api_1.log)('warn', 'invalid mod version', { modId: id, version: currentVer });
-            }
-        }
-        return prev;
-    }, undefined);
-    if (lsLib === undefined) {
-        (0, vortex_api_1.log)('warn', 'LSLib is not installed');
-        return undefined;
-    }
-    return lsLib;
-}
 function genProps(context, profileId) {
     const api = context.api;
     const state = api.getState();
@@ -616,5 +859,4 @@ function loadOrderFilePath(profileId) {
     return path_1.default.join(vortex_api_1.util.getVortexPath('userData'), common_1.GAME_ID, profileId + '_' + common_1.LO_FILE_NAME);
 }
 exports.loadOrderFilePath = loadOrderFilePath;
-
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9hZE9yZGVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibG9hZE9yZGVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQ0EsMkNBQXNFO0FBQ3RFLGdEQUF3QjtBQUN4QiwrQ0FBaUM7QUFDakMsd0RBQWdDO0FBRWhDLHFDQUF3RTtBQUV4RSxtQ0FBcUQ7QUFJckQsbURBQW9EO0FBQ3BELGlDQUFrRjtBQUVsRixvREFBb0Q7QUFFcEQsU0FBc0IsU0FBUyxDQUFDLE9BQWdDLEVBQ2hDLFNBQTBCLEVBQzFCLFNBQWtCOzs7UUFDaEQsTUFBTSxLQUFLLEdBQVcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3hDLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtZQUN2QixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDO1NBQ2xFO1FBRUQsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUdyQyxNQUFNLFVBQVUsR0FBRyxNQUFNLFlBQVksQ0FBQyxPQUFPLEVBQUUsU0FBUyxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBR2pFLElBQUEsZUFBUSxFQUFDLHNCQUFzQixFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBRzVDLE1BQU0sZUFBRSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxLQUFLLENBQUMsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDcEYsTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFLckYsTUFBTSxnQkFBZ0IsR0FBVyxNQUFBLEtBQUssQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLENBQUMsbUJBQW1CLG1DQUFJLEtBQUssQ0FBQztRQUU3RixJQUFBLGVBQVEsRUFBQyw2QkFBNkIsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO1FBRTFELElBQUcsZ0JBQWdCO1lBQ2pCLE1BQU0sWUFBWSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUVsQyxPQUFPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQzs7Q0FDMUI7QUEvQkQsOEJBK0JDO0FBRUQsU0FBc0IsV0FBVyxDQUFDLE9BQWdDOzs7UUFLaEUsTUFBTSxLQUFLLEdBQVcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3hDLElBQUksQ0FBQSxNQUFBLEtBQUssYUFBTCxLQUFLLHVCQUFMLEtBQUssQ0FBRSxPQUFPLDBDQUFFLE1BQU0sTUFBSyxnQkFBTyxFQUFFO1lBRXRDLE9BQU8sRUFBRSxDQUFDO1NBQ1g7UUFFRCxNQUFNLElBQUksR0FBRyxNQUFNLFFBQVEsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7UUFHekMsTUFBTSxVQUFVLEdBQUcsTUFBTSxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDL0MsTUFBTSxRQUFRLEdBQUcsTUFBTSxlQUFFLENBQUMsYUFBYSxDQUFDLFVBQVUsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBRTFFLElBQUksU0FBUyxHQUE0QixFQUFFLENBQUM7UUFFNUMsSUFBSTtZQUVGLElBQUk7Z0JBQ0YsU0FBUyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7YUFDbEM7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFFWixNQUFNLElBQUksT0FBTyxDQUFPLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO29CQUMxQyxLQUFLLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUseUJBQXlCLEVBQUU7d0JBQ3ZELE1BQU0sRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyw0RUFBNEU7OEJBQzVFLGlGQUFpRjs0QkFDakYsaUVBQWlFLENBQUM7cUJBQy9GLEVBQUU7d0JBQ0QsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUU7d0JBQzlDLEVBQUUsS0FBSyxFQUFFLGlCQUFpQixFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUU7Z0NBQ3ZDLFNBQVMsR0FBRyxFQUFFLENBQUM7Z0NBQ2IsT0FBTyxPQUFPLEVBQUUsQ0FBQzs0QkFDbkIsQ0FBQzt5QkFDRjtxQkFDRixDQUFDLENBQUE7Z0JBQ0osQ0FBQyxDQUFDLENBQUE7YUFDSDtZQUdELElBQUEsZUFBUSxFQUFDLHdCQUF3QixFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBRzlDLE1BQU0saUJBQWlCLEdBQW1CLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLFFBQVEsS0FBSyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUVqSCxJQUFBLGVBQVEsRUFBQyxnQ0FBZ0MsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDO1lBTTlELE1BQU0sYUFBYSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLEVBQUU7Z0JBRzlDLElBQUcsSUFBSSxDQUFDLEdBQUcsS0FBSyxTQUFTLEVBQUU7b0JBQ3pCLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO29CQUN2QixPQUFPLEdBQUcsQ0FBQztpQkFDWjtnQkFFRCxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztnQkFDckIsT0FBTyxHQUFHLENBQUM7WUFFYixDQUFDLEVBQUUsRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBRS9CLElBQUEsZUFBUSxFQUFDLDRCQUE0QixFQUFFLGFBQWEsQ0FBQyxDQUFDO1lBR3RELE1BQU0sU0FBUyxHQUFZLGFBQWEsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsaUJBQWlCLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxHQUFHLENBQUMsUUFBUSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7WUFFdkksSUFBQSxlQUFRLEVBQUMsd0JBQXdCLEVBQUUsU0FBUyxDQUFDLENBQUM7WUFNOUMsSUFBQSxlQUFRLEVBQUMsbUJBQW1CLEVBQUUsSUFBSSxDQUFDLENBQUM7WUFJcEMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsRUFBRTtnQkFDdEIsaUJBQWlCLENBQUMsSUFBSSxDQUFDO29CQUNyQixFQUFFLEVBQUUsR0FBRyxDQUFDLFFBQVE7b0JBQ2hCLEtBQUssRUFBRSxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUU7b0JBQ2pCLE9BQU8sRUFBRSxJQUFJO29CQUNiLElBQUksRUFBRSxjQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDO29CQUN6QyxJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUk7b0JBQ2QsTUFBTSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsUUFBdUI7aUJBQ3pDLENBQUMsQ0FBQTtZQUNKLENBQUMsQ0FBQyxDQUFDO1lBUUgsT0FBTyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1NBQ2xFO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDNUI7O0NBQ0Y7QUF0R0Qsa0NBc0dDO0FBRUQsU0FBc0IsZUFBZSxDQUFDLE9BQWdDOzs7UUFDcEUsTUFBTSxHQUFHLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQztRQUN4QixNQUFNLE9BQU8sR0FBaUI7WUFDNUIsS0FBSyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsNERBQTRELENBQUM7WUFDbEYsT0FBTyxFQUFFLENBQUMsRUFBRSxJQUFJLEVBQUUsa0JBQWtCLEVBQUUsVUFBVSxFQUFFLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztTQUM5RCxDQUFDO1FBRUYsTUFBTSxZQUFZLEdBQVUsTUFBTSxHQUFHLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBRTFELElBQUEsZUFBUSxFQUFDLCtCQUErQixFQUFFLFlBQVksQ0FBQyxDQUFDO1FBR3hELElBQUcsWUFBWSxLQUFLLFNBQVMsRUFBRTtZQUM3QixPQUFPO1NBQ1I7UUFFRCxJQUFJO1lBQ0YsTUFBTSxJQUFJLEdBQUcsTUFBTSxlQUFFLENBQUMsYUFBYSxDQUFDLFlBQVksRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO1lBQ3hFLE1BQU0sU0FBUyxHQUFVLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDMUMsSUFBQSxlQUFRLEVBQUMsNEJBQTRCLEVBQUUsU0FBUyxDQUFDLENBQUM7WUFFbEQsTUFBTSxRQUFRLEdBQUcsQ0FBQyxJQUFZLEVBQVUsRUFBRTtnQkFDeEMsTUFBTSxLQUFLLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEtBQUssU0FBUyxJQUFJLEtBQUssQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLENBQUM7Z0JBQzVGLE9BQU8sS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztZQUN6QyxDQUFDLENBQUM7WUFFRixNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDN0IsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1lBQ3JELE1BQU0sZ0JBQWdCLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUN6RixNQUFNLEtBQUssR0FBRyxDQUFDLEdBQUcsZ0JBQWdCLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsZUFBQyxPQUFBLFFBQVEsQ0FBQyxNQUFBLENBQUMsQ0FBQyxJQUFJLDBDQUFFLElBQUksQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFBLENBQUMsQ0FBQyxJQUFJLDBDQUFFLElBQUksQ0FBQyxDQUFBLEVBQUEsQ0FBQyxDQUFDO1lBQ3BHLE1BQU0sU0FBUyxDQUFDLE9BQU8sRUFBRSxLQUFLLEVBQUUsU0FBUyxDQUFDLENBQUM7U0FDNUM7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyx3Q0FBd0MsRUFBRSxHQUFHLEVBQUUsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztTQUNsRztnQkFBUztZQUNSLElBQUEsbUJBQVksRUFBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDM0I7O0NBQ0Y7QUFwQ0QsMENBb0NDO0FBRUQsU0FBc0IscUJBQXFCLENBQUMsR0FBd0I7OztRQUVsRSxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1FBRXJELE1BQU0sT0FBTyxHQUFpQjtZQUM1QixLQUFLLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyw4Q0FBOEMsQ0FBQztZQUNwRSxPQUFPLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxVQUFVLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO1NBQzNELENBQUM7UUFFRixNQUFNLFlBQVksR0FBVSxNQUFNLEdBQUcsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUM7UUFFMUQsSUFBQSxlQUFRLEVBQUMscUNBQXFDLEVBQUUsWUFBWSxDQUFDLENBQUM7UUFHOUQsSUFBRyxZQUFZLEtBQUssU0FBUztZQUMzQixPQUFPO1FBRVQsY0FBYyxDQUFDLEdBQUcsRUFBRSxZQUFZLENBQUMsQ0FBQzs7Q0FDbkM7QUFuQkQsc0RBbUJDO0FBRUQsU0FBc0IscUJBQXFCLENBQUMsR0FBd0I7O1FBRWxFLE1BQU0sZ0JBQWdCLEdBQVUsY0FBSSxDQUFDLElBQUksQ0FBQyxJQUFBLG1CQUFZLEdBQUUsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztRQUV2RixJQUFBLGVBQVEsRUFBQyx5Q0FBeUMsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO1FBRXRFLGNBQWMsQ0FBQyxHQUFHLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQztJQUN4QyxDQUFDO0NBQUE7QUFQRCxzREFPQztBQUVELFNBQVMsc0JBQXNCLENBQUMsR0FBRztJQUNqQyxPQUFPLElBQUksR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxHQUFHLENBQUMsTUFBTSxDQUFBO0FBQ3pDLENBQUM7QUFFRCxTQUFTLFlBQVksQ0FBQyxJQUFjLEVBQUUsSUFBWSxFQUFFLFFBQWlCOztJQUNuRSxPQUFPLE1BQUEsTUFBQSxNQUFBLElBQUEsZUFBUSxFQUFDLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxTQUFTLEVBQUUsSUFBSSxDQUFDLDBDQUFFLENBQUMsMENBQUUsS0FBSyxtQ0FBSSxRQUFRLENBQUM7QUFDL0QsQ0FBQztBQUVELFNBQWUsZ0JBQWdCLENBQUMsR0FBd0IsRUFBRSxRQUFnQjs7O1FBQ3hFLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7UUFFckQsR0FBRyxDQUFDLGdCQUFnQixDQUFDO1lBQ25CLEVBQUUsRUFBRSw4QkFBcUI7WUFDekIsS0FBSyxFQUFFLHFCQUFxQjtZQUM1QixPQUFPLEVBQUUsUUFBUTtZQUNqQixJQUFJLEVBQUUsVUFBVTtZQUNoQixTQUFTLEVBQUUsSUFBSTtZQUNmLGFBQWEsRUFBRSxLQUFLO1NBQ3JCLENBQUMsQ0FBQztRQUVILElBQUk7U0FFSDtRQUFDLE9BQU8sR0FBRyxFQUFFO1NBRWI7Z0JBQVM7WUFDUixHQUFHLENBQUMsbUJBQW1CLENBQUMsOEJBQXFCLENBQUMsQ0FBQztTQUNoRDs7Q0FDRjtBQUVELFNBQWUsY0FBYyxDQUFDLEdBQXdCLEVBQUUsT0FBYzs7O1FBRXBFLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7UUFFckQsR0FBRyxDQUFDLGdCQUFnQixDQUFDO1lBQ25CLEVBQUUsRUFBRSw4QkFBcUI7WUFDekIsS0FBSyxFQUFFLG9CQUFvQjtZQUMzQixPQUFPLEVBQUUsT0FBTztZQUNoQixJQUFJLEVBQUUsVUFBVTtZQUNoQixTQUFTLEVBQUUsSUFBSTtZQUNmLGFBQWEsRUFBRSxLQUFLO1NBQ3JCLENBQUMsQ0FBQztRQUVILElBQUk7WUFFRixNQUFNLFlBQVksR0FBZ0IsTUFBTSxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDN0QsSUFBQSxlQUFRLEVBQUMseUJBQXlCLEVBQUUsT0FBTyxDQUFDLENBQUM7WUFHN0MsTUFBTSxNQUFNLEdBQUcsSUFBQSxlQUFRLEVBQUMsTUFBQSxZQUFZLGFBQVosWUFBWSx1QkFBWixZQUFZLENBQUUsSUFBSSwwQ0FBRSxNQUFNLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQztZQUN0RSxNQUFNLElBQUksR0FBRyxJQUFBLGVBQVEsRUFBQyxNQUFNLGFBQU4sTUFBTSx1QkFBTixNQUFNLENBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQzVDLE1BQU0sUUFBUSxHQUFHLElBQUEsZUFBUSxFQUFDLE1BQUEsTUFBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsUUFBUSwwQ0FBRyxDQUFDLENBQUMsMENBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQzdELE1BQU0sTUFBTSxHQUFHLE1BQUEsSUFBQSxlQUFRLEVBQUMsTUFBQSxNQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxRQUFRLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxJQUFJLEVBQUUsVUFBVSxDQUFDLG1DQUFJLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxDQUFDO1lBQ25GLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxJQUFJLENBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQVMsS0FBSyxFQUFFLENBQUMsRUFBRTtnQkFDM0UsTUFBTSxDQUFDLFFBQVEsR0FBRyxDQUFDLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUM7YUFDbEM7WUFDRCxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFFLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFTLEtBQUssRUFBRSxDQUFDLEVBQUU7Z0JBQy9FLFFBQVEsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO2FBQ3BDO1lBR0QsSUFBSSxTQUFTLEdBQVksTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUM7WUFFbEksSUFBQSxlQUFRLEVBQUMsMkJBQTJCLEVBQUUsU0FBUyxDQUFDLENBQUM7WUFHakQsSUFBRyxzQkFBc0IsQ0FBQyxTQUFTLENBQUMsRUFBRTtnQkFDcEMsR0FBRyxDQUFDLGdCQUFnQixDQUFDO29CQUNuQixJQUFJLEVBQUUsU0FBUztvQkFDZixFQUFFLEVBQUUsa0NBQWtDO29CQUN0QyxLQUFLLEVBQUUsbUJBQW1CO29CQUMxQixPQUFPLEVBQUUscUlBQXFJO2lCQUcvSSxDQUFDLENBQUM7YUFJSjtZQUVELE1BQU0sV0FBVyxHQUFjLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1lBUXpELElBQUEsZUFBUSxFQUFDLDZCQUE2QixFQUFFLFdBQVcsQ0FBQyxDQUFDO1lBS3JELE1BQU0sSUFBSSxHQUFHLE1BQU0sUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBR2pDLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLEVBQUU7Z0JBR3hDLElBQUcsSUFBSSxDQUFDLEdBQUcsS0FBSyxTQUFTLEVBQUU7b0JBQ3pCLE9BQU8sR0FBRyxDQUFDO2lCQUNaO2dCQUdELElBQUcsV0FBVyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLFNBQVM7b0JBQ3pJLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBR2pCLE9BQU8sR0FBRyxDQUFDO1lBQ2IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBRVAsSUFBQSxlQUFRLEVBQUMsZ0VBQWdFLEVBQUUsT0FBTyxDQUFDLENBQUM7WUFRcEYsSUFBSSxZQUFZLEdBQTRCLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLEVBQUU7Z0JBRzNFLE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFHOUcsSUFBSSxHQUFHLEtBQUssU0FBUyxFQUFFO29CQUNyQixHQUFHLENBQUMsSUFBSSxDQUFDO3dCQUNQLEVBQUUsRUFBRSxHQUFHLENBQUMsUUFBUTt3QkFDaEIsS0FBSyxFQUFFLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRTt3QkFDakIsT0FBTyxFQUFFLElBQUk7d0JBQ2IsSUFBSSxFQUFFLGNBQUksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUM7d0JBQ3pDLElBQUksRUFBRSxHQUFHLENBQUMsSUFBSTt3QkFDZCxNQUFNLEVBQUUsR0FBRyxDQUFDLElBQUksQ0FBQyxRQUF1QjtxQkFDekMsQ0FBQyxDQUFDO2lCQUNKO2dCQUVELE9BQU8sR0FBRyxDQUFDO1lBQ2IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBRVAsSUFBQSxlQUFRLEVBQUMsc0RBQXNELEVBQUUsWUFBWSxDQUFDLENBQUM7WUFHL0UsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsRUFBRTtnQkFDcEIsWUFBWSxDQUFDLElBQUksQ0FBQztvQkFDaEIsRUFBRSxFQUFFLEdBQUcsQ0FBQyxRQUFRO29CQUNoQixLQUFLLEVBQUUsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFO29CQUNqQixPQUFPLEVBQUUsSUFBSTtvQkFDYixJQUFJLEVBQUUsY0FBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQztvQkFDekMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJO29CQUNkLE1BQU0sRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQXVCO2lCQUN6QyxDQUFDLENBQUE7WUFDSixDQUFDLENBQUMsQ0FBQztZQUVILElBQUEsZUFBUSxFQUFDLHFEQUFxRCxFQUFFLFlBQVksQ0FBQyxDQUFDO1lBRTlFLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1lBRXJELElBQUEsZUFBUSxFQUFDLDhDQUE4QyxFQUFFLFlBQVksQ0FBQyxDQUFDO1lBT3ZFLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsWUFBWSxDQUFDLFNBQVMsRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO1lBUWxFLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQywrQkFBK0IsQ0FBQyxDQUFDO1lBRXpELEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztnQkFDbkIsSUFBSSxFQUFFLFNBQVM7Z0JBQ2YsRUFBRSxFQUFFLHdCQUF3QjtnQkFDNUIsS0FBSyxFQUFFLHFCQUFxQjtnQkFDNUIsT0FBTyxFQUFFLE9BQU87Z0JBQ2hCLFNBQVMsRUFBRSxJQUFJO2FBQ2hCLENBQUMsQ0FBQztZQUVILElBQUEsZUFBUSxFQUFDLHlCQUF5QixDQUFDLENBQUM7U0FFckM7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUVaLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyw4QkFBcUIsQ0FBQyxDQUFDO1lBRS9DLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyw2QkFBNkIsRUFBRSxHQUFHLEVBQUU7Z0JBQzVELFdBQVcsRUFBRSxLQUFLO2FBQ25CLENBQUMsQ0FBQztTQUNKOztDQUVGO0FBRUQsU0FBZSxRQUFRLENBQUMsR0FBd0IsRUFBRSxRQUFnQjs7O1FBRWhFLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7UUFHckQsTUFBTSxTQUFTLEdBQW1CLGlCQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLFlBQVksRUFBRSxXQUFXLEVBQUUsU0FBUyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFFM0csSUFBQSxlQUFRLEVBQUMscUJBQXFCLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFFM0MsSUFBSTtZQUVGLE1BQU0sV0FBVyxHQUFHLE1BQU0sZUFBZSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBRy9DLE1BQU0sTUFBTSxHQUFHLElBQUEsZUFBUSxFQUFDLE1BQUEsV0FBVyxhQUFYLFdBQVcsdUJBQVgsV0FBVyxDQUFFLElBQUksMENBQUUsTUFBTSxFQUFFLGdCQUFnQixDQUFDLENBQUM7WUFDckUsTUFBTSxJQUFJLEdBQUcsSUFBQSxlQUFRLEVBQUMsTUFBTSxhQUFOLE1BQU0sdUJBQU4sTUFBTSxDQUFFLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztZQUM1QyxNQUFNLFFBQVEsR0FBRyxJQUFBLGVBQVEsRUFBQyxNQUFBLE1BQUEsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLFFBQVEsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztZQUM3RCxNQUFNLE1BQU0sR0FBRyxNQUFBLElBQUEsZUFBUSxFQUFDLE1BQUEsTUFBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsUUFBUSwwQ0FBRyxDQUFDLENBQUMsMENBQUUsSUFBSSxFQUFFLFVBQVUsQ0FBQyxtQ0FBSSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsQ0FBQztZQUNuRixJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFTLEtBQUssRUFBRSxDQUFDLEVBQUU7Z0JBQzNFLE1BQU0sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO2FBQ2xDO1lBQ0QsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBRSxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBUyxLQUFLLEVBQUUsQ0FBQyxFQUFFO2dCQUMvRSxRQUFRLENBQUMsUUFBUSxHQUFHLENBQUMsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBQzthQUNwQztZQUdELE1BQU0sZ0JBQWdCLEdBQUcsTUFBQSxNQUFBLE1BQUEsTUFBQSxNQUFBLFFBQVEsYUFBUixRQUFRLHVCQUFSLFFBQVEsQ0FBRSxRQUFRLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxJQUFJLDBDQUFFLE1BQU0sbURBQUcsSUFBSSxDQUFDLEVBQUUsQ0FDdEUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLEtBQUssV0FBVyxDQUFDLENBQUMsQ0FBQyxtQ0FBSSxFQUFFLENBQUM7WUFNL0YsTUFBTSxZQUFZLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRTs7Z0JBQUMsT0FBQSxDQUFDLENBQUMsQ0FBQSxNQUFBLEtBQUssQ0FBQyxJQUFJLDBDQUFFLElBQUksQ0FBQTt1QkFDOUMsS0FBSyxDQUFDLE9BQU87dUJBQ2IsQ0FBQyxDQUFBLE1BQUEsS0FBSyxDQUFDLElBQUksMENBQUUsUUFBUSxDQUFBLENBQUE7YUFBQSxDQUFDLENBQUM7WUFFMUMsSUFBQSxlQUFRLEVBQUMsd0JBQXdCLEVBQUUsWUFBWSxDQUFDLENBQUM7WUFHakQsS0FBSyxNQUFNLEtBQUssSUFBSSxZQUFZLEVBQUU7Z0JBRWhDLGdCQUFnQixDQUFDLElBQUksQ0FBQztvQkFDcEIsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLGlCQUFpQixFQUFFO29CQUM1QixTQUFTLEVBQUU7d0JBQ1QsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEVBQUU7d0JBQ3BFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxFQUFFO3dCQUM3RCxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRTt3QkFDbEUsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEVBQUU7d0JBQ2xFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxFQUFFO3FCQUNuRTtpQkFDRixDQUFDLENBQUM7YUFDSjtZQUdELE1BQU0sY0FBYyxHQUFHLFlBQVk7aUJBRWhDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBWSxFQUFFLENBQUMsQ0FBQztnQkFDekIsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRTtnQkFDbkIsU0FBUyxFQUFFO29CQUNULEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFO2lCQUNuRTthQUNGLENBQUMsQ0FBQyxDQUFDO1lBRU4sUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsZ0JBQWdCLENBQUM7WUFDN0MsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsY0FBYyxDQUFDO1lBRXpDLGdCQUFnQixDQUFDLEdBQUcsRUFBRSxXQUFXLEVBQUUsUUFBUSxDQUFDLENBQUM7WUFFN0MsR0FBRyxDQUFDLGdCQUFnQixDQUFDO2dCQUNuQixJQUFJLEVBQUUsU0FBUztnQkFDZixFQUFFLEVBQUUsd0JBQXdCO2dCQUM1QixLQUFLLEVBQUUscUJBQXFCO2dCQUM1QixPQUFPLEVBQUUsUUFBUTtnQkFDakIsU0FBUyxFQUFFLElBQUk7YUFDaEIsQ0FBQyxDQUFDO1NBRUo7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyw0QkFBNEIsRUFBRSxHQUFHLEVBQUU7Z0JBQzNELFdBQVcsRUFBRSxLQUFLO2dCQUNsQixPQUFPLEVBQUUsZ0VBQWdFO2FBQzFFLENBQUMsQ0FBQztTQUNKOztDQUVGO0FBRUQsU0FBc0IsWUFBWSxDQUFDLEdBQXdCOztRQUV6RCxJQUFJLFlBQW1CLENBQUM7UUFLeEIsSUFBRyxHQUFHLENBQUMsUUFBUSxLQUFLLFNBQVMsRUFBRTtZQUU3QixNQUFNLE9BQU8sR0FBaUI7Z0JBQzVCLEtBQUssRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLDRDQUE0QyxDQUFDO2dCQUNsRSxPQUFPLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxVQUFVLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO2FBQzNELENBQUM7WUFFRixZQUFZLEdBQUcsTUFBTSxHQUFHLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1NBRTVDO2FBQU07WUFFTCxNQUFNLE9BQU8sR0FBaUI7Z0JBQzVCLEtBQUssRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLDRDQUE0QyxDQUFDO2dCQUNsRSxPQUFPLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxVQUFVLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO2dCQUMxRCxNQUFNLEVBQUUsSUFBSTthQUNiLENBQUM7WUFFRixZQUFZLEdBQUcsTUFBTSxHQUFHLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1NBQzlDO1FBRUQsSUFBQSxlQUFRLEVBQUMsZ0JBQWdCLFlBQVksRUFBRSxDQUFDLENBQUM7UUFHekMsSUFBRyxZQUFZLEtBQUssU0FBUztZQUMzQixPQUFPO1FBRVQsUUFBUSxDQUFDLEdBQUcsRUFBRSxZQUFZLENBQUMsQ0FBQztJQUM5QixDQUFDO0NBQUE7QUFsQ0Qsb0NBa0NDO0FBRUQsU0FBc0IsWUFBWSxDQUFDLEdBQXdCOztRQUV6RCxNQUFNLFlBQVksR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLElBQUEsbUJBQVksR0FBRSxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDO1FBRTVFLElBQUEsZUFBUSxFQUFDLGdCQUFnQixZQUFZLEVBQUUsQ0FBQyxDQUFDO1FBRXpDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsWUFBWSxDQUFDLENBQUM7SUFDOUIsQ0FBQztDQUFBO0FBUEQsb0NBT0M7QUFFRCxTQUFzQixXQUFXLENBQUMsR0FBd0I7OztRQUV4RCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1FBR3JELE1BQU0sU0FBUyxHQUFtQixpQkFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBRTNHLElBQUEsZUFBUSxFQUFDLGFBQWEsRUFBRSxTQUFTLENBQUMsQ0FBQzs7Q0FDcEM7QUFURCxrQ0FTQztBQUlELFNBQWUsZUFBZSxDQUFDLEdBQXdCOztRQUVyRCxNQUFNLFlBQVksR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLElBQUEsbUJBQVksR0FBRSxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDO1FBQzVFLE1BQU0sR0FBRyxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxZQUFZLENBQUMsQ0FBQztRQUNqRCxJQUFBLGVBQVEsRUFBQyxpQkFBaUIsRUFBRSxHQUFHLENBQUMsQ0FBQztRQUNqQyxPQUFPLElBQUEsMkJBQWtCLEVBQUMsR0FBRyxDQUFDLENBQUM7SUFDakMsQ0FBQztDQUFBO0FBRUQsU0FBZSxXQUFXLENBQUMsT0FBZTs7UUFHeEMsTUFBTSxHQUFHLEdBQUcsTUFBTSxlQUFFLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzVDLElBQUEsZUFBUSxFQUFDLFNBQVMsRUFBRSxHQUFHLENBQUMsQ0FBQztRQUN6QixPQUFPLElBQUEsMkJBQWtCLEVBQUMsR0FBRyxDQUFDLENBQUM7SUFDakMsQ0FBQztDQUFBO0FBRUQsU0FBZSxnQkFBZ0IsQ0FBQyxHQUF3QixFQUFFLElBQWtCLEVBQUUsUUFBZ0I7O1FBQzVGLE1BQU0sT0FBTyxHQUFHLElBQUksZ0JBQU8sRUFBRSxDQUFDO1FBQzlCLE1BQU0sR0FBRyxHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEMsSUFBSTtZQUNGLE1BQU0sZUFBRSxDQUFDLHNCQUFzQixDQUFDLGNBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztZQUN4RCxNQUFNLGVBQUUsQ0FBQyxjQUFjLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1NBQ3hDO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixHQUFHLENBQUMscUJBQXFCLENBQUMsOEJBQThCLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDL0QsT0FBTztTQUNSO0lBQ0gsQ0FBQztDQUFBO0FBRUQsU0FBc0IsUUFBUSxDQUFDLElBQXFCLEVBQ3JCLE9BQXdCOztRQUlyRCxPQUFPLFNBQVMsQ0FBQztJQUNuQixDQUFDO0NBQUE7QUFORCw0QkFNQztBQUVELFNBQWUsUUFBUSxDQUFDLEdBQXdCOztRQUM5QyxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxLQUFLLEdBQUcsaUJBQWlCLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDckMsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1lBQ3ZCLE9BQU8sRUFBRSxDQUFDO1NBQ1g7UUFFRCxNQUFNLElBQUksR0FBRyxNQUFNLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUVwQyxJQUFBLGVBQVEsRUFBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFFdkIsSUFBSSxRQUFRLENBQUM7UUFDYixJQUFJO1lBQ0YsUUFBUSxHQUFHLE1BQU0saUJBQUksQ0FBQyxXQUFXLENBQUMsR0FBRyxFQUFFLEVBQUUsRUFBRSxnQkFBTyxDQUFDLENBQUM7U0FDckQ7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLE1BQU0sV0FBVyxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ2xELEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyxvQ0FBb0MsRUFBRSxHQUFHLEVBQUUsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO1lBQ3RGLE9BQU8sRUFBRSxDQUFDO1NBQ1g7UUFDRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsSUFBSSxFQUFFLFVBQVU7WUFDaEIsRUFBRSxFQUFFLDJCQUEyQjtZQUMvQixPQUFPLEVBQUUsK0NBQStDO1NBQ3pELENBQUMsQ0FBQTtRQUNGLE1BQU0sS0FBSyxHQUFpQixlQUFZLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDdkQsTUFBTSxHQUFHLEdBQUcsTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBTyxRQUFRLEVBQUUsR0FBRyxFQUFFLEVBQUU7WUFDN0QsT0FBTyxpQkFBSSxDQUFDLGdCQUFnQixDQUFDLGFBQWEsRUFBRSxRQUFRLEVBQUUsR0FBRyxFQUFFO2dCQUN6RCxNQUFNLElBQUksR0FBRyxHQUFTLEVBQUU7O29CQUN0QixJQUFJO3dCQUNGLE1BQU0sYUFBYSxHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sS0FBSyxRQUFRLENBQUMsQ0FBQzt3QkFDL0UsTUFBTSxHQUFHLEdBQUcsQ0FBQyxhQUFhLEtBQUssU0FBUyxDQUFDOzRCQUN2QyxDQUFDLENBQUMsTUFBQSxLQUFLLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxnQkFBTyxDQUFDLDBDQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUM7NEJBQ3hELENBQUMsQ0FBQyxTQUFTLENBQUM7d0JBRWQsTUFBTSxPQUFPLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxJQUFBLGVBQVEsR0FBRSxFQUFFLFFBQVEsQ0FBQyxDQUFDO3dCQUNoRCxPQUFPLEtBQUssQ0FBQyxhQUFhLENBQUMsR0FBRyxFQUFFLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQztxQkFDL0M7b0JBQUMsT0FBTyxHQUFHLEVBQUU7d0JBQ1osSUFBSSxHQUFHLFlBQVksaUNBQWlCLEVBQUU7NEJBQ3BDLE1BQU0sT0FBTyxHQUFHLDJEQUEyRDtrQ0FDdkUsc0VBQXNFO2tDQUN0RSx1RUFBdUU7a0NBQ3ZFLGlFQUFpRSxDQUFDOzRCQUN0RSxHQUFHLENBQUMscUJBQXFCLENBQUMsOEJBQThCLEVBQUUsT0FBTyxFQUMvRCxFQUFFLFdBQVcsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDOzRCQUMxQixPQUFPLFNBQVMsQ0FBQzt5QkFDbEI7d0JBR0QsSUFBSSxHQUFHLENBQUMsSUFBSSxLQUFLLFFBQVEsRUFBRTs0QkFDekIsR0FBRyxDQUFDLHFCQUFxQixDQUFDLHdKQUF3SixFQUFFLEdBQUcsRUFBRTtnQ0FDdkwsV0FBVyxFQUFFLEtBQUs7Z0NBQ2xCLE9BQU8sRUFBRSxRQUFROzZCQUNsQixDQUFDLENBQUM7eUJBQ0o7d0JBQ0QsT0FBTyxTQUFTLENBQUM7cUJBQ2xCO2dCQUNILENBQUMsQ0FBQSxDQUFDO2dCQUNGLE9BQU8sa0JBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztZQUNsQyxDQUFDLENBQUMsQ0FBQztRQUNMLENBQUMsQ0FBQSxDQUFDLENBQUMsQ0FBQztRQUNKLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQywyQkFBMkIsQ0FBQyxDQUFDO1FBRXJELE9BQU8sR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsQ0FBQztJQUNoRCxDQUFDO0NBQUE7QUFFRCxTQUFlLFdBQVcsQ0FBQyxHQUF3Qjs7UUFDakQsSUFBSSxJQUFjLENBQUM7UUFDbkIsSUFBSTtZQUNGLElBQUksR0FBRyxDQUFDLE1BQU0sZUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFBLGVBQVEsR0FBRSxDQUFDLENBQUM7aUJBQ3ZDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLGNBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsV0FBVyxFQUFFLEtBQUssTUFBTSxDQUFDLENBQUM7U0FDeEU7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLElBQUksR0FBRyxDQUFDLElBQUksS0FBSyxRQUFRLEVBQUU7Z0JBQ3pCLElBQUk7b0JBQ0YsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsSUFBQSxlQUFRLEdBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztpQkFDdEU7Z0JBQUMsT0FBTyxHQUFHLEVBQUU7aUJBRWI7YUFDRjtpQkFBTTtnQkFDTCxHQUFHLENBQUMscUJBQXFCLENBQUMsK0JBQStCLEVBQUUsR0FBRyxFQUFFO29CQUM5RCxFQUFFLEVBQUUsc0JBQXNCO29CQUMxQixPQUFPLEVBQUUsSUFBQSxlQUFRLEdBQUU7aUJBQ3BCLENBQUMsQ0FBQzthQUNKO1lBQ0QsSUFBSSxHQUFHLEVBQUUsQ0FBQztTQUNYO1FBRUQsT0FBTyxJQUFJLENBQUM7SUFDZCxDQUFDO0NBQUE7QUFFRCxTQUFTLGlCQUFpQixDQUFDLEdBQXdCO0lBQ2pELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUM3QixNQUFNLElBQUksR0FBb0MsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQyxDQUFDO0lBQzdFLElBQUksSUFBSSxLQUFLLFNBQVMsRUFBRTtRQUN0QixJQUFBLGdCQUFHLEVBQUMsTUFBTSxFQUFFLHdCQUF3QixDQUFDLENBQUM7UUFDdEMsT0FBTyxTQUFTLENBQUM7S0FDbEI7SUFDRCxNQUFNLEtBQUssR0FBZSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQWdCLEVBQUUsRUFBVSxFQUFFLEVBQUU7UUFDbEYsSUFBSSxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxLQUFLLHVCQUF1QixFQUFFO1lBQzdDLE1BQU0sU0FBUyxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDLFlBQVksRUFBRSxTQUFTLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztZQUN6RSxNQUFNLFVBQVUsR0FBRyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxZQUFZLEVBQUUsU0FBUyxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUM7WUFDOUUsSUFBSTtnQkFDRixJQUFJLE1BQU0sQ0FBQyxFQUFFLENBQUMsVUFBVSxFQUFFLFNBQVMsQ0FBQyxFQUFFO29CQUNwQyxJQUFJLEdBQUcsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2lCQUNqQjthQUNGO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSxxQkFBcUIsRUFBRSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLFVBQVUsRUFBRSxDQUFDLENBQUM7YUFDeEU7U0FDRjtRQUNELE9BQU8sSUFBSSxDQUFDO0lBQ2QsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBRWQsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1FBQ3ZCLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsd0JBQXdCLENBQUMsQ0FBQztRQUN0QyxPQUFPLFNBQVMsQ0FBQztLQUNsQjtJQUVELE9BQU8sS0FBSyxDQUFDO0FBQ2YsQ0FBQztBQUVELFNBQWdCLFFBQVEsQ0FBQyxPQUFnQyxFQUFFLFNBQWtCO0lBQzNFLE1BQU0sR0FBRyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7SUFDeEIsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzdCLE1BQU0sT0FBTyxHQUFtQixDQUFDLFNBQVMsS0FBSyxTQUFTLENBQUM7UUFDdkQsQ0FBQyxDQUFDLHNCQUFTLENBQUMsV0FBVyxDQUFDLEtBQUssRUFBRSxTQUFTLENBQUM7UUFDekMsQ0FBQyxDQUFDLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBRW5DLElBQUksQ0FBQSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsTUFBTSxNQUFLLGdCQUFPLEVBQUU7UUFDL0IsT0FBTyxTQUFTLENBQUM7S0FDbEI7SUFFRCxNQUFNLFNBQVMsR0FBMkIsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUMxRCxDQUFDLFVBQVUsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLGdCQUFPLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUM5RCxJQUFJLENBQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLElBQUksTUFBSyxTQUFTLEVBQUU7UUFDakMsT0FBTyxTQUFTLENBQUM7S0FDbEI7SUFFRCxNQUFNLElBQUksR0FBRyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN0RSxPQUFPLEVBQUUsR0FBRyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxDQUFDO0FBQ2xELENBQUM7QUFuQkQsNEJBbUJDO0FBRUQsU0FBc0IsWUFBWSxDQUFDLE9BQWdDLEVBQ2hDLFNBQWtCLEVBQ2xCLEtBQWM7O1FBQy9DLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtZQUN2QixLQUFLLEdBQUcsUUFBUSxDQUFDLE9BQU8sRUFBRSxTQUFTLENBQUMsQ0FBQztTQUN0QztRQUVELElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtZQUN2QixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQywrQkFBK0IsQ0FBQyxDQUFDLENBQUM7U0FDbEY7UUFFRCxNQUFNLFVBQVUsR0FBRyxpQkFBaUIsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZELElBQUk7WUFDRixJQUFJO2dCQUNGLE1BQU0sZUFBRSxDQUFDLFNBQVMsQ0FBQyxVQUFVLENBQUMsQ0FBQzthQUNoQztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLE1BQU0sZUFBRSxDQUFDLGNBQWMsQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO2FBQy9FO1NBQ0Y7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztTQUM1QjtRQUdELE9BQU8sVUFBVSxDQUFDO0lBQ3BCLENBQUM7Q0FBQTtBQXhCRCxvQ0F3QkM7QUFFRCxTQUFnQixpQkFBaUIsQ0FBQyxTQUFpQjtJQUNqRCxPQUFPLGNBQUksQ0FBQyxJQUFJLENBQUMsaUJBQUksQ0FBQyxhQUFhLENBQUMsVUFBVSxDQUFDLEVBQUUsZ0JBQU8sRUFBRSxTQUFTLEdBQUcsR0FBRyxHQUFHLHFCQUFZLENBQUMsQ0FBQztBQUM1RixDQUFDO0FBRkQsOENBRUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xyXG5pbXBvcnQgeyBhY3Rpb25zLCBmcywgbG9nLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xyXG5pbXBvcnQgKiBhcyBzZW12ZXIgZnJvbSAnc2VtdmVyJztcclxuaW1wb3J0IEJsdWViaXJkIGZyb20gJ2JsdWViaXJkJztcclxuXHJcbmltcG9ydCB7IEdBTUVfSUQsIExPX0ZJTEVfTkFNRSwgTk9USUZfSU1QT1JUX0FDVElWSVRZIH0gZnJvbSAnLi9jb21tb24nO1xyXG5pbXBvcnQgeyBCRzNQYWssIElNb2ROb2RlLCBJTW9kU2V0dGluZ3MsIElQcm9wcyB9IGZyb20gJy4vdHlwZXMnO1xyXG5pbXBvcnQgeyBCdWlsZGVyLCBwYXJzZVN0cmluZ1Byb21pc2UgfSBmcm9tICd4bWwyanMnO1xyXG5pbXBvcnQgeyBMb2NrZWRTdGF0ZSB9IGZyb20gJ3ZvcnRleC1hcGkvbGliL2V4dGVuc2lvbnMvZmlsZV9iYXNlZF9sb2Fkb3JkZXIvdHlwZXMvdHlwZXMnO1xyXG5pbXBvcnQgeyBJT3Blbk9wdGlvbnMsIElTYXZlT3B0aW9ucyB9IGZyb20gJ3ZvcnRleC1hcGkvbGliL3R5cGVzL0lFeHRlbnNpb25Db250ZXh0JztcclxuXHJcbmltcG9ydCB7IERpdmluZUV4ZWNNaXNzaW5nIH0gZnJvbSAnLi9kaXZpbmVXcmFwcGVyJztcclxuaW1wb3J0IHsgZmluZE5vZGUsIGZvcmNlUmVmcmVzaCwgbG9nRGVidWcsIG1vZHNQYXRoLCBwcm9maWxlc1BhdGggfSBmcm9tICcuL3V0aWwnO1xyXG5cclxuaW1wb3J0IFBha0luZm9DYWNoZSwgeyBJQ2FjaGVFbnRyeSB9IGZyb20gJy4vY2FjaGUnO1xyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHNlcmlhbGl6ZShjb250ZXh0OiB0eXBlcy5JRXh0ZW5zaW9uQ29udGV4dCxcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBsb2FkT3JkZXI6IHR5cGVzLkxvYWRPcmRlcixcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBwcm9maWxlSWQ/OiBzdHJpbmcpOiBQcm9taXNlPHZvaWQ+IHtcclxuICBjb25zdCBwcm9wczogSVByb3BzID0gZ2VuUHJvcHMoY29udGV4dCk7XHJcbiAgaWYgKHByb3BzID09PSB1bmRlZmluZWQpIHtcclxuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQoJ2ludmFsaWQgcHJvcHMnKSk7XHJcbiAgfVxyXG4gIFxyXG4gIGNvbnN0IHN0YXRlID0gY29udGV4dC5hcGkuZ2V0U3RhdGUoKTtcclxuXHJcbiAgLy8gTWFrZSBzdXJlIHRoZSBMTyBmaWxlIGlzIGNyZWF0ZWQgYW5kIHJlYWR5IHRvIGJlIHdyaXR0ZW4gdG8uXHJcbiAgY29uc3QgbG9GaWxlUGF0aCA9IGF3YWl0IGVuc3VyZUxPRmlsZShjb250ZXh0LCBwcm9maWxlSWQsIHByb3BzKTtcclxuICAvL2NvbnN0IGZpbHRlcmVkTE8gPSBsb2FkT3JkZXIuZmlsdGVyKGxvID0+ICghSU5WQUxJRF9MT19NT0RfVFlQRVMuaW5jbHVkZXMocHJvcHMubW9kcz8uW2xvPy5tb2RJZF0/LnR5cGUpKSk7XHJcblxyXG4gIGxvZ0RlYnVnKCdzZXJpYWxpemUgbG9hZE9yZGVyPScsIGxvYWRPcmRlcik7XHJcblxyXG4gIC8vIFdyaXRlIHRoZSBwcmVmaXhlZCBMTyB0byBmaWxlLlxyXG4gIGF3YWl0IGZzLnJlbW92ZUFzeW5jKGxvRmlsZVBhdGgpLmNhdGNoKHsgY29kZTogJ0VOT0VOVCcgfSwgKCkgPT4gUHJvbWlzZS5yZXNvbHZlKCkpO1xyXG4gIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKGxvRmlsZVBhdGgsIEpTT04uc3RyaW5naWZ5KGxvYWRPcmRlciksIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KTtcclxuXHJcbiAgLy8gY2hlY2sgdGhlIHN0YXRlIGZvciBpZiB3ZSBhcmUga2VlcGluZyB0aGUgZ2FtZSBvbmUgaW4gc3luY1xyXG4gIC8vIGlmIHdlIGFyZSB3cml0aW5nIHZvcnRleCdzIGxvYWQgb3JkZXIsIHRoZW4gd2Ugd2lsbCBhbHNvIHdyaXRlIHRoZSBnYW1lcyBvbmVcclxuXHJcbiAgY29uc3QgYXV0b0V4cG9ydFRvR2FtZTpib29sZWFuID0gc3RhdGUuc2V0dGluZ3NbJ2JhbGR1cnNnYXRlMyddLmF1dG9FeHBvcnRMb2FkT3JkZXIgPz8gZmFsc2U7XHJcblxyXG4gIGxvZ0RlYnVnKCdzZXJpYWxpemUgYXV0b0V4cG9ydFRvR2FtZT0nLCBhdXRvRXhwb3J0VG9HYW1lKTtcclxuXHJcbiAgaWYoYXV0b0V4cG9ydFRvR2FtZSkgXHJcbiAgICBhd2FpdCBleHBvcnRUb0dhbWUoY29udGV4dC5hcGkpO1xyXG5cclxuICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XHJcbn1cclxuXHJcbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBkZXNlcmlhbGl6ZShjb250ZXh0OiB0eXBlcy5JRXh0ZW5zaW9uQ29udGV4dCk6IFByb21pc2U8dHlwZXMuTG9hZE9yZGVyPiB7XHJcbiAgXHJcbiAgLy8gZ2VuUHJvcHMgaXMgYSBzbWFsbCB1dGlsaXR5IGZ1bmN0aW9uIHdoaWNoIHJldHVybnMgb2Z0ZW4gcmUtdXNlZCBvYmplY3RzXHJcbiAgLy8gIHN1Y2ggYXMgdGhlIGN1cnJlbnQgbGlzdCBvZiBpbnN0YWxsZWQgTW9kcywgVm9ydGV4J3MgYXBwbGljYXRpb24gc3RhdGUsXHJcbiAgLy8gIHRoZSBjdXJyZW50bHkgYWN0aXZlIHByb2ZpbGUsIGV0Yy5cclxuICBjb25zdCBwcm9wczogSVByb3BzID0gZ2VuUHJvcHMoY29udGV4dCk7XHJcbiAgaWYgKHByb3BzPy5wcm9maWxlPy5nYW1lSWQgIT09IEdBTUVfSUQpIHtcclxuICAgIC8vIFdoeSBhcmUgd2UgZGVzZXJpYWxpemluZyB3aGVuIHRoZSBwcm9maWxlIGlzIGludmFsaWQgb3IgYmVsb25ncyB0byBhbm90aGVyIGdhbWUgP1xyXG4gICAgcmV0dXJuIFtdO1xyXG4gIH1cclxuICBcclxuICBjb25zdCBwYWtzID0gYXdhaXQgcmVhZFBBS3MoY29udGV4dC5hcGkpO1xyXG5cclxuICAvLyBjcmVhdGUgaWYgbmVjZXNzYXJ5LCBidXQgbG9hZCB0aGUgbG9hZCBvcmRlciBmcm9tIGZpbGUgICAgXHJcbiAgY29uc3QgbG9GaWxlUGF0aCA9IGF3YWl0IGVuc3VyZUxPRmlsZShjb250ZXh0KTtcclxuICBjb25zdCBmaWxlRGF0YSA9IGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMobG9GaWxlUGF0aCwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xyXG5cclxuICBsZXQgbG9hZE9yZGVyOiB0eXBlcy5JTG9hZE9yZGVyRW50cnlbXSA9IFtdO1xyXG5cclxuICB0cnkge1xyXG4gICAgXHJcbiAgICB0cnkge1xyXG4gICAgICBsb2FkT3JkZXIgPSBKU09OLnBhcnNlKGZpbGVEYXRhKTtcclxuICAgIH0gY2F0Y2ggKGVycikge1xyXG5cclxuICAgICAgYXdhaXQgbmV3IFByb21pc2U8dm9pZD4oKHJlc29sdmUsIHJlamVjdCkgPT4ge1xyXG4gICAgICAgIHByb3BzLmFwaS5zaG93RGlhbG9nKCdlcnJvcicsICdDb3JydXB0IGxvYWQgb3JkZXIgZmlsZScsIHtcclxuICAgICAgICAgIGJiY29kZTogcHJvcHMuYXBpLnRyYW5zbGF0ZSgnVGhlIGxvYWQgb3JkZXIgZmlsZSBpcyBpbiBhIGNvcnJ1cHQgc3RhdGUuIFlvdSBjYW4gdHJ5IHRvIGZpeCBpdCB5b3Vyc2VsZiAnXHJcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICsgJ29yIFZvcnRleCBjYW4gcmVnZW5lcmF0ZSB0aGUgZmlsZSBmb3IgeW91LCBidXQgdGhhdCBtYXkgcmVzdWx0IGluIGxvc3Mgb2YgZGF0YSAnICtcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAnKFdpbGwgb25seSBhZmZlY3QgbG9hZCBvcmRlciBpdGVtcyB5b3UgYWRkZWQgbWFudWFsbHksIGlmIGFueSkuJylcclxuICAgICAgICB9LCBbXHJcbiAgICAgICAgICB7IGxhYmVsOiAnQ2FuY2VsJywgYWN0aW9uOiAoKSA9PiByZWplY3QoZXJyKSB9LFxyXG4gICAgICAgICAgeyBsYWJlbDogJ1JlZ2VuZXJhdGUgRmlsZScsIGFjdGlvbjogKCkgPT4ge1xyXG4gICAgICAgICAgICBsb2FkT3JkZXIgPSBbXTtcclxuICAgICAgICAgICAgICByZXR1cm4gcmVzb2x2ZSgpO1xyXG4gICAgICAgICAgICB9XHJcbiAgICAgICAgICB9XHJcbiAgICAgICAgXSlcclxuICAgICAgfSlcclxuICAgIH1cclxuXHJcbiAgICBcclxuICAgIGxvZ0RlYnVnKCdkZXNlcmlhbGl6ZSBsb2FkT3JkZXI9JywgbG9hZE9yZGVyKTtcclxuXHJcbiAgICAvLyBmaWx0ZXIgb3V0IGFueSBwYWsgZmlsZXMgdGhhdCBubyBsb25nZXIgZXhpc3RcclxuICAgIGNvbnN0IGZpbHRlcmVkTG9hZE9yZGVyOnR5cGVzLkxvYWRPcmRlciA9IGxvYWRPcmRlci5maWx0ZXIoZW50cnkgPT4gcGFrcy5maW5kKHBhayA9PiBwYWsuZmlsZU5hbWUgPT09IGVudHJ5LmlkKSk7XHJcblxyXG4gICAgbG9nRGVidWcoJ2Rlc2VyaWFsaXplIGZpbHRlcmVkTG9hZE9yZGVyPScsIGZpbHRlcmVkTG9hZE9yZGVyKTtcclxuXHJcbiAgICAvLyBmaWx0ZXIgb3V0IHBhayBmaWxlcyB0aGF0IGRvbid0IGhhdmUgYSBjb3JyZXNwb25kaW5nIG1vZCAod2hpY2ggbWVhbnMgVm9ydGV4IGRpZG4ndCBpbnN0YWxsIGl0L2lzbid0IGF3YXJlIG9mIGl0KVxyXG4gICAgLy9jb25zdCBwYWtzV2l0aE1vZHM6QkczUGFrW10gPSBwYWtzLmZpbHRlcihwYWsgPT4gcGFrLm1vZCAhPT0gdW5kZWZpbmVkKTtcclxuXHJcbiAgICAgIC8vIGdvIHRocm91Z2ggZWFjaCBwYWsgZmlsZSBpbiB0aGUgTW9kcyBmb2xkZXIuLi5cclxuICAgIGNvbnN0IHByb2Nlc3NlZFBha3MgPSBwYWtzLnJlZHVjZSgoYWNjLCBjdXJyKSA9PiB7ICAgICAgXHJcblxyXG4gICAgICAvLyBpZiBwYWsgZmlsZSBkb2Vzbid0IGhhdmUgYW4gYXNzb2NpYXRlZCBtb2QsIHRoZW4gd2UgZG9uJ3Qgd2FudCB0byBkZWFsIHdpdGggaXRcclxuICAgICAgaWYoY3Vyci5tb2QgPT09IHVuZGVmaW5lZCkge1xyXG4gICAgICAgIGFjYy5pbnZhbGlkLnB1c2goY3Vycik7IFxyXG4gICAgICAgIHJldHVybiBhY2M7XHJcbiAgICAgIH1cclxuICAgICAgXHJcbiAgICAgIGFjYy52YWxpZC5wdXNoKGN1cnIpO1xyXG4gICAgICByZXR1cm4gYWNjO1xyXG5cclxuICAgIH0sIHsgdmFsaWQ6IFtdLCBpbnZhbGlkOiBbXSB9KTtcclxuXHJcbiAgICBsb2dEZWJ1ZygnZGVzZXJpYWxpemUgcHJvY2Vzc2VkUGFrcz0nLCBwcm9jZXNzZWRQYWtzKTtcclxuXHJcbiAgICAvLyBnZXQgYW55IHBhayBmaWxlcyB0aGF0IGFyZW4ndCBpbiB0aGUgZmlsdGVyZWRMb2FkT3JkZXJcclxuICAgIGNvbnN0IGFkZGVkTW9kczpCRzNQYWtbXSA9IHByb2Nlc3NlZFBha3MudmFsaWQuZmlsdGVyKHBhayA9PiBmaWx0ZXJlZExvYWRPcmRlci5maW5kKGVudHJ5ID0+IGVudHJ5LmlkID09PSBwYWsuZmlsZU5hbWUpID09PSB1bmRlZmluZWQpO1xyXG5cclxuICAgIGxvZ0RlYnVnKCdkZXNlcmlhbGl6ZSBhZGRlZE1vZHM9JywgYWRkZWRNb2RzKTtcclxuICAgIFxyXG4gICAgLy8gQ2hlY2sgaWYgdGhlIHVzZXIgYWRkZWQgYW55IG5ldyBtb2RzLlxyXG4gICAgLy9jb25zdCBkaWZmID0gZW5hYmxlZE1vZElkcy5maWx0ZXIoaWQgPT4gKCFJTlZBTElEX0xPX01PRF9UWVBFUy5pbmNsdWRlcyhtb2RzW2lkXT8udHlwZSkpXHJcbiAgICAvLyAgJiYgKGZpbHRlcmVkRGF0YS5maW5kKGxvRW50cnkgPT4gbG9FbnRyeS5pZCA9PT0gaWQpID09PSB1bmRlZmluZWQpKTtcclxuXHJcbiAgICBsb2dEZWJ1ZygnZGVzZXJpYWxpemUgcGFrcz0nLCBwYWtzKTtcclxuXHJcblxyXG4gICAgLy8gQWRkIGFueSBuZXdseSBhZGRlZCBtb2RzIHRvIHRoZSBib3R0b20gb2YgdGhlIGxvYWRPcmRlci5cclxuICAgIGFkZGVkTW9kcy5mb3JFYWNoKHBhayA9PiB7XHJcbiAgICAgIGZpbHRlcmVkTG9hZE9yZGVyLnB1c2goe1xyXG4gICAgICAgIGlkOiBwYWsuZmlsZU5hbWUsXHJcbiAgICAgICAgbW9kSWQ6IHBhay5tb2QuaWQsXHJcbiAgICAgICAgZW5hYmxlZDogdHJ1ZSwgIC8vIG5vdCB1c2luZyBsb2FkIG9yZGVyIGZvciBlbmFibGluZy9kaXNhYmxpbmcgICAgICBcclxuICAgICAgICBuYW1lOiBwYXRoLmJhc2VuYW1lKHBhay5maWxlTmFtZSwgJy5wYWsnKSxcclxuICAgICAgICBkYXRhOiBwYWsuaW5mbyxcclxuICAgICAgICBsb2NrZWQ6IHBhay5pbmZvLmlzTGlzdGVkIGFzIExvY2tlZFN0YXRlICAgICAgICBcclxuICAgICAgfSkgICAgICBcclxuICAgIH0pOyAgICAgICBcclxuXHJcbiAgICAvL2xvZ0RlYnVnKCdkZXNlcmlhbGl6ZSBmaWx0ZXJlZERhdGE9JywgZmlsdGVyZWREYXRhKTtcclxuXHJcbiAgICAvLyBzb3J0ZWQgc28gdGhhdCBhbnkgbW9kcyB0aGF0IGFyZSBsb2NrZWQgYXBwZWFyIGF0IHRoZSB0b3BcclxuICAgIC8vY29uc3Qgc29ydGVkQW5kRmlsdGVyZWREYXRhID0gXHJcbiAgICBcclxuICAgIC8vIHJldHVyblxyXG4gICAgcmV0dXJuIGZpbHRlcmVkTG9hZE9yZGVyLnNvcnQoKGEsIGIpID0+ICgrYi5sb2NrZWQgLSArYS5sb2NrZWQpKTtcclxuICB9IGNhdGNoIChlcnIpIHtcclxuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xyXG4gIH1cclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGltcG9ydEZyb21CRzNNTShjb250ZXh0OiB0eXBlcy5JRXh0ZW5zaW9uQ29udGV4dCk6IFByb21pc2U8dm9pZD4ge1xyXG4gIGNvbnN0IGFwaSA9IGNvbnRleHQuYXBpO1xyXG4gIGNvbnN0IG9wdGlvbnM6IElPcGVuT3B0aW9ucyA9IHtcclxuICAgIHRpdGxlOiBhcGkudHJhbnNsYXRlKCdQbGVhc2UgY2hvb3NlIGEgQkczTU0gLmpzb24gbG9hZCBvcmRlciBmaWxlIHRvIGltcG9ydCBmcm9tJyksXHJcbiAgICBmaWx0ZXJzOiBbeyBuYW1lOiAnQkczTU0gTG9hZCBPcmRlcicsIGV4dGVuc2lvbnM6IFsnanNvbiddIH1dXHJcbiAgfTtcclxuXHJcbiAgY29uc3Qgc2VsZWN0ZWRQYXRoOnN0cmluZyA9IGF3YWl0IGFwaS5zZWxlY3RGaWxlKG9wdGlvbnMpO1xyXG5cclxuICBsb2dEZWJ1ZygnaW1wb3J0RnJvbUJHM01NIHNlbGVjdGVkUGF0aD0nLCBzZWxlY3RlZFBhdGgpO1xyXG4gIFxyXG4gIC8vIGlmIG5vIHBhdGggc2VsZWN0ZWQsIHRoZW4gY2FuY2VsIHByb2JhYmx5IHByZXNzZWRcclxuICBpZihzZWxlY3RlZFBhdGggPT09IHVuZGVmaW5lZCkge1xyXG4gICAgcmV0dXJuO1xyXG4gIH1cclxuXHJcbiAgdHJ5IHtcclxuICAgIGNvbnN0IGRhdGEgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKHNlbGVjdGVkUGF0aCwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xyXG4gICAgY29uc3QgbG9hZE9yZGVyOiBhbnlbXSA9IEpTT04ucGFyc2UoZGF0YSk7XHJcbiAgICBsb2dEZWJ1ZygnaW1wb3J0RnJvbUJHM01NIGxvYWRPcmRlcj0nLCBsb2FkT3JkZXIpO1xyXG5cclxuICAgIGNvbnN0IGdldEluZGV4ID0gKHV1aWQ6IHN0cmluZyk6IG51bWJlciA9PiB7XHJcbiAgICAgIGNvbnN0IGluZGV4ID0gbG9hZE9yZGVyLmZpbmRJbmRleChlbnRyeSA9PiBlbnRyeS5VVUlEICE9PSB1bmRlZmluZWQgJiYgZW50cnkuVVVJRCA9PT0gdXVpZCk7XHJcbiAgICAgIHJldHVybiBpbmRleCAhPT0gLTEgPyBpbmRleCA6IEluZmluaXR5OyAvLyBJZiBVVUlEIG5vdCBmb3VuZCwgcHV0IGl0IGF0IHRoZSBlbmRcclxuICAgIH07XHJcblxyXG4gICAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcclxuICAgIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XHJcbiAgICBjb25zdCBjdXJyZW50TG9hZE9yZGVyID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZUlkXSwgW10pO1xyXG4gICAgY29uc3QgbmV3TE8gPSBbLi4uY3VycmVudExvYWRPcmRlcl0uc29ydCgoYSwgYikgPT4gZ2V0SW5kZXgoYS5kYXRhPy51dWlkKSAtIGdldEluZGV4KGIuZGF0YT8udXVpZCkpO1xyXG4gICAgYXdhaXQgc2VyaWFsaXplKGNvbnRleHQsIG5ld0xPLCBwcm9maWxlSWQpO1xyXG4gIH0gY2F0Y2ggKGVycikge1xyXG4gICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIGltcG9ydCBCRzNNTSBsb2FkIG9yZGVyIGZpbGUnLCBlcnIsIHsgYWxsb3dSZXBvcnQ6IGZhbHNlIH0pO1xyXG4gIH0gZmluYWxseSB7XHJcbiAgICBmb3JjZVJlZnJlc2goY29udGV4dC5hcGkpO1xyXG4gIH1cclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGltcG9ydE1vZFNldHRpbmdzRmlsZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPGJvb2xlYW4gfCB2b2lkPiB7XHJcblxyXG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XHJcbiAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpPy5pZDtcclxuXHJcbiAgY29uc3Qgb3B0aW9uczogSU9wZW5PcHRpb25zID0ge1xyXG4gICAgdGl0bGU6IGFwaS50cmFuc2xhdGUoJ1BsZWFzZSBjaG9vc2UgYSBCRzMgLmxzeCBmaWxlIHRvIGltcG9ydCBmcm9tJyksXHJcbiAgICBmaWx0ZXJzOiBbeyBuYW1lOiAnQkczIExvYWQgT3JkZXInLCBleHRlbnNpb25zOiBbJ2xzeCddIH1dXHJcbiAgfTtcclxuXHJcbiAgY29uc3Qgc2VsZWN0ZWRQYXRoOnN0cmluZyA9IGF3YWl0IGFwaS5zZWxlY3RGaWxlKG9wdGlvbnMpO1xyXG5cclxuICBsb2dEZWJ1ZygnaW1wb3J0TW9kU2V0dGluZ3NGaWxlIHNlbGVjdGVkUGF0aD0nLCBzZWxlY3RlZFBhdGgpO1xyXG4gIFxyXG4gIC8vIGlmIG5vIHBhdGggc2VsZWN0ZWQsIHRoZW4gY2FuY2VsIHByb2JhYmx5IHByZXNzZWRcclxuICBpZihzZWxlY3RlZFBhdGggPT09IHVuZGVmaW5lZClcclxuICAgIHJldHVybjtcclxuXHJcbiAgcHJvY2Vzc0xzeEZpbGUoYXBpLCBzZWxlY3RlZFBhdGgpO1xyXG59XHJcblxyXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gaW1wb3J0TW9kU2V0dGluZ3NHYW1lKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8Ym9vbGVhbiB8IHZvaWQ+IHtcclxuXHJcbiAgY29uc3QgZ2FtZVNldHRpbmdzUGF0aDpzdHJpbmcgPSBwYXRoLmpvaW4ocHJvZmlsZXNQYXRoKCksICdQdWJsaWMnLCAnbW9kc2V0dGluZ3MubHN4Jyk7XHJcblxyXG4gIGxvZ0RlYnVnKCdpbXBvcnRNb2RTZXR0aW5nc0dhbWUgZ2FtZVNldHRpbmdzUGF0aD0nLCBnYW1lU2V0dGluZ3NQYXRoKTtcclxuXHJcbiAgcHJvY2Vzc0xzeEZpbGUoYXBpLCBnYW1lU2V0dGluZ3NQYXRoKTtcclxufVxyXG5cclxuZnVuY3Rpb24gY2hlY2tJZkR1cGxpY2F0ZUV4aXN0cyhhcnIpIHtcclxuICByZXR1cm4gbmV3IFNldChhcnIpLnNpemUgIT09IGFyci5sZW5ndGhcclxufVxyXG5cclxuZnVuY3Rpb24gZ2V0QXR0cmlidXRlKG5vZGU6IElNb2ROb2RlLCBuYW1lOiBzdHJpbmcsIGZhbGxiYWNrPzogc3RyaW5nKTpzdHJpbmcge1xyXG4gIHJldHVybiBmaW5kTm9kZShub2RlPy5hdHRyaWJ1dGUsIG5hbWUpPy4kPy52YWx1ZSA/PyBmYWxsYmFjaztcclxufVxyXG5cclxuYXN5bmMgZnVuY3Rpb24gcHJvY2Vzc0JHM01NRmlsZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGpzb25QYXRoOiBzdHJpbmcpIHtcclxuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xyXG4gIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XHJcblxyXG4gIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcclxuICAgIGlkOiBOT1RJRl9JTVBPUlRfQUNUSVZJVFksXHJcbiAgICB0aXRsZTogJ0ltcG9ydGluZyBKU09OIEZpbGUnLFxyXG4gICAgbWVzc2FnZToganNvblBhdGgsXHJcbiAgICB0eXBlOiAnYWN0aXZpdHknLFxyXG4gICAgbm9EaXNtaXNzOiB0cnVlLFxyXG4gICAgYWxsb3dTdXBwcmVzczogZmFsc2UsXHJcbiAgfSk7XHJcblxyXG4gIHRyeSB7XHJcblxyXG4gIH0gY2F0Y2ggKGVycikge1xyXG5cclxuICB9IGZpbmFsbHkge1xyXG4gICAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oTk9USUZfSU1QT1JUX0FDVElWSVRZKTtcclxuICB9XHJcbn1cclxuXHJcbmFzeW5jIGZ1bmN0aW9uIHByb2Nlc3NMc3hGaWxlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgbHN4UGF0aDpzdHJpbmcpIHsgIFxyXG5cclxuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xyXG4gIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XHJcblxyXG4gIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcclxuICAgIGlkOiBOT1RJRl9JTVBPUlRfQUNUSVZJVFksXHJcbiAgICB0aXRsZTogJ0ltcG9ydGluZyBMU1ggRmlsZScsXHJcbiAgICBtZXNzYWdlOiBsc3hQYXRoLFxyXG4gICAgdHlwZTogJ2FjdGl2aXR5JyxcclxuICAgIG5vRGlzbWlzczogdHJ1ZSxcclxuICAgIGFsbG93U3VwcHJlc3M6IGZhbHNlLFxyXG4gIH0pO1xyXG5cclxuICB0cnkge1xyXG5cclxuICAgIGNvbnN0IGxzeExvYWRPcmRlcjpJTW9kU2V0dGluZ3MgPSBhd2FpdCByZWFkTHN4RmlsZShsc3hQYXRoKTtcclxuICAgIGxvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSBsc3hQYXRoPScsIGxzeFBhdGgpO1xyXG5cclxuICAgIC8vIGJ1aWxkdXAgb2JqZWN0IGZyb20geG1sXHJcbiAgICBjb25zdCByZWdpb24gPSBmaW5kTm9kZShsc3hMb2FkT3JkZXI/LnNhdmU/LnJlZ2lvbiwgJ01vZHVsZVNldHRpbmdzJyk7XHJcbiAgICBjb25zdCByb290ID0gZmluZE5vZGUocmVnaW9uPy5ub2RlLCAncm9vdCcpO1xyXG4gICAgY29uc3QgbW9kc05vZGUgPSBmaW5kTm9kZShyb290Py5jaGlsZHJlbj8uWzBdPy5ub2RlLCAnTW9kcycpO1xyXG4gICAgY29uc3QgbG9Ob2RlID0gZmluZE5vZGUocm9vdD8uY2hpbGRyZW4/LlswXT8ubm9kZSwgJ01vZE9yZGVyJykgPz8geyBjaGlsZHJlbjogW10gfTtcclxuICAgIGlmICgobG9Ob2RlLmNoaWxkcmVuID09PSB1bmRlZmluZWQpIHx8ICgobG9Ob2RlLmNoaWxkcmVuWzBdIGFzIGFueSkgPT09ICcnKSkge1xyXG4gICAgICBsb05vZGUuY2hpbGRyZW4gPSBbeyBub2RlOiBbXSB9XTtcclxuICAgIH1cclxuICAgIGlmICgobW9kc05vZGUuY2hpbGRyZW4gPT09IHVuZGVmaW5lZCkgfHwgKChtb2RzTm9kZS5jaGlsZHJlblswXSBhcyBhbnkpID09PSAnJykpIHtcclxuICAgICAgbW9kc05vZGUuY2hpbGRyZW4gPSBbeyBub2RlOiBbXSB9XTtcclxuICAgIH1cclxuXHJcbiAgICAvLyBnZXQgbmljZSBzdHJpbmcgYXJyYXksIGluIG9yZGVyLCBvZiBtb2RzIGZyb20gdGhlIGxvYWQgb3JkZXIgc2VjdGlvblxyXG4gICAgbGV0IHV1aWRBcnJheTpzdHJpbmdbXSA9IGxvTm9kZS5jaGlsZHJlblswXS5ub2RlLm1hcCgobG9FbnRyeSkgPT4gbG9FbnRyeS5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdVVUlEJykpLiQudmFsdWUpO1xyXG4gICAgXHJcbiAgICBsb2dEZWJ1ZyhgcHJvY2Vzc0xzeEZpbGUgdXVpZEFycmF5PWAsIHV1aWRBcnJheSk7XHJcblxyXG4gICAgLy8gYXJlIHRoZXJlIGFueSBkdXBsaWNhdGVzPyBpZiBzby4uLlxyXG4gICAgaWYoY2hlY2tJZkR1cGxpY2F0ZUV4aXN0cyh1dWlkQXJyYXkpKSB7XHJcbiAgICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcclxuICAgICAgICB0eXBlOiAnd2FybmluZycsXHJcbiAgICAgICAgaWQ6ICdiZzMtbG9hZG9yZGVyLWltcG9ydGVkLWR1cGxpY2F0ZScsXHJcbiAgICAgICAgdGl0bGU6ICdEdXBsaWNhdGUgRW50cmllcycsXHJcbiAgICAgICAgbWVzc2FnZTogJ0R1cGxpY2F0ZSBVVUlEcyBmb3VuZCBpbiB0aGUgTW9kT3JkZXIgc2VjdGlvbiBvZiB0aGUgLmxzeCBmaWxlIGJlaW5nIGltcG9ydGVkLiBUaGlzIHNvbWV0aW1lcyBjYW4gY2F1c2UgaXNzdWVzIHdpdGggdGhlIGxvYWQgb3JkZXIuJyxcclxuICAgICAgICBcclxuICAgICAgICAvL2Rpc3BsYXlNUzogMzAwMFxyXG4gICAgICB9KTsgXHJcbiAgICAgIFxyXG4gICAgICAvLyByZW1vdmUgdGhlc2UgZHVwbGljYXRlcyBhZnRlciB0aGUgZmlyc3Qgb25lXHJcbiAgICAgIC8vdXVpZEFycmF5ID0gQXJyYXkuZnJvbShuZXcgU2V0KHV1aWRBcnJheSkpO1xyXG4gICAgfSAgIFxyXG5cclxuICAgIGNvbnN0IGxzeE1vZE5vZGVzOklNb2ROb2RlW10gPSBtb2RzTm9kZS5jaGlsZHJlblswXS5ub2RlO1xyXG5cclxuICAgIC8qXHJcbiAgICAvLyBnZXQgbW9kcywgaW4gdGhlIGFib3ZlIG9yZGVyLCBmcm9tIHRoZSBtb2RzIHNlY3Rpb24gb2YgdGhlIGZpbGUgXHJcbiAgICBjb25zdCBsc3hNb2RzOklNb2ROb2RlW10gPSB1dWlkQXJyYXkubWFwKCh1dWlkKSA9PiB7XHJcbiAgICAgIHJldHVybiBsc3hNb2ROb2Rlcy5maW5kKG1vZE5vZGUgPT4gbW9kTm9kZS5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdVVUlEJykgJiYgKGF0dHIuJC52YWx1ZSA9PT0gdXVpZCkpKTtcclxuICAgIH0pOyovXHJcblxyXG4gICAgbG9nRGVidWcoYHByb2Nlc3NMc3hGaWxlIGxzeE1vZE5vZGVzPWAsIGxzeE1vZE5vZGVzKTtcclxuXHJcbiAgICAvLyB3ZSBub3cgaGF2ZSBhbGwgdGhlIGluZm9ybWF0aW9uIGZyb20gZmlsZSB0aGF0IHdlIG5lZWRcclxuXHJcbiAgICAvLyBsZXRzIGdldCBhbGwgcGFrcyBmcm9tIHRoZSBmb2xkZXJcclxuICAgIGNvbnN0IHBha3MgPSBhd2FpdCByZWFkUEFLcyhhcGkpO1xyXG5cclxuICAgIC8vIGFyZSB0aGVyZSBhbnkgcGFrIGZpbGVzIG5vdCBpbiB0aGUgbHN4IGZpbGU/XHJcbiAgICBjb25zdCBtaXNzaW5nID0gcGFrcy5yZWR1Y2UoKGFjYywgY3VycikgPT4geyAgXHJcblxyXG4gICAgICAvLyBpZiBjdXJyZW50IHBhayBoYXMgbm8gYXNzb2NpYXRlZCBwYWssIHRoZW4gd2Ugc2tpcC4gd2UgZGVmaW50ZWx5IGFyZW4ndCBhZGRpbmcgdGhpcyBwYWsgaWYgdm9ydGV4IGhhc24ndCBtYW5hZ2VkIGl0LlxyXG4gICAgICBpZihjdXJyLm1vZCA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgICAgcmV0dXJuIGFjYztcclxuICAgICAgfVxyXG5cclxuICAgICAgLy8gaWYgY3VycmVudCBwYWssIHdoaWNoIHZvcnRleCBoYXMgZGVmaW5hdGVseSBtYW5hZ2VkLCBpc24ndCBhbHJlYWR5IGluIHRoZSBsc3ggZmlsZSwgdGhlbiB0aGlzIGlzIG1pc3NpbmcgYW5kIHdlIG5lZWQgdG8gbG9hZCBvcmRlclxyXG4gICAgICBpZihsc3hNb2ROb2Rlcy5maW5kKGxzeEVudHJ5ID0+IGxzeEVudHJ5LmF0dHJpYnV0ZS5maW5kKGF0dHIgPT4gKGF0dHIuJC5pZCA9PT0gJ05hbWUnKSAmJiAoYXR0ci4kLnZhbHVlID09PSBjdXJyLmluZm8ubmFtZSkpKSA9PT0gdW5kZWZpbmVkKSBcclxuICAgICAgICBhY2MucHVzaChjdXJyKTtcclxuXHJcbiAgICAgIC8vIHNraXAgdGhpcyBcclxuICAgICAgcmV0dXJuIGFjYztcclxuICAgIH0sIFtdKTtcclxuXHJcbiAgICBsb2dEZWJ1ZygncHJvY2Vzc0xzeEZpbGUgLSBtaXNzaW5nIHBhayBmaWxlcyB0aGF0IGhhdmUgYXNzb2NpYXRlZCBtb2RzID0nLCBtaXNzaW5nKTtcclxuXHJcbiAgICAvLyBidWlsZCBhIGxvYWQgb3JkZXIgZnJvbSB0aGUgbHN4IGZpbGUgYW5kIGFkZCBhbnkgbWlzc2luZyBwYWtzIGF0IHRoZSBlbmQ/XHJcblxyXG4gICAgLy9sZXQgbmV3TG9hZE9yZGVyOiB0eXBlcy5JTG9hZE9yZGVyRW50cnlbXSA9IFtdO1xyXG5cclxuICAgIC8vIGxvb3AgdGhyb3VnaCBsc3ggbW9kIG5vZGVzIGFuZCBmaW5kIHRoZSBwYWsgdGhleSBhcmUgYXNzb2NpYXRlZCB3aXRoXHJcblxyXG4gICAgbGV0IG5ld0xvYWRPcmRlcjogdHlwZXMuSUxvYWRPcmRlckVudHJ5W10gPSBsc3hNb2ROb2Rlcy5yZWR1Y2UoKGFjYywgY3VycikgPT4ge1xyXG4gICAgICBcclxuICAgICAgLy8gZmluZCB0aGUgYmczUGFrIHRoaXMgaXMgcmVmZXJpbmcgdG9vIGFzIGl0J3MgZWFzaWVyIHRvIGdldCBhbGwgdGhlIGluZm9ybWF0aW9uXHJcbiAgICAgIGNvbnN0IHBhayA9IHBha3MuZmluZCgocGFrKSA9PiBwYWsuaW5mby5uYW1lID09PSBjdXJyLmF0dHJpYnV0ZS5maW5kKGF0dHIgPT4gKGF0dHIuJC5pZCA9PT0gJ05hbWUnKSkuJC52YWx1ZSk7XHJcblxyXG4gICAgICAvLyBpZiB0aGUgcGFrIGlzIGZvdW5kLCB0aGVuIHdlIGFkZCBhIGxvYWQgb3JkZXIgZW50cnkuIGlmIGl0IGlzbid0LCB0aGVuIGl0cyBwcm9iIGJlZW4gZGVsZXRlZCBpbiB2b3J0ZXggYW5kIGxzeCBoYXMgYW4gZXh0cmEgZW50cnlcclxuICAgICAgaWYgKHBhayAhPT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgICAgYWNjLnB1c2goe1xyXG4gICAgICAgICAgaWQ6IHBhay5maWxlTmFtZSxcclxuICAgICAgICAgIG1vZElkOiBwYWsubW9kLmlkLFxyXG4gICAgICAgICAgZW5hYmxlZDogdHJ1ZSwgICAgICAgIFxyXG4gICAgICAgICAgbmFtZTogcGF0aC5iYXNlbmFtZShwYWsuZmlsZU5hbWUsICcucGFrJyksXHJcbiAgICAgICAgICBkYXRhOiBwYWsuaW5mbyxcclxuICAgICAgICAgIGxvY2tlZDogcGFrLmluZm8uaXNMaXN0ZWQgYXMgTG9ja2VkU3RhdGUgICAgICAgIFxyXG4gICAgICAgIH0pO1xyXG4gICAgICB9XHJcblxyXG4gICAgICByZXR1cm4gYWNjO1xyXG4gICAgfSwgW10pOyAgIFxyXG5cclxuICAgIGxvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSAoYmVmb3JlIGFkZGluZyBtaXNzaW5nKSBuZXdMb2FkT3JkZXI9JywgbmV3TG9hZE9yZGVyKTtcclxuXHJcbiAgICAvLyBBZGQgYW55IG5ld2x5IGFkZGVkIG1vZHMgdG8gdGhlIGJvdHRvbSBvZiB0aGUgbG9hZE9yZGVyLlxyXG4gICAgbWlzc2luZy5mb3JFYWNoKHBhayA9PiB7XHJcbiAgICAgIG5ld0xvYWRPcmRlci5wdXNoKHtcclxuICAgICAgICBpZDogcGFrLmZpbGVOYW1lLFxyXG4gICAgICAgIG1vZElkOiBwYWsubW9kLmlkLFxyXG4gICAgICAgIGVuYWJsZWQ6IHRydWUsICAgICAgICBcclxuICAgICAgICBuYW1lOiBwYXRoLmJhc2VuYW1lKHBhay5maWxlTmFtZSwgJy5wYWsnKSxcclxuICAgICAgICBkYXRhOiBwYWsuaW5mbyxcclxuICAgICAgICBsb2NrZWQ6IHBhay5pbmZvLmlzTGlzdGVkIGFzIExvY2tlZFN0YXRlICAgICAgICBcclxuICAgICAgfSkgICAgICBcclxuICAgIH0pOyAgIFxyXG5cclxuICAgIGxvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSAoYWZ0ZXIgYWRkaW5nIG1pc3NpbmcpIG5ld0xvYWRPcmRlcj0nLCBuZXdMb2FkT3JkZXIpO1xyXG5cclxuICAgIG5ld0xvYWRPcmRlci5zb3J0KChhLCBiKSA9PiAoK2IubG9ja2VkIC0gK2EubG9ja2VkKSk7XHJcblxyXG4gICAgbG9nRGVidWcoJ3Byb2Nlc3NMc3hGaWxlIChhZnRlciBzb3J0aW5nKSBuZXdMb2FkT3JkZXI9JywgbmV3TG9hZE9yZGVyKTtcclxuXHJcbiAgICAvLyBnZXQgbG9hZCBvcmRlclxyXG4gICAgLy9sZXQgbG9hZE9yZGVyOnR5cGVzLkxvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIFtdKTtcclxuICAgIC8vbG9nRGVidWcoJ3Byb2Nlc3NMc3hGaWxlIGxvYWRPcmRlcj0nLCBsb2FkT3JkZXIpO1xyXG5cclxuICAgIC8vIG1hbnVhbHkgc2V0IGxvYWQgb3JkZXI/XHJcbiAgICBhcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5zZXRMb2FkT3JkZXIocHJvZmlsZUlkLCBuZXdMb2FkT3JkZXIpKTtcclxuXHJcbiAgICAvL3V0aWwuc2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIG5ld0xvYWRPcmRlcik7XHJcblxyXG4gICAgLy8gZ2V0IGxvYWQgb3JkZXIgYWdhaW4/XHJcbiAgICAvL2xvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIFtdKTtcclxuICAgIC8vbG9nRGVidWcoJ3Byb2Nlc3NMc3hGaWxlIGxvYWRPcmRlcj0nLCBsb2FkT3JkZXIpO1xyXG5cclxuICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKCdiZzMtbG9hZG9yZGVyLWltcG9ydC1hY3Rpdml0eScpO1xyXG5cclxuICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcclxuICAgICAgdHlwZTogJ3N1Y2Nlc3MnLFxyXG4gICAgICBpZDogJ2JnMy1sb2Fkb3JkZXItaW1wb3J0ZWQnLFxyXG4gICAgICB0aXRsZTogJ0xvYWQgT3JkZXIgSW1wb3J0ZWQnLFxyXG4gICAgICBtZXNzYWdlOiBsc3hQYXRoLFxyXG4gICAgICBkaXNwbGF5TVM6IDMwMDBcclxuICAgIH0pO1xyXG5cclxuICAgIGxvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSBmaW5pc2hlZCcpO1xyXG5cclxuICB9IGNhdGNoIChlcnIpIHtcclxuICAgIFxyXG4gICAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oTk9USUZfSU1QT1JUX0FDVElWSVRZKTtcclxuXHJcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gaW1wb3J0IGxvYWQgb3JkZXInLCBlcnIsIHtcclxuICAgICAgYWxsb3dSZXBvcnQ6IGZhbHNlXHJcbiAgICB9KTtcclxuICB9XHJcblxyXG59XHJcblxyXG5hc3luYyBmdW5jdGlvbiBleHBvcnRUbyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGZpbGVwYXRoOiBzdHJpbmcpIHtcclxuXHJcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcclxuICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk/LmlkO1xyXG5cclxuICAvLyBnZXQgbG9hZCBvcmRlciBmcm9tIHN0YXRlXHJcbiAgY29uc3QgbG9hZE9yZGVyOnR5cGVzLkxvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIFtdKTtcclxuXHJcbiAgbG9nRGVidWcoJ2V4cG9ydFRvIGxvYWRPcmRlcj0nLCBsb2FkT3JkZXIpO1xyXG5cclxuICB0cnkge1xyXG4gICAgLy8gcmVhZCB0aGUgZ2FtZSBiZzMgbW9kc2V0dGluZ3MubHN4IHNvIHRoYXQgd2UgZ2V0IHRoZSBkZWZhdWx0IGdhbWUgZ3VzdGF2IHRoaW5nP1xyXG4gICAgY29uc3QgbW9kU2V0dGluZ3MgPSBhd2FpdCByZWFkTW9kU2V0dGluZ3MoYXBpKTtcclxuXHJcbiAgICAvLyBidWlsZHVwIG9iamVjdCBmcm9tIHhtbFxyXG4gICAgY29uc3QgcmVnaW9uID0gZmluZE5vZGUobW9kU2V0dGluZ3M/LnNhdmU/LnJlZ2lvbiwgJ01vZHVsZVNldHRpbmdzJyk7XHJcbiAgICBjb25zdCByb290ID0gZmluZE5vZGUocmVnaW9uPy5ub2RlLCAncm9vdCcpO1xyXG4gICAgY29uc3QgbW9kc05vZGUgPSBmaW5kTm9kZShyb290Py5jaGlsZHJlbj8uWzBdPy5ub2RlLCAnTW9kcycpO1xyXG4gICAgY29uc3QgbG9Ob2RlID0gZmluZE5vZGUocm9vdD8uY2hpbGRyZW4/LlswXT8ubm9kZSwgJ01vZE9yZGVyJykgPz8geyBjaGlsZHJlbjogW10gfTtcclxuICAgIGlmICgobG9Ob2RlLmNoaWxkcmVuID09PSB1bmRlZmluZWQpIHx8ICgobG9Ob2RlLmNoaWxkcmVuWzBdIGFzIGFueSkgPT09ICcnKSkge1xyXG4gICAgICBsb05vZGUuY2hpbGRyZW4gPSBbeyBub2RlOiBbXSB9XTtcclxuICAgIH1cclxuICAgIGlmICgobW9kc05vZGUuY2hpbGRyZW4gPT09IHVuZGVmaW5lZCkgfHwgKChtb2RzTm9kZS5jaGlsZHJlblswXSBhcyBhbnkpID09PSAnJykpIHtcclxuICAgICAgbW9kc05vZGUuY2hpbGRyZW4gPSBbeyBub2RlOiBbXSB9XTtcclxuICAgIH1cclxuXHJcbiAgICAvLyBkcm9wIGFsbCBub2RlcyBleGNlcHQgZm9yIHRoZSBnYW1lIGVudHJ5XHJcbiAgICBjb25zdCBkZXNjcmlwdGlvbk5vZGVzID0gbW9kc05vZGU/LmNoaWxkcmVuPy5bMF0/Lm5vZGU/LmZpbHRlcj8uKGl0ZXIgPT5cclxuICAgICAgaXRlci5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdOYW1lJykgJiYgKGF0dHIuJC52YWx1ZSA9PT0gJ0d1c3RhdkRldicpKSkgPz8gW107XHJcblxyXG4gICAgXHJcblxyXG5cclxuICAgIC8vIFxyXG4gICAgY29uc3QgZmlsdGVyZWRQYWtzID0gbG9hZE9yZGVyLmZpbHRlcihlbnRyeSA9PiAhIWVudHJ5LmRhdGE/LnV1aWRcclxuICAgICAgICAgICAgICAgICAgICAmJiBlbnRyeS5lbmFibGVkXHJcbiAgICAgICAgICAgICAgICAgICAgJiYgIWVudHJ5LmRhdGE/LmlzTGlzdGVkKTtcclxuXHJcbiAgICBsb2dEZWJ1ZygnZXhwb3J0VG8gZmlsdGVyZWRQYWtzPScsIGZpbHRlcmVkUGFrcyk7XHJcblxyXG4gICAgLy8gYWRkIG5ldyBub2RlcyBmb3IgdGhlIGVuYWJsZWQgbW9kc1xyXG4gICAgZm9yIChjb25zdCBlbnRyeSBvZiBmaWx0ZXJlZFBha3MpIHtcclxuICAgICAgLy8gY29uc3QgbWQ1ID0gYXdhaXQgdXRpbC5maWxlTUQ1KHBhdGguam9pbihtb2RzUGF0aCgpLCBrZXkpKTtcclxuICAgICAgZGVzY3JpcHRpb25Ob2Rlcy5wdXNoKHtcclxuICAgICAgICAkOiB7IGlkOiAnTW9kdWxlU2hvcnREZXNjJyB9LFxyXG4gICAgICAgIGF0dHJpYnV0ZTogW1xyXG4gICAgICAgICAgeyAkOiB7IGlkOiAnRm9sZGVyJywgdHlwZTogJ0xTV1N0cmluZycsIHZhbHVlOiBlbnRyeS5kYXRhLmZvbGRlciB9IH0sXHJcbiAgICAgICAgICB7ICQ6IHsgaWQ6ICdNRDUnLCB0eXBlOiAnTFNTdHJpbmcnLCB2YWx1ZTogZW50cnkuZGF0YS5tZDUgfSB9LFxyXG4gICAgICAgICAgeyAkOiB7IGlkOiAnTmFtZScsIHR5cGU6ICdGaXhlZFN0cmluZycsIHZhbHVlOiBlbnRyeS5kYXRhLm5hbWUgfSB9LFxyXG4gICAgICAgICAgeyAkOiB7IGlkOiAnVVVJRCcsIHR5cGU6ICdGaXhlZFN0cmluZycsIHZhbHVlOiBlbnRyeS5kYXRhLnV1aWQgfSB9LFxyXG4gICAgICAgICAgeyAkOiB7IGlkOiAnVmVyc2lvbicsIHR5cGU6ICdpbnQzMicsIHZhbHVlOiBlbnRyeS5kYXRhLnZlcnNpb24gfSB9LFxyXG4gICAgICAgIF0sXHJcbiAgICAgIH0pO1xyXG4gICAgfVxyXG5cclxuICAgIC8vIFxyXG4gICAgY29uc3QgbG9hZE9yZGVyTm9kZXMgPSBmaWx0ZXJlZFBha3NcclxuICAgICAgLy8uc29ydCgobGhzLCByaHMpID0+IGxocy5wb3MgLSByaHMucG9zKSAvLyBkb24ndCBrbm93IGlmIHdlIG5lZWQgdGhpcyBub3dcclxuICAgICAgLm1hcCgoZW50cnkpOiBJTW9kTm9kZSA9PiAoe1xyXG4gICAgICAgICQ6IHsgaWQ6ICdNb2R1bGUnIH0sXHJcbiAgICAgICAgYXR0cmlidXRlOiBbXHJcbiAgICAgICAgICB7ICQ6IHsgaWQ6ICdVVUlEJywgdHlwZTogJ0ZpeGVkU3RyaW5nJywgdmFsdWU6IGVudHJ5LmRhdGEudXVpZCB9IH0sXHJcbiAgICAgICAgXSxcclxuICAgICAgfSkpO1xyXG5cclxuICAgIG1vZHNOb2RlLmNoaWxkcmVuWzBdLm5vZGUgPSBkZXNjcmlwdGlvbk5vZGVzO1xyXG4gICAgbG9Ob2RlLmNoaWxkcmVuWzBdLm5vZGUgPSBsb2FkT3JkZXJOb2RlcztcclxuXHJcbiAgICB3cml0ZU1vZFNldHRpbmdzKGFwaSwgbW9kU2V0dGluZ3MsIGZpbGVwYXRoKTtcclxuICAgIFxyXG4gICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xyXG4gICAgICB0eXBlOiAnc3VjY2VzcycsXHJcbiAgICAgIGlkOiAnYmczLWxvYWRvcmRlci1leHBvcnRlZCcsXHJcbiAgICAgIHRpdGxlOiAnTG9hZCBPcmRlciBFeHBvcnRlZCcsXHJcbiAgICAgIG1lc3NhZ2U6IGZpbGVwYXRoLFxyXG4gICAgICBkaXNwbGF5TVM6IDMwMDBcclxuICAgIH0pO1xyXG5cclxuICB9IGNhdGNoIChlcnIpIHtcclxuICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byB3cml0ZSBsb2FkIG9yZGVyJywgZXJyLCB7XHJcbiAgICAgIGFsbG93UmVwb3J0OiBmYWxzZSxcclxuICAgICAgbWVzc2FnZTogJ1BsZWFzZSBydW4gdGhlIGdhbWUgYXQgbGVhc3Qgb25jZSBhbmQgY3JlYXRlIGEgcHJvZmlsZSBpbi1nYW1lJyxcclxuICAgIH0pO1xyXG4gIH0gIFxyXG5cclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGV4cG9ydFRvRmlsZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPGJvb2xlYW4gfCB2b2lkPiB7XHJcblxyXG4gIGxldCBzZWxlY3RlZFBhdGg6c3RyaW5nO1xyXG5cclxuICAvLyBhbiBvbGRlciB2ZXJzaW9uIG9mIFZvcnRleCBtaWdodCBub3QgaGF2ZSB0aGUgdXBkYXRlZCBhcGkuc2F2ZUZpbGUgZnVuY3Rpb24gc28gd2lsbCBmYWxsYmFja1xyXG4gIC8vIHRvIHRoZSBwcmV2aW91cyBoYWNrIGpvYiBvZiBzZWxlY3RGaWxlIGJ1dCBhY3R1YWxseSB3cml0ZXNcclxuICBcclxuICBpZihhcGkuc2F2ZUZpbGUgIT09IHVuZGVmaW5lZCkge1xyXG5cclxuICAgIGNvbnN0IG9wdGlvbnM6IElTYXZlT3B0aW9ucyA9IHtcclxuICAgICAgdGl0bGU6IGFwaS50cmFuc2xhdGUoJ1BsZWFzZSBjaG9vc2UgYSBCRzMgLmxzeCBmaWxlIHRvIGV4cG9ydCB0bycpLFxyXG4gICAgICBmaWx0ZXJzOiBbeyBuYW1lOiAnQkczIExvYWQgT3JkZXInLCBleHRlbnNpb25zOiBbJ2xzeCddIH1dLCAgICAgIFxyXG4gICAgfTtcclxuXHJcbiAgICBzZWxlY3RlZFBhdGggPSBhd2FpdCBhcGkuc2F2ZUZpbGUob3B0aW9ucyk7ICAgIFxyXG5cclxuICB9IGVsc2Uge1xyXG5cclxuICAgIGNvbnN0IG9wdGlvbnM6IElPcGVuT3B0aW9ucyA9IHtcclxuICAgICAgdGl0bGU6IGFwaS50cmFuc2xhdGUoJ1BsZWFzZSBjaG9vc2UgYSBCRzMgLmxzeCBmaWxlIHRvIGV4cG9ydCB0bycpLFxyXG4gICAgICBmaWx0ZXJzOiBbeyBuYW1lOiAnQkczIExvYWQgT3JkZXInLCBleHRlbnNpb25zOiBbJ2xzeCddIH1dLFxyXG4gICAgICBjcmVhdGU6IHRydWVcclxuICAgIH07XHJcblxyXG4gICAgc2VsZWN0ZWRQYXRoID0gYXdhaXQgYXBpLnNlbGVjdEZpbGUob3B0aW9ucyk7XHJcbiAgfVxyXG5cclxuICBsb2dEZWJ1ZyhgZXhwb3J0VG9GaWxlICR7c2VsZWN0ZWRQYXRofWApO1xyXG5cclxuICAvLyBpZiBubyBwYXRoIHNlbGVjdGVkLCB0aGVuIGNhbmNlbCBwcm9iYWJseSBwcmVzc2VkXHJcbiAgaWYoc2VsZWN0ZWRQYXRoID09PSB1bmRlZmluZWQpXHJcbiAgICByZXR1cm47XHJcblxyXG4gIGV4cG9ydFRvKGFwaSwgc2VsZWN0ZWRQYXRoKTtcclxufVxyXG4gIFxyXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZXhwb3J0VG9HYW1lKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8Ym9vbGVhbiB8IHZvaWQ+IHtcclxuXHJcbiAgY29uc3Qgc2V0dGluZ3NQYXRoID0gcGF0aC5qb2luKHByb2ZpbGVzUGF0aCgpLCAnUHVibGljJywgJ21vZHNldHRpbmdzLmxzeCcpO1xyXG5cclxuICBsb2dEZWJ1ZyhgZXhwb3J0VG9HYW1lICR7c2V0dGluZ3NQYXRofWApO1xyXG5cclxuICBleHBvcnRUbyhhcGksIHNldHRpbmdzUGF0aCk7XHJcbn1cclxuXHJcbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBkZWVwUmVmcmVzaChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPGJvb2xlYW4gfCB2b2lkPiB7XHJcblxyXG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XHJcbiAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpPy5pZDtcclxuXHJcbiAgLy8gZ2V0IGxvYWQgb3JkZXIgZnJvbSBzdGF0ZVxyXG4gIGNvbnN0IGxvYWRPcmRlcjp0eXBlcy5Mb2FkT3JkZXIgPSB1dGlsLmdldFNhZmUoYXBpLmdldFN0YXRlKCksIFsncGVyc2lzdGVudCcsICdsb2FkT3JkZXInLCBwcm9maWxlSWRdLCBbXSk7XHJcblxyXG4gIGxvZ0RlYnVnKCdkZWVwUmVmcmVzaCcsIGxvYWRPcmRlcik7XHJcbn1cclxuXHJcblxyXG5cclxuYXN5bmMgZnVuY3Rpb24gcmVhZE1vZFNldHRpbmdzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8SU1vZFNldHRpbmdzPiB7XHJcbiAgXHJcbiAgY29uc3Qgc2V0dGluZ3NQYXRoID0gcGF0aC5qb2luKHByb2ZpbGVzUGF0aCgpLCAnUHVibGljJywgJ21vZHNldHRpbmdzLmxzeCcpO1xyXG4gIGNvbnN0IGRhdCA9IGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMoc2V0dGluZ3NQYXRoKTtcclxuICBsb2dEZWJ1ZygncmVhZE1vZFNldHRpbmdzJywgZGF0KTtcclxuICByZXR1cm4gcGFyc2VTdHJpbmdQcm9taXNlKGRhdCk7XHJcbn1cclxuXHJcbmFzeW5jIGZ1bmN0aW9uIHJlYWRMc3hGaWxlKGxzeFBhdGg6IHN0cmluZyk6IFByb21pc2U8SU1vZFNldHRpbmdzPiB7XHJcbiAgXHJcbiAgLy9jb25zdCBzZXR0aW5nc1BhdGggPSBwYXRoLmpvaW4ocHJvZmlsZXNQYXRoKCksICdQdWJsaWMnLCAnbW9kc2V0dGluZ3MubHN4Jyk7XHJcbiAgY29uc3QgZGF0ID0gYXdhaXQgZnMucmVhZEZpbGVBc3luYyhsc3hQYXRoKTtcclxuICBsb2dEZWJ1ZygnbHN4UGF0aCcsIGRhdCk7XHJcbiAgcmV0dXJuIHBhcnNlU3RyaW5nUHJvbWlzZShkYXQpO1xyXG59XHJcblxyXG5hc3luYyBmdW5jdGlvbiB3cml0ZU1vZFNldHRpbmdzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgZGF0YTogSU1vZFNldHRpbmdzLCBmaWxlcGF0aDogc3RyaW5nKTogUHJvbWlzZTx2b2lkPiB7XHJcbiAgY29uc3QgYnVpbGRlciA9IG5ldyBCdWlsZGVyKCk7XHJcbiAgY29uc3QgeG1sID0gYnVpbGRlci5idWlsZE9iamVjdChkYXRhKTtcclxuICB0cnkge1xyXG4gICAgYXdhaXQgZnMuZW5zdXJlRGlyV3JpdGFibGVBc3luYyhwYXRoLmRpcm5hbWUoZmlsZXBhdGgpKTtcclxuICAgIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKGZpbGVwYXRoLCB4bWwpO1xyXG4gIH0gY2F0Y2ggKGVycikge1xyXG4gICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIHdyaXRlIG1vZCBzZXR0aW5ncycsIGVycik7XHJcbiAgICByZXR1cm47XHJcbiAgfVxyXG59XHJcblxyXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gdmFsaWRhdGUocHJldjogdHlwZXMuTG9hZE9yZGVyLFxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgY3VycmVudDogdHlwZXMuTG9hZE9yZGVyKTogUHJvbWlzZTxhbnk+IHtcclxuICAvLyBOb3RoaW5nIHRvIHZhbGlkYXRlIHJlYWxseSAtIHRoZSBnYW1lIGRvZXMgbm90IHJlYWQgb3VyIGxvYWQgb3JkZXIgZmlsZVxyXG4gIC8vICBhbmQgd2UgZG9uJ3Qgd2FudCB0byBhcHBseSBhbnkgcmVzdHJpY3Rpb25zIGVpdGhlciwgc28gd2UganVzdFxyXG4gIC8vICByZXR1cm4uXHJcbiAgcmV0dXJuIHVuZGVmaW5lZDtcclxufVxyXG5cclxuYXN5bmMgZnVuY3Rpb24gcmVhZFBBS3MoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSA6IFByb21pc2U8QXJyYXk8SUNhY2hlRW50cnk+PiB7XHJcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcclxuICBjb25zdCBsc0xpYiA9IGdldExhdGVzdExTTGliTW9kKGFwaSk7XHJcbiAgaWYgKGxzTGliID09PSB1bmRlZmluZWQpIHtcclxuICAgIHJldHVybiBbXTtcclxuICB9XHJcblxyXG4gIGNvbnN0IHBha3MgPSBhd2FpdCByZWFkUEFLTGlzdChhcGkpO1xyXG5cclxuICBsb2dEZWJ1ZygncGFrcycsIHBha3MpO1xyXG5cclxuICBsZXQgbWFuaWZlc3Q7XHJcbiAgdHJ5IHtcclxuICAgIG1hbmlmZXN0ID0gYXdhaXQgdXRpbC5nZXRNYW5pZmVzdChhcGksICcnLCBHQU1FX0lEKTtcclxuICB9IGNhdGNoIChlcnIpIHtcclxuICAgIGNvbnN0IGFsbG93UmVwb3J0ID0gIVsnRVBFUk0nXS5pbmNsdWRlcyhlcnIuY29kZSk7XHJcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gcmVhZCBkZXBsb3ltZW50IG1hbmlmZXN0JywgZXJyLCB7IGFsbG93UmVwb3J0IH0pO1xyXG4gICAgcmV0dXJuIFtdO1xyXG4gIH1cclxuICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XHJcbiAgICB0eXBlOiAnYWN0aXZpdHknLFxyXG4gICAgaWQ6ICdiZzMtcmVhZGluZy1wYWtzLWFjdGl2aXR5JyxcclxuICAgIG1lc3NhZ2U6ICdSZWFkaW5nIFBBSyBmaWxlcy4gVGhpcyBtaWdodCB0YWtlIGEgd2hpbGUuLi4nLFxyXG4gIH0pXHJcbiAgY29uc3QgY2FjaGU6IFBha0luZm9DYWNoZSA9IFBha0luZm9DYWNoZS5nZXRJbnN0YW5jZSgpO1xyXG4gIGNvbnN0IHJlcyA9IGF3YWl0IFByb21pc2UuYWxsKHBha3MubWFwKGFzeW5jIChmaWxlTmFtZSwgaWR4KSA9PiB7XHJcbiAgICByZXR1cm4gdXRpbC53aXRoRXJyb3JDb250ZXh0KCdyZWFkaW5nIHBhaycsIGZpbGVOYW1lLCAoKSA9PiB7XHJcbiAgICAgIGNvbnN0IGZ1bmMgPSBhc3luYyAoKSA9PiB7XHJcbiAgICAgICAgdHJ5IHtcclxuICAgICAgICAgIGNvbnN0IG1hbmlmZXN0RW50cnkgPSBtYW5pZmVzdC5maWxlcy5maW5kKGVudHJ5ID0+IGVudHJ5LnJlbFBhdGggPT09IGZpbGVOYW1lKTtcclxuICAgICAgICAgIGNvbnN0IG1vZCA9IChtYW5pZmVzdEVudHJ5ICE9PSB1bmRlZmluZWQpXHJcbiAgICAgICAgICAgID8gc3RhdGUucGVyc2lzdGVudC5tb2RzW0dBTUVfSURdPy5bbWFuaWZlc3RFbnRyeS5zb3VyY2VdXHJcbiAgICAgICAgICAgIDogdW5kZWZpbmVkO1xyXG5cclxuICAgICAgICAgIGNvbnN0IHBha1BhdGggPSBwYXRoLmpvaW4obW9kc1BhdGgoKSwgZmlsZU5hbWUpO1xyXG4gICAgICAgICAgcmV0dXJuIGNhY2hlLmdldENhY2hlRW50cnkoYXBpLCBwYWtQYXRoLCBtb2QpO1xyXG4gICAgICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICAgICAgaWYgKGVyciBpbnN0YW5jZW9mIERpdmluZUV4ZWNNaXNzaW5nKSB7XHJcbiAgICAgICAgICAgIGNvbnN0IG1lc3NhZ2UgPSAnVGhlIGluc3RhbGxlZCBjb3B5IG9mIExTTGliL0RpdmluZSBpcyBjb3JydXB0ZWQgLSBwbGVhc2UgJ1xyXG4gICAgICAgICAgICAgICsgJ2RlbGV0ZSB0aGUgZXhpc3RpbmcgTFNMaWIgbW9kIGVudHJ5IGFuZCByZS1pbnN0YWxsIGl0LiBNYWtlIHN1cmUgdG8gJ1xyXG4gICAgICAgICAgICAgICsgJ2Rpc2FibGUgb3IgYWRkIGFueSBuZWNlc3NhcnkgZXhjZXB0aW9ucyB0byB5b3VyIHNlY3VyaXR5IHNvZnR3YXJlIHRvICdcclxuICAgICAgICAgICAgICArICdlbnN1cmUgaXQgZG9lcyBub3QgaW50ZXJmZXJlIHdpdGggVm9ydGV4L0xTTGliIGZpbGUgb3BlcmF0aW9ucy4nO1xyXG4gICAgICAgICAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdEaXZpbmUgZXhlY3V0YWJsZSBpcyBtaXNzaW5nJywgbWVzc2FnZSxcclxuICAgICAgICAgICAgICB7IGFsbG93UmVwb3J0OiBmYWxzZSB9KTtcclxuICAgICAgICAgICAgcmV0dXJuIHVuZGVmaW5lZDtcclxuICAgICAgICAgIH1cclxuICAgICAgICAgIC8vIGNvdWxkIGhhcHBlbiBpZiB0aGUgZmlsZSBnb3QgZGVsZXRlZCBzaW5jZSByZWFkaW5nIHRoZSBsaXN0IG9mIHBha3MuXHJcbiAgICAgICAgICAvLyBhY3R1YWxseSwgdGhpcyBzZWVtcyB0byBiZSBmYWlybHkgY29tbW9uIHdoZW4gdXBkYXRpbmcgYSBtb2RcclxuICAgICAgICAgIGlmIChlcnIuY29kZSAhPT0gJ0VOT0VOVCcpIHtcclxuICAgICAgICAgICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIHJlYWQgcGFrLiBQbGVhc2UgbWFrZSBzdXJlIHlvdSBhcmUgdXNpbmcgdGhlIGxhdGVzdCB2ZXJzaW9uIG9mIExTTGliIGJ5IHVzaW5nIHRoZSBcIlJlLWluc3RhbGwgTFNMaWIvRGl2aW5lXCIgdG9vbGJhciBidXR0b24gb24gdGhlIE1vZHMgcGFnZS4nLCBlcnIsIHtcclxuICAgICAgICAgICAgICBhbGxvd1JlcG9ydDogZmFsc2UsXHJcbiAgICAgICAgICAgICAgbWVzc2FnZTogZmlsZU5hbWUsXHJcbiAgICAgICAgICAgIH0pO1xyXG4gICAgICAgICAgfVxyXG4gICAgICAgICAgcmV0dXJuIHVuZGVmaW5lZDtcclxuICAgICAgICB9XHJcbiAgICAgIH07XHJcbiAgICAgIHJldHVybiBCbHVlYmlyZC5yZXNvbHZlKGZ1bmMoKSk7XHJcbiAgICB9KTtcclxuICB9KSk7XHJcbiAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oJ2JnMy1yZWFkaW5nLXBha3MtYWN0aXZpdHknKTtcclxuXHJcbiAgcmV0dXJuIHJlcy5maWx0ZXIoaXRlciA9PiBpdGVyICE9PSB1bmRlZmluZWQpO1xyXG59XHJcblxyXG5hc3luYyBmdW5jdGlvbiByZWFkUEFLTGlzdChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcclxuICBsZXQgcGFrczogc3RyaW5nW107XHJcbiAgdHJ5IHtcclxuICAgIHBha3MgPSAoYXdhaXQgZnMucmVhZGRpckFzeW5jKG1vZHNQYXRoKCkpKVxyXG4gICAgICAuZmlsdGVyKGZpbGVOYW1lID0+IHBhdGguZXh0bmFtZShmaWxlTmFtZSkudG9Mb3dlckNhc2UoKSA9PT0gJy5wYWsnKTtcclxuICB9IGNhdGNoIChlcnIpIHtcclxuICAgIGlmIChlcnIuY29kZSA9PT0gJ0VOT0VOVCcpIHtcclxuICAgICAgdHJ5IHtcclxuICAgICAgICBhd2FpdCBmcy5lbnN1cmVEaXJXcml0YWJsZUFzeW5jKG1vZHNQYXRoKCksICgpID0+IFByb21pc2UucmVzb2x2ZSgpKTtcclxuICAgICAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICAgICAgLy8gbm9wXHJcbiAgICAgIH1cclxuICAgIH0gZWxzZSB7XHJcbiAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byByZWFkIG1vZHMgZGlyZWN0b3J5JywgZXJyLCB7XHJcbiAgICAgICAgaWQ6ICdiZzMtZmFpbGVkLXJlYWQtbW9kcycsXHJcbiAgICAgICAgbWVzc2FnZTogbW9kc1BhdGgoKSxcclxuICAgICAgfSk7XHJcbiAgICB9XHJcbiAgICBwYWtzID0gW107XHJcbiAgfVxyXG5cclxuICByZXR1cm4gcGFrcztcclxufVxyXG5cclxuZnVuY3Rpb24gZ2V0TGF0ZXN0TFNMaWJNb2QoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XHJcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcclxuICBjb25zdCBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9ID0gc3RhdGUucGVyc2lzdGVudC5tb2RzW0dBTUVfSURdO1xyXG4gIGlmIChtb2RzID09PSB1bmRlZmluZWQpIHtcclxuICAgIGxvZygnd2FybicsICdMU0xpYiBpcyBub3QgaW5zdGFsbGVkJyk7XHJcbiAgICByZXR1cm4gdW5kZWZpbmVkO1xyXG4gIH1cclxuICBjb25zdCBsc0xpYjogdHlwZXMuSU1vZCA9IE9iamVjdC5rZXlzKG1vZHMpLnJlZHVjZSgocHJldjogdHlwZXMuSU1vZCwgaWQ6IHN0cmluZykgPT4ge1xyXG4gICAgaWYgKG1vZHNbaWRdLnR5cGUgPT09ICdiZzMtbHNsaWItZGl2aW5lLXRvb2wnKSB7XHJcbiAgICAgIGNvbnN0IGxhdGVzdFZlciA9IHV0aWwuZ2V0U2FmZShwcmV2LCBbJ2F0dHJpYnV0ZXMnLCAndmVyc2lvbiddLCAnMC4wLjAnKTtcclxuICAgICAgY29uc3QgY3VycmVudFZlciA9IHV0aWwuZ2V0U2FmZShtb2RzW2lkXSwgWydhdHRyaWJ1dGVzJywgJ3ZlcnNpb24nXSwgJzAuMC4wJyk7XHJcbiAgICAgIHRyeSB7XHJcbiAgICAgICAgaWYgKHNlbXZlci5ndChjdXJyZW50VmVyLCBsYXRlc3RWZXIpKSB7XHJcbiAgICAgICAgICBwcmV2ID0gbW9kc1tpZF07XHJcbiAgICAgICAgfVxyXG4gICAgICB9IGNhdGNoIChlcnIpIHtcclxuICAgICAgICBsb2coJ3dhcm4nLCAnaW52YWxpZCBtb2QgdmVyc2lvbicsIHsgbW9kSWQ6IGlkLCB2ZXJzaW9uOiBjdXJyZW50VmVyIH0pO1xyXG4gICAgICB9XHJcbiAgICB9XHJcbiAgICByZXR1cm4gcHJldjtcclxuICB9LCB1bmRlZmluZWQpO1xyXG5cclxuICBpZiAobHNMaWIgPT09IHVuZGVmaW5lZCkge1xyXG4gICAgbG9nKCd3YXJuJywgJ0xTTGliIGlzIG5vdCBpbnN0YWxsZWQnKTtcclxuICAgIHJldHVybiB1bmRlZmluZWQ7XHJcbiAgfVxyXG5cclxuICByZXR1cm4gbHNMaWI7XHJcbn1cclxuXHJcbmV4cG9ydCBmdW5jdGlvbiBnZW5Qcm9wcyhjb250ZXh0OiB0eXBlcy5JRXh0ZW5zaW9uQ29udGV4dCwgcHJvZmlsZUlkPzogc3RyaW5nKTogSVByb3BzIHtcclxuICBjb25zdCBhcGkgPSBjb250ZXh0LmFwaTtcclxuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xyXG4gIGNvbnN0IHByb2ZpbGU6IHR5cGVzLklQcm9maWxlID0gKHByb2ZpbGVJZCAhPT0gdW5kZWZpbmVkKVxyXG4gICAgPyBzZWxlY3RvcnMucHJvZmlsZUJ5SWQoc3RhdGUsIHByb2ZpbGVJZClcclxuICAgIDogc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpO1xyXG5cclxuICBpZiAocHJvZmlsZT8uZ2FtZUlkICE9PSBHQU1FX0lEKSB7XHJcbiAgICByZXR1cm4gdW5kZWZpbmVkO1xyXG4gIH1cclxuXHJcbiAgY29uc3QgZGlzY292ZXJ5OiB0eXBlcy5JRGlzY292ZXJ5UmVzdWx0ID0gdXRpbC5nZXRTYWZlKHN0YXRlLFxyXG4gICAgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgR0FNRV9JRF0sIHVuZGVmaW5lZCk7XHJcbiAgaWYgKGRpc2NvdmVyeT8ucGF0aCA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICByZXR1cm4gdW5kZWZpbmVkO1xyXG4gIH1cclxuXHJcbiAgY29uc3QgbW9kcyA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xyXG4gIHJldHVybiB7IGFwaSwgc3RhdGUsIHByb2ZpbGUsIG1vZHMsIGRpc2NvdmVyeSB9O1xyXG59XHJcblxyXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZW5zdXJlTE9GaWxlKGNvbnRleHQ6IHR5cGVzLklFeHRlbnNpb25Db250ZXh0LFxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHByb2ZpbGVJZD86IHN0cmluZyxcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBwcm9wcz86IElQcm9wcyk6IFByb21pc2U8c3RyaW5nPiB7XHJcbiAgaWYgKHByb3BzID09PSB1bmRlZmluZWQpIHtcclxuICAgIHByb3BzID0gZ2VuUHJvcHMoY29udGV4dCwgcHJvZmlsZUlkKTtcclxuICB9XHJcblxyXG4gIGlmIChwcm9wcyA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IHV0aWwuUHJvY2Vzc0NhbmNlbGVkKCdmYWlsZWQgdG8gZ2VuZXJhdGUgZ2FtZSBwcm9wcycpKTtcclxuICB9XHJcblxyXG4gIGNvbnN0IHRhcmdldFBhdGggPSBsb2FkT3JkZXJGaWxlUGF0aChwcm9wcy5wcm9maWxlLmlkKTtcclxuICB0cnkge1xyXG4gICAgdHJ5IHtcclxuICAgICAgYXdhaXQgZnMuc3RhdEFzeW5jKHRhcmdldFBhdGgpO1xyXG4gICAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICAgIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKHRhcmdldFBhdGgsIEpTT04uc3RyaW5naWZ5KFtdKSwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xyXG4gICAgfVxyXG4gIH0gY2F0Y2ggKGVycikge1xyXG4gICAgcmV0dXJuIFByb21pc2UucmVqZWN0KGVycik7XHJcbiAgfSAgICBcclxuICBcclxuICBcclxuICByZXR1cm4gdGFyZ2V0UGF0aDtcclxufVxyXG5cclxuZXhwb3J0IGZ1bmN0aW9uIGxvYWRPcmRlckZpbGVQYXRoKHByb2ZpbGVJZDogc3RyaW5nKTogc3RyaW5nIHtcclxuICByZXR1cm4gcGF0aC5qb2luKHV0aWwuZ2V0Vm9ydGV4UGF0aCgndXNlckRhdGEnKSwgR0FNRV9JRCwgcHJvZmlsZUlkICsgJ18nICsgTE9fRklMRV9OQU1FKTtcclxufVxyXG5cclxuIl19
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9hZE9yZGVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibG9hZE9yZGVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7OztBQUNBLDJDQUFzRTtBQUN0RSxnREFBd0I7QUFDeEIsd0RBQWdDO0FBRWhDLHFDQUNzRDtBQUN0RCxtQ0FBeUU7QUFFekUsbUNBQXFEO0FBSXJELG1EQUFvRDtBQUNwRCxpQ0FBcUc7QUFFckcsb0RBQW9EO0FBQ3BELHVDQUE0QztBQUM1QyxpREFBa0Q7QUFFbEQsU0FBc0IsU0FBUyxDQUFDLE9BQWdDLEVBQ2hDLFNBQTBCLEVBQzFCLFNBQWtCOzs7UUFDaEQsTUFBTSxLQUFLLEdBQVcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3hDLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtZQUN2QixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDO1NBQ2xFO1FBRUQsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUdyQyxNQUFNLFVBQVUsR0FBRyxNQUFNLFlBQVksQ0FBQyxPQUFPLEVBQUUsU0FBUyxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBR2pFLElBQUEsZUFBUSxFQUFDLHNCQUFzQixFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBRzVDLE1BQU0sZUFBRSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxLQUFLLENBQUMsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDcEYsTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFDckYseUJBQXlCLENBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUtsRCxNQUFNLGdCQUFnQixHQUFXLE1BQUEsS0FBSyxDQUFDLFFBQVEsQ0FBQyxjQUFjLENBQUMsQ0FBQyxtQkFBbUIsbUNBQUksS0FBSyxDQUFDO1FBRTdGLElBQUEsZUFBUSxFQUFDLDZCQUE2QixFQUFFLGdCQUFnQixDQUFDLENBQUM7UUFFMUQsSUFBRyxnQkFBZ0I7WUFDakIsTUFBTSxZQUFZLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBRWxDLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDOztDQUMxQjtBQWhDRCw4QkFnQ0M7QUFFRCxTQUFzQixXQUFXLENBQUMsT0FBZ0M7OztRQUtoRSxNQUFNLEtBQUssR0FBVyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDeEMsSUFBSSxDQUFBLE1BQUEsS0FBSyxhQUFMLEtBQUssdUJBQUwsS0FBSyxDQUFFLE9BQU8sMENBQUUsTUFBTSxNQUFLLGdCQUFPLEVBQUU7WUFFdEMsT0FBTyxFQUFFLENBQUM7U0FDWDtRQUVELE1BQU0sSUFBSSxHQUFHLE1BQU0sUUFBUSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN6QyxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBQSx5QkFBZSxFQUFDLElBQUEsK0JBQWdCLEVBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBR3BFLE1BQU0sVUFBVSxHQUFHLE1BQU0sWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQy9DLE1BQU0sUUFBUSxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxVQUFVLEVBQUUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztRQUUxRSxJQUFJLFNBQVMsR0FBNEIsRUFBRSxDQUFDO1FBRTVDLElBQUk7WUFFRixJQUFJO2dCQUNGLFNBQVMsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2FBQ2xDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBRVosTUFBTSxJQUFJLE9BQU8sQ0FBTyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtvQkFDMUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsT0FBTyxFQUFFLHlCQUF5QixFQUFFO3dCQUN2RCxNQUFNLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsNEVBQTRFOzhCQUM1RSxpRkFBaUY7NEJBQ2pGLGlFQUFpRSxDQUFDO3FCQUMvRixFQUFFO3dCQUNELEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFO3dCQUM5QyxFQUFFLEtBQUssRUFBRSxpQkFBaUIsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFO2dDQUN2QyxTQUFTLEdBQUcsRUFBRSxDQUFDO2dDQUNiLE9BQU8sT0FBTyxFQUFFLENBQUM7NEJBQ25CLENBQUM7eUJBQ0Y7cUJBQ0YsQ0FBQyxDQUFBO2dCQUNKLENBQUMsQ0FBQyxDQUFBO2FBQ0g7WUFHRCxJQUFBLGVBQVEsRUFBQyx3QkFBd0IsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUk5QyxNQUFNLGlCQUFpQixHQUFtQixTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLEtBQUssRUFBRSxFQUFFO2dCQUN4RSxNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLFFBQVEsS0FBSyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUM7Z0JBQ3hELElBQUksR0FBRyxLQUFLLFNBQVMsRUFBRTtvQkFDckIsR0FBRyxDQUFDLElBQUksaUNBQU0sS0FBSyxLQUFFLElBQUksRUFBRSxHQUFHLENBQUMsSUFBSSxJQUFHLENBQUM7aUJBQ3hDO2dCQUNELE9BQU8sR0FBRyxDQUFDO1lBQ2IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBRVAsSUFBQSxlQUFRLEVBQUMsZ0NBQWdDLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztZQU05RCxNQUFNLGFBQWEsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxFQUFFO2dCQUc5QyxJQUFHLElBQUksQ0FBQyxHQUFHLEtBQUssU0FBUyxFQUFFO29CQUN6QixHQUFHLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztvQkFDdkIsT0FBTyxHQUFHLENBQUM7aUJBQ1o7Z0JBRUQsR0FBRyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ3JCLE9BQU8sR0FBRyxDQUFDO1lBRWIsQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUUvQixJQUFBLGVBQVEsRUFBQyw0QkFBNEIsRUFBRSxhQUFhLENBQUMsQ0FBQztZQUd0RCxNQUFNLFNBQVMsR0FBWSxhQUFhLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGlCQUFpQixDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxFQUFFLEtBQUssR0FBRyxDQUFDLFFBQVEsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO1lBRXZJLElBQUEsZUFBUSxFQUFDLHdCQUF3QixFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBTTlDLElBQUEsZUFBUSxFQUFDLG1CQUFtQixFQUFFLElBQUksQ0FBQyxDQUFDO1lBSXBDLFNBQVMsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEVBQUU7Z0JBQ3RCLGlCQUFpQixDQUFDLElBQUksQ0FBQztvQkFDckIsRUFBRSxFQUFFLEdBQUcsQ0FBQyxRQUFRO29CQUNoQixLQUFLLEVBQUUsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFO29CQUNqQixPQUFPLEVBQUUsSUFBSTtvQkFDYixJQUFJLEVBQUUsY0FBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQztvQkFDekMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJO29CQUNkLE1BQU0sRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQXVCO2lCQUN6QyxDQUFDLENBQUE7WUFDSixDQUFDLENBQUMsQ0FBQztZQVFILE9BQU8saUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztTQUNsRTtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQzVCOztDQUNGO0FBOUdELGtDQThHQztBQUVELFNBQXNCLGVBQWUsQ0FBQyxPQUFnQzs7O1FBQ3BFLE1BQU0sR0FBRyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDeEIsTUFBTSxPQUFPLEdBQWlCO1lBQzVCLEtBQUssRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLDREQUE0RCxDQUFDO1lBQ2xGLE9BQU8sRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLGtCQUFrQixFQUFFLFVBQVUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7U0FDOUQsQ0FBQztRQUVGLE1BQU0sWUFBWSxHQUFVLE1BQU0sR0FBRyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUUxRCxJQUFBLGVBQVEsRUFBQywrQkFBK0IsRUFBRSxZQUFZLENBQUMsQ0FBQztRQUd4RCxJQUFHLFlBQVksS0FBSyxTQUFTLEVBQUU7WUFDN0IsT0FBTztTQUNSO1FBRUQsSUFBSTtZQUNGLE1BQU0sSUFBSSxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxZQUFZLEVBQUUsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUN4RSxNQUFNLFNBQVMsR0FBa0IsSUFBQSx1QkFBZSxFQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3ZELElBQUEsZUFBUSxFQUFDLDRCQUE0QixFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBRWxELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztZQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7WUFDckQsTUFBTSxnQkFBZ0IsR0FBRyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQ3pGLE1BQU0sS0FBSyxHQUFHLElBQUEsdUJBQWUsRUFBQyxnQkFBZ0IsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUMzRCxNQUFNLFNBQVMsQ0FBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1NBQzVDO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixHQUFHLENBQUMscUJBQXFCLENBQUMsd0NBQXdDLEVBQUUsR0FBRyxFQUFFLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7U0FDbEc7Z0JBQVM7WUFDUixJQUFBLG1CQUFZLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQzNCOztDQUNGO0FBL0JELDBDQStCQztBQUVELFNBQXNCLGFBQWEsQ0FBQyxHQUF3Qjs7O1FBQzFELElBQUksWUFBb0IsQ0FBQztRQUN6QixJQUFJLEdBQUcsQ0FBQyxRQUFRLEtBQUssU0FBUyxFQUFFO1lBQzlCLE1BQU0sT0FBTyxHQUFpQjtnQkFDNUIsS0FBSyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsK0NBQStDLENBQUM7Z0JBQ3JFLE9BQU8sRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLGtCQUFrQixFQUFFLFVBQVUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7YUFDOUQsQ0FBQztZQUNGLFlBQVksR0FBRyxNQUFNLEdBQUcsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDNUM7YUFBTTtZQUNMLE1BQU0sT0FBTyxHQUFpQjtnQkFDNUIsS0FBSyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsK0NBQStDLENBQUM7Z0JBQ3JFLE9BQU8sRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLGtCQUFrQixFQUFFLFVBQVUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7Z0JBQzdELE1BQU0sRUFBRSxJQUFJO2FBQ2IsQ0FBQztZQUNGLFlBQVksR0FBRyxNQUFNLEdBQUcsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDOUM7UUFFRCxJQUFBLGVBQVEsRUFBQyxpQkFBaUIsWUFBWSxFQUFFLENBQUMsQ0FBQztRQUcxQyxJQUFJLFlBQVksS0FBSyxTQUFTLEVBQUU7WUFDOUIsT0FBTztTQUNSO1FBRUQsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sU0FBUyxHQUFHLE1BQUEsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLDBDQUFFLEVBQUUsQ0FBQztRQUNyRCxNQUFNLFNBQVMsR0FBb0IsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUNuRyxJQUFJO1lBQ0YsTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLFlBQVksRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUEsb0JBQVksRUFBQyxTQUFTLENBQUMsRUFBRSxTQUFTLEVBQUUsQ0FBQyxDQUFDLEVBQ3pGLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDeEIsR0FBRyxDQUFDLGdCQUFnQixDQUFDO2dCQUNuQixJQUFJLEVBQUUsU0FBUztnQkFDZixFQUFFLEVBQUUsd0JBQXdCO2dCQUM1QixLQUFLLEVBQUUscUJBQXFCO2dCQUM1QixPQUFPLEVBQUUsWUFBWTtnQkFDckIsU0FBUyxFQUFFLElBQUk7YUFDaEIsQ0FBQyxDQUFDO1NBQ0o7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyx3Q0FBd0MsRUFBRSxHQUFHLEVBQUUsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztTQUNsRzs7Q0FDRjtBQXhDRCxzQ0F3Q0M7QUFFRCxTQUFzQixxQkFBcUIsQ0FBQyxHQUF3Qjs7O1FBRWxFLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7UUFFckQsTUFBTSxPQUFPLEdBQWlCO1lBQzVCLEtBQUssRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLDhDQUE4QyxDQUFDO1lBQ3BFLE9BQU8sRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLFVBQVUsRUFBRSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7U0FDM0QsQ0FBQztRQUVGLE1BQU0sWUFBWSxHQUFVLE1BQU0sR0FBRyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUUxRCxJQUFBLGVBQVEsRUFBQyxxQ0FBcUMsRUFBRSxZQUFZLENBQUMsQ0FBQztRQUc5RCxJQUFHLFlBQVksS0FBSyxTQUFTO1lBQzNCLE9BQU87UUFFVCxjQUFjLENBQUMsR0FBRyxFQUFFLFlBQVksQ0FBQyxDQUFDOztDQUNuQztBQW5CRCxzREFtQkM7QUFFRCxTQUFzQixxQkFBcUIsQ0FBQyxHQUF3Qjs7UUFFbEUsTUFBTSxnQkFBZ0IsR0FBVSxjQUFJLENBQUMsSUFBSSxDQUFDLElBQUEsbUJBQVksR0FBRSxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDO1FBRXZGLElBQUEsZUFBUSxFQUFDLHlDQUF5QyxFQUFFLGdCQUFnQixDQUFDLENBQUM7UUFFdEUsY0FBYyxDQUFDLEdBQUcsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO0lBQ3hDLENBQUM7Q0FBQTtBQVBELHNEQU9DO0FBRUQsU0FBUyxzQkFBc0IsQ0FBQyxHQUFHO0lBQ2pDLE9BQU8sSUFBSSxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxLQUFLLEdBQUcsQ0FBQyxNQUFNLENBQUE7QUFDekMsQ0FBQztBQUVELFNBQVMsWUFBWSxDQUFDLElBQWMsRUFBRSxJQUFZLEVBQUUsUUFBaUI7O0lBQ25FLE9BQU8sTUFBQSxNQUFBLE1BQUEsSUFBQSxlQUFRLEVBQUMsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLFNBQVMsRUFBRSxJQUFJLENBQUMsMENBQUUsQ0FBQywwQ0FBRSxLQUFLLG1DQUFJLFFBQVEsQ0FBQztBQUMvRCxDQUFDO0FBRUQsU0FBZSxnQkFBZ0IsQ0FBQyxHQUF3QixFQUFFLFFBQWdCOzs7UUFDeEUsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sU0FBUyxHQUFHLE1BQUEsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLDBDQUFFLEVBQUUsQ0FBQztRQUVyRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsRUFBRSxFQUFFLDhCQUFxQjtZQUN6QixLQUFLLEVBQUUscUJBQXFCO1lBQzVCLE9BQU8sRUFBRSxRQUFRO1lBQ2pCLElBQUksRUFBRSxVQUFVO1lBQ2hCLFNBQVMsRUFBRSxJQUFJO1lBQ2YsYUFBYSxFQUFFLEtBQUs7U0FDckIsQ0FBQyxDQUFDO1FBRUgsSUFBSTtTQUVIO1FBQUMsT0FBTyxHQUFHLEVBQUU7U0FFYjtnQkFBUztZQUNSLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyw4QkFBcUIsQ0FBQyxDQUFDO1NBQ2hEOztDQUNGO0FBRUQsU0FBZSxjQUFjLENBQUMsR0FBd0IsRUFBRSxPQUFjOzs7UUFFcEUsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sU0FBUyxHQUFHLE1BQUEsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLDBDQUFFLEVBQUUsQ0FBQztRQUVyRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsRUFBRSxFQUFFLDhCQUFxQjtZQUN6QixLQUFLLEVBQUUsb0JBQW9CO1lBQzNCLE9BQU8sRUFBRSxPQUFPO1lBQ2hCLElBQUksRUFBRSxVQUFVO1lBQ2hCLFNBQVMsRUFBRSxJQUFJO1lBQ2YsYUFBYSxFQUFFLEtBQUs7U0FDckIsQ0FBQyxDQUFDO1FBRUgsSUFBSTtZQUVGLE1BQU0sWUFBWSxHQUFnQixNQUFNLFdBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUM3RCxJQUFBLGVBQVEsRUFBQyx5QkFBeUIsRUFBRSxPQUFPLENBQUMsQ0FBQztZQUc3QyxNQUFNLE1BQU0sR0FBRyxJQUFBLGVBQVEsRUFBQyxNQUFBLFlBQVksYUFBWixZQUFZLHVCQUFaLFlBQVksQ0FBRSxJQUFJLDBDQUFFLE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO1lBQ3RFLE1BQU0sSUFBSSxHQUFHLElBQUEsZUFBUSxFQUFDLE1BQU0sYUFBTixNQUFNLHVCQUFOLE1BQU0sQ0FBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUM7WUFDNUMsTUFBTSxRQUFRLEdBQUcsSUFBQSxlQUFRLEVBQUMsTUFBQSxNQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxRQUFRLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUM7WUFDN0QsTUFBTSxNQUFNLEdBQUcsTUFBQSxJQUFBLGVBQVEsRUFBQyxNQUFBLE1BQUEsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLFFBQVEsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLElBQUksRUFBRSxVQUFVLENBQUMsbUNBQUksRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLENBQUM7WUFDbkYsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBRSxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBUyxLQUFLLEVBQUUsQ0FBQyxFQUFFO2dCQUMzRSxNQUFNLENBQUMsUUFBUSxHQUFHLENBQUMsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBQzthQUNsQztZQUNELElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxJQUFJLENBQUUsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQVMsS0FBSyxFQUFFLENBQUMsRUFBRTtnQkFDL0UsUUFBUSxDQUFDLFFBQVEsR0FBRyxDQUFDLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUM7YUFDcEM7WUFHRCxJQUFJLFNBQVMsR0FBWSxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUVsSSxJQUFBLGVBQVEsRUFBQywyQkFBMkIsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUdqRCxJQUFHLHNCQUFzQixDQUFDLFNBQVMsQ0FBQyxFQUFFO2dCQUNwQyxHQUFHLENBQUMsZ0JBQWdCLENBQUM7b0JBQ25CLElBQUksRUFBRSxTQUFTO29CQUNmLEVBQUUsRUFBRSxrQ0FBa0M7b0JBQ3RDLEtBQUssRUFBRSxtQkFBbUI7b0JBQzFCLE9BQU8sRUFBRSxxSUFBcUk7aUJBRy9JLENBQUMsQ0FBQzthQUlKO1lBRUQsTUFBTSxXQUFXLEdBQWMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7WUFRekQsSUFBQSxlQUFRLEVBQUMsNkJBQTZCLEVBQUUsV0FBVyxDQUFDLENBQUM7WUFLckQsTUFBTSxJQUFJLEdBQUcsTUFBTSxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUM7WUFHakMsTUFBTSxPQUFPLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxJQUFJLEVBQUUsRUFBRTtnQkFHeEMsSUFBRyxJQUFJLENBQUMsR0FBRyxLQUFLLFNBQVMsRUFBRTtvQkFDekIsT0FBTyxHQUFHLENBQUM7aUJBQ1o7Z0JBR0QsSUFBRyxXQUFXLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEtBQUssU0FBUztvQkFDekksR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztnQkFHakIsT0FBTyxHQUFHLENBQUM7WUFDYixDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFFUCxJQUFBLGVBQVEsRUFBQyxnRUFBZ0UsRUFBRSxPQUFPLENBQUMsQ0FBQztZQVFwRixJQUFJLFlBQVksR0FBNEIsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxJQUFJLEVBQUUsRUFBRTtnQkFHM0UsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUc5RyxJQUFJLEdBQUcsS0FBSyxTQUFTLEVBQUU7b0JBQ3JCLEdBQUcsQ0FBQyxJQUFJLENBQUM7d0JBQ1AsRUFBRSxFQUFFLEdBQUcsQ0FBQyxRQUFRO3dCQUNoQixLQUFLLEVBQUUsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFO3dCQUNqQixPQUFPLEVBQUUsSUFBSTt3QkFDYixJQUFJLEVBQUUsY0FBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQzt3QkFDekMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJO3dCQUNkLE1BQU0sRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQXVCO3FCQUN6QyxDQUFDLENBQUM7aUJBQ0o7Z0JBRUQsT0FBTyxHQUFHLENBQUM7WUFDYixDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFFUCxJQUFBLGVBQVEsRUFBQyxzREFBc0QsRUFBRSxZQUFZLENBQUMsQ0FBQztZQUcvRSxPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxFQUFFO2dCQUNwQixZQUFZLENBQUMsSUFBSSxDQUFDO29CQUNoQixFQUFFLEVBQUUsR0FBRyxDQUFDLFFBQVE7b0JBQ2hCLEtBQUssRUFBRSxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUU7b0JBQ2pCLE9BQU8sRUFBRSxJQUFJO29CQUNiLElBQUksRUFBRSxjQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDO29CQUN6QyxJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUk7b0JBQ2QsTUFBTSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsUUFBdUI7aUJBQ3pDLENBQUMsQ0FBQTtZQUNKLENBQUMsQ0FBQyxDQUFDO1lBRUgsSUFBQSxlQUFRLEVBQUMscURBQXFELEVBQUUsWUFBWSxDQUFDLENBQUM7WUFFOUUsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFFckQsSUFBQSxlQUFRLEVBQUMsOENBQThDLEVBQUUsWUFBWSxDQUFDLENBQUM7WUFPdkUsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxZQUFZLENBQUMsU0FBUyxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUM7WUFRbEUsR0FBRyxDQUFDLG1CQUFtQixDQUFDLCtCQUErQixDQUFDLENBQUM7WUFFekQsR0FBRyxDQUFDLGdCQUFnQixDQUFDO2dCQUNuQixJQUFJLEVBQUUsU0FBUztnQkFDZixFQUFFLEVBQUUsd0JBQXdCO2dCQUM1QixLQUFLLEVBQUUscUJBQXFCO2dCQUM1QixPQUFPLEVBQUUsT0FBTztnQkFDaEIsU0FBUyxFQUFFLElBQUk7YUFDaEIsQ0FBQyxDQUFDO1lBRUgsSUFBQSxlQUFRLEVBQUMseUJBQXlCLENBQUMsQ0FBQztTQUVyQztRQUFDLE9BQU8sR0FBRyxFQUFFO1lBRVosR0FBRyxDQUFDLG1CQUFtQixDQUFDLDhCQUFxQixDQUFDLENBQUM7WUFFL0MsR0FBRyxDQUFDLHFCQUFxQixDQUFDLDZCQUE2QixFQUFFLEdBQUcsRUFBRTtnQkFDNUQsV0FBVyxFQUFFLEtBQUs7YUFDbkIsQ0FBQyxDQUFDO1NBQ0o7O0NBRUY7QUFFRCxTQUFlLFFBQVEsQ0FBQyxHQUF3QixFQUFFLFNBQW1COzs7UUFFbkUsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sU0FBUyxHQUFHLE1BQUEsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLDBDQUFFLEVBQUUsQ0FBQztRQUdyRCxNQUFNLFNBQVMsR0FBbUIsaUJBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUUzRyxJQUFBLGVBQVEsRUFBQyxxQkFBcUIsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUUzQyxJQUFJO1lBRUYsTUFBTSxXQUFXLEdBQUcsTUFBTSxlQUFlLENBQUMsR0FBRyxDQUFDLENBQUM7WUFHL0MsTUFBTSxNQUFNLEdBQUcsSUFBQSxlQUFRLEVBQUMsTUFBQSxXQUFXLGFBQVgsV0FBVyx1QkFBWCxXQUFXLENBQUUsSUFBSSwwQ0FBRSxNQUFNLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQztZQUNyRSxNQUFNLElBQUksR0FBRyxJQUFBLGVBQVEsRUFBQyxNQUFNLGFBQU4sTUFBTSx1QkFBTixNQUFNLENBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQzVDLE1BQU0sUUFBUSxHQUFHLElBQUEsZUFBUSxFQUFDLE1BQUEsTUFBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsUUFBUSwwQ0FBRyxDQUFDLENBQUMsMENBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQzdELE1BQU0sTUFBTSxHQUFHLE1BQUEsSUFBQSxlQUFRLEVBQUMsTUFBQSxNQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxRQUFRLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxJQUFJLEVBQUUsVUFBVSxDQUFDLG1DQUFJLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxDQUFDO1lBQ25GLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxJQUFJLENBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQVMsS0FBSyxFQUFFLENBQUMsRUFBRTtnQkFDM0UsTUFBTSxDQUFDLFFBQVEsR0FBRyxDQUFDLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUM7YUFDbEM7WUFDRCxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFFLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFTLEtBQUssRUFBRSxDQUFDLEVBQUU7Z0JBQy9FLFFBQVEsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO2FBQ3BDO1lBR0QsTUFBTSxnQkFBZ0IsR0FBRyxNQUFBLE1BQUEsTUFBQSxNQUFBLE1BQUEsUUFBUSxhQUFSLFFBQVEsdUJBQVIsUUFBUSxDQUFFLFFBQVEsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLElBQUksMENBQUUsTUFBTSxtREFBRyxJQUFJLENBQUMsRUFBRSxDQUN0RSxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEtBQUssS0FBSyxXQUFXLENBQUMsQ0FBQyxDQUFDLG1DQUFJLEVBQUUsQ0FBQztZQU0vRixNQUFNLFlBQVksR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFOztnQkFBQyxPQUFBLENBQUMsQ0FBQyxDQUFBLE1BQUEsS0FBSyxDQUFDLElBQUksMENBQUUsSUFBSSxDQUFBO3VCQUM5QyxLQUFLLENBQUMsT0FBTzt1QkFDYixDQUFDLENBQUEsTUFBQSxLQUFLLENBQUMsSUFBSSwwQ0FBRSxRQUFRLENBQUEsQ0FBQTthQUFBLENBQUMsQ0FBQztZQUUxQyxJQUFBLGVBQVEsRUFBQyx3QkFBd0IsRUFBRSxZQUFZLENBQUMsQ0FBQztZQUdqRCxLQUFLLE1BQU0sS0FBSyxJQUFJLFlBQVksRUFBRTtnQkFFaEMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDO29CQUNwQixDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsaUJBQWlCLEVBQUU7b0JBQzVCLFNBQVMsRUFBRTt3QkFDVCxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsRUFBRTt3QkFDcEUsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLEVBQUU7d0JBQzdELEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFO3dCQUNsRSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRTt3QkFDbEUsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLEVBQUU7cUJBQ25FO2lCQUNGLENBQUMsQ0FBQzthQUNKO1lBR0QsTUFBTSxjQUFjLEdBQUcsWUFBWTtpQkFFaEMsR0FBRyxDQUFDLENBQUMsS0FBSyxFQUFZLEVBQUUsQ0FBQyxDQUFDO2dCQUN6QixDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFO2dCQUNuQixTQUFTLEVBQUU7b0JBQ1QsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEVBQUU7aUJBQ25FO2FBQ0YsQ0FBQyxDQUFDLENBQUM7WUFFTixRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksR0FBRyxnQkFBZ0IsQ0FBQztZQUM3QyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksR0FBRyxjQUFjLENBQUM7WUFFekMsS0FBSyxNQUFNLFFBQVEsSUFBSSxTQUFTLEVBQUU7Z0JBQ2hDLE1BQU0sZ0JBQWdCLENBQUMsR0FBRyxFQUFFLFdBQVcsRUFBRSxRQUFRLENBQUMsQ0FBQzthQUNwRDtZQUVELEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztnQkFDbkIsSUFBSSxFQUFFLFNBQVM7Z0JBQ2YsRUFBRSxFQUFFLHdCQUF3QjtnQkFDNUIsS0FBSyxFQUFFLHFCQUFxQjtnQkFDNUIsT0FBTyxFQUFFLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO2dCQUM3QixTQUFTLEVBQUUsSUFBSTthQUNoQixDQUFDLENBQUM7U0FFSjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osR0FBRyxDQUFDLHFCQUFxQixDQUFDLDRCQUE0QixFQUFFLEdBQUcsRUFBRTtnQkFDM0QsV0FBVyxFQUFFLEtBQUs7Z0JBQ2xCLE9BQU8sRUFBRSxnRUFBZ0U7YUFDMUUsQ0FBQyxDQUFDO1NBQ0o7O0NBRUY7QUFFRCxTQUFzQixZQUFZLENBQUMsR0FBd0I7O1FBRXpELElBQUksWUFBbUIsQ0FBQztRQUt4QixJQUFHLEdBQUcsQ0FBQyxRQUFRLEtBQUssU0FBUyxFQUFFO1lBRTdCLE1BQU0sT0FBTyxHQUFpQjtnQkFDNUIsS0FBSyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsNENBQTRDLENBQUM7Z0JBQ2xFLE9BQU8sRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLFVBQVUsRUFBRSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7YUFDM0QsQ0FBQztZQUVGLFlBQVksR0FBRyxNQUFNLEdBQUcsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7U0FFNUM7YUFBTTtZQUVMLE1BQU0sT0FBTyxHQUFpQjtnQkFDNUIsS0FBSyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsNENBQTRDLENBQUM7Z0JBQ2xFLE9BQU8sRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLFVBQVUsRUFBRSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7Z0JBQzFELE1BQU0sRUFBRSxJQUFJO2FBQ2IsQ0FBQztZQUVGLFlBQVksR0FBRyxNQUFNLEdBQUcsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDOUM7UUFFRCxJQUFBLGVBQVEsRUFBQyxnQkFBZ0IsWUFBWSxFQUFFLENBQUMsQ0FBQztRQUd6QyxJQUFHLFlBQVksS0FBSyxTQUFTO1lBQzNCLE9BQU87UUFFVCxRQUFRLENBQUMsR0FBRyxFQUFFLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUNoQyxDQUFDO0NBQUE7QUFsQ0Qsb0NBa0NDO0FBRUQsU0FBc0IsWUFBWSxDQUFDLEdBQXdCOztRQUV6RCxNQUFNLGFBQWEsR0FBRyxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUU3QyxJQUFBLGVBQVEsRUFBQyxjQUFjLEVBQUUsYUFBYSxDQUFDLENBQUM7UUFFeEMsTUFBTSxRQUFRLENBQUMsR0FBRyxFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBQ3JDLENBQUM7Q0FBQTtBQVBELG9DQU9DO0FBSUQsU0FBZ0IsaUJBQWlCLENBQUMsR0FBd0I7O0lBQ3hELE1BQU0sVUFBVSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsSUFBQSxtQkFBWSxHQUFFLEVBQUUsUUFBUSxFQUFFLGlCQUFpQixDQUFDLENBQUM7SUFDMUUsSUFBSSxDQUFDLENBQUMsTUFBQSxNQUFBLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLDBDQUFFLGtCQUFrQixtQ0FBSSxLQUFLLENBQUMsRUFBRTtRQUMzRSxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUM7S0FDckI7SUFDRCxNQUFNLFlBQVksR0FBRyxJQUFBLHdCQUFpQixHQUFFO1NBQ3JDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsSUFBQSxtQkFBWSxHQUFFLEVBQUUsSUFBSSxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQztJQUNuRSxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxVQUFVLEVBQUUsR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDNUQsQ0FBQztBQVJELDhDQVFDO0FBYUQsU0FBUyxvQkFBb0IsQ0FBQyxXQUF5Qjs7SUFDckQsTUFBTSxNQUFNLEdBQUcsSUFBQSxlQUFRLEVBQUMsTUFBQSxXQUFXLGFBQVgsV0FBVyx1QkFBWCxXQUFXLENBQUUsSUFBSSwwQ0FBRSxNQUFNLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQztJQUNyRSxNQUFNLElBQUksR0FBRyxJQUFBLGVBQVEsRUFBQyxNQUFNLGFBQU4sTUFBTSx1QkFBTixNQUFNLENBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQzVDLE1BQU0sUUFBUSxHQUFlLE1BQUEsTUFBQSxNQUFBLE1BQUEsSUFBQSxlQUFRLEVBQUMsTUFBQSxNQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxRQUFRLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLDBDQUFFLFFBQVEsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLElBQUksbUNBQUksRUFBRSxDQUFDO0lBQ3BHLE1BQU0sVUFBVSxHQUFlLE1BQUEsTUFBQSxNQUFBLE1BQUEsSUFBQSxlQUFRLEVBQUMsTUFBQSxNQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxRQUFRLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxJQUFJLEVBQUUsVUFBVSxDQUFDLDBDQUFFLFFBQVEsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLElBQUksbUNBQUksRUFBRSxDQUFDO0lBQzFHLE1BQU0sS0FBSyxHQUErQixRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksRUFBRSxFQUFFO1FBQ3hFLEtBQUssQ0FBQyxZQUFZLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztRQUMvRCxPQUFPLEtBQUssQ0FBQztJQUNmLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUdQLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztTQUM1RCxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1NBQ3ZDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsQ0FBQztJQUN0QyxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7U0FDOUIsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLFdBQUMsT0FBQSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFBLEtBQUssQ0FBQyxJQUFJLENBQUMsbUNBQUksSUFBSSxFQUFFLENBQUMsQ0FBQSxFQUFBLENBQUM7U0FHbEQsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMscUJBQVksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7QUFDekQsQ0FBQztBQUVELFNBQVMscUJBQXFCLENBQUMsU0FBMEI7SUFDdkQsT0FBTyxTQUFTO1NBQ2IsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLGVBQUMsT0FBQSxDQUFDLENBQUMsQ0FBQSxNQUFBLEtBQUssQ0FBQyxJQUFJLDBDQUFFLElBQUksQ0FBQSxJQUFJLEtBQUssQ0FBQyxPQUFPLElBQUksQ0FBQyxDQUFBLE1BQUEsS0FBSyxDQUFDLElBQUksMENBQUUsUUFBUSxDQUFBLENBQUEsRUFBQSxDQUFDO1NBQzdFLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxXQUFDLE9BQUEsQ0FBQyxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsTUFBQSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksbUNBQUksS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUEsRUFBQSxDQUFDLENBQUM7QUFDcEYsQ0FBQztBQUlELFNBQVMsYUFBYSxDQUFDLEdBQWtCLEVBQUUsR0FBa0I7SUFDM0QsTUFBTSxPQUFPLEdBQWUsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLE1BQU0sRUFBRSxHQUFHLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxFQUMvRCxHQUFHLEVBQUUsQ0FBQyxJQUFJLEtBQUssQ0FBQyxHQUFHLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzNDLEtBQUssSUFBSSxDQUFDLEdBQUcsR0FBRyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsRUFBRTtRQUN4QyxLQUFLLElBQUksQ0FBQyxHQUFHLEdBQUcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLEVBQUU7WUFDeEMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO2dCQUMzQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQztnQkFDM0IsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDcEQ7S0FDRjtJQUNELE1BQU0sSUFBSSxHQUFHLElBQUksR0FBRyxFQUFVLENBQUM7SUFDL0IsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsT0FBTyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1FBQzNDLElBQUksR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFO1lBQy9CLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3RCLEVBQUUsQ0FBQyxDQUFDO1lBQ0osRUFBRSxDQUFDLENBQUM7U0FDTDthQUFNLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFO1lBQ2pELEVBQUUsQ0FBQyxDQUFDO1NBQ0w7YUFBTTtZQUNMLEVBQUUsQ0FBQyxDQUFDO1NBQ0w7S0FDRjtJQUNELE9BQU8sR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztBQUNoRCxDQUFDO0FBRUQsU0FBZ0IsWUFBWSxDQUFDLFFBQXVCLEVBQUUsTUFBcUI7SUFDekUsTUFBTSxXQUFXLEdBQUcsSUFBSSxHQUFHLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQzNELE1BQU0sU0FBUyxHQUFHLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUN2RCxPQUFPO1FBQ0wsS0FBSyxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3ZELE9BQU8sRUFBRSxRQUFRLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN6RCxTQUFTLEVBQUUsYUFBYSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUMvQyxNQUFNLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztLQUMxRSxDQUFDO0FBQ0osQ0FBQztBQVRELG9DQVNDO0FBRUQsU0FBUyxVQUFVLENBQUMsR0FBd0IsRUFBRSxJQUFtQjtJQUMvRCxNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO0lBQ3hCLE1BQU0sT0FBTyxHQUFHLENBQUMsS0FBYSxFQUFFLElBQW1CLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDdkUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssQ0FBQyxhQUFhLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsU0FBUztRQUNoRixDQUFDLENBQUMsRUFBRSxDQUFDO0lBQ1AsT0FBTztRQUNMLE9BQU8sQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQztRQUM1QixPQUFPLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxPQUFPLENBQUM7UUFDaEMsT0FBTyxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDO0tBQ2pDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0FBQ2IsQ0FBQztBQU1ELFNBQXNCLHVCQUF1QixDQUFDLEdBQXdCOzs7UUFDcEUsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLElBQUksQ0FBQyxDQUFDLE1BQUEsTUFBQSxLQUFLLENBQUMsUUFBUSxDQUFDLGNBQWMsQ0FBQywwQ0FBRSxtQkFBbUIsbUNBQUksS0FBSyxDQUFDLEVBQUU7WUFDbkUsT0FBTztTQUNSO1FBQ0QsTUFBTSxTQUFTLEdBQUcsTUFBQSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsMENBQUUsRUFBRSxDQUFDO1FBQ3JELE1BQU0sU0FBUyxHQUFvQixpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ25HLE1BQU0sUUFBUSxHQUFHLHFCQUFxQixDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBRWxELEtBQUssTUFBTSxZQUFZLElBQUksaUJBQWlCLENBQUMsR0FBRyxDQUFDLEVBQUU7WUFDakQsSUFBSSxXQUF5QixDQUFDO1lBQzlCLElBQUk7Z0JBQ0YsV0FBVyxHQUFHLE1BQU0sV0FBVyxDQUFDLFlBQVksQ0FBQyxDQUFDO2FBQy9DO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBSSxHQUFHLENBQUMsSUFBSSxLQUFLLFFBQVEsRUFBRTtvQkFDekIsSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSw2QkFBNkIsRUFBRSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7aUJBQ2xGO2dCQUNELFNBQVM7YUFDVjtZQUNELE1BQU0sSUFBSSxHQUFHLFlBQVksQ0FBQyxRQUFRLEVBQUUsb0JBQW9CLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQztZQUN2RSxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUU7Z0JBQzNFLFNBQVM7YUFDVjtZQUVELE1BQU0sTUFBTSxHQUFHLE1BQU0sR0FBRyxDQUFDLFVBQVUsQ0FBQyxVQUFVLEVBQUUsb0JBQW9CLEVBQUU7Z0JBQ3BFLE1BQU0sRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLHNFQUFzRTtzQkFDeEYsbUVBQW1FLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxZQUFZLEVBQUUsRUFBRSxDQUFDO3NCQUNuRyxVQUFVLENBQUMsR0FBRyxFQUFFLElBQUksQ0FBQztzQkFDckIsR0FBRyxDQUFDLFNBQVMsQ0FBQyxvRUFBb0U7MEJBQ2xGLDBEQUEwRCxDQUFDO2FBQ2hFLEVBQUU7Z0JBQ0QsRUFBRSxLQUFLLEVBQUUsZ0JBQWdCLEVBQUU7Z0JBQzNCLEVBQUUsS0FBSyxFQUFFLHVCQUF1QixFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUU7YUFDbEQsQ0FBQyxDQUFDO1lBQ0gsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLGdCQUFnQixFQUFFO2dCQUN0QyxNQUFNLGNBQWMsQ0FBQyxHQUFHLEVBQUUsWUFBWSxDQUFDLENBQUM7Z0JBRXhDLE1BQU0sWUFBWSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQ3pCO2lCQUFNLElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyx1QkFBdUIsRUFBRTtnQkFDcEQsTUFBTSxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDekI7WUFFRCxPQUFPO1NBQ1I7O0NBQ0Y7QUE1Q0QsMERBNENDO0FBRUQsU0FBc0IsV0FBVyxDQUFDLEdBQXdCOzs7UUFFeEQsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sU0FBUyxHQUFHLE1BQUEsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLDBDQUFFLEVBQUUsQ0FBQztRQUdyRCxNQUFNLFNBQVMsR0FBbUIsaUJBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUUzRyxJQUFBLGVBQVEsRUFBQyxhQUFhLEVBQUUsU0FBUyxDQUFDLENBQUM7O0NBQ3BDO0FBVEQsa0NBU0M7QUFJRCxTQUFlLGVBQWUsQ0FBQyxHQUF3Qjs7UUFFckQsTUFBTSxZQUFZLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxJQUFBLG1CQUFZLEdBQUUsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztRQUM1RSxNQUFNLEdBQUcsR0FBRyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsWUFBWSxDQUFDLENBQUM7UUFDakQsSUFBQSxlQUFRLEVBQUMsaUJBQWlCLEVBQUUsR0FBRyxDQUFDLENBQUM7UUFDakMsT0FBTyxJQUFBLDJCQUFrQixFQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2pDLENBQUM7Q0FBQTtBQUVELFNBQWUsV0FBVyxDQUFDLE9BQWU7O1FBR3hDLE1BQU0sR0FBRyxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUM1QyxJQUFBLGVBQVEsRUFBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLENBQUM7UUFDekIsT0FBTyxJQUFBLDJCQUFrQixFQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2pDLENBQUM7Q0FBQTtBQUVELFNBQWUsZ0JBQWdCLENBQUMsR0FBd0IsRUFBRSxJQUFrQixFQUFFLFFBQWdCOztRQUM1RixNQUFNLE9BQU8sR0FBRyxJQUFJLGdCQUFPLEVBQUUsQ0FBQztRQUM5QixNQUFNLEdBQUcsR0FBRyxPQUFPLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3RDLElBQUk7WUFDRixNQUFNLGVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDeEQsTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQztTQUN4QztRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osR0FBRyxDQUFDLHFCQUFxQixDQUFDLDhCQUE4QixFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQy9ELE9BQU87U0FDUjtJQUNILENBQUM7Q0FBQTtBQUVELFNBQVMsWUFBWSxDQUFDLFVBQTBCO0lBQzlDLE9BQU8scUJBQVksQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEtBQUssU0FBUyxDQUFDO0FBQ3JELENBQUM7QUFFRCxTQUFTLGNBQWMsQ0FBQyxVQUEwQjs7SUFDaEQsT0FBTyxNQUFBLE1BQUEsVUFBVSxDQUFDLElBQUksbUNBQUksVUFBVSxDQUFDLE1BQU0sbUNBQUksVUFBVSxDQUFDLElBQUksQ0FBQztBQUNqRSxDQUFDO0FBUUQsU0FBUyxvQkFBb0IsQ0FBQyxTQUEwQjtJQUV0RCxNQUFNLE9BQU8sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3pELE1BQU0sU0FBUyxHQUErQixPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTs7UUFDakYsSUFBSSxDQUFBLE1BQUEsS0FBSyxDQUFDLElBQUksMENBQUUsSUFBSSxNQUFLLFNBQVMsRUFBRTtZQUNsQyxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQUM7U0FDOUI7UUFDRCxPQUFPLEtBQUssQ0FBQztJQUNmLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUVQLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTs7UUFDaEMsTUFBTSxZQUFZLEdBQXFCLENBQUMsTUFBQSxNQUFBLEtBQUssQ0FBQyxJQUFJLDBDQUFFLFlBQVksbUNBQUksRUFBRSxDQUFDO2FBQ3BFLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDckMsT0FBTztZQUNMLEtBQUs7WUFDTCxPQUFPLEVBQUUsWUFBWSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssU0FBUyxDQUFDO1lBQ3RFLFdBQVcsRUFBRSxZQUFZLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQUM7U0FDbkUsQ0FBQztJQUNKLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ3RGLENBQUM7QUFFRCxTQUFzQixRQUFRLENBQUMsSUFBcUIsRUFDckIsT0FBd0I7O1FBS3JELE1BQU0sT0FBTyxHQUFHLG9CQUFvQixDQUFDLE9BQU8sQ0FBQzthQUMxQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7YUFDL0MsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUNkLEVBQUUsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDbkIsTUFBTSxFQUFFLHlCQUF5QixNQUFNLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUU7U0FDckYsQ0FBQyxDQUFDLENBQUM7UUFFTixPQUFPLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO0lBQ3hELENBQUM7Q0FBQTtBQWRELDRCQWNDO0FBRUQsU0FBZ0IseUJBQXlCLENBQUMsR0FBd0IsRUFBRSxTQUEwQjtJQUM1RixNQUFNLE9BQU8sR0FBRyxvQkFBb0IsQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztJQUM1RixJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1FBQ3hCLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxtQ0FBMEIsQ0FBQyxDQUFDO1FBQ3BELE9BQU87S0FDUjtJQUNELEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztRQUNuQixFQUFFLEVBQUUsbUNBQTBCO1FBQzlCLElBQUksRUFBRSxTQUFTO1FBQ2YsT0FBTyxFQUFFLG9DQUFvQztRQUM3QyxPQUFPLEVBQUU7WUFDUDtnQkFDRSxLQUFLLEVBQUUsTUFBTTtnQkFDYixNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxNQUFNLEVBQUUsc0JBQXNCLEVBQUU7b0JBQzNELE1BQU0sRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLHNFQUFzRTswQkFDeEYsMEVBQTBFLENBQUM7MEJBQzNFLFFBQVEsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxNQUFNLENBQUMsS0FBSyxDQUFDLElBQUksSUFBSTswQkFDMUQsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFNBQVM7aUJBQzFFLEVBQUU7b0JBQ0QsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFO2lCQUNuQixDQUFDO2FBQ0g7U0FDRjtLQUNGLENBQUMsQ0FBQztBQUNMLENBQUM7QUF4QkQsOERBd0JDO0FBS0QsU0FBZ0Isa0JBQWtCLENBQUMsU0FBMEI7SUFDM0QsTUFBTSxRQUFRLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQzFELE1BQU0sS0FBSyxHQUFHLElBQUksR0FBRyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsV0FBQyxPQUFBLE1BQUEsS0FBSyxDQUFDLElBQUksMENBQUUsSUFBSSxDQUFBLEVBQUEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ2xHLE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBNEIsRUFBWSxFQUFFOztRQUFDLE9BQUEsQ0FBQyxNQUFBLE1BQUEsS0FBSyxDQUFDLElBQUksMENBQUUsWUFBWSxtQ0FBSSxFQUFFLENBQUM7YUFDM0YsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQzthQUNwQixNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsV0FBQyxPQUFBLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLE1BQUssTUFBQSxLQUFLLENBQUMsSUFBSSwwQ0FBRSxJQUFJLENBQUEsQ0FBQyxDQUFBLEVBQUEsQ0FBQyxDQUFBO0tBQUEsQ0FBQztJQUVsRSxNQUFNLE1BQU0sR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFOztRQUM5QyxJQUFJLENBQUEsTUFBQSxLQUFLLENBQUMsSUFBSSwwQ0FBRSxJQUFJLE1BQUssU0FBUyxFQUFFO1lBQ2xDLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEtBQUssQ0FBQztTQUNoQztRQUNELE9BQU8sS0FBSyxDQUFDO0lBQ2YsQ0FBQyxFQUFFLEVBQStDLENBQUMsQ0FBQztJQUlwRCxNQUFNLE1BQU0sR0FBNEIsRUFBRSxDQUFDO0lBQzNDLE1BQU0sTUFBTSxHQUFHLElBQUksR0FBRyxFQUF5QixDQUFDO0lBQ2hELE1BQU0sUUFBUSxHQUE0QixFQUFFLENBQUM7SUFDN0MsTUFBTSxLQUFLLEdBQUcsQ0FBQyxLQUE0QixFQUFFLEVBQUU7UUFDN0MsSUFBSSxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ3JCLE9BQU87U0FDUjtRQUNELElBQUksUUFBUSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUM1QixNQUFNLEtBQUssR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3hGLE1BQU0sSUFBSSxpQkFBSSxDQUFDLFdBQVcsQ0FBQyx3Q0FBd0MsS0FBSyxFQUFFLENBQUMsQ0FBQztTQUM3RTtRQUNELFFBQVEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDckIsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3RELFFBQVEsQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUNmLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbEIsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNyQixDQUFDLENBQUM7SUFDRixRQUFRLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBRXhCLE9BQU8sU0FBUyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7QUFDdkUsQ0FBQztBQXBDRCxnREFvQ0M7QUFFRCxTQUFzQiwyQkFBMkIsQ0FBQyxHQUF3Qjs7O1FBQ3hFLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUM7UUFDckQsTUFBTSxTQUFTLEdBQW9CLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxXQUFXLEVBQUUsU0FBUyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDbkcsSUFBSTtZQUNGLE1BQU0sS0FBSyxHQUFHLGtCQUFrQixDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQzVDLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsWUFBWSxDQUFDLFNBQVMsRUFBRSxLQUFZLENBQUMsQ0FBQyxDQUFDO1lBQ2xFLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztnQkFDbkIsSUFBSSxFQUFFLFNBQVM7Z0JBQ2YsRUFBRSxFQUFFLHNCQUFzQjtnQkFDMUIsT0FBTyxFQUFFLG1DQUFtQztnQkFDNUMsU0FBUyxFQUFFLElBQUk7YUFDaEIsQ0FBQyxDQUFDO1NBQ0o7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQywyQkFBMkIsRUFBRSxHQUFHLEVBQUU7Z0JBQzFELFdBQVcsRUFBRSxDQUFDLENBQUMsR0FBRyxZQUFZLGlCQUFJLENBQUMsV0FBVyxDQUFDO2FBQ2hELENBQUMsQ0FBQztTQUNKOztDQUNGO0FBbEJELGtFQWtCQztBQUVELFNBQWUsUUFBUSxDQUFDLEdBQXdCOztRQUM5QyxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFHN0IsTUFBTSxJQUFJLEdBQUcsTUFBTSxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7UUFJcEMsSUFBSSxRQUFRLENBQUM7UUFDYixJQUFJO1lBQ0YsUUFBUSxHQUFHLE1BQU0saUJBQUksQ0FBQyxXQUFXLENBQUMsR0FBRyxFQUFFLEVBQUUsRUFBRSxnQkFBTyxDQUFDLENBQUM7U0FDckQ7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLE1BQU0sV0FBVyxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ2xELEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyxvQ0FBb0MsRUFBRSxHQUFHLEVBQUUsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO1lBQ3RGLE9BQU8sRUFBRSxDQUFDO1NBQ1g7UUFDRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsSUFBSSxFQUFFLFVBQVU7WUFDaEIsRUFBRSxFQUFFLDJCQUEyQjtZQUMvQixPQUFPLEVBQUUsK0NBQStDO1NBQ3pELENBQUMsQ0FBQTtRQUNGLE1BQU0sS0FBSyxHQUFpQixlQUFZLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzFELE1BQU0sR0FBRyxHQUFHLE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQU8sUUFBUSxFQUFFLEdBQUcsRUFBRSxFQUFFO1lBQzdELE9BQU8saUJBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxhQUFhLEVBQUUsUUFBUSxFQUFFLEdBQUcsRUFBRTtnQkFDekQsTUFBTSxJQUFJLEdBQUcsR0FBUyxFQUFFOztvQkFDdEIsSUFBSTt3QkFDRixNQUFNLGFBQWEsR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLEtBQUssUUFBUSxDQUFDLENBQUM7d0JBQy9FLE1BQU0sR0FBRyxHQUFHLENBQUMsYUFBYSxLQUFLLFNBQVMsQ0FBQzs0QkFDdkMsQ0FBQyxDQUFDLE1BQUEsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQywwQ0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDOzRCQUN4RCxDQUFDLENBQUMsU0FBUyxDQUFDO3dCQUVkLE1BQU0sT0FBTyxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsSUFBQSxlQUFRLEdBQUUsRUFBRSxRQUFRLENBQUMsQ0FBQzt3QkFDaEQsT0FBTyxLQUFLLENBQUMsYUFBYSxDQUFDLEdBQUcsRUFBRSxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUM7cUJBQy9DO29CQUFDLE9BQU8sR0FBRyxFQUFFO3dCQUNaLElBQUksR0FBRyxZQUFZLGlDQUFpQixFQUFFOzRCQUNwQyxNQUFNLE9BQU8sR0FBRywyREFBMkQ7a0NBQ3ZFLHNFQUFzRTtrQ0FDdEUsdUVBQXVFO2tDQUN2RSxpRUFBaUUsQ0FBQzs0QkFDdEUsR0FBRyxDQUFDLHFCQUFxQixDQUFDLDhCQUE4QixFQUFFLE9BQU8sRUFDL0QsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQzs0QkFDMUIsT0FBTyxTQUFTLENBQUM7eUJBQ2xCO3dCQUdELElBQUksR0FBRyxDQUFDLElBQUksS0FBSyxRQUFRLEVBQUU7NEJBQ3pCLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyx3SkFBd0osRUFBRSxHQUFHLEVBQUU7Z0NBQ3ZMLFdBQVcsRUFBRSxLQUFLO2dDQUNsQixPQUFPLEVBQUUsUUFBUTs2QkFDbEIsQ0FBQyxDQUFDO3lCQUNKO3dCQUNELE9BQU8sU0FBUyxDQUFDO3FCQUNsQjtnQkFDSCxDQUFDLENBQUEsQ0FBQztnQkFDRixPQUFPLGtCQUFRLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7WUFDbEMsQ0FBQyxDQUFDLENBQUM7UUFDTCxDQUFDLENBQUEsQ0FBQyxDQUFDLENBQUM7UUFDSixHQUFHLENBQUMsbUJBQW1CLENBQUMsMkJBQTJCLENBQUMsQ0FBQztRQUVyRCxPQUFPLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUM7SUFDaEQsQ0FBQztDQUFBO0FBRUQsU0FBZSxXQUFXLENBQUMsR0FBd0I7O1FBQ2pELElBQUksSUFBYyxDQUFDO1FBQ25CLElBQUk7WUFDRixJQUFJLEdBQUcsQ0FBQyxNQUFNLGVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBQSxlQUFRLEdBQUUsQ0FBQyxDQUFDO2lCQUN2QyxNQUFNLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLE1BQU0sQ0FBQyxDQUFDO1NBQ3hFO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixJQUFJLEdBQUcsQ0FBQyxJQUFJLEtBQUssUUFBUSxFQUFFO2dCQUN6QixJQUFJO29CQUNGLE1BQU0sZUFBRSxDQUFDLHNCQUFzQixDQUFDLElBQUEsZUFBUSxHQUFFLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7aUJBQ3RFO2dCQUFDLE9BQU8sR0FBRyxFQUFFO2lCQUViO2FBQ0Y7aUJBQU07Z0JBQ0wsR0FBRyxDQUFDLHFCQUFxQixDQUFDLCtCQUErQixFQUFFLEdBQUcsRUFBRTtvQkFDOUQsRUFBRSxFQUFFLHNCQUFzQjtvQkFDMUIsT0FBTyxFQUFFLElBQUEsZUFBUSxHQUFFO2lCQUNwQixDQUFDLENBQUM7YUFDSjtZQUNELElBQUksR0FBRyxFQUFFLENBQUM7U0FDWDtRQUVELE9BQU8sSUFBSSxDQUFDO0lBQ2QsQ0FBQztDQUFBO0FBRUQsU0FBZ0IsUUFBUSxDQUFDLE9BQWdDLEVBQUUsU0FBa0I7SUFDM0UsTUFBTSxHQUFHLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQztJQUN4QixNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDN0IsTUFBTSxPQUFPLEdBQW1CLENBQUMsU0FBUyxLQUFLLFNBQVMsQ0FBQztRQUN2RCxDQUFDLENBQUMsc0JBQVMsQ0FBQyxXQUFXLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQztRQUN6QyxDQUFDLENBQUMsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7SUFFbkMsSUFBSSxDQUFBLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxNQUFNLE1BQUssZ0JBQU8sRUFBRTtRQUMvQixPQUFPLFNBQVMsQ0FBQztLQUNsQjtJQUVELE1BQU0sU0FBUyxHQUEyQixpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQzFELENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBQzlELElBQUksQ0FBQSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUUsSUFBSSxNQUFLLFNBQVMsRUFBRTtRQUNqQyxPQUFPLFNBQVMsQ0FBQztLQUNsQjtJQUVELE1BQU0sSUFBSSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQ3RFLE9BQU8sRUFBRSxHQUFHLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLENBQUM7QUFDbEQsQ0FBQztBQW5CRCw0QkFtQkM7QUFFRCxTQUFzQixZQUFZLENBQUMsT0FBZ0MsRUFDaEMsU0FBa0IsRUFDbEIsS0FBYzs7UUFDL0MsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1lBQ3ZCLEtBQUssR0FBRyxRQUFRLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1NBQ3RDO1FBRUQsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1lBQ3ZCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsZUFBZSxDQUFDLCtCQUErQixDQUFDLENBQUMsQ0FBQztTQUNsRjtRQUVELE1BQU0sVUFBVSxHQUFHLGlCQUFpQixDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDdkQsSUFBSTtZQUNGLElBQUk7Z0JBQ0YsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxDQUFDO2FBQ2hDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7YUFDL0U7U0FDRjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQzVCO1FBR0QsT0FBTyxVQUFVLENBQUM7SUFDcEIsQ0FBQztDQUFBO0FBeEJELG9DQXdCQztBQUVELFNBQWdCLGlCQUFpQixDQUFDLFNBQWlCO0lBQ2pELE9BQU8sY0FBSSxDQUFDLElBQUksQ0FBQyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxVQUFVLENBQUMsRUFBRSxnQkFBTyxFQUFFLFNBQVMsR0FBRyxHQUFHLEdBQUcscUJBQVksQ0FBQyxDQUFDO0FBQzVGLENBQUM7QUFGRCw4Q0FFQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgeyBhY3Rpb25zLCBmcywgbG9nLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5pbXBvcnQgcGF0aCBmcm9tICdwYXRoJztcbmltcG9ydCBCbHVlYmlyZCBmcm9tICdibHVlYmlyZCc7XG5cbmltcG9ydCB7IEdBTUVfSUQsIEdBTUVfTU9EVUxFUywgTE9fRklMRV9OQU1FLCBOT1RJRl9JTVBPUlRfQUNUSVZJVFksXG4gICAgICAgICBOT1RJRl9NSVNTSU5HX0RFUEVOREVOQ0lFUyB9IGZyb20gJy4vY29tbW9uJztcbmltcG9ydCB7IGFwcGx5QkczTU1PcmRlciwgcGFyc2VCRzNNTU9yZGVyLCB0b0JHM01NT3JkZXIgfSBmcm9tICcuL2JnM21tJztcbmltcG9ydCB7IEJHM1BhaywgSUJHM01NRW50cnksIElNb2ROb2RlLCBJTW9kU2V0dGluZ3MsIElQYWtEZXBlbmRlbmN5LCBJUHJvcHMgfSBmcm9tICcuL3R5cGVzJztcbmltcG9ydCB7IEJ1aWxkZXIsIHBhcnNlU3RyaW5nUHJvbWlzZSB9IGZyb20gJ3htbDJqcyc7XG5pbXBvcnQgeyBMb2NrZWRTdGF0ZSB9IGZyb20gJ3ZvcnRleC1hcGkvbGliL2V4dGVuc2lvbnMvZmlsZV9iYXNlZF9sb2Fkb3JkZXIvdHlwZXMvdHlwZXMnO1xuaW1wb3J0IHsgSU9wZW5PcHRpb25zLCBJU2F2ZU9wdGlvbnMgfSBmcm9tICd2b3J0ZXgtYXBpL2xpYi90eXBlcy9JRXh0ZW5zaW9uQ29udGV4dCc7XG5cbmltcG9ydCB7IERpdmluZUV4ZWNNaXNzaW5nIH0gZnJvbSAnLi9kaXZpbmVXcmFwcGVyJztcbmltcG9ydCB7IGZpbmROb2RlLCBmb3JjZVJlZnJlc2gsIGdldFBsYXllclByb2ZpbGVzLCBsb2dEZWJ1ZywgbW9kc1BhdGgsIHByb2ZpbGVzUGF0aCB9IGZyb20gJy4vdXRpbCc7XG5cbmltcG9ydCBQYWtJbmZvQ2FjaGUsIHsgSUNhY2hlRW50cnkgfSBmcm9tICcuL2NhY2hlJztcbmltcG9ydCB7IHNldFBha0NvbmZsaWN0cyB9IGZyb20gJy4vYWN0aW9ucyc7XG5pbXBvcnQgeyBmaW5kUGFrQ29uZmxpY3RzIH0gZnJvbSAnLi9wYWtDb25mbGljdHMnO1xuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gc2VyaWFsaXplKGNvbnRleHQ6IHR5cGVzLklFeHRlbnNpb25Db250ZXh0LFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBsb2FkT3JkZXI6IHR5cGVzLkxvYWRPcmRlcixcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgcHJvZmlsZUlkPzogc3RyaW5nKTogUHJvbWlzZTx2b2lkPiB7XG4gIGNvbnN0IHByb3BzOiBJUHJvcHMgPSBnZW5Qcm9wcyhjb250ZXh0KTtcbiAgaWYgKHByb3BzID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IHV0aWwuUHJvY2Vzc0NhbmNlbGVkKCdpbnZhbGlkIHByb3BzJykpO1xuICB9XG4gIFxuICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XG5cbiAgLy8gTWFrZSBzdXJlIHRoZSBMTyBmaWxlIGlzIGNyZWF0ZWQgYW5kIHJlYWR5IHRvIGJlIHdyaXR0ZW4gdG8uXG4gIGNvbnN0IGxvRmlsZVBhdGggPSBhd2FpdCBlbnN1cmVMT0ZpbGUoY29udGV4dCwgcHJvZmlsZUlkLCBwcm9wcyk7XG4gIC8vY29uc3QgZmlsdGVyZWRMTyA9IGxvYWRPcmRlci5maWx0ZXIobG8gPT4gKCFJTlZBTElEX0xPX01PRF9UWVBFUy5pbmNsdWRlcyhwcm9wcy5tb2RzPy5bbG8/Lm1vZElkXT8udHlwZSkpKTtcblxuICBsb2dEZWJ1Zygnc2VyaWFsaXplIGxvYWRPcmRlcj0nLCBsb2FkT3JkZXIpO1xuXG4gIC8vIFdyaXRlIHRoZSBwcmVmaXhlZCBMTyB0byBmaWxlLlxuICBhd2FpdCBmcy5yZW1vdmVBc3luYyhsb0ZpbGVQYXRoKS5jYXRjaCh7IGNvZGU6ICdFTk9FTlQnIH0sICgpID0+IFByb21pc2UucmVzb2x2ZSgpKTtcbiAgYXdhaXQgZnMud3JpdGVGaWxlQXN5bmMobG9GaWxlUGF0aCwgSlNPTi5zdHJpbmdpZnkobG9hZE9yZGVyKSwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xuICBub3RpZnlNaXNzaW5nRGVwZW5kZW5jaWVzKGNvbnRleHQuYXBpLCBsb2FkT3JkZXIpO1xuXG4gIC8vIGNoZWNrIHRoZSBzdGF0ZSBmb3IgaWYgd2UgYXJlIGtlZXBpbmcgdGhlIGdhbWUgb25lIGluIHN5bmNcbiAgLy8gaWYgd2UgYXJlIHdyaXRpbmcgdm9ydGV4J3MgbG9hZCBvcmRlciwgdGhlbiB3ZSB3aWxsIGFsc28gd3JpdGUgdGhlIGdhbWVzIG9uZVxuXG4gIGNvbnN0IGF1dG9FeHBvcnRUb0dhbWU6Ym9vbGVhbiA9IHN0YXRlLnNldHRpbmdzWydiYWxkdXJzZ2F0ZTMnXS5hdXRvRXhwb3J0TG9hZE9yZGVyID8/IGZhbHNlO1xuXG4gIGxvZ0RlYnVnKCdzZXJpYWxpemUgYXV0b0V4cG9ydFRvR2FtZT0nLCBhdXRvRXhwb3J0VG9HYW1lKTtcblxuICBpZihhdXRvRXhwb3J0VG9HYW1lKSBcbiAgICBhd2FpdCBleHBvcnRUb0dhbWUoY29udGV4dC5hcGkpO1xuXG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGRlc2VyaWFsaXplKGNvbnRleHQ6IHR5cGVzLklFeHRlbnNpb25Db250ZXh0KTogUHJvbWlzZTx0eXBlcy5Mb2FkT3JkZXI+IHtcbiAgXG4gIC8vIGdlblByb3BzIGlzIGEgc21hbGwgdXRpbGl0eSBmdW5jdGlvbiB3aGljaCByZXR1cm5zIG9mdGVuIHJlLXVzZWQgb2JqZWN0c1xuICAvLyAgc3VjaCBhcyB0aGUgY3VycmVudCBsaXN0IG9mIGluc3RhbGxlZCBNb2RzLCBWb3J0ZXgncyBhcHBsaWNhdGlvbiBzdGF0ZSxcbiAgLy8gIHRoZSBjdXJyZW50bHkgYWN0aXZlIHByb2ZpbGUsIGV0Yy5cbiAgY29uc3QgcHJvcHM6IElQcm9wcyA9IGdlblByb3BzKGNvbnRleHQpO1xuICBpZiAocHJvcHM/LnByb2ZpbGU/LmdhbWVJZCAhPT0gR0FNRV9JRCkge1xuICAgIC8vIFdoeSBhcmUgd2UgZGVzZXJpYWxpemluZyB3aGVuIHRoZSBwcm9maWxlIGlzIGludmFsaWQgb3IgYmVsb25ncyB0byBhbm90aGVyIGdhbWUgP1xuICAgIHJldHVybiBbXTtcbiAgfVxuICBcbiAgY29uc3QgcGFrcyA9IGF3YWl0IHJlYWRQQUtzKGNvbnRleHQuYXBpKTtcbiAgY29udGV4dC5hcGkuc3RvcmUuZGlzcGF0Y2goc2V0UGFrQ29uZmxpY3RzKGZpbmRQYWtDb25mbGljdHMocGFrcykpKTtcblxuICAvLyBjcmVhdGUgaWYgbmVjZXNzYXJ5LCBidXQgbG9hZCB0aGUgbG9hZCBvcmRlciBmcm9tIGZpbGUgICAgXG4gIGNvbnN0IGxvRmlsZVBhdGggPSBhd2FpdCBlbnN1cmVMT0ZpbGUoY29udGV4dCk7XG4gIGNvbnN0IGZpbGVEYXRhID0gYXdhaXQgZnMucmVhZEZpbGVBc3luYyhsb0ZpbGVQYXRoLCB7IGVuY29kaW5nOiAndXRmOCcgfSk7XG5cbiAgbGV0IGxvYWRPcmRlcjogdHlwZXMuSUxvYWRPcmRlckVudHJ5W10gPSBbXTtcblxuICB0cnkge1xuICAgIFxuICAgIHRyeSB7XG4gICAgICBsb2FkT3JkZXIgPSBKU09OLnBhcnNlKGZpbGVEYXRhKTtcbiAgICB9IGNhdGNoIChlcnIpIHtcblxuICAgICAgYXdhaXQgbmV3IFByb21pc2U8dm9pZD4oKHJlc29sdmUsIHJlamVjdCkgPT4ge1xuICAgICAgICBwcm9wcy5hcGkuc2hvd0RpYWxvZygnZXJyb3InLCAnQ29ycnVwdCBsb2FkIG9yZGVyIGZpbGUnLCB7XG4gICAgICAgICAgYmJjb2RlOiBwcm9wcy5hcGkudHJhbnNsYXRlKCdUaGUgbG9hZCBvcmRlciBmaWxlIGlzIGluIGEgY29ycnVwdCBzdGF0ZS4gWW91IGNhbiB0cnkgdG8gZml4IGl0IHlvdXJzZWxmICdcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICsgJ29yIFZvcnRleCBjYW4gcmVnZW5lcmF0ZSB0aGUgZmlsZSBmb3IgeW91LCBidXQgdGhhdCBtYXkgcmVzdWx0IGluIGxvc3Mgb2YgZGF0YSAnICtcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgJyhXaWxsIG9ubHkgYWZmZWN0IGxvYWQgb3JkZXIgaXRlbXMgeW91IGFkZGVkIG1hbnVhbGx5LCBpZiBhbnkpLicpXG4gICAgICAgIH0sIFtcbiAgICAgICAgICB7IGxhYmVsOiAnQ2FuY2VsJywgYWN0aW9uOiAoKSA9PiByZWplY3QoZXJyKSB9LFxuICAgICAgICAgIHsgbGFiZWw6ICdSZWdlbmVyYXRlIEZpbGUnLCBhY3Rpb246ICgpID0+IHtcbiAgICAgICAgICAgIGxvYWRPcmRlciA9IFtdO1xuICAgICAgICAgICAgICByZXR1cm4gcmVzb2x2ZSgpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH1cbiAgICAgICAgXSlcbiAgICAgIH0pXG4gICAgfVxuXG4gICAgXG4gICAgbG9nRGVidWcoJ2Rlc2VyaWFsaXplIGxvYWRPcmRlcj0nLCBsb2FkT3JkZXIpO1xuXG4gICAgLy8gZmlsdGVyIG91dCBhbnkgcGFrIGZpbGVzIHRoYXQgbm8gbG9uZ2VyIGV4aXN0IGFuZCByZWZyZXNoIHRoZSBwYWsgaW5mb1xuICAgIC8vICBvZiB0aGUgcmVtYWluaW5nIG9uZXMgaW4gY2FzZSB0aGUgcGFrIGdvdCB1cGRhdGVkIHNpbmNlLlxuICAgIGNvbnN0IGZpbHRlcmVkTG9hZE9yZGVyOnR5cGVzLkxvYWRPcmRlciA9IGxvYWRPcmRlci5yZWR1Y2UoKGFjYywgZW50cnkpID0+IHtcbiAgICAgIGNvbnN0IHBhayA9IHBha3MuZmluZChwYWsgPT4gcGFrLmZpbGVOYW1lID09PSBlbnRyeS5pZCk7XG4gICAgICBpZiAocGFrICE9PSB1bmRlZmluZWQpIHtcbiAgICAgICAgYWNjLnB1c2goeyAuLi5lbnRyeSwgZGF0YTogcGFrLmluZm8gfSk7XG4gICAgICB9XG4gICAgICByZXR1cm4gYWNjO1xuICAgIH0sIFtdKTtcblxuICAgIGxvZ0RlYnVnKCdkZXNlcmlhbGl6ZSBmaWx0ZXJlZExvYWRPcmRlcj0nLCBmaWx0ZXJlZExvYWRPcmRlcik7XG5cbiAgICAvLyBmaWx0ZXIgb3V0IHBhayBmaWxlcyB0aGF0IGRvbid0IGhhdmUgYSBjb3JyZXNwb25kaW5nIG1vZCAod2hpY2ggbWVhbnMgVm9ydGV4IGRpZG4ndCBpbnN0YWxsIGl0L2lzbid0IGF3YXJlIG9mIGl0KVxuICAgIC8vY29uc3QgcGFrc1dpdGhNb2RzOkJHM1Bha1tdID0gcGFrcy5maWx0ZXIocGFrID0+IHBhay5tb2QgIT09IHVuZGVmaW5lZCk7XG5cbiAgICAgIC8vIGdvIHRocm91Z2ggZWFjaCBwYWsgZmlsZSBpbiB0aGUgTW9kcyBmb2xkZXIuLi5cbiAgICBjb25zdCBwcm9jZXNzZWRQYWtzID0gcGFrcy5yZWR1Y2UoKGFjYywgY3VycikgPT4geyAgICAgIFxuXG4gICAgICAvLyBpZiBwYWsgZmlsZSBkb2Vzbid0IGhhdmUgYW4gYXNzb2NpYXRlZCBtb2QsIHRoZW4gd2UgZG9uJ3Qgd2FudCB0byBkZWFsIHdpdGggaXRcbiAgICAgIGlmKGN1cnIubW9kID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgYWNjLmludmFsaWQucHVzaChjdXJyKTsgXG4gICAgICAgIHJldHVybiBhY2M7XG4gICAgICB9XG4gICAgICBcbiAgICAgIGFjYy52YWxpZC5wdXNoKGN1cnIpO1xuICAgICAgcmV0dXJuIGFjYztcblxuICAgIH0sIHsgdmFsaWQ6IFtdLCBpbnZhbGlkOiBbXSB9KTtcblxuICAgIGxvZ0RlYnVnKCdkZXNlcmlhbGl6ZSBwcm9jZXNzZWRQYWtzPScsIHByb2Nlc3NlZFBha3MpO1xuXG4gICAgLy8gZ2V0IGFueSBwYWsgZmlsZXMgdGhhdCBhcmVuJ3QgaW4gdGhlIGZpbHRlcmVkTG9hZE9yZGVyXG4gICAgY29uc3QgYWRkZWRNb2RzOkJHM1Bha1tdID0gcHJvY2Vzc2VkUGFrcy52YWxpZC5maWx0ZXIocGFrID0+IGZpbHRlcmVkTG9hZE9yZGVyLmZpbmQoZW50cnkgPT4gZW50cnkuaWQgPT09IHBhay5maWxlTmFtZSkgPT09IHVuZGVmaW5lZCk7XG5cbiAgICBsb2dEZWJ1ZygnZGVzZXJpYWxpemUgYWRkZWRNb2RzPScsIGFkZGVkTW9kcyk7XG4gICAgXG4gICAgLy8gQ2hlY2sgaWYgdGhlIHVzZXIgYWRkZWQgYW55IG5ldyBtb2RzLlxuICAgIC8vY29uc3QgZGlmZiA9IGVuYWJsZWRNb2RJZHMuZmlsdGVyKGlkID0+ICghSU5WQUxJRF9MT19NT0RfVFlQRVMuaW5jbHVkZXMobW9kc1tpZF0/LnR5cGUpKVxuICAgIC8vICAmJiAoZmlsdGVyZWREYXRhLmZpbmQobG9FbnRyeSA9PiBsb0VudHJ5LmlkID09PSBpZCkgPT09IHVuZGVmaW5lZCkpO1xuXG4gICAgbG9nRGVidWcoJ2Rlc2VyaWFsaXplIHBha3M9JywgcGFrcyk7XG5cblxuICAgIC8vIEFkZCBhbnkgbmV3bHkgYWRkZWQgbW9kcyB0byB0aGUgYm90dG9tIG9mIHRoZSBsb2FkT3JkZXIuXG4gICAgYWRkZWRNb2RzLmZvckVhY2gocGFrID0+IHtcbiAgICAgIGZpbHRlcmVkTG9hZE9yZGVyLnB1c2goe1xuICAgICAgICBpZDogcGFrLmZpbGVOYW1lLFxuICAgICAgICBtb2RJZDogcGFrLm1vZC5pZCxcbiAgICAgICAgZW5hYmxlZDogdHJ1ZSwgIC8vIG5vdCB1c2luZyBsb2FkIG9yZGVyIGZvciBlbmFibGluZy9kaXNhYmxpbmcgICAgICBcbiAgICAgICAgbmFtZTogcGF0aC5iYXNlbmFtZShwYWsuZmlsZU5hbWUsICcucGFrJyksXG4gICAgICAgIGRhdGE6IHBhay5pbmZvLFxuICAgICAgICBsb2NrZWQ6IHBhay5pbmZvLmlzTGlzdGVkIGFzIExvY2tlZFN0YXRlICAgICAgICBcbiAgICAgIH0pICAgICAgXG4gICAgfSk7ICAgICAgIFxuXG4gICAgLy9sb2dEZWJ1ZygnZGVzZXJpYWxpemUgZmlsdGVyZWREYXRhPScsIGZpbHRlcmVkRGF0YSk7XG5cbiAgICAvLyBzb3J0ZWQgc28gdGhhdCBhbnkgbW9kcyB0aGF0IGFyZSBsb2NrZWQgYXBwZWFyIGF0IHRoZSB0b3BcbiAgICAvL2NvbnN0IHNvcnRlZEFuZEZpbHRlcmVkRGF0YSA9IFxuICAgIFxuICAgIC8vIHJldHVyblxuICAgIHJldHVybiBmaWx0ZXJlZExvYWRPcmRlci5zb3J0KChhLCBiKSA9PiAoK2IubG9ja2VkIC0gK2EubG9ja2VkKSk7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xuICB9XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBpbXBvcnRGcm9tQkczTU0oY29udGV4dDogdHlwZXMuSUV4dGVuc2lvbkNvbnRleHQpOiBQcm9taXNlPHZvaWQ+IHtcbiAgY29uc3QgYXBpID0gY29udGV4dC5hcGk7XG4gIGNvbnN0IG9wdGlvbnM6IElPcGVuT3B0aW9ucyA9IHtcbiAgICB0aXRsZTogYXBpLnRyYW5zbGF0ZSgnUGxlYXNlIGNob29zZSBhIEJHM01NIC5qc29uIGxvYWQgb3JkZXIgZmlsZSB0byBpbXBvcnQgZnJvbScpLFxuICAgIGZpbHRlcnM6IFt7IG5hbWU6ICdCRzNNTSBMb2FkIE9yZGVyJywgZXh0ZW5zaW9uczogWydqc29uJ10gfV1cbiAgfTtcblxuICBjb25zdCBzZWxlY3RlZFBhdGg6c3RyaW5nID0gYXdhaXQgYXBpLnNlbGVjdEZpbGUob3B0aW9ucyk7XG5cbiAgbG9nRGVidWcoJ2ltcG9ydEZyb21CRzNNTSBzZWxlY3RlZFBhdGg9Jywgc2VsZWN0ZWRQYXRoKTtcbiAgXG4gIC8vIGlmIG5vIHBhdGggc2VsZWN0ZWQsIHRoZW4gY2FuY2VsIHByb2JhYmx5IHByZXNzZWRcbiAgaWYoc2VsZWN0ZWRQYXRoID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm47XG4gIH1cblxuICB0cnkge1xuICAgIGNvbnN0IGRhdGEgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKHNlbGVjdGVkUGF0aCwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xuICAgIGNvbnN0IGxvYWRPcmRlcjogSUJHM01NRW50cnlbXSA9IHBhcnNlQkczTU1PcmRlcihkYXRhKTtcbiAgICBsb2dEZWJ1ZygnaW1wb3J0RnJvbUJHM01NIGxvYWRPcmRlcj0nLCBsb2FkT3JkZXIpO1xuXG4gICAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk/LmlkO1xuICAgIGNvbnN0IGN1cnJlbnRMb2FkT3JkZXIgPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdsb2FkT3JkZXInLCBwcm9maWxlSWRdLCBbXSk7XG4gICAgY29uc3QgbmV3TE8gPSBhcHBseUJHM01NT3JkZXIoY3VycmVudExvYWRPcmRlciwgbG9hZE9yZGVyKTtcbiAgICBhd2FpdCBzZXJpYWxpemUoY29udGV4dCwgbmV3TE8sIHByb2ZpbGVJZCk7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBpbXBvcnQgQkczTU0gbG9hZCBvcmRlciBmaWxlJywgZXJyLCB7IGFsbG93UmVwb3J0OiBmYWxzZSB9KTtcbiAgfSBmaW5hbGx5IHtcbiAgICBmb3JjZVJlZnJlc2goY29udGV4dC5hcGkpO1xuICB9XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBleHBvcnRUb0JHM01NKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8dm9pZD4ge1xuICBsZXQgc2VsZWN0ZWRQYXRoOiBzdHJpbmc7XG4gIGlmIChhcGkuc2F2ZUZpbGUgIT09IHVuZGVmaW5lZCkge1xuICAgIGNvbnN0IG9wdGlvbnM6IElTYXZlT3B0aW9ucyA9IHtcbiAgICAgIHRpdGxlOiBhcGkudHJhbnNsYXRlKCdQbGVhc2UgY2hvb3NlIGEgQkczTU0gLmpzb24gZmlsZSB0byBleHBvcnQgdG8nKSxcbiAgICAgIGZpbHRlcnM6IFt7IG5hbWU6ICdCRzNNTSBMb2FkIE9yZGVyJywgZXh0ZW5zaW9uczogWydqc29uJ10gfV0sXG4gICAgfTtcbiAgICBzZWxlY3RlZFBhdGggPSBhd2FpdCBhcGkuc2F2ZUZpbGUob3B0aW9ucyk7XG4gIH0gZWxzZSB7XG4gICAgY29uc3Qgb3B0aW9uczogSU9wZW5PcHRpb25zID0ge1xuICAgICAgdGl0bGU6IGFwaS50cmFuc2xhdGUoJ1BsZWFzZSBjaG9vc2UgYSBCRzNNTSAuanNvbiBmaWxlIHRvIGV4cG9ydCB0bycpLFxuICAgICAgZmlsdGVyczogW3sgbmFtZTogJ0JHM01NIExvYWQgT3JkZXInLCBleHRlbnNpb25zOiBbJ2pzb24nXSB9XSxcbiAgICAgIGNyZWF0ZTogdHJ1ZVxuICAgIH07XG4gICAgc2VsZWN0ZWRQYXRoID0gYXdhaXQgYXBpLnNlbGVjdEZpbGUob3B0aW9ucyk7XG4gIH1cblxuICBsb2dEZWJ1ZyhgZXhwb3J0VG9CRzNNTSAke3NlbGVjdGVkUGF0aH1gKTtcblxuICAvLyBpZiBubyBwYXRoIHNlbGVjdGVkLCB0aGVuIGNhbmNlbCBwcm9iYWJseSBwcmVzc2VkXG4gIGlmIChzZWxlY3RlZFBhdGggPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybjtcbiAgfVxuXG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XG4gIGNvbnN0IGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZUlkXSwgW10pO1xuICB0cnkge1xuICAgIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKHNlbGVjdGVkUGF0aCwgSlNPTi5zdHJpbmdpZnkodG9CRzNNTU9yZGVyKGxvYWRPcmRlciksIHVuZGVmaW5lZCwgMiksXG4gICAgICB7IGVuY29kaW5nOiAndXRmOCcgfSk7XG4gICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgICAgdHlwZTogJ3N1Y2Nlc3MnLFxuICAgICAgaWQ6ICdiZzMtbG9hZG9yZGVyLWV4cG9ydGVkJyxcbiAgICAgIHRpdGxlOiAnTG9hZCBPcmRlciBFeHBvcnRlZCcsXG4gICAgICBtZXNzYWdlOiBzZWxlY3RlZFBhdGgsXG4gICAgICBkaXNwbGF5TVM6IDMwMDBcbiAgICB9KTtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIGV4cG9ydCBCRzNNTSBsb2FkIG9yZGVyIGZpbGUnLCBlcnIsIHsgYWxsb3dSZXBvcnQ6IGZhbHNlIH0pO1xuICB9XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBpbXBvcnRNb2RTZXR0aW5nc0ZpbGUoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogUHJvbWlzZTxib29sZWFuIHwgdm9pZD4ge1xuXG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XG5cbiAgY29uc3Qgb3B0aW9uczogSU9wZW5PcHRpb25zID0ge1xuICAgIHRpdGxlOiBhcGkudHJhbnNsYXRlKCdQbGVhc2UgY2hvb3NlIGEgQkczIC5sc3ggZmlsZSB0byBpbXBvcnQgZnJvbScpLFxuICAgIGZpbHRlcnM6IFt7IG5hbWU6ICdCRzMgTG9hZCBPcmRlcicsIGV4dGVuc2lvbnM6IFsnbHN4J10gfV1cbiAgfTtcblxuICBjb25zdCBzZWxlY3RlZFBhdGg6c3RyaW5nID0gYXdhaXQgYXBpLnNlbGVjdEZpbGUob3B0aW9ucyk7XG5cbiAgbG9nRGVidWcoJ2ltcG9ydE1vZFNldHRpbmdzRmlsZSBzZWxlY3RlZFBhdGg9Jywgc2VsZWN0ZWRQYXRoKTtcbiAgXG4gIC8vIGlmIG5vIHBhdGggc2VsZWN0ZWQsIHRoZW4gY2FuY2VsIHByb2JhYmx5IHByZXNzZWRcbiAgaWYoc2VsZWN0ZWRQYXRoID09PSB1bmRlZmluZWQpXG4gICAgcmV0dXJuO1xuXG4gIHByb2Nlc3NMc3hGaWxlKGFwaSwgc2VsZWN0ZWRQYXRoKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGltcG9ydE1vZFNldHRpbmdzR2FtZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPGJvb2xlYW4gfCB2b2lkPiB7XG5cbiAgY29uc3QgZ2FtZVNldHRpbmdzUGF0aDpzdHJpbmcgPSBwYXRoLmpvaW4ocHJvZmlsZXNQYXRoKCksICdQdWJsaWMnLCAnbW9kc2V0dGluZ3MubHN4Jyk7XG5cbiAgbG9nRGVidWcoJ2ltcG9ydE1vZFNldHRpbmdzR2FtZSBnYW1lU2V0dGluZ3NQYXRoPScsIGdhbWVTZXR0aW5nc1BhdGgpO1xuXG4gIHByb2Nlc3NMc3hGaWxlKGFwaSwgZ2FtZVNldHRpbmdzUGF0aCk7XG59XG5cbmZ1bmN0aW9uIGNoZWNrSWZEdXBsaWNhdGVFeGlzdHMoYXJyKSB7XG4gIHJldHVybiBuZXcgU2V0KGFycikuc2l6ZSAhPT0gYXJyLmxlbmd0aFxufVxuXG5mdW5jdGlvbiBnZXRBdHRyaWJ1dGUobm9kZTogSU1vZE5vZGUsIG5hbWU6IHN0cmluZywgZmFsbGJhY2s/OiBzdHJpbmcpOnN0cmluZyB7XG4gIHJldHVybiBmaW5kTm9kZShub2RlPy5hdHRyaWJ1dGUsIG5hbWUpPy4kPy52YWx1ZSA/PyBmYWxsYmFjaztcbn1cblxuYXN5bmMgZnVuY3Rpb24gcHJvY2Vzc0JHM01NRmlsZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGpzb25QYXRoOiBzdHJpbmcpIHtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpPy5pZDtcblxuICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgaWQ6IE5PVElGX0lNUE9SVF9BQ1RJVklUWSxcbiAgICB0aXRsZTogJ0ltcG9ydGluZyBKU09OIEZpbGUnLFxuICAgIG1lc3NhZ2U6IGpzb25QYXRoLFxuICAgIHR5cGU6ICdhY3Rpdml0eScsXG4gICAgbm9EaXNtaXNzOiB0cnVlLFxuICAgIGFsbG93U3VwcHJlc3M6IGZhbHNlLFxuICB9KTtcblxuICB0cnkge1xuXG4gIH0gY2F0Y2ggKGVycikge1xuXG4gIH0gZmluYWxseSB7XG4gICAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oTk9USUZfSU1QT1JUX0FDVElWSVRZKTtcbiAgfVxufVxuXG5hc3luYyBmdW5jdGlvbiBwcm9jZXNzTHN4RmlsZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGxzeFBhdGg6c3RyaW5nKSB7ICBcblxuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk/LmlkO1xuXG4gIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICBpZDogTk9USUZfSU1QT1JUX0FDVElWSVRZLFxuICAgIHRpdGxlOiAnSW1wb3J0aW5nIExTWCBGaWxlJyxcbiAgICBtZXNzYWdlOiBsc3hQYXRoLFxuICAgIHR5cGU6ICdhY3Rpdml0eScsXG4gICAgbm9EaXNtaXNzOiB0cnVlLFxuICAgIGFsbG93U3VwcHJlc3M6IGZhbHNlLFxuICB9KTtcblxuICB0cnkge1xuXG4gICAgY29uc3QgbHN4TG9hZE9yZGVyOklNb2RTZXR0aW5ncyA9IGF3YWl0IHJlYWRMc3hGaWxlKGxzeFBhdGgpO1xuICAgIGxvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSBsc3hQYXRoPScsIGxzeFBhdGgpO1xuXG4gICAgLy8gYnVpbGR1cCBvYmplY3QgZnJvbSB4bWxcbiAgICBjb25zdCByZWdpb24gPSBmaW5kTm9kZShsc3hMb2FkT3JkZXI/LnNhdmU/LnJlZ2lvbiwgJ01vZHVsZVNldHRpbmdzJyk7XG4gICAgY29uc3Qgcm9vdCA9IGZpbmROb2RlKHJlZ2lvbj8ubm9kZSwgJ3Jvb3QnKTtcbiAgICBjb25zdCBtb2RzTm9kZSA9IGZpbmROb2RlKHJvb3Q/LmNoaWxkcmVuPy5bMF0/Lm5vZGUsICdNb2RzJyk7XG4gICAgY29uc3QgbG9Ob2RlID0gZmluZE5vZGUocm9vdD8uY2hpbGRyZW4/LlswXT8ubm9kZSwgJ01vZE9yZGVyJykgPz8geyBjaGlsZHJlbjogW10gfTtcbiAgICBpZiAoKGxvTm9kZS5jaGlsZHJlbiA9PT0gdW5kZWZpbmVkKSB8fCAoKGxvTm9kZS5jaGlsZHJlblswXSBhcyBhbnkpID09PSAnJykpIHtcbiAgICAgIGxvTm9kZS5jaGlsZHJlbiA9IFt7IG5vZGU6IFtdIH1dO1xuICAgIH1cbiAgICBpZiAoKG1vZHNOb2RlLmNoaWxkcmVuID09PSB1bmRlZmluZWQpIHx8ICgobW9kc05vZGUuY2hpbGRyZW5bMF0gYXMgYW55KSA9PT0gJycpKSB7XG4gICAgICBtb2RzTm9kZS5jaGlsZHJlbiA9IFt7IG5vZGU6IFtdIH1dO1xuICAgIH1cblxuICAgIC8vIGdldCBuaWNlIHN0cmluZyBhcnJheSwgaW4gb3JkZXIsIG9mIG1vZHMgZnJvbSB0aGUgbG9hZCBvcmRlciBzZWN0aW9uXG4gICAgbGV0IHV1aWRBcnJheTpzdHJpbmdbXSA9IGxvTm9kZS5jaGlsZHJlblswXS5ub2RlLm1hcCgobG9FbnRyeSkgPT4gbG9FbnRyeS5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdVVUlEJykpLiQudmFsdWUpO1xuICAgIFxuICAgIGxvZ0RlYnVnKGBwcm9jZXNzTHN4RmlsZSB1dWlkQXJyYXk9YCwgdXVpZEFycmF5KTtcblxuICAgIC8vIGFyZSB0aGVyZSBhbnkgZHVwbGljYXRlcz8gaWYgc28uLi5cbiAgICBpZihjaGVja0lmRHVwbGljYXRlRXhpc3RzKHV1aWRBcnJheSkpIHtcbiAgICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICAgICAgdHlwZTogJ3dhcm5pbmcnLFxuICAgICAgICBpZDogJ2JnMy1sb2Fkb3JkZXItaW1wb3J0ZWQtZHVwbGljYXRlJyxcbiAgICAgICAgdGl0bGU6ICdEdXBsaWNhdGUgRW50cmllcycsXG4gICAgICAgIG1lc3NhZ2U6ICdEdXBsaWNhdGUgVVVJRHMgZm91bmQgaW4gdGhlIE1vZE9yZGVyIHNlY3Rpb24gb2YgdGhlIC5sc3ggZmlsZSBiZWluZyBpbXBvcnRlZC4gVGhpcyBzb21ldGltZXMgY2FuIGNhdXNlIGlzc3VlcyB3aXRoIHRoZSBsb2FkIG9yZGVyLicsXG4gICAgICAgIFxuICAgICAgICAvL2Rpc3BsYXlNUzogMzAwMFxuICAgICAgfSk7IFxuICAgICAgXG4gICAgICAvLyByZW1vdmUgdGhlc2UgZHVwbGljYXRlcyBhZnRlciB0aGUgZmlyc3Qgb25lXG4gICAgICAvL3V1aWRBcnJheSA9IEFycmF5LmZyb20obmV3IFNldCh1dWlkQXJyYXkpKTtcbiAgICB9ICAgXG5cbiAgICBjb25zdCBsc3hNb2ROb2RlczpJTW9kTm9kZVtdID0gbW9kc05vZGUuY2hpbGRyZW5bMF0ubm9kZTtcblxuICAgIC8qXG4gICAgLy8gZ2V0IG1vZHMsIGluIHRoZSBhYm92ZSBvcmRlciwgZnJvbSB0aGUgbW9kcyBzZWN0aW9uIG9mIHRoZSBmaWxlIFxuICAgIGNvbnN0IGxzeE1vZHM6SU1vZE5vZGVbXSA9IHV1aWRBcnJheS5tYXAoKHV1aWQpID0+IHtcbiAgICAgIHJldHVybiBsc3hNb2ROb2Rlcy5maW5kKG1vZE5vZGUgPT4gbW9kTm9kZS5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdVVUlEJykgJiYgKGF0dHIuJC52YWx1ZSA9PT0gdXVpZCkpKTtcbiAgICB9KTsqL1xuXG4gICAgbG9nRGVidWcoYHByb2Nlc3NMc3hGaWxlIGxzeE1vZE5vZGVzPWAsIGxzeE1vZE5vZGVzKTtcblxuICAgIC8vIHdlIG5vdyBoYXZlIGFsbCB0aGUgaW5mb3JtYXRpb24gZnJvbSBmaWxlIHRoYXQgd2UgbmVlZFxuXG4gICAgLy8gbGV0cyBnZXQgYWxsIHBha3MgZnJvbSB0aGUgZm9sZGVyXG4gICAgY29uc3QgcGFrcyA9IGF3YWl0IHJlYWRQQUtzKGFwaSk7XG5cbiAgICAvLyBhcmUgdGhlcmUgYW55IHBhayBmaWxlcyBub3QgaW4gdGhlIGxzeCBmaWxlP1xuICAgIGNvbnN0IG1pc3NpbmcgPSBwYWtzLnJlZHVjZSgoYWNjLCBjdXJyKSA9PiB7ICBcblxuICAgICAgLy8gaWYgY3VycmVudCBwYWsgaGFzIG5vIGFzc29jaWF0ZWQgcGFrLCB0aGVuIHdlIHNraXAuIHdlIGRlZmludGVseSBhcmVuJ3QgYWRkaW5nIHRoaXMgcGFrIGlmIHZvcnRleCBoYXNuJ3QgbWFuYWdlZCBpdC5cbiAgICAgIGlmKGN1cnIubW9kID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgcmV0dXJuIGFjYztcbiAgICAgIH1cblxuICAgICAgLy8gaWYgY3VycmVudCBwYWssIHdoaWNoIHZvcnRleCBoYXMgZGVmaW5hdGVseSBtYW5hZ2VkLCBpc24ndCBhbHJlYWR5IGluIHRoZSBsc3ggZmlsZSwgdGhlbiB0aGlzIGlzIG1pc3NpbmcgYW5kIHdlIG5lZWQgdG8gbG9hZCBvcmRlclxuICAgICAgaWYobHN4TW9kTm9kZXMuZmluZChsc3hFbnRyeSA9PiBsc3hFbnRyeS5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdOYW1lJykgJiYgKGF0dHIuJC52YWx1ZSA9PT0gY3Vyci5pbmZvLm5hbWUpKSkgPT09IHVuZGVmaW5lZCkgXG4gICAgICAgIGFjYy5wdXNoKGN1cnIpO1xuXG4gICAgICAvLyBza2lwIHRoaXMgXG4gICAgICByZXR1cm4gYWNjO1xuICAgIH0sIFtdKTtcblxuICAgIGxvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSAtIG1pc3NpbmcgcGFrIGZpbGVzIHRoYXQgaGF2ZSBhc3NvY2lhdGVkIG1vZHMgPScsIG1pc3NpbmcpO1xuXG4gICAgLy8gYnVpbGQgYSBsb2FkIG9yZGVyIGZyb20gdGhlIGxzeCBmaWxlIGFuZCBhZGQgYW55IG1pc3NpbmcgcGFrcyBhdCB0aGUgZW5kP1xuXG4gICAgLy9sZXQgbmV3TG9hZE9yZGVyOiB0eXBlcy5JTG9hZE9yZGVyRW50cnlbXSA9IFtdO1xuXG4gICAgLy8gbG9vcCB0aHJvdWdoIGxzeCBtb2Qgbm9kZXMgYW5kIGZpbmQgdGhlIHBhayB0aGV5IGFyZSBhc3NvY2lhdGVkIHdpdGhcblxuICAgIGxldCBuZXdMb2FkT3JkZXI6IHR5cGVzLklMb2FkT3JkZXJFbnRyeVtdID0gbHN4TW9kTm9kZXMucmVkdWNlKChhY2MsIGN1cnIpID0+IHtcbiAgICAgIFxuICAgICAgLy8gZmluZCB0aGUgYmczUGFrIHRoaXMgaXMgcmVmZXJpbmcgdG9vIGFzIGl0J3MgZWFzaWVyIHRvIGdldCBhbGwgdGhlIGluZm9ybWF0aW9uXG4gICAgICBjb25zdCBwYWsgPSBwYWtzLmZpbmQoKHBhaykgPT4gcGFrLmluZm8ubmFtZSA9PT0gY3Vyci5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdOYW1lJykpLiQudmFsdWUpO1xuXG4gICAgICAvLyBpZiB0aGUgcGFrIGlzIGZvdW5kLCB0aGVuIHdlIGFkZCBhIGxvYWQgb3JkZXIgZW50cnkuIGlmIGl0IGlzbid0LCB0aGVuIGl0cyBwcm9iIGJlZW4gZGVsZXRlZCBpbiB2b3J0ZXggYW5kIGxzeCBoYXMgYW4gZXh0cmEgZW50cnlcbiAgICAgIGlmIChwYWsgIT09IHVuZGVmaW5lZCkge1xuICAgICAgICBhY2MucHVzaCh7XG4gICAgICAgICAgaWQ6IHBhay5maWxlTmFtZSxcbiAgICAgICAgICBtb2RJZDogcGFrLm1vZC5pZCxcbiAgICAgICAgICBlbmFibGVkOiB0cnVlLCAgICAgICAgXG4gICAgICAgICAgbmFtZTogcGF0aC5iYXNlbmFtZShwYWsuZmlsZU5hbWUsICcucGFrJyksXG4gICAgICAgICAgZGF0YTogcGFrLmluZm8sXG4gICAgICAgICAgbG9ja2VkOiBwYWsuaW5mby5pc0xpc3RlZCBhcyBMb2NrZWRTdGF0ZSAgICAgICAgXG4gICAgICAgIH0pO1xuICAgICAgfVxuXG4gICAgICByZXR1cm4gYWNjO1xuICAgIH0sIFtdKTsgICBcblxuICAgIGxvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSAoYmVmb3JlIGFkZGluZyBtaXNzaW5nKSBuZXdMb2FkT3JkZXI9JywgbmV3TG9hZE9yZGVyKTtcblxuICAgIC8vIEFkZCBhbnkgbmV3bHkgYWRkZWQgbW9kcyB0byB0aGUgYm90dG9tIG9mIHRoZSBsb2FkT3JkZXIuXG4gICAgbWlzc2luZy5mb3JFYWNoKHBhayA9PiB7XG4gICAgICBuZXdMb2FkT3JkZXIucHVzaCh7XG4gICAgICAgIGlkOiBwYWsuZmlsZU5hbWUsXG4gICAgICAgIG1vZElkOiBwYWsubW9kLmlkLFxuICAgICAgICBlbmFibGVkOiB0cnVlLCAgICAgICAgXG4gICAgICAgIG5hbWU6IHBhdGguYmFzZW5hbWUocGFrLmZpbGVOYW1lLCAnLnBhaycpLFxuICAgICAgICBkYXRhOiBwYWsuaW5mbyxcbiAgICAgICAgbG9ja2VkOiBwYWsuaW5mby5pc0xpc3RlZCBhcyBMb2NrZWRTdGF0ZSAgICAgICAgXG4gICAgICB9KSAgICAgIFxuICAgIH0pOyAgIFxuXG4gICAgbG9nRGVidWcoJ3Byb2Nlc3NMc3hGaWxlIChhZnRlciBhZGRpbmcgbWlzc2luZykgbmV3TG9hZE9yZGVyPScsIG5ld0xvYWRPcmRlcik7XG5cbiAgICBuZXdMb2FkT3JkZXIuc29ydCgoYSwgYikgPT4gKCtiLmxvY2tlZCAtICthLmxvY2tlZCkpO1xuXG4gICAgbG9nRGVidWcoJ3Byb2Nlc3NMc3hGaWxlIChhZnRlciBzb3J0aW5nKSBuZXdMb2FkT3JkZXI9JywgbmV3TG9hZE9yZGVyKTtcblxuICAgIC8vIGdldCBsb2FkIG9yZGVyXG4gICAgLy9sZXQgbG9hZE9yZGVyOnR5cGVzLkxvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIFtdKTtcbiAgICAvL2xvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSBsb2FkT3JkZXI9JywgbG9hZE9yZGVyKTtcblxuICAgIC8vIG1hbnVhbHkgc2V0IGxvYWQgb3JkZXI/XG4gICAgYXBpLnN0b3JlLmRpc3BhdGNoKGFjdGlvbnMuc2V0TG9hZE9yZGVyKHByb2ZpbGVJZCwgbmV3TG9hZE9yZGVyKSk7XG5cbiAgICAvL3V0aWwuc2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIG5ld0xvYWRPcmRlcik7XG5cbiAgICAvLyBnZXQgbG9hZCBvcmRlciBhZ2Fpbj9cbiAgICAvL2xvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIFtdKTtcbiAgICAvL2xvZ0RlYnVnKCdwcm9jZXNzTHN4RmlsZSBsb2FkT3JkZXI9JywgbG9hZE9yZGVyKTtcblxuICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKCdiZzMtbG9hZG9yZGVyLWltcG9ydC1hY3Rpdml0eScpO1xuXG4gICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgICAgdHlwZTogJ3N1Y2Nlc3MnLFxuICAgICAgaWQ6ICdiZzMtbG9hZG9yZGVyLWltcG9ydGVkJyxcbiAgICAgIHRpdGxlOiAnTG9hZCBPcmRlciBJbXBvcnRlZCcsXG4gICAgICBtZXNzYWdlOiBsc3hQYXRoLFxuICAgICAgZGlzcGxheU1TOiAzMDAwXG4gICAgfSk7XG5cbiAgICBsb2dEZWJ1ZygncHJvY2Vzc0xzeEZpbGUgZmluaXNoZWQnKTtcblxuICB9IGNhdGNoIChlcnIpIHtcbiAgICBcbiAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbihOT1RJRl9JTVBPUlRfQUNUSVZJVFkpO1xuXG4gICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIGltcG9ydCBsb2FkIG9yZGVyJywgZXJyLCB7XG4gICAgICBhbGxvd1JlcG9ydDogZmFsc2VcbiAgICB9KTtcbiAgfVxuXG59XG5cbmFzeW5jIGZ1bmN0aW9uIGV4cG9ydFRvKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgZmlsZXBhdGhzOiBzdHJpbmdbXSkge1xuXG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XG5cbiAgLy8gZ2V0IGxvYWQgb3JkZXIgZnJvbSBzdGF0ZVxuICBjb25zdCBsb2FkT3JkZXI6dHlwZXMuTG9hZE9yZGVyID0gdXRpbC5nZXRTYWZlKGFwaS5nZXRTdGF0ZSgpLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZUlkXSwgW10pO1xuXG4gIGxvZ0RlYnVnKCdleHBvcnRUbyBsb2FkT3JkZXI9JywgbG9hZE9yZGVyKTtcblxuICB0cnkge1xuICAgIC8vIHJlYWQgdGhlIGdhbWUgYmczIG1vZHNldHRpbmdzLmxzeCBzbyB0aGF0IHdlIGdldCB0aGUgZGVmYXVsdCBnYW1lIGd1c3RhdiB0aGluZz9cbiAgICBjb25zdCBtb2RTZXR0aW5ncyA9IGF3YWl0IHJlYWRNb2RTZXR0aW5ncyhhcGkpO1xuXG4gICAgLy8gYnVpbGR1cCBvYmplY3QgZnJvbSB4bWxcbiAgICBjb25zdCByZWdpb24gPSBmaW5kTm9kZShtb2RTZXR0aW5ncz8uc2F2ZT8ucmVnaW9uLCAnTW9kdWxlU2V0dGluZ3MnKTtcbiAgICBjb25zdCByb290ID0gZmluZE5vZGUocmVnaW9uPy5ub2RlLCAncm9vdCcpO1xuICAgIGNvbnN0IG1vZHNOb2RlID0gZmluZE5vZGUocm9vdD8uY2hpbGRyZW4/LlswXT8ubm9kZSwgJ01vZHMnKTtcbiAgICBjb25zdCBsb05vZGUgPSBmaW5kTm9kZShyb290Py5jaGlsZHJlbj8uWzBdPy5ub2RlLCAnTW9kT3JkZXInKSA/PyB7IGNoaWxkcmVuOiBbXSB9O1xuICAgIGlmICgobG9Ob2RlLmNoaWxkcmVuID09PSB1bmRlZmluZWQpIHx8ICgobG9Ob2RlLmNoaWxkcmVuWzBdIGFzIGFueSkgPT09ICcnKSkge1xuICAgICAgbG9Ob2RlLmNoaWxkcmVuID0gW3sgbm9kZTogW10gfV07XG4gICAgfVxuICAgIGlmICgobW9kc05vZGUuY2hpbGRyZW4gPT09IHVuZGVmaW5lZCkgfHwgKChtb2RzTm9kZS5jaGlsZHJlblswXSBhcyBhbnkpID09PSAnJykpIHtcbiAgICAgIG1vZHNOb2RlLmNoaWxkcmVuID0gW3sgbm9kZTogW10gfV07XG4gICAgfVxuXG4gICAgLy8gZHJvcCBhbGwgbm9kZXMgZXhjZXB0IGZvciB0aGUgZ2FtZSBlbnRyeVxuICAgIGNvbnN0IGRlc2NyaXB0aW9uTm9kZXMgPSBtb2RzTm9kZT8uY2hpbGRyZW4/LlswXT8ubm9kZT8uZmlsdGVyPy4oaXRlciA9PlxuICAgICAgaXRlci5hdHRyaWJ1dGUuZmluZChhdHRyID0+IChhdHRyLiQuaWQgPT09ICdOYW1lJykgJiYgKGF0dHIuJC52YWx1ZSA9PT0gJ0d1c3RhdkRldicpKSkgPz8gW107XG5cbiAgICBcblxuXG4gICAgLy8gXG4gICAgY29uc3QgZmlsdGVyZWRQYWtzID0gbG9hZE9yZGVyLmZpbHRlcihlbnRyeSA9PiAhIWVudHJ5LmRhdGE/LnV1aWRcbiAgICAgICAgICAgICAgICAgICAgJiYgZW50cnkuZW5hYmxlZFxuICAgICAgICAgICAgICAgICAgICAmJiAhZW50cnkuZGF0YT8uaXNMaXN0ZWQpO1xuXG4gICAgbG9nRGVidWcoJ2V4cG9ydFRvIGZpbHRlcmVkUGFrcz0nLCBmaWx0ZXJlZFBha3MpO1xuXG4gICAgLy8gYWRkIG5ldyBub2RlcyBmb3IgdGhlIGVuYWJsZWQgbW9kc1xuICAgIGZvciAoY29uc3QgZW50cnkgb2YgZmlsdGVyZWRQYWtzKSB7XG4gICAgICAvLyBjb25zdCBtZDUgPSBhd2FpdCB1dGlsLmZpbGVNRDUocGF0aC5qb2luKG1vZHNQYXRoKCksIGtleSkpO1xuICAgICAgZGVzY3JpcHRpb25Ob2Rlcy5wdXNoKHtcbiAgICAgICAgJDogeyBpZDogJ01vZHVsZVNob3J0RGVzYycgfSxcbiAgICAgICAgYXR0cmlidXRlOiBbXG4gICAgICAgICAgeyAkOiB7IGlkOiAnRm9sZGVyJywgdHlwZTogJ0xTV1N0cmluZycsIHZhbHVlOiBlbnRyeS5kYXRhLmZvbGRlciB9IH0sXG4gICAgICAgICAgeyAkOiB7IGlkOiAnTUQ1JywgdHlwZTogJ0xTU3RyaW5nJywgdmFsdWU6IGVudHJ5LmRhdGEubWQ1IH0gfSxcbiAgICAgICAgICB7ICQ6IHsgaWQ6ICdOYW1lJywgdHlwZTogJ0ZpeGVkU3RyaW5nJywgdmFsdWU6IGVudHJ5LmRhdGEubmFtZSB9IH0sXG4gICAgICAgICAgeyAkOiB7IGlkOiAnVVVJRCcsIHR5cGU6ICdGaXhlZFN0cmluZycsIHZhbHVlOiBlbnRyeS5kYXRhLnV1aWQgfSB9LFxuICAgICAgICAgIHsgJDogeyBpZDogJ1ZlcnNpb24nLCB0eXBlOiAnaW50MzInLCB2YWx1ZTogZW50cnkuZGF0YS52ZXJzaW9uIH0gfSxcbiAgICAgICAgXSxcbiAgICAgIH0pO1xuICAgIH1cblxuICAgIC8vIFxuICAgIGNvbnN0IGxvYWRPcmRlck5vZGVzID0gZmlsdGVyZWRQYWtzXG4gICAgICAvLy5zb3J0KChsaHMsIHJocykgPT4gbGhzLnBvcyAtIHJocy5wb3MpIC8vIGRvbid0IGtub3cgaWYgd2UgbmVlZCB0aGlzIG5vd1xuICAgICAgLm1hcCgoZW50cnkpOiBJTW9kTm9kZSA9PiAoe1xuICAgICAgICAkOiB7IGlkOiAnTW9kdWxlJyB9LFxuICAgICAgICBhdHRyaWJ1dGU6IFtcbiAgICAgICAgICB7ICQ6IHsgaWQ6ICdVVUlEJywgdHlwZTogJ0ZpeGVkU3RyaW5nJywgdmFsdWU6IGVudHJ5LmRhdGEudXVpZCB9IH0sXG4gICAgICAgIF0sXG4gICAgICB9KSk7XG5cbiAgICBtb2RzTm9kZS5jaGlsZHJlblswXS5ub2RlID0gZGVzY3JpcHRpb25Ob2RlcztcbiAgICBsb05vZGUuY2hpbGRyZW5bMF0ubm9kZSA9IGxvYWRPcmRlck5vZGVzO1xuXG4gICAgZm9yIChjb25zdCBmaWxlcGF0aCBvZiBmaWxlcGF0aHMpIHtcbiAgICAgIGF3YWl0IHdyaXRlTW9kU2V0dGluZ3MoYXBpLCBtb2RTZXR0aW5ncywgZmlsZXBhdGgpO1xuICAgIH1cbiAgICBcbiAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICB0eXBlOiAnc3VjY2VzcycsXG4gICAgICBpZDogJ2JnMy1sb2Fkb3JkZXItZXhwb3J0ZWQnLFxuICAgICAgdGl0bGU6ICdMb2FkIE9yZGVyIEV4cG9ydGVkJyxcbiAgICAgIG1lc3NhZ2U6IGZpbGVwYXRocy5qb2luKCdcXG4nKSxcbiAgICAgIGRpc3BsYXlNUzogMzAwMFxuICAgIH0pO1xuXG4gIH0gY2F0Y2ggKGVycikge1xuICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byB3cml0ZSBsb2FkIG9yZGVyJywgZXJyLCB7XG4gICAgICBhbGxvd1JlcG9ydDogZmFsc2UsXG4gICAgICBtZXNzYWdlOiAnUGxlYXNlIHJ1biB0aGUgZ2FtZSBhdCBsZWFzdCBvbmNlIGFuZCBjcmVhdGUgYSBwcm9maWxlIGluLWdhbWUnLFxuICAgIH0pO1xuICB9ICBcblxufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZXhwb3J0VG9GaWxlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8Ym9vbGVhbiB8IHZvaWQ+IHtcblxuICBsZXQgc2VsZWN0ZWRQYXRoOnN0cmluZztcblxuICAvLyBhbiBvbGRlciB2ZXJzaW9uIG9mIFZvcnRleCBtaWdodCBub3QgaGF2ZSB0aGUgdXBkYXRlZCBhcGkuc2F2ZUZpbGUgZnVuY3Rpb24gc28gd2lsbCBmYWxsYmFja1xuICAvLyB0byB0aGUgcHJldmlvdXMgaGFjayBqb2Igb2Ygc2VsZWN0RmlsZSBidXQgYWN0dWFsbHkgd3JpdGVzXG4gIFxuICBpZihhcGkuc2F2ZUZpbGUgIT09IHVuZGVmaW5lZCkge1xuXG4gICAgY29uc3Qgb3B0aW9uczogSVNhdmVPcHRpb25zID0ge1xuICAgICAgdGl0bGU6IGFwaS50cmFuc2xhdGUoJ1BsZWFzZSBjaG9vc2UgYSBCRzMgLmxzeCBmaWxlIHRvIGV4cG9ydCB0bycpLFxuICAgICAgZmlsdGVyczogW3sgbmFtZTogJ0JHMyBMb2FkIE9yZGVyJywgZXh0ZW5zaW9uczogWydsc3gnXSB9XSwgICAgICBcbiAgICB9O1xuXG4gICAgc2VsZWN0ZWRQYXRoID0gYXdhaXQgYXBpLnNhdmVGaWxlKG9wdGlvbnMpOyAgICBcblxuICB9IGVsc2Uge1xuXG4gICAgY29uc3Qgb3B0aW9uczogSU9wZW5PcHRpb25zID0ge1xuICAgICAgdGl0bGU6IGFwaS50cmFuc2xhdGUoJ1BsZWFzZSBjaG9vc2UgYSBCRzMgLmxzeCBmaWxlIHRvIGV4cG9ydCB0bycpLFxuICAgICAgZmlsdGVyczogW3sgbmFtZTogJ0JHMyBMb2FkIE9yZGVyJywgZXh0ZW5zaW9uczogWydsc3gnXSB9XSxcbiAgICAgIGNyZWF0ZTogdHJ1ZVxuICAgIH07XG5cbiAgICBzZWxlY3RlZFBhdGggPSBhd2FpdCBhcGkuc2VsZWN0RmlsZShvcHRpb25zKTtcbiAgfVxuXG4gIGxvZ0RlYnVnKGBleHBvcnRUb0ZpbGUgJHtzZWxlY3RlZFBhdGh9YCk7XG5cbiAgLy8gaWYgbm8gcGF0aCBzZWxlY3RlZCwgdGhlbiBjYW5jZWwgcHJvYmFibHkgcHJlc3NlZFxuICBpZihzZWxlY3RlZFBhdGggPT09IHVuZGVmaW5lZClcbiAgICByZXR1cm47XG5cbiAgZXhwb3J0VG8oYXBpLCBbc2VsZWN0ZWRQYXRoXSk7XG59XG4gIFxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGV4cG9ydFRvR2FtZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPGJvb2xlYW4gfCB2b2lkPiB7XG5cbiAgY29uc3Qgc2V0dGluZ3NQYXRocyA9IGdhbWVTZXR0aW5nc1BhdGhzKGFwaSk7XG5cbiAgbG9nRGVidWcoJ2V4cG9ydFRvR2FtZScsIHNldHRpbmdzUGF0aHMpO1xuXG4gIGF3YWl0IGV4cG9ydFRvKGFwaSwgc2V0dGluZ3NQYXRocyk7XG59XG5cbi8vIFRoZSBnYW1lIHJlYWRzIHRoZSBQdWJsaWMgcHJvZmlsZSdzIG1vZHNldHRpbmdzLmxzeCwgdGhlIG90aGVyIHBsYXllciBwcm9maWxlc1xuLy8gIGFyZSBvbmx5IHdyaXR0ZW4gdG8gaWYgdGhlIHVzZXIgd2FudHMgdGhlbSBrZXB0IGluIHN5bmMuXG5leHBvcnQgZnVuY3Rpb24gZ2FtZVNldHRpbmdzUGF0aHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogc3RyaW5nW10ge1xuICBjb25zdCBwdWJsaWNQYXRoID0gcGF0aC5qb2luKHByb2ZpbGVzUGF0aCgpLCAnUHVibGljJywgJ21vZHNldHRpbmdzLmxzeCcpO1xuICBpZiAoIShhcGkuZ2V0U3RhdGUoKS5zZXR0aW5nc1snYmFsZHVyc2dhdGUzJ10/LnN5bmNQbGF5ZXJQcm9maWxlcyA/PyBmYWxzZSkpIHtcbiAgICByZXR1cm4gW3B1YmxpY1BhdGhdO1xuICB9XG4gIGNvbnN0IHByb2ZpbGVQYXRocyA9IGdldFBsYXllclByb2ZpbGVzKClcbiAgICAubWFwKG5hbWUgPT4gcGF0aC5qb2luKHByb2ZpbGVzUGF0aCgpLCBuYW1lLCAnbW9kc2V0dGluZ3MubHN4JykpO1xuICByZXR1cm4gQXJyYXkuZnJvbShuZXcgU2V0KFtwdWJsaWNQYXRoLCAuLi5wcm9maWxlUGF0aHNdKSk7XG59XG5cbmludGVyZmFjZSBJTW9kdWxlSW5mbyB7XG4gIHV1aWQ6IHN0cmluZztcbiAgbmFtZTogc3RyaW5nO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElNb2RPcmRlckRpZmYge1xuICBhZGRlZDogSU1vZHVsZUluZm9bXTtcbiAgcmVtb3ZlZDogSU1vZHVsZUluZm9bXTtcbiAgcmVvcmRlcmVkOiBJTW9kdWxlSW5mb1tdO1xufVxuXG5mdW5jdGlvbiBtb2RPcmRlckZyb21TZXR0aW5ncyhtb2RTZXR0aW5nczogSU1vZFNldHRpbmdzKTogSU1vZHVsZUluZm9bXSB7XG4gIGNvbnN0IHJlZ2lvbiA9IGZpbmROb2RlKG1vZFNldHRpbmdzPy5zYXZlPy5yZWdpb24sICdNb2R1bGVTZXR0aW5ncycpO1xuICBjb25zdCByb290ID0gZmluZE5vZGUocmVnaW9uPy5ub2RlLCAncm9vdCcpO1xuICBjb25zdCBtb2ROb2RlczogSU1vZE5vZGVbXSA9IGZpbmROb2RlKHJvb3Q/LmNoaWxkcmVuPy5bMF0/Lm5vZGUsICdNb2RzJyk/LmNoaWxkcmVuPy5bMF0/Lm5vZGUgPz8gW107XG4gIGNvbnN0IG9yZGVyTm9kZXM6IElNb2ROb2RlW10gPSBmaW5kTm9kZShyb290Py5jaGlsZHJlbj8uWzBdPy5ub2RlLCAnTW9kT3JkZXInKT8uY2hpbGRyZW4/LlswXT8ubm9kZSA/PyBbXTtcbiAgY29uc3QgbmFtZXM6IHsgW3V1aWQ6IHN0cmluZ106IHN0cmluZyB9ID0gbW9kTm9kZXMucmVkdWNlKChhY2N1bSwgbm9kZSkgPT4ge1xuICAgIGFjY3VtW2dldEF0dHJpYnV0ZShub2RlLCAnVVVJRCcpXSA9IGdldEF0dHJpYnV0ZShub2RlLCAnTmFtZScpO1xuICAgIHJldHVybiBhY2N1bTtcbiAgfSwge30pO1xuICAvLyBuZXdlciB2ZXJzaW9ucyBvZiB0aGUgZ2FtZSBubyBsb25nZXIgd3JpdGUgYSBNb2RPcmRlciBub2RlLCB0aGUgb3JkZXIgb2ZcbiAgLy8gIHRoZSBNb2RzIG5vZGUgaXMgdXNlZCBpbnN0ZWFkXG4gIGNvbnN0IHV1aWRzID0gKChvcmRlck5vZGVzLmxlbmd0aCA+IDApID8gb3JkZXJOb2RlcyA6IG1vZE5vZGVzKVxuICAgIC5tYXAobm9kZSA9PiBnZXRBdHRyaWJ1dGUobm9kZSwgJ1VVSUQnKSlcbiAgICAuZmlsdGVyKHV1aWQgPT4gdXVpZCAhPT0gdW5kZWZpbmVkKTtcbiAgcmV0dXJuIEFycmF5LmZyb20obmV3IFNldCh1dWlkcykpXG4gICAgLm1hcCh1dWlkID0+ICh7IHV1aWQsIG5hbWU6IG5hbWVzW3V1aWRdID8/IHV1aWQgfSkpXG4gICAgLy8gdGhlIGdhbWUgd3JpdGVzIGl0cyBiYXNlIG1vZHVsZSBiYWNrIGludG8gdGhlIGZpbGUsIHdoaWNoIG9uZSBkZXBlbmRzIG9uIHRoZVxuICAgIC8vICBnYW1lIHZlcnNpb24gKEd1c3RhdkRldiBvciBHdXN0YXZYKVxuICAgIC5maWx0ZXIobW9kID0+IEdBTUVfTU9EVUxFU1ttb2QudXVpZF0gPT09IHVuZGVmaW5lZCk7XG59XG5cbmZ1bmN0aW9uIG1vZE9yZGVyRnJvbUxvYWRPcmRlcihsb2FkT3JkZXI6IHR5cGVzLkxvYWRPcmRlcik6IElNb2R1bGVJbmZvW10ge1xuICByZXR1cm4gbG9hZE9yZGVyXG4gICAgLmZpbHRlcihlbnRyeSA9PiAhIWVudHJ5LmRhdGE/LnV1aWQgJiYgZW50cnkuZW5hYmxlZCAmJiAhZW50cnkuZGF0YT8uaXNMaXN0ZWQpXG4gICAgLm1hcChlbnRyeSA9PiAoeyB1dWlkOiBlbnRyeS5kYXRhLnV1aWQsIG5hbWU6IGVudHJ5LmRhdGEubmFtZSA/PyBlbnRyeS5uYW1lIH0pKTtcbn1cblxuLy8gTW9kdWxlcyB0aGF0IGV4aXN0IGluIGJvdGggbGlzdHMgYnV0IGRpZG4ndCBrZWVwIHRoZWlyIHJlbGF0aXZlIG9yZGVyLCB0aGF0IGlzXG4vLyAgZXZlcnl0aGluZyBvdXRzaWRlIG9mIHRoZSBsb25nZXN0IGNvbW1vbiBzdWJzZXF1ZW5jZS5cbmZ1bmN0aW9uIGZpbmRSZW9yZGVyZWQobGhzOiBJTW9kdWxlSW5mb1tdLCByaHM6IElNb2R1bGVJbmZvW10pOiBJTW9kdWxlSW5mb1tdIHtcbiAgY29uc3QgbGVuZ3RoczogbnVtYmVyW11bXSA9IEFycmF5LmZyb20oeyBsZW5ndGg6IGxocy5sZW5ndGggKyAxIH0sXG4gICAgKCkgPT4gbmV3IEFycmF5KHJocy5sZW5ndGggKyAxKS5maWxsKDApKTtcbiAgZm9yIChsZXQgaSA9IGxocy5sZW5ndGggLSAxOyBpID49IDA7IC0taSkge1xuICAgIGZvciAobGV0IGogPSByaHMubGVuZ3RoIC0gMTsgaiA+PSAwOyAtLWopIHtcbiAgICAgIGxlbmd0aHNbaV1bal0gPSAobGhzW2ldLnV1aWQgPT09IHJoc1tqXS51dWlkKVxuICAgICAgICA/IGxlbmd0aHNbaSArIDFdW2ogKyAxXSArIDFcbiAgICAgICAgOiBNYXRoLm1heChsZW5ndGhzW2kgKyAxXVtqXSwgbGVuZ3Roc1tpXVtqICsgMV0pO1xuICAgIH1cbiAgfVxuICBjb25zdCBrZXB0ID0gbmV3IFNldDxzdHJpbmc+KCk7XG4gIGxldCBpID0gMDtcbiAgbGV0IGogPSAwO1xuICB3aGlsZSAoKGkgPCBsaHMubGVuZ3RoKSAmJiAoaiA8IHJocy5sZW5ndGgpKSB7XG4gICAgaWYgKGxoc1tpXS51dWlkID09PSByaHNbal0udXVpZCkge1xuICAgICAga2VwdC5hZGQobGhzW2ldLnV1aWQpO1xuICAgICAgKytpO1xuICAgICAgKytqO1xuICAgIH0gZWxzZSBpZiAobGVuZ3Roc1tpICsgMV1bal0gPj0gbGVuZ3Roc1tpXVtqICsgMV0pIHtcbiAgICAgICsraTtcbiAgICB9IGVsc2Uge1xuICAgICAgKytqO1xuICAgIH1cbiAgfVxuICByZXR1cm4gcmhzLmZpbHRlcihtb2QgPT4gIWtlcHQuaGFzKG1vZC51dWlkKSk7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBkaWZmTW9kT3JkZXIoZXhwZWN0ZWQ6IElNb2R1bGVJbmZvW10sIGFjdHVhbDogSU1vZHVsZUluZm9bXSk6IElNb2RPcmRlckRpZmYge1xuICBjb25zdCBleHBlY3RlZElkcyA9IG5ldyBTZXQoZXhwZWN0ZWQubWFwKG1vZCA9PiBtb2QudXVpZCkpO1xuICBjb25zdCBhY3R1YWxJZHMgPSBuZXcgU2V0KGFjdHVhbC5tYXAobW9kID0+IG1vZC51dWlkKSk7XG4gIHJldHVybiB7XG4gICAgYWRkZWQ6IGFjdHVhbC5maWx0ZXIobW9kID0+ICFleHBlY3RlZElkcy5oYXMobW9kLnV1aWQpKSxcbiAgICByZW1vdmVkOiBleHBlY3RlZC5maWx0ZXIobW9kID0+ICFhY3R1YWxJZHMuaGFzKG1vZC51dWlkKSksXG4gICAgcmVvcmRlcmVkOiBmaW5kUmVvcmRlcmVkKGV4cGVjdGVkLmZpbHRlcihtb2QgPT4gYWN0dWFsSWRzLmhhcyhtb2QudXVpZCkpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICBhY3R1YWwuZmlsdGVyKG1vZCA9PiBleHBlY3RlZElkcy5oYXMobW9kLnV1aWQpKSksXG4gIH07XG59XG5cbmZ1bmN0aW9uIHJlbmRlckRpZmYoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBkaWZmOiBJTW9kT3JkZXJEaWZmKTogc3RyaW5nIHtcbiAgY29uc3QgdCA9IGFwaS50cmFuc2xhdGU7XG4gIGNvbnN0IHNlY3Rpb24gPSAodGl0bGU6IHN0cmluZywgbW9kczogSU1vZHVsZUluZm9bXSkgPT4gKG1vZHMubGVuZ3RoID4gMClcbiAgICA/IGBbYl0ke3QodGl0bGUpfVsvYl1bbGlzdF0ke21vZHMubWFwKG1vZCA9PiBgWypdJHttb2QubmFtZX1gKS5qb2luKCcnKX1bL2xpc3RdYFxuICAgIDogJyc7XG4gIHJldHVybiBbXG4gICAgc2VjdGlvbignQWRkZWQnLCBkaWZmLmFkZGVkKSxcbiAgICBzZWN0aW9uKCdSZW1vdmVkJywgZGlmZi5yZW1vdmVkKSxcbiAgICBzZWN0aW9uKCdNb3ZlZCcsIGRpZmYucmVvcmRlcmVkKSxcbiAgXS5qb2luKCcnKTtcbn1cblxuLy8gVGhlIGdhbWUgKGFuZCBvdGhlciBtb2QgbWFuYWdlcnMpIG1heSByZXdyaXRlIG1vZHNldHRpbmdzLmxzeCwgZS5nLiB0aGUgZ2FtZVxuLy8gIGRyb3BzIG1vZHMgaXQgZmFpbHMgdG8gbG9hZC4gQXMgbG9uZyBhcyBWb3J0ZXggaXMgcmVzcG9uc2libGUgZm9yIHRoZSBnYW1lJ3Ncbi8vICBsb2FkIG9yZGVyIHdlIGNoZWNrIGZvciBzdWNoIGNoYW5nZXMgYWZ0ZXIgdGhlIGdhbWUgZXhpdHMgYW5kIGxldCB0aGUgdXNlclxuLy8gIGRlY2lkZSB3aGljaCBvcmRlciB0byBrZWVwLlxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGNoZWNrTW9kU2V0dGluZ3NDaGFuZ2VkKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8dm9pZD4ge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBpZiAoIShzdGF0ZS5zZXR0aW5nc1snYmFsZHVyc2dhdGUzJ10/LmF1dG9FeHBvcnRMb2FkT3JkZXIgPz8gZmFsc2UpKSB7XG4gICAgcmV0dXJuO1xuICB9XG4gIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQ7XG4gIGNvbnN0IGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZUlkXSwgW10pO1xuICBjb25zdCBleHBlY3RlZCA9IG1vZE9yZGVyRnJvbUxvYWRPcmRlcihsb2FkT3JkZXIpO1xuXG4gIGZvciAoY29uc3Qgc2V0dGluZ3NQYXRoIG9mIGdhbWVTZXR0aW5nc1BhdGhzKGFwaSkpIHtcbiAgICBsZXQgbW9kU2V0dGluZ3M6IElNb2RTZXR0aW5ncztcbiAgICB0cnkge1xuICAgICAgbW9kU2V0dGluZ3MgPSBhd2FpdCByZWFkTHN4RmlsZShzZXR0aW5nc1BhdGgpO1xuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgaWYgKGVyci5jb2RlICE9PSAnRU5PRU5UJykge1xuICAgICAgICBsb2coJ3dhcm4nLCAnZmFpbGVkIHRvIHJlYWQgbW9kIHNldHRpbmdzJywgeyBzZXR0aW5nc1BhdGgsIGVycm9yOiBlcnIubWVzc2FnZSB9KTtcbiAgICAgIH1cbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cbiAgICBjb25zdCBkaWZmID0gZGlmZk1vZE9yZGVyKGV4cGVjdGVkLCBtb2RPcmRlckZyb21TZXR0aW5ncyhtb2RTZXR0aW5ncykpO1xuICAgIGlmICgoZGlmZi5hZGRlZC5sZW5ndGggKyBkaWZmLnJlbW92ZWQubGVuZ3RoICsgZGlmZi5yZW9yZGVyZWQubGVuZ3RoKSA9PT0gMCkge1xuICAgICAgY29udGludWU7XG4gICAgfVxuXG4gICAgY29uc3QgcmVzdWx0ID0gYXdhaXQgYXBpLnNob3dEaWFsb2coJ3F1ZXN0aW9uJywgJ0xvYWQgT3JkZXIgQ2hhbmdlZCcsIHtcbiAgICAgIGJiY29kZTogYXBpLnRyYW5zbGF0ZSgnVGhlIGxvYWQgb3JkZXIgaW4gXCJ7e3NldHRpbmdzUGF0aH19XCIgd2FzIGNoYW5nZWQgb3V0c2lkZSBvZiBWb3J0ZXgsICdcbiAgICAgICAgKyAnbW9zdCBsaWtlbHkgYnkgdGhlIGdhbWUgb3IgYW5vdGhlciBtb2QgbWFuYWdlci5bYnJdWy9icl1bYnJdWy9icl0nLCB7IHJlcGxhY2U6IHsgc2V0dGluZ3NQYXRoIH0gfSlcbiAgICAgICAgKyByZW5kZXJEaWZmKGFwaSwgZGlmZilcbiAgICAgICAgKyBhcGkudHJhbnNsYXRlKCdbYnJdWy9icl1Zb3UgY2FuIGFjY2VwdCB0aGVzZSBjaGFuZ2VzIGludG8geW91ciBWb3J0ZXggbG9hZCBvcmRlciAnXG4gICAgICAgICsgJ29yIG92ZXJ3cml0ZSB0aGVtIHdpdGggdGhlIGxvYWQgb3JkZXIgbWFuYWdlZCBieSBWb3J0ZXguJyksXG4gICAgfSwgW1xuICAgICAgeyBsYWJlbDogJ0FjY2VwdCBDaGFuZ2VzJyB9LFxuICAgICAgeyBsYWJlbDogJ1JlLWFwcGx5IFZvcnRleCBPcmRlcicsIGRlZmF1bHQ6IHRydWUgfSxcbiAgICBdKTtcbiAgICBpZiAocmVzdWx0LmFjdGlvbiA9PT0gJ0FjY2VwdCBDaGFuZ2VzJykge1xuICAgICAgYXdhaXQgcHJvY2Vzc0xzeEZpbGUoYXBpLCBzZXR0aW5nc1BhdGgpO1xuICAgICAgLy8gd3JpdGUgdGhlIGFjY2VwdGVkIG9yZGVyIGJhY2sgc28gdGhhdCBhbGwgc3luY2VkIHByb2ZpbGVzIG1hdGNoIGFnYWluXG4gICAgICBhd2FpdCBleHBvcnRUb0dhbWUoYXBpKTtcbiAgICB9IGVsc2UgaWYgKHJlc3VsdC5hY3Rpb24gPT09ICdSZS1hcHBseSBWb3J0ZXggT3JkZXInKSB7XG4gICAgICBhd2FpdCBleHBvcnRUb0dhbWUoYXBpKTtcbiAgICB9XG4gICAgLy8gYW55IG90aGVyIHByb2ZpbGVzIHdlcmUganVzdCByZXdyaXR0ZW4gb3IgdGhlIHVzZXIgY2hvc2UgdG8gaWdub3JlIHRoZSBjaGFuZ2VcbiAgICByZXR1cm47XG4gIH1cbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGRlZXBSZWZyZXNoKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8Ym9vbGVhbiB8IHZvaWQ+IHtcblxuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk/LmlkO1xuXG4gIC8vIGdldCBsb2FkIG9yZGVyIGZyb20gc3RhdGVcbiAgY29uc3QgbG9hZE9yZGVyOnR5cGVzLkxvYWRPcmRlciA9IHV0aWwuZ2V0U2FmZShhcGkuZ2V0U3RhdGUoKSwgWydwZXJzaXN0ZW50JywgJ2xvYWRPcmRlcicsIHByb2ZpbGVJZF0sIFtdKTtcblxuICBsb2dEZWJ1ZygnZGVlcFJlZnJlc2gnLCBsb2FkT3JkZXIpO1xufVxuXG5cblxuYXN5bmMgZnVuY3Rpb24gcmVhZE1vZFNldHRpbmdzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8SU1vZFNldHRpbmdzPiB7XG4gIFxuICBjb25zdCBzZXR0aW5nc1BhdGggPSBwYXRoLmpvaW4ocHJvZmlsZXNQYXRoKCksICdQdWJsaWMnLCAnbW9kc2V0dGluZ3MubHN4Jyk7XG4gIGNvbnN0IGRhdCA9IGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMoc2V0dGluZ3NQYXRoKTtcbiAgbG9nRGVidWcoJ3JlYWRNb2RTZXR0aW5ncycsIGRhdCk7XG4gIHJldHVybiBwYXJzZVN0cmluZ1Byb21pc2UoZGF0KTtcbn1cblxuYXN5bmMgZnVuY3Rpb24gcmVhZExzeEZpbGUobHN4UGF0aDogc3RyaW5nKTogUHJvbWlzZTxJTW9kU2V0dGluZ3M+IHtcbiAgXG4gIC8vY29uc3Qgc2V0dGluZ3NQYXRoID0gcGF0aC5qb2luKHByb2ZpbGVzUGF0aCgpLCAnUHVibGljJywgJ21vZHNldHRpbmdzLmxzeCcpO1xuICBjb25zdCBkYXQgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKGxzeFBhdGgpO1xuICBsb2dEZWJ1ZygnbHN4UGF0aCcsIGRhdCk7XG4gIHJldHVybiBwYXJzZVN0cmluZ1Byb21pc2UoZGF0KTtcbn1cblxuYXN5bmMgZnVuY3Rpb24gd3JpdGVNb2RTZXR0aW5ncyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGRhdGE6IElNb2RTZXR0aW5ncywgZmlsZXBhdGg6IHN0cmluZyk6IFByb21pc2U8dm9pZD4ge1xuICBjb25zdCBidWlsZGVyID0gbmV3IEJ1aWxkZXIoKTtcbiAgY29uc3QgeG1sID0gYnVpbGRlci5idWlsZE9iamVjdChkYXRhKTtcbiAgdHJ5IHtcbiAgICBhd2FpdCBmcy5lbnN1cmVEaXJXcml0YWJsZUFzeW5jKHBhdGguZGlybmFtZShmaWxlcGF0aCkpO1xuICAgIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKGZpbGVwYXRoLCB4bWwpO1xuICB9IGNhdGNoIChlcnIpIHtcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gd3JpdGUgbW9kIHNldHRpbmdzJywgZXJyKTtcbiAgICByZXR1cm47XG4gIH1cbn1cblxuZnVuY3Rpb24gaXNHYW1lTW9kdWxlKGRlcGVuZGVuY3k6IElQYWtEZXBlbmRlbmN5KTogYm9vbGVhbiB7XG4gIHJldHVybiBHQU1FX01PRFVMRVNbZGVwZW5kZW5jeS51dWlkXSAhPT0gdW5kZWZpbmVkO1xufVxuXG5mdW5jdGlvbiBkZXBlbmRlbmN5TmFtZShkZXBlbmRlbmN5OiBJUGFrRGVwZW5kZW5jeSk6IHN0cmluZyB7XG4gIHJldHVybiBkZXBlbmRlbmN5Lm5hbWUgPz8gZGVwZW5kZW5jeS5mb2xkZXIgPz8gZGVwZW5kZW5jeS51dWlkO1xufVxuXG5pbnRlcmZhY2UgSURlcGVuZGVuY3lJc3N1ZXMge1xuICBlbnRyeTogdHlwZXMuSUxvYWRPcmRlckVudHJ5O1xuICBtaXNzaW5nOiBJUGFrRGVwZW5kZW5jeVtdO1xuICBsb2FkZWRBZnRlcjogSVBha0RlcGVuZGVuY3lbXTtcbn1cblxuZnVuY3Rpb24gZmluZERlcGVuZGVuY3lJc3N1ZXMobG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIpOiBJRGVwZW5kZW5jeUlzc3Vlc1tdIHtcbiAgLy8gZGlzYWJsZWQgbW9kcyBkb24ndCBnZXQgbG9hZGVkIHNvIHRoZXkgY2FuJ3Qgc2F0aXNmeSBhIGRlcGVuZGVuY3lcbiAgY29uc3QgZW5hYmxlZCA9IGxvYWRPcmRlci5maWx0ZXIoZW50cnkgPT4gZW50cnkuZW5hYmxlZCk7XG4gIGNvbnN0IHBvc2l0aW9uczogeyBbdXVpZDogc3RyaW5nXTogbnVtYmVyIH0gPSBlbmFibGVkLnJlZHVjZSgoYWNjdW0sIGVudHJ5LCBpZHgpID0+IHtcbiAgICBpZiAoZW50cnkuZGF0YT8udXVpZCAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICBhY2N1bVtlbnRyeS5kYXRhLnV1aWRdID0gaWR4O1xuICAgIH1cbiAgICByZXR1cm4gYWNjdW07XG4gIH0sIHt9KTtcblxuICByZXR1cm4gZW5hYmxlZC5tYXAoKGVudHJ5LCBpZHgpID0+IHtcbiAgICBjb25zdCBkZXBlbmRlbmNpZXM6IElQYWtEZXBlbmRlbmN5W10gPSAoZW50cnkuZGF0YT8uZGVwZW5kZW5jaWVzID8/IFtdKVxuICAgICAgLmZpbHRlcihkZXAgPT4gIWlzR2FtZU1vZHVsZShkZXApKTtcbiAgICByZXR1cm4ge1xuICAgICAgZW50cnksXG4gICAgICBtaXNzaW5nOiBkZXBlbmRlbmNpZXMuZmlsdGVyKGRlcCA9PiBwb3NpdGlvbnNbZGVwLnV1aWRdID09PSB1bmRlZmluZWQpLFxuICAgICAgbG9hZGVkQWZ0ZXI6IGRlcGVuZGVuY2llcy5maWx0ZXIoZGVwID0+IHBvc2l0aW9uc1tkZXAudXVpZF0gPiBpZHgpLFxuICAgIH07XG4gIH0pLmZpbHRlcihpc3N1ZXMgPT4gKGlzc3Vlcy5taXNzaW5nLmxlbmd0aCA+IDApIHx8IChpc3N1ZXMubG9hZGVkQWZ0ZXIubGVuZ3RoID4gMCkpO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gdmFsaWRhdGUocHJldjogdHlwZXMuTG9hZE9yZGVyLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGN1cnJlbnQ6IHR5cGVzLkxvYWRPcmRlcik6IFByb21pc2U8dHlwZXMuSVZhbGlkYXRpb25SZXN1bHQ+IHtcbiAgLy8gVGhlIGdhbWUgaXRzZWxmIGRvZXNuJ3QgY2FyZSBhYm91dCB0aGUgb3JkZXIgb2YgZGVwZW5kZW5jaWVzLCBidXQgbW9kc1xuICAvLyAgd2lsbCBub3Qgd29yayBjb3JyZWN0bHkgaWYgdGhlaXIgZGVwZW5kZW5jaWVzIGdldCBsb2FkZWQgYWZ0ZXIgdGhlbS5cbiAgLy8gIE1pc3NpbmcgZGVwZW5kZW5jaWVzIGNhbid0IGJlIGZpeGVkIGJ5IHJlb3JkZXJpbmcsIHRoZXkgYXJlIHJlcG9ydGVkIGJ5XG4gIC8vICBub3RpZnlNaXNzaW5nRGVwZW5kZW5jaWVzIGluc3RlYWQgb2Yga2VlcGluZyB1cyBmcm9tIHNhdmluZyB0aGUgbG9hZCBvcmRlci5cbiAgY29uc3QgaW52YWxpZCA9IGZpbmREZXBlbmRlbmN5SXNzdWVzKGN1cnJlbnQpXG4gICAgLmZpbHRlcihpc3N1ZXMgPT4gaXNzdWVzLmxvYWRlZEFmdGVyLmxlbmd0aCA+IDApXG4gICAgLm1hcChpc3N1ZXMgPT4gKHtcbiAgICAgIGlkOiBpc3N1ZXMuZW50cnkuaWQsXG4gICAgICByZWFzb246IGBNdXN0IGJlIGxvYWRlZCBhZnRlcjogJHtpc3N1ZXMubG9hZGVkQWZ0ZXIubWFwKGRlcGVuZGVuY3lOYW1lKS5qb2luKCcsICcpfWAsXG4gICAgfSkpO1xuXG4gIHJldHVybiAoaW52YWxpZC5sZW5ndGggPiAwKSA/IHsgaW52YWxpZCB9IDogdW5kZWZpbmVkO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gbm90aWZ5TWlzc2luZ0RlcGVuZGVuY2llcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyKSB7XG4gIGNvbnN0IG1pc3NpbmcgPSBmaW5kRGVwZW5kZW5jeUlzc3Vlcyhsb2FkT3JkZXIpLmZpbHRlcihpc3N1ZXMgPT4gaXNzdWVzLm1pc3NpbmcubGVuZ3RoID4gMCk7XG4gIGlmIChtaXNzaW5nLmxlbmd0aCA9PT0gMCkge1xuICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKE5PVElGX01JU1NJTkdfREVQRU5ERU5DSUVTKTtcbiAgICByZXR1cm47XG4gIH1cbiAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgIGlkOiBOT1RJRl9NSVNTSU5HX0RFUEVOREVOQ0lFUyxcbiAgICB0eXBlOiAnd2FybmluZycsXG4gICAgbWVzc2FnZTogJ1NvbWUgbW9kcyBhcmUgbWlzc2luZyBkZXBlbmRlbmNpZXMnLFxuICAgIGFjdGlvbnM6IFtcbiAgICAgIHtcbiAgICAgICAgdGl0bGU6ICdNb3JlJyxcbiAgICAgICAgYWN0aW9uOiAoKSA9PiBhcGkuc2hvd0RpYWxvZygnaW5mbycsICdNaXNzaW5nIERlcGVuZGVuY2llcycsIHtcbiAgICAgICAgICBiYmNvZGU6IGFwaS50cmFuc2xhdGUoJ1RoZSBmb2xsb3dpbmcgbW9kcyByZXF1aXJlIG90aGVyIG1vZHMgdGhhdCBhcmUgbm90IGluc3RhbGxlZCBvciBub3QgJ1xuICAgICAgICAgICAgKyAnZW5hYmxlZC4gVGhleSB3aWxsIG5vdCB3b3JrIGNvcnJlY3RseSB1bnRpbCB5b3UgaW5zdGFsbCBhbmQgZW5hYmxlIHRoZW0uJylcbiAgICAgICAgICAgICsgJ1tsaXN0XScgKyBtaXNzaW5nLm1hcChpc3N1ZXMgPT4gYFsqXSR7aXNzdWVzLmVudHJ5Lm5hbWV9OiBgXG4gICAgICAgICAgICAgICsgaXNzdWVzLm1pc3NpbmcubWFwKGRlcGVuZGVuY3lOYW1lKS5qb2luKCcsICcpKS5qb2luKCcnKSArICdbL2xpc3RdJyxcbiAgICAgICAgfSwgW1xuICAgICAgICAgIHsgbGFiZWw6ICdDbG9zZScgfSxcbiAgICAgICAgXSksXG4gICAgICB9LFxuICAgIF0sXG4gIH0pO1xufVxuXG4vLyBUb3BvbG9naWNhbGx5IHNvcnRzIHRoZSB1bmxvY2tlZCBlbnRyaWVzIHNvIHRoYXQgZWFjaCBtb2QgaXMgbG9hZGVkIGFmdGVyIGl0c1xuLy8gIGRlcGVuZGVuY2llcywgd2hpbGUga2VlcGluZyB0aGUgY3VycmVudCBvcmRlciB3aGVyZXZlciBwb3NzaWJsZS5cbi8vICBMb2NrZWQgZW50cmllcyBrZWVwIHRoZWlyIHBvc2l0aW9ucy5cbmV4cG9ydCBmdW5jdGlvbiBzb3J0QnlEZXBlbmRlbmNpZXMobG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIpOiB0eXBlcy5Mb2FkT3JkZXIge1xuICBjb25zdCB1bmxvY2tlZCA9IGxvYWRPcmRlci5maWx0ZXIoZW50cnkgPT4gIWVudHJ5LmxvY2tlZCk7XG4gIGNvbnN0IHV1aWRzID0gbmV3IFNldCh1bmxvY2tlZC5tYXAoZW50cnkgPT4gZW50cnkuZGF0YT8udXVpZCkuZmlsdGVyKHV1aWQgPT4gdXVpZCAhPT0gdW5kZWZpbmVkKSk7XG4gIGNvbnN0IGRlcGVuZHNPbiA9IChlbnRyeTogdHlwZXMuSUxvYWRPcmRlckVudHJ5KTogc3RyaW5nW10gPT4gKGVudHJ5LmRhdGE/LmRlcGVuZGVuY2llcyA/PyBbXSlcbiAgICAubWFwKGRlcCA9PiBkZXAudXVpZClcbiAgICAuZmlsdGVyKHV1aWQgPT4gdXVpZHMuaGFzKHV1aWQpICYmICh1dWlkICE9PSBlbnRyeS5kYXRhPy51dWlkKSk7XG5cbiAgY29uc3QgYnlVdWlkID0gdW5sb2NrZWQucmVkdWNlKChhY2N1bSwgZW50cnkpID0+IHtcbiAgICBpZiAoZW50cnkuZGF0YT8udXVpZCAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICBhY2N1bVtlbnRyeS5kYXRhLnV1aWRdID0gZW50cnk7XG4gICAgfVxuICAgIHJldHVybiBhY2N1bTtcbiAgfSwge30gYXMgeyBbdXVpZDogc3RyaW5nXTogdHlwZXMuSUxvYWRPcmRlckVudHJ5IH0pO1xuXG4gIC8vIGRlcHRoIGZpcnN0IC0gZGVwZW5kZW5jaWVzIGdldCBwdWxsZWQgdXAgaW4gZnJvbnQgb2YgdGhlIGZpcnN0IG1vZFxuICAvLyAgdGhhdCByZXF1aXJlcyB0aGVtXG4gIGNvbnN0IHNvcnRlZDogdHlwZXMuSUxvYWRPcmRlckVudHJ5W10gPSBbXTtcbiAgY29uc3QgcGxhY2VkID0gbmV3IFNldDx0eXBlcy5JTG9hZE9yZGVyRW50cnk+KCk7XG4gIGNvbnN0IHZpc2l0aW5nOiB0eXBlcy5JTG9hZE9yZGVyRW50cnlbXSA9IFtdO1xuICBjb25zdCBwbGFjZSA9IChlbnRyeTogdHlwZXMuSUxvYWRPcmRlckVudHJ5KSA9PiB7XG4gICAgaWYgKHBsYWNlZC5oYXMoZW50cnkpKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIGlmICh2aXNpdGluZy5pbmNsdWRlcyhlbnRyeSkpIHtcbiAgICAgIGNvbnN0IGN5Y2xlID0gdmlzaXRpbmcuc2xpY2UodmlzaXRpbmcuaW5kZXhPZihlbnRyeSkpLm1hcChpdGVyID0+IGl0ZXIubmFtZSkuam9pbignLCAnKTtcbiAgICAgIHRocm93IG5ldyB1dGlsLkRhdGFJbnZhbGlkKGBUaGVzZSBtb2RzIGhhdmUgY3ljbGljIGRlcGVuZGVuY2llczogJHtjeWNsZX1gKTtcbiAgICB9XG4gICAgdmlzaXRpbmcucHVzaChlbnRyeSk7XG4gICAgZGVwZW5kc09uKGVudHJ5KS5mb3JFYWNoKHV1aWQgPT4gcGxhY2UoYnlVdWlkW3V1aWRdKSk7XG4gICAgdmlzaXRpbmcucG9wKCk7XG4gICAgcGxhY2VkLmFkZChlbnRyeSk7XG4gICAgc29ydGVkLnB1c2goZW50cnkpO1xuICB9O1xuICB1bmxvY2tlZC5mb3JFYWNoKHBsYWNlKTtcblxuICByZXR1cm4gbG9hZE9yZGVyLm1hcChlbnRyeSA9PiBlbnRyeS5sb2NrZWQgPyBlbnRyeSA6IHNvcnRlZC5zaGlmdCgpKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHNvcnRMb2FkT3JkZXJCeURlcGVuZGVuY2llcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPHZvaWQ+IHtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpPy5pZDtcbiAgY29uc3QgbG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIgPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdsb2FkT3JkZXInLCBwcm9maWxlSWRdLCBbXSk7XG4gIHRyeSB7XG4gICAgY29uc3QgbmV3TE8gPSBzb3J0QnlEZXBlbmRlbmNpZXMobG9hZE9yZGVyKTtcbiAgICBhcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5zZXRMb2FkT3JkZXIocHJvZmlsZUlkLCBuZXdMTyBhcyBhbnkpKTtcbiAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICB0eXBlOiAnc3VjY2VzcycsXG4gICAgICBpZDogJ2JnMy1sb2Fkb3JkZXItc29ydGVkJyxcbiAgICAgIG1lc3NhZ2U6ICdMb2FkIG9yZGVyIHNvcnRlZCBieSBkZXBlbmRlbmNpZXMnLFxuICAgICAgZGlzcGxheU1TOiAzMDAwLFxuICAgIH0pO1xuICB9IGNhdGNoIChlcnIpIHtcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gc29ydCBsb2FkIG9yZGVyJywgZXJyLCB7XG4gICAgICBhbGxvd1JlcG9ydDogIShlcnIgaW5zdGFuY2VvZiB1dGlsLkRhdGFJbnZhbGlkKSxcbiAgICB9KTtcbiAgfVxufVxuXG5hc3luYyBmdW5jdGlvbiByZWFkUEFLcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIDogUHJvbWlzZTxBcnJheTxJQ2FjaGVFbnRyeT4+IHtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgLy8gcGFrcyBhcmUgcmVhZCBuYXRpdmVseSwgTFNMaWIgaXMgb25seSByZXF1aXJlZCBmb3IgdGhlIHBhY2thZ2VcbiAgLy8gIGZvcm1hdHMgd2UgY2FuJ3QgcmVhZCBvdXJzZWx2ZXMuXG4gIGNvbnN0IHBha3MgPSBhd2FpdCByZWFkUEFLTGlzdChhcGkpO1xuXG4gIC8vIGxvZ0RlYnVnKCdwYWtzJywgcGFrcyk7XG5cbiAgbGV0IG1hbmlmZXN0O1xuICB0cnkge1xuICAgIG1hbmlmZXN0ID0gYXdhaXQgdXRpbC5nZXRNYW5pZmVzdChhcGksICcnLCBHQU1FX0lEKTtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgY29uc3QgYWxsb3dSZXBvcnQgPSAhWydFUEVSTSddLmluY2x1ZGVzKGVyci5jb2RlKTtcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gcmVhZCBkZXBsb3ltZW50IG1hbmlmZXN0JywgZXJyLCB7IGFsbG93UmVwb3J0IH0pO1xuICAgIHJldHVybiBbXTtcbiAgfVxuICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgdHlwZTogJ2FjdGl2aXR5JyxcbiAgICBpZDogJ2JnMy1yZWFkaW5nLXBha3MtYWN0aXZpdHknLFxuICAgIG1lc3NhZ2U6ICdSZWFkaW5nIFBBSyBmaWxlcy4gVGhpcyBtaWdodCB0YWtlIGEgd2hpbGUuLi4nLFxuICB9KVxuICBjb25zdCBjYWNoZTogUGFrSW5mb0NhY2hlID0gUGFrSW5mb0NhY2hlLmdldEluc3RhbmNlKGFwaSk7XG4gIGNvbnN0IHJlcyA9IGF3YWl0IFByb21pc2UuYWxsKHBha3MubWFwKGFzeW5jIChmaWxlTmFtZSwgaWR4KSA9PiB7XG4gICAgcmV0dXJuIHV0aWwud2l0aEVycm9yQ29udGV4dCgncmVhZGluZyBwYWsnLCBmaWxlTmFtZSwgKCkgPT4ge1xuICAgICAgY29uc3QgZnVuYyA9IGFzeW5jICgpID0+IHtcbiAgICAgICAgdHJ5IHtcbiAgICAgICAgICBjb25zdCBtYW5pZmVzdEVudHJ5ID0gbWFuaWZlc3QuZmlsZXMuZmluZChlbnRyeSA9PiBlbnRyeS5yZWxQYXRoID09PSBmaWxlTmFtZSk7XG4gICAgICAgICAgY29uc3QgbW9kID0gKG1hbmlmZXN0RW50cnkgIT09IHVuZGVmaW5lZClcbiAgICAgICAgICAgID8gc3RhdGUucGVyc2lzdGVudC5tb2RzW0dBTUVfSURdPy5bbWFuaWZlc3RFbnRyeS5zb3VyY2VdXG4gICAgICAgICAgICA6IHVuZGVmaW5lZDtcblxuICAgICAgICAgIGNvbnN0IHBha1BhdGggPSBwYXRoLmpvaW4obW9kc1BhdGgoKSwgZmlsZU5hbWUpO1xuICAgICAgICAgIHJldHVybiBjYWNoZS5nZXRDYWNoZUVudHJ5KGFwaSwgcGFrUGF0aCwgbW9kKTtcbiAgICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgICAgaWYgKGVyciBpbnN0YW5jZW9mIERpdmluZUV4ZWNNaXNzaW5nKSB7XG4gICAgICAgICAgICBjb25zdCBtZXNzYWdlID0gJ1RoZSBpbnN0YWxsZWQgY29weSBvZiBMU0xpYi9EaXZpbmUgaXMgY29ycnVwdGVkIC0gcGxlYXNlICdcbiAgICAgICAgICAgICAgKyAnZGVsZXRlIHRoZSBleGlzdGluZyBMU0xpYiBtb2QgZW50cnkgYW5kIHJlLWluc3RhbGwgaXQuIE1ha2Ugc3VyZSB0byAnXG4gICAgICAgICAgICAgICsgJ2Rpc2FibGUgb3IgYWRkIGFueSBuZWNlc3NhcnkgZXhjZXB0aW9ucyB0byB5b3VyIHNlY3VyaXR5IHNvZnR3YXJlIHRvICdcbiAgICAgICAgICAgICAgKyAnZW5zdXJlIGl0IGRvZXMgbm90IGludGVyZmVyZSB3aXRoIFZvcnRleC9MU0xpYiBmaWxlIG9wZXJhdGlvbnMuJztcbiAgICAgICAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0RpdmluZSBleGVjdXRhYmxlIGlzIG1pc3NpbmcnLCBtZXNzYWdlLFxuICAgICAgICAgICAgICB7IGFsbG93UmVwb3J0OiBmYWxzZSB9KTtcbiAgICAgICAgICAgIHJldHVybiB1bmRlZmluZWQ7XG4gICAgICAgICAgfVxuICAgICAgICAgIC8vIGNvdWxkIGhhcHBlbiBpZiB0aGUgZmlsZSBnb3QgZGVsZXRlZCBzaW5jZSByZWFkaW5nIHRoZSBsaXN0IG9mIHBha3MuXG4gICAgICAgICAgLy8gYWN0dWFsbHksIHRoaXMgc2VlbXMgdG8gYmUgZmFpcmx5IGNvbW1vbiB3aGVuIHVwZGF0aW5nIGEgbW9kXG4gICAgICAgICAgaWYgKGVyci5jb2RlICE9PSAnRU5PRU5UJykge1xuICAgICAgICAgICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIHJlYWQgcGFrLiBQbGVhc2UgbWFrZSBzdXJlIHlvdSBhcmUgdXNpbmcgdGhlIGxhdGVzdCB2ZXJzaW9uIG9mIExTTGliIGJ5IHVzaW5nIHRoZSBcIlJlLWluc3RhbGwgTFNMaWIvRGl2aW5lXCIgdG9vbGJhciBidXR0b24gb24gdGhlIE1vZHMgcGFnZS4nLCBlcnIsIHtcbiAgICAgICAgICAgICAgYWxsb3dSZXBvcnQ6IGZhbHNlLFxuICAgICAgICAgICAgICBtZXNzYWdlOiBmaWxlTmFtZSxcbiAgICAgICAgICAgIH0pO1xuICAgICAgICAgIH1cbiAgICAgICAgICByZXR1cm4gdW5kZWZpbmVkO1xuICAgICAgICB9XG4gICAgICB9O1xuICAgICAgcmV0dXJuIEJsdWViaXJkLnJlc29sdmUoZnVuYygpKTtcbiAgICB9KTtcbiAgfSkpO1xuICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbignYmczLXJlYWRpbmctcGFrcy1hY3Rpdml0eScpO1xuXG4gIHJldHVybiByZXMuZmlsdGVyKGl0ZXIgPT4gaXRlciAhPT0gdW5kZWZpbmVkKTtcbn1cblxuYXN5bmMgZnVuY3Rpb24gcmVhZFBBS0xpc3QoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XG4gIGxldCBwYWtzOiBzdHJpbmdbXTtcbiAgdHJ5IHtcbiAgICBwYWtzID0gKGF3YWl0IGZzLnJlYWRkaXJBc3luYyhtb2RzUGF0aCgpKSlcbiAgICAgIC5maWx0ZXIoZmlsZU5hbWUgPT4gcGF0aC5leHRuYW1lKGZpbGVOYW1lKS50b0xvd2VyQ2FzZSgpID09PSAnLnBhaycpO1xuICB9IGNhdGNoIChlcnIpIHtcbiAgICBpZiAoZXJyLmNvZGUgPT09ICdFTk9FTlQnKSB7XG4gICAgICB0cnkge1xuICAgICAgICBhd2FpdCBmcy5lbnN1cmVEaXJXcml0YWJsZUFzeW5jKG1vZHNQYXRoKCksICgpID0+IFByb21pc2UucmVzb2x2ZSgpKTtcbiAgICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgICAvLyBub3BcbiAgICAgIH1cbiAgICB9IGVsc2Uge1xuICAgICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIHJlYWQgbW9kcyBkaXJlY3RvcnknLCBlcnIsIHtcbiAgICAgICAgaWQ6ICdiZzMtZmFpbGVkLXJlYWQtbW9kcycsXG4gICAgICAgIG1lc3NhZ2U6IG1vZHNQYXRoKCksXG4gICAgICB9KTtcbiAgICB9XG4gICAgcGFrcyA9IFtdO1xuICB9XG5cbiAgcmV0dXJuIHBha3M7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBnZW5Qcm9wcyhjb250ZXh0OiB0eXBlcy5JRXh0ZW5zaW9uQ29udGV4dCwgcHJvZmlsZUlkPzogc3RyaW5nKTogSVByb3BzIHtcbiAgY29uc3QgYXBpID0gY29udGV4dC5hcGk7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHByb2ZpbGU6IHR5cGVzLklQcm9maWxlID0gKHByb2ZpbGVJZCAhPT0gdW5kZWZpbmVkKVxuICAgID8gc2VsZWN0b3JzLnByb2ZpbGVCeUlkKHN0YXRlLCBwcm9maWxlSWQpXG4gICAgOiBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk7XG5cbiAgaWYgKHByb2ZpbGU/LmdhbWVJZCAhPT0gR0FNRV9JRCkge1xuICAgIHJldHVybiB1bmRlZmluZWQ7XG4gIH1cblxuICBjb25zdCBkaXNjb3Zlcnk6IHR5cGVzLklEaXNjb3ZlcnlSZXN1bHQgPSB1dGlsLmdldFNhZmUoc3RhdGUsXG4gICAgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgR0FNRV9JRF0sIHVuZGVmaW5lZCk7XG4gIGlmIChkaXNjb3Zlcnk/LnBhdGggPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybiB1bmRlZmluZWQ7XG4gIH1cblxuICBjb25zdCBtb2RzID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbW9kcycsIEdBTUVfSURdLCB7fSk7XG4gIHJldHVybiB7IGFwaSwgc3RhdGUsIHByb2ZpbGUsIG1vZHMsIGRpc2NvdmVyeSB9O1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZW5zdXJlTE9GaWxlKGNvbnRleHQ6IHR5cGVzLklFeHRlbnNpb25Db250ZXh0LFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBwcm9maWxlSWQ/OiBzdHJpbmcsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHByb3BzPzogSVByb3BzKTogUHJvbWlzZTxzdHJpbmc+IHtcbiAgaWYgKHByb3BzID09PSB1bmRlZmluZWQpIHtcbiAgICBwcm9wcyA9IGdlblByb3BzKGNvbnRleHQsIHByb2ZpbGVJZCk7XG4gIH1cblxuICBpZiAocHJvcHMgPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQoJ2ZhaWxlZCB0byBnZW5lcmF0ZSBnYW1lIHByb3BzJykpO1xuICB9XG5cbiAgY29uc3QgdGFyZ2V0UGF0aCA9IGxvYWRPcmRlckZpbGVQYXRoKHByb3BzLnByb2ZpbGUuaWQpO1xuICB0cnkge1xuICAgIHRyeSB7XG4gICAgICBhd2FpdCBmcy5zdGF0QXN5bmModGFyZ2V0UGF0aCk7XG4gICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICBhd2FpdCBmcy53cml0ZUZpbGVBc3luYyh0YXJnZXRQYXRoLCBKU09OLnN0cmluZ2lmeShbXSksIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KTtcbiAgICB9XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xuICB9ICAgIFxuICBcbiAgXG4gIHJldHVybiB0YXJnZXRQYXRoO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gbG9hZE9yZGVyRmlsZVBhdGgocHJvZmlsZUlkOiBzdHJpbmcpOiBzdHJpbmcge1xuICByZXR1cm4gcGF0aC5qb2luKHV0aWwuZ2V0Vm9ydGV4UGF0aCgndXNlckRhdGEnKSwgR0FNRV9JRCwgcHJvZmlsZUlkICsgJ18nICsgTE9fRklMRV9OQU1FKTtcbn1cblxuIl19
\ No newline at end of file
@@ -1,19 +1,22 @@
 /* eslint-disable */
 import { actions, fs, log, selectors, types, util } from 'vortex-api';
 import path from 'path';
-import * as semver from 'semver';
 import Bluebird from 'bluebird';
 
-import { GAME_ID, LO_FILE_NAME, NOTIF_IMPORT_ACTIVITY } from './common';
-import { BG3Pak, IModNode, IModSettings, IProps } from './types';
+import { GAME_ID, GAME_MODULES, LO_FILE_NAME, NOTIF_IMPORT_ACTIVITY,
+         NOTIF_MISSING_DEPENDENCIES } from './common';
+import { applyBG3MMOrder, parseBG3MMOrder, toBG3MMOrder } from './bg3mm';
+import { BG3Pak, IBG3MMEntry, IModNode, IModSettings, IPakDependency, IProps } from './types';
 import { Builder, parseStringPromise } from 'xml2js';
 import { LockedState } from 'vortex-api/lib/extensions/file_based_loadorder/types/types';
 import { IOpenOptions, ISaveOptions } from 'vortex-api/lib/types/IExtensionContext';
 
 import { DivineExecMissing } from './divineWrapper';
-import { findNode, forceRefresh, logDebug, modsPath, profilesPath } from './util';
+import { findNode, forceRefresh, getPlayerProfiles, logDebug, modsPath, profilesPath } from './util';
 
 import PakInfoCache, { ICacheEntry } from './cache';
+import { setPakConflicts } from './actions';
+import { findPakConflicts } from './pakConflicts';
 
 export async function serialize(context: types.IExtensionContext,
                                 loadOrder: types.LoadOrder,
@@ -34,6 +37,7 @@ export async function serialize(context: types.IExtensionContext,
   // Write the prefixed LO to file.
   await fs.removeAsync(loFilePath).catch({ code: 'ENOENT' }, () => Promise.resolve());
   await fs.writeFileAsync(loFilePath, JSON.stringify(loadOrder), { encoding: 'utf8' });
+  notifyMissingDependencies(context.api, loadOrder);
 
   // check the state for if we are keeping the game one in sync
   // if we are writing vortex's load order, then we will also write the games one
@@ -60,6 +64,7 @@ export async function deserialize(context: types.IExtensionContext): Promise<typ
   }
   
   const paks = await readPAKs(context.api);
+  context.api.store.dispatch(setPakConflicts(findPakConflicts(paks)));
 
   // create if necessary, but load the load order from file    
   const loFilePath = await ensureLOFile(context);
@@ -92,8 +97,15 @@ export async function deserialize(context: types.IExtensionContext): Promise<typ
     
     logDebug('deserialize loadOrder=', loadOrder);
 
-    // filter out any pak files that no longer exist
-    const filteredLoadOrder:types.LoadOrder = loadOrder.filter(entry => paks.find(pak => pak.fileName === entry.id));
+    // filter out any pak files that no longer exist and refresh the pak info
+    //  of the remaining ones in case the pak got updated since.
+    const filteredLoadOrder:types.LoadOrder = loadOrder.reduce((acc, entry) => {
+      const pak = paks.find(pak => pak.fileName === entry.id);
+      if (pak !== undefined) {
+        acc.push({ ...entry, data: pak.info });
+      }
+      return acc;
+    }, []);
 
     logDebug('deserialize filteredLoadOrder=', filteredLoadOrder);
 
@@ -170,18 +182,13 @@ export async function importFromBG3MM(context: types.IExtensionContext): Promise
 
   try {
     const data = await fs.readFileAsync(selectedPath, { encoding: 'utf8' });
-    const loadOrder: any[] = JSON.parse(data);
+    const loadOrder: IBG3MMEntry[] = parseBG3MMOrder(data);
     logDebug('importFromBG3MM loadOrder=', loadOrder);
 
-    const getIndex = (uuid: string): number => {
-      const index = loadOrder.findIndex(entry => entry.UUID !== undefined && entry.UUID === uuid);
-      return index !== -1 ? index : Infinity; // If UUID not found, put it at the end
-    };
-
     const state = api.getState();
     const profileId = selectors.activeProfile(state)?.id;
     const currentLoadOrder = util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
-    const newLO = [...currentLoadOrder].sort((a, b) => getIndex(a.data?.uuid) - getIndex(b.data?.uuid));
+    const newLO = applyBG3MMOrder(currentLoadOrder, loadOrder);
     await serialize(context, newLO, profileId);
   } catch (err) {
     api.showErrorNotification('Failed to import BG3MM load order file', err, { allowReport: false });
@@ -190,6 +197,48 @@ export async function importFromBG3MM(context: types.IExtensionContext): Promise
   }
 }
 
+export async function exportToBG3MM(api: types.IExtensionApi): Promise<void> {
+  let selectedPath: string;
+  if (api.saveFile !== undefined) {
+    const options: ISaveOptions = {
+      title: api.translate('Please choose a BG3MM .json file to export to'),
+      filters: [{ name: 'BG3MM Load Order', extensions: ['json'] }],
+    };
+    selectedPath = await api.saveFile(options);
+  } else {
+    const options: IOpenOptions = {
+      title: api.translate('Please choose a BG3MM .json file to export to'),
+      filters: [{ name: 'BG3MM Load Order', extensions: ['json'] }],
+      create: true
+    };
+    selectedPath = await api.selectFile(options);
+  }
+
+  logDebug(`exportToBG3MM ${selectedPath}`);
+
+  // if no path selected, then cancel probably pressed
+  if (selectedPath === undefined) {
+    return;
+  }
+
+  const state = api.getState();
+  const profileId = selectors.activeProfile(state)?.id;
+  const loadOrder: types.LoadOrder = util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+  try {
+    await fs.writeFileAsync(selectedPath, JSON.stringify(toBG3MMOrder(loadOrder), undefined, 2),
+      { encoding: 'utf8' });
+    api.sendNotification({
+      type: 'success',
+      id: 'bg3-loadorder-exported',
+      title: 'Load Order Exported',
+      message: selectedPath,
+      displayMS: 3000
+    });
+  } catch (err) {
+    api.showErrorNotification('Failed to export BG3MM load order file', err, { allowReport: false });
+  }
+}
+
 export async function importModSettingsFile(api: types.IExtensionApi): Promise<boolean | void> {
 
   const state = api.getState();
@@ -416,7 +465,7 @@ async function processLsxFile(api: types.IExtensionApi, lsxPath:string) {
 
 }
 
-async function exportTo(api: types.IExtensionApi, filepath: string) {
+async function exportTo(api: types.IExtensionApi, filepaths: string[]) {
 
   const state = api.getState();
   const profileId = selectors.activeProfile(state)?.id;
@@ -484,13 +533,15 @@ async function exportTo(api: types.IExtensionApi, filepath: string) {
     modsNode.children[0].node = descriptionNodes;
     loNode.children[0].node = loadOrderNodes;
 
-    writeModSettings(api, modSettings, filepath);
+    for (const filepath of filepaths) {
+      await writeModSettings(api, modSettings, filepath);
+    }
     
     api.sendNotification({
       type: 'success',
       id: 'bg3-loadorder-exported',
       title: 'Load Order Exported',
-      message: filepath,
+      message: filepaths.join('\n'),
       displayMS: 3000
     });
 
@@ -536,16 +587,168 @@ export async function exportToFile(api: types.IExtensionApi): Promise<boolean |
   if(selectedPath === undefined)
     return;
 
-  exportTo(api, selectedPath);
+  exportTo(api, [selectedPath]);
 }
   
 export async function exportToGame(api: types.IExtensionApi): Promise<boolean | void> {
 
-  const settingsPath = path.join(profilesPath(), 'Public', 'modsettings.lsx');
+  const settingsPaths = gameSettingsPaths(api);
+
+  logDebug('exportToGame', settingsPaths);
+
+  await exportTo(api, settingsPaths);
+}
+
+// The game reads the Public profile's modsettings.lsx, the other player profiles
+//  are only written to if the user wants them kept in sync.
+export function gameSettingsPaths(api: types.IExtensionApi): string[] {
+  const publicPath = path.join(profilesPath(), 'Public', 'modsettings.lsx');
+  if (!(api.getState().settings['baldursgate3']?.syncPlayerProfiles ?? false)) {
+    return [publicPath];
+  }
+  const profilePaths = getPlayerProfiles()
+    .map(name => path.join(profilesPath(), name, 'modsettings.lsx'));
+  return Array.from(new Set([publicPath, ...profilePaths]));
+}
+
+interface IModuleInfo {
+  uuid: string;
+  name: string;
+}
+
+export interface IModOrderDiff {
+  added: IModuleInfo[];
+  removed: IModuleInfo[];
+  reordered: IModuleInfo[];
+}
+
+function modOrderFromSettings(modSettings: IModSettings): IModuleInfo[] {
+  const region = findNode(modSettings?.save?.region, 'ModuleSettings');
+  const root = findNode(region?.node, 'root');
+  const modNodes: IModNode[] = findNode(root?.children?.[0]?.node, 'Mods')?.children?.[0]?.node ?? [];
+  const orderNodes: IModNode[] = findNode(root?.children?.[0]?.node, 'ModOrder')?.children?.[0]?.node ?? [];
+  const names: { [uuid: string]: string } = modNodes.reduce((accum, node) => {
+    accum[getAttribute(node, 'UUID')] = getAttribute(node, 'Name');
+    return accum;
+  }, {});
+  // newer versions of the game no longer write a ModOrder node, the order of
+  //  the Mods node is used instead
+  const uuids = ((orderNodes.length > 0) ? orderNodes : modNodes)
+    .map(node => getAttribute(node, 'UUID'))
+    .filter(uuid => uuid !== undefined);
+  return Array.from(new Set(uuids))
+    .map(uuid => ({ uuid, name: names[uuid] ?? uuid }))
+    // the game writes its base module back into the file, which one depends on the
+    //  game version (GustavDev or GustavX)
+    .filter(mod => GAME_MODULES[mod.uuid] === undefined);
+}
+
+function modOrderFromLoadOrder(loadOrder: types.LoadOrder): IModuleInfo[] {
+  return loadOrder
+    .filter(entry => !!entry.data?.uuid && entry.enabled && !entry.data?.isListed)
+    .map(entry => ({ uuid: entry.data.uuid, name: entry.data.name ?? entry.name }));
+}
+
+// Modules that exist in both lists but didn't keep their relative order, that is
+//  everything outside of the longest common subsequence.
+function findReordered(lhs: IModuleInfo[], rhs: IModuleInfo[]): IModuleInfo[] {
+  const lengths: number[][] = Array.from({ length: lhs.length + 1 },
+    () => new Array(rhs.length + 1).fill(0));
+  for (let i = lhs.length - 1; i >= 0; --i) {
+    for (let j = rhs.length - 1; j >= 0; --j) {
+      lengths[i][j] = (lhs[i].uuid === rhs[j].uuid)
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const kept = new Set<string>();
+  let i = 0;
+  let j = 0;
+  while ((i < lhs.length) && (j < rhs.length)) {
+    if (lhs[i].uuid === rhs[j].uuid) {
+      kept.add(lhs[i].uuid);
+      ++i;
+      ++j;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ++i;
+    } else {
+      ++j;
+    }
+  }
+  return rhs.filter(mod => !kept.has(mod.uuid));
+}
+
+export function diffModOrder(expected: IModuleInfo[], actual: IModuleInfo[]): IModOrderDiff {
+  const expectedIds = new Set(expected.map(mod => mod.uuid));
+  const actualIds = new Set(actual.map(mod => mod.uuid));
+  return {
+    added: actual.filter(mod => !expectedIds.has(mod.uuid)),
+    removed: expected.filter(mod => !actualIds.has(mod.uuid)),
+    reordered: findReordered(expected.filter(mod => actualIds.has(mod.uuid)),
+                             actual.filter(mod => expectedIds.has(mod.uuid))),
+  };
+}
+
+function renderDiff(api: types.IExtensionApi, diff: IModOrderDiff): string {
+  const t = api.translate;
+  const section = (title: string, mods: IModuleInfo[]) => (mods.length > 0)
+    ? `[b]${t(title)}[/b][list]${mods.map(mod => `[*]${mod.name}`).join('')}[/list]`
+    : '';
+  return [
+    section('Added', diff.added),
+    section('Removed', diff.removed),
+    section('Moved', diff.reordered),
+  ].join('');
+}
+
+// The game (and other mod managers) may rewrite modsettings.lsx, e.g. the game
+//  drops mods it fails to load. As long as Vortex is responsible for the game's
+//  load order we check for such changes after the game exits and let the user
+//  decide which order to keep.
+export async function checkModSettingsChanged(api: types.IExtensionApi): Promise<void> {
+  const state = api.getState();
+  if (!(state.settings['baldursgate3']?.autoExportLoadOrder ?? false)) {
+    return;
+  }
+  const profileId = selectors.activeProfile(state)?.id;
+  const loadOrder: types.LoadOrder = util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+  const expected = modOrderFromLoadOrder(loadOrder);
 
-  logDebug(`exportToGame ${settingsPath}`);
+  for (const settingsPath of gameSettingsPaths(api)) {
+    let modSettings: IModSettings;
+    try {
+      modSettings = await readLsxFile(settingsPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log('warn', 'failed to read mod settings', { settingsPath, error: err.message });
+      }
+      continue;
+    }
+    const diff = diffModOrder(expected, modOrderFromSettings(modSettings));
+    if ((diff.added.length + diff.removed.length + diff.reordered.length) === 0) {
+      continue;
+    }
 
-  exportTo(api, settingsPath);
+    const result = await api.showDialog('question', 'Load Order Changed', {
+      bbcode: api.translate('The load order in "{{settingsPath}}" was changed outside of Vortex, '
+        + 'most likely by the game or another mod manager.[br][/br][br][/br]', { replace: { settingsPath } })
+        + renderDiff(api, diff)
+        + api.translate('[br][/br]You can accept these changes into your Vortex load order '
+        + 'or overwrite them with the load order managed by Vortex.'),
+    }, [
+      { label: 'Accept Changes' },
+      { label: 'Re-apply Vortex Order', default: true },
+    ]);
+    if (result.action === 'Accept Changes') {
+      await processLsxFile(api, settingsPath);
+      // write the accepted order back so that all synced profiles match again
+      await exportToGame(api);
+    } else if (result.action === 'Re-apply Vortex Order') {
+      await exportToGame(api);
+    }
+    // any other profiles were just rewritten or the user chose to ignore the change
+    return;
+  }
 }
 
 export async function deepRefresh(api: types.IExtensionApi): Promise<boolean | void> {
@@ -589,21 +792,148 @@ async function writeModSettings(api: types.IExtensionApi, data: IModSettings, fi
   }
 }
 
+function isGameModule(dependency: IPakDependency): boolean {
+  return GAME_MODULES[dependency.uuid] !== undefined;
+}
+
+function dependencyName(dependency: IPakDependency): string {
+  return dependency.name ?? dependency.folder ?? dependency.uuid;
+}
+
+interface IDependencyIssues {
+  entry: types.ILoadOrderEntry;
+  missing: IPakDependency[];
+  loadedAfter: IPakDependency[];
+}
+
+function findDependencyIssues(loadOrder: types.LoadOrder): IDependencyIssues[] {
+  // disabled mods don't get loaded so they can't satisfy a dependency
+  const enabled = loadOrder.filter(entry => entry.enabled);
+  const positions: { [uuid: string]: number } = enabled.reduce((accum, entry, idx) => {
+    if (entry.data?.uuid !== undefined) {
+      accum[entry.data.uuid] = idx;
+    }
+    return accum;
+  }, {});
+
+  return enabled.map((entry, idx) => {
+    const dependencies: IPakDependency[] = (entry.data?.dependencies ?? [])
+      .filter(dep => !isGameModule(dep));
+    return {
+      entry,
+      missing: dependencies.filter(dep => positions[dep.uuid] === undefined),
+      loadedAfter: dependencies.filter(dep => positions[dep.uuid] > idx),
+    };
+  }).filter(issues => (issues.missing.length > 0) || (issues.loadedAfter.length > 0));
+}
+
 export async function validate(prev: types.LoadOrder,
-                               current: types.LoadOrder): Promise<any> {
-  // Nothing to validate really - the game does not read our load order file
-  //  and we don't want to apply any restrictions either, so we just
-  //  return.
-  return undefined;
+                               current: types.LoadOrder): Promise<types.IValidationResult> {
+  // The game itself doesn't care about the order of dependencies, but mods
+  //  will not work correctly if their dependencies get loaded after them.
+  //  Missing dependencies can't be fixed by reordering, they are reported by
+  //  notifyMissingDependencies instead of keeping us from saving the load order.
+  const invalid = findDependencyIssues(current)
+    .filter(issues => issues.loadedAfter.length > 0)
+    .map(issues => ({
+      id: issues.entry.id,
+      reason: `Must be loaded after: ${issues.loadedAfter.map(dependencyName).join(', ')}`,
+    }));
+
+  return (invalid.length > 0) ? { invalid } : undefined;
 }
 
-async function readPAKs(api: types.IExtensionApi) : Promise<Array<ICacheEntry>> {
+export function notifyMissingDependencies(api: types.IExtensionApi, loadOrder: types.LoadOrder) {
+  const missing = findDependencyIssues(loadOrder).filter(issues => issues.missing.length > 0);
+  if (missing.length === 0) {
+    api.dismissNotification(NOTIF_MISSING_DEPENDENCIES);
+    return;
+  }
+  api.sendNotification({
+    id: NOTIF_MISSING_DEPENDENCIES,
+    type: 'warning',
+    message: 'Some mods are missing dependencies',
+    actions: [
+      {
+        title: 'More',
+        action: () => api.showDialog('info', 'Missing Dependencies', {
+          bbcode: api.translate('The following mods require other mods that are not installed or not '
+            + 'enabled. They will not work correctly until you install and enable them.')
+            + '[list]' + missing.map(issues => `[*]${issues.entry.name}: `
+              + issues.missing.map(dependencyName).join(', ')).join('') + '[/list]',
+        }, [
+          { label: 'Close' },
+        ]),
+      },
+    ],
+  });
+}
+
+// Topologically sorts the unlocked entries so that each mod is loaded after its
+//  dependencies, while keeping the current order wherever possible.
+//  Locked entries keep their positions.
+export function sortByDependencies(loadOrder: types.LoadOrder): types.LoadOrder {
+  const unlocked = loadOrder.filter(entry => !entry.locked);
+  const uuids = new Set(unlocked.map(entry => entry.data?.uuid).filter(uuid => uuid !== undefined));
+  const dependsOn = (entry: types.ILoadOrderEntry): string[] => (entry.data?.dependencies ?? [])
+    .map(dep => dep.uuid)
+    .filter(uuid => uuids.has(uuid) && (uuid !== entry.data?.uuid));
+
+  const byUuid = unlocked.reduce((accum, entry) => {
+    if (entry.data?.uuid !== undefined) {
+      accum[entry.data.uuid] = entry;
+    }
+    return accum;
+  }, {} as { [uuid: string]: types.ILoadOrderEntry });
+
+  // depth first - dependencies get pulled up in front of the first mod
+  //  that requires them
+  const sorted: types.ILoadOrderEntry[] = [];
+  const placed = new Set<types.ILoadOrderEntry>();
+  const visiting: types.ILoadOrderEntry[] = [];
+  const place = (entry: types.ILoadOrderEntry) => {
+    if (placed.has(entry)) {
+      return;
+    }
+    if (visiting.includes(entry)) {
+      const cycle = visiting.slice(visiting.indexOf(entry)).map(iter => iter.name).join(', ');
+      throw new util.DataInvalid(`These mods have cyclic dependencies: ${cycle}`);
+    }
+    visiting.push(entry);
+    dependsOn(entry).forEach(uuid => place(byUuid[uuid]));
+    visiting.pop();
+    placed.add(entry);
+    sorted.push(entry);
+  };
+  unlocked.forEach(place);
+
+  return loadOrder.map(entry => entry.locked ? entry : sorted.shift());
+}
+
+export async function sortLoadOrderByDependencies(api: types.IExtensionApi): Promise<void> {
   const state = api.getState();
-  const lsLib = getLatestLSLibMod(api);
-  if (lsLib === undefined) {
-    return [];
+  const profileId = selectors.activeProfile(state)?.id;
+  const loadOrder: types.LoadOrder = util.getSafe(state, ['persistent', 'loadOrder', profileId], []);
+  try {
+    const newLO = sortByDependencies(loadOrder);
+    api.store.dispatch(actions.setLoadOrder(profileId, newLO as any));
+    api.sendNotification({
+      type: 'success',
+      id: 'bg3-loadorder-sorted',
+      message: 'Load order sorted by dependencies',
+      displayMS: 3000,
+    });
+  } catch (err) {
+    api.showErrorNotification('Failed to sort load order', err, {
+      allowReport: !(err instanceof util.DataInvalid),
+    });
   }
+}
 
+async function readPAKs(api: types.IExtensionApi) : Promise<Array<ICacheEntry>> {
+  const state = api.getState();
+  // paks are read natively, LSLib is only required for the package
+  //  formats we can't read ourselves.
   const paks = await readPAKList(api);
 
   // logDebug('paks', paks);
@@ -686,36 +1016,6 @@ async function readPAKList(api: types.IExtensionApi) {
   return paks;
 }
 
-function getLatestLSLibMod(api: types.IExtensionApi) {
-  const state = api.getState();
-  const mods: { [modId: string]: types.IMod } = state.persistent.mods[GAME_ID];
-  if (mods === undefined) {
-    log('warn', 'LSLib is not installed');
-    return undefined;
-  }
-  const lsLib: types.IMod = Object.keys(mods).reduce((prev: types.IMod, id: string) => {
-    if (mods[id].type === 'bg3-lslib-divine-tool') {
-      const latestVer = util.getSafe(prev, ['attributes', 'version'], '0.0.0');
-      const currentVer = util.getSafe(mods[id], ['attributes', 'version'], '0.0.0');
-      try {
-        if (semver.gt(currentVer, latestVer)) {
-          prev = mods[id];
-        }
-      } catch (err) {
-        log('warn', 'invalid mod version', { modId: id, version: currentVer });
-      }
-    }
-    return prev;
-  }, undefined);
-
-  if (lsLib === undefined) {
-    log('warn', 'LSLib is not installed');
-    return undefined;
-  }
-
-  return lsLib;
-}
-
 export function genProps(context: types.IExtensionContext, profileId?: string): IProps {
   const api = context.api;
   const state = api.getState();
@@ -0,0 +1,237 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.readPackageFile = exports.readPackage = exports.decompressLZ4Block = exports.LSPKInvalid = exports.LSPKUnsupported = void 0;
+const path = __importStar(require("path"));
+const fs_1 = require("fs");
+const zlib = __importStar(require("zlib"));
+const LSPK_SIGNATURE = 0x4B50534C;
+const MIN_VERSION = 15;
+const MAX_VERSION = 18;
+const NAME_LENGTH = 256;
+const FILE_ENTRY_15_SIZE = 296;
+const FILE_ENTRY_18_SIZE = 272;
+const FLAG_SOLID = 0x04;
+const COMPRESSION_MASK = 0x0F;
+const LZ4_FRAME_MAGIC = 0x184D2204;
+var CompressionMethod;
+(function (CompressionMethod) {
+    CompressionMethod[CompressionMethod["None"] = 0] = "None";
+    CompressionMethod[CompressionMethod["Zlib"] = 1] = "Zlib";
+    CompressionMethod[CompressionMethod["LZ4"] = 2] = "LZ4";
+})(CompressionMethod || (CompressionMethod = {}));
+class LSPKUnsupported extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LSPKUnsupported';
+    }
+}
+exports.LSPKUnsupported = LSPKUnsupported;
+class LSPKInvalid extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LSPKInvalid';
+    }
+}
+exports.LSPKInvalid = LSPKInvalid;
+function readAt(handle, position, length) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = yield handle.read(buffer, 0, length, position);
+        if (bytesRead !== length) {
+            throw new LSPKInvalid('Unexpected end of file');
+        }
+        return buffer;
+    });
+}
+function decompressLZ4Block(input, outputSize) {
+    const output = Buffer.alloc(outputSize);
+    let ip = 0;
+    let op = 0;
+    const readLength = (base) => {
+        let length = base;
+        if (base === 15) {
+            let value;
+            do {
+                if (ip >= input.length) {
+                    throw new LSPKInvalid('Truncated LZ4 block');
+                }
+                value = input[ip++];
+                length += value;
+            } while (value === 255);
+        }
+        return length;
+    };
+    while (ip < input.length) {
+        const token = input[ip++];
+        const literalLength = readLength(token >> 4);
+        if ((ip + literalLength > input.length) || (op + literalLength > outputSize)) {
+            throw new LSPKInvalid('Invalid LZ4 literal length');
+        }
+        input.copy(output, op, ip, ip + literalLength);
+        ip += literalLength;
+        op += literalLength;
+        if (ip >= input.length) {
+            break;
+        }
+        if (ip + 2 > input.length) {
+            throw new LSPKInvalid('Truncated LZ4 block');
+        }
+        const matchOffset = input[ip] | (input[ip + 1] << 8);
+        ip += 2;
+        const matchLength = readLength(token & 0x0F) + 4;
+        if ((matchOffset === 0) || (matchOffset > op) || (op + matchLength > outputSize)) {
+            throw new LSPKInvalid('Invalid LZ4 match');
+        }
+        for (let i = 0; i < matchLength; i++) {
+            output[op] = output[op - matchOffset];
+            op++;
+        }
+    }
+    return (op === outputSize) ? output : output.subarray(0, op);
+}
+exports.decompressLZ4Block = decompressLZ4Block;
+function parseEntries(data, numFiles) {
+    const entrySize = data.length / numFiles;
+    if ((entrySize !== FILE_ENTRY_15_SIZE) && (entrySize !== FILE_ENTRY_18_SIZE)) {
+        throw new LSPKUnsupported(`Unsupported file entry size ${entrySize}`);
+    }
+    const entries = [];
+    for (let i = 0; i < numFiles; i++) {
+        const base = i * entrySize;
+        const nameEnd = data.indexOf(0, base);
+        const name = data.toString('utf8', base, ((nameEnd !== -1) && (nameEnd < base + NAME_LENGTH)) ? nameEnd : base + NAME_LENGTH);
+        const pos = base + NAME_LENGTH;
+        if (entrySize === FILE_ENTRY_15_SIZE) {
+            entries.push({
+                name,
+                offset: Number(data.readBigUInt64LE(pos)),
+                sizeOnDisk: Number(data.readBigUInt64LE(pos + 8)),
+                uncompressedSize: Number(data.readBigUInt64LE(pos + 16)),
+                archivePart: data.readUInt32LE(pos + 24),
+                flags: data.readUInt32LE(pos + 28),
+                crc: data.readUInt32LE(pos + 32),
+            });
+        }
+        else {
+            entries.push({
+                name,
+                offset: data.readUInt32LE(pos) + data.readUInt16LE(pos + 4) * 0x100000000,
+                archivePart: data.readUInt8(pos + 6),
+                flags: data.readUInt8(pos + 7),
+                sizeOnDisk: data.readUInt32LE(pos + 8),
+                uncompressedSize: data.readUInt32LE(pos + 12),
+                crc: 0,
+            });
+        }
+    }
+    return entries;
+}
+function readPackage(pakPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const handle = yield fs_1.promises.open(pakPath, 'r');
+        try {
+            const header = yield readAt(handle, 0, 40);
+            if (header.readUInt32LE(0) !== LSPK_SIGNATURE) {
+                throw new LSPKUnsupported('LSPK signature not found at the start of the package');
+            }
+            const version = header.readUInt32LE(4);
+            if ((version < MIN_VERSION) || (version > MAX_VERSION)) {
+                throw new LSPKUnsupported(`Unsupported package version ${version}`);
+            }
+            const fileListOffset = Number(header.readBigUInt64LE(8));
+            const flags = header.readUInt8(20);
+            const priority = header.readUInt8(21);
+            if ((flags & FLAG_SOLID) !== 0) {
+                throw new LSPKUnsupported('Solid packages are not supported');
+            }
+            const listHeader = yield readAt(handle, fileListOffset, 8);
+            const numFiles = listHeader.readUInt32LE(0);
+            const compressedSize = listHeader.readUInt32LE(4);
+            if (numFiles === 0) {
+                return { filePath: pakPath, version, flags, priority, entries: [] };
+            }
+            const compressed = yield readAt(handle, fileListOffset + 8, compressedSize);
+            const fileList = decompressLZ4Block(compressed, numFiles * FILE_ENTRY_15_SIZE);
+            return { filePath: pakPath, version, flags, priority, entries: parseEntries(fileList, numFiles) };
+        }
+        finally {
+            yield handle.close();
+        }
+    });
+}
+exports.readPackage = readPackage;
+function partPath(pakPath, part) {
+    if (part === 0) {
+        return pakPath;
+    }
+    const ext = path.extname(pakPath);
+    return path.join(path.dirname(pakPath), `${path.basename(pakPath, ext)}_${part}${ext}`);
+}
+function readPackageFile(pkg, entry) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const handle = yield fs_1.promises.open(partPath(pkg.filePath, entry.archivePart), 'r');
+        let data;
+        try {
+            data = yield readAt(handle, entry.offset, entry.sizeOnDisk);
+        }
+        finally {
+            yield handle.close();
+        }
+        const method = entry.flags & COMPRESSION_MASK;
+        if ((method === CompressionMethod.None) || (entry.uncompressedSize === 0)) {
+            return data;
+        }
+        switch (method) {
+            case CompressionMethod.Zlib: {
+                try {
+                    return zlib.inflateSync(data);
+                }
+                catch (err) {
+                    throw new LSPKInvalid(`Failed to inflate "${entry.name}": ${err.message}`);
+                }
+            }
+            case CompressionMethod.LZ4: {
+                if ((data.length >= 4) && (data.readUInt32LE(0) === LZ4_FRAME_MAGIC)) {
+                    throw new LSPKUnsupported(`"${entry.name}" uses LZ4 frame compression`);
+                }
+                return decompressLZ4Block(data, entry.uncompressedSize);
+            }
+            default:
+                throw new LSPKUnsupported(`"${entry.name}" uses unsupported compression method ${method}`);
+        }
+    });
+}
+exports.readPackageFile = readPackageFile;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibHNway5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImxzcGsudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFDQSwyQ0FBNkI7QUFDN0IsMkJBQTRDO0FBQzVDLDJDQUE2QjtBQU83QixNQUFNLGNBQWMsR0FBRyxVQUFVLENBQUM7QUFDbEMsTUFBTSxXQUFXLEdBQUcsRUFBRSxDQUFDO0FBQ3ZCLE1BQU0sV0FBVyxHQUFHLEVBQUUsQ0FBQztBQUd2QixNQUFNLFdBQVcsR0FBRyxHQUFHLENBQUM7QUFFeEIsTUFBTSxrQkFBa0IsR0FBRyxHQUFHLENBQUM7QUFFL0IsTUFBTSxrQkFBa0IsR0FBRyxHQUFHLENBQUM7QUFFL0IsTUFBTSxVQUFVLEdBQUcsSUFBSSxDQUFDO0FBQ3hCLE1BQU0sZ0JBQWdCLEdBQUcsSUFBSSxDQUFDO0FBRTlCLE1BQU0sZUFBZSxHQUFHLFVBQVUsQ0FBQztBQUVuQyxJQUFLLGlCQUlKO0FBSkQsV0FBSyxpQkFBaUI7SUFDcEIseURBQVEsQ0FBQTtJQUNSLHlEQUFRLENBQUE7SUFDUix1REFBTyxDQUFBO0FBQ1QsQ0FBQyxFQUpJLGlCQUFpQixLQUFqQixpQkFBaUIsUUFJckI7QUFFRCxNQUFhLGVBQWdCLFNBQVEsS0FBSztJQUN4QyxZQUFZLE9BQWU7UUFDekIsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ2YsSUFBSSxDQUFDLElBQUksR0FBRyxpQkFBaUIsQ0FBQztJQUNoQyxDQUFDO0NBQ0Y7QUFMRCwwQ0FLQztBQUVELE1BQWEsV0FBWSxTQUFRLEtBQUs7SUFDcEMsWUFBWSxPQUFlO1FBQ3pCLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNmLElBQUksQ0FBQyxJQUFJLEdBQUcsYUFBYSxDQUFDO0lBQzVCLENBQUM7Q0FDRjtBQUxELGtDQUtDO0FBc0JELFNBQWUsTUFBTSxDQUFDLE1BQTZCLEVBQUUsUUFBZ0IsRUFBRSxNQUFjOztRQUNuRixNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3BDLE1BQU0sRUFBRSxTQUFTLEVBQUUsR0FBRyxNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFDckUsSUFBSSxTQUFTLEtBQUssTUFBTSxFQUFFO1lBQ3hCLE1BQU0sSUFBSSxXQUFXLENBQUMsd0JBQXdCLENBQUMsQ0FBQztTQUNqRDtRQUNELE9BQU8sTUFBTSxDQUFDO0lBQ2hCLENBQUM7Q0FBQTtBQUdELFNBQWdCLGtCQUFrQixDQUFDLEtBQWEsRUFBRSxVQUFrQjtJQUNsRSxNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ3hDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQztJQUNYLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQztJQUNYLE1BQU0sVUFBVSxHQUFHLENBQUMsSUFBWSxFQUFVLEVBQUU7UUFDMUMsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDO1FBQ2xCLElBQUksSUFBSSxLQUFLLEVBQUUsRUFBRTtZQUNmLElBQUksS0FBYSxDQUFDO1lBQ2xCLEdBQUc7Z0JBQ0QsSUFBSSxFQUFFLElBQUksS0FBSyxDQUFDLE1BQU0sRUFBRTtvQkFDdEIsTUFBTSxJQUFJLFdBQVcsQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO2lCQUM5QztnQkFDRCxLQUFLLEdBQUcsS0FBSyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7Z0JBQ3BCLE1BQU0sSUFBSSxLQUFLLENBQUM7YUFDakIsUUFBUSxLQUFLLEtBQUssR0FBRyxFQUFFO1NBQ3pCO1FBQ0QsT0FBTyxNQUFNLENBQUM7SUFDaEIsQ0FBQyxDQUFDO0lBRUYsT0FBTyxFQUFFLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRTtRQUN4QixNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUMxQixNQUFNLGFBQWEsR0FBRyxVQUFVLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQzdDLElBQUksQ0FBQyxFQUFFLEdBQUcsYUFBYSxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxhQUFhLEdBQUcsVUFBVSxDQUFDLEVBQUU7WUFDNUUsTUFBTSxJQUFJLFdBQVcsQ0FBQyw0QkFBNEIsQ0FBQyxDQUFDO1NBQ3JEO1FBQ0QsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEdBQUcsYUFBYSxDQUFDLENBQUM7UUFDL0MsRUFBRSxJQUFJLGFBQWEsQ0FBQztRQUNwQixFQUFFLElBQUksYUFBYSxDQUFDO1FBQ3BCLElBQUksRUFBRSxJQUFJLEtBQUssQ0FBQyxNQUFNLEVBQUU7WUFFdEIsTUFBTTtTQUNQO1FBRUQsSUFBSSxFQUFFLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUU7WUFDekIsTUFBTSxJQUFJLFdBQVcsQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1NBQzlDO1FBQ0QsTUFBTSxXQUFXLEdBQUcsS0FBSyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNyRCxFQUFFLElBQUksQ0FBQyxDQUFDO1FBQ1IsTUFBTSxXQUFXLEdBQUcsVUFBVSxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDakQsSUFBSSxDQUFDLFdBQVcsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLFdBQVcsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxXQUFXLEdBQUcsVUFBVSxDQUFDLEVBQUU7WUFDaEYsTUFBTSxJQUFJLFdBQVcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO1NBQzVDO1FBRUQsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFdBQVcsRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUNwQyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxDQUFDLEVBQUUsR0FBRyxXQUFXLENBQUMsQ0FBQztZQUN0QyxFQUFFLEVBQUUsQ0FBQztTQUNOO0tBQ0Y7SUFFRCxPQUFPLENBQUMsRUFBRSxLQUFLLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0FBQy9ELENBQUM7QUFsREQsZ0RBa0RDO0FBRUQsU0FBUyxZQUFZLENBQUMsSUFBWSxFQUFFLFFBQWdCO0lBQ2xELE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxNQUFNLEdBQUcsUUFBUSxDQUFDO0lBQ3pDLElBQUksQ0FBQyxTQUFTLEtBQUssa0JBQWtCLENBQUMsSUFBSSxDQUFDLFNBQVMsS0FBSyxrQkFBa0IsQ0FBQyxFQUFFO1FBQzVFLE1BQU0sSUFBSSxlQUFlLENBQUMsK0JBQStCLFNBQVMsRUFBRSxDQUFDLENBQUM7S0FDdkU7SUFFRCxNQUFNLE9BQU8sR0FBaUIsRUFBRSxDQUFDO0lBQ2pDLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxRQUFRLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDakMsTUFBTSxJQUFJLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQztRQUMzQixNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQztRQUN0QyxNQUFNLElBQUksR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxJQUFJLEVBQ3JDLENBQUMsQ0FBQyxPQUFPLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sR0FBRyxJQUFJLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsV0FBVyxDQUFDLENBQUM7UUFDdkYsTUFBTSxHQUFHLEdBQUcsSUFBSSxHQUFHLFdBQVcsQ0FBQztRQUMvQixJQUFJLFNBQVMsS0FBSyxrQkFBa0IsRUFBRTtZQUNwQyxPQUFPLENBQUMsSUFBSSxDQUFDO2dCQUNYLElBQUk7Z0JBQ0osTUFBTSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUN6QyxVQUFVLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUNqRCxnQkFBZ0IsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxHQUFHLEdBQUcsRUFBRSxDQUFDLENBQUM7Z0JBQ3hELFdBQVcsRUFBRSxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsR0FBRyxFQUFFLENBQUM7Z0JBQ3hDLEtBQUssRUFBRSxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsR0FBRyxFQUFFLENBQUM7Z0JBQ2xDLEdBQUcsRUFBRSxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsR0FBRyxFQUFFLENBQUM7YUFDakMsQ0FBQyxDQUFDO1NBQ0o7YUFBTTtZQUNMLE9BQU8sQ0FBQyxJQUFJLENBQUM7Z0JBQ1gsSUFBSTtnQkFDSixNQUFNLEVBQUUsSUFBSSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsR0FBRyxXQUFXO2dCQUN6RSxXQUFXLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO2dCQUNwQyxLQUFLLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO2dCQUM5QixVQUFVLEVBQUUsSUFBSSxDQUFDLFlBQVksQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO2dCQUN0QyxnQkFBZ0IsRUFBRSxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsR0FBRyxFQUFFLENBQUM7Z0JBQzdDLEdBQUcsRUFBRSxDQUFDO2FBQ1AsQ0FBQyxDQUFDO1NBQ0o7S0FDRjtJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ2pCLENBQUM7QUFFRCxTQUFzQixXQUFXLENBQUMsT0FBZTs7UUFDL0MsTUFBTSxNQUFNLEdBQUcsTUFBTSxhQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQztRQUNuRCxJQUFJO1lBR0YsTUFBTSxNQUFNLEdBQUcsTUFBTSxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUMzQyxJQUFJLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLEtBQUssY0FBYyxFQUFFO2dCQUU3QyxNQUFNLElBQUksZUFBZSxDQUFDLHNEQUFzRCxDQUFDLENBQUM7YUFDbkY7WUFDRCxNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3ZDLElBQUksQ0FBQyxPQUFPLEdBQUcsV0FBVyxDQUFDLElBQUksQ0FBQyxPQUFPLEdBQUcsV0FBVyxDQUFDLEVBQUU7Z0JBQ3RELE1BQU0sSUFBSSxlQUFlLENBQUMsK0JBQStCLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDckU7WUFDRCxNQUFNLGNBQWMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLGVBQWUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3pELE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDbkMsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUN0QyxJQUFJLENBQUMsS0FBSyxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMsRUFBRTtnQkFDOUIsTUFBTSxJQUFJLGVBQWUsQ0FBQyxrQ0FBa0MsQ0FBQyxDQUFDO2FBQy9EO1lBRUQsTUFBTSxVQUFVLEdBQUcsTUFBTSxNQUFNLENBQUMsTUFBTSxFQUFFLGNBQWMsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUMzRCxNQUFNLFFBQVEsR0FBRyxVQUFVLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzVDLE1BQU0sY0FBYyxHQUFHLFVBQVUsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDbEQsSUFBSSxRQUFRLEtBQUssQ0FBQyxFQUFFO2dCQUNsQixPQUFPLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLENBQUM7YUFDckU7WUFDRCxNQUFNLFVBQVUsR0FBRyxNQUFNLE1BQU0sQ0FBQyxNQUFNLEVBQUUsY0FBYyxHQUFHLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQztZQUc1RSxNQUFNLFFBQVEsR0FBRyxrQkFBa0IsQ0FBQyxVQUFVLEVBQUUsUUFBUSxHQUFHLGtCQUFrQixDQUFDLENBQUM7WUFDL0UsT0FBTyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLFlBQVksQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLEVBQUUsQ0FBQztTQUNuRztnQkFBUztZQUNSLE1BQU0sTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO1NBQ3RCO0lBQ0gsQ0FBQztDQUFBO0FBbkNELGtDQW1DQztBQUVELFNBQVMsUUFBUSxDQUFDLE9BQWUsRUFBRSxJQUFZO0lBQzdDLElBQUksSUFBSSxLQUFLLENBQUMsRUFBRTtRQUNkLE9BQU8sT0FBTyxDQUFDO0tBQ2hCO0lBQ0QsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUNsQyxPQUFPLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxJQUFJLElBQUksR0FBRyxHQUFHLEVBQUUsQ0FBQyxDQUFDO0FBQzFGLENBQUM7QUFFRCxTQUFzQixlQUFlLENBQUMsR0FBaUIsRUFBRSxLQUFpQjs7UUFDeEUsTUFBTSxNQUFNLEdBQUcsTUFBTSxhQUFVLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQztRQUNyRixJQUFJLElBQVksQ0FBQztRQUNqQixJQUFJO1lBQ0YsSUFBSSxHQUFHLE1BQU0sTUFBTSxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUM3RDtnQkFBUztZQUNSLE1BQU0sTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO1NBQ3RCO1FBRUQsTUFBTSxNQUFNLEdBQUcsS0FBSyxDQUFDLEtBQUssR0FBRyxnQkFBZ0IsQ0FBQztRQUM5QyxJQUFJLENBQUMsTUFBTSxLQUFLLGlCQUFpQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLGdCQUFnQixLQUFLLENBQUMsQ0FBQyxFQUFFO1lBQ3pFLE9BQU8sSUFBSSxDQUFDO1NBQ2I7UUFDRCxRQUFRLE1BQU0sRUFBRTtZQUNkLEtBQUssaUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQzNCLElBQUk7b0JBQ0YsT0FBTyxJQUFJLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxDQUFDO2lCQUMvQjtnQkFBQyxPQUFPLEdBQUcsRUFBRTtvQkFDWixNQUFNLElBQUksV0FBVyxDQUFDLHNCQUFzQixLQUFLLENBQUMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2lCQUM1RTthQUNGO1lBQ0QsS0FBSyxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsQ0FBQztnQkFDMUIsSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxLQUFLLGVBQWUsQ0FBQyxFQUFFO29CQUNwRSxNQUFNLElBQUksZUFBZSxDQUFDLElBQUksS0FBSyxDQUFDLElBQUksOEJBQThCLENBQUMsQ0FBQztpQkFDekU7Z0JBQ0QsT0FBTyxrQkFBa0IsQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLGdCQUFnQixDQUFDLENBQUM7YUFDekQ7WUFDRDtnQkFDRSxNQUFNLElBQUksZUFBZSxDQUFDLElBQUksS0FBSyxDQUFDLElBQUkseUNBQXlDLE1BQU0sRUFBRSxDQUFDLENBQUM7U0FDOUY7SUFDSCxDQUFDO0NBQUE7QUE5QkQsMENBOEJDIiwic291cmNlc0NvbnRlbnQiOlsiLyogZXNsaW50LWRpc2FibGUgKi9cbmltcG9ydCAqIGFzIHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgeyBwcm9taXNlcyBhcyBmc1Byb21pc2VzIH0gZnJvbSAnZnMnO1xuaW1wb3J0ICogYXMgemxpYiBmcm9tICd6bGliJztcblxuLy8gTmF0aXZlIHJlYWRlciBmb3IgdGhlIExTUEsgY29udGFpbmVyIGZvcm1hdCB1c2VkIGJ5IEJHMyAodmVyc2lvbnMgMTUgdG8gMTgpLFxuLy8gIGFsbG93cyB1cyB0byBsaXN0IHBhY2thZ2UgY29udGVudHMgYW5kIGV4dHJhY3Qgc2luZ2xlIGZpbGVzIHdpdGhvdXQgaGF2aW5nXG4vLyAgdG8gc3Bhd24gZGl2aW5lLmV4ZS4gQW55dGhpbmcgd2UgZG9uJ3Qga25vdyBob3cgdG8gcmVhZCByYWlzZXNcbi8vICBMU1BLVW5zdXBwb3J0ZWQgc28gdGhhdCB0aGUgY2FsbGVyIGNhbiBmYWxsIGJhY2sgdG8gZGl2aW5lLlxuXG5jb25zdCBMU1BLX1NJR05BVFVSRSA9IDB4NEI1MDUzNEM7IC8vICdMU1BLJ1xuY29uc3QgTUlOX1ZFUlNJT04gPSAxNTtcbmNvbnN0IE1BWF9WRVJTSU9OID0gMTg7XG5cbi8vIFRoZSBmaWxlIG5hbWUgaXMgc3RvcmVkIGFzIGEgbnVsbCB0ZXJtaW5hdGVkIHN0cmluZyBpbiBhIGZpeGVkIHNpemUgYnVmZmVyXG5jb25zdCBOQU1FX0xFTkdUSCA9IDI1Njtcbi8vIHYxNSBhbmQgdjE2IGVudHJpZXMgdXNlIDY0Yml0IG9mZnNldHMvc2l6ZXMgYW5kIGluY2x1ZGUgYSBDUkNcbmNvbnN0IEZJTEVfRU5UUllfMTVfU0laRSA9IDI5Njtcbi8vIHYxOCBlbnRyaWVzIHVzZSBhIDQ4Yml0IG9mZnNldCBhbmQgMzJiaXQgc2l6ZXNcbmNvbnN0IEZJTEVfRU5UUllfMThfU0laRSA9IDI3MjtcblxuY29uc3QgRkxBR19TT0xJRCA9IDB4MDQ7XG5jb25zdCBDT01QUkVTU0lPTl9NQVNLID0gMHgwRjtcblxuY29uc3QgTFo0X0ZSQU1FX01BR0lDID0gMHgxODREMjIwNDtcblxuZW51bSBDb21wcmVzc2lvbk1ldGhvZCB7XG4gIE5vbmUgPSAwLFxuICBabGliID0gMSxcbiAgTFo0ID0gMixcbn1cblxuZXhwb3J0IGNsYXNzIExTUEtVbnN1cHBvcnRlZCBleHRlbmRzIEVycm9yIHtcbiAgY29uc3RydWN0b3IobWVzc2FnZTogc3RyaW5nKSB7XG4gICAgc3VwZXIobWVzc2FnZSk7XG4gICAgdGhpcy5uYW1lID0gJ0xTUEtVbnN1cHBvcnRlZCc7XG4gIH1cbn1cblxuZXhwb3J0IGNsYXNzIExTUEtJbnZhbGlkIGV4dGVuZHMgRXJyb3Ige1xuICBjb25zdHJ1Y3RvcihtZXNzYWdlOiBzdHJpbmcpIHtcbiAgICBzdXBlcihtZXNzYWdlKTtcbiAgICB0aGlzLm5hbWUgPSAnTFNQS0ludmFsaWQnO1xuICB9XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUxTUEtFbnRyeSB7XG4gIC8vIFBhdGggaW5zaWRlIHRoZSBwYWNrYWdlLCBhbHdheXMgdXNlcyBmb3J3YXJkIHNsYXNoZXNcbiAgbmFtZTogc3RyaW5nO1xuICBvZmZzZXQ6IG51bWJlcjtcbiAgc2l6ZU9uRGlzazogbnVtYmVyO1xuICAvLyAwIGlmIHRoZSBmaWxlIGlzIHN0b3JlZCB3aXRob3V0IGNvbXByZXNzaW9uXG4gIHVuY29tcHJlc3NlZFNpemU6IG51bWJlcjtcbiAgYXJjaGl2ZVBhcnQ6IG51bWJlcjtcbiAgZmxhZ3M6IG51bWJlcjtcbiAgY3JjOiBudW1iZXI7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUxTUEtQYWNrYWdlIHtcbiAgZmlsZVBhdGg6IHN0cmluZztcbiAgdmVyc2lvbjogbnVtYmVyO1xuICBmbGFnczogbnVtYmVyO1xuICBwcmlvcml0eTogbnVtYmVyO1xuICBlbnRyaWVzOiBJTFNQS0VudHJ5W107XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHJlYWRBdChoYW5kbGU6IGZzUHJvbWlzZXMuRmlsZUhhbmRsZSwgcG9zaXRpb246IG51bWJlciwgbGVuZ3RoOiBudW1iZXIpOiBQcm9taXNlPEJ1ZmZlcj4ge1xuICBjb25zdCBidWZmZXIgPSBCdWZmZXIuYWxsb2MobGVuZ3RoKTtcbiAgY29uc3QgeyBieXRlc1JlYWQgfSA9IGF3YWl0IGhhbmRsZS5yZWFkKGJ1ZmZlciwgMCwgbGVuZ3RoLCBwb3NpdGlvbik7XG4gIGlmIChieXRlc1JlYWQgIT09IGxlbmd0aCkge1xuICAgIHRocm93IG5ldyBMU1BLSW52YWxpZCgnVW5leHBlY3RlZCBlbmQgb2YgZmlsZScpO1xuICB9XG4gIHJldHVybiBidWZmZXI7XG59XG5cbi8vIERlY29tcHJlc3NlcyBhIHJhdyBMWjQgYmxvY2sgKG5vIGZyYW1lIGhlYWRlcikgb2Yga25vd24gb3V0cHV0IHNpemUuXG5leHBvcnQgZnVuY3Rpb24gZGVjb21wcmVzc0xaNEJsb2NrKGlucHV0OiBCdWZmZXIsIG91dHB1dFNpemU6IG51bWJlcik6IEJ1ZmZlciB7XG4gIGNvbnN0IG91dHB1dCA9IEJ1ZmZlci5hbGxvYyhvdXRwdXRTaXplKTtcbiAgbGV0IGlwID0gMDtcbiAgbGV0IG9wID0gMDtcbiAgY29uc3QgcmVhZExlbmd0aCA9IChiYXNlOiBudW1iZXIpOiBudW1iZXIgPT4ge1xuICAgIGxldCBsZW5ndGggPSBiYXNlO1xuICAgIGlmIChiYXNlID09PSAxNSkge1xuICAgICAgbGV0IHZhbHVlOiBudW1iZXI7XG4gICAgICBkbyB7XG4gICAgICAgIGlmIChpcCA+PSBpbnB1dC5sZW5ndGgpIHtcbiAgICAgICAgICB0aHJvdyBuZXcgTFNQS0ludmFsaWQoJ1RydW5jYXRlZCBMWjQgYmxvY2snKTtcbiAgICAgICAgfVxuICAgICAgICB2YWx1ZSA9IGlucHV0W2lwKytdO1xuICAgICAgICBsZW5ndGggKz0gdmFsdWU7XG4gICAgICB9IHdoaWxlICh2YWx1ZSA9PT0gMjU1KTtcbiAgICB9XG4gICAgcmV0dXJuIGxlbmd0aDtcbiAgfTtcblxuICB3aGlsZSAoaXAgPCBpbnB1dC5sZW5ndGgpIHtcbiAgICBjb25zdCB0b2tlbiA9IGlucHV0W2lwKytdO1xuICAgIGNvbnN0IGxpdGVyYWxMZW5ndGggPSByZWFkTGVuZ3RoKHRva2VuID4+IDQpO1xuICAgIGlmICgoaXAgKyBsaXRlcmFsTGVuZ3RoID4gaW5wdXQubGVuZ3RoKSB8fCAob3AgKyBsaXRlcmFsTGVuZ3RoID4gb3V0cHV0U2l6ZSkpIHtcbiAgICAgIHRocm93IG5ldyBMU1BLSW52YWxpZCgnSW52YWxpZCBMWjQgbGl0ZXJhbCBsZW5ndGgnKTtcbiAgICB9XG4gICAgaW5wdXQuY29weShvdXRwdXQsIG9wLCBpcCwgaXAgKyBsaXRlcmFsTGVuZ3RoKTtcbiAgICBpcCArPSBsaXRlcmFsTGVuZ3RoO1xuICAgIG9wICs9IGxpdGVyYWxMZW5ndGg7XG4gICAgaWYgKGlwID49IGlucHV0Lmxlbmd0aCkge1xuICAgICAgLy8gVGhlIGxhc3Qgc2VxdWVuY2Ugb25seSBjb250YWlucyBsaXRlcmFsc1xuICAgICAgYnJlYWs7XG4gICAgfVxuXG4gICAgaWYgKGlwICsgMiA+IGlucHV0Lmxlbmd0aCkge1xuICAgICAgdGhyb3cgbmV3IExTUEtJbnZhbGlkKCdUcnVuY2F0ZWQgTFo0IGJsb2NrJyk7XG4gICAgfVxuICAgIGNvbnN0IG1hdGNoT2Zmc2V0ID0gaW5wdXRbaXBdIHwgKGlucHV0W2lwICsgMV0gPDwgOCk7XG4gICAgaXAgKz0gMjtcbiAgICBjb25zdCBtYXRjaExlbmd0aCA9IHJlYWRMZW5ndGgodG9rZW4gJiAweDBGKSArIDQ7XG4gICAgaWYgKChtYXRjaE9mZnNldCA9PT0gMCkgfHwgKG1hdGNoT2Zmc2V0ID4gb3ApIHx8IChvcCArIG1hdGNoTGVuZ3RoID4gb3V0cHV0U2l6ZSkpIHtcbiAgICAgIHRocm93IG5ldyBMU1BLSW52YWxpZCgnSW52YWxpZCBMWjQgbWF0Y2gnKTtcbiAgICB9XG4gICAgLy8gTWF0Y2hlcyBtYXkgb3ZlcmxhcCB0aGUgYnl0ZXMgdGhleSBwcm9kdWNlLCBoZW5jZSB0aGUgYnl0ZSBieSBieXRlIGNvcHlcbiAgICBmb3IgKGxldCBpID0gMDsgaSA8IG1hdGNoTGVuZ3RoOyBpKyspIHtcbiAgICAgIG91dHB1dFtvcF0gPSBvdXRwdXRbb3AgLSBtYXRjaE9mZnNldF07XG4gICAgICBvcCsrO1xuICAgIH1cbiAgfVxuXG4gIHJldHVybiAob3AgPT09IG91dHB1dFNpemUpID8gb3V0cHV0IDogb3V0cHV0LnN1YmFycmF5KDAsIG9wKTtcbn1cblxuZnVuY3Rpb24gcGFyc2VFbnRyaWVzKGRhdGE6IEJ1ZmZlciwgbnVtRmlsZXM6IG51bWJlcik6IElMU1BLRW50cnlbXSB7XG4gIGNvbnN0IGVudHJ5U2l6ZSA9IGRhdGEubGVuZ3RoIC8gbnVtRmlsZXM7XG4gIGlmICgoZW50cnlTaXplICE9PSBGSUxFX0VOVFJZXzE1X1NJWkUpICYmIChlbnRyeVNpemUgIT09IEZJTEVfRU5UUllfMThfU0laRSkpIHtcbiAgICB0aHJvdyBuZXcgTFNQS1Vuc3VwcG9ydGVkKGBVbnN1cHBvcnRlZCBmaWxlIGVudHJ5IHNpemUgJHtlbnRyeVNpemV9YCk7XG4gIH1cblxuICBjb25zdCBlbnRyaWVzOiBJTFNQS0VudHJ5W10gPSBbXTtcbiAgZm9yIChsZXQgaSA9IDA7IGkgPCBudW1GaWxlczsgaSsrKSB7XG4gICAgY29uc3QgYmFzZSA9IGkgKiBlbnRyeVNpemU7XG4gICAgY29uc3QgbmFtZUVuZCA9IGRhdGEuaW5kZXhPZigwLCBiYXNlKTtcbiAgICBjb25zdCBuYW1lID0gZGF0YS50b1N0cmluZygndXRmOCcsIGJhc2UsXG4gICAgICAoKG5hbWVFbmQgIT09IC0xKSAmJiAobmFtZUVuZCA8IGJhc2UgKyBOQU1FX0xFTkdUSCkpID8gbmFtZUVuZCA6IGJhc2UgKyBOQU1FX0xFTkdUSCk7XG4gICAgY29uc3QgcG9zID0gYmFzZSArIE5BTUVfTEVOR1RIO1xuICAgIGlmIChlbnRyeVNpemUgPT09IEZJTEVfRU5UUllfMTVfU0laRSkge1xuICAgICAgZW50cmllcy5wdXNoKHtcbiAgICAgICAgbmFtZSxcbiAgICAgICAgb2Zmc2V0OiBOdW1iZXIoZGF0YS5yZWFkQmlnVUludDY0TEUocG9zKSksXG4gICAgICAgIHNpemVPbkRpc2s6IE51bWJlcihkYXRhLnJlYWRCaWdVSW50NjRMRShwb3MgKyA4KSksXG4gICAgICAgIHVuY29tcHJlc3NlZFNpemU6IE51bWJlcihkYXRhLnJlYWRCaWdVSW50NjRMRShwb3MgKyAxNikpLFxuICAgICAgICBhcmNoaXZlUGFydDogZGF0YS5yZWFkVUludDMyTEUocG9zICsgMjQpLFxuICAgICAgICBmbGFnczogZGF0YS5yZWFkVUludDMyTEUocG9zICsgMjgpLFxuICAgICAgICBjcmM6IGRhdGEucmVhZFVJbnQzMkxFKHBvcyArIDMyKSxcbiAgICAgIH0pO1xuICAgIH0gZWxzZSB7XG4gICAgICBlbnRyaWVzLnB1c2goe1xuICAgICAgICBuYW1lLFxuICAgICAgICBvZmZzZXQ6IGRhdGEucmVhZFVJbnQzMkxFKHBvcykgKyBkYXRhLnJlYWRVSW50MTZMRShwb3MgKyA0KSAqIDB4MTAwMDAwMDAwLFxuICAgICAgICBhcmNoaXZlUGFydDogZGF0YS5yZWFkVUludDgocG9zICsgNiksXG4gICAgICAgIGZsYWdzOiBkYXRhLnJlYWRVSW50OChwb3MgKyA3KSxcbiAgICAgICAgc2l6ZU9uRGlzazogZGF0YS5yZWFkVUludDMyTEUocG9zICsgOCksXG4gICAgICAgIHVuY29tcHJlc3NlZFNpemU6IGRhdGEucmVhZFVJbnQzMkxFKHBvcyArIDEyKSxcbiAgICAgICAgY3JjOiAwLFxuICAgICAgfSk7XG4gICAgfVxuICB9XG4gIHJldHVybiBlbnRyaWVzO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gcmVhZFBhY2thZ2UocGFrUGF0aDogc3RyaW5nKTogUHJvbWlzZTxJTFNQS1BhY2thZ2U+IHtcbiAgY29uc3QgaGFuZGxlID0gYXdhaXQgZnNQcm9taXNlcy5vcGVuKHBha1BhdGgsICdyJyk7XG4gIHRyeSB7XG4gICAgLy8gc2lnbmF0dXJlICg0KSwgdmVyc2lvbiAoNCksIGZpbGUgbGlzdCBvZmZzZXQgKDgpLCBmaWxlIGxpc3Qgc2l6ZSAoNCksXG4gICAgLy8gIGZsYWdzICgxKSwgcHJpb3JpdHkgKDEpLCBtZDUgKDE2KSBhbmQgZm9yIHYxNisgdGhlIG51bWJlciBvZiBwYXJ0cyAoMilcbiAgICBjb25zdCBoZWFkZXIgPSBhd2FpdCByZWFkQXQoaGFuZGxlLCAwLCA0MCk7XG4gICAgaWYgKGhlYWRlci5yZWFkVUludDMyTEUoMCkgIT09IExTUEtfU0lHTkFUVVJFKSB7XG4gICAgICAvLyBPbGRlciB2ZXJzaW9ucyBzdG9yZSB0aGUgaGVhZGVyIGF0IHRoZSBlbmQgb2YgdGhlIGZpbGVcbiAgICAgIHRocm93IG5ldyBMU1BLVW5zdXBwb3J0ZWQoJ0xTUEsgc2lnbmF0dXJlIG5vdCBmb3VuZCBhdCB0aGUgc3RhcnQgb2YgdGhlIHBhY2thZ2UnKTtcbiAgICB9XG4gICAgY29uc3QgdmVyc2lvbiA9IGhlYWRlci5yZWFkVUludDMyTEUoNCk7XG4gICAgaWYgKCh2ZXJzaW9uIDwgTUlOX1ZFUlNJT04pIHx8ICh2ZXJzaW9uID4gTUFYX1ZFUlNJT04pKSB7XG4gICAgICB0aHJvdyBuZXcgTFNQS1Vuc3VwcG9ydGVkKGBVbnN1cHBvcnRlZCBwYWNrYWdlIHZlcnNpb24gJHt2ZXJzaW9ufWApO1xuICAgIH1cbiAgICBjb25zdCBmaWxlTGlzdE9mZnNldCA9IE51bWJlcihoZWFkZXIucmVhZEJpZ1VJbnQ2NExFKDgpKTtcbiAgICBjb25zdCBmbGFncyA9IGhlYWRlci5yZWFkVUludDgoMjApO1xuICAgIGNvbnN0IHByaW9yaXR5ID0gaGVhZGVyLnJlYWRVSW50OCgyMSk7XG4gICAgaWYgKChmbGFncyAmIEZMQUdfU09MSUQpICE9PSAwKSB7XG4gICAgICB0aHJvdyBuZXcgTFNQS1Vuc3VwcG9ydGVkKCdTb2xpZCBwYWNrYWdlcyBhcmUgbm90IHN1cHBvcnRlZCcpO1xuICAgIH1cblxuICAgIGNvbnN0IGxpc3RIZWFkZXIgPSBhd2FpdCByZWFkQXQoaGFuZGxlLCBmaWxlTGlzdE9mZnNldCwgOCk7XG4gICAgY29uc3QgbnVtRmlsZXMgPSBsaXN0SGVhZGVyLnJlYWRVSW50MzJMRSgwKTtcbiAgICBjb25zdCBjb21wcmVzc2VkU2l6ZSA9IGxpc3RIZWFkZXIucmVhZFVJbnQzMkxFKDQpO1xuICAgIGlmIChudW1GaWxlcyA9PT0gMCkge1xuICAgICAgcmV0dXJuIHsgZmlsZVBhdGg6IHBha1BhdGgsIHZlcnNpb24sIGZsYWdzLCBwcmlvcml0eSwgZW50cmllczogW10gfTtcbiAgICB9XG4gICAgY29uc3QgY29tcHJlc3NlZCA9IGF3YWl0IHJlYWRBdChoYW5kbGUsIGZpbGVMaXN0T2Zmc2V0ICsgOCwgY29tcHJlc3NlZFNpemUpO1xuICAgIC8vIExlYXZlIHJvb20gZm9yIHRoZSBsYXJnZXIgZW50cnkgbGF5b3V0LCB0aGUgbGF5b3V0IGlzIHRoZW4gZGV0ZXJtaW5lZFxuICAgIC8vICBieSB0aGUgYWN0dWFsIHNpemUgb2YgdGhlIGRlY29tcHJlc3NlZCBsaXN0LlxuICAgIGNvbnN0IGZpbGVMaXN0ID0gZGVjb21wcmVzc0xaNEJsb2NrKGNvbXByZXNzZWQsIG51bUZpbGVzICogRklMRV9FTlRSWV8xNV9TSVpFKTtcbiAgICByZXR1cm4geyBmaWxlUGF0aDogcGFrUGF0aCwgdmVyc2lvbiwgZmxhZ3MsIHByaW9yaXR5LCBlbnRyaWVzOiBwYXJzZUVudHJpZXMoZmlsZUxpc3QsIG51bUZpbGVzKSB9O1xuICB9IGZpbmFsbHkge1xuICAgIGF3YWl0IGhhbmRsZS5jbG9zZSgpO1xuICB9XG59XG5cbmZ1bmN0aW9uIHBhcnRQYXRoKHBha1BhdGg6IHN0cmluZywgcGFydDogbnVtYmVyKTogc3RyaW5nIHtcbiAgaWYgKHBhcnQgPT09IDApIHtcbiAgICByZXR1cm4gcGFrUGF0aDtcbiAgfVxuICBjb25zdCBleHQgPSBwYXRoLmV4dG5hbWUocGFrUGF0aCk7XG4gIHJldHVybiBwYXRoLmpvaW4ocGF0aC5kaXJuYW1lKHBha1BhdGgpLCBgJHtwYXRoLmJhc2VuYW1lKHBha1BhdGgsIGV4dCl9XyR7cGFydH0ke2V4dH1gKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHJlYWRQYWNrYWdlRmlsZShwa2c6IElMU1BLUGFja2FnZSwgZW50cnk6IElMU1BLRW50cnkpOiBQcm9taXNlPEJ1ZmZlcj4ge1xuICBjb25zdCBoYW5kbGUgPSBhd2FpdCBmc1Byb21pc2VzLm9wZW4ocGFydFBhdGgocGtnLmZpbGVQYXRoLCBlbnRyeS5hcmNoaXZlUGFydCksICdyJyk7XG4gIGxldCBkYXRhOiBCdWZmZXI7XG4gIHRyeSB7XG4gICAgZGF0YSA9IGF3YWl0IHJlYWRBdChoYW5kbGUsIGVudHJ5Lm9mZnNldCwgZW50cnkuc2l6ZU9uRGlzayk7XG4gIH0gZmluYWxseSB7XG4gICAgYXdhaXQgaGFuZGxlLmNsb3NlKCk7XG4gIH1cblxuICBjb25zdCBtZXRob2QgPSBlbnRyeS5mbGFncyAmIENPTVBSRVNTSU9OX01BU0s7XG4gIGlmICgobWV0aG9kID09PSBDb21wcmVzc2lvbk1ldGhvZC5Ob25lKSB8fCAoZW50cnkudW5jb21wcmVzc2VkU2l6ZSA9PT0gMCkpIHtcbiAgICByZXR1cm4gZGF0YTtcbiAgfVxuICBzd2l0Y2ggKG1ldGhvZCkge1xuICAgIGNhc2UgQ29tcHJlc3Npb25NZXRob2QuWmxpYjoge1xuICAgICAgdHJ5IHtcbiAgICAgICAgcmV0dXJuIHpsaWIuaW5mbGF0ZVN5bmMoZGF0YSk7XG4gICAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgICAgdGhyb3cgbmV3IExTUEtJbnZhbGlkKGBGYWlsZWQgdG8gaW5mbGF0ZSBcIiR7ZW50cnkubmFtZX1cIjogJHtlcnIubWVzc2FnZX1gKTtcbiAgICAgIH1cbiAgICB9XG4gICAgY2FzZSBDb21wcmVzc2lvbk1ldGhvZC5MWjQ6IHtcbiAgICAgIGlmICgoZGF0YS5sZW5ndGggPj0gNCkgJiYgKGRhdGEucmVhZFVJbnQzMkxFKDApID09PSBMWjRfRlJBTUVfTUFHSUMpKSB7XG4gICAgICAgIHRocm93IG5ldyBMU1BLVW5zdXBwb3J0ZWQoYFwiJHtlbnRyeS5uYW1lfVwiIHVzZXMgTFo0IGZyYW1lIGNvbXByZXNzaW9uYCk7XG4gICAgICB9XG4gICAgICByZXR1cm4gZGVjb21wcmVzc0xaNEJsb2NrKGRhdGEsIGVudHJ5LnVuY29tcHJlc3NlZFNpemUpO1xuICAgIH1cbiAgICBkZWZhdWx0OlxuICAgICAgdGhyb3cgbmV3IExTUEtVbnN1cHBvcnRlZChgXCIke2VudHJ5Lm5hbWV9XCIgdXNlcyB1bnN1cHBvcnRlZCBjb21wcmVzc2lvbiBtZXRob2QgJHttZXRob2R9YCk7XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
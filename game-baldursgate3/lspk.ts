@@ -0,0 +1,242 @@
+/* eslint-disable */
+import * as path from 'path';
+import { promises as fsPromises } from 'fs';
+import * as zlib from 'zlib';
+
+// Native reader for the LSPK container format used by BG3 (versions 15 to 18),
+//  allows us to list package contents and extract single files without having
+//  to spawn divine.exe. Anything we don't know how to read raises
+//  LSPKUnsupported so that the caller can fall back to divine.
+
+const LSPK_SIGNATURE = 0x4B50534C; // 'LSPK'
+const MIN_VERSION = 15;
+const MAX_VERSION = 18;
+
+// The file name is stored as a null terminated string in a fixed size buffer
+const NAME_LENGTH = 256;
+// v15 and v16 entries use 64bit offsets/sizes and include a CRC
+const FILE_ENTRY_15_SIZE = 296;
+// v18 entries use a 48bit offset and 32bit sizes
+const FILE_ENTRY_18_SIZE = 272;
+
+const FLAG_SOLID = 0x04;
+const COMPRESSION_MASK = 0x0F;
+
+const LZ4_FRAME_MAGIC = 0x184D2204;
+
+enum CompressionMethod {
+  None = 0,
+  Zlib = 1,
+  LZ4 = 2,
+}
+
+export class LSPKUnsupported extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'LSPKUnsupported';
+  }
+}
+
+export class LSPKInvalid extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'LSPKInvalid';
+  }
+}
+
+export interface ILSPKEntry {
+  // Path inside the package, always uses forward slashes
+  name: string;
+  offset: number;
+  sizeOnDisk: number;
+  // 0 if the file is stored without compression
+  uncompressedSize: number;
+  archivePart: number;
+  flags: number;
+  crc: number;
+}
+
+export interface ILSPKPackage {
+  filePath: string;
+  version: number;
+  flags: number;
+  priority: number;
+  entries: ILSPKEntry[];
+}
+
+async function readAt(handle: fsPromises.FileHandle, position: number, length: number): Promise<Buffer> {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  if (bytesRead !== length) {
+    throw new LSPKInvalid('Unexpected end of file');
+  }
+  return buffer;
+}
+
+// Decompresses a raw LZ4 block (no frame header) of known output size.
+export function decompressLZ4Block(input: Buffer, outputSize: number): Buffer {
+  const output = Buffer.alloc(outputSize);
+  let ip = 0;
+  let op = 0;
+  const readLength = (base: number): number => {
+    let length = base;
+    if (base === 15) {
+      let value: number;
+      do {
+        if (ip >= input.length) {
+          throw new LSPKInvalid('Truncated LZ4 block');
+        }
+        value = input[ip++];
+        length += value;
+      } while (value === 255);
+    }
+    return length;
+  };
+
+  while (ip < input.length) {
+    const token = input[ip++];
+    const literalLength = readLength(token >> 4);
+    if ((ip + literalLength > input.length) || (op + literalLength > outputSize)) {
+      throw new LSPKInvalid('Invalid LZ4 literal length');
+    }
+    input.copy(output, op, ip, ip + literalLength);
+    ip += literalLength;
+    op += literalLength;
+    if (ip >= input.length) {
+      // The last sequence only contains literals
+      break;
+    }
+
+    if (ip + 2 > input.length) {
+      throw new LSPKInvalid('Truncated LZ4 block');
+    }
+    const matchOffset = input[ip] | (input[ip + 1] << 8);
+    ip += 2;
+    const matchLength = readLength(token & 0x0F) + 4;
+    if ((matchOffset === 0) || (matchOffset > op) || (op + matchLength > outputSize)) {
+      throw new LSPKInvalid('Invalid LZ4 match');
+    }
+    // Matches may overlap the bytes they produce, hence the byte by byte copy
+    for (let i = 0; i < matchLength; i++) {
+      output[op] = output[op - matchOffset];
+      op++;
+    }
+  }
+
+  return (op === outputSize) ? output : output.subarray(0, op);
+}
+
+function parseEntries(data: Buffer, numFiles: number): ILSPKEntry[] {
+  const entrySize = data.length / numFiles;
+  if ((entrySize !== FILE_ENTRY_15_SIZE) && (entrySize !== FILE_ENTRY_18_SIZE)) {
+    throw new LSPKUnsupported(`Unsupported file entry size ${entrySize}`);
+  }
+
+  const entries: ILSPKEntry[] = [];
+  for (let i = 0; i < numFiles; i++) {
+    const base = i * entrySize;
+    const nameEnd = data.indexOf(0, base);
+    const name = data.toString('utf8', base,
+      ((nameEnd !== -1) && (nameEnd < base + NAME_LENGTH)) ? nameEnd : base + NAME_LENGTH);
+    const pos = base + NAME_LENGTH;
+    if (entrySize === FILE_ENTRY_15_SIZE) {
+      entries.push({
+        name,
+        offset: Number(data.readBigUInt64LE(pos)),
+        sizeOnDisk: Number(data.readBigUInt64LE(pos + 8)),
+        uncompressedSize: Number(data.readBigUInt64LE(pos + 16)),
+        archivePart: data.readUInt32LE(pos + 24),
+        flags: data.readUInt32LE(pos + 28),
+        crc: data.readUInt32LE(pos + 32),
+      });
+    } else {
+      entries.push({
+        name,
+        offset: data.readUInt32LE(pos) + data.readUInt16LE(pos + 4) * 0x100000000,
+        archivePart: data.readUInt8(pos + 6),
+        flags: data.readUInt8(pos + 7),
+        sizeOnDisk: data.readUInt32LE(pos + 8),
+        uncompressedSize: data.readUInt32LE(pos + 12),
+        crc: 0,
+      });
+    }
+  }
+  return entries;
+}
+
+export async function readPackage(pakPath: string): Promise<ILSPKPackage> {
+  const handle = await fsPromises.open(pakPath, 'r');
+  try {
+    // signature (4), version (4), file list offset (8), file list size (4),
+    //  flags (1), priority (1), md5 (16) and for v16+ the number of parts (2)
+    const header = await readAt(handle, 0, 40);
+    if (header.readUInt32LE(0) !== LSPK_SIGNATURE) {
+      // Older versions store the header at the end of the file
+      throw new LSPKUnsupported('LSPK signature not found at the start of the package');
+    }
+    const version = header.readUInt32LE(4);
+    if ((version < MIN_VERSION) || (version > MAX_VERSION)) {
+      throw new LSPKUnsupported(`Unsupported package version ${version}`);
+    }
+    const fileListOffset = Number(header.readBigUInt64LE(8));
+    const flags = header.readUInt8(20);
+    const priority = header.readUInt8(21);
+    if ((flags & FLAG_SOLID) !== 0) {
+      throw new LSPKUnsupported('Solid packages are not supported');
+    }
+
+    const listHeader = await readAt(handle, fileListOffset, 8);
+    const numFiles = listHeader.readUInt32LE(0);
+    const compressedSize = listHeader.readUInt32LE(4);
+    if (numFiles === 0) {
+      return { filePath: pakPath, version, flags, priority, entries: [] };
+    }
+    const compressed = await readAt(handle, fileListOffset + 8, compressedSize);
+    // Leave room for the larger entry layout, the layout is then determined
+    //  by the actual size of the decompressed list.
+    const fileList = decompressLZ4Block(compressed, numFiles * FILE_ENTRY_15_SIZE);
+    return { filePath: pakPath, version, flags, priority, entries: parseEntries(fileList, numFiles) };
+  } finally {
+    await handle.close();
+  }
+}
+
+function partPath(pakPath: string, part: number): string {
+  if (part === 0) {
+    return pakPath;
+  }
+  const ext = path.extname(pakPath);
+  return path.join(path.dirname(pakPath), `${path.basename(pakPath, ext)}_${part}${ext}`);
+}
+
+export async function readPackageFile(pkg: ILSPKPackage, entry: ILSPKEntry): Promise<Buffer> {
+  const handle = await fsPromises.open(partPath(pkg.filePath, entry.archivePart), 'r');
+  let data: Buffer;
+  try {
+    data = await readAt(handle, entry.offset, entry.sizeOnDisk);
+  } finally {
+    await handle.close();
+  }
+
+  const method = entry.flags & COMPRESSION_MASK;
+  if ((method === CompressionMethod.None) || (entry.uncompressedSize === 0)) {
+    return data;
+  }
+  switch (method) {
+    case CompressionMethod.Zlib: {
+      try {
+        return zlib.inflateSync(data);
+      } catch (err) {
+        throw new LSPKInvalid(`Failed to inflate "${entry.name}": ${err.message}`);
+      }
+    }
+    case CompressionMethod.LZ4: {
+      if ((data.length >= 4) && (data.readUInt32LE(0) === LZ4_FRAME_MAGIC)) {
+        throw new LSPKUnsupported(`"${entry.name}" uses LZ4 frame compression`);
+      }
+      return decompressLZ4Block(data, entry.uncompressedSize);
+    }
+    default:
+      throw new LSPKUnsupported(`"${entry.name}" uses unsupported compression method ${method}`);
+  }
+}
@@ -0,0 +1,399 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.packLooseMods = exports.removeOrphanedPackedMods = exports.setKeepLooseFiles = exports.canSetKeepLooseFiles = exports.keepsLooseFiles = exports.isPackingEnabled = exports.packedModId = void 0;
+const crypto = __importStar(require("crypto"));
+const path = __importStar(require("path"));
+const shortid_1 = require("shortid");
+const turbowalk_1 = __importDefault(require("turbowalk"));
+const vortex_api_1 = require("vortex-api");
+const common_1 = require("./common");
+const divineWrapper_1 = require("./divineWrapper");
+const util_1 = require("./util");
+const PACKED_PREFIX = 'bg3-packed-';
+const DEFAULT_VERSION64 = '36028797018963968';
+function packedModId(sourceModId) {
+    return PACKED_PREFIX + sourceModId;
+}
+exports.packedModId = packedModId;
+function isPackingEnabled(state) {
+    var _a, _b;
+    return (_b = (_a = state.settings['baldursgate3']) === null || _a === void 0 ? void 0 : _a.packLooseMods) !== null && _b !== void 0 ? _b : false;
+}
+exports.isPackingEnabled = isPackingEnabled;
+function keepsLooseFiles(mod) {
+    var _a;
+    return ((_a = mod === null || mod === void 0 ? void 0 : mod.attributes) === null || _a === void 0 ? void 0 : _a.keepLooseFiles) === true;
+}
+exports.keepsLooseFiles = keepsLooseFiles;
+function sourceModOf(mods, modId) {
+    var _a, _b;
+    const packedFrom = (_b = (_a = mods[modId]) === null || _a === void 0 ? void 0 : _a.attributes) === null || _b === void 0 ? void 0 : _b.packedFrom;
+    return (packedFrom !== undefined) ? mods[packedFrom] : mods[modId];
+}
+function canSetKeepLooseFiles(state, modIds, keepLoose) {
+    var _a;
+    const mods = (_a = state.persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {};
+    return isPackingEnabled(state) && modIds
+        .map(modId => sourceModOf(mods, modId))
+        .some(mod => ((mod === null || mod === void 0 ? void 0 : mod.type) === common_1.MOD_TYPE_LOOSE) && (keepsLooseFiles(mod) !== keepLoose));
+}
+exports.canSetKeepLooseFiles = canSetKeepLooseFiles;
+function setKeepLooseFiles(api, modIds, keepLoose) {
+    var _a;
+    const state = api.getState();
+    const profile = vortex_api_1.selectors.activeProfile(state);
+    if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+        return;
+    }
+    const mods = (_a = state.persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {};
+    const isEnabled = (modId) => vortex_api_1.util.getSafe(profile, ['modState', modId, 'enabled'], false);
+    const sources = Array.from(new Set(modIds.map(modId => sourceModOf(mods, modId))))
+        .filter(mod => ((mod === null || mod === void 0 ? void 0 : mod.type) === common_1.MOD_TYPE_LOOSE) && (keepsLooseFiles(mod) !== keepLoose));
+    const batched = [];
+    for (const sourceMod of sources) {
+        batched.push(vortex_api_1.actions.setModAttribute(common_1.GAME_ID, sourceMod.id, 'keepLooseFiles', keepLoose));
+        if (keepLoose && isEnabled(packedModId(sourceMod.id))) {
+            batched.push(vortex_api_1.actions.setModEnabled(profile.id, packedModId(sourceMod.id), false));
+            batched.push(vortex_api_1.actions.setModEnabled(profile.id, sourceMod.id, true));
+        }
+    }
+    if (batched.length > 0) {
+        batched.push(vortex_api_1.actions.setDeploymentNecessary(common_1.GAME_ID, true));
+        vortex_api_1.util.batchDispatch(api.store, batched);
+    }
+}
+exports.setKeepLooseFiles = setKeepLooseFiles;
+function escapeXml(input) {
+    return (input !== null && input !== void 0 ? input : '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+function moduleUUID(sourceModId) {
+    const hash = crypto.createHash('md5').update(PACKED_PREFIX + sourceModId).digest('hex');
+    return [
+        hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32),
+    ].join('-');
+}
+function moduleFolder(relPaths, sourceMod) {
+    for (const relPath of relPaths) {
+        const match = relPath.match(/^mods\/([^/]+)\/meta\.lsx$/i);
+        if (match !== null) {
+            return { folder: match[1], hasMeta: true };
+        }
+    }
+    const publicFolder = relPaths
+        .map(relPath => { var _a; return (_a = relPath.match(/^public\/([^/]+)\//i)) === null || _a === void 0 ? void 0 : _a[1]; })
+        .find(folder => folder !== undefined);
+    return {
+        folder: publicFolder !== null && publicFolder !== void 0 ? publicFolder : vortex_api_1.util.renderModName(sourceMod).replace(/[^a-zA-Z0-9_-]/g, '_'),
+        hasMeta: false,
+    };
+}
+function synthesizeMeta(sourceMod, folder) {
+    var _a, _b;
+    const name = vortex_api_1.util.renderModName(sourceMod);
+    const attr = (id, type, value) => `          <attribute id="${id}" type="${type}" value="${escapeXml(value)}"/>`;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<save>',
+        '  <version major="4" minor="0" revision="9" build="331"/>',
+        '  <region id="Config">',
+        '    <node id="root">',
+        '      <children>',
+        '        <node id="Dependencies"/>',
+        '        <node id="ModuleInfo">',
+        attr('Author', 'LSString', (_b = (_a = sourceMod.attributes) === null || _a === void 0 ? void 0 : _a.author) !== null && _b !== void 0 ? _b : ''),
+        attr('CharacterCreationLevelName', 'FixedString', ''),
+        attr('Description', 'LSString', `${name} (packed by Vortex)`),
+        attr('Folder', 'LSString', folder),
+        attr('LobbyLevelName', 'FixedString', ''),
+        attr('MD5', 'LSString', ''),
+        attr('MainMenuBackgroundVideo', 'FixedString', ''),
+        attr('MenuLevelName', 'FixedString', ''),
+        attr('Name', 'LSString', name),
+        attr('NumPlayers', 'uint8', '4'),
+        attr('PhotoBooth', 'FixedString', ''),
+        attr('StartupLevelName', 'FixedString', ''),
+        attr('Tags', 'LSString', ''),
+        attr('Type', 'FixedString', 'Add-on'),
+        attr('UUID', 'FixedString', moduleUUID(sourceMod.id)),
+        attr('Version64', 'int64', DEFAULT_VERSION64),
+        '          <children>',
+        '            <node id="PublishVersion">',
+        `              <attribute id="Version64" type="int64" value="${DEFAULT_VERSION64}"/>`,
+        '            </node>',
+        '            <node id="Scripts"/>',
+        '            <node id="TargetModes">',
+        '              <children>',
+        '                <node id="Target">',
+        '                  <attribute id="Object" type="FixedString" value="Story"/>',
+        '                </node>',
+        '              </children>',
+        '            </node>',
+        '          </children>',
+        '        </node>',
+        '      </children>',
+        '    </node>',
+        '  </region>',
+        '</save>',
+    ].join('\n');
+}
+function readSourceFiles(modPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const topLevel = yield vortex_api_1.fs.readdirAsync(modPath);
+        const dataDir = topLevel.find(name => name.toLowerCase() === 'data');
+        const rootPath = (dataDir !== undefined) ? path.join(modPath, dataDir) : modPath;
+        const files = [];
+        yield (0, turbowalk_1.default)(rootPath, entries => {
+            entries
+                .filter(entry => !entry.isDirectory)
+                .forEach(entry => files.push({
+                relPath: path.relative(rootPath, entry.filePath).replace(/\\/g, '/'),
+                size: entry.size,
+                mtime: entry.mtime,
+            }));
+        });
+        files.sort((lhs, rhs) => lhs.relPath.localeCompare(rhs.relPath));
+        const hash = crypto.createHash('md5')
+            .update(files.map(file => `${file.relPath}|${file.size}|${file.mtime}`).join('\n'))
+            .digest('hex');
+        return { rootPath, relPaths: files.map(file => file.relPath), hash };
+    });
+}
+function pakExists(pakPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield vortex_api_1.fs.statAsync(pakPath);
+            return true;
+        }
+        catch (err) {
+            return false;
+        }
+    });
+}
+function createPackedMod(api, sourceMod) {
+    var _a, _b;
+    return __awaiter(this, void 0, void 0, function* () {
+        const modId = packedModId(sourceMod.id);
+        const mod = {
+            id: modId,
+            state: 'installed',
+            attributes: {
+                name: `${vortex_api_1.util.renderModName(sourceMod)} (Packed)`,
+                description: 'Generated by Vortex from the loose files of the mod it\'s named after. '
+                    + 'It gets rebuilt automatically whenever that mod changes, use "Keep Loose Files" '
+                    + 'on either mod if you prefer to deploy the loose files.',
+                logicalFileName: `${vortex_api_1.util.renderModName(sourceMod)} (Packed)`,
+                version: (_b = (_a = sourceMod.attributes) === null || _a === void 0 ? void 0 : _a.version) !== null && _b !== void 0 ? _b : '1.0.0',
+                installTime: new Date(),
+                packedFrom: sourceMod.id,
+            },
+            installationPath: modId,
+            type: '',
+        };
+        return new Promise((resolve, reject) => {
+            api.events.emit('create-mod', common_1.GAME_ID, mod, (error) => __awaiter(this, void 0, void 0, function* () {
+                if (error !== null) {
+                    return reject(error);
+                }
+                return resolve();
+            }));
+        });
+    });
+}
+function buildPak(api, sourceMod, source, pakDir) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const { folder, hasMeta } = moduleFolder(source.relPaths, sourceMod);
+        const buildPath = path.join(vortex_api_1.util.getVortexPath('temp'), 'bg3-pack', (0, shortid_1.generate)());
+        const pakName = `${folder}.pak`;
+        try {
+            for (const relPath of source.relPaths) {
+                const destPath = path.join(buildPath, relPath);
+                yield vortex_api_1.fs.ensureDirAsync(path.dirname(destPath));
+                yield vortex_api_1.fs.copyAsync(path.join(source.rootPath, relPath), destPath);
+            }
+            if (!hasMeta) {
+                const metaPath = path.join(buildPath, 'Mods', folder, 'meta.lsx');
+                yield vortex_api_1.fs.ensureDirAsync(path.dirname(metaPath));
+                yield vortex_api_1.fs.writeFileAsync(metaPath, synthesizeMeta(sourceMod, folder), { encoding: 'utf8' });
+            }
+            yield vortex_api_1.fs.removeAsync(pakDir).catch({ code: 'ENOENT' }, () => Promise.resolve());
+            yield vortex_api_1.fs.ensureDirWritableAsync(pakDir);
+            const pakPath = path.join(pakDir, pakName);
+            yield (0, divineWrapper_1.createPackage)(api, buildPath, pakPath);
+            if (!(yield pakExists(pakPath))) {
+                throw new Error('divine.exe did not create the package');
+            }
+        }
+        finally {
+            yield vortex_api_1.fs.removeAsync(buildPath).catch(() => Promise.resolve());
+        }
+        return pakName;
+    });
+}
+function updatePackedMod(api, profile, sourceMod) {
+    var _a, _b, _c, _d, _e;
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const stagingPath = vortex_api_1.selectors.installPathForGame(state, common_1.GAME_ID);
+        const modId = packedModId(sourceMod.id);
+        const source = yield readSourceFiles(path.join(stagingPath, sourceMod.installationPath));
+        let packedMod = (_a = state.persistent.mods[common_1.GAME_ID]) === null || _a === void 0 ? void 0 : _a[modId];
+        const upToDate = (packedMod !== undefined)
+            && (((_b = packedMod.attributes) === null || _b === void 0 ? void 0 : _b.packedHash) === source.hash)
+            && (((_c = packedMod.attributes) === null || _c === void 0 ? void 0 : _c.packedPak) !== undefined)
+            && (yield pakExists(path.join(stagingPath, packedMod.installationPath, packedMod.attributes.packedPak)));
+        if (!upToDate) {
+            if (packedMod === undefined) {
+                yield createPackedMod(api, sourceMod);
+                packedMod = (_d = api.getState().persistent.mods[common_1.GAME_ID]) === null || _d === void 0 ? void 0 : _d[modId];
+            }
+            (0, util_1.logDebug)('packing loose mod', { modId: sourceMod.id, files: source.relPaths.length });
+            const pakName = yield buildPak(api, sourceMod, source, path.join(stagingPath, (_e = packedMod === null || packedMod === void 0 ? void 0 : packedMod.installationPath) !== null && _e !== void 0 ? _e : modId));
+            api.store.dispatch(vortex_api_1.actions.setModAttribute(common_1.GAME_ID, modId, 'packedPak', pakName));
+            api.store.dispatch(vortex_api_1.actions.setModAttribute(common_1.GAME_ID, modId, 'packedHash', source.hash));
+            api.store.dispatch(vortex_api_1.actions.setModAttribute(common_1.GAME_ID, modId, 'installTime', new Date()));
+        }
+        const swapped = vortex_api_1.util.getSafe(profile, ['modState', sourceMod.id, 'enabled'], false);
+        api.store.dispatch(vortex_api_1.actions.setModEnabled(profile.id, modId, true));
+        api.store.dispatch(vortex_api_1.actions.setModEnabled(profile.id, sourceMod.id, false));
+        return { rebuilt: !upToDate, swapped };
+    });
+}
+function isOrphaned(mods, mod) {
+    var _a;
+    const packedFrom = (_a = mod.attributes) === null || _a === void 0 ? void 0 : _a.packedFrom;
+    return (packedFrom !== undefined) && (mods[packedFrom] === undefined);
+}
+function removeOrphanedPackedMods(api) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        const mods = (_a = api.getState().persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {};
+        for (const mod of Object.values(mods).filter(iter => isOrphaned(mods, iter))) {
+            yield new Promise(resolve => {
+                api.events.emit('remove-mod', common_1.GAME_ID, mod.id, (error) => {
+                    if (error !== null) {
+                        (0, vortex_api_1.log)('error', 'failed to remove packed mod', { modId: mod.id, error: error.message });
+                    }
+                    return resolve();
+                });
+            });
+        }
+    });
+}
+exports.removeOrphanedPackedMods = removeOrphanedPackedMods;
+function notifySwapped(api, swapped) {
+    var _a;
+    const mods = (_a = api.getState().persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {};
+    const unnotified = swapped.filter(mod => { var _a, _b; return ((_b = (_a = mods[packedModId(mod.id)]) === null || _a === void 0 ? void 0 : _a.attributes) === null || _b === void 0 ? void 0 : _b.swapNotified) !== true; });
+    if (unnotified.length === 0) {
+        return;
+    }
+    vortex_api_1.util.batchDispatch(api.store, unnotified.map(mod => vortex_api_1.actions.setModAttribute(common_1.GAME_ID, packedModId(mod.id), 'swapNotified', true)));
+    const names = unnotified.map(mod => vortex_api_1.util.renderModName(mod));
+    api.sendNotification({
+        id: 'bg3-packed-mods-swapped',
+        type: 'info',
+        title: 'Loose file mods replaced by packed mods',
+        message: names.join(', '),
+        actions: [
+            {
+                title: 'More',
+                action: () => api.showDialog('info', 'Packed Mods', {
+                    bbcode: api.translate('"Pack Loose File Mods" is enabled in the settings, so the following mods '
+                        + 'were disabled and replaced by a "(Packed)" copy which gets deployed as a .pak instead. '
+                        + 'Use "Keep Loose Files" on the Mods page if you want to deploy the loose files of a mod.')
+                        + '[list]' + names.map(name => `[*]${name}`).join('') + '[/list]',
+                }, [
+                    { label: 'Close' },
+                ]),
+            },
+        ],
+    });
+}
+function packLooseMods(api, profile) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const isEnabled = (modId) => vortex_api_1.util.getSafe(profile, ['modState', modId, 'enabled'], false);
+        const mods = (_a = state.persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {};
+        const orphaned = Object.values(mods).filter(mod => isOrphaned(mods, mod) && isEnabled(mod.id));
+        if (orphaned.length > 0) {
+            vortex_api_1.util.batchDispatch(api.store, orphaned.map(mod => vortex_api_1.actions.setModEnabled(profile.id, mod.id, false)));
+        }
+        if (!isPackingEnabled(state) || ((0, util_1.getLatestLSLibMod)(api) === undefined)) {
+            return;
+        }
+        const sources = Object.values(mods).filter(mod => (mod.type === common_1.MOD_TYPE_LOOSE)
+            && !keepsLooseFiles(mod)
+            && (isEnabled(mod.id) || isEnabled(packedModId(mod.id))));
+        const packed = [];
+        const swapped = [];
+        for (const sourceMod of sources) {
+            try {
+                const result = yield updatePackedMod(api, profile, sourceMod);
+                if (result.rebuilt) {
+                    packed.push(vortex_api_1.util.renderModName(sourceMod));
+                }
+                if (result.swapped) {
+                    swapped.push(sourceMod);
+                }
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('error', 'failed to pack loose mod', { modId: sourceMod.id, error: err.message });
+                const allowReport = !(err instanceof divineWrapper_1.DivineExecMissing) && !(err instanceof divineWrapper_1.DivineMissingDotNet)
+                    && !['ENOENT', 'EPERM'].includes(err.code);
+                api.showErrorNotification('Failed to pack loose file mod, its files will be deployed as they are', err, { message: vortex_api_1.util.renderModName(sourceMod), allowReport });
+            }
+        }
+        if (packed.length > 0) {
+            api.sendNotification({
+                id: 'bg3-packed-loose-mods',
+                type: 'info',
+                title: 'Packed loose file mods',
+                message: packed.join(', '),
+                displayMS: 5000,
+            });
+        }
+        notifySwapped(api, swapped);
+    });
+}
+exports.packLooseMods = packLooseMods;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicGFja0xvb3NlLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsicGFja0xvb3NlLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQ0EsK0NBQWlDO0FBQ2pDLDJDQUE2QjtBQUM3QixxQ0FBOEM7QUFDOUMsMERBQTZCO0FBQzdCLDJDQUFzRTtBQUV0RSxxQ0FBbUQ7QUFDbkQsbURBQXdGO0FBQ3hGLGlDQUFxRDtBQU9yRCxNQUFNLGFBQWEsR0FBRyxhQUFhLENBQUM7QUFHcEMsTUFBTSxpQkFBaUIsR0FBRyxtQkFBbUIsQ0FBQztBQUU5QyxTQUFnQixXQUFXLENBQUMsV0FBbUI7SUFDN0MsT0FBTyxhQUFhLEdBQUcsV0FBVyxDQUFDO0FBQ3JDLENBQUM7QUFGRCxrQ0FFQztBQUVELFNBQWdCLGdCQUFnQixDQUFDLEtBQW1COztJQUNsRCxPQUFPLE1BQUEsTUFBQSxLQUFLLENBQUMsUUFBUSxDQUFDLGNBQWMsQ0FBQywwQ0FBRSxhQUFhLG1DQUFJLEtBQUssQ0FBQztBQUNoRSxDQUFDO0FBRkQsNENBRUM7QUFHRCxTQUFnQixlQUFlLENBQUMsR0FBZTs7SUFDN0MsT0FBTyxDQUFBLE1BQUEsR0FBRyxhQUFILEdBQUcsdUJBQUgsR0FBRyxDQUFFLFVBQVUsMENBQUUsY0FBYyxNQUFLLElBQUksQ0FBQztBQUNsRCxDQUFDO0FBRkQsMENBRUM7QUFHRCxTQUFTLFdBQVcsQ0FBQyxJQUFxQyxFQUFFLEtBQWE7O0lBQ3ZFLE1BQU0sVUFBVSxHQUFHLE1BQUEsTUFBQSxJQUFJLENBQUMsS0FBSyxDQUFDLDBDQUFFLFVBQVUsMENBQUUsVUFBVSxDQUFDO0lBQ3ZELE9BQU8sQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBQ3JFLENBQUM7QUFFRCxTQUFnQixvQkFBb0IsQ0FBQyxLQUFtQixFQUFFLE1BQWdCLEVBQUUsU0FBa0I7O0lBQzVGLE1BQU0sSUFBSSxHQUFvQyxNQUFBLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLGdCQUFPLENBQUMsbUNBQUksRUFBRSxDQUFDO0lBQ25GLE9BQU8sZ0JBQWdCLENBQUMsS0FBSyxDQUFDLElBQUksTUFBTTtTQUNyQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDO1NBQ3RDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQSxHQUFHLGFBQUgsR0FBRyx1QkFBSCxHQUFHLENBQUUsSUFBSSxNQUFLLHVCQUFjLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxHQUFHLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDO0FBQ3pGLENBQUM7QUFMRCxvREFLQztBQUVELFNBQWdCLGlCQUFpQixDQUFDLEdBQXdCLEVBQUUsTUFBZ0IsRUFBRSxTQUFrQjs7SUFDOUYsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzdCLE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQy9DLElBQUksQ0FBQSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsTUFBTSxNQUFLLGdCQUFPLEVBQUU7UUFDL0IsT0FBTztLQUNSO0lBQ0QsTUFBTSxJQUFJLEdBQW9DLE1BQUEsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQyxtQ0FBSSxFQUFFLENBQUM7SUFDbkYsTUFBTSxTQUFTLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVUsRUFBRSxLQUFLLEVBQUUsU0FBUyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDbEcsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDL0UsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFBLEdBQUcsYUFBSCxHQUFHLHVCQUFILEdBQUcsQ0FBRSxJQUFJLE1BQUssdUJBQWMsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDekYsTUFBTSxPQUFPLEdBQUcsRUFBRSxDQUFDO0lBQ25CLEtBQUssTUFBTSxTQUFTLElBQUksT0FBTyxFQUFFO1FBQy9CLE9BQU8sQ0FBQyxJQUFJLENBQUMsb0JBQU8sQ0FBQyxlQUFlLENBQUMsZ0JBQU8sRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLGdCQUFnQixFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDMUYsSUFBSSxTQUFTLElBQUksU0FBUyxDQUFDLFdBQVcsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRTtZQUdyRCxPQUFPLENBQUMsSUFBSSxDQUFDLG9CQUFPLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQUUsV0FBVyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ2xGLE9BQU8sQ0FBQyxJQUFJLENBQUMsb0JBQU8sQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7U0FDckU7S0FDRjtJQUNELElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7UUFDdEIsT0FBTyxDQUFDLElBQUksQ0FBQyxvQkFBTyxDQUFDLHNCQUFzQixDQUFDLGdCQUFPLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUM1RCxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0tBQ3hDO0FBQ0gsQ0FBQztBQXhCRCw4Q0F3QkM7QUFFRCxTQUFTLFNBQVMsQ0FBQyxLQUFhO0lBQzlCLE9BQU8sQ0FBQyxLQUFLLGFBQUwsS0FBSyxjQUFMLEtBQUssR0FBSSxFQUFFLENBQUM7U0FDakIsT0FBTyxDQUFDLElBQUksRUFBRSxPQUFPLENBQUM7U0FDdEIsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUM7U0FDckIsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUM7U0FDckIsT0FBTyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsQ0FBQztBQUM3QixDQUFDO0FBSUQsU0FBUyxVQUFVLENBQUMsV0FBbUI7SUFDckMsTUFBTSxJQUFJLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsYUFBYSxHQUFHLFdBQVcsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN4RixPQUFPO1FBQ0wsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFDO0tBQ2hHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQ2QsQ0FBQztBQUVELFNBQVMsWUFBWSxDQUFDLFFBQWtCLEVBQUUsU0FBcUI7SUFDN0QsS0FBSyxNQUFNLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDOUIsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyw2QkFBNkIsQ0FBQyxDQUFDO1FBQzNELElBQUksS0FBSyxLQUFLLElBQUksRUFBRTtZQUNsQixPQUFPLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLENBQUM7U0FDNUM7S0FDRjtJQUNELE1BQU0sWUFBWSxHQUFHLFFBQVE7U0FDMUIsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLFdBQUMsT0FBQSxNQUFBLE9BQU8sQ0FBQyxLQUFLLENBQUMscUJBQXFCLENBQUMsMENBQUcsQ0FBQyxDQUFDLENBQUEsRUFBQSxDQUFDO1NBQ3pELElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sS0FBSyxTQUFTLENBQUMsQ0FBQztJQUN4QyxPQUFPO1FBQ0wsTUFBTSxFQUFFLFlBQVksYUFBWixZQUFZLGNBQVosWUFBWSxHQUFJLGlCQUFJLENBQUMsYUFBYSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsRUFBRSxHQUFHLENBQUM7UUFDckYsT0FBTyxFQUFFLEtBQUs7S0FDZixDQUFDO0FBQ0osQ0FBQztBQUVELFNBQVMsY0FBYyxDQUFDLFNBQXFCLEVBQUUsTUFBYzs7SUFDM0QsTUFBTSxJQUFJLEdBQUcsaUJBQUksQ0FBQyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDM0MsTUFBTSxJQUFJLEdBQUcsQ0FBQyxFQUFVLEVBQUUsSUFBWSxFQUFFLEtBQWEsRUFBRSxFQUFFLENBQ3ZELDRCQUE0QixFQUFFLFdBQVcsSUFBSSxZQUFZLFNBQVMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDO0lBQ2pGLE9BQU87UUFDTCx3Q0FBd0M7UUFDeEMsUUFBUTtRQUNSLDJEQUEyRDtRQUMzRCx3QkFBd0I7UUFDeEIsc0JBQXNCO1FBQ3RCLGtCQUFrQjtRQUNsQixtQ0FBbUM7UUFDbkMsZ0NBQWdDO1FBQ2hDLElBQUksQ0FBQyxRQUFRLEVBQUUsVUFBVSxFQUFFLE1BQUEsTUFBQSxTQUFTLENBQUMsVUFBVSwwQ0FBRSxNQUFNLG1DQUFJLEVBQUUsQ0FBQztRQUM5RCxJQUFJLENBQUMsNEJBQTRCLEVBQUUsYUFBYSxFQUFFLEVBQUUsQ0FBQztRQUNyRCxJQUFJLENBQUMsYUFBYSxFQUFFLFVBQVUsRUFBRSxHQUFHLElBQUkscUJBQXFCLENBQUM7UUFDN0QsSUFBSSxDQUFDLFFBQVEsRUFBRSxVQUFVLEVBQUUsTUFBTSxDQUFDO1FBQ2xDLElBQUksQ0FBQyxnQkFBZ0IsRUFBRSxhQUFhLEVBQUUsRUFBRSxDQUFDO1FBQ3pDLElBQUksQ0FBQyxLQUFLLEVBQUUsVUFBVSxFQUFFLEVBQUUsQ0FBQztRQUMzQixJQUFJLENBQUMseUJBQXlCLEVBQUUsYUFBYSxFQUFFLEVBQUUsQ0FBQztRQUNsRCxJQUFJLENBQUMsZUFBZSxFQUFFLGFBQWEsRUFBRSxFQUFFLENBQUM7UUFDeEMsSUFBSSxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsSUFBSSxDQUFDO1FBQzlCLElBQUksQ0FBQyxZQUFZLEVBQUUsT0FBTyxFQUFFLEdBQUcsQ0FBQztRQUNoQyxJQUFJLENBQUMsWUFBWSxFQUFFLGFBQWEsRUFBRSxFQUFFLENBQUM7UUFDckMsSUFBSSxDQUFDLGtCQUFrQixFQUFFLGFBQWEsRUFBRSxFQUFFLENBQUM7UUFDM0MsSUFBSSxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsRUFBRSxDQUFDO1FBQzVCLElBQUksQ0FBQyxNQUFNLEVBQUUsYUFBYSxFQUFFLFFBQVEsQ0FBQztRQUNyQyxJQUFJLENBQUMsTUFBTSxFQUFFLGFBQWEsRUFBRSxVQUFVLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3JELElBQUksQ0FBQyxXQUFXLEVBQUUsT0FBTyxFQUFFLGlCQUFpQixDQUFDO1FBQzdDLHNCQUFzQjtRQUN0Qix3Q0FBd0M7UUFDeEMsK0RBQStELGlCQUFpQixLQUFLO1FBQ3JGLHFCQUFxQjtRQUNyQixrQ0FBa0M7UUFDbEMscUNBQXFDO1FBQ3JDLDBCQUEwQjtRQUMxQixvQ0FBb0M7UUFDcEMsNkVBQTZFO1FBQzdFLHlCQUF5QjtRQUN6QiwyQkFBMkI7UUFDM0IscUJBQXFCO1FBQ3JCLHVCQUF1QjtRQUN2QixpQkFBaUI7UUFDakIsbUJBQW1CO1FBQ25CLGFBQWE7UUFDYixhQUFhO1FBQ2IsU0FBUztLQUNWLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBQ2YsQ0FBQztBQVNELFNBQWUsZUFBZSxDQUFDLE9BQWU7O1FBRzVDLE1BQU0sUUFBUSxHQUFhLE1BQU0sZUFBRSxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxRCxNQUFNLE9BQU8sR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxLQUFLLE1BQU0sQ0FBQyxDQUFDO1FBQ3JFLE1BQU0sUUFBUSxHQUFHLENBQUMsT0FBTyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDO1FBRWpGLE1BQU0sS0FBSyxHQUE0RCxFQUFFLENBQUM7UUFDMUUsTUFBTSxJQUFBLG1CQUFJLEVBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxFQUFFO1lBQzdCLE9BQU87aUJBQ0osTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDO2lCQUNuQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDO2dCQUMzQixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsR0FBRyxDQUFDO2dCQUNwRSxJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUk7Z0JBQ2hCLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSzthQUNuQixDQUFDLENBQUMsQ0FBQztRQUNSLENBQUMsQ0FBQyxDQUFDO1FBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ2pFLE1BQU0sSUFBSSxHQUFHLE1BQU0sQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDO2FBQ2xDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsR0FBRyxJQUFJLENBQUMsT0FBTyxJQUFJLElBQUksQ0FBQyxJQUFJLElBQUksSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQ2xGLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNqQixPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLElBQUksRUFBRSxDQUFDO0lBQ3ZFLENBQUM7Q0FBQTtBQUVELFNBQWUsU0FBUyxDQUFDLE9BQWU7O1FBQ3RDLElBQUk7WUFDRixNQUFNLGVBQUUsQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDNUIsT0FBTyxJQUFJLENBQUM7U0FDYjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osT0FBTyxLQUFLLENBQUM7U0FDZDtJQUNILENBQUM7Q0FBQTtBQUVELFNBQWUsZUFBZSxDQUFDLEdBQXdCLEVBQUUsU0FBcUI7OztRQUM1RSxNQUFNLEtBQUssR0FBRyxXQUFXLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3hDLE1BQU0sR0FBRyxHQUFHO1lBQ1YsRUFBRSxFQUFFLEtBQUs7WUFDVCxLQUFLLEVBQUUsV0FBVztZQUNsQixVQUFVLEVBQUU7Z0JBQ1YsSUFBSSxFQUFFLEdBQUcsaUJBQUksQ0FBQyxhQUFhLENBQUMsU0FBUyxDQUFDLFdBQVc7Z0JBQ2pELFdBQVcsRUFBRSx5RUFBeUU7c0JBQ3pFLGtGQUFrRjtzQkFDbEYsd0RBQXdEO2dCQUNyRSxlQUFlLEVBQUUsR0FBRyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsV0FBVztnQkFDNUQsT0FBTyxFQUFFLE1BQUEsTUFBQSxTQUFTLENBQUMsVUFBVSwwQ0FBRSxPQUFPLG1DQUFJLE9BQU87Z0JBQ2pELFdBQVcsRUFBRSxJQUFJLElBQUksRUFBRTtnQkFDdkIsVUFBVSxFQUFFLFNBQVMsQ0FBQyxFQUFFO2FBQ3pCO1lBQ0QsZ0JBQWdCLEVBQUUsS0FBSztZQUN2QixJQUFJLEVBQUUsRUFBRTtTQUNULENBQUM7UUFFRixPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1lBQ3JDLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxnQkFBTyxFQUFFLEdBQUcsRUFBRSxDQUFPLEtBQUssRUFBRSxFQUFFO2dCQUMxRCxJQUFJLEtBQUssS0FBSyxJQUFJLEVBQUU7b0JBQ2xCLE9BQU8sTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2lCQUN0QjtnQkFDRCxPQUFPLE9BQU8sRUFBRSxDQUFDO1lBQ25CLENBQUMsQ0FBQSxDQUFDLENBQUM7UUFDTCxDQUFDLENBQUMsQ0FBQzs7Q0FDSjtBQUVELFNBQWUsUUFBUSxDQUFDLEdBQXdCLEVBQUUsU0FBcUIsRUFDL0MsTUFBb0IsRUFBRSxNQUFjOztRQUMxRCxNQUFNLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxHQUFHLFlBQVksQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQ3JFLE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsaUJBQUksQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLEVBQUUsVUFBVSxFQUFFLElBQUEsa0JBQU8sR0FBRSxDQUFDLENBQUM7UUFDL0UsTUFBTSxPQUFPLEdBQUcsR0FBRyxNQUFNLE1BQU0sQ0FBQztRQUNoQyxJQUFJO1lBQ0YsS0FBSyxNQUFNLE9BQU8sSUFBSSxNQUFNLENBQUMsUUFBUSxFQUFFO2dCQUNyQyxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxPQUFPLENBQUMsQ0FBQztnQkFDL0MsTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztnQkFDaEQsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQzthQUNuRTtZQUNELElBQUksQ0FBQyxPQUFPLEVBQUU7Z0JBQ1osTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxVQUFVLENBQUMsQ0FBQztnQkFDbEUsTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztnQkFDaEQsTUFBTSxlQUFFLENBQUMsY0FBYyxDQUFDLFFBQVEsRUFBRSxjQUFjLENBQUMsU0FBUyxFQUFFLE1BQU0sQ0FBQyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7YUFDNUY7WUFHRCxNQUFNLGVBQUUsQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxDQUFDLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQ2hGLE1BQU0sZUFBRSxDQUFDLHNCQUFzQixDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3hDLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLE9BQU8sQ0FBQyxDQUFDO1lBQzNDLE1BQU0sSUFBQSw2QkFBYSxFQUFDLEdBQUcsRUFBRSxTQUFTLEVBQUUsT0FBTyxDQUFDLENBQUM7WUFDN0MsSUFBSSxDQUFDLENBQUMsTUFBTSxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRTtnQkFDL0IsTUFBTSxJQUFJLEtBQUssQ0FBQyx1Q0FBdUMsQ0FBQyxDQUFDO2FBQzFEO1NBQ0Y7Z0JBQVM7WUFDUixNQUFNLGVBQUUsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1NBQ2hFO1FBQ0QsT0FBTyxPQUFPLENBQUM7SUFDakIsQ0FBQztDQUFBO0FBU0QsU0FBZSxlQUFlLENBQUMsR0FBd0IsRUFBRSxPQUF1QixFQUNqRCxTQUFxQjs7O1FBQ2xELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFdBQVcsR0FBRyxzQkFBUyxDQUFDLGtCQUFrQixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7UUFDakUsTUFBTSxLQUFLLEdBQUcsV0FBVyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUN4QyxNQUFNLE1BQU0sR0FBRyxNQUFNLGVBQWUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxTQUFTLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDO1FBRXpGLElBQUksU0FBUyxHQUFlLE1BQUEsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQywwQ0FBRyxLQUFLLENBQUMsQ0FBQztRQUNwRSxNQUFNLFFBQVEsR0FBRyxDQUFDLFNBQVMsS0FBSyxTQUFTLENBQUM7ZUFDckMsQ0FBQyxDQUFBLE1BQUEsU0FBUyxDQUFDLFVBQVUsMENBQUUsVUFBVSxNQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUM7ZUFDbEQsQ0FBQyxDQUFBLE1BQUEsU0FBUyxDQUFDLFVBQVUsMENBQUUsU0FBUyxNQUFLLFNBQVMsQ0FBQztnQkFDL0MsTUFBTSxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsU0FBUyxDQUFDLGdCQUFnQixFQUFFLFNBQVMsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQSxDQUFDO1FBRXpHLElBQUksQ0FBQyxRQUFRLEVBQUU7WUFDYixJQUFJLFNBQVMsS0FBSyxTQUFTLEVBQUU7Z0JBQzNCLE1BQU0sZUFBZSxDQUFDLEdBQUcsRUFBRSxTQUFTLENBQUMsQ0FBQztnQkFDdEMsU0FBUyxHQUFHLE1BQUEsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQywwQ0FBRyxLQUFLLENBQUMsQ0FBQzthQUM5RDtZQUNELElBQUEsZUFBUSxFQUFDLG1CQUFtQixFQUFFLEVBQUUsS0FBSyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUN0RixNQUFNLE9BQU8sR0FBRyxNQUFNLFFBQVEsQ0FBQyxHQUFHLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFDbkQsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsTUFBQSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUUsZ0JBQWdCLG1DQUFJLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFDaEUsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxlQUFlLENBQUMsZ0JBQU8sRUFBRSxLQUFLLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDbEYsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxlQUFlLENBQUMsZ0JBQU8sRUFBRSxLQUFLLEVBQUUsWUFBWSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBQ3ZGLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsZUFBZSxDQUFDLGdCQUFPLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxJQUFJLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztTQUN4RjtRQUdELE1BQU0sT0FBTyxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVUsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLFNBQVMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ3BGLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDbkUsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRSxTQUFTLENBQUMsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDM0UsT0FBTyxFQUFFLE9BQU8sRUFBRSxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsQ0FBQzs7Q0FDeEM7QUFHRCxTQUFTLFVBQVUsQ0FBQyxJQUFxQyxFQUFFLEdBQWU7O0lBQ3hFLE1BQU0sVUFBVSxHQUFHLE1BQUEsR0FBRyxDQUFDLFVBQVUsMENBQUUsVUFBVSxDQUFDO0lBQzlDLE9BQU8sQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7QUFDeEUsQ0FBQztBQUVELFNBQXNCLHdCQUF3QixDQUFDLEdBQXdCOzs7UUFDckUsTUFBTSxJQUFJLEdBQW9DLE1BQUEsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQyxtQ0FBSSxFQUFFLENBQUM7UUFDNUYsS0FBSyxNQUFNLEdBQUcsSUFBSSxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUMsRUFBRTtZQUM1RSxNQUFNLElBQUksT0FBTyxDQUFPLE9BQU8sQ0FBQyxFQUFFO2dCQUNoQyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsZ0JBQU8sRUFBRSxHQUFHLENBQUMsRUFBRSxFQUFFLENBQUMsS0FBSyxFQUFFLEVBQUU7b0JBQ3ZELElBQUksS0FBSyxLQUFLLElBQUksRUFBRTt3QkFDbEIsSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSw2QkFBNkIsRUFBRSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsRUFBRSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztxQkFDdEY7b0JBQ0QsT0FBTyxPQUFPLEVBQUUsQ0FBQztnQkFDbkIsQ0FBQyxDQUFDLENBQUM7WUFDTCxDQUFDLENBQUMsQ0FBQztTQUNKOztDQUNGO0FBWkQsNERBWUM7QUFHRCxTQUFTLGFBQWEsQ0FBQyxHQUF3QixFQUFFLE9BQXFCOztJQUNwRSxNQUFNLElBQUksR0FBb0MsTUFBQSxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxnQkFBTyxDQUFDLG1DQUFJLEVBQUUsQ0FBQztJQUM1RixNQUFNLFVBQVUsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLGVBQUMsT0FBQSxDQUFBLE1BQUEsTUFBQSxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQywwQ0FBRSxVQUFVLDBDQUFFLFlBQVksTUFBSyxJQUFJLENBQUEsRUFBQSxDQUFDLENBQUM7SUFDdkcsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUMzQixPQUFPO0tBQ1I7SUFDRCxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLFVBQVUsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FDakQsb0JBQU8sQ0FBQyxlQUFlLENBQUMsZ0JBQU8sRUFBRSxXQUFXLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLGNBQWMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDaEYsTUFBTSxLQUFLLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDN0QsR0FBRyxDQUFDLGdCQUFnQixDQUFDO1FBQ25CLEVBQUUsRUFBRSx5QkFBeUI7UUFDN0IsSUFBSSxFQUFFLE1BQU07UUFDWixLQUFLLEVBQUUseUNBQXlDO1FBQ2hELE9BQU8sRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztRQUN6QixPQUFPLEVBQUU7WUFDUDtnQkFDRSxLQUFLLEVBQUUsTUFBTTtnQkFDYixNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxNQUFNLEVBQUUsYUFBYSxFQUFFO29CQUNsRCxNQUFNLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQywyRUFBMkU7MEJBQzdGLHlGQUF5RjswQkFDekYseUZBQXlGLENBQUM7MEJBQzFGLFFBQVEsR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsR0FBRyxTQUFTO2lCQUNwRSxFQUFFO29CQUNELEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRTtpQkFDbkIsQ0FBQzthQUNIO1NBQ0Y7S0FDRixDQUFDLENBQUM7QUFDTCxDQUFDO0FBRUQsU0FBc0IsYUFBYSxDQUFDLEdBQXdCLEVBQUUsT0FBdUI7OztRQUNuRixNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxTQUFTLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVUsRUFBRSxLQUFLLEVBQUUsU0FBUyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDbEcsTUFBTSxJQUFJLEdBQW9DLE1BQUEsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQyxtQ0FBSSxFQUFFLENBQUM7UUFJbkYsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUMvRixJQUFJLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3ZCLGlCQUFJLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLG9CQUFPLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQUUsR0FBRyxDQUFDLEVBQUUsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDdEc7UUFFRCxJQUFJLENBQUMsZ0JBQWdCLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFBLHdCQUFpQixFQUFDLEdBQUcsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxFQUFFO1lBQ3RFLE9BQU87U0FDUjtRQUlELE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxLQUFLLHVCQUFjLENBQUM7ZUFDMUUsQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDO2VBQ3JCLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxTQUFTLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUU1RCxNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7UUFDNUIsTUFBTSxPQUFPLEdBQWlCLEVBQUUsQ0FBQztRQUNqQyxLQUFLLE1BQU0sU0FBUyxJQUFJLE9BQU8sRUFBRTtZQUMvQixJQUFJO2dCQUNGLE1BQU0sTUFBTSxHQUFHLE1BQU0sZUFBZSxDQUFDLEdBQUcsRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDLENBQUM7Z0JBQzlELElBQUksTUFBTSxDQUFDLE9BQU8sRUFBRTtvQkFDbEIsTUFBTSxDQUFDLElBQUksQ0FBQyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO2lCQUM1QztnQkFDRCxJQUFJLE1BQU0sQ0FBQyxPQUFPLEVBQUU7b0JBQ2xCLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7aUJBQ3pCO2FBQ0Y7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFDWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLDBCQUEwQixFQUFFLEVBQUUsS0FBSyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2dCQUN0RixNQUFNLFdBQVcsR0FBRyxDQUFDLENBQUMsR0FBRyxZQUFZLGlDQUFpQixDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsWUFBWSxtQ0FBbUIsQ0FBQzt1QkFDM0YsQ0FBQyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO2dCQUM3QyxHQUFHLENBQUMscUJBQXFCLENBQUMsdUVBQXVFLEVBQUUsR0FBRyxFQUNwRyxFQUFFLE9BQU8sRUFBRSxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO2FBQzVEO1NBQ0Y7UUFFRCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3JCLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztnQkFDbkIsRUFBRSxFQUFFLHVCQUF1QjtnQkFDM0IsSUFBSSxFQUFFLE1BQU07Z0JBQ1osS0FBSyxFQUFFLHdCQUF3QjtnQkFDL0IsT0FBTyxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO2dCQUMxQixTQUFTLEVBQUUsSUFBSTthQUNoQixDQUFDLENBQUM7U0FDSjtRQUNELGFBQWEsQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUM7O0NBQzdCO0FBcERELHNDQW9EQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgKiBhcyBjcnlwdG8gZnJvbSAnY3J5cHRvJztcbmltcG9ydCAqIGFzIHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgeyBnZW5lcmF0ZSBhcyBzaG9ydGlkIH0gZnJvbSAnc2hvcnRpZCc7XG5pbXBvcnQgd2FsayBmcm9tICd0dXJib3dhbGsnO1xuaW1wb3J0IHsgYWN0aW9ucywgZnMsIGxvZywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBHQU1FX0lELCBNT0RfVFlQRV9MT09TRSB9IGZyb20gJy4vY29tbW9uJztcbmltcG9ydCB7IGNyZWF0ZVBhY2thZ2UsIERpdmluZUV4ZWNNaXNzaW5nLCBEaXZpbmVNaXNzaW5nRG90TmV0IH0gZnJvbSAnLi9kaXZpbmVXcmFwcGVyJztcbmltcG9ydCB7IGdldExhdGVzdExTTGliTW9kLCBsb2dEZWJ1ZyB9IGZyb20gJy4vdXRpbCc7XG5cbi8vIFRoZSBnYW1lIGhhbmRsZXMgbG9vc2UgZmlsZXMgaW4gaXRzIERhdGEgZm9sZGVyIGJhZGx5LCBzbyBpZiB0aGUgdXNlciBvcHRzIGluLFxuLy8gIG1vZHMgdGhhdCBzaGlwIGxvb3NlIGZpbGVzIGdldCBwYWNrZWQgaW50byBhIC5wYWsgd2hpY2ggaXMgZGVwbG95ZWQgKGFuZCBsb2FkXG4vLyAgb3JkZXJlZCkgaW5zdGVhZC4gVGhlIGxvb3NlIG1vZCBpcyBkaXNhYmxlZCBpbiBmYXZvdXIgb2YgdGhlIHBhY2tlZCBvbmUgYnV0XG4vLyAgc3RheXMgaW5zdGFsbGVkIGFzIHRoZSBzb3VyY2UgZm9yIHJlYnVpbGRpbmcgdGhlIHBhay5cblxuY29uc3QgUEFDS0VEX1BSRUZJWCA9ICdiZzMtcGFja2VkLSc7XG5cbi8vIDEuMC4wLjBcbmNvbnN0IERFRkFVTFRfVkVSU0lPTjY0ID0gJzM2MDI4Nzk3MDE4OTYzOTY4JztcblxuZXhwb3J0IGZ1bmN0aW9uIHBhY2tlZE1vZElkKHNvdXJjZU1vZElkOiBzdHJpbmcpOiBzdHJpbmcge1xuICByZXR1cm4gUEFDS0VEX1BSRUZJWCArIHNvdXJjZU1vZElkO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gaXNQYWNraW5nRW5hYmxlZChzdGF0ZTogdHlwZXMuSVN0YXRlKTogYm9vbGVhbiB7XG4gIHJldHVybiBzdGF0ZS5zZXR0aW5nc1snYmFsZHVyc2dhdGUzJ10/LnBhY2tMb29zZU1vZHMgPz8gZmFsc2U7XG59XG5cbi8vIFVzZXJzIGNhbiBvcHQgc2luZ2xlIG1vZHMgb3V0IG9mIHBhY2tpbmcsIGUuZy4gaWYgdGhlIHBhY2tlZCB2ZXJzaW9uIGRvZXNuJ3Qgd29ya1xuZXhwb3J0IGZ1bmN0aW9uIGtlZXBzTG9vc2VGaWxlcyhtb2Q6IHR5cGVzLklNb2QpOiBib29sZWFuIHtcbiAgcmV0dXJuIG1vZD8uYXR0cmlidXRlcz8ua2VlcExvb3NlRmlsZXMgPT09IHRydWU7XG59XG5cbi8vIFRoZSBsb29zZSBtb2QgdGhlIGdpdmVuIG1vZCB3YXMgcGFja2VkIGZyb20sIG9yIHRoZSBtb2QgaXRzZWxmXG5mdW5jdGlvbiBzb3VyY2VNb2RPZihtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9LCBtb2RJZDogc3RyaW5nKTogdHlwZXMuSU1vZCB7XG4gIGNvbnN0IHBhY2tlZEZyb20gPSBtb2RzW21vZElkXT8uYXR0cmlidXRlcz8ucGFja2VkRnJvbTtcbiAgcmV0dXJuIChwYWNrZWRGcm9tICE9PSB1bmRlZmluZWQpID8gbW9kc1twYWNrZWRGcm9tXSA6IG1vZHNbbW9kSWRdO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gY2FuU2V0S2VlcExvb3NlRmlsZXMoc3RhdGU6IHR5cGVzLklTdGF0ZSwgbW9kSWRzOiBzdHJpbmdbXSwga2VlcExvb3NlOiBib29sZWFuKTogYm9vbGVhbiB7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSBzdGF0ZS5wZXJzaXN0ZW50Lm1vZHNbR0FNRV9JRF0gPz8ge307XG4gIHJldHVybiBpc1BhY2tpbmdFbmFibGVkKHN0YXRlKSAmJiBtb2RJZHNcbiAgICAubWFwKG1vZElkID0+IHNvdXJjZU1vZE9mKG1vZHMsIG1vZElkKSlcbiAgICAuc29tZShtb2QgPT4gKG1vZD8udHlwZSA9PT0gTU9EX1RZUEVfTE9PU0UpICYmIChrZWVwc0xvb3NlRmlsZXMobW9kKSAhPT0ga2VlcExvb3NlKSk7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBzZXRLZWVwTG9vc2VGaWxlcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIG1vZElkczogc3RyaW5nW10sIGtlZXBMb29zZTogYm9vbGVhbikge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBwcm9maWxlID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpO1xuICBpZiAocHJvZmlsZT8uZ2FtZUlkICE9PSBHQU1FX0lEKSB7XG4gICAgcmV0dXJuO1xuICB9XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSBzdGF0ZS5wZXJzaXN0ZW50Lm1vZHNbR0FNRV9JRF0gPz8ge307XG4gIGNvbnN0IGlzRW5hYmxlZCA9IChtb2RJZDogc3RyaW5nKSA9PiB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZScsIG1vZElkLCAnZW5hYmxlZCddLCBmYWxzZSk7XG4gIGNvbnN0IHNvdXJjZXMgPSBBcnJheS5mcm9tKG5ldyBTZXQobW9kSWRzLm1hcChtb2RJZCA9PiBzb3VyY2VNb2RPZihtb2RzLCBtb2RJZCkpKSlcbiAgICAuZmlsdGVyKG1vZCA9PiAobW9kPy50eXBlID09PSBNT0RfVFlQRV9MT09TRSkgJiYgKGtlZXBzTG9vc2VGaWxlcyhtb2QpICE9PSBrZWVwTG9vc2UpKTtcbiAgY29uc3QgYmF0Y2hlZCA9IFtdO1xuICBmb3IgKGNvbnN0IHNvdXJjZU1vZCBvZiBzb3VyY2VzKSB7XG4gICAgYmF0Y2hlZC5wdXNoKGFjdGlvbnMuc2V0TW9kQXR0cmlidXRlKEdBTUVfSUQsIHNvdXJjZU1vZC5pZCwgJ2tlZXBMb29zZUZpbGVzJywga2VlcExvb3NlKSk7XG4gICAgaWYgKGtlZXBMb29zZSAmJiBpc0VuYWJsZWQocGFja2VkTW9kSWQoc291cmNlTW9kLmlkKSkpIHtcbiAgICAgIC8vIGRlcGxveSB0aGUgbG9vc2UgZmlsZXMgYWdhaW4gaW5zdGVhZCBvZiB0aGUgcGFrLiBQYWNraW5nIHRoZSBtb2QgYWdhaW5cbiAgICAgIC8vICBoYXBwZW5zIG9uIHRoZSBuZXh0IGRlcGxveW1lbnRcbiAgICAgIGJhdGNoZWQucHVzaChhY3Rpb25zLnNldE1vZEVuYWJsZWQocHJvZmlsZS5pZCwgcGFja2VkTW9kSWQoc291cmNlTW9kLmlkKSwgZmFsc2UpKTtcbiAgICAgIGJhdGNoZWQucHVzaChhY3Rpb25zLnNldE1vZEVuYWJsZWQocHJvZmlsZS5pZCwgc291cmNlTW9kLmlkLCB0cnVlKSk7XG4gICAgfVxuICB9XG4gIGlmIChiYXRjaGVkLmxlbmd0aCA+IDApIHtcbiAgICBiYXRjaGVkLnB1c2goYWN0aW9ucy5zZXREZXBsb3ltZW50TmVjZXNzYXJ5KEdBTUVfSUQsIHRydWUpKTtcbiAgICB1dGlsLmJhdGNoRGlzcGF0Y2goYXBpLnN0b3JlLCBiYXRjaGVkKTtcbiAgfVxufVxuXG5mdW5jdGlvbiBlc2NhcGVYbWwoaW5wdXQ6IHN0cmluZyk6IHN0cmluZyB7XG4gIHJldHVybiAoaW5wdXQgPz8gJycpXG4gICAgLnJlcGxhY2UoLyYvZywgJyZhbXA7JylcbiAgICAucmVwbGFjZSgvPC9nLCAnJmx0OycpXG4gICAgLnJlcGxhY2UoLz4vZywgJyZndDsnKVxuICAgIC5yZXBsYWNlKC9cIi9nLCAnJnF1b3Q7Jyk7XG59XG5cbi8vIE1vZHMgaGF2ZSB0byBrZWVwIHRoZWlyIFVVSUQgYmV0d2VlbiByZWJ1aWxkcywgb3RoZXJ3aXNlIHRoZSBnYW1lIGNvbnNpZGVyc1xuLy8gIGl0IGEgZGlmZmVyZW50IG1vZCBhbmQgc2F2ZSBnYW1lcyByZWZlcmVuY2luZyBpdCBicmVhay5cbmZ1bmN0aW9uIG1vZHVsZVVVSUQoc291cmNlTW9kSWQ6IHN0cmluZyk6IHN0cmluZyB7XG4gIGNvbnN0IGhhc2ggPSBjcnlwdG8uY3JlYXRlSGFzaCgnbWQ1JykudXBkYXRlKFBBQ0tFRF9QUkVGSVggKyBzb3VyY2VNb2RJZCkuZGlnZXN0KCdoZXgnKTtcbiAgcmV0dXJuIFtcbiAgICBoYXNoLnNsaWNlKDAsIDgpLCBoYXNoLnNsaWNlKDgsIDEyKSwgaGFzaC5zbGljZSgxMiwgMTYpLCBoYXNoLnNsaWNlKDE2LCAyMCksIGhhc2guc2xpY2UoMjAsIDMyKSxcbiAgXS5qb2luKCctJyk7XG59XG5cbmZ1bmN0aW9uIG1vZHVsZUZvbGRlcihyZWxQYXRoczogc3RyaW5nW10sIHNvdXJjZU1vZDogdHlwZXMuSU1vZCk6IHsgZm9sZGVyOiBzdHJpbmcsIGhhc01ldGE6IGJvb2xlYW4gfSB7XG4gIGZvciAoY29uc3QgcmVsUGF0aCBvZiByZWxQYXRocykge1xuICAgIGNvbnN0IG1hdGNoID0gcmVsUGF0aC5tYXRjaCgvXm1vZHNcXC8oW14vXSspXFwvbWV0YVxcLmxzeCQvaSk7XG4gICAgaWYgKG1hdGNoICE9PSBudWxsKSB7XG4gICAgICByZXR1cm4geyBmb2xkZXI6IG1hdGNoWzFdLCBoYXNNZXRhOiB0cnVlIH07XG4gICAgfVxuICB9XG4gIGNvbnN0IHB1YmxpY0ZvbGRlciA9IHJlbFBhdGhzXG4gICAgLm1hcChyZWxQYXRoID0+IHJlbFBhdGgubWF0Y2goL15wdWJsaWNcXC8oW14vXSspXFwvL2kpPy5bMV0pXG4gICAgLmZpbmQoZm9sZGVyID0+IGZvbGRlciAhPT0gdW5kZWZpbmVkKTtcbiAgcmV0dXJuIHtcbiAgICBmb2xkZXI6IHB1YmxpY0ZvbGRlciA/PyB1dGlsLnJlbmRlck1vZE5hbWUoc291cmNlTW9kKS5yZXBsYWNlKC9bXmEtekEtWjAtOV8tXS9nLCAnXycpLFxuICAgIGhhc01ldGE6IGZhbHNlLFxuICB9O1xufVxuXG5mdW5jdGlvbiBzeW50aGVzaXplTWV0YShzb3VyY2VNb2Q6IHR5cGVzLklNb2QsIGZvbGRlcjogc3RyaW5nKTogc3RyaW5nIHtcbiAgY29uc3QgbmFtZSA9IHV0aWwucmVuZGVyTW9kTmFtZShzb3VyY2VNb2QpO1xuICBjb25zdCBhdHRyID0gKGlkOiBzdHJpbmcsIHR5cGU6IHN0cmluZywgdmFsdWU6IHN0cmluZykgPT5cbiAgICBgICAgICAgICAgIDxhdHRyaWJ1dGUgaWQ9XCIke2lkfVwiIHR5cGU9XCIke3R5cGV9XCIgdmFsdWU9XCIke2VzY2FwZVhtbCh2YWx1ZSl9XCIvPmA7XG4gIHJldHVybiBbXG4gICAgJzw/eG1sIHZlcnNpb249XCIxLjBcIiBlbmNvZGluZz1cIlVURi04XCI/PicsXG4gICAgJzxzYXZlPicsXG4gICAgJyAgPHZlcnNpb24gbWFqb3I9XCI0XCIgbWlub3I9XCIwXCIgcmV2aXNpb249XCI5XCIgYnVpbGQ9XCIzMzFcIi8+JyxcbiAgICAnICA8cmVnaW9uIGlkPVwiQ29uZmlnXCI+JyxcbiAgICAnICAgIDxub2RlIGlkPVwicm9vdFwiPicsXG4gICAgJyAgICAgIDxjaGlsZHJlbj4nLFxuICAgICcgICAgICAgIDxub2RlIGlkPVwiRGVwZW5kZW5jaWVzXCIvPicsXG4gICAgJyAgICAgICAgPG5vZGUgaWQ9XCJNb2R1bGVJbmZvXCI+JyxcbiAgICBhdHRyKCdBdXRob3InLCAnTFNTdHJpbmcnLCBzb3VyY2VNb2QuYXR0cmlidXRlcz8uYXV0aG9yID8/ICcnKSxcbiAgICBhdHRyKCdDaGFyYWN0ZXJDcmVhdGlvbkxldmVsTmFtZScsICdGaXhlZFN0cmluZycsICcnKSxcbiAgICBhdHRyKCdEZXNjcmlwdGlvbicsICdMU1N0cmluZycsIGAke25hbWV9IChwYWNrZWQgYnkgVm9ydGV4KWApLFxuICAgIGF0dHIoJ0ZvbGRlcicsICdMU1N0cmluZycsIGZvbGRlciksXG4gICAgYXR0cignTG9iYnlMZXZlbE5hbWUnLCAnRml4ZWRTdHJpbmcnLCAnJyksXG4gICAgYXR0cignTUQ1JywgJ0xTU3RyaW5nJywgJycpLFxuICAgIGF0dHIoJ01haW5NZW51QmFja2dyb3VuZFZpZGVvJywgJ0ZpeGVkU3RyaW5nJywgJycpLFxuICAgIGF0dHIoJ01lbnVMZXZlbE5hbWUnLCAnRml4ZWRTdHJpbmcnLCAnJyksXG4gICAgYXR0cignTmFtZScsICdMU1N0cmluZycsIG5hbWUpLFxuICAgIGF0dHIoJ051bVBsYXllcnMnLCAndWludDgnLCAnNCcpLFxuICAgIGF0dHIoJ1Bob3RvQm9vdGgnLCAnRml4ZWRTdHJpbmcnLCAnJyksXG4gICAgYXR0cignU3RhcnR1cExldmVsTmFtZScsICdGaXhlZFN0cmluZycsICcnKSxcbiAgICBhdHRyKCdUYWdzJywgJ0xTU3RyaW5nJywgJycpLFxuICAgIGF0dHIoJ1R5cGUnLCAnRml4ZWRTdHJpbmcnLCAnQWRkLW9uJyksXG4gICAgYXR0cignVVVJRCcsICdGaXhlZFN0cmluZycsIG1vZHVsZVVVSUQoc291cmNlTW9kLmlkKSksXG4gICAgYXR0cignVmVyc2lvbjY0JywgJ2ludDY0JywgREVGQVVMVF9WRVJTSU9ONjQpLFxuICAgICcgICAgICAgICAgPGNoaWxkcmVuPicsXG4gICAgJyAgICAgICAgICAgIDxub2RlIGlkPVwiUHVibGlzaFZlcnNpb25cIj4nLFxuICAgIGAgICAgICAgICAgICAgIDxhdHRyaWJ1dGUgaWQ9XCJWZXJzaW9uNjRcIiB0eXBlPVwiaW50NjRcIiB2YWx1ZT1cIiR7REVGQVVMVF9WRVJTSU9ONjR9XCIvPmAsXG4gICAgJyAgICAgICAgICAgIDwvbm9kZT4nLFxuICAgICcgICAgICAgICAgICA8bm9kZSBpZD1cIlNjcmlwdHNcIi8+JyxcbiAgICAnICAgICAgICAgICAgPG5vZGUgaWQ9XCJUYXJnZXRNb2Rlc1wiPicsXG4gICAgJyAgICAgICAgICAgICAgPGNoaWxkcmVuPicsXG4gICAgJyAgICAgICAgICAgICAgICA8bm9kZSBpZD1cIlRhcmdldFwiPicsXG4gICAgJyAgICAgICAgICAgICAgICAgIDxhdHRyaWJ1dGUgaWQ9XCJPYmplY3RcIiB0eXBlPVwiRml4ZWRTdHJpbmdcIiB2YWx1ZT1cIlN0b3J5XCIvPicsXG4gICAgJyAgICAgICAgICAgICAgICA8L25vZGU+JyxcbiAgICAnICAgICAgICAgICAgICA8L2NoaWxkcmVuPicsXG4gICAgJyAgICAgICAgICAgIDwvbm9kZT4nLFxuICAgICcgICAgICAgICAgPC9jaGlsZHJlbj4nLFxuICAgICcgICAgICAgIDwvbm9kZT4nLFxuICAgICcgICAgICA8L2NoaWxkcmVuPicsXG4gICAgJyAgICA8L25vZGU+JyxcbiAgICAnICA8L3JlZ2lvbj4nLFxuICAgICc8L3NhdmU+JyxcbiAgXS5qb2luKCdcXG4nKTtcbn1cblxuaW50ZXJmYWNlIElTb3VyY2VGaWxlcyB7XG4gIHJvb3RQYXRoOiBzdHJpbmc7XG4gIC8vIHJlbGF0aXZlIHRvIHRoZSByb290LCB1c2luZyBmb3J3YXJkIHNsYXNoZXNcbiAgcmVsUGF0aHM6IHN0cmluZ1tdO1xuICBoYXNoOiBzdHJpbmc7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHJlYWRTb3VyY2VGaWxlcyhtb2RQYXRoOiBzdHJpbmcpOiBQcm9taXNlPElTb3VyY2VGaWxlcz4ge1xuICAvLyBzb21lIG1vZHMga2VlcCB0aGUgRGF0YSBmb2xkZXIgYXMgdGhlaXIgdG9wIGxldmVsIGRpcmVjdG9yeSwgdGhlIHBhY2thZ2VcbiAgLy8gIGhhcyB0byBiZSByZWxhdGl2ZSB0byB0aGUgRGF0YSBmb2xkZXIgdGhvdWdoLlxuICBjb25zdCB0b3BMZXZlbDogc3RyaW5nW10gPSBhd2FpdCBmcy5yZWFkZGlyQXN5bmMobW9kUGF0aCk7XG4gIGNvbnN0IGRhdGFEaXIgPSB0b3BMZXZlbC5maW5kKG5hbWUgPT4gbmFtZS50b0xvd2VyQ2FzZSgpID09PSAnZGF0YScpO1xuICBjb25zdCByb290UGF0aCA9IChkYXRhRGlyICE9PSB1bmRlZmluZWQpID8gcGF0aC5qb2luKG1vZFBhdGgsIGRhdGFEaXIpIDogbW9kUGF0aDtcblxuICBjb25zdCBmaWxlczogQXJyYXk8eyByZWxQYXRoOiBzdHJpbmcsIHNpemU6IG51bWJlciwgbXRpbWU6IG51bWJlciB9PiA9IFtdO1xuICBhd2FpdCB3YWxrKHJvb3RQYXRoLCBlbnRyaWVzID0+IHtcbiAgICBlbnRyaWVzXG4gICAgICAuZmlsdGVyKGVudHJ5ID0+ICFlbnRyeS5pc0RpcmVjdG9yeSlcbiAgICAgIC5mb3JFYWNoKGVudHJ5ID0+IGZpbGVzLnB1c2goe1xuICAgICAgICByZWxQYXRoOiBwYXRoLnJlbGF0aXZlKHJvb3RQYXRoLCBlbnRyeS5maWxlUGF0aCkucmVwbGFjZSgvXFxcXC9nLCAnLycpLFxuICAgICAgICBzaXplOiBlbnRyeS5zaXplLFxuICAgICAgICBtdGltZTogZW50cnkubXRpbWUsXG4gICAgICB9KSk7XG4gIH0pO1xuICBmaWxlcy5zb3J0KChsaHMsIHJocykgPT4gbGhzLnJlbFBhdGgubG9jYWxlQ29tcGFyZShyaHMucmVsUGF0aCkpO1xuICBjb25zdCBoYXNoID0gY3J5cHRvLmNyZWF0ZUhhc2goJ21kNScpXG4gICAgLnVwZGF0ZShmaWxlcy5tYXAoZmlsZSA9PiBgJHtmaWxlLnJlbFBhdGh9fCR7ZmlsZS5zaXplfXwke2ZpbGUubXRpbWV9YCkuam9pbignXFxuJykpXG4gICAgLmRpZ2VzdCgnaGV4Jyk7XG4gIHJldHVybiB7IHJvb3RQYXRoLCByZWxQYXRoczogZmlsZXMubWFwKGZpbGUgPT4gZmlsZS5yZWxQYXRoKSwgaGFzaCB9O1xufVxuXG5hc3luYyBmdW5jdGlvbiBwYWtFeGlzdHMocGFrUGF0aDogc3RyaW5nKTogUHJvbWlzZTxib29sZWFuPiB7XG4gIHRyeSB7XG4gICAgYXdhaXQgZnMuc3RhdEFzeW5jKHBha1BhdGgpO1xuICAgIHJldHVybiB0cnVlO1xuICB9IGNhdGNoIChlcnIpIHtcbiAgICByZXR1cm4gZmFsc2U7XG4gIH1cbn1cblxuYXN5bmMgZnVuY3Rpb24gY3JlYXRlUGFja2VkTW9kKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgc291cmNlTW9kOiB0eXBlcy5JTW9kKTogUHJvbWlzZTx2b2lkPiB7XG4gIGNvbnN0IG1vZElkID0gcGFja2VkTW9kSWQoc291cmNlTW9kLmlkKTtcbiAgY29uc3QgbW9kID0ge1xuICAgIGlkOiBtb2RJZCxcbiAgICBzdGF0ZTogJ2luc3RhbGxlZCcsXG4gICAgYXR0cmlidXRlczoge1xuICAgICAgbmFtZTogYCR7dXRpbC5yZW5kZXJNb2ROYW1lKHNvdXJjZU1vZCl9IChQYWNrZWQpYCxcbiAgICAgIGRlc2NyaXB0aW9uOiAnR2VuZXJhdGVkIGJ5IFZvcnRleCBmcm9tIHRoZSBsb29zZSBmaWxlcyBvZiB0aGUgbW9kIGl0XFwncyBuYW1lZCBhZnRlci4gJ1xuICAgICAgICAgICAgICAgICArICdJdCBnZXRzIHJlYnVpbHQgYXV0b21hdGljYWxseSB3aGVuZXZlciB0aGF0IG1vZCBjaGFuZ2VzLCB1c2UgXCJLZWVwIExvb3NlIEZpbGVzXCIgJ1xuICAgICAgICAgICAgICAgICArICdvbiBlaXRoZXIgbW9kIGlmIHlvdSBwcmVmZXIgdG8gZGVwbG95IHRoZSBsb29zZSBmaWxlcy4nLFxuICAgICAgbG9naWNhbEZpbGVOYW1lOiBgJHt1dGlsLnJlbmRlck1vZE5hbWUoc291cmNlTW9kKX0gKFBhY2tlZClgLFxuICAgICAgdmVyc2lvbjogc291cmNlTW9kLmF0dHJpYnV0ZXM/LnZlcnNpb24gPz8gJzEuMC4wJyxcbiAgICAgIGluc3RhbGxUaW1lOiBuZXcgRGF0ZSgpLFxuICAgICAgcGFja2VkRnJvbTogc291cmNlTW9kLmlkLFxuICAgIH0sXG4gICAgaW5zdGFsbGF0aW9uUGF0aDogbW9kSWQsXG4gICAgdHlwZTogJycsXG4gIH07XG5cbiAgcmV0dXJuIG5ldyBQcm9taXNlKChyZXNvbHZlLCByZWplY3QpID0+IHtcbiAgICBhcGkuZXZlbnRzLmVtaXQoJ2NyZWF0ZS1tb2QnLCBHQU1FX0lELCBtb2QsIGFzeW5jIChlcnJvcikgPT4ge1xuICAgICAgaWYgKGVycm9yICE9PSBudWxsKSB7XG4gICAgICAgIHJldHVybiByZWplY3QoZXJyb3IpO1xuICAgICAgfVxuICAgICAgcmV0dXJuIHJlc29sdmUoKTtcbiAgICB9KTtcbiAgfSk7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGJ1aWxkUGFrKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgc291cmNlTW9kOiB0eXBlcy5JTW9kLFxuICAgICAgICAgICAgICAgICAgICAgICAgc291cmNlOiBJU291cmNlRmlsZXMsIHBha0Rpcjogc3RyaW5nKTogUHJvbWlzZTxzdHJpbmc+IHtcbiAgY29uc3QgeyBmb2xkZXIsIGhhc01ldGEgfSA9IG1vZHVsZUZvbGRlcihzb3VyY2UucmVsUGF0aHMsIHNvdXJjZU1vZCk7XG4gIGNvbnN0IGJ1aWxkUGF0aCA9IHBhdGguam9pbih1dGlsLmdldFZvcnRleFBhdGgoJ3RlbXAnKSwgJ2JnMy1wYWNrJywgc2hvcnRpZCgpKTtcbiAgY29uc3QgcGFrTmFtZSA9IGAke2ZvbGRlcn0ucGFrYDtcbiAgdHJ5IHtcbiAgICBmb3IgKGNvbnN0IHJlbFBhdGggb2Ygc291cmNlLnJlbFBhdGhzKSB7XG4gICAgICBjb25zdCBkZXN0UGF0aCA9IHBhdGguam9pbihidWlsZFBhdGgsIHJlbFBhdGgpO1xuICAgICAgYXdhaXQgZnMuZW5zdXJlRGlyQXN5bmMocGF0aC5kaXJuYW1lKGRlc3RQYXRoKSk7XG4gICAgICBhd2FpdCBmcy5jb3B5QXN5bmMocGF0aC5qb2luKHNvdXJjZS5yb290UGF0aCwgcmVsUGF0aCksIGRlc3RQYXRoKTtcbiAgICB9XG4gICAgaWYgKCFoYXNNZXRhKSB7XG4gICAgICBjb25zdCBtZXRhUGF0aCA9IHBhdGguam9pbihidWlsZFBhdGgsICdNb2RzJywgZm9sZGVyLCAnbWV0YS5sc3gnKTtcbiAgICAgIGF3YWl0IGZzLmVuc3VyZURpckFzeW5jKHBhdGguZGlybmFtZShtZXRhUGF0aCkpO1xuICAgICAgYXdhaXQgZnMud3JpdGVGaWxlQXN5bmMobWV0YVBhdGgsIHN5bnRoZXNpemVNZXRhKHNvdXJjZU1vZCwgZm9sZGVyKSwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xuICAgIH1cblxuICAgIC8vIGRyb3AgcGFrcyBmcm9tIHByZXZpb3VzIGJ1aWxkcywgdGhlIGZvbGRlciBuYW1lIG1heSBoYXZlIGNoYW5nZWRcbiAgICBhd2FpdCBmcy5yZW1vdmVBc3luYyhwYWtEaXIpLmNhdGNoKHsgY29kZTogJ0VOT0VOVCcgfSwgKCkgPT4gUHJvbWlzZS5yZXNvbHZlKCkpO1xuICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGFrRGlyKTtcbiAgICBjb25zdCBwYWtQYXRoID0gcGF0aC5qb2luKHBha0RpciwgcGFrTmFtZSk7XG4gICAgYXdhaXQgY3JlYXRlUGFja2FnZShhcGksIGJ1aWxkUGF0aCwgcGFrUGF0aCk7XG4gICAgaWYgKCEoYXdhaXQgcGFrRXhpc3RzKHBha1BhdGgpKSkge1xuICAgICAgdGhyb3cgbmV3IEVycm9yKCdkaXZpbmUuZXhlIGRpZCBub3QgY3JlYXRlIHRoZSBwYWNrYWdlJyk7XG4gICAgfVxuICB9IGZpbmFsbHkge1xuICAgIGF3YWl0IGZzLnJlbW92ZUFzeW5jKGJ1aWxkUGF0aCkuY2F0Y2goKCkgPT4gUHJvbWlzZS5yZXNvbHZlKCkpO1xuICB9XG4gIHJldHVybiBwYWtOYW1lO1xufVxuXG5pbnRlcmZhY2UgSVBhY2tSZXN1bHQge1xuICAvLyB0aGUgcGFrIGhhZCB0byBiZSAocmUpYnVpbHRcbiAgcmVidWlsdDogYm9vbGVhbjtcbiAgLy8gdGhlIGxvb3NlIG1vZCB3YXMgZW5hYmxlZCBhbmQgZ290IHJlcGxhY2VkIGJ5IHRoZSBwYWNrZWQgbW9kXG4gIHN3YXBwZWQ6IGJvb2xlYW47XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHVwZGF0ZVBhY2tlZE1vZChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIHByb2ZpbGU6IHR5cGVzLklQcm9maWxlLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHNvdXJjZU1vZDogdHlwZXMuSU1vZCk6IFByb21pc2U8SVBhY2tSZXN1bHQ+IHtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgY29uc3Qgc3RhZ2luZ1BhdGggPSBzZWxlY3RvcnMuaW5zdGFsbFBhdGhGb3JHYW1lKHN0YXRlLCBHQU1FX0lEKTtcbiAgY29uc3QgbW9kSWQgPSBwYWNrZWRNb2RJZChzb3VyY2VNb2QuaWQpO1xuICBjb25zdCBzb3VyY2UgPSBhd2FpdCByZWFkU291cmNlRmlsZXMocGF0aC5qb2luKHN0YWdpbmdQYXRoLCBzb3VyY2VNb2QuaW5zdGFsbGF0aW9uUGF0aCkpO1xuXG4gIGxldCBwYWNrZWRNb2Q6IHR5cGVzLklNb2QgPSBzdGF0ZS5wZXJzaXN0ZW50Lm1vZHNbR0FNRV9JRF0/Llttb2RJZF07XG4gIGNvbnN0IHVwVG9EYXRlID0gKHBhY2tlZE1vZCAhPT0gdW5kZWZpbmVkKVxuICAgICYmIChwYWNrZWRNb2QuYXR0cmlidXRlcz8ucGFja2VkSGFzaCA9PT0gc291cmNlLmhhc2gpXG4gICAgJiYgKHBhY2tlZE1vZC5hdHRyaWJ1dGVzPy5wYWNrZWRQYWsgIT09IHVuZGVmaW5lZClcbiAgICAmJiBhd2FpdCBwYWtFeGlzdHMocGF0aC5qb2luKHN0YWdpbmdQYXRoLCBwYWNrZWRNb2QuaW5zdGFsbGF0aW9uUGF0aCwgcGFja2VkTW9kLmF0dHJpYnV0ZXMucGFja2VkUGFrKSk7XG5cbiAgaWYgKCF1cFRvRGF0ZSkge1xuICAgIGlmIChwYWNrZWRNb2QgPT09IHVuZGVmaW5lZCkge1xuICAgICAgYXdhaXQgY3JlYXRlUGFja2VkTW9kKGFwaSwgc291cmNlTW9kKTtcbiAgICAgIHBhY2tlZE1vZCA9IGFwaS5nZXRTdGF0ZSgpLnBlcnNpc3RlbnQubW9kc1tHQU1FX0lEXT8uW21vZElkXTtcbiAgICB9XG4gICAgbG9nRGVidWcoJ3BhY2tpbmcgbG9vc2UgbW9kJywgeyBtb2RJZDogc291cmNlTW9kLmlkLCBmaWxlczogc291cmNlLnJlbFBhdGhzLmxlbmd0aCB9KTtcbiAgICBjb25zdCBwYWtOYW1lID0gYXdhaXQgYnVpbGRQYWsoYXBpLCBzb3VyY2VNb2QsIHNvdXJjZSxcbiAgICAgIHBhdGguam9pbihzdGFnaW5nUGF0aCwgcGFja2VkTW9kPy5pbnN0YWxsYXRpb25QYXRoID8/IG1vZElkKSk7XG4gICAgYXBpLnN0b3JlLmRpc3BhdGNoKGFjdGlvbnMuc2V0TW9kQXR0cmlidXRlKEdBTUVfSUQsIG1vZElkLCAncGFja2VkUGFrJywgcGFrTmFtZSkpO1xuICAgIGFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLnNldE1vZEF0dHJpYnV0ZShHQU1FX0lELCBtb2RJZCwgJ3BhY2tlZEhhc2gnLCBzb3VyY2UuaGFzaCkpO1xuICAgIGFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLnNldE1vZEF0dHJpYnV0ZShHQU1FX0lELCBtb2RJZCwgJ2luc3RhbGxUaW1lJywgbmV3IERhdGUoKSkpO1xuICB9XG5cbiAgLy8gZGVwbG95IHRoZSBwYWsgaW5zdGVhZCBvZiB0aGUgbG9vc2UgZmlsZXNcbiAgY29uc3Qgc3dhcHBlZCA9IHV0aWwuZ2V0U2FmZShwcm9maWxlLCBbJ21vZFN0YXRlJywgc291cmNlTW9kLmlkLCAnZW5hYmxlZCddLCBmYWxzZSk7XG4gIGFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLnNldE1vZEVuYWJsZWQocHJvZmlsZS5pZCwgbW9kSWQsIHRydWUpKTtcbiAgYXBpLnN0b3JlLmRpc3BhdGNoKGFjdGlvbnMuc2V0TW9kRW5hYmxlZChwcm9maWxlLmlkLCBzb3VyY2VNb2QuaWQsIGZhbHNlKSk7XG4gIHJldHVybiB7IHJlYnVpbHQ6ICF1cFRvRGF0ZSwgc3dhcHBlZCB9O1xufVxuXG4vLyBQYWNrZWQgbW9kcyBhcmUgb2Ygbm8gdXNlIHdpdGhvdXQgdGhlIGxvb3NlIG1vZCB0aGV5IHdlcmUgYnVpbHQgZnJvbVxuZnVuY3Rpb24gaXNPcnBoYW5lZChtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9LCBtb2Q6IHR5cGVzLklNb2QpOiBib29sZWFuIHtcbiAgY29uc3QgcGFja2VkRnJvbSA9IG1vZC5hdHRyaWJ1dGVzPy5wYWNrZWRGcm9tO1xuICByZXR1cm4gKHBhY2tlZEZyb20gIT09IHVuZGVmaW5lZCkgJiYgKG1vZHNbcGFja2VkRnJvbV0gPT09IHVuZGVmaW5lZCk7XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiByZW1vdmVPcnBoYW5lZFBhY2tlZE1vZHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogUHJvbWlzZTx2b2lkPiB7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSBhcGkuZ2V0U3RhdGUoKS5wZXJzaXN0ZW50Lm1vZHNbR0FNRV9JRF0gPz8ge307XG4gIGZvciAoY29uc3QgbW9kIG9mIE9iamVjdC52YWx1ZXMobW9kcykuZmlsdGVyKGl0ZXIgPT4gaXNPcnBoYW5lZChtb2RzLCBpdGVyKSkpIHtcbiAgICBhd2FpdCBuZXcgUHJvbWlzZTx2b2lkPihyZXNvbHZlID0+IHtcbiAgICAgIGFwaS5ldmVudHMuZW1pdCgncmVtb3ZlLW1vZCcsIEdBTUVfSUQsIG1vZC5pZCwgKGVycm9yKSA9PiB7XG4gICAgICAgIGlmIChlcnJvciAhPT0gbnVsbCkge1xuICAgICAgICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIHJlbW92ZSBwYWNrZWQgbW9kJywgeyBtb2RJZDogbW9kLmlkLCBlcnJvcjogZXJyb3IubWVzc2FnZSB9KTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gcmVzb2x2ZSgpO1xuICAgICAgfSk7XG4gICAgfSk7XG4gIH1cbn1cblxuLy8gVXNlcnMgc2hvdWxkIGtub3cgd2h5IHRoZSBtb2QgdGhleSBlbmFibGVkIGdvdCBkaXNhYmxlZCwgYnV0IG9ubHkgb25jZSBwZXIgbW9kXG5mdW5jdGlvbiBub3RpZnlTd2FwcGVkKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgc3dhcHBlZDogdHlwZXMuSU1vZFtdKSB7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSBhcGkuZ2V0U3RhdGUoKS5wZXJzaXN0ZW50Lm1vZHNbR0FNRV9JRF0gPz8ge307XG4gIGNvbnN0IHVubm90aWZpZWQgPSBzd2FwcGVkLmZpbHRlcihtb2QgPT4gbW9kc1twYWNrZWRNb2RJZChtb2QuaWQpXT8uYXR0cmlidXRlcz8uc3dhcE5vdGlmaWVkICE9PSB0cnVlKTtcbiAgaWYgKHVubm90aWZpZWQubGVuZ3RoID09PSAwKSB7XG4gICAgcmV0dXJuO1xuICB9XG4gIHV0aWwuYmF0Y2hEaXNwYXRjaChhcGkuc3RvcmUsIHVubm90aWZpZWQubWFwKG1vZCA9PlxuICAgIGFjdGlvbnMuc2V0TW9kQXR0cmlidXRlKEdBTUVfSUQsIHBhY2tlZE1vZElkKG1vZC5pZCksICdzd2FwTm90aWZpZWQnLCB0cnVlKSkpO1xuICBjb25zdCBuYW1lcyA9IHVubm90aWZpZWQubWFwKG1vZCA9PiB1dGlsLnJlbmRlck1vZE5hbWUobW9kKSk7XG4gIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICBpZDogJ2JnMy1wYWNrZWQtbW9kcy1zd2FwcGVkJyxcbiAgICB0eXBlOiAnaW5mbycsXG4gICAgdGl0bGU6ICdMb29zZSBmaWxlIG1vZHMgcmVwbGFjZWQgYnkgcGFja2VkIG1vZHMnLFxuICAgIG1lc3NhZ2U6IG5hbWVzLmpvaW4oJywgJyksXG4gICAgYWN0aW9uczogW1xuICAgICAge1xuICAgICAgICB0aXRsZTogJ01vcmUnLFxuICAgICAgICBhY3Rpb246ICgpID0+IGFwaS5zaG93RGlhbG9nKCdpbmZvJywgJ1BhY2tlZCBNb2RzJywge1xuICAgICAgICAgIGJiY29kZTogYXBpLnRyYW5zbGF0ZSgnXCJQYWNrIExvb3NlIEZpbGUgTW9kc1wiIGlzIGVuYWJsZWQgaW4gdGhlIHNldHRpbmdzLCBzbyB0aGUgZm9sbG93aW5nIG1vZHMgJ1xuICAgICAgICAgICAgKyAnd2VyZSBkaXNhYmxlZCBhbmQgcmVwbGFjZWQgYnkgYSBcIihQYWNrZWQpXCIgY29weSB3aGljaCBnZXRzIGRlcGxveWVkIGFzIGEgLnBhayBpbnN0ZWFkLiAnXG4gICAgICAgICAgICArICdVc2UgXCJLZWVwIExvb3NlIEZpbGVzXCIgb24gdGhlIE1vZHMgcGFnZSBpZiB5b3Ugd2FudCB0byBkZXBsb3kgdGhlIGxvb3NlIGZpbGVzIG9mIGEgbW9kLicpXG4gICAgICAgICAgICArICdbbGlzdF0nICsgbmFtZXMubWFwKG5hbWUgPT4gYFsqXSR7bmFtZX1gKS5qb2luKCcnKSArICdbL2xpc3RdJyxcbiAgICAgICAgfSwgW1xuICAgICAgICAgIHsgbGFiZWw6ICdDbG9zZScgfSxcbiAgICAgICAgXSksXG4gICAgICB9LFxuICAgIF0sXG4gIH0pO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gcGFja0xvb3NlTW9kcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIHByb2ZpbGU6IHR5cGVzLklQcm9maWxlKTogUHJvbWlzZTx2b2lkPiB7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IGlzRW5hYmxlZCA9IChtb2RJZDogc3RyaW5nKSA9PiB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZScsIG1vZElkLCAnZW5hYmxlZCddLCBmYWxzZSk7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSBzdGF0ZS5wZXJzaXN0ZW50Lm1vZHNbR0FNRV9JRF0gPz8ge307XG5cbiAgLy8gcGFja2VkIG1vZHMgd2hvc2UgbG9vc2UgbW9kIGlzIGdvbmUgZ2V0IHJlbW92ZWQgaW4gZGlkLXJlbW92ZS1tb2QsIHRoaXNcbiAgLy8gIGNhdGNoZXMgdGhlIG9uZXMgdGhhdCB3ZXJlIG1pc3NlZCwgZS5nLiBiZWNhdXNlIHRoZSBleHRlbnNpb24gd2FzIGRpc2FibGVkXG4gIGNvbnN0IG9ycGhhbmVkID0gT2JqZWN0LnZhbHVlcyhtb2RzKS5maWx0ZXIobW9kID0+IGlzT3JwaGFuZWQobW9kcywgbW9kKSAmJiBpc0VuYWJsZWQobW9kLmlkKSk7XG4gIGlmIChvcnBoYW5lZC5sZW5ndGggPiAwKSB7XG4gICAgdXRpbC5iYXRjaERpc3BhdGNoKGFwaS5zdG9yZSwgb3JwaGFuZWQubWFwKG1vZCA9PiBhY3Rpb25zLnNldE1vZEVuYWJsZWQocHJvZmlsZS5pZCwgbW9kLmlkLCBmYWxzZSkpKTtcbiAgfVxuXG4gIGlmICghaXNQYWNraW5nRW5hYmxlZChzdGF0ZSkgfHwgKGdldExhdGVzdExTTGliTW9kKGFwaSkgPT09IHVuZGVmaW5lZCkpIHtcbiAgICByZXR1cm47XG4gIH1cblxuICAvLyBsb29zZSBtb2RzIHRoZSB1c2VyIGVuYWJsZWQgYW5kIHRoZSBvbmVzIHRoYXQgYXJlIGFscmVhZHkgcmVwbGFjZWQgYnlcbiAgLy8gIHRoZWlyIHBhY2tlZCBjb3VudGVycGFydCwgdW5sZXNzIHRoZSB1c2VyIG9wdGVkIG91dCBvZiBwYWNraW5nIHRoZW1cbiAgY29uc3Qgc291cmNlcyA9IE9iamVjdC52YWx1ZXMobW9kcykuZmlsdGVyKG1vZCA9PiAobW9kLnR5cGUgPT09IE1PRF9UWVBFX0xPT1NFKVxuICAgICYmICFrZWVwc0xvb3NlRmlsZXMobW9kKVxuICAgICYmIChpc0VuYWJsZWQobW9kLmlkKSB8fCBpc0VuYWJsZWQocGFja2VkTW9kSWQobW9kLmlkKSkpKTtcblxuICBjb25zdCBwYWNrZWQ6IHN0cmluZ1tdID0gW107XG4gIGNvbnN0IHN3YXBwZWQ6IHR5cGVzLklNb2RbXSA9IFtdO1xuICBmb3IgKGNvbnN0IHNvdXJjZU1vZCBvZiBzb3VyY2VzKSB7XG4gICAgdHJ5IHtcbiAgICAgIGNvbnN0IHJlc3VsdCA9IGF3YWl0IHVwZGF0ZVBhY2tlZE1vZChhcGksIHByb2ZpbGUsIHNvdXJjZU1vZCk7XG4gICAgICBpZiAocmVzdWx0LnJlYnVpbHQpIHtcbiAgICAgICAgcGFja2VkLnB1c2godXRpbC5yZW5kZXJNb2ROYW1lKHNvdXJjZU1vZCkpO1xuICAgICAgfVxuICAgICAgaWYgKHJlc3VsdC5zd2FwcGVkKSB7XG4gICAgICAgIHN3YXBwZWQucHVzaChzb3VyY2VNb2QpO1xuICAgICAgfVxuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgbG9nKCdlcnJvcicsICdmYWlsZWQgdG8gcGFjayBsb29zZSBtb2QnLCB7IG1vZElkOiBzb3VyY2VNb2QuaWQsIGVycm9yOiBlcnIubWVzc2FnZSB9KTtcbiAgICAgIGNvbnN0IGFsbG93UmVwb3J0ID0gIShlcnIgaW5zdGFuY2VvZiBEaXZpbmVFeGVjTWlzc2luZykgJiYgIShlcnIgaW5zdGFuY2VvZiBEaXZpbmVNaXNzaW5nRG90TmV0KVxuICAgICAgICAmJiAhWydFTk9FTlQnLCAnRVBFUk0nXS5pbmNsdWRlcyhlcnIuY29kZSk7XG4gICAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gcGFjayBsb29zZSBmaWxlIG1vZCwgaXRzIGZpbGVzIHdpbGwgYmUgZGVwbG95ZWQgYXMgdGhleSBhcmUnLCBlcnIsXG4gICAgICAgIHsgbWVzc2FnZTogdXRpbC5yZW5kZXJNb2ROYW1lKHNvdXJjZU1vZCksIGFsbG93UmVwb3J0IH0pO1xuICAgIH1cbiAgfVxuXG4gIGlmIChwYWNrZWQubGVuZ3RoID4gMCkge1xuICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICAgIGlkOiAnYmczLXBhY2tlZC1sb29zZS1tb2RzJyxcbiAgICAgIHR5cGU6ICdpbmZvJyxcbiAgICAgIHRpdGxlOiAnUGFja2VkIGxvb3NlIGZpbGUgbW9kcycsXG4gICAgICBtZXNzYWdlOiBwYWNrZWQuam9pbignLCAnKSxcbiAgICAgIGRpc3BsYXlNUzogNTAwMCxcbiAgICB9KTtcbiAgfVxuICBub3RpZnlTd2FwcGVkKGFwaSwgc3dhcHBlZCk7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,400 @@
+/* eslint-disable */
+import * as crypto from 'crypto';
+import * as path from 'path';
+import { generate as shortid } from 'shortid';
+import walk from 'turbowalk';
+import { actions, fs, log, selectors, types, util } from 'vortex-api';
+
+import { GAME_ID, MOD_TYPE_LOOSE } from './common';
+import { createPackage, DivineExecMissing, DivineMissingDotNet } from './divineWrapper';
+import { getLatestLSLibMod, logDebug } from './util';
+
+// The game handles loose files in its Data folder badly, so if the user opts in,
+//  mods that ship loose files get packed into a .pak which is deployed (and load
+//  ordered) instead. The loose mod is disabled in favour of the packed one but
+//  stays installed as the source for rebuilding the pak.
+
+const PACKED_PREFIX = 'bg3-packed-';
+
+// 1.0.0.0
+const DEFAULT_VERSION64 = '36028797018963968';
+
+export function packedModId(sourceModId: string): string {
+  return PACKED_PREFIX + sourceModId;
+}
+
+export function isPackingEnabled(state: types.IState): boolean {
+  return state.settings['baldursgate3']?.packLooseMods ?? false;
+}
+
+// Users can opt single mods out of packing, e.g. if the packed version doesn't work
+export function keepsLooseFiles(mod: types.IMod): boolean {
+  return mod?.attributes?.keepLooseFiles === true;
+}
+
+// The loose mod the given mod was packed from, or the mod itself
+function sourceModOf(mods: { [modId: string]: types.IMod }, modId: string): types.IMod {
+  const packedFrom = mods[modId]?.attributes?.packedFrom;
+  return (packedFrom !== undefined) ? mods[packedFrom] : mods[modId];
+}
+
+export function canSetKeepLooseFiles(state: types.IState, modIds: string[], keepLoose: boolean): boolean {
+  const mods: { [modId: string]: types.IMod } = state.persistent.mods[GAME_ID] ?? {};
+  return isPackingEnabled(state) && modIds
+    .map(modId => sourceModOf(mods, modId))
+    .some(mod => (mod?.type === MOD_TYPE_LOOSE) && (keepsLooseFiles(mod) !== keepLoose));
+}
+
+export function setKeepLooseFiles(api: types.IExtensionApi, modIds: string[], keepLoose: boolean) {
+  const state = api.getState();
+  const profile = selectors.activeProfile(state);
+  if (profile?.gameId !== GAME_ID) {
+    return;
+  }
+  const mods: { [modId: string]: types.IMod } = state.persistent.mods[GAME_ID] ?? {};
+  const isEnabled = (modId: string) => util.getSafe(profile, ['modState', modId, 'enabled'], false);
+  const sources = Array.from(new Set(modIds.map(modId => sourceModOf(mods, modId))))
+    .filter(mod => (mod?.type === MOD_TYPE_LOOSE) && (keepsLooseFiles(mod) !== keepLoose));
+  const batched = [];
+  for (const sourceMod of sources) {
+    batched.push(actions.setModAttribute(GAME_ID, sourceMod.id, 'keepLooseFiles', keepLoose));
+    if (keepLoose && isEnabled(packedModId(sourceMod.id))) {
+      // deploy the loose files again instead of the pak. Packing the mod again
+      //  happens on the next deployment
+      batched.push(actions.setModEnabled(profile.id, packedModId(sourceMod.id), false));
+      batched.push(actions.setModEnabled(profile.id, sourceMod.id, true));
+    }
+  }
+  if (batched.length > 0) {
+    batched.push(actions.setDeploymentNecessary(GAME_ID, true));
+    util.batchDispatch(api.store, batched);
+  }
+}
+
+function escapeXml(input: string): string {
+  return (input ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Mods have to keep their UUID between rebuilds, otherwise the game considers
+//  it a different mod and save games referencing it break.
+function moduleUUID(sourceModId: string): string {
+  const hash = crypto.createHash('md5').update(PACKED_PREFIX + sourceModId).digest('hex');
+  return [
+    hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32),
+  ].join('-');
+}
+
+function moduleFolder(relPaths: string[], sourceMod: types.IMod): { folder: string, hasMeta: boolean } {
+  for (const relPath of relPaths) {
+    const match = relPath.match(/^mods\/([^/]+)\/meta\.lsx$/i);
+    if (match !== null) {
+      return { folder: match[1], hasMeta: true };
+    }
+  }
+  const publicFolder = relPaths
+    .map(relPath => relPath.match(/^public\/([^/]+)\//i)?.[1])
+    .find(folder => folder !== undefined);
+  return {
+    folder: publicFolder ?? util.renderModName(sourceMod).replace(/[^a-zA-Z0-9_-]/g, '_'),
+    hasMeta: false,
+  };
+}
+
+function synthesizeMeta(sourceMod: types.IMod, folder: string): string {
+  const name = util.renderModName(sourceMod);
+  const attr = (id: string, type: string, value: string) =>
+    `          <attribute id="${id}" type="${type}" value="${escapeXml(value)}"/>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<save>',
+    '  <version major="4" minor="0" revision="9" build="331"/>',
+    '  <region id="Config">',
+    '    <node id="root">',
+    '      <children>',
+    '        <node id="Dependencies"/>',
+    '        <node id="ModuleInfo">',
+    attr('Author', 'LSString', sourceMod.attributes?.author ?? ''),
+    attr('CharacterCreationLevelName', 'FixedString', ''),
+    attr('Description', 'LSString', `${name} (packed by Vortex)`),
+    attr('Folder', 'LSString', folder),
+    attr('LobbyLevelName', 'FixedString', ''),
+    attr('MD5', 'LSString', ''),
+    attr('MainMenuBackgroundVideo', 'FixedString', ''),
+    attr('MenuLevelName', 'FixedString', ''),
+    attr('Name', 'LSString', name),
+    attr('NumPlayers', 'uint8', '4'),
+    attr('PhotoBooth', 'FixedString', ''),
+    attr('StartupLevelName', 'FixedString', ''),
+    attr('Tags', 'LSString', ''),
+    attr('Type', 'FixedString', 'Add-on'),
+    attr('UUID', 'FixedString', moduleUUID(sourceMod.id)),
+    attr('Version64', 'int64', DEFAULT_VERSION64),
+    '          <children>',
+    '            <node id="PublishVersion">',
+    `              <attribute id="Version64" type="int64" value="${DEFAULT_VERSION64}"/>`,
+    '            </node>',
+    '            <node id="Scripts"/>',
+    '            <node id="TargetModes">',
+    '              <children>',
+    '                <node id="Target">',
+    '                  <attribute id="Object" type="FixedString" value="Story"/>',
+    '                </node>',
+    '              </children>',
+    '            </node>',
+    '          </children>',
+    '        </node>',
+    '      </children>',
+    '    </node>',
+    '  </region>',
+    '</save>',
+  ].join('\n');
+}
+
+interface ISourceFiles {
+  rootPath: string;
+  // relative to the root, using forward slashes
+  relPaths: string[];
+  hash: string;
+}
+
+async function readSourceFiles(modPath: string): Promise<ISourceFiles> {
+  // some mods keep the Data folder as their top level directory, the package
+  //  has to be relative to the Data folder though.
+  const topLevel: string[] = await fs.readdirAsync(modPath);
+  const dataDir = topLevel.find(name => name.toLowerCase() === 'data');
+  const rootPath = (dataDir !== undefined) ? path.join(modPath, dataDir) : modPath;
+
+  const files: Array<{ relPath: string, size: number, mtime: number }> = [];
+  await walk(rootPath, entries => {
+    entries
+      .filter(entry => !entry.isDirectory)
+      .forEach(entry => files.push({
+        relPath: path.relative(rootPath, entry.filePath).replace(/\\/g, '/'),
+        size: entry.size,
+        mtime: entry.mtime,
+      }));
+  });
+  files.sort((lhs, rhs) => lhs.relPath.localeCompare(rhs.relPath));
+  const hash = crypto.createHash('md5')
+    .update(files.map(file => `${file.relPath}|${file.size}|${file.mtime}`).join('\n'))
+    .digest('hex');
+  return { rootPath, relPaths: files.map(file => file.relPath), hash };
+}
+
+async function pakExists(pakPath: string): Promise<boolean> {
+  try {
+    await fs.statAsync(pakPath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function createPackedMod(api: types.IExtensionApi, sourceMod: types.IMod): Promise<void> {
+  const modId = packedModId(sourceMod.id);
+  const mod = {
+    id: modId,
+    state: 'installed',
+    attributes: {
+      name: `${util.renderModName(sourceMod)} (Packed)`,
+      description: 'Generated by Vortex from the loose files of the mod it\'s named after. '
+                 + 'It gets rebuilt automatically whenever that mod changes, use "Keep Loose Files" '
+                 + 'on either mod if you prefer to deploy the loose files.',
+      logicalFileName: `${util.renderModName(sourceMod)} (Packed)`,
+      version: sourceMod.attributes?.version ?? '1.0.0',
+      installTime: new Date(),
+      packedFrom: sourceMod.id,
+    },
+    installationPath: modId,
+    type: '',
+  };
+
+  return new Promise((resolve, reject) => {
+    api.events.emit('create-mod', GAME_ID, mod, async (error) => {
+      if (error !== null) {
+        return reject(error);
+      }
+      return resolve();
+    });
+  });
+}
+
+async function buildPak(api: types.IExtensionApi, sourceMod: types.IMod,
+                        source: ISourceFiles, pakDir: string): Promise<string> {
+  const { folder, hasMeta } = moduleFolder(source.relPaths, sourceMod);
+  const buildPath = path.join(util.getVortexPath('temp'), 'bg3-pack', shortid());
+  const pakName = `${folder}.pak`;
+  try {
+    for (const relPath of source.relPaths) {
+      const destPath = path.join(buildPath, relPath);
+      await fs.ensureDirAsync(path.dirname(destPath));
+      await fs.copyAsync(path.join(source.rootPath, relPath), destPath);
+    }
+    if (!hasMeta) {
+      const metaPath = path.join(buildPath, 'Mods', folder, 'meta.lsx');
+      await fs.ensureDirAsync(path.dirname(metaPath));
+      await fs.writeFileAsync(metaPath, synthesizeMeta(sourceMod, folder), { encoding: 'utf8' });
+    }
+
+    // drop paks from previous builds, the folder name may have changed
+    await fs.removeAsync(pakDir).catch({ code: 'ENOENT' }, () => Promise.resolve());
+    await fs.ensureDirWritableAsync(pakDir);
+    const pakPath = path.join(pakDir, pakName);
+    await createPackage(api, buildPath, pakPath);
+    if (!(await pakExists(pakPath))) {
+      throw new Error('divine.exe did not create the package');
+    }
+  } finally {
+    await fs.removeAsync(buildPath).catch(() => Promise.resolve());
+  }
+  return pakName;
+}
+
+interface IPackResult {
+  // the pak had to be (re)built
+  rebuilt: boolean;
+  // the loose mod was enabled and got replaced by the packed mod
+  swapped: boolean;
+}
+
+async function updatePackedMod(api: types.IExtensionApi, profile: types.IProfile,
+                               sourceMod: types.IMod): Promise<IPackResult> {
+  const state = api.getState();
+  const stagingPath = selectors.installPathForGame(state, GAME_ID);
+  const modId = packedModId(sourceMod.id);
+  const source = await readSourceFiles(path.join(stagingPath, sourceMod.installationPath));
+
+  let packedMod: types.IMod = state.persistent.mods[GAME_ID]?.[modId];
+  const upToDate = (packedMod !== undefined)
+    && (packedMod.attributes?.packedHash === source.hash)
+    && (packedMod.attributes?.packedPak !== undefined)
+    && await pakExists(path.join(stagingPath, packedMod.installationPath, packedMod.attributes.packedPak));
+
+  if (!upToDate) {
+    if (packedMod === undefined) {
+      await createPackedMod(api, sourceMod);
+      packedMod = api.getState().persistent.mods[GAME_ID]?.[modId];
+    }
+    logDebug('packing loose mod', { modId: sourceMod.id, files: source.relPaths.length });
+    const pakName = await buildPak(api, sourceMod, source,
+      path.join(stagingPath, packedMod?.installationPath ?? modId));
+    api.store.dispatch(actions.setModAttribute(GAME_ID, modId, 'packedPak', pakName));
+    api.store.dispatch(actions.setModAttribute(GAME_ID, modId, 'packedHash', source.hash));
+    api.store.dispatch(actions.setModAttribute(GAME_ID, modId, 'installTime', new Date()));
+  }
+
+  // deploy the pak instead of the loose files
+  const swapped = util.getSafe(profile, ['modState', sourceMod.id, 'enabled'], false);
+  api.store.dispatch(actions.setModEnabled(profile.id, modId, true));
+  api.store.dispatch(actions.setModEnabled(profile.id, sourceMod.id, false));
+  return { rebuilt: !upToDate, swapped };
+}
+
+// Packed mods are of no use without the loose mod they were built from
+function isOrphaned(mods: { [modId: string]: types.IMod }, mod: types.IMod): boolean {
+  const packedFrom = mod.attributes?.packedFrom;
+  return (packedFrom !== undefined) && (mods[packedFrom] === undefined);
+}
+
+export async function removeOrphanedPackedMods(api: types.IExtensionApi): Promise<void> {
+  const mods: { [modId: string]: types.IMod } = api.getState().persistent.mods[GAME_ID] ?? {};
+  for (const mod of Object.values(mods).filter(iter => isOrphaned(mods, iter))) {
+    await new Promise<void>(resolve => {
+      api.events.emit('remove-mod', GAME_ID, mod.id, (error) => {
+        if (error !== null) {
+          log('error', 'failed to remove packed mod', { modId: mod.id, error: error.message });
+        }
+        return resolve();
+      });
+    });
+  }
+}
+
+// Users should know why the mod they enabled got disabled, but only once per mod
+function notifySwapped(api: types.IExtensionApi, swapped: types.IMod[]) {
+  const mods: { [modId: string]: types.IMod } = api.getState().persistent.mods[GAME_ID] ?? {};
+  const unnotified = swapped.filter(mod => mods[packedModId(mod.id)]?.attributes?.swapNotified !== true);
+  if (unnotified.length === 0) {
+    return;
+  }
+  util.batchDispatch(api.store, unnotified.map(mod =>
+    actions.setModAttribute(GAME_ID, packedModId(mod.id), 'swapNotified', true)));
+  const names = unnotified.map(mod => util.renderModName(mod));
+  api.sendNotification({
+    id: 'bg3-packed-mods-swapped',
+    type: 'info',
+    title: 'Loose file mods replaced by packed mods',
+    message: names.join(', '),
+    actions: [
+      {
+        title: 'More',
+        action: () => api.showDialog('info', 'Packed Mods', {
+          bbcode: api.translate('"Pack Loose File Mods" is enabled in the settings, so the following mods '
+            + 'were disabled and replaced by a "(Packed)" copy which gets deployed as a .pak instead. '
+            + 'Use "Keep Loose Files" on the Mods page if you want to deploy the loose files of a mod.')
+            + '[list]' + names.map(name => `[*]${name}`).join('') + '[/list]',
+        }, [
+          { label: 'Close' },
+        ]),
+      },
+    ],
+  });
+}
+
+export async function packLooseMods(api: types.IExtensionApi, profile: types.IProfile): Promise<void> {
+  const state = api.getState();
+  const isEnabled = (modId: string) => util.getSafe(profile, ['modState', modId, 'enabled'], false);
+  const mods: { [modId: string]: types.IMod } = state.persistent.mods[GAME_ID] ?? {};
+
+  // packed mods whose loose mod is gone get removed in did-remove-mod, this
+  //  catches the ones that were missed, e.g. because the extension was disabled
+  const orphaned = Object.values(mods).filter(mod => isOrphaned(mods, mod) && isEnabled(mod.id));
+  if (orphaned.length > 0) {
+    util.batchDispatch(api.store, orphaned.map(mod => actions.setModEnabled(profile.id, mod.id, false)));
+  }
+
+  if (!isPackingEnabled(state) || (getLatestLSLibMod(api) === undefined)) {
+    return;
+  }
+
+  // loose mods the user enabled and the ones that are already replaced by
+  //  their packed counterpart, unless the user opted out of packing them
+  const sources = Object.values(mods).filter(mod => (mod.type === MOD_TYPE_LOOSE)
+    && !keepsLooseFiles(mod)
+    && (isEnabled(mod.id) || isEnabled(packedModId(mod.id))));
+
+  const packed: string[] = [];
+  const swapped: types.IMod[] = [];
+  for (const sourceMod of sources) {
+    try {
+      const result = await updatePackedMod(api, profile, sourceMod);
+      if (result.rebuilt) {
+        packed.push(util.renderModName(sourceMod));
+      }
+      if (result.swapped) {
+        swapped.push(sourceMod);
+      }
+    } catch (err) {
+      log('error', 'failed to pack loose mod', { modId: sourceMod.id, error: err.message });
+      const allowReport = !(err instanceof DivineExecMissing) && !(err instanceof DivineMissingDotNet)
+        && !['ENOENT', 'EPERM'].includes(err.code);
+      api.showErrorNotification('Failed to pack loose file mod, its files will be deployed as they are', err,
+        { message: util.renderModName(sourceMod), allowReport });
+    }
+  }
+
+  if (packed.length > 0) {
+    api.sendNotification({
+      id: 'bg3-packed-loose-mods',
+      type: 'info',
+      title: 'Packed loose file mods',
+      message: packed.join(', '),
+      displayMS: 5000,
+    });
+  }
+  notifySwapped(api, swapped);
+}
@@ -0,0 +1,100 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.pakOverrides = exports.conflictWinner = exports.findPakConflicts = void 0;
+const path = __importStar(require("path"));
+const IGNORED_FILES = ['meta.lsx'];
+function internalPath(line) {
+    return line.split('\t')[0].trim().replace(/\\/g, '/');
+}
+function findPakConflicts(paks) {
+    var _a;
+    const providers = {};
+    for (const pak of paks) {
+        if (pak.mod === undefined) {
+            continue;
+        }
+        for (const line of (_a = pak.packageList) !== null && _a !== void 0 ? _a : []) {
+            const filePath = internalPath(line);
+            if ((filePath.length === 0)
+                || IGNORED_FILES.includes(path.basename(filePath).toLowerCase())) {
+                continue;
+            }
+            const key = filePath.toLowerCase();
+            if (providers[key] === undefined) {
+                providers[key] = { filePath, paks: [] };
+            }
+            if (!providers[key].paks.includes(pak.fileName)) {
+                providers[key].paks.push(pak.fileName);
+            }
+        }
+    }
+    return Object.keys(providers).reduce((accum, key) => {
+        if (providers[key].paks.length > 1) {
+            accum[providers[key].filePath] = providers[key].paks;
+        }
+        return accum;
+    }, {});
+}
+exports.findPakConflicts = findPakConflicts;
+function conflictWinner(pakNames, loadOrder) {
+    return pakNames.reduce((prev, pakName) => {
+        const idx = loadOrder.findIndex(entry => entry.id === pakName);
+        if (idx === -1) {
+            return prev;
+        }
+        return ((prev === undefined) || (idx > loadOrder.findIndex(entry => entry.id === prev)))
+            ? pakName
+            : prev;
+    }, undefined);
+}
+exports.conflictWinner = conflictWinner;
+function pakOverrides(conflicts, pakName, loadOrder) {
+    const result = { overrides: {}, overriddenBy: {} };
+    Object.keys(conflicts)
+        .filter(filePath => conflicts[filePath].includes(pakName))
+        .forEach(filePath => {
+        var _a;
+        const winner = conflictWinner(conflicts[filePath], loadOrder);
+        if (winner === undefined) {
+            return;
+        }
+        if (winner === pakName) {
+            conflicts[filePath]
+                .filter(other => (other !== pakName)
+                && (loadOrder.find(entry => entry.id === other) !== undefined))
+                .forEach(other => {
+                var _a;
+                result.overrides[other] = [].concat((_a = result.overrides[other]) !== null && _a !== void 0 ? _a : [], filePath);
+            });
+        }
+        else {
+            result.overriddenBy[winner] = [].concat((_a = result.overriddenBy[winner]) !== null && _a !== void 0 ? _a : [], filePath);
+        }
+    });
+    return result;
+}
+exports.pakOverrides = pakOverrides;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicGFrQ29uZmxpY3RzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsicGFrQ29uZmxpY3RzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQ0EsMkNBQTZCO0FBTzdCLE1BQU0sYUFBYSxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUM7QUFRbkMsU0FBUyxZQUFZLENBQUMsSUFBWTtJQUVoQyxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQztBQUN4RCxDQUFDO0FBRUQsU0FBZ0IsZ0JBQWdCLENBQUMsSUFBbUI7O0lBRWxELE1BQU0sU0FBUyxHQUE0RCxFQUFFLENBQUM7SUFDOUUsS0FBSyxNQUFNLEdBQUcsSUFBSSxJQUFJLEVBQUU7UUFDdEIsSUFBSSxHQUFHLENBQUMsR0FBRyxLQUFLLFNBQVMsRUFBRTtZQUV6QixTQUFTO1NBQ1Y7UUFDRCxLQUFLLE1BQU0sSUFBSSxJQUFJLE1BQUEsR0FBRyxDQUFDLFdBQVcsbUNBQUksRUFBRSxFQUFFO1lBQ3hDLE1BQU0sUUFBUSxHQUFHLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNwQyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUM7bUJBQ3BCLGFBQWEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxFQUFFO2dCQUNwRSxTQUFTO2FBQ1Y7WUFDRCxNQUFNLEdBQUcsR0FBRyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDbkMsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLEtBQUssU0FBUyxFQUFFO2dCQUNoQyxTQUFTLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxDQUFDO2FBQ3pDO1lBQ0QsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsRUFBRTtnQkFDL0MsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2FBQ3hDO1NBQ0Y7S0FDRjtJQUVELE9BQU8sTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7UUFDbEQsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDbEMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDO1NBQ3REO1FBQ0QsT0FBTyxLQUFLLENBQUM7SUFDZixDQUFDLEVBQUUsRUFBbUIsQ0FBQyxDQUFDO0FBQzFCLENBQUM7QUE5QkQsNENBOEJDO0FBSUQsU0FBZ0IsY0FBYyxDQUFDLFFBQWtCLEVBQUUsU0FBMEI7SUFDM0UsT0FBTyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBWSxFQUFFLE9BQWUsRUFBRSxFQUFFO1FBQ3ZELE1BQU0sR0FBRyxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxLQUFLLE9BQU8sQ0FBQyxDQUFDO1FBQy9ELElBQUksR0FBRyxLQUFLLENBQUMsQ0FBQyxFQUFFO1lBQ2QsT0FBTyxJQUFJLENBQUM7U0FDYjtRQUNELE9BQU8sQ0FBQyxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBQ3RGLENBQUMsQ0FBQyxPQUFPO1lBQ1QsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUNYLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztBQUNoQixDQUFDO0FBVkQsd0NBVUM7QUFFRCxTQUFnQixZQUFZLENBQUMsU0FBd0IsRUFBRSxPQUFlLEVBQ3pDLFNBQTBCO0lBQ3JELE1BQU0sTUFBTSxHQUFrQixFQUFFLFNBQVMsRUFBRSxFQUFFLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxDQUFDO0lBQ2xFLE1BQU0sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDO1NBQ25CLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDekQsT0FBTyxDQUFDLFFBQVEsQ0FBQyxFQUFFOztRQUNsQixNQUFNLE1BQU0sR0FBRyxjQUFjLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQzlELElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUN4QixPQUFPO1NBQ1I7UUFDRCxJQUFJLE1BQU0sS0FBSyxPQUFPLEVBQUU7WUFDdEIsU0FBUyxDQUFDLFFBQVEsQ0FBQztpQkFDaEIsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLEtBQUssT0FBTyxDQUFDO21CQUNuQixDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsRUFBRSxLQUFLLEtBQUssQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO2lCQUM1RSxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUU7O2dCQUNmLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFBLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLG1DQUFJLEVBQUUsRUFBRSxRQUFRLENBQUMsQ0FBQztZQUMvRSxDQUFDLENBQUMsQ0FBQztTQUNOO2FBQU07WUFDTCxNQUFNLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBQSxNQUFNLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxtQ0FBSSxFQUFFLEVBQUUsUUFBUSxDQUFDLENBQUM7U0FDdEY7SUFDSCxDQUFDLENBQUMsQ0FBQztJQUNMLE9BQU8sTUFBTSxDQUFDO0FBQ2hCLENBQUM7QUF0QkQsb0NBc0JDIiwic291cmNlc0NvbnRlbnQiOlsiLyogZXNsaW50LWRpc2FibGUgKi9cbmltcG9ydCAqIGFzIHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgeyB0eXBlcyB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBJQ2FjaGVFbnRyeSB9IGZyb20gJy4vY2FjaGUnO1xuaW1wb3J0IHsgSVBha0NvbmZsaWN0cyB9IGZyb20gJy4vdHlwZXMnO1xuXG4vLyBFdmVyeSBtb2Qgc2hpcHMgaXRzIG93biBtZXRhLmxzeCwgdGhlc2UgbmV2ZXIgYWN0dWFsbHkgY29uZmxpY3RcbmNvbnN0IElHTk9SRURfRklMRVMgPSBbJ21ldGEubHN4J107XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVBha092ZXJyaWRlcyB7XG4gIC8vIG90aGVyIHBhayAtPiBpbnRlcm5hbCBwYXRoc1xuICBvdmVycmlkZXM6IHsgW3Bha05hbWU6IHN0cmluZ106IHN0cmluZ1tdIH07XG4gIG92ZXJyaWRkZW5CeTogeyBbcGFrTmFtZTogc3RyaW5nXTogc3RyaW5nW10gfTtcbn1cblxuZnVuY3Rpb24gaW50ZXJuYWxQYXRoKGxpbmU6IHN0cmluZyk6IHN0cmluZyB7XG4gIC8vIGV4YW1wbGUgJ01vZHMvU2FmZSBFZGl0aW9uL21ldGEubHN4XFx0MTc1OVxcdDAnXG4gIHJldHVybiBsaW5lLnNwbGl0KCdcXHQnKVswXS50cmltKCkucmVwbGFjZSgvXFxcXC9nLCAnLycpO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gZmluZFBha0NvbmZsaWN0cyhwYWtzOiBJQ2FjaGVFbnRyeVtdKTogSVBha0NvbmZsaWN0cyB7XG4gIC8vIGtleWVkIGJ5IHRoZSBsb3dlciBjYXNlIHBhdGgsIHRoZSBnYW1lJ3MgZmlsZSBsb29rdXAgaXMgY2FzZSBpbnNlbnNpdGl2ZVxuICBjb25zdCBwcm92aWRlcnM6IHsgW2tleTogc3RyaW5nXTogeyBmaWxlUGF0aDogc3RyaW5nLCBwYWtzOiBzdHJpbmdbXSB9IH0gPSB7fTtcbiAgZm9yIChjb25zdCBwYWsgb2YgcGFrcykge1xuICAgIGlmIChwYWsubW9kID09PSB1bmRlZmluZWQpIHtcbiAgICAgIC8vIG5vdCBtYW5hZ2VkIGJ5IFZvcnRleCBhbmQgdGhlcmVmb3JlIG5vdCBwYXJ0IG9mIHRoZSBsb2FkIG9yZGVyXG4gICAgICBjb250aW51ZTtcbiAgICB9XG4gICAgZm9yIChjb25zdCBsaW5lIG9mIHBhay5wYWNrYWdlTGlzdCA/PyBbXSkge1xuICAgICAgY29uc3QgZmlsZVBhdGggPSBpbnRlcm5hbFBhdGgobGluZSk7XG4gICAgICBpZiAoKGZpbGVQYXRoLmxlbmd0aCA9PT0gMClcbiAgICAgICAgICB8fCBJR05PUkVEX0ZJTEVTLmluY2x1ZGVzKHBhdGguYmFzZW5hbWUoZmlsZVBhdGgpLnRvTG93ZXJDYXNlKCkpKSB7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuICAgICAgY29uc3Qga2V5ID0gZmlsZVBhdGgudG9Mb3dlckNhc2UoKTtcbiAgICAgIGlmIChwcm92aWRlcnNba2V5XSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAgIHByb3ZpZGVyc1trZXldID0geyBmaWxlUGF0aCwgcGFrczogW10gfTtcbiAgICAgIH1cbiAgICAgIGlmICghcHJvdmlkZXJzW2tleV0ucGFrcy5pbmNsdWRlcyhwYWsuZmlsZU5hbWUpKSB7XG4gICAgICAgIHByb3ZpZGVyc1trZXldLnBha3MucHVzaChwYWsuZmlsZU5hbWUpO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiBPYmplY3Qua2V5cyhwcm92aWRlcnMpLnJlZHVjZSgoYWNjdW0sIGtleSkgPT4ge1xuICAgIGlmIChwcm92aWRlcnNba2V5XS5wYWtzLmxlbmd0aCA+IDEpIHtcbiAgICAgIGFjY3VtW3Byb3ZpZGVyc1trZXldLmZpbGVQYXRoXSA9IHByb3ZpZGVyc1trZXldLnBha3M7XG4gICAgfVxuICAgIHJldHVybiBhY2N1bTtcbiAgfSwge30gYXMgSVBha0NvbmZsaWN0cyk7XG59XG5cbi8vIFBha3MgZnVydGhlciBkb3duIHRoZSBsb2FkIG9yZGVyIGFyZSBsb2FkZWQgbGF0ZXIgYW5kIHdpbi4gUGFrcyB0aGF0IGFyZVxuLy8gIG5vdCBwYXJ0IG9mIHRoZSBsb2FkIG9yZGVyIGFyZSBpZ25vcmVkLlxuZXhwb3J0IGZ1bmN0aW9uIGNvbmZsaWN0V2lubmVyKHBha05hbWVzOiBzdHJpbmdbXSwgbG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIpOiBzdHJpbmcge1xuICByZXR1cm4gcGFrTmFtZXMucmVkdWNlKChwcmV2OiBzdHJpbmcsIHBha05hbWU6IHN0cmluZykgPT4ge1xuICAgIGNvbnN0IGlkeCA9IGxvYWRPcmRlci5maW5kSW5kZXgoZW50cnkgPT4gZW50cnkuaWQgPT09IHBha05hbWUpO1xuICAgIGlmIChpZHggPT09IC0xKSB7XG4gICAgICByZXR1cm4gcHJldjtcbiAgICB9XG4gICAgcmV0dXJuICgocHJldiA9PT0gdW5kZWZpbmVkKSB8fCAoaWR4ID4gbG9hZE9yZGVyLmZpbmRJbmRleChlbnRyeSA9PiBlbnRyeS5pZCA9PT0gcHJldikpKVxuICAgICAgPyBwYWtOYW1lXG4gICAgICA6IHByZXY7XG4gIH0sIHVuZGVmaW5lZCk7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBwYWtPdmVycmlkZXMoY29uZmxpY3RzOiBJUGFrQ29uZmxpY3RzLCBwYWtOYW1lOiBzdHJpbmcsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgIGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyKTogSVBha092ZXJyaWRlcyB7XG4gIGNvbnN0IHJlc3VsdDogSVBha092ZXJyaWRlcyA9IHsgb3ZlcnJpZGVzOiB7fSwgb3ZlcnJpZGRlbkJ5OiB7fSB9O1xuICBPYmplY3Qua2V5cyhjb25mbGljdHMpXG4gICAgLmZpbHRlcihmaWxlUGF0aCA9PiBjb25mbGljdHNbZmlsZVBhdGhdLmluY2x1ZGVzKHBha05hbWUpKVxuICAgIC5mb3JFYWNoKGZpbGVQYXRoID0+IHtcbiAgICAgIGNvbnN0IHdpbm5lciA9IGNvbmZsaWN0V2lubmVyKGNvbmZsaWN0c1tmaWxlUGF0aF0sIGxvYWRPcmRlcik7XG4gICAgICBpZiAod2lubmVyID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuICAgICAgaWYgKHdpbm5lciA9PT0gcGFrTmFtZSkge1xuICAgICAgICBjb25mbGljdHNbZmlsZVBhdGhdXG4gICAgICAgICAgLmZpbHRlcihvdGhlciA9PiAob3RoZXIgIT09IHBha05hbWUpXG4gICAgICAgICAgICAgICAgICAgICAgICAmJiAobG9hZE9yZGVyLmZpbmQoZW50cnkgPT4gZW50cnkuaWQgPT09IG90aGVyKSAhPT0gdW5kZWZpbmVkKSlcbiAgICAgICAgICAuZm9yRWFjaChvdGhlciA9PiB7XG4gICAgICAgICAgICByZXN1bHQub3ZlcnJpZGVzW290aGVyXSA9IFtdLmNvbmNhdChyZXN1bHQub3ZlcnJpZGVzW290aGVyXSA/PyBbXSwgZmlsZVBhdGgpO1xuICAgICAgICAgIH0pO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgcmVzdWx0Lm92ZXJyaWRkZW5CeVt3aW5uZXJdID0gW10uY29uY2F0KHJlc3VsdC5vdmVycmlkZGVuQnlbd2lubmVyXSA/PyBbXSwgZmlsZVBhdGgpO1xuICAgICAgfVxuICAgIH0pO1xuICByZXR1cm4gcmVzdWx0O1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,90 @@
+/* eslint-disable */
+import * as path from 'path';
+import { types } from 'vortex-api';
+
+import { ICacheEntry } from './cache';
+import { IPakConflicts } from './types';
+
+// Every mod ships its own meta.lsx, these never actually conflict
+const IGNORED_FILES = ['meta.lsx'];
+
+export interface IPakOverrides {
+  // other pak -> internal paths
+  overrides: { [pakName: string]: string[] };
+  overriddenBy: { [pakName: string]: string[] };
+}
+
+function internalPath(line: string): string {
+  // example 'Mods/Safe Edition/meta.lsx\t1759\t0'
+  return line.split('\t')[0].trim().replace(/\\/g, '/');
+}
+
+export function findPakConflicts(paks: ICacheEntry[]): IPakConflicts {
+  // keyed by the lower case path, the game's file lookup is case insensitive
+  const providers: { [key: string]: { filePath: string, paks: string[] } } = {};
+  for (const pak of paks) {
+    if (pak.mod === undefined) {
+      // not managed by Vortex and therefore not part of the load order
+      continue;
+    }
+    for (const line of pak.packageList ?? []) {
+      const filePath = internalPath(line);
+      if ((filePath.length === 0)
+          || IGNORED_FILES.includes(path.basename(filePath).toLowerCase())) {
+        continue;
+      }
+      const key = filePath.toLowerCase();
+      if (providers[key] === undefined) {
+        providers[key] = { filePath, paks: [] };
+      }
+      if (!providers[key].paks.includes(pak.fileName)) {
+        providers[key].paks.push(pak.fileName);
+      }
+    }
+  }
+
+  return Object.keys(providers).reduce((accum, key) => {
+    if (providers[key].paks.length > 1) {
+      accum[providers[key].filePath] = providers[key].paks;
+    }
+    return accum;
+  }, {} as IPakConflicts);
+}
+
+// Paks further down the load order are loaded later and win. Paks that are
+//  not part of the load order are ignored.
+export function conflictWinner(pakNames: string[], loadOrder: types.LoadOrder): string {
+  return pakNames.reduce((prev: string, pakName: string) => {
+    const idx = loadOrder.findIndex(entry => entry.id === pakName);
+    if (idx === -1) {
+      return prev;
+    }
+    return ((prev === undefined) || (idx > loadOrder.findIndex(entry => entry.id === prev)))
+      ? pakName
+      : prev;
+  }, undefined);
+}
+
+export function pakOverrides(conflicts: IPakConflicts, pakName: string,
+                             loadOrder: types.LoadOrder): IPakOverrides {
+  const result: IPakOverrides = { overrides: {}, overriddenBy: {} };
+  Object.keys(conflicts)
+    .filter(filePath => conflicts[filePath].includes(pakName))
+    .forEach(filePath => {
+      const winner = conflictWinner(conflicts[filePath], loadOrder);
+      if (winner === undefined) {
+        return;
+      }
+      if (winner === pakName) {
+        conflicts[filePath]
+          .filter(other => (other !== pakName)
+                        && (loadOrder.find(entry => entry.id === other) !== undefined))
+          .forEach(other => {
+            result.overrides[other] = [].concat(result.overrides[other] ?? [], filePath);
+          });
+      } else {
+        result.overriddenBy[winner] = [].concat(result.overriddenBy[winner] ?? [], filePath);
+      }
+    });
+  return result;
+}
@@ -6,6 +6,8 @@ const reducer: types.IReducerSpec = {
   reducers: {
     [actions.setMigration as any]: (state, payload) => util.setSafe(state, ['migration'], payload),
     [actions.setAutoExportLoadOrder as any]: (state, payload) => util.setSafe(state, ['autoExportLoadOrder'], payload),
+    [actions.setSyncPlayerProfiles as any]: (state, payload) => util.setSafe(state, ['syncPlayerProfiles'], payload),
+    [actions.setPackLooseMods as any]: (state, payload) => util.setSafe(state, ['packLooseMods'], payload),
     [actions.setPlayerProfile as any]: (state, payload) => util.setSafe(state, ['playerProfile'], payload),
     [actions.settingsWritten as any]: (state, payload) => {
       const { profile, time, count } = payload;
@@ -15,10 +17,20 @@ const reducer: types.IReducerSpec = {
   defaults: {
     migration: true,
     autoExportLoadOrder: true,
+    syncPlayerProfiles: false,
+    packLooseMods: false,
     playerProfile: 'global',
     settingsWritten: {},
   },
 };
 
+export const sessionReducer: types.IReducerSpec = {
+  reducers: {
+    [actions.setPakConflicts as any]: (state, payload) => util.setSafe(state, ['pakConflicts'], payload),
+  },
+  defaults: {
+    pakConflicts: {},
+  },
+};
 
 export default reducer;
\ No newline at end of file
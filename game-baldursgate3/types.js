@@ -1,3 +1,3 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IHR5cGVzIH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcblxyXG5leHBvcnQgaW50ZXJmYWNlIElQYWtJbmZvIHtcclxuICB0eXBlPzogc3RyaW5nO1xyXG4gIHV1aWQ/OiBzdHJpbmc7XHJcbiAgbWQ1Pzogc3RyaW5nO1xyXG4gIHZlcnNpb24/OiBzdHJpbmc7XHJcbiAgbmFtZT86IHN0cmluZztcclxuICBmb2xkZXI/OiBzdHJpbmc7XHJcbiAgYXV0aG9yPzogc3RyaW5nO1xyXG4gIGRlc2NyaXB0aW9uPzogc3RyaW5nO1xyXG4gIGlzTGlzdGVkPzogYm9vbGVhbjtcclxufVxyXG5cclxuZXhwb3J0IGludGVyZmFjZSBJUHJvcHMge1xyXG4gIHN0YXRlOiB0eXBlcy5JU3RhdGU7XHJcbiAgYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpO1xyXG4gIHByb2ZpbGU6IHR5cGVzLklQcm9maWxlO1xyXG4gIGRpc2NvdmVyeTogdHlwZXMuSURpc2NvdmVyeVJlc3VsdDtcclxuICBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9O1xyXG59XHJcblxyXG5leHBvcnQgdHlwZSBCRzNQYWsgPSB7XHJcbiAgZmlsZU5hbWU6IHN0cmluZztcclxuICBtb2Q6IHR5cGVzLklNb2Q7XHJcbiAgaW5mbzogSVBha0luZm87XHJcbn07XHJcblxyXG5cclxuLy9leHBvcnQgdHlwZSBMb2FkT3JkZXIgPSBJTG9hZE9yZGVyRW50cnlbXTtcclxuXHJcbi8qXHJcbmV4cG9ydCBpbnRlcmZhY2UgSUxvYWRPcmRlckVudHJ5IHtcclxuICBpZDogc3RyaW5nXHJcbiAgcG9zPzogbnVtYmVyO1xyXG4gIGVuYWJsZWQ6IGJvb2xlYW47XHJcbiAgcHJlZml4Pzogc3RyaW5nO1xyXG4gIGRhdGE/OiBhbnk7XHJcblxyXG4gIC8vIGxvY2tlZCBpbiBVST9cclxuICBsb2NrZWQ/OiBib29sZWFuO1xyXG5cclxuICAvLyBIdW1hbiByZWFkYWJsZSBuYW1lIGZvciB0aGUgbW9kIC0gdGhpcyBpcyB3aGF0IHdlIGRpc3BsYXkgdG8gdGhlIHVzZXJcclxuICAvLyAgaW4gdGhlIGxvYWQgb3JkZXIgcGFnZS5cclxuICBuYW1lOiBzdHJpbmc7XHJcblxyXG4gIC8vIFRoZSBtb2RJZCBhcyBzdG9yZWQgYnkgVm9ydGV4IGluIGl0cyBhcHBsaWNhdGlvbiBzdGF0ZS4gUmVtZW1iZXIsIGluXHJcbiAgLy8gIG90aGVyIGdhbWVzLCAxIG1vZElkIGNvdWxkIGhhdmUgc2V2ZXJhbCBtb2QgZW50cmllcyBpbiB0aGUgbG9hZCBvcmRlclxyXG4gIC8vICBwYWdlIHRoYXQgYXJlIHRpZWQgdG8gaXQuIFRoYXQncyB3aHkgd2UgaGF2ZSB0d28gc2VwYXJhdGUgaWQgcHJvcGVydGllcy5cclxuICBtb2RJZD86IHN0cmluZztcclxufVxyXG4qL1xyXG5cclxuZXhwb3J0IGludGVyZmFjZSBJWG1sTm9kZTxBdHRyaWJ1dGVUIGV4dGVuZHMgb2JqZWN0PiB7XHJcbiAgJDogQXR0cmlidXRlVDtcclxufVxyXG5cclxuZXhwb3J0IGludGVyZmFjZSBJQXR0cmlidXRlIGV4dGVuZHMgSVhtbE5vZGU8eyBpZDogc3RyaW5nLCB0eXBlOiBzdHJpbmcsIHZhbHVlOiBzdHJpbmcgfT4ge31cclxuXHJcbmV4cG9ydCBpbnRlcmZhY2UgSU1vZE5vZGUgZXh0ZW5kcyBJWG1sTm9kZTx7IGlkOiAnTW9kdWxlJyB8ICdNb2R1bGVTaG9ydERlc2MnIH0+IHtcclxuICBhdHRyaWJ1dGU6IElBdHRyaWJ1dGVbXTtcclxufVxyXG5cclxuZXhwb3J0IGludGVyZmFjZSBJUm9vdE5vZGUgZXh0ZW5kcyBJWG1sTm9kZTx7IGlkOiAnTW9kcycgfCAnTW9kT3JkZXInIH0+IHtcclxuICBjaGlsZHJlbj86IFt7IG5vZGU6IElNb2ROb2RlW10gfV07XHJcbiAgYXR0cmlidXRlPzogSUF0dHJpYnV0ZVtdO1xyXG59XHJcblxyXG5leHBvcnQgaW50ZXJmYWNlIElSZWdpb25Ob2RlIGV4dGVuZHMgSVhtbE5vZGU8eyBpZDogJ3Jvb3QnIH0+IHtcclxuICBjaGlsZHJlbjogW3sgbm9kZTogSVJvb3ROb2RlW10gfV07XHJcbn1cclxuXHJcbmV4cG9ydCBpbnRlcmZhY2UgSVJlZ2lvbiBleHRlbmRzIElYbWxOb2RlPHsgaWQ6ICdNb2R1bGVTZXR0aW5ncycgfCAnQ29uZmlnJyB9PiB7XHJcbiAgbm9kZTogSVJlZ2lvbk5vZGVbXTtcclxufVxyXG5cclxuZXhwb3J0IGludGVyZmFjZSBJTW9kU2V0dGluZ3Mge1xyXG4gIHNhdmU6IHtcclxuICAgIGhlYWRlcjogSVhtbE5vZGU8eyB2ZXJzaW9uOiBzdHJpbmcgfT47XHJcbiAgICB2ZXJzaW9uOiBJWG1sTm9kZTx7IG1ham9yOiBzdHJpbmcsIG1pbm9yOiBzdHJpbmcsIHJldmlzaW9uOiBzdHJpbmcsIGJ1aWxkOiBzdHJpbmcgfT47XHJcbiAgICByZWdpb246IElSZWdpb25bXTtcclxuICB9O1xyXG59XHJcblxyXG5leHBvcnQgdHlwZSBEaXZpbmVBY3Rpb24gPSAnY3JlYXRlLXBhY2thZ2UnIHwgJ2xpc3QtcGFja2FnZScgfCAnZXh0cmFjdC1zaW5nbGUtZmlsZSdcclxuICAgICAgICAgICAgICAgICAgfCAnZXh0cmFjdC1wYWNrYWdlJyB8ICdleHRyYWN0LXBhY2thZ2VzJyB8ICdjb252ZXJ0LW1vZGVsJ1xyXG4gICAgICAgICAgICAgICAgICB8ICdjb252ZXJ0LW1vZGVscycgfCAnY29udmVydC1yZXNvdXJjZScgfCAnY29udmVydC1yZXNvdXJjZXMnO1xyXG5cclxuICAgICAgICAgICAgICAgICAgZXhwb3J0IGludGVyZmFjZSBJRGl2aW5lT3B0aW9ucyB7XHJcbiAgc291cmNlOiBzdHJpbmc7XHJcbiAgZGVzdGluYXRpb24/OiBzdHJpbmc7XHJcbiAgZXhwcmVzc2lvbj86IHN0cmluZztcclxuICBsb2dsZXZlbD86ICdvZmYnIHwgJ2ZhdGFsJyB8ICdlcnJvcicgfCAnd2FybicgfCAnaW5mbycgfCAnZGVidWcnIHwgJ3RyYWNlJyB8ICdhbGwnXHJcbn1cclxuXHJcbmV4cG9ydCBpbnRlcmZhY2UgSURpdmluZU91dHB1dCB7XHJcbiAgc3Rkb3V0OiBzdHJpbmc7XHJcbiAgcmV0dXJuQ29kZTogbnVtYmVyO1xyXG59Il19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IHR5cGVzIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVBha0RlcGVuZGVuY3kge1xuICB1dWlkOiBzdHJpbmc7XG4gIG5hbWU/OiBzdHJpbmc7XG4gIGZvbGRlcj86IHN0cmluZztcbiAgdmVyc2lvbj86IHN0cmluZztcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJUGFrSW5mbyB7XG4gIHR5cGU/OiBzdHJpbmc7XG4gIHV1aWQ/OiBzdHJpbmc7XG4gIG1kNT86IHN0cmluZztcbiAgdmVyc2lvbj86IHN0cmluZztcbiAgbmFtZT86IHN0cmluZztcbiAgZm9sZGVyPzogc3RyaW5nO1xuICBhdXRob3I/OiBzdHJpbmc7XG4gIGRlc2NyaXB0aW9uPzogc3RyaW5nO1xuICBpc0xpc3RlZD86IGJvb2xlYW47XG4gIC8vIG1vZHVsZXMgdGhpcyBwYWsgZGVjbGFyZXMgYXMgZGVwZW5kZW5jaWVzIGluIGl0cyBtZXRhLmxzeFxuICBkZXBlbmRlbmNpZXM/OiBJUGFrRGVwZW5kZW5jeVtdO1xufVxuXG4vLyBpbnRlcm5hbCBwYXRocyBzaGlwcGVkIGJ5IG1vcmUgdGhhbiBvbmUgcGFrLCBtYXBwZWQgdG8gdGhlIGZpbGUgbmFtZXMgb2Zcbi8vICB0aGUgcGFrcyB0aGF0IGNvbnRhaW4gdGhlbVxuZXhwb3J0IGludGVyZmFjZSBJUGFrQ29uZmxpY3RzIHtcbiAgW2ludGVybmFsUGF0aDogc3RyaW5nXTogc3RyaW5nW107XG59XG5cbi8vIEVudHJ5IG9mIGEgbG9hZCBvcmRlciBleHBvcnRlZCBieSBCYWxkdXIncyBHYXRlIDMgTW9kIE1hbmFnZXIgKEJHM01NKVxuZXhwb3J0IGludGVyZmFjZSBJQkczTU1FbnRyeSB7XG4gIEluZGV4PzogbnVtYmVyO1xuICBGaWxlTmFtZT86IHN0cmluZztcbiAgVVVJRDogc3RyaW5nO1xuICBGb2xkZXI/OiBzdHJpbmc7XG4gIE5hbWU/OiBzdHJpbmc7XG4gIERlc2NyaXB0aW9uPzogc3RyaW5nO1xuICBBdXRob3I/OiBzdHJpbmc7XG4gIFZlcnNpb24/OiBzdHJpbmc7XG4gIE1ENT86IHN0cmluZztcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJUHJvcHMge1xuICBzdGF0ZTogdHlwZXMuSVN0YXRlO1xuICBhcGk6IHR5cGVzLklFeHRlbnNpb25BcGk7XG4gIHByb2ZpbGU6IHR5cGVzLklQcm9maWxlO1xuICBkaXNjb3Zlcnk6IHR5cGVzLklEaXNjb3ZlcnlSZXN1bHQ7XG4gIG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH07XG59XG5cbmV4cG9ydCB0eXBlIEJHM1BhayA9IHtcbiAgZmlsZU5hbWU6IHN0cmluZztcbiAgbW9kOiB0eXBlcy5JTW9kO1xuICBpbmZvOiBJUGFrSW5mbztcbn07XG5cblxuLy9leHBvcnQgdHlwZSBMb2FkT3JkZXIgPSBJTG9hZE9yZGVyRW50cnlbXTtcblxuLypcbmV4cG9ydCBpbnRlcmZhY2UgSUxvYWRPcmRlckVudHJ5IHtcbiAgaWQ6IHN0cmluZ1xuICBwb3M/OiBudW1iZXI7XG4gIGVuYWJsZWQ6IGJvb2xlYW47XG4gIHByZWZpeD86IHN0cmluZztcbiAgZGF0YT86IGFueTtcblxuICAvLyBsb2NrZWQgaW4gVUk/XG4gIGxvY2tlZD86IGJvb2xlYW47XG5cbiAgLy8gSHVtYW4gcmVhZGFibGUgbmFtZSBmb3IgdGhlIG1vZCAtIHRoaXMgaXMgd2hhdCB3ZSBkaXNwbGF5IHRvIHRoZSB1c2VyXG4gIC8vICBpbiB0aGUgbG9hZCBvcmRlciBwYWdlLlxuICBuYW1lOiBzdHJpbmc7XG5cbiAgLy8gVGhlIG1vZElkIGFzIHN0b3JlZCBieSBWb3J0ZXggaW4gaXRzIGFwcGxpY2F0aW9uIHN0YXRlLiBSZW1lbWJlciwgaW5cbiAgLy8gIG90aGVyIGdhbWVzLCAxIG1vZElkIGNvdWxkIGhhdmUgc2V2ZXJhbCBtb2QgZW50cmllcyBpbiB0aGUgbG9hZCBvcmRlclxuICAvLyAgcGFnZSB0aGF0IGFyZSB0aWVkIHRvIGl0LiBUaGF0J3Mgd2h5IHdlIGhhdmUgdHdvIHNlcGFyYXRlIGlkIHByb3BlcnRpZXMuXG4gIG1vZElkPzogc3RyaW5nO1xufVxuKi9cblxuZXhwb3J0IGludGVyZmFjZSBJWG1sTm9kZTxBdHRyaWJ1dGVUIGV4dGVuZHMgb2JqZWN0PiB7XG4gICQ6IEF0dHJpYnV0ZVQ7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUF0dHJpYnV0ZSBleHRlbmRzIElYbWxOb2RlPHsgaWQ6IHN0cmluZywgdHlwZTogc3RyaW5nLCB2YWx1ZTogc3RyaW5nIH0+IHt9XG5cbmV4cG9ydCBpbnRlcmZhY2UgSU1vZE5vZGUgZXh0ZW5kcyBJWG1sTm9kZTx7IGlkOiAnTW9kdWxlJyB8ICdNb2R1bGVTaG9ydERlc2MnIH0+IHtcbiAgYXR0cmlidXRlOiBJQXR0cmlidXRlW107XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVJvb3ROb2RlIGV4dGVuZHMgSVhtbE5vZGU8eyBpZDogJ01vZHMnIHwgJ01vZE9yZGVyJyB9PiB7XG4gIGNoaWxkcmVuPzogW3sgbm9kZTogSU1vZE5vZGVbXSB9XTtcbiAgYXR0cmlidXRlPzogSUF0dHJpYnV0ZVtdO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElSZWdpb25Ob2RlIGV4dGVuZHMgSVhtbE5vZGU8eyBpZDogJ3Jvb3QnIH0+IHtcbiAgY2hpbGRyZW46IFt7IG5vZGU6IElSb290Tm9kZVtdIH1dO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElSZWdpb24gZXh0ZW5kcyBJWG1sTm9kZTx7IGlkOiAnTW9kdWxlU2V0dGluZ3MnIHwgJ0NvbmZpZycgfT4ge1xuICBub2RlOiBJUmVnaW9uTm9kZVtdO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElNb2RTZXR0aW5ncyB7XG4gIHNhdmU6IHtcbiAgICBoZWFkZXI6IElYbWxOb2RlPHsgdmVyc2lvbjogc3RyaW5nIH0+O1xuICAgIHZlcnNpb246IElYbWxOb2RlPHsgbWFqb3I6IHN0cmluZywgbWlub3I6IHN0cmluZywgcmV2aXNpb246IHN0cmluZywgYnVpbGQ6IHN0cmluZyB9PjtcbiAgICByZWdpb246IElSZWdpb25bXTtcbiAgfTtcbn1cblxuZXhwb3J0IHR5cGUgRGl2aW5lQWN0aW9uID0gJ2NyZWF0ZS1wYWNrYWdlJyB8ICdsaXN0LXBhY2thZ2UnIHwgJ2V4dHJhY3Qtc2luZ2xlLWZpbGUnXG4gICAgICAgICAgICAgICAgICB8ICdleHRyYWN0LXBhY2thZ2UnIHwgJ2V4dHJhY3QtcGFja2FnZXMnIHwgJ2NvbnZlcnQtbW9kZWwnXG4gICAgICAgICAgICAgICAgICB8ICdjb252ZXJ0LW1vZGVscycgfCAnY29udmVydC1yZXNvdXJjZScgfCAnY29udmVydC1yZXNvdXJjZXMnO1xuXG4gICAgICAgICAgICAgICAgICBleHBvcnQgaW50ZXJmYWNlIElEaXZpbmVPcHRpb25zIHtcbiAgc291cmNlOiBzdHJpbmc7XG4gIGRlc3RpbmF0aW9uPzogc3RyaW5nO1xuICBleHByZXNzaW9uPzogc3RyaW5nO1xuICBsb2dsZXZlbD86ICdvZmYnIHwgJ2ZhdGFsJyB8ICdlcnJvcicgfCAnd2FybicgfCAnaW5mbycgfCAnZGVidWcnIHwgJ3RyYWNlJyB8ICdhbGwnXG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSURpdmluZU91dHB1dCB7XG4gIHN0ZG91dDogc3RyaW5nO1xuICByZXR1cm5Db2RlOiBudW1iZXI7XG59Il19
\ No newline at end of file
@@ -1,5 +1,12 @@
 import { types } from 'vortex-api';
 
+export interface IPakDependency {
+  uuid: string;
+  name?: string;
+  folder?: string;
+  version?: string;
+}
+
 export interface IPakInfo {
   type?: string;
   uuid?: string;
@@ -10,6 +17,27 @@ export interface IPakInfo {
   author?: string;
   description?: string;
   isListed?: boolean;
+  // modules this pak declares as dependencies in its meta.lsx
+  dependencies?: IPakDependency[];
+}
+
+// internal paths shipped by more than one pak, mapped to the file names of
+//  the paks that contain them
+export interface IPakConflicts {
+  [internalPath: string]: string[];
+}
+
+// Entry of a load order exported by Baldur's Gate 3 Mod Manager (BG3MM)
+export interface IBG3MMEntry {
+  Index?: number;
+  FileName?: string;
+  UUID: string;
+  Folder?: string;
+  Name?: string;
+  Description?: string;
+  Author?: string;
+  Version?: string;
+  MD5?: string;
 }
 
 export interface IProps {
@@ -7,7 +7,8 @@ import { actions, fs, types, selectors, log, util } from 'vortex-api';
 import { Builder, parseStringPromise } from 'xml2js';
 import { DEBUG, MOD_TYPE_LSLIB, GAME_ID } from './common';
 import { extractPak } from './divineWrapper';
-import { IModSettings, IPakInfo, IModNode, IXmlNode } from './types';
+import { LSPKUnsupported, readPackage, readPackageFile } from './lspk';
+import { IModSettings, IPakDependency, IPakInfo, IModNode, IXmlNode } from './types';
 
 export function getGamePath(api): string {
   const state = api.getState();
@@ -40,18 +41,19 @@ export function globalProfilePath() {
   return path.join(documentsPath(), 'global');
 }
 
-export const getPlayerProfiles = (() => {
-  let cached = [];
+// Player profiles may be created or removed in-game at any time, so these are
+//  read from disk every time they're needed.
+export function getPlayerProfiles(): string[] {
   try {
-    cached = (fs as any).readdirSync(profilesPath())
-        .filter(name => (path.extname(name) === '') && (name !== 'Default'));
+    return (fs as any).readdirSync(profilesPath())
+      .filter(name => (path.extname(name) === '') && (name !== 'Default'));
   } catch (err) {
     if (err.code !== 'ENOENT') {
       throw err;
     }
+    return [];
   }
-  return () => cached;
-})();
+}
 
 export function gameSupportsProfile(gameVersion: string) {
   return semver.lt(semver.coerce(gameVersion), '4.1.206');
@@ -194,6 +196,7 @@ export async function extractPakInfoImpl(api: types.IExtensionApi, pakPath: stri
   const config = findNode(meta?.save?.region, 'Config');
   const configRoot = findNode(config?.node, 'root');
   const moduleInfo = findNode(configRoot?.children?.[0]?.node, 'ModuleInfo');
+  const dependenciesNode = findNode(configRoot?.children?.[0]?.node, 'Dependencies');
 
   const attr = (name: string, fallback: () => any) =>
     findNode(moduleInfo?.attribute, name)?.$?.value ?? fallback();
@@ -209,11 +212,94 @@ export async function extractPakInfoImpl(api: types.IExtensionApi, pakPath: stri
     type: attr('Type', () => 'Adventure'),
     uuid: attr('UUID', () => require('uuid').v4()),
     version: attr('Version', () => '1'),
-    isListed: isListed
+    isListed: isListed,
+    dependencies: parseDependencies(dependenciesNode),
   };
 }
 
+function parseDependencies(dependenciesNode: IModNode | any): IPakDependency[] {
+  // empty nodes are parsed as an empty string
+  const children = dependenciesNode?.children?.[0];
+  const nodes: IModNode[] = ((children !== undefined) && (typeof children !== 'string'))
+    ? (children.node ?? [])
+    : [];
+  return nodes
+    .filter(node => node?.$?.id === 'ModuleShortDesc')
+    .map(node => {
+      const attr = (name: string) => findNode(node.attribute, name)?.$?.value;
+      return {
+        uuid: attr('UUID'),
+        name: attr('Name'),
+        folder: attr('Folder'),
+        version: attr('Version64') ?? attr('Version'),
+      };
+    })
+    .filter(dep => !!dep.uuid);
+}
+
+function isInvalidXmlError(err: Error): boolean {
+  // an error message specifying column and row indicate a problem parsing the xml file
+  return err.message.includes('Column') && (err.message.includes('Line'));
+}
+
+function reportInvalidMeta(api: types.IExtensionApi, err: Error, mod: types.IMod) {
+  api.sendNotification({
+    type: 'warning',
+    message: 'The meta.lsx file in "{{modName}}" is invalid, please report this to the author',
+    actions: [{
+      title: 'More',
+      action: () => {
+        api.showDialog('error', 'Invalid meta.lsx file', {
+          message: err.message,
+        }, [{ label: 'Close' }])
+      }
+    }],
+    replace: {
+      modName: util.renderModName(mod),
+    }
+  });
+}
+
+// Reads the meta.lsx file straight from the package, returns undefined if
+//  the package doesn't contain one.
+async function extractMetaNative(pakPath: string): Promise<Buffer> {
+  const pkg = await readPackage(pakPath);
+  // the meta.lsx may be in a subdirectory. There is probably a pattern here
+  // but we'll just use it from wherever
+  const metaEntry = pkg.entries.find(entry =>
+    path.basename(entry.name).toLowerCase() === 'meta.lsx');
+  return (metaEntry !== undefined)
+    ? readPackageFile(pkg, metaEntry)
+    : undefined;
+}
+
 export async function extractMeta(api: types.IExtensionApi, pakPath: string, mod: types.IMod): Promise<IModSettings> {
+  let dat: Buffer;
+  try {
+    dat = await extractMetaNative(pakPath);
+  } catch (err) {
+    if (!(err instanceof LSPKUnsupported)) {
+      throw err;
+    }
+    logDebug('extractMeta falling back to divine', { pakPath, reason: err.message });
+    return extractMetaDivine(api, pakPath, mod);
+  }
+
+  if (dat === undefined) {
+    return undefined;
+  }
+  try {
+    return await parseStringPromise(dat);
+  } catch (err) {
+    if (isInvalidXmlError(err)) {
+      reportInvalidMeta(api, err, mod);
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+async function extractMetaDivine(api: types.IExtensionApi, pakPath: string, mod: types.IMod): Promise<IModSettings> {
   const metaPath = path.join(util.getVortexPath('temp'), 'lsmeta', shortid());
   await fs.ensureDirAsync(metaPath);
   await extractPak(api, pakPath, metaPath, '*/meta.lsx');
@@ -235,23 +321,8 @@ export async function extractMeta(api: types.IExtensionApi, pakPath: string, mod
     await fs.removeAsync(metaPath);
     if (err.code === 'ENOENT') {
       return Promise.resolve(undefined);
-    } else if (err.message.includes('Column') && (err.message.includes('Line'))) {
-      // an error message specifying column and row indicate a problem parsing the xml file
-      api.sendNotification({
-        type: 'warning',
-        message: 'The meta.lsx file in "{{modName}}" is invalid, please report this to the author',
-        actions: [{
-          title: 'More',
-          action: () => {
-            api.showDialog('error', 'Invalid meta.lsx file', {
-              message: err.message,
-            }, [{ label: 'Close' }])
-          }
-        }],
-        replace: {
-          modName: util.renderModName(mod),
-        }
-      })
+    } else if (isInvalidXmlError(err)) {
+      reportInvalidMeta(api, err, mod);
       return Promise.resolve(undefined);
     } else {
       throw err;
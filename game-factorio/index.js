@@ -1,7 +1,18 @@
 const Promise = require('bluebird');
 const { remote } = require('electron');
 const path = require('path');
-const { fs, log, util } = require('vortex-api');
+const semver = require('semver');
+const { fs, log, selectors, util } = require('vortex-api');
+
+const GAME_ID = 'factorio';
+const INFO_FILE = 'info.json';
+const MOD_LIST_FILE = 'mod-list.json';
+
+// Mods that come with the game and are never managed by Vortex
+const BUILTIN_MODS = ['base', 'core', 'elevated-rails', 'quality', 'space-age'];
+
+// e.g. '? some-mod >= 0.1.0', '(?) hidden-optional', '!incompatible', '~ no-order-mod'
+const DEPENDENCY_EXP = /^\s*(\(\?\)|\?|!|~)?\s*([^<>=]+?)\s*(?:(<=|>=|<|>|=)\s*(\d+\.\d+(?:\.\d+)?))?\s*$/;
 
 function findGame() {
   return util.steam.findByName('Factorio')
@@ -24,9 +35,255 @@ function prepareForModding() {
   return fs.ensureDirAsync(modPath());
 }
 
+function getGameVersion(gamePath) {
+  // the executable doesn't carry a version on all platforms but the base mod does
+  return fs.readFileAsync(path.join(gamePath, 'data', 'base', INFO_FILE), { encoding: 'utf8' })
+    .then(data => JSON.parse(util.deBOM(data)).version);
+}
+
+function parseDependency(input) {
+  const match = (typeof input === 'string') ? input.match(DEPENDENCY_EXP) : null;
+  if (match === null) {
+    return undefined;
+  }
+  const kinds = {
+    '?': 'optional',
+    '(?)': 'hidden-optional',
+    '!': 'incompatible',
+    '~': 'no-load-order',
+  };
+  return {
+    kind: kinds[match[1]] ?? 'required',
+    name: match[2],
+    operator: match[3],
+    version: match[4],
+  };
+}
+
+// Turns the operator and version of a dependency into a semver range,
+//  Factorio versions may omit the patch number.
+function versionRange(dependency) {
+  if (dependency.version === undefined) {
+    return undefined;
+  }
+  const version = semver.coerce(dependency.version).version;
+  return (dependency.operator === '=') ? version : `${dependency.operator}${version}`;
+}
+
+function validateInfo(info) {
+  const errors = [];
+  if ((typeof info?.name !== 'string') || !/^[a-zA-Z0-9_-]{1,100}$/.test(info.name)) {
+    errors.push('"name" is missing or contains invalid characters');
+  }
+  if ((typeof info?.version !== 'string') || !/^\d+\.\d+\.\d+$/.test(info.version)) {
+    errors.push('"version" is missing or not in the format "major.minor.patch"');
+  }
+  ['title', 'author'].forEach(key => {
+    if (typeof info?.[key] !== 'string') {
+      errors.push(`"${key}" is missing`);
+    }
+  });
+  if ((info?.factorio_version !== undefined) && !/^\d+\.\d+$/.test(info.factorio_version)) {
+    errors.push('"factorio_version" is not in the format "major.minor"');
+  }
+  if (info?.dependencies !== undefined) {
+    if (!Array.isArray(info.dependencies)) {
+      errors.push('"dependencies" is not a list');
+    } else {
+      info.dependencies
+        .filter(dep => parseDependency(dep) === undefined)
+        .forEach(dep => errors.push(`invalid dependency "${dep}"`));
+    }
+  }
+  return errors;
+}
+
+function findInfoFile(files) {
+  // The mod folder is the top level of the archive, or the archive contains
+  //  the files of the mod directly.
+  return files
+    .filter(file => (path.basename(file).toLowerCase() === INFO_FILE)
+      && (file.split(path.sep).length <= 2))
+    .sort((lhs, rhs) => lhs.split(path.sep).length - rhs.split(path.sep).length)[0];
+}
+
+function testMod(files, gameId) {
+  return Promise.resolve({
+    supported: (gameId === GAME_ID) && (findInfoFile(files) !== undefined),
+    requiredFiles: [],
+  });
+}
+
+function dependencyRules(info) {
+  const ruleTypes = {
+    'required': 'requires',
+    'no-load-order': 'requires',
+    'optional': 'recommends',
+    'hidden-optional': 'recommends',
+    'incompatible': 'conflicts',
+  };
+  return (info.dependencies ?? [])
+    .map(parseDependency)
+    .filter(dep => !BUILTIN_MODS.includes(dep.name))
+    .map(dep => ({
+      type: 'rule',
+      rule: {
+        type: ruleTypes[dep.kind],
+        reference: {
+          logicalFileName: dep.name,
+          versionMatch: versionRange(dep) ?? '*',
+        },
+      },
+    }));
+}
+
+// Factorio loads mods as zip archives named name_version.zip, containing a
+//  single folder with the mod files. If the archive we got is such a mod it's
+//  installed as-is, otherwise the mod gets repackaged.
+async function installMod(files, destinationPath, gameId, progressDelegate, choices, unattended, archivePath) {
+  const infoFile = findInfoFile(files);
+  let info;
+  try {
+    info = JSON.parse(util.deBOM(await fs.readFileAsync(path.join(destinationPath, infoFile), { encoding: 'utf8' })));
+  } catch (err) {
+    return Promise.reject(new util.DataInvalid(`Failed to parse ${INFO_FILE}: ${err.message}`));
+  }
+  const errors = validateInfo(info);
+  if (errors.length > 0) {
+    return Promise.reject(new util.DataInvalid(`Invalid ${INFO_FILE}: ${errors.join(', ')}`));
+  }
+
+  const zipName = `${info.name}_${info.version}.zip`;
+  const zipPath = path.join(destinationPath, zipName);
+  const modRoot = path.dirname(infoFile);
+  if ((modRoot !== '.') && (archivePath !== undefined)
+      && (path.basename(archivePath).toLowerCase() === zipName.toLowerCase())) {
+    await fs.copyAsync(archivePath, zipPath);
+  } else {
+    // the zip has to contain the mod folder, not just its files
+    let folderPath = path.join(destinationPath, modRoot);
+    if (modRoot === '.') {
+      folderPath = path.join(destinationPath, '__vortex_factorio', `${info.name}_${info.version}`);
+      for (const file of files.filter(iter => !iter.endsWith(path.sep))) {
+        await fs.ensureDirAsync(path.dirname(path.join(folderPath, file)));
+        await fs.copyAsync(path.join(destinationPath, file), path.join(folderPath, file));
+      }
+    }
+    const szip = new util.SevenZip();
+    await szip.add(zipPath, [folderPath], { raw: ['-r'] });
+  }
+
+  const attributes = {
+    logicalFileName: info.name,
+    factorioName: info.name,
+    factorioModVersion: info.version,
+    factorioVersion: info.factorio_version ?? '0.12',
+    factorioDependencies: info.dependencies ?? [],
+  };
+  return Promise.resolve({
+    instructions: [].concat(
+      [{ type: 'copy', source: zipName, destination: zipName }],
+      Object.keys(attributes).map(key => ({ type: 'attribute', key, value: attributes[key] })),
+      dependencyRules(info)),
+  });
+}
+
+function modListPath() {
+  return path.join(modPath(), MOD_LIST_FILE);
+}
+
+async function readModList() {
+  try {
+    const modList = JSON.parse(util.deBOM(await fs.readFileAsync(modListPath(), { encoding: 'utf8' })));
+    return Array.isArray(modList?.mods) ? modList : { ...modList, mods: [] };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      return Promise.reject(err);
+    }
+    return { mods: [{ name: 'base', enabled: true }] };
+  }
+}
+
+// Factorio only loads the mods enabled in mod-list.json. Mods managed by Vortex
+//  get enabled/disabled there according to their state in the profile, entries
+//  of mods Vortex doesn't know about are left alone.
+async function syncModList(api, profileId) {
+  const state = api.getState();
+  const profile = selectors.profileById(state, profileId);
+  if (profile?.gameId !== GAME_ID) {
+    return;
+  }
+  const mods = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const enabledByName = Object.values(mods)
+    .filter(mod => mod.attributes?.factorioName !== undefined)
+    .reduce((accum, mod) => {
+      accum[mod.attributes.factorioName] = accum[mod.attributes.factorioName]
+        || util.getSafe(profile, ['modState', mod.id, 'enabled'], false);
+      return accum;
+    }, {});
+
+  const modList = await readModList();
+  Object.keys(enabledByName).forEach(name => {
+    const entry = modList.mods.find(iter => iter.name === name);
+    if (entry !== undefined) {
+      entry.enabled = enabledByName[name];
+    } else if (enabledByName[name]) {
+      modList.mods.push({ name, enabled: true });
+    }
+  });
+  await fs.ensureDirAsync(modPath());
+  await util.writeFileAtomic(modListPath(), JSON.stringify(modList, undefined, 2));
+}
+
+// Factorio 1.0 still loads mods made for 0.18
+function isCompatible(factorioVersion, gameVersion) {
+  return (factorioVersion === gameVersion)
+    || ((factorioVersion === '0.18') && (gameVersion === '1.0'));
+}
+
+async function testModVersions(api) {
+  const t = api.translate;
+  const state = api.getState();
+  const profile = selectors.activeProfile(state);
+  if (profile?.gameId !== GAME_ID) {
+    return undefined;
+  }
+  const discovery = selectors.discoveryByGame(state, GAME_ID);
+  let gameVersion;
+  try {
+    const version = semver.coerce(await getGameVersion(discovery.path));
+    gameVersion = `${version.major}.${version.minor}`;
+  } catch (err) {
+    log('warn', 'failed to determine Factorio version', err.message);
+    return undefined;
+  }
+
+  const mods = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const incompatible = Object.values(mods)
+    .filter(mod => util.getSafe(profile, ['modState', mod.id, 'enabled'], false)
+      && (mod.attributes?.factorioVersion !== undefined)
+      && !isCompatible(mod.attributes.factorioVersion, gameVersion));
+  if (incompatible.length === 0) {
+    return undefined;
+  }
+
+  return {
+    description: {
+      short: t('Mods made for a different version of Factorio'),
+      long: t('Factorio refuses to load mods made for a different version of the game. '
+            + 'The following mods are enabled but were not made for Factorio {{gameVersion}}:',
+        { replace: { gameVersion } })
+        + '[br][/br][br][/br][list]'
+        + incompatible.map(mod => `[*]${util.renderModName(mod)} (${mod.attributes.factorioVersion})`).join('')
+        + '[/list]',
+    },
+    severity: 'warning',
+  };
+}
+
 function main(context) {
   context.registerGame({
-    id: 'factorio',
+    id: GAME_ID,
     name: 'Factorio',
     mergeMods: true,
     queryPath: findGame,
@@ -37,6 +294,7 @@ function main(context) {
       'data/core/graphics/factorio.ico',
     ],
     setup: prepareForModding,
+    getGameVersion,
     environment: {
       SteamAPPId: '427520',
     },
@@ -45,6 +303,19 @@ function main(context) {
     },
   });
 
+  context.registerInstaller('factorio-mod', 25, testMod, installMod);
+
+  context.registerTest('factorio-mod-versions', 'gamemode-activated',
+    () => Promise.resolve(testModVersions(context.api)));
+  context.registerTest('factorio-mod-versions', 'mod-activated',
+    () => Promise.resolve(testModVersions(context.api)));
+
+  context.once(() => {
+    context.api.onAsync('did-deploy', (profileId) => syncModList(context.api, profileId)
+      .catch(err => context.api.showErrorNotification('Failed to update mod-list.json', err,
+        { allowReport: !['EPERM', 'EBUSY'].includes(err.code) })));
+  });
+
   return true;
 }
 
@@ -3,6 +3,11 @@ const { remote } = require('electron');
 const path = require('path');
 const { fs, log, selectors, util } = require('vortex-api');
 
+const GAME_ID = 'kerbalspaceprogram';
+const GAMEDATA = 'gamedata';
+// KSP-AVC version files
+const VERSION_EXT = '.version';
+
 const extension =  process.platform == 'linux'
     ? '.x86_64'
     : '_x64.exe';
@@ -12,9 +17,202 @@ function findGame() {
       .then(game => game.gamePath);
 }
 
+// The readme lists the version the game was released as ("Version 1.12.5"),
+//  the build id files contain the full build number ("Build 1.12.5.3190").
+async function getGameVersion(gamePath) {
+  const candidates = [
+    { fileName: 'readme.txt', exp: /version\s+(\d+\.\d+\.\d+)/i },
+    { fileName: 'buildID64.txt', exp: /(\d+\.\d+\.\d+)/ },
+    { fileName: 'buildID.txt', exp: /(\d+\.\d+\.\d+)/ },
+  ];
+  for (const candidate of candidates) {
+    try {
+      const data = await fs.readFileAsync(path.join(gamePath, candidate.fileName), { encoding: 'utf8' });
+      const match = data.match(candidate.exp);
+      if (match !== null) {
+        return match[1];
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log('warn', 'failed to read KSP version file', { fileName: candidate.fileName, error: err.message });
+      }
+    }
+  }
+  return Promise.reject(new util.DataInvalid('Failed to determine the KSP version'));
+}
+
+// Versions in .version files are either strings or objects like
+//  { "MAJOR": 1, "MINOR": 12, "PATCH": 5 }
+function versionString(input) {
+  if (typeof input === 'string') {
+    return input.trim();
+  }
+  if ((input === null) || (typeof input !== 'object')) {
+    return undefined;
+  }
+  const parts = ['MAJOR', 'MINOR', 'PATCH', 'BUILD']
+    .map(key => input[key])
+    .filter(part => (part !== undefined) && (part !== null) && (`${part}`.trim() !== ''));
+  return (parts.length > 0) ? parts.join('.') : undefined;
+}
+
+function parseVersionFile(data) {
+  let parsed;
+  try {
+    parsed = JSON.parse(util.deBOM(data));
+  } catch (err) {
+    // plenty of version files are hand written and contain comments or trailing commas
+    parsed = JSON.parse(util.deBOM(data)
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/,(\s*[}\]])/g, '$1'));
+  }
+  return {
+    name: parsed.NAME,
+    url: parsed.URL,
+    version: versionString(parsed.VERSION),
+    kspVersion: versionString(parsed.KSP_VERSION),
+    kspVersionMin: versionString(parsed.KSP_VERSION_MIN),
+    kspVersionMax: versionString(parsed.KSP_VERSION_MAX),
+  };
+}
+
+// Index of the GameData segment of the path, -1 if it isn't inside GameData
+function gameDataIndex(filePath) {
+  return filePath.split(path.sep).findIndex(seg => seg.toLowerCase() === GAMEDATA);
+}
+
+function testMod(files, gameId) {
+  const supported = (gameId === GAME_ID)
+    && (files.find(file => (gameDataIndex(file) !== -1)
+      || (path.extname(file).toLowerCase() === VERSION_EXT)) !== undefined);
+  return Promise.resolve({ supported, requiredFiles: [] });
+}
+
+// Mods are usually packaged with the GameData folder, sometimes wrapped in another
+//  folder (e.g. "SomeMod-1.2/GameData/SomeMod/..."). Everything outside of
+//  GameData (readmes, sources, ...) is dropped since we deploy into GameData.
+async function installMod(files, destinationPath) {
+  const fileEntries = files.filter(file => !file.endsWith(path.sep));
+  const gameDataFile = fileEntries
+    .filter(file => gameDataIndex(file) !== -1)
+    .sort((lhs, rhs) => gameDataIndex(lhs) - gameDataIndex(rhs))[0];
+  let instructions;
+  if (gameDataFile !== undefined) {
+    const rootSegments = gameDataFile.split(path.sep).slice(0, gameDataIndex(gameDataFile) + 1);
+    const rootPath = rootSegments.join(path.sep).toLowerCase() + path.sep;
+    instructions = fileEntries
+      .filter(file => file.toLowerCase().startsWith(rootPath))
+      .map(file => ({
+        type: 'copy',
+        source: file,
+        destination: file.slice(rootPath.length),
+      }));
+  } else {
+    instructions = fileEntries.map(file => ({
+      type: 'copy',
+      source: file,
+      destination: file,
+    }));
+  }
+
+  const versionFiles = instructions
+    .filter(instr => path.extname(instr.destination).toLowerCase() === VERSION_EXT);
+  const avc = [];
+  for (const instr of versionFiles) {
+    try {
+      const data = await fs.readFileAsync(path.join(destinationPath, instr.source), { encoding: 'utf8' });
+      avc.push({ ...parseVersionFile(data), file: instr.destination });
+    } catch (err) {
+      log('warn', 'failed to parse KSP-AVC version file', { file: instr.source, error: err.message });
+    }
+  }
+  if (avc.length > 0) {
+    instructions.push({ type: 'attribute', key: 'kspAvc', value: avc });
+  }
+  return Promise.resolve({ instructions });
+}
+
+// Compares only as many components as the bound specifies, so a maximum of
+//  "1.12" includes 1.12.5
+function compareToBound(version, bound) {
+  const lhs = version.split('.').map(num => parseInt(num, 10));
+  const rhs = bound.split('.').map(num => parseInt(num, 10));
+  for (let i = 0; i < rhs.length; ++i) {
+    if (isNaN(rhs[i])) {
+      // e.g. "1.12.*"
+      return 0;
+    }
+    const diff = (lhs[i] ?? 0) - rhs[i];
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+function isCompatible(avc, gameVersion) {
+  if ((avc.kspVersionMin !== undefined) || (avc.kspVersionMax !== undefined)) {
+    return ((avc.kspVersionMin === undefined) || (compareToBound(gameVersion, avc.kspVersionMin) >= 0))
+      && ((avc.kspVersionMax === undefined) || (compareToBound(gameVersion, avc.kspVersionMax) <= 0));
+  }
+  if (avc.kspVersion !== undefined) {
+    // KSP-AVC itself treats the version as exact, but patch releases rarely break mods
+    return compareToBound(gameVersion, avc.kspVersion.split('.').slice(0, 2).join('.')) === 0;
+  }
+  // no version bounds given
+  return true;
+}
+
+function renderRange(avc) {
+  if ((avc.kspVersionMin !== undefined) || (avc.kspVersionMax !== undefined)) {
+    return `${avc.kspVersionMin ?? '?'} - ${avc.kspVersionMax ?? '?'}`;
+  }
+  return avc.kspVersion;
+}
+
+async function testModVersions(api) {
+  const t = api.translate;
+  const state = api.getState();
+  const profile = selectors.activeProfile(state);
+  if (profile?.gameId !== GAME_ID) {
+    return undefined;
+  }
+  const discovery = selectors.discoveryByGame(state, GAME_ID);
+  let gameVersion;
+  try {
+    gameVersion = await getGameVersion(discovery.path);
+  } catch (err) {
+    log('warn', 'failed to determine KSP version', err.message);
+    return undefined;
+  }
+
+  const mods = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const incompatible = [];
+  Object.values(mods)
+    .filter(mod => util.getSafe(profile, ['modState', mod.id, 'enabled'], false))
+    .forEach(mod => (mod.attributes?.kspAvc ?? [])
+      .filter(avc => !isCompatible(avc, gameVersion))
+      .forEach(avc => incompatible.push(`[*]${util.renderModName(mod)}`
+        + `${(avc.name !== undefined) ? ` - ${avc.name}` : ''} (${renderRange(avc)})`)));
+  if (incompatible.length === 0) {
+    return undefined;
+  }
+
+  return {
+    description: {
+      short: t('Mods made for a different version of KSP'),
+      long: t('According to their version files the following mods were not made for KSP {{gameVersion}}. '
+            + 'They may still work but could also break your game or save games, '
+            + 'check the mod pages for updates:', { replace: { gameVersion } })
+        + '[br][/br][br][/br][list]' + incompatible.join('') + '[/list]',
+    },
+    severity: 'warning',
+  };
+}
+
 function main(context) {
   context.registerGame({
-    id: 'kerbalspaceprogram',
+    id: GAME_ID,
     name: 'Kerbal Space Program',
     mergeMods: true,
     queryPath: findGame,
@@ -24,6 +222,7 @@ function main(context) {
     requiredFiles: [
       'KSP' + extension,
     ],
+    getGameVersion,
     environment: {
       SteamAPPId: '220200',
     },
@@ -33,6 +232,13 @@ function main(context) {
     },
   });
 
+  context.registerInstaller('ksp-gamedata-installer', 25, testMod, installMod);
+
+  context.registerTest('ksp-mod-versions', 'gamemode-activated',
+    () => Promise.resolve(testModVersions(context.api)));
+  context.registerTest('ksp-mod-versions', 'mod-activated',
+    () => Promise.resolve(testModVersions(context.api)));
+
   return true;
 }
 
@@ -157,8 +157,13 @@ function main(context) {
         noCollectionGeneration: true,
         toggleableEntries: true,
         usageInstructions: 'Drag your plugins as needed - the game will load '
-            + 'load them from top to bottom.',
+            + 'load them from top to bottom. Plugins have to be loaded after their masters, '
+            + 'use "Auto Sort" to move masters in front of the plugins that require them.',
     });
+    context.registerAction('fb-load-order-icons', 100, 'loot-sort', {}, 'Auto Sort', () => {
+        (0, loadorder_1.autoSort)(context.api)
+            .catch(err => context.api.showErrorNotification('Failed to sort plugins', err));
+    }, () => vortex_api_1.selectors.activeGameId(context.api.getState()) === constants_1.MORROWIND_ID);
     context.optional.registerCollectionFeature('morrowind_collection_data', (gameId, includedMods, collection) => (0, collections_1.genCollectionsData)(context, gameId, includedMods, collection), (gameId, collection) => (0, collections_1.parseCollectionsData)(context, gameId, collection), () => Promise.resolve(), (t) => t('Load Order'), (state, gameId) => gameId === constants_1.MORROWIND_ID, (props) => CollectionDataWrap(context.api, props));
     context.registerMigration(old => (0, migrations_1.migrate103)(context.api, old));
     context.once(() => {
@@ -196,4 +201,4 @@ function main(context) {
 module.exports = {
     default: main
 };
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQUEsZ0RBQXdCO0FBQ3hCLDJDQUFrRTtBQUNsRSw2Q0FBK0I7QUFFL0IsTUFBTSxJQUFJLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLE9BQU8sQ0FBQztBQUUxQywyQ0FBaUY7QUFDakYsMkNBQTJDO0FBSTNDLCtDQUF5RTtBQUV6RSx3R0FBZ0Y7QUFFaEYsNkNBQTBDO0FBRTFDLE1BQU0sV0FBVyxHQUFHLE9BQU8sQ0FBQztBQUM1QixNQUFNLE1BQU0sR0FBRyxZQUFZLENBQUM7QUFDNUIsTUFBTSxLQUFLLEdBQUcsbUNBQW1DLENBQUM7QUFFbEQsTUFBTSxPQUFPLEdBQUcsd0JBQVksQ0FBQztBQUU3QixNQUFNLGlCQUFpQixHQUFHO0lBQ3hCLEVBQUUsRUFBRSx3QkFBd0I7SUFDNUIsRUFBRSxFQUFFLHVCQUF1QjtJQUMzQixFQUFFLEVBQUUsdUJBQXVCO0NBQzVCLENBQUE7QUFFRCxNQUFNLFlBQVksR0FBUTtJQUN4QixLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQ3ZDLElBQUksRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxDQUFDO0lBQ3JCLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDO0lBQ3JCLFFBQVEsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLHdGQUF3RixFQUFFLENBQUM7Q0FDN0csQ0FBQztBQUVGLE1BQU0sS0FBSyxHQUFHO0lBQ1o7UUFDRSxFQUFFLEVBQUUsVUFBVTtRQUNkLElBQUksRUFBRSxVQUFVO1FBQ2hCLFVBQVUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxjQUFjO1FBQ2hDLGFBQWEsRUFBRSxFQUFFO0tBQ2xCO0lBQ0Q7UUFDRSxFQUFFLEVBQUUscUJBQXFCO1FBQ3pCLElBQUksRUFBRSxrQkFBa0I7UUFDeEIsSUFBSSxFQUFFLHFCQUFxQjtRQUMzQixVQUFVLEVBQUUsR0FBRyxFQUFFLENBQUMsMEJBQTBCO1FBQzVDLGFBQWEsRUFBRTtZQUNiLDBCQUEwQjtTQUMzQjtRQUNELFFBQVEsRUFBRSxJQUFJO1FBQ2QsU0FBUyxFQUFFLElBQUk7S0FDaEI7Q0FDRixDQUFDO0FBRUYsU0FBZSxRQUFROztRQUNyQixNQUFNLFVBQVUsR0FBRyxNQUFNLGlCQUFJLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUM7UUFFakYsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNO1lBQUUsT0FBTztRQUUvQixJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQztZQUFFLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsbUNBQW1DLEVBQUUsVUFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO1FBRWpILE1BQU0sWUFBWSxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNuQyxJQUFJLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLEVBQUU7WUFHdkQsSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSx3Q0FBd0MsRUFBRSxFQUFFLEtBQUssRUFBRSxZQUFZLENBQUMsV0FBVyxFQUFFLE1BQU0sRUFBRSxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDN0gsWUFBWSxDQUFDLFFBQVEsR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxRQUFRLEVBQUUsaUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztTQUNuRjtRQUNELE9BQU8sWUFBWSxDQUFDO0lBQ3RCLENBQUM7Q0FBQTtBQW9CRCxTQUFTLGlCQUFpQixDQUFDLEdBQXdCLEVBQUUsU0FBaUM7O0lBQ3BGLE1BQU0sUUFBUSxHQUFHLENBQUEsTUFBQSxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsMENBQUUsSUFBSSxLQUFJLFdBQVcsQ0FBQztJQUk1RCxJQUFJLFNBQVMsQ0FBQyxLQUFLLElBQUksQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRTtRQUNqRSxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsS0FBSyxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQztRQUUvRSxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsRUFBRSxFQUFFLEdBQUcsT0FBTyxpQkFBaUI7WUFDL0IsSUFBSSxFQUFFLE1BQU07WUFDWixLQUFLLEVBQUUsOEJBQThCO1lBQ3JDLE9BQU8sRUFBRSxrQkFBa0I7WUFDM0IsYUFBYSxFQUFFLElBQUk7WUFDbkIsT0FBTyxFQUFFO2dCQUNQO29CQUNFLEtBQUssRUFBRSxNQUFNO29CQUNiLE1BQU0sRUFBRSxDQUFDLE9BQU8sRUFBRSxFQUFFO3dCQUNsQixPQUFPLEVBQUUsQ0FBQzt3QkFDVixHQUFHLENBQUMsVUFBVSxDQUFDLE1BQU0sRUFBRSw4QkFBOEIsRUFBRTs0QkFDckQsTUFBTSxFQUFFLG1HQUFtRztnQ0FDekcsd0VBQXdFO2dDQUN4RSxtSkFBbUo7NEJBQ3JKLFVBQVUsRUFBRSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUU7eUJBQ3BDLEVBQ0Q7NEJBQ0UsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsb0JBQW9CLENBQUMsR0FBRyxPQUFPLGlCQUFpQixDQUFDLEVBQUU7eUJBQ3hGLENBQ0EsQ0FBQztvQkFDSixDQUFDO2lCQUNGO2FBQ0Y7U0FDRixDQUFDLENBQUM7S0FDSjtJQUNELE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0FBQzNCLENBQUM7QUFFRCxTQUFTLGtCQUFrQixDQUFDLEdBQXdCLEVBQUUsS0FBOEI7SUFDbEYsT0FBTyxLQUFLLENBQUMsYUFBYSxDQUFDLHNDQUE0QixrQ0FBTyxLQUFLLEtBQUUsR0FBRyxJQUFJLENBQUM7QUFDL0UsQ0FBQztBQUVELFNBQVMsSUFBSSxDQUFDLE9BQWdDO0lBQzVDLE9BQU8sQ0FBQyxZQUFZLENBQUM7UUFDbkIsRUFBRSxFQUFFLHdCQUFZO1FBQ2hCLElBQUksRUFBRSxXQUFXO1FBQ2pCLFNBQVMsRUFBRSxJQUFJO1FBQ2YsU0FBUyxFQUFFLGlCQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQztRQUNoQyxjQUFjLEVBQUUsS0FBSztRQUNyQixLQUFLLEVBQUUsaUJBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDNUUsWUFBWSxFQUFFLEdBQUcsRUFBRSxDQUFDLFlBQVk7UUFDaEMsSUFBSSxFQUFFLGFBQWE7UUFDbkIsVUFBVSxFQUFFLEdBQUcsRUFBRSxDQUFDLGVBQWU7UUFDakMsYUFBYSxFQUFFO1lBQ2IsZUFBZTtTQUNoQjtRQUVELFdBQVcsRUFBRTtZQUNYLFVBQVUsRUFBRSxXQUFXO1NBQ3hCO1FBQ0QsT0FBTyxFQUFFO1lBQ1AsVUFBVSxFQUFFLFFBQVEsQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDO1lBQ3JDLFFBQVEsRUFBRSxNQUFNO1NBQ2pCO0tBQ0YsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLGlCQUFpQixDQUFDO1FBQ3hCLE1BQU0sRUFBRSx3QkFBWTtRQUNwQixvQkFBb0IsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFBLGdDQUFvQixFQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDN0Qsa0JBQWtCLEVBQUUsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLElBQUEsOEJBQWtCLEVBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxTQUFTLENBQUM7UUFDN0UsUUFBUSxFQUFSLG9CQUFRO1FBQ1Isc0JBQXNCLEVBQUUsSUFBSTtRQUM1QixpQkFBaUIsRUFBRSxJQUFJO1FBQ3ZCLGlCQUFpQixFQUFFLG1EQUFtRDtjQUNsRSwrQkFBK0I7S0FDcEMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLFFBQVEsQ0FBQyx5QkFBeUIsQ0FDeEMsMkJBQTJCLEVBQzNCLENBQUMsTUFBTSxFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsRUFBRSxDQUNuQyxJQUFBLGdDQUFrQixFQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsWUFBWSxFQUFFLFVBQVUsQ0FBQyxFQUMvRCxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsRUFBRSxDQUNyQixJQUFBLGtDQUFvQixFQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsVUFBVSxDQUFDLEVBQ25ELEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsRUFDdkIsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsRUFDdEIsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLEtBQUssd0JBQVksRUFDMUMsQ0FBQyxLQUE4QixFQUFFLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7SUFFOUUsT0FBTyxDQUFDLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBQSx1QkFBVSxFQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUMvRCxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRTtRQUNoQixPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsaUJBQWlCLEVBQUUsQ0FBTyxNQUFNLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxFQUFFO1lBQzFFLElBQUksTUFBTSxLQUFLLHdCQUFZLEVBQUU7Z0JBQzNCLE9BQU87YUFDUjtZQUVELE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDckMsTUFBTSxXQUFXLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsd0JBQVksQ0FBQyxDQUFDO1lBQ3RFLE1BQU0sR0FBRyxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsd0JBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUN4RixJQUFJLFdBQVcsS0FBSyxTQUFTLElBQUksR0FBRyxLQUFLLFNBQVMsRUFBRTtnQkFDbEQsT0FBTzthQUNSO1lBQ0QsTUFBTSxPQUFPLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsR0FBRyxDQUFDLGdCQUFnQixDQUFDLENBQUM7WUFDN0QsTUFBTSxPQUFPLEdBQUcsRUFBRSxDQUFDO1lBQ25CLElBQUk7Z0JBQ0YsTUFBTSxJQUFJLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxFQUFFO29CQUM1QixLQUFLLElBQUksS0FBSyxJQUFJLE9BQU8sRUFBRTt3QkFDekIsSUFBSSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsRUFBRTs0QkFDekUsT0FBTyxDQUFDLElBQUksQ0FBQyxjQUFJLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO3lCQUM3QztxQkFDRjtnQkFDSCxDQUFDLEVBQUUsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQzthQUNoRTtZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLENBQUMsZ0NBQWdDLEVBQUUsR0FBRyxFQUFFLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7YUFDbEc7WUFDRCxJQUFLLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO2dCQUN2QixPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxlQUFlLENBQUMsd0JBQVksRUFBRSxHQUFHLENBQUMsRUFBRSxFQUFFLFNBQVMsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO2FBQy9GO1FBQ0gsQ0FBQyxDQUFBLENBQUMsQ0FBQztJQUNMLENBQUMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxJQUFJLENBQUM7QUFDZCxDQUFDO0FBRUQsTUFBTSxDQUFDLE9BQU8sR0FBRztJQUNmLE9BQU8sRUFBRSxJQUFJO0NBQ2QsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgYWN0aW9ucywgbG9nLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XG5cbmNvbnN0IHdhbGsgPSByZXF1aXJlKCd0dXJib3dhbGsnKS5kZWZhdWx0O1xuXG5pbXBvcnQgeyB2YWxpZGF0ZSwgZGVzZXJpYWxpemVMb2FkT3JkZXIsIHNlcmlhbGl6ZUxvYWRPcmRlciB9IGZyb20gJy4vbG9hZG9yZGVyJztcbmltcG9ydCB7IE1PUlJPV0lORF9JRCB9IGZyb20gJy4vY29uc3RhbnRzJztcblxuaW1wb3J0IHsgSUV4dGVuZGVkSW50ZXJmYWNlUHJvcHMgfSBmcm9tICcuL3R5cGVzL3R5cGVzJztcblxuaW1wb3J0IHsgZ2VuQ29sbGVjdGlvbnNEYXRhLCBwYXJzZUNvbGxlY3Rpb25zRGF0YSB9IGZyb20gJy4vY29sbGVjdGlvbnMnO1xuXG5pbXBvcnQgTW9ycm93aW5kQ29sbGVjdGlvbnNEYXRhVmlldyBmcm9tICcuL3ZpZXdzL01vcnJvd2luZENvbGxlY3Rpb25zRGF0YVZpZXcnO1xuXG5pbXBvcnQgeyBtaWdyYXRlMTAzIH0gZnJvbSAnLi9taWdyYXRpb25zJztcblxuY29uc3QgU1RFQU1BUFBfSUQgPSAnMjIzMjAnO1xuY29uc3QgR09HX0lEID0gJzE0MzU4Mjg3NjcnO1xuY29uc3QgTVNfSUQgPSAnQmV0aGVzZGFTb2Z0d29ya3MuVEVTTW9ycm93aW5kLVBDJztcblxuY29uc3QgR0FNRV9JRCA9IE1PUlJPV0lORF9JRDtcblxuY29uc3QgbG9jYWxlRm9sZGVyc1hib3ggPSB7XG4gIGVuOiAnTW9ycm93aW5kIEdPVFkgRW5nbGlzaCcsXG4gIGZyOiAnTW9ycm93aW5kIEdPVFkgRnJlbmNoJyxcbiAgZGU6ICdNb3Jyb3dpbmQgR09UWSBHZXJtYW4nLFxufVxuXG5jb25zdCBnYW1lU3RvcmVJZHM6IGFueSA9IHtcbiAgc3RlYW06IFt7IGlkOiBTVEVBTUFQUF9JRCwgcHJlZmVyOiAwIH1dLFxuICB4Ym94OiBbeyBpZDogTVNfSUQgfV0sXG4gIGdvZzogW3sgaWQ6IEdPR19JRCB9XSxcbiAgcmVnaXN0cnk6IFt7IGlkOiAnSEtFWV9MT0NBTF9NQUNISU5FOlNvZnR3YXJlXFxcXFdvdzY0MzJOb2RlXFxcXEJldGhlc2RhIFNvZnR3b3Jrc1xcXFxNb3Jyb3dpbmQ6SW5zdGFsbGVkIFBhdGgnIH1dLFxufTtcblxuY29uc3QgdG9vbHMgPSBbXG4gIHtcbiAgICBpZDogJ3RlczNlZGl0JyxcbiAgICBuYW1lOiAnVEVTM0VkaXQnLFxuICAgIGV4ZWN1dGFibGU6ICgpID0+ICdURVMzRWRpdC5leGUnLFxuICAgIHJlcXVpcmVkRmlsZXM6IFtdXG4gIH0sXG4gIHtcbiAgICBpZDogJ213LWNvbnN0cnVjdGlvbi1zZXQnLFxuICAgIG5hbWU6ICdDb25zdHJ1Y3Rpb24gU2V0JyxcbiAgICBsb2dvOiAnY29uc3RydWN0aW9uc2V0LnBuZycsXG4gICAgZXhlY3V0YWJsZTogKCkgPT4gJ1RFUyBDb25zdHJ1Y3Rpb24gU2V0LmV4ZScsXG4gICAgcmVxdWlyZWRGaWxlczogW1xuICAgICAgJ1RFUyBDb25zdHJ1Y3Rpb24gU2V0LmV4ZScsXG4gICAgXSxcbiAgICByZWxhdGl2ZTogdHJ1ZSxcbiAgICBleGNsdXNpdmU6IHRydWVcbiAgfVxuXTtcblxuYXN5bmMgZnVuY3Rpb24gZmluZEdhbWUoKSB7XG4gIGNvbnN0IHN0b3JlR2FtZXMgPSBhd2FpdCB1dGlsLkdhbWVTdG9yZUhlbHBlci5maW5kKGdhbWVTdG9yZUlkcykuY2F0Y2goKCkgPT4gW10pO1xuXG4gIGlmICghc3RvcmVHYW1lcy5sZW5ndGgpIHJldHVybjtcbiAgXG4gIGlmIChzdG9yZUdhbWVzLmxlbmd0aCA+IDEpIGxvZygnZGVidWcnLCAnTXV0bGlwbGUgY29waWVzIG9mIE9ibGl2aW9uIGZvdW5kJywgc3RvcmVHYW1lcy5tYXAocyA9PiBzLmdhbWVTdG9yZUlkKSk7XG5cbiAgY29uc3Qgc2VsZWN0ZWRHYW1lID0gc3RvcmVHYW1lc1swXTtcbiAgaWYgKFsnZXBpYycsICd4Ym94J10uaW5jbHVkZXMoc2VsZWN0ZWRHYW1lLmdhbWVTdG9yZUlkKSkge1xuICAgIC8vIEdldCB0aGUgdXNlcidzIGNob3NlbiBsYW5ndWFnZVxuICAgIC8vIHN0YXRlLmludGVyZmFjZS5sYW5ndWFnZSB8fCAnZW4nO1xuICAgIGxvZygnZGVidWcnLCAnRGVmYXVsdGluZyB0byB0aGUgRW5nbGlzaCBnYW1lIHZlcnNpb24nLCB7IHN0b3JlOiBzZWxlY3RlZEdhbWUuZ2FtZVN0b3JlSWQsIGZvbGRlcjogbG9jYWxlRm9sZGVyc1hib3hbJ2VuJ10gfSk7XG4gICAgc2VsZWN0ZWRHYW1lLmdhbWVQYXRoID0gcGF0aC5qb2luKHNlbGVjdGVkR2FtZS5nYW1lUGF0aCwgbG9jYWxlRm9sZGVyc1hib3hbJ2VuJ10pO1xuICB9XG4gIHJldHVybiBzZWxlY3RlZEdhbWU7XG59XG5cbi8qIE1vcnJvd2luZCBzZWVtcyB0byBzdGFydCBmaW5lIHdoZW4gcnVubmluZyBkaXJlY3RseS4gSWYgd2UgZG8gZ28gdGhyb3VnaCB0aGUgbGF1bmNoZXIgdGhlbiB0aGUgbGFuZ3VhZ2UgdmVyc2lvbiBiZWluZ1xuICAgc3RhcnRlZCBtaWdodCBub3QgYmUgdGhlIG9uZSB3ZSdyZSBtb2RkaW5nXG5cbmZ1bmN0aW9uIHJlcXVpcmVzTGF1bmNoZXIoZ2FtZVBhdGgpIHtcbiAgcmV0dXJuIHV0aWwuR2FtZVN0b3JlSGVscGVyLmZpbmRCeUFwcElkKFtNU19JRF0sICd4Ym94JylcbiAgICAudGhlbigoKSA9PiBQcm9taXNlLnJlc29sdmUoe1xuICAgICAgbGF1bmNoZXI6ICd4Ym94JyxcbiAgICAgIGFkZEluZm86IHtcbiAgICAgICAgYXBwSWQ6IE1TX0lELFxuICAgICAgICBwYXJhbWV0ZXJzOiBbXG4gICAgICAgICAgeyBhcHBFeGVjTmFtZTogJ0dhbWUnIH0sXG4gICAgICAgIF0sXG4gICAgICB9XG4gICAgfSkpXG4gICAgLmNhdGNoKGVyciA9PiBQcm9taXNlLnJlc29sdmUodW5kZWZpbmVkKSk7XG59XG4qL1xuXG5mdW5jdGlvbiBwcmVwYXJlRm9yTW9kZGluZyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIGRpc2NvdmVyeTogdHlwZXMuSURpc2NvdmVyeVJlc3VsdCkge1xuICBjb25zdCBnYW1lTmFtZSA9IHV0aWwuZ2V0R2FtZShHQU1FX0lEKT8ubmFtZSB8fCAnVGhpcyBnYW1lJztcblxuICAvLyB0aGUgZ2FtZSBkb2Vzbid0IGFjdHVhbGx5IGV4aXN0IG9uIHRoZSBlcGljIGdhbWUgc3RvcmUsIHRoaXMgY2h1bmsgaXMgY29weSZwYXN0ZWQsIGRvZXNuJ3QgaHVydFxuICAvLyBrZWVwaW5nIGl0IGlkZW50aWNhbFxuICBpZiAoZGlzY292ZXJ5LnN0b3JlICYmIFsnZXBpYycsICd4Ym94J10uaW5jbHVkZXMoZGlzY292ZXJ5LnN0b3JlKSkge1xuICAgIGNvbnN0IHN0b3JlTmFtZSA9IGRpc2NvdmVyeS5zdG9yZSA9PT0gJ2VwaWMnID8gJ0VwaWMgR2FtZXMnIDogJ1hib3ggR2FtZSBQYXNzJztcbiAgICAvLyBJZiB0aGlzIGlzIGFuIEVwaWMgb3IgWGJveCBnYW1lIHdlJ3ZlIGRlZmF1bHRlZCB0byBFbmdsaXNoLCBzbyB3ZSBzaG91bGQgbGV0IHRoZSB1c2VyIGtub3cuXG4gICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgICAgaWQ6IGAke0dBTUVfSUR9LWxvY2FsZS1tZXNzYWdlYCxcbiAgICAgIHR5cGU6ICdpbmZvJyxcbiAgICAgIHRpdGxlOiAnTXVsdGlwbGUgTGFuZ3VhZ2VzIEF2YWlsYWJsZScsXG4gICAgICBtZXNzYWdlOiAnRGVmYXVsdDogRW5nbGlzaCcsXG4gICAgICBhbGxvd1N1cHByZXNzOiB0cnVlLFxuICAgICAgYWN0aW9uczogW1xuICAgICAgICB7XG4gICAgICAgICAgdGl0bGU6ICdNb3JlJyxcbiAgICAgICAgICBhY3Rpb246IChkaXNtaXNzKSA9PiB7XG4gICAgICAgICAgICBkaXNtaXNzKCk7XG4gICAgICAgICAgICBhcGkuc2hvd0RpYWxvZygnaW5mbycsICdNdXRsaXBsZSBMYW5ndWFnZXMgQXZhaWxhYmxlJywge1xuICAgICAgICAgICAgICBiYmNvZGU6ICd7e2dhbWVOYW1lfX0gaGFzIG11bHRpcGxlIGxhbmd1YWdlIG9wdGlvbnMgd2hlbiBkb3dubG9hZGVkIGZyb20ge3tzdG9yZU5hbWV9fS4gW2JyXVsvYnJdW2JyXVsvYnJdJytcbiAgICAgICAgICAgICAgICAnVm9ydGV4IGhhcyBzZWxlY3RlZCB0aGUgRW5nbGlzaCB2YXJpYW50IGJ5IGRlZmF1bHQuIFticl1bL2JyXVticl1bL2JyXScrXG4gICAgICAgICAgICAgICAgJ0lmIHlvdSB3b3VsZCBwcmVmZXIgdG8gbWFuYWdlIGEgZGlmZmVyZW50IGxhbmd1YWdlIHlvdSBjYW4gY2hhbmdlIHRoZSBwYXRoIHRvIHRoZSBnYW1lIHVzaW5nIHRoZSBcIk1hbnVhbGx5IFNldCBMb2NhdGlvblwiIG9wdGlvbiBpbiB0aGUgZ2FtZXMgdGFiLicsXG4gICAgICAgICAgICAgIHBhcmFtZXRlcnM6IHsgZ2FtZU5hbWUsIHN0b3JlTmFtZSB9XG4gICAgICAgICAgICB9LCBcbiAgICAgICAgICAgIFsgXG4gICAgICAgICAgICAgIHsgbGFiZWw6ICdDbG9zZScsIGFjdGlvbjogKCkgPT4gYXBpLnN1cHByZXNzTm90aWZpY2F0aW9uKGAke0dBTUVfSUR9LWxvY2FsZS1tZXNzYWdlYCkgfVxuICAgICAgICAgICAgXVxuICAgICAgICAgICAgKTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIF1cbiAgICB9KTtcbiAgfVxuICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XG59XG5cbmZ1bmN0aW9uIENvbGxlY3Rpb25EYXRhV3JhcChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksIHByb3BzOiBJRXh0ZW5kZWRJbnRlcmZhY2VQcm9wcyk6IEpTWC5FbGVtZW50IHtcbiAgcmV0dXJuIFJlYWN0LmNyZWF0ZUVsZW1lbnQoTW9ycm93aW5kQ29sbGVjdGlvbnNEYXRhVmlldywgeyAuLi5wcm9wcywgYXBpLCB9KTtcbn1cblxuZnVuY3Rpb24gbWFpbihjb250ZXh0OiB0eXBlcy5JRXh0ZW5zaW9uQ29udGV4dCkge1xuICBjb250ZXh0LnJlZ2lzdGVyR2FtZSh7XG4gICAgaWQ6IE1PUlJPV0lORF9JRCxcbiAgICBuYW1lOiAnTW9ycm93aW5kJyxcbiAgICBtZXJnZU1vZHM6IHRydWUsXG4gICAgcXVlcnlQYXRoOiB1dGlsLnRvQmx1ZShmaW5kR2FtZSksXG4gICAgc3VwcG9ydGVkVG9vbHM6IHRvb2xzLFxuICAgIHNldHVwOiB1dGlsLnRvQmx1ZSgoZGlzY292ZXJ5KSA9PiBwcmVwYXJlRm9yTW9kZGluZyhjb250ZXh0LmFwaSwgZGlzY292ZXJ5KSksXG4gICAgcXVlcnlNb2RQYXRoOiAoKSA9PiAnRGF0YSBGaWxlcycsXG4gICAgbG9nbzogJ2dhbWVhcnQuanBnJyxcbiAgICBleGVjdXRhYmxlOiAoKSA9PiAnbW9ycm93aW5kLmV4ZScsXG4gICAgcmVxdWlyZWRGaWxlczogW1xuICAgICAgJ21vcnJvd2luZC5leGUnLFxuICAgIF0sXG4gICAgLy8gcmVxdWlyZXNMYXVuY2hlcixcbiAgICBlbnZpcm9ubWVudDoge1xuICAgICAgU3RlYW1BUFBJZDogU1RFQU1BUFBfSUQsXG4gICAgfSxcbiAgICBkZXRhaWxzOiB7XG4gICAgICBzdGVhbUFwcElkOiBwYXJzZUludChTVEVBTUFQUF9JRCwgMTApLFxuICAgICAgZ29nQXBwSWQ6IEdPR19JRFxuICAgIH0sXG4gIH0pO1xuXG4gIGNvbnRleHQucmVnaXN0ZXJMb2FkT3JkZXIoe1xuICAgIGdhbWVJZDogTU9SUk9XSU5EX0lELFxuICAgIGRlc2VyaWFsaXplTG9hZE9yZGVyOiAoKSA9PiBkZXNlcmlhbGl6ZUxvYWRPcmRlcihjb250ZXh0LmFwaSksXG4gICAgc2VyaWFsaXplTG9hZE9yZGVyOiAobG9hZE9yZGVyKSA9PiBzZXJpYWxpemVMb2FkT3JkZXIoY29udGV4dC5hcGksIGxvYWRPcmRlciksXG4gICAgdmFsaWRhdGUsXG4gICAgbm9Db2xsZWN0aW9uR2VuZXJhdGlvbjogdHJ1ZSxcbiAgICB0b2dnbGVhYmxlRW50cmllczogdHJ1ZSxcbiAgICB1c2FnZUluc3RydWN0aW9uczogJ0RyYWcgeW91ciBwbHVnaW5zIGFzIG5lZWRlZCAtIHRoZSBnYW1lIHdpbGwgbG9hZCAnXG4gICAgICArICdsb2FkIHRoZW0gZnJvbSB0b3AgdG8gYm90dG9tLicsXG4gIH0pO1xuXG4gIGNvbnRleHQub3B0aW9uYWwucmVnaXN0ZXJDb2xsZWN0aW9uRmVhdHVyZShcbiAgICAnbW9ycm93aW5kX2NvbGxlY3Rpb25fZGF0YScsXG4gICAgKGdhbWVJZCwgaW5jbHVkZWRNb2RzLCBjb2xsZWN0aW9uKSA9PlxuICAgICAgZ2VuQ29sbGVjdGlvbnNEYXRhKGNvbnRleHQsIGdhbWVJZCwgaW5jbHVkZWRNb2RzLCBjb2xsZWN0aW9uKSxcbiAgICAoZ2FtZUlkLCBjb2xsZWN0aW9uKSA9PlxuICAgICAgcGFyc2VDb2xsZWN0aW9uc0RhdGEoY29udGV4dCwgZ2FtZUlkLCBjb2xsZWN0aW9uKSxcbiAgICAoKSA9PiBQcm9taXNlLnJlc29sdmUoKSxcbiAgICAodCkgPT4gdCgnTG9hZCBPcmRlcicpLFxuICAgIChzdGF0ZSwgZ2FtZUlkKSA9PiBnYW1lSWQgPT09IE1PUlJPV0lORF9JRCxcbiAgICAocHJvcHM6IElFeHRlbmRlZEludGVyZmFjZVByb3BzKSA9PiBDb2xsZWN0aW9uRGF0YVdyYXAoY29udGV4dC5hcGksIHByb3BzKSk7XG5cbiAgY29udGV4dC5yZWdpc3Rlck1pZ3JhdGlvbihvbGQgPT4gbWlncmF0ZTEwMyhjb250ZXh0LmFwaSwgb2xkKSk7XG4gIGNvbnRleHQub25jZSgoKSA9PiB7XG4gICAgY29udGV4dC5hcGkuZXZlbnRzLm9uKCdkaWQtaW5zdGFsbC1tb2QnLCBhc3luYyAoZ2FtZUlkLCBhcmNoaXZlSWQsIG1vZElkKSA9PiB7XG4gICAgICBpZiAoZ2FtZUlkICE9PSBNT1JST1dJTkRfSUQpIHtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuXG4gICAgICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XG4gICAgICBjb25zdCBpbnN0YWxsUGF0aCA9IHNlbGVjdG9ycy5pbnN0YWxsUGF0aEZvckdhbWUoc3RhdGUsIE1PUlJPV0lORF9JRCk7XG4gICAgICBjb25zdCBtb2QgPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgTU9SUk9XSU5EX0lELCBtb2RJZF0sIHVuZGVmaW5lZCk7XG4gICAgICBpZiAoaW5zdGFsbFBhdGggPT09IHVuZGVmaW5lZCB8fCBtb2QgPT09IHVuZGVmaW5lZCkge1xuICAgICAgICByZXR1cm47XG4gICAgICB9XG4gICAgICBjb25zdCBtb2RQYXRoID0gcGF0aC5qb2luKGluc3RhbGxQYXRoLCBtb2QuaW5zdGFsbGF0aW9uUGF0aCk7XG4gICAgICBjb25zdCBwbHVnaW5zID0gW107XG4gICAgICB0cnkge1xuICAgICAgICBhd2FpdCB3YWxrKG1vZFBhdGgsIGVudHJpZXMgPT4ge1xuICAgICAgICAgIGZvciAobGV0IGVudHJ5IG9mIGVudHJpZXMpIHtcbiAgICAgICAgICAgIGlmIChbJy5lc3AnLCAnLmVzbSddLmluY2x1ZGVzKHBhdGguZXh0bmFtZShlbnRyeS5maWxlUGF0aC50b0xvd2VyQ2FzZSgpKSkpIHtcbiAgICAgICAgICAgICAgcGx1Z2lucy5wdXNoKHBhdGguYmFzZW5hbWUoZW50cnkuZmlsZVBhdGgpKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgIH0sIHsgcmVjdXJzZTogdHJ1ZSwgc2tpcExpbmtzOiB0cnVlLCBza2lwSW5hY2Nlc3NpYmxlOiB0cnVlIH0pO1xuICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgIGNvbnRleHQuYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIHJlYWQgbGlzdCBvZiBwbHVnaW5zJywgZXJyLCB7IGFsbG93UmVwb3J0OiBmYWxzZSB9KTtcbiAgICAgIH1cbiAgICAgIGlmICggcGx1Z2lucy5sZW5ndGggPiAwKSB7XG4gICAgICAgIGNvbnRleHQuYXBpLnN0b3JlLmRpc3BhdGNoKGFjdGlvbnMuc2V0TW9kQXR0cmlidXRlKE1PUlJPV0lORF9JRCwgbW9kLmlkLCAncGx1Z2lucycsIHBsdWdpbnMpKTtcbiAgICAgIH1cbiAgICB9KTtcbiAgfSk7XG5cbiAgcmV0dXJuIHRydWU7XG59XG5cbm1vZHVsZS5leHBvcnRzID0ge1xuICBkZWZhdWx0OiBtYWluXG59O1xuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQUEsZ0RBQXdCO0FBQ3hCLDJDQUFrRTtBQUNsRSw2Q0FBK0I7QUFFL0IsTUFBTSxJQUFJLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLE9BQU8sQ0FBQztBQUUxQywyQ0FBMkY7QUFDM0YsMkNBQTJDO0FBSTNDLCtDQUF5RTtBQUV6RSx3R0FBZ0Y7QUFFaEYsNkNBQTBDO0FBRTFDLE1BQU0sV0FBVyxHQUFHLE9BQU8sQ0FBQztBQUM1QixNQUFNLE1BQU0sR0FBRyxZQUFZLENBQUM7QUFDNUIsTUFBTSxLQUFLLEdBQUcsbUNBQW1DLENBQUM7QUFFbEQsTUFBTSxPQUFPLEdBQUcsd0JBQVksQ0FBQztBQUU3QixNQUFNLGlCQUFpQixHQUFHO0lBQ3hCLEVBQUUsRUFBRSx3QkFBd0I7SUFDNUIsRUFBRSxFQUFFLHVCQUF1QjtJQUMzQixFQUFFLEVBQUUsdUJBQXVCO0NBQzVCLENBQUE7QUFFRCxNQUFNLFlBQVksR0FBUTtJQUN4QixLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQ3ZDLElBQUksRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxDQUFDO0lBQ3JCLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDO0lBQ3JCLFFBQVEsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLHdGQUF3RixFQUFFLENBQUM7Q0FDN0csQ0FBQztBQUVGLE1BQU0sS0FBSyxHQUFHO0lBQ1o7UUFDRSxFQUFFLEVBQUUsVUFBVTtRQUNkLElBQUksRUFBRSxVQUFVO1FBQ2hCLFVBQVUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxjQUFjO1FBQ2hDLGFBQWEsRUFBRSxFQUFFO0tBQ2xCO0lBQ0Q7UUFDRSxFQUFFLEVBQUUscUJBQXFCO1FBQ3pCLElBQUksRUFBRSxrQkFBa0I7UUFDeEIsSUFBSSxFQUFFLHFCQUFxQjtRQUMzQixVQUFVLEVBQUUsR0FBRyxFQUFFLENBQUMsMEJBQTBCO1FBQzVDLGFBQWEsRUFBRTtZQUNiLDBCQUEwQjtTQUMzQjtRQUNELFFBQVEsRUFBRSxJQUFJO1FBQ2QsU0FBUyxFQUFFLElBQUk7S0FDaEI7Q0FDRixDQUFDO0FBRUYsU0FBZSxRQUFROztRQUNyQixNQUFNLFVBQVUsR0FBRyxNQUFNLGlCQUFJLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUM7UUFFakYsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNO1lBQUUsT0FBTztRQUUvQixJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQztZQUFFLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsbUNBQW1DLEVBQUUsVUFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO1FBRWpILE1BQU0sWUFBWSxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNuQyxJQUFJLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLEVBQUU7WUFHdkQsSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSx3Q0FBd0MsRUFBRSxFQUFFLEtBQUssRUFBRSxZQUFZLENBQUMsV0FBVyxFQUFFLE1BQU0sRUFBRSxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDN0gsWUFBWSxDQUFDLFFBQVEsR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxRQUFRLEVBQUUsaUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztTQUNuRjtRQUNELE9BQU8sWUFBWSxDQUFDO0lBQ3RCLENBQUM7Q0FBQTtBQW9CRCxTQUFTLGlCQUFpQixDQUFDLEdBQXdCLEVBQUUsU0FBaUM7O0lBQ3BGLE1BQU0sUUFBUSxHQUFHLENBQUEsTUFBQSxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsMENBQUUsSUFBSSxLQUFJLFdBQVcsQ0FBQztJQUk1RCxJQUFJLFNBQVMsQ0FBQyxLQUFLLElBQUksQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRTtRQUNqRSxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsS0FBSyxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQztRQUUvRSxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsRUFBRSxFQUFFLEdBQUcsT0FBTyxpQkFBaUI7WUFDL0IsSUFBSSxFQUFFLE1BQU07WUFDWixLQUFLLEVBQUUsOEJBQThCO1lBQ3JDLE9BQU8sRUFBRSxrQkFBa0I7WUFDM0IsYUFBYSxFQUFFLElBQUk7WUFDbkIsT0FBTyxFQUFFO2dCQUNQO29CQUNFLEtBQUssRUFBRSxNQUFNO29CQUNiLE1BQU0sRUFBRSxDQUFDLE9BQU8sRUFBRSxFQUFFO3dCQUNsQixPQUFPLEVBQUUsQ0FBQzt3QkFDVixHQUFHLENBQUMsVUFBVSxDQUFDLE1BQU0sRUFBRSw4QkFBOEIsRUFBRTs0QkFDckQsTUFBTSxFQUFFLG1HQUFtRztnQ0FDekcsd0VBQXdFO2dDQUN4RSxtSkFBbUo7NEJBQ3JKLFVBQVUsRUFBRSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUU7eUJBQ3BDLEVBQ0Q7NEJBQ0UsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsb0JBQW9CLENBQUMsR0FBRyxPQUFPLGlCQUFpQixDQUFDLEVBQUU7eUJBQ3hGLENBQ0EsQ0FBQztvQkFDSixDQUFDO2lCQUNGO2FBQ0Y7U0FDRixDQUFDLENBQUM7S0FDSjtJQUNELE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0FBQzNCLENBQUM7QUFFRCxTQUFTLGtCQUFrQixDQUFDLEdBQXdCLEVBQUUsS0FBOEI7SUFDbEYsT0FBTyxLQUFLLENBQUMsYUFBYSxDQUFDLHNDQUE0QixrQ0FBTyxLQUFLLEtBQUUsR0FBRyxJQUFJLENBQUM7QUFDL0UsQ0FBQztBQUVELFNBQVMsSUFBSSxDQUFDLE9BQWdDO0lBQzVDLE9BQU8sQ0FBQyxZQUFZLENBQUM7UUFDbkIsRUFBRSxFQUFFLHdCQUFZO1FBQ2hCLElBQUksRUFBRSxXQUFXO1FBQ2pCLFNBQVMsRUFBRSxJQUFJO1FBQ2YsU0FBUyxFQUFFLGlCQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQztRQUNoQyxjQUFjLEVBQUUsS0FBSztRQUNyQixLQUFLLEVBQUUsaUJBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDNUUsWUFBWSxFQUFFLEdBQUcsRUFBRSxDQUFDLFlBQVk7UUFDaEMsSUFBSSxFQUFFLGFBQWE7UUFDbkIsVUFBVSxFQUFFLEdBQUcsRUFBRSxDQUFDLGVBQWU7UUFDakMsYUFBYSxFQUFFO1lBQ2IsZUFBZTtTQUNoQjtRQUVELFdBQVcsRUFBRTtZQUNYLFVBQVUsRUFBRSxXQUFXO1NBQ3hCO1FBQ0QsT0FBTyxFQUFFO1lBQ1AsVUFBVSxFQUFFLFFBQVEsQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDO1lBQ3JDLFFBQVEsRUFBRSxNQUFNO1NBQ2pCO0tBQ0YsQ0FBQyxDQUFDO0lBRUgsT0FBTyxDQUFDLGlCQUFpQixDQUFDO1FBQ3hCLE1BQU0sRUFBRSx3QkFBWTtRQUNwQixvQkFBb0IsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFBLGdDQUFvQixFQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDN0Qsa0JBQWtCLEVBQUUsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLElBQUEsOEJBQWtCLEVBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxTQUFTLENBQUM7UUFDN0UsUUFBUSxFQUFSLG9CQUFRO1FBQ1Isc0JBQXNCLEVBQUUsSUFBSTtRQUM1QixpQkFBaUIsRUFBRSxJQUFJO1FBQ3ZCLGlCQUFpQixFQUFFLG1EQUFtRDtjQUNsRSwrRUFBK0U7Y0FDL0UsNEVBQTRFO0tBQ2pGLENBQUMsQ0FBQztJQUVILE9BQU8sQ0FBQyxjQUFjLENBQUMscUJBQXFCLEVBQUUsR0FBRyxFQUFFLFdBQVcsRUFBRSxFQUFFLEVBQUUsV0FBVyxFQUFFLEdBQUcsRUFBRTtRQUNwRixJQUFBLG9CQUFRLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQzthQUNsQixLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixDQUFDLHdCQUF3QixFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDcEYsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLHNCQUFTLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsS0FBSyx3QkFBWSxDQUFDLENBQUM7SUFFMUUsT0FBTyxDQUFDLFFBQVEsQ0FBQyx5QkFBeUIsQ0FDeEMsMkJBQTJCLEVBQzNCLENBQUMsTUFBTSxFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsRUFBRSxDQUNuQyxJQUFBLGdDQUFrQixFQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsWUFBWSxFQUFFLFVBQVUsQ0FBQyxFQUMvRCxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsRUFBRSxDQUNyQixJQUFBLGtDQUFvQixFQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsVUFBVSxDQUFDLEVBQ25ELEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsRUFDdkIsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsRUFDdEIsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLEtBQUssd0JBQVksRUFDMUMsQ0FBQyxLQUE4QixFQUFFLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7SUFFOUUsT0FBTyxDQUFDLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBQSx1QkFBVSxFQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUMvRCxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRTtRQUNoQixPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsaUJBQWlCLEVBQUUsQ0FBTyxNQUFNLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxFQUFFO1lBQzFFLElBQUksTUFBTSxLQUFLLHdCQUFZLEVBQUU7Z0JBQzNCLE9BQU87YUFDUjtZQUVELE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDckMsTUFBTSxXQUFXLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsd0JBQVksQ0FBQyxDQUFDO1lBQ3RFLE1BQU0sR0FBRyxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsd0JBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUN4RixJQUFJLFdBQVcsS0FBSyxTQUFTLElBQUksR0FBRyxLQUFLLFNBQVMsRUFBRTtnQkFDbEQsT0FBTzthQUNSO1lBQ0QsTUFBTSxPQUFPLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsR0FBRyxDQUFDLGdCQUFnQixDQUFDLENBQUM7WUFDN0QsTUFBTSxPQUFPLEdBQUcsRUFBRSxDQUFDO1lBQ25CLElBQUk7Z0JBQ0YsTUFBTSxJQUFJLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxFQUFFO29CQUM1QixLQUFLLElBQUksS0FBSyxJQUFJLE9BQU8sRUFBRTt3QkFDekIsSUFBSSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsRUFBRTs0QkFDekUsT0FBTyxDQUFDLElBQUksQ0FBQyxjQUFJLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO3lCQUM3QztxQkFDRjtnQkFDSCxDQUFDLEVBQUUsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQzthQUNoRTtZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLENBQUMsZ0NBQWdDLEVBQUUsR0FBRyxFQUFFLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7YUFDbEc7WUFDRCxJQUFLLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO2dCQUN2QixPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxlQUFlLENBQUMsd0JBQVksRUFBRSxHQUFHLENBQUMsRUFBRSxFQUFFLFNBQVMsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO2FBQy9GO1FBQ0gsQ0FBQyxDQUFBLENBQUMsQ0FBQztJQUNMLENBQUMsQ0FBQyxDQUFDO0lBRUgsT0FBTyxJQUFJLENBQUM7QUFDZCxDQUFDO0FBRUQsTUFBTSxDQUFDLE9BQU8sR0FBRztJQUNmLE9BQU8sRUFBRSxJQUFJO0NBQ2QsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgYWN0aW9ucywgbG9nLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XG5cbmNvbnN0IHdhbGsgPSByZXF1aXJlKCd0dXJib3dhbGsnKS5kZWZhdWx0O1xuXG5pbXBvcnQgeyBhdXRvU29ydCwgdmFsaWRhdGUsIGRlc2VyaWFsaXplTG9hZE9yZGVyLCBzZXJpYWxpemVMb2FkT3JkZXIgfSBmcm9tICcuL2xvYWRvcmRlcic7XG5pbXBvcnQgeyBNT1JST1dJTkRfSUQgfSBmcm9tICcuL2NvbnN0YW50cyc7XG5cbmltcG9ydCB7IElFeHRlbmRlZEludGVyZmFjZVByb3BzIH0gZnJvbSAnLi90eXBlcy90eXBlcyc7XG5cbmltcG9ydCB7IGdlbkNvbGxlY3Rpb25zRGF0YSwgcGFyc2VDb2xsZWN0aW9uc0RhdGEgfSBmcm9tICcuL2NvbGxlY3Rpb25zJztcblxuaW1wb3J0IE1vcnJvd2luZENvbGxlY3Rpb25zRGF0YVZpZXcgZnJvbSAnLi92aWV3cy9Nb3Jyb3dpbmRDb2xsZWN0aW9uc0RhdGFWaWV3JztcblxuaW1wb3J0IHsgbWlncmF0ZTEwMyB9IGZyb20gJy4vbWlncmF0aW9ucyc7XG5cbmNvbnN0IFNURUFNQVBQX0lEID0gJzIyMzIwJztcbmNvbnN0IEdPR19JRCA9ICcxNDM1ODI4NzY3JztcbmNvbnN0IE1TX0lEID0gJ0JldGhlc2RhU29mdHdvcmtzLlRFU01vcnJvd2luZC1QQyc7XG5cbmNvbnN0IEdBTUVfSUQgPSBNT1JST1dJTkRfSUQ7XG5cbmNvbnN0IGxvY2FsZUZvbGRlcnNYYm94ID0ge1xuICBlbjogJ01vcnJvd2luZCBHT1RZIEVuZ2xpc2gnLFxuICBmcjogJ01vcnJvd2luZCBHT1RZIEZyZW5jaCcsXG4gIGRlOiAnTW9ycm93aW5kIEdPVFkgR2VybWFuJyxcbn1cblxuY29uc3QgZ2FtZVN0b3JlSWRzOiBhbnkgPSB7XG4gIHN0ZWFtOiBbeyBpZDogU1RFQU1BUFBfSUQsIHByZWZlcjogMCB9XSxcbiAgeGJveDogW3sgaWQ6IE1TX0lEIH1dLFxuICBnb2c6IFt7IGlkOiBHT0dfSUQgfV0sXG4gIHJlZ2lzdHJ5OiBbeyBpZDogJ0hLRVlfTE9DQUxfTUFDSElORTpTb2Z0d2FyZVxcXFxXb3c2NDMyTm9kZVxcXFxCZXRoZXNkYSBTb2Z0d29ya3NcXFxcTW9ycm93aW5kOkluc3RhbGxlZCBQYXRoJyB9XSxcbn07XG5cbmNvbnN0IHRvb2xzID0gW1xuICB7XG4gICAgaWQ6ICd0ZXMzZWRpdCcsXG4gICAgbmFtZTogJ1RFUzNFZGl0JyxcbiAgICBleGVjdXRhYmxlOiAoKSA9PiAnVEVTM0VkaXQuZXhlJyxcbiAgICByZXF1aXJlZEZpbGVzOiBbXVxuICB9LFxuICB7XG4gICAgaWQ6ICdtdy1jb25zdHJ1Y3Rpb24tc2V0JyxcbiAgICBuYW1lOiAnQ29uc3RydWN0aW9uIFNldCcsXG4gICAgbG9nbzogJ2NvbnN0cnVjdGlvbnNldC5wbmcnLFxuICAgIGV4ZWN1dGFibGU6ICgpID0+ICdURVMgQ29uc3RydWN0aW9uIFNldC5leGUnLFxuICAgIHJlcXVpcmVkRmlsZXM6IFtcbiAgICAgICdURVMgQ29uc3RydWN0aW9uIFNldC5leGUnLFxuICAgIF0sXG4gICAgcmVsYXRpdmU6IHRydWUsXG4gICAgZXhjbHVzaXZlOiB0cnVlXG4gIH1cbl07XG5cbmFzeW5jIGZ1bmN0aW9uIGZpbmRHYW1lKCkge1xuICBjb25zdCBzdG9yZUdhbWVzID0gYXdhaXQgdXRpbC5HYW1lU3RvcmVIZWxwZXIuZmluZChnYW1lU3RvcmVJZHMpLmNhdGNoKCgpID0+IFtdKTtcblxuICBpZiAoIXN0b3JlR2FtZXMubGVuZ3RoKSByZXR1cm47XG4gIFxuICBpZiAoc3RvcmVHYW1lcy5sZW5ndGggPiAxKSBsb2coJ2RlYnVnJywgJ011dGxpcGxlIGNvcGllcyBvZiBPYmxpdmlvbiBmb3VuZCcsIHN0b3JlR2FtZXMubWFwKHMgPT4gcy5nYW1lU3RvcmVJZCkpO1xuXG4gIGNvbnN0IHNlbGVjdGVkR2FtZSA9IHN0b3JlR2FtZXNbMF07XG4gIGlmIChbJ2VwaWMnLCAneGJveCddLmluY2x1ZGVzKHNlbGVjdGVkR2FtZS5nYW1lU3RvcmVJZCkpIHtcbiAgICAvLyBHZXQgdGhlIHVzZXIncyBjaG9zZW4gbGFuZ3VhZ2VcbiAgICAvLyBzdGF0ZS5pbnRlcmZhY2UubGFuZ3VhZ2UgfHwgJ2VuJztcbiAgICBsb2coJ2RlYnVnJywgJ0RlZmF1bHRpbmcgdG8gdGhlIEVuZ2xpc2ggZ2FtZSB2ZXJzaW9uJywgeyBzdG9yZTogc2VsZWN0ZWRHYW1lLmdhbWVTdG9yZUlkLCBmb2xkZXI6IGxvY2FsZUZvbGRlcnNYYm94WydlbiddIH0pO1xuICAgIHNlbGVjdGVkR2FtZS5nYW1lUGF0aCA9IHBhdGguam9pbihzZWxlY3RlZEdhbWUuZ2FtZVBhdGgsIGxvY2FsZUZvbGRlcnNYYm94WydlbiddKTtcbiAgfVxuICByZXR1cm4gc2VsZWN0ZWRHYW1lO1xufVxuXG4vKiBNb3Jyb3dpbmQgc2VlbXMgdG8gc3RhcnQgZmluZSB3aGVuIHJ1bm5pbmcgZGlyZWN0bHkuIElmIHdlIGRvIGdvIHRocm91Z2ggdGhlIGxhdW5jaGVyIHRoZW4gdGhlIGxhbmd1YWdlIHZlcnNpb24gYmVpbmdcbiAgIHN0YXJ0ZWQgbWlnaHQgbm90IGJlIHRoZSBvbmUgd2UncmUgbW9kZGluZ1xuXG5mdW5jdGlvbiByZXF1aXJlc0xhdW5jaGVyKGdhbWVQYXRoKSB7XG4gIHJldHVybiB1dGlsLkdhbWVTdG9yZUhlbHBlci5maW5kQnlBcHBJZChbTVNfSURdLCAneGJveCcpXG4gICAgLnRoZW4oKCkgPT4gUHJvbWlzZS5yZXNvbHZlKHtcbiAgICAgIGxhdW5jaGVyOiAneGJveCcsXG4gICAgICBhZGRJbmZvOiB7XG4gICAgICAgIGFwcElkOiBNU19JRCxcbiAgICAgICAgcGFyYW1ldGVyczogW1xuICAgICAgICAgIHsgYXBwRXhlY05hbWU6ICdHYW1lJyB9LFxuICAgICAgICBdLFxuICAgICAgfVxuICAgIH0pKVxuICAgIC5jYXRjaChlcnIgPT4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCkpO1xufVxuKi9cblxuZnVuY3Rpb24gcHJlcGFyZUZvck1vZGRpbmcoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBkaXNjb3Zlcnk6IHR5cGVzLklEaXNjb3ZlcnlSZXN1bHQpIHtcbiAgY29uc3QgZ2FtZU5hbWUgPSB1dGlsLmdldEdhbWUoR0FNRV9JRCk/Lm5hbWUgfHwgJ1RoaXMgZ2FtZSc7XG5cbiAgLy8gdGhlIGdhbWUgZG9lc24ndCBhY3R1YWxseSBleGlzdCBvbiB0aGUgZXBpYyBnYW1lIHN0b3JlLCB0aGlzIGNodW5rIGlzIGNvcHkmcGFzdGVkLCBkb2Vzbid0IGh1cnRcbiAgLy8ga2VlcGluZyBpdCBpZGVudGljYWxcbiAgaWYgKGRpc2NvdmVyeS5zdG9yZSAmJiBbJ2VwaWMnLCAneGJveCddLmluY2x1ZGVzKGRpc2NvdmVyeS5zdG9yZSkpIHtcbiAgICBjb25zdCBzdG9yZU5hbWUgPSBkaXNjb3Zlcnkuc3RvcmUgPT09ICdlcGljJyA/ICdFcGljIEdhbWVzJyA6ICdYYm94IEdhbWUgUGFzcyc7XG4gICAgLy8gSWYgdGhpcyBpcyBhbiBFcGljIG9yIFhib3ggZ2FtZSB3ZSd2ZSBkZWZhdWx0ZWQgdG8gRW5nbGlzaCwgc28gd2Ugc2hvdWxkIGxldCB0aGUgdXNlciBrbm93LlxuICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICAgIGlkOiBgJHtHQU1FX0lEfS1sb2NhbGUtbWVzc2FnZWAsXG4gICAgICB0eXBlOiAnaW5mbycsXG4gICAgICB0aXRsZTogJ011bHRpcGxlIExhbmd1YWdlcyBBdmFpbGFibGUnLFxuICAgICAgbWVzc2FnZTogJ0RlZmF1bHQ6IEVuZ2xpc2gnLFxuICAgICAgYWxsb3dTdXBwcmVzczogdHJ1ZSxcbiAgICAgIGFjdGlvbnM6IFtcbiAgICAgICAge1xuICAgICAgICAgIHRpdGxlOiAnTW9yZScsXG4gICAgICAgICAgYWN0aW9uOiAoZGlzbWlzcykgPT4ge1xuICAgICAgICAgICAgZGlzbWlzcygpO1xuICAgICAgICAgICAgYXBpLnNob3dEaWFsb2coJ2luZm8nLCAnTXV0bGlwbGUgTGFuZ3VhZ2VzIEF2YWlsYWJsZScsIHtcbiAgICAgICAgICAgICAgYmJjb2RlOiAne3tnYW1lTmFtZX19IGhhcyBtdWx0aXBsZSBsYW5ndWFnZSBvcHRpb25zIHdoZW4gZG93bmxvYWRlZCBmcm9tIHt7c3RvcmVOYW1lfX0uIFticl1bL2JyXVticl1bL2JyXScrXG4gICAgICAgICAgICAgICAgJ1ZvcnRleCBoYXMgc2VsZWN0ZWQgdGhlIEVuZ2xpc2ggdmFyaWFudCBieSBkZWZhdWx0LiBbYnJdWy9icl1bYnJdWy9icl0nK1xuICAgICAgICAgICAgICAgICdJZiB5b3Ugd291bGQgcHJlZmVyIHRvIG1hbmFnZSBhIGRpZmZlcmVudCBsYW5ndWFnZSB5b3UgY2FuIGNoYW5nZSB0aGUgcGF0aCB0byB0aGUgZ2FtZSB1c2luZyB0aGUgXCJNYW51YWxseSBTZXQgTG9jYXRpb25cIiBvcHRpb24gaW4gdGhlIGdhbWVzIHRhYi4nLFxuICAgICAgICAgICAgICBwYXJhbWV0ZXJzOiB7IGdhbWVOYW1lLCBzdG9yZU5hbWUgfVxuICAgICAgICAgICAgfSwgXG4gICAgICAgICAgICBbIFxuICAgICAgICAgICAgICB7IGxhYmVsOiAnQ2xvc2UnLCBhY3Rpb246ICgpID0+IGFwaS5zdXBwcmVzc05vdGlmaWNhdGlvbihgJHtHQU1FX0lEfS1sb2NhbGUtbWVzc2FnZWApIH1cbiAgICAgICAgICAgIF1cbiAgICAgICAgICAgICk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICBdXG4gICAgfSk7XG4gIH1cbiAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xufVxuXG5mdW5jdGlvbiBDb2xsZWN0aW9uRGF0YVdyYXAoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBwcm9wczogSUV4dGVuZGVkSW50ZXJmYWNlUHJvcHMpOiBKU1guRWxlbWVudCB7XG4gIHJldHVybiBSZWFjdC5jcmVhdGVFbGVtZW50KE1vcnJvd2luZENvbGxlY3Rpb25zRGF0YVZpZXcsIHsgLi4ucHJvcHMsIGFwaSwgfSk7XG59XG5cbmZ1bmN0aW9uIG1haW4oY29udGV4dDogdHlwZXMuSUV4dGVuc2lvbkNvbnRleHQpIHtcbiAgY29udGV4dC5yZWdpc3RlckdhbWUoe1xuICAgIGlkOiBNT1JST1dJTkRfSUQsXG4gICAgbmFtZTogJ01vcnJvd2luZCcsXG4gICAgbWVyZ2VNb2RzOiB0cnVlLFxuICAgIHF1ZXJ5UGF0aDogdXRpbC50b0JsdWUoZmluZEdhbWUpLFxuICAgIHN1cHBvcnRlZFRvb2xzOiB0b29scyxcbiAgICBzZXR1cDogdXRpbC50b0JsdWUoKGRpc2NvdmVyeSkgPT4gcHJlcGFyZUZvck1vZGRpbmcoY29udGV4dC5hcGksIGRpc2NvdmVyeSkpLFxuICAgIHF1ZXJ5TW9kUGF0aDogKCkgPT4gJ0RhdGEgRmlsZXMnLFxuICAgIGxvZ286ICdnYW1lYXJ0LmpwZycsXG4gICAgZXhlY3V0YWJsZTogKCkgPT4gJ21vcnJvd2luZC5leGUnLFxuICAgIHJlcXVpcmVkRmlsZXM6IFtcbiAgICAgICdtb3Jyb3dpbmQuZXhlJyxcbiAgICBdLFxuICAgIC8vIHJlcXVpcmVzTGF1bmNoZXIsXG4gICAgZW52aXJvbm1lbnQ6IHtcbiAgICAgIFN0ZWFtQVBQSWQ6IFNURUFNQVBQX0lELFxuICAgIH0sXG4gICAgZGV0YWlsczoge1xuICAgICAgc3RlYW1BcHBJZDogcGFyc2VJbnQoU1RFQU1BUFBfSUQsIDEwKSxcbiAgICAgIGdvZ0FwcElkOiBHT0dfSURcbiAgICB9LFxuICB9KTtcblxuICBjb250ZXh0LnJlZ2lzdGVyTG9hZE9yZGVyKHtcbiAgICBnYW1lSWQ6IE1PUlJPV0lORF9JRCxcbiAgICBkZXNlcmlhbGl6ZUxvYWRPcmRlcjogKCkgPT4gZGVzZXJpYWxpemVMb2FkT3JkZXIoY29udGV4dC5hcGkpLFxuICAgIHNlcmlhbGl6ZUxvYWRPcmRlcjogKGxvYWRPcmRlcikgPT4gc2VyaWFsaXplTG9hZE9yZGVyKGNvbnRleHQuYXBpLCBsb2FkT3JkZXIpLFxuICAgIHZhbGlkYXRlLFxuICAgIG5vQ29sbGVjdGlvbkdlbmVyYXRpb246IHRydWUsXG4gICAgdG9nZ2xlYWJsZUVudHJpZXM6IHRydWUsXG4gICAgdXNhZ2VJbnN0cnVjdGlvbnM6ICdEcmFnIHlvdXIgcGx1Z2lucyBhcyBuZWVkZWQgLSB0aGUgZ2FtZSB3aWxsIGxvYWQgJ1xuICAgICAgKyAnbG9hZCB0aGVtIGZyb20gdG9wIHRvIGJvdHRvbS4gUGx1Z2lucyBoYXZlIHRvIGJlIGxvYWRlZCBhZnRlciB0aGVpciBtYXN0ZXJzLCAnXG4gICAgICArICd1c2UgXCJBdXRvIFNvcnRcIiB0byBtb3ZlIG1hc3RlcnMgaW4gZnJvbnQgb2YgdGhlIHBsdWdpbnMgdGhhdCByZXF1aXJlIHRoZW0uJyxcbiAgfSk7XG5cbiAgY29udGV4dC5yZWdpc3RlckFjdGlvbignZmItbG9hZC1vcmRlci1pY29ucycsIDEwMCwgJ2xvb3Qtc29ydCcsIHt9LCAnQXV0byBTb3J0JywgKCkgPT4ge1xuICAgIGF1dG9Tb3J0KGNvbnRleHQuYXBpKVxuICAgICAgLmNhdGNoKGVyciA9PiBjb250ZXh0LmFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBzb3J0IHBsdWdpbnMnLCBlcnIpKTtcbiAgfSwgKCkgPT4gc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChjb250ZXh0LmFwaS5nZXRTdGF0ZSgpKSA9PT0gTU9SUk9XSU5EX0lEKTtcblxuICBjb250ZXh0Lm9wdGlvbmFsLnJlZ2lzdGVyQ29sbGVjdGlvbkZlYXR1cmUoXG4gICAgJ21vcnJvd2luZF9jb2xsZWN0aW9uX2RhdGEnLFxuICAgIChnYW1lSWQsIGluY2x1ZGVkTW9kcywgY29sbGVjdGlvbikgPT5cbiAgICAgIGdlbkNvbGxlY3Rpb25zRGF0YShjb250ZXh0LCBnYW1lSWQsIGluY2x1ZGVkTW9kcywgY29sbGVjdGlvbiksXG4gICAgKGdhbWVJZCwgY29sbGVjdGlvbikgPT5cbiAgICAgIHBhcnNlQ29sbGVjdGlvbnNEYXRhKGNvbnRleHQsIGdhbWVJZCwgY29sbGVjdGlvbiksXG4gICAgKCkgPT4gUHJvbWlzZS5yZXNvbHZlKCksXG4gICAgKHQpID0+IHQoJ0xvYWQgT3JkZXInKSxcbiAgICAoc3RhdGUsIGdhbWVJZCkgPT4gZ2FtZUlkID09PSBNT1JST1dJTkRfSUQsXG4gICAgKHByb3BzOiBJRXh0ZW5kZWRJbnRlcmZhY2VQcm9wcykgPT4gQ29sbGVjdGlvbkRhdGFXcmFwKGNvbnRleHQuYXBpLCBwcm9wcykpO1xuXG4gIGNvbnRleHQucmVnaXN0ZXJNaWdyYXRpb24ob2xkID0+IG1pZ3JhdGUxMDMoY29udGV4dC5hcGksIG9sZCkpO1xuICBjb250ZXh0Lm9uY2UoKCkgPT4ge1xuICAgIGNvbnRleHQuYXBpLmV2ZW50cy5vbignZGlkLWluc3RhbGwtbW9kJywgYXN5bmMgKGdhbWVJZCwgYXJjaGl2ZUlkLCBtb2RJZCkgPT4ge1xuICAgICAgaWYgKGdhbWVJZCAhPT0gTU9SUk9XSU5EX0lEKSB7XG4gICAgICAgIHJldHVybjtcbiAgICAgIH1cblxuICAgICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgICAgY29uc3QgaW5zdGFsbFBhdGggPSBzZWxlY3RvcnMuaW5zdGFsbFBhdGhGb3JHYW1lKHN0YXRlLCBNT1JST1dJTkRfSUQpO1xuICAgICAgY29uc3QgbW9kID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbW9kcycsIE1PUlJPV0lORF9JRCwgbW9kSWRdLCB1bmRlZmluZWQpO1xuICAgICAgaWYgKGluc3RhbGxQYXRoID09PSB1bmRlZmluZWQgfHwgbW9kID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuICAgICAgY29uc3QgbW9kUGF0aCA9IHBhdGguam9pbihpbnN0YWxsUGF0aCwgbW9kLmluc3RhbGxhdGlvblBhdGgpO1xuICAgICAgY29uc3QgcGx1Z2lucyA9IFtdO1xuICAgICAgdHJ5IHtcbiAgICAgICAgYXdhaXQgd2Fsayhtb2RQYXRoLCBlbnRyaWVzID0+IHtcbiAgICAgICAgICBmb3IgKGxldCBlbnRyeSBvZiBlbnRyaWVzKSB7XG4gICAgICAgICAgICBpZiAoWycuZXNwJywgJy5lc20nXS5pbmNsdWRlcyhwYXRoLmV4dG5hbWUoZW50cnkuZmlsZVBhdGgudG9Mb3dlckNhc2UoKSkpKSB7XG4gICAgICAgICAgICAgIHBsdWdpbnMucHVzaChwYXRoLmJhc2VuYW1lKGVudHJ5LmZpbGVQYXRoKSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgfVxuICAgICAgICB9LCB7IHJlY3Vyc2U6IHRydWUsIHNraXBMaW5rczogdHJ1ZSwgc2tpcEluYWNjZXNzaWJsZTogdHJ1ZSB9KTtcbiAgICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgICBjb250ZXh0LmFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byByZWFkIGxpc3Qgb2YgcGx1Z2lucycsIGVyciwgeyBhbGxvd1JlcG9ydDogZmFsc2UgfSk7XG4gICAgICB9XG4gICAgICBpZiAoIHBsdWdpbnMubGVuZ3RoID4gMCkge1xuICAgICAgICBjb250ZXh0LmFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLnNldE1vZEF0dHJpYnV0ZShNT1JST1dJTkRfSUQsIG1vZC5pZCwgJ3BsdWdpbnMnLCBwbHVnaW5zKSk7XG4gICAgICB9XG4gICAgfSk7XG4gIH0pO1xuXG4gIHJldHVybiB0cnVlO1xufVxuXG5tb2R1bGUuZXhwb3J0cyA9IHtcbiAgZGVmYXVsdDogbWFpblxufTtcbiJdfQ==
\ No newline at end of file
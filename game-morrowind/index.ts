@@ -4,7 +4,7 @@ import * as React from 'react';
 
 const walk = require('turbowalk').default;
 
-import { validate, deserializeLoadOrder, serializeLoadOrder } from './loadorder';
+import { autoSort, validate, deserializeLoadOrder, serializeLoadOrder } from './loadorder';
 import { MORROWIND_ID } from './constants';
 
 import { IExtendedInterfaceProps } from './types/types';
@@ -162,9 +162,15 @@ function main(context: types.IExtensionContext) {
     noCollectionGeneration: true,
     toggleableEntries: true,
     usageInstructions: 'Drag your plugins as needed - the game will load '
-      + 'load them from top to bottom.',
+      + 'load them from top to bottom. Plugins have to be loaded after their masters, '
+      + 'use "Auto Sort" to move masters in front of the plugins that require them.',
   });
 
+  context.registerAction('fb-load-order-icons', 100, 'loot-sort', {}, 'Auto Sort', () => {
+    autoSort(context.api)
+      .catch(err => context.api.showErrorNotification('Failed to sort plugins', err));
+  }, () => selectors.activeGameId(context.api.getState()) === MORROWIND_ID);
+
   context.optional.registerCollectionFeature(
     'morrowind_collection_data',
     (gameId, includedMods, collection) =>
@@ -1,11 +1,185 @@
+const { promises: fsPromises } = require('fs');
 const path = require('path');
-const { fs, selectors, util } = require('vortex-api');
+const { actions, fs, log, selectors, util } = require('vortex-api');
 const { default: IniParser, WinapiFormat } = require('vortex-parse-ini');
 
 const { MORROWIND_ID } = require('./constants');
 
+// Plugins start with a TES3 record: the 'TES3' tag, the size of the record data,
+//  a dummy value and the record flags. The record data is made up of subrecords,
+//  each a 4 character tag followed by the size of its data.
+const RECORD_TAG = 'TES3';
+const RECORD_HEADER_SIZE = 16;
+const SUBRECORD_HEADER_SIZE = 8;
+// version (4), flags (4), author (32), description (256), number of records (4)
+const HEDR_SIZE = 300;
+const AUTHOR_LENGTH = 32;
+const DESCRIPTION_LENGTH = 256;
+// the header record is tiny, anything bigger than this isn't a plugin we understand
+const MAX_RECORD_SIZE = 1024 * 1024;
+
+const MISSING_MASTERS_NOTIFICATION_ID = 'morrowind-missing-masters';
+
+// headers of plugins we already read, keyed by path and only valid as long
+//  as the plugin's size and modification time don't change
+const headerCache = {};
+
+function readString(buffer, offset, length) {
+  const end = buffer.indexOf(0, offset);
+  return buffer.toString('latin1', offset,
+    ((end !== -1) && (end < offset + length)) ? end : offset + length).trim();
+}
+
+// Parses the TES3 record at the start of a plugin: the plugin's version, author,
+//  description and the masters it depends on.
+function parseHeader(buffer) {
+  const result = { version: undefined, author: '', description: '', masters: [] };
+  let offset = 0;
+  while (offset + SUBRECORD_HEADER_SIZE <= buffer.length) {
+    const tag = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + SUBRECORD_HEADER_SIZE;
+    if (start + size > buffer.length) {
+      throw new util.DataInvalid(`Invalid subrecord "${tag}"`);
+    }
+    if ((tag === 'HEDR') && (size >= HEDR_SIZE)) {
+      result.version = Math.round(buffer.readFloatLE(start) * 100) / 100;
+      result.author = readString(buffer, start + 8, AUTHOR_LENGTH);
+      result.description = readString(buffer, start + 8 + AUTHOR_LENGTH, DESCRIPTION_LENGTH);
+    } else if (tag === 'MAST') {
+      result.masters.push(readString(buffer, start, size));
+    }
+    offset = start + size;
+  }
+  return result;
+}
+
+async function readPluginHeader(filePath) {
+  const stats = await fs.statAsync(filePath);
+  const cached = headerCache[filePath];
+  if ((cached !== undefined) && (cached.size === stats.size) && (cached.mtime === stats.mtimeMs)) {
+    return cached.header;
+  }
+
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const recordHeader = Buffer.alloc(RECORD_HEADER_SIZE);
+    await handle.read(recordHeader, 0, RECORD_HEADER_SIZE, 0);
+    if (recordHeader.toString('ascii', 0, RECORD_TAG.length) !== RECORD_TAG) {
+      throw new util.DataInvalid(`Not a plugin file: ${filePath}`);
+    }
+    const size = recordHeader.readUInt32LE(4);
+    if ((size > MAX_RECORD_SIZE) || (RECORD_HEADER_SIZE + size > stats.size)) {
+      throw new util.DataInvalid(`Invalid plugin header: ${filePath}`);
+    }
+    const data = Buffer.alloc(size);
+    await handle.read(data, 0, size, RECORD_HEADER_SIZE);
+    const header = parseHeader(data);
+    headerCache[filePath] = { size: stats.size, mtime: stats.mtimeMs, header };
+    return header;
+  } finally {
+    await handle.close();
+  }
+}
+
+const nameKey = (name) => name.toLowerCase();
+
+// Collects the plugins that are loaded before one of their masters. The game
+//  won't load those so this is the only problem that keeps us from saving.
+function findViolations(loadOrder) {
+  const enabled = loadOrder.filter(entry => entry.enabled);
+  const position = (name) => enabled.findIndex(entry => nameKey(entry.id) === nameKey(name));
+
+  return enabled.reduce((accum, entry, idx) => {
+    const reasons = (entry.data?.masters ?? [])
+      .filter(master => position(master) > idx)
+      .map(master => `is loaded before its master "${master}"`);
+    if (reasons.length > 0) {
+      accum.push({ id: entry.id, reason: reasons.join(', ') });
+    }
+    return accum;
+  }, []);
+}
+
+// Collects the enabled plugins whose masters are missing or not enabled.
+function findMissingMasters(loadOrder) {
+  const enabled = loadOrder.filter(entry => entry.enabled);
+  const isEnabled = (name) => enabled.find(entry => nameKey(entry.id) === nameKey(name)) !== undefined;
+  const installed = (name) => loadOrder.find(entry => nameKey(entry.id) === nameKey(name)) !== undefined;
+
+  return enabled.reduce((accum, entry) => {
+    const reasons = (entry.data?.masters ?? [])
+      .filter(master => !isEnabled(master))
+      .map(master => installed(master)
+        ? `requires master "${master}" which is not enabled`
+        : `requires master "${master}" which is missing`);
+    if (reasons.length > 0) {
+      accum.push({ id: entry.id, reason: reasons.join(', ') });
+    }
+    return accum;
+  }, []);
+}
+
 async function validate(before, after) {
-  return Promise.resolve();
+  // missing masters are reported by notifyMissingMasters, they mustn't keep
+  //  us from saving the rest of the load order
+  const invalid = findViolations(after);
+  return (invalid.length > 0)
+    ? Promise.resolve({ invalid })
+    : Promise.resolve();
+}
+
+function notifyMissingMasters(api, loadOrder) {
+  const missing = findMissingMasters(loadOrder);
+  if (missing.length === 0) {
+    api.dismissNotification(MISSING_MASTERS_NOTIFICATION_ID);
+    return;
+  }
+  api.sendNotification({
+    id: MISSING_MASTERS_NOTIFICATION_ID,
+    type: 'warning',
+    message: 'Some plugins are missing their masters',
+    actions: [
+      {
+        title: 'More',
+        action: () => api.showDialog('info', 'Missing Masters', {
+          bbcode: api.translate('The game will fail to load these plugins or crash, '
+            + 'please install and enable their masters or disable the plugins.')
+            + '[list]' + missing.map(iter => `[*]"${iter.id}" ${iter.reason}`).join('') + '[/list]',
+        }, [
+          { label: 'Close' },
+        ]),
+      },
+    ],
+  });
+}
+
+// Moves the masters of each plugin in front of it. Plugins only move if one of
+//  their dependents requires them earlier, the relative order is kept otherwise.
+function sortLoadOrder(loadOrder) {
+  const byName = loadOrder.reduce((accum, entry) => {
+    accum[entry.id.toLowerCase()] = entry;
+    return accum;
+  }, {});
+  const placed = new Set();
+  const visiting = new Set();
+  const result = [];
+  const place = (entry) => {
+    if (placed.has(entry) || visiting.has(entry)) {
+      // cyclic masters can't be resolved, leave them where they are
+      return;
+    }
+    visiting.add(entry);
+    (entry.data?.masters ?? [])
+      .map(master => byName[master.toLowerCase()])
+      .filter(master => master !== undefined)
+      .forEach(place);
+    visiting.delete(entry);
+    placed.add(entry);
+    result.push(entry);
+  };
+  loadOrder.forEach(place);
+  return result;
 }
 
 async function deserializeLoadOrder(api, mods = undefined) {
@@ -28,15 +202,31 @@ async function deserializeLoadOrder(api, mods = undefined) {
   }, {});
 
   const iniFilePath = path.join(discovery.path, 'Morrowind.ini');
+  const dataDirectory = path.join(discovery.path, 'Data Files');
   const gameFiles = await refreshPlugins(api);
   const enabled = await readGameFiles(iniFilePath);
-  return gameFiles.sort((lhs, rhs) => lhs.mtime - rhs.mtime)
-    .map((file) => ({
+  const result = [];
+  for (const file of gameFiles.sort((lhs, rhs) => lhs.mtime - rhs.mtime)) {
+    let header;
+    try {
+      header = await readPluginHeader(path.join(dataDirectory, file.name));
+    } catch (err) {
+      log('debug', 'failed to read plugin header', { plugin: file.name, error: err.message });
+    }
+    result.push({
       id: file.name,
       enabled: enabled.includes(file.name),
       name: file.name,
       modId: fileMap[file.name],
-    }));
+      data: {
+        masters: header?.masters ?? [],
+        author: header?.author,
+        description: header?.description,
+        version: header?.version,
+      },
+    });
+  }
+  return result;
 }
 
 async function refreshPlugins(api) {
@@ -127,12 +317,39 @@ async function serializeLoadOrder(api, order) {
     api.showErrorNotification('Failed to save', err, { allowReport });
     return Promise.reject(err);
   }
+  notifyMissingMasters(api, order);
   return Promise.resolve();
 }
 
+async function autoSort(api) {
+  const state = api.getState();
+  const profile = selectors.activeProfile(state);
+  if (profile?.gameId !== MORROWIND_ID) {
+    return;
+  }
+  // Use the current order but refresh the masters, plugins may have been updated
+  //  since the load order was last read.
+  const current = util.getSafe(state, ['persistent', 'loadOrder', profile.id], []);
+  const plugins = await deserializeLoadOrder(api);
+  const loadOrder = [].concat(
+    current
+      .map(entry => {
+        const plugin = plugins.find(iter => iter.id === entry.id);
+        return (plugin !== undefined) ? { ...plugin, enabled: entry.enabled } : undefined;
+      })
+      .filter(entry => entry !== undefined),
+    plugins.filter(plugin => current.find(entry => entry.id === plugin.id) === undefined));
+  const sorted = sortLoadOrder(loadOrder);
+  api.store.dispatch(actions.setLoadOrder(profile.id, sorted));
+  notifyMissingMasters(api, sorted);
+}
+
 module.exports = {
+  autoSort,
   deserializeLoadOrder,
   serializeLoadOrder,
   readGameFiles,
+  readPluginHeader,
+  sortLoadOrder,
   validate,
 };
\ No newline at end of file
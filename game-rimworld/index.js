@@ -1,8 +1,8 @@
 const path = require('path');
 const Promise = require('bluebird');
-const { fs, util } = require('vortex-api');
+const { actions, fs, log, selectors, util } = require('vortex-api');
 
-const { parseStringPromise } = require('xml2js');
+const { Builder, parseStringPromise } = require('xml2js');
 
 const GAME_ID = 'rimworld';
 const STEAM_DLL = 'steam_api64.dll'
@@ -15,6 +15,22 @@ const ROOT_FOLDER_FILES = [
   'README.MD', 'LICENSE', 'CONTRIBUTING.MD'
 ];
 
+const STEAMAPP_ID = '294100';
+const MODS_CONFIG_FILE = 'ModsConfig.xml';
+const LOAD_FOLDERS_FILE = 'loadfolders.xml';
+const LO_ISSUES_NOTIFICATION_ID = 'rimworld-load-order-issues';
+
+// Core and the DLCs, in the order the game itself puts them in.
+const CORE_ID = 'ludeon.rimworld';
+const OFFICIAL_IDS = [
+  CORE_ID,
+  'ludeon.rimworld.royalty',
+  'ludeon.rimworld.ideology',
+  'ludeon.rimworld.biotech',
+  'ludeon.rimworld.anomaly',
+  'ludeon.rimworld.odyssey',
+];
+
 function findGame() {
   return util.steam.findByAppId('294100')
       .then(game => game.gamePath);
@@ -34,6 +50,12 @@ function resolveGameVersion(discoveryPath) {
     .then((res) => Promise.resolve(res));
 }
 
+// '1.5.4104 rev435' -> '1.5'
+function majorMinor(version) {
+  const match = (version ?? '').trim().match(/^v?(\d+)\.(\d+)/i);
+  return (match !== null) ? `${match[1]}.${+match[2]}` : undefined;
+}
+
 async function getModName(aboutFilePath) {
   try {
     const fileData = await fs.readFileAsync(aboutFilePath, { encoding: 'utf8' });
@@ -44,6 +66,166 @@ async function getModName(aboutFilePath) {
   }
 }
 
+// <loadAfter><li>a</li><li>b</li></loadAfter> -> ['a', 'b']
+function listItems(node) {
+  return (node?.[0]?.li ?? [])
+    .map(item => (typeof item === 'string') ? item : item?._)
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+function packageIds(node) {
+  return listItems(node).map(id => id.toLowerCase());
+}
+
+async function readAboutFile(aboutFilePath) {
+  const fileData = await fs.readFileAsync(aboutFilePath, { encoding: 'utf8' });
+  const parsed = await parseStringPromise(util.deBOM(fileData));
+  const meta = parsed?.ModMetaData;
+  const packageId = meta?.packageId?.[0];
+  if (typeof packageId !== 'string') {
+    return Promise.reject(new util.DataInvalid('About.xml is missing the packageId'));
+  }
+  return {
+    packageId: packageId.trim().toLowerCase(),
+    name: (typeof meta.name?.[0] === 'string') ? meta.name[0].trim() : packageId.trim(),
+    loadAfter: [].concat(packageIds(meta.loadAfter), packageIds(meta.forceLoadAfter)),
+    loadBefore: [].concat(packageIds(meta.loadBefore), packageIds(meta.forceLoadBefore)),
+    dependencies: (meta.modDependencies?.[0]?.li ?? [])
+      .map(dep => ({
+        packageId: dep?.packageId?.[0]?.trim?.().toLowerCase(),
+        name: dep?.displayName?.[0]?.trim?.(),
+      }))
+      .filter(dep => typeof dep.packageId === 'string'),
+    incompatibleWith: packageIds(meta.incompatibleWith),
+    supportedVersions: listItems(meta.supportedVersions),
+  };
+}
+
+async function findAboutFile(modPath) {
+  const aboutDir = (await fs.readdirAsync(modPath))
+    .find(entry => entry.toLowerCase() === 'about');
+  if (aboutDir === undefined) {
+    return undefined;
+  }
+  const aboutFile = (await fs.readdirAsync(path.join(modPath, aboutDir)))
+    .find(entry => entry.toLowerCase() === ABOUT_XML_FILE);
+  return (aboutFile !== undefined) ? path.join(modPath, aboutDir, aboutFile) : undefined;
+}
+
+// Reads the About.xml of every mod folder inside the specified directory
+async function readModFolders(basePath, source) {
+  let folders = [];
+  try {
+    folders = await fs.readdirAsync(basePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log('warn', 'failed to read RimWorld mods folder', { basePath, error: err.message });
+    }
+    return [];
+  }
+  const result = [];
+  for (const folder of folders) {
+    try {
+      const aboutFile = await findAboutFile(path.join(basePath, folder));
+      if (aboutFile !== undefined) {
+        result.push({ ...(await readAboutFile(aboutFile)), folder, source, modPath: path.join(basePath, folder) });
+      }
+    } catch (err) {
+      if (!['ENOENT', 'ENOTDIR'].includes(err.code)) {
+        log('warn', 'failed to read About.xml', { folder, error: err.message });
+      }
+    }
+  }
+  return result;
+}
+
+async function findLoadFoldersFile(modPath) {
+  const entries = await fs.readdirAsync(modPath);
+  const fileName = entries.find(entry => entry.toLowerCase() === LOAD_FOLDERS_FILE);
+  return (fileName !== undefined) ? path.join(modPath, fileName) : undefined;
+}
+
+// Determines which of the mod's folders the game loads for the specified version.
+//  With a LoadFolders.xml the mod lists them per version, otherwise the game loads
+//  the folder named after the version, falling back to the newest older one.
+async function versionFolders(modPath, version) {
+  const loadFoldersFile = await findLoadFoldersFile(modPath);
+  if (loadFoldersFile !== undefined) {
+    const parsed = await parseStringPromise(util.deBOM(
+      await fs.readFileAsync(loadFoldersFile, { encoding: 'utf8' })));
+    const versions = Object.keys(parsed?.loadFolders ?? {})
+      .filter(key => /^v\d+\.\d+$/i.test(key));
+    const key = versions.find(iter => majorMinor(iter.slice(1)) === version);
+    return {
+      versioned: versions.length > 0,
+      exact: key !== undefined,
+      folders: (key !== undefined) ? listItems(parsed.loadFolders[key]) : [],
+    };
+  }
+
+  const entries = await fs.readdirAsync(modPath);
+  const folders = entries.filter(entry => /^\d+\.\d+$/.test(entry));
+  const numeric = (iter) => iter.split('.').map(num => +num);
+  const older = folders
+    .filter(folder => {
+      const [major, minor] = numeric(folder);
+      const [curMajor, curMinor] = numeric(version);
+      return (major < curMajor) || ((major === curMajor) && (minor <= curMinor));
+    })
+    .sort((lhs, rhs) => (numeric(rhs)[0] - numeric(lhs)[0]) || (numeric(rhs)[1] - numeric(lhs)[1]));
+  return {
+    versioned: folders.length > 0,
+    exact: folders.find(folder => majorMinor(folder) === version) !== undefined,
+    folders: older.slice(0, 1),
+  };
+}
+
+function workshopPath(discoveryPath) {
+  const idx = discoveryPath.toLowerCase().indexOf('common');
+  return (discoveryPath.toLowerCase().includes('steamapps') && (idx !== -1))
+    ? path.join(discoveryPath.substr(0, idx), 'workshop', 'content', STEAMAPP_ID)
+    : undefined;
+}
+
+// Official content first, then local mods, then workshop mods. If the same
+//  packageId shows up more than once the game uses the first one it finds.
+async function findInstalledMods(discoveryPath) {
+  const wsPath = workshopPath(discoveryPath);
+  const all = [].concat(
+    await readModFolders(path.join(discoveryPath, 'Data'), 'official'),
+    await readModFolders(path.join(discoveryPath, 'Mods'), 'local'),
+    (wsPath !== undefined) ? await readModFolders(wsPath, 'workshop') : []);
+  return all.reduce((accum, mod) => {
+    if (accum[mod.packageId] === undefined) {
+      accum[mod.packageId] = mod;
+    }
+    return accum;
+  }, {});
+}
+
+function modsConfigPath() {
+  return path.join(path.dirname(util.getVortexPath('localAppData')), 'LocalLow',
+    'Ludeon Studios', 'RimWorld by Ludeon Studios', 'Config', MODS_CONFIG_FILE);
+}
+
+async function readModsConfig() {
+  try {
+    const fileData = await fs.readFileAsync(modsConfigPath(), { encoding: 'utf8' });
+    return await parseStringPromise(util.deBOM(fileData));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log('error', 'failed to read ModsConfig.xml', err.message);
+    }
+    return { ModsConfigData: { activeMods: [{ li: [CORE_ID] }] } };
+  }
+}
+
+function isOfficial(packageId) {
+  return OFFICIAL_IDS.includes(packageId);
+}
+
 function testSupportedSteamMod(api, files, gameId, archivePath) {
   if (gameId !== GAME_ID) {
     return Promise.resolve({ supported: false, requiredFiles: [] });
@@ -76,6 +258,16 @@ async function installSteamMod(files, destinationPath, gameId) {
 
   const segments = rootFile.split(path.sep);
 
+  // remember which game versions the mod claims to support so we can check
+  //  them against the installed game without having to parse the file again
+  const attributes = [];
+  try {
+    const about = await readAboutFile(path.join(destinationPath, aboutFile));
+    attributes.push({ type: 'attribute', key: 'supportedVersions', value: about.supportedVersions });
+  } catch (err) {
+    log('warn', 'failed to read About.xml', err.message);
+  }
+
   // modname based on the content of About.xml
   let modName = await getModName(path.join(destinationPath, aboutFile));
   if (modName === undefined) {
@@ -106,7 +298,330 @@ async function installSteamMod(files, destinationPath, gameId) {
       };
     }
   });
-  return Promise.resolve({ instructions });
+  return Promise.resolve({ instructions: [].concat(instructions, attributes) });
+}
+
+// Load order functions
+
+async function deserializeLoadOrder(api) {
+  const state = api.getState();
+  const discovery = selectors.discoveryByGame(state, GAME_ID);
+  if (discovery?.path === undefined) {
+    return Promise.reject(new util.ProcessCanceled('The game could not be discovered.'));
+  }
+
+  const installed = await findInstalledMods(discovery.path);
+  const modsConfig = await readModsConfig();
+  const active = packageIds(modsConfig?.ModsConfigData?.activeMods);
+
+  // Map the mod folders to the Vortex mods that deployed them
+  let deployedFiles = [];
+  try {
+    const manifest = await util.getManifest(api, '', GAME_ID);
+    deployedFiles = manifest.files;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log('error', 'failed to read RimWorld deployment manifest', err);
+    }
+  }
+  const vortexModId = (mod) => (mod?.source === 'local')
+    ? deployedFiles.find(file => file.relPath.split(path.sep)[0].toLowerCase() === mod.folder.toLowerCase())?.source
+    : undefined;
+
+  const toEntry = (packageId, enabled) => {
+    // the game adds a suffix to the workshop copy of a mod that is also installed locally
+    const mod = installed[packageId] ?? installed[packageId.replace(/_steam$/, '')];
+    return {
+      id: packageId,
+      name: mod?.name ?? packageId,
+      enabled,
+      modId: vortexModId(mod),
+      data: {
+        missing: mod === undefined,
+        loadAfter: mod?.loadAfter ?? [],
+        loadBefore: mod?.loadBefore ?? [],
+        dependencies: mod?.dependencies ?? [],
+        incompatibleWith: mod?.incompatibleWith ?? [],
+      },
+    };
+  };
+
+  // Active mods in the order the game loads them, inactive ones after that
+  return [].concat(
+    active.map(packageId => toEntry(packageId, true)),
+    Object.keys(installed)
+      .filter(packageId => !active.includes(packageId))
+      .sort((lhs, rhs) => (isOfficial(rhs) - isOfficial(lhs)) || installed[lhs].name.localeCompare(installed[rhs].name))
+      .map(packageId => toEntry(packageId, false)));
+}
+
+async function serializeLoadOrder(api, loadOrder) {
+  const modsConfig = await readModsConfig();
+  const data = modsConfig.ModsConfigData ?? {};
+  data.activeMods = [{ li: loadOrder.filter(entry => entry.enabled).map(entry => entry.id) }];
+  modsConfig.ModsConfigData = data;
+  const builder = new Builder({ xmldec: { version: '1.0', encoding: 'utf-8' } });
+  const filePath = modsConfigPath();
+  await fs.ensureDirWritableAsync(path.dirname(filePath));
+  await util.writeFileAtomic(filePath, builder.buildObject(modsConfig));
+  notifyViolations(api, loadOrder);
+}
+
+// Collects the About.xml rules the current load order violates, per entry
+function findViolations(loadOrder) {
+  const enabled = loadOrder.filter(entry => entry.enabled);
+  const position = (packageId) => enabled.findIndex(entry => entry.id === packageId);
+  const nameOf = (packageId, fallback) => enabled.find(entry => entry.id === packageId)?.name
+    ?? loadOrder.find(entry => entry.id === packageId)?.name
+    ?? fallback ?? packageId;
+
+  return enabled.reduce((accum, entry, idx) => {
+    const reasons = [];
+    const data = entry.data ?? {};
+    if (data.missing) {
+      reasons.push('is not installed');
+    }
+    (data.dependencies ?? []).forEach(dep => {
+      const depIdx = position(dep.packageId);
+      if (depIdx === -1) {
+        reasons.push(`requires "${nameOf(dep.packageId, dep.name)}" which is not active`);
+      } else if (depIdx > idx) {
+        reasons.push(`has to load after its dependency "${nameOf(dep.packageId, dep.name)}"`);
+      }
+    });
+    (data.loadAfter ?? []).forEach(other => {
+      if (position(other) > idx) {
+        reasons.push(`should load after "${nameOf(other)}"`);
+      }
+    });
+    (data.loadBefore ?? []).forEach(other => {
+      const otherIdx = position(other);
+      if ((otherIdx !== -1) && (otherIdx < idx)) {
+        reasons.push(`should load before "${nameOf(other)}"`);
+      }
+    });
+    (data.incompatibleWith ?? []).forEach(other => {
+      if (position(other) !== -1) {
+        reasons.push(`is incompatible with "${nameOf(other)}"`);
+      }
+    });
+    if (reasons.length > 0) {
+      accum.push({ id: entry.id, reason: reasons.join(', ') });
+    }
+    return accum;
+  }, []);
+}
+
+// The game only warns about broken About.xml rules and loads the mods anyway, so
+//  they must not keep us from writing ModsConfig.xml. They're reported through
+//  notifyViolations instead.
+function validate(prev, cur) {
+  return Promise.resolve();
+}
+
+function notifyViolations(api, loadOrder) {
+  const violations = findViolations(loadOrder);
+  if (violations.length === 0) {
+    api.dismissNotification(LO_ISSUES_NOTIFICATION_ID);
+    return;
+  }
+  const nameOf = (id) => loadOrder.find(entry => entry.id === id)?.name ?? id;
+  api.sendNotification({
+    id: LO_ISSUES_NOTIFICATION_ID,
+    type: 'warning',
+    message: 'Some mods break the load order rules of their About.xml',
+    actions: [
+      {
+        title: 'More',
+        action: () => api.showDialog('info', 'Load Order Issues', {
+          bbcode: api.translate('RimWorld will still load these mods but they may not work correctly. '
+            + 'Use "Auto Sort" on the load order page to fix the order, missing dependencies '
+            + 'have to be installed and activated.')
+            + '[list]' + violations.map(iter => `[*]"${nameOf(iter.id)}" ${iter.reason}`).join('') + '[/list]',
+        }, [
+          { label: 'Close' },
+        ]),
+      },
+    ],
+  });
+}
+
+// Orders the mods so that all loadAfter/loadBefore/dependency rules are met,
+//  moving as few mods as possible. Core and the DLCs are kept at the top, unless
+//  a mod explicitly asks to be loaded before them (e.g. Harmony).
+function sortLoadOrder(loadOrder) {
+  const ids = loadOrder.map(entry => entry.id);
+  // packageId -> packageIds that have to be loaded before it
+  const predecessors = ids.reduce((accum, id) => {
+    accum[id] = new Set();
+    return accum;
+  }, {});
+  loadOrder.forEach(entry => {
+    const data = entry.data ?? {};
+    [].concat(data.loadAfter ?? [], (data.dependencies ?? []).map(dep => dep.packageId))
+      .filter(other => (other !== entry.id) && (predecessors[other] !== undefined))
+      .forEach(other => predecessors[entry.id].add(other));
+    (data.loadBefore ?? [])
+      .filter(other => (other !== entry.id) && (predecessors[other] !== undefined))
+      .forEach(other => predecessors[other].add(entry.id));
+  });
+
+  const basePriority = (id) => isOfficial(id)
+    ? OFFICIAL_IDS.indexOf(id) - OFFICIAL_IDS.length
+    : ids.indexOf(id);
+  // A mod that has to be loaded before another one inherits its priority,
+  //  otherwise unrelated mods would be placed in between.
+  const priority = {};
+  const visiting = new Set();
+  const effectivePriority = (id) => {
+    if (priority[id] !== undefined) {
+      return priority[id];
+    }
+    if (visiting.has(id)) {
+      return basePriority(id);
+    }
+    visiting.add(id);
+    let result = basePriority(id);
+    ids.filter(other => predecessors[other].has(id))
+      .forEach(other => result = Math.min(result, effectivePriority(other)));
+    visiting.delete(id);
+    priority[id] = result;
+    return result;
+  };
+  const compare = (lhs, rhs) => (effectivePriority(lhs) - effectivePriority(rhs))
+    || (basePriority(lhs) - basePriority(rhs));
+
+  const placed = new Set();
+  const result = [];
+  while (result.length < ids.length) {
+    const remaining = ids.filter(id => !placed.has(id)).sort(compare);
+    let next = remaining.find(id => Array.from(predecessors[id]).every(other => placed.has(other)));
+    if (next === undefined) {
+      // the rules contain a cycle, there is no way to satisfy all of them
+      log('warn', 'cyclic load order rules', remaining);
+      next = remaining[0];
+    }
+    placed.add(next);
+    result.push(loadOrder.find(entry => entry.id === next));
+  }
+  return result;
+}
+
+async function autoSort(api) {
+  const state = api.getState();
+  const profile = selectors.activeProfile(state);
+  if (profile?.gameId !== GAME_ID) {
+    return;
+  }
+  const loadOrder = util.getSafe(state, ['persistent', 'loadOrder', profile.id], []);
+  const sorted = sortLoadOrder(loadOrder);
+  api.store.dispatch(actions.setLoadOrder(profile.id, sorted));
+  // some rules may not be possible to meet, e.g. inactive dependencies
+  notifyViolations(api, sorted);
+}
+
+// Health check
+
+// Returns the root folders (the ones containing About/About.xml) of a mod in the staging folder
+async function stagedModRoots(stagingPath, mod) {
+  const modPath = path.join(stagingPath, mod.installationPath);
+  const roots = [];
+  for (const entry of [''].concat(await fs.readdirAsync(modPath))) {
+    try {
+      const aboutFile = await findAboutFile(path.join(modPath, entry));
+      if (aboutFile !== undefined) {
+        roots.push({ modPath: path.join(modPath, entry), aboutFile });
+      }
+    } catch (err) {
+      // not a directory
+    }
+  }
+  return roots;
+}
+
+async function findVersionIssues(api, version) {
+  const state = api.getState();
+  const profile = selectors.activeProfile(state);
+  const stagingPath = selectors.installPathForGame(state, GAME_ID);
+  const mods = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const enabled = Object.values(mods).filter(mod => (mod.installationPath !== undefined)
+    && util.getSafe(profile, ['modState', mod.id, 'enabled'], false));
+
+  const issues = [];
+  for (const mod of enabled) {
+    try {
+      const roots = await stagedModRoots(stagingPath, mod);
+      let supportedVersions = mod.attributes?.supportedVersions;
+      if ((supportedVersions === undefined) && (roots.length > 0)) {
+        // installed before we started recording this
+        supportedVersions = (await readAboutFile(roots[0].aboutFile)).supportedVersions;
+        api.store.dispatch(actions.setModAttribute(GAME_ID, mod.id, 'supportedVersions', supportedVersions));
+      }
+      if (supportedVersions === undefined) {
+        continue;
+      }
+      if (!supportedVersions.map(majorMinor).includes(version)) {
+        issues.push({ mod, reason: 'unsupported', versions: supportedVersions });
+        continue;
+      }
+      for (const root of roots) {
+        const content = await versionFolders(root.modPath, version);
+        if (content.versioned && !content.exact) {
+          issues.push({ mod, reason: 'no-content', fallback: content.folders[0] });
+          break;
+        }
+      }
+    } catch (err) {
+      log('warn', 'failed to check RimWorld mod version', { modId: mod.id, error: err.message });
+    }
+  }
+  return issues;
+}
+
+async function testModVersions(api) {
+  const t = api.translate;
+  const state = api.getState();
+  if (selectors.activeGameId(state) !== GAME_ID) {
+    return Promise.resolve(undefined);
+  }
+  const discovery = selectors.discoveryByGame(state, GAME_ID);
+  let version;
+  try {
+    version = majorMinor(await resolveGameVersion(discovery.path));
+  } catch (err) {
+    log('warn', 'failed to read RimWorld version', err.message);
+  }
+  if (version === undefined) {
+    return Promise.resolve(undefined);
+  }
+
+  const issues = await findVersionIssues(api, version);
+  if (issues.length === 0) {
+    return Promise.resolve(undefined);
+  }
+
+  const renderIssue = (issue) => {
+    const modName = util.renderModName(issue.mod);
+    return (issue.reason === 'unsupported')
+      ? t('[*]{{modName}} supports {{versions}}', { replace: {
+        modName, versions: issue.versions.join(', ') || t('no version') } })
+      : (issue.fallback !== undefined)
+        ? t('[*]{{modName}} has no content for {{version}}, the game will use its {{fallback}} content',
+          { replace: { modName, version, fallback: issue.fallback } })
+        : t('[*]{{modName}} has no content for {{version}}',
+          { replace: { modName, version } });
+  };
+
+  return Promise.resolve({
+    description: {
+      short: t('Mods not made for RimWorld {{version}}', { replace: { version } }),
+      long: t('The following mods are enabled but don\'t list RimWorld {{version}} as a supported version, '
+            + 'or only ship content for other versions of the game. They may not work correctly or '
+            + 'break your save games - check the mod pages for updates.', { replace: { version } })
+            + '[br][/br][br][/br][list]' + issues.map(renderIssue).join('') + '[/list]',
+    },
+    severity: 'warning',
+  });
 }
 
 function main(context) {
@@ -131,6 +646,29 @@ function main(context) {
     },
   });
 
+  context.registerLoadOrder({
+    gameId: GAME_ID,
+    validate,
+    deserializeLoadOrder: () => deserializeLoadOrder(context.api),
+    serializeLoadOrder: (loadOrder) => serializeLoadOrder(context.api, loadOrder),
+    toggleableEntries: true,
+    usageInstructions: 'Drag and drop the mods to change the order in which RimWorld loads them. '
+      + 'Vortex reads and writes the active mods of the game\'s ModsConfig.xml, so changes you make '
+      + 'in the game\'s mod manager show up here as well. Vortex notifies you about mods that break '
+      + 'any of the rules in their About.xml (loadAfter, loadBefore, dependencies, incompatibilities), '
+      + 'use "Auto Sort" to fix the order.',
+  });
+
+  context.registerAction('fb-load-order-icons', 100, 'loot-sort', {}, 'Auto Sort', () => {
+    autoSort(context.api)
+      .catch(err => context.api.showErrorNotification('Failed to sort mods', err));
+  }, () => selectors.activeGameId(context.api.getState()) === GAME_ID);
+
+  context.registerTest('rimworld-mod-versions', 'gamemode-activated',
+    () => Promise.resolve(testModVersions(context.api)));
+  context.registerTest('rimworld-mod-versions', 'mod-activated',
+    () => Promise.resolve(testModVersions(context.api)));
+
   context.registerInstaller(
     'rimworld-steam-mod',
     25,
@@ -17,6 +17,7 @@ const vortex_api_1 = require("vortex-api");
 const common_1 = require("./common");
 const util_1 = require("./util");
 const path_1 = __importDefault(require("path"));
+const IGNORED_DEPENDENCIES = ['yourname.yourotherspacksandmods'];
 class DependencyManager {
     constructor(api) {
         this.mLoading = false;
@@ -38,6 +39,71 @@ class DependencyManager {
             this.mLoading = false;
         });
     }
+    getDependencyGraph() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const manifests = yield this.getManifests();
+            return Object.keys(manifests).reduce((accum, modId) => {
+                var _a;
+                for (const manifest of manifests[modId]) {
+                    if (typeof (manifest.UniqueID) !== 'string') {
+                        continue;
+                    }
+                    const uniqueId = manifest.UniqueID.toLowerCase();
+                    accum[uniqueId] = [].concat((_a = accum[uniqueId]) !== null && _a !== void 0 ? _a : [], { uniqueId, modId, manifest });
+                }
+                return accum;
+            }, {});
+        });
+    }
+    findDependencyIssues() {
+        var _a;
+        return __awaiter(this, void 0, void 0, function* () {
+            const graph = yield this.getDependencyGraph();
+            const issues = {};
+            const addIssue = (issue) => {
+                const key = `${issue.type}:${issue.uniqueId.toLowerCase()}`;
+                if (issues[key] === undefined) {
+                    issues[key] = issue;
+                }
+                else {
+                    issues[key].requiredBy.push(...issue.requiredBy);
+                    if ((issue.minimumVersion !== undefined)
+                        && ((issues[key].minimumVersion === undefined)
+                            || ((0, util_1.semverCompare)(issue.minimumVersion, issues[key].minimumVersion) > 0))) {
+                        issues[key].minimumVersion = issue.minimumVersion;
+                    }
+                }
+            };
+            for (const nodes of Object.values(graph)) {
+                for (const node of nodes) {
+                    const deps = [].concat((_a = node.manifest.Dependencies) !== null && _a !== void 0 ? _a : [], node.manifest.ContentPackFor !== undefined
+                        ? [Object.assign(Object.assign({}, node.manifest.ContentPackFor), { IsRequired: true })]
+                        : []);
+                    for (const dep of deps) {
+                        const issue = this.resolveDependency(graph, dep, node);
+                        if (issue !== undefined) {
+                            addIssue(issue);
+                        }
+                    }
+                }
+            }
+            return Object.values(issues);
+        });
+    }
+    findDuplicates() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const graph = yield this.getDependencyGraph();
+            return Object.values(graph)
+                .filter(nodes => new Set(nodes.map(node => node.modId)).size > 1)
+                .map(nodes => nodes.slice().sort((lhs, rhs) => { var _a, _b; return (0, util_1.semverCompare)((_a = rhs.manifest.Version) !== null && _a !== void 0 ? _a : '0.0.0', (_b = lhs.manifest.Version) !== null && _b !== void 0 ? _b : '0.0.0'); }));
+        });
+    }
+    checkDependency(dep, requiredBy) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const graph = yield this.getDependencyGraph();
+            return this.resolveDependency(graph, dep, requiredBy);
+        });
+    }
     scanManifests(force) {
         return __awaiter(this, void 0, void 0, function* () {
             if (!force && this.mManifests !== undefined) {
@@ -87,6 +153,52 @@ class DependencyManager {
             return Promise.resolve();
         });
     }
+    resolveDependency(graph, dep, requiredBy) {
+        var _a, _b, _c;
+        if ((typeof (dep === null || dep === void 0 ? void 0 : dep.UniqueID) !== 'string')
+            || (dep.IsRequired === false)
+            || IGNORED_DEPENDENCIES.includes(dep.UniqueID.toLowerCase())) {
+            return undefined;
+        }
+        const depId = dep.UniqueID.toLowerCase();
+        const providers = (_a = graph[depId]) !== null && _a !== void 0 ? _a : [];
+        if (providers.length === 0) {
+            const disabled = this.findDisabledProvider(depId);
+            return {
+                type: (disabled !== undefined) ? 'disabled' : 'missing',
+                uniqueId: dep.UniqueID,
+                minimumVersion: dep.MinimumVersion,
+                installedVersion: (_b = disabled === null || disabled === void 0 ? void 0 : disabled.attributes) === null || _b === void 0 ? void 0 : _b.manifestVersion,
+                providerId: disabled === null || disabled === void 0 ? void 0 : disabled.id,
+                requiredBy: [requiredBy],
+            };
+        }
+        if (dep.MinimumVersion === undefined) {
+            return undefined;
+        }
+        const newest = providers.slice().sort((lhs, rhs) => { var _a, _b; return (0, util_1.semverCompare)((_a = rhs.manifest.Version) !== null && _a !== void 0 ? _a : '0.0.0', (_b = lhs.manifest.Version) !== null && _b !== void 0 ? _b : '0.0.0'); })[0];
+        return ((0, util_1.semverCompare)((_c = newest.manifest.Version) !== null && _c !== void 0 ? _c : '0.0.0', dep.MinimumVersion) < 0)
+            ? {
+                type: 'outdated',
+                uniqueId: dep.UniqueID,
+                minimumVersion: dep.MinimumVersion,
+                installedVersion: newest.manifest.Version,
+                providerId: newest.modId,
+                requiredBy: [requiredBy],
+            }
+            : undefined;
+    }
+    findDisabledProvider(uniqueId) {
+        var _a;
+        const state = this.mApi.getState();
+        const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+        const manifests = (_a = this.mManifests) !== null && _a !== void 0 ? _a : {};
+        return Object.values(mods).find(mod => {
+            var _a, _b;
+            return (manifests[mod.id] === undefined)
+                && ((_b = (_a = mod.attributes) === null || _a === void 0 ? void 0 : _a.additionalLogicalFileNames) !== null && _b !== void 0 ? _b : []).includes(uniqueId);
+        });
+    }
 }
 exports.default = DependencyManager;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiRGVwZW5kZW5jeU1hbmFnZXIuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJEZXBlbmRlbmN5TWFuYWdlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7OztBQUNBLDBEQUFrQztBQUNsQywyQ0FBeUQ7QUFDekQscUNBQW1DO0FBRW5DLGlDQUF1QztBQUV2QyxnREFBd0I7QUFHeEIsTUFBcUIsaUJBQWlCO0lBS3BDLFlBQVksR0FBd0I7UUFGNUIsYUFBUSxHQUFZLEtBQUssQ0FBQztRQUdoQyxJQUFJLENBQUMsSUFBSSxHQUFHLEdBQUcsQ0FBQztJQUNsQixDQUFDO0lBRVksWUFBWTs7WUFDdkIsTUFBTSxJQUFJLENBQUMsYUFBYSxFQUFFLENBQUM7WUFDM0IsT0FBTyxJQUFJLENBQUMsVUFBVSxDQUFDO1FBQ3pCLENBQUM7S0FBQTtJQUVZLE9BQU87O1lBQ2xCLElBQUksSUFBSSxDQUFDLFFBQVEsRUFBRTtnQkFDakIsT0FBTzthQUNSO1lBQ0QsSUFBSSxDQUFDLFFBQVEsR0FBRyxJQUFJLENBQUM7WUFDckIsTUFBTSxJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQy9CLElBQUksQ0FBQyxRQUFRLEdBQUcsS0FBSyxDQUFDO1FBQ3hCLENBQUM7S0FBQTtJQUVZLGFBQWEsQ0FBQyxLQUFlOztZQUN4QyxJQUFJLENBQUMsS0FBSyxJQUFJLElBQUksQ0FBQyxVQUFVLEtBQUssU0FBUyxFQUFFO2dCQUMzQyxPQUFPO2FBQ1I7WUFDRCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ25DLE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsa0JBQWtCLENBQUMsS0FBSyxFQUFFLGdCQUFPLENBQUMsQ0FBQztZQUM3RCxNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLHdCQUF3QixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7WUFDckUsTUFBTSxPQUFPLEdBQUcsc0JBQVMsQ0FBQyxXQUFXLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBQ3hELE1BQU0sUUFBUSxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxVQUFVLEVBQUUsS0FBSyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO1lBQ2pHLE1BQU0sSUFBSSxHQUFvQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUN2RyxNQUFNLFNBQVMsR0FBRyxNQUFNLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQU8sTUFBTSxFQUFFLElBQUksRUFBRSxFQUFFO2dCQUN4RSxNQUFNLEtBQUssR0FBRyxNQUFNLE1BQU0sQ0FBQztnQkFDM0IsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUU7b0JBQ3RCLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztpQkFDL0I7Z0JBQ0QsTUFBTSxPQUFPLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUM7Z0JBQzFELE9BQU8sSUFBQSxtQkFBUyxFQUFDLE9BQU8sRUFBRSxDQUFNLE9BQU8sRUFBQyxFQUFFOztvQkFDMUMsS0FBSyxNQUFNLEtBQUssSUFBSSxPQUFPLEVBQUU7d0JBQzNCLElBQUksY0FBSSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLEtBQUssZUFBZSxFQUFFOzRCQUNyRCxJQUFJLFFBQVEsQ0FBQzs0QkFDYixJQUFJO2dDQUNGLFFBQVEsR0FBRyxNQUFNLElBQUEsb0JBQWEsRUFBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7NkJBQ2hEOzRCQUFDLE9BQU8sR0FBRyxFQUFFO2dDQUNaLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsMEJBQTBCLEVBQUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7Z0NBQzNGLFNBQVM7NkJBQ1Y7NEJBQ0QsTUFBTSxJQUFJLEdBQUcsTUFBQSxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxtQ0FBSSxFQUFFLENBQUM7NEJBQ2xDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7NEJBQ3BCLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDO3lCQUN2QjtxQkFDRjtnQkFDRCxDQUFDLENBQUEsRUFBRSxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBQyxDQUFDO3FCQUMvRSxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztxQkFDbEMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO29CQUNYLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxLQUFLLFFBQVEsRUFBRTt3QkFDNUIsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDO3FCQUM1Qjt5QkFBTTt3QkFDTCxPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7cUJBQzVCO2dCQUNILENBQUMsQ0FBQyxDQUFDO1lBQ0wsQ0FBQyxDQUFBLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDUCxJQUFJLENBQUMsVUFBVSxHQUFHLFNBQVMsQ0FBQztZQUM1QixPQUFPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUMzQixDQUFDO0tBQUE7Q0FDRjtBQW5FRCxvQ0FtRUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBJU0RWTW9kTWFuaWZlc3QgfSBmcm9tICcuL3R5cGVzJztcclxuaW1wb3J0IHR1cmJvd2FsayBmcm9tICd0dXJib3dhbGsnO1xyXG5pbXBvcnQgeyBsb2csIHR5cGVzLCBzZWxlY3RvcnMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcclxuaW1wb3J0IHsgR0FNRV9JRCB9IGZyb20gJy4vY29tbW9uJztcclxuXHJcbmltcG9ydCB7IHBhcnNlTWFuaWZlc3QgfSBmcm9tICcuL3V0aWwnO1xyXG5cclxuaW1wb3J0IHBhdGggZnJvbSAncGF0aCc7XHJcblxyXG50eXBlIE1hbmlmZXN0TWFwID0geyBbbW9kSWQ6IHN0cmluZ106IElTRFZNb2RNYW5pZmVzdFtdIH07XHJcbmV4cG9ydCBkZWZhdWx0IGNsYXNzIERlcGVuZGVuY3lNYW5hZ2VyIHtcclxuICBwcml2YXRlIG1BcGk6IHR5cGVzLklFeHRlbnNpb25BcGk7XHJcbiAgcHJpdmF0ZSBtTWFuaWZlc3RzOiBNYW5pZmVzdE1hcDtcclxuICBwcml2YXRlIG1Mb2FkaW5nOiBib29sZWFuID0gZmFsc2U7XHJcblxyXG4gIGNvbnN0cnVjdG9yKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xyXG4gICAgdGhpcy5tQXBpID0gYXBpO1xyXG4gIH1cclxuXHJcbiAgcHVibGljIGFzeW5jIGdldE1hbmlmZXN0cygpOiBQcm9taXNlPE1hbmlmZXN0TWFwPiB7XHJcbiAgICBhd2FpdCB0aGlzLnNjYW5NYW5pZmVzdHMoKTtcclxuICAgIHJldHVybiB0aGlzLm1NYW5pZmVzdHM7XHJcbiAgfVxyXG5cclxuICBwdWJsaWMgYXN5bmMgcmVmcmVzaCgpOiBQcm9taXNlPHZvaWQ+IHtcclxuICAgIGlmICh0aGlzLm1Mb2FkaW5nKSB7XHJcbiAgICAgIHJldHVybjtcclxuICAgIH1cclxuICAgIHRoaXMubUxvYWRpbmcgPSB0cnVlO1xyXG4gICAgYXdhaXQgdGhpcy5zY2FuTWFuaWZlc3RzKHRydWUpO1xyXG4gICAgdGhpcy5tTG9hZGluZyA9IGZhbHNlO1xyXG4gIH1cclxuXHJcbiAgcHVibGljIGFzeW5jIHNjYW5NYW5pZmVzdHMoZm9yY2U/OiBib29sZWFuKTogUHJvbWlzZTx2b2lkPiB7XHJcbiAgICBpZiAoIWZvcmNlICYmIHRoaXMubU1hbmlmZXN0cyAhPT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgIHJldHVybjtcclxuICAgIH1cclxuICAgIGNvbnN0IHN0YXRlID0gdGhpcy5tQXBpLmdldFN0YXRlKCk7XHJcbiAgICBjb25zdCBzdGFnaW5nID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XHJcbiAgICBjb25zdCBwcm9maWxlSWQgPSBzZWxlY3RvcnMubGFzdEFjdGl2ZVByb2ZpbGVGb3JHYW1lKHN0YXRlLCBHQU1FX0lEKTtcclxuICAgIGNvbnN0IHByb2ZpbGUgPSBzZWxlY3RvcnMucHJvZmlsZUJ5SWQoc3RhdGUsIHByb2ZpbGVJZCk7XHJcbiAgICBjb25zdCBpc0FjdGl2ZSA9IChtb2RJZDogc3RyaW5nKSA9PiB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZScsIG1vZElkLCAnZW5hYmxlZCddLCBmYWxzZSk7XHJcbiAgICBjb25zdCBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9ID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbW9kcycsIEdBTUVfSURdLCB7fSk7XHJcbiAgICBjb25zdCBtYW5pZmVzdHMgPSBhd2FpdCBPYmplY3QudmFsdWVzKG1vZHMpLnJlZHVjZShhc3luYyAoYWNjdW1QLCBpdGVyKSA9PiB7XHJcbiAgICAgIGNvbnN0IGFjY3VtID0gYXdhaXQgYWNjdW1QOyAgICAgIFxyXG4gICAgICBpZiAoIWlzQWN0aXZlKGl0ZXIuaWQpKSB7XHJcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShhY2N1bSk7XHJcbiAgICAgIH1cclxuICAgICAgY29uc3QgbW9kUGF0aCA9IHBhdGguam9pbihzdGFnaW5nLCBpdGVyLmluc3RhbGxhdGlvblBhdGgpO1xyXG4gICAgICByZXR1cm4gdHVyYm93YWxrKG1vZFBhdGgsIGFzeW5jIGVudHJpZXMgPT4ge1xyXG4gICAgICBmb3IgKGNvbnN0IGVudHJ5IG9mIGVudHJpZXMpIHtcclxuICAgICAgICBpZiAocGF0aC5iYXNlbmFtZShlbnRyeS5maWxlUGF0aCkgPT09ICdtYW5pZmVzdC5qc29uJykge1xyXG4gICAgICAgICAgbGV0IG1hbmlmZXN0O1xyXG4gICAgICAgICAgdHJ5IHtcclxuICAgICAgICAgICAgbWFuaWZlc3QgPSBhd2FpdCBwYXJzZU1hbmlmZXN0KGVudHJ5LmZpbGVQYXRoKTtcclxuICAgICAgICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICAgICAgICBsb2coJ2Vycm9yJywgJ2ZhaWxlZCB0byBwYXJzZSBtYW5pZmVzdCcsIHsgZXJyb3I6IGVyci5tZXNzYWdlLCBtYW5pZmVzdDogZW50cnkuZmlsZVBhdGggfSk7XHJcbiAgICAgICAgICAgIGNvbnRpbnVlO1xyXG4gICAgICAgICAgfVxyXG4gICAgICAgICAgY29uc3QgbGlzdCA9IGFjY3VtW2l0ZXIuaWRdID8/IFtdO1xyXG4gICAgICAgICAgbGlzdC5wdXNoKG1hbmlmZXN0KTtcclxuICAgICAgICAgIGFjY3VtW2l0ZXIuaWRdID0gbGlzdDtcclxuICAgICAgICB9XHJcbiAgICAgIH1cclxuICAgICAgfSwgeyBza2lwSGlkZGVuOiBmYWxzZSwgcmVjdXJzZTogdHJ1ZSwgc2tpcEluYWNjZXNzaWJsZTogdHJ1ZSwgc2tpcExpbmtzOiB0cnVlfSlcclxuICAgICAgLnRoZW4oKCkgPT4gUHJvbWlzZS5yZXNvbHZlKGFjY3VtKSlcclxuICAgICAgLmNhdGNoKGVyciA9PiB7XHJcbiAgICAgICAgaWYgKGVyclsnY29kZSddID09PSAnRU5PRU5UJykge1xyXG4gICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShbXSk7XHJcbiAgICAgICAgfSBlbHNlIHtcclxuICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xyXG4gICAgICAgIH1cclxuICAgICAgfSk7XHJcbiAgICB9LCB7fSk7XHJcbiAgICB0aGlzLm1NYW5pZmVzdHMgPSBtYW5pZmVzdHM7XHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XHJcbiAgfVxyXG59XHJcbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiRGVwZW5kZW5jeU1hbmFnZXIuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJEZXBlbmRlbmN5TWFuYWdlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7OztBQUVBLDBEQUFrQztBQUNsQywyQ0FBeUQ7QUFDekQscUNBQW1DO0FBRW5DLGlDQUFzRDtBQUV0RCxnREFBd0I7QUFHeEIsTUFBTSxvQkFBb0IsR0FBRyxDQUFDLGlDQUFpQyxDQUFDLENBQUM7QUFHakUsTUFBcUIsaUJBQWlCO0lBS3BDLFlBQVksR0FBd0I7UUFGNUIsYUFBUSxHQUFZLEtBQUssQ0FBQztRQUdoQyxJQUFJLENBQUMsSUFBSSxHQUFHLEdBQUcsQ0FBQztJQUNsQixDQUFDO0lBRVksWUFBWTs7WUFDdkIsTUFBTSxJQUFJLENBQUMsYUFBYSxFQUFFLENBQUM7WUFDM0IsT0FBTyxJQUFJLENBQUMsVUFBVSxDQUFDO1FBQ3pCLENBQUM7S0FBQTtJQUVZLE9BQU87O1lBQ2xCLElBQUksSUFBSSxDQUFDLFFBQVEsRUFBRTtnQkFDakIsT0FBTzthQUNSO1lBQ0QsSUFBSSxDQUFDLFFBQVEsR0FBRyxJQUFJLENBQUM7WUFDckIsTUFBTSxJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQy9CLElBQUksQ0FBQyxRQUFRLEdBQUcsS0FBSyxDQUFDO1FBQ3hCLENBQUM7S0FBQTtJQU9ZLGtCQUFrQjs7WUFDN0IsTUFBTSxTQUFTLEdBQUcsTUFBTSxJQUFJLENBQUMsWUFBWSxFQUFFLENBQUM7WUFDNUMsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRTs7Z0JBQ3BELEtBQUssTUFBTSxRQUFRLElBQUksU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFO29CQUN2QyxJQUFJLE9BQU0sQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLEtBQUssUUFBUSxFQUFFO3dCQUMxQyxTQUFTO3FCQUNWO29CQUNELE1BQU0sUUFBUSxHQUFHLFFBQVEsQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUM7b0JBQ2pELEtBQUssQ0FBQyxRQUFRLENBQUMsR0FBRyxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQUEsS0FBSyxDQUFDLFFBQVEsQ0FBQyxtQ0FBSSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQUM7aUJBQ25GO2dCQUNELE9BQU8sS0FBSyxDQUFDO1lBQ2YsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ1QsQ0FBQztLQUFBO0lBT1ksb0JBQW9COzs7WUFDL0IsTUFBTSxLQUFLLEdBQUcsTUFBTSxJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztZQUU5QyxNQUFNLE1BQU0sR0FBMkMsRUFBRSxDQUFDO1lBQzFELE1BQU0sUUFBUSxHQUFHLENBQUMsS0FBMEIsRUFBRSxFQUFFO2dCQUM5QyxNQUFNLEdBQUcsR0FBRyxHQUFHLEtBQUssQ0FBQyxJQUFJLElBQUksS0FBSyxDQUFDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDO2dCQUM1RCxJQUFJLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxTQUFTLEVBQUU7b0JBQzdCLE1BQU0sQ0FBQyxHQUFHLENBQUMsR0FBRyxLQUFLLENBQUM7aUJBQ3JCO3FCQUFNO29CQUNMLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEdBQUcsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO29CQUNqRCxJQUFJLENBQUMsS0FBSyxDQUFDLGNBQWMsS0FBSyxTQUFTLENBQUM7MkJBQ2pDLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsY0FBYyxLQUFLLFNBQVMsQ0FBQzsrQkFDdkMsQ0FBQyxJQUFBLG9CQUFhLEVBQUMsS0FBSyxDQUFDLGNBQWMsRUFBRSxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRTt3QkFDakYsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLGNBQWMsR0FBRyxLQUFLLENBQUMsY0FBYyxDQUFDO3FCQUNuRDtpQkFDRjtZQUNILENBQUMsQ0FBQztZQUVGLEtBQUssTUFBTSxLQUFLLElBQUksTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRTtnQkFDeEMsS0FBSyxNQUFNLElBQUksSUFBSSxLQUFLLEVBQUU7b0JBQ3hCLE1BQU0sSUFBSSxHQUFxQixFQUFFLENBQUMsTUFBTSxDQUN0QyxNQUFBLElBQUksQ0FBQyxRQUFRLENBQUMsWUFBWSxtQ0FBSSxFQUFFLEVBQ2hDLElBQUksQ0FBQyxRQUFRLENBQUMsY0FBYyxLQUFLLFNBQVM7d0JBQ3hDLENBQUMsQ0FBQyxpQ0FBTSxJQUFJLENBQUMsUUFBUSxDQUFDLGNBQWMsS0FBRSxVQUFVLEVBQUUsSUFBSSxJQUFHO3dCQUN6RCxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUM7b0JBQ1YsS0FBSyxNQUFNLEdBQUcsSUFBSSxJQUFJLEVBQUU7d0JBQ3RCLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxLQUFLLEVBQUUsR0FBRyxFQUFFLElBQUksQ0FBQyxDQUFDO3dCQUN2RCxJQUFJLEtBQUssS0FBSyxTQUFTLEVBQUU7NEJBQ3ZCLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQzt5QkFDakI7cUJBQ0Y7aUJBQ0Y7YUFDRjtZQUVELE9BQU8sTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQzs7S0FDOUI7SUFNWSxjQUFjOztZQUN6QixNQUFNLEtBQUssR0FBRyxNQUFNLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO1lBQzlDLE9BQU8sTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUM7aUJBQ3hCLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksR0FBRyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDO2lCQUNoRSxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxFQUFFLEdBQUcsRUFBRSxFQUFFLGVBQzVDLE9BQUEsSUFBQSxvQkFBYSxFQUFDLE1BQUEsR0FBRyxDQUFDLFFBQVEsQ0FBQyxPQUFPLG1DQUFJLE9BQU8sRUFBRSxNQUFBLEdBQUcsQ0FBQyxRQUFRLENBQUMsT0FBTyxtQ0FBSSxPQUFPLENBQUMsQ0FBQSxFQUFBLENBQUMsQ0FBQyxDQUFDO1FBQ3hGLENBQUM7S0FBQTtJQU1ZLGVBQWUsQ0FBQyxHQUFtQixFQUNuQixVQUE4Qjs7WUFFekQsTUFBTSxLQUFLLEdBQUcsTUFBTSxJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztZQUM5QyxPQUFPLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxLQUFLLEVBQUUsR0FBRyxFQUFFLFVBQVUsQ0FBQyxDQUFDO1FBQ3hELENBQUM7S0FBQTtJQUVZLGFBQWEsQ0FBQyxLQUFlOztZQUN4QyxJQUFJLENBQUMsS0FBSyxJQUFJLElBQUksQ0FBQyxVQUFVLEtBQUssU0FBUyxFQUFFO2dCQUMzQyxPQUFPO2FBQ1I7WUFDRCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ25DLE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsa0JBQWtCLENBQUMsS0FBSyxFQUFFLGdCQUFPLENBQUMsQ0FBQztZQUM3RCxNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLHdCQUF3QixDQUFDLEtBQUssRUFBRSxnQkFBTyxDQUFDLENBQUM7WUFDckUsTUFBTSxPQUFPLEdBQUcsc0JBQVMsQ0FBQyxXQUFXLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBQ3hELE1BQU0sUUFBUSxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxVQUFVLEVBQUUsS0FBSyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO1lBQ2pHLE1BQU0sSUFBSSxHQUFvQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUN2RyxNQUFNLFNBQVMsR0FBRyxNQUFNLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQU8sTUFBTSxFQUFFLElBQUksRUFBRSxFQUFFO2dCQUN4RSxNQUFNLEtBQUssR0FBRyxNQUFNLE1BQU0sQ0FBQztnQkFDM0IsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUU7b0JBQ3RCLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztpQkFDL0I7Z0JBQ0QsTUFBTSxPQUFPLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUM7Z0JBQzFELE9BQU8sSUFBQSxtQkFBUyxFQUFDLE9BQU8sRUFBRSxDQUFNLE9BQU8sRUFBQyxFQUFFOztvQkFDMUMsS0FBSyxNQUFNLEtBQUssSUFBSSxPQUFPLEVBQUU7d0JBQzNCLElBQUksY0FBSSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLEtBQUssZUFBZSxFQUFFOzRCQUNyRCxJQUFJLFFBQVEsQ0FBQzs0QkFDYixJQUFJO2dDQUNGLFFBQVEsR0FBRyxNQUFNLElBQUEsb0JBQWEsRUFBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7NkJBQ2hEOzRCQUFDLE9BQU8sR0FBRyxFQUFFO2dDQUNaLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsMEJBQTBCLEVBQUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7Z0NBQzNGLFNBQVM7NkJBQ1Y7NEJBQ0QsTUFBTSxJQUFJLEdBQUcsTUFBQSxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxtQ0FBSSxFQUFFLENBQUM7NEJBQ2xDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7NEJBQ3BCLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDO3lCQUN2QjtxQkFDRjtnQkFDRCxDQUFDLENBQUEsRUFBRSxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBQyxDQUFDO3FCQUMvRSxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztxQkFDbEMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO29CQUNYLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxLQUFLLFFBQVEsRUFBRTt3QkFDNUIsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDO3FCQUM1Qjt5QkFBTTt3QkFDTCxPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7cUJBQzVCO2dCQUNILENBQUMsQ0FBQyxDQUFDO1lBQ0wsQ0FBQyxDQUFBLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDUCxJQUFJLENBQUMsVUFBVSxHQUFHLFNBQVMsQ0FBQztZQUM1QixPQUFPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUMzQixDQUFDO0tBQUE7SUFFTyxpQkFBaUIsQ0FBQyxLQUFzQixFQUN0QixHQUFtQixFQUNuQixVQUE4Qjs7UUFFdEQsSUFBSSxDQUFDLE9BQU0sQ0FBQyxHQUFHLGFBQUgsR0FBRyx1QkFBSCxHQUFHLENBQUUsUUFBUSxDQUFDLEtBQUssUUFBUSxDQUFDO2VBQ2pDLENBQUMsR0FBRyxDQUFDLFVBQVUsS0FBSyxLQUFLLENBQUM7ZUFDMUIsb0JBQW9CLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUMsRUFBRTtZQUNoRSxPQUFPLFNBQVMsQ0FBQztTQUNsQjtRQUNELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDekMsTUFBTSxTQUFTLEdBQUcsTUFBQSxLQUFLLENBQUMsS0FBSyxDQUFDLG1DQUFJLEVBQUUsQ0FBQztRQUNyQyxJQUFJLFNBQVMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1lBQzFCLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxvQkFBb0IsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNsRCxPQUFPO2dCQUNMLElBQUksRUFBRSxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxTQUFTO2dCQUN2RCxRQUFRLEVBQUUsR0FBRyxDQUFDLFFBQVE7Z0JBQ3RCLGNBQWMsRUFBRSxHQUFHLENBQUMsY0FBYztnQkFDbEMsZ0JBQWdCLEVBQUUsTUFBQSxRQUFRLGFBQVIsUUFBUSx1QkFBUixRQUFRLENBQUUsVUFBVSwwQ0FBRSxlQUFlO2dCQUN2RCxVQUFVLEVBQUUsUUFBUSxhQUFSLFFBQVEsdUJBQVIsUUFBUSxDQUFFLEVBQUU7Z0JBQ3hCLFVBQVUsRUFBRSxDQUFDLFVBQVUsQ0FBQzthQUN6QixDQUFDO1NBQ0g7UUFFRCxJQUFJLEdBQUcsQ0FBQyxjQUFjLEtBQUssU0FBUyxFQUFFO1lBQ3BDLE9BQU8sU0FBUyxDQUFDO1NBQ2xCO1FBQ0QsTUFBTSxNQUFNLEdBQUcsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRSxlQUNqRCxPQUFBLElBQUEsb0JBQWEsRUFBQyxNQUFBLEdBQUcsQ0FBQyxRQUFRLENBQUMsT0FBTyxtQ0FBSSxPQUFPLEVBQUUsTUFBQSxHQUFHLENBQUMsUUFBUSxDQUFDLE9BQU8sbUNBQUksT0FBTyxDQUFDLENBQUEsRUFBQSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdEYsT0FBTyxDQUFDLElBQUEsb0JBQWEsRUFBQyxNQUFBLE1BQU0sQ0FBQyxRQUFRLENBQUMsT0FBTyxtQ0FBSSxPQUFPLEVBQUUsR0FBRyxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNoRixDQUFDLENBQUM7Z0JBQ0EsSUFBSSxFQUFFLFVBQVU7Z0JBQ2hCLFFBQVEsRUFBRSxHQUFHLENBQUMsUUFBUTtnQkFDdEIsY0FBYyxFQUFFLEdBQUcsQ0FBQyxjQUFjO2dCQUNsQyxnQkFBZ0IsRUFBRSxNQUFNLENBQUMsUUFBUSxDQUFDLE9BQU87Z0JBQ3pDLFVBQVUsRUFBRSxNQUFNLENBQUMsS0FBSztnQkFDeEIsVUFBVSxFQUFFLENBQUMsVUFBVSxDQUFDO2FBQ3pCO1lBQ0QsQ0FBQyxDQUFDLFNBQVMsQ0FBQztJQUNoQixDQUFDO0lBSU8sb0JBQW9CLENBQUMsUUFBZ0I7O1FBQzNDLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbkMsTUFBTSxJQUFJLEdBQW9DLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZHLE1BQU0sU0FBUyxHQUFHLE1BQUEsSUFBSSxDQUFDLFVBQVUsbUNBQUksRUFBRSxDQUFDO1FBQ3hDLE9BQU8sTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUU7O1lBQUMsT0FBQSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEtBQUssU0FBUyxDQUFDO21CQUNuRSxDQUFDLE1BQUEsTUFBQSxHQUFHLENBQUMsVUFBVSwwQ0FBRSwwQkFBMEIsbUNBQUksRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFBO1NBQUEsQ0FBQyxDQUFDO0lBQzlFLENBQUM7Q0FDRjtBQXpNRCxvQ0F5TUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBEZXBlbmRlbmN5R3JhcGgsIElTRFZEZXBlbmRlbmN5LCBJU0RWRGVwZW5kZW5jeUlzc3VlLCBJU0RWRGVwZW5kZW5jeU5vZGUsXG4gICAgICAgICBJU0RWTW9kTWFuaWZlc3QgfSBmcm9tICcuL3R5cGVzJztcbmltcG9ydCB0dXJib3dhbGsgZnJvbSAndHVyYm93YWxrJztcbmltcG9ydCB7IGxvZywgdHlwZXMsIHNlbGVjdG9ycywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuaW1wb3J0IHsgR0FNRV9JRCB9IGZyb20gJy4vY29tbW9uJztcblxuaW1wb3J0IHsgcGFyc2VNYW5pZmVzdCwgc2VtdmVyQ29tcGFyZSB9IGZyb20gJy4vdXRpbCc7XG5cbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuXG4vLyBwbGFjZWhvbGRlciBpZHMgZnJvbSB0aGUgU01BUEkgbWFuaWZlc3QgdGVtcGxhdGUgdGhhdCBzb21lIGF1dGhvcnMgbmV2ZXIgcmVwbGFjZVxuY29uc3QgSUdOT1JFRF9ERVBFTkRFTkNJRVMgPSBbJ3lvdXJuYW1lLnlvdXJvdGhlcnNwYWNrc2FuZG1vZHMnXTtcblxudHlwZSBNYW5pZmVzdE1hcCA9IHsgW21vZElkOiBzdHJpbmddOiBJU0RWTW9kTWFuaWZlc3RbXSB9O1xuZXhwb3J0IGRlZmF1bHQgY2xhc3MgRGVwZW5kZW5jeU1hbmFnZXIge1xuICBwcml2YXRlIG1BcGk6IHR5cGVzLklFeHRlbnNpb25BcGk7XG4gIHByaXZhdGUgbU1hbmlmZXN0czogTWFuaWZlc3RNYXA7XG4gIHByaXZhdGUgbUxvYWRpbmc6IGJvb2xlYW4gPSBmYWxzZTtcblxuICBjb25zdHJ1Y3RvcihhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcbiAgICB0aGlzLm1BcGkgPSBhcGk7XG4gIH1cblxuICBwdWJsaWMgYXN5bmMgZ2V0TWFuaWZlc3RzKCk6IFByb21pc2U8TWFuaWZlc3RNYXA+IHtcbiAgICBhd2FpdCB0aGlzLnNjYW5NYW5pZmVzdHMoKTtcbiAgICByZXR1cm4gdGhpcy5tTWFuaWZlc3RzO1xuICB9XG5cbiAgcHVibGljIGFzeW5jIHJlZnJlc2goKTogUHJvbWlzZTx2b2lkPiB7XG4gICAgaWYgKHRoaXMubUxvYWRpbmcpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgdGhpcy5tTG9hZGluZyA9IHRydWU7XG4gICAgYXdhaXQgdGhpcy5zY2FuTWFuaWZlc3RzKHRydWUpO1xuICAgIHRoaXMubUxvYWRpbmcgPSBmYWxzZTtcbiAgfVxuXG4gIC8qKlxuICAgKiBidWlsZHMgYSBncmFwaCBvZiBhbGwgVW5pcXVlSURzIHByb3ZpZGVkIGJ5IHRoZSBlbmFibGVkIG1vZHMsIGVhY2hcbiAgICogIG5vZGUgaG9sZGluZyB0aGUgbWFuaWZlc3QgKGFuZCB0aGVyZWZvcmUgdGhlIGRlcGVuZGVuY2llcykgb2YgdGhlIG1vZFxuICAgKiAgdGhhdCBwcm92aWRlcyBpdC4gQSBVbmlxdWVJRCBtYXkgYmUgcHJvdmlkZWQgYnkgbXVsdGlwbGUgbW9kcy5cbiAgICovXG4gIHB1YmxpYyBhc3luYyBnZXREZXBlbmRlbmN5R3JhcGgoKTogUHJvbWlzZTxEZXBlbmRlbmN5R3JhcGg+IHtcbiAgICBjb25zdCBtYW5pZmVzdHMgPSBhd2FpdCB0aGlzLmdldE1hbmlmZXN0cygpO1xuICAgIHJldHVybiBPYmplY3Qua2V5cyhtYW5pZmVzdHMpLnJlZHVjZSgoYWNjdW0sIG1vZElkKSA9PiB7XG4gICAgICBmb3IgKGNvbnN0IG1hbmlmZXN0IG9mIG1hbmlmZXN0c1ttb2RJZF0pIHtcbiAgICAgICAgaWYgKHR5cGVvZihtYW5pZmVzdC5VbmlxdWVJRCkgIT09ICdzdHJpbmcnKSB7XG4gICAgICAgICAgY29udGludWU7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgdW5pcXVlSWQgPSBtYW5pZmVzdC5VbmlxdWVJRC50b0xvd2VyQ2FzZSgpO1xuICAgICAgICBhY2N1bVt1bmlxdWVJZF0gPSBbXS5jb25jYXQoYWNjdW1bdW5pcXVlSWRdID8/IFtdLCB7IHVuaXF1ZUlkLCBtb2RJZCwgbWFuaWZlc3QgfSk7XG4gICAgICB9XG4gICAgICByZXR1cm4gYWNjdW07XG4gICAgfSwge30pO1xuICB9XG5cbiAgLyoqXG4gICAqIHJlc29sdmVzIHRoZSByZXF1aXJlZCBkZXBlbmRlbmNpZXMgKGluY2x1ZGluZyBDb250ZW50UGFja0Zvcikgb2YgYWxsIGVuYWJsZWRcbiAgICogIG1vZHMgYW5kIHJlcG9ydHMgdGhvc2UgdGhhdCBhcmUgbWlzc2luZywgZGlzYWJsZWQgb3Igb2xkZXIgdGhhbiB0aGVcbiAgICogIE1pbmltdW1WZXJzaW9uIHJlcXVlc3RlZCBieSB0aGUgZGVwZW5kZW50IG1vZC5cbiAgICovXG4gIHB1YmxpYyBhc3luYyBmaW5kRGVwZW5kZW5jeUlzc3VlcygpOiBQcm9taXNlPElTRFZEZXBlbmRlbmN5SXNzdWVbXT4ge1xuICAgIGNvbnN0IGdyYXBoID0gYXdhaXQgdGhpcy5nZXREZXBlbmRlbmN5R3JhcGgoKTtcblxuICAgIGNvbnN0IGlzc3VlczogeyBba2V5OiBzdHJpbmddOiBJU0RWRGVwZW5kZW5jeUlzc3VlIH0gPSB7fTtcbiAgICBjb25zdCBhZGRJc3N1ZSA9IChpc3N1ZTogSVNEVkRlcGVuZGVuY3lJc3N1ZSkgPT4ge1xuICAgICAgY29uc3Qga2V5ID0gYCR7aXNzdWUudHlwZX06JHtpc3N1ZS51bmlxdWVJZC50b0xvd2VyQ2FzZSgpfWA7XG4gICAgICBpZiAoaXNzdWVzW2tleV0gPT09IHVuZGVmaW5lZCkge1xuICAgICAgICBpc3N1ZXNba2V5XSA9IGlzc3VlO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgaXNzdWVzW2tleV0ucmVxdWlyZWRCeS5wdXNoKC4uLmlzc3VlLnJlcXVpcmVkQnkpO1xuICAgICAgICBpZiAoKGlzc3VlLm1pbmltdW1WZXJzaW9uICE9PSB1bmRlZmluZWQpXG4gICAgICAgICAgICAmJiAoKGlzc3Vlc1trZXldLm1pbmltdW1WZXJzaW9uID09PSB1bmRlZmluZWQpXG4gICAgICAgICAgICAgICAgfHwgKHNlbXZlckNvbXBhcmUoaXNzdWUubWluaW11bVZlcnNpb24sIGlzc3Vlc1trZXldLm1pbmltdW1WZXJzaW9uKSA+IDApKSkge1xuICAgICAgICAgIGlzc3Vlc1trZXldLm1pbmltdW1WZXJzaW9uID0gaXNzdWUubWluaW11bVZlcnNpb247XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICB9O1xuXG4gICAgZm9yIChjb25zdCBub2RlcyBvZiBPYmplY3QudmFsdWVzKGdyYXBoKSkge1xuICAgICAgZm9yIChjb25zdCBub2RlIG9mIG5vZGVzKSB7XG4gICAgICAgIGNvbnN0IGRlcHM6IElTRFZEZXBlbmRlbmN5W10gPSBbXS5jb25jYXQoXG4gICAgICAgICAgbm9kZS5tYW5pZmVzdC5EZXBlbmRlbmNpZXMgPz8gW10sXG4gICAgICAgICAgbm9kZS5tYW5pZmVzdC5Db250ZW50UGFja0ZvciAhPT0gdW5kZWZpbmVkXG4gICAgICAgICAgICA/IFt7IC4uLm5vZGUubWFuaWZlc3QuQ29udGVudFBhY2tGb3IsIElzUmVxdWlyZWQ6IHRydWUgfV1cbiAgICAgICAgICAgIDogW10pO1xuICAgICAgICBmb3IgKGNvbnN0IGRlcCBvZiBkZXBzKSB7XG4gICAgICAgICAgY29uc3QgaXNzdWUgPSB0aGlzLnJlc29sdmVEZXBlbmRlbmN5KGdyYXBoLCBkZXAsIG5vZGUpO1xuICAgICAgICAgIGlmIChpc3N1ZSAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgICBhZGRJc3N1ZShpc3N1ZSk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuXG4gICAgcmV0dXJuIE9iamVjdC52YWx1ZXMoaXNzdWVzKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBmaW5kIFVuaXF1ZUlEcyB0aGF0IGFyZSBwcm92aWRlZCBieSBtb3JlIHRoYW4gb25lIGVuYWJsZWQgbW9kLCBTTUFQSSByZWZ1c2VzXG4gICAqICB0byBsb2FkIGFueSBvZiB0aGVtIGluIHRoYXQgY2FzZS4gRWFjaCBncm91cCBpcyBzb3J0ZWQgbmV3ZXN0IHZlcnNpb24gZmlyc3RcbiAgICovXG4gIHB1YmxpYyBhc3luYyBmaW5kRHVwbGljYXRlcygpOiBQcm9taXNlPElTRFZEZXBlbmRlbmN5Tm9kZVtdW10+IHtcbiAgICBjb25zdCBncmFwaCA9IGF3YWl0IHRoaXMuZ2V0RGVwZW5kZW5jeUdyYXBoKCk7XG4gICAgcmV0dXJuIE9iamVjdC52YWx1ZXMoZ3JhcGgpXG4gICAgICAuZmlsdGVyKG5vZGVzID0+IG5ldyBTZXQobm9kZXMubWFwKG5vZGUgPT4gbm9kZS5tb2RJZCkpLnNpemUgPiAxKVxuICAgICAgLm1hcChub2RlcyA9PiBub2Rlcy5zbGljZSgpLnNvcnQoKGxocywgcmhzKSA9PlxuICAgICAgICBzZW12ZXJDb21wYXJlKHJocy5tYW5pZmVzdC5WZXJzaW9uID8/ICcwLjAuMCcsIGxocy5tYW5pZmVzdC5WZXJzaW9uID8/ICcwLjAuMCcpKSk7XG4gIH1cblxuICAvKipcbiAgICogY2hlY2sgYSBzaW5nbGUgZGVwZW5kZW5jeSBhZ2FpbnN0IHRoZSBlbmFibGVkIG1vZHMsIGUuZy4gZm9yIGEgbW9kIHRoYXRcbiAgICogIGlzIGN1cnJlbnRseSBiZWluZyBpbnN0YWxsZWRcbiAgICovXG4gIHB1YmxpYyBhc3luYyBjaGVja0RlcGVuZGVuY3koZGVwOiBJU0RWRGVwZW5kZW5jeSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICByZXF1aXJlZEJ5OiBJU0RWRGVwZW5kZW5jeU5vZGUpXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgOiBQcm9taXNlPElTRFZEZXBlbmRlbmN5SXNzdWU+IHtcbiAgICBjb25zdCBncmFwaCA9IGF3YWl0IHRoaXMuZ2V0RGVwZW5kZW5jeUdyYXBoKCk7XG4gICAgcmV0dXJuIHRoaXMucmVzb2x2ZURlcGVuZGVuY3koZ3JhcGgsIGRlcCwgcmVxdWlyZWRCeSk7XG4gIH1cblxuICBwdWJsaWMgYXN5bmMgc2Nhbk1hbmlmZXN0cyhmb3JjZT86IGJvb2xlYW4pOiBQcm9taXNlPHZvaWQ+IHtcbiAgICBpZiAoIWZvcmNlICYmIHRoaXMubU1hbmlmZXN0cyAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIGNvbnN0IHN0YXRlID0gdGhpcy5tQXBpLmdldFN0YXRlKCk7XG4gICAgY29uc3Qgc3RhZ2luZyA9IHNlbGVjdG9ycy5pbnN0YWxsUGF0aEZvckdhbWUoc3RhdGUsIEdBTUVfSUQpO1xuICAgIGNvbnN0IHByb2ZpbGVJZCA9IHNlbGVjdG9ycy5sYXN0QWN0aXZlUHJvZmlsZUZvckdhbWUoc3RhdGUsIEdBTUVfSUQpO1xuICAgIGNvbnN0IHByb2ZpbGUgPSBzZWxlY3RvcnMucHJvZmlsZUJ5SWQoc3RhdGUsIHByb2ZpbGVJZCk7XG4gICAgY29uc3QgaXNBY3RpdmUgPSAobW9kSWQ6IHN0cmluZykgPT4gdXRpbC5nZXRTYWZlKHByb2ZpbGUsIFsnbW9kU3RhdGUnLCBtb2RJZCwgJ2VuYWJsZWQnXSwgZmFsc2UpO1xuICAgIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KTtcbiAgICBjb25zdCBtYW5pZmVzdHMgPSBhd2FpdCBPYmplY3QudmFsdWVzKG1vZHMpLnJlZHVjZShhc3luYyAoYWNjdW1QLCBpdGVyKSA9PiB7XG4gICAgICBjb25zdCBhY2N1bSA9IGF3YWl0IGFjY3VtUDsgICAgICBcbiAgICAgIGlmICghaXNBY3RpdmUoaXRlci5pZCkpIHtcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShhY2N1bSk7XG4gICAgICB9XG4gICAgICBjb25zdCBtb2RQYXRoID0gcGF0aC5qb2luKHN0YWdpbmcsIGl0ZXIuaW5zdGFsbGF0aW9uUGF0aCk7XG4gICAgICByZXR1cm4gdHVyYm93YWxrKG1vZFBhdGgsIGFzeW5jIGVudHJpZXMgPT4ge1xuICAgICAgZm9yIChjb25zdCBlbnRyeSBvZiBlbnRyaWVzKSB7XG4gICAgICAgIGlmIChwYXRoLmJhc2VuYW1lKGVudHJ5LmZpbGVQYXRoKSA9PT0gJ21hbmlmZXN0Lmpzb24nKSB7XG4gICAgICAgICAgbGV0IG1hbmlmZXN0O1xuICAgICAgICAgIHRyeSB7XG4gICAgICAgICAgICBtYW5pZmVzdCA9IGF3YWl0IHBhcnNlTWFuaWZlc3QoZW50cnkuZmlsZVBhdGgpO1xuICAgICAgICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgICAgICAgbG9nKCdlcnJvcicsICdmYWlsZWQgdG8gcGFyc2UgbWFuaWZlc3QnLCB7IGVycm9yOiBlcnIubWVzc2FnZSwgbWFuaWZlc3Q6IGVudHJ5LmZpbGVQYXRoIH0pO1xuICAgICAgICAgICAgY29udGludWU7XG4gICAgICAgICAgfVxuICAgICAgICAgIGNvbnN0IGxpc3QgPSBhY2N1bVtpdGVyLmlkXSA/PyBbXTtcbiAgICAgICAgICBsaXN0LnB1c2gobWFuaWZlc3QpO1xuICAgICAgICAgIGFjY3VtW2l0ZXIuaWRdID0gbGlzdDtcbiAgICAgICAgfVxuICAgICAgfVxuICAgICAgfSwgeyBza2lwSGlkZGVuOiBmYWxzZSwgcmVjdXJzZTogdHJ1ZSwgc2tpcEluYWNjZXNzaWJsZTogdHJ1ZSwgc2tpcExpbmtzOiB0cnVlfSlcbiAgICAgIC50aGVuKCgpID0+IFByb21pc2UucmVzb2x2ZShhY2N1bSkpXG4gICAgICAuY2F0Y2goZXJyID0+IHtcbiAgICAgICAgaWYgKGVyclsnY29kZSddID09PSAnRU5PRU5UJykge1xuICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoW10pO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xuICAgICAgICB9XG4gICAgICB9KTtcbiAgICB9LCB7fSk7XG4gICAgdGhpcy5tTWFuaWZlc3RzID0gbWFuaWZlc3RzO1xuICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoKTtcbiAgfVxuXG4gIHByaXZhdGUgcmVzb2x2ZURlcGVuZGVuY3koZ3JhcGg6IERlcGVuZGVuY3lHcmFwaCxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICBkZXA6IElTRFZEZXBlbmRlbmN5LFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgIHJlcXVpcmVkQnk6IElTRFZEZXBlbmRlbmN5Tm9kZSlcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICA6IElTRFZEZXBlbmRlbmN5SXNzdWUge1xuICAgIGlmICgodHlwZW9mKGRlcD8uVW5pcXVlSUQpICE9PSAnc3RyaW5nJylcbiAgICAgICAgfHwgKGRlcC5Jc1JlcXVpcmVkID09PSBmYWxzZSlcbiAgICAgICAgfHwgSUdOT1JFRF9ERVBFTkRFTkNJRVMuaW5jbHVkZXMoZGVwLlVuaXF1ZUlELnRvTG93ZXJDYXNlKCkpKSB7XG4gICAgICByZXR1cm4gdW5kZWZpbmVkO1xuICAgIH1cbiAgICBjb25zdCBkZXBJZCA9IGRlcC5VbmlxdWVJRC50b0xvd2VyQ2FzZSgpO1xuICAgIGNvbnN0IHByb3ZpZGVycyA9IGdyYXBoW2RlcElkXSA/PyBbXTtcbiAgICBpZiAocHJvdmlkZXJzLmxlbmd0aCA9PT0gMCkge1xuICAgICAgY29uc3QgZGlzYWJsZWQgPSB0aGlzLmZpbmREaXNhYmxlZFByb3ZpZGVyKGRlcElkKTtcbiAgICAgIHJldHVybiB7XG4gICAgICAgIHR5cGU6IChkaXNhYmxlZCAhPT0gdW5kZWZpbmVkKSA/ICdkaXNhYmxlZCcgOiAnbWlzc2luZycsXG4gICAgICAgIHVuaXF1ZUlkOiBkZXAuVW5pcXVlSUQsXG4gICAgICAgIG1pbmltdW1WZXJzaW9uOiBkZXAuTWluaW11bVZlcnNpb24sXG4gICAgICAgIGluc3RhbGxlZFZlcnNpb246IGRpc2FibGVkPy5hdHRyaWJ1dGVzPy5tYW5pZmVzdFZlcnNpb24sXG4gICAgICAgIHByb3ZpZGVySWQ6IGRpc2FibGVkPy5pZCxcbiAgICAgICAgcmVxdWlyZWRCeTogW3JlcXVpcmVkQnldLFxuICAgICAgfTtcbiAgICB9XG5cbiAgICBpZiAoZGVwLk1pbmltdW1WZXJzaW9uID09PSB1bmRlZmluZWQpIHtcbiAgICAgIHJldHVybiB1bmRlZmluZWQ7XG4gICAgfVxuICAgIGNvbnN0IG5ld2VzdCA9IHByb3ZpZGVycy5zbGljZSgpLnNvcnQoKGxocywgcmhzKSA9PlxuICAgICAgc2VtdmVyQ29tcGFyZShyaHMubWFuaWZlc3QuVmVyc2lvbiA/PyAnMC4wLjAnLCBsaHMubWFuaWZlc3QuVmVyc2lvbiA/PyAnMC4wLjAnKSlbMF07XG4gICAgcmV0dXJuIChzZW12ZXJDb21wYXJlKG5ld2VzdC5tYW5pZmVzdC5WZXJzaW9uID8/ICcwLjAuMCcsIGRlcC5NaW5pbXVtVmVyc2lvbikgPCAwKVxuICAgICAgPyB7XG4gICAgICAgIHR5cGU6ICdvdXRkYXRlZCcsXG4gICAgICAgIHVuaXF1ZUlkOiBkZXAuVW5pcXVlSUQsXG4gICAgICAgIG1pbmltdW1WZXJzaW9uOiBkZXAuTWluaW11bVZlcnNpb24sXG4gICAgICAgIGluc3RhbGxlZFZlcnNpb246IG5ld2VzdC5tYW5pZmVzdC5WZXJzaW9uLFxuICAgICAgICBwcm92aWRlcklkOiBuZXdlc3QubW9kSWQsXG4gICAgICAgIHJlcXVpcmVkQnk6IFtyZXF1aXJlZEJ5XSxcbiAgICAgIH1cbiAgICAgIDogdW5kZWZpbmVkO1xuICB9XG5cbiAgLy8gbW9kcyB0aGF0IGFyZSBpbnN0YWxsZWQgYnV0IG5vdCBlbmFibGVkIGFyZSBub3QgcGFydCBvZiB0aGUgbWFuaWZlc3Qgc2NhbiwgdGhlXG4gIC8vICBhdHRyaWJ1dGUgZXh0cmFjdG9yIHJlY29yZGVkIHRoZWlyIFVuaXF1ZUlEcyB0aG91Z2hcbiAgcHJpdmF0ZSBmaW5kRGlzYWJsZWRQcm92aWRlcih1bmlxdWVJZDogc3RyaW5nKTogdHlwZXMuSU1vZCB7XG4gICAgY29uc3Qgc3RhdGUgPSB0aGlzLm1BcGkuZ2V0U3RhdGUoKTtcbiAgICBjb25zdCBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9ID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbW9kcycsIEdBTUVfSURdLCB7fSk7XG4gICAgY29uc3QgbWFuaWZlc3RzID0gdGhpcy5tTWFuaWZlc3RzID8/IHt9O1xuICAgIHJldHVybiBPYmplY3QudmFsdWVzKG1vZHMpLmZpbmQobW9kID0+IChtYW5pZmVzdHNbbW9kLmlkXSA9PT0gdW5kZWZpbmVkKVxuICAgICAgJiYgKG1vZC5hdHRyaWJ1dGVzPy5hZGRpdGlvbmFsTG9naWNhbEZpbGVOYW1lcyA/PyBbXSkuaW5jbHVkZXModW5pcXVlSWQpKTtcbiAgfVxufVxuIl19
\ No newline at end of file
@@ -1,12 +1,16 @@
-import { ISDVModManifest } from './types';
+import { DependencyGraph, ISDVDependency, ISDVDependencyIssue, ISDVDependencyNode,
+         ISDVModManifest } from './types';
 import turbowalk from 'turbowalk';
 import { log, types, selectors, util } from 'vortex-api';
 import { GAME_ID } from './common';
 
-import { parseManifest } from './util';
+import { parseManifest, semverCompare } from './util';
 
 import path from 'path';
 
+// placeholder ids from the SMAPI manifest template that some authors never replace
+const IGNORED_DEPENDENCIES = ['yourname.yourotherspacksandmods'];
+
 type ManifestMap = { [modId: string]: ISDVModManifest[] };
 export default class DependencyManager {
   private mApi: types.IExtensionApi;
@@ -31,6 +35,90 @@ export default class DependencyManager {
     this.mLoading = false;
   }
 
+  /**
+   * builds a graph of all UniqueIDs provided by the enabled mods, each
+   *  node holding the manifest (and therefore the dependencies) of the mod
+   *  that provides it. A UniqueID may be provided by multiple mods.
+   */
+  public async getDependencyGraph(): Promise<DependencyGraph> {
+    const manifests = await this.getManifests();
+    return Object.keys(manifests).reduce((accum, modId) => {
+      for (const manifest of manifests[modId]) {
+        if (typeof(manifest.UniqueID) !== 'string') {
+          continue;
+        }
+        const uniqueId = manifest.UniqueID.toLowerCase();
+        accum[uniqueId] = [].concat(accum[uniqueId] ?? [], { uniqueId, modId, manifest });
+      }
+      return accum;
+    }, {});
+  }
+
+  /**
+   * resolves the required dependencies (including ContentPackFor) of all enabled
+   *  mods and reports those that are missing, disabled or older than the
+   *  MinimumVersion requested by the dependent mod.
+   */
+  public async findDependencyIssues(): Promise<ISDVDependencyIssue[]> {
+    const graph = await this.getDependencyGraph();
+
+    const issues: { [key: string]: ISDVDependencyIssue } = {};
+    const addIssue = (issue: ISDVDependencyIssue) => {
+      const key = `${issue.type}:${issue.uniqueId.toLowerCase()}`;
+      if (issues[key] === undefined) {
+        issues[key] = issue;
+      } else {
+        issues[key].requiredBy.push(...issue.requiredBy);
+        if ((issue.minimumVersion !== undefined)
+            && ((issues[key].minimumVersion === undefined)
+                || (semverCompare(issue.minimumVersion, issues[key].minimumVersion) > 0))) {
+          issues[key].minimumVersion = issue.minimumVersion;
+        }
+      }
+    };
+
+    for (const nodes of Object.values(graph)) {
+      for (const node of nodes) {
+        const deps: ISDVDependency[] = [].concat(
+          node.manifest.Dependencies ?? [],
+          node.manifest.ContentPackFor !== undefined
+            ? [{ ...node.manifest.ContentPackFor, IsRequired: true }]
+            : []);
+        for (const dep of deps) {
+          const issue = this.resolveDependency(graph, dep, node);
+          if (issue !== undefined) {
+            addIssue(issue);
+          }
+        }
+      }
+    }
+
+    return Object.values(issues);
+  }
+
+  /**
+   * find UniqueIDs that are provided by more than one enabled mod, SMAPI refuses
+   *  to load any of them in that case. Each group is sorted newest version first
+   */
+  public async findDuplicates(): Promise<ISDVDependencyNode[][]> {
+    const graph = await this.getDependencyGraph();
+    return Object.values(graph)
+      .filter(nodes => new Set(nodes.map(node => node.modId)).size > 1)
+      .map(nodes => nodes.slice().sort((lhs, rhs) =>
+        semverCompare(rhs.manifest.Version ?? '0.0.0', lhs.manifest.Version ?? '0.0.0')));
+  }
+
+  /**
+   * check a single dependency against the enabled mods, e.g. for a mod that
+   *  is currently being installed
+   */
+  public async checkDependency(dep: ISDVDependency,
+                               requiredBy: ISDVDependencyNode)
+                               : Promise<ISDVDependencyIssue> {
+    const graph = await this.getDependencyGraph();
+    return this.resolveDependency(graph, dep, requiredBy);
+  }
+
   public async scanManifests(force?: boolean): Promise<void> {
     if (!force && this.mManifests !== undefined) {
       return;
@@ -75,4 +163,54 @@ export default class DependencyManager {
     this.mManifests = manifests;
     return Promise.resolve();
   }
+
+  private resolveDependency(graph: DependencyGraph,
+                            dep: ISDVDependency,
+                            requiredBy: ISDVDependencyNode)
+                            : ISDVDependencyIssue {
+    if ((typeof(dep?.UniqueID) !== 'string')
+        || (dep.IsRequired === false)
+        || IGNORED_DEPENDENCIES.includes(dep.UniqueID.toLowerCase())) {
+      return undefined;
+    }
+    const depId = dep.UniqueID.toLowerCase();
+    const providers = graph[depId] ?? [];
+    if (providers.length === 0) {
+      const disabled = this.findDisabledProvider(depId);
+      return {
+        type: (disabled !== undefined) ? 'disabled' : 'missing',
+        uniqueId: dep.UniqueID,
+        minimumVersion: dep.MinimumVersion,
+        installedVersion: disabled?.attributes?.manifestVersion,
+        providerId: disabled?.id,
+        requiredBy: [requiredBy],
+      };
+    }
+
+    if (dep.MinimumVersion === undefined) {
+      return undefined;
+    }
+    const newest = providers.slice().sort((lhs, rhs) =>
+      semverCompare(rhs.manifest.Version ?? '0.0.0', lhs.manifest.Version ?? '0.0.0'))[0];
+    return (semverCompare(newest.manifest.Version ?? '0.0.0', dep.MinimumVersion) < 0)
+      ? {
+        type: 'outdated',
+        uniqueId: dep.UniqueID,
+        minimumVersion: dep.MinimumVersion,
+        installedVersion: newest.manifest.Version,
+        providerId: newest.modId,
+        requiredBy: [requiredBy],
+      }
+      : undefined;
+  }
+
+  // mods that are installed but not enabled are not part of the manifest scan, the
+  //  attribute extractor recorded their UniqueIDs though
+  private findDisabledProvider(uniqueId: string): types.IMod {
+    const state = this.mApi.getState();
+    const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+    const manifests = this.mManifests ?? {};
+    return Object.values(mods).find(mod => (manifests[mod.id] === undefined)
+      && (mod.attributes?.additionalLogicalFileNames ?? []).includes(uniqueId));
+  }
 }
@@ -0,0 +1,119 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const react_1 = __importDefault(require("react"));
+const react_bootstrap_1 = require("react-bootstrap");
+const react_i18next_1 = require("react-i18next");
+const react_redux_1 = require("react-redux");
+const vortex_api_1 = require("vortex-api");
+const common_1 = require("./common");
+const levelFilters = {
+    problems: msg => ['error', 'warn'].includes(msg.level),
+    error: msg => msg.level === 'error',
+    all: () => true,
+};
+function SMAPILogDialog(props) {
+    var _a, _b, _c, _d, _e, _f;
+    const { visible, onHide, log, onShare } = props;
+    const { t } = (0, react_i18next_1.useTranslation)();
+    const mods = (0, react_redux_1.useSelector)((state) => { var _a; return (_a = state.persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {}; });
+    const [filter, setFilter] = react_1.default.useState('');
+    const [level, setLevel] = react_1.default.useState('problems');
+    const onSetFilter = react_1.default.useCallback((evt) => {
+        setFilter(evt.currentTarget.value);
+    }, [setFilter]);
+    const onSetLevel = react_1.default.useCallback((evt) => {
+        setLevel(evt.currentTarget.value);
+    }, [setLevel]);
+    const modName = (modId) => (mods[modId] !== undefined)
+        ? vortex_api_1.util.renderModName(mods[modId])
+        : undefined;
+    const matches = (...fields) => {
+        const lower = filter.toLowerCase();
+        return (lower.length === 0)
+            || fields.find(field => (field !== null && field !== void 0 ? field : '').toLowerCase().includes(lower)) !== undefined;
+    };
+    const groups = react_1.default.useMemo(() => {
+        var _a;
+        return ((_a = log === null || log === void 0 ? void 0 : log.messages) !== null && _a !== void 0 ? _a : [])
+            .filter(levelFilters[level])
+            .filter(msg => matches(msg.source, msg.text, modName(msg.modId)))
+            .reduce((accum, msg) => {
+            var _a, _b;
+            const key = (_a = msg.modId) !== null && _a !== void 0 ? _a : msg.source;
+            accum[key] = [].concat((_b = accum[key]) !== null && _b !== void 0 ? _b : [], msg);
+            return accum;
+        }, {});
+    }, [log, level, filter, mods]);
+    const skipped = ((_a = log === null || log === void 0 ? void 0 : log.skipped) !== null && _a !== void 0 ? _a : [])
+        .filter(mod => matches(mod.name, mod.reason, modName(mod.modId)));
+    const loaded = [].concat((_b = log === null || log === void 0 ? void 0 : log.mods) !== null && _b !== void 0 ? _b : [], (_c = log === null || log === void 0 ? void 0 : log.contentPacks) !== null && _c !== void 0 ? _c : [])
+        .filter(mod => matches(mod.name, mod.author, mod.contentPackFor, modName(mod.modId)));
+    const renderOwner = (modId) => (modId !== undefined)
+        ? react_1.default.createElement("span", { className: 'sdv-log-owner' }, t('Vortex mod: {{name}}', { replace: { name: modName(modId) } }))
+        : null;
+    const renderGroup = (key) => {
+        const messages = groups[key];
+        return (react_1.default.createElement(react_bootstrap_1.ListGroupItem, { key: key },
+            react_1.default.createElement("h5", null,
+                messages[0].source,
+                " ",
+                renderOwner(messages[0].modId)),
+            messages.map((msg, idx) => (react_1.default.createElement("pre", { key: idx, className: `sdv-log-message sdv-log-${msg.level}` }, `[${msg.time} ${msg.level.toUpperCase()}] ${msg.text}`)))));
+    };
+    return (react_1.default.createElement(vortex_api_1.Modal, { id: 'sdv-smapi-log-dialog', show: visible, onHide: onHide },
+        react_1.default.createElement(vortex_api_1.Modal.Header, null,
+            react_1.default.createElement(vortex_api_1.Modal.Title, null, t('SMAPI Log'))),
+        react_1.default.createElement(vortex_api_1.Modal.Body, null, (log === undefined) ? null : (react_1.default.createElement(react_1.default.Fragment, null,
+            react_1.default.createElement("p", null, t('SMAPI {{smapi}} with Stardew Valley {{game}} on {{os}}', {
+                replace: {
+                    smapi: (_d = log.smapiVersion) !== null && _d !== void 0 ? _d : t('unknown'),
+                    game: (_e = log.gameVersion) !== null && _e !== void 0 ? _e : t('unknown'),
+                    os: (_f = log.os) !== null && _f !== void 0 ? _f : t('unknown'),
+                },
+            })),
+            react_1.default.createElement(vortex_api_1.FlexLayout, { type: 'row', className: 'sdv-log-filters' },
+                react_1.default.createElement(vortex_api_1.FlexLayout.Flex, null,
+                    react_1.default.createElement(react_bootstrap_1.FormControl, { type: 'text', value: filter, placeholder: t('Filter by mod or text...'), onChange: onSetFilter })),
+                react_1.default.createElement(vortex_api_1.FlexLayout.Fixed, null,
+                    react_1.default.createElement(react_bootstrap_1.FormControl, { componentClass: 'select', value: level, onChange: onSetLevel },
+                        react_1.default.createElement("option", { value: 'problems' }, t('Errors & Warnings')),
+                        react_1.default.createElement("option", { value: 'error' }, t('Errors only')),
+                        react_1.default.createElement("option", { value: 'all' }, t('All messages'))))),
+            react_1.default.createElement(react_bootstrap_1.Panel, null,
+                react_1.default.createElement(react_bootstrap_1.Panel.Heading, null, t('Skipped mods ({{count}})', { count: skipped.length })),
+                react_1.default.createElement(react_bootstrap_1.ListGroup, null, skipped.map((mod, idx) => {
+                    var _a;
+                    return (react_1.default.createElement(react_bootstrap_1.ListGroupItem, { key: idx },
+                        react_1.default.createElement("b", null, mod.name),
+                        " ", (_a = mod.version) !== null && _a !== void 0 ? _a : '',
+                        " - ",
+                        mod.reason,
+                        " ",
+                        renderOwner(mod.modId)));
+                }))),
+            react_1.default.createElement(react_bootstrap_1.Panel, null,
+                react_1.default.createElement(react_bootstrap_1.Panel.Heading, null, t('Messages by mod')),
+                (Object.keys(groups).length === 0)
+                    ? react_1.default.createElement(vortex_api_1.EmptyPlaceholder, { icon: 'feedback-success', text: t('No matching messages') })
+                    : react_1.default.createElement(react_bootstrap_1.ListGroup, null, Object.keys(groups).map(renderGroup))),
+            react_1.default.createElement(react_bootstrap_1.Panel, null,
+                react_1.default.createElement(react_bootstrap_1.Panel.Heading, null, t('Loaded mods ({{count}})', { count: loaded.length })),
+                react_1.default.createElement(react_bootstrap_1.ListGroup, null, loaded.map((mod, idx) => (react_1.default.createElement(react_bootstrap_1.ListGroupItem, { key: idx },
+                    react_1.default.createElement("b", null, mod.name),
+                    " ",
+                    mod.version,
+                    (mod.author !== undefined) ? ` ${t('by {{author}}', { replace: { author: mod.author } })}` : '',
+                    (mod.contentPackFor !== undefined)
+                        ? ` ${t('(content pack for {{framework}})', { replace: { framework: mod.contentPackFor } })}`
+                        : '',
+                    ' ',
+                    renderOwner(mod.modId))))))))),
+        react_1.default.createElement(vortex_api_1.Modal.Footer, null,
+            react_1.default.createElement(react_bootstrap_1.Button, { onClick: onShare }, t('Copy & Share log')),
+            react_1.default.createElement(react_bootstrap_1.Button, { onClick: onHide }, t('Close')))));
+}
+exports.default = SMAPILogDialog;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiU01BUElMb2dEaWFsb2cuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJTTUFQSUxvZ0RpYWxvZy50c3giXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7QUFBQSxrREFBMEI7QUFDMUIscURBQXVGO0FBQ3ZGLGlEQUErQztBQUMvQyw2Q0FBMEM7QUFDMUMsMkNBQThFO0FBQzlFLHFDQUFtQztBQVluQyxNQUFNLFlBQVksR0FBaUU7SUFDakYsUUFBUSxFQUFFLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUM7SUFDdEQsS0FBSyxFQUFFLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLEtBQUssS0FBSyxPQUFPO0lBQ25DLEdBQUcsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFJO0NBQ2hCLENBQUM7QUFFRixTQUFTLGNBQWMsQ0FBQyxLQUEyQjs7SUFDakQsTUFBTSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxHQUFHLEtBQUssQ0FBQztJQUNoRCxNQUFNLEVBQUUsQ0FBQyxFQUFFLEdBQUcsSUFBQSw4QkFBYyxHQUFFLENBQUM7SUFDL0IsTUFBTSxJQUFJLEdBQW9DLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRSxXQUNoRixPQUFBLE1BQUEsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQyxtQ0FBSSxFQUFFLENBQUEsRUFBQSxDQUFDLENBQUM7SUFFeEMsTUFBTSxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsR0FBRyxlQUFLLENBQUMsUUFBUSxDQUFTLEVBQUUsQ0FBQyxDQUFDO0lBQ3ZELE1BQU0sQ0FBQyxLQUFLLEVBQUUsUUFBUSxDQUFDLEdBQUcsZUFBSyxDQUFDLFFBQVEsQ0FBYyxVQUFVLENBQUMsQ0FBQztJQUVsRSxNQUFNLFdBQVcsR0FBRyxlQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsR0FBeUIsRUFBRSxFQUFFO1FBQ2xFLFNBQVMsQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3JDLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFFaEIsTUFBTSxVQUFVLEdBQUcsZUFBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDLEdBQXlCLEVBQUUsRUFBRTtRQUNqRSxRQUFRLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxLQUFvQixDQUFDLENBQUM7SUFDbkQsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUVmLE1BQU0sT0FBTyxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxTQUFTLENBQUM7UUFDNUQsQ0FBQyxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNqQyxDQUFDLENBQUMsU0FBUyxDQUFDO0lBRWQsTUFBTSxPQUFPLEdBQUcsQ0FBQyxHQUFHLE1BQWdCLEVBQUUsRUFBRTtRQUN0QyxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDbkMsT0FBTyxDQUFDLEtBQUssQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDO2VBQ3RCLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssYUFBTCxLQUFLLGNBQUwsS0FBSyxHQUFJLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLFNBQVMsQ0FBQztJQUN2RixDQUFDLENBQUM7SUFHRixNQUFNLE1BQU0sR0FBRyxlQUFLLENBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRTs7UUFBQyxPQUFBLENBQUMsTUFBQSxHQUFHLGFBQUgsR0FBRyx1QkFBSCxHQUFHLENBQUUsUUFBUSxtQ0FBSSxFQUFFLENBQUM7YUFDckQsTUFBTSxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUMzQixNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQzthQUNoRSxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7O1lBQ3JCLE1BQU0sR0FBRyxHQUFHLE1BQUEsR0FBRyxDQUFDLEtBQUssbUNBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQztZQUNwQyxLQUFLLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFBLEtBQUssQ0FBQyxHQUFHLENBQUMsbUNBQUksRUFBRSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQzlDLE9BQU8sS0FBSyxDQUFDO1FBQ2YsQ0FBQyxFQUFFLEVBQTJDLENBQUMsQ0FBQTtLQUFBLEVBQUUsQ0FBQyxHQUFHLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBRS9FLE1BQU0sT0FBTyxHQUFHLENBQUMsTUFBQSxHQUFHLGFBQUgsR0FBRyx1QkFBSCxHQUFHLENBQUUsT0FBTyxtQ0FBSSxFQUFFLENBQUM7U0FDakMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEVBQUUsR0FBRyxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwRSxNQUFNLE1BQU0sR0FBRyxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQUEsR0FBRyxhQUFILEdBQUcsdUJBQUgsR0FBRyxDQUFFLElBQUksbUNBQUksRUFBRSxFQUFFLE1BQUEsR0FBRyxhQUFILEdBQUcsdUJBQUgsR0FBRyxDQUFFLFlBQVksbUNBQUksRUFBRSxDQUFDO1NBQy9ELE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLGNBQWMsRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUV4RixNQUFNLFdBQVcsR0FBRyxDQUFDLEtBQWEsRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDO1FBQzFELENBQUMsQ0FBQyx3Q0FBTSxTQUFTLEVBQUMsZUFBZSxJQUFFLENBQUMsQ0FBQyxzQkFBc0IsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLElBQUksRUFBRSxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQVE7UUFDM0csQ0FBQyxDQUFDLElBQUksQ0FBQztJQUVULE1BQU0sV0FBVyxHQUFHLENBQUMsR0FBVyxFQUFFLEVBQUU7UUFDbEMsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzdCLE9BQU8sQ0FDTCw4QkFBQywrQkFBYSxJQUFDLEdBQUcsRUFBRSxHQUFHO1lBQ3JCO2dCQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNOztnQkFBRyxXQUFXLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFNO1lBQzdELFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQyxDQUMxQix1Q0FBSyxHQUFHLEVBQUUsR0FBRyxFQUFFLFNBQVMsRUFBRSwyQkFBMkIsR0FBRyxDQUFDLEtBQUssRUFBRSxJQUM3RCxJQUFJLEdBQUcsQ0FBQyxJQUFJLElBQUksR0FBRyxDQUFDLEtBQUssQ0FBQyxXQUFXLEVBQUUsS0FBSyxHQUFHLENBQUMsSUFBSSxFQUFFLENBQ25ELENBQ1AsQ0FBQyxDQUNZLENBQ2pCLENBQUM7SUFDSixDQUFDLENBQUM7SUFFRixPQUFPLENBQ0wsOEJBQUMsa0JBQUssSUFBQyxFQUFFLEVBQUMsc0JBQXNCLEVBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsTUFBTTtRQUM1RCw4QkFBQyxrQkFBSyxDQUFDLE1BQU07WUFDWCw4QkFBQyxrQkFBSyxDQUFDLEtBQUssUUFBRSxDQUFDLENBQUMsV0FBVyxDQUFDLENBQWUsQ0FDOUI7UUFDZiw4QkFBQyxrQkFBSyxDQUFDLElBQUksUUFDUixDQUFDLEdBQUcsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUM1QjtZQUNFLHlDQUNHLENBQUMsQ0FBQyx3REFBd0QsRUFBRTtnQkFDM0QsT0FBTyxFQUFFO29CQUNQLEtBQUssRUFBRSxNQUFBLEdBQUcsQ0FBQyxZQUFZLG1DQUFJLENBQUMsQ0FBQyxTQUFTLENBQUM7b0JBQ3ZDLElBQUksRUFBRSxNQUFBLEdBQUcsQ0FBQyxXQUFXLG1DQUFJLENBQUMsQ0FBQyxTQUFTLENBQUM7b0JBQ3JDLEVBQUUsRUFBRSxNQUFBLEdBQUcsQ0FBQyxFQUFFLG1DQUFJLENBQUMsQ0FBQyxTQUFTLENBQUM7aUJBQzNCO2FBQ0YsQ0FBQyxDQUNBO1lBQ0osOEJBQUMsdUJBQVUsSUFBQyxJQUFJLEVBQUMsS0FBSyxFQUFDLFNBQVMsRUFBQyxpQkFBaUI7Z0JBQ2hELDhCQUFDLHVCQUFVLENBQUMsSUFBSTtvQkFDZCw4QkFBQyw2QkFBVyxJQUNWLElBQUksRUFBQyxNQUFNLEVBQ1gsS0FBSyxFQUFFLE1BQU0sRUFDYixXQUFXLEVBQUUsQ0FBQyxDQUFDLDBCQUEwQixDQUFDLEVBQzFDLFFBQVEsRUFBRSxXQUFXLEdBQ3JCLENBQ2M7Z0JBQ2xCLDhCQUFDLHVCQUFVLENBQUMsS0FBSztvQkFDZiw4QkFBQyw2QkFBVyxJQUFDLGNBQWMsRUFBQyxRQUFRLEVBQUMsS0FBSyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsVUFBVTt3QkFDckUsMENBQVEsS0FBSyxFQUFDLFVBQVUsSUFBRSxDQUFDLENBQUMsbUJBQW1CLENBQUMsQ0FBVTt3QkFDMUQsMENBQVEsS0FBSyxFQUFDLE9BQU8sSUFBRSxDQUFDLENBQUMsYUFBYSxDQUFDLENBQVU7d0JBQ2pELDBDQUFRLEtBQUssRUFBQyxLQUFLLElBQUUsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxDQUFVLENBQ3BDLENBQ0csQ0FDUjtZQUNiLDhCQUFDLHVCQUFLO2dCQUNKLDhCQUFDLHVCQUFLLENBQUMsT0FBTyxRQUFFLENBQUMsQ0FBQywwQkFBMEIsRUFBRSxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBaUI7Z0JBQ3pGLDhCQUFDLDJCQUFTLFFBQ1AsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRTs7b0JBQUMsT0FBQSxDQUN6Qiw4QkFBQywrQkFBYSxJQUFDLEdBQUcsRUFBRSxHQUFHO3dCQUNyQix5Q0FBSSxHQUFHLENBQUMsSUFBSSxDQUFLOzZCQUFFLE1BQUEsR0FBRyxDQUFDLE9BQU8sbUNBQUksRUFBRTs7d0JBQUssR0FBRyxDQUFDLE1BQU07O3dCQUFHLFdBQVcsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQzlELENBQ2pCLENBQUE7aUJBQUEsQ0FBQyxDQUNRLENBQ047WUFDUiw4QkFBQyx1QkFBSztnQkFDSiw4QkFBQyx1QkFBSyxDQUFDLE9BQU8sUUFBRSxDQUFDLENBQUMsaUJBQWlCLENBQUMsQ0FBaUI7Z0JBQ3BELENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDO29CQUNqQyxDQUFDLENBQUMsOEJBQUMsNkJBQWdCLElBQUMsSUFBSSxFQUFDLGtCQUFrQixFQUFDLElBQUksRUFBRSxDQUFDLENBQUMsc0JBQXNCLENBQUMsR0FBSTtvQkFDL0UsQ0FBQyxDQUFDLDhCQUFDLDJCQUFTLFFBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQWEsQ0FDM0Q7WUFDUiw4QkFBQyx1QkFBSztnQkFDSiw4QkFBQyx1QkFBSyxDQUFDLE9BQU8sUUFBRSxDQUFDLENBQUMseUJBQXlCLEVBQUUsRUFBRSxLQUFLLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQWlCO2dCQUN2Riw4QkFBQywyQkFBUyxRQUNQLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQyxDQUN4Qiw4QkFBQywrQkFBYSxJQUFDLEdBQUcsRUFBRSxHQUFHO29CQUNyQix5Q0FBSSxHQUFHLENBQUMsSUFBSSxDQUFLOztvQkFBRSxHQUFHLENBQUMsT0FBTztvQkFDN0IsQ0FBQyxHQUFHLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxlQUFlLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxNQUFNLEVBQUUsR0FBRyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFO29CQUMvRixDQUFDLEdBQUcsQ0FBQyxjQUFjLEtBQUssU0FBUyxDQUFDO3dCQUNqQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsa0NBQWtDLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxTQUFTLEVBQUUsR0FBRyxDQUFDLGNBQWMsRUFBRSxFQUFFLENBQUMsRUFBRTt3QkFDN0YsQ0FBQyxDQUFDLEVBQUU7b0JBQ0wsR0FBRztvQkFBRSxXQUFXLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUNkLENBQ2pCLENBQUMsQ0FDUSxDQUNOLENBQ1AsQ0FDSixDQUNVO1FBQ2IsOEJBQUMsa0JBQUssQ0FBQyxNQUFNO1lBQ1gsOEJBQUMsd0JBQU0sSUFBQyxPQUFPLEVBQUUsT0FBTyxJQUFHLENBQUMsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFVO1lBQzFELDhCQUFDLHdCQUFNLElBQUMsT0FBTyxFQUFFLE1BQU0sSUFBRyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQVUsQ0FDakMsQ0FDVCxDQUNULENBQUM7QUFDSixDQUFDO0FBRUQsa0JBQWUsY0FBYyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IFJlYWN0IGZyb20gJ3JlYWN0JztcbmltcG9ydCB7IEJ1dHRvbiwgRm9ybUNvbnRyb2wsIExpc3RHcm91cCwgTGlzdEdyb3VwSXRlbSwgUGFuZWwgfSBmcm9tICdyZWFjdC1ib290c3RyYXAnO1xuaW1wb3J0IHsgdXNlVHJhbnNsYXRpb24gfSBmcm9tICdyZWFjdC1pMThuZXh0JztcbmltcG9ydCB7IHVzZVNlbGVjdG9yIH0gZnJvbSAncmVhY3QtcmVkdXgnO1xuaW1wb3J0IHsgRW1wdHlQbGFjZWhvbGRlciwgRmxleExheW91dCwgTW9kYWwsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgSVNNQVBJTG9nLCBJU01BUElMb2dNZXNzYWdlIH0gZnJvbSAnLi90eXBlcyc7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVNNQVBJTG9nRGlhbG9nUHJvcHMge1xuICB2aXNpYmxlOiBib29sZWFuO1xuICBvbkhpZGU6ICgpID0+IHZvaWQ7XG4gIGxvZzogSVNNQVBJTG9nO1xuICBvblNoYXJlOiAoKSA9PiB2b2lkO1xufVxuXG50eXBlIExldmVsRmlsdGVyID0gJ3Byb2JsZW1zJyB8ICdlcnJvcicgfCAnYWxsJztcblxuY29uc3QgbGV2ZWxGaWx0ZXJzOiB7IFtrZXkgaW4gTGV2ZWxGaWx0ZXJdOiAobXNnOiBJU01BUElMb2dNZXNzYWdlKSA9PiBib29sZWFuIH0gPSB7XG4gIHByb2JsZW1zOiBtc2cgPT4gWydlcnJvcicsICd3YXJuJ10uaW5jbHVkZXMobXNnLmxldmVsKSxcbiAgZXJyb3I6IG1zZyA9PiBtc2cubGV2ZWwgPT09ICdlcnJvcicsXG4gIGFsbDogKCkgPT4gdHJ1ZSxcbn07XG5cbmZ1bmN0aW9uIFNNQVBJTG9nRGlhbG9nKHByb3BzOiBJU01BUElMb2dEaWFsb2dQcm9wcykge1xuICBjb25zdCB7IHZpc2libGUsIG9uSGlkZSwgbG9nLCBvblNoYXJlIH0gPSBwcm9wcztcbiAgY29uc3QgeyB0IH0gPSB1c2VUcmFuc2xhdGlvbigpO1xuICBjb25zdCBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9ID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XG4gICAgc3RhdGUucGVyc2lzdGVudC5tb2RzW0dBTUVfSURdID8/IHt9KTtcblxuICBjb25zdCBbZmlsdGVyLCBzZXRGaWx0ZXJdID0gUmVhY3QudXNlU3RhdGU8c3RyaW5nPignJyk7XG4gIGNvbnN0IFtsZXZlbCwgc2V0TGV2ZWxdID0gUmVhY3QudXNlU3RhdGU8TGV2ZWxGaWx0ZXI+KCdwcm9ibGVtcycpO1xuXG4gIGNvbnN0IG9uU2V0RmlsdGVyID0gUmVhY3QudXNlQ2FsbGJhY2soKGV2dDogUmVhY3QuRm9ybUV2ZW50PGFueT4pID0+IHtcbiAgICBzZXRGaWx0ZXIoZXZ0LmN1cnJlbnRUYXJnZXQudmFsdWUpO1xuICB9LCBbc2V0RmlsdGVyXSk7XG5cbiAgY29uc3Qgb25TZXRMZXZlbCA9IFJlYWN0LnVzZUNhbGxiYWNrKChldnQ6IFJlYWN0LkZvcm1FdmVudDxhbnk+KSA9PiB7XG4gICAgc2V0TGV2ZWwoZXZ0LmN1cnJlbnRUYXJnZXQudmFsdWUgYXMgTGV2ZWxGaWx0ZXIpO1xuICB9LCBbc2V0TGV2ZWxdKTtcblxuICBjb25zdCBtb2ROYW1lID0gKG1vZElkOiBzdHJpbmcpID0+IChtb2RzW21vZElkXSAhPT0gdW5kZWZpbmVkKVxuICAgID8gdXRpbC5yZW5kZXJNb2ROYW1lKG1vZHNbbW9kSWRdKVxuICAgIDogdW5kZWZpbmVkO1xuXG4gIGNvbnN0IG1hdGNoZXMgPSAoLi4uZmllbGRzOiBzdHJpbmdbXSkgPT4ge1xuICAgIGNvbnN0IGxvd2VyID0gZmlsdGVyLnRvTG93ZXJDYXNlKCk7XG4gICAgcmV0dXJuIChsb3dlci5sZW5ndGggPT09IDApXG4gICAgICB8fCBmaWVsZHMuZmluZChmaWVsZCA9PiAoZmllbGQgPz8gJycpLnRvTG93ZXJDYXNlKCkuaW5jbHVkZXMobG93ZXIpKSAhPT0gdW5kZWZpbmVkO1xuICB9O1xuXG4gIC8vIG1lc3NhZ2VzIGdyb3VwZWQgYnkgdGhlIG1vZCB0aGV5IGJlbG9uZyB0b1xuICBjb25zdCBncm91cHMgPSBSZWFjdC51c2VNZW1vKCgpID0+IChsb2c/Lm1lc3NhZ2VzID8/IFtdKVxuICAgIC5maWx0ZXIobGV2ZWxGaWx0ZXJzW2xldmVsXSlcbiAgICAuZmlsdGVyKG1zZyA9PiBtYXRjaGVzKG1zZy5zb3VyY2UsIG1zZy50ZXh0LCBtb2ROYW1lKG1zZy5tb2RJZCkpKVxuICAgIC5yZWR1Y2UoKGFjY3VtLCBtc2cpID0+IHtcbiAgICAgIGNvbnN0IGtleSA9IG1zZy5tb2RJZCA/PyBtc2cuc291cmNlO1xuICAgICAgYWNjdW1ba2V5XSA9IFtdLmNvbmNhdChhY2N1bVtrZXldID8/IFtdLCBtc2cpO1xuICAgICAgcmV0dXJuIGFjY3VtO1xuICAgIH0sIHt9IGFzIHsgW2tleTogc3RyaW5nXTogSVNNQVBJTG9nTWVzc2FnZVtdIH0pLCBbbG9nLCBsZXZlbCwgZmlsdGVyLCBtb2RzXSk7XG5cbiAgY29uc3Qgc2tpcHBlZCA9IChsb2c/LnNraXBwZWQgPz8gW10pXG4gICAgLmZpbHRlcihtb2QgPT4gbWF0Y2hlcyhtb2QubmFtZSwgbW9kLnJlYXNvbiwgbW9kTmFtZShtb2QubW9kSWQpKSk7XG4gIGNvbnN0IGxvYWRlZCA9IFtdLmNvbmNhdChsb2c/Lm1vZHMgPz8gW10sIGxvZz8uY29udGVudFBhY2tzID8/IFtdKVxuICAgIC5maWx0ZXIobW9kID0+IG1hdGNoZXMobW9kLm5hbWUsIG1vZC5hdXRob3IsIG1vZC5jb250ZW50UGFja0ZvciwgbW9kTmFtZShtb2QubW9kSWQpKSk7XG5cbiAgY29uc3QgcmVuZGVyT3duZXIgPSAobW9kSWQ6IHN0cmluZykgPT4gKG1vZElkICE9PSB1bmRlZmluZWQpXG4gICAgPyA8c3BhbiBjbGFzc05hbWU9J3Nkdi1sb2ctb3duZXInPnt0KCdWb3J0ZXggbW9kOiB7e25hbWV9fScsIHsgcmVwbGFjZTogeyBuYW1lOiBtb2ROYW1lKG1vZElkKSB9IH0pfTwvc3Bhbj5cbiAgICA6IG51bGw7XG5cbiAgY29uc3QgcmVuZGVyR3JvdXAgPSAoa2V5OiBzdHJpbmcpID0+IHtcbiAgICBjb25zdCBtZXNzYWdlcyA9IGdyb3Vwc1trZXldO1xuICAgIHJldHVybiAoXG4gICAgICA8TGlzdEdyb3VwSXRlbSBrZXk9e2tleX0+XG4gICAgICAgIDxoNT57bWVzc2FnZXNbMF0uc291cmNlfSB7cmVuZGVyT3duZXIobWVzc2FnZXNbMF0ubW9kSWQpfTwvaDU+XG4gICAgICAgIHttZXNzYWdlcy5tYXAoKG1zZywgaWR4KSA9PiAoXG4gICAgICAgICAgPHByZSBrZXk9e2lkeH0gY2xhc3NOYW1lPXtgc2R2LWxvZy1tZXNzYWdlIHNkdi1sb2ctJHttc2cubGV2ZWx9YH0+XG4gICAgICAgICAgICB7YFske21zZy50aW1lfSAke21zZy5sZXZlbC50b1VwcGVyQ2FzZSgpfV0gJHttc2cudGV4dH1gfVxuICAgICAgICAgIDwvcHJlPlxuICAgICAgICApKX1cbiAgICAgIDwvTGlzdEdyb3VwSXRlbT5cbiAgICApO1xuICB9O1xuXG4gIHJldHVybiAoXG4gICAgPE1vZGFsIGlkPSdzZHYtc21hcGktbG9nLWRpYWxvZycgc2hvdz17dmlzaWJsZX0gb25IaWRlPXtvbkhpZGV9PlxuICAgICAgPE1vZGFsLkhlYWRlcj5cbiAgICAgICAgPE1vZGFsLlRpdGxlPnt0KCdTTUFQSSBMb2cnKX08L01vZGFsLlRpdGxlPlxuICAgICAgPC9Nb2RhbC5IZWFkZXI+XG4gICAgICA8TW9kYWwuQm9keT5cbiAgICAgICAgeyhsb2cgPT09IHVuZGVmaW5lZCkgPyBudWxsIDogKFxuICAgICAgICAgIDw+XG4gICAgICAgICAgICA8cD5cbiAgICAgICAgICAgICAge3QoJ1NNQVBJIHt7c21hcGl9fSB3aXRoIFN0YXJkZXcgVmFsbGV5IHt7Z2FtZX19IG9uIHt7b3N9fScsIHtcbiAgICAgICAgICAgICAgICByZXBsYWNlOiB7XG4gICAgICAgICAgICAgICAgICBzbWFwaTogbG9nLnNtYXBpVmVyc2lvbiA/PyB0KCd1bmtub3duJyksXG4gICAgICAgICAgICAgICAgICBnYW1lOiBsb2cuZ2FtZVZlcnNpb24gPz8gdCgndW5rbm93bicpLFxuICAgICAgICAgICAgICAgICAgb3M6IGxvZy5vcyA/PyB0KCd1bmtub3duJyksXG4gICAgICAgICAgICAgICAgfSxcbiAgICAgICAgICAgICAgfSl9XG4gICAgICAgICAgICA8L3A+XG4gICAgICAgICAgICA8RmxleExheW91dCB0eXBlPSdyb3cnIGNsYXNzTmFtZT0nc2R2LWxvZy1maWx0ZXJzJz5cbiAgICAgICAgICAgICAgPEZsZXhMYXlvdXQuRmxleD5cbiAgICAgICAgICAgICAgICA8Rm9ybUNvbnRyb2xcbiAgICAgICAgICAgICAgICAgIHR5cGU9J3RleHQnXG4gICAgICAgICAgICAgICAgICB2YWx1ZT17ZmlsdGVyfVxuICAgICAgICAgICAgICAgICAgcGxhY2Vob2xkZXI9e3QoJ0ZpbHRlciBieSBtb2Qgb3IgdGV4dC4uLicpfVxuICAgICAgICAgICAgICAgICAgb25DaGFuZ2U9e29uU2V0RmlsdGVyfVxuICAgICAgICAgICAgICAgIC8+XG4gICAgICAgICAgICAgIDwvRmxleExheW91dC5GbGV4PlxuICAgICAgICAgICAgICA8RmxleExheW91dC5GaXhlZD5cbiAgICAgICAgICAgICAgICA8Rm9ybUNvbnRyb2wgY29tcG9uZW50Q2xhc3M9J3NlbGVjdCcgdmFsdWU9e2xldmVsfSBvbkNoYW5nZT17b25TZXRMZXZlbH0+XG4gICAgICAgICAgICAgICAgICA8b3B0aW9uIHZhbHVlPSdwcm9ibGVtcyc+e3QoJ0Vycm9ycyAmIFdhcm5pbmdzJyl9PC9vcHRpb24+XG4gICAgICAgICAgICAgICAgICA8b3B0aW9uIHZhbHVlPSdlcnJvcic+e3QoJ0Vycm9ycyBvbmx5Jyl9PC9vcHRpb24+XG4gICAgICAgICAgICAgICAgICA8b3B0aW9uIHZhbHVlPSdhbGwnPnt0KCdBbGwgbWVzc2FnZXMnKX08L29wdGlvbj5cbiAgICAgICAgICAgICAgICA8L0Zvcm1Db250cm9sPlxuICAgICAgICAgICAgICA8L0ZsZXhMYXlvdXQuRml4ZWQ+XG4gICAgICAgICAgICA8L0ZsZXhMYXlvdXQ+XG4gICAgICAgICAgICA8UGFuZWw+XG4gICAgICAgICAgICAgIDxQYW5lbC5IZWFkaW5nPnt0KCdTa2lwcGVkIG1vZHMgKHt7Y291bnR9fSknLCB7IGNvdW50OiBza2lwcGVkLmxlbmd0aCB9KX08L1BhbmVsLkhlYWRpbmc+XG4gICAgICAgICAgICAgIDxMaXN0R3JvdXA+XG4gICAgICAgICAgICAgICAge3NraXBwZWQubWFwKChtb2QsIGlkeCkgPT4gKFxuICAgICAgICAgICAgICAgICAgPExpc3RHcm91cEl0ZW0ga2V5PXtpZHh9PlxuICAgICAgICAgICAgICAgICAgICA8Yj57bW9kLm5hbWV9PC9iPiB7bW9kLnZlcnNpb24gPz8gJyd9IC0ge21vZC5yZWFzb259IHtyZW5kZXJPd25lcihtb2QubW9kSWQpfVxuICAgICAgICAgICAgICAgICAgPC9MaXN0R3JvdXBJdGVtPlxuICAgICAgICAgICAgICAgICkpfVxuICAgICAgICAgICAgICA8L0xpc3RHcm91cD5cbiAgICAgICAgICAgIDwvUGFuZWw+XG4gICAgICAgICAgICA8UGFuZWw+XG4gICAgICAgICAgICAgIDxQYW5lbC5IZWFkaW5nPnt0KCdNZXNzYWdlcyBieSBtb2QnKX08L1BhbmVsLkhlYWRpbmc+XG4gICAgICAgICAgICAgIHsoT2JqZWN0LmtleXMoZ3JvdXBzKS5sZW5ndGggPT09IDApXG4gICAgICAgICAgICAgICAgPyA8RW1wdHlQbGFjZWhvbGRlciBpY29uPSdmZWVkYmFjay1zdWNjZXNzJyB0ZXh0PXt0KCdObyBtYXRjaGluZyBtZXNzYWdlcycpfSAvPlxuICAgICAgICAgICAgICAgIDogPExpc3RHcm91cD57T2JqZWN0LmtleXMoZ3JvdXBzKS5tYXAocmVuZGVyR3JvdXApfTwvTGlzdEdyb3VwPn1cbiAgICAgICAgICAgIDwvUGFuZWw+XG4gICAgICAgICAgICA8UGFuZWw+XG4gICAgICAgICAgICAgIDxQYW5lbC5IZWFkaW5nPnt0KCdMb2FkZWQgbW9kcyAoe3tjb3VudH19KScsIHsgY291bnQ6IGxvYWRlZC5sZW5ndGggfSl9PC9QYW5lbC5IZWFkaW5nPlxuICAgICAgICAgICAgICA8TGlzdEdyb3VwPlxuICAgICAgICAgICAgICAgIHtsb2FkZWQubWFwKChtb2QsIGlkeCkgPT4gKFxuICAgICAgICAgICAgICAgICAgPExpc3RHcm91cEl0ZW0ga2V5PXtpZHh9PlxuICAgICAgICAgICAgICAgICAgICA8Yj57bW9kLm5hbWV9PC9iPiB7bW9kLnZlcnNpb259XG4gICAgICAgICAgICAgICAgICAgIHsobW9kLmF1dGhvciAhPT0gdW5kZWZpbmVkKSA/IGAgJHt0KCdieSB7e2F1dGhvcn19JywgeyByZXBsYWNlOiB7IGF1dGhvcjogbW9kLmF1dGhvciB9IH0pfWAgOiAnJ31cbiAgICAgICAgICAgICAgICAgICAgeyhtb2QuY29udGVudFBhY2tGb3IgIT09IHVuZGVmaW5lZClcbiAgICAgICAgICAgICAgICAgICAgICA/IGAgJHt0KCcoY29udGVudCBwYWNrIGZvciB7e2ZyYW1ld29ya319KScsIHsgcmVwbGFjZTogeyBmcmFtZXdvcms6IG1vZC5jb250ZW50UGFja0ZvciB9IH0pfWBcbiAgICAgICAgICAgICAgICAgICAgICA6ICcnfVxuICAgICAgICAgICAgICAgICAgICB7JyAnfXtyZW5kZXJPd25lcihtb2QubW9kSWQpfVxuICAgICAgICAgICAgICAgICAgPC9MaXN0R3JvdXBJdGVtPlxuICAgICAgICAgICAgICAgICkpfVxuICAgICAgICAgICAgICA8L0xpc3RHcm91cD5cbiAgICAgICAgICAgIDwvUGFuZWw+XG4gICAgICAgICAgPC8+XG4gICAgICAgICl9XG4gICAgICA8L01vZGFsLkJvZHk+XG4gICAgICA8TW9kYWwuRm9vdGVyPlxuICAgICAgICA8QnV0dG9uIG9uQ2xpY2s9e29uU2hhcmV9Pnt0KCdDb3B5ICYgU2hhcmUgbG9nJyl9PC9CdXR0b24+XG4gICAgICAgIDxCdXR0b24gb25DbGljaz17b25IaWRlfT57dCgnQ2xvc2UnKX08L0J1dHRvbj5cbiAgICAgIDwvTW9kYWwuRm9vdGVyPlxuICAgIDwvTW9kYWw+XG4gICk7XG59XG5cbmV4cG9ydCBkZWZhdWx0IFNNQVBJTG9nRGlhbG9nO1xuIl19
\ No newline at end of file
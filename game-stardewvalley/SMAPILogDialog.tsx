@@ -0,0 +1,160 @@
+import React from 'react';
+import { Button, FormControl, ListGroup, ListGroupItem, Panel } from 'react-bootstrap';
+import { useTranslation } from 'react-i18next';
+import { useSelector } from 'react-redux';
+import { EmptyPlaceholder, FlexLayout, Modal, types, util } from 'vortex-api';
+import { GAME_ID } from './common';
+import { ISMAPILog, ISMAPILogMessage } from './types';
+
+export interface ISMAPILogDialogProps {
+  visible: boolean;
+  onHide: () => void;
+  log: ISMAPILog;
+  onShare: () => void;
+}
+
+type LevelFilter = 'problems' | 'error' | 'all';
+
+const levelFilters: { [key in LevelFilter]: (msg: ISMAPILogMessage) => boolean } = {
+  problems: msg => ['error', 'warn'].includes(msg.level),
+  error: msg => msg.level === 'error',
+  all: () => true,
+};
+
+function SMAPILogDialog(props: ISMAPILogDialogProps) {
+  const { visible, onHide, log, onShare } = props;
+  const { t } = useTranslation();
+  const mods: { [modId: string]: types.IMod } = useSelector((state: types.IState) =>
+    state.persistent.mods[GAME_ID] ?? {});
+
+  const [filter, setFilter] = React.useState<string>('');
+  const [level, setLevel] = React.useState<LevelFilter>('problems');
+
+  const onSetFilter = React.useCallback((evt: React.FormEvent<any>) => {
+    setFilter(evt.currentTarget.value);
+  }, [setFilter]);
+
+  const onSetLevel = React.useCallback((evt: React.FormEvent<any>) => {
+    setLevel(evt.currentTarget.value as LevelFilter);
+  }, [setLevel]);
+
+  const modName = (modId: string) => (mods[modId] !== undefined)
+    ? util.renderModName(mods[modId])
+    : undefined;
+
+  const matches = (...fields: string[]) => {
+    const lower = filter.toLowerCase();
+    return (lower.length === 0)
+      || fields.find(field => (field ?? '').toLowerCase().includes(lower)) !== undefined;
+  };
+
+  // messages grouped by the mod they belong to
+  const groups = React.useMemo(() => (log?.messages ?? [])
+    .filter(levelFilters[level])
+    .filter(msg => matches(msg.source, msg.text, modName(msg.modId)))
+    .reduce((accum, msg) => {
+      const key = msg.modId ?? msg.source;
+      accum[key] = [].concat(accum[key] ?? [], msg);
+      return accum;
+    }, {} as { [key: string]: ISMAPILogMessage[] }), [log, level, filter, mods]);
+
+  const skipped = (log?.skipped ?? [])
+    .filter(mod => matches(mod.name, mod.reason, modName(mod.modId)));
+  const loaded = [].concat(log?.mods ?? [], log?.contentPacks ?? [])
+    .filter(mod => matches(mod.name, mod.author, mod.contentPackFor, modName(mod.modId)));
+
+  const renderOwner = (modId: string) => (modId !== undefined)
+    ? <span className='sdv-log-owner'>{t('Vortex mod: {{name}}', { replace: { name: modName(modId) } })}</span>
+    : null;
+
+  const renderGroup = (key: string) => {
+    const messages = groups[key];
+    return (
+      <ListGroupItem key={key}>
+        <h5>{messages[0].source} {renderOwner(messages[0].modId)}</h5>
+        {messages.map((msg, idx) => (
+          <pre key={idx} className={`sdv-log-message sdv-log-${msg.level}`}>
+            {`[${msg.time} ${msg.level.toUpperCase()}] ${msg.text}`}
+          </pre>
+        ))}
+      </ListGroupItem>
+    );
+  };
+
+  return (
+    <Modal id='sdv-smapi-log-dialog' show={visible} onHide={onHide}>
+      <Modal.Header>
+        <Modal.Title>{t('SMAPI Log')}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {(log === undefined) ? null : (
+          <>
+            <p>
+              {t('SMAPI {{smapi}} with Stardew Valley {{game}} on {{os}}', {
+                replace: {
+                  smapi: log.smapiVersion ?? t('unknown'),
+                  game: log.gameVersion ?? t('unknown'),
+                  os: log.os ?? t('unknown'),
+                },
+              })}
+            </p>
+            <FlexLayout type='row' className='sdv-log-filters'>
+              <FlexLayout.Flex>
+                <FormControl
+                  type='text'
+                  value={filter}
+                  placeholder={t('Filter by mod or text...')}
+                  onChange={onSetFilter}
+                />
+              </FlexLayout.Flex>
+              <FlexLayout.Fixed>
+                <FormControl componentClass='select' value={level} onChange={onSetLevel}>
+                  <option value='problems'>{t('Errors & Warnings')}</option>
+                  <option value='error'>{t('Errors only')}</option>
+                  <option value='all'>{t('All messages')}</option>
+                </FormControl>
+              </FlexLayout.Fixed>
+            </FlexLayout>
+            <Panel>
+              <Panel.Heading>{t('Skipped mods ({{count}})', { count: skipped.length })}</Panel.Heading>
+              <ListGroup>
+                {skipped.map((mod, idx) => (
+                  <ListGroupItem key={idx}>
+                    <b>{mod.name}</b> {mod.version ?? ''} - {mod.reason} {renderOwner(mod.modId)}
+                  </ListGroupItem>
+                ))}
+              </ListGroup>
+            </Panel>
+            <Panel>
+              <Panel.Heading>{t('Messages by mod')}</Panel.Heading>
+              {(Object.keys(groups).length === 0)
+                ? <EmptyPlaceholder icon='feedback-success' text={t('No matching messages')} />
+                : <ListGroup>{Object.keys(groups).map(renderGroup)}</ListGroup>}
+            </Panel>
+            <Panel>
+              <Panel.Heading>{t('Loaded mods ({{count}})', { count: loaded.length })}</Panel.Heading>
+              <ListGroup>
+                {loaded.map((mod, idx) => (
+                  <ListGroupItem key={idx}>
+                    <b>{mod.name}</b> {mod.version}
+                    {(mod.author !== undefined) ? ` ${t('by {{author}}', { replace: { author: mod.author } })}` : ''}
+                    {(mod.contentPackFor !== undefined)
+                      ? ` ${t('(content pack for {{framework}})', { replace: { framework: mod.contentPackFor } })}`
+                      : ''}
+                    {' '}{renderOwner(mod.modId)}
+                  </ListGroupItem>
+                ))}
+              </ListGroup>
+            </Panel>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button onClick={onShare}>{t('Copy & Share log')}</Button>
+        <Button onClick={onHide}>{t('Close')}</Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default SMAPILogDialog;
@@ -1,8 +1,21 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.SMAPI_URL = exports.SMAPI_MOD_ID = exports.SMAPI_IO_API_VERSION = exports.SMAPI_QUERY_FREQUENCY = void 0;
-exports.SMAPI_QUERY_FREQUENCY = 1000 * 60 * 24 * 7;
+exports.CONTENT_PACK_FRAMEWORKS = exports.SMAPI_URL = exports.SMAPI_MOD_ID = exports.SMAPI_QUERY_BATCH_SIZE = exports.SMAPI_API_URL = exports.SMAPI_IO_API_VERSION = exports.SMAPI_QUERY_FREQUENCY = void 0;
+exports.SMAPI_QUERY_FREQUENCY = 1000 * 60 * 60 * 24 * 7;
 exports.SMAPI_IO_API_VERSION = '3.0.0';
+exports.SMAPI_API_URL = 'https://smapi.io/api/v3.0';
+exports.SMAPI_QUERY_BATCH_SIZE = 100;
 exports.SMAPI_MOD_ID = 2400;
 exports.SMAPI_URL = `https://www.nexusmods.com/stardewvalley/mods/${exports.SMAPI_MOD_ID}`;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uc3RhbnRzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiY29uc3RhbnRzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUNhLFFBQUEscUJBQXFCLEdBQVcsSUFBSSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsQ0FBQyxDQUFDO0FBRW5ELFFBQUEsb0JBQW9CLEdBQUcsT0FBTyxDQUFDO0FBRS9CLFFBQUEsWUFBWSxHQUFHLElBQUksQ0FBQztBQUVwQixRQUFBLFNBQVMsR0FBRyxnREFBZ0Qsb0JBQVksRUFBRSxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLy8gb25jZSBhIHdlZWtcclxuZXhwb3J0IGNvbnN0IFNNQVBJX1FVRVJZX0ZSRVFVRU5DWTogbnVtYmVyID0gMTAwMCAqIDYwICogMjQgKiA3O1xyXG5cclxuZXhwb3J0IGNvbnN0IFNNQVBJX0lPX0FQSV9WRVJTSU9OID0gJzMuMC4wJztcclxuXHJcbmV4cG9ydCBjb25zdCBTTUFQSV9NT0RfSUQgPSAyNDAwO1xyXG5cclxuZXhwb3J0IGNvbnN0IFNNQVBJX1VSTCA9IGBodHRwczovL3d3dy5uZXh1c21vZHMuY29tL3N0YXJkZXd2YWxsZXkvbW9kcy8ke1NNQVBJX01PRF9JRH1gO1xyXG4iXX0=
\ No newline at end of file
+exports.CONTENT_PACK_FRAMEWORKS = {
+    'pathoschild.contentpatcher': 'Content Patcher',
+    'spacechase0.jsonassets': 'Json Assets',
+    'spacechase0.dynamicgameassets': 'Dynamic Game Assets',
+    'peacefulend.alternativetextures': 'Alternative Textures',
+    'peacefulend.fashionsense': 'Fashion Sense',
+    'esca.farmtypemanager': 'Farm Type Manager',
+    'digus.mailframeworkmod': 'Mail Framework Mod',
+    'digus.producerframeworkmod': 'Producer Framework Mod',
+    'cherry.shoptileframework': 'Shop Tile Framework',
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uc3RhbnRzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiY29uc3RhbnRzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUNhLFFBQUEscUJBQXFCLEdBQVcsSUFBSSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztBQUV4RCxRQUFBLG9CQUFvQixHQUFHLE9BQU8sQ0FBQztBQUkvQixRQUFBLGFBQWEsR0FBRywyQkFBMkIsQ0FBQztBQUc1QyxRQUFBLHNCQUFzQixHQUFHLEdBQUcsQ0FBQztBQUU3QixRQUFBLFlBQVksR0FBRyxJQUFJLENBQUM7QUFFcEIsUUFBQSxTQUFTLEdBQUcsZ0RBQWdELG9CQUFZLEVBQUUsQ0FBQztBQUszRSxRQUFBLHVCQUF1QixHQUFtQztJQUNyRSw0QkFBNEIsRUFBRSxpQkFBaUI7SUFDL0Msd0JBQXdCLEVBQUUsYUFBYTtJQUN2QywrQkFBK0IsRUFBRSxxQkFBcUI7SUFDdEQsaUNBQWlDLEVBQUUsc0JBQXNCO0lBQ3pELDBCQUEwQixFQUFFLGVBQWU7SUFDM0Msc0JBQXNCLEVBQUUsbUJBQW1CO0lBQzNDLHdCQUF3QixFQUFFLG9CQUFvQjtJQUM5Qyw0QkFBNEIsRUFBRSx3QkFBd0I7SUFDdEQsMEJBQTBCLEVBQUUscUJBQXFCO0NBQ2xELENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvLyBvbmNlIGEgd2Vla1xuZXhwb3J0IGNvbnN0IFNNQVBJX1FVRVJZX0ZSRVFVRU5DWTogbnVtYmVyID0gMTAwMCAqIDYwICogNjAgKiAyNCAqIDc7XG5cbmV4cG9ydCBjb25zdCBTTUFQSV9JT19BUElfVkVSU0lPTiA9ICczLjAuMCc7XG5cbi8vIGJhc2UgdXJsIG9mIHRoZSBzbWFwaS5pbyB3ZWIgYXBpLiBDYW4gYmUgb3ZlcnJpZGRlbiB0aHJvdWdoIHRoZSBTTUFQSV9BUElfVVJMXG4vLyAgZW52aXJvbm1lbnQgdmFyaWFibGUsIGUuZy4gdG8gcG9pbnQgYXQgYSBsb2NhbCBzdGFuZC1pbiBzZXJ2ZXJcbmV4cG9ydCBjb25zdCBTTUFQSV9BUElfVVJMID0gJ2h0dHBzOi8vc21hcGkuaW8vYXBpL3YzLjAnO1xuXG4vLyBtYXhpbXVtIG51bWJlciBvZiBtb2RzIHNlbnQgdG8gc21hcGkuaW8gaW4gYSBzaW5nbGUgcmVxdWVzdFxuZXhwb3J0IGNvbnN0IFNNQVBJX1FVRVJZX0JBVENIX1NJWkUgPSAxMDA7XG5cbmV4cG9ydCBjb25zdCBTTUFQSV9NT0RfSUQgPSAyNDAwO1xuXG5leHBvcnQgY29uc3QgU01BUElfVVJMID0gYGh0dHBzOi8vd3d3Lm5leHVzbW9kcy5jb20vc3RhcmRld3ZhbGxleS9tb2RzLyR7U01BUElfTU9EX0lEfWA7XG5cblxuLy8gZnJhbWV3b3JrcyB0aGF0IGxvYWQgY29udGVudCBwYWNrcywga2V5ZWQgYnkgdGhlaXIgbG93ZXItY2FzZWQgVW5pcXVlSUQuIENvbnRlbnQgcGFja3Ncbi8vICBmb3IgZnJhbWV3b3JrcyBub3QgbGlzdGVkIGhlcmUgYXJlIGdyb3VwZWQgdW5kZXIgdGhlIGZyYW1ld29yaydzIFVuaXF1ZUlEXG5leHBvcnQgY29uc3QgQ09OVEVOVF9QQUNLX0ZSQU1FV09SS1M6IHsgW3VuaXF1ZUlkOiBzdHJpbmddOiBzdHJpbmcgfSA9IHtcbiAgJ3BhdGhvc2NoaWxkLmNvbnRlbnRwYXRjaGVyJzogJ0NvbnRlbnQgUGF0Y2hlcicsXG4gICdzcGFjZWNoYXNlMC5qc29uYXNzZXRzJzogJ0pzb24gQXNzZXRzJyxcbiAgJ3NwYWNlY2hhc2UwLmR5bmFtaWNnYW1lYXNzZXRzJzogJ0R5bmFtaWMgR2FtZSBBc3NldHMnLFxuICAncGVhY2VmdWxlbmQuYWx0ZXJuYXRpdmV0ZXh0dXJlcyc6ICdBbHRlcm5hdGl2ZSBUZXh0dXJlcycsXG4gICdwZWFjZWZ1bGVuZC5mYXNoaW9uc2Vuc2UnOiAnRmFzaGlvbiBTZW5zZScsXG4gICdlc2NhLmZhcm10eXBlbWFuYWdlcic6ICdGYXJtIFR5cGUgTWFuYWdlcicsXG4gICdkaWd1cy5tYWlsZnJhbWV3b3JrbW9kJzogJ01haWwgRnJhbWV3b3JrIE1vZCcsXG4gICdkaWd1cy5wcm9kdWNlcmZyYW1ld29ya21vZCc6ICdQcm9kdWNlciBGcmFtZXdvcmsgTW9kJyxcbiAgJ2NoZXJyeS5zaG9wdGlsZWZyYW1ld29yayc6ICdTaG9wIFRpbGUgRnJhbWV3b3JrJyxcbn07XG4iXX0=
\ No newline at end of file
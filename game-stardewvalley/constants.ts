@@ -1,8 +1,30 @@
 // once a week
-export const SMAPI_QUERY_FREQUENCY: number = 1000 * 60 * 24 * 7;
+export const SMAPI_QUERY_FREQUENCY: number = 1000 * 60 * 60 * 24 * 7;
 
 export const SMAPI_IO_API_VERSION = '3.0.0';
 
+// base url of the smapi.io web api. Can be overridden through the SMAPI_API_URL
+//  environment variable, e.g. to point at a local stand-in server
+export const SMAPI_API_URL = 'https://smapi.io/api/v3.0';
+
+// maximum number of mods sent to smapi.io in a single request
+export const SMAPI_QUERY_BATCH_SIZE = 100;
+
 export const SMAPI_MOD_ID = 2400;
 
 export const SMAPI_URL = `https://www.nexusmods.com/stardewvalley/mods/${SMAPI_MOD_ID}`;
+
+
+// frameworks that load content packs, keyed by their lower-cased UniqueID. Content packs
+//  for frameworks not listed here are grouped under the framework's UniqueID
+export const CONTENT_PACK_FRAMEWORKS: { [uniqueId: string]: string } = {
+  'pathoschild.contentpatcher': 'Content Patcher',
+  'spacechase0.jsonassets': 'Json Assets',
+  'spacechase0.dynamicgameassets': 'Dynamic Game Assets',
+  'peacefulend.alternativetextures': 'Alternative Textures',
+  'peacefulend.fashionsense': 'Fashion Sense',
+  'esca.farmtypemanager': 'Farm Type Manager',
+  'digus.mailframeworkmod': 'Mail Framework Mod',
+  'digus.producerframeworkmod': 'Producer Framework Mod',
+  'cherry.shoptileframework': 'Shop Tile Framework',
+};
@@ -7,15 +7,18 @@ import { actions, fs, log, selectors, util, types } from 'vortex-api';
 import * as winapi from 'winapi-bindings';
 import { setRecommendations } from './actions';
 import CompatibilityIcon from './CompatibilityIcon';
-import { SMAPI_QUERY_FREQUENCY } from './constants';
+import { CONTENT_PACK_FRAMEWORKS, SMAPI_QUERY_FREQUENCY } from './constants';
 
 import DependencyManager from './DependencyManager';
 import sdvReducers from './reducers';
 import Settings from './Settings';
+import SMAPILogDialog from './SMAPILogDialog';
+import { assignLogOwners, parseSMAPILog } from './smapiLog';
 import SMAPIProxy from './smapiProxy';
-import { testSMAPIOutdated } from './tests';
-import { compatibilityOptions, CompatibilityStatus, ISDVDependency, ISDVModManifest, ISMAPIResult } from './types';
-import { parseManifest } from './util';
+import { describeIssue, testDuplicateUniqueIds, testMissingDependencies, testSMAPIOutdated } from './tests';
+import { compatibilityOptions, CompatibilityStatus, ISDVDependency, ISDVDependencyIssue, ISDVModManifest,
+         ISMAPIIOQuery, ISMAPILog, ISMAPIResult } from './types';
+import { frameworkName, parseManifest, semverCompare } from './util';
 
 const path = require('path'),
   { clipboard } = require('electron'),
@@ -366,6 +369,30 @@ async function install(api,
     });
   }
 
+  // content packs are tagged with the framework they're for so they can be grouped
+  //  on the mods page. Archives with packs for different frameworks don't belong
+  //  to any one group.
+  const contentPacks = mods.filter(mod => typeof(mod.manifest.ContentPackFor?.UniqueID) === 'string');
+  const packInstructions: types.IInstruction[] = [];
+  if (contentPacks.length > 0) {
+    const frameworkIds = new Set<string>(contentPacks.map(mod =>
+      mod.manifest.ContentPackFor.UniqueID.toLowerCase()));
+    if (frameworkIds.size === 1) {
+      packInstructions.push({
+        type: 'attribute',
+        key: 'sdvPackType',
+        value: frameworkName(contentPacks[0].manifest.ContentPackFor.UniqueID),
+      });
+    }
+    try {
+      // only a warning, this must not fail the installation
+      await checkContentPackFrameworks(api, dependencyManager, mods.map(mod => mod.manifest),
+                                       contentPacks.map(mod => mod.manifest));
+    } catch (err) {
+      log('warn', 'failed to check content pack frameworks', err.message);
+    }
+  }
+
   return Bluebird.map(mods, mod => {
     // TODO: we might get here with a mod that has a manifest.json file but wasn't intended for Stardew Valley, all
     //  thunderstore mods will contain a manifest.json file
@@ -432,11 +459,50 @@ async function install(api,
     return instructions;
   })
     .then(data => {
-      const instructions = [].concat(data).reduce((accum, iter) => accum.concat(iter), []);
+      const instructions = [].concat(data).reduce((accum, iter) => accum.concat(iter), packInstructions);
       return Promise.resolve({ instructions });
     });
 }
 
+/**
+ * warn the user if content packs get installed for a framework mod that isn't
+ *  enabled or doesn't satisfy the version required by the pack
+ */
+async function checkContentPackFrameworks(api: types.IExtensionApi,
+                                          dependencyManager: DependencyManager,
+                                          archiveManifests: ISDVModManifest[],
+                                          contentPacks: ISDVModManifest[]) {
+  const bundled = (dep: ISDVDependency) => archiveManifests.find(manifest =>
+    (manifest.UniqueID?.toLowerCase() === dep.UniqueID.toLowerCase())
+    && ((dep.MinimumVersion === undefined)
+        || (semverCompare(manifest.Version ?? '0.0.0', dep.MinimumVersion) >= 0))) !== undefined;
+
+  const issues: ISDVDependencyIssue[] = [];
+  for (const manifest of contentPacks) {
+    const dep: ISDVDependency = { ...manifest.ContentPackFor, IsRequired: true };
+    if (bundled(dep)) {
+      continue;
+    }
+    const issue = await dependencyManager.checkDependency(dep, {
+      uniqueId: manifest.UniqueID?.toLowerCase(),
+      modId: undefined,
+      manifest,
+    });
+    if (issue !== undefined) {
+      issues.push(issue);
+    }
+  }
+
+  if (issues.length > 0) {
+    api.sendNotification({
+      id: 'sdv-content-pack-framework',
+      type: 'warning',
+      title: 'Content pack framework missing or outdated',
+      message: issues.map(issue => describeIssue(api.translate, issue)).join('\n'),
+    });
+  }
+}
+
 function isSMAPIModType(instructions) {
   // Find the SMAPI exe file.
   const smapiData = instructions.find(inst => (inst.type === 'copy') && inst.source.endsWith(SMAPI_EXE));
@@ -532,33 +598,49 @@ async function installSMAPI(getDiscoveryPath, files, destinationPath) {
   return Promise.resolve({ instructions });
 }
 
-async function showSMAPILog(api, basePath, logFile) {
+interface ISMAPILogView {
+  log: ISMAPILog;
+  onShare: () => void;
+}
+
+async function showSMAPILog(api: types.IExtensionApi,
+                            dependencyManager: DependencyManager,
+                            basePath: string,
+                            logFile: string): Promise<ISMAPILogView> {
   const logData = await fs.readFileAsync(path.join(basePath, logFile), { encoding: 'utf-8' });
-  await api.showDialog('info', 'SMAPI Log', {
-    text: 'Your SMAPI log is displayed below. To share it, click "Copy & Share" which will copy it to your clipboard and open the SMAPI log sharing website. ' +
-      'Next, paste your code into the text box and press "save & parse log". You can now share a link to this page with others so they can see your log file.\n\n' + logData
-  }, [{
-    label: 'Copy & Share log', action: () => {
-      const timestamp = new Date().toISOString().replace(/^.+T([^\.]+).+/, '$1');
-      clipboard.writeText(`[${timestamp} INFO Vortex] Log exported by Vortex ${util.getApplication().version}.\n` + logData);
-      return util.opn('https://smapi.io/log').catch(err => undefined);
-    }
-  }, { label: 'Close', action: () => undefined }]);
+  let manifests = {};
+  try {
+    manifests = await dependencyManager?.getManifests() ?? {};
+  } catch (err) {
+    log('warn', 'failed to read manifests, SMAPI log entries won\'t be mapped to mods', err.message);
+  }
+  const onShare = () => {
+    const timestamp = new Date().toISOString().replace(/^.+T([^\.]+).+/, '$1');
+    clipboard.writeText(`[${timestamp} INFO Vortex] Log exported by Vortex ${util.getApplication().version}.\n` + logData);
+    util.opn('https://smapi.io/log').catch(err => undefined);
+  };
+  return {
+    log: assignLogOwners(parseSMAPILog(logData), manifests),
+    onShare,
+  };
 }
 
-async function onShowSMAPILog(api) {
+async function onShowSMAPILog(api: types.IExtensionApi,
+                              dependencyManager: DependencyManager)
+                              : Promise<ISMAPILogView> {
   //Read and display the log.
   const basePath = path.join(util.getVortexPath('appData'), 'stardewvalley', 'errorlogs');
   try {
     //If the crash log exists, show that.
-    await showSMAPILog(api, basePath, "SMAPI-crash.txt");
+    return await showSMAPILog(api, dependencyManager, basePath, "SMAPI-crash.txt");
   } catch (err) {
     try {
       //Otherwise show the normal log.
-      await showSMAPILog(api, basePath, "SMAPI-latest.txt");
+      return await showSMAPILog(api, dependencyManager, basePath, "SMAPI-latest.txt");
     } catch (err) {
       //Or Inform the user there are no logs.
       api.sendNotification({ type: 'info', title: 'No SMAPI logs found.', message: '', displayMS: 5000 });
+      return undefined;
     }
   }
 }
@@ -583,42 +665,45 @@ function getModManifests(modPath?: string): Promise<string[]> {
 function updateConflictInfo(api: types.IExtensionApi,
                             smapi: SMAPIProxy,
                             gameId: string,
-                            modId: string)
+                            modIds: string[])
                             : Promise<void> {
-  const mod = api.getState().persistent.mods[gameId][modId];
-
-  if (mod === undefined) {
-    return Promise.resolve();
-  }
+  const mods = api.getState().persistent.mods[gameId] ?? {};
 
   const now = Date.now();
 
-  if ((now - mod.attributes?.lastSMAPIQuery ?? 0) < SMAPI_QUERY_FREQUENCY) {
-    return Promise.resolve();
-  }
+  const queries: { [modId: string]: ISMAPIIOQuery[] } = modIds
+    .filter(modId => mods[modId] !== undefined)
+    .filter(modId => (now - (mods[modId].attributes?.lastSMAPIQuery ?? 0)) >= SMAPI_QUERY_FREQUENCY)
+    .reduce((accum, modId) => {
+      const mod = mods[modId];
+      let additionalLogicalFileNames = mod.attributes?.additionalLogicalFileNames;
+      if (!additionalLogicalFileNames) {
+        if (mod.attributes?.logicalFileName) {
+          additionalLogicalFileNames = [mod.attributes?.logicalFileName];
+        } else {
+          additionalLogicalFileNames = [];
+        }
+      }
 
-  let additionalLogicalFileNames = mod.attributes?.additionalLogicalFileNames;
-  if (!additionalLogicalFileNames) {
-    if (mod.attributes?.logicalFileName) {
-      additionalLogicalFileNames = [mod.attributes?.logicalFileName];
-    } else {
-      additionalLogicalFileNames = [];
-    }
-  }
+      accum[modId] = additionalLogicalFileNames
+        .map(name => {
+          const res: ISMAPIIOQuery = {
+            id: name,
+          };
+          const ver = mod.attributes?.manifestVersion
+                         ?? semver.coerce(mod.attributes?.version)?.version;
+          if (!!ver) {
+            res.installedVersion = ver;
+          }
 
-  const query = additionalLogicalFileNames
-    .map(name => {
-      const res = {
-        id: name,
-      };
-      const ver = mod.attributes?.manifestVersion
-                     ?? semver.coerce(mod.attributes?.version)?.version;
-      if (!!ver) {
-        res['installedVersion'] = ver;
-      }
+          return res;
+        });
+      return accum;
+    }, {});
 
-      return res;
-    });
+  if (Object.keys(queries).length === 0) {
+    return Promise.resolve();
+  }
 
   const stat = (item: ISMAPIResult): CompatibilityStatus => {
     const status = item.metadata?.compatibilityStatus?.toLowerCase?.();
@@ -631,30 +716,41 @@ function updateConflictInfo(api: types.IExtensionApi,
 
   const compatibilityPrio = (item: ISMAPIResult) => compatibilityOptions.indexOf(stat(item));
 
-  return smapi.findByNames(query)
-    .then(results => {
-      const worstStatus: ISMAPIResult[] = results
-        .sort((lhs, rhs) => compatibilityPrio(lhs) - compatibilityPrio(rhs));
-      if (worstStatus.length > 0) {
-        api.store.dispatch(actions.setModAttributes(gameId, modId, {
-          lastSMAPIQuery: now,
-          compatibilityStatus: worstStatus[0].metadata.compatibilityStatus,
-          compatibilityMessage: worstStatus[0].metadata.compatibilitySummary,
-          compatibilityUpdate: worstStatus[0].suggestedUpdate?.version,
-        }));
-      } else {
-        log('debug', 'no manifest');
-        api.store.dispatch(actions.setModAttribute(gameId, modId, 'lastSMAPIQuery', now));
+  // all mods are sent to smapi.io in as few requests as possible
+  return smapi.lookup([].concat(...Object.values(queries)))
+    .then(({ results, failed }) => {
+      const failedIds = failed.map(query => query.id.toLowerCase());
+      for (const [modId, modQueries] of Object.entries(queries)) {
+        const ids = modQueries.map(query => query.id.toLowerCase());
+        // results of failed queries come from outdated cache entries (if any), don't
+        //  record the query so it gets retried next time
+        const queried = ids.find(id => failedIds.includes(id)) === undefined;
+        const worstStatus: ISMAPIResult[] = results
+          .filter(result => ids.includes(result.id?.toLowerCase()))
+          .sort((lhs, rhs) => compatibilityPrio(lhs) - compatibilityPrio(rhs));
+        if (worstStatus.length > 0) {
+          api.store.dispatch(actions.setModAttributes(gameId, modId, {
+            ...(queried ? { lastSMAPIQuery: now } : {}),
+            compatibilityStatus: worstStatus[0].metadata.compatibilityStatus,
+            compatibilityMessage: worstStatus[0].metadata.compatibilitySummary,
+            compatibilityUpdate: worstStatus[0].suggestedUpdate?.version,
+          }));
+        } else if (queried) {
+          log('debug', 'no manifest', { modId });
+          api.store.dispatch(actions.setModAttribute(gameId, modId, 'lastSMAPIQuery', now));
+        }
       }
     })
     .catch(err => {
+      // neither smapi.io nor the cache could provide any information, don't record
+      //  the query so we try again next time
       log('warn', 'error reading manifest', err.message);
-      api.store.dispatch(actions.setModAttribute(gameId, modId, 'lastSMAPIQuery', now));
     });
 }
 
 function init(context: types.IExtensionContext) {
   let dependencyManager: DependencyManager;
+  let proxy: SMAPIProxy;
   const getDiscoveryPath = () => {
     const state = context.api.store.getState();
     const discovery = util.getSafe(state, ['settings', 'gameMode', 'discovered', GAME_ID], undefined);
@@ -811,8 +907,22 @@ function init(context: types.IExtensionContext) {
         : Bluebird.resolve(hasContentFolder);
     });
 
+  let smapiLogView: ISMAPILogView;
+  context.registerDialog('sdv-smapi-log', SMAPILogDialog, () => ({
+    log: smapiLogView?.log,
+    onShare: () => smapiLogView?.onShare(),
+  }));
+
   context.registerAction('mod-icons', 999, 'changelog', {}, 'SMAPI Log',
-    () => { onShowSMAPILog(context.api); },
+    () => {
+      onShowSMAPILog(context.api, dependencyManager)
+        .then(view => {
+          if (view !== undefined) {
+            smapiLogView = view;
+            context.api.store.dispatch(actions.setDialogVisible('sdv-smapi-log'));
+          }
+        });
+    },
     () => {
       //Only show the SMAPI log button for SDV. 
       const state = context.api.store.getState();
@@ -837,10 +947,33 @@ function init(context: types.IExtensionContext) {
     edit: {},
   });
 
-  /*
+  context.registerTableAttribute('mods', {
+    id: 'sdv-content-pack-for',
+    position: 110,
+    condition: () => selectors.activeGameId(context.api.getState()) === GAME_ID,
+    placement: 'both',
+    calc: (mod: types.IMod) => {
+      if (mod.attributes?.sdvPackType !== undefined) {
+        return mod.attributes.sdvPackType;
+      }
+      // put the framework mods themselves in the same group as their content packs
+      const framework = (mod.attributes?.additionalLogicalFileNames ?? [])
+        .find(uniqueId => CONTENT_PACK_FRAMEWORKS[uniqueId] !== undefined);
+      return (framework !== undefined) ? frameworkName(framework) : undefined;
+    },
+    name: 'Content Pack For',
+    help: 'The framework mod a content pack is loaded by. Group by this column to see '
+        + 'content packs next to the framework they extend.',
+    isDefaultVisible: false,
+    isGroupable: true,
+    isSortable: true,
+    edit: {},
+  });
+
   context.registerTest('sdv-missing-dependencies', 'gamemode-activated',
-    () => testMissingDependencies(context.api, dependencyManager));
-  */
+    () => Bluebird.resolve(testMissingDependencies(context.api, dependencyManager, proxy)));
+  context.registerTest('sdv-duplicate-unique-ids', 'gamemode-activated',
+    () => Bluebird.resolve(testDuplicateUniqueIds(context.api, dependencyManager)));
   context.registerTest('sdv-incompatible-mods', 'gamemode-activated',
     () => Bluebird.resolve(testSMAPIOutdated(context.api, dependencyManager)));
 
@@ -850,7 +983,7 @@ function init(context: types.IExtensionContext) {
   }
 
   context.once(() => {
-    const proxy = new SMAPIProxy(context.api);
+    proxy = new SMAPIProxy(context.api, process.env.SMAPI_API_URL);
     context.api.setStylesheet('sdv', path.join(__dirname, 'sdvstyle.scss'));
 
     context.api.addMetaServer('smapi.io', {
@@ -950,7 +1083,7 @@ function init(context: types.IExtensionContext) {
       if (gameId !== GAME_ID) {
         return;
       }
-      updateConflictInfo(context.api, proxy, gameId, modId)
+      updateConflictInfo(context.api, proxy, gameId, [modId])
         .then(() => log('debug', 'added compatibility info', { modId }))
         .catch(err => log('error', 'failed to add compatibility info', { modId, error: err.message }));
 
@@ -963,8 +1096,8 @@ function init(context: types.IExtensionContext) {
 
       const state = context.api.getState();
       log('debug', 'updating SDV compatibility info');
-      Promise.all(Object.keys(state.persistent.mods[gameMode] ?? {}).map(modId =>
-        updateConflictInfo(context.api, proxy, gameMode, modId)))
+      const modIds = Object.keys(state.persistent.mods[gameMode] ?? {});
+      updateConflictInfo(context.api, proxy, gameMode, modIds)
         .then(() => {
           log('debug', 'done updating compatibility info');
         })
@@ -0,0 +1,71 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const path_1 = __importDefault(require("path"));
+const vortex_api_1 = require("vortex-api");
+class SMAPICache {
+    constructor(filePath) {
+        this.mEntries = {};
+        this.mDirty = false;
+        this.mFilePath = filePath;
+    }
+    get(query) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.load();
+            return this.mEntries[this.makeKey(query)];
+        });
+    }
+    set(query, result, now) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.load();
+            this.mEntries[this.makeKey(query)] = { lastQuery: now, result };
+            this.mDirty = true;
+        });
+    }
+    save() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.mDirty) {
+                return;
+            }
+            try {
+                yield vortex_api_1.fs.ensureDirWritableAsync(path_1.default.dirname(this.mFilePath));
+                yield vortex_api_1.util.writeFileAtomic(this.mFilePath, JSON.stringify(this.mEntries));
+                this.mDirty = false;
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('error', 'failed to save smapi cache', err.message);
+            }
+        });
+    }
+    load() {
+        if (this.mLoad === undefined) {
+            this.mLoad = vortex_api_1.fs.readFileAsync(this.mFilePath, { encoding: 'utf8' })
+                .then(data => {
+                this.mEntries = Object.assign(Object.assign({}, JSON.parse(data)), this.mEntries);
+            })
+                .catch(err => {
+                if (err.code !== 'ENOENT') {
+                    (0, vortex_api_1.log)('error', 'failed to load smapi cache', err.message);
+                }
+            });
+        }
+        return this.mLoad;
+    }
+    makeKey(query) {
+        var _a;
+        return `${query.id.toLowerCase()}@${(_a = query.installedVersion) !== null && _a !== void 0 ? _a : '*'}`;
+    }
+}
+exports.default = SMAPICache;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic21hcGlDYWNoZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNtYXBpQ2FjaGUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7QUFBQSxnREFBd0I7QUFDeEIsMkNBQTJDO0FBYzNDLE1BQU0sVUFBVTtJQU1kLFlBQVksUUFBZ0I7UUFKcEIsYUFBUSxHQUFtQyxFQUFFLENBQUM7UUFFOUMsV0FBTSxHQUFZLEtBQUssQ0FBQztRQUc5QixJQUFJLENBQUMsU0FBUyxHQUFHLFFBQVEsQ0FBQztJQUM1QixDQUFDO0lBRVksR0FBRyxDQUFDLEtBQW9COztZQUNuQyxNQUFNLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNsQixPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQzVDLENBQUM7S0FBQTtJQUVZLEdBQUcsQ0FBQyxLQUFvQixFQUFFLE1BQTJCLEVBQUUsR0FBVzs7WUFDN0UsTUFBTSxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDbEIsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsRUFBRSxTQUFTLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxDQUFDO1lBQ2hFLElBQUksQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDO1FBQ3JCLENBQUM7S0FBQTtJQUVZLElBQUk7O1lBQ2YsSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUU7Z0JBQ2hCLE9BQU87YUFDUjtZQUNELElBQUk7Z0JBQ0YsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztnQkFDOUQsTUFBTSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7Z0JBQzFFLElBQUksQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDO2FBQ3JCO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSw0QkFBNEIsRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7YUFDekQ7UUFDSCxDQUFDO0tBQUE7SUFFTyxJQUFJO1FBQ1YsSUFBSSxJQUFJLENBQUMsS0FBSyxLQUFLLFNBQVMsRUFBRTtZQUM1QixJQUFJLENBQUMsS0FBSyxHQUFHLGVBQUUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQztpQkFDaEUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFO2dCQUNYLElBQUksQ0FBQyxRQUFRLG1DQUFRLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUssSUFBSSxDQUFDLFFBQVEsQ0FBRSxDQUFDO1lBQzVELENBQUMsQ0FBQztpQkFDRCxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUU7Z0JBQ1gsSUFBSSxHQUFHLENBQUMsSUFBSSxLQUFLLFFBQVEsRUFBRTtvQkFDekIsSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSw0QkFBNEIsRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7aUJBQ3pEO1lBQ0gsQ0FBQyxDQUFDLENBQUM7U0FDTjtRQUNELE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQztJQUNwQixDQUFDO0lBRU8sT0FBTyxDQUFDLEtBQW9COztRQUNsQyxPQUFPLEdBQUcsS0FBSyxDQUFDLEVBQUUsQ0FBQyxXQUFXLEVBQUUsSUFBSSxNQUFBLEtBQUssQ0FBQyxnQkFBZ0IsbUNBQUksR0FBRyxFQUFFLENBQUM7SUFDdEUsQ0FBQztDQUNGO0FBRUQsa0JBQWUsVUFBVSxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgeyBmcywgbG9nLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5pbXBvcnQgeyBJU01BUElJT1F1ZXJ5LCBJU01BUElSZXN1bHQgfSBmcm9tICcuL3R5cGVzJztcblxuaW50ZXJmYWNlIElDYWNoZUVudHJ5IHtcbiAgbGFzdFF1ZXJ5OiBudW1iZXI7XG4gIC8vIG51bGwgaWYgc21hcGkuaW8gaGFkIG5vIGluZm9ybWF0aW9uIGFib3V0IHRoZSBtb2RcbiAgcmVzdWx0OiBJU01BUElSZXN1bHQgfCBudWxsO1xufVxuXG4vKipcbiAqIG9uLWRpc2sgY2FjaGUgb2Ygc21hcGkuaW8gY29tcGF0aWJpbGl0eSByZXN1bHRzLCBrZXllZCBieSBVbmlxdWVJRCBhbmRcbiAqICBpbnN0YWxsZWQgdmVyc2lvbiBzbyB0aGF0IHRoZSBjb21wYXRpYmlsaXR5IGluZm8gcmVtYWlucyBhdmFpbGFibGVcbiAqICB3aGlsZSBvZmZsaW5lIG9yIHdoZW4gdGhlIHNlcnZpY2UgaXMgdW5yZWFjaGFibGUuXG4gKi9cbmNsYXNzIFNNQVBJQ2FjaGUge1xuICBwcml2YXRlIG1GaWxlUGF0aDogc3RyaW5nO1xuICBwcml2YXRlIG1FbnRyaWVzOiB7IFtrZXk6IHN0cmluZ106IElDYWNoZUVudHJ5IH0gPSB7fTtcbiAgcHJpdmF0ZSBtTG9hZDogUHJvbWlzZTx2b2lkPjtcbiAgcHJpdmF0ZSBtRGlydHk6IGJvb2xlYW4gPSBmYWxzZTtcblxuICBjb25zdHJ1Y3RvcihmaWxlUGF0aDogc3RyaW5nKSB7XG4gICAgdGhpcy5tRmlsZVBhdGggPSBmaWxlUGF0aDtcbiAgfVxuXG4gIHB1YmxpYyBhc3luYyBnZXQocXVlcnk6IElTTUFQSUlPUXVlcnkpOiBQcm9taXNlPElDYWNoZUVudHJ5PiB7XG4gICAgYXdhaXQgdGhpcy5sb2FkKCk7XG4gICAgcmV0dXJuIHRoaXMubUVudHJpZXNbdGhpcy5tYWtlS2V5KHF1ZXJ5KV07XG4gIH1cblxuICBwdWJsaWMgYXN5bmMgc2V0KHF1ZXJ5OiBJU01BUElJT1F1ZXJ5LCByZXN1bHQ6IElTTUFQSVJlc3VsdCB8IG51bGwsIG5vdzogbnVtYmVyKTogUHJvbWlzZTx2b2lkPiB7XG4gICAgYXdhaXQgdGhpcy5sb2FkKCk7XG4gICAgdGhpcy5tRW50cmllc1t0aGlzLm1ha2VLZXkocXVlcnkpXSA9IHsgbGFzdFF1ZXJ5OiBub3csIHJlc3VsdCB9O1xuICAgIHRoaXMubURpcnR5ID0gdHJ1ZTtcbiAgfVxuXG4gIHB1YmxpYyBhc3luYyBzYXZlKCk6IFByb21pc2U8dm9pZD4ge1xuICAgIGlmICghdGhpcy5tRGlydHkpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgdHJ5IHtcbiAgICAgIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5kaXJuYW1lKHRoaXMubUZpbGVQYXRoKSk7XG4gICAgICBhd2FpdCB1dGlsLndyaXRlRmlsZUF0b21pYyh0aGlzLm1GaWxlUGF0aCwgSlNPTi5zdHJpbmdpZnkodGhpcy5tRW50cmllcykpO1xuICAgICAgdGhpcy5tRGlydHkgPSBmYWxzZTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIHNhdmUgc21hcGkgY2FjaGUnLCBlcnIubWVzc2FnZSk7XG4gICAgfVxuICB9XG5cbiAgcHJpdmF0ZSBsb2FkKCk6IFByb21pc2U8dm9pZD4ge1xuICAgIGlmICh0aGlzLm1Mb2FkID09PSB1bmRlZmluZWQpIHtcbiAgICAgIHRoaXMubUxvYWQgPSBmcy5yZWFkRmlsZUFzeW5jKHRoaXMubUZpbGVQYXRoLCB7IGVuY29kaW5nOiAndXRmOCcgfSlcbiAgICAgICAgLnRoZW4oZGF0YSA9PiB7XG4gICAgICAgICAgdGhpcy5tRW50cmllcyA9IHsgLi4uSlNPTi5wYXJzZShkYXRhKSwgLi4udGhpcy5tRW50cmllcyB9O1xuICAgICAgICB9KVxuICAgICAgICAuY2F0Y2goZXJyID0+IHtcbiAgICAgICAgICBpZiAoZXJyLmNvZGUgIT09ICdFTk9FTlQnKSB7XG4gICAgICAgICAgICBsb2coJ2Vycm9yJywgJ2ZhaWxlZCB0byBsb2FkIHNtYXBpIGNhY2hlJywgZXJyLm1lc3NhZ2UpO1xuICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgfVxuICAgIHJldHVybiB0aGlzLm1Mb2FkO1xuICB9XG5cbiAgcHJpdmF0ZSBtYWtlS2V5KHF1ZXJ5OiBJU01BUElJT1F1ZXJ5KTogc3RyaW5nIHtcbiAgICByZXR1cm4gYCR7cXVlcnkuaWQudG9Mb3dlckNhc2UoKX1AJHtxdWVyeS5pbnN0YWxsZWRWZXJzaW9uID8/ICcqJ31gO1xuICB9XG59XG5cbmV4cG9ydCBkZWZhdWx0IFNNQVBJQ2FjaGU7XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,70 @@
+import path from 'path';
+import { fs, log, util } from 'vortex-api';
+import { ISMAPIIOQuery, ISMAPIResult } from './types';
+
+interface ICacheEntry {
+  lastQuery: number;
+  // null if smapi.io had no information about the mod
+  result: ISMAPIResult | null;
+}
+
+/**
+ * on-disk cache of smapi.io compatibility results, keyed by UniqueID and
+ *  installed version so that the compatibility info remains available
+ *  while offline or when the service is unreachable.
+ */
+class SMAPICache {
+  private mFilePath: string;
+  private mEntries: { [key: string]: ICacheEntry } = {};
+  private mLoad: Promise<void>;
+  private mDirty: boolean = false;
+
+  constructor(filePath: string) {
+    this.mFilePath = filePath;
+  }
+
+  public async get(query: ISMAPIIOQuery): Promise<ICacheEntry> {
+    await this.load();
+    return this.mEntries[this.makeKey(query)];
+  }
+
+  public async set(query: ISMAPIIOQuery, result: ISMAPIResult | null, now: number): Promise<void> {
+    await this.load();
+    this.mEntries[this.makeKey(query)] = { lastQuery: now, result };
+    this.mDirty = true;
+  }
+
+  public async save(): Promise<void> {
+    if (!this.mDirty) {
+      return;
+    }
+    try {
+      await fs.ensureDirWritableAsync(path.dirname(this.mFilePath));
+      await util.writeFileAtomic(this.mFilePath, JSON.stringify(this.mEntries));
+      this.mDirty = false;
+    } catch (err) {
+      log('error', 'failed to save smapi cache', err.message);
+    }
+  }
+
+  private load(): Promise<void> {
+    if (this.mLoad === undefined) {
+      this.mLoad = fs.readFileAsync(this.mFilePath, { encoding: 'utf8' })
+        .then(data => {
+          this.mEntries = { ...JSON.parse(data), ...this.mEntries };
+        })
+        .catch(err => {
+          if (err.code !== 'ENOENT') {
+            log('error', 'failed to load smapi cache', err.message);
+          }
+        });
+    }
+    return this.mLoad;
+  }
+
+  private makeKey(query: ISMAPIIOQuery): string {
+    return `${query.id.toLowerCase()}@${query.installedVersion ?? '*'}`;
+  }
+}
+
+export default SMAPICache;
@@ -0,0 +1,130 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.assignLogOwners = exports.parseSMAPILog = void 0;
+const MESSAGE_HEADER = /^\[(\d\d[:.]\d\d[:.]\d\d) ([a-z]+) +([^\]]+)\] ?(.*)$/i;
+const SMAPI_VERSION = /^SMAPI (.+) with Stardew Valley (.+) on (.+)$/;
+const MOD_LIST_START = /^Loaded \d+ mods:$/;
+const MOD_LIST_ENTRY = /^ {3}(.+?) ([^\s]+)(?: by ([^|]+))?(?: \| (.+))?$/;
+const CONTENT_PACK_LIST_START = /^Loaded \d+ content packs:$/;
+const CONTENT_PACK_LIST_ENTRY = /^ {3}(.+?) ([^\s]+)(?: by ([^|]+))? \| for ([^|]+)(?: \| (.+))?$/;
+const SKIPPED_MOD_ENTRY = /^\s+- (.+?) because (.+)$/;
+const TRAILING_VERSION = /^(.+) (\d+(?:\.\d+)+\S*)$/;
+function parseSMAPILog(logData) {
+    var _a, _b, _c;
+    const result = {
+        mods: [],
+        contentPacks: [],
+        skipped: [],
+        messages: [],
+    };
+    let section;
+    let current;
+    for (const line of logData.split(/\r?\n/)) {
+        const match = line.match(MESSAGE_HEADER);
+        if (match === null) {
+            if ((current !== undefined) && (line.length > 0)) {
+                current.text += '\n' + line;
+            }
+            continue;
+        }
+        const [time, level, source, text] = match.slice(1);
+        current = {
+            time,
+            level: level.toLowerCase(),
+            source: source.trim(),
+            text,
+        };
+        result.messages.push(current);
+        if (current.source !== 'SMAPI') {
+            section = undefined;
+            continue;
+        }
+        const versionMatch = text.match(SMAPI_VERSION);
+        if ((versionMatch !== null) && (result.smapiVersion === undefined)) {
+            [result.smapiVersion, result.gameVersion, result.os] = versionMatch.slice(1);
+            continue;
+        }
+        if (MOD_LIST_START.test(text)) {
+            section = 'mods';
+        }
+        else if (CONTENT_PACK_LIST_START.test(text)) {
+            section = 'contentPacks';
+        }
+        else if (text === 'Skipped mods') {
+            section = 'skipped';
+        }
+        else if (section === 'mods') {
+            const entry = text.match(MOD_LIST_ENTRY);
+            if (entry === null) {
+                section = undefined;
+            }
+            else {
+                result.mods.push({
+                    name: entry[1],
+                    version: entry[2],
+                    author: (_a = entry[3]) === null || _a === void 0 ? void 0 : _a.trim(),
+                    description: entry[4],
+                });
+            }
+        }
+        else if (section === 'contentPacks') {
+            const entry = text.match(CONTENT_PACK_LIST_ENTRY);
+            if (entry === null) {
+                section = undefined;
+            }
+            else {
+                result.contentPacks.push({
+                    name: entry[1],
+                    version: entry[2],
+                    author: (_b = entry[3]) === null || _b === void 0 ? void 0 : _b.trim(),
+                    contentPackFor: entry[4].trim(),
+                    description: entry[5],
+                });
+            }
+        }
+        else if ((section === 'skipped') && (current.level !== 'error')) {
+            section = undefined;
+        }
+        else if (section === 'skipped') {
+            const entry = text.match(SKIPPED_MOD_ENTRY);
+            if (entry !== null) {
+                const nameMatch = entry[1].match(TRAILING_VERSION);
+                result.skipped.push({
+                    name: (_c = nameMatch === null || nameMatch === void 0 ? void 0 : nameMatch[1]) !== null && _c !== void 0 ? _c : entry[1],
+                    version: nameMatch === null || nameMatch === void 0 ? void 0 : nameMatch[2],
+                    reason: entry[2],
+                });
+            }
+        }
+    }
+    return result;
+}
+exports.parseSMAPILog = parseSMAPILog;
+function assignLogOwners(log, manifests) {
+    const byName = {};
+    const byUniqueId = {};
+    for (const [modId, modManifests] of Object.entries(manifests)) {
+        for (const manifest of modManifests) {
+            if (typeof (manifest.Name) === 'string') {
+                byName[manifest.Name.toLowerCase()] = modId;
+            }
+            if (typeof (manifest.UniqueID) === 'string') {
+                byUniqueId[manifest.UniqueID.toLowerCase()] = modId;
+            }
+        }
+    }
+    const findByUniqueId = (text) => {
+        const lower = text.toLowerCase();
+        const uniqueId = Object.keys(byUniqueId).find(id => lower.includes(id));
+        return (uniqueId !== undefined) ? byUniqueId[uniqueId] : undefined;
+    };
+    const ownerOf = (name) => byName[name.toLowerCase()];
+    return Object.assign(Object.assign({}, log), { mods: log.mods.map(mod => (Object.assign(Object.assign({}, mod), { modId: ownerOf(mod.name) }))), contentPacks: log.contentPacks.map(mod => (Object.assign(Object.assign({}, mod), { modId: ownerOf(mod.name) }))), skipped: log.skipped.map(mod => (Object.assign(Object.assign({}, mod), { modId: ownerOf(mod.name) }))), messages: log.messages.map(msg => {
+            var _a;
+            return (Object.assign(Object.assign({}, msg), { modId: (_a = ownerOf(msg.source)) !== null && _a !== void 0 ? _a : (((msg.level === 'error') || (msg.level === 'warn'))
+                    ? findByUniqueId(msg.text)
+                    : undefined) }));
+        }) });
+}
+exports.assignLogOwners = assignLogOwners;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic21hcGlMb2cuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzbWFwaUxvZy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFHQSxNQUFNLGNBQWMsR0FBRyx3REFBd0QsQ0FBQztBQUNoRixNQUFNLGFBQWEsR0FBRywrQ0FBK0MsQ0FBQztBQUN0RSxNQUFNLGNBQWMsR0FBRyxvQkFBb0IsQ0FBQztBQUM1QyxNQUFNLGNBQWMsR0FBRyxtREFBbUQsQ0FBQztBQUMzRSxNQUFNLHVCQUF1QixHQUFHLDZCQUE2QixDQUFDO0FBQzlELE1BQU0sdUJBQXVCLEdBQUcsa0VBQWtFLENBQUM7QUFDbkcsTUFBTSxpQkFBaUIsR0FBRywyQkFBMkIsQ0FBQztBQUN0RCxNQUFNLGdCQUFnQixHQUFHLDJCQUEyQixDQUFDO0FBU3JELFNBQWdCLGFBQWEsQ0FBQyxPQUFlOztJQUMzQyxNQUFNLE1BQU0sR0FBYztRQUN4QixJQUFJLEVBQUUsRUFBRTtRQUNSLFlBQVksRUFBRSxFQUFFO1FBQ2hCLE9BQU8sRUFBRSxFQUFFO1FBQ1gsUUFBUSxFQUFFLEVBQUU7S0FDYixDQUFDO0lBRUYsSUFBSSxPQUFvQixDQUFDO0lBQ3pCLElBQUksT0FBeUIsQ0FBQztJQUM5QixLQUFLLE1BQU0sSUFBSSxJQUFJLE9BQU8sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUU7UUFDekMsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxjQUFjLENBQUMsQ0FBQztRQUN6QyxJQUFJLEtBQUssS0FBSyxJQUFJLEVBQUU7WUFDbEIsSUFBSSxDQUFDLE9BQU8sS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLEVBQUU7Z0JBQ2hELE9BQU8sQ0FBQyxJQUFJLElBQUksSUFBSSxHQUFHLElBQUksQ0FBQzthQUM3QjtZQUNELFNBQVM7U0FDVjtRQUVELE1BQU0sQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxJQUFJLENBQUMsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ25ELE9BQU8sR0FBRztZQUNSLElBQUk7WUFDSixLQUFLLEVBQUUsS0FBSyxDQUFDLFdBQVcsRUFBbUI7WUFDM0MsTUFBTSxFQUFFLE1BQU0sQ0FBQyxJQUFJLEVBQUU7WUFDckIsSUFBSTtTQUNMLENBQUM7UUFDRixNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUU5QixJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssT0FBTyxFQUFFO1lBQzlCLE9BQU8sR0FBRyxTQUFTLENBQUM7WUFDcEIsU0FBUztTQUNWO1FBRUQsTUFBTSxZQUFZLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUMvQyxJQUFJLENBQUMsWUFBWSxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFlBQVksS0FBSyxTQUFTLENBQUMsRUFBRTtZQUNsRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLEVBQUUsTUFBTSxDQUFDLFdBQVcsRUFBRSxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUM3RSxTQUFTO1NBQ1Y7UUFFRCxJQUFJLGNBQWMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDN0IsT0FBTyxHQUFHLE1BQU0sQ0FBQztTQUNsQjthQUFNLElBQUksdUJBQXVCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQzdDLE9BQU8sR0FBRyxjQUFjLENBQUM7U0FDMUI7YUFBTSxJQUFJLElBQUksS0FBSyxjQUFjLEVBQUU7WUFDbEMsT0FBTyxHQUFHLFNBQVMsQ0FBQztTQUNyQjthQUFNLElBQUksT0FBTyxLQUFLLE1BQU0sRUFBRTtZQUM3QixNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLGNBQWMsQ0FBQyxDQUFDO1lBQ3pDLElBQUksS0FBSyxLQUFLLElBQUksRUFBRTtnQkFDbEIsT0FBTyxHQUFHLFNBQVMsQ0FBQzthQUNyQjtpQkFBTTtnQkFDTCxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztvQkFDZixJQUFJLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztvQkFDZCxPQUFPLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztvQkFDakIsTUFBTSxFQUFFLE1BQUEsS0FBSyxDQUFDLENBQUMsQ0FBQywwQ0FBRSxJQUFJLEVBQUU7b0JBQ3hCLFdBQVcsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2lCQUN0QixDQUFDLENBQUM7YUFDSjtTQUNGO2FBQU0sSUFBSSxPQUFPLEtBQUssY0FBYyxFQUFFO1lBQ3JDLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsdUJBQXVCLENBQUMsQ0FBQztZQUNsRCxJQUFJLEtBQUssS0FBSyxJQUFJLEVBQUU7Z0JBQ2xCLE9BQU8sR0FBRyxTQUFTLENBQUM7YUFDckI7aUJBQU07Z0JBQ0wsTUFBTSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUM7b0JBQ3ZCLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO29CQUNkLE9BQU8sRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO29CQUNqQixNQUFNLEVBQUUsTUFBQSxLQUFLLENBQUMsQ0FBQyxDQUFDLDBDQUFFLElBQUksRUFBRTtvQkFDeEIsY0FBYyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUU7b0JBQy9CLFdBQVcsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2lCQUN0QixDQUFDLENBQUM7YUFDSjtTQUNGO2FBQU0sSUFBSSxDQUFDLE9BQU8sS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEtBQUssT0FBTyxDQUFDLEVBQUU7WUFDakUsT0FBTyxHQUFHLFNBQVMsQ0FBQztTQUNyQjthQUFNLElBQUksT0FBTyxLQUFLLFNBQVMsRUFBRTtZQUdoQyxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLGlCQUFpQixDQUFDLENBQUM7WUFDNUMsSUFBSSxLQUFLLEtBQUssSUFBSSxFQUFFO2dCQUNsQixNQUFNLFNBQVMsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLGdCQUFnQixDQUFDLENBQUM7Z0JBQ25ELE1BQU0sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDO29CQUNsQixJQUFJLEVBQUUsTUFBQSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUcsQ0FBQyxDQUFDLG1DQUFJLEtBQUssQ0FBQyxDQUFDLENBQUM7b0JBQ2hDLE9BQU8sRUFBRSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUcsQ0FBQyxDQUFDO29CQUN2QixNQUFNLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztpQkFDakIsQ0FBQyxDQUFDO2FBQ0o7U0FDRjtLQUNGO0lBRUQsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQztBQXhGRCxzQ0F3RkM7QUFRRCxTQUFnQixlQUFlLENBQUMsR0FBYyxFQUNkLFNBQWlEO0lBRS9FLE1BQU0sTUFBTSxHQUErQixFQUFFLENBQUM7SUFDOUMsTUFBTSxVQUFVLEdBQW1DLEVBQUUsQ0FBQztJQUN0RCxLQUFLLE1BQU0sQ0FBQyxLQUFLLEVBQUUsWUFBWSxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsRUFBRTtRQUM3RCxLQUFLLE1BQU0sUUFBUSxJQUFJLFlBQVksRUFBRTtZQUNuQyxJQUFJLE9BQU0sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEtBQUssUUFBUSxFQUFFO2dCQUN0QyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQzthQUM3QztZQUNELElBQUksT0FBTSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsS0FBSyxRQUFRLEVBQUU7Z0JBQzFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLFdBQVcsRUFBRSxDQUFDLEdBQUcsS0FBSyxDQUFDO2FBQ3JEO1NBQ0Y7S0FDRjtJQUVELE1BQU0sY0FBYyxHQUFHLENBQUMsSUFBWSxFQUFVLEVBQUU7UUFDOUMsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDO1FBQ2pDLE1BQU0sUUFBUSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQ3hFLE9BQU8sQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO0lBQ3JFLENBQUMsQ0FBQztJQUVGLE1BQU0sT0FBTyxHQUFHLENBQUMsSUFBWSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7SUFFN0QsdUNBQ0ssR0FBRyxLQUNOLElBQUksRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGlDQUFNLEdBQUcsS0FBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBRyxDQUFDLEVBQ2pFLFlBQVksRUFBRSxHQUFHLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGlDQUFNLEdBQUcsS0FBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBRyxDQUFDLEVBQ2pGLE9BQU8sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGlDQUFNLEdBQUcsS0FBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBRyxDQUFDLEVBQ3ZFLFFBQVEsRUFBRSxHQUFHLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRTs7WUFBQyxPQUFBLGlDQUM3QixHQUFHLEtBQ04sS0FBSyxFQUFFLE1BQUEsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsbUNBQ3JCLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLEtBQUssT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxLQUFLLE1BQU0sQ0FBQyxDQUFDO29CQUNyRCxDQUFDLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUM7b0JBQzFCLENBQUMsQ0FBQyxTQUFTLENBQUMsSUFDaEIsQ0FBQTtTQUFBLENBQUMsSUFDSDtBQUNKLENBQUM7QUFyQ0QsMENBcUNDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSVNEVk1vZE1hbmlmZXN0LCBJU01BUElMb2csIElTTUFQSUxvZ01lc3NhZ2UsIFNNQVBJTG9nTGV2ZWwgfSBmcm9tICcuL3R5cGVzJztcblxuLy8gVGhlc2UgcGF0dGVybnMgbWlycm9yIHRoZSBvbmVzIHVzZWQgYnkgdGhlIGxvZyBwYXJzZXIgb24gc21hcGkuaW9cbmNvbnN0IE1FU1NBR0VfSEVBREVSID0gL15cXFsoXFxkXFxkWzouXVxcZFxcZFs6Ll1cXGRcXGQpIChbYS16XSspICsoW15cXF1dKylcXF0gPyguKikkL2k7XG5jb25zdCBTTUFQSV9WRVJTSU9OID0gL15TTUFQSSAoLispIHdpdGggU3RhcmRldyBWYWxsZXkgKC4rKSBvbiAoLispJC87XG5jb25zdCBNT0RfTElTVF9TVEFSVCA9IC9eTG9hZGVkIFxcZCsgbW9kczokLztcbmNvbnN0IE1PRF9MSVNUX0VOVFJZID0gL14gezN9KC4rPykgKFteXFxzXSspKD86IGJ5IChbXnxdKykpPyg/OiBcXHwgKC4rKSk/JC87XG5jb25zdCBDT05URU5UX1BBQ0tfTElTVF9TVEFSVCA9IC9eTG9hZGVkIFxcZCsgY29udGVudCBwYWNrczokLztcbmNvbnN0IENPTlRFTlRfUEFDS19MSVNUX0VOVFJZID0gL14gezN9KC4rPykgKFteXFxzXSspKD86IGJ5IChbXnxdKykpPyBcXHwgZm9yIChbXnxdKykoPzogXFx8ICguKykpPyQvO1xuY29uc3QgU0tJUFBFRF9NT0RfRU5UUlkgPSAvXlxccystICguKz8pIGJlY2F1c2UgKC4rKSQvO1xuY29uc3QgVFJBSUxJTkdfVkVSU0lPTiA9IC9eKC4rKSAoXFxkKyg/OlxcLlxcZCspK1xcUyopJC87XG5cbnR5cGUgTGlzdFNlY3Rpb24gPSAnbW9kcycgfCAnY29udGVudFBhY2tzJyB8ICdza2lwcGVkJztcblxuLyoqXG4gKiBwYXJzZSB0aGUgY29udGVudCBvZiBhIFNNQVBJLWxhdGVzdC50eHQgb3IgU01BUEktY3Jhc2gudHh0IGxvZyBmaWxlLlxuICogIExpbmVzIHdpdGhvdXQgYSBtZXNzYWdlIGhlYWRlciAoZS5nLiBzdGFjayB0cmFjZXMpIGFyZSBhcHBlbmRlZCB0b1xuICogIHRoZSBwcmVjZWRpbmcgbWVzc2FnZS5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHBhcnNlU01BUElMb2cobG9nRGF0YTogc3RyaW5nKTogSVNNQVBJTG9nIHtcbiAgY29uc3QgcmVzdWx0OiBJU01BUElMb2cgPSB7XG4gICAgbW9kczogW10sXG4gICAgY29udGVudFBhY2tzOiBbXSxcbiAgICBza2lwcGVkOiBbXSxcbiAgICBtZXNzYWdlczogW10sXG4gIH07XG5cbiAgbGV0IHNlY3Rpb246IExpc3RTZWN0aW9uO1xuICBsZXQgY3VycmVudDogSVNNQVBJTG9nTWVzc2FnZTtcbiAgZm9yIChjb25zdCBsaW5lIG9mIGxvZ0RhdGEuc3BsaXQoL1xccj9cXG4vKSkge1xuICAgIGNvbnN0IG1hdGNoID0gbGluZS5tYXRjaChNRVNTQUdFX0hFQURFUik7XG4gICAgaWYgKG1hdGNoID09PSBudWxsKSB7XG4gICAgICBpZiAoKGN1cnJlbnQgIT09IHVuZGVmaW5lZCkgJiYgKGxpbmUubGVuZ3RoID4gMCkpIHtcbiAgICAgICAgY3VycmVudC50ZXh0ICs9ICdcXG4nICsgbGluZTtcbiAgICAgIH1cbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cblxuICAgIGNvbnN0IFt0aW1lLCBsZXZlbCwgc291cmNlLCB0ZXh0XSA9IG1hdGNoLnNsaWNlKDEpO1xuICAgIGN1cnJlbnQgPSB7XG4gICAgICB0aW1lLFxuICAgICAgbGV2ZWw6IGxldmVsLnRvTG93ZXJDYXNlKCkgYXMgU01BUElMb2dMZXZlbCxcbiAgICAgIHNvdXJjZTogc291cmNlLnRyaW0oKSxcbiAgICAgIHRleHQsXG4gICAgfTtcbiAgICByZXN1bHQubWVzc2FnZXMucHVzaChjdXJyZW50KTtcblxuICAgIGlmIChjdXJyZW50LnNvdXJjZSAhPT0gJ1NNQVBJJykge1xuICAgICAgc2VjdGlvbiA9IHVuZGVmaW5lZDtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cblxuICAgIGNvbnN0IHZlcnNpb25NYXRjaCA9IHRleHQubWF0Y2goU01BUElfVkVSU0lPTik7XG4gICAgaWYgKCh2ZXJzaW9uTWF0Y2ggIT09IG51bGwpICYmIChyZXN1bHQuc21hcGlWZXJzaW9uID09PSB1bmRlZmluZWQpKSB7XG4gICAgICBbcmVzdWx0LnNtYXBpVmVyc2lvbiwgcmVzdWx0LmdhbWVWZXJzaW9uLCByZXN1bHQub3NdID0gdmVyc2lvbk1hdGNoLnNsaWNlKDEpO1xuICAgICAgY29udGludWU7XG4gICAgfVxuXG4gICAgaWYgKE1PRF9MSVNUX1NUQVJULnRlc3QodGV4dCkpIHtcbiAgICAgIHNlY3Rpb24gPSAnbW9kcyc7XG4gICAgfSBlbHNlIGlmIChDT05URU5UX1BBQ0tfTElTVF9TVEFSVC50ZXN0KHRleHQpKSB7XG4gICAgICBzZWN0aW9uID0gJ2NvbnRlbnRQYWNrcyc7XG4gICAgfSBlbHNlIGlmICh0ZXh0ID09PSAnU2tpcHBlZCBtb2RzJykge1xuICAgICAgc2VjdGlvbiA9ICdza2lwcGVkJztcbiAgICB9IGVsc2UgaWYgKHNlY3Rpb24gPT09ICdtb2RzJykge1xuICAgICAgY29uc3QgZW50cnkgPSB0ZXh0Lm1hdGNoKE1PRF9MSVNUX0VOVFJZKTtcbiAgICAgIGlmIChlbnRyeSA9PT0gbnVsbCkge1xuICAgICAgICBzZWN0aW9uID0gdW5kZWZpbmVkO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgcmVzdWx0Lm1vZHMucHVzaCh7XG4gICAgICAgICAgbmFtZTogZW50cnlbMV0sXG4gICAgICAgICAgdmVyc2lvbjogZW50cnlbMl0sXG4gICAgICAgICAgYXV0aG9yOiBlbnRyeVszXT8udHJpbSgpLFxuICAgICAgICAgIGRlc2NyaXB0aW9uOiBlbnRyeVs0XSxcbiAgICAgICAgfSk7XG4gICAgICB9XG4gICAgfSBlbHNlIGlmIChzZWN0aW9uID09PSAnY29udGVudFBhY2tzJykge1xuICAgICAgY29uc3QgZW50cnkgPSB0ZXh0Lm1hdGNoKENPTlRFTlRfUEFDS19MSVNUX0VOVFJZKTtcbiAgICAgIGlmIChlbnRyeSA9PT0gbnVsbCkge1xuICAgICAgICBzZWN0aW9uID0gdW5kZWZpbmVkO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgcmVzdWx0LmNvbnRlbnRQYWNrcy5wdXNoKHtcbiAgICAgICAgICBuYW1lOiBlbnRyeVsxXSxcbiAgICAgICAgICB2ZXJzaW9uOiBlbnRyeVsyXSxcbiAgICAgICAgICBhdXRob3I6IGVudHJ5WzNdPy50cmltKCksXG4gICAgICAgICAgY29udGVudFBhY2tGb3I6IGVudHJ5WzRdLnRyaW0oKSxcbiAgICAgICAgICBkZXNjcmlwdGlvbjogZW50cnlbNV0sXG4gICAgICAgIH0pO1xuICAgICAgfVxuICAgIH0gZWxzZSBpZiAoKHNlY3Rpb24gPT09ICdza2lwcGVkJykgJiYgKGN1cnJlbnQubGV2ZWwgIT09ICdlcnJvcicpKSB7XG4gICAgICBzZWN0aW9uID0gdW5kZWZpbmVkO1xuICAgIH0gZWxzZSBpZiAoc2VjdGlvbiA9PT0gJ3NraXBwZWQnKSB7XG4gICAgICAvLyB0aGUgc2tpcHBlZCBtb2RzIGJsb2NrIGlzIGludGVyc3BlcnNlZCB3aXRoIHNlcGFyYXRvcnMgYW5kIGV4cGxhbmF0aW9uc1xuICAgICAgLy8gIHdoaWNoIHdlIGNhbiBpZ25vcmVcbiAgICAgIGNvbnN0IGVudHJ5ID0gdGV4dC5tYXRjaChTS0lQUEVEX01PRF9FTlRSWSk7XG4gICAgICBpZiAoZW50cnkgIT09IG51bGwpIHtcbiAgICAgICAgY29uc3QgbmFtZU1hdGNoID0gZW50cnlbMV0ubWF0Y2goVFJBSUxJTkdfVkVSU0lPTik7XG4gICAgICAgIHJlc3VsdC5za2lwcGVkLnB1c2goe1xuICAgICAgICAgIG5hbWU6IG5hbWVNYXRjaD8uWzFdID8/IGVudHJ5WzFdLFxuICAgICAgICAgIHZlcnNpb246IG5hbWVNYXRjaD8uWzJdLFxuICAgICAgICAgIHJlYXNvbjogZW50cnlbMl0sXG4gICAgICAgIH0pO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiByZXN1bHQ7XG59XG5cbi8qKlxuICogYXR0cmlidXRlIHRoZSBtb2RzLCBza2lwcGVkIG1vZHMgYW5kIG1lc3NhZ2VzIG9mIGEgcGFyc2VkIGxvZyB0byB0aGUgVm9ydGV4XG4gKiAgbW9kcyB0aGV5IGJlbG9uZyB0by4gTG9nIGVudHJpZXMgb25seSBjb250YWluIHRoZSBkaXNwbGF5IG5hbWUgb2YgYSBtb2Qgc29cbiAqICB3ZSBtYXRjaCB0aG9zZSBhZ2FpbnN0IHRoZSBtYW5pZmVzdCBuYW1lcyBmaXJzdCwgZmFsbGluZyBiYWNrIHRvIGFueVxuICogIFVuaXF1ZUlEIG1lbnRpb25lZCBpbiBhIG1lc3NhZ2UuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBhc3NpZ25Mb2dPd25lcnMobG9nOiBJU01BUElMb2csXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG1hbmlmZXN0czogeyBbbW9kSWQ6IHN0cmluZ106IElTRFZNb2RNYW5pZmVzdFtdIH0pXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDogSVNNQVBJTG9nIHtcbiAgY29uc3QgYnlOYW1lOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSA9IHt9O1xuICBjb25zdCBieVVuaXF1ZUlkOiB7IFt1bmlxdWVJZDogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcbiAgZm9yIChjb25zdCBbbW9kSWQsIG1vZE1hbmlmZXN0c10gb2YgT2JqZWN0LmVudHJpZXMobWFuaWZlc3RzKSkge1xuICAgIGZvciAoY29uc3QgbWFuaWZlc3Qgb2YgbW9kTWFuaWZlc3RzKSB7XG4gICAgICBpZiAodHlwZW9mKG1hbmlmZXN0Lk5hbWUpID09PSAnc3RyaW5nJykge1xuICAgICAgICBieU5hbWVbbWFuaWZlc3QuTmFtZS50b0xvd2VyQ2FzZSgpXSA9IG1vZElkO1xuICAgICAgfVxuICAgICAgaWYgKHR5cGVvZihtYW5pZmVzdC5VbmlxdWVJRCkgPT09ICdzdHJpbmcnKSB7XG4gICAgICAgIGJ5VW5pcXVlSWRbbWFuaWZlc3QuVW5pcXVlSUQudG9Mb3dlckNhc2UoKV0gPSBtb2RJZDtcbiAgICAgIH1cbiAgICB9XG4gIH1cblxuICBjb25zdCBmaW5kQnlVbmlxdWVJZCA9ICh0ZXh0OiBzdHJpbmcpOiBzdHJpbmcgPT4ge1xuICAgIGNvbnN0IGxvd2VyID0gdGV4dC50b0xvd2VyQ2FzZSgpO1xuICAgIGNvbnN0IHVuaXF1ZUlkID0gT2JqZWN0LmtleXMoYnlVbmlxdWVJZCkuZmluZChpZCA9PiBsb3dlci5pbmNsdWRlcyhpZCkpO1xuICAgIHJldHVybiAodW5pcXVlSWQgIT09IHVuZGVmaW5lZCkgPyBieVVuaXF1ZUlkW3VuaXF1ZUlkXSA6IHVuZGVmaW5lZDtcbiAgfTtcblxuICBjb25zdCBvd25lck9mID0gKG5hbWU6IHN0cmluZykgPT4gYnlOYW1lW25hbWUudG9Mb3dlckNhc2UoKV07XG5cbiAgcmV0dXJuIHtcbiAgICAuLi5sb2csXG4gICAgbW9kczogbG9nLm1vZHMubWFwKG1vZCA9PiAoeyAuLi5tb2QsIG1vZElkOiBvd25lck9mKG1vZC5uYW1lKSB9KSksXG4gICAgY29udGVudFBhY2tzOiBsb2cuY29udGVudFBhY2tzLm1hcChtb2QgPT4gKHsgLi4ubW9kLCBtb2RJZDogb3duZXJPZihtb2QubmFtZSkgfSkpLFxuICAgIHNraXBwZWQ6IGxvZy5za2lwcGVkLm1hcChtb2QgPT4gKHsgLi4ubW9kLCBtb2RJZDogb3duZXJPZihtb2QubmFtZSkgfSkpLFxuICAgIG1lc3NhZ2VzOiBsb2cubWVzc2FnZXMubWFwKG1zZyA9PiAoe1xuICAgICAgLi4ubXNnLFxuICAgICAgbW9kSWQ6IG93bmVyT2YobXNnLnNvdXJjZSlcbiAgICAgICAgPz8gKCgobXNnLmxldmVsID09PSAnZXJyb3InKSB8fCAobXNnLmxldmVsID09PSAnd2FybicpKVxuICAgICAgICAgID8gZmluZEJ5VW5pcXVlSWQobXNnLnRleHQpXG4gICAgICAgICAgOiB1bmRlZmluZWQpLFxuICAgIH0pKSxcbiAgfTtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,153 @@
+import { ISDVModManifest, ISMAPILog, ISMAPILogMessage, SMAPILogLevel } from './types';
+
+// These patterns mirror the ones used by the log parser on smapi.io
+const MESSAGE_HEADER = /^\[(\d\d[:.]\d\d[:.]\d\d) ([a-z]+) +([^\]]+)\] ?(.*)$/i;
+const SMAPI_VERSION = /^SMAPI (.+) with Stardew Valley (.+) on (.+)$/;
+const MOD_LIST_START = /^Loaded \d+ mods:$/;
+const MOD_LIST_ENTRY = /^ {3}(.+?) ([^\s]+)(?: by ([^|]+))?(?: \| (.+))?$/;
+const CONTENT_PACK_LIST_START = /^Loaded \d+ content packs:$/;
+const CONTENT_PACK_LIST_ENTRY = /^ {3}(.+?) ([^\s]+)(?: by ([^|]+))? \| for ([^|]+)(?: \| (.+))?$/;
+const SKIPPED_MOD_ENTRY = /^\s+- (.+?) because (.+)$/;
+const TRAILING_VERSION = /^(.+) (\d+(?:\.\d+)+\S*)$/;
+
+type ListSection = 'mods' | 'contentPacks' | 'skipped';
+
+/**
+ * parse the content of a SMAPI-latest.txt or SMAPI-crash.txt log file.
+ *  Lines without a message header (e.g. stack traces) are appended to
+ *  the preceding message.
+ */
+export function parseSMAPILog(logData: string): ISMAPILog {
+  const result: ISMAPILog = {
+    mods: [],
+    contentPacks: [],
+    skipped: [],
+    messages: [],
+  };
+
+  let section: ListSection;
+  let current: ISMAPILogMessage;
+  for (const line of logData.split(/\r?\n/)) {
+    const match = line.match(MESSAGE_HEADER);
+    if (match === null) {
+      if ((current !== undefined) && (line.length > 0)) {
+        current.text += '\n' + line;
+      }
+      continue;
+    }
+
+    const [time, level, source, text] = match.slice(1);
+    current = {
+      time,
+      level: level.toLowerCase() as SMAPILogLevel,
+      source: source.trim(),
+      text,
+    };
+    result.messages.push(current);
+
+    if (current.source !== 'SMAPI') {
+      section = undefined;
+      continue;
+    }
+
+    const versionMatch = text.match(SMAPI_VERSION);
+    if ((versionMatch !== null) && (result.smapiVersion === undefined)) {
+      [result.smapiVersion, result.gameVersion, result.os] = versionMatch.slice(1);
+      continue;
+    }
+
+    if (MOD_LIST_START.test(text)) {
+      section = 'mods';
+    } else if (CONTENT_PACK_LIST_START.test(text)) {
+      section = 'contentPacks';
+    } else if (text === 'Skipped mods') {
+      section = 'skipped';
+    } else if (section === 'mods') {
+      const entry = text.match(MOD_LIST_ENTRY);
+      if (entry === null) {
+        section = undefined;
+      } else {
+        result.mods.push({
+          name: entry[1],
+          version: entry[2],
+          author: entry[3]?.trim(),
+          description: entry[4],
+        });
+      }
+    } else if (section === 'contentPacks') {
+      const entry = text.match(CONTENT_PACK_LIST_ENTRY);
+      if (entry === null) {
+        section = undefined;
+      } else {
+        result.contentPacks.push({
+          name: entry[1],
+          version: entry[2],
+          author: entry[3]?.trim(),
+          contentPackFor: entry[4].trim(),
+          description: entry[5],
+        });
+      }
+    } else if ((section === 'skipped') && (current.level !== 'error')) {
+      section = undefined;
+    } else if (section === 'skipped') {
+      // the skipped mods block is interspersed with separators and explanations
+      //  which we can ignore
+      const entry = text.match(SKIPPED_MOD_ENTRY);
+      if (entry !== null) {
+        const nameMatch = entry[1].match(TRAILING_VERSION);
+        result.skipped.push({
+          name: nameMatch?.[1] ?? entry[1],
+          version: nameMatch?.[2],
+          reason: entry[2],
+        });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * attribute the mods, skipped mods and messages of a parsed log to the Vortex
+ *  mods they belong to. Log entries only contain the display name of a mod so
+ *  we match those against the manifest names first, falling back to any
+ *  UniqueID mentioned in a message.
+ */
+export function assignLogOwners(log: ISMAPILog,
+                                manifests: { [modId: string]: ISDVModManifest[] })
+                                : ISMAPILog {
+  const byName: { [name: string]: string } = {};
+  const byUniqueId: { [uniqueId: string]: string } = {};
+  for (const [modId, modManifests] of Object.entries(manifests)) {
+    for (const manifest of modManifests) {
+      if (typeof(manifest.Name) === 'string') {
+        byName[manifest.Name.toLowerCase()] = modId;
+      }
+      if (typeof(manifest.UniqueID) === 'string') {
+        byUniqueId[manifest.UniqueID.toLowerCase()] = modId;
+      }
+    }
+  }
+
+  const findByUniqueId = (text: string): string => {
+    const lower = text.toLowerCase();
+    const uniqueId = Object.keys(byUniqueId).find(id => lower.includes(id));
+    return (uniqueId !== undefined) ? byUniqueId[uniqueId] : undefined;
+  };
+
+  const ownerOf = (name: string) => byName[name.toLowerCase()];
+
+  return {
+    ...log,
+    mods: log.mods.map(mod => ({ ...mod, modId: ownerOf(mod.name) })),
+    contentPacks: log.contentPacks.map(mod => ({ ...mod, modId: ownerOf(mod.name) })),
+    skipped: log.skipped.map(mod => ({ ...mod, modId: ownerOf(mod.name) })),
+    messages: log.messages.map(msg => ({
+      ...msg,
+      modId: ownerOf(msg.source)
+        ?? (((msg.level === 'error') || (msg.level === 'warn'))
+          ? findByUniqueId(msg.text)
+          : undefined),
+    })),
+  };
+}
@@ -31,22 +31,43 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
 Object.defineProperty(exports, "__esModule", { value: true });
+const http = __importStar(require("http"));
 const https = __importStar(require("https"));
+const path_1 = __importDefault(require("path"));
 const semver = __importStar(require("semver"));
 const vortex_api_1 = require("vortex-api");
 const common_1 = require("./common");
 const constants_1 = require("./constants");
+const smapiCache_1 = __importDefault(require("./smapiCache"));
 const util_1 = require("./util");
-const SMAPI_HOST = 'smapi.io';
 class SMAPIProxy {
-    constructor(api) {
+    constructor(api, baseUrl) {
         this.mAPI = api;
+        this.mCache = new smapiCache_1.default(path_1.default.join(vortex_api_1.util.getVortexPath('userData'), common_1.GAME_ID, 'smapi_compatibility.json'));
+        this.setBaseUrl(baseUrl !== null && baseUrl !== void 0 ? baseUrl : constants_1.SMAPI_API_URL);
+    }
+    setBaseUrl(baseUrl) {
+        let url;
+        try {
+            url = new URL(baseUrl);
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error(`unsupported protocol "${url.protocol}"`);
+            }
+        }
+        catch (err) {
+            (0, vortex_api_1.log)('error', 'invalid smapi.io api url, using the default', { baseUrl, error: err.message });
+            url = new URL(constants_1.SMAPI_API_URL);
+        }
         this.mOptions = {
-            host: SMAPI_HOST,
+            hostname: url.hostname,
+            port: url.port || undefined,
             method: 'POST',
-            protocol: 'https:',
-            path: '/api/v3.0/mods',
+            protocol: url.protocol,
+            path: url.pathname.replace(/\/$/, '') + '/mods',
             headers: {
                 'Content-Type': 'application/json',
             },
@@ -82,10 +103,66 @@ class SMAPIProxy {
             }
         });
     }
-    findByNames(query) {
+    findByNames(query, maxAge = constants_1.SMAPI_QUERY_FREQUENCY) {
+        return __awaiter(this, void 0, void 0, function* () {
+            return (yield this.lookup(query, maxAge)).results;
+        });
+    }
+    lookup(query, maxAge = constants_1.SMAPI_QUERY_FREQUENCY) {
+        var _a;
+        return __awaiter(this, void 0, void 0, function* () {
+            const now = Date.now();
+            const results = [];
+            const outdated = [];
+            for (const iter of query) {
+                const entry = yield this.mCache.get(iter);
+                if ((entry !== undefined) && ((now - entry.lastQuery) < maxAge)) {
+                    if (entry.result !== null) {
+                        results.push(entry.result);
+                    }
+                }
+                else {
+                    outdated.push(iter);
+                }
+            }
+            const failed = [];
+            let queryError;
+            for (let i = 0; i < outdated.length; i += constants_1.SMAPI_QUERY_BATCH_SIZE) {
+                const batch = outdated.slice(i, i + constants_1.SMAPI_QUERY_BATCH_SIZE);
+                try {
+                    const received = yield this.queryServer(batch);
+                    for (const item of batch) {
+                        const result = received.find(res => { var _a; return ((_a = res.id) === null || _a === void 0 ? void 0 : _a.toLowerCase()) === item.id.toLowerCase(); });
+                        yield this.mCache.set(item, result !== null && result !== void 0 ? result : null, now);
+                        if (result !== undefined) {
+                            results.push(result);
+                        }
+                    }
+                }
+                catch (err) {
+                    (0, vortex_api_1.log)('warn', 'failed to query smapi.io, using cached data', err.message);
+                    queryError = err;
+                    failed.push(...batch);
+                    for (const item of batch) {
+                        const entry = yield this.mCache.get(item);
+                        if (((_a = entry === null || entry === void 0 ? void 0 : entry.result) !== null && _a !== void 0 ? _a : null) !== null) {
+                            results.push(entry.result);
+                        }
+                    }
+                }
+            }
+            yield this.mCache.save();
+            if ((queryError !== undefined) && (results.length === 0)) {
+                return Promise.reject(queryError);
+            }
+            return { results, failed };
+        });
+    }
+    queryServer(query) {
         return __awaiter(this, void 0, void 0, function* () {
+            const lib = (this.mOptions.protocol === 'http:') ? http : https;
             return new Promise((resolve, reject) => {
-                const req = https.request(this.mOptions, res => {
+                const req = lib.request(this.mOptions, res => {
                     let body = Buffer.from([]);
                     res
                         .on('error', err => reject(err))
@@ -96,6 +173,9 @@ class SMAPIProxy {
                         const textual = body.toString('utf8');
                         try {
                             const parsed = JSON.parse(textual);
+                            if (!Array.isArray(parsed)) {
+                                throw new vortex_api_1.util.DataInvalid(`unexpected smapi response (status ${res.statusCode})`);
+                            }
                             resolve(parsed);
                         }
                         catch (err) {
@@ -153,4 +233,4 @@ class SMAPIProxy {
     }
 }
 exports.default = SMAPIProxy;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic21hcGlQcm94eS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNtYXBpUHJveHkudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUNBLDZDQUErQjtBQUUvQiwrQ0FBaUM7QUFDakMsMkNBQXdDO0FBQ3hDLHFDQUFtQztBQUNuQywyQ0FBbUQ7QUFFbkQsaUNBQStDO0FBRS9DLE1BQU0sVUFBVSxHQUFHLFVBQVUsQ0FBQztBQUU5QixNQUFNLFVBQVU7SUFHZCxZQUFZLEdBQXdCO1FBQ2xDLElBQUksQ0FBQyxJQUFJLEdBQUcsR0FBRyxDQUFDO1FBQ2hCLElBQUksQ0FBQyxRQUFRLEdBQUc7WUFDZCxJQUFJLEVBQUUsVUFBVTtZQUNoQixNQUFNLEVBQUUsTUFBTTtZQUNkLFFBQVEsRUFBRSxRQUFRO1lBQ2xCLElBQUksRUFBRSxnQkFBZ0I7WUFDdEIsT0FBTyxFQUFFO2dCQUNQLGNBQWMsRUFBRSxrQkFBa0I7YUFDbkM7U0FDRixDQUFDO0lBQ0osQ0FBQztJQUVZLElBQUksQ0FBQyxLQUFhOzs7WUFDN0IsSUFBSSxLQUFLLENBQUMsSUFBSSxLQUFLLFNBQVMsRUFBRTtnQkFDNUIsTUFBTSxHQUFHLEdBQUcsTUFBTSxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUMsRUFBRSxFQUFFLEVBQUUsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztnQkFDekQsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFBLE1BQUEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsMENBQUUsSUFBSSxNQUFLLFNBQVMsQ0FBQyxFQUFFO29CQUMvRCxPQUFPLEVBQUUsQ0FBQztpQkFDWDtnQkFDRCxNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNoQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsT0FBTyxLQUFLLFNBQVMsRUFBRTtvQkFDekMsT0FBTyxNQUFNLElBQUksQ0FBQyxhQUFhLENBQzdCLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztpQkFDakU7cUJBQU07b0JBQ0wsT0FBTzt3QkFDTCxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUU7Z0NBQ1osTUFBTSxFQUFFLGdCQUFPO2dDQUNmLE9BQU8sRUFBRSxTQUFTO2dDQUNsQixRQUFRLEVBQUUsS0FBSyxDQUFDLElBQUk7Z0NBQ3BCLGFBQWEsRUFBRSxDQUFDO2dDQUNoQixXQUFXLEVBQUUsRUFBRTtnQ0FDZixTQUFTLEVBQUUsTUFBQSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksMENBQUUsR0FBRzs2QkFDckMsRUFBRTtxQkFDSixDQUFDO2lCQUNIO2FBQ0Y7aUJBQU07Z0JBQ0wsT0FBTyxFQUFFLENBQUM7YUFDWDs7S0FDRjtJQUVZLFdBQVcsQ0FBQyxLQUFzQjs7WUFDN0MsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtnQkFDckMsTUFBTSxHQUFHLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxFQUFFO29CQUM3QyxJQUFJLElBQUksR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO29CQUMzQixHQUFHO3lCQUNBLEVBQUUsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7eUJBQy9CLEVBQUUsQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLEVBQUU7d0JBQ2xCLElBQUksR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7b0JBQ3RDLENBQUMsQ0FBQzt5QkFDRCxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRTt3QkFDZCxNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO3dCQUN0QyxJQUFJOzRCQUNGLE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7NEJBQ25DLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQzt5QkFDakI7d0JBQUMsT0FBTyxHQUFHLEVBQUU7NEJBQ1osSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSxnQ0FBZ0MsRUFBRSxPQUFPLENBQUMsQ0FBQzs0QkFDeEQsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO3lCQUNiO29CQUNILENBQUMsQ0FBQyxDQUFDO2dCQUNQLENBQUMsQ0FBQztxQkFDQyxFQUFFLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUE7Z0JBQ2xDLEdBQUcsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQztvQkFDdkIsSUFBSSxFQUFFLEtBQUs7b0JBQ1gsdUJBQXVCLEVBQUUsSUFBSTtvQkFDN0IsVUFBVSxFQUFFLGdDQUFvQjtpQkFDakMsQ0FBQyxDQUFDLENBQUM7Z0JBQ0osR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDO1lBQ1osQ0FBQyxDQUFDLENBQUM7UUFDTCxDQUFDO0tBQUE7SUFFTyxPQUFPLENBQUMsS0FBYTtRQUMzQixPQUFPLFVBQVUsS0FBSyxDQUFDLElBQUksSUFBSSxLQUFLLENBQUMsWUFBWSxFQUFFLENBQUM7SUFDdEQsQ0FBQztJQUVhLGFBQWEsQ0FBQyxLQUFhLEVBQ2IsT0FBZSxFQUNmLE9BQWU7OztZQUV6QyxNQUFNLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLGNBQWMsRUFBRSxDQUFDO1lBRXJDLE1BQU0sS0FBSyxHQUFnQixNQUFBLE1BQU0sQ0FBQSxNQUFBLE1BQUEsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUMsZ0JBQWdCLG1EQUFHLGdCQUFPLEVBQUUsT0FBTyxDQUFDLENBQUEsbUNBQUksRUFBRSxDQUFDO1lBRTFGLE1BQU0sY0FBYyxHQUFHLEtBQUssT0FBTyxFQUFFLENBQUM7WUFFdEMsTUFBTSxJQUFJLEdBQUcsS0FBSztpQkFDZixNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLElBQUEsYUFBTSxFQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQztpQkFDdEUsSUFBSSxDQUFDLENBQUMsR0FBRyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsSUFBQSxvQkFBYSxFQUFDLEdBQUcsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFFbEUsSUFBSSxJQUFJLEtBQUssU0FBUyxFQUFFO2dCQUN0QixNQUFNLElBQUksS0FBSyxDQUFDLGVBQWUsQ0FBQyxDQUFDO2FBQ2xDO1lBQ0QsT0FBTyxDQUFDO29CQUNOLEdBQUcsRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQztvQkFDeEIsS0FBSyxFQUFFO3dCQUNMLE9BQU8sRUFBRSxTQUFTO3dCQUNsQixRQUFRLEVBQUUsSUFBSSxDQUFDLFNBQVM7d0JBQ3hCLGFBQWEsRUFBRSxJQUFJLENBQUMsSUFBSSxHQUFHLElBQUk7d0JBQy9CLFdBQVcsRUFBRSxJQUFJLENBQUMsT0FBTzt3QkFDekIsTUFBTSxFQUFFLGdCQUFPO3dCQUNmLFNBQVMsRUFBRSxTQUFTLGdCQUFPLFNBQVMsT0FBTyxVQUFVLElBQUksQ0FBQyxPQUFPLEVBQUU7d0JBQ25FLGVBQWUsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRTt3QkFDekMsTUFBTSxFQUFFLE9BQU87d0JBQ2YsVUFBVSxFQUFFLGdCQUFPO3dCQUNuQixPQUFPLEVBQUU7NEJBQ1AsUUFBUSxFQUFFLElBQUksQ0FBQyxXQUFXLENBQUMsUUFBUSxFQUFFOzRCQUNyQyxXQUFXLEVBQUUsSUFBSSxDQUFDLFdBQVc7NEJBQzdCLEtBQUssRUFBRSxPQUFPLENBQUMsUUFBUSxFQUFFOzRCQUN6QixNQUFNLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUU7eUJBQ2hDO3FCQUNGO2lCQUNGLENBQUMsQ0FBQzs7S0FDSjtDQUNGO0FBRUQsa0JBQWUsVUFBVSxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSUZpbGVJbmZvIH0gZnJvbSAnQG5leHVzbW9kcy9uZXh1cy1hcGknO1xyXG5pbXBvcnQgKiBhcyBodHRwcyBmcm9tICdodHRwcyc7XHJcbmltcG9ydCB7IElMb29rdXBSZXN1bHQsIElRdWVyeSB9IGZyb20gJ21vZG1ldGEtZGInO1xyXG5pbXBvcnQgKiBhcyBzZW12ZXIgZnJvbSAnc2VtdmVyJztcclxuaW1wb3J0IHsgbG9nLCB0eXBlcyB9IGZyb20gJ3ZvcnRleC1hcGknO1xyXG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xyXG5pbXBvcnQgeyBTTUFQSV9JT19BUElfVkVSU0lPTiB9IGZyb20gJy4vY29uc3RhbnRzJztcclxuaW1wb3J0IHsgSVNNQVBJSU9RdWVyeSwgSVNNQVBJUmVzdWx0IH0gZnJvbSAnLi90eXBlcyc7XHJcbmltcG9ydCB7IGNvZXJjZSwgc2VtdmVyQ29tcGFyZSB9IGZyb20gJy4vdXRpbCc7XHJcblxyXG5jb25zdCBTTUFQSV9IT1NUID0gJ3NtYXBpLmlvJztcclxuXHJcbmNsYXNzIFNNQVBJUHJveHkge1xyXG4gIHByaXZhdGUgbUFQSTogdHlwZXMuSUV4dGVuc2lvbkFwaTtcclxuICBwcml2YXRlIG1PcHRpb25zOiBodHRwcy5SZXF1ZXN0T3B0aW9ucztcclxuICBjb25zdHJ1Y3RvcihhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcclxuICAgIHRoaXMubUFQSSA9IGFwaTtcclxuICAgIHRoaXMubU9wdGlvbnMgPSB7XHJcbiAgICAgIGhvc3Q6IFNNQVBJX0hPU1QsXHJcbiAgICAgIG1ldGhvZDogJ1BPU1QnLFxyXG4gICAgICBwcm90b2NvbDogJ2h0dHBzOicsXHJcbiAgICAgIHBhdGg6ICcvYXBpL3YzLjAvbW9kcycsXHJcbiAgICAgIGhlYWRlcnM6IHtcclxuICAgICAgICAnQ29udGVudC1UeXBlJzogJ2FwcGxpY2F0aW9uL2pzb24nLFxyXG4gICAgICB9LFxyXG4gICAgfTtcclxuICB9XHJcblxyXG4gIHB1YmxpYyBhc3luYyBmaW5kKHF1ZXJ5OiBJUXVlcnkpOiBQcm9taXNlPElMb29rdXBSZXN1bHRbXT4ge1xyXG4gICAgaWYgKHF1ZXJ5Lm5hbWUgIT09IHVuZGVmaW5lZCkge1xyXG4gICAgICBjb25zdCByZXMgPSBhd2FpdCB0aGlzLmZpbmRCeU5hbWVzKFt7IGlkOiBxdWVyeS5uYW1lIH1dKTtcclxuICAgICAgaWYgKChyZXMubGVuZ3RoID09PSAwKSB8fCAocmVzWzBdLm1ldGFkYXRhPy5tYWluID09PSB1bmRlZmluZWQpKSB7XHJcbiAgICAgICAgcmV0dXJuIFtdO1xyXG4gICAgICB9XHJcbiAgICAgIGNvbnN0IGtleSA9IHRoaXMubWFrZUtleShxdWVyeSk7XHJcbiAgICAgIGlmIChyZXNbMF0ubWV0YWRhdGEubmV4dXNJRCAhPT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgICAgcmV0dXJuIGF3YWl0IHRoaXMubG9va3VwT25OZXh1cyhcclxuICAgICAgICAgIHF1ZXJ5LCByZXNbMF0ubWV0YWRhdGEubmV4dXNJRCwgcmVzWzBdLm1ldGFkYXRhLm1haW4udmVyc2lvbik7XHJcbiAgICAgIH0gZWxzZSB7XHJcbiAgICAgICAgcmV0dXJuIFtcclxuICAgICAgICAgIHsga2V5LCB2YWx1ZToge1xyXG4gICAgICAgICAgICBnYW1lSWQ6IEdBTUVfSUQsXHJcbiAgICAgICAgICAgIGZpbGVNRDU6IHVuZGVmaW5lZCxcclxuICAgICAgICAgICAgZmlsZU5hbWU6IHF1ZXJ5Lm5hbWUsXHJcbiAgICAgICAgICAgIGZpbGVTaXplQnl0ZXM6IDAsXHJcbiAgICAgICAgICAgIGZpbGVWZXJzaW9uOiAnJyxcclxuICAgICAgICAgICAgc291cmNlVVJJOiByZXNbMF0ubWV0YWRhdGEubWFpbj8udXJsLFxyXG4gICAgICAgICAgfSB9LFxyXG4gICAgICAgIF07XHJcbiAgICAgIH1cclxuICAgIH0gZWxzZSB7XHJcbiAgICAgIHJldHVybiBbXTtcclxuICAgIH1cclxuICB9XHJcblxyXG4gIHB1YmxpYyBhc3luYyBmaW5kQnlOYW1lcyhxdWVyeTogSVNNQVBJSU9RdWVyeVtdKTogUHJvbWlzZTxJU01BUElSZXN1bHRbXT4ge1xyXG4gICAgcmV0dXJuIG5ldyBQcm9taXNlKChyZXNvbHZlLCByZWplY3QpID0+IHtcclxuICAgICAgY29uc3QgcmVxID0gaHR0cHMucmVxdWVzdCh0aGlzLm1PcHRpb25zLCByZXMgPT4ge1xyXG4gICAgICAgIGxldCBib2R5ID0gQnVmZmVyLmZyb20oW10pO1xyXG4gICAgICAgIHJlc1xyXG4gICAgICAgICAgLm9uKCdlcnJvcicsIGVyciA9PiByZWplY3QoZXJyKSlcclxuICAgICAgICAgIC5vbignZGF0YScsIGNodW5rID0+IHtcclxuICAgICAgICAgICAgYm9keSA9IEJ1ZmZlci5jb25jYXQoW2JvZHksIGNodW5rXSk7XHJcbiAgICAgICAgICB9KVxyXG4gICAgICAgICAgLm9uKCdlbmQnLCAoKSA9PiB7XHJcbiAgICAgICAgICAgIGNvbnN0IHRleHR1YWwgPSBib2R5LnRvU3RyaW5nKCd1dGY4Jyk7XHJcbiAgICAgICAgICAgIHRyeSB7XHJcbiAgICAgICAgICAgICAgY29uc3QgcGFyc2VkID0gSlNPTi5wYXJzZSh0ZXh0dWFsKTtcclxuICAgICAgICAgICAgICByZXNvbHZlKHBhcnNlZCk7XHJcbiAgICAgICAgICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICAgICAgICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIHBhcnNlIHNtYXBpIHJlc3BvbnNlJywgdGV4dHVhbCk7XHJcbiAgICAgICAgICAgICAgcmVqZWN0KGVycik7XHJcbiAgICAgICAgICAgIH1cclxuICAgICAgICAgIH0pO1xyXG4gICAgICB9KVxyXG4gICAgICAgIC5vbignZXJyb3InLCBlcnIgPT4gcmVqZWN0KGVycikpXHJcbiAgICAgIHJlcS53cml0ZShKU09OLnN0cmluZ2lmeSh7XHJcbiAgICAgICAgbW9kczogcXVlcnksXHJcbiAgICAgICAgaW5jbHVkZUV4dGVuZGVkTWV0YWRhdGE6IHRydWUsXHJcbiAgICAgICAgYXBpVmVyc2lvbjogU01BUElfSU9fQVBJX1ZFUlNJT04sXHJcbiAgICAgIH0pKTtcclxuICAgICAgcmVxLmVuZCgpO1xyXG4gICAgfSk7XHJcbiAgfVxyXG5cclxuICBwcml2YXRlIG1ha2VLZXkocXVlcnk6IElRdWVyeSk6IHN0cmluZyB7XHJcbiAgICByZXR1cm4gYHNtYXBpbzoke3F1ZXJ5Lm5hbWV9OiR7cXVlcnkudmVyc2lvbk1hdGNofWA7ICAgIFxyXG4gIH1cclxuXHJcbiAgcHJpdmF0ZSBhc3luYyBsb29rdXBPbk5leHVzKHF1ZXJ5OiBJUXVlcnksXHJcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG5leHVzSWQ6IG51bWJlcixcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgdmVyc2lvbjogc3RyaW5nKVxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICA6IFByb21pc2U8SUxvb2t1cFJlc3VsdFtdPiB7XHJcbiAgICBhd2FpdCB0aGlzLm1BUEkuZXh0LmVuc3VyZUxvZ2dlZEluKCk7XHJcblxyXG4gICAgY29uc3QgZmlsZXM6IElGaWxlSW5mb1tdID0gYXdhaXQgdGhpcy5tQVBJLmV4dC5uZXh1c0dldE1vZEZpbGVzPy4oR0FNRV9JRCwgbmV4dXNJZCkgPz8gW107XHJcblxyXG4gICAgY29uc3QgdmVyc2lvblBhdHRlcm4gPSBgPj0ke3ZlcnNpb259YDtcclxuXHJcbiAgICBjb25zdCBmaWxlID0gZmlsZXNcclxuICAgICAgLmZpbHRlcihpdGVyID0+IHNlbXZlci5zYXRpc2ZpZXMoY29lcmNlKGl0ZXIudmVyc2lvbiksIHZlcnNpb25QYXR0ZXJuKSlcclxuICAgICAgLnNvcnQoKGxocywgcmhzKSA9PiBzZW12ZXJDb21wYXJlKHJocy52ZXJzaW9uLCBsaHMudmVyc2lvbikpWzBdO1xyXG5cclxuICAgIGlmIChmaWxlID09PSB1bmRlZmluZWQpIHtcclxuICAgICAgdGhyb3cgbmV3IEVycm9yKCdubyBmaWxlIGZvdW5kJyk7XHJcbiAgICB9XHJcbiAgICByZXR1cm4gW3tcclxuICAgICAga2V5OiB0aGlzLm1ha2VLZXkocXVlcnkpLFxyXG4gICAgICB2YWx1ZToge1xyXG4gICAgICAgIGZpbGVNRDU6IHVuZGVmaW5lZCxcclxuICAgICAgICBmaWxlTmFtZTogZmlsZS5maWxlX25hbWUsXHJcbiAgICAgICAgZmlsZVNpemVCeXRlczogZmlsZS5zaXplICogMTAyNCxcclxuICAgICAgICBmaWxlVmVyc2lvbjogZmlsZS52ZXJzaW9uLFxyXG4gICAgICAgIGdhbWVJZDogR0FNRV9JRCxcclxuICAgICAgICBzb3VyY2VVUkk6IGBueG06Ly8ke0dBTUVfSUR9L21vZHMvJHtuZXh1c0lkfS9maWxlcy8ke2ZpbGUuZmlsZV9pZH1gLFxyXG4gICAgICAgIGxvZ2ljYWxGaWxlTmFtZTogcXVlcnkubmFtZS50b0xvd2VyQ2FzZSgpLFxyXG4gICAgICAgIHNvdXJjZTogJ25leHVzJyxcclxuICAgICAgICBkb21haW5OYW1lOiBHQU1FX0lELFxyXG4gICAgICAgIGRldGFpbHM6IHtcclxuICAgICAgICAgIGNhdGVnb3J5OiBmaWxlLmNhdGVnb3J5X2lkLnRvU3RyaW5nKCksXHJcbiAgICAgICAgICBkZXNjcmlwdGlvbjogZmlsZS5kZXNjcmlwdGlvbixcclxuICAgICAgICAgIG1vZElkOiBuZXh1c0lkLnRvU3RyaW5nKCksXHJcbiAgICAgICAgICBmaWxlSWQ6IGZpbGUuZmlsZV9pZC50b1N0cmluZygpLFxyXG4gICAgICAgIH1cclxuICAgICAgfSxcclxuICAgIH1dO1xyXG4gIH1cclxufVxyXG5cclxuZXhwb3J0IGRlZmF1bHQgU01BUElQcm94eTtcclxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic21hcGlQcm94eS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNtYXBpUHJveHkudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUNBLDJDQUE2QjtBQUM3Qiw2Q0FBK0I7QUFFL0IsZ0RBQXdCO0FBQ3hCLCtDQUFpQztBQUNqQywyQ0FBOEM7QUFDOUMscUNBQW1DO0FBQ25DLDJDQUNvRDtBQUNwRCw4REFBc0M7QUFFdEMsaUNBQStDO0FBRS9DLE1BQU0sVUFBVTtJQUlkLFlBQVksR0FBd0IsRUFBRSxPQUFnQjtRQUNwRCxJQUFJLENBQUMsSUFBSSxHQUFHLEdBQUcsQ0FBQztRQUNoQixJQUFJLENBQUMsTUFBTSxHQUFHLElBQUksb0JBQVUsQ0FDMUIsY0FBSSxDQUFDLElBQUksQ0FBQyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxVQUFVLENBQUMsRUFBRSxnQkFBTyxFQUFFLDBCQUEwQixDQUFDLENBQUMsQ0FBQztRQUNsRixJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sYUFBUCxPQUFPLGNBQVAsT0FBTyxHQUFJLHlCQUFhLENBQUMsQ0FBQztJQUM1QyxDQUFDO0lBTU0sVUFBVSxDQUFDLE9BQWU7UUFDL0IsSUFBSSxHQUFRLENBQUM7UUFDYixJQUFJO1lBQ0YsR0FBRyxHQUFHLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQ3ZCLElBQUksQ0FBQyxDQUFDLE9BQU8sRUFBRSxRQUFRLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxFQUFFO2dCQUMvQyxNQUFNLElBQUksS0FBSyxDQUFDLHlCQUF5QixHQUFHLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQzthQUMzRDtTQUNGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFHWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLDZDQUE2QyxFQUFFLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztZQUM3RixHQUFHLEdBQUcsSUFBSSxHQUFHLENBQUMseUJBQWEsQ0FBQyxDQUFDO1NBQzlCO1FBQ0QsSUFBSSxDQUFDLFFBQVEsR0FBRztZQUNkLFFBQVEsRUFBRSxHQUFHLENBQUMsUUFBUTtZQUN0QixJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUksSUFBSSxTQUFTO1lBQzNCLE1BQU0sRUFBRSxNQUFNO1lBQ2QsUUFBUSxFQUFFLEdBQUcsQ0FBQyxRQUFRO1lBQ3RCLElBQUksRUFBRSxHQUFHLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEdBQUcsT0FBTztZQUMvQyxPQUFPLEVBQUU7Z0JBQ1AsY0FBYyxFQUFFLGtCQUFrQjthQUNuQztTQUNGLENBQUM7SUFDSixDQUFDO0lBRVksSUFBSSxDQUFDLEtBQWE7OztZQUM3QixJQUFJLEtBQUssQ0FBQyxJQUFJLEtBQUssU0FBUyxFQUFFO2dCQUM1QixNQUFNLEdBQUcsR0FBRyxNQUFNLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDO2dCQUN6RCxJQUFJLENBQUMsR0FBRyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUEsTUFBQSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSwwQ0FBRSxJQUFJLE1BQUssU0FBUyxDQUFDLEVBQUU7b0JBQy9ELE9BQU8sRUFBRSxDQUFDO2lCQUNYO2dCQUNELE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ2hDLElBQUksR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLEtBQUssU0FBUyxFQUFFO29CQUN6QyxPQUFPLE1BQU0sSUFBSSxDQUFDLGFBQWEsQ0FDN0IsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2lCQUNqRTtxQkFBTTtvQkFDTCxPQUFPO3dCQUNMLEVBQUUsR0FBRyxFQUFFLEtBQUssRUFBRTtnQ0FDWixNQUFNLEVBQUUsZ0JBQU87Z0NBQ2YsT0FBTyxFQUFFLFNBQVM7Z0NBQ2xCLFFBQVEsRUFBRSxLQUFLLENBQUMsSUFBSTtnQ0FDcEIsYUFBYSxFQUFFLENBQUM7Z0NBQ2hCLFdBQVcsRUFBRSxFQUFFO2dDQUNmLFNBQVMsRUFBRSxNQUFBLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSwwQ0FBRSxHQUFHOzZCQUNyQyxFQUFFO3FCQUNKLENBQUM7aUJBQ0g7YUFDRjtpQkFBTTtnQkFDTCxPQUFPLEVBQUUsQ0FBQzthQUNYOztLQUNGO0lBUVksV0FBVyxDQUFDLEtBQXNCLEVBQ3RCLFNBQWlCLGlDQUFxQjs7WUFFN0QsT0FBTyxDQUFDLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUM7UUFDcEQsQ0FBQztLQUFBO0lBTVksTUFBTSxDQUFDLEtBQXNCLEVBQ3RCLFNBQWlCLGlDQUFxQjs7O1lBRXhELE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQztZQUN2QixNQUFNLE9BQU8sR0FBbUIsRUFBRSxDQUFDO1lBQ25DLE1BQU0sUUFBUSxHQUFvQixFQUFFLENBQUM7WUFDckMsS0FBSyxNQUFNLElBQUksSUFBSSxLQUFLLEVBQUU7Z0JBQ3hCLE1BQU0sS0FBSyxHQUFHLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQzFDLElBQUksQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDLEdBQUcsTUFBTSxDQUFDLEVBQUU7b0JBQy9ELElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxJQUFJLEVBQUU7d0JBQ3pCLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO3FCQUM1QjtpQkFDRjtxQkFBTTtvQkFDTCxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2lCQUNyQjthQUNGO1lBRUQsTUFBTSxNQUFNLEdBQW9CLEVBQUUsQ0FBQztZQUNuQyxJQUFJLFVBQWlCLENBQUM7WUFDdEIsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxJQUFJLGtDQUFzQixFQUFFO2dCQUNoRSxNQUFNLEtBQUssR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsa0NBQXNCLENBQUMsQ0FBQztnQkFDNUQsSUFBSTtvQkFDRixNQUFNLFFBQVEsR0FBRyxNQUFNLElBQUksQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLENBQUM7b0JBQy9DLEtBQUssTUFBTSxJQUFJLElBQUksS0FBSyxFQUFFO3dCQUN4QixNQUFNLE1BQU0sR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLFdBQUMsT0FBQSxDQUFBLE1BQUEsR0FBRyxDQUFDLEVBQUUsMENBQUUsV0FBVyxFQUFFLE1BQUssSUFBSSxDQUFDLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQSxFQUFBLENBQUMsQ0FBQzt3QkFDckYsTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxJQUFJLEVBQUUsTUFBTSxhQUFOLE1BQU0sY0FBTixNQUFNLEdBQUksSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUNqRCxJQUFJLE1BQU0sS0FBSyxTQUFTLEVBQUU7NEJBQ3hCLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7eUJBQ3RCO3FCQUNGO2lCQUNGO2dCQUFDLE9BQU8sR0FBRyxFQUFFO29CQUNaLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsNkNBQTZDLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO29CQUN4RSxVQUFVLEdBQUcsR0FBRyxDQUFDO29CQUNqQixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUM7b0JBQ3RCLEtBQUssTUFBTSxJQUFJLElBQUksS0FBSyxFQUFFO3dCQUN4QixNQUFNLEtBQUssR0FBRyxNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO3dCQUMxQyxJQUFJLENBQUMsTUFBQSxLQUFLLGFBQUwsS0FBSyx1QkFBTCxLQUFLLENBQUUsTUFBTSxtQ0FBSSxJQUFJLENBQUMsS0FBSyxJQUFJLEVBQUU7NEJBQ3BDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO3lCQUM1QjtxQkFDRjtpQkFDRjthQUNGO1lBRUQsTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDO1lBRXpCLElBQUksQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxFQUFFO2dCQUN4RCxPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUM7YUFDbkM7WUFDRCxPQUFPLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxDQUFDOztLQUM1QjtJQUVhLFdBQVcsQ0FBQyxLQUFzQjs7WUFDOUMsTUFBTSxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsS0FBSyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUM7WUFDaEUsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtnQkFDckMsTUFBTSxHQUFHLEdBQUcsR0FBRyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxFQUFFO29CQUMzQyxJQUFJLElBQUksR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO29CQUMzQixHQUFHO3lCQUNBLEVBQUUsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7eUJBQy9CLEVBQUUsQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLEVBQUU7d0JBQ2xCLElBQUksR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7b0JBQ3RDLENBQUMsQ0FBQzt5QkFDRCxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRTt3QkFDZCxNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO3dCQUN0QyxJQUFJOzRCQUNGLE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7NEJBQ25DLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFO2dDQUMxQixNQUFNLElBQUksaUJBQUksQ0FBQyxXQUFXLENBQUMscUNBQXFDLEdBQUcsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDOzZCQUNwRjs0QkFDRCxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUM7eUJBQ2pCO3dCQUFDLE9BQU8sR0FBRyxFQUFFOzRCQUNaLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsZ0NBQWdDLEVBQUUsT0FBTyxDQUFDLENBQUM7NEJBQ3hELE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzt5QkFDYjtvQkFDSCxDQUFDLENBQUMsQ0FBQztnQkFDUCxDQUFDLENBQUM7cUJBQ0MsRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBO2dCQUNsQyxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUM7b0JBQ3ZCLElBQUksRUFBRSxLQUFLO29CQUNYLHVCQUF1QixFQUFFLElBQUk7b0JBQzdCLFVBQVUsRUFBRSxnQ0FBb0I7aUJBQ2pDLENBQUMsQ0FBQyxDQUFDO2dCQUNKLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQztZQUNaLENBQUMsQ0FBQyxDQUFDO1FBQ0wsQ0FBQztLQUFBO0lBRU8sT0FBTyxDQUFDLEtBQWE7UUFDM0IsT0FBTyxVQUFVLEtBQUssQ0FBQyxJQUFJLElBQUksS0FBSyxDQUFDLFlBQVksRUFBRSxDQUFDO0lBQ3RELENBQUM7SUFFYSxhQUFhLENBQUMsS0FBYSxFQUNiLE9BQWUsRUFDZixPQUFlOzs7WUFFekMsTUFBTSxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxjQUFjLEVBQUUsQ0FBQztZQUVyQyxNQUFNLEtBQUssR0FBZ0IsTUFBQSxNQUFNLENBQUEsTUFBQSxNQUFBLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFDLGdCQUFnQixtREFBRyxnQkFBTyxFQUFFLE9BQU8sQ0FBQyxDQUFBLG1DQUFJLEVBQUUsQ0FBQztZQUUxRixNQUFNLGNBQWMsR0FBRyxLQUFLLE9BQU8sRUFBRSxDQUFDO1lBRXRDLE1BQU0sSUFBSSxHQUFHLEtBQUs7aUJBQ2YsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxJQUFBLGFBQU0sRUFBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsY0FBYyxDQUFDLENBQUM7aUJBQ3RFLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLElBQUEsb0JBQWEsRUFBQyxHQUFHLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBRWxFLElBQUksSUFBSSxLQUFLLFNBQVMsRUFBRTtnQkFDdEIsTUFBTSxJQUFJLEtBQUssQ0FBQyxlQUFlLENBQUMsQ0FBQzthQUNsQztZQUNELE9BQU8sQ0FBQztvQkFDTixHQUFHLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUM7b0JBQ3hCLEtBQUssRUFBRTt3QkFDTCxPQUFPLEVBQUUsU0FBUzt3QkFDbEIsUUFBUSxFQUFFLElBQUksQ0FBQyxTQUFTO3dCQUN4QixhQUFhLEVBQUUsSUFBSSxDQUFDLElBQUksR0FBRyxJQUFJO3dCQUMvQixXQUFXLEVBQUUsSUFBSSxDQUFDLE9BQU87d0JBQ3pCLE1BQU0sRUFBRSxnQkFBTzt3QkFDZixTQUFTLEVBQUUsU0FBUyxnQkFBTyxTQUFTLE9BQU8sVUFBVSxJQUFJLENBQUMsT0FBTyxFQUFFO3dCQUNuRSxlQUFlLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUU7d0JBQ3pDLE1BQU0sRUFBRSxPQUFPO3dCQUNmLFVBQVUsRUFBRSxnQkFBTzt3QkFDbkIsT0FBTyxFQUFFOzRCQUNQLFFBQVEsRUFBRSxJQUFJLENBQUMsV0FBVyxDQUFDLFFBQVEsRUFBRTs0QkFDckMsV0FBVyxFQUFFLElBQUksQ0FBQyxXQUFXOzRCQUM3QixLQUFLLEVBQUUsT0FBTyxDQUFDLFFBQVEsRUFBRTs0QkFDekIsTUFBTSxFQUFFLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFO3lCQUNoQztxQkFDRjtpQkFDRixDQUFDLENBQUM7O0tBQ0o7Q0FDRjtBQUVELGtCQUFlLFVBQVUsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IElGaWxlSW5mbyB9IGZyb20gJ0BuZXh1c21vZHMvbmV4dXMtYXBpJztcbmltcG9ydCAqIGFzIGh0dHAgZnJvbSAnaHR0cCc7XG5pbXBvcnQgKiBhcyBodHRwcyBmcm9tICdodHRwcyc7XG5pbXBvcnQgeyBJTG9va3VwUmVzdWx0LCBJUXVlcnkgfSBmcm9tICdtb2RtZXRhLWRiJztcbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0ICogYXMgc2VtdmVyIGZyb20gJ3NlbXZlcic7XG5pbXBvcnQgeyBsb2csIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgU01BUElfQVBJX1VSTCwgU01BUElfSU9fQVBJX1ZFUlNJT04sIFNNQVBJX1FVRVJZX0JBVENIX1NJWkUsXG4gICAgICAgICBTTUFQSV9RVUVSWV9GUkVRVUVOQ1kgfSBmcm9tICcuL2NvbnN0YW50cyc7XG5pbXBvcnQgU01BUElDYWNoZSBmcm9tICcuL3NtYXBpQ2FjaGUnO1xuaW1wb3J0IHsgSVNNQVBJSU9RdWVyeSwgSVNNQVBJTG9va3VwUmVzdWx0LCBJU01BUElSZXN1bHQgfSBmcm9tICcuL3R5cGVzJztcbmltcG9ydCB7IGNvZXJjZSwgc2VtdmVyQ29tcGFyZSB9IGZyb20gJy4vdXRpbCc7XG5cbmNsYXNzIFNNQVBJUHJveHkge1xuICBwcml2YXRlIG1BUEk6IHR5cGVzLklFeHRlbnNpb25BcGk7XG4gIHByaXZhdGUgbU9wdGlvbnM6IGh0dHBzLlJlcXVlc3RPcHRpb25zO1xuICBwcml2YXRlIG1DYWNoZTogU01BUElDYWNoZTtcbiAgY29uc3RydWN0b3IoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBiYXNlVXJsPzogc3RyaW5nKSB7XG4gICAgdGhpcy5tQVBJID0gYXBpO1xuICAgIHRoaXMubUNhY2hlID0gbmV3IFNNQVBJQ2FjaGUoXG4gICAgICBwYXRoLmpvaW4odXRpbC5nZXRWb3J0ZXhQYXRoKCd1c2VyRGF0YScpLCBHQU1FX0lELCAnc21hcGlfY29tcGF0aWJpbGl0eS5qc29uJykpO1xuICAgIHRoaXMuc2V0QmFzZVVybChiYXNlVXJsID8/IFNNQVBJX0FQSV9VUkwpO1xuICB9XG5cbiAgLyoqXG4gICAqIGNoYW5nZSB0aGUgc21hcGkuaW8gYXBpIGVuZHBvaW50LCBlLmcuIHRvIGEgbG9jYWwgc2VydmVyIG1pcnJvcmluZ1xuICAgKiAgdGhlIHNtYXBpLmlvIGFwaS4gQm90aCBodHRwIGFuZCBodHRwcyB1cmxzIGFyZSBzdXBwb3J0ZWRcbiAgICovXG4gIHB1YmxpYyBzZXRCYXNlVXJsKGJhc2VVcmw6IHN0cmluZykge1xuICAgIGxldCB1cmw6IFVSTDtcbiAgICB0cnkge1xuICAgICAgdXJsID0gbmV3IFVSTChiYXNlVXJsKTtcbiAgICAgIGlmICghWydodHRwOicsICdodHRwczonXS5pbmNsdWRlcyh1cmwucHJvdG9jb2wpKSB7XG4gICAgICAgIHRocm93IG5ldyBFcnJvcihgdW5zdXBwb3J0ZWQgcHJvdG9jb2wgXCIke3VybC5wcm90b2NvbH1cImApO1xuICAgICAgfVxuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgLy8gdGhpcyBtYXkgY29tZSBmcm9tIGFuIGVudmlyb25tZW50IHZhcmlhYmxlLCBhIHR5cG8gdGhlcmUgbXVzdG4ndFxuICAgICAgLy8gIGtlZXAgdGhlIGV4dGVuc2lvbiBmcm9tIHN0YXJ0aW5nXG4gICAgICBsb2coJ2Vycm9yJywgJ2ludmFsaWQgc21hcGkuaW8gYXBpIHVybCwgdXNpbmcgdGhlIGRlZmF1bHQnLCB7IGJhc2VVcmwsIGVycm9yOiBlcnIubWVzc2FnZSB9KTtcbiAgICAgIHVybCA9IG5ldyBVUkwoU01BUElfQVBJX1VSTCk7XG4gICAgfVxuICAgIHRoaXMubU9wdGlvbnMgPSB7XG4gICAgICBob3N0bmFtZTogdXJsLmhvc3RuYW1lLFxuICAgICAgcG9ydDogdXJsLnBvcnQgfHwgdW5kZWZpbmVkLFxuICAgICAgbWV0aG9kOiAnUE9TVCcsXG4gICAgICBwcm90b2NvbDogdXJsLnByb3RvY29sLFxuICAgICAgcGF0aDogdXJsLnBhdGhuYW1lLnJlcGxhY2UoL1xcLyQvLCAnJykgKyAnL21vZHMnLFxuICAgICAgaGVhZGVyczoge1xuICAgICAgICAnQ29udGVudC1UeXBlJzogJ2FwcGxpY2F0aW9uL2pzb24nLFxuICAgICAgfSxcbiAgICB9O1xuICB9XG5cbiAgcHVibGljIGFzeW5jIGZpbmQocXVlcnk6IElRdWVyeSk6IFByb21pc2U8SUxvb2t1cFJlc3VsdFtdPiB7XG4gICAgaWYgKHF1ZXJ5Lm5hbWUgIT09IHVuZGVmaW5lZCkge1xuICAgICAgY29uc3QgcmVzID0gYXdhaXQgdGhpcy5maW5kQnlOYW1lcyhbeyBpZDogcXVlcnkubmFtZSB9XSk7XG4gICAgICBpZiAoKHJlcy5sZW5ndGggPT09IDApIHx8IChyZXNbMF0ubWV0YWRhdGE/Lm1haW4gPT09IHVuZGVmaW5lZCkpIHtcbiAgICAgICAgcmV0dXJuIFtdO1xuICAgICAgfVxuICAgICAgY29uc3Qga2V5ID0gdGhpcy5tYWtlS2V5KHF1ZXJ5KTtcbiAgICAgIGlmIChyZXNbMF0ubWV0YWRhdGEubmV4dXNJRCAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgIHJldHVybiBhd2FpdCB0aGlzLmxvb2t1cE9uTmV4dXMoXG4gICAgICAgICAgcXVlcnksIHJlc1swXS5tZXRhZGF0YS5uZXh1c0lELCByZXNbMF0ubWV0YWRhdGEubWFpbi52ZXJzaW9uKTtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHJldHVybiBbXG4gICAgICAgICAgeyBrZXksIHZhbHVlOiB7XG4gICAgICAgICAgICBnYW1lSWQ6IEdBTUVfSUQsXG4gICAgICAgICAgICBmaWxlTUQ1OiB1bmRlZmluZWQsXG4gICAgICAgICAgICBmaWxlTmFtZTogcXVlcnkubmFtZSxcbiAgICAgICAgICAgIGZpbGVTaXplQnl0ZXM6IDAsXG4gICAgICAgICAgICBmaWxlVmVyc2lvbjogJycsXG4gICAgICAgICAgICBzb3VyY2VVUkk6IHJlc1swXS5tZXRhZGF0YS5tYWluPy51cmwsXG4gICAgICAgICAgfSB9LFxuICAgICAgICBdO1xuICAgICAgfVxuICAgIH0gZWxzZSB7XG4gICAgICByZXR1cm4gW107XG4gICAgfVxuICB9XG5cbiAgLyoqXG4gICAqIGxvb2sgdXAgY29tcGF0aWJpbGl0eSBpbmZvcm1hdGlvbiBmb3IgdGhlIHNwZWNpZmllZCBtb2RzLiBSZXN1bHRzIHlvdW5nZXJcbiAgICogIHRoYW4gbWF4QWdlIGFyZSBzZXJ2ZWQgZnJvbSB0aGUgY2FjaGUsIGV2ZXJ5dGhpbmcgZWxzZSBpcyByZXF1ZXN0ZWQgZnJvbVxuICAgKiAgc21hcGkuaW8gaW4gYmF0Y2hlcy4gSWYgdGhlIHNlcnZpY2UgY2FuJ3QgYmUgcmVhY2hlZCwgb3V0ZGF0ZWQgY2FjaGUgZW50cmllc1xuICAgKiAgYXJlIHVzZWQgaW5zdGVhZFxuICAgKi9cbiAgcHVibGljIGFzeW5jIGZpbmRCeU5hbWVzKHF1ZXJ5OiBJU01BUElJT1F1ZXJ5W10sXG4gICAgICAgICAgICAgICAgICAgICAgICAgICBtYXhBZ2U6IG51bWJlciA9IFNNQVBJX1FVRVJZX0ZSRVFVRU5DWSlcbiAgICAgICAgICAgICAgICAgICAgICAgICAgIDogUHJvbWlzZTxJU01BUElSZXN1bHRbXT4ge1xuICAgIHJldHVybiAoYXdhaXQgdGhpcy5sb29rdXAocXVlcnksIG1heEFnZSkpLnJlc3VsdHM7XG4gIH1cblxuICAvKipcbiAgICogbGlrZSBmaW5kQnlOYW1lcyBidXQgYWxzbyByZXBvcnRzIHRoZSBxdWVyaWVzIHNtYXBpLmlvIGZhaWxlZCB0byBhbnN3ZXIgc29cbiAgICogIGNhbGxlcnMgY2FuIHJldHJ5IHRoZW1cbiAgICovXG4gIHB1YmxpYyBhc3luYyBsb29rdXAocXVlcnk6IElTTUFQSUlPUXVlcnlbXSxcbiAgICAgICAgICAgICAgICAgICAgICBtYXhBZ2U6IG51bWJlciA9IFNNQVBJX1FVRVJZX0ZSRVFVRU5DWSlcbiAgICAgICAgICAgICAgICAgICAgICA6IFByb21pc2U8SVNNQVBJTG9va3VwUmVzdWx0PiB7XG4gICAgY29uc3Qgbm93ID0gRGF0ZS5ub3coKTtcbiAgICBjb25zdCByZXN1bHRzOiBJU01BUElSZXN1bHRbXSA9IFtdO1xuICAgIGNvbnN0IG91dGRhdGVkOiBJU01BUElJT1F1ZXJ5W10gPSBbXTtcbiAgICBmb3IgKGNvbnN0IGl0ZXIgb2YgcXVlcnkpIHtcbiAgICAgIGNvbnN0IGVudHJ5ID0gYXdhaXQgdGhpcy5tQ2FjaGUuZ2V0KGl0ZXIpO1xuICAgICAgaWYgKChlbnRyeSAhPT0gdW5kZWZpbmVkKSAmJiAoKG5vdyAtIGVudHJ5Lmxhc3RRdWVyeSkgPCBtYXhBZ2UpKSB7XG4gICAgICAgIGlmIChlbnRyeS5yZXN1bHQgIT09IG51bGwpIHtcbiAgICAgICAgICByZXN1bHRzLnB1c2goZW50cnkucmVzdWx0KTtcbiAgICAgICAgfVxuICAgICAgfSBlbHNlIHtcbiAgICAgICAgb3V0ZGF0ZWQucHVzaChpdGVyKTtcbiAgICAgIH1cbiAgICB9XG5cbiAgICBjb25zdCBmYWlsZWQ6IElTTUFQSUlPUXVlcnlbXSA9IFtdO1xuICAgIGxldCBxdWVyeUVycm9yOiBFcnJvcjtcbiAgICBmb3IgKGxldCBpID0gMDsgaSA8IG91dGRhdGVkLmxlbmd0aDsgaSArPSBTTUFQSV9RVUVSWV9CQVRDSF9TSVpFKSB7XG4gICAgICBjb25zdCBiYXRjaCA9IG91dGRhdGVkLnNsaWNlKGksIGkgKyBTTUFQSV9RVUVSWV9CQVRDSF9TSVpFKTtcbiAgICAgIHRyeSB7XG4gICAgICAgIGNvbnN0IHJlY2VpdmVkID0gYXdhaXQgdGhpcy5xdWVyeVNlcnZlcihiYXRjaCk7XG4gICAgICAgIGZvciAoY29uc3QgaXRlbSBvZiBiYXRjaCkge1xuICAgICAgICAgIGNvbnN0IHJlc3VsdCA9IHJlY2VpdmVkLmZpbmQocmVzID0+IHJlcy5pZD8udG9Mb3dlckNhc2UoKSA9PT0gaXRlbS5pZC50b0xvd2VyQ2FzZSgpKTtcbiAgICAgICAgICBhd2FpdCB0aGlzLm1DYWNoZS5zZXQoaXRlbSwgcmVzdWx0ID8/IG51bGwsIG5vdyk7XG4gICAgICAgICAgaWYgKHJlc3VsdCAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgICByZXN1bHRzLnB1c2gocmVzdWx0KTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgICBsb2coJ3dhcm4nLCAnZmFpbGVkIHRvIHF1ZXJ5IHNtYXBpLmlvLCB1c2luZyBjYWNoZWQgZGF0YScsIGVyci5tZXNzYWdlKTtcbiAgICAgICAgcXVlcnlFcnJvciA9IGVycjtcbiAgICAgICAgZmFpbGVkLnB1c2goLi4uYmF0Y2gpO1xuICAgICAgICBmb3IgKGNvbnN0IGl0ZW0gb2YgYmF0Y2gpIHtcbiAgICAgICAgICBjb25zdCBlbnRyeSA9IGF3YWl0IHRoaXMubUNhY2hlLmdldChpdGVtKTtcbiAgICAgICAgICBpZiAoKGVudHJ5Py5yZXN1bHQgPz8gbnVsbCkgIT09IG51bGwpIHtcbiAgICAgICAgICAgIHJlc3VsdHMucHVzaChlbnRyeS5yZXN1bHQpO1xuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgfVxuICAgIH1cblxuICAgIGF3YWl0IHRoaXMubUNhY2hlLnNhdmUoKTtcblxuICAgIGlmICgocXVlcnlFcnJvciAhPT0gdW5kZWZpbmVkKSAmJiAocmVzdWx0cy5sZW5ndGggPT09IDApKSB7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QocXVlcnlFcnJvcik7XG4gICAgfVxuICAgIHJldHVybiB7IHJlc3VsdHMsIGZhaWxlZCB9O1xuICB9XG5cbiAgcHJpdmF0ZSBhc3luYyBxdWVyeVNlcnZlcihxdWVyeTogSVNNQVBJSU9RdWVyeVtdKTogUHJvbWlzZTxJU01BUElSZXN1bHRbXT4ge1xuICAgIGNvbnN0IGxpYiA9ICh0aGlzLm1PcHRpb25zLnByb3RvY29sID09PSAnaHR0cDonKSA/IGh0dHAgOiBodHRwcztcbiAgICByZXR1cm4gbmV3IFByb21pc2UoKHJlc29sdmUsIHJlamVjdCkgPT4ge1xuICAgICAgY29uc3QgcmVxID0gbGliLnJlcXVlc3QodGhpcy5tT3B0aW9ucywgcmVzID0+IHtcbiAgICAgICAgbGV0IGJvZHkgPSBCdWZmZXIuZnJvbShbXSk7XG4gICAgICAgIHJlc1xuICAgICAgICAgIC5vbignZXJyb3InLCBlcnIgPT4gcmVqZWN0KGVycikpXG4gICAgICAgICAgLm9uKCdkYXRhJywgY2h1bmsgPT4ge1xuICAgICAgICAgICAgYm9keSA9IEJ1ZmZlci5jb25jYXQoW2JvZHksIGNodW5rXSk7XG4gICAgICAgICAgfSlcbiAgICAgICAgICAub24oJ2VuZCcsICgpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IHRleHR1YWwgPSBib2R5LnRvU3RyaW5nKCd1dGY4Jyk7XG4gICAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgICBjb25zdCBwYXJzZWQgPSBKU09OLnBhcnNlKHRleHR1YWwpO1xuICAgICAgICAgICAgICBpZiAoIUFycmF5LmlzQXJyYXkocGFyc2VkKSkge1xuICAgICAgICAgICAgICAgIHRocm93IG5ldyB1dGlsLkRhdGFJbnZhbGlkKGB1bmV4cGVjdGVkIHNtYXBpIHJlc3BvbnNlIChzdGF0dXMgJHtyZXMuc3RhdHVzQ29kZX0pYCk7XG4gICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgcmVzb2x2ZShwYXJzZWQpO1xuICAgICAgICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgICAgICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIHBhcnNlIHNtYXBpIHJlc3BvbnNlJywgdGV4dHVhbCk7XG4gICAgICAgICAgICAgIHJlamVjdChlcnIpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH0pO1xuICAgICAgfSlcbiAgICAgICAgLm9uKCdlcnJvcicsIGVyciA9PiByZWplY3QoZXJyKSlcbiAgICAgIHJlcS53cml0ZShKU09OLnN0cmluZ2lmeSh7XG4gICAgICAgIG1vZHM6IHF1ZXJ5LFxuICAgICAgICBpbmNsdWRlRXh0ZW5kZWRNZXRhZGF0YTogdHJ1ZSxcbiAgICAgICAgYXBpVmVyc2lvbjogU01BUElfSU9fQVBJX1ZFUlNJT04sXG4gICAgICB9KSk7XG4gICAgICByZXEuZW5kKCk7XG4gICAgfSk7XG4gIH1cblxuICBwcml2YXRlIG1ha2VLZXkocXVlcnk6IElRdWVyeSk6IHN0cmluZyB7XG4gICAgcmV0dXJuIGBzbWFwaW86JHtxdWVyeS5uYW1lfToke3F1ZXJ5LnZlcnNpb25NYXRjaH1gOyAgICBcbiAgfVxuXG4gIHByaXZhdGUgYXN5bmMgbG9va3VwT25OZXh1cyhxdWVyeTogSVF1ZXJ5LFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgbmV4dXNJZDogbnVtYmVyLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgdmVyc2lvbjogc3RyaW5nKVxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgOiBQcm9taXNlPElMb29rdXBSZXN1bHRbXT4ge1xuICAgIGF3YWl0IHRoaXMubUFQSS5leHQuZW5zdXJlTG9nZ2VkSW4oKTtcblxuICAgIGNvbnN0IGZpbGVzOiBJRmlsZUluZm9bXSA9IGF3YWl0IHRoaXMubUFQSS5leHQubmV4dXNHZXRNb2RGaWxlcz8uKEdBTUVfSUQsIG5leHVzSWQpID8/IFtdO1xuXG4gICAgY29uc3QgdmVyc2lvblBhdHRlcm4gPSBgPj0ke3ZlcnNpb259YDtcblxuICAgIGNvbnN0IGZpbGUgPSBmaWxlc1xuICAgICAgLmZpbHRlcihpdGVyID0+IHNlbXZlci5zYXRpc2ZpZXMoY29lcmNlKGl0ZXIudmVyc2lvbiksIHZlcnNpb25QYXR0ZXJuKSlcbiAgICAgIC5zb3J0KChsaHMsIHJocykgPT4gc2VtdmVyQ29tcGFyZShyaHMudmVyc2lvbiwgbGhzLnZlcnNpb24pKVswXTtcblxuICAgIGlmIChmaWxlID09PSB1bmRlZmluZWQpIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcignbm8gZmlsZSBmb3VuZCcpO1xuICAgIH1cbiAgICByZXR1cm4gW3tcbiAgICAgIGtleTogdGhpcy5tYWtlS2V5KHF1ZXJ5KSxcbiAgICAgIHZhbHVlOiB7XG4gICAgICAgIGZpbGVNRDU6IHVuZGVmaW5lZCxcbiAgICAgICAgZmlsZU5hbWU6IGZpbGUuZmlsZV9uYW1lLFxuICAgICAgICBmaWxlU2l6ZUJ5dGVzOiBmaWxlLnNpemUgKiAxMDI0LFxuICAgICAgICBmaWxlVmVyc2lvbjogZmlsZS52ZXJzaW9uLFxuICAgICAgICBnYW1lSWQ6IEdBTUVfSUQsXG4gICAgICAgIHNvdXJjZVVSSTogYG54bTovLyR7R0FNRV9JRH0vbW9kcy8ke25leHVzSWR9L2ZpbGVzLyR7ZmlsZS5maWxlX2lkfWAsXG4gICAgICAgIGxvZ2ljYWxGaWxlTmFtZTogcXVlcnkubmFtZS50b0xvd2VyQ2FzZSgpLFxuICAgICAgICBzb3VyY2U6ICduZXh1cycsXG4gICAgICAgIGRvbWFpbk5hbWU6IEdBTUVfSUQsXG4gICAgICAgIGRldGFpbHM6IHtcbiAgICAgICAgICBjYXRlZ29yeTogZmlsZS5jYXRlZ29yeV9pZC50b1N0cmluZygpLFxuICAgICAgICAgIGRlc2NyaXB0aW9uOiBmaWxlLmRlc2NyaXB0aW9uLFxuICAgICAgICAgIG1vZElkOiBuZXh1c0lkLnRvU3RyaW5nKCksXG4gICAgICAgICAgZmlsZUlkOiBmaWxlLmZpbGVfaWQudG9TdHJpbmcoKSxcbiAgICAgICAgfVxuICAgICAgfSxcbiAgICB9XTtcbiAgfVxufVxuXG5leHBvcnQgZGVmYXVsdCBTTUFQSVByb3h5O1xuIl19
\ No newline at end of file
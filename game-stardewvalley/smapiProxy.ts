@@ -1,25 +1,51 @@
 import { IFileInfo } from '@nexusmods/nexus-api';
+import * as http from 'http';
 import * as https from 'https';
 import { ILookupResult, IQuery } from 'modmeta-db';
+import path from 'path';
 import * as semver from 'semver';
-import { log, types } from 'vortex-api';
+import { log, types, util } from 'vortex-api';
 import { GAME_ID } from './common';
-import { SMAPI_IO_API_VERSION } from './constants';
-import { ISMAPIIOQuery, ISMAPIResult } from './types';
+import { SMAPI_API_URL, SMAPI_IO_API_VERSION, SMAPI_QUERY_BATCH_SIZE,
+         SMAPI_QUERY_FREQUENCY } from './constants';
+import SMAPICache from './smapiCache';
+import { ISMAPIIOQuery, ISMAPILookupResult, ISMAPIResult } from './types';
 import { coerce, semverCompare } from './util';
 
-const SMAPI_HOST = 'smapi.io';
-
 class SMAPIProxy {
   private mAPI: types.IExtensionApi;
   private mOptions: https.RequestOptions;
-  constructor(api: types.IExtensionApi) {
+  private mCache: SMAPICache;
+  constructor(api: types.IExtensionApi, baseUrl?: string) {
     this.mAPI = api;
+    this.mCache = new SMAPICache(
+      path.join(util.getVortexPath('userData'), GAME_ID, 'smapi_compatibility.json'));
+    this.setBaseUrl(baseUrl ?? SMAPI_API_URL);
+  }
+
+  /**
+   * change the smapi.io api endpoint, e.g. to a local server mirroring
+   *  the smapi.io api. Both http and https urls are supported
+   */
+  public setBaseUrl(baseUrl: string) {
+    let url: URL;
+    try {
+      url = new URL(baseUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`unsupported protocol "${url.protocol}"`);
+      }
+    } catch (err) {
+      // this may come from an environment variable, a typo there mustn't
+      //  keep the extension from starting
+      log('error', 'invalid smapi.io api url, using the default', { baseUrl, error: err.message });
+      url = new URL(SMAPI_API_URL);
+    }
     this.mOptions = {
-      host: SMAPI_HOST,
+      hostname: url.hostname,
+      port: url.port || undefined,
       method: 'POST',
-      protocol: 'https:',
-      path: '/api/v3.0/mods',
+      protocol: url.protocol,
+      path: url.pathname.replace(/\/$/, '') + '/mods',
       headers: {
         'Content-Type': 'application/json',
       },
@@ -53,9 +79,77 @@ class SMAPIProxy {
     }
   }
 
-  public async findByNames(query: ISMAPIIOQuery[]): Promise<ISMAPIResult[]> {
+  /**
+   * look up compatibility information for the specified mods. Results younger
+   *  than maxAge are served from the cache, everything else is requested from
+   *  smapi.io in batches. If the service can't be reached, outdated cache entries
+   *  are used instead
+   */
+  public async findByNames(query: ISMAPIIOQuery[],
+                           maxAge: number = SMAPI_QUERY_FREQUENCY)
+                           : Promise<ISMAPIResult[]> {
+    return (await this.lookup(query, maxAge)).results;
+  }
+
+  /**
+   * like findByNames but also reports the queries smapi.io failed to answer so
+   *  callers can retry them
+   */
+  public async lookup(query: ISMAPIIOQuery[],
+                      maxAge: number = SMAPI_QUERY_FREQUENCY)
+                      : Promise<ISMAPILookupResult> {
+    const now = Date.now();
+    const results: ISMAPIResult[] = [];
+    const outdated: ISMAPIIOQuery[] = [];
+    for (const iter of query) {
+      const entry = await this.mCache.get(iter);
+      if ((entry !== undefined) && ((now - entry.lastQuery) < maxAge)) {
+        if (entry.result !== null) {
+          results.push(entry.result);
+        }
+      } else {
+        outdated.push(iter);
+      }
+    }
+
+    const failed: ISMAPIIOQuery[] = [];
+    let queryError: Error;
+    for (let i = 0; i < outdated.length; i += SMAPI_QUERY_BATCH_SIZE) {
+      const batch = outdated.slice(i, i + SMAPI_QUERY_BATCH_SIZE);
+      try {
+        const received = await this.queryServer(batch);
+        for (const item of batch) {
+          const result = received.find(res => res.id?.toLowerCase() === item.id.toLowerCase());
+          await this.mCache.set(item, result ?? null, now);
+          if (result !== undefined) {
+            results.push(result);
+          }
+        }
+      } catch (err) {
+        log('warn', 'failed to query smapi.io, using cached data', err.message);
+        queryError = err;
+        failed.push(...batch);
+        for (const item of batch) {
+          const entry = await this.mCache.get(item);
+          if ((entry?.result ?? null) !== null) {
+            results.push(entry.result);
+          }
+        }
+      }
+    }
+
+    await this.mCache.save();
+
+    if ((queryError !== undefined) && (results.length === 0)) {
+      return Promise.reject(queryError);
+    }
+    return { results, failed };
+  }
+
+  private async queryServer(query: ISMAPIIOQuery[]): Promise<ISMAPIResult[]> {
+    const lib = (this.mOptions.protocol === 'http:') ? http : https;
     return new Promise((resolve, reject) => {
-      const req = https.request(this.mOptions, res => {
+      const req = lib.request(this.mOptions, res => {
         let body = Buffer.from([]);
         res
           .on('error', err => reject(err))
@@ -66,6 +160,9 @@ class SMAPIProxy {
             const textual = body.toString('utf8');
             try {
               const parsed = JSON.parse(textual);
+              if (!Array.isArray(parsed)) {
+                throw new util.DataInvalid(`unexpected smapi response (status ${res.statusCode})`);
+              }
               resolve(parsed);
             } catch (err) {
               log('error', 'failed to parse smapi response', textual);
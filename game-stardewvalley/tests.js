@@ -9,7 +9,7 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
     });
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.testSMAPIOutdated = void 0;
+exports.testDuplicateUniqueIds = exports.testMissingDependencies = exports.describeIssue = exports.testSMAPIOutdated = void 0;
 const vortex_api_1 = require("vortex-api");
 const semver_1 = require("semver");
 const SMAPI_1 = require("./SMAPI");
@@ -62,4 +62,166 @@ function testSMAPIOutdated(api, depManager) {
     });
 }
 exports.testSMAPIOutdated = testSMAPIOutdated;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVzdHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0ZXN0cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7QUFBQSwyQ0FBOEM7QUFJOUMsbUNBQXFDO0FBRXJDLG1DQUFzRDtBQUV0RCxxQ0FBbUM7QUFFbkMsU0FBc0IsaUJBQWlCLENBQUMsR0FBd0IsRUFDeEIsVUFBNkI7OztRQUVuRSxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxZQUFZLEdBQUcsc0JBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkQsSUFBSSxZQUFZLEtBQUssZ0JBQU8sRUFBRTtZQUM1QixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDbkM7UUFFRCxJQUFJLG1CQUFtQixHQUFHLE1BQUEsTUFBQSxJQUFBLG9CQUFZLEVBQUMsR0FBRyxDQUFDLDBDQUFFLFVBQVUsMENBQUUsT0FBTyxDQUFDO1FBQ2pFLElBQUksbUJBQW1CLEtBQUssU0FBUyxFQUFFO1lBRXJDLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUVELE1BQU0sZUFBZSxHQUFHLEdBQVMsRUFBRTs7WUFDakMsbUJBQW1CLEdBQUcsTUFBQSxNQUFBLElBQUEsb0JBQVksRUFBQyxHQUFHLENBQUMsMENBQUUsVUFBVSwwQ0FBRSxPQUFPLENBQUM7WUFDN0QsTUFBTSxnQkFBZ0IsR0FBRyxNQUFNLFVBQVUsQ0FBQyxZQUFZLEVBQUUsQ0FBQztZQUN6RCxNQUFNLGtCQUFrQixHQUFhLEVBQUUsQ0FBQztZQUN4QyxLQUFLLE1BQU0sQ0FBQyxFQUFFLEVBQUUsU0FBUyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFO2dCQUM5RCxNQUFNLFlBQVksR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUU7O29CQUM3QyxJQUFJLElBQUksQ0FBQyxpQkFBaUIsS0FBSyxTQUFTLEVBQUU7d0JBQ3hDLE9BQU8sQ0FBQyxJQUFBLFlBQUcsRUFBQyxtQkFBbUIsRUFBRSxJQUFBLGVBQU0sRUFBQyxNQUFBLElBQUksQ0FBQyxpQkFBaUIsbUNBQUksT0FBTyxDQUFDLENBQUMsQ0FBQztxQkFDN0U7b0JBQ0QsT0FBTyxLQUFLLENBQUM7Z0JBQ2YsQ0FBQyxDQUFDLENBQUM7Z0JBQ0gsSUFBSSxZQUFZLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtvQkFDM0Isa0JBQWtCLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2lCQUM3QjthQUNGO1lBQ0QsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsa0JBQWtCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDMUQsQ0FBQyxDQUFBLENBQUE7UUFFRCxNQUFNLFFBQVEsR0FBRyxNQUFNLGVBQWUsRUFBRSxDQUFDO1FBQ3pDLE1BQU0sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxTQUFTLENBQUM7UUFDeEIsT0FBTyxRQUFRO1lBQ2IsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7Z0JBQ2hCLFdBQVcsRUFBRTtvQkFDWCxLQUFLLEVBQUUsQ0FBQyxDQUFDLHVCQUF1QixDQUFDO29CQUNqQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLG1GQUFtRjswQkFDbkYsc0RBQXNELENBQUM7aUJBQ2hFO2dCQUNELFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFBLHFCQUFhLEVBQUMsR0FBRyxFQUFFLElBQUksQ0FBQztnQkFDNUMsU0FBUyxFQUFFLEdBQUcsRUFBRSxDQUFDLGVBQWUsRUFBRTtnQkFDbEMsUUFBUSxFQUFFLFNBQWtDO2FBQzdDLENBQUM7WUFDRixDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQzs7Q0FDaEM7QUEvQ0QsOENBK0NDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgdHlwZXMsIHNlbGVjdG9ycyB9IGZyb20gJ3ZvcnRleC1hcGknO1xyXG5cclxuaW1wb3J0IERlcGVuZGVuY3lNYW5hZ2VyIGZyb20gJy4vRGVwZW5kZW5jeU1hbmFnZXInO1xyXG5cclxuaW1wb3J0IHsgY29lcmNlLCBndGUgfSBmcm9tICdzZW12ZXInO1xyXG5cclxuaW1wb3J0IHsgZG93bmxvYWRTTUFQSSwgZmluZFNNQVBJTW9kIH0gZnJvbSAnLi9TTUFQSSc7XHJcblxyXG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHRlc3RTTUFQSU91dGRhdGVkKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGRlcE1hbmFnZXI6IERlcGVuZGVuY3lNYW5hZ2VyKVxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgOiBQcm9taXNlPHR5cGVzLklUZXN0UmVzdWx0PiB7XHJcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcclxuICBjb25zdCBhY3RpdmVHYW1lSWQgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcclxuICBpZiAoYWN0aXZlR2FtZUlkICE9PSBHQU1FX0lEKSB7XHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XHJcbiAgfVxyXG5cclxuICBsZXQgY3VycmVudFNNQVBJVmVyc2lvbiA9IGZpbmRTTUFQSU1vZChhcGkpPy5hdHRyaWJ1dGVzPy52ZXJzaW9uO1xyXG4gIGlmIChjdXJyZW50U01BUElWZXJzaW9uID09PSB1bmRlZmluZWQpIHtcclxuICAgIC8vIFNNQVBJIGlzbid0IGluc3RhbGxlZCBvciBlbmFibGVkLlxyXG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xyXG4gIH1cclxuXHJcbiAgY29uc3QgaXNTbWFwaU91dGRhdGVkID0gYXN5bmMgKCkgPT4ge1xyXG4gICAgY3VycmVudFNNQVBJVmVyc2lvbiA9IGZpbmRTTUFQSU1vZChhcGkpPy5hdHRyaWJ1dGVzPy52ZXJzaW9uO1xyXG4gICAgY29uc3QgZW5hYmxlZE1hbmlmZXN0cyA9IGF3YWl0IGRlcE1hbmFnZXIuZ2V0TWFuaWZlc3RzKCk7XHJcbiAgICBjb25zdCBpbmNvbXBhdGlibGVNb2RJZHM6IHN0cmluZ1tdID0gW107XHJcbiAgICBmb3IgKGNvbnN0IFtpZCwgbWFuaWZlc3RzXSBvZiBPYmplY3QuZW50cmllcyhlbmFibGVkTWFuaWZlc3RzKSkge1xyXG4gICAgICBjb25zdCBpbmNvbXBhdGlibGUgPSBtYW5pZmVzdHMuZmlsdGVyKChpdGVyKSA9PiB7XHJcbiAgICAgICAgaWYgKGl0ZXIuTWluaW11bUFwaVZlcnNpb24gIT09IHVuZGVmaW5lZCkge1xyXG4gICAgICAgICAgcmV0dXJuICFndGUoY3VycmVudFNNQVBJVmVyc2lvbiwgY29lcmNlKGl0ZXIuTWluaW11bUFwaVZlcnNpb24gPz8gJzAuMC4wJykpO1xyXG4gICAgICAgIH1cclxuICAgICAgICByZXR1cm4gZmFsc2U7XHJcbiAgICAgIH0pO1xyXG4gICAgICBpZiAoaW5jb21wYXRpYmxlLmxlbmd0aCA+IDApIHtcclxuICAgICAgICBpbmNvbXBhdGlibGVNb2RJZHMucHVzaChpZCk7XHJcbiAgICAgIH1cclxuICAgIH1cclxuICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoKGluY29tcGF0aWJsZU1vZElkcy5sZW5ndGggPiAwKSk7XHJcbiAgfVxyXG5cclxuICBjb25zdCBvdXRkYXRlZCA9IGF3YWl0IGlzU21hcGlPdXRkYXRlZCgpO1xyXG4gIGNvbnN0IHQgPSBhcGkudHJhbnNsYXRlO1xyXG4gIHJldHVybiBvdXRkYXRlZFxyXG4gICAgPyBQcm9taXNlLnJlc29sdmUoe1xyXG4gICAgICBkZXNjcmlwdGlvbjoge1xyXG4gICAgICAgIHNob3J0OiB0KCdTTUFQSSB1cGRhdGUgcmVxdWlyZWQnKSxcclxuICAgICAgICBsb25nOiB0KCdTb21lIFN0YXJkZXcgVmFsbGV5IG1vZHMgcmVxdWlyZSBhIG5ld2VyIHZlcnNpb24gb2YgU01BUEkgdG8gZnVuY3Rpb24gY29ycmVjdGx5LCAnXHJcbiAgICAgICAgICAgICAgKyAneW91IHNob3VsZCBjaGVjayBmb3IgU01BUEkgdXBkYXRlcyBpbiB0aGUgbW9kcyBwYWdlLicpLFxyXG4gICAgICB9LFxyXG4gICAgICBhdXRvbWF0aWNGaXg6ICgpID0+IGRvd25sb2FkU01BUEkoYXBpLCB0cnVlKSxcclxuICAgICAgb25SZWNoZWNrOiAoKSA9PiBpc1NtYXBpT3V0ZGF0ZWQoKSxcclxuICAgICAgc2V2ZXJpdHk6ICd3YXJuaW5nJyBhcyB0eXBlcy5Qcm9ibGVtU2V2ZXJpdHksXHJcbiAgICB9KVxyXG4gICAgOiBQcm9taXNlLnJlc29sdmUodW5kZWZpbmVkKTtcclxufSJdfQ==
\ No newline at end of file
+function describeIssue(t, issue) {
+    const replace = {
+        id: issue.uniqueId,
+        minVersion: issue.minimumVersion,
+        installed: issue.installedVersion,
+        dependents: issue.requiredBy.map(node => { var _a; return (_a = node.manifest.Name) !== null && _a !== void 0 ? _a : node.manifest.UniqueID; }).join(', '),
+    };
+    switch (issue.type) {
+        case 'disabled': return t('"{{id}}" is installed but disabled (required by {{dependents}})', { replace });
+        case 'outdated': return t('"{{id}}" is at version {{installed}} but {{minVersion}} or newer '
+            + 'is required (by {{dependents}})', { replace });
+        default: return t('"{{id}}" is not installed (required by {{dependents}})', { replace });
+    }
+}
+exports.describeIssue = describeIssue;
+function downloadDependency(api, proxy, issue) {
+    var _a, _b;
+    return __awaiter(this, void 0, void 0, function* () {
+        const versionMatch = (issue.minimumVersion !== undefined)
+            ? `>=${issue.minimumVersion}`
+            : '*';
+        const results = yield proxy.find({ name: issue.uniqueId.toLowerCase(), versionMatch });
+        const sourceURI = (_b = (_a = results[0]) === null || _a === void 0 ? void 0 : _a.value) === null || _b === void 0 ? void 0 : _b.sourceURI;
+        if (sourceURI === undefined) {
+            throw new vortex_api_1.util.NotFound(issue.uniqueId);
+        }
+        if (!sourceURI.startsWith('nxm://')) {
+            return vortex_api_1.util.opn(sourceURI).catch(() => null);
+        }
+        const dlInfo = {
+            game: common_1.GAME_ID,
+            name: issue.uniqueId,
+        };
+        yield vortex_api_1.util.toPromise(cb => api.events.emit('start-download', [sourceURI], dlInfo, undefined, cb, undefined, { allowInstall: true }));
+    });
+}
+function fixDependencyIssues(api, proxy, issues) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const profileId = vortex_api_1.selectors.lastActiveProfileForGame(api.getState(), common_1.GAME_ID);
+        const toEnable = issues
+            .filter(issue => (issue.type === 'disabled') && (issue.providerId !== undefined))
+            .map(issue => issue.providerId);
+        if (toEnable.length > 0) {
+            yield vortex_api_1.actions.setModsEnabled(api, profileId, Array.from(new Set(toEnable)), true, {
+                allowAutoDeploy: true,
+                installed: true,
+            });
+        }
+        const failed = [];
+        for (const issue of issues.filter(iter => iter.type !== 'disabled')) {
+            if (proxy === undefined) {
+                failed.push(issue.uniqueId);
+                continue;
+            }
+            try {
+                yield downloadDependency(api, proxy, issue);
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('warn', 'failed to download dependency', { uniqueId: issue.uniqueId, error: err.message });
+                failed.push(issue.uniqueId);
+            }
+        }
+        if (failed.length > 0) {
+            api.showErrorNotification('Failed to find a download for some dependencies', failed.join('\n'), { allowReport: false });
+        }
+    });
+}
+function testMissingDependencies(api, depManager, proxy) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const activeGameId = vortex_api_1.selectors.activeGameId(state);
+        if ((activeGameId !== common_1.GAME_ID) || (depManager === undefined)) {
+            return Promise.resolve(undefined);
+        }
+        const findIssues = () => __awaiter(this, void 0, void 0, function* () {
+            yield depManager.scanManifests(true);
+            return depManager.findDependencyIssues();
+        });
+        const issues = yield findIssues();
+        if (issues.length === 0) {
+            return Promise.resolve(undefined);
+        }
+        const t = api.translate;
+        return Promise.resolve({
+            description: {
+                short: t('Missing mod dependencies'),
+                long: t('Some of your enabled Stardew Valley mods require other mods which are '
+                    + 'missing, disabled or outdated:[br][/br][br][/br]{{issues}}[br][/br]'
+                    + 'The fix will enable installed dependencies and start downloads for the '
+                    + 'rest, where a download can be found.', {
+                    replace: {
+                        issues: '[list]' + issues.map(issue => `[*]${describeIssue(t, issue)}`).join('') + '[/list]',
+                    },
+                }),
+            },
+            automaticFix: () => fixDependencyIssues(api, proxy, issues),
+            onRecheck: () => __awaiter(this, void 0, void 0, function* () { return (yield findIssues()).length > 0; }),
+            severity: 'warning',
+        });
+    });
+}
+exports.testMissingDependencies = testMissingDependencies;
+function testDuplicateUniqueIds(api, depManager) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const activeGameId = vortex_api_1.selectors.activeGameId(state);
+        if ((activeGameId !== common_1.GAME_ID) || (depManager === undefined)) {
+            return Promise.resolve(undefined);
+        }
+        const findDuplicates = () => __awaiter(this, void 0, void 0, function* () {
+            yield depManager.scanManifests(true);
+            return depManager.findDuplicates();
+        });
+        const duplicates = yield findDuplicates();
+        if (duplicates.length === 0) {
+            return Promise.resolve(undefined);
+        }
+        const t = api.translate;
+        const mods = (_a = state.persistent.mods[common_1.GAME_ID]) !== null && _a !== void 0 ? _a : {};
+        const renderNode = (node) => {
+            var _a, _b;
+            return t('"{{name}}" {{version}} (installed as "{{modName}}")', {
+                replace: {
+                    name: (_a = node.manifest.Name) !== null && _a !== void 0 ? _a : node.manifest.UniqueID,
+                    version: (_b = node.manifest.Version) !== null && _b !== void 0 ? _b : '?',
+                    modName: (mods[node.modId] !== undefined) ? vortex_api_1.util.renderModName(mods[node.modId]) : node.modId,
+                },
+            });
+        };
+        const fix = () => __awaiter(this, void 0, void 0, function* () {
+            const toDisable = new Set();
+            for (const nodes of duplicates) {
+                nodes.slice(1)
+                    .filter(node => node.modId !== nodes[0].modId)
+                    .forEach(node => toDisable.add(node.modId));
+            }
+            const profileId = vortex_api_1.selectors.lastActiveProfileForGame(api.getState(), common_1.GAME_ID);
+            yield vortex_api_1.actions.setModsEnabled(api, profileId, Array.from(toDisable), false, {
+                allowAutoDeploy: true,
+            });
+        });
+        return Promise.resolve({
+            description: {
+                short: t('Duplicate mods'),
+                long: t('SMAPI will refuse to load mods that share a UniqueID. The following mods are '
+                    + 'installed and enabled more than once, probably from different archives:'
+                    + '[br][/br][br][/br]{{duplicates}}[br][/br]'
+                    + 'The fix will disable all but the newest version of each mod. Please note that this '
+                    + 'disables the whole Vortex mod, including any other mods packaged with it.', {
+                    replace: {
+                        duplicates: '[list]' + duplicates.map(nodes => `[*]${nodes[0].manifest.UniqueID}: ${nodes.map(renderNode).join(' / ')}`).join('') + '[/list]',
+                    },
+                }),
+            },
+            automaticFix: () => fix(),
+            onRecheck: () => __awaiter(this, void 0, void 0, function* () { return (yield findDuplicates()).length > 0; }),
+            severity: 'warning',
+        });
+    });
+}
+exports.testDuplicateUniqueIds = testDuplicateUniqueIds;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVzdHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0ZXN0cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7QUFBQSwyQ0FBa0U7QUFNbEUsbUNBQXFDO0FBRXJDLG1DQUFzRDtBQUV0RCxxQ0FBbUM7QUFFbkMsU0FBc0IsaUJBQWlCLENBQUMsR0FBd0IsRUFDeEIsVUFBNkI7OztRQUVuRSxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxZQUFZLEdBQUcsc0JBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkQsSUFBSSxZQUFZLEtBQUssZ0JBQU8sRUFBRTtZQUM1QixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDbkM7UUFFRCxJQUFJLG1CQUFtQixHQUFHLE1BQUEsTUFBQSxJQUFBLG9CQUFZLEVBQUMsR0FBRyxDQUFDLDBDQUFFLFVBQVUsMENBQUUsT0FBTyxDQUFDO1FBQ2pFLElBQUksbUJBQW1CLEtBQUssU0FBUyxFQUFFO1lBRXJDLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUVELE1BQU0sZUFBZSxHQUFHLEdBQVMsRUFBRTs7WUFDakMsbUJBQW1CLEdBQUcsTUFBQSxNQUFBLElBQUEsb0JBQVksRUFBQyxHQUFHLENBQUMsMENBQUUsVUFBVSwwQ0FBRSxPQUFPLENBQUM7WUFDN0QsTUFBTSxnQkFBZ0IsR0FBRyxNQUFNLFVBQVUsQ0FBQyxZQUFZLEVBQUUsQ0FBQztZQUN6RCxNQUFNLGtCQUFrQixHQUFhLEVBQUUsQ0FBQztZQUN4QyxLQUFLLE1BQU0sQ0FBQyxFQUFFLEVBQUUsU0FBUyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFO2dCQUM5RCxNQUFNLFlBQVksR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUU7O29CQUM3QyxJQUFJLElBQUksQ0FBQyxpQkFBaUIsS0FBSyxTQUFTLEVBQUU7d0JBQ3hDLE9BQU8sQ0FBQyxJQUFBLFlBQUcsRUFBQyxtQkFBbUIsRUFBRSxJQUFBLGVBQU0sRUFBQyxNQUFBLElBQUksQ0FBQyxpQkFBaUIsbUNBQUksT0FBTyxDQUFDLENBQUMsQ0FBQztxQkFDN0U7b0JBQ0QsT0FBTyxLQUFLLENBQUM7Z0JBQ2YsQ0FBQyxDQUFDLENBQUM7Z0JBQ0gsSUFBSSxZQUFZLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtvQkFDM0Isa0JBQWtCLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2lCQUM3QjthQUNGO1lBQ0QsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsa0JBQWtCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDMUQsQ0FBQyxDQUFBLENBQUE7UUFFRCxNQUFNLFFBQVEsR0FBRyxNQUFNLGVBQWUsRUFBRSxDQUFDO1FBQ3pDLE1BQU0sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxTQUFTLENBQUM7UUFDeEIsT0FBTyxRQUFRO1lBQ2IsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7Z0JBQ2hCLFdBQVcsRUFBRTtvQkFDWCxLQUFLLEVBQUUsQ0FBQyxDQUFDLHVCQUF1QixDQUFDO29CQUNqQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLG1GQUFtRjswQkFDbkYsc0RBQXNELENBQUM7aUJBQ2hFO2dCQUNELFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFBLHFCQUFhLEVBQUMsR0FBRyxFQUFFLElBQUksQ0FBQztnQkFDNUMsU0FBUyxFQUFFLEdBQUcsRUFBRSxDQUFDLGVBQWUsRUFBRTtnQkFDbEMsUUFBUSxFQUFFLFNBQWtDO2FBQzdDLENBQUM7WUFDRixDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQzs7Q0FDaEM7QUEvQ0QsOENBK0NDO0FBRUQsU0FBZ0IsYUFBYSxDQUFDLENBQWtCLEVBQUUsS0FBMEI7SUFDMUUsTUFBTSxPQUFPLEdBQUc7UUFDZCxFQUFFLEVBQUUsS0FBSyxDQUFDLFFBQVE7UUFDbEIsVUFBVSxFQUFFLEtBQUssQ0FBQyxjQUFjO1FBQ2hDLFNBQVMsRUFBRSxLQUFLLENBQUMsZ0JBQWdCO1FBQ2pDLFVBQVUsRUFBRSxLQUFLLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxXQUFDLE9BQUEsTUFBQSxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksbUNBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUEsRUFBQSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztLQUNsRyxDQUFDO0lBQ0YsUUFBUSxLQUFLLENBQUMsSUFBSSxFQUFFO1FBQ2xCLEtBQUssVUFBVSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsaUVBQWlFLEVBQ2pFLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUN2QyxLQUFLLFVBQVUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLG1FQUFtRTtjQUNqRSxpQ0FBaUMsRUFBRSxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDNUUsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsd0RBQXdELEVBQUUsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQzFGO0FBQ0gsQ0FBQztBQWRELHNDQWNDO0FBRUQsU0FBZSxrQkFBa0IsQ0FBQyxHQUF3QixFQUN4QixLQUFpQixFQUNqQixLQUEwQjs7O1FBQzFELE1BQU0sWUFBWSxHQUFHLENBQUMsS0FBSyxDQUFDLGNBQWMsS0FBSyxTQUFTLENBQUM7WUFDdkQsQ0FBQyxDQUFDLEtBQUssS0FBSyxDQUFDLGNBQWMsRUFBRTtZQUM3QixDQUFDLENBQUMsR0FBRyxDQUFDO1FBQ1IsTUFBTSxPQUFPLEdBQUcsTUFBTSxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUFFLEVBQUUsWUFBWSxFQUFFLENBQUMsQ0FBQztRQUN2RixNQUFNLFNBQVMsR0FBVyxNQUFBLE1BQUEsT0FBTyxDQUFDLENBQUMsQ0FBQywwQ0FBRSxLQUFLLDBDQUFFLFNBQVMsQ0FBQztRQUN2RCxJQUFJLFNBQVMsS0FBSyxTQUFTLEVBQUU7WUFDM0IsTUFBTSxJQUFJLGlCQUFJLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUN6QztRQUNELElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxFQUFFO1lBRW5DLE9BQU8saUJBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzlDO1FBQ0QsTUFBTSxNQUFNLEdBQUc7WUFDYixJQUFJLEVBQUUsZ0JBQU87WUFDYixJQUFJLEVBQUUsS0FBSyxDQUFDLFFBQVE7U0FDckIsQ0FBQztRQUNGLE1BQU0saUJBQUksQ0FBQyxTQUFTLENBQVMsRUFBRSxDQUFDLEVBQUUsQ0FDaEMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLEVBQUUsQ0FBQyxTQUFTLENBQUMsRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDOztDQUM3RztBQUVELFNBQWUsbUJBQW1CLENBQUMsR0FBd0IsRUFDeEIsS0FBaUIsRUFDakIsTUFBNkI7O1FBQzlELE1BQU0sU0FBUyxHQUFHLHNCQUFTLENBQUMsd0JBQXdCLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLGdCQUFPLENBQUMsQ0FBQztRQUM5RSxNQUFNLFFBQVEsR0FBRyxNQUFNO2FBQ3BCLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksS0FBSyxVQUFVLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLENBQUM7YUFDaEYsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ2xDLElBQUksUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDdkIsTUFBTSxvQkFBTyxDQUFDLGNBQWMsQ0FBQyxHQUFHLEVBQUUsU0FBUyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUU7Z0JBQ2hGLGVBQWUsRUFBRSxJQUFJO2dCQUNyQixTQUFTLEVBQUUsSUFBSTthQUNoQixDQUFDLENBQUM7U0FDSjtRQUVELE1BQU0sTUFBTSxHQUFhLEVBQUUsQ0FBQztRQUM1QixLQUFLLE1BQU0sS0FBSyxJQUFJLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxLQUFLLFVBQVUsQ0FBQyxFQUFFO1lBQ25FLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtnQkFDdkIsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7Z0JBQzVCLFNBQVM7YUFDVjtZQUNELElBQUk7Z0JBQ0YsTUFBTSxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO2FBQzdDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSwrQkFBK0IsRUFBRSxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztnQkFDL0YsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7YUFDN0I7U0FDRjtRQUVELElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDckIsR0FBRyxDQUFDLHFCQUFxQixDQUFDLGlEQUFpRCxFQUN6RSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7U0FDOUM7SUFDSCxDQUFDO0NBQUE7QUFFRCxTQUFzQix1QkFBdUIsQ0FBQyxHQUF3QixFQUN4QixVQUE2QixFQUM3QixLQUFpQjs7UUFFN0QsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sWUFBWSxHQUFHLHNCQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ25ELElBQUksQ0FBQyxZQUFZLEtBQUssZ0JBQU8sQ0FBQyxJQUFJLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxFQUFFO1lBQzVELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUVELE1BQU0sVUFBVSxHQUFHLEdBQVMsRUFBRTtZQUM1QixNQUFNLFVBQVUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDckMsT0FBTyxVQUFVLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUMzQyxDQUFDLENBQUEsQ0FBQztRQUVGLE1BQU0sTUFBTSxHQUFHLE1BQU0sVUFBVSxFQUFFLENBQUM7UUFDbEMsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUN2QixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDbkM7UUFFRCxNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQztZQUNyQixXQUFXLEVBQUU7Z0JBQ1gsS0FBSyxFQUFFLENBQUMsQ0FBQywwQkFBMEIsQ0FBQztnQkFDcEMsSUFBSSxFQUFFLENBQUMsQ0FBQyx3RUFBd0U7c0JBQ3hFLHFFQUFxRTtzQkFDckUseUVBQXlFO3NCQUN6RSxzQ0FBc0MsRUFBRTtvQkFDOUMsT0FBTyxFQUFFO3dCQUNQLE1BQU0sRUFBRSxRQUFRLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLE1BQU0sYUFBYSxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFNBQVM7cUJBQzdGO2lCQUNGLENBQUM7YUFDSDtZQUNELFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQztZQUMzRCxTQUFTLEVBQUUsR0FBUyxFQUFFLGdEQUFDLE9BQUEsQ0FBQyxNQUFNLFVBQVUsRUFBRSxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQSxHQUFBO1lBQ3RELFFBQVEsRUFBRSxTQUFrQztTQUM3QyxDQUFDLENBQUM7SUFDTCxDQUFDO0NBQUE7QUFyQ0QsMERBcUNDO0FBRUQsU0FBc0Isc0JBQXNCLENBQUMsR0FBd0IsRUFDeEIsVUFBNkI7OztRQUV4RSxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxZQUFZLEdBQUcsc0JBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkQsSUFBSSxDQUFDLFlBQVksS0FBSyxnQkFBTyxDQUFDLElBQUksQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLEVBQUU7WUFDNUQsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DO1FBRUQsTUFBTSxjQUFjLEdBQUcsR0FBUyxFQUFFO1lBQ2hDLE1BQU0sVUFBVSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNyQyxPQUFPLFVBQVUsQ0FBQyxjQUFjLEVBQUUsQ0FBQztRQUNyQyxDQUFDLENBQUEsQ0FBQztRQUVGLE1BQU0sVUFBVSxHQUFHLE1BQU0sY0FBYyxFQUFFLENBQUM7UUFDMUMsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUMzQixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDbkM7UUFFRCxNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE1BQU0sSUFBSSxHQUFvQyxNQUFBLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLGdCQUFPLENBQUMsbUNBQUksRUFBRSxDQUFDO1FBQ25GLE1BQU0sVUFBVSxHQUFHLENBQUMsSUFBd0IsRUFBRSxFQUFFOztZQUFDLE9BQUEsQ0FBQyxDQUFDLHFEQUFxRCxFQUFFO2dCQUN4RyxPQUFPLEVBQUU7b0JBQ1AsSUFBSSxFQUFFLE1BQUEsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLG1DQUFJLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUTtvQkFDbEQsT0FBTyxFQUFFLE1BQUEsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLG1DQUFJLEdBQUc7b0JBQ3JDLE9BQU8sRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUs7aUJBQzlGO2FBQ0YsQ0FBQyxDQUFBO1NBQUEsQ0FBQztRQUVILE1BQU0sR0FBRyxHQUFHLEdBQVMsRUFBRTtZQUVyQixNQUFNLFNBQVMsR0FBRyxJQUFJLEdBQUcsRUFBVSxDQUFDO1lBQ3BDLEtBQUssTUFBTSxLQUFLLElBQUksVUFBVSxFQUFFO2dCQUM5QixLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztxQkFDWCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsS0FBSyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUM7cUJBQzdDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7YUFDL0M7WUFDRCxNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLHdCQUF3QixDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsRUFBRSxnQkFBTyxDQUFDLENBQUM7WUFDOUUsTUFBTSxvQkFBTyxDQUFDLGNBQWMsQ0FBQyxHQUFHLEVBQUUsU0FBUyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsS0FBSyxFQUFFO2dCQUN6RSxlQUFlLEVBQUUsSUFBSTthQUN0QixDQUFDLENBQUM7UUFDTCxDQUFDLENBQUEsQ0FBQztRQUVGLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQztZQUNyQixXQUFXLEVBQUU7Z0JBQ1gsS0FBSyxFQUFFLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQztnQkFDMUIsSUFBSSxFQUFFLENBQUMsQ0FBQywrRUFBK0U7c0JBQy9FLHlFQUF5RTtzQkFDekUsMkNBQTJDO3NCQUMzQyxxRkFBcUY7c0JBQ3JGLDJFQUEyRSxFQUFFO29CQUNuRixPQUFPLEVBQUU7d0JBQ1AsVUFBVSxFQUFFLFFBQVEsR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQzVDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxRQUFRLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsR0FBRyxTQUFTO3FCQUNqRztpQkFDRixDQUFDO2FBQ0g7WUFDRCxZQUFZLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxFQUFFO1lBQ3pCLFNBQVMsRUFBRSxHQUFTLEVBQUUsZ0RBQUMsT0FBQSxDQUFDLE1BQU0sY0FBYyxFQUFFLENBQUMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFBLEdBQUE7WUFDMUQsUUFBUSxFQUFFLFNBQWtDO1NBQzdDLENBQUMsQ0FBQzs7Q0FDSjtBQTdERCx3REE2REMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBhY3Rpb25zLCBsb2csIHR5cGVzLCBzZWxlY3RvcnMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcblxuaW1wb3J0IERlcGVuZGVuY3lNYW5hZ2VyIGZyb20gJy4vRGVwZW5kZW5jeU1hbmFnZXInO1xuaW1wb3J0IFNNQVBJUHJveHkgZnJvbSAnLi9zbWFwaVByb3h5JztcbmltcG9ydCB7IElTRFZEZXBlbmRlbmN5SXNzdWUsIElTRFZEZXBlbmRlbmN5Tm9kZSB9IGZyb20gJy4vdHlwZXMnO1xuXG5pbXBvcnQgeyBjb2VyY2UsIGd0ZSB9IGZyb20gJ3NlbXZlcic7XG5cbmltcG9ydCB7IGRvd25sb2FkU01BUEksIGZpbmRTTUFQSU1vZCB9IGZyb20gJy4vU01BUEknO1xuXG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gdGVzdFNNQVBJT3V0ZGF0ZWQoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGRlcE1hbmFnZXI6IERlcGVuZGVuY3lNYW5hZ2VyKVxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDogUHJvbWlzZTx0eXBlcy5JVGVzdFJlc3VsdD4ge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBhY3RpdmVHYW1lSWQgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcbiAgaWYgKGFjdGl2ZUdhbWVJZCAhPT0gR0FNRV9JRCkge1xuICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUodW5kZWZpbmVkKTtcbiAgfVxuXG4gIGxldCBjdXJyZW50U01BUElWZXJzaW9uID0gZmluZFNNQVBJTW9kKGFwaSk/LmF0dHJpYnV0ZXM/LnZlcnNpb247XG4gIGlmIChjdXJyZW50U01BUElWZXJzaW9uID09PSB1bmRlZmluZWQpIHtcbiAgICAvLyBTTUFQSSBpc24ndCBpbnN0YWxsZWQgb3IgZW5hYmxlZC5cbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XG4gIH1cblxuICBjb25zdCBpc1NtYXBpT3V0ZGF0ZWQgPSBhc3luYyAoKSA9PiB7XG4gICAgY3VycmVudFNNQVBJVmVyc2lvbiA9IGZpbmRTTUFQSU1vZChhcGkpPy5hdHRyaWJ1dGVzPy52ZXJzaW9uO1xuICAgIGNvbnN0IGVuYWJsZWRNYW5pZmVzdHMgPSBhd2FpdCBkZXBNYW5hZ2VyLmdldE1hbmlmZXN0cygpO1xuICAgIGNvbnN0IGluY29tcGF0aWJsZU1vZElkczogc3RyaW5nW10gPSBbXTtcbiAgICBmb3IgKGNvbnN0IFtpZCwgbWFuaWZlc3RzXSBvZiBPYmplY3QuZW50cmllcyhlbmFibGVkTWFuaWZlc3RzKSkge1xuICAgICAgY29uc3QgaW5jb21wYXRpYmxlID0gbWFuaWZlc3RzLmZpbHRlcigoaXRlcikgPT4ge1xuICAgICAgICBpZiAoaXRlci5NaW5pbXVtQXBpVmVyc2lvbiAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgcmV0dXJuICFndGUoY3VycmVudFNNQVBJVmVyc2lvbiwgY29lcmNlKGl0ZXIuTWluaW11bUFwaVZlcnNpb24gPz8gJzAuMC4wJykpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBmYWxzZTtcbiAgICAgIH0pO1xuICAgICAgaWYgKGluY29tcGF0aWJsZS5sZW5ndGggPiAwKSB7XG4gICAgICAgIGluY29tcGF0aWJsZU1vZElkcy5wdXNoKGlkKTtcbiAgICAgIH1cbiAgICB9XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgoaW5jb21wYXRpYmxlTW9kSWRzLmxlbmd0aCA+IDApKTtcbiAgfVxuXG4gIGNvbnN0IG91dGRhdGVkID0gYXdhaXQgaXNTbWFwaU91dGRhdGVkKCk7XG4gIGNvbnN0IHQgPSBhcGkudHJhbnNsYXRlO1xuICByZXR1cm4gb3V0ZGF0ZWRcbiAgICA/IFByb21pc2UucmVzb2x2ZSh7XG4gICAgICBkZXNjcmlwdGlvbjoge1xuICAgICAgICBzaG9ydDogdCgnU01BUEkgdXBkYXRlIHJlcXVpcmVkJyksXG4gICAgICAgIGxvbmc6IHQoJ1NvbWUgU3RhcmRldyBWYWxsZXkgbW9kcyByZXF1aXJlIGEgbmV3ZXIgdmVyc2lvbiBvZiBTTUFQSSB0byBmdW5jdGlvbiBjb3JyZWN0bHksICdcbiAgICAgICAgICAgICAgKyAneW91IHNob3VsZCBjaGVjayBmb3IgU01BUEkgdXBkYXRlcyBpbiB0aGUgbW9kcyBwYWdlLicpLFxuICAgICAgfSxcbiAgICAgIGF1dG9tYXRpY0ZpeDogKCkgPT4gZG93bmxvYWRTTUFQSShhcGksIHRydWUpLFxuICAgICAgb25SZWNoZWNrOiAoKSA9PiBpc1NtYXBpT3V0ZGF0ZWQoKSxcbiAgICAgIHNldmVyaXR5OiAnd2FybmluZycgYXMgdHlwZXMuUHJvYmxlbVNldmVyaXR5LFxuICAgIH0pXG4gICAgOiBQcm9taXNlLnJlc29sdmUodW5kZWZpbmVkKTtcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGRlc2NyaWJlSXNzdWUodDogdHlwZXMuVEZ1bmN0aW9uLCBpc3N1ZTogSVNEVkRlcGVuZGVuY3lJc3N1ZSk6IHN0cmluZyB7XG4gIGNvbnN0IHJlcGxhY2UgPSB7XG4gICAgaWQ6IGlzc3VlLnVuaXF1ZUlkLFxuICAgIG1pblZlcnNpb246IGlzc3VlLm1pbmltdW1WZXJzaW9uLFxuICAgIGluc3RhbGxlZDogaXNzdWUuaW5zdGFsbGVkVmVyc2lvbixcbiAgICBkZXBlbmRlbnRzOiBpc3N1ZS5yZXF1aXJlZEJ5Lm1hcChub2RlID0+IG5vZGUubWFuaWZlc3QuTmFtZSA/PyBub2RlLm1hbmlmZXN0LlVuaXF1ZUlEKS5qb2luKCcsICcpLFxuICB9O1xuICBzd2l0Y2ggKGlzc3VlLnR5cGUpIHtcbiAgICBjYXNlICdkaXNhYmxlZCc6IHJldHVybiB0KCdcInt7aWR9fVwiIGlzIGluc3RhbGxlZCBidXQgZGlzYWJsZWQgKHJlcXVpcmVkIGJ5IHt7ZGVwZW5kZW50c319KScsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICB7IHJlcGxhY2UgfSk7XG4gICAgY2FzZSAnb3V0ZGF0ZWQnOiByZXR1cm4gdCgnXCJ7e2lkfX1cIiBpcyBhdCB2ZXJzaW9uIHt7aW5zdGFsbGVkfX0gYnV0IHt7bWluVmVyc2lvbn19IG9yIG5ld2VyICdcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICsgJ2lzIHJlcXVpcmVkIChieSB7e2RlcGVuZGVudHN9fSknLCB7IHJlcGxhY2UgfSk7XG4gICAgZGVmYXVsdDogcmV0dXJuIHQoJ1wie3tpZH19XCIgaXMgbm90IGluc3RhbGxlZCAocmVxdWlyZWQgYnkge3tkZXBlbmRlbnRzfX0pJywgeyByZXBsYWNlIH0pO1xuICB9XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGRvd25sb2FkRGVwZW5kZW5jeShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgcHJveHk6IFNNQVBJUHJveHksXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgaXNzdWU6IElTRFZEZXBlbmRlbmN5SXNzdWUpOiBQcm9taXNlPHZvaWQ+IHtcbiAgY29uc3QgdmVyc2lvbk1hdGNoID0gKGlzc3VlLm1pbmltdW1WZXJzaW9uICE9PSB1bmRlZmluZWQpXG4gICAgPyBgPj0ke2lzc3VlLm1pbmltdW1WZXJzaW9ufWBcbiAgICA6ICcqJztcbiAgY29uc3QgcmVzdWx0cyA9IGF3YWl0IHByb3h5LmZpbmQoeyBuYW1lOiBpc3N1ZS51bmlxdWVJZC50b0xvd2VyQ2FzZSgpLCB2ZXJzaW9uTWF0Y2ggfSk7XG4gIGNvbnN0IHNvdXJjZVVSSTogc3RyaW5nID0gcmVzdWx0c1swXT8udmFsdWU/LnNvdXJjZVVSSTtcbiAgaWYgKHNvdXJjZVVSSSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgdGhyb3cgbmV3IHV0aWwuTm90Rm91bmQoaXNzdWUudW5pcXVlSWQpO1xuICB9XG4gIGlmICghc291cmNlVVJJLnN0YXJ0c1dpdGgoJ254bTovLycpKSB7XG4gICAgLy8gbm90IGhvc3RlZCBvbiBuZXh1cywgYmVzdCB3ZSBjYW4gZG8gaXMgdG8gcG9pbnQgdGhlIHVzZXIgdG8gdGhlIG1vZCBwYWdlXG4gICAgcmV0dXJuIHV0aWwub3BuKHNvdXJjZVVSSSkuY2F0Y2goKCkgPT4gbnVsbCk7XG4gIH1cbiAgY29uc3QgZGxJbmZvID0ge1xuICAgIGdhbWU6IEdBTUVfSUQsXG4gICAgbmFtZTogaXNzdWUudW5pcXVlSWQsXG4gIH07XG4gIGF3YWl0IHV0aWwudG9Qcm9taXNlPHN0cmluZz4oY2IgPT5cbiAgICBhcGkuZXZlbnRzLmVtaXQoJ3N0YXJ0LWRvd25sb2FkJywgW3NvdXJjZVVSSV0sIGRsSW5mbywgdW5kZWZpbmVkLCBjYiwgdW5kZWZpbmVkLCB7IGFsbG93SW5zdGFsbDogdHJ1ZSB9KSk7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGZpeERlcGVuZGVuY3lJc3N1ZXMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBwcm94eTogU01BUElQcm94eSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgaXNzdWVzOiBJU0RWRGVwZW5kZW5jeUlzc3VlW10pOiBQcm9taXNlPHZvaWQ+IHtcbiAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmxhc3RBY3RpdmVQcm9maWxlRm9yR2FtZShhcGkuZ2V0U3RhdGUoKSwgR0FNRV9JRCk7XG4gIGNvbnN0IHRvRW5hYmxlID0gaXNzdWVzXG4gICAgLmZpbHRlcihpc3N1ZSA9PiAoaXNzdWUudHlwZSA9PT0gJ2Rpc2FibGVkJykgJiYgKGlzc3VlLnByb3ZpZGVySWQgIT09IHVuZGVmaW5lZCkpXG4gICAgLm1hcChpc3N1ZSA9PiBpc3N1ZS5wcm92aWRlcklkKTtcbiAgaWYgKHRvRW5hYmxlLmxlbmd0aCA+IDApIHtcbiAgICBhd2FpdCBhY3Rpb25zLnNldE1vZHNFbmFibGVkKGFwaSwgcHJvZmlsZUlkLCBBcnJheS5mcm9tKG5ldyBTZXQodG9FbmFibGUpKSwgdHJ1ZSwge1xuICAgICAgYWxsb3dBdXRvRGVwbG95OiB0cnVlLFxuICAgICAgaW5zdGFsbGVkOiB0cnVlLFxuICAgIH0pO1xuICB9XG5cbiAgY29uc3QgZmFpbGVkOiBzdHJpbmdbXSA9IFtdO1xuICBmb3IgKGNvbnN0IGlzc3VlIG9mIGlzc3Vlcy5maWx0ZXIoaXRlciA9PiBpdGVyLnR5cGUgIT09ICdkaXNhYmxlZCcpKSB7XG4gICAgaWYgKHByb3h5ID09PSB1bmRlZmluZWQpIHtcbiAgICAgIGZhaWxlZC5wdXNoKGlzc3VlLnVuaXF1ZUlkKTtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cbiAgICB0cnkge1xuICAgICAgYXdhaXQgZG93bmxvYWREZXBlbmRlbmN5KGFwaSwgcHJveHksIGlzc3VlKTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIGxvZygnd2FybicsICdmYWlsZWQgdG8gZG93bmxvYWQgZGVwZW5kZW5jeScsIHsgdW5pcXVlSWQ6IGlzc3VlLnVuaXF1ZUlkLCBlcnJvcjogZXJyLm1lc3NhZ2UgfSk7XG4gICAgICBmYWlsZWQucHVzaChpc3N1ZS51bmlxdWVJZCk7XG4gICAgfVxuICB9XG5cbiAgaWYgKGZhaWxlZC5sZW5ndGggPiAwKSB7XG4gICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIGZpbmQgYSBkb3dubG9hZCBmb3Igc29tZSBkZXBlbmRlbmNpZXMnLFxuICAgICAgZmFpbGVkLmpvaW4oJ1xcbicpLCB7IGFsbG93UmVwb3J0OiBmYWxzZSB9KTtcbiAgfVxufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gdGVzdE1pc3NpbmdEZXBlbmRlbmNpZXMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGRlcE1hbmFnZXI6IERlcGVuZGVuY3lNYW5hZ2VyLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHByb3h5OiBTTUFQSVByb3h5KVxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDogUHJvbWlzZTx0eXBlcy5JVGVzdFJlc3VsdD4ge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBhY3RpdmVHYW1lSWQgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcbiAgaWYgKChhY3RpdmVHYW1lSWQgIT09IEdBTUVfSUQpIHx8IChkZXBNYW5hZ2VyID09PSB1bmRlZmluZWQpKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xuICB9XG5cbiAgY29uc3QgZmluZElzc3VlcyA9IGFzeW5jICgpID0+IHtcbiAgICBhd2FpdCBkZXBNYW5hZ2VyLnNjYW5NYW5pZmVzdHModHJ1ZSk7XG4gICAgcmV0dXJuIGRlcE1hbmFnZXIuZmluZERlcGVuZGVuY3lJc3N1ZXMoKTtcbiAgfTtcblxuICBjb25zdCBpc3N1ZXMgPSBhd2FpdCBmaW5kSXNzdWVzKCk7XG4gIGlmIChpc3N1ZXMubGVuZ3RoID09PSAwKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xuICB9XG5cbiAgY29uc3QgdCA9IGFwaS50cmFuc2xhdGU7XG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoe1xuICAgIGRlc2NyaXB0aW9uOiB7XG4gICAgICBzaG9ydDogdCgnTWlzc2luZyBtb2QgZGVwZW5kZW5jaWVzJyksXG4gICAgICBsb25nOiB0KCdTb21lIG9mIHlvdXIgZW5hYmxlZCBTdGFyZGV3IFZhbGxleSBtb2RzIHJlcXVpcmUgb3RoZXIgbW9kcyB3aGljaCBhcmUgJ1xuICAgICAgICAgICAgKyAnbWlzc2luZywgZGlzYWJsZWQgb3Igb3V0ZGF0ZWQ6W2JyXVsvYnJdW2JyXVsvYnJde3tpc3N1ZXN9fVticl1bL2JyXSdcbiAgICAgICAgICAgICsgJ1RoZSBmaXggd2lsbCBlbmFibGUgaW5zdGFsbGVkIGRlcGVuZGVuY2llcyBhbmQgc3RhcnQgZG93bmxvYWRzIGZvciB0aGUgJ1xuICAgICAgICAgICAgKyAncmVzdCwgd2hlcmUgYSBkb3dubG9hZCBjYW4gYmUgZm91bmQuJywge1xuICAgICAgICByZXBsYWNlOiB7XG4gICAgICAgICAgaXNzdWVzOiAnW2xpc3RdJyArIGlzc3Vlcy5tYXAoaXNzdWUgPT4gYFsqXSR7ZGVzY3JpYmVJc3N1ZSh0LCBpc3N1ZSl9YCkuam9pbignJykgKyAnWy9saXN0XScsXG4gICAgICAgIH0sXG4gICAgICB9KSxcbiAgICB9LFxuICAgIGF1dG9tYXRpY0ZpeDogKCkgPT4gZml4RGVwZW5kZW5jeUlzc3VlcyhhcGksIHByb3h5LCBpc3N1ZXMpLFxuICAgIG9uUmVjaGVjazogYXN5bmMgKCkgPT4gKGF3YWl0IGZpbmRJc3N1ZXMoKSkubGVuZ3RoID4gMCxcbiAgICBzZXZlcml0eTogJ3dhcm5pbmcnIGFzIHR5cGVzLlByb2JsZW1TZXZlcml0eSxcbiAgfSk7XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiB0ZXN0RHVwbGljYXRlVW5pcXVlSWRzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGRlcE1hbmFnZXI6IERlcGVuZGVuY3lNYW5hZ2VyKVxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgOiBQcm9taXNlPHR5cGVzLklUZXN0UmVzdWx0PiB7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IGFjdGl2ZUdhbWVJZCA9IHNlbGVjdG9ycy5hY3RpdmVHYW1lSWQoc3RhdGUpO1xuICBpZiAoKGFjdGl2ZUdhbWVJZCAhPT0gR0FNRV9JRCkgfHwgKGRlcE1hbmFnZXIgPT09IHVuZGVmaW5lZCkpIHtcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XG4gIH1cblxuICBjb25zdCBmaW5kRHVwbGljYXRlcyA9IGFzeW5jICgpID0+IHtcbiAgICBhd2FpdCBkZXBNYW5hZ2VyLnNjYW5NYW5pZmVzdHModHJ1ZSk7XG4gICAgcmV0dXJuIGRlcE1hbmFnZXIuZmluZER1cGxpY2F0ZXMoKTtcbiAgfTtcblxuICBjb25zdCBkdXBsaWNhdGVzID0gYXdhaXQgZmluZER1cGxpY2F0ZXMoKTtcbiAgaWYgKGR1cGxpY2F0ZXMubGVuZ3RoID09PSAwKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xuICB9XG5cbiAgY29uc3QgdCA9IGFwaS50cmFuc2xhdGU7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSBzdGF0ZS5wZXJzaXN0ZW50Lm1vZHNbR0FNRV9JRF0gPz8ge307XG4gIGNvbnN0IHJlbmRlck5vZGUgPSAobm9kZTogSVNEVkRlcGVuZGVuY3lOb2RlKSA9PiB0KCdcInt7bmFtZX19XCIge3t2ZXJzaW9ufX0gKGluc3RhbGxlZCBhcyBcInt7bW9kTmFtZX19XCIpJywge1xuICAgIHJlcGxhY2U6IHtcbiAgICAgIG5hbWU6IG5vZGUubWFuaWZlc3QuTmFtZSA/PyBub2RlLm1hbmlmZXN0LlVuaXF1ZUlELFxuICAgICAgdmVyc2lvbjogbm9kZS5tYW5pZmVzdC5WZXJzaW9uID8/ICc/JyxcbiAgICAgIG1vZE5hbWU6IChtb2RzW25vZGUubW9kSWRdICE9PSB1bmRlZmluZWQpID8gdXRpbC5yZW5kZXJNb2ROYW1lKG1vZHNbbm9kZS5tb2RJZF0pIDogbm9kZS5tb2RJZCxcbiAgICB9LFxuICB9KTtcblxuICBjb25zdCBmaXggPSBhc3luYyAoKSA9PiB7XG4gICAgLy8gdGhlIGdyb3VwcyBhcmUgc29ydGVkIG5ld2VzdCBmaXJzdCwgZXZlcnl0aGluZyBlbHNlIGdldHMgZGlzYWJsZWRcbiAgICBjb25zdCB0b0Rpc2FibGUgPSBuZXcgU2V0PHN0cmluZz4oKTtcbiAgICBmb3IgKGNvbnN0IG5vZGVzIG9mIGR1cGxpY2F0ZXMpIHtcbiAgICAgIG5vZGVzLnNsaWNlKDEpXG4gICAgICAgIC5maWx0ZXIobm9kZSA9PiBub2RlLm1vZElkICE9PSBub2Rlc1swXS5tb2RJZClcbiAgICAgICAgLmZvckVhY2gobm9kZSA9PiB0b0Rpc2FibGUuYWRkKG5vZGUubW9kSWQpKTtcbiAgICB9XG4gICAgY29uc3QgcHJvZmlsZUlkID0gc2VsZWN0b3JzLmxhc3RBY3RpdmVQcm9maWxlRm9yR2FtZShhcGkuZ2V0U3RhdGUoKSwgR0FNRV9JRCk7XG4gICAgYXdhaXQgYWN0aW9ucy5zZXRNb2RzRW5hYmxlZChhcGksIHByb2ZpbGVJZCwgQXJyYXkuZnJvbSh0b0Rpc2FibGUpLCBmYWxzZSwge1xuICAgICAgYWxsb3dBdXRvRGVwbG95OiB0cnVlLFxuICAgIH0pO1xuICB9O1xuXG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoe1xuICAgIGRlc2NyaXB0aW9uOiB7XG4gICAgICBzaG9ydDogdCgnRHVwbGljYXRlIG1vZHMnKSxcbiAgICAgIGxvbmc6IHQoJ1NNQVBJIHdpbGwgcmVmdXNlIHRvIGxvYWQgbW9kcyB0aGF0IHNoYXJlIGEgVW5pcXVlSUQuIFRoZSBmb2xsb3dpbmcgbW9kcyBhcmUgJ1xuICAgICAgICAgICAgKyAnaW5zdGFsbGVkIGFuZCBlbmFibGVkIG1vcmUgdGhhbiBvbmNlLCBwcm9iYWJseSBmcm9tIGRpZmZlcmVudCBhcmNoaXZlczonXG4gICAgICAgICAgICArICdbYnJdWy9icl1bYnJdWy9icl17e2R1cGxpY2F0ZXN9fVticl1bL2JyXSdcbiAgICAgICAgICAgICsgJ1RoZSBmaXggd2lsbCBkaXNhYmxlIGFsbCBidXQgdGhlIG5ld2VzdCB2ZXJzaW9uIG9mIGVhY2ggbW9kLiBQbGVhc2Ugbm90ZSB0aGF0IHRoaXMgJ1xuICAgICAgICAgICAgKyAnZGlzYWJsZXMgdGhlIHdob2xlIFZvcnRleCBtb2QsIGluY2x1ZGluZyBhbnkgb3RoZXIgbW9kcyBwYWNrYWdlZCB3aXRoIGl0LicsIHtcbiAgICAgICAgcmVwbGFjZToge1xuICAgICAgICAgIGR1cGxpY2F0ZXM6ICdbbGlzdF0nICsgZHVwbGljYXRlcy5tYXAobm9kZXMgPT5cbiAgICAgICAgICAgIGBbKl0ke25vZGVzWzBdLm1hbmlmZXN0LlVuaXF1ZUlEfTogJHtub2Rlcy5tYXAocmVuZGVyTm9kZSkuam9pbignIC8gJyl9YCkuam9pbignJykgKyAnWy9saXN0XScsXG4gICAgICAgIH0sXG4gICAgICB9KSxcbiAgICB9LFxuICAgIGF1dG9tYXRpY0ZpeDogKCkgPT4gZml4KCksXG4gICAgb25SZWNoZWNrOiBhc3luYyAoKSA9PiAoYXdhaXQgZmluZER1cGxpY2F0ZXMoKSkubGVuZ3RoID4gMCxcbiAgICBzZXZlcml0eTogJ3dhcm5pbmcnIGFzIHR5cGVzLlByb2JsZW1TZXZlcml0eSxcbiAgfSk7XG59XG4iXX0=
\ No newline at end of file
@@ -1,6 +1,8 @@
-import { types, selectors } from 'vortex-api';
+import { actions, log, types, selectors, util } from 'vortex-api';
 
 import DependencyManager from './DependencyManager';
+import SMAPIProxy from './smapiProxy';
+import { ISDVDependencyIssue, ISDVDependencyNode } from './types';
 
 import { coerce, gte } from 'semver';
 
@@ -55,4 +57,179 @@ export async function testSMAPIOutdated(api: types.IExtensionApi,
       severity: 'warning' as types.ProblemSeverity,
     })
     : Promise.resolve(undefined);
-}
\ No newline at end of file
+}
+
+export function describeIssue(t: types.TFunction, issue: ISDVDependencyIssue): string {
+  const replace = {
+    id: issue.uniqueId,
+    minVersion: issue.minimumVersion,
+    installed: issue.installedVersion,
+    dependents: issue.requiredBy.map(node => node.manifest.Name ?? node.manifest.UniqueID).join(', '),
+  };
+  switch (issue.type) {
+    case 'disabled': return t('"{{id}}" is installed but disabled (required by {{dependents}})',
+                              { replace });
+    case 'outdated': return t('"{{id}}" is at version {{installed}} but {{minVersion}} or newer '
+                              + 'is required (by {{dependents}})', { replace });
+    default: return t('"{{id}}" is not installed (required by {{dependents}})', { replace });
+  }
+}
+
+async function downloadDependency(api: types.IExtensionApi,
+                                  proxy: SMAPIProxy,
+                                  issue: ISDVDependencyIssue): Promise<void> {
+  const versionMatch = (issue.minimumVersion !== undefined)
+    ? `>=${issue.minimumVersion}`
+    : '*';
+  const results = await proxy.find({ name: issue.uniqueId.toLowerCase(), versionMatch });
+  const sourceURI: string = results[0]?.value?.sourceURI;
+  if (sourceURI === undefined) {
+    throw new util.NotFound(issue.uniqueId);
+  }
+  if (!sourceURI.startsWith('nxm://')) {
+    // not hosted on nexus, best we can do is to point the user to the mod page
+    return util.opn(sourceURI).catch(() => null);
+  }
+  const dlInfo = {
+    game: GAME_ID,
+    name: issue.uniqueId,
+  };
+  await util.toPromise<string>(cb =>
+    api.events.emit('start-download', [sourceURI], dlInfo, undefined, cb, undefined, { allowInstall: true }));
+}
+
+async function fixDependencyIssues(api: types.IExtensionApi,
+                                   proxy: SMAPIProxy,
+                                   issues: ISDVDependencyIssue[]): Promise<void> {
+  const profileId = selectors.lastActiveProfileForGame(api.getState(), GAME_ID);
+  const toEnable = issues
+    .filter(issue => (issue.type === 'disabled') && (issue.providerId !== undefined))
+    .map(issue => issue.providerId);
+  if (toEnable.length > 0) {
+    await actions.setModsEnabled(api, profileId, Array.from(new Set(toEnable)), true, {
+      allowAutoDeploy: true,
+      installed: true,
+    });
+  }
+
+  const failed: string[] = [];
+  for (const issue of issues.filter(iter => iter.type !== 'disabled')) {
+    if (proxy === undefined) {
+      failed.push(issue.uniqueId);
+      continue;
+    }
+    try {
+      await downloadDependency(api, proxy, issue);
+    } catch (err) {
+      log('warn', 'failed to download dependency', { uniqueId: issue.uniqueId, error: err.message });
+      failed.push(issue.uniqueId);
+    }
+  }
+
+  if (failed.length > 0) {
+    api.showErrorNotification('Failed to find a download for some dependencies',
+      failed.join('\n'), { allowReport: false });
+  }
+}
+
+export async function testMissingDependencies(api: types.IExtensionApi,
+                                              depManager: DependencyManager,
+                                              proxy: SMAPIProxy)
+                                              : Promise<types.ITestResult> {
+  const state = api.getState();
+  const activeGameId = selectors.activeGameId(state);
+  if ((activeGameId !== GAME_ID) || (depManager === undefined)) {
+    return Promise.resolve(undefined);
+  }
+
+  const findIssues = async () => {
+    await depManager.scanManifests(true);
+    return depManager.findDependencyIssues();
+  };
+
+  const issues = await findIssues();
+  if (issues.length === 0) {
+    return Promise.resolve(undefined);
+  }
+
+  const t = api.translate;
+  return Promise.resolve({
+    description: {
+      short: t('Missing mod dependencies'),
+      long: t('Some of your enabled Stardew Valley mods require other mods which are '
+            + 'missing, disabled or outdated:[br][/br][br][/br]{{issues}}[br][/br]'
+            + 'The fix will enable installed dependencies and start downloads for the '
+            + 'rest, where a download can be found.', {
+        replace: {
+          issues: '[list]' + issues.map(issue => `[*]${describeIssue(t, issue)}`).join('') + '[/list]',
+        },
+      }),
+    },
+    automaticFix: () => fixDependencyIssues(api, proxy, issues),
+    onRecheck: async () => (await findIssues()).length > 0,
+    severity: 'warning' as types.ProblemSeverity,
+  });
+}
+
+export async function testDuplicateUniqueIds(api: types.IExtensionApi,
+                                             depManager: DependencyManager)
+                                             : Promise<types.ITestResult> {
+  const state = api.getState();
+  const activeGameId = selectors.activeGameId(state);
+  if ((activeGameId !== GAME_ID) || (depManager === undefined)) {
+    return Promise.resolve(undefined);
+  }
+
+  const findDuplicates = async () => {
+    await depManager.scanManifests(true);
+    return depManager.findDuplicates();
+  };
+
+  const duplicates = await findDuplicates();
+  if (duplicates.length === 0) {
+    return Promise.resolve(undefined);
+  }
+
+  const t = api.translate;
+  const mods: { [modId: string]: types.IMod } = state.persistent.mods[GAME_ID] ?? {};
+  const renderNode = (node: ISDVDependencyNode) => t('"{{name}}" {{version}} (installed as "{{modName}}")', {
+    replace: {
+      name: node.manifest.Name ?? node.manifest.UniqueID,
+      version: node.manifest.Version ?? '?',
+      modName: (mods[node.modId] !== undefined) ? util.renderModName(mods[node.modId]) : node.modId,
+    },
+  });
+
+  const fix = async () => {
+    // the groups are sorted newest first, everything else gets disabled
+    const toDisable = new Set<string>();
+    for (const nodes of duplicates) {
+      nodes.slice(1)
+        .filter(node => node.modId !== nodes[0].modId)
+        .forEach(node => toDisable.add(node.modId));
+    }
+    const profileId = selectors.lastActiveProfileForGame(api.getState(), GAME_ID);
+    await actions.setModsEnabled(api, profileId, Array.from(toDisable), false, {
+      allowAutoDeploy: true,
+    });
+  };
+
+  return Promise.resolve({
+    description: {
+      short: t('Duplicate mods'),
+      long: t('SMAPI will refuse to load mods that share a UniqueID. The following mods are '
+            + 'installed and enabled more than once, probably from different archives:'
+            + '[br][/br][br][/br]{{duplicates}}[br][/br]'
+            + 'The fix will disable all but the newest version of each mod. Please note that this '
+            + 'disables the whole Vortex mod, including any other mods packaged with it.', {
+        replace: {
+          duplicates: '[list]' + duplicates.map(nodes =>
+            `[*]${nodes[0].manifest.UniqueID}: ${nodes.map(renderNode).join(' / ')}`).join('') + '[/list]',
+        },
+      }),
+    },
+    automaticFix: () => fix(),
+    onRecheck: async () => (await findDuplicates()).length > 0,
+    severity: 'warning' as types.ProblemSeverity,
+  });
+}
@@ -4,4 +4,4 @@ exports.compatibilityOptions = void 0;
 exports.compatibilityOptions = [
     'broken', 'obsolete', 'abandoned', 'unofficial', 'workaround', 'unknown', 'optional', 'ok',
 ];
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUF3QmEsUUFBQSxvQkFBb0IsR0FBRztJQUNsQyxRQUFRLEVBQUUsVUFBVSxFQUFFLFdBQVcsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxVQUFVLEVBQUUsSUFBSTtDQUNsRixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiZXhwb3J0IGludGVyZmFjZSBJU0RWTW9kTWFuaWZlc3Qge1xyXG4gIE5hbWU6IHN0cmluZztcclxuICBBdXRob3I6IHN0cmluZztcclxuICBWZXJzaW9uOiBzdHJpbmc7XHJcbiAgRGVzY3JpcHRpb246IHN0cmluZztcclxuICBVbmlxdWVJRDogc3RyaW5nO1xyXG4gIEVudHJ5RGxsOiBzdHJpbmc7XHJcbiAgTWluaW11bUFwaVZlcnNpb246IHN0cmluZztcclxuICBVcGRhdGVLZXlzOiBzdHJpbmdbXTtcclxuICBDb250ZW50UGFja0Zvcj86IElTRFZEZXBlbmRlbmN5O1xyXG4gIERlcGVuZGVuY2llczogSVNEVkRlcGVuZGVuY3lbXVxyXG59XHJcblxyXG5leHBvcnQgaW50ZXJmYWNlIElTRFZEZXBlbmRlbmN5IHtcclxuICBVbmlxdWVJRDogc3RyaW5nO1xyXG4gIE1pbmltdW1WZXJzaW9uPzogc3RyaW5nO1xyXG4gIElzUmVxdWlyZWQ/OiBib29sZWFuO1xyXG59XHJcblxyXG5leHBvcnQgaW50ZXJmYWNlIElTTUFQSUlPUXVlcnkge1xyXG4gIGlkOiBzdHJpbmc7XHJcbiAgaW5zdGFsbGVkVmVyc2lvbj86IHN0cmluZztcclxufVxyXG5cclxuZXhwb3J0IGNvbnN0IGNvbXBhdGliaWxpdHlPcHRpb25zID0gW1xyXG4gICdicm9rZW4nLCAnb2Jzb2xldGUnLCAnYWJhbmRvbmVkJywgJ3Vub2ZmaWNpYWwnLCAnd29ya2Fyb3VuZCcsICd1bmtub3duJywgJ29wdGlvbmFsJywgJ29rJyxcclxuXSBhcyBjb25zdDtcclxuXHJcbmV4cG9ydCB0eXBlIENvbXBhdGliaWxpdHlTdGF0dXMgPSB0eXBlb2YgY29tcGF0aWJpbGl0eU9wdGlvbnNbbnVtYmVyXTtcclxuXHJcbmV4cG9ydCBpbnRlcmZhY2UgSVNNQVBJUmVzdWx0IHtcclxuICBpZDogc3RyaW5nO1xyXG4gIHN1Z2dlc3RlZFVwZGF0ZT86IHtcclxuICAgIHZlcnNpb246IHN0cmluZyxcclxuICAgIHVybD86IHN0cmluZyxcclxuICB9O1xyXG4gIG1ldGFkYXRhOiB7XHJcbiAgICBpZDogc3RyaW5nW10sXHJcbiAgICBuYW1lOiBzdHJpbmcsXHJcbiAgICBuZXh1c0lEPzogbnVtYmVyLFxyXG4gICAgY2h1Y2tsZWZpc2hJRD86IG51bWJlcixcclxuICAgIGN1cnNlRm9yZ2VJRD86IG51bWJlcixcclxuICAgIGN1cnNlRm9ya2VLZXk/OiBzdHJpbmcsXHJcbiAgICBtb2REcm9wSUQ/OiBudW1iZXIsXHJcbiAgICBnaXRIdWJSZXBvOiBzdHJpbmcsXHJcbiAgICBjdXN0b21Tb3VyY2VVcmw6IHN0cmluZyxcclxuICAgIGN1c3RvbVVybDogc3RyaW5nLFxyXG4gICAgbWFpbjoge1xyXG4gICAgICB2ZXJzaW9uPzogc3RyaW5nLFxyXG4gICAgICB1cmw/OiBzdHJpbmcsXHJcbiAgICB9LFxyXG4gICAgY29tcGF0aWJpbGl0eVN0YXR1czogQ29tcGF0aWJpbGl0eVN0YXR1cyxcclxuICAgIGNvbXBhdGliaWxpdHlTdW1tYXJ5OiBzdHJpbmcsXHJcbiAgfTtcclxuICBlcnJvcnM6IHN0cmluZ1tdO1xyXG59XHJcbiAiXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUF3QmEsUUFBQSxvQkFBb0IsR0FBRztJQUNsQyxRQUFRLEVBQUUsVUFBVSxFQUFFLFdBQVcsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxVQUFVLEVBQUUsSUFBSTtDQUNsRixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiZXhwb3J0IGludGVyZmFjZSBJU0RWTW9kTWFuaWZlc3Qge1xuICBOYW1lOiBzdHJpbmc7XG4gIEF1dGhvcjogc3RyaW5nO1xuICBWZXJzaW9uOiBzdHJpbmc7XG4gIERlc2NyaXB0aW9uOiBzdHJpbmc7XG4gIFVuaXF1ZUlEOiBzdHJpbmc7XG4gIEVudHJ5RGxsOiBzdHJpbmc7XG4gIE1pbmltdW1BcGlWZXJzaW9uOiBzdHJpbmc7XG4gIFVwZGF0ZUtleXM6IHN0cmluZ1tdO1xuICBDb250ZW50UGFja0Zvcj86IElTRFZEZXBlbmRlbmN5O1xuICBEZXBlbmRlbmNpZXM6IElTRFZEZXBlbmRlbmN5W11cbn1cblxuZXhwb3J0IGludGVyZmFjZSBJU0RWRGVwZW5kZW5jeSB7XG4gIFVuaXF1ZUlEOiBzdHJpbmc7XG4gIE1pbmltdW1WZXJzaW9uPzogc3RyaW5nO1xuICBJc1JlcXVpcmVkPzogYm9vbGVhbjtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJU01BUElJT1F1ZXJ5IHtcbiAgaWQ6IHN0cmluZztcbiAgaW5zdGFsbGVkVmVyc2lvbj86IHN0cmluZztcbn1cblxuZXhwb3J0IGNvbnN0IGNvbXBhdGliaWxpdHlPcHRpb25zID0gW1xuICAnYnJva2VuJywgJ29ic29sZXRlJywgJ2FiYW5kb25lZCcsICd1bm9mZmljaWFsJywgJ3dvcmthcm91bmQnLCAndW5rbm93bicsICdvcHRpb25hbCcsICdvaycsXG5dIGFzIGNvbnN0O1xuXG5leHBvcnQgdHlwZSBDb21wYXRpYmlsaXR5U3RhdHVzID0gdHlwZW9mIGNvbXBhdGliaWxpdHlPcHRpb25zW251bWJlcl07XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVNNQVBJUmVzdWx0IHtcbiAgaWQ6IHN0cmluZztcbiAgc3VnZ2VzdGVkVXBkYXRlPzoge1xuICAgIHZlcnNpb246IHN0cmluZyxcbiAgICB1cmw/OiBzdHJpbmcsXG4gIH07XG4gIG1ldGFkYXRhOiB7XG4gICAgaWQ6IHN0cmluZ1tdLFxuICAgIG5hbWU6IHN0cmluZyxcbiAgICBuZXh1c0lEPzogbnVtYmVyLFxuICAgIGNodWNrbGVmaXNoSUQ/OiBudW1iZXIsXG4gICAgY3Vyc2VGb3JnZUlEPzogbnVtYmVyLFxuICAgIGN1cnNlRm9ya2VLZXk/OiBzdHJpbmcsXG4gICAgbW9kRHJvcElEPzogbnVtYmVyLFxuICAgIGdpdEh1YlJlcG86IHN0cmluZyxcbiAgICBjdXN0b21Tb3VyY2VVcmw6IHN0cmluZyxcbiAgICBjdXN0b21Vcmw6IHN0cmluZyxcbiAgICBtYWluOiB7XG4gICAgICB2ZXJzaW9uPzogc3RyaW5nLFxuICAgICAgdXJsPzogc3RyaW5nLFxuICAgIH0sXG4gICAgY29tcGF0aWJpbGl0eVN0YXR1czogQ29tcGF0aWJpbGl0eVN0YXR1cyxcbiAgICBjb21wYXRpYmlsaXR5U3VtbWFyeTogc3RyaW5nLFxuICB9O1xuICBlcnJvcnM6IHN0cmluZ1tdO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElTTUFQSUxvb2t1cFJlc3VsdCB7XG4gIHJlc3VsdHM6IElTTUFQSVJlc3VsdFtdO1xuICAvLyBxdWVyaWVzIHNtYXBpLmlvIGNvdWxkbid0IGFuc3dlciwgcmVzdWx0cyBmb3IgdGhlc2UgKGlmIGFueSkgY29tZSBmcm9tXG4gIC8vICBvdXRkYXRlZCBjYWNoZSBlbnRyaWVzXG4gIGZhaWxlZDogSVNNQVBJSU9RdWVyeVtdO1xufVxuIFxuZXhwb3J0IGludGVyZmFjZSBJU0RWRGVwZW5kZW5jeU5vZGUge1xuICAvLyBsb3dlci1jYXNlZCBVbmlxdWVJRCwgdXNlZCBhcyB0aGUga2V5IGluIHRoZSBkZXBlbmRlbmN5IGdyYXBoXG4gIHVuaXF1ZUlkOiBzdHJpbmc7XG4gIG1vZElkOiBzdHJpbmc7XG4gIG1hbmlmZXN0OiBJU0RWTW9kTWFuaWZlc3Q7XG59XG5cbmV4cG9ydCB0eXBlIERlcGVuZGVuY3lHcmFwaCA9IHsgW3VuaXF1ZUlkOiBzdHJpbmddOiBJU0RWRGVwZW5kZW5jeU5vZGVbXSB9O1xuXG5leHBvcnQgdHlwZSBEZXBlbmRlbmN5SXNzdWVUeXBlID0gJ21pc3NpbmcnIHwgJ2Rpc2FibGVkJyB8ICdvdXRkYXRlZCc7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVNEVkRlcGVuZGVuY3lJc3N1ZSB7XG4gIHR5cGU6IERlcGVuZGVuY3lJc3N1ZVR5cGU7XG4gIC8vIFVuaXF1ZUlEIG9mIHRoZSBkZXBlbmRlbmN5IGFzIHNwZWxsZWQgaW4gdGhlIGRlcGVuZGVudCdzIG1hbmlmZXN0XG4gIHVuaXF1ZUlkOiBzdHJpbmc7XG4gIG1pbmltdW1WZXJzaW9uPzogc3RyaW5nO1xuICBpbnN0YWxsZWRWZXJzaW9uPzogc3RyaW5nO1xuICAvLyBWb3J0ZXggaWQgb2YgdGhlIGluc3RhbGxlZCBtb2QgcHJvdmlkaW5nIHRoZSBkZXBlbmRlbmN5IChpZiBhbnkpXG4gIHByb3ZpZGVySWQ/OiBzdHJpbmc7XG4gIHJlcXVpcmVkQnk6IElTRFZEZXBlbmRlbmN5Tm9kZVtdO1xufVxuXG5leHBvcnQgdHlwZSBTTUFQSUxvZ0xldmVsID0gJ3RyYWNlJyB8ICdkZWJ1ZycgfCAnaW5mbycgfCAnYWxlcnQnIHwgJ3dhcm4nIHwgJ2Vycm9yJztcblxuZXhwb3J0IGludGVyZmFjZSBJU01BUElMb2dNZXNzYWdlIHtcbiAgdGltZTogc3RyaW5nO1xuICBsZXZlbDogU01BUElMb2dMZXZlbDtcbiAgLy8gbmFtZSBvZiB0aGUgbW9kIChvciAnU01BUEknKSB0aGF0IHdyb3RlIHRoZSBtZXNzYWdlXG4gIHNvdXJjZTogc3RyaW5nO1xuICB0ZXh0OiBzdHJpbmc7XG4gIC8vIFZvcnRleCBpZCBvZiB0aGUgbW9kIHRoZSBtZXNzYWdlIHdhcyBhdHRyaWJ1dGVkIHRvXG4gIG1vZElkPzogc3RyaW5nO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElTTUFQSUxvZ01vZCB7XG4gIG5hbWU6IHN0cmluZztcbiAgdmVyc2lvbjogc3RyaW5nO1xuICBhdXRob3I/OiBzdHJpbmc7XG4gIGRlc2NyaXB0aW9uPzogc3RyaW5nO1xuICAvLyBuYW1lIG9mIHRoZSBmcmFtZXdvcmsgbW9kLCBzZXQgZm9yIGNvbnRlbnQgcGFja3Mgb25seVxuICBjb250ZW50UGFja0Zvcj86IHN0cmluZztcbiAgbW9kSWQ/OiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVNNQVBJTG9nU2tpcHBlZE1vZCB7XG4gIG5hbWU6IHN0cmluZztcbiAgdmVyc2lvbj86IHN0cmluZztcbiAgcmVhc29uOiBzdHJpbmc7XG4gIG1vZElkPzogc3RyaW5nO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElTTUFQSUxvZyB7XG4gIHNtYXBpVmVyc2lvbj86IHN0cmluZztcbiAgZ2FtZVZlcnNpb24/OiBzdHJpbmc7XG4gIG9zPzogc3RyaW5nO1xuICBtb2RzOiBJU01BUElMb2dNb2RbXTtcbiAgY29udGVudFBhY2tzOiBJU01BUElMb2dNb2RbXTtcbiAgc2tpcHBlZDogSVNNQVBJTG9nU2tpcHBlZE1vZFtdO1xuICBtZXNzYWdlczogSVNNQVBJTG9nTWVzc2FnZVtdO1xufVxuIl19
\ No newline at end of file
@@ -54,4 +54,71 @@ export interface ISMAPIResult {
   };
   errors: string[];
 }
- 
\ No newline at end of file
+
+export interface ISMAPILookupResult {
+  results: ISMAPIResult[];
+  // queries smapi.io couldn't answer, results for these (if any) come from
+  //  outdated cache entries
+  failed: ISMAPIIOQuery[];
+}
+ 
+export interface ISDVDependencyNode {
+  // lower-cased UniqueID, used as the key in the dependency graph
+  uniqueId: string;
+  modId: string;
+  manifest: ISDVModManifest;
+}
+
+export type DependencyGraph = { [uniqueId: string]: ISDVDependencyNode[] };
+
+export type DependencyIssueType = 'missing' | 'disabled' | 'outdated';
+
+export interface ISDVDependencyIssue {
+  type: DependencyIssueType;
+  // UniqueID of the dependency as spelled in the dependent's manifest
+  uniqueId: string;
+  minimumVersion?: string;
+  installedVersion?: string;
+  // Vortex id of the installed mod providing the dependency (if any)
+  providerId?: string;
+  requiredBy: ISDVDependencyNode[];
+}
+
+export type SMAPILogLevel = 'trace' | 'debug' | 'info' | 'alert' | 'warn' | 'error';
+
+export interface ISMAPILogMessage {
+  time: string;
+  level: SMAPILogLevel;
+  // name of the mod (or 'SMAPI') that wrote the message
+  source: string;
+  text: string;
+  // Vortex id of the mod the message was attributed to
+  modId?: string;
+}
+
+export interface ISMAPILogMod {
+  name: string;
+  version: string;
+  author?: string;
+  description?: string;
+  // name of the framework mod, set for content packs only
+  contentPackFor?: string;
+  modId?: string;
+}
+
+export interface ISMAPILogSkippedMod {
+  name: string;
+  version?: string;
+  reason: string;
+  modId?: string;
+}
+
+export interface ISMAPILog {
+  smapiVersion?: string;
+  gameVersion?: string;
+  os?: string;
+  mods: ISMAPILogMod[];
+  contentPacks: ISMAPILogMod[];
+  skipped: ISMAPILogSkippedMod[];
+  messages: ISMAPILogMessage[];
+}
@@ -32,10 +32,11 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
     });
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.semverCompare = exports.coerce = exports.parseManifest = void 0;
+exports.frameworkName = exports.semverCompare = exports.coerce = exports.parseManifest = void 0;
 const relaxed_json_1 = require("relaxed-json");
 const semver = __importStar(require("semver"));
 const vortex_api_1 = require("vortex-api");
+const constants_1 = require("./constants");
 function parseManifest(manifestFilePath) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
@@ -72,4 +73,9 @@ function semverCompare(lhs, rhs) {
     }
 }
 exports.semverCompare = semverCompare;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidXRpbC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInV0aWwudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFBQSwrQ0FBcUM7QUFDckMsK0NBQWlDO0FBQ2pDLDJDQUFzQztBQUd0QyxTQUFzQixhQUFhLENBQUMsZ0JBQXdCOztRQUMxRCxJQUFJO1lBQ0YsTUFBTSxZQUFZLEdBQUcsTUFBTSxlQUFFLENBQUMsYUFBYSxDQUFDLGdCQUFnQixFQUFFLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUM7WUFDckYsTUFBTSxRQUFRLEdBQW9CLElBQUEsb0JBQUssRUFBQyxpQkFBSSxDQUFDLEtBQUssQ0FBQyxZQUFZLENBQUMsQ0FBb0IsQ0FBQztZQUNyRixJQUFJLENBQUMsUUFBUSxFQUFFO2dCQUNiLE1BQU0sSUFBSSxpQkFBSSxDQUFDLFdBQVcsQ0FBQywwQkFBMEIsQ0FBQyxDQUFDO2FBQ3hEO1lBQ0QsT0FBTyxRQUFRLENBQUM7U0FDakI7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztTQUM1QjtJQUNILENBQUM7Q0FBQTtBQVhELHNDQVdDO0FBTUQsU0FBZ0IsTUFBTSxDQUFDLEtBQWE7SUFDbEMsSUFBSTtRQUNGLE9BQU8sSUFBSSxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQ2pDO0lBQUMsT0FBTyxHQUFHLEVBQUU7UUFDWixPQUFPLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7S0FDN0I7QUFDSCxDQUFDO0FBTkQsd0JBTUM7QUFFRCxTQUFnQixhQUFhLENBQUMsR0FBVyxFQUFFLEdBQVc7SUFDcEQsTUFBTSxDQUFDLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3RCLE1BQU0sQ0FBQyxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUN0QixJQUFJLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxFQUFFO1FBQ2hDLE9BQU8sTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7S0FDN0I7U0FBTTtRQUNMLE9BQU8sR0FBRyxDQUFDLGFBQWEsQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUM7S0FDeEM7QUFDSCxDQUFDO0FBUkQsc0NBUUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBwYXJzZSB9IGZyb20gJ3JlbGF4ZWQtanNvbic7XHJcbmltcG9ydCAqIGFzIHNlbXZlciBmcm9tICdzZW12ZXInO1xyXG5pbXBvcnQgeyBmcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xyXG5pbXBvcnQgeyBJU0RWTW9kTWFuaWZlc3QgfSBmcm9tICcuL3R5cGVzJztcclxuXHJcbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBwYXJzZU1hbmlmZXN0KG1hbmlmZXN0RmlsZVBhdGg6IHN0cmluZyk6IFByb21pc2U8SVNEVk1vZE1hbmlmZXN0PiB7XHJcbiAgdHJ5IHtcclxuICAgIGNvbnN0IG1hbmlmZXN0RGF0YSA9IGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMobWFuaWZlc3RGaWxlUGF0aCwgeyBlbmNvZGluZzogJ3V0Zi04JyB9KTtcclxuICAgIGNvbnN0IG1hbmlmZXN0OiBJU0RWTW9kTWFuaWZlc3QgPSBwYXJzZSh1dGlsLmRlQk9NKG1hbmlmZXN0RGF0YSkpIGFzIElTRFZNb2RNYW5pZmVzdDtcclxuICAgIGlmICghbWFuaWZlc3QpIHtcclxuICAgICAgdGhyb3cgbmV3IHV0aWwuRGF0YUludmFsaWQoJ01hbmlmZXN0IGZpbGUgaXMgaW52YWxpZCcpO1xyXG4gICAgfVxyXG4gICAgcmV0dXJuIG1hbmlmZXN0O1xyXG4gIH0gY2F0Y2ggKGVycikge1xyXG4gICAgcmV0dXJuIFByb21pc2UucmVqZWN0KGVycik7XHJcbiAgfVxyXG59XHJcblxyXG4vKipcclxuICogc2VtdmVyLmNvZXJjZSBkcm9wcyBwcmUtcmVsZWFzZSBpbmZvcm1hdGlvbiBmcm9tIGFcclxuICogcGVyZmVjdGx5IHZhbGlkIHNlbWFudGljIHZlcnNpb24gc3RyaW5nLCBkb24ndCB3YW50IHRoYXRcclxuICovXHJcbmV4cG9ydCBmdW5jdGlvbiBjb2VyY2UoaW5wdXQ6IHN0cmluZyk6IHNlbXZlci5TZW1WZXIge1xyXG4gIHRyeSB7XHJcbiAgICByZXR1cm4gbmV3IHNlbXZlci5TZW1WZXIoaW5wdXQpO1xyXG4gIH0gY2F0Y2ggKGVycikge1xyXG4gICAgcmV0dXJuIHNlbXZlci5jb2VyY2UoaW5wdXQpO1xyXG4gIH1cclxufVxyXG5cclxuZXhwb3J0IGZ1bmN0aW9uIHNlbXZlckNvbXBhcmUobGhzOiBzdHJpbmcsIHJoczogc3RyaW5nKTogbnVtYmVyIHtcclxuICBjb25zdCBsID0gY29lcmNlKGxocyk7XHJcbiAgY29uc3QgciA9IGNvZXJjZShyaHMpO1xyXG4gIGlmICgobCAhPT0gbnVsbCkgJiYgKHIgIT09IG51bGwpKSB7XHJcbiAgICByZXR1cm4gc2VtdmVyLmNvbXBhcmUobCwgcik7XHJcbiAgfSBlbHNlIHtcclxuICAgIHJldHVybiBsaHMubG9jYWxlQ29tcGFyZShyaHMsICdlbi1VUycpO1xyXG4gIH1cclxufVxyXG4iXX0=
\ No newline at end of file
+function frameworkName(uniqueId) {
+    var _a;
+    return (_a = constants_1.CONTENT_PACK_FRAMEWORKS[uniqueId.toLowerCase()]) !== null && _a !== void 0 ? _a : uniqueId;
+}
+exports.frameworkName = frameworkName;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidXRpbC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInV0aWwudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFBQSwrQ0FBcUM7QUFDckMsK0NBQWlDO0FBQ2pDLDJDQUFzQztBQUN0QywyQ0FBc0Q7QUFHdEQsU0FBc0IsYUFBYSxDQUFDLGdCQUF3Qjs7UUFDMUQsSUFBSTtZQUNGLE1BQU0sWUFBWSxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxnQkFBZ0IsRUFBRSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQ3JGLE1BQU0sUUFBUSxHQUFvQixJQUFBLG9CQUFLLEVBQUMsaUJBQUksQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDLENBQW9CLENBQUM7WUFDckYsSUFBSSxDQUFDLFFBQVEsRUFBRTtnQkFDYixNQUFNLElBQUksaUJBQUksQ0FBQyxXQUFXLENBQUMsMEJBQTBCLENBQUMsQ0FBQzthQUN4RDtZQUNELE9BQU8sUUFBUSxDQUFDO1NBQ2pCO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDNUI7SUFDSCxDQUFDO0NBQUE7QUFYRCxzQ0FXQztBQU1ELFNBQWdCLE1BQU0sQ0FBQyxLQUFhO0lBQ2xDLElBQUk7UUFDRixPQUFPLElBQUksTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztLQUNqQztJQUFDLE9BQU8sR0FBRyxFQUFFO1FBQ1osT0FBTyxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQzdCO0FBQ0gsQ0FBQztBQU5ELHdCQU1DO0FBRUQsU0FBZ0IsYUFBYSxDQUFDLEdBQVcsRUFBRSxHQUFXO0lBQ3BELE1BQU0sQ0FBQyxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUN0QixNQUFNLENBQUMsR0FBRyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDdEIsSUFBSSxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsRUFBRTtRQUNoQyxPQUFPLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO0tBQzdCO1NBQU07UUFDTCxPQUFPLEdBQUcsQ0FBQyxhQUFhLENBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0tBQ3hDO0FBQ0gsQ0FBQztBQVJELHNDQVFDO0FBS0QsU0FBZ0IsYUFBYSxDQUFDLFFBQWdCOztJQUM1QyxPQUFPLE1BQUEsbUNBQXVCLENBQUMsUUFBUSxDQUFDLFdBQVcsRUFBRSxDQUFDLG1DQUFJLFFBQVEsQ0FBQztBQUNyRSxDQUFDO0FBRkQsc0NBRUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBwYXJzZSB9IGZyb20gJ3JlbGF4ZWQtanNvbic7XG5pbXBvcnQgKiBhcyBzZW12ZXIgZnJvbSAnc2VtdmVyJztcbmltcG9ydCB7IGZzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5pbXBvcnQgeyBDT05URU5UX1BBQ0tfRlJBTUVXT1JLUyB9IGZyb20gJy4vY29uc3RhbnRzJztcbmltcG9ydCB7IElTRFZNb2RNYW5pZmVzdCB9IGZyb20gJy4vdHlwZXMnO1xuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gcGFyc2VNYW5pZmVzdChtYW5pZmVzdEZpbGVQYXRoOiBzdHJpbmcpOiBQcm9taXNlPElTRFZNb2RNYW5pZmVzdD4ge1xuICB0cnkge1xuICAgIGNvbnN0IG1hbmlmZXN0RGF0YSA9IGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMobWFuaWZlc3RGaWxlUGF0aCwgeyBlbmNvZGluZzogJ3V0Zi04JyB9KTtcbiAgICBjb25zdCBtYW5pZmVzdDogSVNEVk1vZE1hbmlmZXN0ID0gcGFyc2UodXRpbC5kZUJPTShtYW5pZmVzdERhdGEpKSBhcyBJU0RWTW9kTWFuaWZlc3Q7XG4gICAgaWYgKCFtYW5pZmVzdCkge1xuICAgICAgdGhyb3cgbmV3IHV0aWwuRGF0YUludmFsaWQoJ01hbmlmZXN0IGZpbGUgaXMgaW52YWxpZCcpO1xuICAgIH1cbiAgICByZXR1cm4gbWFuaWZlc3Q7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xuICB9XG59XG5cbi8qKlxuICogc2VtdmVyLmNvZXJjZSBkcm9wcyBwcmUtcmVsZWFzZSBpbmZvcm1hdGlvbiBmcm9tIGFcbiAqIHBlcmZlY3RseSB2YWxpZCBzZW1hbnRpYyB2ZXJzaW9uIHN0cmluZywgZG9uJ3Qgd2FudCB0aGF0XG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBjb2VyY2UoaW5wdXQ6IHN0cmluZyk6IHNlbXZlci5TZW1WZXIge1xuICB0cnkge1xuICAgIHJldHVybiBuZXcgc2VtdmVyLlNlbVZlcihpbnB1dCk7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIHJldHVybiBzZW12ZXIuY29lcmNlKGlucHV0KTtcbiAgfVxufVxuXG5leHBvcnQgZnVuY3Rpb24gc2VtdmVyQ29tcGFyZShsaHM6IHN0cmluZywgcmhzOiBzdHJpbmcpOiBudW1iZXIge1xuICBjb25zdCBsID0gY29lcmNlKGxocyk7XG4gIGNvbnN0IHIgPSBjb2VyY2UocmhzKTtcbiAgaWYgKChsICE9PSBudWxsKSAmJiAociAhPT0gbnVsbCkpIHtcbiAgICByZXR1cm4gc2VtdmVyLmNvbXBhcmUobCwgcik7XG4gIH0gZWxzZSB7XG4gICAgcmV0dXJuIGxocy5sb2NhbGVDb21wYXJlKHJocywgJ2VuLVVTJyk7XG4gIH1cbn1cblxuLyoqXG4gKiBkaXNwbGF5IG5hbWUgb2YgdGhlIGNvbnRlbnQgcGFjayBmcmFtZXdvcmsgd2l0aCB0aGUgc3BlY2lmaWVkIFVuaXF1ZUlEXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBmcmFtZXdvcmtOYW1lKHVuaXF1ZUlkOiBzdHJpbmcpOiBzdHJpbmcge1xuICByZXR1cm4gQ09OVEVOVF9QQUNLX0ZSQU1FV09SS1NbdW5pcXVlSWQudG9Mb3dlckNhc2UoKV0gPz8gdW5pcXVlSWQ7XG59XG4iXX0=
\ No newline at end of file
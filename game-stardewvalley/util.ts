@@ -1,6 +1,7 @@
 import { parse } from 'relaxed-json';
 import * as semver from 'semver';
 import { fs, util } from 'vortex-api';
+import { CONTENT_PACK_FRAMEWORKS } from './constants';
 import { ISDVModManifest } from './types';
 
 export async function parseManifest(manifestFilePath: string): Promise<ISDVModManifest> {
@@ -37,3 +38,10 @@ export function semverCompare(lhs: string, rhs: string): number {
     return lhs.localeCompare(rhs, 'en-US');
   }
 }
+
+/**
+ * display name of the content pack framework with the specified UniqueID
+ */
+export function frameworkName(uniqueId: string): string {
+  return CONTENT_PACK_FRAMEWORKS[uniqueId.toLowerCase()] ?? uniqueId;
+}
@@ -1,7 +1,11 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.setSuppressModLimitPatch = exports.setPriorityType = void 0;
+exports.setMenuSettingsMod = exports.setBundleConflicts = exports.setInputConflicts = exports.setInputConflictWinner = exports.setSuppressModLimitPatch = exports.setPriorityType = void 0;
 const redux_act_1 = require("redux-act");
 exports.setPriorityType = (0, redux_act_1.createAction)('TW3_SET_PRIORITY_TYPE', type => type);
 exports.setSuppressModLimitPatch = (0, redux_act_1.createAction)('TW3_SET_SUPPRESS_LIMIT_PATCH', suppress => suppress);
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWN0aW9ucy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFjdGlvbnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEseUNBQXlDO0FBRTVCLFFBQUEsZUFBZSxHQUFHLElBQUEsd0JBQVksRUFBQyx1QkFBdUIsRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBRXRFLFFBQUEsd0JBQXdCLEdBQ25DLElBQUEsd0JBQVksRUFBQyw4QkFBOEIsRUFBRSxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgY3JlYXRlQWN0aW9uIH0gZnJvbSAncmVkdXgtYWN0JztcclxuXHJcbmV4cG9ydCBjb25zdCBzZXRQcmlvcml0eVR5cGUgPSBjcmVhdGVBY3Rpb24oJ1RXM19TRVRfUFJJT1JJVFlfVFlQRScsIHR5cGUgPT4gdHlwZSk7XHJcblxyXG5leHBvcnQgY29uc3Qgc2V0U3VwcHJlc3NNb2RMaW1pdFBhdGNoID1cclxuICBjcmVhdGVBY3Rpb24oJ1RXM19TRVRfU1VQUFJFU1NfTElNSVRfUEFUQ0gnLCBzdXBwcmVzcyA9PiBzdXBwcmVzcyk7XHJcbiJdfQ==
\ No newline at end of file
+exports.setInputConflictWinner = (0, redux_act_1.createAction)('TW3_SET_INPUT_CONFLICT_WINNER', (profileId, conflictId, modId) => ({ profileId, conflictId, modId }));
+exports.setInputConflicts = (0, redux_act_1.createAction)('TW3_SET_INPUT_CONFLICTS', conflicts => conflicts);
+exports.setBundleConflicts = (0, redux_act_1.createAction)('TW3_SET_BUNDLE_CONFLICTS', conflicts => conflicts);
+exports.setMenuSettingsMod = (0, redux_act_1.createAction)('TW3_SET_MENU_SETTINGS_MOD', (modId) => modId);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWN0aW9ucy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFjdGlvbnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEseUNBQXlDO0FBRTVCLFFBQUEsZUFBZSxHQUFHLElBQUEsd0JBQVksRUFBQyx1QkFBdUIsRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBRXRFLFFBQUEsd0JBQXdCLEdBQ25DLElBQUEsd0JBQVksRUFBQyw4QkFBOEIsRUFBRSxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0FBR3hELFFBQUEsc0JBQXNCLEdBQ2pDLElBQUEsd0JBQVksRUFBQywrQkFBK0IsRUFBRSxDQUFDLFNBQWlCLEVBQUUsVUFBa0IsRUFBRSxLQUFhLEVBQUUsRUFBRSxDQUNyRyxDQUFDLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7QUFFM0IsUUFBQSxpQkFBaUIsR0FDNUIsSUFBQSx3QkFBWSxFQUFDLHlCQUF5QixFQUFFLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUM7QUFFckQsUUFBQSxrQkFBa0IsR0FDN0IsSUFBQSx3QkFBWSxFQUFDLDBCQUEwQixFQUFFLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUM7QUFHdEQsUUFBQSxrQkFBa0IsR0FDN0IsSUFBQSx3QkFBWSxFQUFDLDJCQUEyQixFQUFFLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IGNyZWF0ZUFjdGlvbiB9IGZyb20gJ3JlZHV4LWFjdCc7XG5cbmV4cG9ydCBjb25zdCBzZXRQcmlvcml0eVR5cGUgPSBjcmVhdGVBY3Rpb24oJ1RXM19TRVRfUFJJT1JJVFlfVFlQRScsIHR5cGUgPT4gdHlwZSk7XG5cbmV4cG9ydCBjb25zdCBzZXRTdXBwcmVzc01vZExpbWl0UGF0Y2ggPVxuICBjcmVhdGVBY3Rpb24oJ1RXM19TRVRfU1VQUFJFU1NfTElNSVRfUEFUQ0gnLCBzdXBwcmVzcyA9PiBzdXBwcmVzcyk7XG5cbi8vIG1vZElkIHVuZGVmaW5lZCByZXNldHMgdGhlIGNvbmZsaWN0IHRvIGl0cyBkZWZhdWx0IChsb2FkIG9yZGVyIGJhc2VkKSByZXNvbHV0aW9uXG5leHBvcnQgY29uc3Qgc2V0SW5wdXRDb25mbGljdFdpbm5lciA9XG4gIGNyZWF0ZUFjdGlvbignVFczX1NFVF9JTlBVVF9DT05GTElDVF9XSU5ORVInLCAocHJvZmlsZUlkOiBzdHJpbmcsIGNvbmZsaWN0SWQ6IHN0cmluZywgbW9kSWQ6IHN0cmluZykgPT5cbiAgICAoeyBwcm9maWxlSWQsIGNvbmZsaWN0SWQsIG1vZElkIH0pKTtcblxuZXhwb3J0IGNvbnN0IHNldElucHV0Q29uZmxpY3RzID1cbiAgY3JlYXRlQWN0aW9uKCdUVzNfU0VUX0lOUFVUX0NPTkZMSUNUUycsIGNvbmZsaWN0cyA9PiBjb25mbGljdHMpO1xuXG5leHBvcnQgY29uc3Qgc2V0QnVuZGxlQ29uZmxpY3RzID1cbiAgY3JlYXRlQWN0aW9uKCdUVzNfU0VUX0JVTkRMRV9DT05GTElDVFMnLCBjb25mbGljdHMgPT4gY29uZmxpY3RzKTtcblxuLy8gdGhlIG1vZCBzaG93biBpbiB0aGUgbWVudSBzZXR0aW5ncyBlZGl0b3IsIHVuZGVmaW5lZCB0byBzaG93IGFsbCBtb2RzXG5leHBvcnQgY29uc3Qgc2V0TWVudVNldHRpbmdzTW9kID1cbiAgY3JlYXRlQWN0aW9uKCdUVzNfU0VUX01FTlVfU0VUVElOR1NfTU9EJywgKG1vZElkOiBzdHJpbmcpID0+IG1vZElkKTtcbiJdfQ==
\ No newline at end of file
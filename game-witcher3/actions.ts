@@ -4,3 +4,18 @@ export const setPriorityType = createAction('TW3_SET_PRIORITY_TYPE', type => typ
 
 export const setSuppressModLimitPatch =
   createAction('TW3_SET_SUPPRESS_LIMIT_PATCH', suppress => suppress);
+
+// modId undefined resets the conflict to its default (load order based) resolution
+export const setInputConflictWinner =
+  createAction('TW3_SET_INPUT_CONFLICT_WINNER', (profileId: string, conflictId: string, modId: string) =>
+    ({ profileId, conflictId, modId }));
+
+export const setInputConflicts =
+  createAction('TW3_SET_INPUT_CONFLICTS', conflicts => conflicts);
+
+export const setBundleConflicts =
+  createAction('TW3_SET_BUNDLE_CONFLICTS', conflicts => conflicts);
+
+// the mod shown in the menu settings editor, undefined to show all mods
+export const setMenuSettingsMod =
+  createAction('TW3_SET_MENU_SETTINGS_MOD', (modId: string) => modId);
@@ -0,0 +1,277 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.suggestOrderByBundles = exports.suggestLoadOrder = exports.groupConflictingMods = exports.bundleOverrides = exports.bundleConflictWinner = exports.updateBundleConflicts = exports.findBundleConflicts = exports.readBundleFiles = void 0;
+const fs_1 = require("fs");
+const path_1 = __importDefault(require("path"));
+const vortex_api_1 = require("vortex-api");
+const actions_1 = require("./actions");
+const common_1 = require("./common");
+const BUNDLE_MAGIC = 'POTATO70';
+const HEADER_SIZE = 0x20;
+const TOC_ENTRY_SIZE = 0x140;
+const NAME_LENGTH = 0x100;
+const tableCache = {};
+function readBundleFiles(bundlePath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const stats = yield vortex_api_1.fs.statAsync(bundlePath);
+        const cached = tableCache[bundlePath];
+        if ((cached !== undefined) && (cached.size === stats.size) && (cached.mtime === stats.mtimeMs)) {
+            return cached.files;
+        }
+        const handle = yield fs_1.promises.open(bundlePath, 'r');
+        try {
+            const header = Buffer.alloc(HEADER_SIZE);
+            yield handle.read(header, 0, HEADER_SIZE, 0);
+            if (header.toString('ascii', 0, BUNDLE_MAGIC.length) !== BUNDLE_MAGIC) {
+                throw new vortex_api_1.util.DataInvalid(`Not a bundle file: ${bundlePath}`);
+            }
+            const tableSize = header.readUInt32LE(16);
+            if ((tableSize % TOC_ENTRY_SIZE !== 0) || (HEADER_SIZE + tableSize > stats.size)) {
+                throw new vortex_api_1.util.DataInvalid(`Invalid bundle file table: ${bundlePath}`);
+            }
+            const table = Buffer.alloc(tableSize);
+            yield handle.read(table, 0, tableSize, HEADER_SIZE);
+            const files = [];
+            for (let offset = 0; offset < tableSize; offset += TOC_ENTRY_SIZE) {
+                const end = table.indexOf(0, offset);
+                const name = table.toString('utf8', offset, ((end !== -1) && (end < offset + NAME_LENGTH)) ? end : offset + NAME_LENGTH);
+                if (name.length > 0) {
+                    files.push(name.replace(/\//g, '\\'));
+                }
+            }
+            tableCache[bundlePath] = { size: stats.size, mtime: stats.mtimeMs, files };
+            return files;
+        }
+        finally {
+            yield handle.close();
+        }
+    });
+}
+exports.readBundleFiles = readBundleFiles;
+function readDir(dirPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            return yield vortex_api_1.fs.readdirAsync(dirPath);
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT') {
+                (0, vortex_api_1.log)('warn', 'failed to read directory', { dirPath, error: err.message });
+            }
+            return [];
+        }
+    });
+}
+function findBundleConflicts(api) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        const discovery = vortex_api_1.selectors.discoveryByGame(api.getState(), common_1.GAME_ID);
+        if ((discovery === null || discovery === void 0 ? void 0 : discovery.path) === undefined) {
+            return {};
+        }
+        const modsPath = path_1.default.join(discovery.path, 'Mods');
+        const providers = {};
+        for (const modFolder of yield readDir(modsPath)) {
+            const contentPath = path_1.default.join(modsPath, modFolder, 'content');
+            const bundles = (yield readDir(contentPath))
+                .filter(fileName => path_1.default.extname(fileName).toLowerCase() === '.bundle');
+            for (const bundle of bundles) {
+                let files;
+                try {
+                    files = yield readBundleFiles(path_1.default.join(contentPath, bundle));
+                }
+                catch (err) {
+                    (0, vortex_api_1.log)('warn', 'failed to read bundle', { modFolder, bundle, error: err.message });
+                    continue;
+                }
+                for (const resource of files) {
+                    const key = resource.toLowerCase();
+                    providers[key] = (_a = providers[key]) !== null && _a !== void 0 ? _a : { resource, modFolders: [] };
+                    if (!providers[key].modFolders.includes(modFolder)) {
+                        providers[key].modFolders.push(modFolder);
+                    }
+                }
+            }
+        }
+        return Object.keys(providers).reduce((accum, key) => {
+            if (providers[key].modFolders.length > 1) {
+                accum[providers[key].resource] = providers[key].modFolders;
+            }
+            return accum;
+        }, {});
+    });
+}
+exports.findBundleConflicts = findBundleConflicts;
+function updateBundleConflicts(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            api.store.dispatch((0, actions_1.setBundleConflicts)(yield findBundleConflicts(api)));
+        }
+        catch (err) {
+            (0, vortex_api_1.log)('error', 'failed to analyze bundle conflicts', err);
+        }
+    });
+}
+exports.updateBundleConflicts = updateBundleConflicts;
+function loPosition(loadOrder, modFolder) {
+    const folder = modFolder.toLowerCase();
+    const idx = loadOrder.findIndex(entry => [entry === null || entry === void 0 ? void 0 : entry.id, entry === null || entry === void 0 ? void 0 : entry.name]
+        .find(name => (name === null || name === void 0 ? void 0 : name.toLowerCase()) === folder) !== undefined);
+    return (idx === -1) ? Number.MAX_SAFE_INTEGER : idx;
+}
+function bundleConflictWinner(modFolders, loadOrder) {
+    return [...modFolders].sort((lhs, rhs) => (loPosition(loadOrder, lhs) - loPosition(loadOrder, rhs))
+        || lhs.toLowerCase().localeCompare(rhs.toLowerCase()))[0];
+}
+exports.bundleConflictWinner = bundleConflictWinner;
+function bundleOverrides(conflicts, modFolder, loadOrder) {
+    const result = { overrides: {}, overriddenBy: {} };
+    const folder = modFolder.toLowerCase();
+    Object.keys(conflicts)
+        .filter(resource => conflicts[resource].find(iter => iter.toLowerCase() === folder) !== undefined)
+        .forEach(resource => {
+        var _a;
+        const winner = bundleConflictWinner(conflicts[resource], loadOrder);
+        if (winner.toLowerCase() === folder) {
+            conflicts[resource]
+                .filter(other => other.toLowerCase() !== folder)
+                .forEach(other => {
+                var _a;
+                result.overrides[other] = [].concat((_a = result.overrides[other]) !== null && _a !== void 0 ? _a : [], resource);
+            });
+        }
+        else {
+            result.overriddenBy[winner] = [].concat((_a = result.overriddenBy[winner]) !== null && _a !== void 0 ? _a : [], resource);
+        }
+    });
+    return result;
+}
+exports.bundleOverrides = bundleOverrides;
+function groupConflictingMods(conflicts, loadOrder) {
+    const parent = {};
+    const find = (folder) => {
+        while (parent[folder] !== folder) {
+            parent[folder] = parent[parent[folder]];
+            folder = parent[folder];
+        }
+        return folder;
+    };
+    const names = {};
+    Object.values(conflicts).forEach(modFolders => {
+        const keys = modFolders.map(iter => iter.toLowerCase());
+        keys.forEach((key, idx) => {
+            var _a, _b;
+            names[key] = (_a = names[key]) !== null && _a !== void 0 ? _a : modFolders[idx];
+            parent[key] = (_b = parent[key]) !== null && _b !== void 0 ? _b : key;
+        });
+        keys.slice(1).forEach(key => parent[find(key)] = find(keys[0]));
+    });
+    const groups = {};
+    Object.keys(parent).forEach(key => {
+        var _a;
+        const root = find(key);
+        groups[root] = (_a = groups[root]) !== null && _a !== void 0 ? _a : { modFolders: [], resources: [] };
+        groups[root].modFolders.push(names[key]);
+    });
+    Object.keys(conflicts).forEach(resource => {
+        groups[find(conflicts[resource][0].toLowerCase())].resources.push(resource);
+    });
+    const byPosition = (lhs, rhs) => (loPosition(loadOrder, lhs) - loPosition(loadOrder, rhs))
+        || lhs.toLowerCase().localeCompare(rhs.toLowerCase());
+    return Object.values(groups)
+        .map(group => ({ modFolders: group.modFolders.sort(byPosition), resources: group.resources.sort() }))
+        .sort((lhs, rhs) => byPosition(lhs.modFolders[0], rhs.modFolders[0]));
+}
+exports.groupConflictingMods = groupConflictingMods;
+function suggestLoadOrder(conflicts, loadOrder) {
+    const groups = groupConflictingMods(conflicts, loadOrder);
+    const groupOf = (entry) => groups.find(group => group.modFolders.find(folder => [entry.id, entry.name]
+        .find(name => (name === null || name === void 0 ? void 0 : name.toLowerCase()) === folder.toLowerCase()) !== undefined) !== undefined);
+    const isLocked = (entry) => entry.locked || entry.id.startsWith(common_1.LOCKED_PREFIX);
+    const sortable = loadOrder.filter(entry => !isLocked(entry));
+    const placed = new Set();
+    const sorted = [];
+    for (const entry of sortable) {
+        if (placed.has(entry)) {
+            continue;
+        }
+        const group = groupOf(entry);
+        const members = (group !== undefined)
+            ? sortable.filter(iter => groupOf(iter) === group)
+            : [entry];
+        members.forEach(member => {
+            placed.add(member);
+            sorted.push(member);
+        });
+    }
+    let next = 0;
+    return loadOrder.map((entry, idx) => {
+        var _a, _b;
+        if (isLocked(entry)) {
+            return entry;
+        }
+        const moved = sorted[next++];
+        return Object.assign(Object.assign({}, moved), { data: Object.assign(Object.assign({}, moved.data), { prefix: (_b = (_a = entry.data) === null || _a === void 0 ? void 0 : _a.prefix) !== null && _b !== void 0 ? _b : idx + 1 }) });
+    });
+}
+exports.suggestLoadOrder = suggestLoadOrder;
+function suggestOrderByBundles(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const t = api.translate;
+        const profile = vortex_api_1.selectors.activeProfile(api.getState());
+        if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+            return;
+        }
+        yield updateBundleConflicts(api);
+        const state = api.getState();
+        const conflicts = vortex_api_1.util.getSafe(state, ['session', 'witcher3', 'bundleConflicts'], {});
+        const loadOrder = vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profile.id], []);
+        const groups = groupConflictingMods(conflicts, loadOrder);
+        if (groups.length === 0) {
+            api.sendNotification({
+                type: 'success',
+                message: 'None of your mods ship the same bundled files',
+                displayMS: 3000,
+            });
+            return;
+        }
+        const MAX_FILES = 5;
+        const groupText = groups.map((group, idx) => {
+            const files = (group.resources.length > MAX_FILES)
+                ? group.resources.slice(0, MAX_FILES).join(', ') + ', '
+                    + t('and {{count}} more', { count: group.resources.length - MAX_FILES })
+                : group.resources.join(', ');
+            return `[b]${t('Group {{idx}}', { replace: { idx: idx + 1 } })}[/b]`
+                + `[list]${group.modFolders.map(folder => `[*]${folder}`).join('')}[/list]`
+                + t('Shared files: {{files}}', { replace: { files } });
+        }).join('[br][/br][br][/br]');
+        const result = yield api.showDialog('question', 'Suggested Order', {
+            bbcode: t('The following mods ship some of the same files in their bundles. Only the copy of the '
+                + 'mod with the highest priority (the one closest to the top of the load order) is used by the game, '
+                + 'so the order within each group decides which mod\'s changes you get. Mods are listed '
+                + 'highest priority first.[br][/br][br][/br]'
+                + 'Vortex can move the mods of each group next to each other, keeping their current relative order, '
+                + 'so that you can easily adjust them.[br][/br][br][/br]', { ns: common_1.I18N_NAMESPACE }) + groupText,
+        }, [
+            { label: 'Cancel' },
+            { label: 'Group Mods' },
+        ]);
+        if (result.action !== 'Group Mods') {
+            return;
+        }
+        api.store.dispatch(vortex_api_1.actions.setLoadOrder(profile.id, suggestLoadOrder(conflicts, loadOrder)));
+    });
+}
+exports.suggestOrderByBundles = suggestOrderByBundles;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYnVuZGxlQW5hbHlzaXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJidW5kbGVBbmFseXNpcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7QUFDQSwyQkFBNEM7QUFDNUMsZ0RBQXdCO0FBQ3hCLDJDQUFzRTtBQUV0RSx1Q0FBK0M7QUFDL0MscUNBQWtFO0FBS2xFLE1BQU0sWUFBWSxHQUFHLFVBQVUsQ0FBQztBQUNoQyxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUM7QUFHekIsTUFBTSxjQUFjLEdBQUcsS0FBSyxDQUFDO0FBQzdCLE1BQU0sV0FBVyxHQUFHLEtBQUssQ0FBQztBQUkxQixNQUFNLFVBQVUsR0FBK0UsRUFBRSxDQUFDO0FBUWxHLFNBQXNCLGVBQWUsQ0FBQyxVQUFrQjs7UUFDdEQsTUFBTSxLQUFLLEdBQUcsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQzdDLE1BQU0sTUFBTSxHQUFHLFVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUN0QyxJQUFJLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksS0FBSyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxLQUFLLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUM5RixPQUFPLE1BQU0sQ0FBQyxLQUFLLENBQUM7U0FDckI7UUFFRCxNQUFNLE1BQU0sR0FBRyxNQUFNLGFBQVUsQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQ3RELElBQUk7WUFDRixNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDO1lBQ3pDLE1BQU0sTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUM3QyxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUMsT0FBTyxFQUFFLENBQUMsRUFBRSxZQUFZLENBQUMsTUFBTSxDQUFDLEtBQUssWUFBWSxFQUFFO2dCQUNyRSxNQUFNLElBQUksaUJBQUksQ0FBQyxXQUFXLENBQUMsc0JBQXNCLFVBQVUsRUFBRSxDQUFDLENBQUM7YUFDaEU7WUFDRCxNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQzFDLElBQUksQ0FBQyxTQUFTLEdBQUcsY0FBYyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxHQUFHLFNBQVMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7Z0JBQ2hGLE1BQU0sSUFBSSxpQkFBSSxDQUFDLFdBQVcsQ0FBQyw4QkFBOEIsVUFBVSxFQUFFLENBQUMsQ0FBQzthQUN4RTtZQUNELE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDdEMsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLFdBQVcsQ0FBQyxDQUFDO1lBQ3BELE1BQU0sS0FBSyxHQUFhLEVBQUUsQ0FBQztZQUMzQixLQUFLLElBQUksTUFBTSxHQUFHLENBQUMsRUFBRSxNQUFNLEdBQUcsU0FBUyxFQUFFLE1BQU0sSUFBSSxjQUFjLEVBQUU7Z0JBQ2pFLE1BQU0sR0FBRyxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDO2dCQUNyQyxNQUFNLElBQUksR0FBRyxLQUFLLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQ3hDLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsR0FBRyxNQUFNLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLEdBQUcsV0FBVyxDQUFDLENBQUM7Z0JBQy9FLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7b0JBQ25CLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztpQkFDdkM7YUFDRjtZQUNELFVBQVUsQ0FBQyxVQUFVLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxDQUFDO1lBQzNFLE9BQU8sS0FBSyxDQUFDO1NBQ2Q7Z0JBQVM7WUFDUixNQUFNLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQztTQUN0QjtJQUNILENBQUM7Q0FBQTtBQWxDRCwwQ0FrQ0M7QUFFRCxTQUFlLE9BQU8sQ0FBQyxPQUFlOztRQUNwQyxJQUFJO1lBQ0YsT0FBTyxNQUFNLGVBQUUsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDdkM7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLElBQUksR0FBRyxDQUFDLElBQUksS0FBSyxRQUFRLEVBQUU7Z0JBQ3pCLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsMEJBQTBCLEVBQUUsRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2FBQzFFO1lBQ0QsT0FBTyxFQUFFLENBQUM7U0FDWDtJQUNILENBQUM7Q0FBQTtBQUtELFNBQXNCLG1CQUFtQixDQUFDLEdBQXdCOzs7UUFDaEUsTUFBTSxTQUFTLEdBQUcsc0JBQVMsQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLGdCQUFPLENBQUMsQ0FBQztRQUNyRSxJQUFJLENBQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLElBQUksTUFBSyxTQUFTLEVBQUU7WUFDakMsT0FBTyxFQUFFLENBQUM7U0FDWDtRQUNELE1BQU0sUUFBUSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztRQUVuRCxNQUFNLFNBQVMsR0FBa0UsRUFBRSxDQUFDO1FBQ3BGLEtBQUssTUFBTSxTQUFTLElBQUksTUFBTSxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUU7WUFDL0MsTUFBTSxXQUFXLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsU0FBUyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBQzlELE1BQU0sT0FBTyxHQUFHLENBQUMsTUFBTSxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUM7aUJBQ3pDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLGNBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsV0FBVyxFQUFFLEtBQUssU0FBUyxDQUFDLENBQUM7WUFDMUUsS0FBSyxNQUFNLE1BQU0sSUFBSSxPQUFPLEVBQUU7Z0JBQzVCLElBQUksS0FBZSxDQUFDO2dCQUNwQixJQUFJO29CQUNGLEtBQUssR0FBRyxNQUFNLGVBQWUsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDO2lCQUMvRDtnQkFBQyxPQUFPLEdBQUcsRUFBRTtvQkFDWixJQUFBLGdCQUFHLEVBQUMsTUFBTSxFQUFFLHVCQUF1QixFQUFFLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7b0JBQ2hGLFNBQVM7aUJBQ1Y7Z0JBQ0QsS0FBSyxNQUFNLFFBQVEsSUFBSSxLQUFLLEVBQUU7b0JBQzVCLE1BQU0sR0FBRyxHQUFHLFFBQVEsQ0FBQyxXQUFXLEVBQUUsQ0FBQztvQkFDbkMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxHQUFHLE1BQUEsU0FBUyxDQUFDLEdBQUcsQ0FBQyxtQ0FBSSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUFFLENBQUM7b0JBQ2hFLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsRUFBRTt3QkFDbEQsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7cUJBQzNDO2lCQUNGO2FBQ0Y7U0FDRjtRQUVELE9BQU8sTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7WUFDbEQsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7Z0JBQ3hDLEtBQUssQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFVBQVUsQ0FBQzthQUM1RDtZQUNELE9BQU8sS0FBSyxDQUFDO1FBQ2YsQ0FBQyxFQUFFLEVBQXNCLENBQUMsQ0FBQzs7Q0FDNUI7QUFwQ0Qsa0RBb0NDO0FBRUQsU0FBc0IscUJBQXFCLENBQUMsR0FBd0I7O1FBQ2xFLElBQUk7WUFDRixHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLDRCQUFrQixFQUFDLE1BQU0sbUJBQW1CLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ3hFO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLG9DQUFvQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1NBQ3pEO0lBQ0gsQ0FBQztDQUFBO0FBTkQsc0RBTUM7QUFFRCxTQUFTLFVBQVUsQ0FBQyxTQUEwQixFQUFFLFNBQWlCO0lBQy9ELE1BQU0sTUFBTSxHQUFHLFNBQVMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztJQUN2QyxNQUFNLEdBQUcsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLGFBQUwsS0FBSyx1QkFBTCxLQUFLLENBQUUsRUFBRSxFQUFFLEtBQUssYUFBTCxLQUFLLHVCQUFMLEtBQUssQ0FBRSxJQUFJLENBQUM7U0FDOUQsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsV0FBVyxFQUFFLE1BQUssTUFBTSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7SUFDL0QsT0FBTyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQztBQUN0RCxDQUFDO0FBSUQsU0FBZ0Isb0JBQW9CLENBQUMsVUFBb0IsRUFBRSxTQUEwQjtJQUNuRixPQUFPLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FDdkMsQ0FBQyxVQUFVLENBQUMsU0FBUyxFQUFFLEdBQUcsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLENBQUM7V0FDdEQsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQzlELENBQUM7QUFKRCxvREFJQztBQUVELFNBQWdCLGVBQWUsQ0FBQyxTQUEyQixFQUFFLFNBQWlCLEVBQzlDLFNBQTBCO0lBQ3hELE1BQU0sTUFBTSxHQUFxQixFQUFFLFNBQVMsRUFBRSxFQUFFLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxDQUFDO0lBQ3JFLE1BQU0sTUFBTSxHQUFHLFNBQVMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztJQUN2QyxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQztTQUNuQixNQUFNLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxLQUFLLE1BQU0sQ0FBQyxLQUFLLFNBQVMsQ0FBQztTQUNqRyxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUU7O1FBQ2xCLE1BQU0sTUFBTSxHQUFHLG9CQUFvQixDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNwRSxJQUFJLE1BQU0sQ0FBQyxXQUFXLEVBQUUsS0FBSyxNQUFNLEVBQUU7WUFDbkMsU0FBUyxDQUFDLFFBQVEsQ0FBQztpQkFDaEIsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxLQUFLLE1BQU0sQ0FBQztpQkFDL0MsT0FBTyxDQUFDLEtBQUssQ0FBQyxFQUFFOztnQkFDZixNQUFNLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBQSxNQUFNLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxtQ0FBSSxFQUFFLEVBQUUsUUFBUSxDQUFDLENBQUM7WUFDL0UsQ0FBQyxDQUFDLENBQUM7U0FDTjthQUFNO1lBQ0wsTUFBTSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQUEsTUFBTSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsbUNBQUksRUFBRSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1NBQ3RGO0lBQ0gsQ0FBQyxDQUFDLENBQUM7SUFDTCxPQUFPLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBbkJELDBDQW1CQztBQUlELFNBQWdCLG9CQUFvQixDQUFDLFNBQTJCLEVBQzNCLFNBQTBCO0lBQzdELE1BQU0sTUFBTSxHQUFpQyxFQUFFLENBQUM7SUFDaEQsTUFBTSxJQUFJLEdBQUcsQ0FBQyxNQUFjLEVBQVUsRUFBRTtRQUN0QyxPQUFPLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxNQUFNLEVBQUU7WUFDaEMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztZQUN4QyxNQUFNLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1NBQ3pCO1FBQ0QsT0FBTyxNQUFNLENBQUM7SUFDaEIsQ0FBQyxDQUFDO0lBQ0YsTUFBTSxLQUFLLEdBQWlDLEVBQUUsQ0FBQztJQUMvQyxNQUFNLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsRUFBRTtRQUM1QyxNQUFNLElBQUksR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7UUFDeEQsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRTs7WUFDeEIsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLE1BQUEsS0FBSyxDQUFDLEdBQUcsQ0FBQyxtQ0FBSSxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDM0MsTUFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLE1BQUEsTUFBTSxDQUFDLEdBQUcsQ0FBQyxtQ0FBSSxHQUFHLENBQUM7UUFDbkMsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNsRSxDQUFDLENBQUMsQ0FBQztJQUVILE1BQU0sTUFBTSxHQUFzRSxFQUFFLENBQUM7SUFDckYsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEVBQUU7O1FBQ2hDLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN2QixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBQSxNQUFNLENBQUMsSUFBSSxDQUFDLG1DQUFJLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsRUFBRSxFQUFFLENBQUM7UUFDakUsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDM0MsQ0FBQyxDQUFDLENBQUM7SUFDSCxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUN4QyxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUM5RSxDQUFDLENBQUMsQ0FBQztJQUVILE1BQU0sVUFBVSxHQUFHLENBQUMsR0FBVyxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQzlDLENBQUMsVUFBVSxDQUFDLFNBQVMsRUFBRSxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUMsU0FBUyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1dBQ3RELEdBQUcsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7SUFDeEQsT0FBTyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztTQUN6QixHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQztTQUNwRyxJQUFJLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUMxRSxDQUFDO0FBcENELG9EQW9DQztBQUtELFNBQWdCLGdCQUFnQixDQUFDLFNBQTJCLEVBQzNCLFNBQTBCO0lBQ3pELE1BQU0sTUFBTSxHQUFHLG9CQUFvQixDQUFDLFNBQVMsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUMxRCxNQUFNLE9BQU8sR0FBRyxDQUFDLEtBQTRCLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FDcEUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxFQUFFLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQztTQUNuRCxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxXQUFXLEVBQUUsTUFBSyxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxTQUFTLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQztJQUU5RixNQUFNLFFBQVEsR0FBRyxDQUFDLEtBQTRCLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxNQUFNLElBQUksS0FBSyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsc0JBQWEsQ0FBQyxDQUFDO0lBQ3RHLE1BQU0sUUFBUSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0lBQzdELE1BQU0sTUFBTSxHQUFHLElBQUksR0FBRyxFQUF5QixDQUFDO0lBQ2hELE1BQU0sTUFBTSxHQUFvQixFQUFFLENBQUM7SUFDbkMsS0FBSyxNQUFNLEtBQUssSUFBSSxRQUFRLEVBQUU7UUFDNUIsSUFBSSxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ3JCLFNBQVM7U0FDVjtRQUNELE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUM3QixNQUFNLE9BQU8sR0FBRyxDQUFDLEtBQUssS0FBSyxTQUFTLENBQUM7WUFDbkMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEtBQUssS0FBSyxDQUFDO1lBQ2xELENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ1osT0FBTyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUN2QixNQUFNLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ25CLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDdEIsQ0FBQyxDQUFDLENBQUM7S0FDSjtJQUdELElBQUksSUFBSSxHQUFHLENBQUMsQ0FBQztJQUNiLE9BQU8sU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTs7UUFDbEMsSUFBSSxRQUFRLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDbkIsT0FBTyxLQUFLLENBQUM7U0FDZDtRQUNELE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQzdCLHVDQUFZLEtBQUssS0FBRSxJQUFJLGtDQUFPLEtBQUssQ0FBQyxJQUFJLEtBQUUsTUFBTSxFQUFFLE1BQUEsTUFBQSxLQUFLLENBQUMsSUFBSSwwQ0FBRSxNQUFNLG1DQUFJLEdBQUcsR0FBRyxDQUFDLE9BQUs7SUFDdEYsQ0FBQyxDQUFDLENBQUM7QUFDTCxDQUFDO0FBbENELDRDQWtDQztBQUtELFNBQXNCLHFCQUFxQixDQUFDLEdBQXdCOztRQUNsRSxNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQ3hELElBQUksQ0FBQSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsTUFBTSxNQUFLLGdCQUFPLEVBQUU7WUFDL0IsT0FBTztTQUNSO1FBQ0QsTUFBTSxxQkFBcUIsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNqQyxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxTQUFTLEdBQXFCLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFNBQVMsRUFBRSxVQUFVLEVBQUUsaUJBQWlCLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUN4RyxNQUFNLFNBQVMsR0FBb0IsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLFdBQVcsRUFBRSxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDcEcsTUFBTSxNQUFNLEdBQUcsb0JBQW9CLENBQUMsU0FBUyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQzFELElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7WUFDdkIsR0FBRyxDQUFDLGdCQUFnQixDQUFDO2dCQUNuQixJQUFJLEVBQUUsU0FBUztnQkFDZixPQUFPLEVBQUUsK0NBQStDO2dCQUN4RCxTQUFTLEVBQUUsSUFBSTthQUNoQixDQUFDLENBQUM7WUFDSCxPQUFPO1NBQ1I7UUFFRCxNQUFNLFNBQVMsR0FBRyxDQUFDLENBQUM7UUFDcEIsTUFBTSxTQUFTLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtZQUMxQyxNQUFNLEtBQUssR0FBRyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQztnQkFDaEQsQ0FBQyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSTtzQkFDbkQsQ0FBQyxDQUFDLG9CQUFvQixFQUFFLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxTQUFTLENBQUMsTUFBTSxHQUFHLFNBQVMsRUFBRSxDQUFDO2dCQUMxRSxDQUFDLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDL0IsT0FBTyxNQUFNLENBQUMsQ0FBQyxlQUFlLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxHQUFHLEVBQUUsR0FBRyxHQUFHLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTTtrQkFDaEUsU0FBUyxLQUFLLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sTUFBTSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFNBQVM7a0JBQ3pFLENBQUMsQ0FBQyx5QkFBeUIsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQztRQUMzRCxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsb0JBQW9CLENBQUMsQ0FBQztRQUU5QixNQUFNLE1BQU0sR0FBRyxNQUFNLEdBQUcsQ0FBQyxVQUFVLENBQUMsVUFBVSxFQUFFLGlCQUFpQixFQUFFO1lBQ2pFLE1BQU0sRUFBRSxDQUFDLENBQUMsd0ZBQXdGO2tCQUM5RixvR0FBb0c7a0JBQ3BHLHVGQUF1RjtrQkFDdkYsMkNBQTJDO2tCQUMzQyxtR0FBbUc7a0JBQ25HLHVEQUF1RCxFQUFFLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQyxHQUFHLFNBQVM7U0FDakcsRUFBRTtZQUNELEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRTtZQUNuQixFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUU7U0FDeEIsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLFlBQVksRUFBRTtZQUNsQyxPQUFPO1NBQ1I7UUFDRCxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxvQkFBTyxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsRUFBRSxFQUFFLGdCQUFnQixDQUFDLFNBQVMsRUFBRSxTQUFTLENBQVEsQ0FBQyxDQUFDLENBQUM7SUFDdEcsQ0FBQztDQUFBO0FBOUNELHNEQThDQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgeyBwcm9taXNlcyBhcyBmc1Byb21pc2VzIH0gZnJvbSAnZnMnO1xuaW1wb3J0IHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgeyBhY3Rpb25zLCBmcywgbG9nLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5cbmltcG9ydCB7IHNldEJ1bmRsZUNvbmZsaWN0cyB9IGZyb20gJy4vYWN0aW9ucyc7XG5pbXBvcnQgeyBHQU1FX0lELCBJMThOX05BTUVTUEFDRSwgTE9DS0VEX1BSRUZJWCB9IGZyb20gJy4vY29tbW9uJztcbmltcG9ydCB7IElCdW5kbGVDb25mbGljdHMgfSBmcm9tICcuL3R5cGVzJztcblxuLy8gQnVuZGxlcyBzdGFydCB3aXRoIHRoZSAnUE9UQVRPNzAnIG1hZ2ljLCBmb2xsb3dlZCBieSB0aGUgYnVuZGxlIHNpemUsIGEgZHVtbXlcbi8vICB2YWx1ZSBhbmQgdGhlIHNpemUgb2YgdGhlIGZpbGUgdGFibGUgd2hpY2ggc3RhcnRzIGF0IG9mZnNldCAweDIwLlxuY29uc3QgQlVORExFX01BR0lDID0gJ1BPVEFUTzcwJztcbmNvbnN0IEhFQURFUl9TSVpFID0gMHgyMDtcbi8vIG5hbWUgKDI1NiksIG1kNSAoMTYpLCB6ZXJvICg0KSwgc2l6ZSAoNCksIGNvbXByZXNzZWQgc2l6ZSAoNCksIGRhdGEgb2Zmc2V0ICg0KSxcbi8vICB0aW1lc3RhbXAgKDgpLCBwYWRkaW5nICgxNiksIGNyYyAoNCksIGNvbXByZXNzaW9uIHR5cGUgKDQpXG5jb25zdCBUT0NfRU5UUllfU0laRSA9IDB4MTQwO1xuY29uc3QgTkFNRV9MRU5HVEggPSAweDEwMDtcblxuLy8gZmlsZSB0YWJsZXMgb2YgYnVuZGxlcyB3ZSBhbHJlYWR5IHJlYWQsIGtleWVkIGJ5IHBhdGggYW5kIG9ubHkgdmFsaWQgYXMgbG9uZ1xuLy8gIGFzIHRoZSBidW5kbGUncyBzaXplIGFuZCBtb2RpZmljYXRpb24gdGltZSBkb24ndCBjaGFuZ2VcbmNvbnN0IHRhYmxlQ2FjaGU6IHsgW2J1bmRsZVBhdGg6IHN0cmluZ106IHsgc2l6ZTogbnVtYmVyLCBtdGltZTogbnVtYmVyLCBmaWxlczogc3RyaW5nW10gfSB9ID0ge307XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUJ1bmRsZU92ZXJyaWRlcyB7XG4gIC8vIG90aGVyIG1vZCBmb2xkZXIgLT4gcmVzb3VyY2UgcGF0aHNcbiAgb3ZlcnJpZGVzOiB7IFttb2RGb2xkZXI6IHN0cmluZ106IHN0cmluZ1tdIH07XG4gIG92ZXJyaWRkZW5CeTogeyBbbW9kRm9sZGVyOiBzdHJpbmddOiBzdHJpbmdbXSB9O1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gcmVhZEJ1bmRsZUZpbGVzKGJ1bmRsZVBhdGg6IHN0cmluZyk6IFByb21pc2U8c3RyaW5nW10+IHtcbiAgY29uc3Qgc3RhdHMgPSBhd2FpdCBmcy5zdGF0QXN5bmMoYnVuZGxlUGF0aCk7XG4gIGNvbnN0IGNhY2hlZCA9IHRhYmxlQ2FjaGVbYnVuZGxlUGF0aF07XG4gIGlmICgoY2FjaGVkICE9PSB1bmRlZmluZWQpICYmIChjYWNoZWQuc2l6ZSA9PT0gc3RhdHMuc2l6ZSkgJiYgKGNhY2hlZC5tdGltZSA9PT0gc3RhdHMubXRpbWVNcykpIHtcbiAgICByZXR1cm4gY2FjaGVkLmZpbGVzO1xuICB9XG5cbiAgY29uc3QgaGFuZGxlID0gYXdhaXQgZnNQcm9taXNlcy5vcGVuKGJ1bmRsZVBhdGgsICdyJyk7XG4gIHRyeSB7XG4gICAgY29uc3QgaGVhZGVyID0gQnVmZmVyLmFsbG9jKEhFQURFUl9TSVpFKTtcbiAgICBhd2FpdCBoYW5kbGUucmVhZChoZWFkZXIsIDAsIEhFQURFUl9TSVpFLCAwKTtcbiAgICBpZiAoaGVhZGVyLnRvU3RyaW5nKCdhc2NpaScsIDAsIEJVTkRMRV9NQUdJQy5sZW5ndGgpICE9PSBCVU5ETEVfTUFHSUMpIHtcbiAgICAgIHRocm93IG5ldyB1dGlsLkRhdGFJbnZhbGlkKGBOb3QgYSBidW5kbGUgZmlsZTogJHtidW5kbGVQYXRofWApO1xuICAgIH1cbiAgICBjb25zdCB0YWJsZVNpemUgPSBoZWFkZXIucmVhZFVJbnQzMkxFKDE2KTtcbiAgICBpZiAoKHRhYmxlU2l6ZSAlIFRPQ19FTlRSWV9TSVpFICE9PSAwKSB8fCAoSEVBREVSX1NJWkUgKyB0YWJsZVNpemUgPiBzdGF0cy5zaXplKSkge1xuICAgICAgdGhyb3cgbmV3IHV0aWwuRGF0YUludmFsaWQoYEludmFsaWQgYnVuZGxlIGZpbGUgdGFibGU6ICR7YnVuZGxlUGF0aH1gKTtcbiAgICB9XG4gICAgY29uc3QgdGFibGUgPSBCdWZmZXIuYWxsb2ModGFibGVTaXplKTtcbiAgICBhd2FpdCBoYW5kbGUucmVhZCh0YWJsZSwgMCwgdGFibGVTaXplLCBIRUFERVJfU0laRSk7XG4gICAgY29uc3QgZmlsZXM6IHN0cmluZ1tdID0gW107XG4gICAgZm9yIChsZXQgb2Zmc2V0ID0gMDsgb2Zmc2V0IDwgdGFibGVTaXplOyBvZmZzZXQgKz0gVE9DX0VOVFJZX1NJWkUpIHtcbiAgICAgIGNvbnN0IGVuZCA9IHRhYmxlLmluZGV4T2YoMCwgb2Zmc2V0KTtcbiAgICAgIGNvbnN0IG5hbWUgPSB0YWJsZS50b1N0cmluZygndXRmOCcsIG9mZnNldCxcbiAgICAgICAgKChlbmQgIT09IC0xKSAmJiAoZW5kIDwgb2Zmc2V0ICsgTkFNRV9MRU5HVEgpKSA/IGVuZCA6IG9mZnNldCArIE5BTUVfTEVOR1RIKTtcbiAgICAgIGlmIChuYW1lLmxlbmd0aCA+IDApIHtcbiAgICAgICAgZmlsZXMucHVzaChuYW1lLnJlcGxhY2UoL1xcLy9nLCAnXFxcXCcpKTtcbiAgICAgIH1cbiAgICB9XG4gICAgdGFibGVDYWNoZVtidW5kbGVQYXRoXSA9IHsgc2l6ZTogc3RhdHMuc2l6ZSwgbXRpbWU6IHN0YXRzLm10aW1lTXMsIGZpbGVzIH07XG4gICAgcmV0dXJuIGZpbGVzO1xuICB9IGZpbmFsbHkge1xuICAgIGF3YWl0IGhhbmRsZS5jbG9zZSgpO1xuICB9XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHJlYWREaXIoZGlyUGF0aDogc3RyaW5nKTogUHJvbWlzZTxzdHJpbmdbXT4ge1xuICB0cnkge1xuICAgIHJldHVybiBhd2FpdCBmcy5yZWFkZGlyQXN5bmMoZGlyUGF0aCk7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIGlmIChlcnIuY29kZSAhPT0gJ0VOT0VOVCcpIHtcbiAgICAgIGxvZygnd2FybicsICdmYWlsZWQgdG8gcmVhZCBkaXJlY3RvcnknLCB7IGRpclBhdGgsIGVycm9yOiBlcnIubWVzc2FnZSB9KTtcbiAgICB9XG4gICAgcmV0dXJuIFtdO1xuICB9XG59XG5cbi8vIEZpbmRzIGFsbCByZXNvdXJjZXMgd2hpY2ggYXJlIHNoaXBwZWQgaW4gdGhlIGJ1bmRsZXMgb2YgbW9yZSB0aGFuIG9uZSBtb2Rcbi8vICBmb2xkZXIuIFRoaXMgbG9va3MgYXQgdGhlIGdhbWUncyBNb2RzIGRpcmVjdG9yeSByYXRoZXIgdGhhbiB0aGUgc3RhZ2luZ1xuLy8gIGZvbGRlciBzbyB0aGF0IG1vZHMgYWRkZWQgbWFudWFsbHkgYXJlIHRha2VuIGludG8gYWNjb3VudCBhcyB3ZWxsLlxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGZpbmRCdW5kbGVDb25mbGljdHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogUHJvbWlzZTxJQnVuZGxlQ29uZmxpY3RzPiB7XG4gIGNvbnN0IGRpc2NvdmVyeSA9IHNlbGVjdG9ycy5kaXNjb3ZlcnlCeUdhbWUoYXBpLmdldFN0YXRlKCksIEdBTUVfSUQpO1xuICBpZiAoZGlzY292ZXJ5Py5wYXRoID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm4ge307XG4gIH1cbiAgY29uc3QgbW9kc1BhdGggPSBwYXRoLmpvaW4oZGlzY292ZXJ5LnBhdGgsICdNb2RzJyk7XG4gIC8vIGtleWVkIGJ5IHRoZSBsb3dlciBjYXNlIHBhdGgsIHRoZSBnYW1lJ3MgZmlsZSBsb29rdXAgaXMgY2FzZSBpbnNlbnNpdGl2ZVxuICBjb25zdCBwcm92aWRlcnM6IHsgW2tleTogc3RyaW5nXTogeyByZXNvdXJjZTogc3RyaW5nLCBtb2RGb2xkZXJzOiBzdHJpbmdbXSB9IH0gPSB7fTtcbiAgZm9yIChjb25zdCBtb2RGb2xkZXIgb2YgYXdhaXQgcmVhZERpcihtb2RzUGF0aCkpIHtcbiAgICBjb25zdCBjb250ZW50UGF0aCA9IHBhdGguam9pbihtb2RzUGF0aCwgbW9kRm9sZGVyLCAnY29udGVudCcpO1xuICAgIGNvbnN0IGJ1bmRsZXMgPSAoYXdhaXQgcmVhZERpcihjb250ZW50UGF0aCkpXG4gICAgICAuZmlsdGVyKGZpbGVOYW1lID0+IHBhdGguZXh0bmFtZShmaWxlTmFtZSkudG9Mb3dlckNhc2UoKSA9PT0gJy5idW5kbGUnKTtcbiAgICBmb3IgKGNvbnN0IGJ1bmRsZSBvZiBidW5kbGVzKSB7XG4gICAgICBsZXQgZmlsZXM6IHN0cmluZ1tdO1xuICAgICAgdHJ5IHtcbiAgICAgICAgZmlsZXMgPSBhd2FpdCByZWFkQnVuZGxlRmlsZXMocGF0aC5qb2luKGNvbnRlbnRQYXRoLCBidW5kbGUpKTtcbiAgICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgICBsb2coJ3dhcm4nLCAnZmFpbGVkIHRvIHJlYWQgYnVuZGxlJywgeyBtb2RGb2xkZXIsIGJ1bmRsZSwgZXJyb3I6IGVyci5tZXNzYWdlIH0pO1xuICAgICAgICBjb250aW51ZTtcbiAgICAgIH1cbiAgICAgIGZvciAoY29uc3QgcmVzb3VyY2Ugb2YgZmlsZXMpIHtcbiAgICAgICAgY29uc3Qga2V5ID0gcmVzb3VyY2UudG9Mb3dlckNhc2UoKTtcbiAgICAgICAgcHJvdmlkZXJzW2tleV0gPSBwcm92aWRlcnNba2V5XSA/PyB7IHJlc291cmNlLCBtb2RGb2xkZXJzOiBbXSB9O1xuICAgICAgICBpZiAoIXByb3ZpZGVyc1trZXldLm1vZEZvbGRlcnMuaW5jbHVkZXMobW9kRm9sZGVyKSkge1xuICAgICAgICAgIHByb3ZpZGVyc1trZXldLm1vZEZvbGRlcnMucHVzaChtb2RGb2xkZXIpO1xuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIE9iamVjdC5rZXlzKHByb3ZpZGVycykucmVkdWNlKChhY2N1bSwga2V5KSA9PiB7XG4gICAgaWYgKHByb3ZpZGVyc1trZXldLm1vZEZvbGRlcnMubGVuZ3RoID4gMSkge1xuICAgICAgYWNjdW1bcHJvdmlkZXJzW2tleV0ucmVzb3VyY2VdID0gcHJvdmlkZXJzW2tleV0ubW9kRm9sZGVycztcbiAgICB9XG4gICAgcmV0dXJuIGFjY3VtO1xuICB9LCB7fSBhcyBJQnVuZGxlQ29uZmxpY3RzKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHVwZGF0ZUJ1bmRsZUNvbmZsaWN0cyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPHZvaWQ+IHtcbiAgdHJ5IHtcbiAgICBhcGkuc3RvcmUuZGlzcGF0Y2goc2V0QnVuZGxlQ29uZmxpY3RzKGF3YWl0IGZpbmRCdW5kbGVDb25mbGljdHMoYXBpKSkpO1xuICB9IGNhdGNoIChlcnIpIHtcbiAgICBsb2coJ2Vycm9yJywgJ2ZhaWxlZCB0byBhbmFseXplIGJ1bmRsZSBjb25mbGljdHMnLCBlcnIpO1xuICB9XG59XG5cbmZ1bmN0aW9uIGxvUG9zaXRpb24obG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIsIG1vZEZvbGRlcjogc3RyaW5nKTogbnVtYmVyIHtcbiAgY29uc3QgZm9sZGVyID0gbW9kRm9sZGVyLnRvTG93ZXJDYXNlKCk7XG4gIGNvbnN0IGlkeCA9IGxvYWRPcmRlci5maW5kSW5kZXgoZW50cnkgPT4gW2VudHJ5Py5pZCwgZW50cnk/Lm5hbWVdXG4gICAgLmZpbmQobmFtZSA9PiBuYW1lPy50b0xvd2VyQ2FzZSgpID09PSBmb2xkZXIpICE9PSB1bmRlZmluZWQpO1xuICByZXR1cm4gKGlkeCA9PT0gLTEpID8gTnVtYmVyLk1BWF9TQUZFX0lOVEVHRVIgOiBpZHg7XG59XG5cbi8vIFRoZSBnYW1lIGxvYWRzIHRoZSBmaXJzdCBjb3B5IG9mIGEgcmVzb3VyY2UgaXQgZmluZHMsIHRoYXQgaXMgdGhlIGNvcHkgb2YgdGhlXG4vLyAgbW9kIGZvbGRlciBwb3NpdGlvbmVkIGhpZ2hlc3QgaW4gdGhlIGxvYWQgb3JkZXIuXG5leHBvcnQgZnVuY3Rpb24gYnVuZGxlQ29uZmxpY3RXaW5uZXIobW9kRm9sZGVyczogc3RyaW5nW10sIGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyKTogc3RyaW5nIHtcbiAgcmV0dXJuIFsuLi5tb2RGb2xkZXJzXS5zb3J0KChsaHMsIHJocykgPT5cbiAgICAobG9Qb3NpdGlvbihsb2FkT3JkZXIsIGxocykgLSBsb1Bvc2l0aW9uKGxvYWRPcmRlciwgcmhzKSlcbiAgICB8fCBsaHMudG9Mb3dlckNhc2UoKS5sb2NhbGVDb21wYXJlKHJocy50b0xvd2VyQ2FzZSgpKSlbMF07XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBidW5kbGVPdmVycmlkZXMoY29uZmxpY3RzOiBJQnVuZGxlQ29uZmxpY3RzLCBtb2RGb2xkZXI6IHN0cmluZyxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgbG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIpOiBJQnVuZGxlT3ZlcnJpZGVzIHtcbiAgY29uc3QgcmVzdWx0OiBJQnVuZGxlT3ZlcnJpZGVzID0geyBvdmVycmlkZXM6IHt9LCBvdmVycmlkZGVuQnk6IHt9IH07XG4gIGNvbnN0IGZvbGRlciA9IG1vZEZvbGRlci50b0xvd2VyQ2FzZSgpO1xuICBPYmplY3Qua2V5cyhjb25mbGljdHMpXG4gICAgLmZpbHRlcihyZXNvdXJjZSA9PiBjb25mbGljdHNbcmVzb3VyY2VdLmZpbmQoaXRlciA9PiBpdGVyLnRvTG93ZXJDYXNlKCkgPT09IGZvbGRlcikgIT09IHVuZGVmaW5lZClcbiAgICAuZm9yRWFjaChyZXNvdXJjZSA9PiB7XG4gICAgICBjb25zdCB3aW5uZXIgPSBidW5kbGVDb25mbGljdFdpbm5lcihjb25mbGljdHNbcmVzb3VyY2VdLCBsb2FkT3JkZXIpO1xuICAgICAgaWYgKHdpbm5lci50b0xvd2VyQ2FzZSgpID09PSBmb2xkZXIpIHtcbiAgICAgICAgY29uZmxpY3RzW3Jlc291cmNlXVxuICAgICAgICAgIC5maWx0ZXIob3RoZXIgPT4gb3RoZXIudG9Mb3dlckNhc2UoKSAhPT0gZm9sZGVyKVxuICAgICAgICAgIC5mb3JFYWNoKG90aGVyID0+IHtcbiAgICAgICAgICAgIHJlc3VsdC5vdmVycmlkZXNbb3RoZXJdID0gW10uY29uY2F0KHJlc3VsdC5vdmVycmlkZXNbb3RoZXJdID8/IFtdLCByZXNvdXJjZSk7XG4gICAgICAgICAgfSk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICByZXN1bHQub3ZlcnJpZGRlbkJ5W3dpbm5lcl0gPSBbXS5jb25jYXQocmVzdWx0Lm92ZXJyaWRkZW5CeVt3aW5uZXJdID8/IFtdLCByZXNvdXJjZSk7XG4gICAgICB9XG4gICAgfSk7XG4gIHJldHVybiByZXN1bHQ7XG59XG5cbi8vIEdyb3VwcyBtb2QgZm9sZGVycyB0aGF0ICh0cmFuc2l0aXZlbHkpIHNoYXJlIHJlc291cmNlcy4gR3JvdXBzIGFuZCB0aGVpclxuLy8gIG1lbWJlcnMgYXJlIG9yZGVyZWQgYnkgdGhlIGN1cnJlbnQgbG9hZCBvcmRlci5cbmV4cG9ydCBmdW5jdGlvbiBncm91cENvbmZsaWN0aW5nTW9kcyhjb25mbGljdHM6IElCdW5kbGVDb25mbGljdHMsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgbG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIpOiBBcnJheTx7IG1vZEZvbGRlcnM6IHN0cmluZ1tdLCByZXNvdXJjZXM6IHN0cmluZ1tdIH0+IHtcbiAgY29uc3QgcGFyZW50OiB7IFtmb2xkZXI6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gIGNvbnN0IGZpbmQgPSAoZm9sZGVyOiBzdHJpbmcpOiBzdHJpbmcgPT4ge1xuICAgIHdoaWxlIChwYXJlbnRbZm9sZGVyXSAhPT0gZm9sZGVyKSB7XG4gICAgICBwYXJlbnRbZm9sZGVyXSA9IHBhcmVudFtwYXJlbnRbZm9sZGVyXV07XG4gICAgICBmb2xkZXIgPSBwYXJlbnRbZm9sZGVyXTtcbiAgICB9XG4gICAgcmV0dXJuIGZvbGRlcjtcbiAgfTtcbiAgY29uc3QgbmFtZXM6IHsgW2ZvbGRlcjogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcbiAgT2JqZWN0LnZhbHVlcyhjb25mbGljdHMpLmZvckVhY2gobW9kRm9sZGVycyA9PiB7XG4gICAgY29uc3Qga2V5cyA9IG1vZEZvbGRlcnMubWFwKGl0ZXIgPT4gaXRlci50b0xvd2VyQ2FzZSgpKTtcbiAgICBrZXlzLmZvckVhY2goKGtleSwgaWR4KSA9PiB7XG4gICAgICBuYW1lc1trZXldID0gbmFtZXNba2V5XSA/PyBtb2RGb2xkZXJzW2lkeF07XG4gICAgICBwYXJlbnRba2V5XSA9IHBhcmVudFtrZXldID8/IGtleTtcbiAgICB9KTtcbiAgICBrZXlzLnNsaWNlKDEpLmZvckVhY2goa2V5ID0+IHBhcmVudFtmaW5kKGtleSldID0gZmluZChrZXlzWzBdKSk7XG4gIH0pO1xuXG4gIGNvbnN0IGdyb3VwczogeyBbcm9vdDogc3RyaW5nXTogeyBtb2RGb2xkZXJzOiBzdHJpbmdbXSwgcmVzb3VyY2VzOiBzdHJpbmdbXSB9IH0gPSB7fTtcbiAgT2JqZWN0LmtleXMocGFyZW50KS5mb3JFYWNoKGtleSA9PiB7XG4gICAgY29uc3Qgcm9vdCA9IGZpbmQoa2V5KTtcbiAgICBncm91cHNbcm9vdF0gPSBncm91cHNbcm9vdF0gPz8geyBtb2RGb2xkZXJzOiBbXSwgcmVzb3VyY2VzOiBbXSB9O1xuICAgIGdyb3Vwc1tyb290XS5tb2RGb2xkZXJzLnB1c2gobmFtZXNba2V5XSk7XG4gIH0pO1xuICBPYmplY3Qua2V5cyhjb25mbGljdHMpLmZvckVhY2gocmVzb3VyY2UgPT4ge1xuICAgIGdyb3Vwc1tmaW5kKGNvbmZsaWN0c1tyZXNvdXJjZV1bMF0udG9Mb3dlckNhc2UoKSldLnJlc291cmNlcy5wdXNoKHJlc291cmNlKTtcbiAgfSk7XG5cbiAgY29uc3QgYnlQb3NpdGlvbiA9IChsaHM6IHN0cmluZywgcmhzOiBzdHJpbmcpID0+XG4gICAgKGxvUG9zaXRpb24obG9hZE9yZGVyLCBsaHMpIC0gbG9Qb3NpdGlvbihsb2FkT3JkZXIsIHJocykpXG4gICAgfHwgbGhzLnRvTG93ZXJDYXNlKCkubG9jYWxlQ29tcGFyZShyaHMudG9Mb3dlckNhc2UoKSk7XG4gIHJldHVybiBPYmplY3QudmFsdWVzKGdyb3VwcylcbiAgICAubWFwKGdyb3VwID0+ICh7IG1vZEZvbGRlcnM6IGdyb3VwLm1vZEZvbGRlcnMuc29ydChieVBvc2l0aW9uKSwgcmVzb3VyY2VzOiBncm91cC5yZXNvdXJjZXMuc29ydCgpIH0pKVxuICAgIC5zb3J0KChsaHMsIHJocykgPT4gYnlQb3NpdGlvbihsaHMubW9kRm9sZGVyc1swXSwgcmhzLm1vZEZvbGRlcnNbMF0pKTtcbn1cblxuLy8gTW92ZXMgdGhlIG1lbWJlcnMgb2YgZWFjaCBncm91cCBvZiBjb25mbGljdGluZyBtb2RzIG5leHQgdG8gZWFjaCBvdGhlciwgYXRcbi8vICB0aGUgcG9zaXRpb24gb2YgdGhlIGdyb3VwJ3MgaGlnaGVzdCBwcmlvcml0eSBtZW1iZXIuIFRoZSByZWxhdGl2ZSBvcmRlciBvZlxuLy8gIGFsbCBlbnRyaWVzIGlzIGtlcHQgb3RoZXJ3aXNlIGFuZCBsb2NrZWQgZW50cmllcyBzdGF5IHdoZXJlIHRoZXkgYXJlLlxuZXhwb3J0IGZ1bmN0aW9uIHN1Z2dlc3RMb2FkT3JkZXIoY29uZmxpY3RzOiBJQnVuZGxlQ29uZmxpY3RzLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgbG9hZE9yZGVyOiB0eXBlcy5Mb2FkT3JkZXIpOiB0eXBlcy5Mb2FkT3JkZXIge1xuICBjb25zdCBncm91cHMgPSBncm91cENvbmZsaWN0aW5nTW9kcyhjb25mbGljdHMsIGxvYWRPcmRlcik7XG4gIGNvbnN0IGdyb3VwT2YgPSAoZW50cnk6IHR5cGVzLklMb2FkT3JkZXJFbnRyeSkgPT4gZ3JvdXBzLmZpbmQoZ3JvdXAgPT5cbiAgICBncm91cC5tb2RGb2xkZXJzLmZpbmQoZm9sZGVyID0+IFtlbnRyeS5pZCwgZW50cnkubmFtZV1cbiAgICAgIC5maW5kKG5hbWUgPT4gbmFtZT8udG9Mb3dlckNhc2UoKSA9PT0gZm9sZGVyLnRvTG93ZXJDYXNlKCkpICE9PSB1bmRlZmluZWQpICE9PSB1bmRlZmluZWQpO1xuXG4gIGNvbnN0IGlzTG9ja2VkID0gKGVudHJ5OiB0eXBlcy5JTG9hZE9yZGVyRW50cnkpID0+IGVudHJ5LmxvY2tlZCB8fCBlbnRyeS5pZC5zdGFydHNXaXRoKExPQ0tFRF9QUkVGSVgpO1xuICBjb25zdCBzb3J0YWJsZSA9IGxvYWRPcmRlci5maWx0ZXIoZW50cnkgPT4gIWlzTG9ja2VkKGVudHJ5KSk7XG4gIGNvbnN0IHBsYWNlZCA9IG5ldyBTZXQ8dHlwZXMuSUxvYWRPcmRlckVudHJ5PigpO1xuICBjb25zdCBzb3J0ZWQ6IHR5cGVzLkxvYWRPcmRlciA9IFtdO1xuICBmb3IgKGNvbnN0IGVudHJ5IG9mIHNvcnRhYmxlKSB7XG4gICAgaWYgKHBsYWNlZC5oYXMoZW50cnkpKSB7XG4gICAgICBjb250aW51ZTtcbiAgICB9XG4gICAgY29uc3QgZ3JvdXAgPSBncm91cE9mKGVudHJ5KTtcbiAgICBjb25zdCBtZW1iZXJzID0gKGdyb3VwICE9PSB1bmRlZmluZWQpXG4gICAgICA/IHNvcnRhYmxlLmZpbHRlcihpdGVyID0+IGdyb3VwT2YoaXRlcikgPT09IGdyb3VwKVxuICAgICAgOiBbZW50cnldO1xuICAgIG1lbWJlcnMuZm9yRWFjaChtZW1iZXIgPT4ge1xuICAgICAgcGxhY2VkLmFkZChtZW1iZXIpO1xuICAgICAgc29ydGVkLnB1c2gobWVtYmVyKTtcbiAgICB9KTtcbiAgfVxuICAvLyB0aGUgc29ydGVkIGVudHJpZXMgZmlsbCB0aGUgc2xvdHMgb2YgdGhlIHVubG9ja2VkIGVudHJpZXMsIHRha2luZyBvdmVyXG4gIC8vICB0aGUgcHJlZml4IG9mIHRoZSBzbG90XG4gIGxldCBuZXh0ID0gMDtcbiAgcmV0dXJuIGxvYWRPcmRlci5tYXAoKGVudHJ5LCBpZHgpID0+IHtcbiAgICBpZiAoaXNMb2NrZWQoZW50cnkpKSB7XG4gICAgICByZXR1cm4gZW50cnk7XG4gICAgfVxuICAgIGNvbnN0IG1vdmVkID0gc29ydGVkW25leHQrK107XG4gICAgcmV0dXJuIHsgLi4ubW92ZWQsIGRhdGE6IHsgLi4ubW92ZWQuZGF0YSwgcHJlZml4OiBlbnRyeS5kYXRhPy5wcmVmaXggPz8gaWR4ICsgMSB9IH07XG4gIH0pO1xufVxuXG4vLyBTaG93cyB3aGljaCBtb2RzIHNoYXJlIGJ1bmRsZWQgcmVzb3VyY2VzIGFuZCBvZmZlcnMgdG8gbW92ZSB0aGUgbWVtYmVycyBvZlxuLy8gIGVhY2ggZ3JvdXAgbmV4dCB0byBlYWNoIG90aGVyIHNvIGl0J3MgZWFzeSB0byBzZWUgKGFuZCBkZWNpZGUpIHdoaWNoIG9mIHRoZW1cbi8vICBzaG91bGQgdGFrZSBwcmVjZWRlbmNlLlxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHN1Z2dlc3RPcmRlckJ5QnVuZGxlcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPHZvaWQ+IHtcbiAgY29uc3QgdCA9IGFwaS50cmFuc2xhdGU7XG4gIGNvbnN0IHByb2ZpbGUgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShhcGkuZ2V0U3RhdGUoKSk7XG4gIGlmIChwcm9maWxlPy5nYW1lSWQgIT09IEdBTUVfSUQpIHtcbiAgICByZXR1cm47XG4gIH1cbiAgYXdhaXQgdXBkYXRlQnVuZGxlQ29uZmxpY3RzKGFwaSk7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IGNvbmZsaWN0czogSUJ1bmRsZUNvbmZsaWN0cyA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXNzaW9uJywgJ3dpdGNoZXIzJywgJ2J1bmRsZUNvbmZsaWN0cyddLCB7fSk7XG4gIGNvbnN0IGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZS5pZF0sIFtdKTtcbiAgY29uc3QgZ3JvdXBzID0gZ3JvdXBDb25mbGljdGluZ01vZHMoY29uZmxpY3RzLCBsb2FkT3JkZXIpO1xuICBpZiAoZ3JvdXBzLmxlbmd0aCA9PT0gMCkge1xuICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICAgIHR5cGU6ICdzdWNjZXNzJyxcbiAgICAgIG1lc3NhZ2U6ICdOb25lIG9mIHlvdXIgbW9kcyBzaGlwIHRoZSBzYW1lIGJ1bmRsZWQgZmlsZXMnLFxuICAgICAgZGlzcGxheU1TOiAzMDAwLFxuICAgIH0pO1xuICAgIHJldHVybjtcbiAgfVxuXG4gIGNvbnN0IE1BWF9GSUxFUyA9IDU7XG4gIGNvbnN0IGdyb3VwVGV4dCA9IGdyb3Vwcy5tYXAoKGdyb3VwLCBpZHgpID0+IHtcbiAgICBjb25zdCBmaWxlcyA9IChncm91cC5yZXNvdXJjZXMubGVuZ3RoID4gTUFYX0ZJTEVTKVxuICAgICAgPyBncm91cC5yZXNvdXJjZXMuc2xpY2UoMCwgTUFYX0ZJTEVTKS5qb2luKCcsICcpICsgJywgJ1xuICAgICAgICArIHQoJ2FuZCB7e2NvdW50fX0gbW9yZScsIHsgY291bnQ6IGdyb3VwLnJlc291cmNlcy5sZW5ndGggLSBNQVhfRklMRVMgfSlcbiAgICAgIDogZ3JvdXAucmVzb3VyY2VzLmpvaW4oJywgJyk7XG4gICAgcmV0dXJuIGBbYl0ke3QoJ0dyb3VwIHt7aWR4fX0nLCB7IHJlcGxhY2U6IHsgaWR4OiBpZHggKyAxIH0gfSl9Wy9iXWBcbiAgICAgICsgYFtsaXN0XSR7Z3JvdXAubW9kRm9sZGVycy5tYXAoZm9sZGVyID0+IGBbKl0ke2ZvbGRlcn1gKS5qb2luKCcnKX1bL2xpc3RdYFxuICAgICAgKyB0KCdTaGFyZWQgZmlsZXM6IHt7ZmlsZXN9fScsIHsgcmVwbGFjZTogeyBmaWxlcyB9IH0pO1xuICB9KS5qb2luKCdbYnJdWy9icl1bYnJdWy9icl0nKTtcblxuICBjb25zdCByZXN1bHQgPSBhd2FpdCBhcGkuc2hvd0RpYWxvZygncXVlc3Rpb24nLCAnU3VnZ2VzdGVkIE9yZGVyJywge1xuICAgIGJiY29kZTogdCgnVGhlIGZvbGxvd2luZyBtb2RzIHNoaXAgc29tZSBvZiB0aGUgc2FtZSBmaWxlcyBpbiB0aGVpciBidW5kbGVzLiBPbmx5IHRoZSBjb3B5IG9mIHRoZSAnXG4gICAgICArICdtb2Qgd2l0aCB0aGUgaGlnaGVzdCBwcmlvcml0eSAodGhlIG9uZSBjbG9zZXN0IHRvIHRoZSB0b3Agb2YgdGhlIGxvYWQgb3JkZXIpIGlzIHVzZWQgYnkgdGhlIGdhbWUsICdcbiAgICAgICsgJ3NvIHRoZSBvcmRlciB3aXRoaW4gZWFjaCBncm91cCBkZWNpZGVzIHdoaWNoIG1vZFxcJ3MgY2hhbmdlcyB5b3UgZ2V0LiBNb2RzIGFyZSBsaXN0ZWQgJ1xuICAgICAgKyAnaGlnaGVzdCBwcmlvcml0eSBmaXJzdC5bYnJdWy9icl1bYnJdWy9icl0nXG4gICAgICArICdWb3J0ZXggY2FuIG1vdmUgdGhlIG1vZHMgb2YgZWFjaCBncm91cCBuZXh0IHRvIGVhY2ggb3RoZXIsIGtlZXBpbmcgdGhlaXIgY3VycmVudCByZWxhdGl2ZSBvcmRlciwgJ1xuICAgICAgKyAnc28gdGhhdCB5b3UgY2FuIGVhc2lseSBhZGp1c3QgdGhlbS5bYnJdWy9icl1bYnJdWy9icl0nLCB7IG5zOiBJMThOX05BTUVTUEFDRSB9KSArIGdyb3VwVGV4dCxcbiAgfSwgW1xuICAgIHsgbGFiZWw6ICdDYW5jZWwnIH0sXG4gICAgeyBsYWJlbDogJ0dyb3VwIE1vZHMnIH0sXG4gIF0pO1xuICBpZiAocmVzdWx0LmFjdGlvbiAhPT0gJ0dyb3VwIE1vZHMnKSB7XG4gICAgcmV0dXJuO1xuICB9XG4gIGFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLnNldExvYWRPcmRlcihwcm9maWxlLmlkLCBzdWdnZXN0TG9hZE9yZGVyKGNvbmZsaWN0cywgbG9hZE9yZGVyKSBhcyBhbnkpKTtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,289 @@
+/* eslint-disable */
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { actions, fs, log, selectors, types, util } from 'vortex-api';
+
+import { setBundleConflicts } from './actions';
+import { GAME_ID, I18N_NAMESPACE, LOCKED_PREFIX } from './common';
+import { IBundleConflicts } from './types';
+
+// Bundles start with the 'POTATO70' magic, followed by the bundle size, a dummy
+//  value and the size of the file table which starts at offset 0x20.
+const BUNDLE_MAGIC = 'POTATO70';
+const HEADER_SIZE = 0x20;
+// name (256), md5 (16), zero (4), size (4), compressed size (4), data offset (4),
+//  timestamp (8), padding (16), crc (4), compression type (4)
+const TOC_ENTRY_SIZE = 0x140;
+const NAME_LENGTH = 0x100;
+
+// file tables of bundles we already read, keyed by path and only valid as long
+//  as the bundle's size and modification time don't change
+const tableCache: { [bundlePath: string]: { size: number, mtime: number, files: string[] } } = {};
+
+export interface IBundleOverrides {
+  // other mod folder -> resource paths
+  overrides: { [modFolder: string]: string[] };
+  overriddenBy: { [modFolder: string]: string[] };
+}
+
+export async function readBundleFiles(bundlePath: string): Promise<string[]> {
+  const stats = await fs.statAsync(bundlePath);
+  const cached = tableCache[bundlePath];
+  if ((cached !== undefined) && (cached.size === stats.size) && (cached.mtime === stats.mtimeMs)) {
+    return cached.files;
+  }
+
+  const handle = await fsPromises.open(bundlePath, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_SIZE);
+    await handle.read(header, 0, HEADER_SIZE, 0);
+    if (header.toString('ascii', 0, BUNDLE_MAGIC.length) !== BUNDLE_MAGIC) {
+      throw new util.DataInvalid(`Not a bundle file: ${bundlePath}`);
+    }
+    const tableSize = header.readUInt32LE(16);
+    if ((tableSize % TOC_ENTRY_SIZE !== 0) || (HEADER_SIZE + tableSize > stats.size)) {
+      throw new util.DataInvalid(`Invalid bundle file table: ${bundlePath}`);
+    }
+    const table = Buffer.alloc(tableSize);
+    await handle.read(table, 0, tableSize, HEADER_SIZE);
+    const files: string[] = [];
+    for (let offset = 0; offset < tableSize; offset += TOC_ENTRY_SIZE) {
+      const end = table.indexOf(0, offset);
+      const name = table.toString('utf8', offset,
+        ((end !== -1) && (end < offset + NAME_LENGTH)) ? end : offset + NAME_LENGTH);
+      if (name.length > 0) {
+        files.push(name.replace(/\//g, '\\'));
+      }
+    }
+    tableCache[bundlePath] = { size: stats.size, mtime: stats.mtimeMs, files };
+    return files;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readDir(dirPath: string): Promise<string[]> {
+  try {
+    return await fs.readdirAsync(dirPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log('warn', 'failed to read directory', { dirPath, error: err.message });
+    }
+    return [];
+  }
+}
+
+// Finds all resources which are shipped in the bundles of more than one mod
+//  folder. This looks at the game's Mods directory rather than the staging
+//  folder so that mods added manually are taken into account as well.
+export async function findBundleConflicts(api: types.IExtensionApi): Promise<IBundleConflicts> {
+  const discovery = selectors.discoveryByGame(api.getState(), GAME_ID);
+  if (discovery?.path === undefined) {
+    return {};
+  }
+  const modsPath = path.join(discovery.path, 'Mods');
+  // keyed by the lower case path, the game's file lookup is case insensitive
+  const providers: { [key: string]: { resource: string, modFolders: string[] } } = {};
+  for (const modFolder of await readDir(modsPath)) {
+    const contentPath = path.join(modsPath, modFolder, 'content');
+    const bundles = (await readDir(contentPath))
+      .filter(fileName => path.extname(fileName).toLowerCase() === '.bundle');
+    for (const bundle of bundles) {
+      let files: string[];
+      try {
+        files = await readBundleFiles(path.join(contentPath, bundle));
+      } catch (err) {
+        log('warn', 'failed to read bundle', { modFolder, bundle, error: err.message });
+        continue;
+      }
+      for (const resource of files) {
+        const key = resource.toLowerCase();
+        providers[key] = providers[key] ?? { resource, modFolders: [] };
+        if (!providers[key].modFolders.includes(modFolder)) {
+          providers[key].modFolders.push(modFolder);
+        }
+      }
+    }
+  }
+
+  return Object.keys(providers).reduce((accum, key) => {
+    if (providers[key].modFolders.length > 1) {
+      accum[providers[key].resource] = providers[key].modFolders;
+    }
+    return accum;
+  }, {} as IBundleConflicts);
+}
+
+export async function updateBundleConflicts(api: types.IExtensionApi): Promise<void> {
+  try {
+    api.store.dispatch(setBundleConflicts(await findBundleConflicts(api)));
+  } catch (err) {
+    log('error', 'failed to analyze bundle conflicts', err);
+  }
+}
+
+function loPosition(loadOrder: types.LoadOrder, modFolder: string): number {
+  const folder = modFolder.toLowerCase();
+  const idx = loadOrder.findIndex(entry => [entry?.id, entry?.name]
+    .find(name => name?.toLowerCase() === folder) !== undefined);
+  return (idx === -1) ? Number.MAX_SAFE_INTEGER : idx;
+}
+
+// The game loads the first copy of a resource it finds, that is the copy of the
+//  mod folder positioned highest in the load order.
+export function bundleConflictWinner(modFolders: string[], loadOrder: types.LoadOrder): string {
+  return [...modFolders].sort((lhs, rhs) =>
+    (loPosition(loadOrder, lhs) - loPosition(loadOrder, rhs))
+    || lhs.toLowerCase().localeCompare(rhs.toLowerCase()))[0];
+}
+
+export function bundleOverrides(conflicts: IBundleConflicts, modFolder: string,
+                                loadOrder: types.LoadOrder): IBundleOverrides {
+  const result: IBundleOverrides = { overrides: {}, overriddenBy: {} };
+  const folder = modFolder.toLowerCase();
+  Object.keys(conflicts)
+    .filter(resource => conflicts[resource].find(iter => iter.toLowerCase() === folder) !== undefined)
+    .forEach(resource => {
+      const winner = bundleConflictWinner(conflicts[resource], loadOrder);
+      if (winner.toLowerCase() === folder) {
+        conflicts[resource]
+          .filter(other => other.toLowerCase() !== folder)
+          .forEach(other => {
+            result.overrides[other] = [].concat(result.overrides[other] ?? [], resource);
+          });
+      } else {
+        result.overriddenBy[winner] = [].concat(result.overriddenBy[winner] ?? [], resource);
+      }
+    });
+  return result;
+}
+
+// Groups mod folders that (transitively) share resources. Groups and their
+//  members are ordered by the current load order.
+export function groupConflictingMods(conflicts: IBundleConflicts,
+                                     loadOrder: types.LoadOrder): Array<{ modFolders: string[], resources: string[] }> {
+  const parent: { [folder: string]: string } = {};
+  const find = (folder: string): string => {
+    while (parent[folder] !== folder) {
+      parent[folder] = parent[parent[folder]];
+      folder = parent[folder];
+    }
+    return folder;
+  };
+  const names: { [folder: string]: string } = {};
+  Object.values(conflicts).forEach(modFolders => {
+    const keys = modFolders.map(iter => iter.toLowerCase());
+    keys.forEach((key, idx) => {
+      names[key] = names[key] ?? modFolders[idx];
+      parent[key] = parent[key] ?? key;
+    });
+    keys.slice(1).forEach(key => parent[find(key)] = find(keys[0]));
+  });
+
+  const groups: { [root: string]: { modFolders: string[], resources: string[] } } = {};
+  Object.keys(parent).forEach(key => {
+    const root = find(key);
+    groups[root] = groups[root] ?? { modFolders: [], resources: [] };
+    groups[root].modFolders.push(names[key]);
+  });
+  Object.keys(conflicts).forEach(resource => {
+    groups[find(conflicts[resource][0].toLowerCase())].resources.push(resource);
+  });
+
+  const byPosition = (lhs: string, rhs: string) =>
+    (loPosition(loadOrder, lhs) - loPosition(loadOrder, rhs))
+    || lhs.toLowerCase().localeCompare(rhs.toLowerCase());
+  return Object.values(groups)
+    .map(group => ({ modFolders: group.modFolders.sort(byPosition), resources: group.resources.sort() }))
+    .sort((lhs, rhs) => byPosition(lhs.modFolders[0], rhs.modFolders[0]));
+}
+
+// Moves the members of each group of conflicting mods next to each other, at
+//  the position of the group's highest priority member. The relative order of
+//  all entries is kept otherwise and locked entries stay where they are.
+export function suggestLoadOrder(conflicts: IBundleConflicts,
+                                 loadOrder: types.LoadOrder): types.LoadOrder {
+  const groups = groupConflictingMods(conflicts, loadOrder);
+  const groupOf = (entry: types.ILoadOrderEntry) => groups.find(group =>
+    group.modFolders.find(folder => [entry.id, entry.name]
+      .find(name => name?.toLowerCase() === folder.toLowerCase()) !== undefined) !== undefined);
+
+  const isLocked = (entry: types.ILoadOrderEntry) => entry.locked || entry.id.startsWith(LOCKED_PREFIX);
+  const sortable = loadOrder.filter(entry => !isLocked(entry));
+  const placed = new Set<types.ILoadOrderEntry>();
+  const sorted: types.LoadOrder = [];
+  for (const entry of sortable) {
+    if (placed.has(entry)) {
+      continue;
+    }
+    const group = groupOf(entry);
+    const members = (group !== undefined)
+      ? sortable.filter(iter => groupOf(iter) === group)
+      : [entry];
+    members.forEach(member => {
+      placed.add(member);
+      sorted.push(member);
+    });
+  }
+  // the sorted entries fill the slots of the unlocked entries, taking over
+  //  the prefix of the slot
+  let next = 0;
+  return loadOrder.map((entry, idx) => {
+    if (isLocked(entry)) {
+      return entry;
+    }
+    const moved = sorted[next++];
+    return { ...moved, data: { ...moved.data, prefix: entry.data?.prefix ?? idx + 1 } };
+  });
+}
+
+// Shows which mods share bundled resources and offers to move the members of
+//  each group next to each other so it's easy to see (and decide) which of them
+//  should take precedence.
+export async function suggestOrderByBundles(api: types.IExtensionApi): Promise<void> {
+  const t = api.translate;
+  const profile = selectors.activeProfile(api.getState());
+  if (profile?.gameId !== GAME_ID) {
+    return;
+  }
+  await updateBundleConflicts(api);
+  const state = api.getState();
+  const conflicts: IBundleConflicts = util.getSafe(state, ['session', 'witcher3', 'bundleConflicts'], {});
+  const loadOrder: types.LoadOrder = util.getSafe(state, ['persistent', 'loadOrder', profile.id], []);
+  const groups = groupConflictingMods(conflicts, loadOrder);
+  if (groups.length === 0) {
+    api.sendNotification({
+      type: 'success',
+      message: 'None of your mods ship the same bundled files',
+      displayMS: 3000,
+    });
+    return;
+  }
+
+  const MAX_FILES = 5;
+  const groupText = groups.map((group, idx) => {
+    const files = (group.resources.length > MAX_FILES)
+      ? group.resources.slice(0, MAX_FILES).join(', ') + ', '
+        + t('and {{count}} more', { count: group.resources.length - MAX_FILES })
+      : group.resources.join(', ');
+    return `[b]${t('Group {{idx}}', { replace: { idx: idx + 1 } })}[/b]`
+      + `[list]${group.modFolders.map(folder => `[*]${folder}`).join('')}[/list]`
+      + t('Shared files: {{files}}', { replace: { files } });
+  }).join('[br][/br][br][/br]');
+
+  const result = await api.showDialog('question', 'Suggested Order', {
+    bbcode: t('The following mods ship some of the same files in their bundles. Only the copy of the '
+      + 'mod with the highest priority (the one closest to the top of the load order) is used by the game, '
+      + 'so the order within each group decides which mod\'s changes you get. Mods are listed '
+      + 'highest priority first.[br][/br][br][/br]'
+      + 'Vortex can move the mods of each group next to each other, keeping their current relative order, '
+      + 'so that you can easily adjust them.[br][/br][br][/br]', { ns: I18N_NAMESPACE }) + groupText,
+  }, [
+    { label: 'Cancel' },
+    { label: 'Group Mods' },
+  ]);
+  if (result.action !== 'Group Mods') {
+    return;
+  }
+  api.store.dispatch(actions.setLoadOrder(profile.id, suggestLoadOrder(conflicts, loadOrder) as any));
+}
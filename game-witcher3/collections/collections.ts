@@ -1,16 +1,13 @@
 /* eslint-disable */
 import { selectors, types, util } from 'vortex-api';
 
-import { GAME_ID, SCRIPT_MERGER_ID } from '../common';
-
 import { ILoadOrder, IW3CollectionsData, IW3MergedData } from './types';
 
 import { exportLoadOrder, importLoadOrder } from './loadOrder';
 
 import { exportMenuMod, importMenuMod } from '../menumod';
 import { exportScriptMerges, importScriptMerges } from '../mergeBackup';
-
-import { downloadScriptMerger } from '../scriptmerger';
+import { getMergedModNames } from '../mergeInventoryParsing';
 
 import { CollectionParseError, hex2Buffer } from './util';
 
@@ -26,10 +23,9 @@ export async function genCollectionsData(context: types.IExtensionContext,
   try {
     const loadOrder: types.LoadOrder = await exportLoadOrder(api, includedMods, mods);
     const menuModData = await exportMenuMod(api, profile, includedMods);
-    const scriptMergerTool = util.getSafe(state,
-      ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
+    const mergedModNames: string[] = await getMergedModNames(api);
     let scriptMergesData;
-    if (scriptMergerTool !== undefined) {
+    if (mergedModNames.length > 0) {
       scriptMergesData = await exportScriptMerges(context.api, profile.id, includedMods, collection);
     }
     const mergedData: IW3MergedData = {
@@ -70,12 +66,6 @@ export async function parseCollectionsData(context: types.IExtensionContext,
     }
 
     if (scriptMergedData !== undefined) {
-      // Make sure we have the script merger installed straight away!
-      const scriptMergerTool = util.getSafe(state,
-        ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
-      if (scriptMergerTool === undefined) {
-        await downloadScriptMerger(api);
-      }
       await importScriptMerges(context.api, profile.id, hex2Buffer(scriptMergedData));
     }
   } catch (err) {
@@ -143,4 +143,6 @@ export const SCRIPT_MERGER_FILES = ['WitcherScriptMerger.exe'];
 
 export const NON_SORTABLE = ['witcher3menumoddocuments', 'collection'];
 
-export const ACTIVITY_ID_IMPORTING_LOADORDER = 'activity-witcher3-importing-loadorder';
\ No newline at end of file
+export const ACTIVITY_ID_IMPORTING_LOADORDER = 'activity-witcher3-importing-loadorder';
+
+export const MENU_SETTINGS_PAGE_ID = 'witcher3-menu-settings';
\ No newline at end of file
@@ -1,5 +1,5 @@
 /* eslint-disable */
-import { actions, types, selectors, util } from 'vortex-api';
+import { actions, log, types, selectors, util } from 'vortex-api';
 
 import { setPriorityType } from './actions';
 
@@ -12,7 +12,11 @@ import menuMod from './menumod';
 import { storeToProfile, restoreFromProfile } from './mergeBackup';
 import { validateProfile, forceRefresh, suppressEventHandlers, notifyMissingScriptMerger } from './util';
 import { PriorityManager } from './priorityManager';
-import { IRemoveModOptions } from './types';
+import { IRemoveModOptions, IScriptConflict } from './types';
+import { findScriptConflicts, renderScriptConflicts } from './scriptAnalysis';
+import { runScriptMerge } from './scriptMerge';
+import { resetInputContributions, updateInputConflicts } from './inputConflicts';
+import { updateBundleConflicts } from './bundleAnalysis';
 
 import IniStructure from './iniParser';
 import { getPersistentLoadOrder } from './migrations';
@@ -47,7 +51,13 @@ export const onWillDeploy = (api: types.IExtensionApi) => {
   return async (profileId: string, deployment: Deployment) => {
     const state = api.store.getState();
     const activeProfile = validateProfile(profileId, state);
-    if (activeProfile === undefined || suppressEventHandlers(api)) {
+    if (activeProfile === undefined) {
+      return Promise.resolve();
+    }
+
+    // input.xml gets merged from scratch on every deployment
+    resetInputContributions();
+    if (suppressEventHandlers(api)) {
       return Promise.resolve();
     }
 
@@ -105,12 +115,11 @@ export const onDidDeploy = (api: types.IExtensionApi) => {
 
     if (JSON.stringify(prevDeployment) !== JSON.stringify(deployment)) {
       prevDeployment = deployment;
-      queryScriptMerge(api, 'Your mods state/load order has changed since the last time you ran '
-        + 'the script merger. You may want to run the merger tool and check whether any new script conflicts are '
-        + 'present, or if existing merges have become unecessary. Please also note that any load order changes '
-        + 'may affect the order in which your conflicting mods are meant to be merged, and may require you to '
-        + 'remove the existing merge and re-apply it.');
+      // no need to hold up the deployment for this
+      reportScriptConflicts(api, deployment);
     }
+    updateInputConflicts(api, activeProfile);
+    updateBundleConflicts(api);
     const loadOrder = getPersistentLoadOrder(api);
     const docFiles = (deployment['witcher3menumodroot'] ?? [])
       .filter(file => file.relPath.endsWith(PART_SUFFIX)
@@ -182,6 +191,26 @@ export const onSettingsChange = (api: types.IExtensionApi, priorityManager: () =
   }
 }
 
+async function reportScriptConflicts(api: types.IExtensionApi, deployment: Deployment) {
+  // nobody waits for this, so nothing may be thrown from here
+  try {
+    const conflicts: IScriptConflict[] = await findScriptConflicts(api, deployment);
+    const unresolved = conflicts.filter(conflict => !conflict.merged && !conflict.identical);
+    if (unresolved.length === 0) {
+      api.dismissNotification('witcher3-merge');
+      return;
+    }
+    const t = api.translate;
+    await queryScriptMerge(api, t('The following scripts are shipped by more than one of your mods. The game will '
+      + 'only load one copy of each of them so they will need to be merged. Please also note that any load order '
+      + 'changes may affect the order in which your conflicting mods are meant to be merged, and may require you to '
+      + 'remove the existing merge and re-apply it.', { ns: I18N_NAMESPACE })
+      + '[br][/br][br][/br]' + renderScriptConflicts(api, unresolved));
+  } catch (err) {
+    log('error', 'failed to report script conflicts', err);
+  }
+}
+
 function getScriptMergerTool(api) {
   const state = api.store.getState();
   const scriptMerger = util.getSafe(state,
@@ -212,34 +241,39 @@ function queryScriptMerge(api: types.IExtensionApi, reason: string) {
     // Do not bug users while they're installing a collection.
     return;
   }
-  const scriptMergerTool = util.getSafe(state, ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
-  if (!!scriptMergerTool?.path) {
-    api.sendNotification({
-      id: 'witcher3-merge',
-      type: 'warning',
-      message: t('Witcher Script merger may need to be executed', { ns: I18N_NAMESPACE }),
-      allowSuppress: true,
-      actions: [
-        {
-          title: 'More',
-          action: () => {
-            api.showDialog('info', 'Witcher 3', {
-              text: reason,
-            }, [
-              { label: 'Close' },
-            ]);
-          },
-        },
-        {
-          title: 'Run tool',
-          action: dismiss => {
-            runScriptMerger(api);
-            dismiss();
-          },
-        },
-      ],
+  const notifActions: types.INotificationAction[] = [
+    {
+      title: 'More',
+      action: () => {
+        api.showDialog('info', 'Witcher 3', {
+          bbcode: reason,
+        }, [
+          { label: 'Close' },
+        ]);
+      },
+    },
+    {
+      title: 'Merge',
+      action: dismiss => {
+        runScriptMerge(api);
+        dismiss();
+      },
+    },
+  ];
+  if (getScriptMergerTool(api) !== undefined) {
+    notifActions.push({
+      title: 'Run tool',
+      action: dismiss => {
+        runScriptMerger(api);
+        dismiss();
+      },
     });
-  } else {
-    notifyMissingScriptMerger(api);
   }
+  api.sendNotification({
+    id: 'witcher3-merge',
+    type: 'warning',
+    message: t('Conflicting scripts need to be merged', { ns: I18N_NAMESPACE }),
+    allowSuppress: true,
+    actions: notifActions,
+  });
 }
\ No newline at end of file
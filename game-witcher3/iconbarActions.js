@@ -6,9 +6,12 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.registerActions = void 0;
 const path_1 = __importDefault(require("path"));
 const vortex_api_1 = require("vortex-api");
+const actions_1 = require("./actions");
 const common_1 = require("./common");
 const loadOrder_1 = require("./loadOrder");
 const mergeBackup_1 = require("./mergeBackup");
+const scriptMerge_1 = require("./scriptMerge");
+const bundleAnalysis_1 = require("./bundleAnalysis");
 const util_1 = require("./util");
 const migrations_1 = require("./migrations");
 const registerActions = (props) => {
@@ -45,6 +48,15 @@ const registerActions = (props) => {
         const activeGameId = vortex_api_1.selectors.activeGameId(state);
         return activeGameId === common_1.GAME_ID;
     });
+    context.registerAction('mods-action-icons', 300, 'settings', {}, 'Edit Menu Settings', instanceIds => {
+        context.api.store.dispatch((0, actions_1.setMenuSettingsMod)(instanceIds[0]));
+        context.api.store.dispatch(vortex_api_1.actions.setOpenMainPage(common_1.MENU_SETTINGS_PAGE_ID, false));
+    }, instanceIds => {
+        const state = context.api.getState();
+        const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+        const mod = mods[instanceIds === null || instanceIds === void 0 ? void 0 : instanceIds[0]];
+        return (mod !== undefined) && !common_1.NON_SORTABLE.includes(mod.type) && isTW3();
+    });
     context.registerAction('mod-icons', 300, 'open-ext', {}, 'Open TW3 Documents Folder', openTW3DocPath, isTW3);
     context.registerAction('fb-load-order-icons', 300, 'open-ext', {}, 'Open TW3 Documents Folder', openTW3DocPath, isTW3);
     context.registerAction('fb-load-order-icons', 100, 'loot-sort', {}, 'Sort by Deploy Order', () => {
@@ -101,6 +113,11 @@ const registerActions = (props) => {
         const gameMode = vortex_api_1.selectors.activeGameId(state);
         return gameMode === common_1.GAME_ID;
     });
+    context.registerAction('fb-load-order-icons', 110, 'loot-sort', {}, 'Suggest Order', () => {
+        (0, bundleAnalysis_1.suggestOrderByBundles)(context.api)
+            .catch(err => context.api.showErrorNotification('Failed to suggest load order', err));
+    }, isTW3);
+    context.registerAction('fb-load-order-icons', 150, 'merge', {}, 'Merge Scripts', () => { (0, scriptMerge_1.runScriptMerge)(context.api); }, isTW3);
 };
 exports.registerActions = registerActions;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaWNvbmJhckFjdGlvbnMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpY29uYmFyQWN0aW9ucy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7QUFDQSxnREFBd0I7QUFDeEIsMkNBQTZEO0FBRTdELHFDQUFrRTtBQUdsRSwyQ0FBNEQ7QUFDNUQsK0NBQW9EO0FBRXBELGlDQUFzQztBQUN0Qyw2Q0FBc0Q7QUFRL0MsTUFBTSxlQUFlLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRTtJQUMvQyxNQUFNLEVBQUUsT0FBTyxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQzFCLE1BQU0sY0FBYyxHQUFHLEdBQUcsRUFBRTtRQUMxQixNQUFNLE9BQU8sR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLFdBQVcsQ0FBQyxFQUFFLGVBQWUsQ0FBQyxDQUFDO1FBQzVFLGlCQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN0QyxDQUFDLENBQUM7SUFFRixNQUFNLEtBQUssR0FBRyxDQUFDLE1BQU0sR0FBRyxTQUFTLEVBQUUsRUFBRTtRQUNuQyxJQUFJLE1BQU0sS0FBSyxTQUFTLEVBQUU7WUFDeEIsT0FBTyxDQUFDLE1BQU0sS0FBSyxnQkFBTyxDQUFDLENBQUM7U0FDN0I7UUFDRCxNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sUUFBUSxHQUFHLHNCQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQy9DLE9BQU8sQ0FBQyxRQUFRLEtBQUssZ0JBQU8sQ0FBQyxDQUFDO0lBQ2hDLENBQUMsQ0FBQztJQUVGLE9BQU8sQ0FBQyxjQUFjLENBQUMsbUJBQW1CLEVBQUUsR0FBRyxFQUFFLGVBQWUsRUFBRSxFQUFFLEVBQUUsc0JBQXNCLEVBQzFGLFdBQVcsQ0FBQyxFQUFFLEdBQUcsSUFBQSxpQ0FBbUIsRUFBQyxPQUFPLENBQUMsR0FBRyxFQUFFLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUNwRSxXQUFXLENBQUMsRUFBRTs7UUFDWixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sSUFBSSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3RFLElBQUksQ0FBQSxNQUFBLElBQUksQ0FBQyxXQUFXLGFBQVgsV0FBVyx1QkFBWCxXQUFXLENBQUcsQ0FBQyxDQUFDLENBQUMsMENBQUUsSUFBSSxNQUFLLFlBQVksRUFBRTtZQUNqRCxPQUFPLEtBQUssQ0FBQztTQUNkO1FBQ0QsTUFBTSxZQUFZLEdBQUcsc0JBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkQsT0FBTyxZQUFZLEtBQUssZ0JBQU8sQ0FBQztJQUNsQyxDQUFDLENBQUMsQ0FBQztJQUVMLE9BQU8sQ0FBQyxjQUFjLENBQUMsbUJBQW1CLEVBQUUsR0FBRyxFQUFFLGVBQWUsRUFBRSxFQUFFLEVBQUUsbUJBQW1CLEVBQ3ZGLFdBQVcsQ0FBQyxFQUFFLEdBQUcsSUFBQSwyQkFBZSxFQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQ2hFLFdBQVcsQ0FBQyxFQUFFOztRQUNaLE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDckMsTUFBTSxJQUFJLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDdEUsSUFBSSxDQUFBLE1BQUEsSUFBSSxDQUFDLFdBQVcsYUFBWCxXQUFXLHVCQUFYLFdBQVcsQ0FBRyxDQUFDLENBQUMsQ0FBQywwQ0FBRSxJQUFJLE1BQUssWUFBWSxFQUFFO1lBQ2pELE9BQU8sS0FBSyxDQUFDO1NBQ2Q7UUFDRCxNQUFNLFlBQVksR0FBRyxzQkFBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNuRCxPQUFPLFlBQVksS0FBSyxnQkFBTyxDQUFDO0lBQ2xDLENBQUMsQ0FBQyxDQUFDO0lBV0wsT0FBTyxDQUFDLGNBQWMsQ0FBQyxXQUFXLEVBQUUsR0FBRyxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQ3JELDJCQUEyQixFQUFFLGNBQWMsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUV0RCxPQUFPLENBQUMsY0FBYyxDQUFDLHFCQUFxQixFQUFFLEdBQUcsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUMvRCwyQkFBMkIsRUFBRSxjQUFjLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFFdEQsT0FBTyxDQUFDLGNBQWMsQ0FBQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUUsV0FBVyxFQUFFLEVBQUUsRUFBRSxzQkFBc0IsRUFDeEYsR0FBRyxFQUFFO1FBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLDBCQUEwQixFQUFFO1lBQ3pELE1BQU0sRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyw2REFBNkQ7a0JBQ3ZGLGdGQUFnRjtrQkFDaEYsbUdBQW1HO2tCQUNuRywrRkFBK0Y7a0JBQy9GLHdDQUF3QyxFQUFFLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQztTQUN0RSxFQUFFO1lBQ0Q7Z0JBQ0UsS0FBSyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFO29CQUM1QixPQUFPO2dCQUNULENBQUM7YUFDRjtZQUNEO2dCQUNFLEtBQUssRUFBRSxzQkFBc0IsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFOztvQkFDMUMsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztvQkFDckMsTUFBTSxRQUFRLEdBQUcsQ0FBQSxNQUFBLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSwwQ0FBRyxnQkFBTyxDQUFDLEtBQUksRUFBRSxDQUFDO29CQUN4RCxNQUFNLE9BQU8sR0FBRyxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztvQkFDL0MsTUFBTSxJQUFJLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUM7eUJBQy9CLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVUsRUFBRSxHQUFHLEVBQUUsU0FBUyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7eUJBQ3pFLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO29CQUM3QixNQUFNLFNBQVMsR0FBRyxDQUFDLEtBQTRCLEVBQUUsT0FBcUIsRUFBRSxFQUFFO3dCQUN4RSxPQUFPLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztvQkFDdEQsQ0FBQyxDQUFBO29CQUNELE9BQU8saUJBQUksQ0FBQyxRQUFRLENBQUMsZ0JBQU8sRUFBRSxJQUFJLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQzt5QkFDN0MsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFO3dCQUNiLE1BQU0sU0FBUyxHQUFHLElBQUEsbUNBQXNCLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO3dCQUN0RCxNQUFNLFFBQVEsR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQ3hDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsRUFBRSxLQUFLLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQzt3QkFDekQsTUFBTSxRQUFRLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDO3dCQUN0RixNQUFNLE1BQU0sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsc0JBQWEsQ0FBQyxDQUFDLENBQUM7d0JBQzdFLE1BQU0sYUFBYSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7d0JBQ2hHLE1BQU0sS0FBSyxHQUFHLENBQUMsR0FBRyxNQUFNLEVBQUUsR0FBRyxRQUFRLEVBQUUsR0FBRyxhQUFhLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFOzRCQUNwRixLQUFLLENBQUMsSUFBSSxpQ0FDTCxLQUFLLEtBQ1IsSUFBSSxFQUFFO29DQUNKLE1BQU0sRUFBRSxHQUFHLEdBQUcsQ0FBQztpQ0FDaEIsSUFDRCxDQUFDOzRCQUNILE9BQU8sS0FBSyxDQUFDO3dCQUNmLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQzt3QkFFUCxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsb0JBQU8sQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRSxLQUFZLENBQUMsQ0FBQyxDQUFDO29CQUM3RSxDQUFDLENBQUM7eUJBQ0QsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO3dCQUNYLE1BQU0sV0FBVyxHQUFHLENBQUMsQ0FBQyxHQUFHLFlBQVksaUJBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQzt3QkFDdEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyxvQ0FBb0MsRUFBRSxHQUFHLEVBQ3pFLEVBQUUsV0FBVyxFQUFFLENBQUMsQ0FBQztvQkFDckIsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRTt3QkFDZCxJQUFBLG1CQUFZLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO29CQUM1QixDQUFDLENBQUMsQ0FBQztnQkFDUCxDQUFDO2FBQ0Y7U0FDRixDQUFDLENBQUM7SUFDTCxDQUFDLEVBQUUsR0FBRyxFQUFFO1FBQ04sTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDM0MsTUFBTSxRQUFRLEdBQUcsc0JBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDL0MsT0FBTyxRQUFRLEtBQUssZ0JBQU8sQ0FBQztJQUM5QixDQUFDLENBQUMsQ0FBQztBQUNQLENBQUMsQ0FBQztBQW5IVyxRQUFBLGVBQWUsbUJBbUgxQiIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXHJcbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xyXG5pbXBvcnQgeyBhY3Rpb25zLCBzZWxlY3RvcnMsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcblxyXG5pbXBvcnQgeyBHQU1FX0lELCBJMThOX05BTUVTUEFDRSwgTE9DS0VEX1BSRUZJWCB9IGZyb20gJy4vY29tbW9uJztcclxuaW1wb3J0IHsgUHJpb3JpdHlNYW5hZ2VyIH0gZnJvbSAnLi9wcmlvcml0eU1hbmFnZXInO1xyXG5cclxuaW1wb3J0IFRXM0xvYWRPcmRlciwgeyBpbXBvcnRMb2FkT3JkZXIgfSBmcm9tICcuL2xvYWRPcmRlcic7XHJcbmltcG9ydCB7IG1ha2VPbkNvbnRleHRJbXBvcnQgfSBmcm9tICcuL21lcmdlQmFja3VwJztcclxuXHJcbmltcG9ydCB7IGZvcmNlUmVmcmVzaCB9IGZyb20gJy4vdXRpbCc7XHJcbmltcG9ydCB7IGdldFBlcnNpc3RlbnRMb2FkT3JkZXIgfSBmcm9tICcuL21pZ3JhdGlvbnMnO1xyXG5cclxuaW50ZXJmYWNlIElQcm9wcyB7XHJcbiAgY29udGV4dDogdHlwZXMuSUV4dGVuc2lvbkNvbnRleHQ7XHJcbiAgZ2V0UHJpb3JpdHlNYW5hZ2VyOiAoKSA9PiBQcmlvcml0eU1hbmFnZXI7XHJcbiAgLy8gZ2V0TW9kTGltaXRQYXRjaGVyOiAoKSA9PiBNb2RMaW1pdFBhdGNoZXI7XHJcbn1cclxuXHJcbmV4cG9ydCBjb25zdCByZWdpc3RlckFjdGlvbnMgPSAocHJvcHM6IElQcm9wcykgPT4ge1xyXG4gIGNvbnN0IHsgY29udGV4dCB9ID0gcHJvcHM7XHJcbiAgY29uc3Qgb3BlblRXM0RvY1BhdGggPSAoKSA9PiB7XHJcbiAgICBjb25zdCBkb2NQYXRoID0gcGF0aC5qb2luKHV0aWwuZ2V0Vm9ydGV4UGF0aCgnZG9jdW1lbnRzJyksICdUaGUgV2l0Y2hlciAzJyk7XHJcbiAgICB1dGlsLm9wbihkb2NQYXRoKS5jYXRjaCgoKSA9PiBudWxsKTtcclxuICB9O1xyXG5cclxuICBjb25zdCBpc1RXMyA9IChnYW1lSWQgPSB1bmRlZmluZWQpID0+IHtcclxuICAgIGlmIChnYW1lSWQgIT09IHVuZGVmaW5lZCkge1xyXG4gICAgICByZXR1cm4gKGdhbWVJZCA9PT0gR0FNRV9JRCk7XHJcbiAgICB9XHJcbiAgICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XHJcbiAgICBjb25zdCBnYW1lTW9kZSA9IHNlbGVjdG9ycy5hY3RpdmVHYW1lSWQoc3RhdGUpO1xyXG4gICAgcmV0dXJuIChnYW1lTW9kZSA9PT0gR0FNRV9JRCk7XHJcbiAgfTtcclxuXHJcbiAgY29udGV4dC5yZWdpc3RlckFjdGlvbignbW9kcy1hY3Rpb24taWNvbnMnLCAzMDAsICdzdGFydC1pbnN0YWxsJywge30sICdJbXBvcnQgU2NyaXB0IE1lcmdlcycsXHJcbiAgICBpbnN0YW5jZUlkcyA9PiB7IG1ha2VPbkNvbnRleHRJbXBvcnQoY29udGV4dC5hcGksIGluc3RhbmNlSWRzWzBdKTsgfSxcclxuICAgIGluc3RhbmNlSWRzID0+IHtcclxuICAgICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xyXG4gICAgICBjb25zdCBtb2RzID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbW9kcycsIEdBTUVfSURdLCB7fSk7XHJcbiAgICAgIGlmIChtb2RzW2luc3RhbmNlSWRzPy5bMF1dPy50eXBlICE9PSAnY29sbGVjdGlvbicpIHtcclxuICAgICAgICByZXR1cm4gZmFsc2U7XHJcbiAgICAgIH1cclxuICAgICAgY29uc3QgYWN0aXZlR2FtZUlkID0gc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChzdGF0ZSk7XHJcbiAgICAgIHJldHVybiBhY3RpdmVHYW1lSWQgPT09IEdBTUVfSUQ7XHJcbiAgICB9KTtcclxuXHJcbiAgY29udGV4dC5yZWdpc3RlckFjdGlvbignbW9kcy1hY3Rpb24taWNvbnMnLCAzMDAsICdzdGFydC1pbnN0YWxsJywge30sICdJbXBvcnQgTG9hZCBPcmRlcicsXHJcbiAgICBpbnN0YW5jZUlkcyA9PiB7IGltcG9ydExvYWRPcmRlcihjb250ZXh0LmFwaSwgaW5zdGFuY2VJZHNbMF0pOyB9LFxyXG4gICAgaW5zdGFuY2VJZHMgPT4ge1xyXG4gICAgICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XHJcbiAgICAgIGNvbnN0IG1vZHMgPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KTtcclxuICAgICAgaWYgKG1vZHNbaW5zdGFuY2VJZHM/LlswXV0/LnR5cGUgIT09ICdjb2xsZWN0aW9uJykge1xyXG4gICAgICAgIHJldHVybiBmYWxzZTtcclxuICAgICAgfVxyXG4gICAgICBjb25zdCBhY3RpdmVHYW1lSWQgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcclxuICAgICAgcmV0dXJuIGFjdGl2ZUdhbWVJZCA9PT0gR0FNRV9JRDtcclxuICAgIH0pO1xyXG5cclxuICAvLyBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdtb2QtaWNvbnMnLCA1MDAsICdzYXZlZ2FtZScsIHt9LCAnQXBwbHkgTW9kIExpbWl0IFBhdGNoJywgKCkgPT4ge1xyXG4gIC8vICAgZ2V0TW9kTGltaXRQYXRjaGVyKCkuZW5zdXJlTW9kTGltaXRQYXRjaCgpXHJcbiAgLy8gICAgIC5jYXRjaChlcnIgPT4ge1xyXG4gIC8vICAgICAgIGNvbnRleHQuYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIGFwcGx5IHBhdGNoJywgZXJyLCB7XHJcbiAgLy8gICAgICAgICBhbGxvd1JlcG9ydDogKGVyciBpbnN0YW5jZW9mIHV0aWwuUHJvY2Vzc0NhbmNlbGVkKSxcclxuICAvLyAgICAgICB9KTtcclxuICAvLyAgICAgfSk7XHJcbiAgLy8gfSwgKCkgPT4gc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChjb250ZXh0LmFwaS5nZXRTdGF0ZSgpKSA9PT0gR0FNRV9JRCk7XHJcblxyXG4gIGNvbnRleHQucmVnaXN0ZXJBY3Rpb24oJ21vZC1pY29ucycsIDMwMCwgJ29wZW4tZXh0Jywge30sXHJcbiAgICAnT3BlbiBUVzMgRG9jdW1lbnRzIEZvbGRlcicsIG9wZW5UVzNEb2NQYXRoLCBpc1RXMyk7XHJcblxyXG4gIGNvbnRleHQucmVnaXN0ZXJBY3Rpb24oJ2ZiLWxvYWQtb3JkZXItaWNvbnMnLCAzMDAsICdvcGVuLWV4dCcsIHt9LFxyXG4gICAgJ09wZW4gVFczIERvY3VtZW50cyBGb2xkZXInLCBvcGVuVFczRG9jUGF0aCwgaXNUVzMpO1xyXG5cclxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdmYi1sb2FkLW9yZGVyLWljb25zJywgMTAwLCAnbG9vdC1zb3J0Jywge30sICdTb3J0IGJ5IERlcGxveSBPcmRlcicsXHJcbiAgICAoKSA9PiB7XHJcbiAgICAgIGNvbnRleHQuYXBpLnNob3dEaWFsb2coJ2luZm8nLCAnU29ydCBieSBEZXBsb3ltZW50IE9yZGVyJywge1xyXG4gICAgICAgIGJiY29kZTogY29udGV4dC5hcGkudHJhbnNsYXRlKCdUaGlzIGFjdGlvbiB3aWxsIHNldCBwcmlvcml0aWVzIHVzaW5nIHRoZSBkZXBsb3ltZW50IHJ1bGVzICdcclxuICAgICAgICAgICsgJ2RlZmluZWQgaW4gdGhlIG1vZHMgcGFnZS4gQXJlIHlvdSBzdXJlIHlvdSB3aXNoIHRvIHByb2NlZWQgP1ticl1bL2JyXVticl1bL2JyXSdcclxuICAgICAgICAgICsgJ1BsZWFzZSBiZSBhd2FyZSB0aGF0IGFueSBleHRlcm5hbGx5IGFkZGVkIG1vZHMgKGFkZGVkIG1hbnVhbGx5IG9yIGJ5IG90aGVyIHRvb2xzKSB3aWxsIGJlIHB1c2hlZCAnXHJcbiAgICAgICAgICArICd0byB0aGUgYm90dG9tIG9mIHRoZSBsaXN0LCB3aGlsZSBhbGwgbW9kcyB0aGF0IGhhdmUgYmVlbiBpbnN0YWxsZWQgdGhyb3VnaCBWb3J0ZXggd2lsbCBzaGlmdCAnXHJcbiAgICAgICAgICArICdpbiBwb3NpdGlvbiB0byBtYXRjaCB0aGUgZGVwbG95IG9yZGVyIScsIHsgbnM6IEkxOE5fTkFNRVNQQUNFIH0pLFxyXG4gICAgICB9LCBbXHJcbiAgICAgICAge1xyXG4gICAgICAgICAgbGFiZWw6ICdDYW5jZWwnLCBhY3Rpb246ICgpID0+IHtcclxuICAgICAgICAgICAgcmV0dXJuO1xyXG4gICAgICAgICAgfVxyXG4gICAgICAgIH0sXHJcbiAgICAgICAge1xyXG4gICAgICAgICAgbGFiZWw6ICdTb3J0IGJ5IERlcGxveSBPcmRlcicsIGFjdGlvbjogKCkgPT4ge1xyXG4gICAgICAgICAgICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XHJcbiAgICAgICAgICAgIGNvbnN0IGdhbWVNb2RzID0gc3RhdGUucGVyc2lzdGVudC5tb2RzPy5bR0FNRV9JRF0gfHwge307XHJcbiAgICAgICAgICAgIGNvbnN0IHByb2ZpbGUgPSBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSk7XHJcbiAgICAgICAgICAgIGNvbnN0IG1vZHMgPSBPYmplY3Qua2V5cyhnYW1lTW9kcylcclxuICAgICAgICAgICAgICAuZmlsdGVyKGtleSA9PiB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZScsIGtleSwgJ2VuYWJsZWQnXSwgZmFsc2UpKVxyXG4gICAgICAgICAgICAgIC5tYXAoa2V5ID0+IGdhbWVNb2RzW2tleV0pO1xyXG4gICAgICAgICAgICBjb25zdCBmaW5kSW5kZXggPSAoZW50cnk6IHR5cGVzLklMb2FkT3JkZXJFbnRyeSwgbW9kTGlzdDogdHlwZXMuSU1vZFtdKSA9PiB7XHJcbiAgICAgICAgICAgICAgcmV0dXJuIG1vZExpc3QuZmluZEluZGV4KG0gPT4gbS5pZCA9PT0gZW50cnkubW9kSWQpO1xyXG4gICAgICAgICAgICB9XHJcbiAgICAgICAgICAgIHJldHVybiB1dGlsLnNvcnRNb2RzKEdBTUVfSUQsIG1vZHMsIGNvbnRleHQuYXBpKVxyXG4gICAgICAgICAgICAgIC50aGVuKHNvcnRlZCA9PiB7XHJcbiAgICAgICAgICAgICAgICBjb25zdCBsb2FkT3JkZXIgPSBnZXRQZXJzaXN0ZW50TG9hZE9yZGVyKGNvbnRleHQuYXBpKTtcclxuICAgICAgICAgICAgICAgIGNvbnN0IGZpbHRlcmVkID0gbG9hZE9yZGVyLmZpbHRlcihlbnRyeSA9PlxyXG4gICAgICAgICAgICAgICAgICBzb3J0ZWQuZmluZChtb2QgPT4gbW9kLmlkID09PSBlbnRyeS5pZCkgIT09IHVuZGVmaW5lZCk7XHJcbiAgICAgICAgICAgICAgICBjb25zdCBzb3J0ZWRMTyA9IGZpbHRlcmVkLnNvcnQoKGEsIGIpID0+IGZpbmRJbmRleChhLCBzb3J0ZWQpIC0gZmluZEluZGV4KGIsIHNvcnRlZCkpO1xyXG4gICAgICAgICAgICAgICAgY29uc3QgbG9ja2VkID0gbG9hZE9yZGVyLmZpbHRlcihlbnRyeSA9PiBlbnRyeS5uYW1lLmluY2x1ZGVzKExPQ0tFRF9QUkVGSVgpKTtcclxuICAgICAgICAgICAgICAgIGNvbnN0IG1hbnVhbGx5QWRkZWQgPSBsb2FkT3JkZXIuZmlsdGVyKGtleSA9PiAhZmlsdGVyZWQuaW5jbHVkZXMoa2V5KSAmJiAhbG9ja2VkLmluY2x1ZGVzKGtleSkpO1xyXG4gICAgICAgICAgICAgICAgY29uc3QgbmV3TE8gPSBbLi4ubG9ja2VkLCAuLi5zb3J0ZWRMTywgLi4ubWFudWFsbHlBZGRlZF0ucmVkdWNlKChhY2N1bSwgZW50cnksIGlkeCkgPT4ge1xyXG4gICAgICAgICAgICAgICAgICBhY2N1bS5wdXNoKHtcclxuICAgICAgICAgICAgICAgICAgICAuLi5lbnRyeSxcclxuICAgICAgICAgICAgICAgICAgICBkYXRhOiB7XHJcbiAgICAgICAgICAgICAgICAgICAgICBwcmVmaXg6IGlkeCArIDFcclxuICAgICAgICAgICAgICAgICAgICB9XHJcbiAgICAgICAgICAgICAgICAgIH0pO1xyXG4gICAgICAgICAgICAgICAgICByZXR1cm4gYWNjdW07XHJcbiAgICAgICAgICAgICAgICB9LCBbXSk7XHJcblxyXG4gICAgICAgICAgICAgICAgY29udGV4dC5hcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5zZXRMb2FkT3JkZXIocHJvZmlsZS5pZCwgbmV3TE8gYXMgYW55KSk7XHJcbiAgICAgICAgICAgICAgfSlcclxuICAgICAgICAgICAgICAuY2F0Y2goZXJyID0+IHtcclxuICAgICAgICAgICAgICAgIGNvbnN0IGFsbG93UmVwb3J0ID0gIShlcnIgaW5zdGFuY2VvZiB1dGlsLkN5Y2xlRXJyb3IpO1xyXG4gICAgICAgICAgICAgICAgY29udGV4dC5hcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gc29ydCBieSBkZXBsb3ltZW50IG9yZGVyJywgZXJyLFxyXG4gICAgICAgICAgICAgICAgICB7IGFsbG93UmVwb3J0IH0pO1xyXG4gICAgICAgICAgICAgIH0pLmZpbmFsbHkoKCkgPT4ge1xyXG4gICAgICAgICAgICAgICAgZm9yY2VSZWZyZXNoKGNvbnRleHQuYXBpKTtcclxuICAgICAgICAgICAgICB9KTtcclxuICAgICAgICAgIH1cclxuICAgICAgICB9LFxyXG4gICAgICBdKTtcclxuICAgIH0sICgpID0+IHtcclxuICAgICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5zdG9yZS5nZXRTdGF0ZSgpO1xyXG4gICAgICBjb25zdCBnYW1lTW9kZSA9IHNlbGVjdG9ycy5hY3RpdmVHYW1lSWQoc3RhdGUpO1xyXG4gICAgICByZXR1cm4gZ2FtZU1vZGUgPT09IEdBTUVfSUQ7XHJcbiAgICB9KTtcclxufTtcclxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaWNvbmJhckFjdGlvbnMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpY29uYmFyQWN0aW9ucy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7QUFDQSxnREFBd0I7QUFDeEIsMkNBQTZEO0FBRTdELHVDQUErQztBQUMvQyxxQ0FBdUc7QUFHdkcsMkNBQTREO0FBQzVELCtDQUFvRDtBQUNwRCwrQ0FBK0M7QUFDL0MscURBQXlEO0FBRXpELGlDQUFzQztBQUN0Qyw2Q0FBc0Q7QUFRL0MsTUFBTSxlQUFlLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRTtJQUMvQyxNQUFNLEVBQUUsT0FBTyxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQzFCLE1BQU0sY0FBYyxHQUFHLEdBQUcsRUFBRTtRQUMxQixNQUFNLE9BQU8sR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLGlCQUFJLENBQUMsYUFBYSxDQUFDLFdBQVcsQ0FBQyxFQUFFLGVBQWUsQ0FBQyxDQUFDO1FBQzVFLGlCQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN0QyxDQUFDLENBQUM7SUFFRixNQUFNLEtBQUssR0FBRyxDQUFDLE1BQU0sR0FBRyxTQUFTLEVBQUUsRUFBRTtRQUNuQyxJQUFJLE1BQU0sS0FBSyxTQUFTLEVBQUU7WUFDeEIsT0FBTyxDQUFDLE1BQU0sS0FBSyxnQkFBTyxDQUFDLENBQUM7U0FDN0I7UUFDRCxNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sUUFBUSxHQUFHLHNCQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQy9DLE9BQU8sQ0FBQyxRQUFRLEtBQUssZ0JBQU8sQ0FBQyxDQUFDO0lBQ2hDLENBQUMsQ0FBQztJQUVGLE9BQU8sQ0FBQyxjQUFjLENBQUMsbUJBQW1CLEVBQUUsR0FBRyxFQUFFLGVBQWUsRUFBRSxFQUFFLEVBQUUsc0JBQXNCLEVBQzFGLFdBQVcsQ0FBQyxFQUFFLEdBQUcsSUFBQSxpQ0FBbUIsRUFBQyxPQUFPLENBQUMsR0FBRyxFQUFFLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUNwRSxXQUFXLENBQUMsRUFBRTs7UUFDWixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ3JDLE1BQU0sSUFBSSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3RFLElBQUksQ0FBQSxNQUFBLElBQUksQ0FBQyxXQUFXLGFBQVgsV0FBVyx1QkFBWCxXQUFXLENBQUcsQ0FBQyxDQUFDLENBQUMsMENBQUUsSUFBSSxNQUFLLFlBQVksRUFBRTtZQUNqRCxPQUFPLEtBQUssQ0FBQztTQUNkO1FBQ0QsTUFBTSxZQUFZLEdBQUcsc0JBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkQsT0FBTyxZQUFZLEtBQUssZ0JBQU8sQ0FBQztJQUNsQyxDQUFDLENBQUMsQ0FBQztJQUVMLE9BQU8sQ0FBQyxjQUFjLENBQUMsbUJBQW1CLEVBQUUsR0FBRyxFQUFFLGVBQWUsRUFBRSxFQUFFLEVBQUUsbUJBQW1CLEVBQ3ZGLFdBQVcsQ0FBQyxFQUFFLEdBQUcsSUFBQSwyQkFBZSxFQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQ2hFLFdBQVcsQ0FBQyxFQUFFOztRQUNaLE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDckMsTUFBTSxJQUFJLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDdEUsSUFBSSxDQUFBLE1BQUEsSUFBSSxDQUFDLFdBQVcsYUFBWCxXQUFXLHVCQUFYLFdBQVcsQ0FBRyxDQUFDLENBQUMsQ0FBQywwQ0FBRSxJQUFJLE1BQUssWUFBWSxFQUFFO1lBQ2pELE9BQU8sS0FBSyxDQUFDO1NBQ2Q7UUFDRCxNQUFNLFlBQVksR0FBRyxzQkFBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNuRCxPQUFPLFlBQVksS0FBSyxnQkFBTyxDQUFDO0lBQ2xDLENBQUMsQ0FBQyxDQUFDO0lBRUwsT0FBTyxDQUFDLGNBQWMsQ0FBQyxtQkFBbUIsRUFBRSxHQUFHLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxvQkFBb0IsRUFDbkYsV0FBVyxDQUFDLEVBQUU7UUFDWixPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBQSw0QkFBa0IsRUFBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQy9ELE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxvQkFBTyxDQUFDLGVBQWUsQ0FBQyw4QkFBcUIsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO0lBQ3BGLENBQUMsRUFDRCxXQUFXLENBQUMsRUFBRTtRQUNaLE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDckMsTUFBTSxJQUFJLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDdEUsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLFdBQVcsYUFBWCxXQUFXLHVCQUFYLFdBQVcsQ0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ25DLE9BQU8sQ0FBQyxHQUFHLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBQyxxQkFBWSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksS0FBSyxFQUFFLENBQUM7SUFDNUUsQ0FBQyxDQUFDLENBQUM7SUFXTCxPQUFPLENBQUMsY0FBYyxDQUFDLFdBQVcsRUFBRSxHQUFHLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFDckQsMkJBQTJCLEVBQUUsY0FBYyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBRXRELE9BQU8sQ0FBQyxjQUFjLENBQUMscUJBQXFCLEVBQUUsR0FBRyxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQy9ELDJCQUEyQixFQUFFLGNBQWMsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUV0RCxPQUFPLENBQUMsY0FBYyxDQUFDLHFCQUFxQixFQUFFLEdBQUcsRUFBRSxXQUFXLEVBQUUsRUFBRSxFQUFFLHNCQUFzQixFQUN4RixHQUFHLEVBQUU7UUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxNQUFNLEVBQUUsMEJBQTBCLEVBQUU7WUFDekQsTUFBTSxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLDZEQUE2RDtrQkFDdkYsZ0ZBQWdGO2tCQUNoRixtR0FBbUc7a0JBQ25HLCtGQUErRjtrQkFDL0Ysd0NBQXdDLEVBQUUsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDO1NBQ3RFLEVBQUU7WUFDRDtnQkFDRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUU7b0JBQzVCLE9BQU87Z0JBQ1QsQ0FBQzthQUNGO1lBQ0Q7Z0JBQ0UsS0FBSyxFQUFFLHNCQUFzQixFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUU7O29CQUMxQyxNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO29CQUNyQyxNQUFNLFFBQVEsR0FBRyxDQUFBLE1BQUEsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLDBDQUFHLGdCQUFPLENBQUMsS0FBSSxFQUFFLENBQUM7b0JBQ3hELE1BQU0sT0FBTyxHQUFHLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO29CQUMvQyxNQUFNLElBQUksR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQzt5QkFDL0IsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsaUJBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsVUFBVSxFQUFFLEdBQUcsRUFBRSxTQUFTLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzt5QkFDekUsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7b0JBQzdCLE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBNEIsRUFBRSxPQUFxQixFQUFFLEVBQUU7d0JBQ3hFLE9BQU8sT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO29CQUN0RCxDQUFDLENBQUE7b0JBQ0QsT0FBTyxpQkFBSSxDQUFDLFFBQVEsQ0FBQyxnQkFBTyxFQUFFLElBQUksRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDO3lCQUM3QyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUU7d0JBQ2IsTUFBTSxTQUFTLEdBQUcsSUFBQSxtQ0FBc0IsRUFBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7d0JBQ3RELE1BQU0sUUFBUSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FDeEMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxFQUFFLEtBQUssS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO3dCQUN6RCxNQUFNLFFBQVEsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7d0JBQ3RGLE1BQU0sTUFBTSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxzQkFBYSxDQUFDLENBQUMsQ0FBQzt3QkFDN0UsTUFBTSxhQUFhLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQzt3QkFDaEcsTUFBTSxLQUFLLEdBQUcsQ0FBQyxHQUFHLE1BQU0sRUFBRSxHQUFHLFFBQVEsRUFBRSxHQUFHLGFBQWEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7NEJBQ3BGLEtBQUssQ0FBQyxJQUFJLGlDQUNMLEtBQUssS0FDUixJQUFJLEVBQUU7b0NBQ0osTUFBTSxFQUFFLEdBQUcsR0FBRyxDQUFDO2lDQUNoQixJQUNELENBQUM7NEJBQ0gsT0FBTyxLQUFLLENBQUM7d0JBQ2YsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO3dCQUVQLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxvQkFBTyxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsRUFBRSxFQUFFLEtBQVksQ0FBQyxDQUFDLENBQUM7b0JBQzdFLENBQUMsQ0FBQzt5QkFDRCxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUU7d0JBQ1gsTUFBTSxXQUFXLEdBQUcsQ0FBQyxDQUFDLEdBQUcsWUFBWSxpQkFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO3dCQUN0RCxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixDQUFDLG9DQUFvQyxFQUFFLEdBQUcsRUFDekUsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO29CQUNyQixDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFO3dCQUNkLElBQUEsbUJBQVksRUFBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7b0JBQzVCLENBQUMsQ0FBQyxDQUFDO2dCQUNQLENBQUM7YUFDRjtTQUNGLENBQUMsQ0FBQztJQUNMLENBQUMsRUFBRSxHQUFHLEVBQUU7UUFDTixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUMzQyxNQUFNLFFBQVEsR0FBRyxzQkFBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMvQyxPQUFPLFFBQVEsS0FBSyxnQkFBTyxDQUFDO0lBQzlCLENBQUMsQ0FBQyxDQUFDO0lBRUwsT0FBTyxDQUFDLGNBQWMsQ0FBQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUUsV0FBVyxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQ2pGLEdBQUcsRUFBRTtRQUNILElBQUEsc0NBQXFCLEVBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQzthQUMvQixLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixDQUFDLDhCQUE4QixFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDMUYsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBRVosT0FBTyxDQUFDLGNBQWMsQ0FBQyxxQkFBcUIsRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQzdFLEdBQUcsRUFBRSxHQUFHLElBQUEsNEJBQWMsRUFBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7QUFDbkQsQ0FBQyxDQUFDO0FBeElXLFFBQUEsZUFBZSxtQkF3STFCIiwic291cmNlc0NvbnRlbnQiOlsiLyogZXNsaW50LWRpc2FibGUgKi9cbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgYWN0aW9ucywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBzZXRNZW51U2V0dGluZ3NNb2QgfSBmcm9tICcuL2FjdGlvbnMnO1xuaW1wb3J0IHsgR0FNRV9JRCwgSTE4Tl9OQU1FU1BBQ0UsIExPQ0tFRF9QUkVGSVgsIE1FTlVfU0VUVElOR1NfUEFHRV9JRCwgTk9OX1NPUlRBQkxFIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgUHJpb3JpdHlNYW5hZ2VyIH0gZnJvbSAnLi9wcmlvcml0eU1hbmFnZXInO1xuXG5pbXBvcnQgVFczTG9hZE9yZGVyLCB7IGltcG9ydExvYWRPcmRlciB9IGZyb20gJy4vbG9hZE9yZGVyJztcbmltcG9ydCB7IG1ha2VPbkNvbnRleHRJbXBvcnQgfSBmcm9tICcuL21lcmdlQmFja3VwJztcbmltcG9ydCB7IHJ1blNjcmlwdE1lcmdlIH0gZnJvbSAnLi9zY3JpcHRNZXJnZSc7XG5pbXBvcnQgeyBzdWdnZXN0T3JkZXJCeUJ1bmRsZXMgfSBmcm9tICcuL2J1bmRsZUFuYWx5c2lzJztcblxuaW1wb3J0IHsgZm9yY2VSZWZyZXNoIH0gZnJvbSAnLi91dGlsJztcbmltcG9ydCB7IGdldFBlcnNpc3RlbnRMb2FkT3JkZXIgfSBmcm9tICcuL21pZ3JhdGlvbnMnO1xuXG5pbnRlcmZhY2UgSVByb3BzIHtcbiAgY29udGV4dDogdHlwZXMuSUV4dGVuc2lvbkNvbnRleHQ7XG4gIGdldFByaW9yaXR5TWFuYWdlcjogKCkgPT4gUHJpb3JpdHlNYW5hZ2VyO1xuICAvLyBnZXRNb2RMaW1pdFBhdGNoZXI6ICgpID0+IE1vZExpbWl0UGF0Y2hlcjtcbn1cblxuZXhwb3J0IGNvbnN0IHJlZ2lzdGVyQWN0aW9ucyA9IChwcm9wczogSVByb3BzKSA9PiB7XG4gIGNvbnN0IHsgY29udGV4dCB9ID0gcHJvcHM7XG4gIGNvbnN0IG9wZW5UVzNEb2NQYXRoID0gKCkgPT4ge1xuICAgIGNvbnN0IGRvY1BhdGggPSBwYXRoLmpvaW4odXRpbC5nZXRWb3J0ZXhQYXRoKCdkb2N1bWVudHMnKSwgJ1RoZSBXaXRjaGVyIDMnKTtcbiAgICB1dGlsLm9wbihkb2NQYXRoKS5jYXRjaCgoKSA9PiBudWxsKTtcbiAgfTtcblxuICBjb25zdCBpc1RXMyA9IChnYW1lSWQgPSB1bmRlZmluZWQpID0+IHtcbiAgICBpZiAoZ2FtZUlkICE9PSB1bmRlZmluZWQpIHtcbiAgICAgIHJldHVybiAoZ2FtZUlkID09PSBHQU1FX0lEKTtcbiAgICB9XG4gICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgIGNvbnN0IGdhbWVNb2RlID0gc2VsZWN0b3JzLmFjdGl2ZUdhbWVJZChzdGF0ZSk7XG4gICAgcmV0dXJuIChnYW1lTW9kZSA9PT0gR0FNRV9JRCk7XG4gIH07XG5cbiAgY29udGV4dC5yZWdpc3RlckFjdGlvbignbW9kcy1hY3Rpb24taWNvbnMnLCAzMDAsICdzdGFydC1pbnN0YWxsJywge30sICdJbXBvcnQgU2NyaXB0IE1lcmdlcycsXG4gICAgaW5zdGFuY2VJZHMgPT4geyBtYWtlT25Db250ZXh0SW1wb3J0KGNvbnRleHQuYXBpLCBpbnN0YW5jZUlkc1swXSk7IH0sXG4gICAgaW5zdGFuY2VJZHMgPT4ge1xuICAgICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgICAgY29uc3QgbW9kcyA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xuICAgICAgaWYgKG1vZHNbaW5zdGFuY2VJZHM/LlswXV0/LnR5cGUgIT09ICdjb2xsZWN0aW9uJykge1xuICAgICAgICByZXR1cm4gZmFsc2U7XG4gICAgICB9XG4gICAgICBjb25zdCBhY3RpdmVHYW1lSWQgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcbiAgICAgIHJldHVybiBhY3RpdmVHYW1lSWQgPT09IEdBTUVfSUQ7XG4gICAgfSk7XG5cbiAgY29udGV4dC5yZWdpc3RlckFjdGlvbignbW9kcy1hY3Rpb24taWNvbnMnLCAzMDAsICdzdGFydC1pbnN0YWxsJywge30sICdJbXBvcnQgTG9hZCBPcmRlcicsXG4gICAgaW5zdGFuY2VJZHMgPT4geyBpbXBvcnRMb2FkT3JkZXIoY29udGV4dC5hcGksIGluc3RhbmNlSWRzWzBdKTsgfSxcbiAgICBpbnN0YW5jZUlkcyA9PiB7XG4gICAgICBjb25zdCBzdGF0ZSA9IGNvbnRleHQuYXBpLmdldFN0YXRlKCk7XG4gICAgICBjb25zdCBtb2RzID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbW9kcycsIEdBTUVfSURdLCB7fSk7XG4gICAgICBpZiAobW9kc1tpbnN0YW5jZUlkcz8uWzBdXT8udHlwZSAhPT0gJ2NvbGxlY3Rpb24nKSB7XG4gICAgICAgIHJldHVybiBmYWxzZTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IGFjdGl2ZUdhbWVJZCA9IHNlbGVjdG9ycy5hY3RpdmVHYW1lSWQoc3RhdGUpO1xuICAgICAgcmV0dXJuIGFjdGl2ZUdhbWVJZCA9PT0gR0FNRV9JRDtcbiAgICB9KTtcblxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdtb2RzLWFjdGlvbi1pY29ucycsIDMwMCwgJ3NldHRpbmdzJywge30sICdFZGl0IE1lbnUgU2V0dGluZ3MnLFxuICAgIGluc3RhbmNlSWRzID0+IHtcbiAgICAgIGNvbnRleHQuYXBpLnN0b3JlLmRpc3BhdGNoKHNldE1lbnVTZXR0aW5nc01vZChpbnN0YW5jZUlkc1swXSkpO1xuICAgICAgY29udGV4dC5hcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5zZXRPcGVuTWFpblBhZ2UoTUVOVV9TRVRUSU5HU19QQUdFX0lELCBmYWxzZSkpO1xuICAgIH0sXG4gICAgaW5zdGFuY2VJZHMgPT4ge1xuICAgICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5nZXRTdGF0ZSgpO1xuICAgICAgY29uc3QgbW9kcyA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xuICAgICAgY29uc3QgbW9kID0gbW9kc1tpbnN0YW5jZUlkcz8uWzBdXTtcbiAgICAgIHJldHVybiAobW9kICE9PSB1bmRlZmluZWQpICYmICFOT05fU09SVEFCTEUuaW5jbHVkZXMobW9kLnR5cGUpICYmIGlzVFczKCk7XG4gICAgfSk7XG5cbiAgLy8gY29udGV4dC5yZWdpc3RlckFjdGlvbignbW9kLWljb25zJywgNTAwLCAnc2F2ZWdhbWUnLCB7fSwgJ0FwcGx5IE1vZCBMaW1pdCBQYXRjaCcsICgpID0+IHtcbiAgLy8gICBnZXRNb2RMaW1pdFBhdGNoZXIoKS5lbnN1cmVNb2RMaW1pdFBhdGNoKClcbiAgLy8gICAgIC5jYXRjaChlcnIgPT4ge1xuICAvLyAgICAgICBjb250ZXh0LmFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBhcHBseSBwYXRjaCcsIGVyciwge1xuICAvLyAgICAgICAgIGFsbG93UmVwb3J0OiAoZXJyIGluc3RhbmNlb2YgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQpLFxuICAvLyAgICAgICB9KTtcbiAgLy8gICAgIH0pO1xuICAvLyB9LCAoKSA9PiBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKGNvbnRleHQuYXBpLmdldFN0YXRlKCkpID09PSBHQU1FX0lEKTtcblxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdtb2QtaWNvbnMnLCAzMDAsICdvcGVuLWV4dCcsIHt9LFxuICAgICdPcGVuIFRXMyBEb2N1bWVudHMgRm9sZGVyJywgb3BlblRXM0RvY1BhdGgsIGlzVFczKTtcblxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdmYi1sb2FkLW9yZGVyLWljb25zJywgMzAwLCAnb3Blbi1leHQnLCB7fSxcbiAgICAnT3BlbiBUVzMgRG9jdW1lbnRzIEZvbGRlcicsIG9wZW5UVzNEb2NQYXRoLCBpc1RXMyk7XG5cbiAgY29udGV4dC5yZWdpc3RlckFjdGlvbignZmItbG9hZC1vcmRlci1pY29ucycsIDEwMCwgJ2xvb3Qtc29ydCcsIHt9LCAnU29ydCBieSBEZXBsb3kgT3JkZXInLFxuICAgICgpID0+IHtcbiAgICAgIGNvbnRleHQuYXBpLnNob3dEaWFsb2coJ2luZm8nLCAnU29ydCBieSBEZXBsb3ltZW50IE9yZGVyJywge1xuICAgICAgICBiYmNvZGU6IGNvbnRleHQuYXBpLnRyYW5zbGF0ZSgnVGhpcyBhY3Rpb24gd2lsbCBzZXQgcHJpb3JpdGllcyB1c2luZyB0aGUgZGVwbG95bWVudCBydWxlcyAnXG4gICAgICAgICAgKyAnZGVmaW5lZCBpbiB0aGUgbW9kcyBwYWdlLiBBcmUgeW91IHN1cmUgeW91IHdpc2ggdG8gcHJvY2VlZCA/W2JyXVsvYnJdW2JyXVsvYnJdJ1xuICAgICAgICAgICsgJ1BsZWFzZSBiZSBhd2FyZSB0aGF0IGFueSBleHRlcm5hbGx5IGFkZGVkIG1vZHMgKGFkZGVkIG1hbnVhbGx5IG9yIGJ5IG90aGVyIHRvb2xzKSB3aWxsIGJlIHB1c2hlZCAnXG4gICAgICAgICAgKyAndG8gdGhlIGJvdHRvbSBvZiB0aGUgbGlzdCwgd2hpbGUgYWxsIG1vZHMgdGhhdCBoYXZlIGJlZW4gaW5zdGFsbGVkIHRocm91Z2ggVm9ydGV4IHdpbGwgc2hpZnQgJ1xuICAgICAgICAgICsgJ2luIHBvc2l0aW9uIHRvIG1hdGNoIHRoZSBkZXBsb3kgb3JkZXIhJywgeyBuczogSTE4Tl9OQU1FU1BBQ0UgfSksXG4gICAgICB9LCBbXG4gICAgICAgIHtcbiAgICAgICAgICBsYWJlbDogJ0NhbmNlbCcsIGFjdGlvbjogKCkgPT4ge1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICAgIH1cbiAgICAgICAgfSxcbiAgICAgICAge1xuICAgICAgICAgIGxhYmVsOiAnU29ydCBieSBEZXBsb3kgT3JkZXInLCBhY3Rpb246ICgpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IHN0YXRlID0gY29udGV4dC5hcGkuZ2V0U3RhdGUoKTtcbiAgICAgICAgICAgIGNvbnN0IGdhbWVNb2RzID0gc3RhdGUucGVyc2lzdGVudC5tb2RzPy5bR0FNRV9JRF0gfHwge307XG4gICAgICAgICAgICBjb25zdCBwcm9maWxlID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpO1xuICAgICAgICAgICAgY29uc3QgbW9kcyA9IE9iamVjdC5rZXlzKGdhbWVNb2RzKVxuICAgICAgICAgICAgICAuZmlsdGVyKGtleSA9PiB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZScsIGtleSwgJ2VuYWJsZWQnXSwgZmFsc2UpKVxuICAgICAgICAgICAgICAubWFwKGtleSA9PiBnYW1lTW9kc1trZXldKTtcbiAgICAgICAgICAgIGNvbnN0IGZpbmRJbmRleCA9IChlbnRyeTogdHlwZXMuSUxvYWRPcmRlckVudHJ5LCBtb2RMaXN0OiB0eXBlcy5JTW9kW10pID0+IHtcbiAgICAgICAgICAgICAgcmV0dXJuIG1vZExpc3QuZmluZEluZGV4KG0gPT4gbS5pZCA9PT0gZW50cnkubW9kSWQpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgcmV0dXJuIHV0aWwuc29ydE1vZHMoR0FNRV9JRCwgbW9kcywgY29udGV4dC5hcGkpXG4gICAgICAgICAgICAgIC50aGVuKHNvcnRlZCA9PiB7XG4gICAgICAgICAgICAgICAgY29uc3QgbG9hZE9yZGVyID0gZ2V0UGVyc2lzdGVudExvYWRPcmRlcihjb250ZXh0LmFwaSk7XG4gICAgICAgICAgICAgICAgY29uc3QgZmlsdGVyZWQgPSBsb2FkT3JkZXIuZmlsdGVyKGVudHJ5ID0+XG4gICAgICAgICAgICAgICAgICBzb3J0ZWQuZmluZChtb2QgPT4gbW9kLmlkID09PSBlbnRyeS5pZCkgIT09IHVuZGVmaW5lZCk7XG4gICAgICAgICAgICAgICAgY29uc3Qgc29ydGVkTE8gPSBmaWx0ZXJlZC5zb3J0KChhLCBiKSA9PiBmaW5kSW5kZXgoYSwgc29ydGVkKSAtIGZpbmRJbmRleChiLCBzb3J0ZWQpKTtcbiAgICAgICAgICAgICAgICBjb25zdCBsb2NrZWQgPSBsb2FkT3JkZXIuZmlsdGVyKGVudHJ5ID0+IGVudHJ5Lm5hbWUuaW5jbHVkZXMoTE9DS0VEX1BSRUZJWCkpO1xuICAgICAgICAgICAgICAgIGNvbnN0IG1hbnVhbGx5QWRkZWQgPSBsb2FkT3JkZXIuZmlsdGVyKGtleSA9PiAhZmlsdGVyZWQuaW5jbHVkZXMoa2V5KSAmJiAhbG9ja2VkLmluY2x1ZGVzKGtleSkpO1xuICAgICAgICAgICAgICAgIGNvbnN0IG5ld0xPID0gWy4uLmxvY2tlZCwgLi4uc29ydGVkTE8sIC4uLm1hbnVhbGx5QWRkZWRdLnJlZHVjZSgoYWNjdW0sIGVudHJ5LCBpZHgpID0+IHtcbiAgICAgICAgICAgICAgICAgIGFjY3VtLnB1c2goe1xuICAgICAgICAgICAgICAgICAgICAuLi5lbnRyeSxcbiAgICAgICAgICAgICAgICAgICAgZGF0YToge1xuICAgICAgICAgICAgICAgICAgICAgIHByZWZpeDogaWR4ICsgMVxuICAgICAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgICB9KTtcbiAgICAgICAgICAgICAgICAgIHJldHVybiBhY2N1bTtcbiAgICAgICAgICAgICAgICB9LCBbXSk7XG5cbiAgICAgICAgICAgICAgICBjb250ZXh0LmFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLnNldExvYWRPcmRlcihwcm9maWxlLmlkLCBuZXdMTyBhcyBhbnkpKTtcbiAgICAgICAgICAgICAgfSlcbiAgICAgICAgICAgICAgLmNhdGNoKGVyciA9PiB7XG4gICAgICAgICAgICAgICAgY29uc3QgYWxsb3dSZXBvcnQgPSAhKGVyciBpbnN0YW5jZW9mIHV0aWwuQ3ljbGVFcnJvcik7XG4gICAgICAgICAgICAgICAgY29udGV4dC5hcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gc29ydCBieSBkZXBsb3ltZW50IG9yZGVyJywgZXJyLFxuICAgICAgICAgICAgICAgICAgeyBhbGxvd1JlcG9ydCB9KTtcbiAgICAgICAgICAgICAgfSkuZmluYWxseSgoKSA9PiB7XG4gICAgICAgICAgICAgICAgZm9yY2VSZWZyZXNoKGNvbnRleHQuYXBpKTtcbiAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgfVxuICAgICAgICB9LFxuICAgICAgXSk7XG4gICAgfSwgKCkgPT4ge1xuICAgICAgY29uc3Qgc3RhdGUgPSBjb250ZXh0LmFwaS5zdG9yZS5nZXRTdGF0ZSgpO1xuICAgICAgY29uc3QgZ2FtZU1vZGUgPSBzZWxlY3RvcnMuYWN0aXZlR2FtZUlkKHN0YXRlKTtcbiAgICAgIHJldHVybiBnYW1lTW9kZSA9PT0gR0FNRV9JRDtcbiAgICB9KTtcblxuICBjb250ZXh0LnJlZ2lzdGVyQWN0aW9uKCdmYi1sb2FkLW9yZGVyLWljb25zJywgMTEwLCAnbG9vdC1zb3J0Jywge30sICdTdWdnZXN0IE9yZGVyJyxcbiAgICAoKSA9PiB7XG4gICAgICBzdWdnZXN0T3JkZXJCeUJ1bmRsZXMoY29udGV4dC5hcGkpXG4gICAgICAgIC5jYXRjaChlcnIgPT4gY29udGV4dC5hcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gc3VnZ2VzdCBsb2FkIG9yZGVyJywgZXJyKSk7XG4gICAgfSwgaXNUVzMpO1xuXG4gIGNvbnRleHQucmVnaXN0ZXJBY3Rpb24oJ2ZiLWxvYWQtb3JkZXItaWNvbnMnLCAxNTAsICdtZXJnZScsIHt9LCAnTWVyZ2UgU2NyaXB0cycsXG4gICAgKCkgPT4geyBydW5TY3JpcHRNZXJnZShjb250ZXh0LmFwaSk7IH0sIGlzVFczKTtcbn07XG4iXX0=
\ No newline at end of file
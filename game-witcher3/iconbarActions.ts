@@ -2,11 +2,14 @@
 import path from 'path';
 import { actions, selectors, types, util } from 'vortex-api';
 
-import { GAME_ID, I18N_NAMESPACE, LOCKED_PREFIX } from './common';
+import { setMenuSettingsMod } from './actions';
+import { GAME_ID, I18N_NAMESPACE, LOCKED_PREFIX, MENU_SETTINGS_PAGE_ID, NON_SORTABLE } from './common';
 import { PriorityManager } from './priorityManager';
 
 import TW3LoadOrder, { importLoadOrder } from './loadOrder';
 import { makeOnContextImport } from './mergeBackup';
+import { runScriptMerge } from './scriptMerge';
+import { suggestOrderByBundles } from './bundleAnalysis';
 
 import { forceRefresh } from './util';
 import { getPersistentLoadOrder } from './migrations';
@@ -57,6 +60,18 @@ export const registerActions = (props: IProps) => {
       return activeGameId === GAME_ID;
     });
 
+  context.registerAction('mods-action-icons', 300, 'settings', {}, 'Edit Menu Settings',
+    instanceIds => {
+      context.api.store.dispatch(setMenuSettingsMod(instanceIds[0]));
+      context.api.store.dispatch(actions.setOpenMainPage(MENU_SETTINGS_PAGE_ID, false));
+    },
+    instanceIds => {
+      const state = context.api.getState();
+      const mods = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+      const mod = mods[instanceIds?.[0]];
+      return (mod !== undefined) && !NON_SORTABLE.includes(mod.type) && isTW3();
+    });
+
   // context.registerAction('mod-icons', 500, 'savegame', {}, 'Apply Mod Limit Patch', () => {
   //   getModLimitPatcher().ensureModLimitPatch()
   //     .catch(err => {
@@ -132,4 +147,13 @@ export const registerActions = (props: IProps) => {
       const gameMode = selectors.activeGameId(state);
       return gameMode === GAME_ID;
     });
+
+  context.registerAction('fb-load-order-icons', 110, 'loot-sort', {}, 'Suggest Order',
+    () => {
+      suggestOrderByBundles(context.api)
+        .catch(err => context.api.showErrorNotification('Failed to suggest load order', err));
+    }, isTW3);
+
+  context.registerAction('fb-load-order-icons', 150, 'merge', {}, 'Merge Scripts',
+    () => { runScriptMerge(context.api); }, isTW3);
 };
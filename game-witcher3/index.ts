@@ -12,10 +12,10 @@ import { genCollectionsData, parseCollectionsData } from './collections/collecti
 import { IW3CollectionsData } from './collections/types';
 import CollectionsDataView from './views/CollectionsDataView';
 
-import { downloadScriptMerger, getScriptMergerDir, setMergerConfig } from './scriptmerger';
+import { getScriptMergerDir, setMergerConfig } from './scriptmerger';
 
 import { DO_NOT_DEPLOY, GAME_ID, getLoadOrderFilePath, INPUT_XML_FILENAME,
-  LOCKED_PREFIX, SCRIPT_MERGER_ID,
+  LOCKED_PREFIX, MENU_SETTINGS_PAGE_ID, SCRIPT_MERGER_ID,
 } from './common';
 
 import { testDLC, testTL } from './modTypes';
@@ -27,11 +27,15 @@ import { installContent, installMenuMod, installTL, installDLCMod, installMixed,
   scriptMergerDummyInstaller, scriptMergerTest, testMenuModRoot, testSupportedContent,
   testSupportedTL, testSupportedMixed, testDLCMod } from './installers';
 
-import { W3Reducer } from './reducers';
+import { W3Reducer, W3SessionReducer } from './reducers';
 
 import { getDLCPath, getAllMods, determineExecutable, getDocumentsPath,
-  getTLPath, isTW3, notifyMissingScriptMerger } from './util';
+  getTLPath, isTW3 } from './util';
 import TW3LoadOrder from './loadOrder';
+import { testStaleMerges } from './tests';
+import { INPUT_CONFLICTS_PAGE_ID, modIdFromStagingPath, recordVarContribution } from './inputConflicts';
+import InputConflictsPage from './views/InputConflictsPage';
+import MenuSettingsPage from './views/MenuSettingsPage';
 
 
 import { onDidDeploy, onDidPurge, onDidRemoveMod, onGameModeActivation, onModsDisabled,
@@ -101,16 +105,12 @@ function findGame(): Bluebird<string> {
 
 function prepareForModding(api: types.IExtensionApi) {
   return (discovery: types.IDiscoveryResult) => {
-    const findScriptMerger = async (error) => {
-      log('error', 'failed to download/install script merger', error);
+    const configureScriptMerger = async () => {
+      // The script merger is optional as Vortex is able to merge scripts on its own,
+      //  but if the user has it installed we make sure it's configured for this game.
       const scriptMergerPath = await getScriptMergerDir(api);
-      if (scriptMergerPath === undefined) {
-        notifyMissingScriptMerger(api);
-        return Promise.resolve();
-      } else {
-        if (discovery?.tools?.W3ScriptMerger === undefined) {
-          return setMergerConfig(discovery.path, scriptMergerPath);
-        }
+      if ((scriptMergerPath !== undefined) && (discovery?.tools?.W3ScriptMerger === undefined)) {
+        return setMergerConfig(discovery.path, scriptMergerPath);
       }
     };
   
@@ -124,10 +124,7 @@ function prepareForModding(api: types.IExtensionApi) {
       ensurePath(path.join(discovery.path, 'Mods')),
       ensurePath(path.join(discovery.path, 'DLC')),
       ensurePath(path.dirname(getLoadOrderFilePath()))])
-        .then(() => downloadScriptMerger(api)
-          .catch(err => (err instanceof util.UserCanceled)
-            ? Promise.resolve()
-            : findScriptMerger(err)));
+        .then(() => configureScriptMerger());
   }
 }
 
@@ -201,6 +198,7 @@ function merge(filePath, mergeDir, context) {
       }
     })
     .then(gameIndexFile => {
+      const modId = modIdFromStagingPath(context.api, filePath);
       const modGroups = modData?.UserConfig?.Group;
       for (let i = 0; i < modGroups.length; i++) {
         const gameGroups = gameIndexFile?.UserConfig?.Group;
@@ -214,13 +212,18 @@ function merge(filePath, mergeDir, context) {
             const modVar = modVars[j];
             const id = modVar?.$?.id;
             const gameVarIdx = gameVars.findIndex(v => v?.$?.id === id);
+            const replace = recordVarContribution(context.api, iter?.$?.id, modVar, modId);
             if (gameVarIdx !== -1) {
-              gameIndexFile.UserConfig.Group[gameGroupIdx].VisibleVars[0].Var[gameVarIdx] = modVar;
+              if (replace) {
+                gameIndexFile.UserConfig.Group[gameGroupIdx].VisibleVars[0].Var[gameVarIdx] = modVar;
+              }
             } else {
               gameIndexFile.UserConfig.Group[gameGroupIdx].VisibleVars[0].Var.push(modVar);
             }
           }
         } else {
+          (modVars ?? []).forEach(modVar =>
+            recordVarContribution(context.api, iter?.$?.id, modVar, modId));
           gameIndexFile.UserConfig.Group.push(modGroups[i]);
         }
       }
@@ -243,6 +246,7 @@ const getPriorityManager = () => priorityManager;
 
 function main(context: types.IExtensionContext) {
   context.registerReducer(['settings', 'witcher3'], W3Reducer);
+  context.registerReducer(['session', 'witcher3'], W3SessionReducer);
   context.registerGame({
     id: GAME_ID,
     name: 'The Witcher 3',
@@ -334,10 +338,25 @@ function main(context: types.IExtensionContext) {
     getPriorityManager,
   }
   context.registerLoadOrder(new TW3LoadOrder(props));
+  context.registerMainPage('keyboard', 'Input Conflicts', InputConflictsPage, {
+    id: INPUT_CONFLICTS_PAGE_ID,
+    group: 'per-game',
+    visible: () => selectors.activeGameId(context.api.getState()) === GAME_ID,
+  });
+  context.registerMainPage('settings', 'Menu Settings', MenuSettingsPage, {
+    id: MENU_SETTINGS_PAGE_ID,
+    group: 'per-game',
+    visible: () => selectors.activeGameId(context.api.getState()) === GAME_ID,
+    props: () => ({ api: context.api }),
+  });
   // context.registerTest('tw3-mod-limit-breach', 'gamemode-activated',
   //   () => Bluebird.resolve(testModLimitBreach(context.api, modLimitPatcher)));
   // context.registerTest('tw3-mod-limit-breach', 'mod-activated',
   //   () => Bluebird.resolve(testModLimitBreach(context.api, modLimitPatcher)));
+  context.registerTest('tw3-stale-merges', 'gamemode-activated',
+    () => Bluebird.resolve(testStaleMerges(context.api)));
+  context.registerTest('tw3-stale-merges', 'mod-activated',
+    () => Bluebird.resolve(testStaleMerges(context.api)));
 
   context.once(() => {
     priorityManager = new PriorityManager(context.api, 'prefix-based');
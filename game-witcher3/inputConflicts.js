@@ -0,0 +1,184 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.updateInputConflicts = exports.isKeyOverruled = exports.parseInputSettings = exports.recordVarContribution = exports.resetInputContributions = exports.modIdFromStagingPath = exports.keyConflictId = exports.varConflictId = exports.INPUT_CONFLICTS_PAGE_ID = void 0;
+const path_1 = __importDefault(require("path"));
+const vortex_api_1 = require("vortex-api");
+const actions_1 = require("./actions");
+const common_1 = require("./common");
+const util_1 = require("./util");
+exports.INPUT_CONFLICTS_PAGE_ID = 'witcher3-input-conflicts';
+const INPUT_SETTINGS_PART = 'input.settings' + common_1.PART_SUFFIX;
+const ACTION_EXP = /Action=([^,)]+)/i;
+let varContributions = {};
+const varConflictId = (groupId, varId) => `var:${groupId}:${varId}`.toLowerCase();
+exports.varConflictId = varConflictId;
+const keyConflictId = (context, key) => `key:${context}:${key}`.toLowerCase();
+exports.keyConflictId = keyConflictId;
+function getWinners(api, profileId) {
+    var _a;
+    const state = api.getState();
+    return vortex_api_1.util.getSafe(state, ['settings', 'witcher3', 'inputConflictWinners', profileId !== null && profileId !== void 0 ? profileId : (_a = vortex_api_1.selectors.activeProfile(state)) === null || _a === void 0 ? void 0 : _a.id], {});
+}
+function modIdFromStagingPath(api, filePath) {
+    var _a, _b;
+    const state = api.getState();
+    const stagingPath = vortex_api_1.selectors.installPathForGame(state, common_1.GAME_ID);
+    const instPath = path_1.default.relative(stagingPath, filePath).split(path_1.default.sep)[0];
+    const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+    return (_b = (_a = Object.values(mods).find(mod => mod.installationPath === instPath)) === null || _a === void 0 ? void 0 : _a.id) !== null && _b !== void 0 ? _b : instPath;
+}
+exports.modIdFromStagingPath = modIdFromStagingPath;
+function resetInputContributions() {
+    varContributions = {};
+}
+exports.resetInputContributions = resetInputContributions;
+function recordVarContribution(api, groupId, modVar, modId) {
+    var _a, _b;
+    const varId = (_a = modVar === null || modVar === void 0 ? void 0 : modVar.$) === null || _a === void 0 ? void 0 : _a.id;
+    if (varId === undefined) {
+        return true;
+    }
+    const conflictId = (0, exports.varConflictId)(groupId, varId);
+    const contribution = (_b = varContributions[conflictId]) !== null && _b !== void 0 ? _b : { context: groupId, name: varId, entries: [] };
+    varContributions[conflictId] = contribution;
+    const winner = getWinners(api)[conflictId];
+    const winnerMerged = contribution.entries.find(entry => entry.modId === winner) !== undefined;
+    contribution.entries.push({ modId, value: JSON.stringify(modVar.$) });
+    return (winner === undefined) || (winner === modId) || !winnerMerged;
+}
+exports.recordVarContribution = recordVarContribution;
+function parseInputSettings(data) {
+    var _a, _b, _c, _d;
+    const result = {};
+    let context;
+    for (const line of vortex_api_1.util.deBOM(data).split(/\r?\n/)) {
+        const trimmed = line.trim();
+        const section = trimmed.match(/^\[(.+)\]$/);
+        if (section !== null) {
+            context = section[1];
+            continue;
+        }
+        const sep = trimmed.indexOf('=');
+        if ((context === undefined) || (sep === -1) || trimmed.startsWith(';')) {
+            continue;
+        }
+        const key = trimmed.slice(0, sep).trim();
+        const action = (_b = (_a = trimmed.slice(sep + 1).match(ACTION_EXP)) === null || _a === void 0 ? void 0 : _a[1]) === null || _b === void 0 ? void 0 : _b.trim();
+        if (action === undefined) {
+            continue;
+        }
+        result[context] = (_c = result[context]) !== null && _c !== void 0 ? _c : {};
+        result[context][key] = Array.from(new Set([].concat((_d = result[context][key]) !== null && _d !== void 0 ? _d : [], action)));
+    }
+    return result;
+}
+exports.parseInputSettings = parseInputSettings;
+function findKeyContributions(api, profile) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const stagingPath = vortex_api_1.selectors.installPathForGame(state, common_1.GAME_ID);
+        const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+        const enabled = Object.values(mods).filter(mod => (mod.installationPath !== undefined)
+            && vortex_api_1.util.getSafe(profile, ['modState', mod.id, 'enabled'], false)
+            && (mod.type !== 'witcher3menumoddocuments'));
+        const contributions = {};
+        for (const mod of enabled) {
+            let entries = [];
+            try {
+                entries = yield (0, util_1.walkPath)(path_1.default.join(stagingPath, mod.installationPath));
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('debug', 'failed to look up input settings', { modId: mod.id, error: err.message });
+                continue;
+            }
+            const partFiles = entries.filter(entry => !entry.isDirectory
+                && (path_1.default.basename(entry.filePath).toLowerCase() === INPUT_SETTINGS_PART));
+            for (const file of partFiles) {
+                let bindings;
+                try {
+                    bindings = parseInputSettings(yield vortex_api_1.fs.readFileAsync(file.filePath, { encoding: 'utf8' }));
+                }
+                catch (err) {
+                    (0, vortex_api_1.log)('warn', 'failed to read input settings', { filePath: file.filePath, error: err.message });
+                    continue;
+                }
+                for (const context of Object.keys(bindings)) {
+                    for (const key of Object.keys(bindings[context])) {
+                        const conflictId = (0, exports.keyConflictId)(context, key);
+                        const contribution = (_a = contributions[conflictId]) !== null && _a !== void 0 ? _a : { context, name: key, entries: [] };
+                        contributions[conflictId] = contribution;
+                        contribution.entries.push({ modId: mod.id, value: bindings[context][key].join(', ') });
+                    }
+                }
+            }
+        }
+        return contributions;
+    });
+}
+function toConflicts(contributions, type) {
+    return Object.keys(contributions).reduce((accum, conflictId) => {
+        const { context, name, entries } = contributions[conflictId];
+        const modIds = new Set(entries.map(entry => entry.modId));
+        const values = new Set(entries.map(entry => entry.value));
+        if ((modIds.size > 1) && (values.size > 1)) {
+            accum.push({ id: conflictId, type, context, name, entries });
+        }
+        return accum;
+    }, []);
+}
+function isKeyOverruled(api, context, key, modId, providers) {
+    const winner = getWinners(api)[(0, exports.keyConflictId)(context, key)];
+    return (winner !== undefined) && (winner !== modId) && providers.includes(winner);
+}
+exports.isKeyOverruled = isKeyOverruled;
+function updateInputConflicts(api, profile) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const t = api.translate;
+        let keyContributions;
+        try {
+            keyContributions = yield findKeyContributions(api, profile);
+        }
+        catch (err) {
+            (0, vortex_api_1.log)('error', 'failed to analyze key bindings', err);
+            keyContributions = {};
+        }
+        const conflicts = [].concat(toConflicts(varContributions, 'duplicate-var'), toConflicts(keyContributions, 'key-collision'));
+        api.store.dispatch((0, actions_1.setInputConflicts)(conflicts));
+        const winners = getWinners(api, profile.id);
+        const unresolved = conflicts.filter(conflict => winners[conflict.id] === undefined);
+        if (unresolved.length === 0) {
+            api.dismissNotification('witcher3-input-conflicts');
+            return;
+        }
+        api.sendNotification({
+            id: 'witcher3-input-conflicts',
+            type: 'warning',
+            message: t('{{count}} keybinding conflict(s) between your mods', { ns: common_1.I18N_NAMESPACE, count: unresolved.length }),
+            allowSuppress: true,
+            actions: [
+                {
+                    title: 'Review',
+                    action: dismiss => {
+                        api.store.dispatch(vortex_api_1.actions.setOpenMainPage(exports.INPUT_CONFLICTS_PAGE_ID, false));
+                        dismiss();
+                    },
+                },
+            ],
+        });
+    });
+}
+exports.updateInputConflicts = updateInputConflicts;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5wdXRDb25mbGljdHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbnB1dENvbmZsaWN0cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7QUFDQSxnREFBd0I7QUFDeEIsMkNBQXNFO0FBRXRFLHVDQUE4QztBQUM5QyxxQ0FBZ0U7QUFFaEUsaUNBQWtDO0FBRXJCLFFBQUEsdUJBQXVCLEdBQUcsMEJBQTBCLENBQUM7QUFFbEUsTUFBTSxtQkFBbUIsR0FBRyxnQkFBZ0IsR0FBRyxvQkFBVyxDQUFDO0FBQzNELE1BQU0sVUFBVSxHQUFHLGtCQUFrQixDQUFDO0FBUXRDLElBQUksZ0JBQWdCLEdBQW1CLEVBQUUsQ0FBQztBQUVuQyxNQUFNLGFBQWEsR0FBRyxDQUFDLE9BQWUsRUFBRSxLQUFhLEVBQUUsRUFBRSxDQUM5RCxPQUFPLE9BQU8sSUFBSSxLQUFLLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztBQUQ3QixRQUFBLGFBQWEsaUJBQ2dCO0FBRW5DLE1BQU0sYUFBYSxHQUFHLENBQUMsT0FBZSxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQzVELE9BQU8sT0FBTyxJQUFJLEdBQUcsRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO0FBRDNCLFFBQUEsYUFBYSxpQkFDYztBQUd4QyxTQUFTLFVBQVUsQ0FBQyxHQUF3QixFQUFFLFNBQWtCOztJQUM5RCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDN0IsT0FBTyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQ3ZCLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxzQkFBc0IsRUFBRSxTQUFTLGFBQVQsU0FBUyxjQUFULFNBQVMsR0FBSSxNQUFBLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQywwQ0FBRSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztBQUMzRyxDQUFDO0FBRUQsU0FBZ0Isb0JBQW9CLENBQUMsR0FBd0IsRUFBRSxRQUFnQjs7SUFDN0UsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzdCLE1BQU0sV0FBVyxHQUFHLHNCQUFTLENBQUMsa0JBQWtCLENBQUMsS0FBSyxFQUFFLGdCQUFPLENBQUMsQ0FBQztJQUNqRSxNQUFNLFFBQVEsR0FBRyxjQUFJLENBQUMsUUFBUSxDQUFDLFdBQVcsRUFBRSxRQUFRLENBQUMsQ0FBQyxLQUFLLENBQUMsY0FBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3pFLE1BQU0sSUFBSSxHQUFvQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN2RyxPQUFPLE1BQUEsTUFBQSxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsS0FBSyxRQUFRLENBQUMsMENBQUUsRUFBRSxtQ0FBSSxRQUFRLENBQUM7QUFDNUYsQ0FBQztBQU5ELG9EQU1DO0FBRUQsU0FBZ0IsdUJBQXVCO0lBQ3JDLGdCQUFnQixHQUFHLEVBQUUsQ0FBQztBQUN4QixDQUFDO0FBRkQsMERBRUM7QUFNRCxTQUFnQixxQkFBcUIsQ0FBQyxHQUF3QixFQUFFLE9BQWUsRUFDekMsTUFBVyxFQUFFLEtBQWE7O0lBQzlELE1BQU0sS0FBSyxHQUFXLE1BQUEsTUFBTSxhQUFOLE1BQU0sdUJBQU4sTUFBTSxDQUFFLENBQUMsMENBQUUsRUFBRSxDQUFDO0lBQ3BDLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtRQUN2QixPQUFPLElBQUksQ0FBQztLQUNiO0lBQ0QsTUFBTSxVQUFVLEdBQUcsSUFBQSxxQkFBYSxFQUFDLE9BQU8sRUFBRSxLQUFLLENBQUMsQ0FBQztJQUNqRCxNQUFNLFlBQVksR0FBRyxNQUFBLGdCQUFnQixDQUFDLFVBQVUsQ0FBQyxtQ0FBSSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLENBQUM7SUFDcEcsZ0JBQWdCLENBQUMsVUFBVSxDQUFDLEdBQUcsWUFBWSxDQUFDO0lBQzVDLE1BQU0sTUFBTSxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUMzQyxNQUFNLFlBQVksR0FBRyxZQUFZLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssTUFBTSxDQUFDLEtBQUssU0FBUyxDQUFDO0lBQzlGLFlBQVksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDdEUsT0FBTyxDQUFDLE1BQU0sS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sS0FBSyxLQUFLLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQztBQUN2RSxDQUFDO0FBYkQsc0RBYUM7QUFJRCxTQUFnQixrQkFBa0IsQ0FBQyxJQUFZOztJQUM3QyxNQUFNLE1BQU0sR0FBdUQsRUFBRSxDQUFDO0lBQ3RFLElBQUksT0FBZSxDQUFDO0lBQ3BCLEtBQUssTUFBTSxJQUFJLElBQUksaUJBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1FBQ2xELE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUM1QixNQUFNLE9BQU8sR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQzVDLElBQUksT0FBTyxLQUFLLElBQUksRUFBRTtZQUNwQixPQUFPLEdBQUcsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3JCLFNBQVM7U0FDVjtRQUNELE1BQU0sR0FBRyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDakMsSUFBSSxDQUFDLE9BQU8sS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLEVBQUU7WUFDdEUsU0FBUztTQUNWO1FBQ0QsTUFBTSxHQUFHLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDekMsTUFBTSxNQUFNLEdBQUcsTUFBQSxNQUFBLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLElBQUksRUFBRSxDQUFDO1FBQ3JFLElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUN4QixTQUFTO1NBQ1Y7UUFDRCxNQUFNLENBQUMsT0FBTyxDQUFDLEdBQUcsTUFBQSxNQUFNLENBQUMsT0FBTyxDQUFDLG1DQUFJLEVBQUUsQ0FBQztRQUN4QyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQUEsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxtQ0FBSSxFQUFFLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQzNGO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQztBQXZCRCxnREF1QkM7QUFFRCxTQUFlLG9CQUFvQixDQUFDLEdBQXdCLEVBQ3hCLE9BQXVCOzs7UUFDekQsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sV0FBVyxHQUFHLHNCQUFTLENBQUMsa0JBQWtCLENBQUMsS0FBSyxFQUFFLGdCQUFPLENBQUMsQ0FBQztRQUNqRSxNQUFNLElBQUksR0FBb0MsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDdkcsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsS0FBSyxTQUFTLENBQUM7ZUFDakYsaUJBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsVUFBVSxFQUFFLEdBQUcsQ0FBQyxFQUFFLEVBQUUsU0FBUyxDQUFDLEVBQUUsS0FBSyxDQUFDO2VBQzdELENBQUMsR0FBRyxDQUFDLElBQUksS0FBSywwQkFBMEIsQ0FBQyxDQUFDLENBQUM7UUFDaEQsTUFBTSxhQUFhLEdBQW1CLEVBQUUsQ0FBQztRQUN6QyxLQUFLLE1BQU0sR0FBRyxJQUFJLE9BQU8sRUFBRTtZQUN6QixJQUFJLE9BQU8sR0FBRyxFQUFFLENBQUM7WUFDakIsSUFBSTtnQkFDRixPQUFPLEdBQUcsTUFBTSxJQUFBLGVBQVEsRUFBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxHQUFHLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDO2FBQ3hFO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSxrQ0FBa0MsRUFBRSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsRUFBRSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztnQkFDeEYsU0FBUzthQUNWO1lBQ0QsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLFdBQVc7bUJBQ3ZELENBQUMsY0FBSSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUMsV0FBVyxFQUFFLEtBQUssbUJBQW1CLENBQUMsQ0FBQyxDQUFDO1lBQzVFLEtBQUssTUFBTSxJQUFJLElBQUksU0FBUyxFQUFFO2dCQUM1QixJQUFJLFFBQVEsQ0FBQztnQkFDYixJQUFJO29CQUNGLFFBQVEsR0FBRyxrQkFBa0IsQ0FBQyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7aUJBQzVGO2dCQUFDLE9BQU8sR0FBRyxFQUFFO29CQUNaLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsK0JBQStCLEVBQUUsRUFBRSxRQUFRLEVBQUUsSUFBSSxDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7b0JBQzlGLFNBQVM7aUJBQ1Y7Z0JBQ0QsS0FBSyxNQUFNLE9BQU8sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFO29CQUMzQyxLQUFLLE1BQU0sR0FBRyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUU7d0JBQ2hELE1BQU0sVUFBVSxHQUFHLElBQUEscUJBQWEsRUFBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUM7d0JBQy9DLE1BQU0sWUFBWSxHQUFHLE1BQUEsYUFBYSxDQUFDLFVBQVUsQ0FBQyxtQ0FBSSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsQ0FBQzt3QkFDdEYsYUFBYSxDQUFDLFVBQVUsQ0FBQyxHQUFHLFlBQVksQ0FBQzt3QkFDekMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7cUJBQ3hGO2lCQUNGO2FBQ0Y7U0FDRjtRQUNELE9BQU8sYUFBYSxDQUFDOztDQUN0QjtBQUVELFNBQVMsV0FBVyxDQUFDLGFBQTZCLEVBQUUsSUFBNEI7SUFDOUUsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxVQUFVLEVBQUUsRUFBRTtRQUM3RCxNQUFNLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsR0FBRyxhQUFhLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDN0QsTUFBTSxNQUFNLEdBQUcsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQzFELE1BQU0sTUFBTSxHQUFHLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUMxRCxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEVBQUU7WUFDMUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztTQUM5RDtRQUNELE9BQU8sS0FBSyxDQUFDO0lBQ2YsQ0FBQyxFQUFFLEVBQXNCLENBQUMsQ0FBQztBQUM3QixDQUFDO0FBSUQsU0FBZ0IsY0FBYyxDQUFDLEdBQXdCLEVBQUUsT0FBZSxFQUFFLEdBQVcsRUFDdEQsS0FBYSxFQUFFLFNBQW1CO0lBQy9ELE1BQU0sTUFBTSxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFBLHFCQUFhLEVBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDNUQsT0FBTyxDQUFDLE1BQU0sS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sS0FBSyxLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0FBQ3BGLENBQUM7QUFKRCx3Q0FJQztBQUVELFNBQXNCLG9CQUFvQixDQUFDLEdBQXdCLEVBQUUsT0FBdUI7O1FBQzFGLE1BQU0sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxTQUFTLENBQUM7UUFDeEIsSUFBSSxnQkFBZ0MsQ0FBQztRQUNyQyxJQUFJO1lBQ0YsZ0JBQWdCLEdBQUcsTUFBTSxvQkFBb0IsQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUM7U0FDN0Q7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUNaLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsZ0NBQWdDLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDcEQsZ0JBQWdCLEdBQUcsRUFBRSxDQUFDO1NBQ3ZCO1FBQ0QsTUFBTSxTQUFTLEdBQUcsRUFBRSxDQUFDLE1BQU0sQ0FDekIsV0FBVyxDQUFDLGdCQUFnQixFQUFFLGVBQWUsQ0FBQyxFQUM5QyxXQUFXLENBQUMsZ0JBQWdCLEVBQUUsZUFBZSxDQUFDLENBQUMsQ0FBQztRQUNsRCxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFBLDJCQUFpQixFQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFFakQsTUFBTSxPQUFPLEdBQUcsVUFBVSxDQUFDLEdBQUcsRUFBRSxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDNUMsTUFBTSxVQUFVLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7UUFDcEYsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUMzQixHQUFHLENBQUMsbUJBQW1CLENBQUMsMEJBQTBCLENBQUMsQ0FBQztZQUNwRCxPQUFPO1NBQ1I7UUFDRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsRUFBRSxFQUFFLDBCQUEwQjtZQUM5QixJQUFJLEVBQUUsU0FBUztZQUNmLE9BQU8sRUFBRSxDQUFDLENBQUMsb0RBQW9ELEVBQzdELEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsS0FBSyxFQUFFLFVBQVUsQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUNuRCxhQUFhLEVBQUUsSUFBSTtZQUNuQixPQUFPLEVBQUU7Z0JBQ1A7b0JBQ0UsS0FBSyxFQUFFLFFBQVE7b0JBQ2YsTUFBTSxFQUFFLE9BQU8sQ0FBQyxFQUFFO3dCQUNoQixHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxvQkFBTyxDQUFDLGVBQWUsQ0FBQywrQkFBdUIsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO3dCQUM1RSxPQUFPLEVBQUUsQ0FBQztvQkFDWixDQUFDO2lCQUNGO2FBQ0Y7U0FDRixDQUFDLENBQUM7SUFDTCxDQUFDO0NBQUE7QUFwQ0Qsb0RBb0NDIiwic291cmNlc0NvbnRlbnQiOlsiLyogZXNsaW50LWRpc2FibGUgKi9cbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgYWN0aW9ucywgZnMsIGxvZywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBzZXRJbnB1dENvbmZsaWN0cyB9IGZyb20gJy4vYWN0aW9ucyc7XG5pbXBvcnQgeyBHQU1FX0lELCBJMThOX05BTUVTUEFDRSwgUEFSVF9TVUZGSVggfSBmcm9tICcuL2NvbW1vbic7XG5pbXBvcnQgeyBJSW5wdXRDb25mbGljdCwgSUlucHV0Q29udHJpYnV0aW9uIH0gZnJvbSAnLi90eXBlcyc7XG5pbXBvcnQgeyB3YWxrUGF0aCB9IGZyb20gJy4vdXRpbCc7XG5cbmV4cG9ydCBjb25zdCBJTlBVVF9DT05GTElDVFNfUEFHRV9JRCA9ICd3aXRjaGVyMy1pbnB1dC1jb25mbGljdHMnO1xuXG5jb25zdCBJTlBVVF9TRVRUSU5HU19QQVJUID0gJ2lucHV0LnNldHRpbmdzJyArIFBBUlRfU1VGRklYO1xuY29uc3QgQUNUSU9OX0VYUCA9IC9BY3Rpb249KFteLCldKykvaTtcblxuaW50ZXJmYWNlIElDb250cmlidXRpb25zIHtcbiAgW2NvbmZsaWN0SWQ6IHN0cmluZ106IHsgY29udGV4dDogc3RyaW5nLCBuYW1lOiBzdHJpbmcsIGVudHJpZXM6IElJbnB1dENvbnRyaWJ1dGlvbltdIH07XG59XG5cbi8vIFBvcHVsYXRlZCBieSB0aGUgaW5wdXQueG1sIG1lcmdlIHdoaWxlIGRlcGxveWluZywgdHJhY2tzIHdoaWNoIG1vZCBjb250cmlidXRlZFxuLy8gIGVhY2ggb2YgdGhlIG1lcmdlZCBWYXJzLlxubGV0IHZhckNvbnRyaWJ1dGlvbnM6IElDb250cmlidXRpb25zID0ge307XG5cbmV4cG9ydCBjb25zdCB2YXJDb25mbGljdElkID0gKGdyb3VwSWQ6IHN0cmluZywgdmFySWQ6IHN0cmluZykgPT5cbiAgYHZhcjoke2dyb3VwSWR9OiR7dmFySWR9YC50b0xvd2VyQ2FzZSgpO1xuXG5leHBvcnQgY29uc3Qga2V5Q29uZmxpY3RJZCA9IChjb250ZXh0OiBzdHJpbmcsIGtleTogc3RyaW5nKSA9PlxuICBga2V5OiR7Y29udGV4dH06JHtrZXl9YC50b0xvd2VyQ2FzZSgpO1xuXG4vLyBDb25mbGljdHMgZGVwZW5kIG9uIHRoZSBtb2RzIGVuYWJsZWQgaW4gYSBwcm9maWxlLCBzbyBkbyB0aGUgY2hvaWNlcyB0aGUgdXNlciBtYWRlXG5mdW5jdGlvbiBnZXRXaW5uZXJzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgcHJvZmlsZUlkPzogc3RyaW5nKTogeyBbY29uZmxpY3RJZDogc3RyaW5nXTogc3RyaW5nIH0ge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICByZXR1cm4gdXRpbC5nZXRTYWZlKHN0YXRlLFxuICAgIFsnc2V0dGluZ3MnLCAnd2l0Y2hlcjMnLCAnaW5wdXRDb25mbGljdFdpbm5lcnMnLCBwcm9maWxlSWQgPz8gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpPy5pZF0sIHt9KTtcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIG1vZElkRnJvbVN0YWdpbmdQYXRoKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgZmlsZVBhdGg6IHN0cmluZyk6IHN0cmluZyB7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHN0YWdpbmdQYXRoID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XG4gIGNvbnN0IGluc3RQYXRoID0gcGF0aC5yZWxhdGl2ZShzdGFnaW5nUGF0aCwgZmlsZVBhdGgpLnNwbGl0KHBhdGguc2VwKVswXTtcbiAgY29uc3QgbW9kczogeyBbbW9kSWQ6IHN0cmluZ106IHR5cGVzLklNb2QgfSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xuICByZXR1cm4gT2JqZWN0LnZhbHVlcyhtb2RzKS5maW5kKG1vZCA9PiBtb2QuaW5zdGFsbGF0aW9uUGF0aCA9PT0gaW5zdFBhdGgpPy5pZCA/PyBpbnN0UGF0aDtcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIHJlc2V0SW5wdXRDb250cmlidXRpb25zKCkge1xuICB2YXJDb250cmlidXRpb25zID0ge307XG59XG5cbi8vIFJlY29yZHMgYSBWYXIgbWVyZ2VkIGludG8gaW5wdXQueG1sIGJ5IHRoZSBzcGVjaWZpZWQgbW9kLiBSZXR1cm5zIHdoZXRoZXIgdGhlXG4vLyAgbW9kJ3MgVmFyIHNob3VsZCByZXBsYWNlIHRoZSBvbmUgdGhhdCBpcyBjdXJyZW50bHkgcGFydCBvZiB0aGUgbWVyZ2VkIGZpbGUsXG4vLyAgd2hpY2ggaXMgYWx3YXlzIHRoZSBjYXNlIHVubGVzcyB0aGUgdXNlciBwaWNrZWQgYSBkaWZmZXJlbnQgbW9kIGFzIHdpbm5lclxuLy8gIGFuZCB0aGF0IG1vZCdzIFZhciBoYXMgYWxyZWFkeSBiZWVuIG1lcmdlZC5cbmV4cG9ydCBmdW5jdGlvbiByZWNvcmRWYXJDb250cmlidXRpb24oYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBncm91cElkOiBzdHJpbmcsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG1vZFZhcjogYW55LCBtb2RJZDogc3RyaW5nKTogYm9vbGVhbiB7XG4gIGNvbnN0IHZhcklkOiBzdHJpbmcgPSBtb2RWYXI/LiQ/LmlkO1xuICBpZiAodmFySWQgPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybiB0cnVlO1xuICB9XG4gIGNvbnN0IGNvbmZsaWN0SWQgPSB2YXJDb25mbGljdElkKGdyb3VwSWQsIHZhcklkKTtcbiAgY29uc3QgY29udHJpYnV0aW9uID0gdmFyQ29udHJpYnV0aW9uc1tjb25mbGljdElkXSA/PyB7IGNvbnRleHQ6IGdyb3VwSWQsIG5hbWU6IHZhcklkLCBlbnRyaWVzOiBbXSB9O1xuICB2YXJDb250cmlidXRpb25zW2NvbmZsaWN0SWRdID0gY29udHJpYnV0aW9uO1xuICBjb25zdCB3aW5uZXIgPSBnZXRXaW5uZXJzKGFwaSlbY29uZmxpY3RJZF07XG4gIGNvbnN0IHdpbm5lck1lcmdlZCA9IGNvbnRyaWJ1dGlvbi5lbnRyaWVzLmZpbmQoZW50cnkgPT4gZW50cnkubW9kSWQgPT09IHdpbm5lcikgIT09IHVuZGVmaW5lZDtcbiAgY29udHJpYnV0aW9uLmVudHJpZXMucHVzaCh7IG1vZElkLCB2YWx1ZTogSlNPTi5zdHJpbmdpZnkobW9kVmFyLiQpIH0pO1xuICByZXR1cm4gKHdpbm5lciA9PT0gdW5kZWZpbmVkKSB8fCAod2lubmVyID09PSBtb2RJZCkgfHwgIXdpbm5lck1lcmdlZDtcbn1cblxuLy8gTWluaW1hbCBpbnB1dC5zZXR0aW5ncyBwYXJzZXIsIHJldHVybnMgdGhlIGFjdGlvbnMgYm91bmQgdG8gZWFjaCBrZXkga2V5ZWQgYnlcbi8vICB0aGVpciBjb250ZXh0IChcIltFeHBsb3JhdGlvbl1cIiBldGMpLlxuZXhwb3J0IGZ1bmN0aW9uIHBhcnNlSW5wdXRTZXR0aW5ncyhkYXRhOiBzdHJpbmcpOiB7IFtjb250ZXh0OiBzdHJpbmddOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZ1tdIH0gfSB7XG4gIGNvbnN0IHJlc3VsdDogeyBbY29udGV4dDogc3RyaW5nXTogeyBba2V5OiBzdHJpbmddOiBzdHJpbmdbXSB9IH0gPSB7fTtcbiAgbGV0IGNvbnRleHQ6IHN0cmluZztcbiAgZm9yIChjb25zdCBsaW5lIG9mIHV0aWwuZGVCT00oZGF0YSkuc3BsaXQoL1xccj9cXG4vKSkge1xuICAgIGNvbnN0IHRyaW1tZWQgPSBsaW5lLnRyaW0oKTtcbiAgICBjb25zdCBzZWN0aW9uID0gdHJpbW1lZC5tYXRjaCgvXlxcWyguKylcXF0kLyk7XG4gICAgaWYgKHNlY3Rpb24gIT09IG51bGwpIHtcbiAgICAgIGNvbnRleHQgPSBzZWN0aW9uWzFdO1xuICAgICAgY29udGludWU7XG4gICAgfVxuICAgIGNvbnN0IHNlcCA9IHRyaW1tZWQuaW5kZXhPZignPScpO1xuICAgIGlmICgoY29udGV4dCA9PT0gdW5kZWZpbmVkKSB8fCAoc2VwID09PSAtMSkgfHwgdHJpbW1lZC5zdGFydHNXaXRoKCc7JykpIHtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cbiAgICBjb25zdCBrZXkgPSB0cmltbWVkLnNsaWNlKDAsIHNlcCkudHJpbSgpO1xuICAgIGNvbnN0IGFjdGlvbiA9IHRyaW1tZWQuc2xpY2Uoc2VwICsgMSkubWF0Y2goQUNUSU9OX0VYUCk/LlsxXT8udHJpbSgpO1xuICAgIGlmIChhY3Rpb24gPT09IHVuZGVmaW5lZCkge1xuICAgICAgY29udGludWU7XG4gICAgfVxuICAgIHJlc3VsdFtjb250ZXh0XSA9IHJlc3VsdFtjb250ZXh0XSA/PyB7fTtcbiAgICByZXN1bHRbY29udGV4dF1ba2V5XSA9IEFycmF5LmZyb20obmV3IFNldChbXS5jb25jYXQocmVzdWx0W2NvbnRleHRdW2tleV0gPz8gW10sIGFjdGlvbikpKTtcbiAgfVxuICByZXR1cm4gcmVzdWx0O1xufVxuXG5hc3luYyBmdW5jdGlvbiBmaW5kS2V5Q29udHJpYnV0aW9ucyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZSk6IFByb21pc2U8SUNvbnRyaWJ1dGlvbnM+IHtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgY29uc3Qgc3RhZ2luZ1BhdGggPSBzZWxlY3RvcnMuaW5zdGFsbFBhdGhGb3JHYW1lKHN0YXRlLCBHQU1FX0lEKTtcbiAgY29uc3QgbW9kczogeyBbbW9kSWQ6IHN0cmluZ106IHR5cGVzLklNb2QgfSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xuICBjb25zdCBlbmFibGVkID0gT2JqZWN0LnZhbHVlcyhtb2RzKS5maWx0ZXIobW9kID0+IChtb2QuaW5zdGFsbGF0aW9uUGF0aCAhPT0gdW5kZWZpbmVkKVxuICAgICYmIHV0aWwuZ2V0U2FmZShwcm9maWxlLCBbJ21vZFN0YXRlJywgbW9kLmlkLCAnZW5hYmxlZCddLCBmYWxzZSlcbiAgICAmJiAobW9kLnR5cGUgIT09ICd3aXRjaGVyM21lbnVtb2Rkb2N1bWVudHMnKSk7XG4gIGNvbnN0IGNvbnRyaWJ1dGlvbnM6IElDb250cmlidXRpb25zID0ge307XG4gIGZvciAoY29uc3QgbW9kIG9mIGVuYWJsZWQpIHtcbiAgICBsZXQgZW50cmllcyA9IFtdO1xuICAgIHRyeSB7XG4gICAgICBlbnRyaWVzID0gYXdhaXQgd2Fsa1BhdGgocGF0aC5qb2luKHN0YWdpbmdQYXRoLCBtb2QuaW5zdGFsbGF0aW9uUGF0aCkpO1xuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgbG9nKCdkZWJ1ZycsICdmYWlsZWQgdG8gbG9vayB1cCBpbnB1dCBzZXR0aW5ncycsIHsgbW9kSWQ6IG1vZC5pZCwgZXJyb3I6IGVyci5tZXNzYWdlIH0pO1xuICAgICAgY29udGludWU7XG4gICAgfVxuICAgIGNvbnN0IHBhcnRGaWxlcyA9IGVudHJpZXMuZmlsdGVyKGVudHJ5ID0+ICFlbnRyeS5pc0RpcmVjdG9yeVxuICAgICAgJiYgKHBhdGguYmFzZW5hbWUoZW50cnkuZmlsZVBhdGgpLnRvTG93ZXJDYXNlKCkgPT09IElOUFVUX1NFVFRJTkdTX1BBUlQpKTtcbiAgICBmb3IgKGNvbnN0IGZpbGUgb2YgcGFydEZpbGVzKSB7XG4gICAgICBsZXQgYmluZGluZ3M7XG4gICAgICB0cnkge1xuICAgICAgICBiaW5kaW5ncyA9IHBhcnNlSW5wdXRTZXR0aW5ncyhhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKGZpbGUuZmlsZVBhdGgsIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KSk7XG4gICAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgICAgbG9nKCd3YXJuJywgJ2ZhaWxlZCB0byByZWFkIGlucHV0IHNldHRpbmdzJywgeyBmaWxlUGF0aDogZmlsZS5maWxlUGF0aCwgZXJyb3I6IGVyci5tZXNzYWdlIH0pO1xuICAgICAgICBjb250aW51ZTtcbiAgICAgIH1cbiAgICAgIGZvciAoY29uc3QgY29udGV4dCBvZiBPYmplY3Qua2V5cyhiaW5kaW5ncykpIHtcbiAgICAgICAgZm9yIChjb25zdCBrZXkgb2YgT2JqZWN0LmtleXMoYmluZGluZ3NbY29udGV4dF0pKSB7XG4gICAgICAgICAgY29uc3QgY29uZmxpY3RJZCA9IGtleUNvbmZsaWN0SWQoY29udGV4dCwga2V5KTtcbiAgICAgICAgICBjb25zdCBjb250cmlidXRpb24gPSBjb250cmlidXRpb25zW2NvbmZsaWN0SWRdID8/IHsgY29udGV4dCwgbmFtZToga2V5LCBlbnRyaWVzOiBbXSB9O1xuICAgICAgICAgIGNvbnRyaWJ1dGlvbnNbY29uZmxpY3RJZF0gPSBjb250cmlidXRpb247XG4gICAgICAgICAgY29udHJpYnV0aW9uLmVudHJpZXMucHVzaCh7IG1vZElkOiBtb2QuaWQsIHZhbHVlOiBiaW5kaW5nc1tjb250ZXh0XVtrZXldLmpvaW4oJywgJykgfSk7XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICB9XG4gIH1cbiAgcmV0dXJuIGNvbnRyaWJ1dGlvbnM7XG59XG5cbmZ1bmN0aW9uIHRvQ29uZmxpY3RzKGNvbnRyaWJ1dGlvbnM6IElDb250cmlidXRpb25zLCB0eXBlOiBJSW5wdXRDb25mbGljdFsndHlwZSddKTogSUlucHV0Q29uZmxpY3RbXSB7XG4gIHJldHVybiBPYmplY3Qua2V5cyhjb250cmlidXRpb25zKS5yZWR1Y2UoKGFjY3VtLCBjb25mbGljdElkKSA9PiB7XG4gICAgY29uc3QgeyBjb250ZXh0LCBuYW1lLCBlbnRyaWVzIH0gPSBjb250cmlidXRpb25zW2NvbmZsaWN0SWRdO1xuICAgIGNvbnN0IG1vZElkcyA9IG5ldyBTZXQoZW50cmllcy5tYXAoZW50cnkgPT4gZW50cnkubW9kSWQpKTtcbiAgICBjb25zdCB2YWx1ZXMgPSBuZXcgU2V0KGVudHJpZXMubWFwKGVudHJ5ID0+IGVudHJ5LnZhbHVlKSk7XG4gICAgaWYgKChtb2RJZHMuc2l6ZSA+IDEpICYmICh2YWx1ZXMuc2l6ZSA+IDEpKSB7XG4gICAgICBhY2N1bS5wdXNoKHsgaWQ6IGNvbmZsaWN0SWQsIHR5cGUsIGNvbnRleHQsIG5hbWUsIGVudHJpZXMgfSk7XG4gICAgfVxuICAgIHJldHVybiBhY2N1bTtcbiAgfSwgW10gYXMgSUlucHV0Q29uZmxpY3RbXSk7XG59XG5cbi8vIFdoZXRoZXIgdGhlIGdpdmVuIG1vZCdzIGJpbmRpbmcgb2YgdGhlIGtleSBzaG91bGQgYmUgaWdub3JlZCBiZWNhdXNlIHRoZVxuLy8gIHVzZXIgcGlja2VkIGFub3RoZXIgbW9kIHRoYXQgYmluZHMgdGhlIHNhbWUga2V5IGFzIHRoZSB3aW5uZXIuXG5leHBvcnQgZnVuY3Rpb24gaXNLZXlPdmVycnVsZWQoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBjb250ZXh0OiBzdHJpbmcsIGtleTogc3RyaW5nLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG1vZElkOiBzdHJpbmcsIHByb3ZpZGVyczogc3RyaW5nW10pOiBib29sZWFuIHtcbiAgY29uc3Qgd2lubmVyID0gZ2V0V2lubmVycyhhcGkpW2tleUNvbmZsaWN0SWQoY29udGV4dCwga2V5KV07XG4gIHJldHVybiAod2lubmVyICE9PSB1bmRlZmluZWQpICYmICh3aW5uZXIgIT09IG1vZElkKSAmJiBwcm92aWRlcnMuaW5jbHVkZXMod2lubmVyKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHVwZGF0ZUlucHV0Q29uZmxpY3RzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSwgcHJvZmlsZTogdHlwZXMuSVByb2ZpbGUpIHtcbiAgY29uc3QgdCA9IGFwaS50cmFuc2xhdGU7XG4gIGxldCBrZXlDb250cmlidXRpb25zOiBJQ29udHJpYnV0aW9ucztcbiAgdHJ5IHtcbiAgICBrZXlDb250cmlidXRpb25zID0gYXdhaXQgZmluZEtleUNvbnRyaWJ1dGlvbnMoYXBpLCBwcm9maWxlKTtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgbG9nKCdlcnJvcicsICdmYWlsZWQgdG8gYW5hbHl6ZSBrZXkgYmluZGluZ3MnLCBlcnIpO1xuICAgIGtleUNvbnRyaWJ1dGlvbnMgPSB7fTtcbiAgfVxuICBjb25zdCBjb25mbGljdHMgPSBbXS5jb25jYXQoXG4gICAgdG9Db25mbGljdHModmFyQ29udHJpYnV0aW9ucywgJ2R1cGxpY2F0ZS12YXInKSxcbiAgICB0b0NvbmZsaWN0cyhrZXlDb250cmlidXRpb25zLCAna2V5LWNvbGxpc2lvbicpKTtcbiAgYXBpLnN0b3JlLmRpc3BhdGNoKHNldElucHV0Q29uZmxpY3RzKGNvbmZsaWN0cykpO1xuXG4gIGNvbnN0IHdpbm5lcnMgPSBnZXRXaW5uZXJzKGFwaSwgcHJvZmlsZS5pZCk7XG4gIGNvbnN0IHVucmVzb2x2ZWQgPSBjb25mbGljdHMuZmlsdGVyKGNvbmZsaWN0ID0+IHdpbm5lcnNbY29uZmxpY3QuaWRdID09PSB1bmRlZmluZWQpO1xuICBpZiAodW5yZXNvbHZlZC5sZW5ndGggPT09IDApIHtcbiAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbignd2l0Y2hlcjMtaW5wdXQtY29uZmxpY3RzJyk7XG4gICAgcmV0dXJuO1xuICB9XG4gIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICBpZDogJ3dpdGNoZXIzLWlucHV0LWNvbmZsaWN0cycsXG4gICAgdHlwZTogJ3dhcm5pbmcnLFxuICAgIG1lc3NhZ2U6IHQoJ3t7Y291bnR9fSBrZXliaW5kaW5nIGNvbmZsaWN0KHMpIGJldHdlZW4geW91ciBtb2RzJyxcbiAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFLCBjb3VudDogdW5yZXNvbHZlZC5sZW5ndGggfSksXG4gICAgYWxsb3dTdXBwcmVzczogdHJ1ZSxcbiAgICBhY3Rpb25zOiBbXG4gICAgICB7XG4gICAgICAgIHRpdGxlOiAnUmV2aWV3JyxcbiAgICAgICAgYWN0aW9uOiBkaXNtaXNzID0+IHtcbiAgICAgICAgICBhcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5zZXRPcGVuTWFpblBhZ2UoSU5QVVRfQ09ORkxJQ1RTX1BBR0VfSUQsIGZhbHNlKSk7XG4gICAgICAgICAgZGlzbWlzcygpO1xuICAgICAgICB9LFxuICAgICAgfSxcbiAgICBdLFxuICB9KTtcbn1cbiJdfQ==
\ No newline at end of file
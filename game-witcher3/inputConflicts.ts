@@ -0,0 +1,190 @@
+/* eslint-disable */
+import path from 'path';
+import { actions, fs, log, selectors, types, util } from 'vortex-api';
+
+import { setInputConflicts } from './actions';
+import { GAME_ID, I18N_NAMESPACE, PART_SUFFIX } from './common';
+import { IInputConflict, IInputContribution } from './types';
+import { walkPath } from './util';
+
+export const INPUT_CONFLICTS_PAGE_ID = 'witcher3-input-conflicts';
+
+const INPUT_SETTINGS_PART = 'input.settings' + PART_SUFFIX;
+const ACTION_EXP = /Action=([^,)]+)/i;
+
+interface IContributions {
+  [conflictId: string]: { context: string, name: string, entries: IInputContribution[] };
+}
+
+// Populated by the input.xml merge while deploying, tracks which mod contributed
+//  each of the merged Vars.
+let varContributions: IContributions = {};
+
+export const varConflictId = (groupId: string, varId: string) =>
+  `var:${groupId}:${varId}`.toLowerCase();
+
+export const keyConflictId = (context: string, key: string) =>
+  `key:${context}:${key}`.toLowerCase();
+
+// Conflicts depend on the mods enabled in a profile, so do the choices the user made
+function getWinners(api: types.IExtensionApi, profileId?: string): { [conflictId: string]: string } {
+  const state = api.getState();
+  return util.getSafe(state,
+    ['settings', 'witcher3', 'inputConflictWinners', profileId ?? selectors.activeProfile(state)?.id], {});
+}
+
+export function modIdFromStagingPath(api: types.IExtensionApi, filePath: string): string {
+  const state = api.getState();
+  const stagingPath = selectors.installPathForGame(state, GAME_ID);
+  const instPath = path.relative(stagingPath, filePath).split(path.sep)[0];
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  return Object.values(mods).find(mod => mod.installationPath === instPath)?.id ?? instPath;
+}
+
+export function resetInputContributions() {
+  varContributions = {};
+}
+
+// Records a Var merged into input.xml by the specified mod. Returns whether the
+//  mod's Var should replace the one that is currently part of the merged file,
+//  which is always the case unless the user picked a different mod as winner
+//  and that mod's Var has already been merged.
+export function recordVarContribution(api: types.IExtensionApi, groupId: string,
+                                      modVar: any, modId: string): boolean {
+  const varId: string = modVar?.$?.id;
+  if (varId === undefined) {
+    return true;
+  }
+  const conflictId = varConflictId(groupId, varId);
+  const contribution = varContributions[conflictId] ?? { context: groupId, name: varId, entries: [] };
+  varContributions[conflictId] = contribution;
+  const winner = getWinners(api)[conflictId];
+  const winnerMerged = contribution.entries.find(entry => entry.modId === winner) !== undefined;
+  contribution.entries.push({ modId, value: JSON.stringify(modVar.$) });
+  return (winner === undefined) || (winner === modId) || !winnerMerged;
+}
+
+// Minimal input.settings parser, returns the actions bound to each key keyed by
+//  their context ("[Exploration]" etc).
+export function parseInputSettings(data: string): { [context: string]: { [key: string]: string[] } } {
+  const result: { [context: string]: { [key: string]: string[] } } = {};
+  let context: string;
+  for (const line of util.deBOM(data).split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const section = trimmed.match(/^\[(.+)\]$/);
+    if (section !== null) {
+      context = section[1];
+      continue;
+    }
+    const sep = trimmed.indexOf('=');
+    if ((context === undefined) || (sep === -1) || trimmed.startsWith(';')) {
+      continue;
+    }
+    const key = trimmed.slice(0, sep).trim();
+    const action = trimmed.slice(sep + 1).match(ACTION_EXP)?.[1]?.trim();
+    if (action === undefined) {
+      continue;
+    }
+    result[context] = result[context] ?? {};
+    result[context][key] = Array.from(new Set([].concat(result[context][key] ?? [], action)));
+  }
+  return result;
+}
+
+async function findKeyContributions(api: types.IExtensionApi,
+                                    profile: types.IProfile): Promise<IContributions> {
+  const state = api.getState();
+  const stagingPath = selectors.installPathForGame(state, GAME_ID);
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const enabled = Object.values(mods).filter(mod => (mod.installationPath !== undefined)
+    && util.getSafe(profile, ['modState', mod.id, 'enabled'], false)
+    && (mod.type !== 'witcher3menumoddocuments'));
+  const contributions: IContributions = {};
+  for (const mod of enabled) {
+    let entries = [];
+    try {
+      entries = await walkPath(path.join(stagingPath, mod.installationPath));
+    } catch (err) {
+      log('debug', 'failed to look up input settings', { modId: mod.id, error: err.message });
+      continue;
+    }
+    const partFiles = entries.filter(entry => !entry.isDirectory
+      && (path.basename(entry.filePath).toLowerCase() === INPUT_SETTINGS_PART));
+    for (const file of partFiles) {
+      let bindings;
+      try {
+        bindings = parseInputSettings(await fs.readFileAsync(file.filePath, { encoding: 'utf8' }));
+      } catch (err) {
+        log('warn', 'failed to read input settings', { filePath: file.filePath, error: err.message });
+        continue;
+      }
+      for (const context of Object.keys(bindings)) {
+        for (const key of Object.keys(bindings[context])) {
+          const conflictId = keyConflictId(context, key);
+          const contribution = contributions[conflictId] ?? { context, name: key, entries: [] };
+          contributions[conflictId] = contribution;
+          contribution.entries.push({ modId: mod.id, value: bindings[context][key].join(', ') });
+        }
+      }
+    }
+  }
+  return contributions;
+}
+
+function toConflicts(contributions: IContributions, type: IInputConflict['type']): IInputConflict[] {
+  return Object.keys(contributions).reduce((accum, conflictId) => {
+    const { context, name, entries } = contributions[conflictId];
+    const modIds = new Set(entries.map(entry => entry.modId));
+    const values = new Set(entries.map(entry => entry.value));
+    if ((modIds.size > 1) && (values.size > 1)) {
+      accum.push({ id: conflictId, type, context, name, entries });
+    }
+    return accum;
+  }, [] as IInputConflict[]);
+}
+
+// Whether the given mod's binding of the key should be ignored because the
+//  user picked another mod that binds the same key as the winner.
+export function isKeyOverruled(api: types.IExtensionApi, context: string, key: string,
+                               modId: string, providers: string[]): boolean {
+  const winner = getWinners(api)[keyConflictId(context, key)];
+  return (winner !== undefined) && (winner !== modId) && providers.includes(winner);
+}
+
+export async function updateInputConflicts(api: types.IExtensionApi, profile: types.IProfile) {
+  const t = api.translate;
+  let keyContributions: IContributions;
+  try {
+    keyContributions = await findKeyContributions(api, profile);
+  } catch (err) {
+    log('error', 'failed to analyze key bindings', err);
+    keyContributions = {};
+  }
+  const conflicts = [].concat(
+    toConflicts(varContributions, 'duplicate-var'),
+    toConflicts(keyContributions, 'key-collision'));
+  api.store.dispatch(setInputConflicts(conflicts));
+
+  const winners = getWinners(api, profile.id);
+  const unresolved = conflicts.filter(conflict => winners[conflict.id] === undefined);
+  if (unresolved.length === 0) {
+    api.dismissNotification('witcher3-input-conflicts');
+    return;
+  }
+  api.sendNotification({
+    id: 'witcher3-input-conflicts',
+    type: 'warning',
+    message: t('{{count}} keybinding conflict(s) between your mods',
+      { ns: I18N_NAMESPACE, count: unresolved.length }),
+    allowSuppress: true,
+    actions: [
+      {
+        title: 'Review',
+        action: dismiss => {
+          api.store.dispatch(actions.setOpenMainPage(INPUT_CONFLICTS_PAGE_ID, false));
+          dismiss();
+        },
+      },
+    ],
+  });
+}
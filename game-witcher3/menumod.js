@@ -11,6 +11,8 @@ const { prepareFileData, restoreFileData } = require('./collections/util');
 
 const { getDeployment } = require('./util');
 
+const { isKeyOverruled } = require('./inputConflicts');
+
 const { GAME_ID, INPUT_XML_FILENAME, PART_SUFFIX } = require('./common');
 
 // most of these are invalid on windows only but it's not worth the effort allowing them elsewhere
@@ -38,6 +40,21 @@ const CACHE_FILENAME = 'vortex_menumod.cache'
     },
   ]
 */
+
+// Values the user changed using the menu settings editor. These are kept
+//  separate from the cache (and the mods' own files) so that a mod update
+//  doesn't wipe them, and inside the menu mod so they're profile specific
+//  and get included when the menu mod is exported to a collection.
+const OVERRIDES_FILENAME = 'vortex_menumod.overrides';
+/* Overrides format:
+  {
+    $modId: {
+      'input.settings': {
+        $section: { $key: 'value' },
+      },
+    },
+  }
+*/
 async function getExistingCache(state, activeProfile) {
   const stagingFolder = selectors.installPathForGame(state, GAME_ID);
   const modName = menuMod(activeProfile.name);
@@ -60,6 +77,82 @@ async function getExistingCache(state, activeProfile) {
   }
 }
 
+function getMenuModPath(state, profile) {
+  const mod = util.getSafe(state,
+    ['persistent', 'mods', GAME_ID, menuMod(profile.name)], undefined);
+  if (mod?.installationPath === undefined) {
+    return undefined;
+  }
+  const stagingFolder = selectors.installPathForGame(state, GAME_ID);
+  return path.join(stagingFolder, mod.installationPath);
+}
+
+async function readOverrides(api, profile) {
+  const modPath = getMenuModPath(api.getState(), profile);
+  if (modPath === undefined) {
+    return {};
+  }
+  try {
+    const data = await fs.readFileAsync(path.join(modPath, OVERRIDES_FILENAME), { encoding: 'utf8' });
+    return JSON.parse(data);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log('warn', 'W3: failed to read/parse menu mod overrides', err.message);
+    }
+    return {};
+  }
+}
+
+function pruneOverrides(overrides) {
+  // Remove any levels that no longer contain values.
+  return Object.keys(overrides).reduce((accum, modId) => {
+    Object.keys(overrides[modId]).forEach(fileKey => {
+      Object.keys(overrides[modId][fileKey]).forEach(section => {
+        const entries = overrides[modId][fileKey][section];
+        if (Object.keys(entries).length > 0) {
+          accum = util.setSafe(accum, [modId, fileKey, section], entries);
+        }
+      });
+    });
+    return accum;
+  }, {});
+}
+
+async function writeOverrides(api, profile, overrides) {
+  const modPath = getMenuModPath(api.getState(), profile);
+  if (modPath === undefined) {
+    return Promise.reject(new util.ProcessCanceled('Menu mod is missing - please deploy your mods first'));
+  }
+  return util.writeFileAtomic(path.join(modPath, OVERRIDES_FILENAME),
+    JSON.stringify(pruneOverrides(overrides)));
+}
+
+// Returns the menu settings contributed by each mod as they're stored
+//  in the cache, i.e. without the user's overrides applied.
+//  { $modId: { $fileKey: { $section: { $key: 'value' } } } }
+async function getMenuModSettings(api, profile) {
+  const state = api.getState();
+  const modPath = getMenuModPath(state, profile);
+  const currentCache = await getExistingCache(state, profile);
+  if ((modPath === undefined) || (currentCache.length === 0)) {
+    return {};
+  }
+  return Promise.reduce(currentCache, async (accum, entry) => {
+    const fileKey = toFileMapKey(entry.filepath);
+    try {
+      const iniData = await toIniFileObject(entry.data, path.join(modPath, fileKey) + generate());
+      Object.keys(iniData.data).forEach(section => {
+        const existing = util.getSafe(accum, [entry.id, fileKey, section], {});
+        accum = util.setSafe(accum, [entry.id, fileKey, section],
+          { ...existing, ...iniData.data[section] });
+      });
+    } catch (err) {
+      log('warn', 'W3: failed to parse cached menu settings', { modId: entry.id, error: err.message });
+    }
+    return accum;
+  }, {});
+}
+
 function toFileMapKey(filePath) {
   return path.basename(filePath)
              .toLowerCase()
@@ -202,6 +295,9 @@ async function onWillDeploy(api, deployment, activeProfile) {
     return;
   }
 
+  const overrides = await readOverrides(api, activeProfile);
+  let overridesChanged = false;
+
   const keys = Object.keys(fileMap);
   const matcher = (entry) => keys.includes(toFileMapKey(entry.relPath));
   const newCache = await Promise.reduce(keys, async (accum, key) => {
@@ -217,7 +313,23 @@ async function onWillDeploy(api, deployment, activeProfile) {
             if ((mergedData.data[modKey] !== undefined)
               && (modData.data[modKey] !== undefined)
               && (mergedData.data[modKey] !== modData.data[modKey])) {
-                modData.data[modKey] = mergedData.data[modKey];
+                const section = { ...mergedData.data[modKey] };
+                // In-game changes to values the user overrode update the override
+                //  instead, the mod's own value stays as it is.
+                const sectionOverrides = overrides[iter.id]?.[key]?.[modKey] ?? {};
+                Object.keys(sectionOverrides).forEach(entryKey => {
+                  if ((section[entryKey] !== undefined)
+                    && (section[entryKey] !== sectionOverrides[entryKey])) {
+                    sectionOverrides[entryKey] = section[entryKey];
+                    overridesChanged = true;
+                  }
+                  if (modData.data[modKey][entryKey] !== undefined) {
+                    section[entryKey] = modData.data[modKey][entryKey];
+                  } else {
+                    delete section[entryKey];
+                  }
+                });
+                modData.data[modKey] = section;
                 changed = true;
             }
           }).then(async () => {
@@ -239,6 +351,10 @@ async function onWillDeploy(api, deployment, activeProfile) {
     return Promise.resolve(accum);
   }, []);
 
+  if (overridesChanged) {
+    await writeOverrides(api, activeProfile, overrides);
+  }
+
   return fs.writeFileAsync(path.join(destinationFolder, CACHE_FILENAME), JSON.stringify(newCache));
 }
 
@@ -416,6 +532,7 @@ async function writeCacheToFiles(api, profile) {
     return;
   }
 
+  const overrides = await readOverrides(api, profile);
   const copyIniFile = (source, dest) => fs.copyAsync(source, dest)
     .then(() => Promise.resolve(dest)).catch(err => Promise.resolve(undefined))
   const keys = Object.keys(fileMap);
@@ -434,22 +551,33 @@ async function writeCacheToFiles(api, profile) {
         return Promise.resolve();
       }
       const initialData = await parser.read(path.join(destinationFolder, key));
-      return Promise.each(fileMap[key], async modEntry => {
+      const modDataEntries = await Promise.map(fileMap[key], async modEntry => {
         const tempFilePath = path.join(destinationFolder, key) + generate();
         const modData = await toIniFileObject(modEntry.data, tempFilePath);
+        return { id: modEntry.id, modData };
+      }, { concurrency: 1 });
+      // Keybinding conflicts are resolved in favour of the mod the user picked (if any)
+      const providers = (modKey, entryKey) => modDataEntries
+        .filter(entry => entry.modData.data[modKey]?.[entryKey] !== undefined)
+        .map(entry => entry.id);
+      const isOverruled = (modKey, entryKey, modId) => (key === INPUT_SETTINGS_FILENAME)
+        && isKeyOverruled(api, modKey, entryKey, modId, providers(modKey, entryKey));
+      return Promise.each(modDataEntries, async ({ id, modData }) => {
         const modKeys = Object.keys(modData.data);
         // The cache must be in file format - copy all ini files diffs from inside
         // their mod directories into the menumod in staging and read/write to them
         // directly in there!
         return Promise.each(modKeys, modKey => {
           if (initialData.data[modKey] === undefined) {
-            initialData.data[modKey] = modData.data[modKey];
-          } else {
-            const modEntries = Object.entries(modData.data[modKey]);
-            modEntries.forEach(kvp => {
-              initialData.data[modKey][kvp[0]] = kvp[1];
-            });
+            initialData.data[modKey] = {};
           }
+          const modEntries = Object.entries(modData.data[modKey]);
+          modEntries.forEach(kvp => {
+            if (!isOverruled(modKey, kvp[0], id)) {
+              initialData.data[modKey][kvp[0]] =
+                overrides[id]?.[key]?.[modKey]?.[kvp[0]] ?? kvp[1];
+            }
+          });
         })
       })
       .then(() => parser.write(path.join(destinationFolder, key), initialData));
@@ -546,4 +674,7 @@ module.exports = {
   onWillDeploy: onWillDeploy,
   exportMenuMod: exportMenuMod,
   importMenuMod: importMenuMod,
+  getMenuModSettings: getMenuModSettings,
+  readOverrides: readOverrides,
+  writeOverrides: writeOverrides,
 };
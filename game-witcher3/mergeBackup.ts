@@ -5,7 +5,7 @@ import turbowalk from 'turbowalk';
 import { fs, log, selectors, types, util } from 'vortex-api';
 
 import { GAME_ID, getLoadOrderFilePath, MERGE_INV_MANIFEST,
-  SCRIPT_MERGER_ID, W3_TEMP_DATA_DIR, MergeDataViolationError } from './common';
+  W3_TEMP_DATA_DIR, MergeDataViolationError } from './common';
 
 import { generate } from 'shortid';
 
@@ -13,7 +13,7 @@ import { hex2Buffer, prepareFileData, restoreFileData } from './collections/util
 
 import { getNamesOfMergedMods } from './mergeInventoryParsing';
 
-import { getMergedModName, downloadScriptMerger } from './scriptmerger';
+import { getMergeDataDir, resolveMergedModName } from './scriptmerger';
 
 import { getDeployment } from './util';
 
@@ -24,7 +24,8 @@ interface IBaseProps {
   api: types.IExtensionApi;
   state: types.IState;
   profile: types.IProfile;
-  scriptMergerTool: types.IDiscoveredTool;
+  // directory holding the merge inventory
+  mergeDataDir: string;
   gamePath: string;
 }
 
@@ -50,14 +51,11 @@ function genBaseProps(api: types.IExtensionApi,
 
   const discovery: types.IDiscoveryResult = util.getSafe(state,
     ['settings', 'gameMode', 'discovered', GAME_ID], undefined);
-  const scriptMergerTool: types.IDiscoveredTool = discovery?.tools?.[SCRIPT_MERGER_ID];
-  if (!scriptMergerTool?.path) {
-    // Regardless of the user's profile settings - there's no point in backing up
-    //  the merges if we don't know where the script merger is!
+  if (discovery?.path === undefined) {
     return undefined;
   }
 
-  return { api, state, profile, scriptMergerTool, gamePath: discovery.path };
+  return { api, state, profile, mergeDataDir: getMergeDataDir(api), gamePath: discovery.path };
 }
 
 function getFileEntries(filePath: string): Promise<string[]> {
@@ -186,32 +184,27 @@ function backupPath(profile: types.IProfile): string {
 }
 
 async function handleMergedScripts(props: IBaseProps, opType: OpType, dest?: string) {
-  const { scriptMergerTool, profile, gamePath } = props;
-  if (!scriptMergerTool?.path) {
-    return Promise.reject(new util.NotFound('Script merging tool path'));
-  }
+  const { api, mergeDataDir, profile, gamePath } = props;
   if (!profile?.id) {
     return Promise.reject(new util.ArgumentInvalid('invalid profile'));
   }
 
   try {
-    const mergerToolDir = path.dirname(scriptMergerTool.path);
     const profilePath: string = (dest === undefined)
-      ? path.join(mergerToolDir, profile.id)
+      ? path.join(mergeDataDir, profile.id)
       : dest;
     const loarOrderFilepath: string = getLoadOrderFilePath();
-    const mergedModName = await getMergedModName(mergerToolDir);
+    const mergedModName = await resolveMergedModName(api);
     const mergedScriptsPath = path.join(gamePath, 'Mods', mergedModName);
 
-    // Just in case it's missing.
-    await fs.ensureDirWritableAsync(mergedScriptsPath);
-
     if (opType === 'export') {
-      await moveFile(mergerToolDir, profilePath, MERGE_INV_MANIFEST);
+      await moveFile(mergeDataDir, profilePath, MERGE_INV_MANIFEST);
       await moveFile(path.dirname(loarOrderFilepath), profilePath, path.basename(loarOrderFilepath));
       await moveFiles(mergedScriptsPath, path.join(profilePath, mergedModName), props);
     } else if (opType === 'import') {
-      await moveFile(profilePath, mergerToolDir, MERGE_INV_MANIFEST);
+      // Just in case it's missing.
+      await fs.ensureDirWritableAsync(mergedScriptsPath);
+      await moveFile(profilePath, mergeDataDir, MERGE_INV_MANIFEST);
       await moveFile(profilePath, path.dirname(loarOrderFilepath), path.basename(loarOrderFilepath));
       await moveFiles(path.join(profilePath, mergedModName), mergedScriptsPath, props);
     }
@@ -409,12 +402,6 @@ export async function makeOnContextImport(api: types.IExtensionApi, collectionId
     const collection = JSON.parse(fileData);
     const { scriptMergedData } = collection.mergedData;
     if (scriptMergedData !== undefined) {
-      // Make sure we have the script merger installed straight away!
-      const scriptMergerTool = util.getSafe(state,
-        ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
-      if (scriptMergerTool === undefined) {
-        await downloadScriptMerger(api);
-      }
       const profileId = selectors.lastActiveProfileForGame(state, GAME_ID);
       await importScriptMerges(api, profileId, hex2Buffer(scriptMergedData));
     }
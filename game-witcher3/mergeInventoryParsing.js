@@ -12,20 +12,14 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.getNamesOfMergedMods = exports.getMergedModNames = void 0;
-const bluebird_1 = __importDefault(require("bluebird"));
+exports.updateMergeInventory = exports.getMergeInventoryEntries = exports.getNamesOfMergedMods = exports.getMergedModNames = void 0;
 const path_1 = __importDefault(require("path"));
 const xml2js_1 = require("xml2js");
 const common_1 = require("./common");
+const scriptmerger_1 = require("./scriptmerger");
 const vortex_api_1 = require("vortex-api");
 function getMergeInventory(api) {
-    const state = api.getState();
-    const discovery = vortex_api_1.util.getSafe(state, ['settings', 'gameMode', 'discovered', common_1.GAME_ID], undefined);
-    const scriptMerger = vortex_api_1.util.getSafe(discovery, ['tools', common_1.SCRIPT_MERGER_ID], undefined);
-    if ((scriptMerger === undefined) || (scriptMerger.path === undefined)) {
-        return bluebird_1.default.resolve([]);
-    }
-    return vortex_api_1.fs.readFileAsync(path_1.default.join(path_1.default.dirname(scriptMerger.path), common_1.MERGE_INV_MANIFEST))
+    return vortex_api_1.fs.readFileAsync(path_1.default.join((0, scriptmerger_1.getMergeDataDir)(api), common_1.MERGE_INV_MANIFEST))
         .then((xmlData) => __awaiter(this, void 0, void 0, function* () {
         try {
             const mergeData = yield (0, xml2js_1.parseStringPromise)(xmlData);
@@ -119,4 +113,64 @@ function getNamesOfMergedMods(api) {
     }));
 }
 exports.getNamesOfMergedMods = getNamesOfMergedMods;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVyZ2VJbnZlbnRvcnlQYXJzaW5nLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibWVyZ2VJbnZlbnRvcnlQYXJzaW5nLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7OztBQUNBLHdEQUFnQztBQUNoQyxnREFBd0I7QUFDeEIsbUNBQTRDO0FBRTVDLHFDQUF5RTtBQUV6RSwyQ0FBa0Q7QUFFbEQsU0FBUyxpQkFBaUIsQ0FBQyxHQUF3QjtJQUdqRCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDN0IsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBQ2xHLE1BQU0sWUFBWSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxDQUFDLE9BQU8sRUFBRSx5QkFBZ0IsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBQ3JGLElBQUksQ0FBQyxZQUFZLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxFQUFFO1FBQ3JFLE9BQU8sa0JBQVEsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7S0FDN0I7SUFFRCxPQUFPLGVBQUUsQ0FBQyxhQUFhLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSwyQkFBa0IsQ0FBQyxDQUFDO1NBQ3BGLElBQUksQ0FBQyxDQUFNLE9BQU8sRUFBQyxFQUFFO1FBQ3BCLElBQUk7WUFDRixNQUFNLFNBQVMsR0FBRyxNQUFNLElBQUEsMkJBQWtCLEVBQUMsT0FBTyxDQUFDLENBQUM7WUFDcEQsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDNUI7SUFDSCxDQUFDLENBQUEsQ0FBQztTQUNELEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksS0FBSyxRQUFRLENBQUM7UUFDbkMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDO1FBQzVCLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxXQUFXLENBQUMsbUJBQW1CLDJCQUFrQixLQUFLLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQy9GLENBQUM7QUFFRCxTQUFnQixpQkFBaUIsQ0FBQyxHQUF3QjtJQUd4RCxPQUFPLGlCQUFpQixDQUFDLEdBQUcsQ0FBQztTQUMxQixJQUFJLENBQUMsQ0FBTSxjQUFjLEVBQUMsRUFBRTs7UUFDM0IsSUFBSSxjQUFjLEtBQUssU0FBUyxFQUFFO1lBQ2hDLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUM1QjtRQUNELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQ2xDLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQzlELE1BQU0sUUFBUSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztRQUNuRCxNQUFNLFVBQVUsR0FBRyxNQUFBLGNBQWMsYUFBZCxjQUFjLHVCQUFkLGNBQWMsQ0FBRSxjQUFjLDBDQUFFLEtBQUssQ0FBQztRQUN6RCxJQUFJLFVBQVUsS0FBSyxTQUFTLEVBQUU7WUFDNUIsSUFBSSxHQUFHLENBQUM7WUFDUixJQUFJO2dCQUNGLEdBQUcsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLGNBQWMsQ0FBQyxDQUFDO2FBQ3RDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQzVCO1lBQ0QsSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSxxQ0FBcUMsRUFBRSxHQUFHLENBQUMsQ0FBQztZQUN6RCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDNUI7UUFDRCxNQUFNLFFBQVEsR0FBRyxNQUFNLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBTyxNQUFNLEVBQUUsSUFBSSxFQUFFLEVBQUU7O1lBQzlELE1BQU0sS0FBSyxHQUFHLE1BQU0sTUFBTSxDQUFDO1lBQzNCLE1BQU0sWUFBWSxHQUFHLE1BQUEsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLGFBQWEsMENBQUcsQ0FBQyxDQUFDLENBQUM7WUFDOUMsSUFBSSxZQUFZLEtBQUssU0FBUyxFQUFFO2dCQUM5QixPQUFPLEtBQUssQ0FBQzthQUNkO1lBQ0QsSUFBSSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsWUFBWSxDQUFDLEVBQUU7Z0JBQ2pDLElBQUk7b0JBQ0YsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUM7b0JBQ3RELEtBQUssQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7aUJBQzFCO2dCQUFDLE9BQU8sR0FBRyxFQUFFO29CQUNaLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsdUJBQXVCLEVBQUUsWUFBWSxDQUFDLENBQUM7aUJBQ3JEO2FBQ0Y7WUFDRCxPQUFPLEtBQUssQ0FBQztRQUNmLENBQUMsQ0FBQSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ1AsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ25DLENBQUMsQ0FBQSxDQUFDO1NBQ0QsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1FBS1gsR0FBRyxDQUFDLHFCQUFxQixDQUFDLGlDQUFpQyxFQUFFLEdBQUcsRUFDOUQsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUMxQixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDN0IsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBbERELDhDQWtEQztBQUVELFNBQWdCLG9CQUFvQixDQUFDLEdBQXdCO0lBRTNELE9BQU8saUJBQWlCLENBQUMsR0FBRyxDQUFDO1NBQzFCLElBQUksQ0FBQyxDQUFNLGNBQWMsRUFBQyxFQUFFO1FBQzNCLElBQUksY0FBYyxLQUFLLFNBQVMsRUFBRTtZQUNoQyxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDNUI7UUFDRCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUNsQyxDQUFDLFVBQVUsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLGdCQUFPLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUM5RCxNQUFNLFFBQVEsR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDbkQsTUFBTSxRQUFRLEdBQUcsTUFBTSxjQUFjLENBQUMsY0FBYyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBTyxNQUFNLEVBQUUsSUFBSSxFQUFFLEVBQUU7WUFDdkYsTUFBTSxLQUFLLEdBQUcsTUFBTSxNQUFNLENBQUM7WUFDM0IsTUFBTSxVQUFVLEdBQUcsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLFdBQVcsQ0FBQztZQUNyQyxLQUFLLE1BQU0sT0FBTyxJQUFJLFVBQVUsRUFBRTtnQkFDaEMsSUFBSSxPQUFPLEtBQUssU0FBUyxFQUFFO29CQUN6QixPQUFPLEtBQUssQ0FBQztpQkFDZDtnQkFDRCxJQUFJLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsQ0FBQyxDQUFDLEVBQUU7b0JBQy9CLElBQUk7d0JBQ0YsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO3dCQUNwRCxLQUFLLENBQUMsSUFBSSxDQUFDLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxDQUFDLENBQUMsQ0FBQztxQkFDeEI7b0JBQUMsT0FBTyxHQUFHLEVBQUU7d0JBQ1osSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSx1QkFBdUIsRUFBRSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsQ0FBQyxDQUFDLENBQUM7cUJBQ25EO2lCQUNGO2FBQ0Y7WUFDRCxPQUFPLEtBQUssQ0FBQztRQUNmLENBQUMsQ0FBQSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ1AsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ25DLENBQUMsQ0FBQSxDQUFDLENBQUM7QUFDUCxDQUFDO0FBL0JELG9EQStCQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXHJcbmltcG9ydCBCbHVlYmlyZCBmcm9tICdibHVlYmlyZCc7XHJcbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xyXG5pbXBvcnQgeyBwYXJzZVN0cmluZ1Byb21pc2UgfSBmcm9tICd4bWwyanMnO1xyXG5cclxuaW1wb3J0IHsgR0FNRV9JRCwgU0NSSVBUX01FUkdFUl9JRCwgTUVSR0VfSU5WX01BTklGRVNUIH0gZnJvbSAnLi9jb21tb24nO1xyXG5cclxuaW1wb3J0IHsgZnMsIGxvZywgdHlwZXMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcclxuXHJcbmZ1bmN0aW9uIGdldE1lcmdlSW52ZW50b3J5KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xyXG4gIC8vIFByb3ZpZGVkIHdpdGggYSBwYXR0ZXJuLCBhdHRlbXB0cyB0byByZXRyaWV2ZSBlbGVtZW50IHZhbHVlc1xyXG4gIC8vICBmcm9tIGFueSBlbGVtZW50IGtleXMgdGhhdCBtYXRjaCB0aGUgcGF0dGVybiBpbnNpZGUgdGhlIG1lcmdlIGludmVudG9yeSBmaWxlLlxyXG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XHJcbiAgY29uc3QgZGlzY292ZXJ5ID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3NldHRpbmdzJywgJ2dhbWVNb2RlJywgJ2Rpc2NvdmVyZWQnLCBHQU1FX0lEXSwgdW5kZWZpbmVkKTtcclxuICBjb25zdCBzY3JpcHRNZXJnZXIgPSB1dGlsLmdldFNhZmUoZGlzY292ZXJ5LCBbJ3Rvb2xzJywgU0NSSVBUX01FUkdFUl9JRF0sIHVuZGVmaW5lZCk7XHJcbiAgaWYgKChzY3JpcHRNZXJnZXIgPT09IHVuZGVmaW5lZCkgfHwgKHNjcmlwdE1lcmdlci5wYXRoID09PSB1bmRlZmluZWQpKSB7XHJcbiAgICByZXR1cm4gQmx1ZWJpcmQucmVzb2x2ZShbXSk7XHJcbiAgfVxyXG5cclxuICByZXR1cm4gZnMucmVhZEZpbGVBc3luYyhwYXRoLmpvaW4ocGF0aC5kaXJuYW1lKHNjcmlwdE1lcmdlci5wYXRoKSwgTUVSR0VfSU5WX01BTklGRVNUKSlcclxuICAgIC50aGVuKGFzeW5jIHhtbERhdGEgPT4ge1xyXG4gICAgICB0cnkge1xyXG4gICAgICAgIGNvbnN0IG1lcmdlRGF0YSA9IGF3YWl0IHBhcnNlU3RyaW5nUHJvbWlzZSh4bWxEYXRhKTtcclxuICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKG1lcmdlRGF0YSk7XHJcbiAgICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xyXG4gICAgICB9XHJcbiAgICB9KVxyXG4gICAgLmNhdGNoKGVyciA9PiAoZXJyLmNvZGUgPT09ICdFTk9FTlQnKSAvLyBObyBtZXJnZSBmaWxlPyAtIG5vIHByb2JsZW0uXHJcbiAgICAgID8gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZClcclxuICAgICAgOiBQcm9taXNlLnJlamVjdChuZXcgdXRpbC5EYXRhSW52YWxpZChgRmFpbGVkIHRvIHBhcnNlICR7TUVSR0VfSU5WX01BTklGRVNUfTogJHtlcnJ9YCkpKTtcclxufVxyXG5cclxuZXhwb3J0IGZ1bmN0aW9uIGdldE1lcmdlZE1vZE5hbWVzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xyXG4gIC8vIFRoaXMgcmV0cmlldmVzIHRoZSBuYW1lIG9mIHRoZSByZXN1bHRpbmcgbWVyZ2VkIG1vZCBpdHNlbGYuXHJcbiAgLy8gIEFLQSBcIm1vZDAwMDBfTWVyZ2VkRmlsZXNcIlxyXG4gIHJldHVybiBnZXRNZXJnZUludmVudG9yeShhcGkpXHJcbiAgICAudGhlbihhc3luYyBtZXJnZUludmVudG9yeSA9PiB7XHJcbiAgICAgIGlmIChtZXJnZUludmVudG9yeSA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShbXSk7XHJcbiAgICAgIH1cclxuICAgICAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcclxuICAgICAgY29uc3QgZGlzY292ZXJ5ID0gdXRpbC5nZXRTYWZlKHN0YXRlLFxyXG4gICAgICAgIFsnc2V0dGluZ3MnLCAnZ2FtZU1vZGUnLCAnZGlzY292ZXJlZCcsIEdBTUVfSURdLCB1bmRlZmluZWQpO1xyXG4gICAgICBjb25zdCBtb2RzUGF0aCA9IHBhdGguam9pbihkaXNjb3ZlcnkucGF0aCwgJ01vZHMnKTtcclxuICAgICAgY29uc3QgbWVyZ2VFbnRyeSA9IG1lcmdlSW52ZW50b3J5Py5NZXJnZUludmVudG9yeT8uTWVyZ2U7XHJcbiAgICAgIGlmIChtZXJnZUVudHJ5ID09PSB1bmRlZmluZWQpIHtcclxuICAgICAgICBsZXQgaW52O1xyXG4gICAgICAgIHRyeSB7XHJcbiAgICAgICAgICBpbnYgPSBKU09OLnN0cmluZ2lmeShtZXJnZUludmVudG9yeSk7XHJcbiAgICAgICAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QoZXJyKTtcclxuICAgICAgICB9XHJcbiAgICAgICAgbG9nKCdkZWJ1ZycsICdmYWlsZWQgdG8gcmV0cmlldmUgbWVyZ2VkIG1vZCBuYW1lcycsIGludik7XHJcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShbXSk7XHJcbiAgICAgIH1cclxuICAgICAgY29uc3QgZWxlbWVudHMgPSBhd2FpdCBtZXJnZUVudHJ5LnJlZHVjZShhc3luYyAoYWNjdW1QLCBpdGVyKSA9PiB7XHJcbiAgICAgICAgY29uc3QgYWNjdW0gPSBhd2FpdCBhY2N1bVA7XHJcbiAgICAgICAgY29uc3QgbWVyZ2VNb2ROYW1lID0gaXRlcj8uTWVyZ2VkTW9kTmFtZT8uWzBdO1xyXG4gICAgICAgIGlmIChtZXJnZU1vZE5hbWUgPT09IHVuZGVmaW5lZCkge1xyXG4gICAgICAgICAgcmV0dXJuIGFjY3VtO1xyXG4gICAgICAgIH1cclxuICAgICAgICBpZiAoIWFjY3VtLmluY2x1ZGVzKG1lcmdlTW9kTmFtZSkpIHtcclxuICAgICAgICAgIHRyeSB7XHJcbiAgICAgICAgICAgIGF3YWl0IGZzLnN0YXRBc3luYyhwYXRoLmpvaW4obW9kc1BhdGgsIG1lcmdlTW9kTmFtZSkpO1xyXG4gICAgICAgICAgICBhY2N1bS5wdXNoKG1lcmdlTW9kTmFtZSk7XHJcbiAgICAgICAgICB9IGNhdGNoIChlcnIpIHtcclxuICAgICAgICAgICAgbG9nKCdkZWJ1ZycsICdtZXJnZWQgbW9kIGlzIG1pc3NpbmcnLCBtZXJnZU1vZE5hbWUpO1xyXG4gICAgICAgICAgfVxyXG4gICAgICAgIH1cclxuICAgICAgICByZXR1cm4gYWNjdW07XHJcbiAgICAgIH0sIFtdKTtcclxuICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShlbGVtZW50cyk7XHJcbiAgICB9KVxyXG4gICAgLmNhdGNoKGVyciA9PiB7XHJcbiAgICAgIC8vIFdlIGZhaWxlZCB0byBwYXJzZSB0aGUgbWVyZ2UgaW52ZW50b3J5IGZvciB3aGF0ZXZlciByZWFzb24uXHJcbiAgICAgIC8vICBSYXRoZXIgdGhhbiBibG9ja2luZyB0aGUgdXNlciBmcm9tIG1vZGRpbmcgaGlzIGdhbWUgd2UncmVcclxuICAgICAgLy8gIHdlIHNpbXBseSByZXR1cm4gYW4gZW1wdHkgYXJyYXk7IGJ1dCBiZWZvcmUgd2UgZG8gdGhhdCxcclxuICAgICAgLy8gIHdlIG5lZWQgdG8gdGVsbCBoaW0gd2Ugd2VyZSB1bmFibGUgdG8gcGFyc2UgdGhlIG1lcmdlZCBpbnZlbnRvcnkuXHJcbiAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ludmFsaWQgTWVyZ2VJbnZlbnRvcnkueG1sIGZpbGUnLCBlcnIsXHJcbiAgICAgICAgeyBhbGxvd1JlcG9ydDogZmFsc2UgfSk7XHJcbiAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoW10pO1xyXG4gICAgfSk7XHJcbn1cclxuXHJcbmV4cG9ydCBmdW5jdGlvbiBnZXROYW1lc09mTWVyZ2VkTW9kcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBCbHVlYmlyZDxzdHJpbmdbXT4ge1xyXG4gIC8vIFRoaXMgcmV0cmlldmVzIGEgdW5pcXVlIGxpc3Qgb2YgbW9kIG5hbWVzIGluY2x1ZGVkIGluIHRoZSBtZXJnZWQgbW9kXHJcbiAgcmV0dXJuIGdldE1lcmdlSW52ZW50b3J5KGFwaSlcclxuICAgIC50aGVuKGFzeW5jIG1lcmdlSW52ZW50b3J5ID0+IHtcclxuICAgICAgaWYgKG1lcmdlSW52ZW50b3J5ID09PSB1bmRlZmluZWQpIHtcclxuICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKFtdKTtcclxuICAgICAgfVxyXG4gICAgICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xyXG4gICAgICBjb25zdCBkaXNjb3ZlcnkgPSB1dGlsLmdldFNhZmUoc3RhdGUsXHJcbiAgICAgICAgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgR0FNRV9JRF0sIHVuZGVmaW5lZCk7XHJcbiAgICAgIGNvbnN0IG1vZHNQYXRoID0gcGF0aC5qb2luKGRpc2NvdmVyeS5wYXRoLCAnTW9kcycpO1xyXG4gICAgICBjb25zdCBtb2ROYW1lcyA9IGF3YWl0IG1lcmdlSW52ZW50b3J5Lk1lcmdlSW52ZW50b3J5Lk1lcmdlLnJlZHVjZShhc3luYyAoYWNjdW1QLCBpdGVyKSA9PiB7XHJcbiAgICAgICAgY29uc3QgYWNjdW0gPSBhd2FpdCBhY2N1bVA7XHJcbiAgICAgICAgY29uc3QgbWVyZ2VkTW9kcyA9IGl0ZXI/LkluY2x1ZGVkTW9kO1xyXG4gICAgICAgIGZvciAoY29uc3QgbW9kTmFtZSBvZiBtZXJnZWRNb2RzKSB7XHJcbiAgICAgICAgICBpZiAobW9kTmFtZSA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgICAgICAgIHJldHVybiBhY2N1bTtcclxuICAgICAgICAgIH1cclxuICAgICAgICAgIGlmICghYWNjdW0uaW5jbHVkZXMobW9kTmFtZT8uXykpIHtcclxuICAgICAgICAgICAgdHJ5IHtcclxuICAgICAgICAgICAgICBhd2FpdCBmcy5zdGF0QXN5bmMocGF0aC5qb2luKG1vZHNQYXRoLCBtb2ROYW1lPy5fKSk7XHJcbiAgICAgICAgICAgICAgYWNjdW0ucHVzaChtb2ROYW1lPy5fKTtcclxuICAgICAgICAgICAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICAgICAgICAgICAgbG9nKCdkZWJ1ZycsICdtZXJnZWQgbW9kIGlzIG1pc3NpbmcnLCBtb2ROYW1lPy5fKTtcclxuICAgICAgICAgICAgfVxyXG4gICAgICAgICAgfVxyXG4gICAgICAgIH1cclxuICAgICAgICByZXR1cm4gYWNjdW07XHJcbiAgICAgIH0sIFtdKTtcclxuICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShtb2ROYW1lcyk7XHJcbiAgICB9KTtcclxufVxyXG4iXX0=
\ No newline at end of file
+function getMergeInventoryEntries(api) {
+    var _a, _b;
+    return __awaiter(this, void 0, void 0, function* () {
+        const mergeInventory = yield getMergeInventory(api);
+        const toIncludedMod = (mod) => {
+            var _a, _b;
+            return (typeof (mod) === 'string')
+                ? { name: mod }
+                : {
+                    name: mod === null || mod === void 0 ? void 0 : mod._,
+                    hash: (_a = mod === null || mod === void 0 ? void 0 : mod.$) === null || _a === void 0 ? void 0 : _a.Hash,
+                    priority: (((_b = mod === null || mod === void 0 ? void 0 : mod.$) === null || _b === void 0 ? void 0 : _b.Priority) !== undefined) ? parseInt(mod.$.Priority, 10) : undefined,
+                };
+        };
+        return ((_b = (_a = mergeInventory === null || mergeInventory === void 0 ? void 0 : mergeInventory.MergeInventory) === null || _a === void 0 ? void 0 : _a.Merge) !== null && _b !== void 0 ? _b : [])
+            .map(iter => {
+            var _a, _b, _c, _d;
+            return ({
+                type: (_a = iter === null || iter === void 0 ? void 0 : iter.$) === null || _a === void 0 ? void 0 : _a.Type,
+                relPath: (_b = iter === null || iter === void 0 ? void 0 : iter.RelativePath) === null || _b === void 0 ? void 0 : _b[0],
+                mergedModName: (_c = iter === null || iter === void 0 ? void 0 : iter.MergedModName) === null || _c === void 0 ? void 0 : _c[0],
+                includedMods: ((_d = iter === null || iter === void 0 ? void 0 : iter.IncludedMod) !== null && _d !== void 0 ? _d : []).map(toIncludedMod).filter(mod => !!mod.name),
+            });
+        })
+            .filter(entry => (entry.relPath !== undefined) && (entry.mergedModName !== undefined));
+    });
+}
+exports.getMergeInventoryEntries = getMergeInventoryEntries;
+function updateMergeInventory(api, merges, removed = []) {
+    var _a, _b, _c;
+    return __awaiter(this, void 0, void 0, function* () {
+        const mergeInventory = yield getMergeInventory(api);
+        const replaced = new Set([].concat(merges.map(merge => merge.relPath), removed)
+            .map(relPath => relPath.toLowerCase()));
+        const existing = ((_b = (_a = mergeInventory === null || mergeInventory === void 0 ? void 0 : mergeInventory.MergeInventory) === null || _a === void 0 ? void 0 : _a.Merge) !== null && _b !== void 0 ? _b : [])
+            .filter(iter => { var _a, _b; return !replaced.has(((_b = (_a = iter === null || iter === void 0 ? void 0 : iter.RelativePath) === null || _a === void 0 ? void 0 : _a[0]) !== null && _b !== void 0 ? _b : '').toLowerCase()); });
+        const added = merges.map(merge => {
+            var _a;
+            return ({
+                $: { Type: (_a = merge.type) !== null && _a !== void 0 ? _a : 'Script' },
+                RelativePath: [merge.relPath],
+                MergedModName: [merge.mergedModName],
+                IncludedMod: merge.includedMods.map(mod => ({
+                    _: mod.name,
+                    $: (mod.priority !== undefined)
+                        ? { Hash: mod.hash, Priority: mod.priority }
+                        : { Hash: mod.hash },
+                })),
+            });
+        });
+        const builder = new xml2js_1.Builder();
+        const xml = builder.buildObject({
+            MergeInventory: Object.assign(Object.assign({}, ((_c = mergeInventory === null || mergeInventory === void 0 ? void 0 : mergeInventory.MergeInventory) !== null && _c !== void 0 ? _c : {})), { Merge: [].concat(existing, added) }),
+        });
+        const filePath = path_1.default.join((0, scriptmerger_1.getMergeDataDir)(api), common_1.MERGE_INV_MANIFEST);
+        yield vortex_api_1.fs.ensureDirWritableAsync(path_1.default.dirname(filePath));
+        yield vortex_api_1.util.writeFileAtomic(filePath, xml);
+    });
+}
+exports.updateMergeInventory = updateMergeInventory;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVyZ2VJbnZlbnRvcnlQYXJzaW5nLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibWVyZ2VJbnZlbnRvcnlQYXJzaW5nLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7OztBQUVBLGdEQUF3QjtBQUN4QixtQ0FBcUQ7QUFFckQscUNBQXVEO0FBQ3ZELGlEQUFpRDtBQUdqRCwyQ0FBa0Q7QUFFbEQsU0FBUyxpQkFBaUIsQ0FBQyxHQUF3QjtJQUdqRCxPQUFPLGVBQUUsQ0FBQyxhQUFhLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxJQUFBLDhCQUFlLEVBQUMsR0FBRyxDQUFDLEVBQUUsMkJBQWtCLENBQUMsQ0FBQztTQUN6RSxJQUFJLENBQUMsQ0FBTSxPQUFPLEVBQUMsRUFBRTtRQUNwQixJQUFJO1lBQ0YsTUFBTSxTQUFTLEdBQUcsTUFBTSxJQUFBLDJCQUFrQixFQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQ3BELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQzVCO0lBQ0gsQ0FBQyxDQUFBLENBQUM7U0FDRCxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEtBQUssUUFBUSxDQUFDO1FBQ25DLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQztRQUM1QixDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsV0FBVyxDQUFDLG1CQUFtQiwyQkFBa0IsS0FBSyxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUMvRixDQUFDO0FBRUQsU0FBZ0IsaUJBQWlCLENBQUMsR0FBd0I7SUFHeEQsT0FBTyxpQkFBaUIsQ0FBQyxHQUFHLENBQUM7U0FDMUIsSUFBSSxDQUFDLENBQU0sY0FBYyxFQUFDLEVBQUU7O1FBQzNCLElBQUksY0FBYyxLQUFLLFNBQVMsRUFBRTtZQUNoQyxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDNUI7UUFDRCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUNsQyxDQUFDLFVBQVUsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLGdCQUFPLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUM5RCxNQUFNLFFBQVEsR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDbkQsTUFBTSxVQUFVLEdBQUcsTUFBQSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsY0FBYywwQ0FBRSxLQUFLLENBQUM7UUFDekQsSUFBSSxVQUFVLEtBQUssU0FBUyxFQUFFO1lBQzVCLElBQUksR0FBRyxDQUFDO1lBQ1IsSUFBSTtnQkFDRixHQUFHLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsQ0FBQzthQUN0QztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUM1QjtZQUNELElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUscUNBQXFDLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDekQsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQzVCO1FBQ0QsTUFBTSxRQUFRLEdBQUcsTUFBTSxVQUFVLENBQUMsTUFBTSxDQUFDLENBQU8sTUFBTSxFQUFFLElBQUksRUFBRSxFQUFFOztZQUM5RCxNQUFNLEtBQUssR0FBRyxNQUFNLE1BQU0sQ0FBQztZQUMzQixNQUFNLFlBQVksR0FBRyxNQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxhQUFhLDBDQUFHLENBQUMsQ0FBQyxDQUFDO1lBQzlDLElBQUksWUFBWSxLQUFLLFNBQVMsRUFBRTtnQkFDOUIsT0FBTyxLQUFLLENBQUM7YUFDZDtZQUNELElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLFlBQVksQ0FBQyxFQUFFO2dCQUNqQyxJQUFJO29CQUNGLE1BQU0sZUFBRSxDQUFDLFNBQVMsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO29CQUN0RCxLQUFLLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO2lCQUMxQjtnQkFBQyxPQUFPLEdBQUcsRUFBRTtvQkFDWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLHVCQUF1QixFQUFFLFlBQVksQ0FBQyxDQUFDO2lCQUNyRDthQUNGO1lBQ0QsT0FBTyxLQUFLLENBQUM7UUFDZixDQUFDLENBQUEsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUNQLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNuQyxDQUFDLENBQUEsQ0FBQztTQUNELEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRTtRQUtYLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQyxpQ0FBaUMsRUFBRSxHQUFHLEVBQzlELEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDMUIsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBQzdCLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQWxERCw4Q0FrREM7QUFFRCxTQUFnQixvQkFBb0IsQ0FBQyxHQUF3QjtJQUUzRCxPQUFPLGlCQUFpQixDQUFDLEdBQUcsQ0FBQztTQUMxQixJQUFJLENBQUMsQ0FBTSxjQUFjLEVBQUMsRUFBRTtRQUMzQixJQUFJLGNBQWMsS0FBSyxTQUFTLEVBQUU7WUFDaEMsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQzVCO1FBQ0QsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLE1BQU0sU0FBUyxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFDbEMsQ0FBQyxVQUFVLEVBQUUsVUFBVSxFQUFFLFlBQVksRUFBRSxnQkFBTyxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDOUQsTUFBTSxRQUFRLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ25ELE1BQU0sUUFBUSxHQUFHLE1BQU0sY0FBYyxDQUFDLGNBQWMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQU8sTUFBTSxFQUFFLElBQUksRUFBRSxFQUFFO1lBQ3ZGLE1BQU0sS0FBSyxHQUFHLE1BQU0sTUFBTSxDQUFDO1lBQzNCLE1BQU0sVUFBVSxHQUFHLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxXQUFXLENBQUM7WUFDckMsS0FBSyxNQUFNLE9BQU8sSUFBSSxVQUFVLEVBQUU7Z0JBQ2hDLElBQUksT0FBTyxLQUFLLFNBQVMsRUFBRTtvQkFDekIsT0FBTyxLQUFLLENBQUM7aUJBQ2Q7Z0JBQ0QsSUFBSSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFFLENBQUMsQ0FBQyxFQUFFO29CQUMvQixJQUFJO3dCQUNGLE1BQU0sZUFBRSxDQUFDLFNBQVMsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQzt3QkFDcEQsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsQ0FBQyxDQUFDLENBQUM7cUJBQ3hCO29CQUFDLE9BQU8sR0FBRyxFQUFFO3dCQUNaLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsdUJBQXVCLEVBQUUsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFFLENBQUMsQ0FBQyxDQUFDO3FCQUNuRDtpQkFDRjthQUNGO1lBQ0QsT0FBTyxLQUFLLENBQUM7UUFDZixDQUFDLENBQUEsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUNQLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNuQyxDQUFDLENBQUEsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQS9CRCxvREErQkM7QUFFRCxTQUFzQix3QkFBd0IsQ0FBQyxHQUF3Qjs7O1FBQ3JFLE1BQU0sY0FBYyxHQUFHLE1BQU0saUJBQWlCLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDcEQsTUFBTSxhQUFhLEdBQUcsQ0FBQyxHQUFHLEVBQUUsRUFBRTs7WUFBQyxPQUFBLENBQUMsT0FBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLFFBQVEsQ0FBQztnQkFDdkQsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRTtnQkFDZixDQUFDLENBQUM7b0JBQ0EsSUFBSSxFQUFFLEdBQUcsYUFBSCxHQUFHLHVCQUFILEdBQUcsQ0FBRSxDQUFDO29CQUNaLElBQUksRUFBRSxNQUFBLEdBQUcsYUFBSCxHQUFHLHVCQUFILEdBQUcsQ0FBRSxDQUFDLDBDQUFFLElBQUk7b0JBQ2xCLFFBQVEsRUFBRSxDQUFDLENBQUEsTUFBQSxHQUFHLGFBQUgsR0FBRyx1QkFBSCxHQUFHLENBQUUsQ0FBQywwQ0FBRSxRQUFRLE1BQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUztpQkFDdEYsQ0FBQTtTQUFBLENBQUM7UUFDSixPQUFPLENBQUMsTUFBQSxNQUFBLGNBQWMsYUFBZCxjQUFjLHVCQUFkLGNBQWMsQ0FBRSxjQUFjLDBDQUFFLEtBQUssbUNBQUksRUFBRSxDQUFDO2FBQ2pELEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRTs7WUFBQyxPQUFBLENBQUM7Z0JBQ1osSUFBSSxFQUFFLE1BQUEsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLENBQUMsMENBQUUsSUFBSTtnQkFDbkIsT0FBTyxFQUFFLE1BQUEsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLFlBQVksMENBQUcsQ0FBQyxDQUFDO2dCQUNoQyxhQUFhLEVBQUUsTUFBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsYUFBYSwwQ0FBRyxDQUFDLENBQUM7Z0JBQ3ZDLFlBQVksRUFBRSxDQUFDLE1BQUEsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFFLFdBQVcsbUNBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDO2FBQ3JGLENBQUMsQ0FBQTtTQUFBLENBQUM7YUFDRixNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLEtBQUssU0FBUyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsYUFBYSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUM7O0NBQzFGO0FBakJELDREQWlCQztBQU1ELFNBQXNCLG9CQUFvQixDQUFDLEdBQXdCLEVBQ3hCLE1BQThCLEVBQzlCLFVBQW9CLEVBQUU7OztRQUMvRCxNQUFNLGNBQWMsR0FBRyxNQUFNLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3BELE1BQU0sUUFBUSxHQUFHLElBQUksR0FBRyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxPQUFPLENBQUM7YUFDNUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUMxQyxNQUFNLFFBQVEsR0FBRyxDQUFDLE1BQUEsTUFBQSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsY0FBYywwQ0FBRSxLQUFLLG1DQUFJLEVBQUUsQ0FBQzthQUMzRCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsZUFBQyxPQUFBLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQUEsTUFBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsWUFBWSwwQ0FBRyxDQUFDLENBQUMsbUNBQUksRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQSxFQUFBLENBQUMsQ0FBQztRQUNoRixNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFOztZQUFDLE9BQUEsQ0FBQztnQkFDakMsQ0FBQyxFQUFFLEVBQUUsSUFBSSxFQUFFLE1BQUEsS0FBSyxDQUFDLElBQUksbUNBQUksUUFBUSxFQUFFO2dCQUNuQyxZQUFZLEVBQUUsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDO2dCQUM3QixhQUFhLEVBQUUsQ0FBQyxLQUFLLENBQUMsYUFBYSxDQUFDO2dCQUNwQyxXQUFXLEVBQUUsS0FBSyxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDO29CQUMxQyxDQUFDLEVBQUUsR0FBRyxDQUFDLElBQUk7b0JBQ1gsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUM7d0JBQzdCLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxHQUFHLENBQUMsSUFBSSxFQUFFLFFBQVEsRUFBRSxHQUFHLENBQUMsUUFBUSxFQUFFO3dCQUM1QyxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUksRUFBRTtpQkFDdkIsQ0FBQyxDQUFDO2FBQ0osQ0FBQyxDQUFBO1NBQUEsQ0FBQyxDQUFDO1FBQ0osTUFBTSxPQUFPLEdBQUcsSUFBSSxnQkFBTyxFQUFFLENBQUM7UUFDOUIsTUFBTSxHQUFHLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQztZQUM5QixjQUFjLGtDQUNULENBQUMsTUFBQSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsY0FBYyxtQ0FBSSxFQUFFLENBQUMsS0FDekMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxHQUNsQztTQUNGLENBQUMsQ0FBQztRQUNILE1BQU0sUUFBUSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsSUFBQSw4QkFBZSxFQUFDLEdBQUcsQ0FBQyxFQUFFLDJCQUFrQixDQUFDLENBQUM7UUFDckUsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ3hELE1BQU0saUJBQUksQ0FBQyxlQUFlLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDOztDQUMzQztBQTdCRCxvREE2QkMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xuaW1wb3J0IEJsdWViaXJkIGZyb20gJ2JsdWViaXJkJztcbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgQnVpbGRlciwgcGFyc2VTdHJpbmdQcm9taXNlIH0gZnJvbSAneG1sMmpzJztcblxuaW1wb3J0IHsgR0FNRV9JRCwgTUVSR0VfSU5WX01BTklGRVNUIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgZ2V0TWVyZ2VEYXRhRGlyIH0gZnJvbSAnLi9zY3JpcHRtZXJnZXInO1xuaW1wb3J0IHsgSU1lcmdlSW52ZW50b3J5RW50cnkgfSBmcm9tICcuL3R5cGVzJztcblxuaW1wb3J0IHsgZnMsIGxvZywgdHlwZXMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcblxuZnVuY3Rpb24gZ2V0TWVyZ2VJbnZlbnRvcnkoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XG4gIC8vIFByb3ZpZGVkIHdpdGggYSBwYXR0ZXJuLCBhdHRlbXB0cyB0byByZXRyaWV2ZSBlbGVtZW50IHZhbHVlc1xuICAvLyAgZnJvbSBhbnkgZWxlbWVudCBrZXlzIHRoYXQgbWF0Y2ggdGhlIHBhdHRlcm4gaW5zaWRlIHRoZSBtZXJnZSBpbnZlbnRvcnkgZmlsZS5cbiAgcmV0dXJuIGZzLnJlYWRGaWxlQXN5bmMocGF0aC5qb2luKGdldE1lcmdlRGF0YURpcihhcGkpLCBNRVJHRV9JTlZfTUFOSUZFU1QpKVxuICAgIC50aGVuKGFzeW5jIHhtbERhdGEgPT4ge1xuICAgICAgdHJ5IHtcbiAgICAgICAgY29uc3QgbWVyZ2VEYXRhID0gYXdhaXQgcGFyc2VTdHJpbmdQcm9taXNlKHhtbERhdGEpO1xuICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKG1lcmdlRGF0YSk7XG4gICAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KGVycik7XG4gICAgICB9XG4gICAgfSlcbiAgICAuY2F0Y2goZXJyID0+IChlcnIuY29kZSA9PT0gJ0VOT0VOVCcpIC8vIE5vIG1lcmdlIGZpbGU/IC0gbm8gcHJvYmxlbS5cbiAgICAgID8gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZClcbiAgICAgIDogUHJvbWlzZS5yZWplY3QobmV3IHV0aWwuRGF0YUludmFsaWQoYEZhaWxlZCB0byBwYXJzZSAke01FUkdFX0lOVl9NQU5JRkVTVH06ICR7ZXJyfWApKSk7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBnZXRNZXJnZWRNb2ROYW1lcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcbiAgLy8gVGhpcyByZXRyaWV2ZXMgdGhlIG5hbWUgb2YgdGhlIHJlc3VsdGluZyBtZXJnZWQgbW9kIGl0c2VsZi5cbiAgLy8gIEFLQSBcIm1vZDAwMDBfTWVyZ2VkRmlsZXNcIlxuICByZXR1cm4gZ2V0TWVyZ2VJbnZlbnRvcnkoYXBpKVxuICAgIC50aGVuKGFzeW5jIG1lcmdlSW52ZW50b3J5ID0+IHtcbiAgICAgIGlmIChtZXJnZUludmVudG9yeSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoW10pO1xuICAgICAgfVxuICAgICAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgICAgIGNvbnN0IGRpc2NvdmVyeSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSxcbiAgICAgICAgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgR0FNRV9JRF0sIHVuZGVmaW5lZCk7XG4gICAgICBjb25zdCBtb2RzUGF0aCA9IHBhdGguam9pbihkaXNjb3ZlcnkucGF0aCwgJ01vZHMnKTtcbiAgICAgIGNvbnN0IG1lcmdlRW50cnkgPSBtZXJnZUludmVudG9yeT8uTWVyZ2VJbnZlbnRvcnk/Lk1lcmdlO1xuICAgICAgaWYgKG1lcmdlRW50cnkgPT09IHVuZGVmaW5lZCkge1xuICAgICAgICBsZXQgaW52O1xuICAgICAgICB0cnkge1xuICAgICAgICAgIGludiA9IEpTT04uc3RyaW5naWZ5KG1lcmdlSW52ZW50b3J5KTtcbiAgICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KGVycik7XG4gICAgICAgIH1cbiAgICAgICAgbG9nKCdkZWJ1ZycsICdmYWlsZWQgdG8gcmV0cmlldmUgbWVyZ2VkIG1vZCBuYW1lcycsIGludik7XG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoW10pO1xuICAgICAgfVxuICAgICAgY29uc3QgZWxlbWVudHMgPSBhd2FpdCBtZXJnZUVudHJ5LnJlZHVjZShhc3luYyAoYWNjdW1QLCBpdGVyKSA9PiB7XG4gICAgICAgIGNvbnN0IGFjY3VtID0gYXdhaXQgYWNjdW1QO1xuICAgICAgICBjb25zdCBtZXJnZU1vZE5hbWUgPSBpdGVyPy5NZXJnZWRNb2ROYW1lPy5bMF07XG4gICAgICAgIGlmIChtZXJnZU1vZE5hbWUgPT09IHVuZGVmaW5lZCkge1xuICAgICAgICAgIHJldHVybiBhY2N1bTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIWFjY3VtLmluY2x1ZGVzKG1lcmdlTW9kTmFtZSkpIHtcbiAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgYXdhaXQgZnMuc3RhdEFzeW5jKHBhdGguam9pbihtb2RzUGF0aCwgbWVyZ2VNb2ROYW1lKSk7XG4gICAgICAgICAgICBhY2N1bS5wdXNoKG1lcmdlTW9kTmFtZSk7XG4gICAgICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgICAgICBsb2coJ2RlYnVnJywgJ21lcmdlZCBtb2QgaXMgbWlzc2luZycsIG1lcmdlTW9kTmFtZSk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIHJldHVybiBhY2N1bTtcbiAgICAgIH0sIFtdKTtcbiAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoZWxlbWVudHMpO1xuICAgIH0pXG4gICAgLmNhdGNoKGVyciA9PiB7XG4gICAgICAvLyBXZSBmYWlsZWQgdG8gcGFyc2UgdGhlIG1lcmdlIGludmVudG9yeSBmb3Igd2hhdGV2ZXIgcmVhc29uLlxuICAgICAgLy8gIFJhdGhlciB0aGFuIGJsb2NraW5nIHRoZSB1c2VyIGZyb20gbW9kZGluZyBoaXMgZ2FtZSB3ZSdyZVxuICAgICAgLy8gIHdlIHNpbXBseSByZXR1cm4gYW4gZW1wdHkgYXJyYXk7IGJ1dCBiZWZvcmUgd2UgZG8gdGhhdCxcbiAgICAgIC8vICB3ZSBuZWVkIHRvIHRlbGwgaGltIHdlIHdlcmUgdW5hYmxlIHRvIHBhcnNlIHRoZSBtZXJnZWQgaW52ZW50b3J5LlxuICAgICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignSW52YWxpZCBNZXJnZUludmVudG9yeS54bWwgZmlsZScsIGVycixcbiAgICAgICAgeyBhbGxvd1JlcG9ydDogZmFsc2UgfSk7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKFtdKTtcbiAgICB9KTtcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGdldE5hbWVzT2ZNZXJnZWRNb2RzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IEJsdWViaXJkPHN0cmluZ1tdPiB7XG4gIC8vIFRoaXMgcmV0cmlldmVzIGEgdW5pcXVlIGxpc3Qgb2YgbW9kIG5hbWVzIGluY2x1ZGVkIGluIHRoZSBtZXJnZWQgbW9kXG4gIHJldHVybiBnZXRNZXJnZUludmVudG9yeShhcGkpXG4gICAgLnRoZW4oYXN5bmMgbWVyZ2VJbnZlbnRvcnkgPT4ge1xuICAgICAgaWYgKG1lcmdlSW52ZW50b3J5ID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShbXSk7XG4gICAgICB9XG4gICAgICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICAgICAgY29uc3QgZGlzY292ZXJ5ID0gdXRpbC5nZXRTYWZlKHN0YXRlLFxuICAgICAgICBbJ3NldHRpbmdzJywgJ2dhbWVNb2RlJywgJ2Rpc2NvdmVyZWQnLCBHQU1FX0lEXSwgdW5kZWZpbmVkKTtcbiAgICAgIGNvbnN0IG1vZHNQYXRoID0gcGF0aC5qb2luKGRpc2NvdmVyeS5wYXRoLCAnTW9kcycpO1xuICAgICAgY29uc3QgbW9kTmFtZXMgPSBhd2FpdCBtZXJnZUludmVudG9yeS5NZXJnZUludmVudG9yeS5NZXJnZS5yZWR1Y2UoYXN5bmMgKGFjY3VtUCwgaXRlcikgPT4ge1xuICAgICAgICBjb25zdCBhY2N1bSA9IGF3YWl0IGFjY3VtUDtcbiAgICAgICAgY29uc3QgbWVyZ2VkTW9kcyA9IGl0ZXI/LkluY2x1ZGVkTW9kO1xuICAgICAgICBmb3IgKGNvbnN0IG1vZE5hbWUgb2YgbWVyZ2VkTW9kcykge1xuICAgICAgICAgIGlmIChtb2ROYW1lID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgICAgIHJldHVybiBhY2N1bTtcbiAgICAgICAgICB9XG4gICAgICAgICAgaWYgKCFhY2N1bS5pbmNsdWRlcyhtb2ROYW1lPy5fKSkge1xuICAgICAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgICAgYXdhaXQgZnMuc3RhdEFzeW5jKHBhdGguam9pbihtb2RzUGF0aCwgbW9kTmFtZT8uXykpO1xuICAgICAgICAgICAgICBhY2N1bS5wdXNoKG1vZE5hbWU/Ll8pO1xuICAgICAgICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgICAgICAgIGxvZygnZGVidWcnLCAnbWVyZ2VkIG1vZCBpcyBtaXNzaW5nJywgbW9kTmFtZT8uXyk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIHJldHVybiBhY2N1bTtcbiAgICAgIH0sIFtdKTtcbiAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUobW9kTmFtZXMpO1xuICAgIH0pO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZ2V0TWVyZ2VJbnZlbnRvcnlFbnRyaWVzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8SU1lcmdlSW52ZW50b3J5RW50cnlbXT4ge1xuICBjb25zdCBtZXJnZUludmVudG9yeSA9IGF3YWl0IGdldE1lcmdlSW52ZW50b3J5KGFwaSk7XG4gIGNvbnN0IHRvSW5jbHVkZWRNb2QgPSAobW9kKSA9PiAodHlwZW9mKG1vZCkgPT09ICdzdHJpbmcnKVxuICAgID8geyBuYW1lOiBtb2QgfVxuICAgIDoge1xuICAgICAgbmFtZTogbW9kPy5fLFxuICAgICAgaGFzaDogbW9kPy4kPy5IYXNoLFxuICAgICAgcHJpb3JpdHk6IChtb2Q/LiQ/LlByaW9yaXR5ICE9PSB1bmRlZmluZWQpID8gcGFyc2VJbnQobW9kLiQuUHJpb3JpdHksIDEwKSA6IHVuZGVmaW5lZCxcbiAgICB9O1xuICByZXR1cm4gKG1lcmdlSW52ZW50b3J5Py5NZXJnZUludmVudG9yeT8uTWVyZ2UgPz8gW10pXG4gICAgLm1hcChpdGVyID0+ICh7XG4gICAgICB0eXBlOiBpdGVyPy4kPy5UeXBlLFxuICAgICAgcmVsUGF0aDogaXRlcj8uUmVsYXRpdmVQYXRoPy5bMF0sXG4gICAgICBtZXJnZWRNb2ROYW1lOiBpdGVyPy5NZXJnZWRNb2ROYW1lPy5bMF0sXG4gICAgICBpbmNsdWRlZE1vZHM6IChpdGVyPy5JbmNsdWRlZE1vZCA/PyBbXSkubWFwKHRvSW5jbHVkZWRNb2QpLmZpbHRlcihtb2QgPT4gISFtb2QubmFtZSksXG4gICAgfSkpXG4gICAgLmZpbHRlcihlbnRyeSA9PiAoZW50cnkucmVsUGF0aCAhPT0gdW5kZWZpbmVkKSAmJiAoZW50cnkubWVyZ2VkTW9kTmFtZSAhPT0gdW5kZWZpbmVkKSk7XG59XG5cbi8vIFJlcGxhY2VzIHRoZSBpbnZlbnRvcnkgcmVjb3JkcyBvZiB0aGUgZ2l2ZW4gbWVyZ2VzIGFuZCByZW1vdmVzIHRoZSByZWNvcmRzIG9mXG4vLyAgdGhlIG1lcmdlcyBsaXN0ZWQgaW4gXCJyZW1vdmVkXCIsIGtlZXBpbmcgdGhlIHJlY29yZHMgb2YgYW55IG90aGVyIG1lcmdlcyBpbnRhY3QuXG4vLyAgVGhlIGZpbGUgZm9ybWF0IG1hdGNoZXMgdGhlIHNjcmlwdCBtZXJnZXIncyBzbyB0aGF0IGJvdGggVm9ydGV4IGFuZCB0aGUgdG9vbFxuLy8gIGFyZSBhd2FyZSBvZiBlYWNoIG90aGVyJ3MgbWVyZ2VzLlxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHVwZGF0ZU1lcmdlSW52ZW50b3J5KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBtZXJnZXM6IElNZXJnZUludmVudG9yeUVudHJ5W10sXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgcmVtb3ZlZDogc3RyaW5nW10gPSBbXSk6IFByb21pc2U8dm9pZD4ge1xuICBjb25zdCBtZXJnZUludmVudG9yeSA9IGF3YWl0IGdldE1lcmdlSW52ZW50b3J5KGFwaSk7XG4gIGNvbnN0IHJlcGxhY2VkID0gbmV3IFNldChbXS5jb25jYXQobWVyZ2VzLm1hcChtZXJnZSA9PiBtZXJnZS5yZWxQYXRoKSwgcmVtb3ZlZClcbiAgICAubWFwKHJlbFBhdGggPT4gcmVsUGF0aC50b0xvd2VyQ2FzZSgpKSk7XG4gIGNvbnN0IGV4aXN0aW5nID0gKG1lcmdlSW52ZW50b3J5Py5NZXJnZUludmVudG9yeT8uTWVyZ2UgPz8gW10pXG4gICAgLmZpbHRlcihpdGVyID0+ICFyZXBsYWNlZC5oYXMoKGl0ZXI/LlJlbGF0aXZlUGF0aD8uWzBdID8/ICcnKS50b0xvd2VyQ2FzZSgpKSk7XG4gIGNvbnN0IGFkZGVkID0gbWVyZ2VzLm1hcChtZXJnZSA9PiAoe1xuICAgICQ6IHsgVHlwZTogbWVyZ2UudHlwZSA/PyAnU2NyaXB0JyB9LFxuICAgIFJlbGF0aXZlUGF0aDogW21lcmdlLnJlbFBhdGhdLFxuICAgIE1lcmdlZE1vZE5hbWU6IFttZXJnZS5tZXJnZWRNb2ROYW1lXSxcbiAgICBJbmNsdWRlZE1vZDogbWVyZ2UuaW5jbHVkZWRNb2RzLm1hcChtb2QgPT4gKHtcbiAgICAgIF86IG1vZC5uYW1lLFxuICAgICAgJDogKG1vZC5wcmlvcml0eSAhPT0gdW5kZWZpbmVkKVxuICAgICAgICA/IHsgSGFzaDogbW9kLmhhc2gsIFByaW9yaXR5OiBtb2QucHJpb3JpdHkgfVxuICAgICAgICA6IHsgSGFzaDogbW9kLmhhc2ggfSxcbiAgICB9KSksXG4gIH0pKTtcbiAgY29uc3QgYnVpbGRlciA9IG5ldyBCdWlsZGVyKCk7XG4gIGNvbnN0IHhtbCA9IGJ1aWxkZXIuYnVpbGRPYmplY3Qoe1xuICAgIE1lcmdlSW52ZW50b3J5OiB7XG4gICAgICAuLi4obWVyZ2VJbnZlbnRvcnk/Lk1lcmdlSW52ZW50b3J5ID8/IHt9KSxcbiAgICAgIE1lcmdlOiBbXS5jb25jYXQoZXhpc3RpbmcsIGFkZGVkKSxcbiAgICB9LFxuICB9KTtcbiAgY29uc3QgZmlsZVBhdGggPSBwYXRoLmpvaW4oZ2V0TWVyZ2VEYXRhRGlyKGFwaSksIE1FUkdFX0lOVl9NQU5JRkVTVCk7XG4gIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5kaXJuYW1lKGZpbGVQYXRoKSk7XG4gIGF3YWl0IHV0aWwud3JpdGVGaWxlQXRvbWljKGZpbGVQYXRoLCB4bWwpO1xufVxuIl19
\ No newline at end of file
@@ -1,23 +1,18 @@
 /* eslint-disable */
 import Bluebird from 'bluebird';
 import path from 'path';
-import { parseStringPromise } from 'xml2js';
+import { Builder, parseStringPromise } from 'xml2js';
 
-import { GAME_ID, SCRIPT_MERGER_ID, MERGE_INV_MANIFEST } from './common';
+import { GAME_ID, MERGE_INV_MANIFEST } from './common';
+import { getMergeDataDir } from './scriptmerger';
+import { IMergeInventoryEntry } from './types';
 
 import { fs, log, types, util } from 'vortex-api';
 
 function getMergeInventory(api: types.IExtensionApi) {
   // Provided with a pattern, attempts to retrieve element values
   //  from any element keys that match the pattern inside the merge inventory file.
-  const state = api.getState();
-  const discovery = util.getSafe(state, ['settings', 'gameMode', 'discovered', GAME_ID], undefined);
-  const scriptMerger = util.getSafe(discovery, ['tools', SCRIPT_MERGER_ID], undefined);
-  if ((scriptMerger === undefined) || (scriptMerger.path === undefined)) {
-    return Bluebird.resolve([]);
-  }
-
-  return fs.readFileAsync(path.join(path.dirname(scriptMerger.path), MERGE_INV_MANIFEST))
+  return fs.readFileAsync(path.join(getMergeDataDir(api), MERGE_INV_MANIFEST))
     .then(async xmlData => {
       try {
         const mergeData = await parseStringPromise(xmlData);
@@ -115,3 +110,57 @@ export function getNamesOfMergedMods(api: types.IExtensionApi): Bluebird<string[
       return Promise.resolve(modNames);
     });
 }
+
+export async function getMergeInventoryEntries(api: types.IExtensionApi): Promise<IMergeInventoryEntry[]> {
+  const mergeInventory = await getMergeInventory(api);
+  const toIncludedMod = (mod) => (typeof(mod) === 'string')
+    ? { name: mod }
+    : {
+      name: mod?._,
+      hash: mod?.$?.Hash,
+      priority: (mod?.$?.Priority !== undefined) ? parseInt(mod.$.Priority, 10) : undefined,
+    };
+  return (mergeInventory?.MergeInventory?.Merge ?? [])
+    .map(iter => ({
+      type: iter?.$?.Type,
+      relPath: iter?.RelativePath?.[0],
+      mergedModName: iter?.MergedModName?.[0],
+      includedMods: (iter?.IncludedMod ?? []).map(toIncludedMod).filter(mod => !!mod.name),
+    }))
+    .filter(entry => (entry.relPath !== undefined) && (entry.mergedModName !== undefined));
+}
+
+// Replaces the inventory records of the given merges and removes the records of
+//  the merges listed in "removed", keeping the records of any other merges intact.
+//  The file format matches the script merger's so that both Vortex and the tool
+//  are aware of each other's merges.
+export async function updateMergeInventory(api: types.IExtensionApi,
+                                           merges: IMergeInventoryEntry[],
+                                           removed: string[] = []): Promise<void> {
+  const mergeInventory = await getMergeInventory(api);
+  const replaced = new Set([].concat(merges.map(merge => merge.relPath), removed)
+    .map(relPath => relPath.toLowerCase()));
+  const existing = (mergeInventory?.MergeInventory?.Merge ?? [])
+    .filter(iter => !replaced.has((iter?.RelativePath?.[0] ?? '').toLowerCase()));
+  const added = merges.map(merge => ({
+    $: { Type: merge.type ?? 'Script' },
+    RelativePath: [merge.relPath],
+    MergedModName: [merge.mergedModName],
+    IncludedMod: merge.includedMods.map(mod => ({
+      _: mod.name,
+      $: (mod.priority !== undefined)
+        ? { Hash: mod.hash, Priority: mod.priority }
+        : { Hash: mod.hash },
+    })),
+  }));
+  const builder = new Builder();
+  const xml = builder.buildObject({
+    MergeInventory: {
+      ...(mergeInventory?.MergeInventory ?? {}),
+      Merge: [].concat(existing, added),
+    },
+  });
+  const filePath = path.join(getMergeDataDir(api), MERGE_INV_MANIFEST);
+  await fs.ensureDirWritableAsync(path.dirname(filePath));
+  await util.writeFileAtomic(filePath, xml);
+}
@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.W3Reducer = void 0;
+exports.W3SessionReducer = exports.W3Reducer = void 0;
 const vortex_api_1 = require("vortex-api");
 const actions_1 = require("./actions");
 exports.W3Reducer = {
@@ -11,10 +11,35 @@ exports.W3Reducer = {
         [actions_1.setSuppressModLimitPatch]: (state, payload) => {
             return vortex_api_1.util.setSafe(state, ['suppressModLimitPatch'], payload);
         },
+        [actions_1.setInputConflictWinner]: (state, payload) => {
+            const { profileId, conflictId, modId } = payload;
+            return (modId !== undefined)
+                ? vortex_api_1.util.setSafe(state, ['inputConflictWinners', profileId, conflictId], modId)
+                : vortex_api_1.util.deleteOrNop(state, ['inputConflictWinners', profileId, conflictId]);
+        },
     },
     defaults: {
         prioritytype: 'prefix-based',
         suppressModLimitPatch: false,
+        inputConflictWinners: {},
+    },
+};
+exports.W3SessionReducer = {
+    reducers: {
+        [actions_1.setInputConflicts]: (state, payload) => {
+            return vortex_api_1.util.setSafe(state, ['inputConflicts'], payload);
+        },
+        [actions_1.setBundleConflicts]: (state, payload) => {
+            return vortex_api_1.util.setSafe(state, ['bundleConflicts'], payload);
+        },
+        [actions_1.setMenuSettingsMod]: (state, payload) => {
+            return vortex_api_1.util.setSafe(state, ['menuSettingsMod'], payload);
+        },
+    },
+    defaults: {
+        inputConflicts: [],
+        bundleConflicts: {},
+        menuSettingsMod: undefined,
     },
 };
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVkdWNlcnMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJyZWR1Y2Vycy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSwyQ0FBeUM7QUFDekMsdUNBQXNFO0FBR3pELFFBQUEsU0FBUyxHQUF1QjtJQUMzQyxRQUFRLEVBQUU7UUFDUixDQUFDLHlCQUFzQixDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUU7WUFDM0MsT0FBTyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxjQUFjLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUN4RCxDQUFDO1FBQ0QsQ0FBQyxrQ0FBK0IsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ3BELE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsdUJBQXVCLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUNqRSxDQUFDO0tBQ0Y7SUFDRCxRQUFRLEVBQUU7UUFDUixZQUFZLEVBQUUsY0FBYztRQUM1QixxQkFBcUIsRUFBRSxLQUFLO0tBQzdCO0NBQ0YsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcbmltcG9ydCB7IHNldFByaW9yaXR5VHlwZSwgc2V0U3VwcHJlc3NNb2RMaW1pdFBhdGNoIH0gZnJvbSAnLi9hY3Rpb25zJztcclxuXHJcbi8vIHJlZHVjZXJcclxuZXhwb3J0IGNvbnN0IFczUmVkdWNlcjogdHlwZXMuSVJlZHVjZXJTcGVjID0ge1xyXG4gIHJlZHVjZXJzOiB7XHJcbiAgICBbc2V0UHJpb3JpdHlUeXBlIGFzIGFueV06IChzdGF0ZSwgcGF5bG9hZCkgPT4ge1xyXG4gICAgICByZXR1cm4gdXRpbC5zZXRTYWZlKHN0YXRlLCBbJ3ByaW9yaXR5dHlwZSddLCBwYXlsb2FkKTtcclxuICAgIH0sXHJcbiAgICBbc2V0U3VwcHJlc3NNb2RMaW1pdFBhdGNoIGFzIGFueV06IChzdGF0ZSwgcGF5bG9hZCkgPT4ge1xyXG4gICAgICByZXR1cm4gdXRpbC5zZXRTYWZlKHN0YXRlLCBbJ3N1cHByZXNzTW9kTGltaXRQYXRjaCddLCBwYXlsb2FkKTtcclxuICAgIH0sXHJcbiAgfSxcclxuICBkZWZhdWx0czoge1xyXG4gICAgcHJpb3JpdHl0eXBlOiAncHJlZml4LWJhc2VkJyxcclxuICAgIHN1cHByZXNzTW9kTGltaXRQYXRjaDogZmFsc2UsXHJcbiAgfSxcclxufTtcclxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVkdWNlcnMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJyZWR1Y2Vycy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSwyQ0FBeUM7QUFDekMsdUNBQytEO0FBR2xELFFBQUEsU0FBUyxHQUF1QjtJQUMzQyxRQUFRLEVBQUU7UUFDUixDQUFDLHlCQUFzQixDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUU7WUFDM0MsT0FBTyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxjQUFjLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUN4RCxDQUFDO1FBQ0QsQ0FBQyxrQ0FBK0IsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ3BELE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsdUJBQXVCLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUNqRSxDQUFDO1FBQ0QsQ0FBQyxnQ0FBNkIsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ2xELE1BQU0sRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBRSxHQUFHLE9BQU8sQ0FBQztZQUNqRCxPQUFPLENBQUMsS0FBSyxLQUFLLFNBQVMsQ0FBQztnQkFDMUIsQ0FBQyxDQUFDLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLHNCQUFzQixFQUFFLFNBQVMsRUFBRSxVQUFVLENBQUMsRUFBRSxLQUFLLENBQUM7Z0JBQzdFLENBQUMsQ0FBQyxpQkFBSSxDQUFDLFdBQVcsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxzQkFBc0IsRUFBRSxTQUFTLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQztRQUMvRSxDQUFDO0tBQ0Y7SUFDRCxRQUFRLEVBQUU7UUFDUixZQUFZLEVBQUUsY0FBYztRQUM1QixxQkFBcUIsRUFBRSxLQUFLO1FBQzVCLG9CQUFvQixFQUFFLEVBQUU7S0FDekI7Q0FDRixDQUFDO0FBRVcsUUFBQSxnQkFBZ0IsR0FBdUI7SUFDbEQsUUFBUSxFQUFFO1FBQ1IsQ0FBQywyQkFBd0IsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQzdDLE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsZ0JBQWdCLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUMxRCxDQUFDO1FBQ0QsQ0FBQyw0QkFBeUIsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQzlDLE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsaUJBQWlCLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUMzRCxDQUFDO1FBQ0QsQ0FBQyw0QkFBeUIsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQzlDLE9BQU8saUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsaUJBQWlCLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUMzRCxDQUFDO0tBQ0Y7SUFDRCxRQUFRLEVBQUU7UUFDUixjQUFjLEVBQUUsRUFBRTtRQUNsQixlQUFlLEVBQUUsRUFBRTtRQUNuQixlQUFlLEVBQUUsU0FBUztLQUMzQjtDQUNGLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuaW1wb3J0IHsgc2V0QnVuZGxlQ29uZmxpY3RzLCBzZXRJbnB1dENvbmZsaWN0cywgc2V0SW5wdXRDb25mbGljdFdpbm5lciwgc2V0TWVudVNldHRpbmdzTW9kLFxuICBzZXRQcmlvcml0eVR5cGUsIHNldFN1cHByZXNzTW9kTGltaXRQYXRjaCB9IGZyb20gJy4vYWN0aW9ucyc7XG5cbi8vIHJlZHVjZXJcbmV4cG9ydCBjb25zdCBXM1JlZHVjZXI6IHR5cGVzLklSZWR1Y2VyU3BlYyA9IHtcbiAgcmVkdWNlcnM6IHtcbiAgICBbc2V0UHJpb3JpdHlUeXBlIGFzIGFueV06IChzdGF0ZSwgcGF5bG9hZCkgPT4ge1xuICAgICAgcmV0dXJuIHV0aWwuc2V0U2FmZShzdGF0ZSwgWydwcmlvcml0eXR5cGUnXSwgcGF5bG9hZCk7XG4gICAgfSxcbiAgICBbc2V0U3VwcHJlc3NNb2RMaW1pdFBhdGNoIGFzIGFueV06IChzdGF0ZSwgcGF5bG9hZCkgPT4ge1xuICAgICAgcmV0dXJuIHV0aWwuc2V0U2FmZShzdGF0ZSwgWydzdXBwcmVzc01vZExpbWl0UGF0Y2gnXSwgcGF5bG9hZCk7XG4gICAgfSxcbiAgICBbc2V0SW5wdXRDb25mbGljdFdpbm5lciBhcyBhbnldOiAoc3RhdGUsIHBheWxvYWQpID0+IHtcbiAgICAgIGNvbnN0IHsgcHJvZmlsZUlkLCBjb25mbGljdElkLCBtb2RJZCB9ID0gcGF5bG9hZDtcbiAgICAgIHJldHVybiAobW9kSWQgIT09IHVuZGVmaW5lZClcbiAgICAgICAgPyB1dGlsLnNldFNhZmUoc3RhdGUsIFsnaW5wdXRDb25mbGljdFdpbm5lcnMnLCBwcm9maWxlSWQsIGNvbmZsaWN0SWRdLCBtb2RJZClcbiAgICAgICAgOiB1dGlsLmRlbGV0ZU9yTm9wKHN0YXRlLCBbJ2lucHV0Q29uZmxpY3RXaW5uZXJzJywgcHJvZmlsZUlkLCBjb25mbGljdElkXSk7XG4gICAgfSxcbiAgfSxcbiAgZGVmYXVsdHM6IHtcbiAgICBwcmlvcml0eXR5cGU6ICdwcmVmaXgtYmFzZWQnLFxuICAgIHN1cHByZXNzTW9kTGltaXRQYXRjaDogZmFsc2UsXG4gICAgaW5wdXRDb25mbGljdFdpbm5lcnM6IHt9LFxuICB9LFxufTtcblxuZXhwb3J0IGNvbnN0IFczU2Vzc2lvblJlZHVjZXI6IHR5cGVzLklSZWR1Y2VyU3BlYyA9IHtcbiAgcmVkdWNlcnM6IHtcbiAgICBbc2V0SW5wdXRDb25mbGljdHMgYXMgYW55XTogKHN0YXRlLCBwYXlsb2FkKSA9PiB7XG4gICAgICByZXR1cm4gdXRpbC5zZXRTYWZlKHN0YXRlLCBbJ2lucHV0Q29uZmxpY3RzJ10sIHBheWxvYWQpO1xuICAgIH0sXG4gICAgW3NldEJ1bmRsZUNvbmZsaWN0cyBhcyBhbnldOiAoc3RhdGUsIHBheWxvYWQpID0+IHtcbiAgICAgIHJldHVybiB1dGlsLnNldFNhZmUoc3RhdGUsIFsnYnVuZGxlQ29uZmxpY3RzJ10sIHBheWxvYWQpO1xuICAgIH0sXG4gICAgW3NldE1lbnVTZXR0aW5nc01vZCBhcyBhbnldOiAoc3RhdGUsIHBheWxvYWQpID0+IHtcbiAgICAgIHJldHVybiB1dGlsLnNldFNhZmUoc3RhdGUsIFsnbWVudVNldHRpbmdzTW9kJ10sIHBheWxvYWQpO1xuICAgIH0sXG4gIH0sXG4gIGRlZmF1bHRzOiB7XG4gICAgaW5wdXRDb25mbGljdHM6IFtdLFxuICAgIGJ1bmRsZUNvbmZsaWN0czoge30sXG4gICAgbWVudVNldHRpbmdzTW9kOiB1bmRlZmluZWQsXG4gIH0sXG59O1xuIl19
\ No newline at end of file
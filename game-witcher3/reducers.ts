@@ -1,5 +1,6 @@
 import { types, util } from 'vortex-api';
-import { setPriorityType, setSuppressModLimitPatch } from './actions';
+import { setBundleConflicts, setInputConflicts, setInputConflictWinner, setMenuSettingsMod,
+  setPriorityType, setSuppressModLimitPatch } from './actions';
 
 // reducer
 export const W3Reducer: types.IReducerSpec = {
@@ -10,9 +11,35 @@ export const W3Reducer: types.IReducerSpec = {
     [setSuppressModLimitPatch as any]: (state, payload) => {
       return util.setSafe(state, ['suppressModLimitPatch'], payload);
     },
+    [setInputConflictWinner as any]: (state, payload) => {
+      const { profileId, conflictId, modId } = payload;
+      return (modId !== undefined)
+        ? util.setSafe(state, ['inputConflictWinners', profileId, conflictId], modId)
+        : util.deleteOrNop(state, ['inputConflictWinners', profileId, conflictId]);
+    },
   },
   defaults: {
     prioritytype: 'prefix-based',
     suppressModLimitPatch: false,
+    inputConflictWinners: {},
+  },
+};
+
+export const W3SessionReducer: types.IReducerSpec = {
+  reducers: {
+    [setInputConflicts as any]: (state, payload) => {
+      return util.setSafe(state, ['inputConflicts'], payload);
+    },
+    [setBundleConflicts as any]: (state, payload) => {
+      return util.setSafe(state, ['bundleConflicts'], payload);
+    },
+    [setMenuSettingsMod as any]: (state, payload) => {
+      return util.setSafe(state, ['menuSettingsMod'], payload);
+    },
+  },
+  defaults: {
+    inputConflicts: [],
+    bundleConflicts: {},
+    menuSettingsMod: undefined,
   },
 };
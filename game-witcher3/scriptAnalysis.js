@@ -0,0 +1,246 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.renderScriptConflicts = exports.findScriptConflicts = exports.getMergedModPath = exports.readScriptFile = exports.encodeScript = exports.decodeScript = exports.indexModScripts = exports.getVanillaScriptsPath = exports.findTouchedFunctions = exports.parseScriptFunctions = void 0;
+const path_1 = __importDefault(require("path"));
+const vortex_api_1 = require("vortex-api");
+const common_1 = require("./common");
+const scriptmerger_1 = require("./scriptmerger");
+const SCRIPT_EXT = '.ws';
+const VANILLA_SCRIPTS_RELPATH = path_1.default.join('content', 'content0', 'scripts');
+const FUNCTION_DECL = /(?:^|\s)(?:function|event)\s+(\w+)\s*\(/;
+const CLASS_DECL = /(?:^|\s)(?:class|struct)\s+(\w+)/;
+const STATE_DECL = /(?:^|\s)state\s+(\w+)\s+in\s+(\w+)/;
+const COMMENTS = /\/\*[\s\S]*?\*\/|\/\/[^\n]*/g;
+const normalize = (input) => input.replace(COMMENTS, '').replace(/\s+/g, ' ').trim();
+function parseScriptFunctions(content) {
+    const result = {};
+    const scopes = [];
+    let header = '';
+    let headerStart = 0;
+    const resetHeader = (idx) => {
+        header = '';
+        headerStart = idx;
+    };
+    for (let i = 0; i < content.length; ++i) {
+        const char = content[i];
+        const next = content[i + 1];
+        if ((char === '/') && (next === '/')) {
+            const end = content.indexOf('\n', i);
+            i = (end === -1) ? content.length : end;
+            continue;
+        }
+        else if ((char === '/') && (next === '*')) {
+            const end = content.indexOf('*/', i + 2);
+            i = (end === -1) ? content.length : end + 1;
+            continue;
+        }
+        else if ((char === '"') || (char === '\'')) {
+            let end = i + 1;
+            while ((end < content.length) && (content[end] !== char) && (content[end] !== '\n')) {
+                end += (content[end] === '\\') ? 2 : 1;
+            }
+            header += content.slice(i, end + 1);
+            i = end;
+            continue;
+        }
+        if (char === '{') {
+            const inFunction = scopes.find(scope => scope.kind === 'function') !== undefined;
+            const owner = scopes.filter(scope => scope.kind === 'class').map(scope => scope.name);
+            const funcMatch = inFunction ? null : header.match(FUNCTION_DECL);
+            const stateMatch = inFunction ? null : header.match(STATE_DECL);
+            const classMatch = inFunction ? null : header.match(CLASS_DECL);
+            if (funcMatch !== null) {
+                scopes.push({ kind: 'function', name: [...owner, funcMatch[1]].join('::'), start: headerStart });
+            }
+            else if (stateMatch !== null) {
+                scopes.push({ kind: 'class', name: `${stateMatch[2]}::${stateMatch[1]}` });
+            }
+            else if (classMatch !== null) {
+                scopes.push({ kind: 'class', name: classMatch[1] });
+            }
+            else {
+                scopes.push({ kind: 'block' });
+            }
+            resetHeader(i + 1);
+        }
+        else if (char === '}') {
+            const scope = scopes.pop();
+            if ((scope === null || scope === void 0 ? void 0 : scope.kind) === 'function') {
+                result[scope.name] = normalize(content.slice(scope.start, i + 1));
+            }
+            resetHeader(i + 1);
+        }
+        else if (char === ';') {
+            resetHeader(i + 1);
+        }
+        else {
+            header += char;
+        }
+    }
+    return result;
+}
+exports.parseScriptFunctions = parseScriptFunctions;
+function findTouchedFunctions(vanilla, modded) {
+    const names = new Set([...Object.keys(vanilla), ...Object.keys(modded)]);
+    return Array.from(names).filter(name => vanilla[name] !== modded[name]).sort();
+}
+exports.findTouchedFunctions = findTouchedFunctions;
+function getVanillaScriptsPath(api) {
+    const discovery = vortex_api_1.selectors.discoveryByGame(api.getState(), common_1.GAME_ID);
+    return ((discovery === null || discovery === void 0 ? void 0 : discovery.path) !== undefined)
+        ? path_1.default.join(discovery.path, VANILLA_SCRIPTS_RELPATH)
+        : undefined;
+}
+exports.getVanillaScriptsPath = getVanillaScriptsPath;
+function indexModScripts(api, deployment) {
+    var _a;
+    const state = api.getState();
+    const stagingPath = vortex_api_1.selectors.installPathForGame(state, common_1.GAME_ID);
+    const mods = vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {});
+    const modIdByPath = Object.values(mods).reduce((accum, mod) => {
+        accum[mod.installationPath] = mod.id;
+        return accum;
+    }, {});
+    const index = {};
+    for (const files of Object.values(deployment !== null && deployment !== void 0 ? deployment : {})) {
+        for (const file of files) {
+            if (path_1.default.extname(file.relPath).toLowerCase() !== SCRIPT_EXT) {
+                continue;
+            }
+            const segments = file.relPath.split(path_1.default.sep);
+            const lower = segments.map(seg => seg.toLowerCase());
+            const contentIdx = lower.indexOf('content');
+            if ((contentIdx < 1) || (lower[contentIdx + 1] !== 'scripts')) {
+                continue;
+            }
+            const relPath = segments.slice(contentIdx + 2).join(path_1.default.sep);
+            const key = relPath.toLowerCase();
+            index[key] = [].concat((_a = index[key]) !== null && _a !== void 0 ? _a : [], {
+                relPath,
+                modFolder: segments[contentIdx - 1],
+                modId: modIdByPath[file.source],
+                filePath: path_1.default.join(stagingPath, file.source, file.relPath),
+            });
+        }
+    }
+    return index;
+}
+exports.indexModScripts = indexModScripts;
+function decodeScript(data) {
+    if ((data[0] === 0xFF) && (data[1] === 0xFE)) {
+        return { content: data.toString('utf16le', 2), encoding: 'utf16le', bom: true };
+    }
+    const hasBOM = (data[0] === 0xEF) && (data[1] === 0xBB) && (data[2] === 0xBF);
+    if (!hasBOM && (data.length > 1) && (data[0] !== 0) && (data[1] === 0)) {
+        return { content: data.toString('utf16le'), encoding: 'utf16le', bom: false };
+    }
+    return { content: data.toString('utf8', hasBOM ? 3 : 0), encoding: 'utf8', bom: hasBOM };
+}
+exports.decodeScript = decodeScript;
+function encodeScript(script) {
+    const content = script.bom ? '\ufeff' + script.content : script.content;
+    return Buffer.from(content, script.encoding);
+}
+exports.encodeScript = encodeScript;
+function readScriptFile(filePath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            return decodeScript(yield vortex_api_1.fs.readFileAsync(filePath));
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT') {
+                (0, vortex_api_1.log)('warn', 'failed to read script', { filePath, error: err.message });
+            }
+            return undefined;
+        }
+    });
+}
+exports.readScriptFile = readScriptFile;
+function readScript(filePath) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        return (_a = (yield readScriptFile(filePath))) === null || _a === void 0 ? void 0 : _a.content;
+    });
+}
+function getMergedModPath(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const discovery = vortex_api_1.selectors.discoveryByGame(api.getState(), common_1.GAME_ID);
+        return path_1.default.join(discovery.path, 'Mods', yield (0, scriptmerger_1.resolveMergedModName)(api));
+    });
+}
+exports.getMergedModPath = getMergedModPath;
+function findScriptConflicts(api, deployment) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        const vanillaPath = getVanillaScriptsPath(api);
+        if (vanillaPath === undefined) {
+            return [];
+        }
+        const index = indexModScripts(api, deployment);
+        const mergedModPath = yield getMergedModPath(api);
+        const conflicts = [];
+        for (const files of Object.values(index)) {
+            const folders = new Set(files.map(file => file.modFolder.toLowerCase()));
+            if (folders.size < 2) {
+                continue;
+            }
+            const relPath = files[0].relPath;
+            const vanillaData = yield readScript(path_1.default.join(vanillaPath, relPath));
+            const vanilla = parseScriptFunctions(vanillaData !== null && vanillaData !== void 0 ? vanillaData : '');
+            const contents = [];
+            const entries = [];
+            for (const file of files) {
+                const data = (_a = yield readScript(file.filePath)) !== null && _a !== void 0 ? _a : '';
+                contents.push(normalize(data));
+                entries.push(Object.assign(Object.assign({}, file), { functions: findTouchedFunctions(vanilla, parseScriptFunctions(data)) }));
+            }
+            const counts = entries.reduce((accum, entry) => {
+                entry.functions.forEach(func => { var _a; return accum[func] = ((_a = accum[func]) !== null && _a !== void 0 ? _a : 0) + 1; });
+                return accum;
+            }, {});
+            const merged = yield readScript(path_1.default.join(mergedModPath, 'content', 'scripts', relPath));
+            conflicts.push({
+                relPath,
+                entries,
+                overlapping: Object.keys(counts).filter(func => counts[func] > 1).sort(),
+                merged: merged !== undefined,
+                identical: new Set(contents).size === 1,
+            });
+        }
+        return conflicts.sort((lhs, rhs) => lhs.relPath.localeCompare(rhs.relPath));
+    });
+}
+exports.findScriptConflicts = findScriptConflicts;
+function renderScriptConflicts(api, conflicts) {
+    const t = api.translate;
+    const mods = vortex_api_1.util.getSafe(api.getState(), ['persistent', 'mods', common_1.GAME_ID], {});
+    const modName = (entry) => (mods[entry.modId] !== undefined)
+        ? `${entry.modFolder} (${vortex_api_1.util.renderModName(mods[entry.modId])})`
+        : entry.modFolder;
+    const MAX_FUNCS = 5;
+    const funcList = (funcs) => (funcs.length > MAX_FUNCS)
+        ? funcs.slice(0, MAX_FUNCS).join(', ') + ', ' + t('and {{count}} more', { count: funcs.length - MAX_FUNCS })
+        : funcs.join(', ');
+    return conflicts.map(conflict => {
+        const entries = conflict.entries.map(entry => `[*]${modName(entry)}: `
+            + ((entry.functions.length > 0) ? funcList(entry.functions) : t('no function changes')));
+        const overlap = (conflict.overlapping.length > 0)
+            ? t('Edited by more than one mod: {{funcs}}', { replace: { funcs: funcList(conflict.overlapping) } })
+            : t('The mods edit different functions, the merge should not require manual work.');
+        return `[b]${conflict.relPath}[/b][list]${entries.join('')}[/list]${overlap}[br][/br]`;
+    }).join('[br][/br]');
+}
+exports.renderScriptConflicts = renderScriptConflicts;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyaXB0QW5hbHlzaXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzY3JpcHRBbmFseXNpcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7QUFDQSxnREFBd0I7QUFDeEIsMkNBQTZEO0FBRTdELHFDQUFtQztBQUNuQyxpREFBc0Q7QUFHdEQsTUFBTSxVQUFVLEdBQUcsS0FBSyxDQUFDO0FBQ3pCLE1BQU0sdUJBQXVCLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLFNBQVMsQ0FBQyxDQUFDO0FBRTVFLE1BQU0sYUFBYSxHQUFHLHlDQUF5QyxDQUFDO0FBQ2hFLE1BQU0sVUFBVSxHQUFHLGtDQUFrQyxDQUFDO0FBQ3RELE1BQU0sVUFBVSxHQUFHLG9DQUFvQyxDQUFDO0FBQ3hELE1BQU0sUUFBUSxHQUFHLDhCQUE4QixDQUFDO0FBUWhELE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0FBTTdGLFNBQWdCLG9CQUFvQixDQUFDLE9BQWU7SUFDbEQsTUFBTSxNQUFNLEdBQStCLEVBQUUsQ0FBQztJQUM5QyxNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7SUFDNUIsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDO0lBQ2hCLElBQUksV0FBVyxHQUFHLENBQUMsQ0FBQztJQUVwQixNQUFNLFdBQVcsR0FBRyxDQUFDLEdBQVcsRUFBRSxFQUFFO1FBQ2xDLE1BQU0sR0FBRyxFQUFFLENBQUM7UUFDWixXQUFXLEdBQUcsR0FBRyxDQUFDO0lBQ3BCLENBQUMsQ0FBQztJQUVGLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxFQUFFO1FBQ3ZDLE1BQU0sSUFBSSxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN4QixNQUFNLElBQUksR0FBRyxPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQzVCLElBQUksQ0FBQyxJQUFJLEtBQUssR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUU7WUFDcEMsTUFBTSxHQUFHLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDckMsQ0FBQyxHQUFHLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQztZQUN4QyxTQUFTO1NBQ1Y7YUFBTSxJQUFJLENBQUMsSUFBSSxLQUFLLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFO1lBQzNDLE1BQU0sR0FBRyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztZQUN6QyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztZQUM1QyxTQUFTO1NBQ1Y7YUFBTSxJQUFJLENBQUMsSUFBSSxLQUFLLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxFQUFFO1lBQzVDLElBQUksR0FBRyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDaEIsT0FBTyxDQUFDLEdBQUcsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssSUFBSSxDQUFDLEVBQUU7Z0JBQ25GLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDeEM7WUFDRCxNQUFNLElBQUksT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQ3BDLENBQUMsR0FBRyxHQUFHLENBQUM7WUFDUixTQUFTO1NBQ1Y7UUFFRCxJQUFJLElBQUksS0FBSyxHQUFHLEVBQUU7WUFDaEIsTUFBTSxVQUFVLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEtBQUssVUFBVSxDQUFDLEtBQUssU0FBUyxDQUFDO1lBQ2pGLE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxLQUFLLE9BQU8sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN0RixNQUFNLFNBQVMsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxhQUFhLENBQUMsQ0FBQztZQUNsRSxNQUFNLFVBQVUsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUNoRSxNQUFNLFVBQVUsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUNoRSxJQUFJLFNBQVMsS0FBSyxJQUFJLEVBQUU7Z0JBQ3RCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxDQUFDLEdBQUcsS0FBSyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsV0FBVyxFQUFFLENBQUMsQ0FBQzthQUNsRztpQkFBTSxJQUFJLFVBQVUsS0FBSyxJQUFJLEVBQUU7Z0JBQzlCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsS0FBSyxVQUFVLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7YUFDNUU7aUJBQU0sSUFBSSxVQUFVLEtBQUssSUFBSSxFQUFFO2dCQUM5QixNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQzthQUNyRDtpQkFBTTtnQkFDTCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDaEM7WUFDRCxXQUFXLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1NBQ3BCO2FBQU0sSUFBSSxJQUFJLEtBQUssR0FBRyxFQUFFO1lBQ3ZCLE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQztZQUMzQixJQUFJLENBQUEsS0FBSyxhQUFMLEtBQUssdUJBQUwsS0FBSyxDQUFFLElBQUksTUFBSyxVQUFVLEVBQUU7Z0JBQzlCLE1BQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUNuRTtZQUNELFdBQVcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7U0FDcEI7YUFBTSxJQUFJLElBQUksS0FBSyxHQUFHLEVBQUU7WUFDdkIsV0FBVyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztTQUNwQjthQUFNO1lBQ0wsTUFBTSxJQUFJLElBQUksQ0FBQztTQUNoQjtLQUNGO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQztBQTdERCxvREE2REM7QUFJRCxTQUFnQixvQkFBb0IsQ0FBQyxPQUFtQyxFQUNuQyxNQUFrQztJQUNyRSxNQUFNLEtBQUssR0FBRyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3pFLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEtBQUssTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7QUFDakYsQ0FBQztBQUpELG9EQUlDO0FBRUQsU0FBZ0IscUJBQXFCLENBQUMsR0FBd0I7SUFDNUQsTUFBTSxTQUFTLEdBQUcsc0JBQVMsQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxFQUFFLGdCQUFPLENBQUMsQ0FBQztJQUNyRSxPQUFPLENBQUMsQ0FBQSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUUsSUFBSSxNQUFLLFNBQVMsQ0FBQztRQUNwQyxDQUFDLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLHVCQUF1QixDQUFDO1FBQ3BELENBQUMsQ0FBQyxTQUFTLENBQUM7QUFDaEIsQ0FBQztBQUxELHNEQUtDO0FBSUQsU0FBZ0IsZUFBZSxDQUFDLEdBQXdCLEVBQ3hCLFVBQXVCOztJQUNyRCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDN0IsTUFBTSxXQUFXLEdBQUcsc0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO0lBQ2pFLE1BQU0sSUFBSSxHQUFvQyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN2RyxNQUFNLFdBQVcsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtRQUM1RCxLQUFLLENBQUMsR0FBRyxDQUFDLGdCQUFnQixDQUFDLEdBQUcsR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUNyQyxPQUFPLEtBQUssQ0FBQztJQUNmLENBQUMsRUFBRSxFQUFvQyxDQUFDLENBQUM7SUFFekMsTUFBTSxLQUFLLEdBQXlDLEVBQUUsQ0FBQztJQUN2RCxLQUFLLE1BQU0sS0FBSyxJQUFJLE1BQU0sQ0FBQyxNQUFNLENBQUMsVUFBVSxhQUFWLFVBQVUsY0FBVixVQUFVLEdBQUksRUFBRSxDQUFDLEVBQUU7UUFDbkQsS0FBSyxNQUFNLElBQUksSUFBSSxLQUFLLEVBQUU7WUFDeEIsSUFBSSxjQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxVQUFVLEVBQUU7Z0JBQzNELFNBQVM7YUFDVjtZQUNELE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUM5QyxNQUFNLEtBQUssR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7WUFDckQsTUFBTSxVQUFVLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUM1QyxJQUFJLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLFVBQVUsR0FBRyxDQUFDLENBQUMsS0FBSyxTQUFTLENBQUMsRUFBRTtnQkFDN0QsU0FBUzthQUNWO1lBQ0QsTUFBTSxPQUFPLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUM5RCxNQUFNLEdBQUcsR0FBRyxPQUFPLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDbEMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBQSxLQUFLLENBQUMsR0FBRyxDQUFDLG1DQUFJLEVBQUUsRUFBRTtnQkFDdkMsT0FBTztnQkFDUCxTQUFTLEVBQUUsUUFBUSxDQUFDLFVBQVUsR0FBRyxDQUFDLENBQUM7Z0JBQ25DLEtBQUssRUFBRSxXQUFXLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztnQkFDL0IsUUFBUSxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQzthQUM1RCxDQUFDLENBQUM7U0FDSjtLQUNGO0lBQ0QsT0FBTyxLQUFLLENBQUM7QUFDZixDQUFDO0FBakNELDBDQWlDQztBQUdELFNBQWdCLFlBQVksQ0FBQyxJQUFZO0lBQ3ZDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLEVBQUU7UUFDNUMsT0FBTyxFQUFFLE9BQU8sRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsQ0FBQztLQUNqRjtJQUNELE1BQU0sTUFBTSxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDO0lBRTlFLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFO1FBQ3RFLE9BQU8sRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsQ0FBQztLQUMvRTtJQUNELE9BQU8sRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxDQUFDO0FBQzNGLENBQUM7QUFWRCxvQ0FVQztBQUVELFNBQWdCLFlBQVksQ0FBQyxNQUFtQjtJQUM5QyxNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxRQUFRLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQztJQUN4RSxPQUFPLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztBQUMvQyxDQUFDO0FBSEQsb0NBR0M7QUFFRCxTQUFzQixjQUFjLENBQUMsUUFBZ0I7O1FBQ25ELElBQUk7WUFDRixPQUFPLFlBQVksQ0FBQyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztTQUN2RDtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osSUFBSSxHQUFHLENBQUMsSUFBSSxLQUFLLFFBQVEsRUFBRTtnQkFDekIsSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSx1QkFBdUIsRUFBRSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDeEU7WUFDRCxPQUFPLFNBQVMsQ0FBQztTQUNsQjtJQUNILENBQUM7Q0FBQTtBQVRELHdDQVNDO0FBRUQsU0FBZSxVQUFVLENBQUMsUUFBZ0I7OztRQUN4QyxPQUFPLE1BQUEsQ0FBQyxNQUFNLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQywwQ0FBRSxPQUFPLENBQUM7O0NBQ2xEO0FBRUQsU0FBc0IsZ0JBQWdCLENBQUMsR0FBd0I7O1FBQzdELE1BQU0sU0FBUyxHQUFHLHNCQUFTLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsRUFBRSxnQkFBTyxDQUFDLENBQUM7UUFDckUsT0FBTyxjQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLEVBQUUsTUFBTSxFQUFFLE1BQU0sSUFBQSxtQ0FBb0IsRUFBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQzVFLENBQUM7Q0FBQTtBQUhELDRDQUdDO0FBS0QsU0FBc0IsbUJBQW1CLENBQUMsR0FBd0IsRUFDeEIsVUFBdUI7OztRQUMvRCxNQUFNLFdBQVcsR0FBRyxxQkFBcUIsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUMvQyxJQUFJLFdBQVcsS0FBSyxTQUFTLEVBQUU7WUFDN0IsT0FBTyxFQUFFLENBQUM7U0FDWDtRQUNELE1BQU0sS0FBSyxHQUFHLGVBQWUsQ0FBQyxHQUFHLEVBQUUsVUFBVSxDQUFDLENBQUM7UUFDL0MsTUFBTSxhQUFhLEdBQUcsTUFBTSxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNsRCxNQUFNLFNBQVMsR0FBc0IsRUFBRSxDQUFDO1FBQ3hDLEtBQUssTUFBTSxLQUFLLElBQUksTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUN4QyxNQUFNLE9BQU8sR0FBRyxJQUFJLEdBQUcsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDekUsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsRUFBRTtnQkFDcEIsU0FBUzthQUNWO1lBQ0QsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQztZQUNqQyxNQUFNLFdBQVcsR0FBRyxNQUFNLFVBQVUsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO1lBQ3RFLE1BQU0sT0FBTyxHQUFHLG9CQUFvQixDQUFDLFdBQVcsYUFBWCxXQUFXLGNBQVgsV0FBVyxHQUFJLEVBQUUsQ0FBQyxDQUFDO1lBQ3hELE1BQU0sUUFBUSxHQUFhLEVBQUUsQ0FBQztZQUM5QixNQUFNLE9BQU8sR0FBMkIsRUFBRSxDQUFDO1lBQzNDLEtBQUssTUFBTSxJQUFJLElBQUksS0FBSyxFQUFFO2dCQUN4QixNQUFNLElBQUksR0FBRyxNQUFBLE1BQU0sVUFBVSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsbUNBQUksRUFBRSxDQUFDO2dCQUNuRCxRQUFRLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO2dCQUMvQixPQUFPLENBQUMsSUFBSSxpQ0FBTSxJQUFJLEtBQUUsU0FBUyxFQUFFLG9CQUFvQixDQUFDLE9BQU8sRUFBRSxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFHLENBQUM7YUFDakc7WUFDRCxNQUFNLE1BQU0sR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFO2dCQUM3QyxLQUFLLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxXQUFDLE9BQUEsS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBQSxLQUFLLENBQUMsSUFBSSxDQUFDLG1DQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQSxFQUFBLENBQUMsQ0FBQztnQkFDdEUsT0FBTyxLQUFLLENBQUM7WUFDZixDQUFDLEVBQUUsRUFBZ0MsQ0FBQyxDQUFDO1lBQ3JDLE1BQU0sTUFBTSxHQUFHLE1BQU0sVUFBVSxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUN6RixTQUFTLENBQUMsSUFBSSxDQUFDO2dCQUNiLE9BQU87Z0JBQ1AsT0FBTztnQkFDUCxXQUFXLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFO2dCQUN4RSxNQUFNLEVBQUUsTUFBTSxLQUFLLFNBQVM7Z0JBQzVCLFNBQVMsRUFBRSxJQUFJLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLEtBQUssQ0FBQzthQUN4QyxDQUFDLENBQUM7U0FDSjtRQUNELE9BQU8sU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDOztDQUM3RTtBQXRDRCxrREFzQ0M7QUFHRCxTQUFnQixxQkFBcUIsQ0FBQyxHQUF3QixFQUFFLFNBQTRCO0lBQzFGLE1BQU0sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxTQUFTLENBQUM7SUFDeEIsTUFBTSxJQUFJLEdBQW9DLGlCQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsRUFDdkUsQ0FBQyxZQUFZLEVBQUUsTUFBTSxFQUFFLGdCQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN2QyxNQUFNLE9BQU8sR0FBRyxDQUFDLEtBQTJCLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsS0FBSyxTQUFTLENBQUM7UUFDaEYsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLFNBQVMsS0FBSyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUc7UUFDakUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUM7SUFDcEIsTUFBTSxTQUFTLEdBQUcsQ0FBQyxDQUFDO0lBQ3BCLE1BQU0sUUFBUSxHQUFHLENBQUMsS0FBZSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsU0FBUyxDQUFDO1FBQzlELENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxHQUFHLENBQUMsQ0FBQyxvQkFBb0IsRUFBRSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsTUFBTSxHQUFHLFNBQVMsRUFBRSxDQUFDO1FBQzVHLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBRXJCLE9BQU8sU0FBUyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUM5QixNQUFNLE9BQU8sR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLE1BQU0sT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJO2NBQ2xFLENBQUMsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLHFCQUFxQixDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzNGLE1BQU0sT0FBTyxHQUFHLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1lBQy9DLENBQUMsQ0FBQyxDQUFDLENBQUMsd0NBQXdDLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsRUFBRSxFQUFFLENBQUM7WUFDckcsQ0FBQyxDQUFDLENBQUMsQ0FBQyw4RUFBOEUsQ0FBQyxDQUFDO1FBQ3RGLE9BQU8sTUFBTSxRQUFRLENBQUMsT0FBTyxhQUFhLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsT0FBTyxXQUFXLENBQUM7SUFDekYsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDO0FBQ3ZCLENBQUM7QUFwQkQsc0RBb0JDIiwic291cmNlc0NvbnRlbnQiOlsiLyogZXNsaW50LWRpc2FibGUgKi9cbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHsgZnMsIGxvZywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBHQU1FX0lEIH0gZnJvbSAnLi9jb21tb24nO1xuaW1wb3J0IHsgcmVzb2x2ZU1lcmdlZE1vZE5hbWUgfSBmcm9tICcuL3NjcmlwdG1lcmdlcic7XG5pbXBvcnQgeyBJRGVwbG95bWVudCwgSVNjcmlwdENvbmZsaWN0LCBJU2NyaXB0Q29uZmxpY3RFbnRyeSwgSVNjcmlwdERhdGEsIElTY3JpcHRGaWxlIH0gZnJvbSAnLi90eXBlcyc7XG5cbmNvbnN0IFNDUklQVF9FWFQgPSAnLndzJztcbmNvbnN0IFZBTklMTEFfU0NSSVBUU19SRUxQQVRIID0gcGF0aC5qb2luKCdjb250ZW50JywgJ2NvbnRlbnQwJywgJ3NjcmlwdHMnKTtcblxuY29uc3QgRlVOQ1RJT05fREVDTCA9IC8oPzpefFxccykoPzpmdW5jdGlvbnxldmVudClcXHMrKFxcdyspXFxzKlxcKC87XG5jb25zdCBDTEFTU19ERUNMID0gLyg/Ol58XFxzKSg/OmNsYXNzfHN0cnVjdClcXHMrKFxcdyspLztcbmNvbnN0IFNUQVRFX0RFQ0wgPSAvKD86XnxcXHMpc3RhdGVcXHMrKFxcdyspXFxzK2luXFxzKyhcXHcrKS87XG5jb25zdCBDT01NRU5UUyA9IC9cXC9cXCpbXFxzXFxTXSo/XFwqXFwvfFxcL1xcL1teXFxuXSovZztcblxuaW50ZXJmYWNlIElTY29wZSB7XG4gIGtpbmQ6ICdjbGFzcycgfCAnZnVuY3Rpb24nIHwgJ2Jsb2NrJztcbiAgbmFtZT86IHN0cmluZztcbiAgc3RhcnQ/OiBudW1iZXI7XG59XG5cbmNvbnN0IG5vcm1hbGl6ZSA9IChpbnB1dDogc3RyaW5nKSA9PiBpbnB1dC5yZXBsYWNlKENPTU1FTlRTLCAnJykucmVwbGFjZSgvXFxzKy9nLCAnICcpLnRyaW0oKTtcblxuLy8gRXh0cmFjdHMgYWxsIGZ1bmN0aW9ucyBhbmQgZXZlbnRzIGZyb20gYSB3aXRjaGVyIHNjcmlwdCwgbWFwcGVkIHRvIHRoZWlyXG4vLyAgbm9ybWFsaXplZCBzb3VyY2UgY29kZSAoc2lnbmF0dXJlIGluY2x1ZGVkKSBzbyB0aGF0IHR3byB2ZXJzaW9ucyBvZiB0aGUgc2FtZVxuLy8gIHNjcmlwdCBjYW4gYmUgY29tcGFyZWQgZnVuY3Rpb24gYnkgZnVuY3Rpb24uIENsYXNzIG1lbWJlcnMgYXJlIHByZWZpeGVkIHdpdGhcbi8vICB0aGUgY2xhc3MgbmFtZSwgc3RhdGUgbWVtYmVycyB3aXRoIFwiQ2xhc3M6OlN0YXRlXCIuXG5leHBvcnQgZnVuY3Rpb24gcGFyc2VTY3JpcHRGdW5jdGlvbnMoY29udGVudDogc3RyaW5nKTogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0ge1xuICBjb25zdCByZXN1bHQ6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gIGNvbnN0IHNjb3BlczogSVNjb3BlW10gPSBbXTtcbiAgbGV0IGhlYWRlciA9ICcnO1xuICBsZXQgaGVhZGVyU3RhcnQgPSAwO1xuXG4gIGNvbnN0IHJlc2V0SGVhZGVyID0gKGlkeDogbnVtYmVyKSA9PiB7XG4gICAgaGVhZGVyID0gJyc7XG4gICAgaGVhZGVyU3RhcnQgPSBpZHg7XG4gIH07XG5cbiAgZm9yIChsZXQgaSA9IDA7IGkgPCBjb250ZW50Lmxlbmd0aDsgKytpKSB7XG4gICAgY29uc3QgY2hhciA9IGNvbnRlbnRbaV07XG4gICAgY29uc3QgbmV4dCA9IGNvbnRlbnRbaSArIDFdO1xuICAgIGlmICgoY2hhciA9PT0gJy8nKSAmJiAobmV4dCA9PT0gJy8nKSkge1xuICAgICAgY29uc3QgZW5kID0gY29udGVudC5pbmRleE9mKCdcXG4nLCBpKTtcbiAgICAgIGkgPSAoZW5kID09PSAtMSkgPyBjb250ZW50Lmxlbmd0aCA6IGVuZDtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH0gZWxzZSBpZiAoKGNoYXIgPT09ICcvJykgJiYgKG5leHQgPT09ICcqJykpIHtcbiAgICAgIGNvbnN0IGVuZCA9IGNvbnRlbnQuaW5kZXhPZignKi8nLCBpICsgMik7XG4gICAgICBpID0gKGVuZCA9PT0gLTEpID8gY29udGVudC5sZW5ndGggOiBlbmQgKyAxO1xuICAgICAgY29udGludWU7XG4gICAgfSBlbHNlIGlmICgoY2hhciA9PT0gJ1wiJykgfHwgKGNoYXIgPT09ICdcXCcnKSkge1xuICAgICAgbGV0IGVuZCA9IGkgKyAxO1xuICAgICAgd2hpbGUgKChlbmQgPCBjb250ZW50Lmxlbmd0aCkgJiYgKGNvbnRlbnRbZW5kXSAhPT0gY2hhcikgJiYgKGNvbnRlbnRbZW5kXSAhPT0gJ1xcbicpKSB7XG4gICAgICAgIGVuZCArPSAoY29udGVudFtlbmRdID09PSAnXFxcXCcpID8gMiA6IDE7XG4gICAgICB9XG4gICAgICBoZWFkZXIgKz0gY29udGVudC5zbGljZShpLCBlbmQgKyAxKTtcbiAgICAgIGkgPSBlbmQ7XG4gICAgICBjb250aW51ZTtcbiAgICB9XG5cbiAgICBpZiAoY2hhciA9PT0gJ3snKSB7XG4gICAgICBjb25zdCBpbkZ1bmN0aW9uID0gc2NvcGVzLmZpbmQoc2NvcGUgPT4gc2NvcGUua2luZCA9PT0gJ2Z1bmN0aW9uJykgIT09IHVuZGVmaW5lZDtcbiAgICAgIGNvbnN0IG93bmVyID0gc2NvcGVzLmZpbHRlcihzY29wZSA9PiBzY29wZS5raW5kID09PSAnY2xhc3MnKS5tYXAoc2NvcGUgPT4gc2NvcGUubmFtZSk7XG4gICAgICBjb25zdCBmdW5jTWF0Y2ggPSBpbkZ1bmN0aW9uID8gbnVsbCA6IGhlYWRlci5tYXRjaChGVU5DVElPTl9ERUNMKTtcbiAgICAgIGNvbnN0IHN0YXRlTWF0Y2ggPSBpbkZ1bmN0aW9uID8gbnVsbCA6IGhlYWRlci5tYXRjaChTVEFURV9ERUNMKTtcbiAgICAgIGNvbnN0IGNsYXNzTWF0Y2ggPSBpbkZ1bmN0aW9uID8gbnVsbCA6IGhlYWRlci5tYXRjaChDTEFTU19ERUNMKTtcbiAgICAgIGlmIChmdW5jTWF0Y2ggIT09IG51bGwpIHtcbiAgICAgICAgc2NvcGVzLnB1c2goeyBraW5kOiAnZnVuY3Rpb24nLCBuYW1lOiBbLi4ub3duZXIsIGZ1bmNNYXRjaFsxXV0uam9pbignOjonKSwgc3RhcnQ6IGhlYWRlclN0YXJ0IH0pO1xuICAgICAgfSBlbHNlIGlmIChzdGF0ZU1hdGNoICE9PSBudWxsKSB7XG4gICAgICAgIHNjb3Blcy5wdXNoKHsga2luZDogJ2NsYXNzJywgbmFtZTogYCR7c3RhdGVNYXRjaFsyXX06OiR7c3RhdGVNYXRjaFsxXX1gIH0pO1xuICAgICAgfSBlbHNlIGlmIChjbGFzc01hdGNoICE9PSBudWxsKSB7XG4gICAgICAgIHNjb3Blcy5wdXNoKHsga2luZDogJ2NsYXNzJywgbmFtZTogY2xhc3NNYXRjaFsxXSB9KTtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHNjb3Blcy5wdXNoKHsga2luZDogJ2Jsb2NrJyB9KTtcbiAgICAgIH1cbiAgICAgIHJlc2V0SGVhZGVyKGkgKyAxKTtcbiAgICB9IGVsc2UgaWYgKGNoYXIgPT09ICd9Jykge1xuICAgICAgY29uc3Qgc2NvcGUgPSBzY29wZXMucG9wKCk7XG4gICAgICBpZiAoc2NvcGU/LmtpbmQgPT09ICdmdW5jdGlvbicpIHtcbiAgICAgICAgcmVzdWx0W3Njb3BlLm5hbWVdID0gbm9ybWFsaXplKGNvbnRlbnQuc2xpY2Uoc2NvcGUuc3RhcnQsIGkgKyAxKSk7XG4gICAgICB9XG4gICAgICByZXNldEhlYWRlcihpICsgMSk7XG4gICAgfSBlbHNlIGlmIChjaGFyID09PSAnOycpIHtcbiAgICAgIHJlc2V0SGVhZGVyKGkgKyAxKTtcbiAgICB9IGVsc2Uge1xuICAgICAgaGVhZGVyICs9IGNoYXI7XG4gICAgfVxuICB9XG4gIHJldHVybiByZXN1bHQ7XG59XG5cbi8vIFJldHVybnMgdGhlIG5hbWVzIG9mIGFsbCBmdW5jdGlvbnMgd2hpY2ggd2VyZSBhZGRlZCwgcmVtb3ZlZCBvciBtb2RpZmllZFxuLy8gIGNvbXBhcmVkIHRvIHRoZSB2YW5pbGxhIHZlcnNpb24gb2YgdGhlIHNjcmlwdC5cbmV4cG9ydCBmdW5jdGlvbiBmaW5kVG91Y2hlZEZ1bmN0aW9ucyh2YW5pbGxhOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBtb2RkZWQ6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9KTogc3RyaW5nW10ge1xuICBjb25zdCBuYW1lcyA9IG5ldyBTZXQoWy4uLk9iamVjdC5rZXlzKHZhbmlsbGEpLCAuLi5PYmplY3Qua2V5cyhtb2RkZWQpXSk7XG4gIHJldHVybiBBcnJheS5mcm9tKG5hbWVzKS5maWx0ZXIobmFtZSA9PiB2YW5pbGxhW25hbWVdICE9PSBtb2RkZWRbbmFtZV0pLnNvcnQoKTtcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGdldFZhbmlsbGFTY3JpcHRzUGF0aChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBzdHJpbmcge1xuICBjb25zdCBkaXNjb3ZlcnkgPSBzZWxlY3RvcnMuZGlzY292ZXJ5QnlHYW1lKGFwaS5nZXRTdGF0ZSgpLCBHQU1FX0lEKTtcbiAgcmV0dXJuIChkaXNjb3Zlcnk/LnBhdGggIT09IHVuZGVmaW5lZClcbiAgICA/IHBhdGguam9pbihkaXNjb3ZlcnkucGF0aCwgVkFOSUxMQV9TQ1JJUFRTX1JFTFBBVEgpXG4gICAgOiB1bmRlZmluZWQ7XG59XG5cbi8vIENvbGxlY3RzIHRoZSBzY3JpcHRzIG9mIGFsbCBkZXBsb3llZCBtb2RzLCBncm91cGVkIGJ5IHRoZWlyIHBhdGggcmVsYXRpdmUgdG9cbi8vICB0aGUgY29udGVudC9zY3JpcHRzIGZvbGRlci5cbmV4cG9ydCBmdW5jdGlvbiBpbmRleE1vZFNjcmlwdHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBkZXBsb3ltZW50OiBJRGVwbG95bWVudCk6IHsgW3JlbFBhdGg6IHN0cmluZ106IElTY3JpcHRGaWxlW10gfSB7XG4gIGNvbnN0IHN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHN0YWdpbmdQYXRoID0gc2VsZWN0b3JzLmluc3RhbGxQYXRoRm9yR2FtZShzdGF0ZSwgR0FNRV9JRCk7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KTtcbiAgY29uc3QgbW9kSWRCeVBhdGggPSBPYmplY3QudmFsdWVzKG1vZHMpLnJlZHVjZSgoYWNjdW0sIG1vZCkgPT4ge1xuICAgIGFjY3VtW21vZC5pbnN0YWxsYXRpb25QYXRoXSA9IG1vZC5pZDtcbiAgICByZXR1cm4gYWNjdW07XG4gIH0sIHt9IGFzIHsgW2luc3RQYXRoOiBzdHJpbmddOiBzdHJpbmcgfSk7XG5cbiAgY29uc3QgaW5kZXg6IHsgW3JlbFBhdGg6IHN0cmluZ106IElTY3JpcHRGaWxlW10gfSA9IHt9O1xuICBmb3IgKGNvbnN0IGZpbGVzIG9mIE9iamVjdC52YWx1ZXMoZGVwbG95bWVudCA/PyB7fSkpIHtcbiAgICBmb3IgKGNvbnN0IGZpbGUgb2YgZmlsZXMpIHtcbiAgICAgIGlmIChwYXRoLmV4dG5hbWUoZmlsZS5yZWxQYXRoKS50b0xvd2VyQ2FzZSgpICE9PSBTQ1JJUFRfRVhUKSB7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuICAgICAgY29uc3Qgc2VnbWVudHMgPSBmaWxlLnJlbFBhdGguc3BsaXQocGF0aC5zZXApO1xuICAgICAgY29uc3QgbG93ZXIgPSBzZWdtZW50cy5tYXAoc2VnID0+IHNlZy50b0xvd2VyQ2FzZSgpKTtcbiAgICAgIGNvbnN0IGNvbnRlbnRJZHggPSBsb3dlci5pbmRleE9mKCdjb250ZW50Jyk7XG4gICAgICBpZiAoKGNvbnRlbnRJZHggPCAxKSB8fCAobG93ZXJbY29udGVudElkeCArIDFdICE9PSAnc2NyaXB0cycpKSB7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuICAgICAgY29uc3QgcmVsUGF0aCA9IHNlZ21lbnRzLnNsaWNlKGNvbnRlbnRJZHggKyAyKS5qb2luKHBhdGguc2VwKTtcbiAgICAgIGNvbnN0IGtleSA9IHJlbFBhdGgudG9Mb3dlckNhc2UoKTtcbiAgICAgIGluZGV4W2tleV0gPSBbXS5jb25jYXQoaW5kZXhba2V5XSA/PyBbXSwge1xuICAgICAgICByZWxQYXRoLFxuICAgICAgICBtb2RGb2xkZXI6IHNlZ21lbnRzW2NvbnRlbnRJZHggLSAxXSxcbiAgICAgICAgbW9kSWQ6IG1vZElkQnlQYXRoW2ZpbGUuc291cmNlXSxcbiAgICAgICAgZmlsZVBhdGg6IHBhdGguam9pbihzdGFnaW5nUGF0aCwgZmlsZS5zb3VyY2UsIGZpbGUucmVsUGF0aCksXG4gICAgICB9KTtcbiAgICB9XG4gIH1cbiAgcmV0dXJuIGluZGV4O1xufVxuXG4vLyBXaXRjaGVyIHNjcmlwdHMgY29tZSBpbiBib3RoIFVURi04IGFuZCBVVEYtMTZMRSBmbGF2b3Vycywgd2l0aCBvciB3aXRob3V0IEJPTS5cbmV4cG9ydCBmdW5jdGlvbiBkZWNvZGVTY3JpcHQoZGF0YTogQnVmZmVyKTogSVNjcmlwdERhdGEge1xuICBpZiAoKGRhdGFbMF0gPT09IDB4RkYpICYmIChkYXRhWzFdID09PSAweEZFKSkge1xuICAgIHJldHVybiB7IGNvbnRlbnQ6IGRhdGEudG9TdHJpbmcoJ3V0ZjE2bGUnLCAyKSwgZW5jb2Rpbmc6ICd1dGYxNmxlJywgYm9tOiB0cnVlIH07XG4gIH1cbiAgY29uc3QgaGFzQk9NID0gKGRhdGFbMF0gPT09IDB4RUYpICYmIChkYXRhWzFdID09PSAweEJCKSAmJiAoZGF0YVsyXSA9PT0gMHhCRik7XG4gIC8vIEJPTS1sZXNzIFVURi0xNkxFIGlzIHJlY29nbml6YWJsZSBieSBpdHMgbnVsbCBoaWdoIGJ5dGVzXG4gIGlmICghaGFzQk9NICYmIChkYXRhLmxlbmd0aCA+IDEpICYmIChkYXRhWzBdICE9PSAwKSAmJiAoZGF0YVsxXSA9PT0gMCkpIHtcbiAgICByZXR1cm4geyBjb250ZW50OiBkYXRhLnRvU3RyaW5nKCd1dGYxNmxlJyksIGVuY29kaW5nOiAndXRmMTZsZScsIGJvbTogZmFsc2UgfTtcbiAgfVxuICByZXR1cm4geyBjb250ZW50OiBkYXRhLnRvU3RyaW5nKCd1dGY4JywgaGFzQk9NID8gMyA6IDApLCBlbmNvZGluZzogJ3V0ZjgnLCBib206IGhhc0JPTSB9O1xufVxuXG5leHBvcnQgZnVuY3Rpb24gZW5jb2RlU2NyaXB0KHNjcmlwdDogSVNjcmlwdERhdGEpOiBCdWZmZXIge1xuICBjb25zdCBjb250ZW50ID0gc2NyaXB0LmJvbSA/ICdcXHVmZWZmJyArIHNjcmlwdC5jb250ZW50IDogc2NyaXB0LmNvbnRlbnQ7XG4gIHJldHVybiBCdWZmZXIuZnJvbShjb250ZW50LCBzY3JpcHQuZW5jb2RpbmcpO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gcmVhZFNjcmlwdEZpbGUoZmlsZVBhdGg6IHN0cmluZyk6IFByb21pc2U8SVNjcmlwdERhdGE+IHtcbiAgdHJ5IHtcbiAgICByZXR1cm4gZGVjb2RlU2NyaXB0KGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMoZmlsZVBhdGgpKTtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgaWYgKGVyci5jb2RlICE9PSAnRU5PRU5UJykge1xuICAgICAgbG9nKCd3YXJuJywgJ2ZhaWxlZCB0byByZWFkIHNjcmlwdCcsIHsgZmlsZVBhdGgsIGVycm9yOiBlcnIubWVzc2FnZSB9KTtcbiAgICB9XG4gICAgcmV0dXJuIHVuZGVmaW5lZDtcbiAgfVxufVxuXG5hc3luYyBmdW5jdGlvbiByZWFkU2NyaXB0KGZpbGVQYXRoOiBzdHJpbmcpOiBQcm9taXNlPHN0cmluZz4ge1xuICByZXR1cm4gKGF3YWl0IHJlYWRTY3JpcHRGaWxlKGZpbGVQYXRoKSk/LmNvbnRlbnQ7XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBnZXRNZXJnZWRNb2RQYXRoKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSk6IFByb21pc2U8c3RyaW5nPiB7XG4gIGNvbnN0IGRpc2NvdmVyeSA9IHNlbGVjdG9ycy5kaXNjb3ZlcnlCeUdhbWUoYXBpLmdldFN0YXRlKCksIEdBTUVfSUQpO1xuICByZXR1cm4gcGF0aC5qb2luKGRpc2NvdmVyeS5wYXRoLCAnTW9kcycsIGF3YWl0IHJlc29sdmVNZXJnZWRNb2ROYW1lKGFwaSkpO1xufVxuXG4vLyBGaW5kcyBhbGwgc2NyaXB0cyB3aGljaCBhcmUgc2hpcHBlZCBieSBtb3JlIHRoYW4gb25lIG1vZCBmb2xkZXIuIEFzIHRoZSBnYW1lIG9ubHlcbi8vICBsb2FkcyBvbmUgY29weSBvZiBlYWNoIHNjcmlwdCwgZXZlcnkgb25lIG9mIHRoZXNlIG5lZWRzIHRvIGJlIG1lcmdlZCB1bmxlc3MgdGhlXG4vLyAgbW9kcyBoYXBwZW4gdG8gc2hpcCBpZGVudGljYWwgZmlsZXMgb3IgYSBtZXJnZSBhbHJlYWR5IGV4aXN0cy5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBmaW5kU2NyaXB0Q29uZmxpY3RzKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGRlcGxveW1lbnQ6IElEZXBsb3ltZW50KTogUHJvbWlzZTxJU2NyaXB0Q29uZmxpY3RbXT4ge1xuICBjb25zdCB2YW5pbGxhUGF0aCA9IGdldFZhbmlsbGFTY3JpcHRzUGF0aChhcGkpO1xuICBpZiAodmFuaWxsYVBhdGggPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybiBbXTtcbiAgfVxuICBjb25zdCBpbmRleCA9IGluZGV4TW9kU2NyaXB0cyhhcGksIGRlcGxveW1lbnQpO1xuICBjb25zdCBtZXJnZWRNb2RQYXRoID0gYXdhaXQgZ2V0TWVyZ2VkTW9kUGF0aChhcGkpO1xuICBjb25zdCBjb25mbGljdHM6IElTY3JpcHRDb25mbGljdFtdID0gW107XG4gIGZvciAoY29uc3QgZmlsZXMgb2YgT2JqZWN0LnZhbHVlcyhpbmRleCkpIHtcbiAgICBjb25zdCBmb2xkZXJzID0gbmV3IFNldChmaWxlcy5tYXAoZmlsZSA9PiBmaWxlLm1vZEZvbGRlci50b0xvd2VyQ2FzZSgpKSk7XG4gICAgaWYgKGZvbGRlcnMuc2l6ZSA8IDIpIHtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cbiAgICBjb25zdCByZWxQYXRoID0gZmlsZXNbMF0ucmVsUGF0aDtcbiAgICBjb25zdCB2YW5pbGxhRGF0YSA9IGF3YWl0IHJlYWRTY3JpcHQocGF0aC5qb2luKHZhbmlsbGFQYXRoLCByZWxQYXRoKSk7XG4gICAgY29uc3QgdmFuaWxsYSA9IHBhcnNlU2NyaXB0RnVuY3Rpb25zKHZhbmlsbGFEYXRhID8/ICcnKTtcbiAgICBjb25zdCBjb250ZW50czogc3RyaW5nW10gPSBbXTtcbiAgICBjb25zdCBlbnRyaWVzOiBJU2NyaXB0Q29uZmxpY3RFbnRyeVtdID0gW107XG4gICAgZm9yIChjb25zdCBmaWxlIG9mIGZpbGVzKSB7XG4gICAgICBjb25zdCBkYXRhID0gYXdhaXQgcmVhZFNjcmlwdChmaWxlLmZpbGVQYXRoKSA/PyAnJztcbiAgICAgIGNvbnRlbnRzLnB1c2gobm9ybWFsaXplKGRhdGEpKTtcbiAgICAgIGVudHJpZXMucHVzaCh7IC4uLmZpbGUsIGZ1bmN0aW9uczogZmluZFRvdWNoZWRGdW5jdGlvbnModmFuaWxsYSwgcGFyc2VTY3JpcHRGdW5jdGlvbnMoZGF0YSkpIH0pO1xuICAgIH1cbiAgICBjb25zdCBjb3VudHMgPSBlbnRyaWVzLnJlZHVjZSgoYWNjdW0sIGVudHJ5KSA9PiB7XG4gICAgICBlbnRyeS5mdW5jdGlvbnMuZm9yRWFjaChmdW5jID0+IGFjY3VtW2Z1bmNdID0gKGFjY3VtW2Z1bmNdID8/IDApICsgMSk7XG4gICAgICByZXR1cm4gYWNjdW07XG4gICAgfSwge30gYXMgeyBbZnVuYzogc3RyaW5nXTogbnVtYmVyIH0pO1xuICAgIGNvbnN0IG1lcmdlZCA9IGF3YWl0IHJlYWRTY3JpcHQocGF0aC5qb2luKG1lcmdlZE1vZFBhdGgsICdjb250ZW50JywgJ3NjcmlwdHMnLCByZWxQYXRoKSk7XG4gICAgY29uZmxpY3RzLnB1c2goe1xuICAgICAgcmVsUGF0aCxcbiAgICAgIGVudHJpZXMsXG4gICAgICBvdmVybGFwcGluZzogT2JqZWN0LmtleXMoY291bnRzKS5maWx0ZXIoZnVuYyA9PiBjb3VudHNbZnVuY10gPiAxKS5zb3J0KCksXG4gICAgICBtZXJnZWQ6IG1lcmdlZCAhPT0gdW5kZWZpbmVkLFxuICAgICAgaWRlbnRpY2FsOiBuZXcgU2V0KGNvbnRlbnRzKS5zaXplID09PSAxLFxuICAgIH0pO1xuICB9XG4gIHJldHVybiBjb25mbGljdHMuc29ydCgobGhzLCByaHMpID0+IGxocy5yZWxQYXRoLmxvY2FsZUNvbXBhcmUocmhzLnJlbFBhdGgpKTtcbn1cblxuLy8gYmJjb2RlIHN1bW1hcnkgb2YgdGhlIHNjcmlwdCBjb25mbGljdHMgdGhhdCBzdGlsbCByZXF1aXJlIGEgbWVyZ2VcbmV4cG9ydCBmdW5jdGlvbiByZW5kZXJTY3JpcHRDb25mbGljdHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBjb25mbGljdHM6IElTY3JpcHRDb25mbGljdFtdKTogc3RyaW5nIHtcbiAgY29uc3QgdCA9IGFwaS50cmFuc2xhdGU7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSB1dGlsLmdldFNhZmUoYXBpLmdldFN0YXRlKCksXG4gICAgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pO1xuICBjb25zdCBtb2ROYW1lID0gKGVudHJ5OiBJU2NyaXB0Q29uZmxpY3RFbnRyeSkgPT4gKG1vZHNbZW50cnkubW9kSWRdICE9PSB1bmRlZmluZWQpXG4gICAgPyBgJHtlbnRyeS5tb2RGb2xkZXJ9ICgke3V0aWwucmVuZGVyTW9kTmFtZShtb2RzW2VudHJ5Lm1vZElkXSl9KWBcbiAgICA6IGVudHJ5Lm1vZEZvbGRlcjtcbiAgY29uc3QgTUFYX0ZVTkNTID0gNTtcbiAgY29uc3QgZnVuY0xpc3QgPSAoZnVuY3M6IHN0cmluZ1tdKSA9PiAoZnVuY3MubGVuZ3RoID4gTUFYX0ZVTkNTKVxuICAgID8gZnVuY3Muc2xpY2UoMCwgTUFYX0ZVTkNTKS5qb2luKCcsICcpICsgJywgJyArIHQoJ2FuZCB7e2NvdW50fX0gbW9yZScsIHsgY291bnQ6IGZ1bmNzLmxlbmd0aCAtIE1BWF9GVU5DUyB9KVxuICAgIDogZnVuY3Muam9pbignLCAnKTtcblxuICByZXR1cm4gY29uZmxpY3RzLm1hcChjb25mbGljdCA9PiB7XG4gICAgY29uc3QgZW50cmllcyA9IGNvbmZsaWN0LmVudHJpZXMubWFwKGVudHJ5ID0+IGBbKl0ke21vZE5hbWUoZW50cnkpfTogYFxuICAgICAgKyAoKGVudHJ5LmZ1bmN0aW9ucy5sZW5ndGggPiAwKSA/IGZ1bmNMaXN0KGVudHJ5LmZ1bmN0aW9ucykgOiB0KCdubyBmdW5jdGlvbiBjaGFuZ2VzJykpKTtcbiAgICBjb25zdCBvdmVybGFwID0gKGNvbmZsaWN0Lm92ZXJsYXBwaW5nLmxlbmd0aCA+IDApXG4gICAgICA/IHQoJ0VkaXRlZCBieSBtb3JlIHRoYW4gb25lIG1vZDoge3tmdW5jc319JywgeyByZXBsYWNlOiB7IGZ1bmNzOiBmdW5jTGlzdChjb25mbGljdC5vdmVybGFwcGluZykgfSB9KVxuICAgICAgOiB0KCdUaGUgbW9kcyBlZGl0IGRpZmZlcmVudCBmdW5jdGlvbnMsIHRoZSBtZXJnZSBzaG91bGQgbm90IHJlcXVpcmUgbWFudWFsIHdvcmsuJyk7XG4gICAgcmV0dXJuIGBbYl0ke2NvbmZsaWN0LnJlbFBhdGh9Wy9iXVtsaXN0XSR7ZW50cmllcy5qb2luKCcnKX1bL2xpc3RdJHtvdmVybGFwfVticl1bL2JyXWA7XG4gIH0pLmpvaW4oJ1ticl1bL2JyXScpO1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,246 @@
+/* eslint-disable */
+import path from 'path';
+import { fs, log, selectors, types, util } from 'vortex-api';
+
+import { GAME_ID } from './common';
+import { resolveMergedModName } from './scriptmerger';
+import { IDeployment, IScriptConflict, IScriptConflictEntry, IScriptData, IScriptFile } from './types';
+
+const SCRIPT_EXT = '.ws';
+const VANILLA_SCRIPTS_RELPATH = path.join('content', 'content0', 'scripts');
+
+const FUNCTION_DECL = /(?:^|\s)(?:function|event)\s+(\w+)\s*\(/;
+const CLASS_DECL = /(?:^|\s)(?:class|struct)\s+(\w+)/;
+const STATE_DECL = /(?:^|\s)state\s+(\w+)\s+in\s+(\w+)/;
+const COMMENTS = /\/\*[\s\S]*?\*\/|\/\/[^\n]*/g;
+
+interface IScope {
+  kind: 'class' | 'function' | 'block';
+  name?: string;
+  start?: number;
+}
+
+const normalize = (input: string) => input.replace(COMMENTS, '').replace(/\s+/g, ' ').trim();
+
+// Extracts all functions and events from a witcher script, mapped to their
+//  normalized source code (signature included) so that two versions of the same
+//  script can be compared function by function. Class members are prefixed with
+//  the class name, state members with "Class::State".
+export function parseScriptFunctions(content: string): { [name: string]: string } {
+  const result: { [name: string]: string } = {};
+  const scopes: IScope[] = [];
+  let header = '';
+  let headerStart = 0;
+
+  const resetHeader = (idx: number) => {
+    header = '';
+    headerStart = idx;
+  };
+
+  for (let i = 0; i < content.length; ++i) {
+    const char = content[i];
+    const next = content[i + 1];
+    if ((char === '/') && (next === '/')) {
+      const end = content.indexOf('\n', i);
+      i = (end === -1) ? content.length : end;
+      continue;
+    } else if ((char === '/') && (next === '*')) {
+      const end = content.indexOf('*/', i + 2);
+      i = (end === -1) ? content.length : end + 1;
+      continue;
+    } else if ((char === '"') || (char === '\'')) {
+      let end = i + 1;
+      while ((end < content.length) && (content[end] !== char) && (content[end] !== '\n')) {
+        end += (content[end] === '\\') ? 2 : 1;
+      }
+      header += content.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+
+    if (char === '{') {
+      const inFunction = scopes.find(scope => scope.kind === 'function') !== undefined;
+      const owner = scopes.filter(scope => scope.kind === 'class').map(scope => scope.name);
+      const funcMatch = inFunction ? null : header.match(FUNCTION_DECL);
+      const stateMatch = inFunction ? null : header.match(STATE_DECL);
+      const classMatch = inFunction ? null : header.match(CLASS_DECL);
+      if (funcMatch !== null) {
+        scopes.push({ kind: 'function', name: [...owner, funcMatch[1]].join('::'), start: headerStart });
+      } else if (stateMatch !== null) {
+        scopes.push({ kind: 'class', name: `${stateMatch[2]}::${stateMatch[1]}` });
+      } else if (classMatch !== null) {
+        scopes.push({ kind: 'class', name: classMatch[1] });
+      } else {
+        scopes.push({ kind: 'block' });
+      }
+      resetHeader(i + 1);
+    } else if (char === '}') {
+      const scope = scopes.pop();
+      if (scope?.kind === 'function') {
+        result[scope.name] = normalize(content.slice(scope.start, i + 1));
+      }
+      resetHeader(i + 1);
+    } else if (char === ';') {
+      resetHeader(i + 1);
+    } else {
+      header += char;
+    }
+  }
+  return result;
+}
+
+// Returns the names of all functions which were added, removed or modified
+//  compared to the vanilla version of the script.
+export function findTouchedFunctions(vanilla: { [name: string]: string },
+                                     modded: { [name: string]: string }): string[] {
+  const names = new Set([...Object.keys(vanilla), ...Object.keys(modded)]);
+  return Array.from(names).filter(name => vanilla[name] !== modded[name]).sort();
+}
+
+export function getVanillaScriptsPath(api: types.IExtensionApi): string {
+  const discovery = selectors.discoveryByGame(api.getState(), GAME_ID);
+  return (discovery?.path !== undefined)
+    ? path.join(discovery.path, VANILLA_SCRIPTS_RELPATH)
+    : undefined;
+}
+
+// Collects the scripts of all deployed mods, grouped by their path relative to
+//  the content/scripts folder.
+export function indexModScripts(api: types.IExtensionApi,
+                                deployment: IDeployment): { [relPath: string]: IScriptFile[] } {
+  const state = api.getState();
+  const stagingPath = selectors.installPathForGame(state, GAME_ID);
+  const mods: { [modId: string]: types.IMod } = util.getSafe(state, ['persistent', 'mods', GAME_ID], {});
+  const modIdByPath = Object.values(mods).reduce((accum, mod) => {
+    accum[mod.installationPath] = mod.id;
+    return accum;
+  }, {} as { [instPath: string]: string });
+
+  const index: { [relPath: string]: IScriptFile[] } = {};
+  for (const files of Object.values(deployment ?? {})) {
+    for (const file of files) {
+      if (path.extname(file.relPath).toLowerCase() !== SCRIPT_EXT) {
+        continue;
+      }
+      const segments = file.relPath.split(path.sep);
+      const lower = segments.map(seg => seg.toLowerCase());
+      const contentIdx = lower.indexOf('content');
+      if ((contentIdx < 1) || (lower[contentIdx + 1] !== 'scripts')) {
+        continue;
+      }
+      const relPath = segments.slice(contentIdx + 2).join(path.sep);
+      const key = relPath.toLowerCase();
+      index[key] = [].concat(index[key] ?? [], {
+        relPath,
+        modFolder: segments[contentIdx - 1],
+        modId: modIdByPath[file.source],
+        filePath: path.join(stagingPath, file.source, file.relPath),
+      });
+    }
+  }
+  return index;
+}
+
+// Witcher scripts come in both UTF-8 and UTF-16LE flavours, with or without BOM.
+export function decodeScript(data: Buffer): IScriptData {
+  if ((data[0] === 0xFF) && (data[1] === 0xFE)) {
+    return { content: data.toString('utf16le', 2), encoding: 'utf16le', bom: true };
+  }
+  const hasBOM = (data[0] === 0xEF) && (data[1] === 0xBB) && (data[2] === 0xBF);
+  // BOM-less UTF-16LE is recognizable by its null high bytes
+  if (!hasBOM && (data.length > 1) && (data[0] !== 0) && (data[1] === 0)) {
+    return { content: data.toString('utf16le'), encoding: 'utf16le', bom: false };
+  }
+  return { content: data.toString('utf8', hasBOM ? 3 : 0), encoding: 'utf8', bom: hasBOM };
+}
+
+export function encodeScript(script: IScriptData): Buffer {
+  const content = script.bom ? '\ufeff' + script.content : script.content;
+  return Buffer.from(content, script.encoding);
+}
+
+export async function readScriptFile(filePath: string): Promise<IScriptData> {
+  try {
+    return decodeScript(await fs.readFileAsync(filePath));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log('warn', 'failed to read script', { filePath, error: err.message });
+    }
+    return undefined;
+  }
+}
+
+async function readScript(filePath: string): Promise<string> {
+  return (await readScriptFile(filePath))?.content;
+}
+
+export async function getMergedModPath(api: types.IExtensionApi): Promise<string> {
+  const discovery = selectors.discoveryByGame(api.getState(), GAME_ID);
+  return path.join(discovery.path, 'Mods', await resolveMergedModName(api));
+}
+
+// Finds all scripts which are shipped by more than one mod folder. As the game only
+//  loads one copy of each script, every one of these needs to be merged unless the
+//  mods happen to ship identical files or a merge already exists.
+export async function findScriptConflicts(api: types.IExtensionApi,
+                                          deployment: IDeployment): Promise<IScriptConflict[]> {
+  const vanillaPath = getVanillaScriptsPath(api);
+  if (vanillaPath === undefined) {
+    return [];
+  }
+  const index = indexModScripts(api, deployment);
+  const mergedModPath = await getMergedModPath(api);
+  const conflicts: IScriptConflict[] = [];
+  for (const files of Object.values(index)) {
+    const folders = new Set(files.map(file => file.modFolder.toLowerCase()));
+    if (folders.size < 2) {
+      continue;
+    }
+    const relPath = files[0].relPath;
+    const vanillaData = await readScript(path.join(vanillaPath, relPath));
+    const vanilla = parseScriptFunctions(vanillaData ?? '');
+    const contents: string[] = [];
+    const entries: IScriptConflictEntry[] = [];
+    for (const file of files) {
+      const data = await readScript(file.filePath) ?? '';
+      contents.push(normalize(data));
+      entries.push({ ...file, functions: findTouchedFunctions(vanilla, parseScriptFunctions(data)) });
+    }
+    const counts = entries.reduce((accum, entry) => {
+      entry.functions.forEach(func => accum[func] = (accum[func] ?? 0) + 1);
+      return accum;
+    }, {} as { [func: string]: number });
+    const merged = await readScript(path.join(mergedModPath, 'content', 'scripts', relPath));
+    conflicts.push({
+      relPath,
+      entries,
+      overlapping: Object.keys(counts).filter(func => counts[func] > 1).sort(),
+      merged: merged !== undefined,
+      identical: new Set(contents).size === 1,
+    });
+  }
+  return conflicts.sort((lhs, rhs) => lhs.relPath.localeCompare(rhs.relPath));
+}
+
+// bbcode summary of the script conflicts that still require a merge
+export function renderScriptConflicts(api: types.IExtensionApi, conflicts: IScriptConflict[]): string {
+  const t = api.translate;
+  const mods: { [modId: string]: types.IMod } = util.getSafe(api.getState(),
+    ['persistent', 'mods', GAME_ID], {});
+  const modName = (entry: IScriptConflictEntry) => (mods[entry.modId] !== undefined)
+    ? `${entry.modFolder} (${util.renderModName(mods[entry.modId])})`
+    : entry.modFolder;
+  const MAX_FUNCS = 5;
+  const funcList = (funcs: string[]) => (funcs.length > MAX_FUNCS)
+    ? funcs.slice(0, MAX_FUNCS).join(', ') + ', ' + t('and {{count}} more', { count: funcs.length - MAX_FUNCS })
+    : funcs.join(', ');
+
+  return conflicts.map(conflict => {
+    const entries = conflict.entries.map(entry => `[*]${modName(entry)}: `
+      + ((entry.functions.length > 0) ? funcList(entry.functions) : t('no function changes')));
+    const overlap = (conflict.overlapping.length > 0)
+      ? t('Edited by more than one mod: {{funcs}}', { replace: { funcs: funcList(conflict.overlapping) } })
+      : t('The mods edit different functions, the merge should not require manual work.');
+    return `[b]${conflict.relPath}[/b][list]${entries.join('')}[/list]${overlap}[br][/br]`;
+  }).join('[br][/br]');
+}
@@ -0,0 +1,460 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.runScriptMerge = exports.fixStaleMerges = exports.dropMerges = exports.findStaleMerges = exports.mergeScripts = exports.priorityComparator = exports.findConflictMarkers = exports.mergeLines = exports.diff3 = exports.matchLines = void 0;
+const path_1 = __importDefault(require("path"));
+const vortex_api_1 = require("vortex-api");
+const common_1 = require("./common");
+const iniParser_1 = __importDefault(require("./iniParser"));
+const mergeInventoryParsing_1 = require("./mergeInventoryParsing");
+const migrations_1 = require("./migrations");
+const scriptAnalysis_1 = require("./scriptAnalysis");
+const util_1 = require("./util");
+const ACTIVITY_ID_MERGING = 'witcher3-merging-scripts';
+const MD5_HASH = /^[0-9a-f]{32}$/i;
+const MARKER_START = '// <<<<<<< VORTEX MERGE CONFLICT - kept: ';
+const MARKER_SEPARATOR = '// ======= discarded: ';
+const MARKER_END = '// >>>>>>> END OF CONFLICT';
+const MAX_EDIT_DISTANCE = 2000;
+function matchLines(lhs, rhs) {
+    const result = new Array(lhs.length).fill(-1);
+    let start = 0;
+    while ((start < lhs.length) && (start < rhs.length) && (lhs[start] === rhs[start])) {
+        result[start] = start;
+        ++start;
+    }
+    let lhsEnd = lhs.length;
+    let rhsEnd = rhs.length;
+    while ((lhsEnd > start) && (rhsEnd > start) && (lhs[lhsEnd - 1] === rhs[rhsEnd - 1])) {
+        result[--lhsEnd] = --rhsEnd;
+    }
+    const n = lhsEnd - start;
+    const m = rhsEnd - start;
+    if ((n === 0) || (m === 0)) {
+        return result;
+    }
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let editDistance = -1;
+    for (let d = 0; (d <= max) && (editDistance === -1); ++d) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = ((k === -d) || ((k !== d) && (v[offset + k - 1] < v[offset + k + 1])))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while ((x < n) && (y < m) && (lhs[start + x] === rhs[start + y])) {
+                ++x;
+                ++y;
+            }
+            v[offset + k] = x;
+            if ((x >= n) && (y >= m)) {
+                editDistance = d;
+                break;
+            }
+        }
+    }
+    if (editDistance === -1) {
+        (0, vortex_api_1.log)('debug', 'script diff exceeds edit distance limit', { lines: n + m });
+        return result;
+    }
+    let x = n;
+    let y = m;
+    for (let d = editDistance; d > 0; --d) {
+        const prev = trace[d];
+        const at = (k) => prev[k + d];
+        const k = x - y;
+        const prevK = ((k === -d) || ((k !== d) && (at(k - 1) < at(k + 1)))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while ((x > prevX) && (y > prevY)) {
+            --x;
+            --y;
+            result[start + x] = start + y;
+        }
+        x = prevX;
+        y = prevY;
+    }
+    while ((x > 0) && (y > 0)) {
+        --x;
+        --y;
+        result[start + x] = start + y;
+    }
+    return result;
+}
+exports.matchLines = matchLines;
+function diff3(base, lhs, rhs) {
+    const matchLhs = matchLines(base, lhs);
+    const matchRhs = matchLines(base, rhs);
+    const chunks = [];
+    let o = 0;
+    let a = 0;
+    let b = 0;
+    const pushUnstable = (oEnd, aEnd, bEnd) => {
+        if ((oEnd > o) || (aEnd > a) || (bEnd > b)) {
+            chunks.push({
+                stable: false,
+                base: base.slice(o, oEnd),
+                lhs: lhs.slice(a, aEnd),
+                rhs: rhs.slice(b, bEnd),
+            });
+        }
+    };
+    while (o < base.length) {
+        if ((matchLhs[o] === a) && (matchRhs[o] === b)) {
+            const stable = [];
+            while ((o < base.length) && (matchLhs[o] === a) && (matchRhs[o] === b)) {
+                stable.push(base[o]);
+                ++o;
+                ++a;
+                ++b;
+            }
+            chunks.push({ stable: true, base: stable, lhs: stable, rhs: stable });
+            continue;
+        }
+        let next = o;
+        while ((next < base.length) && ((matchLhs[next] === -1) || (matchRhs[next] === -1))) {
+            ++next;
+        }
+        if (next === base.length) {
+            break;
+        }
+        pushUnstable(next, matchLhs[next], matchRhs[next]);
+        o = next;
+        a = matchLhs[next];
+        b = matchRhs[next];
+    }
+    pushUnstable(base.length, lhs.length, rhs.length);
+    return chunks;
+}
+exports.diff3 = diff3;
+const sameLines = (lhs, rhs) => (lhs.length === rhs.length) && lhs.every((line, idx) => line === rhs[idx]);
+function mergeLines(base, lhs, rhs, lhsLabel, rhsLabel) {
+    return diff3(base, lhs, rhs).reduce((accum, chunk) => {
+        if (chunk.stable || sameLines(chunk.lhs, chunk.base)) {
+            return accum.concat(chunk.rhs);
+        }
+        else if (sameLines(chunk.rhs, chunk.base) || sameLines(chunk.lhs, chunk.rhs)) {
+            return accum.concat(chunk.lhs);
+        }
+        return accum.concat(MARKER_START + rhsLabel, chunk.rhs, MARKER_SEPARATOR + lhsLabel, chunk.lhs.map(line => `// ${line}`), MARKER_END);
+    }, []);
+}
+exports.mergeLines = mergeLines;
+function findConflictMarkers(lines) {
+    return lines.reduce((accum, line, idx) => {
+        if (line.startsWith(MARKER_START)) {
+            accum.push({ line: idx + 1, kept: line.slice(MARKER_START.length), discarded: '' });
+        }
+        else if (line.startsWith(MARKER_SEPARATOR) && (accum.length > 0)) {
+            accum[accum.length - 1].discarded = line.slice(MARKER_SEPARATOR.length);
+        }
+        return accum;
+    }, []);
+}
+exports.findConflictMarkers = findConflictMarkers;
+function priorityComparator(api) {
+    const loadOrder = (0, migrations_1.getPersistentLoadOrder)(api);
+    const position = (modFolder) => {
+        const folder = modFolder.toLowerCase();
+        const idx = loadOrder.findIndex(lo => [lo === null || lo === void 0 ? void 0 : lo.id, lo === null || lo === void 0 ? void 0 : lo.name]
+            .find(name => (name === null || name === void 0 ? void 0 : name.toLowerCase()) === folder) !== undefined);
+        return (idx === -1) ? Number.MAX_SAFE_INTEGER : idx;
+    };
+    return (lhs, rhs) => (position(lhs) - position(rhs))
+        || lhs.toLowerCase().localeCompare(rhs.toLowerCase());
+}
+exports.priorityComparator = priorityComparator;
+function sortByPriority(api, entries) {
+    const compare = priorityComparator(api);
+    return [...entries].sort((lhs, rhs) => compare(lhs.modFolder, rhs.modFolder));
+}
+function mergeConflict(api, conflict, vanillaPath, mergedModPath) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const ordered = sortByPriority(api, conflict.entries);
+        const vanilla = yield (0, scriptAnalysis_1.readScriptFile)(path_1.default.join(vanillaPath, conflict.relPath));
+        const scripts = [];
+        for (const entry of ordered) {
+            const script = yield (0, scriptAnalysis_1.readScriptFile)(entry.filePath);
+            if (script === undefined) {
+                return Promise.reject(new vortex_api_1.util.NotFound(entry.filePath));
+            }
+            scripts.push(script);
+        }
+        const toLines = (script) => { var _a; return ((_a = script === null || script === void 0 ? void 0 : script.content) !== null && _a !== void 0 ? _a : '').split(/\r?\n/); };
+        const base = toLines(vanilla);
+        let merged = toLines(scripts[scripts.length - 1]);
+        let mergedLabel = ordered[ordered.length - 1].modFolder;
+        for (let idx = ordered.length - 2; idx >= 0; --idx) {
+            merged = mergeLines(base, merged, toLines(scripts[idx]), mergedLabel, ordered[idx].modFolder);
+            mergedLabel = `${ordered[idx].modFolder}, ${mergedLabel}`;
+        }
+        const template = vanilla !== null && vanilla !== void 0 ? vanilla : scripts[0];
+        const lineBreak = template.content.includes('\r\n') ? '\r\n' : '\n';
+        const destination = path_1.default.join(mergedModPath, 'content', 'scripts', conflict.relPath);
+        yield vortex_api_1.fs.ensureDirWritableAsync(path_1.default.dirname(destination));
+        yield vortex_api_1.fs.writeFileAsync(destination, (0, scriptAnalysis_1.encodeScript)(Object.assign(Object.assign({}, template), { content: merged.join(lineBreak) })));
+        return {
+            relPath: conflict.relPath,
+            mods: ordered.map(entry => entry.modFolder),
+            hunks: findConflictMarkers(merged),
+        };
+    });
+}
+function mergeScripts(api, includeMerged = false) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const vanillaPath = (0, scriptAnalysis_1.getVanillaScriptsPath)(api);
+        if (vanillaPath === undefined) {
+            return Promise.reject(new vortex_api_1.util.ProcessCanceled('Game is not discovered'));
+        }
+        const deployment = yield (0, util_1.getDeployment)(api);
+        const conflicts = (yield (0, scriptAnalysis_1.findScriptConflicts)(api, deployment))
+            .filter(conflict => !conflict.identical && (includeMerged || !conflict.merged));
+        const mergedModPath = yield (0, scriptAnalysis_1.getMergedModPath)(api);
+        const mergedModName = path_1.default.basename(mergedModPath);
+        const results = [];
+        const inventory = [];
+        for (const conflict of conflicts) {
+            try {
+                const result = yield mergeConflict(api, conflict, vanillaPath, mergedModPath);
+                results.push(result);
+                const includedMods = [];
+                for (const [idx, modFolder] of result.mods.entries()) {
+                    const entry = conflict.entries.find(iter => iter.modFolder === modFolder);
+                    includedMods.push({ name: modFolder, hash: yield (0, common_1.getHash)(entry.filePath), priority: idx + 1 });
+                }
+                inventory.push({
+                    type: 'Script',
+                    relPath: path_1.default.join('content', 'scripts', conflict.relPath),
+                    mergedModName,
+                    includedMods,
+                });
+            }
+            catch (err) {
+                (0, vortex_api_1.log)('error', 'failed to merge script', { relPath: conflict.relPath, error: err.message });
+            }
+        }
+        if (inventory.length > 0) {
+            yield (0, mergeInventoryParsing_1.updateMergeInventory)(api, inventory);
+        }
+        return results;
+    });
+}
+exports.mergeScripts = mergeScripts;
+function findStaleMerges(api) {
+    var _a;
+    return __awaiter(this, void 0, void 0, function* () {
+        const discovery = vortex_api_1.selectors.discoveryByGame(api.getState(), common_1.GAME_ID);
+        if ((discovery === null || discovery === void 0 ? void 0 : discovery.path) === undefined) {
+            return [];
+        }
+        const modsPath = path_1.default.join(discovery.path, 'Mods');
+        const compare = priorityComparator(api);
+        const merges = yield (0, mergeInventoryParsing_1.getMergeInventoryEntries)(api);
+        const stale = [];
+        for (const merge of merges) {
+            try {
+                yield vortex_api_1.fs.statAsync(path_1.default.join(modsPath, merge.mergedModName, merge.relPath));
+            }
+            catch (err) {
+                continue;
+            }
+            const removed = [];
+            const updated = [];
+            for (const mod of merge.includedMods) {
+                const filePath = path_1.default.join(modsPath, mod.name, merge.relPath);
+                try {
+                    yield vortex_api_1.fs.statAsync(filePath);
+                }
+                catch (err) {
+                    removed.push(mod.name);
+                    continue;
+                }
+                if (MD5_HASH.test((_a = mod.hash) !== null && _a !== void 0 ? _a : '')
+                    && ((yield (0, common_1.getHash)(filePath)).toLowerCase() !== mod.hash.toLowerCase())) {
+                    updated.push(mod.name);
+                }
+            }
+            const recorded = merge.includedMods.filter(mod => mod.priority !== undefined);
+            const reordered = (recorded.length === merge.includedMods.length) && (recorded.length > 1)
+                && recorded.sort((lhs, rhs) => lhs.priority - rhs.priority).map(mod => mod.name).join('/')
+                    !== recorded.map(mod => mod.name).sort(compare).join('/');
+            if ((removed.length > 0) || (updated.length > 0) || reordered) {
+                stale.push({ merge, removed, updated, reordered });
+            }
+        }
+        return stale;
+    });
+}
+exports.findStaleMerges = findStaleMerges;
+function dropMerges(api, merges) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const discovery = vortex_api_1.selectors.discoveryByGame(api.getState(), common_1.GAME_ID);
+        const modsPath = path_1.default.join(discovery.path, 'Mods');
+        for (const merge of merges) {
+            try {
+                yield vortex_api_1.fs.removeAsync(path_1.default.join(modsPath, merge.mergedModName, merge.relPath));
+            }
+            catch (err) {
+                if (err.code !== 'ENOENT') {
+                    return Promise.reject(err);
+                }
+            }
+        }
+        yield (0, mergeInventoryParsing_1.updateMergeInventory)(api, [], merges.map(merge => merge.relPath));
+        const remaining = new Set((yield (0, mergeInventoryParsing_1.getMergeInventoryEntries)(api))
+            .map(merge => merge.mergedModName.toLowerCase()));
+        const mergedModNames = Array.from(new Set(merges.map(merge => merge.mergedModName)))
+            .filter(name => !remaining.has(name.toLowerCase()));
+        for (const name of mergedModNames) {
+            yield vortex_api_1.fs.removeAsync(path_1.default.join(modsPath, name))
+                .catch(err => (err.code === 'ENOENT') ? Promise.resolve() : Promise.reject(err));
+        }
+    });
+}
+exports.dropMerges = dropMerges;
+function fixStaleMerges(api, stale) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const t = api.translate;
+        const hasBundles = stale.find(entry => { var _a; return ((_a = entry.merge.type) !== null && _a !== void 0 ? _a : 'Script') !== 'Script'; }) !== undefined;
+        const res = yield api.showDialog('question', 'Outdated Merges', {
+            text: t('You can either merge the affected scripts again, or drop the outdated merges '
+                + 'altogether. Either way any manual changes you made to these merges will be lost.', { ns: common_1.I18N_NAMESPACE })
+                + (hasBundles
+                    ? ' ' + t('Bundle merges can only be recreated using the Witcher Script Merger.', { ns: common_1.I18N_NAMESPACE })
+                    : ''),
+        }, [
+            { label: 'Cancel' },
+            { label: 'Drop merges' },
+            { label: 'Merge again' },
+        ]);
+        if (res.action === 'Cancel') {
+            return Promise.reject(new vortex_api_1.util.UserCanceled());
+        }
+        try {
+            yield dropMerges(api, stale.map(entry => entry.merge));
+            yield iniParser_1.default.getInstance().setINIStruct((0, migrations_1.getPersistentLoadOrder)(api));
+            (0, util_1.forceRefresh)(api);
+        }
+        catch (err) {
+            api.showErrorNotification('Failed to remove outdated merges', err);
+            return;
+        }
+        if (res.action === 'Merge again') {
+            yield runScriptMerge(api);
+        }
+    });
+}
+exports.fixStaleMerges = fixStaleMerges;
+function renderMergeReport(api, results) {
+    const t = api.translate;
+    const unresolved = results.filter(result => result.hunks.length > 0);
+    return t('The following scripts contain changes which could not be merged automatically. '
+        + 'In each case the changes of the mod with the higher priority were kept and the other '
+        + 'changes were commented out. Please review the sections marked with "VORTEX MERGE CONFLICT" '
+        + 'and adjust them manually if necessary.', { ns: common_1.I18N_NAMESPACE })
+        + '[br][/br][br][/br]'
+        + unresolved.map(result => `[b]${result.relPath}[/b][list]`
+            + result.hunks.map(hunk => '[*]' + t('Line {{line}}: kept {{kept}}, discarded {{discarded}}', {
+                ns: common_1.I18N_NAMESPACE,
+                replace: { line: hunk.line, kept: hunk.kept, discarded: hunk.discarded },
+            })).join('')
+            + '[/list]').join('');
+}
+function runScriptMerge(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const t = api.translate;
+        const state = api.getState();
+        if (vortex_api_1.selectors.activeGameId(state) !== common_1.GAME_ID) {
+            return;
+        }
+        let includeMerged = false;
+        try {
+            const conflicts = yield (0, scriptAnalysis_1.findScriptConflicts)(api, yield (0, util_1.getDeployment)(api));
+            if (conflicts.find(conflict => conflict.merged && !conflict.identical) !== undefined) {
+                const res = yield api.showDialog('question', 'Merge Scripts', {
+                    text: t('Some of your conflicting scripts have been merged before. Would you like to merge '
+                        + 'only the new conflicts, or replace the existing merges as well? Please note that '
+                        + 'replacing existing merges will discard any manual changes you made to them.', { ns: common_1.I18N_NAMESPACE }),
+                }, [
+                    { label: 'Cancel' },
+                    { label: 'Replace existing merges' },
+                    { label: 'Merge new conflicts' },
+                ]);
+                if (res.action === 'Cancel') {
+                    return;
+                }
+                includeMerged = res.action === 'Replace existing merges';
+            }
+        }
+        catch (err) {
+            api.showErrorNotification('Failed to analyze script conflicts', err);
+            return;
+        }
+        api.sendNotification({
+            id: ACTIVITY_ID_MERGING,
+            type: 'activity',
+            message: t('Merging scripts', { ns: common_1.I18N_NAMESPACE }),
+            allowSuppress: false,
+            noDismiss: true,
+        });
+        let results;
+        try {
+            results = yield mergeScripts(api, includeMerged);
+            yield iniParser_1.default.getInstance().setINIStruct((0, migrations_1.getPersistentLoadOrder)(api));
+            (0, util_1.forceRefresh)(api);
+        }
+        catch (err) {
+            api.showErrorNotification('Failed to merge scripts', err, { allowReport: !(err instanceof vortex_api_1.util.ProcessCanceled) });
+            return;
+        }
+        finally {
+            api.dismissNotification(ACTIVITY_ID_MERGING);
+        }
+        api.dismissNotification('witcher3-merge');
+        const unresolved = results.filter(result => result.hunks.length > 0);
+        if (unresolved.length === 0) {
+            api.sendNotification({
+                id: 'witcher3-merge-result',
+                type: 'success',
+                message: t('{{count}} script(s) merged', { ns: common_1.I18N_NAMESPACE, count: results.length }),
+                displayMS: 5000,
+            });
+            return;
+        }
+        const mergedModPath = yield (0, scriptAnalysis_1.getMergedModPath)(api);
+        api.sendNotification({
+            id: 'witcher3-merge-result',
+            type: 'warning',
+            message: t('{{count}} merged script(s) require manual review', { ns: common_1.I18N_NAMESPACE, count: unresolved.length }),
+            actions: [
+                {
+                    title: 'Review',
+                    action: () => {
+                        api.showDialog('info', 'Script Merge Conflicts', {
+                            bbcode: renderMergeReport(api, results),
+                        }, [
+                            { label: 'Open Merged Mod', action: () => vortex_api_1.util.opn(mergedModPath).catch(() => null) },
+                            { label: 'Close' },
+                        ]);
+                    },
+                },
+            ],
+        });
+    });
+}
+exports.runScriptMerge = runScriptMerge;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyaXB0TWVyZ2UuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzY3JpcHRNZXJnZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7QUFDQSxnREFBd0I7QUFDeEIsMkNBQTZEO0FBRTdELHFDQUE0RDtBQUM1RCw0REFBdUM7QUFDdkMsbUVBQXlGO0FBQ3pGLDZDQUFzRDtBQUN0RCxxREFDa0U7QUFHbEUsaUNBQXFEO0FBRXJELE1BQU0sbUJBQW1CLEdBQUcsMEJBQTBCLENBQUM7QUFDdkQsTUFBTSxRQUFRLEdBQUcsaUJBQWlCLENBQUM7QUFLbkMsTUFBTSxZQUFZLEdBQUcsMkNBQTJDLENBQUM7QUFDakUsTUFBTSxnQkFBZ0IsR0FBRyx3QkFBd0IsQ0FBQztBQUNsRCxNQUFNLFVBQVUsR0FBRyw0QkFBNEIsQ0FBQztBQUloRCxNQUFNLGlCQUFpQixHQUFHLElBQUksQ0FBQztBQVcvQixTQUFnQixVQUFVLENBQUMsR0FBYSxFQUFFLEdBQWE7SUFDckQsTUFBTSxNQUFNLEdBQWEsSUFBSSxLQUFLLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3hELElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQztJQUNkLE9BQU8sQ0FBQyxLQUFLLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxHQUFHLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRTtRQUNsRixNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsS0FBSyxDQUFDO1FBQ3RCLEVBQUUsS0FBSyxDQUFDO0tBQ1Q7SUFDRCxJQUFJLE1BQU0sR0FBRyxHQUFHLENBQUMsTUFBTSxDQUFDO0lBQ3hCLElBQUksTUFBTSxHQUFHLEdBQUcsQ0FBQyxNQUFNLENBQUM7SUFDeEIsT0FBTyxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLEtBQUssR0FBRyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFO1FBQ3BGLE1BQU0sQ0FBQyxFQUFFLE1BQU0sQ0FBQyxHQUFHLEVBQUUsTUFBTSxDQUFDO0tBQzdCO0lBRUQsTUFBTSxDQUFDLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQztJQUN6QixNQUFNLENBQUMsR0FBRyxNQUFNLEdBQUcsS0FBSyxDQUFDO0lBQ3pCLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUU7UUFDMUIsT0FBTyxNQUFNLENBQUM7S0FDZjtJQUNELE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDO0lBQy9DLE1BQU0sTUFBTSxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUM7SUFDdkIsTUFBTSxDQUFDLEdBQUcsSUFBSSxVQUFVLENBQUMsQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUN0QyxNQUFNLEtBQUssR0FBaUIsRUFBRSxDQUFDO0lBQy9CLElBQUksWUFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3RCLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxJQUFJLENBQUMsWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEVBQUU7UUFDeEQsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsTUFBTSxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2hELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQy9CLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUM1RSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUNuQixDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQzFCLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDZCxPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsS0FBSyxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQ2hFLEVBQUUsQ0FBQyxDQUFDO2dCQUNKLEVBQUUsQ0FBQyxDQUFDO2FBQ0w7WUFDRCxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNsQixJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFO2dCQUN4QixZQUFZLEdBQUcsQ0FBQyxDQUFDO2dCQUNqQixNQUFNO2FBQ1A7U0FDRjtLQUNGO0lBRUQsSUFBSSxZQUFZLEtBQUssQ0FBQyxDQUFDLEVBQUU7UUFDdkIsSUFBQSxnQkFBRyxFQUFDLE9BQU8sRUFBRSx5Q0FBeUMsRUFBRSxFQUFFLEtBQUssRUFBRSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMxRSxPQUFPLE1BQU0sQ0FBQztLQUNmO0lBRUQsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsS0FBSyxJQUFJLENBQUMsR0FBRyxZQUFZLEVBQUUsQ0FBQyxHQUFHLENBQUMsRUFBRSxFQUFFLENBQUMsRUFBRTtRQUNyQyxNQUFNLElBQUksR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdEIsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFTLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDdEMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNoQixNQUFNLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNyRixNQUFNLEtBQUssR0FBRyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDeEIsTUFBTSxLQUFLLEdBQUcsS0FBSyxHQUFHLEtBQUssQ0FBQztRQUM1QixPQUFPLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxFQUFFO1lBQ2pDLEVBQUUsQ0FBQyxDQUFDO1lBQ0osRUFBRSxDQUFDLENBQUM7WUFDSixNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUM7U0FDL0I7UUFDRCxDQUFDLEdBQUcsS0FBSyxDQUFDO1FBQ1YsQ0FBQyxHQUFHLEtBQUssQ0FBQztLQUNYO0lBQ0QsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRTtRQUN6QixFQUFFLENBQUMsQ0FBQztRQUNKLEVBQUUsQ0FBQyxDQUFDO1FBQ0osTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxDQUFDO0tBQy9CO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQztBQXRFRCxnQ0FzRUM7QUFJRCxTQUFnQixLQUFLLENBQUMsSUFBYyxFQUFFLEdBQWEsRUFBRSxHQUFhO0lBQ2hFLE1BQU0sUUFBUSxHQUFHLFVBQVUsQ0FBQyxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDdkMsTUFBTSxRQUFRLEdBQUcsVUFBVSxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQztJQUN2QyxNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7SUFDNUIsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsTUFBTSxZQUFZLEdBQUcsQ0FBQyxJQUFZLEVBQUUsSUFBWSxFQUFFLElBQVksRUFBRSxFQUFFO1FBQ2hFLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEVBQUU7WUFDMUMsTUFBTSxDQUFDLElBQUksQ0FBQztnQkFDVixNQUFNLEVBQUUsS0FBSztnQkFDYixJQUFJLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDO2dCQUN6QixHQUFHLEVBQUUsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDO2dCQUN2QixHQUFHLEVBQUUsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDO2FBQ3hCLENBQUMsQ0FBQztTQUNKO0lBQ0gsQ0FBQyxDQUFDO0lBRUYsT0FBTyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sRUFBRTtRQUN0QixJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFO1lBQzlDLE1BQU0sTUFBTSxHQUFhLEVBQUUsQ0FBQztZQUM1QixPQUFPLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRTtnQkFDdEUsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDckIsRUFBRSxDQUFDLENBQUM7Z0JBQ0osRUFBRSxDQUFDLENBQUM7Z0JBQ0osRUFBRSxDQUFDLENBQUM7YUFDTDtZQUNELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUN0RSxTQUFTO1NBQ1Y7UUFDRCxJQUFJLElBQUksR0FBRyxDQUFDLENBQUM7UUFDYixPQUFPLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO1lBQ25GLEVBQUUsSUFBSSxDQUFDO1NBQ1I7UUFDRCxJQUFJLElBQUksS0FBSyxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQ3hCLE1BQU07U0FDUDtRQUNELFlBQVksQ0FBQyxJQUFJLEVBQUUsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ25ELENBQUMsR0FBRyxJQUFJLENBQUM7UUFDVCxDQUFDLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ25CLENBQUMsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUM7S0FDcEI7SUFDRCxZQUFZLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNsRCxPQUFPLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBNUNELHNCQTRDQztBQUVELE1BQU0sU0FBUyxHQUFHLENBQUMsR0FBYSxFQUFFLEdBQWEsRUFBRSxFQUFFLENBQ2pELENBQUMsR0FBRyxDQUFDLE1BQU0sS0FBSyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztBQUk3RSxTQUFnQixVQUFVLENBQUMsSUFBYyxFQUFFLEdBQWEsRUFBRSxHQUFhLEVBQzVDLFFBQWdCLEVBQUUsUUFBZ0I7SUFDM0QsT0FBTyxLQUFLLENBQUMsSUFBSSxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDbkQsSUFBSSxLQUFLLENBQUMsTUFBTSxJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsR0FBRyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNwRCxPQUFPLEtBQUssQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQ2hDO2FBQU0sSUFBSSxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksU0FBUyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQzlFLE9BQU8sS0FBSyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDaEM7UUFDRCxPQUFPLEtBQUssQ0FBQyxNQUFNLENBQ2pCLFlBQVksR0FBRyxRQUFRLEVBQ3ZCLEtBQUssQ0FBQyxHQUFHLEVBQ1QsZ0JBQWdCLEdBQUcsUUFBUSxFQUMzQixLQUFLLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sSUFBSSxFQUFFLENBQUMsRUFDbkMsVUFBVSxDQUFDLENBQUM7SUFDaEIsQ0FBQyxFQUFFLEVBQWMsQ0FBQyxDQUFDO0FBQ3JCLENBQUM7QUFmRCxnQ0FlQztBQUVELFNBQWdCLG1CQUFtQixDQUFDLEtBQWU7SUFDakQsT0FBTyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksRUFBRSxHQUFHLEVBQUUsRUFBRTtRQUN2QyxJQUFJLElBQUksQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDLEVBQUU7WUFDakMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxHQUFHLEdBQUcsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsRUFBRSxTQUFTLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBQztTQUNyRjthQUFNLElBQUksSUFBSSxDQUFDLFVBQVUsQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsRUFBRTtZQUNsRSxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztTQUN6RTtRQUNELE9BQU8sS0FBSyxDQUFDO0lBQ2YsQ0FBQyxFQUFFLEVBQXdCLENBQUMsQ0FBQztBQUMvQixDQUFDO0FBVEQsa0RBU0M7QUFLRCxTQUFnQixrQkFBa0IsQ0FBQyxHQUF3QjtJQUN6RCxNQUFNLFNBQVMsR0FBRyxJQUFBLG1DQUFzQixFQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzlDLE1BQU0sUUFBUSxHQUFHLENBQUMsU0FBaUIsRUFBRSxFQUFFO1FBQ3JDLE1BQU0sTUFBTSxHQUFHLFNBQVMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUN2QyxNQUFNLEdBQUcsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLGFBQUYsRUFBRSx1QkFBRixFQUFFLENBQUUsRUFBRSxFQUFFLEVBQUUsYUFBRixFQUFFLHVCQUFGLEVBQUUsQ0FBRSxJQUFJLENBQUM7YUFDckQsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsV0FBVyxFQUFFLE1BQUssTUFBTSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUM7UUFDL0QsT0FBTyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQztJQUN0RCxDQUFDLENBQUM7SUFDRixPQUFPLENBQUMsR0FBVyxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1dBQy9ELEdBQUcsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7QUFDMUQsQ0FBQztBQVZELGdEQVVDO0FBRUQsU0FBUyxjQUFjLENBQUMsR0FBd0IsRUFDeEIsT0FBK0I7SUFDckQsTUFBTSxPQUFPLEdBQUcsa0JBQWtCLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDeEMsT0FBTyxDQUFDLEdBQUcsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7QUFDaEYsQ0FBQztBQUVELFNBQWUsYUFBYSxDQUFDLEdBQXdCLEVBQ3hCLFFBQXlCLEVBQ3pCLFdBQW1CLEVBQ25CLGFBQXFCOztRQUNoRCxNQUFNLE9BQU8sR0FBRyxjQUFjLENBQUMsR0FBRyxFQUFFLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUN0RCxNQUFNLE9BQU8sR0FBRyxNQUFNLElBQUEsK0JBQWMsRUFBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUMvRSxNQUFNLE9BQU8sR0FBa0IsRUFBRSxDQUFDO1FBQ2xDLEtBQUssTUFBTSxLQUFLLElBQUksT0FBTyxFQUFFO1lBQzNCLE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSwrQkFBYyxFQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUNwRCxJQUFJLE1BQU0sS0FBSyxTQUFTLEVBQUU7Z0JBQ3hCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO2FBQzFEO1lBQ0QsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztTQUN0QjtRQUVELE1BQU0sT0FBTyxHQUFHLENBQUMsTUFBbUIsRUFBRSxFQUFFLFdBQUMsT0FBQSxDQUFDLE1BQUEsTUFBTSxhQUFOLE1BQU0sdUJBQU4sTUFBTSxDQUFFLE9BQU8sbUNBQUksRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFBLEVBQUEsQ0FBQztRQUNoRixNQUFNLElBQUksR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUM7UUFFOUIsSUFBSSxNQUFNLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDbEQsSUFBSSxXQUFXLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO1FBQ3hELEtBQUssSUFBSSxHQUFHLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsRUFBRSxFQUFFLEdBQUcsRUFBRTtZQUNsRCxNQUFNLEdBQUcsVUFBVSxDQUFDLElBQUksRUFBRSxNQUFNLEVBQUUsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLFdBQVcsRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDOUYsV0FBVyxHQUFHLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFNBQVMsS0FBSyxXQUFXLEVBQUUsQ0FBQztTQUMzRDtRQUVELE1BQU0sUUFBUSxHQUFHLE9BQU8sYUFBUCxPQUFPLGNBQVAsT0FBTyxHQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN2QyxNQUFNLFNBQVMsR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7UUFDcEUsTUFBTSxXQUFXLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDckYsTUFBTSxlQUFFLENBQUMsc0JBQXNCLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO1FBQzNELE1BQU0sZUFBRSxDQUFDLGNBQWMsQ0FBQyxXQUFXLEVBQ2pDLElBQUEsNkJBQVksa0NBQU0sUUFBUSxLQUFFLE9BQU8sRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFHLENBQUMsQ0FBQztRQUVsRSxPQUFPO1lBQ0wsT0FBTyxFQUFFLFFBQVEsQ0FBQyxPQUFPO1lBQ3pCLElBQUksRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUMzQyxLQUFLLEVBQUUsbUJBQW1CLENBQUMsTUFBTSxDQUFDO1NBQ25DLENBQUM7SUFDSixDQUFDO0NBQUE7QUFJRCxTQUFzQixZQUFZLENBQUMsR0FBd0IsRUFDeEIsZ0JBQXlCLEtBQUs7O1FBQy9ELE1BQU0sV0FBVyxHQUFHLElBQUEsc0NBQXFCLEVBQUMsR0FBRyxDQUFDLENBQUM7UUFDL0MsSUFBSSxXQUFXLEtBQUssU0FBUyxFQUFFO1lBQzdCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsZUFBZSxDQUFDLHdCQUF3QixDQUFDLENBQUMsQ0FBQztTQUMzRTtRQUNELE1BQU0sVUFBVSxHQUFHLE1BQU0sSUFBQSxvQkFBYSxFQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzVDLE1BQU0sU0FBUyxHQUFHLENBQUMsTUFBTSxJQUFBLG9DQUFtQixFQUFDLEdBQUcsRUFBRSxVQUFVLENBQUMsQ0FBQzthQUMzRCxNQUFNLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxTQUFTLElBQUksQ0FBQyxhQUFhLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUNsRixNQUFNLGFBQWEsR0FBRyxNQUFNLElBQUEsaUNBQWdCLEVBQUMsR0FBRyxDQUFDLENBQUM7UUFDbEQsTUFBTSxhQUFhLEdBQUcsY0FBSSxDQUFDLFFBQVEsQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUNuRCxNQUFNLE9BQU8sR0FBeUIsRUFBRSxDQUFDO1FBQ3pDLE1BQU0sU0FBUyxHQUEyQixFQUFFLENBQUM7UUFDN0MsS0FBSyxNQUFNLFFBQVEsSUFBSSxTQUFTLEVBQUU7WUFDaEMsSUFBSTtnQkFDRixNQUFNLE1BQU0sR0FBRyxNQUFNLGFBQWEsQ0FBQyxHQUFHLEVBQUUsUUFBUSxFQUFFLFdBQVcsRUFBRSxhQUFhLENBQUMsQ0FBQztnQkFDOUUsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztnQkFDckIsTUFBTSxZQUFZLEdBQUcsRUFBRSxDQUFDO2dCQUN4QixLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsU0FBUyxDQUFDLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtvQkFDcEQsTUFBTSxLQUFLLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsU0FBUyxLQUFLLFNBQVMsQ0FBQyxDQUFDO29CQUMxRSxZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsTUFBTSxJQUFBLGdCQUFPLEVBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFFBQVEsRUFBRSxHQUFHLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztpQkFDaEc7Z0JBQ0QsU0FBUyxDQUFDLElBQUksQ0FBQztvQkFDYixJQUFJLEVBQUUsUUFBUTtvQkFDZCxPQUFPLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsU0FBUyxFQUFFLFFBQVEsQ0FBQyxPQUFPLENBQUM7b0JBQzFELGFBQWE7b0JBQ2IsWUFBWTtpQkFDYixDQUFDLENBQUM7YUFDSjtZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsd0JBQXdCLEVBQUUsRUFBRSxPQUFPLEVBQUUsUUFBUSxDQUFDLE9BQU8sRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDM0Y7U0FDRjtRQUNELElBQUksU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDeEIsTUFBTSxJQUFBLDRDQUFvQixFQUFDLEdBQUcsRUFBRSxTQUFTLENBQUMsQ0FBQztTQUM1QztRQUNELE9BQU8sT0FBTyxDQUFDO0lBQ2pCLENBQUM7Q0FBQTtBQXBDRCxvQ0FvQ0M7QUFJRCxTQUFzQixlQUFlLENBQUMsR0FBd0I7OztRQUM1RCxNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLGVBQWUsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1FBQ3JFLElBQUksQ0FBQSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUUsSUFBSSxNQUFLLFNBQVMsRUFBRTtZQUNqQyxPQUFPLEVBQUUsQ0FBQztTQUNYO1FBQ0QsTUFBTSxRQUFRLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ25ELE1BQU0sT0FBTyxHQUFHLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3hDLE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSxnREFBd0IsRUFBQyxHQUFHLENBQUMsQ0FBQztRQUNuRCxNQUFNLEtBQUssR0FBa0IsRUFBRSxDQUFDO1FBQ2hDLEtBQUssTUFBTSxLQUFLLElBQUksTUFBTSxFQUFFO1lBQzFCLElBQUk7Z0JBQ0YsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxhQUFhLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7YUFDN0U7WUFBQyxPQUFPLEdBQUcsRUFBRTtnQkFFWixTQUFTO2FBQ1Y7WUFDRCxNQUFNLE9BQU8sR0FBYSxFQUFFLENBQUM7WUFDN0IsTUFBTSxPQUFPLEdBQWEsRUFBRSxDQUFDO1lBQzdCLEtBQUssTUFBTSxHQUFHLElBQUksS0FBSyxDQUFDLFlBQVksRUFBRTtnQkFDcEMsTUFBTSxRQUFRLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7Z0JBQzlELElBQUk7b0JBQ0YsTUFBTSxlQUFFLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2lCQUM5QjtnQkFBQyxPQUFPLEdBQUcsRUFBRTtvQkFDWixPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztvQkFDdkIsU0FBUztpQkFDVjtnQkFFRCxJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUMsTUFBQSxHQUFHLENBQUMsSUFBSSxtQ0FBSSxFQUFFLENBQUM7dUJBQzFCLENBQUMsQ0FBQyxNQUFNLElBQUEsZ0JBQU8sRUFBQyxRQUFRLENBQVksQ0FBQSxDQUFDLFdBQVcsRUFBRSxLQUFLLEdBQUcsQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsRUFBRTtvQkFDckYsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7aUJBQ3hCO2FBQ0Y7WUFDRCxNQUFNLFFBQVEsR0FBRyxLQUFLLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLENBQUM7WUFDOUUsTUFBTSxTQUFTLEdBQUcsQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLEtBQUssQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQzttQkFDckYsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEdBQUcsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDO3dCQUNwRixRQUFRLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDOUQsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxJQUFJLFNBQVMsRUFBRTtnQkFDN0QsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxDQUFDLENBQUM7YUFDcEQ7U0FDRjtRQUNELE9BQU8sS0FBSyxDQUFDOztDQUNkO0FBekNELDBDQXlDQztBQUlELFNBQXNCLFVBQVUsQ0FBQyxHQUF3QixFQUFFLE1BQThCOztRQUN2RixNQUFNLFNBQVMsR0FBRyxzQkFBUyxDQUFDLGVBQWUsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLEVBQUUsZ0JBQU8sQ0FBQyxDQUFDO1FBQ3JFLE1BQU0sUUFBUSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztRQUNuRCxLQUFLLE1BQU0sS0FBSyxJQUFJLE1BQU0sRUFBRTtZQUMxQixJQUFJO2dCQUNGLE1BQU0sZUFBRSxDQUFDLFdBQVcsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsYUFBYSxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO2FBQy9FO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osSUFBSSxHQUFHLENBQUMsSUFBSSxLQUFLLFFBQVEsRUFBRTtvQkFDekIsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2lCQUM1QjthQUNGO1NBQ0Y7UUFDRCxNQUFNLElBQUEsNENBQW9CLEVBQUMsR0FBRyxFQUFFLEVBQUUsRUFBRSxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDeEUsTUFBTSxTQUFTLEdBQUcsSUFBSSxHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUEsZ0RBQXdCLEVBQUMsR0FBRyxDQUFDLENBQUM7YUFDNUQsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLGFBQWEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDcEQsTUFBTSxjQUFjLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUM7YUFDakYsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDdEQsS0FBSyxNQUFNLElBQUksSUFBSSxjQUFjLEVBQUU7WUFDakMsTUFBTSxlQUFFLENBQUMsV0FBVyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxDQUFDO2lCQUM1QyxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1NBQ3BGO0lBQ0gsQ0FBQztDQUFBO0FBckJELGdDQXFCQztBQUVELFNBQXNCLGNBQWMsQ0FBQyxHQUF3QixFQUFFLEtBQW9COztRQUNqRixNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE1BQU0sVUFBVSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsV0FBQyxPQUFBLENBQUMsTUFBQSxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksbUNBQUksUUFBUSxDQUFDLEtBQUssUUFBUSxDQUFBLEVBQUEsQ0FBQyxLQUFLLFNBQVMsQ0FBQztRQUNsRyxNQUFNLEdBQUcsR0FBRyxNQUFNLEdBQUcsQ0FBQyxVQUFVLENBQUMsVUFBVSxFQUFFLGlCQUFpQixFQUFFO1lBQzlELElBQUksRUFBRSxDQUFDLENBQUMsK0VBQStFO2tCQUNuRixrRkFBa0YsRUFDcEYsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDO2tCQUNyQixDQUFDLFVBQVU7b0JBQ1gsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsc0VBQXNFLEVBQzlFLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQztvQkFDekIsQ0FBQyxDQUFDLEVBQUUsQ0FBQztTQUNWLEVBQUU7WUFDRCxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUU7WUFDbkIsRUFBRSxLQUFLLEVBQUUsYUFBYSxFQUFFO1lBQ3hCLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRTtTQUN6QixDQUFDLENBQUM7UUFDSCxJQUFJLEdBQUcsQ0FBQyxNQUFNLEtBQUssUUFBUSxFQUFFO1lBQzNCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQztTQUNoRDtRQUNELElBQUk7WUFDRixNQUFNLFVBQVUsQ0FBQyxHQUFHLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ3ZELE1BQU0sbUJBQVksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBQSxtQ0FBc0IsRUFBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQzNFLElBQUEsbUJBQVksRUFBQyxHQUFHLENBQUMsQ0FBQztTQUNuQjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osR0FBRyxDQUFDLHFCQUFxQixDQUFDLGtDQUFrQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ25FLE9BQU87U0FDUjtRQUNELElBQUksR0FBRyxDQUFDLE1BQU0sS0FBSyxhQUFhLEVBQUU7WUFDaEMsTUFBTSxjQUFjLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDM0I7SUFDSCxDQUFDO0NBQUE7QUE5QkQsd0NBOEJDO0FBRUQsU0FBUyxpQkFBaUIsQ0FBQyxHQUF3QixFQUFFLE9BQTZCO0lBQ2hGLE1BQU0sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxTQUFTLENBQUM7SUFDeEIsTUFBTSxVQUFVLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3JFLE9BQU8sQ0FBQyxDQUFDLGlGQUFpRjtVQUN0Rix1RkFBdUY7VUFDdkYsNkZBQTZGO1VBQzdGLHdDQUF3QyxFQUFFLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQztVQUNqRSxvQkFBb0I7VUFDcEIsVUFBVSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sTUFBTSxDQUFDLE9BQU8sWUFBWTtjQUN2RCxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsdURBQXVELEVBQUU7Z0JBQzVGLEVBQUUsRUFBRSx1QkFBYztnQkFDbEIsT0FBTyxFQUFFLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksQ0FBQyxTQUFTLEVBQUU7YUFDekUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQztjQUNWLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztBQUM1QixDQUFDO0FBRUQsU0FBc0IsY0FBYyxDQUFDLEdBQXdCOztRQUMzRCxNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixJQUFJLHNCQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxLQUFLLGdCQUFPLEVBQUU7WUFDN0MsT0FBTztTQUNSO1FBRUQsSUFBSSxhQUFhLEdBQUcsS0FBSyxDQUFDO1FBQzFCLElBQUk7WUFDRixNQUFNLFNBQVMsR0FBRyxNQUFNLElBQUEsb0NBQW1CLEVBQUMsR0FBRyxFQUFFLE1BQU0sSUFBQSxvQkFBYSxFQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDM0UsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLE1BQU0sSUFBSSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsS0FBSyxTQUFTLEVBQUU7Z0JBQ3BGLE1BQU0sR0FBRyxHQUFHLE1BQU0sR0FBRyxDQUFDLFVBQVUsQ0FBQyxVQUFVLEVBQUUsZUFBZSxFQUFFO29CQUM1RCxJQUFJLEVBQUUsQ0FBQyxDQUFDLG9GQUFvRjswQkFDeEYsbUZBQW1GOzBCQUNuRiw2RUFBNkUsRUFDL0UsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDO2lCQUMxQixFQUFFO29CQUNELEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRTtvQkFDbkIsRUFBRSxLQUFLLEVBQUUseUJBQXlCLEVBQUU7b0JBQ3BDLEVBQUUsS0FBSyxFQUFFLHFCQUFxQixFQUFFO2lCQUNqQyxDQUFDLENBQUM7Z0JBQ0gsSUFBSSxHQUFHLENBQUMsTUFBTSxLQUFLLFFBQVEsRUFBRTtvQkFDM0IsT0FBTztpQkFDUjtnQkFDRCxhQUFhLEdBQUcsR0FBRyxDQUFDLE1BQU0sS0FBSyx5QkFBeUIsQ0FBQzthQUMxRDtTQUNGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixHQUFHLENBQUMscUJBQXFCLENBQUMsb0NBQW9DLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDckUsT0FBTztTQUNSO1FBRUQsR0FBRyxDQUFDLGdCQUFnQixDQUFDO1lBQ25CLEVBQUUsRUFBRSxtQkFBbUI7WUFDdkIsSUFBSSxFQUFFLFVBQVU7WUFDaEIsT0FBTyxFQUFFLENBQUMsQ0FBQyxpQkFBaUIsRUFBRSxFQUFFLEVBQUUsRUFBRSx1QkFBYyxFQUFFLENBQUM7WUFDckQsYUFBYSxFQUFFLEtBQUs7WUFDcEIsU0FBUyxFQUFFLElBQUk7U0FDaEIsQ0FBQyxDQUFDO1FBRUgsSUFBSSxPQUE2QixDQUFDO1FBQ2xDLElBQUk7WUFDRixPQUFPLEdBQUcsTUFBTSxZQUFZLENBQUMsR0FBRyxFQUFFLGFBQWEsQ0FBQyxDQUFDO1lBQ2pELE1BQU0sbUJBQVksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBQSxtQ0FBc0IsRUFBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQzNFLElBQUEsbUJBQVksRUFBQyxHQUFHLENBQUMsQ0FBQztTQUNuQjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osR0FBRyxDQUFDLHFCQUFxQixDQUFDLHlCQUF5QixFQUFFLEdBQUcsRUFDdEQsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDLEdBQUcsWUFBWSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUMzRCxPQUFPO1NBQ1I7Z0JBQVM7WUFDUixHQUFHLENBQUMsbUJBQW1CLENBQUMsbUJBQW1CLENBQUMsQ0FBQztTQUM5QztRQUVELEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO1FBQzFDLE1BQU0sVUFBVSxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNyRSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1lBQzNCLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztnQkFDbkIsRUFBRSxFQUFFLHVCQUF1QjtnQkFDM0IsSUFBSSxFQUFFLFNBQVM7Z0JBQ2YsT0FBTyxFQUFFLENBQUMsQ0FBQyw0QkFBNEIsRUFBRSxFQUFFLEVBQUUsRUFBRSx1QkFBYyxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsTUFBTSxFQUFFLENBQUM7Z0JBQ3ZGLFNBQVMsRUFBRSxJQUFJO2FBQ2hCLENBQUMsQ0FBQztZQUNILE9BQU87U0FDUjtRQUVELE1BQU0sYUFBYSxHQUFHLE1BQU0sSUFBQSxpQ0FBZ0IsRUFBQyxHQUFHLENBQUMsQ0FBQztRQUNsRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsRUFBRSxFQUFFLHVCQUF1QjtZQUMzQixJQUFJLEVBQUUsU0FBUztZQUNmLE9BQU8sRUFBRSxDQUFDLENBQUMsa0RBQWtELEVBQzNELEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsS0FBSyxFQUFFLFVBQVUsQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUNuRCxPQUFPLEVBQUU7Z0JBQ1A7b0JBQ0UsS0FBSyxFQUFFLFFBQVE7b0JBQ2YsTUFBTSxFQUFFLEdBQUcsRUFBRTt3QkFDWCxHQUFHLENBQUMsVUFBVSxDQUFDLE1BQU0sRUFBRSx3QkFBd0IsRUFBRTs0QkFDL0MsTUFBTSxFQUFFLGlCQUFpQixDQUFDLEdBQUcsRUFBRSxPQUFPLENBQUM7eUJBQ3hDLEVBQUU7NEJBQ0QsRUFBRSxLQUFLLEVBQUUsaUJBQWlCLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLGlCQUFJLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRTs0QkFDckYsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFO3lCQUNuQixDQUFDLENBQUM7b0JBQ0wsQ0FBQztpQkFDRjthQUNGO1NBQ0YsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztDQUFBO0FBcEZELHdDQW9GQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgcGF0aCBmcm9tICdwYXRoJztcbmltcG9ydCB7IGZzLCBsb2csIHNlbGVjdG9ycywgdHlwZXMsIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcblxuaW1wb3J0IHsgR0FNRV9JRCwgZ2V0SGFzaCwgSTE4Tl9OQU1FU1BBQ0UgfSBmcm9tICcuL2NvbW1vbic7XG5pbXBvcnQgSW5pU3RydWN0dXJlIGZyb20gJy4vaW5pUGFyc2VyJztcbmltcG9ydCB7IGdldE1lcmdlSW52ZW50b3J5RW50cmllcywgdXBkYXRlTWVyZ2VJbnZlbnRvcnkgfSBmcm9tICcuL21lcmdlSW52ZW50b3J5UGFyc2luZyc7XG5pbXBvcnQgeyBnZXRQZXJzaXN0ZW50TG9hZE9yZGVyIH0gZnJvbSAnLi9taWdyYXRpb25zJztcbmltcG9ydCB7IGVuY29kZVNjcmlwdCwgZmluZFNjcmlwdENvbmZsaWN0cywgZ2V0TWVyZ2VkTW9kUGF0aCxcbiAgZ2V0VmFuaWxsYVNjcmlwdHNQYXRoLCByZWFkU2NyaXB0RmlsZSB9IGZyb20gJy4vc2NyaXB0QW5hbHlzaXMnO1xuaW1wb3J0IHsgSU1lcmdlSW52ZW50b3J5RW50cnksIElTY3JpcHRDb25mbGljdCwgSVNjcmlwdENvbmZsaWN0RW50cnksXG4gIElTY3JpcHREYXRhLCBJU2NyaXB0TWVyZ2VIdW5rLCBJU2NyaXB0TWVyZ2VSZXN1bHQsIElTdGFsZU1lcmdlIH0gZnJvbSAnLi90eXBlcyc7XG5pbXBvcnQgeyBmb3JjZVJlZnJlc2gsIGdldERlcGxveW1lbnQgfSBmcm9tICcuL3V0aWwnO1xuXG5jb25zdCBBQ1RJVklUWV9JRF9NRVJHSU5HID0gJ3dpdGNoZXIzLW1lcmdpbmctc2NyaXB0cyc7XG5jb25zdCBNRDVfSEFTSCA9IC9eWzAtOWEtZl17MzJ9JC9pO1xuXG4vLyBDb25mbGljdCBtYXJrZXJzIGFyZSB3cml0dGVuIGFzIGNvbW1lbnRzIHNvIHRoYXQgdGhlIGdhbWUgaXMgc3RpbGwgYWJsZSB0b1xuLy8gIGNvbXBpbGUgdGhlIG1lcmdlZCBzY3JpcHQ7IHRoZSBoaWdoZXIgcHJpb3JpdHkgbW9kJ3MgY2hhbmdlcyBhcmUga2VwdCBhbmQgdGhlXG4vLyAgb3RoZXIgc2lkZSBpcyBjb21tZW50ZWQgb3V0IGZvciB0aGUgdXNlciB0byByZXZpZXcuXG5jb25zdCBNQVJLRVJfU1RBUlQgPSAnLy8gPDw8PDw8PCBWT1JURVggTUVSR0UgQ09ORkxJQ1QgLSBrZXB0OiAnO1xuY29uc3QgTUFSS0VSX1NFUEFSQVRPUiA9ICcvLyA9PT09PT09IGRpc2NhcmRlZDogJztcbmNvbnN0IE1BUktFUl9FTkQgPSAnLy8gPj4+Pj4+PiBFTkQgT0YgQ09ORkxJQ1QnO1xuXG4vLyBEaWZmaW5nIHR3byBjb21wbGV0ZWx5IGRpZmZlcmVudCBmaWxlcyBpcyBxdWFkcmF0aWMgaW4gbWVtb3J5IC0gcGFzdCB0aGlzXG4vLyAgbWFueSBlZGl0cyB3ZSBzdG9wIGxvb2tpbmcgZm9yIGNvbW1vbiBsaW5lcyBhbmQgbGV0IHRoZSB1c2VyIHNvcnQgaXQgb3V0LlxuY29uc3QgTUFYX0VESVRfRElTVEFOQ0UgPSAyMDAwO1xuXG5pbnRlcmZhY2UgSUNodW5rIHtcbiAgc3RhYmxlOiBib29sZWFuO1xuICBiYXNlOiBzdHJpbmdbXTtcbiAgbGhzOiBzdHJpbmdbXTtcbiAgcmhzOiBzdHJpbmdbXTtcbn1cblxuLy8gTXllcnMnIGRpZmYgYWxnb3JpdGhtLiBSZXR1cm5zLCBmb3IgZXZlcnkgbGluZSBvZiBsaHMsIHRoZSBpbmRleCBvZiB0aGUgbGluZVxuLy8gIGl0IGlzIG1hdGNoZWQgd2l0aCBpbiByaHMsIG9yIC0xIGlmIHRoZSBsaW5lIGlzIG5vdCBwYXJ0IG9mIHJocy5cbmV4cG9ydCBmdW5jdGlvbiBtYXRjaExpbmVzKGxoczogc3RyaW5nW10sIHJoczogc3RyaW5nW10pOiBudW1iZXJbXSB7XG4gIGNvbnN0IHJlc3VsdDogbnVtYmVyW10gPSBuZXcgQXJyYXkobGhzLmxlbmd0aCkuZmlsbCgtMSk7XG4gIGxldCBzdGFydCA9IDA7XG4gIHdoaWxlICgoc3RhcnQgPCBsaHMubGVuZ3RoKSAmJiAoc3RhcnQgPCByaHMubGVuZ3RoKSAmJiAobGhzW3N0YXJ0XSA9PT0gcmhzW3N0YXJ0XSkpIHtcbiAgICByZXN1bHRbc3RhcnRdID0gc3RhcnQ7XG4gICAgKytzdGFydDtcbiAgfVxuICBsZXQgbGhzRW5kID0gbGhzLmxlbmd0aDtcbiAgbGV0IHJoc0VuZCA9IHJocy5sZW5ndGg7XG4gIHdoaWxlICgobGhzRW5kID4gc3RhcnQpICYmIChyaHNFbmQgPiBzdGFydCkgJiYgKGxoc1tsaHNFbmQgLSAxXSA9PT0gcmhzW3Joc0VuZCAtIDFdKSkge1xuICAgIHJlc3VsdFstLWxoc0VuZF0gPSAtLXJoc0VuZDtcbiAgfVxuXG4gIGNvbnN0IG4gPSBsaHNFbmQgLSBzdGFydDtcbiAgY29uc3QgbSA9IHJoc0VuZCAtIHN0YXJ0O1xuICBpZiAoKG4gPT09IDApIHx8IChtID09PSAwKSkge1xuICAgIHJldHVybiByZXN1bHQ7XG4gIH1cbiAgY29uc3QgbWF4ID0gTWF0aC5taW4obiArIG0sIE1BWF9FRElUX0RJU1RBTkNFKTtcbiAgY29uc3Qgb2Zmc2V0ID0gbWF4ICsgMTtcbiAgY29uc3QgdiA9IG5ldyBJbnQzMkFycmF5KDIgKiBtYXggKyAzKTtcbiAgY29uc3QgdHJhY2U6IEludDMyQXJyYXlbXSA9IFtdO1xuICBsZXQgZWRpdERpc3RhbmNlID0gLTE7XG4gIGZvciAobGV0IGQgPSAwOyAoZCA8PSBtYXgpICYmIChlZGl0RGlzdGFuY2UgPT09IC0xKTsgKytkKSB7XG4gICAgdHJhY2UucHVzaCh2LnNsaWNlKG9mZnNldCAtIGQsIG9mZnNldCArIGQgKyAxKSk7XG4gICAgZm9yIChsZXQgayA9IC1kOyBrIDw9IGQ7IGsgKz0gMikge1xuICAgICAgbGV0IHggPSAoKGsgPT09IC1kKSB8fCAoKGsgIT09IGQpICYmICh2W29mZnNldCArIGsgLSAxXSA8IHZbb2Zmc2V0ICsgayArIDFdKSkpXG4gICAgICAgID8gdltvZmZzZXQgKyBrICsgMV1cbiAgICAgICAgOiB2W29mZnNldCArIGsgLSAxXSArIDE7XG4gICAgICBsZXQgeSA9IHggLSBrO1xuICAgICAgd2hpbGUgKCh4IDwgbikgJiYgKHkgPCBtKSAmJiAobGhzW3N0YXJ0ICsgeF0gPT09IHJoc1tzdGFydCArIHldKSkge1xuICAgICAgICArK3g7XG4gICAgICAgICsreTtcbiAgICAgIH1cbiAgICAgIHZbb2Zmc2V0ICsga10gPSB4O1xuICAgICAgaWYgKCh4ID49IG4pICYmICh5ID49IG0pKSB7XG4gICAgICAgIGVkaXREaXN0YW5jZSA9IGQ7XG4gICAgICAgIGJyZWFrO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIGlmIChlZGl0RGlzdGFuY2UgPT09IC0xKSB7XG4gICAgbG9nKCdkZWJ1ZycsICdzY3JpcHQgZGlmZiBleGNlZWRzIGVkaXQgZGlzdGFuY2UgbGltaXQnLCB7IGxpbmVzOiBuICsgbSB9KTtcbiAgICByZXR1cm4gcmVzdWx0O1xuICB9XG5cbiAgbGV0IHggPSBuO1xuICBsZXQgeSA9IG07XG4gIGZvciAobGV0IGQgPSBlZGl0RGlzdGFuY2U7IGQgPiAwOyAtLWQpIHtcbiAgICBjb25zdCBwcmV2ID0gdHJhY2VbZF07XG4gICAgY29uc3QgYXQgPSAoazogbnVtYmVyKSA9PiBwcmV2W2sgKyBkXTtcbiAgICBjb25zdCBrID0geCAtIHk7XG4gICAgY29uc3QgcHJldksgPSAoKGsgPT09IC1kKSB8fCAoKGsgIT09IGQpICYmIChhdChrIC0gMSkgPCBhdChrICsgMSkpKSkgPyBrICsgMSA6IGsgLSAxO1xuICAgIGNvbnN0IHByZXZYID0gYXQocHJldkspO1xuICAgIGNvbnN0IHByZXZZID0gcHJldlggLSBwcmV2SztcbiAgICB3aGlsZSAoKHggPiBwcmV2WCkgJiYgKHkgPiBwcmV2WSkpIHtcbiAgICAgIC0teDtcbiAgICAgIC0teTtcbiAgICAgIHJlc3VsdFtzdGFydCArIHhdID0gc3RhcnQgKyB5O1xuICAgIH1cbiAgICB4ID0gcHJldlg7XG4gICAgeSA9IHByZXZZO1xuICB9XG4gIHdoaWxlICgoeCA+IDApICYmICh5ID4gMCkpIHtcbiAgICAtLXg7XG4gICAgLS15O1xuICAgIHJlc3VsdFtzdGFydCArIHhdID0gc3RhcnQgKyB5O1xuICB9XG4gIHJldHVybiByZXN1bHQ7XG59XG5cbi8vIFNwbGl0cyBib3RoIG1vZGlmaWVkIHZlcnNpb25zIGludG8gY2h1bmtzIHdoaWNoIGFyZSBlaXRoZXIgdW50b3VjaGVkIGJ5IGJvdGhcbi8vICBzaWRlcyAoc3RhYmxlKSBvciB3ZXJlIGNoYW5nZWQgYnkgYXQgbGVhc3Qgb25lIG9mIHRoZW0uXG5leHBvcnQgZnVuY3Rpb24gZGlmZjMoYmFzZTogc3RyaW5nW10sIGxoczogc3RyaW5nW10sIHJoczogc3RyaW5nW10pOiBJQ2h1bmtbXSB7XG4gIGNvbnN0IG1hdGNoTGhzID0gbWF0Y2hMaW5lcyhiYXNlLCBsaHMpO1xuICBjb25zdCBtYXRjaFJocyA9IG1hdGNoTGluZXMoYmFzZSwgcmhzKTtcbiAgY29uc3QgY2h1bmtzOiBJQ2h1bmtbXSA9IFtdO1xuICBsZXQgbyA9IDA7XG4gIGxldCBhID0gMDtcbiAgbGV0IGIgPSAwO1xuICBjb25zdCBwdXNoVW5zdGFibGUgPSAob0VuZDogbnVtYmVyLCBhRW5kOiBudW1iZXIsIGJFbmQ6IG51bWJlcikgPT4ge1xuICAgIGlmICgob0VuZCA+IG8pIHx8IChhRW5kID4gYSkgfHwgKGJFbmQgPiBiKSkge1xuICAgICAgY2h1bmtzLnB1c2goe1xuICAgICAgICBzdGFibGU6IGZhbHNlLFxuICAgICAgICBiYXNlOiBiYXNlLnNsaWNlKG8sIG9FbmQpLFxuICAgICAgICBsaHM6IGxocy5zbGljZShhLCBhRW5kKSxcbiAgICAgICAgcmhzOiByaHMuc2xpY2UoYiwgYkVuZCksXG4gICAgICB9KTtcbiAgICB9XG4gIH07XG5cbiAgd2hpbGUgKG8gPCBiYXNlLmxlbmd0aCkge1xuICAgIGlmICgobWF0Y2hMaHNbb10gPT09IGEpICYmIChtYXRjaFJoc1tvXSA9PT0gYikpIHtcbiAgICAgIGNvbnN0IHN0YWJsZTogc3RyaW5nW10gPSBbXTtcbiAgICAgIHdoaWxlICgobyA8IGJhc2UubGVuZ3RoKSAmJiAobWF0Y2hMaHNbb10gPT09IGEpICYmIChtYXRjaFJoc1tvXSA9PT0gYikpIHtcbiAgICAgICAgc3RhYmxlLnB1c2goYmFzZVtvXSk7XG4gICAgICAgICsrbztcbiAgICAgICAgKythO1xuICAgICAgICArK2I7XG4gICAgICB9XG4gICAgICBjaHVua3MucHVzaCh7IHN0YWJsZTogdHJ1ZSwgYmFzZTogc3RhYmxlLCBsaHM6IHN0YWJsZSwgcmhzOiBzdGFibGUgfSk7XG4gICAgICBjb250aW51ZTtcbiAgICB9XG4gICAgbGV0IG5leHQgPSBvO1xuICAgIHdoaWxlICgobmV4dCA8IGJhc2UubGVuZ3RoKSAmJiAoKG1hdGNoTGhzW25leHRdID09PSAtMSkgfHwgKG1hdGNoUmhzW25leHRdID09PSAtMSkpKSB7XG4gICAgICArK25leHQ7XG4gICAgfVxuICAgIGlmIChuZXh0ID09PSBiYXNlLmxlbmd0aCkge1xuICAgICAgYnJlYWs7XG4gICAgfVxuICAgIHB1c2hVbnN0YWJsZShuZXh0LCBtYXRjaExoc1tuZXh0XSwgbWF0Y2hSaHNbbmV4dF0pO1xuICAgIG8gPSBuZXh0O1xuICAgIGEgPSBtYXRjaExoc1tuZXh0XTtcbiAgICBiID0gbWF0Y2hSaHNbbmV4dF07XG4gIH1cbiAgcHVzaFVuc3RhYmxlKGJhc2UubGVuZ3RoLCBsaHMubGVuZ3RoLCByaHMubGVuZ3RoKTtcbiAgcmV0dXJuIGNodW5rcztcbn1cblxuY29uc3Qgc2FtZUxpbmVzID0gKGxoczogc3RyaW5nW10sIHJoczogc3RyaW5nW10pID0+XG4gIChsaHMubGVuZ3RoID09PSByaHMubGVuZ3RoKSAmJiBsaHMuZXZlcnkoKGxpbmUsIGlkeCkgPT4gbGluZSA9PT0gcmhzW2lkeF0pO1xuXG4vLyBNZXJnZXMgdGhlIGNoYW5nZXMgb2YgcmhzIGludG8gbGhzLiBDb25mbGljdGluZyBjaGFuZ2VzIGFyZSByZXNvbHZlZCBpbiBmYXZvdXJcbi8vICBvZiByaHMsIHdpdGggdGhlIGxocyB2ZXJzaW9uIG9mIHRoZSBjb25mbGljdGluZyBsaW5lcyBjb21tZW50ZWQgb3V0LlxuZXhwb3J0IGZ1bmN0aW9uIG1lcmdlTGluZXMoYmFzZTogc3RyaW5nW10sIGxoczogc3RyaW5nW10sIHJoczogc3RyaW5nW10sXG4gICAgICAgICAgICAgICAgICAgICAgICAgICBsaHNMYWJlbDogc3RyaW5nLCByaHNMYWJlbDogc3RyaW5nKTogc3RyaW5nW10ge1xuICByZXR1cm4gZGlmZjMoYmFzZSwgbGhzLCByaHMpLnJlZHVjZSgoYWNjdW0sIGNodW5rKSA9PiB7XG4gICAgaWYgKGNodW5rLnN0YWJsZSB8fCBzYW1lTGluZXMoY2h1bmsubGhzLCBjaHVuay5iYXNlKSkge1xuICAgICAgcmV0dXJuIGFjY3VtLmNvbmNhdChjaHVuay5yaHMpO1xuICAgIH0gZWxzZSBpZiAoc2FtZUxpbmVzKGNodW5rLnJocywgY2h1bmsuYmFzZSkgfHwgc2FtZUxpbmVzKGNodW5rLmxocywgY2h1bmsucmhzKSkge1xuICAgICAgcmV0dXJuIGFjY3VtLmNvbmNhdChjaHVuay5saHMpO1xuICAgIH1cbiAgICByZXR1cm4gYWNjdW0uY29uY2F0KFxuICAgICAgTUFSS0VSX1NUQVJUICsgcmhzTGFiZWwsXG4gICAgICBjaHVuay5yaHMsXG4gICAgICBNQVJLRVJfU0VQQVJBVE9SICsgbGhzTGFiZWwsXG4gICAgICBjaHVuay5saHMubWFwKGxpbmUgPT4gYC8vICR7bGluZX1gKSxcbiAgICAgIE1BUktFUl9FTkQpO1xuICB9LCBbXSBhcyBzdHJpbmdbXSk7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBmaW5kQ29uZmxpY3RNYXJrZXJzKGxpbmVzOiBzdHJpbmdbXSk6IElTY3JpcHRNZXJnZUh1bmtbXSB7XG4gIHJldHVybiBsaW5lcy5yZWR1Y2UoKGFjY3VtLCBsaW5lLCBpZHgpID0+IHtcbiAgICBpZiAobGluZS5zdGFydHNXaXRoKE1BUktFUl9TVEFSVCkpIHtcbiAgICAgIGFjY3VtLnB1c2goeyBsaW5lOiBpZHggKyAxLCBrZXB0OiBsaW5lLnNsaWNlKE1BUktFUl9TVEFSVC5sZW5ndGgpLCBkaXNjYXJkZWQ6ICcnIH0pO1xuICAgIH0gZWxzZSBpZiAobGluZS5zdGFydHNXaXRoKE1BUktFUl9TRVBBUkFUT1IpICYmIChhY2N1bS5sZW5ndGggPiAwKSkge1xuICAgICAgYWNjdW1bYWNjdW0ubGVuZ3RoIC0gMV0uZGlzY2FyZGVkID0gbGluZS5zbGljZShNQVJLRVJfU0VQQVJBVE9SLmxlbmd0aCk7XG4gICAgfVxuICAgIHJldHVybiBhY2N1bTtcbiAgfSwgW10gYXMgSVNjcmlwdE1lcmdlSHVua1tdKTtcbn1cblxuLy8gQ29tcGFyZXMgbW9kIGZvbGRlcnMgYnkgdGhlaXIgcHJpb3JpdHk7IG1vZHMgYXJlIGxvYWRlZCBieSB0aGVpciBwb3NpdGlvbiBpblxuLy8gIHRoZSBsb2FkIG9yZGVyICh0aGUgZmlyc3QgZW50cnkgd2lucyksIGFueXRoaW5nIHRoZSBsb2FkIG9yZGVyIGRvZXNuJ3Qga25vd1xuLy8gIGFib3V0IGlzIGxvYWRlZCBhbHBoYWJldGljYWxseSBhZnRlcndhcmRzLlxuZXhwb3J0IGZ1bmN0aW9uIHByaW9yaXR5Q29tcGFyYXRvcihhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiAobGhzOiBzdHJpbmcsIHJoczogc3RyaW5nKSA9PiBudW1iZXIge1xuICBjb25zdCBsb2FkT3JkZXIgPSBnZXRQZXJzaXN0ZW50TG9hZE9yZGVyKGFwaSk7XG4gIGNvbnN0IHBvc2l0aW9uID0gKG1vZEZvbGRlcjogc3RyaW5nKSA9PiB7XG4gICAgY29uc3QgZm9sZGVyID0gbW9kRm9sZGVyLnRvTG93ZXJDYXNlKCk7XG4gICAgY29uc3QgaWR4ID0gbG9hZE9yZGVyLmZpbmRJbmRleChsbyA9PiBbbG8/LmlkLCBsbz8ubmFtZV1cbiAgICAgIC5maW5kKG5hbWUgPT4gbmFtZT8udG9Mb3dlckNhc2UoKSA9PT0gZm9sZGVyKSAhPT0gdW5kZWZpbmVkKTtcbiAgICByZXR1cm4gKGlkeCA9PT0gLTEpID8gTnVtYmVyLk1BWF9TQUZFX0lOVEVHRVIgOiBpZHg7XG4gIH07XG4gIHJldHVybiAobGhzOiBzdHJpbmcsIHJoczogc3RyaW5nKSA9PiAocG9zaXRpb24obGhzKSAtIHBvc2l0aW9uKHJocykpXG4gICAgfHwgbGhzLnRvTG93ZXJDYXNlKCkubG9jYWxlQ29tcGFyZShyaHMudG9Mb3dlckNhc2UoKSk7XG59XG5cbmZ1bmN0aW9uIHNvcnRCeVByaW9yaXR5KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSxcbiAgICAgICAgICAgICAgICAgICAgICAgIGVudHJpZXM6IElTY3JpcHRDb25mbGljdEVudHJ5W10pOiBJU2NyaXB0Q29uZmxpY3RFbnRyeVtdIHtcbiAgY29uc3QgY29tcGFyZSA9IHByaW9yaXR5Q29tcGFyYXRvcihhcGkpO1xuICByZXR1cm4gWy4uLmVudHJpZXNdLnNvcnQoKGxocywgcmhzKSA9PiBjb21wYXJlKGxocy5tb2RGb2xkZXIsIHJocy5tb2RGb2xkZXIpKTtcbn1cblxuYXN5bmMgZnVuY3Rpb24gbWVyZ2VDb25mbGljdChhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgIGNvbmZsaWN0OiBJU2NyaXB0Q29uZmxpY3QsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgIHZhbmlsbGFQYXRoOiBzdHJpbmcsXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgIG1lcmdlZE1vZFBhdGg6IHN0cmluZyk6IFByb21pc2U8SVNjcmlwdE1lcmdlUmVzdWx0PiB7XG4gIGNvbnN0IG9yZGVyZWQgPSBzb3J0QnlQcmlvcml0eShhcGksIGNvbmZsaWN0LmVudHJpZXMpO1xuICBjb25zdCB2YW5pbGxhID0gYXdhaXQgcmVhZFNjcmlwdEZpbGUocGF0aC5qb2luKHZhbmlsbGFQYXRoLCBjb25mbGljdC5yZWxQYXRoKSk7XG4gIGNvbnN0IHNjcmlwdHM6IElTY3JpcHREYXRhW10gPSBbXTtcbiAgZm9yIChjb25zdCBlbnRyeSBvZiBvcmRlcmVkKSB7XG4gICAgY29uc3Qgc2NyaXB0ID0gYXdhaXQgcmVhZFNjcmlwdEZpbGUoZW50cnkuZmlsZVBhdGgpO1xuICAgIGlmIChzY3JpcHQgPT09IHVuZGVmaW5lZCkge1xuICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLk5vdEZvdW5kKGVudHJ5LmZpbGVQYXRoKSk7XG4gICAgfVxuICAgIHNjcmlwdHMucHVzaChzY3JpcHQpO1xuICB9XG5cbiAgY29uc3QgdG9MaW5lcyA9IChzY3JpcHQ6IElTY3JpcHREYXRhKSA9PiAoc2NyaXB0Py5jb250ZW50ID8/ICcnKS5zcGxpdCgvXFxyP1xcbi8pO1xuICBjb25zdCBiYXNlID0gdG9MaW5lcyh2YW5pbGxhKTtcbiAgLy8gTG93ZXN0IHByaW9yaXR5IGZpcnN0LCBldmVyeSBmb2xsb3dpbmcgbW9kIGdldHMgbWVyZ2VkIG9uIHRvcCBvZiB0aGUgcmVzdWx0LlxuICBsZXQgbWVyZ2VkID0gdG9MaW5lcyhzY3JpcHRzW3NjcmlwdHMubGVuZ3RoIC0gMV0pO1xuICBsZXQgbWVyZ2VkTGFiZWwgPSBvcmRlcmVkW29yZGVyZWQubGVuZ3RoIC0gMV0ubW9kRm9sZGVyO1xuICBmb3IgKGxldCBpZHggPSBvcmRlcmVkLmxlbmd0aCAtIDI7IGlkeCA+PSAwOyAtLWlkeCkge1xuICAgIG1lcmdlZCA9IG1lcmdlTGluZXMoYmFzZSwgbWVyZ2VkLCB0b0xpbmVzKHNjcmlwdHNbaWR4XSksIG1lcmdlZExhYmVsLCBvcmRlcmVkW2lkeF0ubW9kRm9sZGVyKTtcbiAgICBtZXJnZWRMYWJlbCA9IGAke29yZGVyZWRbaWR4XS5tb2RGb2xkZXJ9LCAke21lcmdlZExhYmVsfWA7XG4gIH1cblxuICBjb25zdCB0ZW1wbGF0ZSA9IHZhbmlsbGEgPz8gc2NyaXB0c1swXTtcbiAgY29uc3QgbGluZUJyZWFrID0gdGVtcGxhdGUuY29udGVudC5pbmNsdWRlcygnXFxyXFxuJykgPyAnXFxyXFxuJyA6ICdcXG4nO1xuICBjb25zdCBkZXN0aW5hdGlvbiA9IHBhdGguam9pbihtZXJnZWRNb2RQYXRoLCAnY29udGVudCcsICdzY3JpcHRzJywgY29uZmxpY3QucmVsUGF0aCk7XG4gIGF3YWl0IGZzLmVuc3VyZURpcldyaXRhYmxlQXN5bmMocGF0aC5kaXJuYW1lKGRlc3RpbmF0aW9uKSk7XG4gIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKGRlc3RpbmF0aW9uLFxuICAgIGVuY29kZVNjcmlwdCh7IC4uLnRlbXBsYXRlLCBjb250ZW50OiBtZXJnZWQuam9pbihsaW5lQnJlYWspIH0pKTtcblxuICByZXR1cm4ge1xuICAgIHJlbFBhdGg6IGNvbmZsaWN0LnJlbFBhdGgsXG4gICAgbW9kczogb3JkZXJlZC5tYXAoZW50cnkgPT4gZW50cnkubW9kRm9sZGVyKSxcbiAgICBodW5rczogZmluZENvbmZsaWN0TWFya2VycyhtZXJnZWQpLFxuICB9O1xufVxuXG4vLyBNZXJnZXMgYWxsIHNjcmlwdHMgc2hpcHBlZCBieSBtb3JlIHRoYW4gb25lIG1vZCBpbnRvIHRoZSBtZXJnZWQgbW9kLCByZXBsYWNpbmdcbi8vICBhbnkgZXhpc3RpbmcgbWVyZ2VzIG9mIHRoZSBzYW1lIGZpbGVzIGlmIHJlcXVlc3RlZC5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBtZXJnZVNjcmlwdHMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBpbmNsdWRlTWVyZ2VkOiBib29sZWFuID0gZmFsc2UpOiBQcm9taXNlPElTY3JpcHRNZXJnZVJlc3VsdFtdPiB7XG4gIGNvbnN0IHZhbmlsbGFQYXRoID0gZ2V0VmFuaWxsYVNjcmlwdHNQYXRoKGFwaSk7XG4gIGlmICh2YW5pbGxhUGF0aCA9PT0gdW5kZWZpbmVkKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnR2FtZSBpcyBub3QgZGlzY292ZXJlZCcpKTtcbiAgfVxuICBjb25zdCBkZXBsb3ltZW50ID0gYXdhaXQgZ2V0RGVwbG95bWVudChhcGkpO1xuICBjb25zdCBjb25mbGljdHMgPSAoYXdhaXQgZmluZFNjcmlwdENvbmZsaWN0cyhhcGksIGRlcGxveW1lbnQpKVxuICAgIC5maWx0ZXIoY29uZmxpY3QgPT4gIWNvbmZsaWN0LmlkZW50aWNhbCAmJiAoaW5jbHVkZU1lcmdlZCB8fCAhY29uZmxpY3QubWVyZ2VkKSk7XG4gIGNvbnN0IG1lcmdlZE1vZFBhdGggPSBhd2FpdCBnZXRNZXJnZWRNb2RQYXRoKGFwaSk7XG4gIGNvbnN0IG1lcmdlZE1vZE5hbWUgPSBwYXRoLmJhc2VuYW1lKG1lcmdlZE1vZFBhdGgpO1xuICBjb25zdCByZXN1bHRzOiBJU2NyaXB0TWVyZ2VSZXN1bHRbXSA9IFtdO1xuICBjb25zdCBpbnZlbnRvcnk6IElNZXJnZUludmVudG9yeUVudHJ5W10gPSBbXTtcbiAgZm9yIChjb25zdCBjb25mbGljdCBvZiBjb25mbGljdHMpIHtcbiAgICB0cnkge1xuICAgICAgY29uc3QgcmVzdWx0ID0gYXdhaXQgbWVyZ2VDb25mbGljdChhcGksIGNvbmZsaWN0LCB2YW5pbGxhUGF0aCwgbWVyZ2VkTW9kUGF0aCk7XG4gICAgICByZXN1bHRzLnB1c2gocmVzdWx0KTtcbiAgICAgIGNvbnN0IGluY2x1ZGVkTW9kcyA9IFtdO1xuICAgICAgZm9yIChjb25zdCBbaWR4LCBtb2RGb2xkZXJdIG9mIHJlc3VsdC5tb2RzLmVudHJpZXMoKSkge1xuICAgICAgICBjb25zdCBlbnRyeSA9IGNvbmZsaWN0LmVudHJpZXMuZmluZChpdGVyID0+IGl0ZXIubW9kRm9sZGVyID09PSBtb2RGb2xkZXIpO1xuICAgICAgICBpbmNsdWRlZE1vZHMucHVzaCh7IG5hbWU6IG1vZEZvbGRlciwgaGFzaDogYXdhaXQgZ2V0SGFzaChlbnRyeS5maWxlUGF0aCksIHByaW9yaXR5OiBpZHggKyAxIH0pO1xuICAgICAgfVxuICAgICAgaW52ZW50b3J5LnB1c2goe1xuICAgICAgICB0eXBlOiAnU2NyaXB0JyxcbiAgICAgICAgcmVsUGF0aDogcGF0aC5qb2luKCdjb250ZW50JywgJ3NjcmlwdHMnLCBjb25mbGljdC5yZWxQYXRoKSxcbiAgICAgICAgbWVyZ2VkTW9kTmFtZSxcbiAgICAgICAgaW5jbHVkZWRNb2RzLFxuICAgICAgfSk7XG4gICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICBsb2coJ2Vycm9yJywgJ2ZhaWxlZCB0byBtZXJnZSBzY3JpcHQnLCB7IHJlbFBhdGg6IGNvbmZsaWN0LnJlbFBhdGgsIGVycm9yOiBlcnIubWVzc2FnZSB9KTtcbiAgICB9XG4gIH1cbiAgaWYgKGludmVudG9yeS5sZW5ndGggPiAwKSB7XG4gICAgYXdhaXQgdXBkYXRlTWVyZ2VJbnZlbnRvcnkoYXBpLCBpbnZlbnRvcnkpO1xuICB9XG4gIHJldHVybiByZXN1bHRzO1xufVxuXG4vLyBDb21wYXJlcyB0aGUgbWVyZ2VzIHJlY29yZGVkIGluIHRoZSBtZXJnZSBpbnZlbnRvcnkgd2l0aCB0aGUgZmlsZXMgdGhhdCBhcmVcbi8vICBjdXJyZW50bHkgZGVwbG95ZWQgdG8gZmluZCBtZXJnZXMgd2hpY2ggbm8gbG9uZ2VyIHJlZmxlY3QgdGhlIHVzZXIncyBzZXR1cC5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBmaW5kU3RhbGVNZXJnZXMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKTogUHJvbWlzZTxJU3RhbGVNZXJnZVtdPiB7XG4gIGNvbnN0IGRpc2NvdmVyeSA9IHNlbGVjdG9ycy5kaXNjb3ZlcnlCeUdhbWUoYXBpLmdldFN0YXRlKCksIEdBTUVfSUQpO1xuICBpZiAoZGlzY292ZXJ5Py5wYXRoID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm4gW107XG4gIH1cbiAgY29uc3QgbW9kc1BhdGggPSBwYXRoLmpvaW4oZGlzY292ZXJ5LnBhdGgsICdNb2RzJyk7XG4gIGNvbnN0IGNvbXBhcmUgPSBwcmlvcml0eUNvbXBhcmF0b3IoYXBpKTtcbiAgY29uc3QgbWVyZ2VzID0gYXdhaXQgZ2V0TWVyZ2VJbnZlbnRvcnlFbnRyaWVzKGFwaSk7XG4gIGNvbnN0IHN0YWxlOiBJU3RhbGVNZXJnZVtdID0gW107XG4gIGZvciAoY29uc3QgbWVyZ2Ugb2YgbWVyZ2VzKSB7XG4gICAgdHJ5IHtcbiAgICAgIGF3YWl0IGZzLnN0YXRBc3luYyhwYXRoLmpvaW4obW9kc1BhdGgsIG1lcmdlLm1lcmdlZE1vZE5hbWUsIG1lcmdlLnJlbFBhdGgpKTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIC8vIHRoZSBtZXJnZSBpcyBnb25lLCBub3RoaW5nIHRvIGNvbXBhcmUuXG4gICAgICBjb250aW51ZTtcbiAgICB9XG4gICAgY29uc3QgcmVtb3ZlZDogc3RyaW5nW10gPSBbXTtcbiAgICBjb25zdCB1cGRhdGVkOiBzdHJpbmdbXSA9IFtdO1xuICAgIGZvciAoY29uc3QgbW9kIG9mIG1lcmdlLmluY2x1ZGVkTW9kcykge1xuICAgICAgY29uc3QgZmlsZVBhdGggPSBwYXRoLmpvaW4obW9kc1BhdGgsIG1vZC5uYW1lLCBtZXJnZS5yZWxQYXRoKTtcbiAgICAgIHRyeSB7XG4gICAgICAgIGF3YWl0IGZzLnN0YXRBc3luYyhmaWxlUGF0aCk7XG4gICAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgICAgcmVtb3ZlZC5wdXNoKG1vZC5uYW1lKTtcbiAgICAgICAgY29udGludWU7XG4gICAgICB9XG4gICAgICAvLyBPbmx5IGNvbXBhcmUgaGFzaGVzIHdlIGtub3cgaG93IHRvIGNhbGN1bGF0ZS5cbiAgICAgIGlmIChNRDVfSEFTSC50ZXN0KG1vZC5oYXNoID8/ICcnKVxuICAgICAgICAgICYmICgoYXdhaXQgZ2V0SGFzaChmaWxlUGF0aCkgYXMgc3RyaW5nKS50b0xvd2VyQ2FzZSgpICE9PSBtb2QuaGFzaC50b0xvd2VyQ2FzZSgpKSkge1xuICAgICAgICB1cGRhdGVkLnB1c2gobW9kLm5hbWUpO1xuICAgICAgfVxuICAgIH1cbiAgICBjb25zdCByZWNvcmRlZCA9IG1lcmdlLmluY2x1ZGVkTW9kcy5maWx0ZXIobW9kID0+IG1vZC5wcmlvcml0eSAhPT0gdW5kZWZpbmVkKTtcbiAgICBjb25zdCByZW9yZGVyZWQgPSAocmVjb3JkZWQubGVuZ3RoID09PSBtZXJnZS5pbmNsdWRlZE1vZHMubGVuZ3RoKSAmJiAocmVjb3JkZWQubGVuZ3RoID4gMSlcbiAgICAgICYmIHJlY29yZGVkLnNvcnQoKGxocywgcmhzKSA9PiBsaHMucHJpb3JpdHkgLSByaHMucHJpb3JpdHkpLm1hcChtb2QgPT4gbW9kLm5hbWUpLmpvaW4oJy8nKVxuICAgICAgICAhPT0gcmVjb3JkZWQubWFwKG1vZCA9PiBtb2QubmFtZSkuc29ydChjb21wYXJlKS5qb2luKCcvJyk7XG4gICAgaWYgKChyZW1vdmVkLmxlbmd0aCA+IDApIHx8ICh1cGRhdGVkLmxlbmd0aCA+IDApIHx8IHJlb3JkZXJlZCkge1xuICAgICAgc3RhbGUucHVzaCh7IG1lcmdlLCByZW1vdmVkLCB1cGRhdGVkLCByZW9yZGVyZWQgfSk7XG4gICAgfVxuICB9XG4gIHJldHVybiBzdGFsZTtcbn1cblxuLy8gUmVtb3ZlcyB0aGUgZ2l2ZW4gbWVyZ2VzIGZyb20gdGhlaXIgbWVyZ2VkIG1vZCBhbmQgdGhlIG1lcmdlIGludmVudG9yeS4gTWVyZ2VkXG4vLyAgbW9kcyB3aGljaCBubyBsb25nZXIgY29udGFpbiBhbnkgbWVyZ2VzIGFyZSByZW1vdmVkIGVudGlyZWx5LlxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGRyb3BNZXJnZXMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBtZXJnZXM6IElNZXJnZUludmVudG9yeUVudHJ5W10pIHtcbiAgY29uc3QgZGlzY292ZXJ5ID0gc2VsZWN0b3JzLmRpc2NvdmVyeUJ5R2FtZShhcGkuZ2V0U3RhdGUoKSwgR0FNRV9JRCk7XG4gIGNvbnN0IG1vZHNQYXRoID0gcGF0aC5qb2luKGRpc2NvdmVyeS5wYXRoLCAnTW9kcycpO1xuICBmb3IgKGNvbnN0IG1lcmdlIG9mIG1lcmdlcykge1xuICAgIHRyeSB7XG4gICAgICBhd2FpdCBmcy5yZW1vdmVBc3luYyhwYXRoLmpvaW4obW9kc1BhdGgsIG1lcmdlLm1lcmdlZE1vZE5hbWUsIG1lcmdlLnJlbFBhdGgpKTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIGlmIChlcnIuY29kZSAhPT0gJ0VOT0VOVCcpIHtcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KGVycik7XG4gICAgICB9XG4gICAgfVxuICB9XG4gIGF3YWl0IHVwZGF0ZU1lcmdlSW52ZW50b3J5KGFwaSwgW10sIG1lcmdlcy5tYXAobWVyZ2UgPT4gbWVyZ2UucmVsUGF0aCkpO1xuICBjb25zdCByZW1haW5pbmcgPSBuZXcgU2V0KChhd2FpdCBnZXRNZXJnZUludmVudG9yeUVudHJpZXMoYXBpKSlcbiAgICAubWFwKG1lcmdlID0+IG1lcmdlLm1lcmdlZE1vZE5hbWUudG9Mb3dlckNhc2UoKSkpO1xuICBjb25zdCBtZXJnZWRNb2ROYW1lcyA9IEFycmF5LmZyb20obmV3IFNldChtZXJnZXMubWFwKG1lcmdlID0+IG1lcmdlLm1lcmdlZE1vZE5hbWUpKSlcbiAgICAuZmlsdGVyKG5hbWUgPT4gIXJlbWFpbmluZy5oYXMobmFtZS50b0xvd2VyQ2FzZSgpKSk7XG4gIGZvciAoY29uc3QgbmFtZSBvZiBtZXJnZWRNb2ROYW1lcykge1xuICAgIGF3YWl0IGZzLnJlbW92ZUFzeW5jKHBhdGguam9pbihtb2RzUGF0aCwgbmFtZSkpXG4gICAgICAuY2F0Y2goZXJyID0+IChlcnIuY29kZSA9PT0gJ0VOT0VOVCcpID8gUHJvbWlzZS5yZXNvbHZlKCkgOiBQcm9taXNlLnJlamVjdChlcnIpKTtcbiAgfVxufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZml4U3RhbGVNZXJnZXMoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCBzdGFsZTogSVN0YWxlTWVyZ2VbXSkge1xuICBjb25zdCB0ID0gYXBpLnRyYW5zbGF0ZTtcbiAgY29uc3QgaGFzQnVuZGxlcyA9IHN0YWxlLmZpbmQoZW50cnkgPT4gKGVudHJ5Lm1lcmdlLnR5cGUgPz8gJ1NjcmlwdCcpICE9PSAnU2NyaXB0JykgIT09IHVuZGVmaW5lZDtcbiAgY29uc3QgcmVzID0gYXdhaXQgYXBpLnNob3dEaWFsb2coJ3F1ZXN0aW9uJywgJ091dGRhdGVkIE1lcmdlcycsIHtcbiAgICB0ZXh0OiB0KCdZb3UgY2FuIGVpdGhlciBtZXJnZSB0aGUgYWZmZWN0ZWQgc2NyaXB0cyBhZ2Fpbiwgb3IgZHJvcCB0aGUgb3V0ZGF0ZWQgbWVyZ2VzICdcbiAgICAgICsgJ2FsdG9nZXRoZXIuIEVpdGhlciB3YXkgYW55IG1hbnVhbCBjaGFuZ2VzIHlvdSBtYWRlIHRvIHRoZXNlIG1lcmdlcyB3aWxsIGJlIGxvc3QuJyxcbiAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFIH0pXG4gICAgICArIChoYXNCdW5kbGVzXG4gICAgICAgID8gJyAnICsgdCgnQnVuZGxlIG1lcmdlcyBjYW4gb25seSBiZSByZWNyZWF0ZWQgdXNpbmcgdGhlIFdpdGNoZXIgU2NyaXB0IE1lcmdlci4nLFxuICAgICAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFIH0pXG4gICAgICAgIDogJycpLFxuICB9LCBbXG4gICAgeyBsYWJlbDogJ0NhbmNlbCcgfSxcbiAgICB7IGxhYmVsOiAnRHJvcCBtZXJnZXMnIH0sXG4gICAgeyBsYWJlbDogJ01lcmdlIGFnYWluJyB9LFxuICBdKTtcbiAgaWYgKHJlcy5hY3Rpb24gPT09ICdDYW5jZWwnKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlVzZXJDYW5jZWxlZCgpKTtcbiAgfVxuICB0cnkge1xuICAgIGF3YWl0IGRyb3BNZXJnZXMoYXBpLCBzdGFsZS5tYXAoZW50cnkgPT4gZW50cnkubWVyZ2UpKTtcbiAgICBhd2FpdCBJbmlTdHJ1Y3R1cmUuZ2V0SW5zdGFuY2UoKS5zZXRJTklTdHJ1Y3QoZ2V0UGVyc2lzdGVudExvYWRPcmRlcihhcGkpKTtcbiAgICBmb3JjZVJlZnJlc2goYXBpKTtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgYXBpLnNob3dFcnJvck5vdGlmaWNhdGlvbignRmFpbGVkIHRvIHJlbW92ZSBvdXRkYXRlZCBtZXJnZXMnLCBlcnIpO1xuICAgIHJldHVybjtcbiAgfVxuICBpZiAocmVzLmFjdGlvbiA9PT0gJ01lcmdlIGFnYWluJykge1xuICAgIGF3YWl0IHJ1blNjcmlwdE1lcmdlKGFwaSk7XG4gIH1cbn1cblxuZnVuY3Rpb24gcmVuZGVyTWVyZ2VSZXBvcnQoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLCByZXN1bHRzOiBJU2NyaXB0TWVyZ2VSZXN1bHRbXSk6IHN0cmluZyB7XG4gIGNvbnN0IHQgPSBhcGkudHJhbnNsYXRlO1xuICBjb25zdCB1bnJlc29sdmVkID0gcmVzdWx0cy5maWx0ZXIocmVzdWx0ID0+IHJlc3VsdC5odW5rcy5sZW5ndGggPiAwKTtcbiAgcmV0dXJuIHQoJ1RoZSBmb2xsb3dpbmcgc2NyaXB0cyBjb250YWluIGNoYW5nZXMgd2hpY2ggY291bGQgbm90IGJlIG1lcmdlZCBhdXRvbWF0aWNhbGx5LiAnXG4gICAgKyAnSW4gZWFjaCBjYXNlIHRoZSBjaGFuZ2VzIG9mIHRoZSBtb2Qgd2l0aCB0aGUgaGlnaGVyIHByaW9yaXR5IHdlcmUga2VwdCBhbmQgdGhlIG90aGVyICdcbiAgICArICdjaGFuZ2VzIHdlcmUgY29tbWVudGVkIG91dC4gUGxlYXNlIHJldmlldyB0aGUgc2VjdGlvbnMgbWFya2VkIHdpdGggXCJWT1JURVggTUVSR0UgQ09ORkxJQ1RcIiAnXG4gICAgKyAnYW5kIGFkanVzdCB0aGVtIG1hbnVhbGx5IGlmIG5lY2Vzc2FyeS4nLCB7IG5zOiBJMThOX05BTUVTUEFDRSB9KVxuICAgICsgJ1ticl1bL2JyXVticl1bL2JyXSdcbiAgICArIHVucmVzb2x2ZWQubWFwKHJlc3VsdCA9PiBgW2JdJHtyZXN1bHQucmVsUGF0aH1bL2JdW2xpc3RdYFxuICAgICAgKyByZXN1bHQuaHVua3MubWFwKGh1bmsgPT4gJ1sqXScgKyB0KCdMaW5lIHt7bGluZX19OiBrZXB0IHt7a2VwdH19LCBkaXNjYXJkZWQge3tkaXNjYXJkZWR9fScsIHtcbiAgICAgICAgbnM6IEkxOE5fTkFNRVNQQUNFLFxuICAgICAgICByZXBsYWNlOiB7IGxpbmU6IGh1bmsubGluZSwga2VwdDogaHVuay5rZXB0LCBkaXNjYXJkZWQ6IGh1bmsuZGlzY2FyZGVkIH0sXG4gICAgICB9KSkuam9pbignJylcbiAgICAgICsgJ1svbGlzdF0nKS5qb2luKCcnKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHJ1blNjcmlwdE1lcmdlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xuICBjb25zdCB0ID0gYXBpLnRyYW5zbGF0ZTtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuZ2V0U3RhdGUoKTtcbiAgaWYgKHNlbGVjdG9ycy5hY3RpdmVHYW1lSWQoc3RhdGUpICE9PSBHQU1FX0lEKSB7XG4gICAgcmV0dXJuO1xuICB9XG5cbiAgbGV0IGluY2x1ZGVNZXJnZWQgPSBmYWxzZTtcbiAgdHJ5IHtcbiAgICBjb25zdCBjb25mbGljdHMgPSBhd2FpdCBmaW5kU2NyaXB0Q29uZmxpY3RzKGFwaSwgYXdhaXQgZ2V0RGVwbG95bWVudChhcGkpKTtcbiAgICBpZiAoY29uZmxpY3RzLmZpbmQoY29uZmxpY3QgPT4gY29uZmxpY3QubWVyZ2VkICYmICFjb25mbGljdC5pZGVudGljYWwpICE9PSB1bmRlZmluZWQpIHtcbiAgICAgIGNvbnN0IHJlcyA9IGF3YWl0IGFwaS5zaG93RGlhbG9nKCdxdWVzdGlvbicsICdNZXJnZSBTY3JpcHRzJywge1xuICAgICAgICB0ZXh0OiB0KCdTb21lIG9mIHlvdXIgY29uZmxpY3Rpbmcgc2NyaXB0cyBoYXZlIGJlZW4gbWVyZ2VkIGJlZm9yZS4gV291bGQgeW91IGxpa2UgdG8gbWVyZ2UgJ1xuICAgICAgICAgICsgJ29ubHkgdGhlIG5ldyBjb25mbGljdHMsIG9yIHJlcGxhY2UgdGhlIGV4aXN0aW5nIG1lcmdlcyBhcyB3ZWxsPyBQbGVhc2Ugbm90ZSB0aGF0ICdcbiAgICAgICAgICArICdyZXBsYWNpbmcgZXhpc3RpbmcgbWVyZ2VzIHdpbGwgZGlzY2FyZCBhbnkgbWFudWFsIGNoYW5nZXMgeW91IG1hZGUgdG8gdGhlbS4nLFxuICAgICAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFIH0pLFxuICAgICAgfSwgW1xuICAgICAgICB7IGxhYmVsOiAnQ2FuY2VsJyB9LFxuICAgICAgICB7IGxhYmVsOiAnUmVwbGFjZSBleGlzdGluZyBtZXJnZXMnIH0sXG4gICAgICAgIHsgbGFiZWw6ICdNZXJnZSBuZXcgY29uZmxpY3RzJyB9LFxuICAgICAgXSk7XG4gICAgICBpZiAocmVzLmFjdGlvbiA9PT0gJ0NhbmNlbCcpIHtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuICAgICAgaW5jbHVkZU1lcmdlZCA9IHJlcy5hY3Rpb24gPT09ICdSZXBsYWNlIGV4aXN0aW5nIG1lcmdlcyc7XG4gICAgfVxuICB9IGNhdGNoIChlcnIpIHtcbiAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gYW5hbHl6ZSBzY3JpcHQgY29uZmxpY3RzJywgZXJyKTtcbiAgICByZXR1cm47XG4gIH1cblxuICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgaWQ6IEFDVElWSVRZX0lEX01FUkdJTkcsXG4gICAgdHlwZTogJ2FjdGl2aXR5JyxcbiAgICBtZXNzYWdlOiB0KCdNZXJnaW5nIHNjcmlwdHMnLCB7IG5zOiBJMThOX05BTUVTUEFDRSB9KSxcbiAgICBhbGxvd1N1cHByZXNzOiBmYWxzZSxcbiAgICBub0Rpc21pc3M6IHRydWUsXG4gIH0pO1xuXG4gIGxldCByZXN1bHRzOiBJU2NyaXB0TWVyZ2VSZXN1bHRbXTtcbiAgdHJ5IHtcbiAgICByZXN1bHRzID0gYXdhaXQgbWVyZ2VTY3JpcHRzKGFwaSwgaW5jbHVkZU1lcmdlZCk7XG4gICAgYXdhaXQgSW5pU3RydWN0dXJlLmdldEluc3RhbmNlKCkuc2V0SU5JU3RydWN0KGdldFBlcnNpc3RlbnRMb2FkT3JkZXIoYXBpKSk7XG4gICAgZm9yY2VSZWZyZXNoKGFwaSk7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBtZXJnZSBzY3JpcHRzJywgZXJyLFxuICAgICAgeyBhbGxvd1JlcG9ydDogIShlcnIgaW5zdGFuY2VvZiB1dGlsLlByb2Nlc3NDYW5jZWxlZCkgfSk7XG4gICAgcmV0dXJuO1xuICB9IGZpbmFsbHkge1xuICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKEFDVElWSVRZX0lEX01FUkdJTkcpO1xuICB9XG5cbiAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oJ3dpdGNoZXIzLW1lcmdlJyk7XG4gIGNvbnN0IHVucmVzb2x2ZWQgPSByZXN1bHRzLmZpbHRlcihyZXN1bHQgPT4gcmVzdWx0Lmh1bmtzLmxlbmd0aCA+IDApO1xuICBpZiAodW5yZXNvbHZlZC5sZW5ndGggPT09IDApIHtcbiAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICBpZDogJ3dpdGNoZXIzLW1lcmdlLXJlc3VsdCcsXG4gICAgICB0eXBlOiAnc3VjY2VzcycsXG4gICAgICBtZXNzYWdlOiB0KCd7e2NvdW50fX0gc2NyaXB0KHMpIG1lcmdlZCcsIHsgbnM6IEkxOE5fTkFNRVNQQUNFLCBjb3VudDogcmVzdWx0cy5sZW5ndGggfSksXG4gICAgICBkaXNwbGF5TVM6IDUwMDAsXG4gICAgfSk7XG4gICAgcmV0dXJuO1xuICB9XG5cbiAgY29uc3QgbWVyZ2VkTW9kUGF0aCA9IGF3YWl0IGdldE1lcmdlZE1vZFBhdGgoYXBpKTtcbiAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgIGlkOiAnd2l0Y2hlcjMtbWVyZ2UtcmVzdWx0JyxcbiAgICB0eXBlOiAnd2FybmluZycsXG4gICAgbWVzc2FnZTogdCgne3tjb3VudH19IG1lcmdlZCBzY3JpcHQocykgcmVxdWlyZSBtYW51YWwgcmV2aWV3JyxcbiAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFLCBjb3VudDogdW5yZXNvbHZlZC5sZW5ndGggfSksXG4gICAgYWN0aW9uczogW1xuICAgICAge1xuICAgICAgICB0aXRsZTogJ1JldmlldycsXG4gICAgICAgIGFjdGlvbjogKCkgPT4ge1xuICAgICAgICAgIGFwaS5zaG93RGlhbG9nKCdpbmZvJywgJ1NjcmlwdCBNZXJnZSBDb25mbGljdHMnLCB7XG4gICAgICAgICAgICBiYmNvZGU6IHJlbmRlck1lcmdlUmVwb3J0KGFwaSwgcmVzdWx0cyksXG4gICAgICAgICAgfSwgW1xuICAgICAgICAgICAgeyBsYWJlbDogJ09wZW4gTWVyZ2VkIE1vZCcsIGFjdGlvbjogKCkgPT4gdXRpbC5vcG4obWVyZ2VkTW9kUGF0aCkuY2F0Y2goKCkgPT4gbnVsbCkgfSxcbiAgICAgICAgICAgIHsgbGFiZWw6ICdDbG9zZScgfSxcbiAgICAgICAgICBdKTtcbiAgICAgICAgfSxcbiAgICAgIH0sXG4gICAgXSxcbiAgfSk7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,493 @@
+/* eslint-disable */
+import path from 'path';
+import { fs, log, selectors, types, util } from 'vortex-api';
+
+import { GAME_ID, getHash, I18N_NAMESPACE } from './common';
+import IniStructure from './iniParser';
+import { getMergeInventoryEntries, updateMergeInventory } from './mergeInventoryParsing';
+import { getPersistentLoadOrder } from './migrations';
+import { encodeScript, findScriptConflicts, getMergedModPath,
+  getVanillaScriptsPath, readScriptFile } from './scriptAnalysis';
+import { IMergeInventoryEntry, IScriptConflict, IScriptConflictEntry,
+  IScriptData, IScriptMergeHunk, IScriptMergeResult, IStaleMerge } from './types';
+import { forceRefresh, getDeployment } from './util';
+
+const ACTIVITY_ID_MERGING = 'witcher3-merging-scripts';
+const MD5_HASH = /^[0-9a-f]{32}$/i;
+
+// Conflict markers are written as comments so that the game is still able to
+//  compile the merged script; the higher priority mod's changes are kept and the
+//  other side is commented out for the user to review.
+const MARKER_START = '// <<<<<<< VORTEX MERGE CONFLICT - kept: ';
+const MARKER_SEPARATOR = '// ======= discarded: ';
+const MARKER_END = '// >>>>>>> END OF CONFLICT';
+
+// Diffing two completely different files is quadratic in memory - past this
+//  many edits we stop looking for common lines and let the user sort it out.
+const MAX_EDIT_DISTANCE = 2000;
+
+interface IChunk {
+  stable: boolean;
+  base: string[];
+  lhs: string[];
+  rhs: string[];
+}
+
+// Myers' diff algorithm. Returns, for every line of lhs, the index of the line
+//  it is matched with in rhs, or -1 if the line is not part of rhs.
+export function matchLines(lhs: string[], rhs: string[]): number[] {
+  const result: number[] = new Array(lhs.length).fill(-1);
+  let start = 0;
+  while ((start < lhs.length) && (start < rhs.length) && (lhs[start] === rhs[start])) {
+    result[start] = start;
+    ++start;
+  }
+  let lhsEnd = lhs.length;
+  let rhsEnd = rhs.length;
+  while ((lhsEnd > start) && (rhsEnd > start) && (lhs[lhsEnd - 1] === rhs[rhsEnd - 1])) {
+    result[--lhsEnd] = --rhsEnd;
+  }
+
+  const n = lhsEnd - start;
+  const m = rhsEnd - start;
+  if ((n === 0) || (m === 0)) {
+    return result;
+  }
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace: Int32Array[] = [];
+  let editDistance = -1;
+  for (let d = 0; (d <= max) && (editDistance === -1); ++d) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = ((k === -d) || ((k !== d) && (v[offset + k - 1] < v[offset + k + 1])))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while ((x < n) && (y < m) && (lhs[start + x] === rhs[start + y])) {
+        ++x;
+        ++y;
+      }
+      v[offset + k] = x;
+      if ((x >= n) && (y >= m)) {
+        editDistance = d;
+        break;
+      }
+    }
+  }
+
+  if (editDistance === -1) {
+    log('debug', 'script diff exceeds edit distance limit', { lines: n + m });
+    return result;
+  }
+
+  let x = n;
+  let y = m;
+  for (let d = editDistance; d > 0; --d) {
+    const prev = trace[d];
+    const at = (k: number) => prev[k + d];
+    const k = x - y;
+    const prevK = ((k === -d) || ((k !== d) && (at(k - 1) < at(k + 1)))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while ((x > prevX) && (y > prevY)) {
+      --x;
+      --y;
+      result[start + x] = start + y;
+    }
+    x = prevX;
+    y = prevY;
+  }
+  while ((x > 0) && (y > 0)) {
+    --x;
+    --y;
+    result[start + x] = start + y;
+  }
+  return result;
+}
+
+// Splits both modified versions into chunks which are either untouched by both
+//  sides (stable) or were changed by at least one of them.
+export function diff3(base: string[], lhs: string[], rhs: string[]): IChunk[] {
+  const matchLhs = matchLines(base, lhs);
+  const matchRhs = matchLines(base, rhs);
+  const chunks: IChunk[] = [];
+  let o = 0;
+  let a = 0;
+  let b = 0;
+  const pushUnstable = (oEnd: number, aEnd: number, bEnd: number) => {
+    if ((oEnd > o) || (aEnd > a) || (bEnd > b)) {
+      chunks.push({
+        stable: false,
+        base: base.slice(o, oEnd),
+        lhs: lhs.slice(a, aEnd),
+        rhs: rhs.slice(b, bEnd),
+      });
+    }
+  };
+
+  while (o < base.length) {
+    if ((matchLhs[o] === a) && (matchRhs[o] === b)) {
+      const stable: string[] = [];
+      while ((o < base.length) && (matchLhs[o] === a) && (matchRhs[o] === b)) {
+        stable.push(base[o]);
+        ++o;
+        ++a;
+        ++b;
+      }
+      chunks.push({ stable: true, base: stable, lhs: stable, rhs: stable });
+      continue;
+    }
+    let next = o;
+    while ((next < base.length) && ((matchLhs[next] === -1) || (matchRhs[next] === -1))) {
+      ++next;
+    }
+    if (next === base.length) {
+      break;
+    }
+    pushUnstable(next, matchLhs[next], matchRhs[next]);
+    o = next;
+    a = matchLhs[next];
+    b = matchRhs[next];
+  }
+  pushUnstable(base.length, lhs.length, rhs.length);
+  return chunks;
+}
+
+const sameLines = (lhs: string[], rhs: string[]) =>
+  (lhs.length === rhs.length) && lhs.every((line, idx) => line === rhs[idx]);
+
+// Merges the changes of rhs into lhs. Conflicting changes are resolved in favour
+//  of rhs, with the lhs version of the conflicting lines commented out.
+export function mergeLines(base: string[], lhs: string[], rhs: string[],
+                           lhsLabel: string, rhsLabel: string): string[] {
+  return diff3(base, lhs, rhs).reduce((accum, chunk) => {
+    if (chunk.stable || sameLines(chunk.lhs, chunk.base)) {
+      return accum.concat(chunk.rhs);
+    } else if (sameLines(chunk.rhs, chunk.base) || sameLines(chunk.lhs, chunk.rhs)) {
+      return accum.concat(chunk.lhs);
+    }
+    return accum.concat(
+      MARKER_START + rhsLabel,
+      chunk.rhs,
+      MARKER_SEPARATOR + lhsLabel,
+      chunk.lhs.map(line => `// ${line}`),
+      MARKER_END);
+  }, [] as string[]);
+}
+
+export function findConflictMarkers(lines: string[]): IScriptMergeHunk[] {
+  return lines.reduce((accum, line, idx) => {
+    if (line.startsWith(MARKER_START)) {
+      accum.push({ line: idx + 1, kept: line.slice(MARKER_START.length), discarded: '' });
+    } else if (line.startsWith(MARKER_SEPARATOR) && (accum.length > 0)) {
+      accum[accum.length - 1].discarded = line.slice(MARKER_SEPARATOR.length);
+    }
+    return accum;
+  }, [] as IScriptMergeHunk[]);
+}
+
+// Compares mod folders by their priority; mods are loaded by their position in
+//  the load order (the first entry wins), anything the load order doesn't know
+//  about is loaded alphabetically afterwards.
+export function priorityComparator(api: types.IExtensionApi): (lhs: string, rhs: string) => number {
+  const loadOrder = getPersistentLoadOrder(api);
+  const position = (modFolder: string) => {
+    const folder = modFolder.toLowerCase();
+    const idx = loadOrder.findIndex(lo => [lo?.id, lo?.name]
+      .find(name => name?.toLowerCase() === folder) !== undefined);
+    return (idx === -1) ? Number.MAX_SAFE_INTEGER : idx;
+  };
+  return (lhs: string, rhs: string) => (position(lhs) - position(rhs))
+    || lhs.toLowerCase().localeCompare(rhs.toLowerCase());
+}
+
+function sortByPriority(api: types.IExtensionApi,
+                        entries: IScriptConflictEntry[]): IScriptConflictEntry[] {
+  const compare = priorityComparator(api);
+  return [...entries].sort((lhs, rhs) => compare(lhs.modFolder, rhs.modFolder));
+}
+
+async function mergeConflict(api: types.IExtensionApi,
+                             conflict: IScriptConflict,
+                             vanillaPath: string,
+                             mergedModPath: string): Promise<IScriptMergeResult> {
+  const ordered = sortByPriority(api, conflict.entries);
+  const vanilla = await readScriptFile(path.join(vanillaPath, conflict.relPath));
+  const scripts: IScriptData[] = [];
+  for (const entry of ordered) {
+    const script = await readScriptFile(entry.filePath);
+    if (script === undefined) {
+      return Promise.reject(new util.NotFound(entry.filePath));
+    }
+    scripts.push(script);
+  }
+
+  const toLines = (script: IScriptData) => (script?.content ?? '').split(/\r?\n/);
+  const base = toLines(vanilla);
+  // Lowest priority first, every following mod gets merged on top of the result.
+  let merged = toLines(scripts[scripts.length - 1]);
+  let mergedLabel = ordered[ordered.length - 1].modFolder;
+  for (let idx = ordered.length - 2; idx >= 0; --idx) {
+    merged = mergeLines(base, merged, toLines(scripts[idx]), mergedLabel, ordered[idx].modFolder);
+    mergedLabel = `${ordered[idx].modFolder}, ${mergedLabel}`;
+  }
+
+  const template = vanilla ?? scripts[0];
+  const lineBreak = template.content.includes('\r\n') ? '\r\n' : '\n';
+  const destination = path.join(mergedModPath, 'content', 'scripts', conflict.relPath);
+  await fs.ensureDirWritableAsync(path.dirname(destination));
+  await fs.writeFileAsync(destination,
+    encodeScript({ ...template, content: merged.join(lineBreak) }));
+
+  return {
+    relPath: conflict.relPath,
+    mods: ordered.map(entry => entry.modFolder),
+    hunks: findConflictMarkers(merged),
+  };
+}
+
+// Merges all scripts shipped by more than one mod into the merged mod, replacing
+//  any existing merges of the same files if requested.
+export async function mergeScripts(api: types.IExtensionApi,
+                                   includeMerged: boolean = false): Promise<IScriptMergeResult[]> {
+  const vanillaPath = getVanillaScriptsPath(api);
+  if (vanillaPath === undefined) {
+    return Promise.reject(new util.ProcessCanceled('Game is not discovered'));
+  }
+  const deployment = await getDeployment(api);
+  const conflicts = (await findScriptConflicts(api, deployment))
+    .filter(conflict => !conflict.identical && (includeMerged || !conflict.merged));
+  const mergedModPath = await getMergedModPath(api);
+  const mergedModName = path.basename(mergedModPath);
+  const results: IScriptMergeResult[] = [];
+  const inventory: IMergeInventoryEntry[] = [];
+  for (const conflict of conflicts) {
+    try {
+      const result = await mergeConflict(api, conflict, vanillaPath, mergedModPath);
+      results.push(result);
+      const includedMods = [];
+      for (const [idx, modFolder] of result.mods.entries()) {
+        const entry = conflict.entries.find(iter => iter.modFolder === modFolder);
+        includedMods.push({ name: modFolder, hash: await getHash(entry.filePath), priority: idx + 1 });
+      }
+      inventory.push({
+        type: 'Script',
+        relPath: path.join('content', 'scripts', conflict.relPath),
+        mergedModName,
+        includedMods,
+      });
+    } catch (err) {
+      log('error', 'failed to merge script', { relPath: conflict.relPath, error: err.message });
+    }
+  }
+  if (inventory.length > 0) {
+    await updateMergeInventory(api, inventory);
+  }
+  return results;
+}
+
+// Compares the merges recorded in the merge inventory with the files that are
+//  currently deployed to find merges which no longer reflect the user's setup.
+export async function findStaleMerges(api: types.IExtensionApi): Promise<IStaleMerge[]> {
+  const discovery = selectors.discoveryByGame(api.getState(), GAME_ID);
+  if (discovery?.path === undefined) {
+    return [];
+  }
+  const modsPath = path.join(discovery.path, 'Mods');
+  const compare = priorityComparator(api);
+  const merges = await getMergeInventoryEntries(api);
+  const stale: IStaleMerge[] = [];
+  for (const merge of merges) {
+    try {
+      await fs.statAsync(path.join(modsPath, merge.mergedModName, merge.relPath));
+    } catch (err) {
+      // the merge is gone, nothing to compare.
+      continue;
+    }
+    const removed: string[] = [];
+    const updated: string[] = [];
+    for (const mod of merge.includedMods) {
+      const filePath = path.join(modsPath, mod.name, merge.relPath);
+      try {
+        await fs.statAsync(filePath);
+      } catch (err) {
+        removed.push(mod.name);
+        continue;
+      }
+      // Only compare hashes we know how to calculate.
+      if (MD5_HASH.test(mod.hash ?? '')
+          && ((await getHash(filePath) as string).toLowerCase() !== mod.hash.toLowerCase())) {
+        updated.push(mod.name);
+      }
+    }
+    const recorded = merge.includedMods.filter(mod => mod.priority !== undefined);
+    const reordered = (recorded.length === merge.includedMods.length) && (recorded.length > 1)
+      && recorded.sort((lhs, rhs) => lhs.priority - rhs.priority).map(mod => mod.name).join('/')
+        !== recorded.map(mod => mod.name).sort(compare).join('/');
+    if ((removed.length > 0) || (updated.length > 0) || reordered) {
+      stale.push({ merge, removed, updated, reordered });
+    }
+  }
+  return stale;
+}
+
+// Removes the given merges from their merged mod and the merge inventory. Merged
+//  mods which no longer contain any merges are removed entirely.
+export async function dropMerges(api: types.IExtensionApi, merges: IMergeInventoryEntry[]) {
+  const discovery = selectors.discoveryByGame(api.getState(), GAME_ID);
+  const modsPath = path.join(discovery.path, 'Mods');
+  for (const merge of merges) {
+    try {
+      await fs.removeAsync(path.join(modsPath, merge.mergedModName, merge.relPath));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        return Promise.reject(err);
+      }
+    }
+  }
+  await updateMergeInventory(api, [], merges.map(merge => merge.relPath));
+  const remaining = new Set((await getMergeInventoryEntries(api))
+    .map(merge => merge.mergedModName.toLowerCase()));
+  const mergedModNames = Array.from(new Set(merges.map(merge => merge.mergedModName)))
+    .filter(name => !remaining.has(name.toLowerCase()));
+  for (const name of mergedModNames) {
+    await fs.removeAsync(path.join(modsPath, name))
+      .catch(err => (err.code === 'ENOENT') ? Promise.resolve() : Promise.reject(err));
+  }
+}
+
+export async function fixStaleMerges(api: types.IExtensionApi, stale: IStaleMerge[]) {
+  const t = api.translate;
+  const hasBundles = stale.find(entry => (entry.merge.type ?? 'Script') !== 'Script') !== undefined;
+  const res = await api.showDialog('question', 'Outdated Merges', {
+    text: t('You can either merge the affected scripts again, or drop the outdated merges '
+      + 'altogether. Either way any manual changes you made to these merges will be lost.',
+      { ns: I18N_NAMESPACE })
+      + (hasBundles
+        ? ' ' + t('Bundle merges can only be recreated using the Witcher Script Merger.',
+          { ns: I18N_NAMESPACE })
+        : ''),
+  }, [
+    { label: 'Cancel' },
+    { label: 'Drop merges' },
+    { label: 'Merge again' },
+  ]);
+  if (res.action === 'Cancel') {
+    return Promise.reject(new util.UserCanceled());
+  }
+  try {
+    await dropMerges(api, stale.map(entry => entry.merge));
+    await IniStructure.getInstance().setINIStruct(getPersistentLoadOrder(api));
+    forceRefresh(api);
+  } catch (err) {
+    api.showErrorNotification('Failed to remove outdated merges', err);
+    return;
+  }
+  if (res.action === 'Merge again') {
+    await runScriptMerge(api);
+  }
+}
+
+function renderMergeReport(api: types.IExtensionApi, results: IScriptMergeResult[]): string {
+  const t = api.translate;
+  const unresolved = results.filter(result => result.hunks.length > 0);
+  return t('The following scripts contain changes which could not be merged automatically. '
+    + 'In each case the changes of the mod with the higher priority were kept and the other '
+    + 'changes were commented out. Please review the sections marked with "VORTEX MERGE CONFLICT" '
+    + 'and adjust them manually if necessary.', { ns: I18N_NAMESPACE })
+    + '[br][/br][br][/br]'
+    + unresolved.map(result => `[b]${result.relPath}[/b][list]`
+      + result.hunks.map(hunk => '[*]' + t('Line {{line}}: kept {{kept}}, discarded {{discarded}}', {
+        ns: I18N_NAMESPACE,
+        replace: { line: hunk.line, kept: hunk.kept, discarded: hunk.discarded },
+      })).join('')
+      + '[/list]').join('');
+}
+
+export async function runScriptMerge(api: types.IExtensionApi) {
+  const t = api.translate;
+  const state = api.getState();
+  if (selectors.activeGameId(state) !== GAME_ID) {
+    return;
+  }
+
+  let includeMerged = false;
+  try {
+    const conflicts = await findScriptConflicts(api, await getDeployment(api));
+    if (conflicts.find(conflict => conflict.merged && !conflict.identical) !== undefined) {
+      const res = await api.showDialog('question', 'Merge Scripts', {
+        text: t('Some of your conflicting scripts have been merged before. Would you like to merge '
+          + 'only the new conflicts, or replace the existing merges as well? Please note that '
+          + 'replacing existing merges will discard any manual changes you made to them.',
+          { ns: I18N_NAMESPACE }),
+      }, [
+        { label: 'Cancel' },
+        { label: 'Replace existing merges' },
+        { label: 'Merge new conflicts' },
+      ]);
+      if (res.action === 'Cancel') {
+        return;
+      }
+      includeMerged = res.action === 'Replace existing merges';
+    }
+  } catch (err) {
+    api.showErrorNotification('Failed to analyze script conflicts', err);
+    return;
+  }
+
+  api.sendNotification({
+    id: ACTIVITY_ID_MERGING,
+    type: 'activity',
+    message: t('Merging scripts', { ns: I18N_NAMESPACE }),
+    allowSuppress: false,
+    noDismiss: true,
+  });
+
+  let results: IScriptMergeResult[];
+  try {
+    results = await mergeScripts(api, includeMerged);
+    await IniStructure.getInstance().setINIStruct(getPersistentLoadOrder(api));
+    forceRefresh(api);
+  } catch (err) {
+    api.showErrorNotification('Failed to merge scripts', err,
+      { allowReport: !(err instanceof util.ProcessCanceled) });
+    return;
+  } finally {
+    api.dismissNotification(ACTIVITY_ID_MERGING);
+  }
+
+  api.dismissNotification('witcher3-merge');
+  const unresolved = results.filter(result => result.hunks.length > 0);
+  if (unresolved.length === 0) {
+    api.sendNotification({
+      id: 'witcher3-merge-result',
+      type: 'success',
+      message: t('{{count}} script(s) merged', { ns: I18N_NAMESPACE, count: results.length }),
+      displayMS: 5000,
+    });
+    return;
+  }
+
+  const mergedModPath = await getMergedModPath(api);
+  api.sendNotification({
+    id: 'witcher3-merge-result',
+    type: 'warning',
+    message: t('{{count}} merged script(s) require manual review',
+      { ns: I18N_NAMESPACE, count: unresolved.length }),
+    actions: [
+      {
+        title: 'Review',
+        action: () => {
+          api.showDialog('info', 'Script Merge Conflicts', {
+            bbcode: renderMergeReport(api, results),
+          }, [
+            { label: 'Open Merged Mod', action: () => util.opn(mergedModPath).catch(() => null) },
+            { label: 'Close' },
+          ]);
+        },
+      },
+    ],
+  });
+}
@@ -12,7 +12,7 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.setMergerConfig = exports.getMergedModName = exports.downloadScriptMerger = exports.getScriptMergerDir = void 0;
+exports.setMergerConfig = exports.resolveMergedModName = exports.getMergeDataDir = exports.getMergedModName = exports.downloadScriptMerger = exports.getScriptMergerDir = void 0;
 const https_1 = __importDefault(require("https"));
 const path_1 = __importDefault(require("path"));
 const lodash_1 = __importDefault(require("lodash"));
@@ -25,7 +25,8 @@ const RELEASE_CUTOFF = '0.6.5';
 const GITHUB_URL = 'https://api.github.com/repos/IDCs/WitcherScriptMerger';
 const MERGER_RELPATH = 'WitcherScriptMerger';
 const MERGER_CONFIG_FILE = 'WitcherScriptMerger.exe.config';
-const { getHash, MD5ComparisonError, SCRIPT_MERGER_ID } = require('./common');
+const { getHash, MD5ComparisonError, GAME_ID, SCRIPT_MERGER_ID } = require('./common');
+const DEFAULT_MERGED_MOD_NAME = 'mod0000_MergedFiles';
 function query(baseUrl, request) {
     return new Promise((resolve, reject) => {
         const relUrl = url_1.default.parse(`${baseUrl}/${request}`);
@@ -422,11 +423,30 @@ function getMergedModName(scriptMergerPath) {
         }
         catch (err) {
             (0, vortex_api_1.log)('error', 'failed to ascertain merged mod name - using "mod0000_MergedFiles"', err);
-            return 'mod0000_MergedFiles';
+            return DEFAULT_MERGED_MOD_NAME;
         }
     });
 }
 exports.getMergedModName = getMergedModName;
+function getMergeDataDir(api) {
+    const state = api.getState();
+    const scriptMerger = vortex_api_1.util.getSafe(state, ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
+    return (!!(scriptMerger === null || scriptMerger === void 0 ? void 0 : scriptMerger.path))
+        ? path_1.default.dirname(scriptMerger.path)
+        : path_1.default.join(vortex_api_1.util.getVortexPath('userData'), GAME_ID, 'merges');
+}
+exports.getMergeDataDir = getMergeDataDir;
+function resolveMergedModName(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = api.getState();
+        const scriptMerger = vortex_api_1.util.getSafe(state, ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
+        const mergedModName = (!!(scriptMerger === null || scriptMerger === void 0 ? void 0 : scriptMerger.path))
+            ? yield getMergedModName(path_1.default.dirname(scriptMerger.path))
+            : undefined;
+        return mergedModName !== null && mergedModName !== void 0 ? mergedModName : DEFAULT_MERGED_MOD_NAME;
+    });
+}
+exports.resolveMergedModName = resolveMergedModName;
 function setMergerConfig(gameRootPath, scriptMergerPath) {
     return __awaiter(this, void 0, void 0, function* () {
         const findIndex = (nodes, id) => {
@@ -457,4 +477,4 @@ function setMergerConfig(gameRootPath, scriptMergerPath) {
     });
 }
 exports.setMergerConfig = setMergerConfig;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyaXB0bWVyZ2VyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsic2NyaXB0bWVyZ2VyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7OztBQUNBLGtEQUEwQjtBQUMxQixnREFBd0I7QUFDeEIsb0RBQXVCO0FBQ3ZCLDhDQUFzQjtBQUN0QixtQ0FBcUQ7QUFDckQsb0RBQTRCO0FBQzVCLDhEQUFxQztBQUNyQywyQ0FBMkQ7QUFJM0QsTUFBTSxjQUFjLEdBQUcsT0FBTyxDQUFDO0FBQy9CLE1BQU0sVUFBVSxHQUFHLHVEQUF1RCxDQUFDO0FBQzNFLE1BQU0sY0FBYyxHQUFHLHFCQUFxQixDQUFDO0FBRTdDLE1BQU0sa0JBQWtCLEdBQUcsZ0NBQWdDLENBQUM7QUFFNUQsTUFBTSxFQUFFLE9BQU8sRUFBRSxrQkFBa0IsRUFBRSxnQkFBZ0IsRUFBRSxHQUFHLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQztBQUc5RSxTQUFTLEtBQUssQ0FBQyxPQUFPLEVBQUUsT0FBTztJQUM3QixPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ3JDLE1BQU0sTUFBTSxHQUFHLGFBQUcsQ0FBQyxLQUFLLENBQUMsR0FBRyxPQUFPLElBQUksT0FBTyxFQUFFLENBQUMsQ0FBQztRQUNsRCxNQUFNLE9BQU8sbUNBQ1IsZ0JBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUMsTUFBTSxFQUFFLFVBQVUsRUFBRSxNQUFNLENBQUMsQ0FBQyxLQUMvQyxPQUFPLEVBQUU7Z0JBQ1AsWUFBWSxFQUFFLFFBQVE7YUFDdkIsR0FDRixDQUFDO1FBRUYsZUFBSyxDQUFDLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxHQUFHLEVBQUUsRUFBRTtZQUN6QixHQUFHLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQ3pCLE1BQU0sT0FBTyxHQUFHLEdBQUcsQ0FBQyxPQUFxQyxDQUFDO1lBQzFELE1BQU0sY0FBYyxHQUFHLFFBQVEsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUcsdUJBQXVCLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUN4RSxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsS0FBSyxHQUFHLENBQUMsSUFBSSxDQUFDLGNBQWMsS0FBSyxDQUFDLENBQUMsRUFBRTtnQkFDdEQsTUFBTSxTQUFTLEdBQUcsUUFBUSxDQUFDLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRyxtQkFBbUIsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQztnQkFDdEUsSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSw0QkFBNEIsRUFDdEMsRUFBRSxRQUFRLEVBQUUsQ0FBQyxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDbEQsT0FBTyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyw0QkFBNEIsQ0FBQyxDQUFDLENBQUM7YUFDdkU7WUFFRCxJQUFJLE1BQU0sR0FBRyxFQUFFLENBQUM7WUFDaEIsR0FBRztpQkFDQSxFQUFFLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxJQUFJLElBQUksQ0FBQztpQkFDbEMsRUFBRSxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUU7Z0JBQ2QsSUFBSTtvQkFDRixPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7aUJBQ3BDO2dCQUFDLE9BQU8sUUFBUSxFQUFFO29CQUNqQixPQUFPLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztpQkFDekI7WUFDSCxDQUFDLENBQUMsQ0FBQztRQUNQLENBQUMsQ0FBQzthQUNDLEVBQUUsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLEVBQUU7WUFDakIsT0FBTyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDckIsQ0FBQyxDQUFDO2FBQ0QsR0FBRyxFQUFFLENBQUM7SUFDWCxDQUFDLENBQUMsQ0FBQztBQUNMLENBQUM7QUFFRCxTQUFTLGlCQUFpQixDQUFDLElBQUk7SUFDN0IsTUFBTSxNQUFNLEdBQUcsYUFBRyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUMvQixPQUFPLGlDQUNGLGdCQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsTUFBTSxDQUFDLENBQUMsS0FDL0MsT0FBTyxFQUFFO1lBQ1AsWUFBWSxFQUFFLFFBQVE7U0FDdkIsSUFDRCxDQUFDO0FBQ0wsQ0FBQztBQUVELFNBQWUsZUFBZSxDQUFDLEdBQXdCOztRQUVyRCxPQUFPLElBQUksT0FBTyxDQUFPLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1lBQzNDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLHlCQUF5QixFQUFFO2dCQUNoRCxNQUFNLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyxrRUFBa0U7c0JBQ3BGLG1GQUFtRjtzQkFDbkYsMEZBQTBGO3NCQUMxRix1R0FBdUc7c0JBQ3ZHLGdIQUFnSDtzQkFDaEgsOElBQThJO3NCQUM5SSw0SUFBNEksRUFBRSxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQzthQUMzSyxFQUFFO2dCQUNELEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxZQUFZLEVBQUUsQ0FBQyxFQUFFO2dCQUNsRSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sRUFBRSxFQUFFO2FBQy9DLENBQUMsQ0FBQztRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztDQUFBO0FBRUQsU0FBZSxnQkFBZ0IsQ0FBQyxHQUF3Qjs7O1FBQ3RELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbkMsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDckcsSUFBSSxDQUFBLFNBQVMsYUFBVCxTQUFTLHVCQUFULFNBQVMsQ0FBRSxJQUFJLE1BQUssU0FBUyxFQUFFO1lBQ2pDLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsVUFBVSxDQUFDLDRCQUE0QixDQUFDLENBQUMsQ0FBQztTQUMxRTtRQUNELE1BQU0sTUFBTSxHQUFHLE1BQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLEtBQUssMENBQUUsY0FBYyxDQUFDO1FBQ2hELElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUN4QixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDbkM7UUFFRCxJQUFJLENBQUMsQ0FBQyxDQUFBLE1BQU0sYUFBTixNQUFNLHVCQUFOLE1BQU0sQ0FBRSxJQUFJLENBQUEsRUFBRTtZQUNsQixPQUFPLGVBQUUsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQztpQkFDN0IsSUFBSSxDQUFDLEdBQUcsRUFBRTtnQkFDVCxJQUFJLENBQUEsTUFBTSxhQUFOLE1BQU0sdUJBQU4sTUFBTSxDQUFFLGFBQWEsTUFBSyxTQUFTLEVBQUU7b0JBQ3ZDLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLENBQUM7aUJBQzlDO2dCQUNELE1BQU0sV0FBVyxHQUFHLElBQUEscUJBQVUsRUFBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQzVDLElBQUksQ0FBQyxDQUFDLFdBQVcsRUFBRTtvQkFDakIsTUFBTSxjQUFjLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztvQkFDcEUsTUFBTSxjQUFjLG1DQUFRLE1BQU0sS0FBRSxhQUFhLEVBQUUsY0FBYyxHQUFFLENBQUM7b0JBQ3BFLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsaUJBQWlCLENBQUMsVUFBVSxFQUFFLGdCQUFnQixFQUFFLGNBQWMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO29CQUNsRyxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsY0FBYyxDQUFDLENBQUM7aUJBQ3hDO1lBQ0gsQ0FBQyxDQUFDO2lCQUNELEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztTQUM3QzthQUFNO1lBQ0wsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DOztDQUNGO0FBRUQsSUFBSSxXQUFXLENBQUM7QUFDaEIsU0FBZSxRQUFRLENBQUMsR0FBd0I7O1FBQzlDLElBQUksV0FBVyxLQUFLLFNBQVMsRUFBRTtZQUM3QixJQUFJO2dCQUNGLE1BQU0sSUFBSSxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxlQUFlLENBQUMsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO2dCQUNqRyxXQUFXLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUNoQztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUlaLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQywwQkFBMEIsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDM0QsT0FBTyxXQUFXLEdBQUcsRUFBRSxDQUFDO2FBQ3pCO1NBQ0Y7UUFFRCxPQUFPLFdBQVcsQ0FBQztJQUNyQixDQUFDO0NBQUE7QUFFRCxTQUFlLGtCQUFrQixDQUFDLEdBQUcsRUFBRSxXQUFXLEVBQUUsaUJBQWlCOztRQUNuRSxPQUFPLElBQUksT0FBTyxDQUFDLENBQU8sT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1lBQzNDLElBQUksV0FBVyxDQUFDO1lBQ2hCLElBQUk7Z0JBQ0YsV0FBVyxHQUFHLE1BQU0sT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDO2FBQzFDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksa0JBQWtCLENBQUMsMEJBQTBCLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQzthQUN4RjtZQUNELE1BQU0sU0FBUyxHQUFHLE1BQU0sUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3RDLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLGVBQWUsQ0FBQyxXQUFXLEVBQUUsS0FBSyxXQUFXLENBQUM7bUJBQ3JELENBQUMsS0FBSyxDQUFDLE9BQU8sS0FBSyxpQkFBaUIsQ0FBQyxDQUFDLEtBQUssU0FBUyxFQUFFO2dCQUVoRixPQUFPLE1BQU0sQ0FBQyxJQUFJLGtCQUFrQixDQUFDLDRCQUE0QixFQUFFLFdBQVcsQ0FBQyxDQUFDLENBQUM7YUFDbEY7WUFFRCxPQUFPLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQztRQUM5QixDQUFDLENBQUEsQ0FBQzthQUNELElBQUksQ0FBQyxDQUFDLFdBQVcsRUFBRSxFQUFFLENBQUMsbUJBQW1CLENBQUMsR0FBRyxFQUFFLFdBQVcsQ0FBQyxDQUFDO2FBQzVELElBQUksQ0FBQyxDQUFPLFVBQVUsRUFBRSxFQUFFO1lBQ3pCLE1BQU0sVUFBVSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFLHlCQUF5QixDQUFDLENBQUM7WUFDcEUsSUFBSSxRQUFRLENBQUM7WUFDYixJQUFJO2dCQUNGLFFBQVEsR0FBRyxNQUFNLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQzthQUN0QztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGtCQUFrQixDQUFDLDBCQUEwQixFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUM7YUFDdkY7WUFDRCxNQUFNLFNBQVMsR0FBRyxNQUFNLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUN0QyxJQUFJLFNBQVMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxZQUFZLENBQUMsV0FBVyxFQUFFLEtBQUssUUFBUSxDQUFDO21CQUMvQyxDQUFDLEtBQUssQ0FBQyxPQUFPLEtBQUssaUJBQWlCLENBQUMsQ0FBQyxLQUFLLFNBQVMsRUFBRTtnQkFFaEYsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksa0JBQWtCLENBQUMsc0JBQXNCLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQzthQUNuRjtZQUVELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUNyQyxDQUFDLENBQUEsQ0FBQzthQUNELElBQUksQ0FBQyxDQUFDLFVBQVUsRUFBRSxFQUFFLENBQUMsV0FBVyxDQUFDLEdBQUcsRUFBRSxpQkFBaUIsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFBO0lBQ3hFLENBQUM7Q0FBQTtBQUVELFNBQXNCLGtCQUFrQixDQUFDLEdBQUcsRUFBRSxNQUFNLEdBQUcsS0FBSzs7O1FBQzFELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxVQUFVLEVBQUUsVUFBVSxFQUFFLFlBQVksRUFBRSxVQUFVLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNyRyxJQUFJLENBQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLElBQUksTUFBSyxTQUFTLEVBQUU7WUFDakMsT0FBTyxTQUFTLENBQUM7U0FDbEI7UUFDRCxNQUFNLFdBQVcsR0FBRyxNQUFBLE1BQUEsU0FBUyxDQUFDLEtBQUssMENBQUUsY0FBYywwQ0FBRSxJQUFJLENBQUM7UUFDMUQsSUFBSTtZQUNGLElBQUksQ0FBQyxXQUFXLEVBQUU7Z0JBQ2hCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLENBQUMsQ0FBQzthQUM3QztZQUNELE1BQU0sZUFBRSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUMsQ0FBQztZQUNoQyxPQUFPLFdBQVcsQ0FBQztTQUNwQjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osTUFBTSxXQUFXLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxDQUFDO1lBQzlELElBQUksTUFBTSxFQUFFO2dCQUNWLE1BQU0sZUFBRSxDQUFDLHNCQUFzQixDQUFDLFdBQVcsQ0FBQyxDQUFDO2FBQzlDO1lBQ0QsT0FBTyxXQUFXLENBQUM7U0FDcEI7O0NBQ0Y7QUFwQkQsZ0RBb0JDO0FBRUQsU0FBc0Isb0JBQW9CLENBQUMsR0FBd0I7O1FBQ2pFLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbkMsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDckcsSUFBSSxDQUFBLFNBQVMsYUFBVCxTQUFTLHVCQUFULFNBQVMsQ0FBRSxJQUFJLE1BQUssU0FBUyxFQUFFO1lBQ2pDLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsVUFBVSxDQUFDLDRCQUE0QixDQUFDLENBQUMsQ0FBQztTQUMxRTtRQUNELElBQUksaUJBQWlCLENBQUM7UUFDdEIsTUFBTSx5QkFBeUIsR0FBRyxNQUFNLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzlELE1BQU0sZUFBZSxHQUFHLDhCQUE4QixDQUFDO1FBQ3ZELE9BQU8sS0FBSyxDQUFDLFVBQVUsRUFBRSxVQUFVLENBQUM7YUFDakMsSUFBSSxDQUFDLENBQUMsUUFBUSxFQUFFLEVBQUU7WUFDakIsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUU7Z0JBQzVCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsV0FBVyxDQUFDLG1DQUFtQyxDQUFDLENBQUMsQ0FBQzthQUNsRjtZQUNELE1BQU0sT0FBTyxHQUFHLFFBQVE7aUJBQ3JCLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGdCQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxnQkFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxDQUFDO2lCQUM3RSxJQUFJLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQyxnQkFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBRTFELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNsQyxDQUFDLENBQUM7YUFDRCxJQUFJLENBQUMsQ0FBTSxjQUFjLEVBQUMsRUFBRTs7WUFDM0IsaUJBQWlCLEdBQUcsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztZQUMzQyxNQUFNLFFBQVEsR0FBRyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztZQUNsRCxNQUFNLFlBQVksR0FBRyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLG9CQUFvQixDQUFDO1lBQ3RFLElBQUksQ0FBQyxDQUFDLHlCQUF5QixJQUFJLGdCQUFNLENBQUMsR0FBRyxDQUFDLHlCQUF5QixFQUFFLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRTtnQkFDaEcsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsb0JBQW9CLENBQUMsQ0FBQyxDQUFDO2FBQ3ZFO1lBRUQsTUFBTSxhQUFhLEdBQXdCO2dCQUN6QyxFQUFFLEVBQUUsZUFBZTtnQkFDbkIsSUFBSSxFQUFFLFVBQVU7Z0JBQ2hCLEtBQUssRUFBRSxzQkFBc0I7Z0JBQzdCLE9BQU8sRUFBRSwyQkFBMkI7YUFDckMsQ0FBQTtZQUNELE1BQU0sUUFBUSxHQUFHLEdBQVMsRUFBRTtnQkFDMUIsR0FBRyxDQUFDLGdCQUFnQixpQ0FDZixhQUFhLEtBQ2hCLFFBQVEsRUFBRSxDQUFDLElBQ1gsQ0FBQztnQkFDSCxJQUFJLGNBQWMsQ0FBQztnQkFDbkIsY0FBYyxHQUFHLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7b0JBQ3JELE1BQU0sT0FBTyxHQUFHLGlCQUFpQixDQUFDLFlBQVksQ0FBQyxDQUFDO29CQUNoRCxlQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBRTt3QkFDM0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssU0FBUyxDQUFDOzRCQUM1QyxDQUFDLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUM7NEJBQ2xDLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxxQ0FBcUMsQ0FBQyxDQUFDLENBQUM7b0JBQzlFLENBQUMsQ0FBQzt5QkFDQyxFQUFFLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO3lCQUMvQixHQUFHLEVBQUUsQ0FBQztnQkFDWCxDQUFDLENBQUMsQ0FBQztnQkFDSCxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO29CQUNyQyxNQUFNLE9BQU8sR0FBRyxpQkFBaUIsQ0FBQyxjQUFjLENBQUMsQ0FBQztvQkFDbEQsZUFBSyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLEVBQUU7d0JBQzNCLEdBQUcsQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLENBQUM7d0JBQzFCLE1BQU0sT0FBTyxHQUFHLEdBQUcsQ0FBQyxPQUFxQyxDQUFDO3dCQUMxRCxNQUFNLGFBQWEsR0FBRyxRQUFRLENBQUMsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFHLGdCQUFnQixDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7d0JBQ2hFLE1BQU0sY0FBYyxHQUFHLFFBQVEsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUcsdUJBQXVCLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQzt3QkFDeEUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLEtBQUssR0FBRyxDQUFDLElBQUksQ0FBQyxjQUFjLEtBQUssQ0FBQyxDQUFDLEVBQUU7NEJBQ3RELE1BQU0sU0FBUyxHQUFHLFFBQVEsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUcsbUJBQW1CLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxJQUFJLENBQUM7NEJBQ3RFLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsNEJBQTRCLEVBQ3RDLEVBQUUsUUFBUSxFQUFFLENBQUMsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLENBQUM7NEJBQ2xELE9BQU8sTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsNEJBQTRCLENBQUMsQ0FBQyxDQUFDO3lCQUN2RTt3QkFFRCxJQUFJLE1BQU0sR0FBRyxFQUFFLENBQUM7d0JBQ2hCLEdBQUc7NkJBQ0EsRUFBRSxDQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsRUFBRTs0QkFDakIsTUFBTSxJQUFJLElBQUksQ0FBQTs0QkFDZCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsR0FBRyxLQUFLLENBQUMsRUFBRTtnQ0FJN0IsR0FBRyxDQUFDLGdCQUFnQixpQ0FDZixhQUFhLEtBQ2hCLFFBQVEsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsYUFBYSxDQUFDLEdBQUcsR0FBRyxJQUMvQyxDQUFDOzZCQUNKO3dCQUNILENBQUMsQ0FBQzs2QkFDRCxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRTs0QkFDZCxHQUFHLENBQUMsZ0JBQWdCLGlDQUNmLGFBQWEsS0FDaEIsUUFBUSxFQUFFLEdBQUcsSUFDYixDQUFDOzRCQUNILEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxlQUFlLENBQUMsQ0FBQzs0QkFDekMsT0FBTyxlQUFFLENBQUMsY0FBYyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsRUFBRSxNQUFNLEVBQUUsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUM7aUNBQzFGLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7aUNBQ3hELEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO3dCQUMvQixDQUFDLENBQUMsQ0FBQztvQkFDUCxDQUFDLENBQUM7eUJBQ0MsRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzt5QkFDL0IsR0FBRyxFQUFFLENBQUM7Z0JBQ1gsQ0FBQyxDQUFDLENBQUM7WUFDTCxDQUFDLENBQUEsQ0FBQTtZQUVELElBQUksQ0FBQyxDQUFDLHlCQUF5QixJQUFJLENBQUMsQ0FBQyx5QkFBeUIsS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQSxNQUFBLFNBQVMsYUFBVCxTQUFTLHVCQUFULFNBQVMsQ0FBRSxLQUFLLDBDQUFFLGNBQWMsQ0FBQSxDQUFDLEVBQUU7Z0JBQ3BILEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztvQkFDbkIsRUFBRSxFQUFFLGVBQWU7b0JBQ25CLElBQUksRUFBRSxTQUFTO29CQUNmLFNBQVMsRUFBRSxJQUFJO29CQUNmLE9BQU8sRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLDBDQUEwQyxFQUMvRCxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQztvQkFDMUIsT0FBTyxFQUFFLENBQUUsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxPQUFPLENBQUMsRUFBRTtnQ0FDaEQsT0FBTyxFQUFFLENBQUM7Z0NBQ1YsT0FBTyxRQUFRLEVBQUU7cUNBQ2QsSUFBSSxDQUFDLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsV0FBVyxFQUFFLGlCQUFpQixDQUFDLENBQUM7cUNBQzlFLEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRTtvQ0FDWCxHQUFHLENBQUMsbUJBQW1CLENBQUMsY0FBYyxDQUFDLENBQUM7b0NBQ3hDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxlQUFlLENBQUMsQ0FBQztvQ0FDekMsSUFBSSxHQUFHLFlBQVksa0JBQWtCLElBQUksR0FBRyxZQUFZLGlCQUFJLENBQUMsZUFBZSxFQUFFO3dDQUM1RSxJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLCtDQUErQyxFQUFFLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQzt3Q0FDaEYsR0FBRyxDQUFDLGdCQUFnQixDQUFDOzRDQUNuQixJQUFJLEVBQUUsT0FBTzs0Q0FDYixPQUFPLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyx1Q0FBdUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQzs0Q0FDeEYsT0FBTyxFQUFFO2dEQUNQO29EQUNFLEtBQUssRUFBRSxrQkFBa0I7b0RBQ3pCLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxpQkFBSSxDQUFDLEdBQUcsQ0FBQyw2Q0FBNkMsQ0FBQzt5REFDOUQsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDO2lEQUMxQjs2Q0FBQzt5Q0FDTCxDQUFDLENBQUE7d0NBQ0YsT0FBTyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7cUNBQzFCO29DQUtELEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQzt3Q0FDbkIsSUFBSSxFQUFFLE1BQU07d0NBQ1osT0FBTyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsNkRBQTZELEVBQUUsRUFBRSxFQUFFLEVBQUUsZUFBZSxFQUFFLENBQUM7cUNBQy9HLENBQUMsQ0FBQTtvQ0FDRixPQUFPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztnQ0FDM0IsQ0FBQyxDQUFDLENBQUE7NEJBQ04sQ0FBQyxFQUFFLENBQUU7aUJBQ04sQ0FBQyxDQUFDO2dCQUVILE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7YUFDM0Q7WUFFRCxPQUFPLGVBQWUsQ0FBQyxHQUFHLENBQUM7aUJBQ3hCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQzVCLENBQUMsQ0FBQSxDQUFDO2FBQ0QsSUFBSSxDQUFDLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsV0FBVyxFQUFFLGlCQUFpQixDQUFDLENBQUM7YUFDOUUsS0FBSyxDQUFDLENBQU0sR0FBRyxFQUFDLEVBQUU7WUFDakIsTUFBTSx1QkFBdUIsR0FBRyxHQUFHLEVBQUU7Z0JBQ25DLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsK0NBQStDLEVBQUUsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDO2dCQUNoRixHQUFHLENBQUMsZ0JBQWdCLENBQUM7b0JBQ25CLElBQUksRUFBRSxPQUFPO29CQUNiLE9BQU8sRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLHVDQUF1QyxFQUFFLEVBQUUsRUFBRSxFQUFFLGVBQWUsRUFBRSxDQUFDO29CQUN4RixPQUFPLEVBQUU7d0JBQ1A7NEJBQ0UsS0FBSyxFQUFFLGtCQUFrQjs0QkFDekIsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLGlCQUFJLENBQUMsR0FBRyxDQUFDLDZDQUE2QyxDQUFDO2lDQUM5RCxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUM7eUJBQzFCO3FCQUFDO2lCQUNMLENBQUMsQ0FBQztZQUNMLENBQUMsQ0FBQTtZQUNELEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUN4QyxHQUFHLENBQUMsbUJBQW1CLENBQUMsZUFBZSxDQUFDLENBQUM7WUFDekMsSUFBSSxHQUFHLFlBQVksa0JBQWtCLEVBQUU7Z0JBQ3JDLHVCQUF1QixFQUFFLENBQUM7Z0JBQzFCLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2FBQzFCO1lBQ0QsSUFBSSxHQUFHLFlBQVksaUJBQUksQ0FBQyxZQUFZLEVBQUU7Z0JBQ3BDLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2FBQzFCO2lCQUFNLElBQUksR0FBRyxZQUFZLGlCQUFJLENBQUMsZUFBZSxFQUFFO2dCQUM5QyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUU7b0JBQzdFLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2lCQUMxQjtxQkFBTSxJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLHFDQUFxQyxDQUFDLEVBQUU7b0JBSXhFLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsc0RBQXNELEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQ3pFLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2lCQUMxQjtxQkFBTSxJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLHdCQUF3QixDQUFDLEVBQUU7b0JBQzNELHVCQUF1QixFQUFFLENBQUM7b0JBQzFCLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2lCQUMxQjthQUNGO2lCQUFNO2dCQUNMLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUM1QjtRQUNILENBQUMsQ0FBQSxDQUFDLENBQUE7SUFDTixDQUFDO0NBQUE7QUFyTEQsb0RBcUxDO0FBRUQsTUFBTSxjQUFjLEdBQUcsMEJBQTBCLENBQUM7QUFDbEQsTUFBTSxZQUFZLEdBQUc7SUFDbkIsRUFBRSxFQUFFLGNBQWM7SUFDbEIsSUFBSSxFQUFFLFVBQVU7SUFDaEIsS0FBSyxFQUFFLDBCQUEwQjtDQUNsQyxDQUFBO0FBQ0QsU0FBZSxtQkFBbUIsQ0FBQyxHQUFHLEVBQUUsV0FBVzs7UUFDakQsTUFBTSxXQUFXLEdBQUcsTUFBTSxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFDeEQsSUFBSSxXQUFXLEtBQUssU0FBUyxFQUFFO1lBRTdCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsZUFBZSxDQUFDLHdCQUF3QixDQUFDLENBQUMsQ0FBQztTQUMzRTtRQUNELE1BQU0sSUFBSSxHQUFHLElBQUksaUJBQUksQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUNqQyxHQUFHLENBQUMsZ0JBQWdCLENBQUMsWUFBWSxDQUFDLENBQUM7UUFDbkMsTUFBTSxJQUFJLENBQUMsV0FBVyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUMsQ0FBQztRQUNqRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsSUFBSSxFQUFFLE1BQU07WUFDWixPQUFPLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyx5Q0FBeUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQztTQUMzRixDQUFDLENBQUM7UUFDSCxHQUFHLENBQUMsbUJBQW1CLENBQUMsY0FBYyxDQUFDLENBQUM7UUFDeEMsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQ3RDLENBQUM7Q0FBQTtBQUVELFNBQWUsV0FBVyxDQUFDLEdBQUcsRUFBRSxhQUFhLEVBQUUsT0FBTzs7O1FBQ3BELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbkMsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDckcsTUFBTSxjQUFjLEdBQUcsTUFBQSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUUsS0FBSywwQ0FBRSxjQUFjLENBQUM7UUFFeEQsTUFBTSxjQUFjLEdBQUcsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDO1lBQ3ZDLENBQUMsaUNBQU0sY0FBYyxLQUFFLGFBQWEsSUFDcEMsQ0FBQyxDQUFDO1lBQ0EsRUFBRSxFQUFFLGdCQUFnQjtZQUNwQixJQUFJLEVBQUUsa0JBQWtCO1lBQ3hCLElBQUksRUFBRSx5QkFBeUI7WUFDL0IsVUFBVSxFQUFFLEdBQUcsRUFBRSxDQUFDLHlCQUF5QjtZQUMzQyxhQUFhLEVBQUU7Z0JBQ2IseUJBQXlCO2FBQzFCO1lBQ0QsYUFBYTtTQUNkLENBQUM7UUFDSixjQUFjLENBQUMsSUFBSSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLHlCQUF5QixDQUFDLENBQUM7UUFDcEUsY0FBYyxDQUFDLGdCQUFnQixHQUFHLE9BQU8sQ0FBQztRQUMxQyxNQUFNLGVBQWUsQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQy9DLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsaUJBQWlCLENBQUMsVUFBVSxFQUFFLGdCQUFnQixFQUFFLGNBQWMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ2xHLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDOztDQUMxQjtBQUVELFNBQXNCLGdCQUFnQixDQUFDLGdCQUFnQjs7O1FBQ3JELE1BQU0sY0FBYyxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztRQUN2RSxJQUFJO1lBQ0YsTUFBTSxJQUFJLEdBQUcsTUFBTSxlQUFFLENBQUMsYUFBYSxDQUFDLGNBQWMsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO1lBQzFFLE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSwyQkFBa0IsRUFBQyxJQUFJLENBQUMsQ0FBQztZQUM5QyxNQUFNLFdBQVcsR0FBRyxNQUFBLE1BQUEsTUFBQSxNQUFNLGFBQU4sTUFBTSx1QkFBTixNQUFNLENBQUUsYUFBYSwwQ0FBRSxXQUFXLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxHQUFHLENBQUM7WUFDakUsTUFBTSxhQUFhLEdBQUcsTUFBQSxXQUFXLGFBQVgsV0FBVyx1QkFBWCxXQUFXLENBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLFdBQUMsT0FBQSxDQUFBLE1BQUEsSUFBSSxDQUFDLENBQUMsMENBQUUsR0FBRyxNQUFLLGVBQWUsQ0FBQSxFQUFBLENBQUMsbUNBQUksU0FBUyxDQUFDO1lBQzlGLElBQUksQ0FBQyxDQUFDLENBQUEsTUFBQSxhQUFhLGFBQWIsYUFBYSx1QkFBYixhQUFhLENBQUUsQ0FBQywwQ0FBRSxLQUFLLENBQUEsRUFBRTtnQkFDN0IsT0FBTyxhQUFhLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQzthQUM5QjtTQUNGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFFWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLG1FQUFtRSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ3ZGLE9BQU8scUJBQXFCLENBQUM7U0FDOUI7O0NBQ0Y7QUFmRCw0Q0FlQztBQUVELFNBQXNCLGVBQWUsQ0FBQyxZQUFZLEVBQUUsZ0JBQWdCOztRQUNsRSxNQUFNLFNBQVMsR0FBRyxDQUFDLEtBQUssRUFBRSxFQUFFLEVBQUUsRUFBRTs7WUFDOUIsT0FBTyxNQUFBLEtBQUssYUFBTCxLQUFLLHVCQUFMLEtBQUssQ0FBRSxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsV0FBQyxPQUFBLENBQUEsTUFBQSxJQUFJLENBQUMsQ0FBQywwQ0FBRSxHQUFHLE1BQUssRUFBRSxDQUFBLEVBQUEsQ0FBQyxtQ0FBSSxTQUFTLENBQUM7UUFDbkUsQ0FBQyxDQUFDO1FBRUYsTUFBTSxjQUFjLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1FBQ3ZFLElBQUk7WUFDRixNQUFNLElBQUksR0FBRyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsY0FBYyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDMUUsTUFBTSxNQUFNLEdBQUcsTUFBTSxJQUFBLDJCQUFrQixFQUFDLElBQUksQ0FBQyxDQUFDO1lBQzlDLE1BQU0sY0FBYyxHQUFHLENBQUMsRUFBRSxFQUFFLFdBQVcsRUFBRSxFQUFFOztnQkFDekMsTUFBTSxHQUFHLEdBQUcsU0FBUyxDQUFDLE1BQUEsTUFBQSxNQUFBLE1BQU0sYUFBTixNQUFNLHVCQUFOLE1BQU0sQ0FBRSxhQUFhLDBDQUFFLFdBQVcsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDeEUsSUFBSSxHQUFHLEtBQUssU0FBUyxFQUFFO29CQUNyQixNQUFNLENBQUMsYUFBYSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsV0FBVyxFQUFFLENBQUM7aUJBQ2xGO1lBQ0gsQ0FBQyxDQUFDO1lBRUYsY0FBYyxDQUFDLGVBQWUsRUFBRSxZQUFZLENBQUMsQ0FBQztZQUM5QyxjQUFjLENBQUMseUJBQXlCLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQ3JHLGNBQWMsQ0FBQyxlQUFlLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQztZQUNqRSxNQUFNLE9BQU8sR0FBRyxJQUFJLGdCQUFPLEVBQUUsQ0FBQztZQUM5QixNQUFNLEdBQUcsR0FBRyxPQUFPLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3hDLE1BQU0sZUFBRSxDQUFDLGNBQWMsQ0FBQyxjQUFjLEVBQUUsR0FBRyxDQUFDLENBQUM7U0FDOUM7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUdaLE9BQU87U0FDUjtJQUNILENBQUM7Q0FBQTtBQTNCRCwwQ0EyQkMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xyXG5pbXBvcnQgaHR0cHMgZnJvbSAnaHR0cHMnO1xyXG5pbXBvcnQgcGF0aCBmcm9tICdwYXRoJztcclxuaW1wb3J0IF8gZnJvbSAnbG9kYXNoJztcclxuaW1wb3J0IHVybCBmcm9tICd1cmwnO1xyXG5pbXBvcnQgeyBCdWlsZGVyLCBwYXJzZVN0cmluZ1Byb21pc2UgfSBmcm9tICd4bWwyanMnO1xyXG5pbXBvcnQgc2VtdmVyIGZyb20gJ3NlbXZlcic7XHJcbmltcG9ydCBnZXRWZXJzaW9uIGZyb20gJ2V4ZS12ZXJzaW9uJztcclxuaW1wb3J0IHsgYWN0aW9ucywgZnMsIHR5cGVzLCBsb2csIHV0aWwgfSBmcm9tICd2b3J0ZXgtYXBpJztcclxuXHJcbmltcG9ydCB7IElJbmNvbWluZ0dpdGh1Ykh0dHBIZWFkZXJzIH0gZnJvbSAnLi90eXBlcyc7XHJcblxyXG5jb25zdCBSRUxFQVNFX0NVVE9GRiA9ICcwLjYuNSc7XHJcbmNvbnN0IEdJVEhVQl9VUkwgPSAnaHR0cHM6Ly9hcGkuZ2l0aHViLmNvbS9yZXBvcy9JRENzL1dpdGNoZXJTY3JpcHRNZXJnZXInO1xyXG5jb25zdCBNRVJHRVJfUkVMUEFUSCA9ICdXaXRjaGVyU2NyaXB0TWVyZ2VyJztcclxuXHJcbmNvbnN0IE1FUkdFUl9DT05GSUdfRklMRSA9ICdXaXRjaGVyU2NyaXB0TWVyZ2VyLmV4ZS5jb25maWcnO1xyXG5cclxuY29uc3QgeyBnZXRIYXNoLCBNRDVDb21wYXJpc29uRXJyb3IsIFNDUklQVF9NRVJHRVJfSUQgfSA9IHJlcXVpcmUoJy4vY29tbW9uJyk7XHJcblxyXG5cclxuZnVuY3Rpb24gcXVlcnkoYmFzZVVybCwgcmVxdWVzdCkge1xyXG4gIHJldHVybiBuZXcgUHJvbWlzZSgocmVzb2x2ZSwgcmVqZWN0KSA9PiB7XHJcbiAgICBjb25zdCByZWxVcmwgPSB1cmwucGFyc2UoYCR7YmFzZVVybH0vJHtyZXF1ZXN0fWApO1xyXG4gICAgY29uc3Qgb3B0aW9ucyA9IHtcclxuICAgICAgLi4uXy5waWNrKHJlbFVybCwgWydwb3J0JywgJ2hvc3RuYW1lJywgJ3BhdGgnXSksXHJcbiAgICAgIGhlYWRlcnM6IHtcclxuICAgICAgICAnVXNlci1BZ2VudCc6ICdWb3J0ZXgnLFxyXG4gICAgICB9LFxyXG4gICAgfTtcclxuXHJcbiAgICBodHRwcy5nZXQob3B0aW9ucywgKHJlcykgPT4ge1xyXG4gICAgICByZXMuc2V0RW5jb2RpbmcoJ3V0Zi04Jyk7XHJcbiAgICAgIGNvbnN0IGhlYWRlcnMgPSByZXMuaGVhZGVycyBhcyBJSW5jb21pbmdHaXRodWJIdHRwSGVhZGVycztcclxuICAgICAgY29uc3QgY2FsbHNSZW1haW5pbmcgPSBwYXJzZUludChoZWFkZXJzPy5bJ3gtcmF0ZWxpbWl0LXJlbWFpbmluZyddLCAxMCk7XHJcbiAgICAgIGlmICgocmVzLnN0YXR1c0NvZGUgPT09IDQwMykgJiYgKGNhbGxzUmVtYWluaW5nID09PSAwKSkge1xyXG4gICAgICAgIGNvbnN0IHJlc2V0RGF0ZSA9IHBhcnNlSW50KGhlYWRlcnM/LlsneC1yYXRlbGltaXQtcmVzZXQnXSwgMTApICogMTAwMDtcclxuICAgICAgICBsb2coJ2luZm8nLCAnR2l0SHViIHJhdGUgbGltaXQgZXhjZWVkZWQnLFxyXG4gICAgICAgICAgeyByZXNldF9hdDogKG5ldyBEYXRlKHJlc2V0RGF0ZSkpLnRvU3RyaW5nKCkgfSk7XHJcbiAgICAgICAgcmV0dXJuIHJlamVjdChuZXcgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQoJ0dpdEh1YiByYXRlIGxpbWl0IGV4Y2VlZGVkJykpO1xyXG4gICAgICB9XHJcblxyXG4gICAgICBsZXQgb3V0cHV0ID0gJyc7XHJcbiAgICAgIHJlc1xyXG4gICAgICAgIC5vbignZGF0YScsIGRhdGEgPT4gb3V0cHV0ICs9IGRhdGEpXHJcbiAgICAgICAgLm9uKCdlbmQnLCAoKSA9PiB7XHJcbiAgICAgICAgICB0cnkge1xyXG4gICAgICAgICAgICByZXR1cm4gcmVzb2x2ZShKU09OLnBhcnNlKG91dHB1dCkpO1xyXG4gICAgICAgICAgfSBjYXRjaCAocGFyc2VFcnIpIHtcclxuICAgICAgICAgICAgcmV0dXJuIHJlamVjdChwYXJzZUVycik7XHJcbiAgICAgICAgICB9XHJcbiAgICAgICAgfSk7XHJcbiAgICB9KVxyXG4gICAgICAub24oJ2Vycm9yJywgZXJyID0+IHtcclxuICAgICAgICByZXR1cm4gcmVqZWN0KGVycik7XHJcbiAgICAgIH0pXHJcbiAgICAgIC5lbmQoKTtcclxuICB9KTtcclxufVxyXG5cclxuZnVuY3Rpb24gZ2V0UmVxdWVzdE9wdGlvbnMobGluaykge1xyXG4gIGNvbnN0IHJlbFVybCA9IHVybC5wYXJzZShsaW5rKTtcclxuICByZXR1cm4gKHtcclxuICAgIC4uLl8ucGljayhyZWxVcmwsIFsncG9ydCcsICdob3N0bmFtZScsICdwYXRoJ10pLFxyXG4gICAgaGVhZGVyczoge1xyXG4gICAgICAnVXNlci1BZ2VudCc6ICdWb3J0ZXgnLFxyXG4gICAgfSxcclxuICB9KTtcclxufVxyXG5cclxuYXN5bmMgZnVuY3Rpb24gZG93bmxvYWRDb25zZW50KGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xyXG4gIFxyXG4gIHJldHVybiBuZXcgUHJvbWlzZTx2b2lkPigocmVzb2x2ZSwgcmVqZWN0KSA9PiB7XHJcbiAgICBhcGkuc2hvd0RpYWxvZygnaW5mbycsICdXaXRjaGVyIDMgU2NyaXB0IE1lcmdlcicsIHtcclxuICAgICAgYmJjb2RlOiBhcGkudHJhbnNsYXRlKCdNYW55IFdpdGNoZXIgMyBtb2RzIGFkZCBvciBlZGl0IGdhbWUgc2NyaXB0cy4gV2hlbiBzZXZlcmFsIG1vZHMgJyBcclxuICAgICAgICArICdlZGl0aW5nIHRoZSBzYW1lIHNjcmlwdCBhcmUgaW5zdGFsbGVkLCB0aGVzZSBtb2RzIG5lZWQgdG8gYmUgbWVyZ2VkIHVzaW5nIGEgdG9vbCAnIFxyXG4gICAgICAgICsgJ2NhbGxlZCBXaXRjaGVyIDMgU2NyaXB0IE1lcmdlci4gVm9ydGV4IGNhbiBhdHRlbXB0IHRvIGRvd25sb2FkIGFuZCBjb25maWd1cmUgdGhlIG1lcmdlciAnXHJcbiAgICAgICAgKyAnZm9yIHlvdSBhdXRvbWF0aWNhbGx5IC0gYmVmb3JlIGRvaW5nIHNvIC0gcGxlYXNlIGVuc3VyZSB5b3VyIGFjY291bnQgaGFzIGZ1bGwgcmVhZC93cml0ZSBwZXJtaXNzaW9ucyAnXHJcbiAgICAgICAgKyAndG8geW91ciBnYW1lXFwncyBkaXJlY3RvcnkuIFRoZSBzY3JpcHQgbWVyZ2VyIGNhbiBiZSBpbnN0YWxsZWQgYXQgYSBsYXRlciBwb2ludCBpZiB5b3Ugd2lzaC4gW2JyXVsvYnJdW2JyXVsvYnJdJ1xyXG4gICAgICAgICsgJ1t1cmw9aHR0cHM6Ly93aWtpLm5leHVzbW9kcy5jb20vaW5kZXgucGhwL1Rvb2xfU2V0dXA6X1dpdGNoZXJfM19TY3JpcHRfTWVyZ2VyXWZpbmQgb3V0IG1vcmUgYWJvdXQgdGhlIHNjcmlwdCBtZXJnZXIuWy91cmxdW2JyXVsvYnJdW2JyXVsvYnJdJyBcclxuICAgICAgICArICdOb3RlOiBXaGlsZSBzY3JpcHQgbWVyZ2luZyB3b3JrcyB3ZWxsIHdpdGggdGhlIHZhc3QgbWFqb3JpdHkgb2YgbW9kcywgdGhlcmUgaXMgbm8gZ3VhcmFudGVlIGZvciBhIHNhdGlzZnlpbmcgb3V0Y29tZSBpbiBldmVyeSBzaW5nbGUgY2FzZS4nLCB7IG5zOiAnZ2FtZS13aXRjaGVyMycgfSksXHJcbiAgICB9LCBbXHJcbiAgICAgIHsgbGFiZWw6ICdDYW5jZWwnLCBhY3Rpb246ICgpID0+IHJlamVjdChuZXcgdXRpbC5Vc2VyQ2FuY2VsZWQoKSkgfSxcclxuICAgICAgeyBsYWJlbDogJ0Rvd25sb2FkJywgYWN0aW9uOiAoKSA9PiByZXNvbHZlKCkgfSxcclxuICAgIF0pO1xyXG4gIH0pO1xyXG59XHJcblxyXG5hc3luYyBmdW5jdGlvbiBnZXRNZXJnZXJWZXJzaW9uKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xyXG4gIGNvbnN0IHN0YXRlID0gYXBpLnN0b3JlLmdldFN0YXRlKCk7XHJcbiAgY29uc3QgZGlzY292ZXJ5ID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3NldHRpbmdzJywgJ2dhbWVNb2RlJywgJ2Rpc2NvdmVyZWQnLCAnd2l0Y2hlcjMnXSwgdW5kZWZpbmVkKTtcclxuICBpZiAoZGlzY292ZXJ5Py5wYXRoID09PSB1bmRlZmluZWQpIHtcclxuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgdXRpbC5TZXR1cEVycm9yKCdXaXRjaGVyMyBpcyBub3QgZGlzY292ZXJlZCcpKTtcclxuICB9XHJcbiAgY29uc3QgbWVyZ2VyID0gZGlzY292ZXJ5Py50b29scz8uVzNTY3JpcHRNZXJnZXI7XHJcbiAgaWYgKG1lcmdlciA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XHJcbiAgfVxyXG5cclxuICBpZiAoISFtZXJnZXI/LnBhdGgpIHtcclxuICAgIHJldHVybiBmcy5zdGF0QXN5bmMobWVyZ2VyLnBhdGgpXHJcbiAgICAgIC50aGVuKCgpID0+IHtcclxuICAgICAgICBpZiAobWVyZ2VyPy5tZXJnZXJWZXJzaW9uICE9PSB1bmRlZmluZWQpIHtcclxuICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUobWVyZ2VyLm1lcmdlclZlcnNpb24pO1xyXG4gICAgICAgIH1cclxuICAgICAgICBjb25zdCBleGVjVmVyc2lvbiA9IGdldFZlcnNpb24obWVyZ2VyLnBhdGgpO1xyXG4gICAgICAgIGlmICghIWV4ZWNWZXJzaW9uKSB7XHJcbiAgICAgICAgICBjb25zdCB0cmltbWVkVmVyc2lvbiA9IGV4ZWNWZXJzaW9uLnNwbGl0KCcuJykuc2xpY2UoMCwgMykuam9pbignLicpO1xyXG4gICAgICAgICAgY29uc3QgbmV3VG9vbERldGFpbHMgPSB7IC4uLm1lcmdlciwgbWVyZ2VyVmVyc2lvbjogdHJpbW1lZFZlcnNpb24gfTtcclxuICAgICAgICAgIGFwaS5zdG9yZS5kaXNwYXRjaChhY3Rpb25zLmFkZERpc2NvdmVyZWRUb29sKCd3aXRjaGVyMycsIFNDUklQVF9NRVJHRVJfSUQsIG5ld1Rvb2xEZXRhaWxzLCB0cnVlKSk7XHJcbiAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHRyaW1tZWRWZXJzaW9uKTtcclxuICAgICAgICB9XHJcbiAgICAgIH0pXHJcbiAgICAgIC5jYXRjaChlcnIgPT4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCkpO1xyXG4gIH0gZWxzZSB7XHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XHJcbiAgfVxyXG59XHJcblxyXG5sZXQgX0hBU0hfQ0FDSEU7XHJcbmFzeW5jIGZ1bmN0aW9uIGdldENhY2hlKGFwaTogdHlwZXMuSUV4dGVuc2lvbkFwaSkge1xyXG4gIGlmIChfSEFTSF9DQUNIRSA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICB0cnkge1xyXG4gICAgICBjb25zdCBkYXRhID0gYXdhaXQgZnMucmVhZEZpbGVBc3luYyhwYXRoLmpvaW4oX19kaXJuYW1lLCAnTUQ1Q2FjaGUuanNvbicpLCB7IGVuY29kaW5nOiAndXRmOCcgfSk7XHJcbiAgICAgIF9IQVNIX0NBQ0hFID0gSlNPTi5wYXJzZShkYXRhKTtcclxuICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICAvLyBJZiB0aGlzIGV2ZXIgaGFwcGVucyAtIHRoZSB1c2VyJ3MgbWFjaGluZSBtdXN0IGJlIHNjcmV3ZWQuXHJcbiAgICAgIC8vICBNYXliZSB2aXJ1cyA/IGRlZmVjdGl2ZSBoYXJkd2FyZSA/IGRpZCBoZSBtYW51YWxseSBtYW5pcHVsYXRlXHJcbiAgICAgIC8vICB0aGUgZmlsZSA/XHJcbiAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBwYXJzZSBNRDVDYWNoZScsIGVycik7XHJcbiAgICAgIHJldHVybiBfSEFTSF9DQUNIRSA9IFtdO1xyXG4gICAgfVxyXG4gIH1cclxuXHJcbiAgcmV0dXJuIF9IQVNIX0NBQ0hFO1xyXG59XHJcblxyXG5hc3luYyBmdW5jdGlvbiBvbkRvd25sb2FkQ29tcGxldGUoYXBpLCBhcmNoaXZlUGF0aCwgbW9zdFJlY2VudFZlcnNpb24pIHtcclxuICByZXR1cm4gbmV3IFByb21pc2UoYXN5bmMgKHJlc29sdmUsIHJlamVjdCkgPT4ge1xyXG4gICAgbGV0IGFyY2hpdmVIYXNoO1xyXG4gICAgdHJ5IHtcclxuICAgICAgYXJjaGl2ZUhhc2ggPSBhd2FpdCBnZXRIYXNoKGFyY2hpdmVQYXRoKTtcclxuICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IE1ENUNvbXBhcmlzb25FcnJvcignRmFpbGVkIHRvIGNhbGN1bGF0ZSBoYXNoJywgYXJjaGl2ZVBhdGgpKTtcclxuICAgIH1cclxuICAgIGNvbnN0IGhhc2hDYWNoZSA9IGF3YWl0IGdldENhY2hlKGFwaSk7XHJcbiAgICBpZiAoaGFzaENhY2hlLmZpbmQoZW50cnkgPT4gKGVudHJ5LmFyY2hpdmVDaGVja3N1bS50b0xvd2VyQ2FzZSgpID09PSBhcmNoaXZlSGFzaClcclxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAmJiAoZW50cnkudmVyc2lvbiA9PT0gbW9zdFJlY2VudFZlcnNpb24pKSA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICAgIC8vIE5vdCBhIHZhbGlkIGhhc2ggLSBzb21ldGhpbmcgbWF5IGhhdmUgaGFwcGVuZWQgZHVyaW5nIHRoZSBkb3dubG9hZCA/XHJcbiAgICAgIHJldHVybiByZWplY3QobmV3IE1ENUNvbXBhcmlzb25FcnJvcignQ29ycnVwdGVkIGFyY2hpdmUgZG93bmxvYWQnLCBhcmNoaXZlUGF0aCkpO1xyXG4gICAgfVxyXG5cclxuICAgIHJldHVybiByZXNvbHZlKGFyY2hpdmVQYXRoKTtcclxuICB9KVxyXG4gIC50aGVuKChhcmNoaXZlUGF0aCkgPT4gZXh0cmFjdFNjcmlwdE1lcmdlcihhcGksIGFyY2hpdmVQYXRoKSlcclxuICAudGhlbihhc3luYyAobWVyZ2VyUGF0aCkgPT4ge1xyXG4gICAgY29uc3QgbWVyZ2VyRXhlYyA9IHBhdGguam9pbihtZXJnZXJQYXRoLCAnV2l0Y2hlclNjcmlwdE1lcmdlci5leGUnKTtcclxuICAgIGxldCBleGVjSGFzaDtcclxuICAgIHRyeSB7XHJcbiAgICAgIGV4ZWNIYXNoID0gYXdhaXQgZ2V0SGFzaChtZXJnZXJFeGVjKTtcclxuICAgIH0gY2F0Y2ggKGVycikge1xyXG4gICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IE1ENUNvbXBhcmlzb25FcnJvcignRmFpbGVkIHRvIGNhbGN1bGF0ZSBoYXNoJywgbWVyZ2VyRXhlYykpO1xyXG4gICAgfVxyXG4gICAgY29uc3QgaGFzaENhY2hlID0gYXdhaXQgZ2V0Q2FjaGUoYXBpKTtcclxuICAgIGlmIChoYXNoQ2FjaGUuZmluZChlbnRyeSA9PiAoZW50cnkuZXhlY0NoZWNrc3VtLnRvTG93ZXJDYXNlKCkgPT09IGV4ZWNIYXNoKVxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICYmIChlbnRyeS52ZXJzaW9uID09PSBtb3N0UmVjZW50VmVyc2lvbikpID09PSB1bmRlZmluZWQpIHtcclxuICAgICAgLy8gTm90IGEgdmFsaWQgaGFzaCAtIHNvbWV0aGluZyBtYXkgaGF2ZSBoYXBwZW5lZCBkdXJpbmcgZXh0cmFjdGlvbiA/XHJcbiAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgTUQ1Q29tcGFyaXNvbkVycm9yKCdDb3JydXB0ZWQgZXhlY3V0YWJsZScsIG1lcmdlckV4ZWMpKTtcclxuICAgIH1cclxuXHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKG1lcmdlclBhdGgpO1xyXG4gIH0pXHJcbiAgLnRoZW4oKG1lcmdlclBhdGgpID0+IHNldFVwTWVyZ2VyKGFwaSwgbW9zdFJlY2VudFZlcnNpb24sIG1lcmdlclBhdGgpKVxyXG59XHJcblxyXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZ2V0U2NyaXB0TWVyZ2VyRGlyKGFwaSwgY3JlYXRlID0gZmFsc2UpIHtcclxuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xyXG4gIGNvbnN0IGRpc2NvdmVyeSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgJ3dpdGNoZXIzJ10sIHVuZGVmaW5lZCk7XHJcbiAgaWYgKGRpc2NvdmVyeT8ucGF0aCA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICByZXR1cm4gdW5kZWZpbmVkO1xyXG4gIH1cclxuICBjb25zdCBjdXJyZW50UGF0aCA9IGRpc2NvdmVyeS50b29scz8uVzNTY3JpcHRNZXJnZXI/LnBhdGg7XHJcbiAgdHJ5IHtcclxuICAgIGlmICghY3VycmVudFBhdGgpIHtcclxuICAgICAgdGhyb3cgbmV3IEVycm9yKCdTY3JpcHQgTWVyZ2VyIG5vdCBzZXQgdXAnKTtcclxuICAgIH1cclxuICAgIGF3YWl0IGZzLnN0YXRBc3luYyhjdXJyZW50UGF0aCk7XHJcbiAgICByZXR1cm4gY3VycmVudFBhdGg7XHJcbiAgfSBjYXRjaCAoZXJyKSB7XHJcbiAgICBjb25zdCBkZWZhdWx0UGF0aCA9IHBhdGguam9pbihkaXNjb3ZlcnkucGF0aCwgTUVSR0VSX1JFTFBBVEgpO1xyXG4gICAgaWYgKGNyZWF0ZSkge1xyXG4gICAgICBhd2FpdCBmcy5lbnN1cmVEaXJXcml0YWJsZUFzeW5jKGRlZmF1bHRQYXRoKTtcclxuICAgIH1cclxuICAgIHJldHVybiBkZWZhdWx0UGF0aDtcclxuICB9XHJcbn1cclxuXHJcbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBkb3dubG9hZFNjcmlwdE1lcmdlcihhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcclxuICBjb25zdCBzdGF0ZSA9IGFwaS5zdG9yZS5nZXRTdGF0ZSgpO1xyXG4gIGNvbnN0IGRpc2NvdmVyeSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgJ3dpdGNoZXIzJ10sIHVuZGVmaW5lZCk7XHJcbiAgaWYgKGRpc2NvdmVyeT8ucGF0aCA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IHV0aWwuU2V0dXBFcnJvcignV2l0Y2hlcjMgaXMgbm90IGRpc2NvdmVyZWQnKSk7XHJcbiAgfVxyXG4gIGxldCBtb3N0UmVjZW50VmVyc2lvbjtcclxuICBjb25zdCBjdXJyZW50bHlJbnN0YWxsZWRWZXJzaW9uID0gYXdhaXQgZ2V0TWVyZ2VyVmVyc2lvbihhcGkpO1xyXG4gIGNvbnN0IGRvd25sb2FkTm90aWZJZCA9ICdkb3dubG9hZC1zY3JpcHQtbWVyZ2VyLW5vdGlmJztcclxuICByZXR1cm4gcXVlcnkoR0lUSFVCX1VSTCwgJ3JlbGVhc2VzJylcclxuICAgIC50aGVuKChyZWxlYXNlcykgPT4ge1xyXG4gICAgICBpZiAoIUFycmF5LmlzQXJyYXkocmVsZWFzZXMpKSB7XHJcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLkRhdGFJbnZhbGlkKCdleHBlY3RlZCBhcnJheSBvZiBnaXRodWIgcmVsZWFzZXMnKSk7XHJcbiAgICAgIH1cclxuICAgICAgY29uc3QgY3VycmVudCA9IHJlbGVhc2VzXHJcbiAgICAgICAgLmZpbHRlcihyZWwgPT4gc2VtdmVyLnZhbGlkKHJlbC5uYW1lKSAmJiBzZW12ZXIuZ3RlKHJlbC5uYW1lLCBSRUxFQVNFX0NVVE9GRikpXHJcbiAgICAgICAgLnNvcnQoKGxocywgcmhzKSA9PiBzZW12ZXIuY29tcGFyZShyaHMubmFtZSwgbGhzLm5hbWUpKTtcclxuXHJcbiAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoY3VycmVudCk7XHJcbiAgICB9KVxyXG4gICAgLnRoZW4oYXN5bmMgY3VycmVudFJlbGVhc2UgPT4ge1xyXG4gICAgICBtb3N0UmVjZW50VmVyc2lvbiA9IGN1cnJlbnRSZWxlYXNlWzBdLm5hbWU7XHJcbiAgICAgIGNvbnN0IGZpbGVOYW1lID0gY3VycmVudFJlbGVhc2VbMF0uYXNzZXRzWzBdLm5hbWU7XHJcbiAgICAgIGNvbnN0IGRvd25sb2FkTGluayA9IGN1cnJlbnRSZWxlYXNlWzBdLmFzc2V0c1swXS5icm93c2VyX2Rvd25sb2FkX3VybDtcclxuICAgICAgaWYgKCEhY3VycmVudGx5SW5zdGFsbGVkVmVyc2lvbiAmJiBzZW12ZXIuZ3RlKGN1cnJlbnRseUluc3RhbGxlZFZlcnNpb24sIGN1cnJlbnRSZWxlYXNlWzBdLm5hbWUpKSB7XHJcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnQWxyZWFkeSB1cCB0byBkYXRlJykpO1xyXG4gICAgICB9XHJcblxyXG4gICAgICBjb25zdCBkb3dubG9hZE5vdGlmOiB0eXBlcy5JTm90aWZpY2F0aW9uID0ge1xyXG4gICAgICAgIGlkOiBkb3dubG9hZE5vdGlmSWQsXHJcbiAgICAgICAgdHlwZTogJ2FjdGl2aXR5JyxcclxuICAgICAgICB0aXRsZTogJ0FkZGluZyBTY3JpcHQgTWVyZ2VyJyxcclxuICAgICAgICBtZXNzYWdlOiAnVGhpcyBtYXkgdGFrZSBhIG1pbnV0ZS4uLicsXHJcbiAgICAgIH1cclxuICAgICAgY29uc3QgZG93bmxvYWQgPSBhc3luYyAoKSA9PiB7XHJcbiAgICAgICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xyXG4gICAgICAgICAgLi4uZG93bmxvYWROb3RpZixcclxuICAgICAgICAgIHByb2dyZXNzOiAwLFxyXG4gICAgICAgIH0pO1xyXG4gICAgICAgIGxldCByZWRpcmVjdGlvblVSTDtcclxuICAgICAgICByZWRpcmVjdGlvblVSTCA9IGF3YWl0IG5ldyBQcm9taXNlKChyZXNvbHZlLCByZWplY3QpID0+IHtcclxuICAgICAgICAgIGNvbnN0IG9wdGlvbnMgPSBnZXRSZXF1ZXN0T3B0aW9ucyhkb3dubG9hZExpbmspO1xyXG4gICAgICAgICAgaHR0cHMucmVxdWVzdChvcHRpb25zLCByZXMgPT4ge1xyXG4gICAgICAgICAgICByZXR1cm4gKHJlcy5oZWFkZXJzWydsb2NhdGlvbiddICE9PSB1bmRlZmluZWQpXHJcbiAgICAgICAgICAgICAgPyByZXNvbHZlKHJlcy5oZWFkZXJzWydsb2NhdGlvbiddKVxyXG4gICAgICAgICAgICAgIDogcmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnRmFpbGVkIHRvIHJlc29sdmUgZG93bmxvYWQgbG9jYXRpb24nKSk7XHJcbiAgICAgICAgICB9KVxyXG4gICAgICAgICAgICAub24oJ2Vycm9yJywgZXJyID0+IHJlamVjdChlcnIpKVxyXG4gICAgICAgICAgICAuZW5kKCk7XHJcbiAgICAgICAgfSk7XHJcbiAgICAgICAgcmV0dXJuIG5ldyBQcm9taXNlKChyZXNvbHZlLCByZWplY3QpID0+IHtcclxuICAgICAgICAgIGNvbnN0IG9wdGlvbnMgPSBnZXRSZXF1ZXN0T3B0aW9ucyhyZWRpcmVjdGlvblVSTCk7XHJcbiAgICAgICAgICBodHRwcy5yZXF1ZXN0KG9wdGlvbnMsIHJlcyA9PiB7XHJcbiAgICAgICAgICAgIHJlcy5zZXRFbmNvZGluZygnYmluYXJ5Jyk7XHJcbiAgICAgICAgICAgIGNvbnN0IGhlYWRlcnMgPSByZXMuaGVhZGVycyBhcyBJSW5jb21pbmdHaXRodWJIdHRwSGVhZGVycztcclxuICAgICAgICAgICAgY29uc3QgY29udGVudExlbmd0aCA9IHBhcnNlSW50KGhlYWRlcnM/LlsnY29udGVudC1sZW5ndGgnXSwgMTApO1xyXG4gICAgICAgICAgICBjb25zdCBjYWxsc1JlbWFpbmluZyA9IHBhcnNlSW50KGhlYWRlcnM/LlsneC1yYXRlbGltaXQtcmVtYWluaW5nJ10sIDEwKTtcclxuICAgICAgICAgICAgaWYgKChyZXMuc3RhdHVzQ29kZSA9PT0gNDAzKSAmJiAoY2FsbHNSZW1haW5pbmcgPT09IDApKSB7XHJcbiAgICAgICAgICAgICAgY29uc3QgcmVzZXREYXRlID0gcGFyc2VJbnQoaGVhZGVycz8uWyd4LXJhdGVsaW1pdC1yZXNldCddLCAxMCkgKiAxMDAwO1xyXG4gICAgICAgICAgICAgIGxvZygnaW5mbycsICdHaXRIdWIgcmF0ZSBsaW1pdCBleGNlZWRlZCcsXHJcbiAgICAgICAgICAgICAgICB7IHJlc2V0X2F0OiAobmV3IERhdGUocmVzZXREYXRlKSkudG9TdHJpbmcoKSB9KTtcclxuICAgICAgICAgICAgICByZXR1cm4gcmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnR2l0SHViIHJhdGUgbGltaXQgZXhjZWVkZWQnKSk7XHJcbiAgICAgICAgICAgIH1cclxuXHJcbiAgICAgICAgICAgIGxldCBvdXRwdXQgPSAnJztcclxuICAgICAgICAgICAgcmVzXHJcbiAgICAgICAgICAgICAgLm9uKCdkYXRhJywgZGF0YSA9PiB7XHJcbiAgICAgICAgICAgICAgICBvdXRwdXQgKz0gZGF0YVxyXG4gICAgICAgICAgICAgICAgaWYgKG91dHB1dC5sZW5ndGggJSA1MDAgPT09IDApIHtcclxuICAgICAgICAgICAgICAgICAgLy8gVXBkYXRpbmcgdGhlIG5vdGlmaWNhdGlvbiBpcyBFWFRSRU1FTFkgZXhwZW5zaXZlLlxyXG4gICAgICAgICAgICAgICAgICAvLyAgdGhlIGxlbmd0aCAlIDUwMCA9PT0gMCBsaW5lIGVuc3VyZXMgdGhpcyBpcyBub3QgZG9uZSB0b29cclxuICAgICAgICAgICAgICAgICAgLy8gIG9mdGVuLlxyXG4gICAgICAgICAgICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XHJcbiAgICAgICAgICAgICAgICAgICAgLi4uZG93bmxvYWROb3RpZixcclxuICAgICAgICAgICAgICAgICAgICBwcm9ncmVzczogKG91dHB1dC5sZW5ndGggLyBjb250ZW50TGVuZ3RoKSAqIDEwMCxcclxuICAgICAgICAgICAgICAgICAgfSk7XHJcbiAgICAgICAgICAgICAgICB9XHJcbiAgICAgICAgICAgICAgfSlcclxuICAgICAgICAgICAgICAub24oJ2VuZCcsICgpID0+IHtcclxuICAgICAgICAgICAgICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcclxuICAgICAgICAgICAgICAgICAgLi4uZG93bmxvYWROb3RpZixcclxuICAgICAgICAgICAgICAgICAgcHJvZ3Jlc3M6IDEwMCxcclxuICAgICAgICAgICAgICAgIH0pO1xyXG4gICAgICAgICAgICAgICAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oZG93bmxvYWROb3RpZklkKTtcclxuICAgICAgICAgICAgICAgIHJldHVybiBmcy53cml0ZUZpbGVBc3luYyhwYXRoLmpvaW4oZGlzY292ZXJ5LnBhdGgsIGZpbGVOYW1lKSwgb3V0cHV0LCB7IGVuY29kaW5nOiAnYmluYXJ5JyB9KVxyXG4gICAgICAgICAgICAgICAgICAudGhlbigoKSA9PiByZXNvbHZlKHBhdGguam9pbihkaXNjb3ZlcnkucGF0aCwgZmlsZU5hbWUpKSlcclxuICAgICAgICAgICAgICAgICAgLmNhdGNoKGVyciA9PiByZWplY3QoZXJyKSk7XHJcbiAgICAgICAgICAgICAgfSk7XHJcbiAgICAgICAgICB9KVxyXG4gICAgICAgICAgICAub24oJ2Vycm9yJywgZXJyID0+IHJlamVjdChlcnIpKVxyXG4gICAgICAgICAgICAuZW5kKCk7XHJcbiAgICAgICAgfSk7XHJcbiAgICAgIH1cclxuXHJcbiAgICAgIGlmICghIWN1cnJlbnRseUluc3RhbGxlZFZlcnNpb24gfHwgKChjdXJyZW50bHlJbnN0YWxsZWRWZXJzaW9uID09PSB1bmRlZmluZWQpICYmICEhZGlzY292ZXJ5Py50b29scz8uVzNTY3JpcHRNZXJnZXIpKSB7XHJcbiAgICAgICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xyXG4gICAgICAgICAgaWQ6ICdtZXJnZXItdXBkYXRlJyxcclxuICAgICAgICAgIHR5cGU6ICd3YXJuaW5nJyxcclxuICAgICAgICAgIG5vRGlzbWlzczogdHJ1ZSxcclxuICAgICAgICAgIG1lc3NhZ2U6IGFwaS50cmFuc2xhdGUoJ0ltcG9ydGFudCBTY3JpcHQgTWVyZ2VyIHVwZGF0ZSBhdmFpbGFibGUnLFxyXG4gICAgICAgICAgICB7IG5zOiAnZ2FtZS13aXRjaGVyMycgfSksXHJcbiAgICAgICAgICBhY3Rpb25zOiBbIHsgdGl0bGU6ICdEb3dubG9hZCcsIGFjdGlvbjogZGlzbWlzcyA9PiB7XHJcbiAgICAgICAgICAgIGRpc21pc3MoKTtcclxuICAgICAgICAgICAgcmV0dXJuIGRvd25sb2FkKClcclxuICAgICAgICAgICAgICAudGhlbigoYXJjaGl2ZVBhdGgpID0+IG9uRG93bmxvYWRDb21wbGV0ZShhcGksIGFyY2hpdmVQYXRoLCBtb3N0UmVjZW50VmVyc2lvbikpXHJcbiAgICAgICAgICAgICAgLmNhdGNoKGVyciA9PiB7XHJcbiAgICAgICAgICAgICAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbihleHRyYWN0Tm90aWZJZCk7XHJcbiAgICAgICAgICAgICAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbihkb3dubG9hZE5vdGlmSWQpO1xyXG4gICAgICAgICAgICAgICAgaWYgKGVyciBpbnN0YW5jZW9mIE1ENUNvbXBhcmlzb25FcnJvciB8fCBlcnIgaW5zdGFuY2VvZiB1dGlsLlByb2Nlc3NDYW5jZWxlZCkge1xyXG4gICAgICAgICAgICAgICAgICBsb2coJ2Vycm9yJywgJ0ZhaWxlZCB0byBhdXRvbWF0aWNhbGx5IGluc3RhbGwgU2NyaXB0IE1lcmdlcicsIGVyci5lcnJvck1lc3NhZ2UpO1xyXG4gICAgICAgICAgICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XHJcbiAgICAgICAgICAgICAgICAgICAgdHlwZTogJ2Vycm9yJyxcclxuICAgICAgICAgICAgICAgICAgICBtZXNzYWdlOiBhcGkudHJhbnNsYXRlKCdQbGVhc2UgaW5zdGFsbCBTY3JpcHQgTWVyZ2VyIG1hbnVhbGx5JywgeyBuczogJ2dhbWUtd2l0Y2hlcjMnIH0pLFxyXG4gICAgICAgICAgICAgICAgICAgIGFjdGlvbnM6IFtcclxuICAgICAgICAgICAgICAgICAgICAgIHsgXHJcbiAgICAgICAgICAgICAgICAgICAgICAgIHRpdGxlOiAnSW5zdGFsbCBNYW51YWxseScsXHJcbiAgICAgICAgICAgICAgICAgICAgICAgIGFjdGlvbjogKCkgPT4gdXRpbC5vcG4oJ2h0dHBzOi8vd3d3Lm5leHVzbW9kcy5jb20vd2l0Y2hlcjMvbW9kcy80ODQnKVxyXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAuY2F0Y2goZXJyID0+IG51bGwpXHJcbiAgICAgICAgICAgICAgICAgICAgICB9XSxcclxuICAgICAgICAgICAgICAgICAgfSlcclxuICAgICAgICAgICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xyXG4gICAgICAgICAgICAgICAgfVxyXG4gICAgICAgICAgICAgICAgLy8gQ3VycmVudGx5IEFGQUlLIHRoaXMgd291bGQgb25seSBvY2N1ciBpZiBnaXRodWIgaXMgZG93biBmb3IgYW55IHJlYXNvblxyXG4gICAgICAgICAgICAgICAgLy8gIGFuZCB3ZSB3ZXJlIHVuYWJsZSB0byByZXNvbHZlIHRoZSByZS1kaXJlY3Rpb24gbGluay4gR2l2ZW4gdGhhdCB0aGUgdXNlclxyXG4gICAgICAgICAgICAgICAgLy8gIGV4cGVjdHMgYSByZXN1bHQgZnJvbSBoaW0gY2xpY2tpbmcgdGhlIGRvd25sb2FkIGJ1dHRvbiwgd2UgbGV0IGhpbSBrbm93XHJcbiAgICAgICAgICAgICAgICAvLyAgdG8gdHJ5IGFnYWluXHJcbiAgICAgICAgICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XHJcbiAgICAgICAgICAgICAgICAgIHR5cGU6ICdpbmZvJyxcclxuICAgICAgICAgICAgICAgICAgbWVzc2FnZTogYXBpLnRyYW5zbGF0ZSgnVXBkYXRlIGZhaWxlZCBkdWUgdGVtcG9yYXJ5IG5ldHdvcmsgaXNzdWUgLSB0cnkgYWdhaW4gbGF0ZXInLCB7IG5zOiAnZ2FtZS13aXRjaGVyMycgfSksXHJcbiAgICAgICAgICAgICAgICB9KVxyXG4gICAgICAgICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xyXG4gICAgICAgICAgICAgIH0pXHJcbiAgICAgICAgICB9IH0gXSxcclxuICAgICAgICB9KTtcclxuXHJcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnVXBkYXRlJykpO1xyXG4gICAgICB9XHJcblxyXG4gICAgICByZXR1cm4gZG93bmxvYWRDb25zZW50KGFwaSlcclxuICAgICAgICAudGhlbigoKSA9PiBkb3dubG9hZCgpKTtcclxuICAgIH0pXHJcbiAgICAudGhlbigoYXJjaGl2ZVBhdGgpID0+IG9uRG93bmxvYWRDb21wbGV0ZShhcGksIGFyY2hpdmVQYXRoLCBtb3N0UmVjZW50VmVyc2lvbikpXHJcbiAgICAuY2F0Y2goYXN5bmMgZXJyID0+IHtcclxuICAgICAgY29uc3QgcmFpc2VNYW51YWxJbnN0YWxsTm90aWYgPSAoKSA9PiB7XHJcbiAgICAgICAgbG9nKCdlcnJvcicsICdGYWlsZWQgdG8gYXV0b21hdGljYWxseSBpbnN0YWxsIFNjcmlwdCBNZXJnZXInLCBlcnIuZXJyb3JNZXNzYWdlKTtcclxuICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XHJcbiAgICAgICAgICB0eXBlOiAnZXJyb3InLFxyXG4gICAgICAgICAgbWVzc2FnZTogYXBpLnRyYW5zbGF0ZSgnUGxlYXNlIGluc3RhbGwgU2NyaXB0IE1lcmdlciBtYW51YWxseScsIHsgbnM6ICdnYW1lLXdpdGNoZXIzJyB9KSxcclxuICAgICAgICAgIGFjdGlvbnM6IFtcclxuICAgICAgICAgICAge1xyXG4gICAgICAgICAgICAgIHRpdGxlOiAnSW5zdGFsbCBNYW51YWxseScsXHJcbiAgICAgICAgICAgICAgYWN0aW9uOiAoKSA9PiB1dGlsLm9wbignaHR0cHM6Ly93d3cubmV4dXNtb2RzLmNvbS93aXRjaGVyMy9tb2RzLzQ4NCcpXHJcbiAgICAgICAgICAgICAgICAgICAgLmNhdGNoKGVyciA9PiBudWxsKVxyXG4gICAgICAgICAgICB9XSxcclxuICAgICAgICB9KTtcclxuICAgICAgfVxyXG4gICAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbihleHRyYWN0Tm90aWZJZCk7XHJcbiAgICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKGRvd25sb2FkTm90aWZJZCk7XHJcbiAgICAgIGlmIChlcnIgaW5zdGFuY2VvZiBNRDVDb21wYXJpc29uRXJyb3IpIHtcclxuICAgICAgICByYWlzZU1hbnVhbEluc3RhbGxOb3RpZigpO1xyXG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoKTtcclxuICAgICAgfVxyXG4gICAgICBpZiAoZXJyIGluc3RhbmNlb2YgdXRpbC5Vc2VyQ2FuY2VsZWQpIHtcclxuICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XHJcbiAgICAgIH0gZWxzZSBpZiAoZXJyIGluc3RhbmNlb2YgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQpIHtcclxuICAgICAgICBpZiAoKGVyci5tZXNzYWdlLnN0YXJ0c1dpdGgoJ0FscmVhZHknKSkgfHwgKGVyci5tZXNzYWdlLnN0YXJ0c1dpdGgoJ1VwZGF0ZScpKSkge1xyXG4gICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xyXG4gICAgICAgIH0gZWxzZSBpZiAoZXJyLm1lc3NhZ2Uuc3RhcnRzV2l0aCgnRmFpbGVkIHRvIHJlc29sdmUgZG93bmxvYWQgbG9jYXRpb24nKSkge1xyXG4gICAgICAgICAgLy8gQ3VycmVudGx5IEFGQUlLIHRoaXMgd291bGQgb25seSBvY2N1ciBpZiBnaXRodWIgaXMgZG93biBmb3IgYW55IHJlYXNvblxyXG4gICAgICAgICAgLy8gIGFuZCB3ZSB3ZXJlIHVuYWJsZSB0byByZXNvbHZlIHRoZSByZS1kaXJlY3Rpb24gbGluay4gR2l2ZW4gdGhhdCB0aGlzXHJcbiAgICAgICAgICAvLyAgd2lsbCBtb3N0IGNlcnRhaW5seSByZXNvbHZlIGl0c2VsZiBldmVudHVhbGx5IC0gd2UgbG9nIHRoaXMgYW5kIGtlZXAgZ29pbmcuXHJcbiAgICAgICAgICBsb2coJ2luZm8nLCAnZmFpbGVkIHRvIHJlc29sdmUgVzMgc2NyaXB0IG1lcmdlciByZS1kaXJlY3Rpb24gbGluaycsIGVycik7XHJcbiAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XHJcbiAgICAgICAgfSBlbHNlIGlmIChlcnIubWVzc2FnZS5zdGFydHNXaXRoKCdHYW1lIGlzIG5vdCBkaXNjb3ZlcmVkJykpIHtcclxuICAgICAgICAgIHJhaXNlTWFudWFsSW5zdGFsbE5vdGlmKCk7XHJcbiAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XHJcbiAgICAgICAgfVxyXG4gICAgICB9IGVsc2Uge1xyXG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChlcnIpO1xyXG4gICAgICB9XHJcbiAgICB9KVxyXG59XHJcblxyXG5jb25zdCBleHRyYWN0Tm90aWZJZCA9ICdleHRyYWN0aW5nLXNjcmlwdC1tZXJnZXInO1xyXG5jb25zdCBleHRyYWN0Tm90aWYgPSB7XHJcbiAgaWQ6IGV4dHJhY3ROb3RpZklkLFxyXG4gIHR5cGU6ICdhY3Rpdml0eScsXHJcbiAgdGl0bGU6ICdFeHRyYWN0aW5nIFNjcmlwdCBNZXJnZXInLFxyXG59XHJcbmFzeW5jIGZ1bmN0aW9uIGV4dHJhY3RTY3JpcHRNZXJnZXIoYXBpLCBhcmNoaXZlUGF0aCkge1xyXG4gIGNvbnN0IGRlc3RpbmF0aW9uID0gYXdhaXQgZ2V0U2NyaXB0TWVyZ2VyRGlyKGFwaSwgdHJ1ZSk7XHJcbiAgaWYgKGRlc3RpbmF0aW9uID09PSB1bmRlZmluZWQpIHtcclxuICAgIC8vIEhvdyA/XHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IHV0aWwuUHJvY2Vzc0NhbmNlbGVkKCdHYW1lIGlzIG5vdCBkaXNjb3ZlcmVkJykpO1xyXG4gIH1cclxuICBjb25zdCBzWmlwID0gbmV3IHV0aWwuU2V2ZW5aaXAoKTtcclxuICBhcGkuc2VuZE5vdGlmaWNhdGlvbihleHRyYWN0Tm90aWYpO1xyXG4gIGF3YWl0IHNaaXAuZXh0cmFjdEZ1bGwoYXJjaGl2ZVBhdGgsIGRlc3RpbmF0aW9uKTtcclxuICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XHJcbiAgICB0eXBlOiAnaW5mbycsXHJcbiAgICBtZXNzYWdlOiBhcGkudHJhbnNsYXRlKCdXMyBTY3JpcHQgTWVyZ2VyIGV4dHJhY3RlZCBzdWNjZXNzZnVsbHknLCB7IG5zOiAnZ2FtZS13aXRjaGVyMycgfSksXHJcbiAgfSk7XHJcbiAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oZXh0cmFjdE5vdGlmSWQpO1xyXG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoZGVzdGluYXRpb24pO1xyXG59XHJcblxyXG5hc3luYyBmdW5jdGlvbiBzZXRVcE1lcmdlcihhcGksIG1lcmdlclZlcnNpb24sIG5ld1BhdGgpIHtcclxuICBjb25zdCBzdGF0ZSA9IGFwaS5zdG9yZS5nZXRTdGF0ZSgpO1xyXG4gIGNvbnN0IGRpc2NvdmVyeSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgJ3dpdGNoZXIzJ10sIHVuZGVmaW5lZCk7XHJcbiAgY29uc3QgY3VycmVudERldGFpbHMgPSBkaXNjb3Zlcnk/LnRvb2xzPy5XM1NjcmlwdE1lcmdlcjtcclxuXHJcbiAgY29uc3QgbmV3VG9vbERldGFpbHMgPSAoISFjdXJyZW50RGV0YWlscylcclxuICAgID8geyAuLi5jdXJyZW50RGV0YWlscywgbWVyZ2VyVmVyc2lvbiB9XHJcbiAgICA6IHtcclxuICAgICAgaWQ6IFNDUklQVF9NRVJHRVJfSUQsXHJcbiAgICAgIG5hbWU6ICdXMyBTY3JpcHQgTWVyZ2VyJyxcclxuICAgICAgbG9nbzogJ1dpdGNoZXJTY3JpcHRNZXJnZXIuanBnJyxcclxuICAgICAgZXhlY3V0YWJsZTogKCkgPT4gJ1dpdGNoZXJTY3JpcHRNZXJnZXIuZXhlJyxcclxuICAgICAgcmVxdWlyZWRGaWxlczogW1xyXG4gICAgICAgICdXaXRjaGVyU2NyaXB0TWVyZ2VyLmV4ZScsXHJcbiAgICAgIF0sXHJcbiAgICAgIG1lcmdlclZlcnNpb24sXHJcbiAgICB9O1xyXG4gIG5ld1Rvb2xEZXRhaWxzLnBhdGggPSBwYXRoLmpvaW4obmV3UGF0aCwgJ1dpdGNoZXJTY3JpcHRNZXJnZXIuZXhlJyk7XHJcbiAgbmV3VG9vbERldGFpbHMud29ya2luZ0RpcmVjdG9yeSA9IG5ld1BhdGg7XHJcbiAgYXdhaXQgc2V0TWVyZ2VyQ29uZmlnKGRpc2NvdmVyeS5wYXRoLCBuZXdQYXRoKTtcclxuICBhcGkuc3RvcmUuZGlzcGF0Y2goYWN0aW9ucy5hZGREaXNjb3ZlcmVkVG9vbCgnd2l0Y2hlcjMnLCBTQ1JJUFRfTUVSR0VSX0lELCBuZXdUb29sRGV0YWlscywgdHJ1ZSkpO1xyXG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUoKTtcclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGdldE1lcmdlZE1vZE5hbWUoc2NyaXB0TWVyZ2VyUGF0aCkge1xyXG4gIGNvbnN0IGNvbmZpZ0ZpbGVQYXRoID0gcGF0aC5qb2luKHNjcmlwdE1lcmdlclBhdGgsIE1FUkdFUl9DT05GSUdfRklMRSk7XHJcbiAgdHJ5IHtcclxuICAgIGNvbnN0IGRhdGEgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKGNvbmZpZ0ZpbGVQYXRoLCB7IGVuY29kaW5nOiAndXRmOCcgfSk7XHJcbiAgICBjb25zdCBjb25maWcgPSBhd2FpdCBwYXJzZVN0cmluZ1Byb21pc2UoZGF0YSk7XHJcbiAgICBjb25zdCBjb25maWdJdGVtcyA9IGNvbmZpZz8uY29uZmlndXJhdGlvbj8uYXBwU2V0dGluZ3M/LlswXT8uYWRkO1xyXG4gICAgY29uc3QgTWVyZ2VkTW9kTmFtZSA9IGNvbmZpZ0l0ZW1zPy5maW5kKGl0ZW0gPT4gaXRlbS4kPy5rZXkgPT09ICdNZXJnZWRNb2ROYW1lJykgPz8gdW5kZWZpbmVkO1xyXG4gICAgaWYgKCEhTWVyZ2VkTW9kTmFtZT8uJD8udmFsdWUpIHtcclxuICAgICAgcmV0dXJuIE1lcmdlZE1vZE5hbWUuJC52YWx1ZTtcclxuICAgIH1cclxuICB9IGNhdGNoIChlcnIpIHtcclxuICAgIC8vIFRoaXMgaXMgcHJvYmFibHkgYSBzaWduIG9mIGEgY29ycnVwdCBzY3JpcHQgbWVyZ2VyIGluc3RhbGxhdGlvbi4uLi5cclxuICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIGFzY2VydGFpbiBtZXJnZWQgbW9kIG5hbWUgLSB1c2luZyBcIm1vZDAwMDBfTWVyZ2VkRmlsZXNcIicsIGVycik7XHJcbiAgICByZXR1cm4gJ21vZDAwMDBfTWVyZ2VkRmlsZXMnO1xyXG4gIH1cclxufVxyXG5cclxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHNldE1lcmdlckNvbmZpZyhnYW1lUm9vdFBhdGgsIHNjcmlwdE1lcmdlclBhdGgpIHtcclxuICBjb25zdCBmaW5kSW5kZXggPSAobm9kZXMsIGlkKSA9PiB7XHJcbiAgICByZXR1cm4gbm9kZXM/LmZpbmRJbmRleChpdGVyID0+IGl0ZXIuJD8ua2V5ID09PSBpZCkgPz8gdW5kZWZpbmVkO1xyXG4gIH07XHJcblxyXG4gIGNvbnN0IGNvbmZpZ0ZpbGVQYXRoID0gcGF0aC5qb2luKHNjcmlwdE1lcmdlclBhdGgsIE1FUkdFUl9DT05GSUdfRklMRSk7XHJcbiAgdHJ5IHtcclxuICAgIGNvbnN0IGRhdGEgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKGNvbmZpZ0ZpbGVQYXRoLCB7IGVuY29kaW5nOiAndXRmOCcgfSk7XHJcbiAgICBjb25zdCBjb25maWcgPSBhd2FpdCBwYXJzZVN0cmluZ1Byb21pc2UoZGF0YSk7XHJcbiAgICBjb25zdCByZXBsYWNlRWxlbWVudCA9IChpZCwgcmVwbGFjZW1lbnQpID0+IHtcclxuICAgICAgY29uc3QgaWR4ID0gZmluZEluZGV4KGNvbmZpZz8uY29uZmlndXJhdGlvbj8uYXBwU2V0dGluZ3M/LlswXT8uYWRkLCBpZCk7XHJcbiAgICAgIGlmIChpZHggIT09IHVuZGVmaW5lZCkge1xyXG4gICAgICAgIGNvbmZpZy5jb25maWd1cmF0aW9uLmFwcFNldHRpbmdzWzBdLmFkZFtpZHhdLiQgPSB7IGtleTogaWQsIHZhbHVlOiByZXBsYWNlbWVudCB9O1xyXG4gICAgICB9XHJcbiAgICB9O1xyXG5cclxuICAgIHJlcGxhY2VFbGVtZW50KCdHYW1lRGlyZWN0b3J5JywgZ2FtZVJvb3RQYXRoKTtcclxuICAgIHJlcGxhY2VFbGVtZW50KCdWYW5pbGxhU2NyaXB0c0RpcmVjdG9yeScsIHBhdGguam9pbihnYW1lUm9vdFBhdGgsICdjb250ZW50JywgJ2NvbnRlbnQwJywgJ3NjcmlwdHMnKSk7XHJcbiAgICByZXBsYWNlRWxlbWVudCgnTW9kc0RpcmVjdG9yeScsIHBhdGguam9pbihnYW1lUm9vdFBhdGgsICdtb2RzJykpO1xyXG4gICAgY29uc3QgYnVpbGRlciA9IG5ldyBCdWlsZGVyKCk7XHJcbiAgICBjb25zdCB4bWwgPSBidWlsZGVyLmJ1aWxkT2JqZWN0KGNvbmZpZyk7XHJcbiAgICBhd2FpdCBmcy53cml0ZUZpbGVBc3luYyhjb25maWdGaWxlUGF0aCwgeG1sKTtcclxuICB9IGNhdGNoIChlcnIpIHtcclxuICAgIC8vIEd1ZXNzIHRoZSB1c2VyIHdpbGwgaGF2ZSB0byBzZXQgdXAgdGhlIG1lcmdlciBjb25maWd1cmF0aW9uXHJcbiAgICAvLyAgdGhyb3VnaCB0aGUgbWVyZ2VyIGRpcmVjdGx5LlxyXG4gICAgcmV0dXJuO1xyXG4gIH1cclxufVxyXG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyaXB0bWVyZ2VyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsic2NyaXB0bWVyZ2VyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7OztBQUNBLGtEQUEwQjtBQUMxQixnREFBd0I7QUFDeEIsb0RBQXVCO0FBQ3ZCLDhDQUFzQjtBQUN0QixtQ0FBcUQ7QUFDckQsb0RBQTRCO0FBQzVCLDhEQUFxQztBQUNyQywyQ0FBMkQ7QUFJM0QsTUFBTSxjQUFjLEdBQUcsT0FBTyxDQUFDO0FBQy9CLE1BQU0sVUFBVSxHQUFHLHVEQUF1RCxDQUFDO0FBQzNFLE1BQU0sY0FBYyxHQUFHLHFCQUFxQixDQUFDO0FBRTdDLE1BQU0sa0JBQWtCLEdBQUcsZ0NBQWdDLENBQUM7QUFFNUQsTUFBTSxFQUFFLE9BQU8sRUFBRSxrQkFBa0IsRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUM7QUFFdkYsTUFBTSx1QkFBdUIsR0FBRyxxQkFBcUIsQ0FBQztBQUd0RCxTQUFTLEtBQUssQ0FBQyxPQUFPLEVBQUUsT0FBTztJQUM3QixPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ3JDLE1BQU0sTUFBTSxHQUFHLGFBQUcsQ0FBQyxLQUFLLENBQUMsR0FBRyxPQUFPLElBQUksT0FBTyxFQUFFLENBQUMsQ0FBQztRQUNsRCxNQUFNLE9BQU8sbUNBQ1IsZ0JBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUMsTUFBTSxFQUFFLFVBQVUsRUFBRSxNQUFNLENBQUMsQ0FBQyxLQUMvQyxPQUFPLEVBQUU7Z0JBQ1AsWUFBWSxFQUFFLFFBQVE7YUFDdkIsR0FDRixDQUFDO1FBRUYsZUFBSyxDQUFDLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxHQUFHLEVBQUUsRUFBRTtZQUN6QixHQUFHLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQ3pCLE1BQU0sT0FBTyxHQUFHLEdBQUcsQ0FBQyxPQUFxQyxDQUFDO1lBQzFELE1BQU0sY0FBYyxHQUFHLFFBQVEsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUcsdUJBQXVCLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUN4RSxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsS0FBSyxHQUFHLENBQUMsSUFBSSxDQUFDLGNBQWMsS0FBSyxDQUFDLENBQUMsRUFBRTtnQkFDdEQsTUFBTSxTQUFTLEdBQUcsUUFBUSxDQUFDLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRyxtQkFBbUIsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQztnQkFDdEUsSUFBQSxnQkFBRyxFQUFDLE1BQU0sRUFBRSw0QkFBNEIsRUFDdEMsRUFBRSxRQUFRLEVBQUUsQ0FBQyxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDbEQsT0FBTyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyw0QkFBNEIsQ0FBQyxDQUFDLENBQUM7YUFDdkU7WUFFRCxJQUFJLE1BQU0sR0FBRyxFQUFFLENBQUM7WUFDaEIsR0FBRztpQkFDQSxFQUFFLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxJQUFJLElBQUksQ0FBQztpQkFDbEMsRUFBRSxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUU7Z0JBQ2QsSUFBSTtvQkFDRixPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7aUJBQ3BDO2dCQUFDLE9BQU8sUUFBUSxFQUFFO29CQUNqQixPQUFPLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztpQkFDekI7WUFDSCxDQUFDLENBQUMsQ0FBQztRQUNQLENBQUMsQ0FBQzthQUNDLEVBQUUsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLEVBQUU7WUFDakIsT0FBTyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDckIsQ0FBQyxDQUFDO2FBQ0QsR0FBRyxFQUFFLENBQUM7SUFDWCxDQUFDLENBQUMsQ0FBQztBQUNMLENBQUM7QUFFRCxTQUFTLGlCQUFpQixDQUFDLElBQUk7SUFDN0IsTUFBTSxNQUFNLEdBQUcsYUFBRyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUMvQixPQUFPLGlDQUNGLGdCQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsTUFBTSxDQUFDLENBQUMsS0FDL0MsT0FBTyxFQUFFO1lBQ1AsWUFBWSxFQUFFLFFBQVE7U0FDdkIsSUFDRCxDQUFDO0FBQ0wsQ0FBQztBQUVELFNBQWUsZUFBZSxDQUFDLEdBQXdCOztRQUVyRCxPQUFPLElBQUksT0FBTyxDQUFPLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1lBQzNDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLHlCQUF5QixFQUFFO2dCQUNoRCxNQUFNLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyxrRUFBa0U7c0JBQ3BGLG1GQUFtRjtzQkFDbkYsMEZBQTBGO3NCQUMxRix1R0FBdUc7c0JBQ3ZHLGdIQUFnSDtzQkFDaEgsOElBQThJO3NCQUM5SSw0SUFBNEksRUFBRSxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQzthQUMzSyxFQUFFO2dCQUNELEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxZQUFZLEVBQUUsQ0FBQyxFQUFFO2dCQUNsRSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sRUFBRSxFQUFFO2FBQy9DLENBQUMsQ0FBQztRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztDQUFBO0FBRUQsU0FBZSxnQkFBZ0IsQ0FBQyxHQUF3Qjs7O1FBQ3RELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbkMsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDckcsSUFBSSxDQUFBLFNBQVMsYUFBVCxTQUFTLHVCQUFULFNBQVMsQ0FBRSxJQUFJLE1BQUssU0FBUyxFQUFFO1lBQ2pDLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsVUFBVSxDQUFDLDRCQUE0QixDQUFDLENBQUMsQ0FBQztTQUMxRTtRQUNELE1BQU0sTUFBTSxHQUFHLE1BQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLEtBQUssMENBQUUsY0FBYyxDQUFDO1FBQ2hELElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUN4QixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDbkM7UUFFRCxJQUFJLENBQUMsQ0FBQyxDQUFBLE1BQU0sYUFBTixNQUFNLHVCQUFOLE1BQU0sQ0FBRSxJQUFJLENBQUEsRUFBRTtZQUNsQixPQUFPLGVBQUUsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQztpQkFDN0IsSUFBSSxDQUFDLEdBQUcsRUFBRTtnQkFDVCxJQUFJLENBQUEsTUFBTSxhQUFOLE1BQU0sdUJBQU4sTUFBTSxDQUFFLGFBQWEsTUFBSyxTQUFTLEVBQUU7b0JBQ3ZDLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLENBQUM7aUJBQzlDO2dCQUNELE1BQU0sV0FBVyxHQUFHLElBQUEscUJBQVUsRUFBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQzVDLElBQUksQ0FBQyxDQUFDLFdBQVcsRUFBRTtvQkFDakIsTUFBTSxjQUFjLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztvQkFDcEUsTUFBTSxjQUFjLG1DQUFRLE1BQU0sS0FBRSxhQUFhLEVBQUUsY0FBYyxHQUFFLENBQUM7b0JBQ3BFLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsaUJBQWlCLENBQUMsVUFBVSxFQUFFLGdCQUFnQixFQUFFLGNBQWMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO29CQUNsRyxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsY0FBYyxDQUFDLENBQUM7aUJBQ3hDO1lBQ0gsQ0FBQyxDQUFDO2lCQUNELEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztTQUM3QzthQUFNO1lBQ0wsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DOztDQUNGO0FBRUQsSUFBSSxXQUFXLENBQUM7QUFDaEIsU0FBZSxRQUFRLENBQUMsR0FBd0I7O1FBQzlDLElBQUksV0FBVyxLQUFLLFNBQVMsRUFBRTtZQUM3QixJQUFJO2dCQUNGLE1BQU0sSUFBSSxHQUFHLE1BQU0sZUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxlQUFlLENBQUMsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO2dCQUNqRyxXQUFXLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUNoQztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUlaLEdBQUcsQ0FBQyxxQkFBcUIsQ0FBQywwQkFBMEIsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDM0QsT0FBTyxXQUFXLEdBQUcsRUFBRSxDQUFDO2FBQ3pCO1NBQ0Y7UUFFRCxPQUFPLFdBQVcsQ0FBQztJQUNyQixDQUFDO0NBQUE7QUFFRCxTQUFlLGtCQUFrQixDQUFDLEdBQUcsRUFBRSxXQUFXLEVBQUUsaUJBQWlCOztRQUNuRSxPQUFPLElBQUksT0FBTyxDQUFDLENBQU8sT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1lBQzNDLElBQUksV0FBVyxDQUFDO1lBQ2hCLElBQUk7Z0JBQ0YsV0FBVyxHQUFHLE1BQU0sT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDO2FBQzFDO1lBQUMsT0FBTyxHQUFHLEVBQUU7Z0JBQ1osT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksa0JBQWtCLENBQUMsMEJBQTBCLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQzthQUN4RjtZQUNELE1BQU0sU0FBUyxHQUFHLE1BQU0sUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3RDLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLGVBQWUsQ0FBQyxXQUFXLEVBQUUsS0FBSyxXQUFXLENBQUM7bUJBQ3JELENBQUMsS0FBSyxDQUFDLE9BQU8sS0FBSyxpQkFBaUIsQ0FBQyxDQUFDLEtBQUssU0FBUyxFQUFFO2dCQUVoRixPQUFPLE1BQU0sQ0FBQyxJQUFJLGtCQUFrQixDQUFDLDRCQUE0QixFQUFFLFdBQVcsQ0FBQyxDQUFDLENBQUM7YUFDbEY7WUFFRCxPQUFPLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQztRQUM5QixDQUFDLENBQUEsQ0FBQzthQUNELElBQUksQ0FBQyxDQUFDLFdBQVcsRUFBRSxFQUFFLENBQUMsbUJBQW1CLENBQUMsR0FBRyxFQUFFLFdBQVcsQ0FBQyxDQUFDO2FBQzVELElBQUksQ0FBQyxDQUFPLFVBQVUsRUFBRSxFQUFFO1lBQ3pCLE1BQU0sVUFBVSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFLHlCQUF5QixDQUFDLENBQUM7WUFDcEUsSUFBSSxRQUFRLENBQUM7WUFDYixJQUFJO2dCQUNGLFFBQVEsR0FBRyxNQUFNLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQzthQUN0QztZQUFDLE9BQU8sR0FBRyxFQUFFO2dCQUNaLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGtCQUFrQixDQUFDLDBCQUEwQixFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUM7YUFDdkY7WUFDRCxNQUFNLFNBQVMsR0FBRyxNQUFNLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUN0QyxJQUFJLFNBQVMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxZQUFZLENBQUMsV0FBVyxFQUFFLEtBQUssUUFBUSxDQUFDO21CQUMvQyxDQUFDLEtBQUssQ0FBQyxPQUFPLEtBQUssaUJBQWlCLENBQUMsQ0FBQyxLQUFLLFNBQVMsRUFBRTtnQkFFaEYsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksa0JBQWtCLENBQUMsc0JBQXNCLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQzthQUNuRjtZQUVELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUNyQyxDQUFDLENBQUEsQ0FBQzthQUNELElBQUksQ0FBQyxDQUFDLFVBQVUsRUFBRSxFQUFFLENBQUMsV0FBVyxDQUFDLEdBQUcsRUFBRSxpQkFBaUIsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFBO0lBQ3hFLENBQUM7Q0FBQTtBQUVELFNBQXNCLGtCQUFrQixDQUFDLEdBQUcsRUFBRSxNQUFNLEdBQUcsS0FBSzs7O1FBQzFELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3QixNQUFNLFNBQVMsR0FBRyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxVQUFVLEVBQUUsVUFBVSxFQUFFLFlBQVksRUFBRSxVQUFVLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNyRyxJQUFJLENBQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFFLElBQUksTUFBSyxTQUFTLEVBQUU7WUFDakMsT0FBTyxTQUFTLENBQUM7U0FDbEI7UUFDRCxNQUFNLFdBQVcsR0FBRyxNQUFBLE1BQUEsU0FBUyxDQUFDLEtBQUssMENBQUUsY0FBYywwQ0FBRSxJQUFJLENBQUM7UUFDMUQsSUFBSTtZQUNGLElBQUksQ0FBQyxXQUFXLEVBQUU7Z0JBQ2hCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLENBQUMsQ0FBQzthQUM3QztZQUNELE1BQU0sZUFBRSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUMsQ0FBQztZQUNoQyxPQUFPLFdBQVcsQ0FBQztTQUNwQjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osTUFBTSxXQUFXLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxDQUFDO1lBQzlELElBQUksTUFBTSxFQUFFO2dCQUNWLE1BQU0sZUFBRSxDQUFDLHNCQUFzQixDQUFDLFdBQVcsQ0FBQyxDQUFDO2FBQzlDO1lBQ0QsT0FBTyxXQUFXLENBQUM7U0FDcEI7O0NBQ0Y7QUFwQkQsZ0RBb0JDO0FBRUQsU0FBc0Isb0JBQW9CLENBQUMsR0FBd0I7O1FBQ2pFLE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbkMsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDckcsSUFBSSxDQUFBLFNBQVMsYUFBVCxTQUFTLHVCQUFULFNBQVMsQ0FBRSxJQUFJLE1BQUssU0FBUyxFQUFFO1lBQ2pDLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsVUFBVSxDQUFDLDRCQUE0QixDQUFDLENBQUMsQ0FBQztTQUMxRTtRQUNELElBQUksaUJBQWlCLENBQUM7UUFDdEIsTUFBTSx5QkFBeUIsR0FBRyxNQUFNLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzlELE1BQU0sZUFBZSxHQUFHLDhCQUE4QixDQUFDO1FBQ3ZELE9BQU8sS0FBSyxDQUFDLFVBQVUsRUFBRSxVQUFVLENBQUM7YUFDakMsSUFBSSxDQUFDLENBQUMsUUFBUSxFQUFFLEVBQUU7WUFDakIsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUU7Z0JBQzVCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsV0FBVyxDQUFDLG1DQUFtQyxDQUFDLENBQUMsQ0FBQzthQUNsRjtZQUNELE1BQU0sT0FBTyxHQUFHLFFBQVE7aUJBQ3JCLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGdCQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxnQkFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxDQUFDO2lCQUM3RSxJQUFJLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQyxnQkFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBRTFELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNsQyxDQUFDLENBQUM7YUFDRCxJQUFJLENBQUMsQ0FBTSxjQUFjLEVBQUMsRUFBRTs7WUFDM0IsaUJBQWlCLEdBQUcsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztZQUMzQyxNQUFNLFFBQVEsR0FBRyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztZQUNsRCxNQUFNLFlBQVksR0FBRyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLG9CQUFvQixDQUFDO1lBQ3RFLElBQUksQ0FBQyxDQUFDLHlCQUF5QixJQUFJLGdCQUFNLENBQUMsR0FBRyxDQUFDLHlCQUF5QixFQUFFLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRTtnQkFDaEcsT0FBTyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsb0JBQW9CLENBQUMsQ0FBQyxDQUFDO2FBQ3ZFO1lBRUQsTUFBTSxhQUFhLEdBQXdCO2dCQUN6QyxFQUFFLEVBQUUsZUFBZTtnQkFDbkIsSUFBSSxFQUFFLFVBQVU7Z0JBQ2hCLEtBQUssRUFBRSxzQkFBc0I7Z0JBQzdCLE9BQU8sRUFBRSwyQkFBMkI7YUFDckMsQ0FBQTtZQUNELE1BQU0sUUFBUSxHQUFHLEdBQVMsRUFBRTtnQkFDMUIsR0FBRyxDQUFDLGdCQUFnQixpQ0FDZixhQUFhLEtBQ2hCLFFBQVEsRUFBRSxDQUFDLElBQ1gsQ0FBQztnQkFDSCxJQUFJLGNBQWMsQ0FBQztnQkFDbkIsY0FBYyxHQUFHLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7b0JBQ3JELE1BQU0sT0FBTyxHQUFHLGlCQUFpQixDQUFDLFlBQVksQ0FBQyxDQUFDO29CQUNoRCxlQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBRTt3QkFDM0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssU0FBUyxDQUFDOzRCQUM1QyxDQUFDLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUM7NEJBQ2xDLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxpQkFBSSxDQUFDLGVBQWUsQ0FBQyxxQ0FBcUMsQ0FBQyxDQUFDLENBQUM7b0JBQzlFLENBQUMsQ0FBQzt5QkFDQyxFQUFFLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO3lCQUMvQixHQUFHLEVBQUUsQ0FBQztnQkFDWCxDQUFDLENBQUMsQ0FBQztnQkFDSCxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO29CQUNyQyxNQUFNLE9BQU8sR0FBRyxpQkFBaUIsQ0FBQyxjQUFjLENBQUMsQ0FBQztvQkFDbEQsZUFBSyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLEVBQUU7d0JBQzNCLEdBQUcsQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLENBQUM7d0JBQzFCLE1BQU0sT0FBTyxHQUFHLEdBQUcsQ0FBQyxPQUFxQyxDQUFDO3dCQUMxRCxNQUFNLGFBQWEsR0FBRyxRQUFRLENBQUMsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFHLGdCQUFnQixDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7d0JBQ2hFLE1BQU0sY0FBYyxHQUFHLFFBQVEsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUcsdUJBQXVCLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQzt3QkFDeEUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLEtBQUssR0FBRyxDQUFDLElBQUksQ0FBQyxjQUFjLEtBQUssQ0FBQyxDQUFDLEVBQUU7NEJBQ3RELE1BQU0sU0FBUyxHQUFHLFFBQVEsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUcsbUJBQW1CLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxJQUFJLENBQUM7NEJBQ3RFLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsNEJBQTRCLEVBQ3RDLEVBQUUsUUFBUSxFQUFFLENBQUMsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLENBQUM7NEJBQ2xELE9BQU8sTUFBTSxDQUFDLElBQUksaUJBQUksQ0FBQyxlQUFlLENBQUMsNEJBQTRCLENBQUMsQ0FBQyxDQUFDO3lCQUN2RTt3QkFFRCxJQUFJLE1BQU0sR0FBRyxFQUFFLENBQUM7d0JBQ2hCLEdBQUc7NkJBQ0EsRUFBRSxDQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsRUFBRTs0QkFDakIsTUFBTSxJQUFJLElBQUksQ0FBQTs0QkFDZCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsR0FBRyxLQUFLLENBQUMsRUFBRTtnQ0FJN0IsR0FBRyxDQUFDLGdCQUFnQixpQ0FDZixhQUFhLEtBQ2hCLFFBQVEsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsYUFBYSxDQUFDLEdBQUcsR0FBRyxJQUMvQyxDQUFDOzZCQUNKO3dCQUNILENBQUMsQ0FBQzs2QkFDRCxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRTs0QkFDZCxHQUFHLENBQUMsZ0JBQWdCLGlDQUNmLGFBQWEsS0FDaEIsUUFBUSxFQUFFLEdBQUcsSUFDYixDQUFDOzRCQUNILEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxlQUFlLENBQUMsQ0FBQzs0QkFDekMsT0FBTyxlQUFFLENBQUMsY0FBYyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsRUFBRSxNQUFNLEVBQUUsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUM7aUNBQzFGLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7aUNBQ3hELEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO3dCQUMvQixDQUFDLENBQUMsQ0FBQztvQkFDUCxDQUFDLENBQUM7eUJBQ0MsRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzt5QkFDL0IsR0FBRyxFQUFFLENBQUM7Z0JBQ1gsQ0FBQyxDQUFDLENBQUM7WUFDTCxDQUFDLENBQUEsQ0FBQTtZQUVELElBQUksQ0FBQyxDQUFDLHlCQUF5QixJQUFJLENBQUMsQ0FBQyx5QkFBeUIsS0FBSyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQSxNQUFBLFNBQVMsYUFBVCxTQUFTLHVCQUFULFNBQVMsQ0FBRSxLQUFLLDBDQUFFLGNBQWMsQ0FBQSxDQUFDLEVBQUU7Z0JBQ3BILEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQztvQkFDbkIsRUFBRSxFQUFFLGVBQWU7b0JBQ25CLElBQUksRUFBRSxTQUFTO29CQUNmLFNBQVMsRUFBRSxJQUFJO29CQUNmLE9BQU8sRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLDBDQUEwQyxFQUMvRCxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQztvQkFDMUIsT0FBTyxFQUFFLENBQUUsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxPQUFPLENBQUMsRUFBRTtnQ0FDaEQsT0FBTyxFQUFFLENBQUM7Z0NBQ1YsT0FBTyxRQUFRLEVBQUU7cUNBQ2QsSUFBSSxDQUFDLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsV0FBVyxFQUFFLGlCQUFpQixDQUFDLENBQUM7cUNBQzlFLEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRTtvQ0FDWCxHQUFHLENBQUMsbUJBQW1CLENBQUMsY0FBYyxDQUFDLENBQUM7b0NBQ3hDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxlQUFlLENBQUMsQ0FBQztvQ0FDekMsSUFBSSxHQUFHLFlBQVksa0JBQWtCLElBQUksR0FBRyxZQUFZLGlCQUFJLENBQUMsZUFBZSxFQUFFO3dDQUM1RSxJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLCtDQUErQyxFQUFFLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQzt3Q0FDaEYsR0FBRyxDQUFDLGdCQUFnQixDQUFDOzRDQUNuQixJQUFJLEVBQUUsT0FBTzs0Q0FDYixPQUFPLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyx1Q0FBdUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQzs0Q0FDeEYsT0FBTyxFQUFFO2dEQUNQO29EQUNFLEtBQUssRUFBRSxrQkFBa0I7b0RBQ3pCLE1BQU0sRUFBRSxHQUFHLEVBQUUsQ0FBQyxpQkFBSSxDQUFDLEdBQUcsQ0FBQyw2Q0FBNkMsQ0FBQzt5REFDOUQsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDO2lEQUMxQjs2Q0FBQzt5Q0FDTCxDQUFDLENBQUE7d0NBQ0YsT0FBTyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7cUNBQzFCO29DQUtELEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQzt3Q0FDbkIsSUFBSSxFQUFFLE1BQU07d0NBQ1osT0FBTyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsNkRBQTZELEVBQUUsRUFBRSxFQUFFLEVBQUUsZUFBZSxFQUFFLENBQUM7cUNBQy9HLENBQUMsQ0FBQTtvQ0FDRixPQUFPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztnQ0FDM0IsQ0FBQyxDQUFDLENBQUE7NEJBQ04sQ0FBQyxFQUFFLENBQUU7aUJBQ04sQ0FBQyxDQUFDO2dCQUVILE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7YUFDM0Q7WUFFRCxPQUFPLGVBQWUsQ0FBQyxHQUFHLENBQUM7aUJBQ3hCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQzVCLENBQUMsQ0FBQSxDQUFDO2FBQ0QsSUFBSSxDQUFDLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsV0FBVyxFQUFFLGlCQUFpQixDQUFDLENBQUM7YUFDOUUsS0FBSyxDQUFDLENBQU0sR0FBRyxFQUFDLEVBQUU7WUFDakIsTUFBTSx1QkFBdUIsR0FBRyxHQUFHLEVBQUU7Z0JBQ25DLElBQUEsZ0JBQUcsRUFBQyxPQUFPLEVBQUUsK0NBQStDLEVBQUUsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDO2dCQUNoRixHQUFHLENBQUMsZ0JBQWdCLENBQUM7b0JBQ25CLElBQUksRUFBRSxPQUFPO29CQUNiLE9BQU8sRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLHVDQUF1QyxFQUFFLEVBQUUsRUFBRSxFQUFFLGVBQWUsRUFBRSxDQUFDO29CQUN4RixPQUFPLEVBQUU7d0JBQ1A7NEJBQ0UsS0FBSyxFQUFFLGtCQUFrQjs0QkFDekIsTUFBTSxFQUFFLEdBQUcsRUFBRSxDQUFDLGlCQUFJLENBQUMsR0FBRyxDQUFDLDZDQUE2QyxDQUFDO2lDQUM5RCxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUM7eUJBQzFCO3FCQUFDO2lCQUNMLENBQUMsQ0FBQztZQUNMLENBQUMsQ0FBQTtZQUNELEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUN4QyxHQUFHLENBQUMsbUJBQW1CLENBQUMsZUFBZSxDQUFDLENBQUM7WUFDekMsSUFBSSxHQUFHLFlBQVksa0JBQWtCLEVBQUU7Z0JBQ3JDLHVCQUF1QixFQUFFLENBQUM7Z0JBQzFCLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2FBQzFCO1lBQ0QsSUFBSSxHQUFHLFlBQVksaUJBQUksQ0FBQyxZQUFZLEVBQUU7Z0JBQ3BDLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2FBQzFCO2lCQUFNLElBQUksR0FBRyxZQUFZLGlCQUFJLENBQUMsZUFBZSxFQUFFO2dCQUM5QyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUU7b0JBQzdFLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2lCQUMxQjtxQkFBTSxJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLHFDQUFxQyxDQUFDLEVBQUU7b0JBSXhFLElBQUEsZ0JBQUcsRUFBQyxNQUFNLEVBQUUsc0RBQXNELEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQ3pFLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2lCQUMxQjtxQkFBTSxJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLHdCQUF3QixDQUFDLEVBQUU7b0JBQzNELHVCQUF1QixFQUFFLENBQUM7b0JBQzFCLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO2lCQUMxQjthQUNGO2lCQUFNO2dCQUNMLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUM1QjtRQUNILENBQUMsQ0FBQSxDQUFDLENBQUE7SUFDTixDQUFDO0NBQUE7QUFyTEQsb0RBcUxDO0FBRUQsTUFBTSxjQUFjLEdBQUcsMEJBQTBCLENBQUM7QUFDbEQsTUFBTSxZQUFZLEdBQUc7SUFDbkIsRUFBRSxFQUFFLGNBQWM7SUFDbEIsSUFBSSxFQUFFLFVBQVU7SUFDaEIsS0FBSyxFQUFFLDBCQUEwQjtDQUNsQyxDQUFBO0FBQ0QsU0FBZSxtQkFBbUIsQ0FBQyxHQUFHLEVBQUUsV0FBVzs7UUFDakQsTUFBTSxXQUFXLEdBQUcsTUFBTSxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFDeEQsSUFBSSxXQUFXLEtBQUssU0FBUyxFQUFFO1lBRTdCLE9BQU8sT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGlCQUFJLENBQUMsZUFBZSxDQUFDLHdCQUF3QixDQUFDLENBQUMsQ0FBQztTQUMzRTtRQUNELE1BQU0sSUFBSSxHQUFHLElBQUksaUJBQUksQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUNqQyxHQUFHLENBQUMsZ0JBQWdCLENBQUMsWUFBWSxDQUFDLENBQUM7UUFDbkMsTUFBTSxJQUFJLENBQUMsV0FBVyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUMsQ0FBQztRQUNqRCxHQUFHLENBQUMsZ0JBQWdCLENBQUM7WUFDbkIsSUFBSSxFQUFFLE1BQU07WUFDWixPQUFPLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyx5Q0FBeUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsQ0FBQztTQUMzRixDQUFDLENBQUM7UUFDSCxHQUFHLENBQUMsbUJBQW1CLENBQUMsY0FBYyxDQUFDLENBQUM7UUFDeEMsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQ3RDLENBQUM7Q0FBQTtBQUVELFNBQWUsV0FBVyxDQUFDLEdBQUcsRUFBRSxhQUFhLEVBQUUsT0FBTzs7O1FBQ3BELE1BQU0sS0FBSyxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbkMsTUFBTSxTQUFTLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsVUFBVSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDckcsTUFBTSxjQUFjLEdBQUcsTUFBQSxTQUFTLGFBQVQsU0FBUyx1QkFBVCxTQUFTLENBQUUsS0FBSywwQ0FBRSxjQUFjLENBQUM7UUFFeEQsTUFBTSxjQUFjLEdBQUcsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDO1lBQ3ZDLENBQUMsaUNBQU0sY0FBYyxLQUFFLGFBQWEsSUFDcEMsQ0FBQyxDQUFDO1lBQ0EsRUFBRSxFQUFFLGdCQUFnQjtZQUNwQixJQUFJLEVBQUUsa0JBQWtCO1lBQ3hCLElBQUksRUFBRSx5QkFBeUI7WUFDL0IsVUFBVSxFQUFFLEdBQUcsRUFBRSxDQUFDLHlCQUF5QjtZQUMzQyxhQUFhLEVBQUU7Z0JBQ2IseUJBQXlCO2FBQzFCO1lBQ0QsYUFBYTtTQUNkLENBQUM7UUFDSixjQUFjLENBQUMsSUFBSSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLHlCQUF5QixDQUFDLENBQUM7UUFDcEUsY0FBYyxDQUFDLGdCQUFnQixHQUFHLE9BQU8sQ0FBQztRQUMxQyxNQUFNLGVBQWUsQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQy9DLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLG9CQUFPLENBQUMsaUJBQWlCLENBQUMsVUFBVSxFQUFFLGdCQUFnQixFQUFFLGNBQWMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ2xHLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDOztDQUMxQjtBQUVELFNBQXNCLGdCQUFnQixDQUFDLGdCQUFnQjs7O1FBQ3JELE1BQU0sY0FBYyxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztRQUN2RSxJQUFJO1lBQ0YsTUFBTSxJQUFJLEdBQUcsTUFBTSxlQUFFLENBQUMsYUFBYSxDQUFDLGNBQWMsRUFBRSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO1lBQzFFLE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSwyQkFBa0IsRUFBQyxJQUFJLENBQUMsQ0FBQztZQUM5QyxNQUFNLFdBQVcsR0FBRyxNQUFBLE1BQUEsTUFBQSxNQUFNLGFBQU4sTUFBTSx1QkFBTixNQUFNLENBQUUsYUFBYSwwQ0FBRSxXQUFXLDBDQUFHLENBQUMsQ0FBQywwQ0FBRSxHQUFHLENBQUM7WUFDakUsTUFBTSxhQUFhLEdBQUcsTUFBQSxXQUFXLGFBQVgsV0FBVyx1QkFBWCxXQUFXLENBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLFdBQUMsT0FBQSxDQUFBLE1BQUEsSUFBSSxDQUFDLENBQUMsMENBQUUsR0FBRyxNQUFLLGVBQWUsQ0FBQSxFQUFBLENBQUMsbUNBQUksU0FBUyxDQUFDO1lBQzlGLElBQUksQ0FBQyxDQUFDLENBQUEsTUFBQSxhQUFhLGFBQWIsYUFBYSx1QkFBYixhQUFhLENBQUUsQ0FBQywwQ0FBRSxLQUFLLENBQUEsRUFBRTtnQkFDN0IsT0FBTyxhQUFhLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQzthQUM5QjtTQUNGO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFFWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLG1FQUFtRSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ3ZGLE9BQU8sdUJBQXVCLENBQUM7U0FDaEM7O0NBQ0Y7QUFmRCw0Q0FlQztBQUtELFNBQWdCLGVBQWUsQ0FBQyxHQUF3QjtJQUN0RCxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDN0IsTUFBTSxZQUFZLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUNyQyxDQUFDLFVBQVUsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUN6RixPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUEsWUFBWSxhQUFaLFlBQVksdUJBQVosWUFBWSxDQUFFLElBQUksQ0FBQSxDQUFDO1FBQzNCLENBQUMsQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUM7UUFDakMsQ0FBQyxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsaUJBQUksQ0FBQyxhQUFhLENBQUMsVUFBVSxDQUFDLEVBQUUsT0FBTyxFQUFFLFFBQVEsQ0FBQyxDQUFDO0FBQ25FLENBQUM7QUFQRCwwQ0FPQztBQUVELFNBQXNCLG9CQUFvQixDQUFDLEdBQXdCOztRQUNqRSxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDN0IsTUFBTSxZQUFZLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUNyQyxDQUFDLFVBQVUsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUN6RixNQUFNLGFBQWEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFBLFlBQVksYUFBWixZQUFZLHVCQUFaLFlBQVksQ0FBRSxJQUFJLENBQUEsQ0FBQztZQUMxQyxDQUFDLENBQUMsTUFBTSxnQkFBZ0IsQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN6RCxDQUFDLENBQUMsU0FBUyxDQUFDO1FBQ2QsT0FBTyxhQUFhLGFBQWIsYUFBYSxjQUFiLGFBQWEsR0FBSSx1QkFBdUIsQ0FBQztJQUNsRCxDQUFDO0NBQUE7QUFSRCxvREFRQztBQUVELFNBQXNCLGVBQWUsQ0FBQyxZQUFZLEVBQUUsZ0JBQWdCOztRQUNsRSxNQUFNLFNBQVMsR0FBRyxDQUFDLEtBQUssRUFBRSxFQUFFLEVBQUUsRUFBRTs7WUFDOUIsT0FBTyxNQUFBLEtBQUssYUFBTCxLQUFLLHVCQUFMLEtBQUssQ0FBRSxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsV0FBQyxPQUFBLENBQUEsTUFBQSxJQUFJLENBQUMsQ0FBQywwQ0FBRSxHQUFHLE1BQUssRUFBRSxDQUFBLEVBQUEsQ0FBQyxtQ0FBSSxTQUFTLENBQUM7UUFDbkUsQ0FBQyxDQUFDO1FBRUYsTUFBTSxjQUFjLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1FBQ3ZFLElBQUk7WUFDRixNQUFNLElBQUksR0FBRyxNQUFNLGVBQUUsQ0FBQyxhQUFhLENBQUMsY0FBYyxFQUFFLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDMUUsTUFBTSxNQUFNLEdBQUcsTUFBTSxJQUFBLDJCQUFrQixFQUFDLElBQUksQ0FBQyxDQUFDO1lBQzlDLE1BQU0sY0FBYyxHQUFHLENBQUMsRUFBRSxFQUFFLFdBQVcsRUFBRSxFQUFFOztnQkFDekMsTUFBTSxHQUFHLEdBQUcsU0FBUyxDQUFDLE1BQUEsTUFBQSxNQUFBLE1BQU0sYUFBTixNQUFNLHVCQUFOLE1BQU0sQ0FBRSxhQUFhLDBDQUFFLFdBQVcsMENBQUcsQ0FBQyxDQUFDLDBDQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDeEUsSUFBSSxHQUFHLEtBQUssU0FBUyxFQUFFO29CQUNyQixNQUFNLENBQUMsYUFBYSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsV0FBVyxFQUFFLENBQUM7aUJBQ2xGO1lBQ0gsQ0FBQyxDQUFDO1lBRUYsY0FBYyxDQUFDLGVBQWUsRUFBRSxZQUFZLENBQUMsQ0FBQztZQUM5QyxjQUFjLENBQUMseUJBQXlCLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQ3JHLGNBQWMsQ0FBQyxlQUFlLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQztZQUNqRSxNQUFNLE9BQU8sR0FBRyxJQUFJLGdCQUFPLEVBQUUsQ0FBQztZQUM5QixNQUFNLEdBQUcsR0FBRyxPQUFPLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3hDLE1BQU0sZUFBRSxDQUFDLGNBQWMsQ0FBQyxjQUFjLEVBQUUsR0FBRyxDQUFDLENBQUM7U0FDOUM7UUFBQyxPQUFPLEdBQUcsRUFBRTtZQUdaLE9BQU87U0FDUjtJQUNILENBQUM7Q0FBQTtBQTNCRCwwQ0EyQkMiLCJzb3VyY2VzQ29udGVudCI6WyIvKiBlc2xpbnQtZGlzYWJsZSAqL1xuaW1wb3J0IGh0dHBzIGZyb20gJ2h0dHBzJztcbmltcG9ydCBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IF8gZnJvbSAnbG9kYXNoJztcbmltcG9ydCB1cmwgZnJvbSAndXJsJztcbmltcG9ydCB7IEJ1aWxkZXIsIHBhcnNlU3RyaW5nUHJvbWlzZSB9IGZyb20gJ3htbDJqcyc7XG5pbXBvcnQgc2VtdmVyIGZyb20gJ3NlbXZlcic7XG5pbXBvcnQgZ2V0VmVyc2lvbiBmcm9tICdleGUtdmVyc2lvbic7XG5pbXBvcnQgeyBhY3Rpb25zLCBmcywgdHlwZXMsIGxvZywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBJSW5jb21pbmdHaXRodWJIdHRwSGVhZGVycyB9IGZyb20gJy4vdHlwZXMnO1xuXG5jb25zdCBSRUxFQVNFX0NVVE9GRiA9ICcwLjYuNSc7XG5jb25zdCBHSVRIVUJfVVJMID0gJ2h0dHBzOi8vYXBpLmdpdGh1Yi5jb20vcmVwb3MvSURDcy9XaXRjaGVyU2NyaXB0TWVyZ2VyJztcbmNvbnN0IE1FUkdFUl9SRUxQQVRIID0gJ1dpdGNoZXJTY3JpcHRNZXJnZXInO1xuXG5jb25zdCBNRVJHRVJfQ09ORklHX0ZJTEUgPSAnV2l0Y2hlclNjcmlwdE1lcmdlci5leGUuY29uZmlnJztcblxuY29uc3QgeyBnZXRIYXNoLCBNRDVDb21wYXJpc29uRXJyb3IsIEdBTUVfSUQsIFNDUklQVF9NRVJHRVJfSUQgfSA9IHJlcXVpcmUoJy4vY29tbW9uJyk7XG5cbmNvbnN0IERFRkFVTFRfTUVSR0VEX01PRF9OQU1FID0gJ21vZDAwMDBfTWVyZ2VkRmlsZXMnO1xuXG5cbmZ1bmN0aW9uIHF1ZXJ5KGJhc2VVcmwsIHJlcXVlc3QpIHtcbiAgcmV0dXJuIG5ldyBQcm9taXNlKChyZXNvbHZlLCByZWplY3QpID0+IHtcbiAgICBjb25zdCByZWxVcmwgPSB1cmwucGFyc2UoYCR7YmFzZVVybH0vJHtyZXF1ZXN0fWApO1xuICAgIGNvbnN0IG9wdGlvbnMgPSB7XG4gICAgICAuLi5fLnBpY2socmVsVXJsLCBbJ3BvcnQnLCAnaG9zdG5hbWUnLCAncGF0aCddKSxcbiAgICAgIGhlYWRlcnM6IHtcbiAgICAgICAgJ1VzZXItQWdlbnQnOiAnVm9ydGV4JyxcbiAgICAgIH0sXG4gICAgfTtcblxuICAgIGh0dHBzLmdldChvcHRpb25zLCAocmVzKSA9PiB7XG4gICAgICByZXMuc2V0RW5jb2RpbmcoJ3V0Zi04Jyk7XG4gICAgICBjb25zdCBoZWFkZXJzID0gcmVzLmhlYWRlcnMgYXMgSUluY29taW5nR2l0aHViSHR0cEhlYWRlcnM7XG4gICAgICBjb25zdCBjYWxsc1JlbWFpbmluZyA9IHBhcnNlSW50KGhlYWRlcnM/LlsneC1yYXRlbGltaXQtcmVtYWluaW5nJ10sIDEwKTtcbiAgICAgIGlmICgocmVzLnN0YXR1c0NvZGUgPT09IDQwMykgJiYgKGNhbGxzUmVtYWluaW5nID09PSAwKSkge1xuICAgICAgICBjb25zdCByZXNldERhdGUgPSBwYXJzZUludChoZWFkZXJzPy5bJ3gtcmF0ZWxpbWl0LXJlc2V0J10sIDEwKSAqIDEwMDA7XG4gICAgICAgIGxvZygnaW5mbycsICdHaXRIdWIgcmF0ZSBsaW1pdCBleGNlZWRlZCcsXG4gICAgICAgICAgeyByZXNldF9hdDogKG5ldyBEYXRlKHJlc2V0RGF0ZSkpLnRvU3RyaW5nKCkgfSk7XG4gICAgICAgIHJldHVybiByZWplY3QobmV3IHV0aWwuUHJvY2Vzc0NhbmNlbGVkKCdHaXRIdWIgcmF0ZSBsaW1pdCBleGNlZWRlZCcpKTtcbiAgICAgIH1cblxuICAgICAgbGV0IG91dHB1dCA9ICcnO1xuICAgICAgcmVzXG4gICAgICAgIC5vbignZGF0YScsIGRhdGEgPT4gb3V0cHV0ICs9IGRhdGEpXG4gICAgICAgIC5vbignZW5kJywgKCkgPT4ge1xuICAgICAgICAgIHRyeSB7XG4gICAgICAgICAgICByZXR1cm4gcmVzb2x2ZShKU09OLnBhcnNlKG91dHB1dCkpO1xuICAgICAgICAgIH0gY2F0Y2ggKHBhcnNlRXJyKSB7XG4gICAgICAgICAgICByZXR1cm4gcmVqZWN0KHBhcnNlRXJyKTtcbiAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgIH0pXG4gICAgICAub24oJ2Vycm9yJywgZXJyID0+IHtcbiAgICAgICAgcmV0dXJuIHJlamVjdChlcnIpO1xuICAgICAgfSlcbiAgICAgIC5lbmQoKTtcbiAgfSk7XG59XG5cbmZ1bmN0aW9uIGdldFJlcXVlc3RPcHRpb25zKGxpbmspIHtcbiAgY29uc3QgcmVsVXJsID0gdXJsLnBhcnNlKGxpbmspO1xuICByZXR1cm4gKHtcbiAgICAuLi5fLnBpY2socmVsVXJsLCBbJ3BvcnQnLCAnaG9zdG5hbWUnLCAncGF0aCddKSxcbiAgICBoZWFkZXJzOiB7XG4gICAgICAnVXNlci1BZ2VudCc6ICdWb3J0ZXgnLFxuICAgIH0sXG4gIH0pO1xufVxuXG5hc3luYyBmdW5jdGlvbiBkb3dubG9hZENvbnNlbnQoYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XG4gIFxuICByZXR1cm4gbmV3IFByb21pc2U8dm9pZD4oKHJlc29sdmUsIHJlamVjdCkgPT4ge1xuICAgIGFwaS5zaG93RGlhbG9nKCdpbmZvJywgJ1dpdGNoZXIgMyBTY3JpcHQgTWVyZ2VyJywge1xuICAgICAgYmJjb2RlOiBhcGkudHJhbnNsYXRlKCdNYW55IFdpdGNoZXIgMyBtb2RzIGFkZCBvciBlZGl0IGdhbWUgc2NyaXB0cy4gV2hlbiBzZXZlcmFsIG1vZHMgJyBcbiAgICAgICAgKyAnZWRpdGluZyB0aGUgc2FtZSBzY3JpcHQgYXJlIGluc3RhbGxlZCwgdGhlc2UgbW9kcyBuZWVkIHRvIGJlIG1lcmdlZCB1c2luZyBhIHRvb2wgJyBcbiAgICAgICAgKyAnY2FsbGVkIFdpdGNoZXIgMyBTY3JpcHQgTWVyZ2VyLiBWb3J0ZXggY2FuIGF0dGVtcHQgdG8gZG93bmxvYWQgYW5kIGNvbmZpZ3VyZSB0aGUgbWVyZ2VyICdcbiAgICAgICAgKyAnZm9yIHlvdSBhdXRvbWF0aWNhbGx5IC0gYmVmb3JlIGRvaW5nIHNvIC0gcGxlYXNlIGVuc3VyZSB5b3VyIGFjY291bnQgaGFzIGZ1bGwgcmVhZC93cml0ZSBwZXJtaXNzaW9ucyAnXG4gICAgICAgICsgJ3RvIHlvdXIgZ2FtZVxcJ3MgZGlyZWN0b3J5LiBUaGUgc2NyaXB0IG1lcmdlciBjYW4gYmUgaW5zdGFsbGVkIGF0IGEgbGF0ZXIgcG9pbnQgaWYgeW91IHdpc2guIFticl1bL2JyXVticl1bL2JyXSdcbiAgICAgICAgKyAnW3VybD1odHRwczovL3dpa2kubmV4dXNtb2RzLmNvbS9pbmRleC5waHAvVG9vbF9TZXR1cDpfV2l0Y2hlcl8zX1NjcmlwdF9NZXJnZXJdZmluZCBvdXQgbW9yZSBhYm91dCB0aGUgc2NyaXB0IG1lcmdlci5bL3VybF1bYnJdWy9icl1bYnJdWy9icl0nIFxuICAgICAgICArICdOb3RlOiBXaGlsZSBzY3JpcHQgbWVyZ2luZyB3b3JrcyB3ZWxsIHdpdGggdGhlIHZhc3QgbWFqb3JpdHkgb2YgbW9kcywgdGhlcmUgaXMgbm8gZ3VhcmFudGVlIGZvciBhIHNhdGlzZnlpbmcgb3V0Y29tZSBpbiBldmVyeSBzaW5nbGUgY2FzZS4nLCB7IG5zOiAnZ2FtZS13aXRjaGVyMycgfSksXG4gICAgfSwgW1xuICAgICAgeyBsYWJlbDogJ0NhbmNlbCcsIGFjdGlvbjogKCkgPT4gcmVqZWN0KG5ldyB1dGlsLlVzZXJDYW5jZWxlZCgpKSB9LFxuICAgICAgeyBsYWJlbDogJ0Rvd25sb2FkJywgYWN0aW9uOiAoKSA9PiByZXNvbHZlKCkgfSxcbiAgICBdKTtcbiAgfSk7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIGdldE1lcmdlclZlcnNpb24oYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpKSB7XG4gIGNvbnN0IHN0YXRlID0gYXBpLnN0b3JlLmdldFN0YXRlKCk7XG4gIGNvbnN0IGRpc2NvdmVyeSA9IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgJ3dpdGNoZXIzJ10sIHVuZGVmaW5lZCk7XG4gIGlmIChkaXNjb3Zlcnk/LnBhdGggPT09IHVuZGVmaW5lZCkge1xuICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgdXRpbC5TZXR1cEVycm9yKCdXaXRjaGVyMyBpcyBub3QgZGlzY292ZXJlZCcpKTtcbiAgfVxuICBjb25zdCBtZXJnZXIgPSBkaXNjb3Zlcnk/LnRvb2xzPy5XM1NjcmlwdE1lcmdlcjtcbiAgaWYgKG1lcmdlciA9PT0gdW5kZWZpbmVkKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xuICB9XG5cbiAgaWYgKCEhbWVyZ2VyPy5wYXRoKSB7XG4gICAgcmV0dXJuIGZzLnN0YXRBc3luYyhtZXJnZXIucGF0aClcbiAgICAgIC50aGVuKCgpID0+IHtcbiAgICAgICAgaWYgKG1lcmdlcj8ubWVyZ2VyVmVyc2lvbiAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShtZXJnZXIubWVyZ2VyVmVyc2lvbik7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgZXhlY1ZlcnNpb24gPSBnZXRWZXJzaW9uKG1lcmdlci5wYXRoKTtcbiAgICAgICAgaWYgKCEhZXhlY1ZlcnNpb24pIHtcbiAgICAgICAgICBjb25zdCB0cmltbWVkVmVyc2lvbiA9IGV4ZWNWZXJzaW9uLnNwbGl0KCcuJykuc2xpY2UoMCwgMykuam9pbignLicpO1xuICAgICAgICAgIGNvbnN0IG5ld1Rvb2xEZXRhaWxzID0geyAuLi5tZXJnZXIsIG1lcmdlclZlcnNpb246IHRyaW1tZWRWZXJzaW9uIH07XG4gICAgICAgICAgYXBpLnN0b3JlLmRpc3BhdGNoKGFjdGlvbnMuYWRkRGlzY292ZXJlZFRvb2woJ3dpdGNoZXIzJywgU0NSSVBUX01FUkdFUl9JRCwgbmV3VG9vbERldGFpbHMsIHRydWUpKTtcbiAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHRyaW1tZWRWZXJzaW9uKTtcbiAgICAgICAgfVxuICAgICAgfSlcbiAgICAgIC5jYXRjaChlcnIgPT4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCkpO1xuICB9IGVsc2Uge1xuICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUodW5kZWZpbmVkKTtcbiAgfVxufVxuXG5sZXQgX0hBU0hfQ0FDSEU7XG5hc3luYyBmdW5jdGlvbiBnZXRDYWNoZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcbiAgaWYgKF9IQVNIX0NBQ0hFID09PSB1bmRlZmluZWQpIHtcbiAgICB0cnkge1xuICAgICAgY29uc3QgZGF0YSA9IGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMocGF0aC5qb2luKF9fZGlybmFtZSwgJ01ENUNhY2hlLmpzb24nKSwgeyBlbmNvZGluZzogJ3V0ZjgnIH0pO1xuICAgICAgX0hBU0hfQ0FDSEUgPSBKU09OLnBhcnNlKGRhdGEpO1xuICAgIH0gY2F0Y2ggKGVycikge1xuICAgICAgLy8gSWYgdGhpcyBldmVyIGhhcHBlbnMgLSB0aGUgdXNlcidzIG1hY2hpbmUgbXVzdCBiZSBzY3Jld2VkLlxuICAgICAgLy8gIE1heWJlIHZpcnVzID8gZGVmZWN0aXZlIGhhcmR3YXJlID8gZGlkIGhlIG1hbnVhbGx5IG1hbmlwdWxhdGVcbiAgICAgIC8vICB0aGUgZmlsZSA/XG4gICAgICBhcGkuc2hvd0Vycm9yTm90aWZpY2F0aW9uKCdGYWlsZWQgdG8gcGFyc2UgTUQ1Q2FjaGUnLCBlcnIpO1xuICAgICAgcmV0dXJuIF9IQVNIX0NBQ0hFID0gW107XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIF9IQVNIX0NBQ0hFO1xufVxuXG5hc3luYyBmdW5jdGlvbiBvbkRvd25sb2FkQ29tcGxldGUoYXBpLCBhcmNoaXZlUGF0aCwgbW9zdFJlY2VudFZlcnNpb24pIHtcbiAgcmV0dXJuIG5ldyBQcm9taXNlKGFzeW5jIChyZXNvbHZlLCByZWplY3QpID0+IHtcbiAgICBsZXQgYXJjaGl2ZUhhc2g7XG4gICAgdHJ5IHtcbiAgICAgIGFyY2hpdmVIYXNoID0gYXdhaXQgZ2V0SGFzaChhcmNoaXZlUGF0aCk7XG4gICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IE1ENUNvbXBhcmlzb25FcnJvcignRmFpbGVkIHRvIGNhbGN1bGF0ZSBoYXNoJywgYXJjaGl2ZVBhdGgpKTtcbiAgICB9XG4gICAgY29uc3QgaGFzaENhY2hlID0gYXdhaXQgZ2V0Q2FjaGUoYXBpKTtcbiAgICBpZiAoaGFzaENhY2hlLmZpbmQoZW50cnkgPT4gKGVudHJ5LmFyY2hpdmVDaGVja3N1bS50b0xvd2VyQ2FzZSgpID09PSBhcmNoaXZlSGFzaClcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgJiYgKGVudHJ5LnZlcnNpb24gPT09IG1vc3RSZWNlbnRWZXJzaW9uKSkgPT09IHVuZGVmaW5lZCkge1xuICAgICAgLy8gTm90IGEgdmFsaWQgaGFzaCAtIHNvbWV0aGluZyBtYXkgaGF2ZSBoYXBwZW5lZCBkdXJpbmcgdGhlIGRvd25sb2FkID9cbiAgICAgIHJldHVybiByZWplY3QobmV3IE1ENUNvbXBhcmlzb25FcnJvcignQ29ycnVwdGVkIGFyY2hpdmUgZG93bmxvYWQnLCBhcmNoaXZlUGF0aCkpO1xuICAgIH1cblxuICAgIHJldHVybiByZXNvbHZlKGFyY2hpdmVQYXRoKTtcbiAgfSlcbiAgLnRoZW4oKGFyY2hpdmVQYXRoKSA9PiBleHRyYWN0U2NyaXB0TWVyZ2VyKGFwaSwgYXJjaGl2ZVBhdGgpKVxuICAudGhlbihhc3luYyAobWVyZ2VyUGF0aCkgPT4ge1xuICAgIGNvbnN0IG1lcmdlckV4ZWMgPSBwYXRoLmpvaW4obWVyZ2VyUGF0aCwgJ1dpdGNoZXJTY3JpcHRNZXJnZXIuZXhlJyk7XG4gICAgbGV0IGV4ZWNIYXNoO1xuICAgIHRyeSB7XG4gICAgICBleGVjSGFzaCA9IGF3YWl0IGdldEhhc2gobWVyZ2VyRXhlYyk7XG4gICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QobmV3IE1ENUNvbXBhcmlzb25FcnJvcignRmFpbGVkIHRvIGNhbGN1bGF0ZSBoYXNoJywgbWVyZ2VyRXhlYykpO1xuICAgIH1cbiAgICBjb25zdCBoYXNoQ2FjaGUgPSBhd2FpdCBnZXRDYWNoZShhcGkpO1xuICAgIGlmIChoYXNoQ2FjaGUuZmluZChlbnRyeSA9PiAoZW50cnkuZXhlY0NoZWNrc3VtLnRvTG93ZXJDYXNlKCkgPT09IGV4ZWNIYXNoKVxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAmJiAoZW50cnkudmVyc2lvbiA9PT0gbW9zdFJlY2VudFZlcnNpb24pKSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAvLyBOb3QgYSB2YWxpZCBoYXNoIC0gc29tZXRoaW5nIG1heSBoYXZlIGhhcHBlbmVkIGR1cmluZyBleHRyYWN0aW9uID9cbiAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgTUQ1Q29tcGFyaXNvbkVycm9yKCdDb3JydXB0ZWQgZXhlY3V0YWJsZScsIG1lcmdlckV4ZWMpKTtcbiAgICB9XG5cbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKG1lcmdlclBhdGgpO1xuICB9KVxuICAudGhlbigobWVyZ2VyUGF0aCkgPT4gc2V0VXBNZXJnZXIoYXBpLCBtb3N0UmVjZW50VmVyc2lvbiwgbWVyZ2VyUGF0aCkpXG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBnZXRTY3JpcHRNZXJnZXJEaXIoYXBpLCBjcmVhdGUgPSBmYWxzZSkge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBkaXNjb3ZlcnkgPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsnc2V0dGluZ3MnLCAnZ2FtZU1vZGUnLCAnZGlzY292ZXJlZCcsICd3aXRjaGVyMyddLCB1bmRlZmluZWQpO1xuICBpZiAoZGlzY292ZXJ5Py5wYXRoID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm4gdW5kZWZpbmVkO1xuICB9XG4gIGNvbnN0IGN1cnJlbnRQYXRoID0gZGlzY292ZXJ5LnRvb2xzPy5XM1NjcmlwdE1lcmdlcj8ucGF0aDtcbiAgdHJ5IHtcbiAgICBpZiAoIWN1cnJlbnRQYXRoKSB7XG4gICAgICB0aHJvdyBuZXcgRXJyb3IoJ1NjcmlwdCBNZXJnZXIgbm90IHNldCB1cCcpO1xuICAgIH1cbiAgICBhd2FpdCBmcy5zdGF0QXN5bmMoY3VycmVudFBhdGgpO1xuICAgIHJldHVybiBjdXJyZW50UGF0aDtcbiAgfSBjYXRjaCAoZXJyKSB7XG4gICAgY29uc3QgZGVmYXVsdFBhdGggPSBwYXRoLmpvaW4oZGlzY292ZXJ5LnBhdGgsIE1FUkdFUl9SRUxQQVRIKTtcbiAgICBpZiAoY3JlYXRlKSB7XG4gICAgICBhd2FpdCBmcy5lbnN1cmVEaXJXcml0YWJsZUFzeW5jKGRlZmF1bHRQYXRoKTtcbiAgICB9XG4gICAgcmV0dXJuIGRlZmF1bHRQYXRoO1xuICB9XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBkb3dubG9hZFNjcmlwdE1lcmdlcihhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpIHtcbiAgY29uc3Qgc3RhdGUgPSBhcGkuc3RvcmUuZ2V0U3RhdGUoKTtcbiAgY29uc3QgZGlzY292ZXJ5ID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3NldHRpbmdzJywgJ2dhbWVNb2RlJywgJ2Rpc2NvdmVyZWQnLCAnd2l0Y2hlcjMnXSwgdW5kZWZpbmVkKTtcbiAgaWYgKGRpc2NvdmVyeT8ucGF0aCA9PT0gdW5kZWZpbmVkKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlNldHVwRXJyb3IoJ1dpdGNoZXIzIGlzIG5vdCBkaXNjb3ZlcmVkJykpO1xuICB9XG4gIGxldCBtb3N0UmVjZW50VmVyc2lvbjtcbiAgY29uc3QgY3VycmVudGx5SW5zdGFsbGVkVmVyc2lvbiA9IGF3YWl0IGdldE1lcmdlclZlcnNpb24oYXBpKTtcbiAgY29uc3QgZG93bmxvYWROb3RpZklkID0gJ2Rvd25sb2FkLXNjcmlwdC1tZXJnZXItbm90aWYnO1xuICByZXR1cm4gcXVlcnkoR0lUSFVCX1VSTCwgJ3JlbGVhc2VzJylcbiAgICAudGhlbigocmVsZWFzZXMpID0+IHtcbiAgICAgIGlmICghQXJyYXkuaXNBcnJheShyZWxlYXNlcykpIHtcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLkRhdGFJbnZhbGlkKCdleHBlY3RlZCBhcnJheSBvZiBnaXRodWIgcmVsZWFzZXMnKSk7XG4gICAgICB9XG4gICAgICBjb25zdCBjdXJyZW50ID0gcmVsZWFzZXNcbiAgICAgICAgLmZpbHRlcihyZWwgPT4gc2VtdmVyLnZhbGlkKHJlbC5uYW1lKSAmJiBzZW12ZXIuZ3RlKHJlbC5uYW1lLCBSRUxFQVNFX0NVVE9GRikpXG4gICAgICAgIC5zb3J0KChsaHMsIHJocykgPT4gc2VtdmVyLmNvbXBhcmUocmhzLm5hbWUsIGxocy5uYW1lKSk7XG5cbiAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoY3VycmVudCk7XG4gICAgfSlcbiAgICAudGhlbihhc3luYyBjdXJyZW50UmVsZWFzZSA9PiB7XG4gICAgICBtb3N0UmVjZW50VmVyc2lvbiA9IGN1cnJlbnRSZWxlYXNlWzBdLm5hbWU7XG4gICAgICBjb25zdCBmaWxlTmFtZSA9IGN1cnJlbnRSZWxlYXNlWzBdLmFzc2V0c1swXS5uYW1lO1xuICAgICAgY29uc3QgZG93bmxvYWRMaW5rID0gY3VycmVudFJlbGVhc2VbMF0uYXNzZXRzWzBdLmJyb3dzZXJfZG93bmxvYWRfdXJsO1xuICAgICAgaWYgKCEhY3VycmVudGx5SW5zdGFsbGVkVmVyc2lvbiAmJiBzZW12ZXIuZ3RlKGN1cnJlbnRseUluc3RhbGxlZFZlcnNpb24sIGN1cnJlbnRSZWxlYXNlWzBdLm5hbWUpKSB7XG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlamVjdChuZXcgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQoJ0FscmVhZHkgdXAgdG8gZGF0ZScpKTtcbiAgICAgIH1cblxuICAgICAgY29uc3QgZG93bmxvYWROb3RpZjogdHlwZXMuSU5vdGlmaWNhdGlvbiA9IHtcbiAgICAgICAgaWQ6IGRvd25sb2FkTm90aWZJZCxcbiAgICAgICAgdHlwZTogJ2FjdGl2aXR5JyxcbiAgICAgICAgdGl0bGU6ICdBZGRpbmcgU2NyaXB0IE1lcmdlcicsXG4gICAgICAgIG1lc3NhZ2U6ICdUaGlzIG1heSB0YWtlIGEgbWludXRlLi4uJyxcbiAgICAgIH1cbiAgICAgIGNvbnN0IGRvd25sb2FkID0gYXN5bmMgKCkgPT4ge1xuICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICAgICAgLi4uZG93bmxvYWROb3RpZixcbiAgICAgICAgICBwcm9ncmVzczogMCxcbiAgICAgICAgfSk7XG4gICAgICAgIGxldCByZWRpcmVjdGlvblVSTDtcbiAgICAgICAgcmVkaXJlY3Rpb25VUkwgPSBhd2FpdCBuZXcgUHJvbWlzZSgocmVzb2x2ZSwgcmVqZWN0KSA9PiB7XG4gICAgICAgICAgY29uc3Qgb3B0aW9ucyA9IGdldFJlcXVlc3RPcHRpb25zKGRvd25sb2FkTGluayk7XG4gICAgICAgICAgaHR0cHMucmVxdWVzdChvcHRpb25zLCByZXMgPT4ge1xuICAgICAgICAgICAgcmV0dXJuIChyZXMuaGVhZGVyc1snbG9jYXRpb24nXSAhPT0gdW5kZWZpbmVkKVxuICAgICAgICAgICAgICA/IHJlc29sdmUocmVzLmhlYWRlcnNbJ2xvY2F0aW9uJ10pXG4gICAgICAgICAgICAgIDogcmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnRmFpbGVkIHRvIHJlc29sdmUgZG93bmxvYWQgbG9jYXRpb24nKSk7XG4gICAgICAgICAgfSlcbiAgICAgICAgICAgIC5vbignZXJyb3InLCBlcnIgPT4gcmVqZWN0KGVycikpXG4gICAgICAgICAgICAuZW5kKCk7XG4gICAgICAgIH0pO1xuICAgICAgICByZXR1cm4gbmV3IFByb21pc2UoKHJlc29sdmUsIHJlamVjdCkgPT4ge1xuICAgICAgICAgIGNvbnN0IG9wdGlvbnMgPSBnZXRSZXF1ZXN0T3B0aW9ucyhyZWRpcmVjdGlvblVSTCk7XG4gICAgICAgICAgaHR0cHMucmVxdWVzdChvcHRpb25zLCByZXMgPT4ge1xuICAgICAgICAgICAgcmVzLnNldEVuY29kaW5nKCdiaW5hcnknKTtcbiAgICAgICAgICAgIGNvbnN0IGhlYWRlcnMgPSByZXMuaGVhZGVycyBhcyBJSW5jb21pbmdHaXRodWJIdHRwSGVhZGVycztcbiAgICAgICAgICAgIGNvbnN0IGNvbnRlbnRMZW5ndGggPSBwYXJzZUludChoZWFkZXJzPy5bJ2NvbnRlbnQtbGVuZ3RoJ10sIDEwKTtcbiAgICAgICAgICAgIGNvbnN0IGNhbGxzUmVtYWluaW5nID0gcGFyc2VJbnQoaGVhZGVycz8uWyd4LXJhdGVsaW1pdC1yZW1haW5pbmcnXSwgMTApO1xuICAgICAgICAgICAgaWYgKChyZXMuc3RhdHVzQ29kZSA9PT0gNDAzKSAmJiAoY2FsbHNSZW1haW5pbmcgPT09IDApKSB7XG4gICAgICAgICAgICAgIGNvbnN0IHJlc2V0RGF0ZSA9IHBhcnNlSW50KGhlYWRlcnM/LlsneC1yYXRlbGltaXQtcmVzZXQnXSwgMTApICogMTAwMDtcbiAgICAgICAgICAgICAgbG9nKCdpbmZvJywgJ0dpdEh1YiByYXRlIGxpbWl0IGV4Y2VlZGVkJyxcbiAgICAgICAgICAgICAgICB7IHJlc2V0X2F0OiAobmV3IERhdGUocmVzZXREYXRlKSkudG9TdHJpbmcoKSB9KTtcbiAgICAgICAgICAgICAgcmV0dXJuIHJlamVjdChuZXcgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQoJ0dpdEh1YiByYXRlIGxpbWl0IGV4Y2VlZGVkJykpO1xuICAgICAgICAgICAgfVxuXG4gICAgICAgICAgICBsZXQgb3V0cHV0ID0gJyc7XG4gICAgICAgICAgICByZXNcbiAgICAgICAgICAgICAgLm9uKCdkYXRhJywgZGF0YSA9PiB7XG4gICAgICAgICAgICAgICAgb3V0cHV0ICs9IGRhdGFcbiAgICAgICAgICAgICAgICBpZiAob3V0cHV0Lmxlbmd0aCAlIDUwMCA9PT0gMCkge1xuICAgICAgICAgICAgICAgICAgLy8gVXBkYXRpbmcgdGhlIG5vdGlmaWNhdGlvbiBpcyBFWFRSRU1FTFkgZXhwZW5zaXZlLlxuICAgICAgICAgICAgICAgICAgLy8gIHRoZSBsZW5ndGggJSA1MDAgPT09IDAgbGluZSBlbnN1cmVzIHRoaXMgaXMgbm90IGRvbmUgdG9vXG4gICAgICAgICAgICAgICAgICAvLyAgb2Z0ZW4uXG4gICAgICAgICAgICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICAgICAgICAgICAgICAgIC4uLmRvd25sb2FkTm90aWYsXG4gICAgICAgICAgICAgICAgICAgIHByb2dyZXNzOiAob3V0cHV0Lmxlbmd0aCAvIGNvbnRlbnRMZW5ndGgpICogMTAwLFxuICAgICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICB9KVxuICAgICAgICAgICAgICAub24oJ2VuZCcsICgpID0+IHtcbiAgICAgICAgICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICAgICAgICAgICAgICAuLi5kb3dubG9hZE5vdGlmLFxuICAgICAgICAgICAgICAgICAgcHJvZ3Jlc3M6IDEwMCxcbiAgICAgICAgICAgICAgICB9KTtcbiAgICAgICAgICAgICAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbihkb3dubG9hZE5vdGlmSWQpO1xuICAgICAgICAgICAgICAgIHJldHVybiBmcy53cml0ZUZpbGVBc3luYyhwYXRoLmpvaW4oZGlzY292ZXJ5LnBhdGgsIGZpbGVOYW1lKSwgb3V0cHV0LCB7IGVuY29kaW5nOiAnYmluYXJ5JyB9KVxuICAgICAgICAgICAgICAgICAgLnRoZW4oKCkgPT4gcmVzb2x2ZShwYXRoLmpvaW4oZGlzY292ZXJ5LnBhdGgsIGZpbGVOYW1lKSkpXG4gICAgICAgICAgICAgICAgICAuY2F0Y2goZXJyID0+IHJlamVjdChlcnIpKTtcbiAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgfSlcbiAgICAgICAgICAgIC5vbignZXJyb3InLCBlcnIgPT4gcmVqZWN0KGVycikpXG4gICAgICAgICAgICAuZW5kKCk7XG4gICAgICAgIH0pO1xuICAgICAgfVxuXG4gICAgICBpZiAoISFjdXJyZW50bHlJbnN0YWxsZWRWZXJzaW9uIHx8ICgoY3VycmVudGx5SW5zdGFsbGVkVmVyc2lvbiA9PT0gdW5kZWZpbmVkKSAmJiAhIWRpc2NvdmVyeT8udG9vbHM/LlczU2NyaXB0TWVyZ2VyKSkge1xuICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICAgICAgaWQ6ICdtZXJnZXItdXBkYXRlJyxcbiAgICAgICAgICB0eXBlOiAnd2FybmluZycsXG4gICAgICAgICAgbm9EaXNtaXNzOiB0cnVlLFxuICAgICAgICAgIG1lc3NhZ2U6IGFwaS50cmFuc2xhdGUoJ0ltcG9ydGFudCBTY3JpcHQgTWVyZ2VyIHVwZGF0ZSBhdmFpbGFibGUnLFxuICAgICAgICAgICAgeyBuczogJ2dhbWUtd2l0Y2hlcjMnIH0pLFxuICAgICAgICAgIGFjdGlvbnM6IFsgeyB0aXRsZTogJ0Rvd25sb2FkJywgYWN0aW9uOiBkaXNtaXNzID0+IHtcbiAgICAgICAgICAgIGRpc21pc3MoKTtcbiAgICAgICAgICAgIHJldHVybiBkb3dubG9hZCgpXG4gICAgICAgICAgICAgIC50aGVuKChhcmNoaXZlUGF0aCkgPT4gb25Eb3dubG9hZENvbXBsZXRlKGFwaSwgYXJjaGl2ZVBhdGgsIG1vc3RSZWNlbnRWZXJzaW9uKSlcbiAgICAgICAgICAgICAgLmNhdGNoKGVyciA9PiB7XG4gICAgICAgICAgICAgICAgYXBpLmRpc21pc3NOb3RpZmljYXRpb24oZXh0cmFjdE5vdGlmSWQpO1xuICAgICAgICAgICAgICAgIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKGRvd25sb2FkTm90aWZJZCk7XG4gICAgICAgICAgICAgICAgaWYgKGVyciBpbnN0YW5jZW9mIE1ENUNvbXBhcmlzb25FcnJvciB8fCBlcnIgaW5zdGFuY2VvZiB1dGlsLlByb2Nlc3NDYW5jZWxlZCkge1xuICAgICAgICAgICAgICAgICAgbG9nKCdlcnJvcicsICdGYWlsZWQgdG8gYXV0b21hdGljYWxseSBpbnN0YWxsIFNjcmlwdCBNZXJnZXInLCBlcnIuZXJyb3JNZXNzYWdlKTtcbiAgICAgICAgICAgICAgICAgIGFwaS5zZW5kTm90aWZpY2F0aW9uKHtcbiAgICAgICAgICAgICAgICAgICAgdHlwZTogJ2Vycm9yJyxcbiAgICAgICAgICAgICAgICAgICAgbWVzc2FnZTogYXBpLnRyYW5zbGF0ZSgnUGxlYXNlIGluc3RhbGwgU2NyaXB0IE1lcmdlciBtYW51YWxseScsIHsgbnM6ICdnYW1lLXdpdGNoZXIzJyB9KSxcbiAgICAgICAgICAgICAgICAgICAgYWN0aW9uczogW1xuICAgICAgICAgICAgICAgICAgICAgIHsgXG4gICAgICAgICAgICAgICAgICAgICAgICB0aXRsZTogJ0luc3RhbGwgTWFudWFsbHknLFxuICAgICAgICAgICAgICAgICAgICAgICAgYWN0aW9uOiAoKSA9PiB1dGlsLm9wbignaHR0cHM6Ly93d3cubmV4dXNtb2RzLmNvbS93aXRjaGVyMy9tb2RzLzQ4NCcpXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAuY2F0Y2goZXJyID0+IG51bGwpXG4gICAgICAgICAgICAgICAgICAgICAgfV0sXG4gICAgICAgICAgICAgICAgICB9KVxuICAgICAgICAgICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICAvLyBDdXJyZW50bHkgQUZBSUsgdGhpcyB3b3VsZCBvbmx5IG9jY3VyIGlmIGdpdGh1YiBpcyBkb3duIGZvciBhbnkgcmVhc29uXG4gICAgICAgICAgICAgICAgLy8gIGFuZCB3ZSB3ZXJlIHVuYWJsZSB0byByZXNvbHZlIHRoZSByZS1kaXJlY3Rpb24gbGluay4gR2l2ZW4gdGhhdCB0aGUgdXNlclxuICAgICAgICAgICAgICAgIC8vICBleHBlY3RzIGEgcmVzdWx0IGZyb20gaGltIGNsaWNraW5nIHRoZSBkb3dubG9hZCBidXR0b24sIHdlIGxldCBoaW0ga25vd1xuICAgICAgICAgICAgICAgIC8vICB0byB0cnkgYWdhaW5cbiAgICAgICAgICAgICAgICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgICAgICAgICAgICAgICB0eXBlOiAnaW5mbycsXG4gICAgICAgICAgICAgICAgICBtZXNzYWdlOiBhcGkudHJhbnNsYXRlKCdVcGRhdGUgZmFpbGVkIGR1ZSB0ZW1wb3JhcnkgbmV0d29yayBpc3N1ZSAtIHRyeSBhZ2FpbiBsYXRlcicsIHsgbnM6ICdnYW1lLXdpdGNoZXIzJyB9KSxcbiAgICAgICAgICAgICAgICB9KVxuICAgICAgICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoKTtcbiAgICAgICAgICAgICAgfSlcbiAgICAgICAgICB9IH0gXSxcbiAgICAgICAgfSk7XG5cbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnVXBkYXRlJykpO1xuICAgICAgfVxuXG4gICAgICByZXR1cm4gZG93bmxvYWRDb25zZW50KGFwaSlcbiAgICAgICAgLnRoZW4oKCkgPT4gZG93bmxvYWQoKSk7XG4gICAgfSlcbiAgICAudGhlbigoYXJjaGl2ZVBhdGgpID0+IG9uRG93bmxvYWRDb21wbGV0ZShhcGksIGFyY2hpdmVQYXRoLCBtb3N0UmVjZW50VmVyc2lvbikpXG4gICAgLmNhdGNoKGFzeW5jIGVyciA9PiB7XG4gICAgICBjb25zdCByYWlzZU1hbnVhbEluc3RhbGxOb3RpZiA9ICgpID0+IHtcbiAgICAgICAgbG9nKCdlcnJvcicsICdGYWlsZWQgdG8gYXV0b21hdGljYWxseSBpbnN0YWxsIFNjcmlwdCBNZXJnZXInLCBlcnIuZXJyb3JNZXNzYWdlKTtcbiAgICAgICAgYXBpLnNlbmROb3RpZmljYXRpb24oe1xuICAgICAgICAgIHR5cGU6ICdlcnJvcicsXG4gICAgICAgICAgbWVzc2FnZTogYXBpLnRyYW5zbGF0ZSgnUGxlYXNlIGluc3RhbGwgU2NyaXB0IE1lcmdlciBtYW51YWxseScsIHsgbnM6ICdnYW1lLXdpdGNoZXIzJyB9KSxcbiAgICAgICAgICBhY3Rpb25zOiBbXG4gICAgICAgICAgICB7XG4gICAgICAgICAgICAgIHRpdGxlOiAnSW5zdGFsbCBNYW51YWxseScsXG4gICAgICAgICAgICAgIGFjdGlvbjogKCkgPT4gdXRpbC5vcG4oJ2h0dHBzOi8vd3d3Lm5leHVzbW9kcy5jb20vd2l0Y2hlcjMvbW9kcy80ODQnKVxuICAgICAgICAgICAgICAgICAgICAuY2F0Y2goZXJyID0+IG51bGwpXG4gICAgICAgICAgICB9XSxcbiAgICAgICAgfSk7XG4gICAgICB9XG4gICAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbihleHRyYWN0Tm90aWZJZCk7XG4gICAgICBhcGkuZGlzbWlzc05vdGlmaWNhdGlvbihkb3dubG9hZE5vdGlmSWQpO1xuICAgICAgaWYgKGVyciBpbnN0YW5jZW9mIE1ENUNvbXBhcmlzb25FcnJvcikge1xuICAgICAgICByYWlzZU1hbnVhbEluc3RhbGxOb3RpZigpO1xuICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKCk7XG4gICAgICB9XG4gICAgICBpZiAoZXJyIGluc3RhbmNlb2YgdXRpbC5Vc2VyQ2FuY2VsZWQpIHtcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xuICAgICAgfSBlbHNlIGlmIChlcnIgaW5zdGFuY2VvZiB1dGlsLlByb2Nlc3NDYW5jZWxlZCkge1xuICAgICAgICBpZiAoKGVyci5tZXNzYWdlLnN0YXJ0c1dpdGgoJ0FscmVhZHknKSkgfHwgKGVyci5tZXNzYWdlLnN0YXJ0c1dpdGgoJ1VwZGF0ZScpKSkge1xuICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoKTtcbiAgICAgICAgfSBlbHNlIGlmIChlcnIubWVzc2FnZS5zdGFydHNXaXRoKCdGYWlsZWQgdG8gcmVzb2x2ZSBkb3dubG9hZCBsb2NhdGlvbicpKSB7XG4gICAgICAgICAgLy8gQ3VycmVudGx5IEFGQUlLIHRoaXMgd291bGQgb25seSBvY2N1ciBpZiBnaXRodWIgaXMgZG93biBmb3IgYW55IHJlYXNvblxuICAgICAgICAgIC8vICBhbmQgd2Ugd2VyZSB1bmFibGUgdG8gcmVzb2x2ZSB0aGUgcmUtZGlyZWN0aW9uIGxpbmsuIEdpdmVuIHRoYXQgdGhpc1xuICAgICAgICAgIC8vICB3aWxsIG1vc3QgY2VydGFpbmx5IHJlc29sdmUgaXRzZWxmIGV2ZW50dWFsbHkgLSB3ZSBsb2cgdGhpcyBhbmQga2VlcCBnb2luZy5cbiAgICAgICAgICBsb2coJ2luZm8nLCAnZmFpbGVkIHRvIHJlc29sdmUgVzMgc2NyaXB0IG1lcmdlciByZS1kaXJlY3Rpb24gbGluaycsIGVycik7XG4gICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xuICAgICAgICB9IGVsc2UgaWYgKGVyci5tZXNzYWdlLnN0YXJ0c1dpdGgoJ0dhbWUgaXMgbm90IGRpc2NvdmVyZWQnKSkge1xuICAgICAgICAgIHJhaXNlTWFudWFsSW5zdGFsbE5vdGlmKCk7XG4gICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xuICAgICAgICB9XG4gICAgICB9IGVsc2Uge1xuICAgICAgICByZXR1cm4gUHJvbWlzZS5yZWplY3QoZXJyKTtcbiAgICAgIH1cbiAgICB9KVxufVxuXG5jb25zdCBleHRyYWN0Tm90aWZJZCA9ICdleHRyYWN0aW5nLXNjcmlwdC1tZXJnZXInO1xuY29uc3QgZXh0cmFjdE5vdGlmID0ge1xuICBpZDogZXh0cmFjdE5vdGlmSWQsXG4gIHR5cGU6ICdhY3Rpdml0eScsXG4gIHRpdGxlOiAnRXh0cmFjdGluZyBTY3JpcHQgTWVyZ2VyJyxcbn1cbmFzeW5jIGZ1bmN0aW9uIGV4dHJhY3RTY3JpcHRNZXJnZXIoYXBpLCBhcmNoaXZlUGF0aCkge1xuICBjb25zdCBkZXN0aW5hdGlvbiA9IGF3YWl0IGdldFNjcmlwdE1lcmdlckRpcihhcGksIHRydWUpO1xuICBpZiAoZGVzdGluYXRpb24gPT09IHVuZGVmaW5lZCkge1xuICAgIC8vIEhvdyA/XG4gICAgcmV0dXJuIFByb21pc2UucmVqZWN0KG5ldyB1dGlsLlByb2Nlc3NDYW5jZWxlZCgnR2FtZSBpcyBub3QgZGlzY292ZXJlZCcpKTtcbiAgfVxuICBjb25zdCBzWmlwID0gbmV3IHV0aWwuU2V2ZW5aaXAoKTtcbiAgYXBpLnNlbmROb3RpZmljYXRpb24oZXh0cmFjdE5vdGlmKTtcbiAgYXdhaXQgc1ppcC5leHRyYWN0RnVsbChhcmNoaXZlUGF0aCwgZGVzdGluYXRpb24pO1xuICBhcGkuc2VuZE5vdGlmaWNhdGlvbih7XG4gICAgdHlwZTogJ2luZm8nLFxuICAgIG1lc3NhZ2U6IGFwaS50cmFuc2xhdGUoJ1czIFNjcmlwdCBNZXJnZXIgZXh0cmFjdGVkIHN1Y2Nlc3NmdWxseScsIHsgbnM6ICdnYW1lLXdpdGNoZXIzJyB9KSxcbiAgfSk7XG4gIGFwaS5kaXNtaXNzTm90aWZpY2F0aW9uKGV4dHJhY3ROb3RpZklkKTtcbiAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShkZXN0aW5hdGlvbik7XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHNldFVwTWVyZ2VyKGFwaSwgbWVyZ2VyVmVyc2lvbiwgbmV3UGF0aCkge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5zdG9yZS5nZXRTdGF0ZSgpO1xuICBjb25zdCBkaXNjb3ZlcnkgPSB1dGlsLmdldFNhZmUoc3RhdGUsIFsnc2V0dGluZ3MnLCAnZ2FtZU1vZGUnLCAnZGlzY292ZXJlZCcsICd3aXRjaGVyMyddLCB1bmRlZmluZWQpO1xuICBjb25zdCBjdXJyZW50RGV0YWlscyA9IGRpc2NvdmVyeT8udG9vbHM/LlczU2NyaXB0TWVyZ2VyO1xuXG4gIGNvbnN0IG5ld1Rvb2xEZXRhaWxzID0gKCEhY3VycmVudERldGFpbHMpXG4gICAgPyB7IC4uLmN1cnJlbnREZXRhaWxzLCBtZXJnZXJWZXJzaW9uIH1cbiAgICA6IHtcbiAgICAgIGlkOiBTQ1JJUFRfTUVSR0VSX0lELFxuICAgICAgbmFtZTogJ1czIFNjcmlwdCBNZXJnZXInLFxuICAgICAgbG9nbzogJ1dpdGNoZXJTY3JpcHRNZXJnZXIuanBnJyxcbiAgICAgIGV4ZWN1dGFibGU6ICgpID0+ICdXaXRjaGVyU2NyaXB0TWVyZ2VyLmV4ZScsXG4gICAgICByZXF1aXJlZEZpbGVzOiBbXG4gICAgICAgICdXaXRjaGVyU2NyaXB0TWVyZ2VyLmV4ZScsXG4gICAgICBdLFxuICAgICAgbWVyZ2VyVmVyc2lvbixcbiAgICB9O1xuICBuZXdUb29sRGV0YWlscy5wYXRoID0gcGF0aC5qb2luKG5ld1BhdGgsICdXaXRjaGVyU2NyaXB0TWVyZ2VyLmV4ZScpO1xuICBuZXdUb29sRGV0YWlscy53b3JraW5nRGlyZWN0b3J5ID0gbmV3UGF0aDtcbiAgYXdhaXQgc2V0TWVyZ2VyQ29uZmlnKGRpc2NvdmVyeS5wYXRoLCBuZXdQYXRoKTtcbiAgYXBpLnN0b3JlLmRpc3BhdGNoKGFjdGlvbnMuYWRkRGlzY292ZXJlZFRvb2woJ3dpdGNoZXIzJywgU0NSSVBUX01FUkdFUl9JRCwgbmV3VG9vbERldGFpbHMsIHRydWUpKTtcbiAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gZ2V0TWVyZ2VkTW9kTmFtZShzY3JpcHRNZXJnZXJQYXRoKSB7XG4gIGNvbnN0IGNvbmZpZ0ZpbGVQYXRoID0gcGF0aC5qb2luKHNjcmlwdE1lcmdlclBhdGgsIE1FUkdFUl9DT05GSUdfRklMRSk7XG4gIHRyeSB7XG4gICAgY29uc3QgZGF0YSA9IGF3YWl0IGZzLnJlYWRGaWxlQXN5bmMoY29uZmlnRmlsZVBhdGgsIHsgZW5jb2Rpbmc6ICd1dGY4JyB9KTtcbiAgICBjb25zdCBjb25maWcgPSBhd2FpdCBwYXJzZVN0cmluZ1Byb21pc2UoZGF0YSk7XG4gICAgY29uc3QgY29uZmlnSXRlbXMgPSBjb25maWc/LmNvbmZpZ3VyYXRpb24/LmFwcFNldHRpbmdzPy5bMF0/LmFkZDtcbiAgICBjb25zdCBNZXJnZWRNb2ROYW1lID0gY29uZmlnSXRlbXM/LmZpbmQoaXRlbSA9PiBpdGVtLiQ/LmtleSA9PT0gJ01lcmdlZE1vZE5hbWUnKSA/PyB1bmRlZmluZWQ7XG4gICAgaWYgKCEhTWVyZ2VkTW9kTmFtZT8uJD8udmFsdWUpIHtcbiAgICAgIHJldHVybiBNZXJnZWRNb2ROYW1lLiQudmFsdWU7XG4gICAgfVxuICB9IGNhdGNoIChlcnIpIHtcbiAgICAvLyBUaGlzIGlzIHByb2JhYmx5IGEgc2lnbiBvZiBhIGNvcnJ1cHQgc2NyaXB0IG1lcmdlciBpbnN0YWxsYXRpb24uLi4uXG4gICAgbG9nKCdlcnJvcicsICdmYWlsZWQgdG8gYXNjZXJ0YWluIG1lcmdlZCBtb2QgbmFtZSAtIHVzaW5nIFwibW9kMDAwMF9NZXJnZWRGaWxlc1wiJywgZXJyKTtcbiAgICByZXR1cm4gREVGQVVMVF9NRVJHRURfTU9EX05BTUU7XG4gIH1cbn1cblxuLy8gVGhlIGRpcmVjdG9yeSBob2xkaW5nIHRoZSBtZXJnZSBpbnZlbnRvcnkuIFRoaXMgaXMgdGhlIHNjcmlwdCBtZXJnZXIncyBvd25cbi8vICBkaXJlY3Rvcnkgd2hlbiB0aGUgdG9vbCBpcyBjb25maWd1cmVkLCBvdGhlcndpc2UgVm9ydGV4IGtlZXBzIHRyYWNrIG9mIHRoZVxuLy8gIG1lcmdlcyBpdCBnZW5lcmF0ZWQgaXRzZWxmLlxuZXhwb3J0IGZ1bmN0aW9uIGdldE1lcmdlRGF0YURpcihhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBzdHJpbmcge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBzY3JpcHRNZXJnZXIgPSB1dGlsLmdldFNhZmUoc3RhdGUsXG4gICAgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgR0FNRV9JRCwgJ3Rvb2xzJywgU0NSSVBUX01FUkdFUl9JRF0sIHVuZGVmaW5lZCk7XG4gIHJldHVybiAoISFzY3JpcHRNZXJnZXI/LnBhdGgpXG4gICAgPyBwYXRoLmRpcm5hbWUoc2NyaXB0TWVyZ2VyLnBhdGgpXG4gICAgOiBwYXRoLmpvaW4odXRpbC5nZXRWb3J0ZXhQYXRoKCd1c2VyRGF0YScpLCBHQU1FX0lELCAnbWVyZ2VzJyk7XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiByZXNvbHZlTWVyZ2VkTW9kTmFtZShhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPHN0cmluZz4ge1xuICBjb25zdCBzdGF0ZSA9IGFwaS5nZXRTdGF0ZSgpO1xuICBjb25zdCBzY3JpcHRNZXJnZXIgPSB1dGlsLmdldFNhZmUoc3RhdGUsXG4gICAgWydzZXR0aW5ncycsICdnYW1lTW9kZScsICdkaXNjb3ZlcmVkJywgR0FNRV9JRCwgJ3Rvb2xzJywgU0NSSVBUX01FUkdFUl9JRF0sIHVuZGVmaW5lZCk7XG4gIGNvbnN0IG1lcmdlZE1vZE5hbWUgPSAoISFzY3JpcHRNZXJnZXI/LnBhdGgpXG4gICAgPyBhd2FpdCBnZXRNZXJnZWRNb2ROYW1lKHBhdGguZGlybmFtZShzY3JpcHRNZXJnZXIucGF0aCkpXG4gICAgOiB1bmRlZmluZWQ7XG4gIHJldHVybiBtZXJnZWRNb2ROYW1lID8/IERFRkFVTFRfTUVSR0VEX01PRF9OQU1FO1xufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gc2V0TWVyZ2VyQ29uZmlnKGdhbWVSb290UGF0aCwgc2NyaXB0TWVyZ2VyUGF0aCkge1xuICBjb25zdCBmaW5kSW5kZXggPSAobm9kZXMsIGlkKSA9PiB7XG4gICAgcmV0dXJuIG5vZGVzPy5maW5kSW5kZXgoaXRlciA9PiBpdGVyLiQ/LmtleSA9PT0gaWQpID8/IHVuZGVmaW5lZDtcbiAgfTtcblxuICBjb25zdCBjb25maWdGaWxlUGF0aCA9IHBhdGguam9pbihzY3JpcHRNZXJnZXJQYXRoLCBNRVJHRVJfQ09ORklHX0ZJTEUpO1xuICB0cnkge1xuICAgIGNvbnN0IGRhdGEgPSBhd2FpdCBmcy5yZWFkRmlsZUFzeW5jKGNvbmZpZ0ZpbGVQYXRoLCB7IGVuY29kaW5nOiAndXRmOCcgfSk7XG4gICAgY29uc3QgY29uZmlnID0gYXdhaXQgcGFyc2VTdHJpbmdQcm9taXNlKGRhdGEpO1xuICAgIGNvbnN0IHJlcGxhY2VFbGVtZW50ID0gKGlkLCByZXBsYWNlbWVudCkgPT4ge1xuICAgICAgY29uc3QgaWR4ID0gZmluZEluZGV4KGNvbmZpZz8uY29uZmlndXJhdGlvbj8uYXBwU2V0dGluZ3M/LlswXT8uYWRkLCBpZCk7XG4gICAgICBpZiAoaWR4ICE9PSB1bmRlZmluZWQpIHtcbiAgICAgICAgY29uZmlnLmNvbmZpZ3VyYXRpb24uYXBwU2V0dGluZ3NbMF0uYWRkW2lkeF0uJCA9IHsga2V5OiBpZCwgdmFsdWU6IHJlcGxhY2VtZW50IH07XG4gICAgICB9XG4gICAgfTtcblxuICAgIHJlcGxhY2VFbGVtZW50KCdHYW1lRGlyZWN0b3J5JywgZ2FtZVJvb3RQYXRoKTtcbiAgICByZXBsYWNlRWxlbWVudCgnVmFuaWxsYVNjcmlwdHNEaXJlY3RvcnknLCBwYXRoLmpvaW4oZ2FtZVJvb3RQYXRoLCAnY29udGVudCcsICdjb250ZW50MCcsICdzY3JpcHRzJykpO1xuICAgIHJlcGxhY2VFbGVtZW50KCdNb2RzRGlyZWN0b3J5JywgcGF0aC5qb2luKGdhbWVSb290UGF0aCwgJ21vZHMnKSk7XG4gICAgY29uc3QgYnVpbGRlciA9IG5ldyBCdWlsZGVyKCk7XG4gICAgY29uc3QgeG1sID0gYnVpbGRlci5idWlsZE9iamVjdChjb25maWcpO1xuICAgIGF3YWl0IGZzLndyaXRlRmlsZUFzeW5jKGNvbmZpZ0ZpbGVQYXRoLCB4bWwpO1xuICB9IGNhdGNoIChlcnIpIHtcbiAgICAvLyBHdWVzcyB0aGUgdXNlciB3aWxsIGhhdmUgdG8gc2V0IHVwIHRoZSBtZXJnZXIgY29uZmlndXJhdGlvblxuICAgIC8vICB0aHJvdWdoIHRoZSBtZXJnZXIgZGlyZWN0bHkuXG4gICAgcmV0dXJuO1xuICB9XG59XG4iXX0=
\ No newline at end of file
@@ -16,7 +16,9 @@ const MERGER_RELPATH = 'WitcherScriptMerger';
 
 const MERGER_CONFIG_FILE = 'WitcherScriptMerger.exe.config';
 
-const { getHash, MD5ComparisonError, SCRIPT_MERGER_ID } = require('./common');
+const { getHash, MD5ComparisonError, GAME_ID, SCRIPT_MERGER_ID } = require('./common');
+
+const DEFAULT_MERGED_MOD_NAME = 'mod0000_MergedFiles';
 
 
 function query(baseUrl, request) {
@@ -438,10 +440,32 @@ export async function getMergedModName(scriptMergerPath) {
   } catch (err) {
     // This is probably a sign of a corrupt script merger installation....
     log('error', 'failed to ascertain merged mod name - using "mod0000_MergedFiles"', err);
-    return 'mod0000_MergedFiles';
+    return DEFAULT_MERGED_MOD_NAME;
   }
 }
 
+// The directory holding the merge inventory. This is the script merger's own
+//  directory when the tool is configured, otherwise Vortex keeps track of the
+//  merges it generated itself.
+export function getMergeDataDir(api: types.IExtensionApi): string {
+  const state = api.getState();
+  const scriptMerger = util.getSafe(state,
+    ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
+  return (!!scriptMerger?.path)
+    ? path.dirname(scriptMerger.path)
+    : path.join(util.getVortexPath('userData'), GAME_ID, 'merges');
+}
+
+export async function resolveMergedModName(api: types.IExtensionApi): Promise<string> {
+  const state = api.getState();
+  const scriptMerger = util.getSafe(state,
+    ['settings', 'gameMode', 'discovered', GAME_ID, 'tools', SCRIPT_MERGER_ID], undefined);
+  const mergedModName = (!!scriptMerger?.path)
+    ? await getMergedModName(path.dirname(scriptMerger.path))
+    : undefined;
+  return mergedModName ?? DEFAULT_MERGED_MOD_NAME;
+}
+
 export async function setMergerConfig(gameRootPath, scriptMergerPath) {
   const findIndex = (nodes, id) => {
     return nodes?.findIndex(iter => iter.$?.key === id) ?? undefined;
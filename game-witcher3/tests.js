@@ -9,9 +9,10 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
     });
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.testModLimitBreach = void 0;
+exports.testStaleMerges = exports.testModLimitBreach = void 0;
 const vortex_api_1 = require("vortex-api");
 const common_1 = require("./common");
+const scriptMerge_1 = require("./scriptMerge");
 const MOD_LIMIT_THRESHOLD = 24;
 function testModLimitBreach(api, limitPatcher) {
     var _a;
@@ -43,4 +44,52 @@ function testModLimitBreach(api, limitPatcher) {
     });
 }
 exports.testModLimitBreach = testModLimitBreach;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVzdHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0ZXN0cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7QUFBQSwyQ0FBb0Q7QUFFcEQscUNBQThEO0FBRzlELE1BQU0sbUJBQW1CLEdBQUcsRUFBRSxDQUFDO0FBRS9CLFNBQXNCLGtCQUFrQixDQUNwQyxHQUF3QixFQUN4QixZQUE2Qjs7O1FBQy9CLE1BQU0sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxTQUFTLENBQUM7UUFDeEIsTUFBTSxLQUFLLEdBQWlCLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDakQsTUFBTSxZQUFZLEdBQUcsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLElBQUEsa0NBQXlCLEdBQUUsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUM3RSxNQUFNLE9BQU8sR0FBbUIsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDL0QsSUFBSSxDQUFBLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxNQUFNLE1BQUssZ0JBQU8sSUFBSSxZQUFZLEVBQUU7WUFDL0MsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DO1FBRUQsTUFBTSxJQUFJLEdBQW9DLE1BQUEsS0FBSyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsZ0JBQU8sQ0FBQyxtQ0FBSSxFQUFFLENBQUM7UUFDbkYsTUFBTSxVQUFVLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsSUFBSSxLQUFLLG1CQUFtQixDQUFDLENBQUM7UUFDckYsSUFBSSxVQUFVLEVBQUU7WUFFZCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDbkM7UUFFRCxNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUM1QyxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxVQUFVLEVBQUUsRUFBRSxFQUFFLFNBQVMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFFN0QsSUFBSSxHQUFzQixDQUFDO1FBRTNCLElBQUksT0FBTyxDQUFDLE1BQU0sSUFBSSxtQkFBbUIsRUFBRTtZQUN6QyxHQUFHLEdBQUc7Z0JBQ0osUUFBUSxFQUFFLFNBQVM7Z0JBQ25CLFdBQVcsRUFBRTtvQkFDWCxLQUFLLEVBQUUsQ0FBQyxDQUFDLG1CQUFtQixDQUFDO2lCQUM5QjtnQkFDRCxZQUFZLEVBQUUsR0FBRyxFQUFFLENBQUUsWUFBWSxDQUFDLG1CQUFtQixFQUFVO2FBQ2hFLENBQUM7U0FDSDtRQUVELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzs7Q0FDN0I7QUFsQ0QsZ0RBa0NDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xyXG5cclxuaW1wb3J0IHsgR0FNRV9JRCwgZ2V0U3VwcHJlc3NNb2RMaW1pdEJyYW5jaCB9IGZyb20gJy4vY29tbW9uJztcclxuaW1wb3J0IHsgTW9kTGltaXRQYXRjaGVyIH0gZnJvbSAnLi9tb2RMaW1pdFBhdGNoJztcclxuXHJcbmNvbnN0IE1PRF9MSU1JVF9USFJFU0hPTEQgPSAyNDtcclxuXHJcbmV4cG9ydCBhc3luYyBmdW5jdGlvbiB0ZXN0TW9kTGltaXRCcmVhY2goXHJcbiAgICBhcGk6IHR5cGVzLklFeHRlbnNpb25BcGksXHJcbiAgICBsaW1pdFBhdGNoZXI6IE1vZExpbWl0UGF0Y2hlcik6IFByb21pc2U8dHlwZXMuSVRlc3RSZXN1bHQ+IHtcclxuICBjb25zdCB0ID0gYXBpLnRyYW5zbGF0ZTtcclxuICBjb25zdCBzdGF0ZTogdHlwZXMuSVN0YXRlID0gYXBpLnN0b3JlLmdldFN0YXRlKCk7XHJcbiAgY29uc3QgaXNTdXBwcmVzc2VkID0gdXRpbC5nZXRTYWZlKHN0YXRlLCBnZXRTdXBwcmVzc01vZExpbWl0QnJhbmNoKCksIGZhbHNlKTtcclxuICBjb25zdCBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZSA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKTtcclxuICBpZiAocHJvZmlsZT8uZ2FtZUlkICE9PSBHQU1FX0lEIHx8IGlzU3VwcHJlc3NlZCkge1xyXG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xyXG4gIH1cclxuXHJcbiAgY29uc3QgbW9kczogeyBbbW9kSWQ6IHN0cmluZ106IHR5cGVzLklNb2QgfSA9IHN0YXRlLnBlcnNpc3RlbnQubW9kc1tHQU1FX0lEXSA/PyB7fTtcclxuICBjb25zdCBsaW1pdFBhdGNoID0gT2JqZWN0LnZhbHVlcyhtb2RzKS5maW5kKG1vZCA9PiBtb2QudHlwZSA9PT0gJ3czbW9kbGltaXRwYXRjaGVyJyk7XHJcbiAgaWYgKGxpbWl0UGF0Y2gpIHtcclxuICAgIC8vIEEgbGltaXQgcGF0Y2ggYWxyZWFkeSBleGlzdHMuXHJcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XHJcbiAgfVxyXG5cclxuICBjb25zdCBlbmFibGVkID0gT2JqZWN0LmtleXMobW9kcykuZmlsdGVyKGlkID0+XHJcbiAgICB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZScsIGlkLCAnZW5hYmxlZCddLCBmYWxzZSkpO1xyXG5cclxuICBsZXQgcmVzOiB0eXBlcy5JVGVzdFJlc3VsdDtcclxuXHJcbiAgaWYgKGVuYWJsZWQubGVuZ3RoID49IE1PRF9MSU1JVF9USFJFU0hPTEQpIHtcclxuICAgIHJlcyA9IHtcclxuICAgICAgc2V2ZXJpdHk6ICd3YXJuaW5nJyxcclxuICAgICAgZGVzY3JpcHRpb246IHtcclxuICAgICAgICBzaG9ydDogdCgnTW9kIExpbWl0IFJlYWNoZWQnKSxcclxuICAgICAgfSxcclxuICAgICAgYXV0b21hdGljRml4OiAoKSA9PiAobGltaXRQYXRjaGVyLmVuc3VyZU1vZExpbWl0UGF0Y2goKSBhcyBhbnkpLFxyXG4gICAgfTtcclxuICB9XHJcblxyXG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUocmVzKTtcclxufVxyXG4iXX0=
\ No newline at end of file
+function testStaleMerges(api) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const t = api.translate;
+        const state = api.getState();
+        const profile = vortex_api_1.selectors.activeProfile(state);
+        if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+            return Promise.resolve(undefined);
+        }
+        let stale;
+        try {
+            stale = yield (0, scriptMerge_1.findStaleMerges)(api);
+        }
+        catch (err) {
+            (0, vortex_api_1.log)('error', 'failed to check merged scripts', err);
+            return Promise.resolve(undefined);
+        }
+        if (stale.length === 0) {
+            return Promise.resolve(undefined);
+        }
+        const describe = (entry) => {
+            const details = [];
+            if (entry.removed.length > 0) {
+                details.push(t('No longer provided by: {{mods}}', { ns: common_1.I18N_NAMESPACE, replace: { mods: entry.removed.join(', ') } }));
+            }
+            if (entry.updated.length > 0) {
+                details.push(t('Changed since the merge: {{mods}}', { ns: common_1.I18N_NAMESPACE, replace: { mods: entry.updated.join(', ') } }));
+            }
+            if (entry.reordered) {
+                details.push(t('The load order of the merged mods changed', { ns: common_1.I18N_NAMESPACE }));
+            }
+            return `[b]${entry.merge.relPath}[/b] (${entry.merge.mergedModName})`
+                + `[list]${details.map(detail => `[*]${detail}`).join('')}[/list]`;
+        };
+        const res = {
+            severity: 'warning',
+            description: {
+                short: t('Merged scripts are out of date', { ns: common_1.I18N_NAMESPACE }),
+                long: t('The following merges were created from mods which have since been removed, '
+                    + 'updated or reordered. The merged files no longer match your mods and should be '
+                    + 'merged again or dropped.', { ns: common_1.I18N_NAMESPACE })
+                    + '[br][/br][br][/br]' + stale.map(describe).join(''),
+            },
+            automaticFix: () => (0, scriptMerge_1.fixStaleMerges)(api, stale),
+        };
+        return Promise.resolve(res);
+    });
+}
+exports.testStaleMerges = testStaleMerges;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVzdHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0ZXN0cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7QUFBQSwyQ0FBeUQ7QUFFekQscUNBQThFO0FBRTlFLCtDQUFnRTtBQUdoRSxNQUFNLG1CQUFtQixHQUFHLEVBQUUsQ0FBQztBQUUvQixTQUFzQixrQkFBa0IsQ0FDcEMsR0FBd0IsRUFDeEIsWUFBNkI7OztRQUMvQixNQUFNLENBQUMsR0FBRyxHQUFHLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE1BQU0sS0FBSyxHQUFpQixHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ2pELE1BQU0sWUFBWSxHQUFHLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxJQUFBLGtDQUF5QixHQUFFLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDN0UsTUFBTSxPQUFPLEdBQW1CLHNCQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQy9ELElBQUksQ0FBQSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsTUFBTSxNQUFLLGdCQUFPLElBQUksWUFBWSxFQUFFO1lBQy9DLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUVELE1BQU0sSUFBSSxHQUFvQyxNQUFBLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLGdCQUFPLENBQUMsbUNBQUksRUFBRSxDQUFDO1FBQ25GLE1BQU0sVUFBVSxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksS0FBSyxtQkFBbUIsQ0FBQyxDQUFDO1FBQ3JGLElBQUksVUFBVSxFQUFFO1lBRWQsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DO1FBRUQsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FDNUMsaUJBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsVUFBVSxFQUFFLEVBQUUsRUFBRSxTQUFTLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBRTdELElBQUksR0FBc0IsQ0FBQztRQUUzQixJQUFJLE9BQU8sQ0FBQyxNQUFNLElBQUksbUJBQW1CLEVBQUU7WUFDekMsR0FBRyxHQUFHO2dCQUNKLFFBQVEsRUFBRSxTQUFTO2dCQUNuQixXQUFXLEVBQUU7b0JBQ1gsS0FBSyxFQUFFLENBQUMsQ0FBQyxtQkFBbUIsQ0FBQztpQkFDOUI7Z0JBQ0QsWUFBWSxFQUFFLEdBQUcsRUFBRSxDQUFFLFlBQVksQ0FBQyxtQkFBbUIsRUFBVTthQUNoRSxDQUFDO1NBQ0g7UUFFRCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7O0NBQzdCO0FBbENELGdEQWtDQztBQUVELFNBQXNCLGVBQWUsQ0FBQyxHQUF3Qjs7UUFDNUQsTUFBTSxDQUFDLEdBQUcsR0FBRyxDQUFDLFNBQVMsQ0FBQztRQUN4QixNQUFNLEtBQUssR0FBaUIsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzNDLE1BQU0sT0FBTyxHQUFtQixzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMvRCxJQUFJLENBQUEsT0FBTyxhQUFQLE9BQU8sdUJBQVAsT0FBTyxDQUFFLE1BQU0sTUFBSyxnQkFBTyxFQUFFO1lBQy9CLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUVELElBQUksS0FBb0IsQ0FBQztRQUN6QixJQUFJO1lBQ0YsS0FBSyxHQUFHLE1BQU0sSUFBQSw2QkFBZSxFQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQ3BDO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixJQUFBLGdCQUFHLEVBQUMsT0FBTyxFQUFFLGdDQUFnQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ3BELE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUNuQztRQUNELElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7WUFDdEIsT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQ25DO1FBRUQsTUFBTSxRQUFRLEdBQUcsQ0FBQyxLQUFrQixFQUFFLEVBQUU7WUFDdEMsTUFBTSxPQUFPLEdBQUcsRUFBRSxDQUFDO1lBQ25CLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO2dCQUM1QixPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxpQ0FBaUMsRUFDOUMsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQzthQUN6RTtZQUNELElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO2dCQUM1QixPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxtQ0FBbUMsRUFDaEQsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQzthQUN6RTtZQUNELElBQUksS0FBSyxDQUFDLFNBQVMsRUFBRTtnQkFDbkIsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsMkNBQTJDLEVBQUUsRUFBRSxFQUFFLEVBQUUsdUJBQWMsRUFBRSxDQUFDLENBQUMsQ0FBQzthQUN0RjtZQUNELE9BQU8sTUFBTSxLQUFLLENBQUMsS0FBSyxDQUFDLE9BQU8sU0FBUyxLQUFLLENBQUMsS0FBSyxDQUFDLGFBQWEsR0FBRztrQkFDakUsU0FBUyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxNQUFNLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDO1FBQ3ZFLENBQUMsQ0FBQztRQUVGLE1BQU0sR0FBRyxHQUFzQjtZQUM3QixRQUFRLEVBQUUsU0FBUztZQUNuQixXQUFXLEVBQUU7Z0JBQ1gsS0FBSyxFQUFFLENBQUMsQ0FBQyxnQ0FBZ0MsRUFBRSxFQUFFLEVBQUUsRUFBRSx1QkFBYyxFQUFFLENBQUM7Z0JBQ2xFLElBQUksRUFBRSxDQUFDLENBQUMsNkVBQTZFO3NCQUNqRixpRkFBaUY7c0JBQ2pGLDBCQUEwQixFQUFFLEVBQUUsRUFBRSxFQUFFLHVCQUFjLEVBQUUsQ0FBQztzQkFDbkQsb0JBQW9CLEdBQUcsS0FBSyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDO2FBQ3hEO1lBQ0QsWUFBWSxFQUFFLEdBQUcsRUFBRSxDQUFFLElBQUEsNEJBQWMsRUFBQyxHQUFHLEVBQUUsS0FBSyxDQUFTO1NBQ3hELENBQUM7UUFDRixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDOUIsQ0FBQztDQUFBO0FBaERELDBDQWdEQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IGxvZywgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBHQU1FX0lELCBnZXRTdXBwcmVzc01vZExpbWl0QnJhbmNoLCBJMThOX05BTUVTUEFDRSB9IGZyb20gJy4vY29tbW9uJztcbmltcG9ydCB7IE1vZExpbWl0UGF0Y2hlciB9IGZyb20gJy4vbW9kTGltaXRQYXRjaCc7XG5pbXBvcnQgeyBmaW5kU3RhbGVNZXJnZXMsIGZpeFN0YWxlTWVyZ2VzIH0gZnJvbSAnLi9zY3JpcHRNZXJnZSc7XG5pbXBvcnQgeyBJU3RhbGVNZXJnZSB9IGZyb20gJy4vdHlwZXMnO1xuXG5jb25zdCBNT0RfTElNSVRfVEhSRVNIT0xEID0gMjQ7XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiB0ZXN0TW9kTGltaXRCcmVhY2goXG4gICAgYXBpOiB0eXBlcy5JRXh0ZW5zaW9uQXBpLFxuICAgIGxpbWl0UGF0Y2hlcjogTW9kTGltaXRQYXRjaGVyKTogUHJvbWlzZTx0eXBlcy5JVGVzdFJlc3VsdD4ge1xuICBjb25zdCB0ID0gYXBpLnRyYW5zbGF0ZTtcbiAgY29uc3Qgc3RhdGU6IHR5cGVzLklTdGF0ZSA9IGFwaS5zdG9yZS5nZXRTdGF0ZSgpO1xuICBjb25zdCBpc1N1cHByZXNzZWQgPSB1dGlsLmdldFNhZmUoc3RhdGUsIGdldFN1cHByZXNzTW9kTGltaXRCcmFuY2goKSwgZmFsc2UpO1xuICBjb25zdCBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZSA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKTtcbiAgaWYgKHByb2ZpbGU/LmdhbWVJZCAhPT0gR0FNRV9JRCB8fCBpc1N1cHByZXNzZWQpIHtcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XG4gIH1cblxuICBjb25zdCBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9ID0gc3RhdGUucGVyc2lzdGVudC5tb2RzW0dBTUVfSURdID8/IHt9O1xuICBjb25zdCBsaW1pdFBhdGNoID0gT2JqZWN0LnZhbHVlcyhtb2RzKS5maW5kKG1vZCA9PiBtb2QudHlwZSA9PT0gJ3czbW9kbGltaXRwYXRjaGVyJyk7XG4gIGlmIChsaW1pdFBhdGNoKSB7XG4gICAgLy8gQSBsaW1pdCBwYXRjaCBhbHJlYWR5IGV4aXN0cy5cbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XG4gIH1cblxuICBjb25zdCBlbmFibGVkID0gT2JqZWN0LmtleXMobW9kcykuZmlsdGVyKGlkID0+XG4gICAgdXRpbC5nZXRTYWZlKHByb2ZpbGUsIFsnbW9kU3RhdGUnLCBpZCwgJ2VuYWJsZWQnXSwgZmFsc2UpKTtcblxuICBsZXQgcmVzOiB0eXBlcy5JVGVzdFJlc3VsdDtcblxuICBpZiAoZW5hYmxlZC5sZW5ndGggPj0gTU9EX0xJTUlUX1RIUkVTSE9MRCkge1xuICAgIHJlcyA9IHtcbiAgICAgIHNldmVyaXR5OiAnd2FybmluZycsXG4gICAgICBkZXNjcmlwdGlvbjoge1xuICAgICAgICBzaG9ydDogdCgnTW9kIExpbWl0IFJlYWNoZWQnKSxcbiAgICAgIH0sXG4gICAgICBhdXRvbWF0aWNGaXg6ICgpID0+IChsaW1pdFBhdGNoZXIuZW5zdXJlTW9kTGltaXRQYXRjaCgpIGFzIGFueSksXG4gICAgfTtcbiAgfVxuXG4gIHJldHVybiBQcm9taXNlLnJlc29sdmUocmVzKTtcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHRlc3RTdGFsZU1lcmdlcyhhcGk6IHR5cGVzLklFeHRlbnNpb25BcGkpOiBQcm9taXNlPHR5cGVzLklUZXN0UmVzdWx0PiB7XG4gIGNvbnN0IHQgPSBhcGkudHJhbnNsYXRlO1xuICBjb25zdCBzdGF0ZTogdHlwZXMuSVN0YXRlID0gYXBpLmdldFN0YXRlKCk7XG4gIGNvbnN0IHByb2ZpbGU6IHR5cGVzLklQcm9maWxlID0gc2VsZWN0b3JzLmFjdGl2ZVByb2ZpbGUoc3RhdGUpO1xuICBpZiAocHJvZmlsZT8uZ2FtZUlkICE9PSBHQU1FX0lEKSB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh1bmRlZmluZWQpO1xuICB9XG5cbiAgbGV0IHN0YWxlOiBJU3RhbGVNZXJnZVtdO1xuICB0cnkge1xuICAgIHN0YWxlID0gYXdhaXQgZmluZFN0YWxlTWVyZ2VzKGFwaSk7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIGxvZygnZXJyb3InLCAnZmFpbGVkIHRvIGNoZWNrIG1lcmdlZCBzY3JpcHRzJywgZXJyKTtcbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHVuZGVmaW5lZCk7XG4gIH1cbiAgaWYgKHN0YWxlLmxlbmd0aCA9PT0gMCkge1xuICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUodW5kZWZpbmVkKTtcbiAgfVxuXG4gIGNvbnN0IGRlc2NyaWJlID0gKGVudHJ5OiBJU3RhbGVNZXJnZSkgPT4ge1xuICAgIGNvbnN0IGRldGFpbHMgPSBbXTtcbiAgICBpZiAoZW50cnkucmVtb3ZlZC5sZW5ndGggPiAwKSB7XG4gICAgICBkZXRhaWxzLnB1c2godCgnTm8gbG9uZ2VyIHByb3ZpZGVkIGJ5OiB7e21vZHN9fScsXG4gICAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFLCByZXBsYWNlOiB7IG1vZHM6IGVudHJ5LnJlbW92ZWQuam9pbignLCAnKSB9IH0pKTtcbiAgICB9XG4gICAgaWYgKGVudHJ5LnVwZGF0ZWQubGVuZ3RoID4gMCkge1xuICAgICAgZGV0YWlscy5wdXNoKHQoJ0NoYW5nZWQgc2luY2UgdGhlIG1lcmdlOiB7e21vZHN9fScsXG4gICAgICAgIHsgbnM6IEkxOE5fTkFNRVNQQUNFLCByZXBsYWNlOiB7IG1vZHM6IGVudHJ5LnVwZGF0ZWQuam9pbignLCAnKSB9IH0pKTtcbiAgICB9XG4gICAgaWYgKGVudHJ5LnJlb3JkZXJlZCkge1xuICAgICAgZGV0YWlscy5wdXNoKHQoJ1RoZSBsb2FkIG9yZGVyIG9mIHRoZSBtZXJnZWQgbW9kcyBjaGFuZ2VkJywgeyBuczogSTE4Tl9OQU1FU1BBQ0UgfSkpO1xuICAgIH1cbiAgICByZXR1cm4gYFtiXSR7ZW50cnkubWVyZ2UucmVsUGF0aH1bL2JdICgke2VudHJ5Lm1lcmdlLm1lcmdlZE1vZE5hbWV9KWBcbiAgICAgICsgYFtsaXN0XSR7ZGV0YWlscy5tYXAoZGV0YWlsID0+IGBbKl0ke2RldGFpbH1gKS5qb2luKCcnKX1bL2xpc3RdYDtcbiAgfTtcblxuICBjb25zdCByZXM6IHR5cGVzLklUZXN0UmVzdWx0ID0ge1xuICAgIHNldmVyaXR5OiAnd2FybmluZycsXG4gICAgZGVzY3JpcHRpb246IHtcbiAgICAgIHNob3J0OiB0KCdNZXJnZWQgc2NyaXB0cyBhcmUgb3V0IG9mIGRhdGUnLCB7IG5zOiBJMThOX05BTUVTUEFDRSB9KSxcbiAgICAgIGxvbmc6IHQoJ1RoZSBmb2xsb3dpbmcgbWVyZ2VzIHdlcmUgY3JlYXRlZCBmcm9tIG1vZHMgd2hpY2ggaGF2ZSBzaW5jZSBiZWVuIHJlbW92ZWQsICdcbiAgICAgICAgKyAndXBkYXRlZCBvciByZW9yZGVyZWQuIFRoZSBtZXJnZWQgZmlsZXMgbm8gbG9uZ2VyIG1hdGNoIHlvdXIgbW9kcyBhbmQgc2hvdWxkIGJlICdcbiAgICAgICAgKyAnbWVyZ2VkIGFnYWluIG9yIGRyb3BwZWQuJywgeyBuczogSTE4Tl9OQU1FU1BBQ0UgfSlcbiAgICAgICAgKyAnW2JyXVsvYnJdW2JyXVsvYnJdJyArIHN0YWxlLm1hcChkZXNjcmliZSkuam9pbignJyksXG4gICAgfSxcbiAgICBhdXRvbWF0aWNGaXg6ICgpID0+IChmaXhTdGFsZU1lcmdlcyhhcGksIHN0YWxlKSBhcyBhbnkpLFxuICB9O1xuICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHJlcyk7XG59XG5cbiJdfQ==
\ No newline at end of file
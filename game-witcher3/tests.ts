@@ -1,7 +1,9 @@
-import { selectors, types, util } from 'vortex-api';
+import { log, selectors, types, util } from 'vortex-api';
 
-import { GAME_ID, getSuppressModLimitBranch } from './common';
+import { GAME_ID, getSuppressModLimitBranch, I18N_NAMESPACE } from './common';
 import { ModLimitPatcher } from './modLimitPatch';
+import { findStaleMerges, fixStaleMerges } from './scriptMerge';
+import { IStaleMerge } from './types';
 
 const MOD_LIMIT_THRESHOLD = 24;
 
@@ -40,3 +42,54 @@ export async function testModLimitBreach(
 
   return Promise.resolve(res);
 }
+
+export async function testStaleMerges(api: types.IExtensionApi): Promise<types.ITestResult> {
+  const t = api.translate;
+  const state: types.IState = api.getState();
+  const profile: types.IProfile = selectors.activeProfile(state);
+  if (profile?.gameId !== GAME_ID) {
+    return Promise.resolve(undefined);
+  }
+
+  let stale: IStaleMerge[];
+  try {
+    stale = await findStaleMerges(api);
+  } catch (err) {
+    log('error', 'failed to check merged scripts', err);
+    return Promise.resolve(undefined);
+  }
+  if (stale.length === 0) {
+    return Promise.resolve(undefined);
+  }
+
+  const describe = (entry: IStaleMerge) => {
+    const details = [];
+    if (entry.removed.length > 0) {
+      details.push(t('No longer provided by: {{mods}}',
+        { ns: I18N_NAMESPACE, replace: { mods: entry.removed.join(', ') } }));
+    }
+    if (entry.updated.length > 0) {
+      details.push(t('Changed since the merge: {{mods}}',
+        { ns: I18N_NAMESPACE, replace: { mods: entry.updated.join(', ') } }));
+    }
+    if (entry.reordered) {
+      details.push(t('The load order of the merged mods changed', { ns: I18N_NAMESPACE }));
+    }
+    return `[b]${entry.merge.relPath}[/b] (${entry.merge.mergedModName})`
+      + `[list]${details.map(detail => `[*]${detail}`).join('')}[/list]`;
+  };
+
+  const res: types.ITestResult = {
+    severity: 'warning',
+    description: {
+      short: t('Merged scripts are out of date', { ns: I18N_NAMESPACE }),
+      long: t('The following merges were created from mods which have since been removed, '
+        + 'updated or reordered. The merged files no longer match your mods and should be '
+        + 'merged again or dropped.', { ns: I18N_NAMESPACE })
+        + '[br][/br][br][/br]' + stale.map(describe).join(''),
+    },
+    automaticFix: () => (fixStaleMerges(api, stale) as any),
+  };
+  return Promise.resolve(res);
+}
+
@@ -1,3 +1,3 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSW5jb21pbmdIdHRwSGVhZGVycyB9IGZyb20gJ2h0dHAnO1xyXG5pbXBvcnQgeyB0eXBlcyB9IGZyb20gJ3ZvcnRleC1hcGknO1xyXG5cclxuZXhwb3J0IHR5cGUgUHJlZml4VHlwZSA9ICdkbGMnIHwgJ21vZCc7XHJcblxyXG5leHBvcnQgaW50ZXJmYWNlIElEZXBsb3ltZW50IHsgW21vZFR5cGVJZDogc3RyaW5nXTogSURlcGxveWVkRmlsZVtdOyB9XHJcbmV4cG9ydCBpbnRlcmZhY2UgSURlcGxveWVkRmlsZSB7XHJcbiAgcmVsUGF0aDogc3RyaW5nO1xyXG4gIHNvdXJjZTogc3RyaW5nO1xyXG4gIG1lcmdlZD86IHN0cmluZ1tdO1xyXG4gIHRhcmdldD86IHN0cmluZztcclxuICB0aW1lOiBudW1iZXI7XHJcbn1cclxuXHJcbmV4cG9ydCBpbnRlcmZhY2UgSVJlbW92ZU1vZE9wdGlvbnMge1xyXG4gIHdpbGxCZVJlcGxhY2VkPzogYm9vbGVhbjtcclxuICBpbmNvbXBsZXRlPzogYm9vbGVhbjtcclxuICBpZ25vcmVJbnN0YWxsaW5nPzogYm9vbGVhbjtcclxuICBtb2REYXRhPzogdHlwZXMuSU1vZDtcclxuICBwcm9ncmVzc0NCPzogKG51bVJlbW92ZWQ6IG51bWJlciwgbnVtVG90YWw6IG51bWJlciwgbmFtZTogc3RyaW5nKSA9PiB2b2lkO1xyXG59XHJcblxyXG5leHBvcnQgaW50ZXJmYWNlIElJdGVtUmVuZGVyZXJQcm9wcyB7XHJcbiAgLy8gVGhlIGFjdHVhbCBpdGVtIHdlIHdhbnQgdG8gcmVuZGVyLlxyXG4gIGxvRW50cnk6IHR5cGVzLklMb2FkT3JkZXJFbnRyeTtcclxuXHJcbiAgLy8gVGVsbHMgdGhlIGl0ZW0gcmVuZGVyZXIgd2hldGhlciB0byBkaXNwbGF5IGNoZWNrYm94ZXMgb3Igbm90LlxyXG4gIGRpc3BsYXlDaGVja2JveGVzOiBib29sZWFuO1xyXG5cclxuICAvLyBVc2VkIHRvIGRpc3BsYXkgYSBzbWFsbCB0b29sdGlwIGljb24gbmV4dCB0byB0aGUgaW52YWxpZCBtb2QgZW50cnlcclxuICAvLyAgZGVzY3JpYmluZyB0aGUgaXNzdWUgZGlyZWN0bHkgb24gdGhlIG1vZCBlbnRyeSBpbiB0aGUgTE8gcGFnZS5cclxuICBpbnZhbGlkRW50cmllcz86IGFueVtdO1xyXG5cclxuICAvLyBGdW5jdGlvbiBjb21wb25lbnRzIGNhbm5vdCBiZSBnaXZlbiByZWZzLCB3aGljaCBtZWFucyB0aGF0IERuRFxyXG4gIC8vICB3aWxsIG5vdCB3b3JrIHdoZW4gdXNpbmcgdGhlIFZvcnRleCBBUEkncyBEcmFnZ2FibGVJdGVtIHdpdGhvdXRcclxuICAvLyAgZm9yd2FyZGluZyB0aGUgcmVmIHRvIHRoZSBpdGVtUmVuZGVyZXIuXHJcbiAgc2V0UmVmPzogKHJlZjogYW55KSA9PiB2b2lkO1xyXG59XHJcblxyXG5leHBvcnQgaW50ZXJmYWNlIElJbmNvbWluZ0dpdGh1Ykh0dHBIZWFkZXJzIGV4dGVuZHMgSW5jb21pbmdIdHRwSGVhZGVycyB7XHJcbiAgXCJ4LXJhdGVsaW1pdC1yZXNldFwiOiBzdHJpbmc7XHJcbiAgXCJ4LXJhdGVsaW1pdC1yZW1haW5pbmdcIjogc3RyaW5nO1xyXG59Il19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHlwZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0eXBlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSW5jb21pbmdIdHRwSGVhZGVycyB9IGZyb20gJ2h0dHAnO1xuaW1wb3J0IHsgdHlwZXMgfSBmcm9tICd2b3J0ZXgtYXBpJztcblxuZXhwb3J0IHR5cGUgUHJlZml4VHlwZSA9ICdkbGMnIHwgJ21vZCc7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSURlcGxveW1lbnQgeyBbbW9kVHlwZUlkOiBzdHJpbmddOiBJRGVwbG95ZWRGaWxlW107IH1cbmV4cG9ydCBpbnRlcmZhY2UgSURlcGxveWVkRmlsZSB7XG4gIHJlbFBhdGg6IHN0cmluZztcbiAgc291cmNlOiBzdHJpbmc7XG4gIG1lcmdlZD86IHN0cmluZ1tdO1xuICB0YXJnZXQ/OiBzdHJpbmc7XG4gIHRpbWU6IG51bWJlcjtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJUmVtb3ZlTW9kT3B0aW9ucyB7XG4gIHdpbGxCZVJlcGxhY2VkPzogYm9vbGVhbjtcbiAgaW5jb21wbGV0ZT86IGJvb2xlYW47XG4gIGlnbm9yZUluc3RhbGxpbmc/OiBib29sZWFuO1xuICBtb2REYXRhPzogdHlwZXMuSU1vZDtcbiAgcHJvZ3Jlc3NDQj86IChudW1SZW1vdmVkOiBudW1iZXIsIG51bVRvdGFsOiBudW1iZXIsIG5hbWU6IHN0cmluZykgPT4gdm9pZDtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJSXRlbVJlbmRlcmVyUHJvcHMge1xuICAvLyBUaGUgYWN0dWFsIGl0ZW0gd2Ugd2FudCB0byByZW5kZXIuXG4gIGxvRW50cnk6IHR5cGVzLklMb2FkT3JkZXJFbnRyeTtcblxuICAvLyBUZWxscyB0aGUgaXRlbSByZW5kZXJlciB3aGV0aGVyIHRvIGRpc3BsYXkgY2hlY2tib3hlcyBvciBub3QuXG4gIGRpc3BsYXlDaGVja2JveGVzOiBib29sZWFuO1xuXG4gIC8vIFVzZWQgdG8gZGlzcGxheSBhIHNtYWxsIHRvb2x0aXAgaWNvbiBuZXh0IHRvIHRoZSBpbnZhbGlkIG1vZCBlbnRyeVxuICAvLyAgZGVzY3JpYmluZyB0aGUgaXNzdWUgZGlyZWN0bHkgb24gdGhlIG1vZCBlbnRyeSBpbiB0aGUgTE8gcGFnZS5cbiAgaW52YWxpZEVudHJpZXM/OiBhbnlbXTtcblxuICAvLyBGdW5jdGlvbiBjb21wb25lbnRzIGNhbm5vdCBiZSBnaXZlbiByZWZzLCB3aGljaCBtZWFucyB0aGF0IERuRFxuICAvLyAgd2lsbCBub3Qgd29yayB3aGVuIHVzaW5nIHRoZSBWb3J0ZXggQVBJJ3MgRHJhZ2dhYmxlSXRlbSB3aXRob3V0XG4gIC8vICBmb3J3YXJkaW5nIHRoZSByZWYgdG8gdGhlIGl0ZW1SZW5kZXJlci5cbiAgc2V0UmVmPzogKHJlZjogYW55KSA9PiB2b2lkO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElJbmNvbWluZ0dpdGh1Ykh0dHBIZWFkZXJzIGV4dGVuZHMgSW5jb21pbmdIdHRwSGVhZGVycyB7XG4gIFwieC1yYXRlbGltaXQtcmVzZXRcIjogc3RyaW5nO1xuICBcIngtcmF0ZWxpbWl0LXJlbWFpbmluZ1wiOiBzdHJpbmc7XG59XG5leHBvcnQgaW50ZXJmYWNlIElTY3JpcHRGaWxlIHtcbiAgLy8gcGF0aCBvZiB0aGUgc2NyaXB0IHJlbGF0aXZlIHRvIGNvbnRlbnQvc2NyaXB0cywgZS5nLiBnYW1lL3BsYXllci9yNFBsYXllci53c1xuICByZWxQYXRoOiBzdHJpbmc7XG4gIC8vIHRoZSBnYW1lJ3MgbW9kIGZvbGRlciB0aGUgZmlsZSBpcyBkZXBsb3llZCBpbnRvLCBlLmcuIG1vZEZyaWVuZGx5SFVEXG4gIG1vZEZvbGRlcjogc3RyaW5nO1xuICAvLyBWb3J0ZXggaWQgb2YgdGhlIG1vZCB0aGUgZmlsZSBiZWxvbmdzIHRvICh1bmRlZmluZWQgZm9yIGV4dGVybmFsIG1vZHMpXG4gIG1vZElkPzogc3RyaW5nO1xuICAvLyBhYnNvbHV0ZSBwYXRoIG9mIHRoZSBmaWxlIGluc2lkZSB0aGUgc3RhZ2luZyBmb2xkZXJcbiAgZmlsZVBhdGg6IHN0cmluZztcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJU2NyaXB0Q29uZmxpY3RFbnRyeSBleHRlbmRzIElTY3JpcHRGaWxlIHtcbiAgLy8gZnVuY3Rpb25zL2V2ZW50cyB3aGljaCBkaWZmZXIgZnJvbSB0aGUgdmFuaWxsYSBzY3JpcHQsIHByZWZpeGVkIHdpdGhcbiAgLy8gIHRoZWlyIGNsYXNzIG5hbWUgd2hlcmUgYXBwbGljYWJsZSwgZS5nLiBDUjRQbGF5ZXI6Ok9uU3Bhd25lZFxuICBmdW5jdGlvbnM6IHN0cmluZ1tdO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElTY3JpcHRDb25mbGljdCB7XG4gIHJlbFBhdGg6IHN0cmluZztcbiAgZW50cmllczogSVNjcmlwdENvbmZsaWN0RW50cnlbXTtcbiAgLy8gZnVuY3Rpb25zIHRvdWNoZWQgYnkgbW9yZSB0aGFuIG9uZSBtb2RcbiAgb3ZlcmxhcHBpbmc6IHN0cmluZ1tdO1xuICAvLyB0aGUgc2NyaXB0IG1lcmdlcidzIG1lcmdlZCBtb2QgYWxyZWFkeSBjb250YWlucyB0aGlzIGZpbGVcbiAgbWVyZ2VkOiBib29sZWFuO1xuICAvLyBhbGwgbW9kcyBzaGlwIHRoZSBleGFjdCBzYW1lIGZpbGUsIG5vIG1lcmdlIHJlcXVpcmVkXG4gIGlkZW50aWNhbDogYm9vbGVhbjtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJTWVyZ2VJbnZlbnRvcnlFbnRyeSB7XG4gIC8vICdTY3JpcHQnIG9yICdCdW5kbGUnXG4gIHR5cGU/OiBzdHJpbmc7XG4gIC8vIHBhdGggb2YgdGhlIG1lcmdlZCBmaWxlIHJlbGF0aXZlIHRvIHRoZSBtb2QgZm9sZGVyLCBlLmcuIGNvbnRlbnRcXHNjcmlwdHNcXGdhbWVcXHI0R2FtZS53c1xuICByZWxQYXRoOiBzdHJpbmc7XG4gIG1lcmdlZE1vZE5hbWU6IHN0cmluZztcbiAgLy8gbW9kIGZvbGRlcnMgdGhhdCB3ZXJlIG1lcmdlZCwgYWxvbmcgd2l0aCB0aGUgbWQ1IGhhc2ggb2YgdGhlaXIgY29weSBvZiB0aGUgZmlsZVxuICAvLyAgYW5kIHRoZWlyIHByaW9yaXR5IGF0IHRoZSB0aW1lIG9mIHRoZSBtZXJnZSAob25seSByZWNvcmRlZCBieSBWb3J0ZXgpXG4gIGluY2x1ZGVkTW9kczogQXJyYXk8eyBuYW1lOiBzdHJpbmcsIGhhc2g/OiBzdHJpbmcsIHByaW9yaXR5PzogbnVtYmVyIH0+O1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElTdGFsZU1lcmdlIHtcbiAgbWVyZ2U6IElNZXJnZUludmVudG9yeUVudHJ5O1xuICAvLyBpbmNsdWRlZCBtb2RzIHdoaWNoIG5vIGxvbmdlciBwcm92aWRlIHRoZSBtZXJnZWQgZmlsZVxuICByZW1vdmVkOiBzdHJpbmdbXTtcbiAgLy8gaW5jbHVkZWQgbW9kcyB3aG9zZSBjb3B5IG9mIHRoZSBmaWxlIGNoYW5nZWQgc2luY2UgdGhlIG1lcmdlXG4gIHVwZGF0ZWQ6IHN0cmluZ1tdO1xuICAvLyB0aGUgaW5jbHVkZWQgbW9kcycgbG9hZCBvcmRlciBjaGFuZ2VkIHNpbmNlIHRoZSBtZXJnZVxuICByZW9yZGVyZWQ6IGJvb2xlYW47XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVNjcmlwdERhdGEge1xuICBjb250ZW50OiBzdHJpbmc7XG4gIGVuY29kaW5nOiAndXRmOCcgfCAndXRmMTZsZSc7XG4gIGJvbTogYm9vbGVhbjtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJU2NyaXB0TWVyZ2VIdW5rIHtcbiAgLy8gMS1iYXNlZCBsaW5lIG9mIHRoZSBjb25mbGljdCBtYXJrZXIgaW5zaWRlIHRoZSBtZXJnZWQgc2NyaXB0XG4gIGxpbmU6IG51bWJlcjtcbiAgLy8gbW9kIGZvbGRlcihzKSB3aG9zZSBjaGFuZ2VzIHdlcmUga2VwdFxuICBrZXB0OiBzdHJpbmc7XG4gIC8vIG1vZCBmb2xkZXIocykgd2hvc2UgY2hhbmdlcyB3ZXJlIGNvbW1lbnRlZCBvdXRcbiAgZGlzY2FyZGVkOiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVNjcmlwdE1lcmdlUmVzdWx0IHtcbiAgcmVsUGF0aDogc3RyaW5nO1xuICAvLyBtb2QgZm9sZGVycyBpbmNsdWRlZCBpbiB0aGUgbWVyZ2UsIGhpZ2hlc3QgcHJpb3JpdHkgZmlyc3RcbiAgbW9kczogc3RyaW5nW107XG4gIC8vIGNvbmZsaWN0aW5nIGh1bmtzIHdoaWNoIGNvdWxkIG5vdCBiZSBtZXJnZWQgYXV0b21hdGljYWxseVxuICBodW5rczogSVNjcmlwdE1lcmdlSHVua1tdO1xufVxuXG4vLyByZXNvdXJjZSBwYXRoIGluc2lkZSB0aGUgYnVuZGxlcyAtPiBtb2QgZm9sZGVycyBzaGlwcGluZyBpdFxuZXhwb3J0IGludGVyZmFjZSBJQnVuZGxlQ29uZmxpY3RzIHtcbiAgW3Jlc291cmNlOiBzdHJpbmddOiBzdHJpbmdbXTtcbn1cblxuZXhwb3J0IHR5cGUgSW5wdXRDb25mbGljdFR5cGUgPSAnZHVwbGljYXRlLXZhcicgfCAna2V5LWNvbGxpc2lvbic7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUlucHV0Q29udHJpYnV0aW9uIHtcbiAgbW9kSWQ6IHN0cmluZztcbiAgLy8gdGhlIG1vZCdzIGRlZmluaXRpb24gb2YgdGhlIGNvbmZsaWN0aW5nIGVudHJ5LCBlLmcuIHRoZSBWYXIgYXR0cmlidXRlcyBvclxuICAvLyAgdGhlIGFjdGlvbiBib3VuZCB0byB0aGUga2V5XG4gIHZhbHVlOiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUlucHV0Q29uZmxpY3Qge1xuICAvLyBzdGFibGUgaWRlbnRpZmllciB1c2VkIHRvIHBlcnNpc3QgdGhlIHVzZXIncyBjaG9pY2Ugb2Ygd2lubmVyXG4gIGlkOiBzdHJpbmc7XG4gIHR5cGU6IElucHV0Q29uZmxpY3RUeXBlO1xuICAvLyB0aGUgaW5wdXQueG1sIGdyb3VwIG9yIGlucHV0LnNldHRpbmdzIGNvbnRleHRcbiAgY29udGV4dDogc3RyaW5nO1xuICAvLyB0aGUgVmFyIGlkIG9yIHRoZSBrZXlcbiAgbmFtZTogc3RyaW5nO1xuICBlbnRyaWVzOiBJSW5wdXRDb250cmlidXRpb25bXTtcbn1cbiJdfQ==
\ No newline at end of file
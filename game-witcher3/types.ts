@@ -40,4 +40,100 @@ export interface IItemRendererProps {
 export interface IIncomingGithubHttpHeaders extends IncomingHttpHeaders {
   "x-ratelimit-reset": string;
   "x-ratelimit-remaining": string;
-}
\ No newline at end of file
+}
+export interface IScriptFile {
+  // path of the script relative to content/scripts, e.g. game/player/r4Player.ws
+  relPath: string;
+  // the game's mod folder the file is deployed into, e.g. modFriendlyHUD
+  modFolder: string;
+  // Vortex id of the mod the file belongs to (undefined for external mods)
+  modId?: string;
+  // absolute path of the file inside the staging folder
+  filePath: string;
+}
+
+export interface IScriptConflictEntry extends IScriptFile {
+  // functions/events which differ from the vanilla script, prefixed with
+  //  their class name where applicable, e.g. CR4Player::OnSpawned
+  functions: string[];
+}
+
+export interface IScriptConflict {
+  relPath: string;
+  entries: IScriptConflictEntry[];
+  // functions touched by more than one mod
+  overlapping: string[];
+  // the script merger's merged mod already contains this file
+  merged: boolean;
+  // all mods ship the exact same file, no merge required
+  identical: boolean;
+}
+
+export interface IMergeInventoryEntry {
+  // 'Script' or 'Bundle'
+  type?: string;
+  // path of the merged file relative to the mod folder, e.g. content\scripts\game\r4Game.ws
+  relPath: string;
+  mergedModName: string;
+  // mod folders that were merged, along with the md5 hash of their copy of the file
+  //  and their priority at the time of the merge (only recorded by Vortex)
+  includedMods: Array<{ name: string, hash?: string, priority?: number }>;
+}
+
+export interface IStaleMerge {
+  merge: IMergeInventoryEntry;
+  // included mods which no longer provide the merged file
+  removed: string[];
+  // included mods whose copy of the file changed since the merge
+  updated: string[];
+  // the included mods' load order changed since the merge
+  reordered: boolean;
+}
+
+export interface IScriptData {
+  content: string;
+  encoding: 'utf8' | 'utf16le';
+  bom: boolean;
+}
+
+export interface IScriptMergeHunk {
+  // 1-based line of the conflict marker inside the merged script
+  line: number;
+  // mod folder(s) whose changes were kept
+  kept: string;
+  // mod folder(s) whose changes were commented out
+  discarded: string;
+}
+
+export interface IScriptMergeResult {
+  relPath: string;
+  // mod folders included in the merge, highest priority first
+  mods: string[];
+  // conflicting hunks which could not be merged automatically
+  hunks: IScriptMergeHunk[];
+}
+
+// resource path inside the bundles -> mod folders shipping it
+export interface IBundleConflicts {
+  [resource: string]: string[];
+}
+
+export type InputConflictType = 'duplicate-var' | 'key-collision';
+
+export interface IInputContribution {
+  modId: string;
+  // the mod's definition of the conflicting entry, e.g. the Var attributes or
+  //  the action bound to the key
+  value: string;
+}
+
+export interface IInputConflict {
+  // stable identifier used to persist the user's choice of winner
+  id: string;
+  type: InputConflictType;
+  // the input.xml group or input.settings context
+  context: string;
+  // the Var id or the key
+  name: string;
+  entries: IInputContribution[];
+}
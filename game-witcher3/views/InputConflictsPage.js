@@ -0,0 +1,84 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const React = __importStar(require("react"));
+const react_bootstrap_1 = require("react-bootstrap");
+const react_i18next_1 = require("react-i18next");
+const react_redux_1 = require("react-redux");
+const vortex_api_1 = require("vortex-api");
+const actions_1 = require("../actions");
+const common_1 = require("../common");
+const DEFAULT_WINNER = '__default';
+function InputConflict(props) {
+    const { conflict, winner, mods, onSetWinner } = props;
+    const { t } = (0, react_i18next_1.useTranslation)(common_1.I18N_NAMESPACE);
+    const onChange = React.useCallback((evt) => {
+        const modId = evt.currentTarget.value;
+        onSetWinner(conflict.id, (modId === DEFAULT_WINNER) ? undefined : modId);
+    }, [conflict, onSetWinner]);
+    const modName = (modId) => (mods[modId] !== undefined)
+        ? vortex_api_1.util.renderModName(mods[modId])
+        : modId;
+    const title = (conflict.type === 'duplicate-var')
+        ? t('Setting "{{name}}" in group "{{context}}" is defined differently by several mods', { replace: { name: conflict.name, context: conflict.context } })
+        : t('Key "{{name}}" in context "{{context}}" is bound to different actions', { replace: { name: conflict.name, context: conflict.context } });
+    return (React.createElement(react_bootstrap_1.Panel, null,
+        React.createElement(react_bootstrap_1.Panel.Heading, null, title),
+        React.createElement(react_bootstrap_1.Table, { condensed: true },
+            React.createElement("tbody", null,
+                React.createElement("tr", null,
+                    React.createElement("td", null,
+                        React.createElement(react_bootstrap_1.Radio, { name: conflict.id, value: DEFAULT_WINNER, checked: winner === undefined, onChange: onChange }, t('Default (load order)'))),
+                    React.createElement("td", null)),
+                conflict.entries.map((entry, idx) => (React.createElement("tr", { key: `${entry.modId}-${idx}` },
+                    React.createElement("td", null,
+                        React.createElement(react_bootstrap_1.Radio, { name: conflict.id, value: entry.modId, checked: winner === entry.modId, onChange: onChange }, modName(entry.modId))),
+                    React.createElement("td", null,
+                        React.createElement("code", null, entry.value)))))))));
+}
+function InputConflictsPage() {
+    const { t } = (0, react_i18next_1.useTranslation)(common_1.I18N_NAMESPACE);
+    const dispatch = (0, react_redux_1.useDispatch)();
+    const conflicts = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['session', 'witcher3', 'inputConflicts'], []));
+    const profileId = (0, react_redux_1.useSelector)((state) => { var _a; return (_a = vortex_api_1.selectors.activeProfile(state)) === null || _a === void 0 ? void 0 : _a.id; });
+    const winners = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['settings', 'witcher3', 'inputConflictWinners', profileId], {}));
+    const mods = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {}));
+    const onSetWinner = React.useCallback((conflictId, modId) => {
+        dispatch((0, actions_1.setInputConflictWinner)(profileId, conflictId, modId));
+        dispatch(vortex_api_1.actions.setDeploymentNecessary(common_1.GAME_ID, true));
+    }, [dispatch, profileId]);
+    return (React.createElement(vortex_api_1.MainPage, null,
+        React.createElement(vortex_api_1.MainPage.Body, null,
+            React.createElement(react_bootstrap_1.Panel, null,
+                React.createElement(react_bootstrap_1.Panel.Body, null,
+                    React.createElement("p", null, t('These mods define the same input settings or bind the same keys in different ways. '
+                        + 'By default the mod that gets merged last wins; pick the mod you want to take precedence '
+                        + 'for each conflict and deploy your mods to apply your choice.')),
+                    (conflicts.length === 0)
+                        ? React.createElement(vortex_api_1.EmptyPlaceholder, { icon: 'feedback-success', text: t('No keybinding conflicts') })
+                        : conflicts.map(conflict => (React.createElement(InputConflict, { key: conflict.id, conflict: conflict, winner: winners[conflict.id], mods: mods, onSetWinner: onSetWinner }))))))));
+}
+exports.default = InputConflictsPage;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiSW5wdXRDb25mbGljdHNQYWdlLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiSW5wdXRDb25mbGljdHNQYWdlLnRzeCJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQ0EsNkNBQStCO0FBQy9CLHFEQUFzRDtBQUN0RCxpREFBK0M7QUFDL0MsNkNBQXVEO0FBQ3ZELDJDQUF5RjtBQUV6Rix3Q0FBb0Q7QUFDcEQsc0NBQW9EO0FBR3BELE1BQU0sY0FBYyxHQUFHLFdBQVcsQ0FBQztBQVVuQyxTQUFTLGFBQWEsQ0FBQyxLQUEwQjtJQUMvQyxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQ3RELE1BQU0sRUFBRSxDQUFDLEVBQUUsR0FBRyxJQUFBLDhCQUFjLEVBQUMsdUJBQWMsQ0FBQyxDQUFDO0lBQzdDLE1BQU0sUUFBUSxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsQ0FBQyxHQUF5QixFQUFFLEVBQUU7UUFDL0QsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUM7UUFDdEMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEtBQUssY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDM0UsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLFdBQVcsQ0FBQyxDQUFDLENBQUM7SUFFNUIsTUFBTSxPQUFPLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFNBQVMsQ0FBQztRQUM1RCxDQUFDLENBQUMsaUJBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2pDLENBQUMsQ0FBQyxLQUFLLENBQUM7SUFFVixNQUFNLEtBQUssR0FBRyxDQUFDLFFBQVEsQ0FBQyxJQUFJLEtBQUssZUFBZSxDQUFDO1FBQy9DLENBQUMsQ0FBQyxDQUFDLENBQUMsa0ZBQWtGLEVBQ3BGLEVBQUUsT0FBTyxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLFFBQVEsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDO1FBQ2xFLENBQUMsQ0FBQyxDQUFDLENBQUMsdUVBQXVFLEVBQ3pFLEVBQUUsT0FBTyxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLFFBQVEsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFFckUsT0FBTyxDQUNMLG9CQUFDLHVCQUFLO1FBQ0osb0JBQUMsdUJBQUssQ0FBQyxPQUFPLFFBQUUsS0FBSyxDQUFpQjtRQUN0QyxvQkFBQyx1QkFBSyxJQUFDLFNBQVM7WUFDZDtnQkFDRTtvQkFDRTt3QkFDRSxvQkFBQyx1QkFBSyxJQUNKLElBQUksRUFBRSxRQUFRLENBQUMsRUFBRSxFQUNqQixLQUFLLEVBQUUsY0FBYyxFQUNyQixPQUFPLEVBQUUsTUFBTSxLQUFLLFNBQVMsRUFDN0IsUUFBUSxFQUFFLFFBQVEsSUFFakIsQ0FBQyxDQUFDLHNCQUFzQixDQUFDLENBQ3BCLENBQ0w7b0JBQ0wsK0JBQU0sQ0FDSDtnQkFDSixRQUFRLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLENBQ3BDLDRCQUFJLEdBQUcsRUFBRSxHQUFHLEtBQUssQ0FBQyxLQUFLLElBQUksR0FBRyxFQUFFO29CQUM5Qjt3QkFDRSxvQkFBQyx1QkFBSyxJQUNKLElBQUksRUFBRSxRQUFRLENBQUMsRUFBRSxFQUNqQixLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUssRUFDbEIsT0FBTyxFQUFFLE1BQU0sS0FBSyxLQUFLLENBQUMsS0FBSyxFQUMvQixRQUFRLEVBQUUsUUFBUSxJQUVqQixPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUNmLENBQ0w7b0JBQ0w7d0JBQUksa0NBQU8sS0FBSyxDQUFDLEtBQUssQ0FBUSxDQUFLLENBQ2hDLENBQ04sQ0FBQyxDQUNJLENBQ0YsQ0FDRixDQUNULENBQUM7QUFDSixDQUFDO0FBRUQsU0FBUyxrQkFBa0I7SUFDekIsTUFBTSxFQUFFLENBQUMsRUFBRSxHQUFHLElBQUEsOEJBQWMsRUFBQyx1QkFBYyxDQUFDLENBQUM7SUFDN0MsTUFBTSxRQUFRLEdBQUcsSUFBQSx5QkFBVyxHQUFFLENBQUM7SUFDL0IsTUFBTSxTQUFTLEdBQXFCLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRSxDQUN0RSxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLGdCQUFnQixDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUN0RSxNQUFNLFNBQVMsR0FBVyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsV0FBQyxPQUFBLE1BQUEsc0JBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLDBDQUFFLEVBQUUsQ0FBQSxFQUFBLENBQUMsQ0FBQztJQUNuRyxNQUFNLE9BQU8sR0FBcUMsSUFBQSx5QkFBVyxFQUFDLENBQUMsS0FBbUIsRUFBRSxFQUFFLENBQ3BGLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFVBQVUsRUFBRSxVQUFVLEVBQUUsc0JBQXNCLEVBQUUsU0FBUyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUN4RixNQUFNLElBQUksR0FBb0MsSUFBQSx5QkFBVyxFQUFDLENBQUMsS0FBbUIsRUFBRSxFQUFFLENBQ2hGLGlCQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsZ0JBQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFFNUQsTUFBTSxXQUFXLEdBQUcsS0FBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDLFVBQWtCLEVBQUUsS0FBYSxFQUFFLEVBQUU7UUFDMUUsUUFBUSxDQUFDLElBQUEsZ0NBQXNCLEVBQUMsU0FBUyxFQUFFLFVBQVUsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBRS9ELFFBQVEsQ0FBQyxvQkFBTyxDQUFDLHNCQUFzQixDQUFDLGdCQUFPLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUMxRCxDQUFDLEVBQUUsQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQztJQUUxQixPQUFPLENBQ0wsb0JBQUMscUJBQVE7UUFDUCxvQkFBQyxxQkFBUSxDQUFDLElBQUk7WUFDWixvQkFBQyx1QkFBSztnQkFDSixvQkFBQyx1QkFBSyxDQUFDLElBQUk7b0JBQ1QsK0JBQ0csQ0FBQyxDQUFDLHFGQUFxRjswQkFDcEYsMEZBQTBGOzBCQUMxRiw4REFBOEQsQ0FBQyxDQUNqRTtvQkFDSCxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDO3dCQUN2QixDQUFDLENBQUMsb0JBQUMsNkJBQWdCLElBQUMsSUFBSSxFQUFDLGtCQUFrQixFQUFDLElBQUksRUFBRSxDQUFDLENBQUMseUJBQXlCLENBQUMsR0FBSTt3QkFDbEYsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUMxQixvQkFBQyxhQUFhLElBQ1osR0FBRyxFQUFFLFFBQVEsQ0FBQyxFQUFFLEVBQ2hCLFFBQVEsRUFBRSxRQUFRLEVBQ2xCLE1BQU0sRUFBRSxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxFQUM1QixJQUFJLEVBQUUsSUFBSSxFQUNWLFdBQVcsRUFBRSxXQUFXLEdBQ3hCLENBQ0gsQ0FBQyxDQUNPLENBQ1AsQ0FDTSxDQUNQLENBQ1osQ0FBQztBQUNKLENBQUM7QUFFRCxrQkFBZSxrQkFBa0IsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XG5pbXBvcnQgeyBQYW5lbCwgUmFkaW8sIFRhYmxlIH0gZnJvbSAncmVhY3QtYm9vdHN0cmFwJztcbmltcG9ydCB7IHVzZVRyYW5zbGF0aW9uIH0gZnJvbSAncmVhY3QtaTE4bmV4dCc7XG5pbXBvcnQgeyB1c2VEaXNwYXRjaCwgdXNlU2VsZWN0b3IgfSBmcm9tICdyZWFjdC1yZWR1eCc7XG5pbXBvcnQgeyBhY3Rpb25zLCBFbXB0eVBsYWNlaG9sZGVyLCBNYWluUGFnZSwgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCB9IGZyb20gJ3ZvcnRleC1hcGknO1xuXG5pbXBvcnQgeyBzZXRJbnB1dENvbmZsaWN0V2lubmVyIH0gZnJvbSAnLi4vYWN0aW9ucyc7XG5pbXBvcnQgeyBHQU1FX0lELCBJMThOX05BTUVTUEFDRSB9IGZyb20gJy4uL2NvbW1vbic7XG5pbXBvcnQgeyBJSW5wdXRDb25mbGljdCB9IGZyb20gJy4uL3R5cGVzJztcblxuY29uc3QgREVGQVVMVF9XSU5ORVIgPSAnX19kZWZhdWx0JztcblxuaW50ZXJmYWNlIElJbnB1dENvbmZsaWN0UHJvcHMge1xuICBjb25mbGljdDogSUlucHV0Q29uZmxpY3Q7XG4gIC8vIHRoZSBtb2QgcGlja2VkIGJ5IHRoZSB1c2VyLCB1bmRlZmluZWQgaWYgdGhlIGRlZmF1bHQgcmVzb2x1dGlvbiBhcHBsaWVzXG4gIHdpbm5lcjogc3RyaW5nO1xuICBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9O1xuICBvblNldFdpbm5lcjogKGNvbmZsaWN0SWQ6IHN0cmluZywgbW9kSWQ6IHN0cmluZykgPT4gdm9pZDtcbn1cblxuZnVuY3Rpb24gSW5wdXRDb25mbGljdChwcm9wczogSUlucHV0Q29uZmxpY3RQcm9wcykge1xuICBjb25zdCB7IGNvbmZsaWN0LCB3aW5uZXIsIG1vZHMsIG9uU2V0V2lubmVyIH0gPSBwcm9wcztcbiAgY29uc3QgeyB0IH0gPSB1c2VUcmFuc2xhdGlvbihJMThOX05BTUVTUEFDRSk7XG4gIGNvbnN0IG9uQ2hhbmdlID0gUmVhY3QudXNlQ2FsbGJhY2soKGV2dDogUmVhY3QuRm9ybUV2ZW50PGFueT4pID0+IHtcbiAgICBjb25zdCBtb2RJZCA9IGV2dC5jdXJyZW50VGFyZ2V0LnZhbHVlO1xuICAgIG9uU2V0V2lubmVyKGNvbmZsaWN0LmlkLCAobW9kSWQgPT09IERFRkFVTFRfV0lOTkVSKSA/IHVuZGVmaW5lZCA6IG1vZElkKTtcbiAgfSwgW2NvbmZsaWN0LCBvblNldFdpbm5lcl0pO1xuXG4gIGNvbnN0IG1vZE5hbWUgPSAobW9kSWQ6IHN0cmluZykgPT4gKG1vZHNbbW9kSWRdICE9PSB1bmRlZmluZWQpXG4gICAgPyB1dGlsLnJlbmRlck1vZE5hbWUobW9kc1ttb2RJZF0pXG4gICAgOiBtb2RJZDtcblxuICBjb25zdCB0aXRsZSA9IChjb25mbGljdC50eXBlID09PSAnZHVwbGljYXRlLXZhcicpXG4gICAgPyB0KCdTZXR0aW5nIFwie3tuYW1lfX1cIiBpbiBncm91cCBcInt7Y29udGV4dH19XCIgaXMgZGVmaW5lZCBkaWZmZXJlbnRseSBieSBzZXZlcmFsIG1vZHMnLFxuICAgICAgeyByZXBsYWNlOiB7IG5hbWU6IGNvbmZsaWN0Lm5hbWUsIGNvbnRleHQ6IGNvbmZsaWN0LmNvbnRleHQgfSB9KVxuICAgIDogdCgnS2V5IFwie3tuYW1lfX1cIiBpbiBjb250ZXh0IFwie3tjb250ZXh0fX1cIiBpcyBib3VuZCB0byBkaWZmZXJlbnQgYWN0aW9ucycsXG4gICAgICB7IHJlcGxhY2U6IHsgbmFtZTogY29uZmxpY3QubmFtZSwgY29udGV4dDogY29uZmxpY3QuY29udGV4dCB9IH0pO1xuXG4gIHJldHVybiAoXG4gICAgPFBhbmVsPlxuICAgICAgPFBhbmVsLkhlYWRpbmc+e3RpdGxlfTwvUGFuZWwuSGVhZGluZz5cbiAgICAgIDxUYWJsZSBjb25kZW5zZWQ+XG4gICAgICAgIDx0Ym9keT5cbiAgICAgICAgICA8dHI+XG4gICAgICAgICAgICA8dGQ+XG4gICAgICAgICAgICAgIDxSYWRpb1xuICAgICAgICAgICAgICAgIG5hbWU9e2NvbmZsaWN0LmlkfVxuICAgICAgICAgICAgICAgIHZhbHVlPXtERUZBVUxUX1dJTk5FUn1cbiAgICAgICAgICAgICAgICBjaGVja2VkPXt3aW5uZXIgPT09IHVuZGVmaW5lZH1cbiAgICAgICAgICAgICAgICBvbkNoYW5nZT17b25DaGFuZ2V9XG4gICAgICAgICAgICAgID5cbiAgICAgICAgICAgICAgICB7dCgnRGVmYXVsdCAobG9hZCBvcmRlciknKX1cbiAgICAgICAgICAgICAgPC9SYWRpbz5cbiAgICAgICAgICAgIDwvdGQ+XG4gICAgICAgICAgICA8dGQgLz5cbiAgICAgICAgICA8L3RyPlxuICAgICAgICAgIHtjb25mbGljdC5lbnRyaWVzLm1hcCgoZW50cnksIGlkeCkgPT4gKFxuICAgICAgICAgICAgPHRyIGtleT17YCR7ZW50cnkubW9kSWR9LSR7aWR4fWB9PlxuICAgICAgICAgICAgICA8dGQ+XG4gICAgICAgICAgICAgICAgPFJhZGlvXG4gICAgICAgICAgICAgICAgICBuYW1lPXtjb25mbGljdC5pZH1cbiAgICAgICAgICAgICAgICAgIHZhbHVlPXtlbnRyeS5tb2RJZH1cbiAgICAgICAgICAgICAgICAgIGNoZWNrZWQ9e3dpbm5lciA9PT0gZW50cnkubW9kSWR9XG4gICAgICAgICAgICAgICAgICBvbkNoYW5nZT17b25DaGFuZ2V9XG4gICAgICAgICAgICAgICAgPlxuICAgICAgICAgICAgICAgICAge21vZE5hbWUoZW50cnkubW9kSWQpfVxuICAgICAgICAgICAgICAgIDwvUmFkaW8+XG4gICAgICAgICAgICAgIDwvdGQ+XG4gICAgICAgICAgICAgIDx0ZD48Y29kZT57ZW50cnkudmFsdWV9PC9jb2RlPjwvdGQ+XG4gICAgICAgICAgICA8L3RyPlxuICAgICAgICAgICkpfVxuICAgICAgICA8L3Rib2R5PlxuICAgICAgPC9UYWJsZT5cbiAgICA8L1BhbmVsPlxuICApO1xufVxuXG5mdW5jdGlvbiBJbnB1dENvbmZsaWN0c1BhZ2UoKSB7XG4gIGNvbnN0IHsgdCB9ID0gdXNlVHJhbnNsYXRpb24oSTE4Tl9OQU1FU1BBQ0UpO1xuICBjb25zdCBkaXNwYXRjaCA9IHVzZURpc3BhdGNoKCk7XG4gIGNvbnN0IGNvbmZsaWN0czogSUlucHV0Q29uZmxpY3RbXSA9IHVzZVNlbGVjdG9yKChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PlxuICAgIHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXNzaW9uJywgJ3dpdGNoZXIzJywgJ2lucHV0Q29uZmxpY3RzJ10sIFtdKSk7XG4gIGNvbnN0IHByb2ZpbGVJZDogc3RyaW5nID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKT8uaWQpO1xuICBjb25zdCB3aW5uZXJzOiB7IFtjb25mbGljdElkOiBzdHJpbmddOiBzdHJpbmcgfSA9IHVzZVNlbGVjdG9yKChzdGF0ZTogdHlwZXMuSVN0YXRlKSA9PlxuICAgIHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydzZXR0aW5ncycsICd3aXRjaGVyMycsICdpbnB1dENvbmZsaWN0V2lubmVycycsIHByb2ZpbGVJZF0sIHt9KSk7XG4gIGNvbnN0IG1vZHM6IHsgW21vZElkOiBzdHJpbmddOiB0eXBlcy5JTW9kIH0gPSB1c2VTZWxlY3Rvcigoc3RhdGU6IHR5cGVzLklTdGF0ZSkgPT5cbiAgICB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KSk7XG5cbiAgY29uc3Qgb25TZXRXaW5uZXIgPSBSZWFjdC51c2VDYWxsYmFjaygoY29uZmxpY3RJZDogc3RyaW5nLCBtb2RJZDogc3RyaW5nKSA9PiB7XG4gICAgZGlzcGF0Y2goc2V0SW5wdXRDb25mbGljdFdpbm5lcihwcm9maWxlSWQsIGNvbmZsaWN0SWQsIG1vZElkKSk7XG4gICAgLy8gdGhlIGNob2ljZSBpcyBhcHBsaWVkIHdoZW4gaW5wdXQueG1sIGFuZCBpbnB1dC5zZXR0aW5ncyBnZXQgbWVyZ2VkIGFnYWluXG4gICAgZGlzcGF0Y2goYWN0aW9ucy5zZXREZXBsb3ltZW50TmVjZXNzYXJ5KEdBTUVfSUQsIHRydWUpKTtcbiAgfSwgW2Rpc3BhdGNoLCBwcm9maWxlSWRdKTtcblxuICByZXR1cm4gKFxuICAgIDxNYWluUGFnZT5cbiAgICAgIDxNYWluUGFnZS5Cb2R5PlxuICAgICAgICA8UGFuZWw+XG4gICAgICAgICAgPFBhbmVsLkJvZHk+XG4gICAgICAgICAgICA8cD5cbiAgICAgICAgICAgICAge3QoJ1RoZXNlIG1vZHMgZGVmaW5lIHRoZSBzYW1lIGlucHV0IHNldHRpbmdzIG9yIGJpbmQgdGhlIHNhbWUga2V5cyBpbiBkaWZmZXJlbnQgd2F5cy4gJ1xuICAgICAgICAgICAgICAgICsgJ0J5IGRlZmF1bHQgdGhlIG1vZCB0aGF0IGdldHMgbWVyZ2VkIGxhc3Qgd2luczsgcGljayB0aGUgbW9kIHlvdSB3YW50IHRvIHRha2UgcHJlY2VkZW5jZSAnXG4gICAgICAgICAgICAgICAgKyAnZm9yIGVhY2ggY29uZmxpY3QgYW5kIGRlcGxveSB5b3VyIG1vZHMgdG8gYXBwbHkgeW91ciBjaG9pY2UuJyl9XG4gICAgICAgICAgICA8L3A+XG4gICAgICAgICAgICB7KGNvbmZsaWN0cy5sZW5ndGggPT09IDApXG4gICAgICAgICAgICAgID8gPEVtcHR5UGxhY2Vob2xkZXIgaWNvbj0nZmVlZGJhY2stc3VjY2VzcycgdGV4dD17dCgnTm8ga2V5YmluZGluZyBjb25mbGljdHMnKX0gLz5cbiAgICAgICAgICAgICAgOiBjb25mbGljdHMubWFwKGNvbmZsaWN0ID0+IChcbiAgICAgICAgICAgICAgICA8SW5wdXRDb25mbGljdFxuICAgICAgICAgICAgICAgICAga2V5PXtjb25mbGljdC5pZH1cbiAgICAgICAgICAgICAgICAgIGNvbmZsaWN0PXtjb25mbGljdH1cbiAgICAgICAgICAgICAgICAgIHdpbm5lcj17d2lubmVyc1tjb25mbGljdC5pZF19XG4gICAgICAgICAgICAgICAgICBtb2RzPXttb2RzfVxuICAgICAgICAgICAgICAgICAgb25TZXRXaW5uZXI9e29uU2V0V2lubmVyfVxuICAgICAgICAgICAgICAgIC8+XG4gICAgICAgICAgICAgICkpfVxuICAgICAgICAgIDwvUGFuZWwuQm9keT5cbiAgICAgICAgPC9QYW5lbD5cbiAgICAgIDwvTWFpblBhZ2UuQm9keT5cbiAgICA8L01haW5QYWdlPlxuICApO1xufVxuXG5leHBvcnQgZGVmYXVsdCBJbnB1dENvbmZsaWN0c1BhZ2U7XG4iXX0=
\ No newline at end of file
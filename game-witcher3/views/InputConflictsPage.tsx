@@ -0,0 +1,124 @@
+/* eslint-disable */
+import * as React from 'react';
+import { Panel, Radio, Table } from 'react-bootstrap';
+import { useTranslation } from 'react-i18next';
+import { useDispatch, useSelector } from 'react-redux';
+import { actions, EmptyPlaceholder, MainPage, selectors, types, util } from 'vortex-api';
+
+import { setInputConflictWinner } from '../actions';
+import { GAME_ID, I18N_NAMESPACE } from '../common';
+import { IInputConflict } from '../types';
+
+const DEFAULT_WINNER = '__default';
+
+interface IInputConflictProps {
+  conflict: IInputConflict;
+  // the mod picked by the user, undefined if the default resolution applies
+  winner: string;
+  mods: { [modId: string]: types.IMod };
+  onSetWinner: (conflictId: string, modId: string) => void;
+}
+
+function InputConflict(props: IInputConflictProps) {
+  const { conflict, winner, mods, onSetWinner } = props;
+  const { t } = useTranslation(I18N_NAMESPACE);
+  const onChange = React.useCallback((evt: React.FormEvent<any>) => {
+    const modId = evt.currentTarget.value;
+    onSetWinner(conflict.id, (modId === DEFAULT_WINNER) ? undefined : modId);
+  }, [conflict, onSetWinner]);
+
+  const modName = (modId: string) => (mods[modId] !== undefined)
+    ? util.renderModName(mods[modId])
+    : modId;
+
+  const title = (conflict.type === 'duplicate-var')
+    ? t('Setting "{{name}}" in group "{{context}}" is defined differently by several mods',
+      { replace: { name: conflict.name, context: conflict.context } })
+    : t('Key "{{name}}" in context "{{context}}" is bound to different actions',
+      { replace: { name: conflict.name, context: conflict.context } });
+
+  return (
+    <Panel>
+      <Panel.Heading>{title}</Panel.Heading>
+      <Table condensed>
+        <tbody>
+          <tr>
+            <td>
+              <Radio
+                name={conflict.id}
+                value={DEFAULT_WINNER}
+                checked={winner === undefined}
+                onChange={onChange}
+              >
+                {t('Default (load order)')}
+              </Radio>
+            </td>
+            <td />
+          </tr>
+          {conflict.entries.map((entry, idx) => (
+            <tr key={`${entry.modId}-${idx}`}>
+              <td>
+                <Radio
+                  name={conflict.id}
+                  value={entry.modId}
+                  checked={winner === entry.modId}
+                  onChange={onChange}
+                >
+                  {modName(entry.modId)}
+                </Radio>
+              </td>
+              <td><code>{entry.value}</code></td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </Panel>
+  );
+}
+
+function InputConflictsPage() {
+  const { t } = useTranslation(I18N_NAMESPACE);
+  const dispatch = useDispatch();
+  const conflicts: IInputConflict[] = useSelector((state: types.IState) =>
+    util.getSafe(state, ['session', 'witcher3', 'inputConflicts'], []));
+  const profileId: string = useSelector((state: types.IState) => selectors.activeProfile(state)?.id);
+  const winners: { [conflictId: string]: string } = useSelector((state: types.IState) =>
+    util.getSafe(state, ['settings', 'witcher3', 'inputConflictWinners', profileId], {}));
+  const mods: { [modId: string]: types.IMod } = useSelector((state: types.IState) =>
+    util.getSafe(state, ['persistent', 'mods', GAME_ID], {}));
+
+  const onSetWinner = React.useCallback((conflictId: string, modId: string) => {
+    dispatch(setInputConflictWinner(profileId, conflictId, modId));
+    // the choice is applied when input.xml and input.settings get merged again
+    dispatch(actions.setDeploymentNecessary(GAME_ID, true));
+  }, [dispatch, profileId]);
+
+  return (
+    <MainPage>
+      <MainPage.Body>
+        <Panel>
+          <Panel.Body>
+            <p>
+              {t('These mods define the same input settings or bind the same keys in different ways. '
+                + 'By default the mod that gets merged last wins; pick the mod you want to take precedence '
+                + 'for each conflict and deploy your mods to apply your choice.')}
+            </p>
+            {(conflicts.length === 0)
+              ? <EmptyPlaceholder icon='feedback-success' text={t('No keybinding conflicts')} />
+              : conflicts.map(conflict => (
+                <InputConflict
+                  key={conflict.id}
+                  conflict={conflict}
+                  winner={winners[conflict.id]}
+                  mods={mods}
+                  onSetWinner={onSetWinner}
+                />
+              ))}
+          </Panel.Body>
+        </Panel>
+      </MainPage.Body>
+    </MainPage>
+  );
+}
+
+export default InputConflictsPage;
@@ -30,6 +30,7 @@ const react_i18next_1 = require("react-i18next");
 const react_redux_1 = require("react-redux");
 const vortex_api_1 = require("vortex-api");
 const common_1 = require("../common");
+const bundleAnalysis_1 = require("../bundleAnalysis");
 function ItemRenderer(props) {
     var _a;
     if (((_a = props === null || props === void 0 ? void 0 : props.item) === null || _a === void 0 ? void 0 : _a.loEntry) === undefined) {
@@ -47,6 +48,22 @@ function renderValidationError(props) {
     return (invalidEntry !== undefined)
         ? (React.createElement(vortex_api_1.tooltip.Icon, { className: 'fblo-invalid-entry', name: 'feedback-error', tooltip: invalidEntry.reason })) : null;
 }
+function renderBundleOverrides(props) {
+    const { bundleConflicts, item, loadOrder } = props;
+    const [t] = (0, react_i18next_1.useTranslation)(common_1.I18N_NAMESPACE);
+    const { overrides, overriddenBy } = (0, bundleAnalysis_1.bundleOverrides)(bundleConflicts, item.loEntry.id, loadOrder);
+    if ((Object.keys(overrides).length === 0) && (Object.keys(overriddenBy).length === 0)) {
+        return null;
+    }
+    const MAX_FILES = 3;
+    const fileList = (files) => (files.length > MAX_FILES)
+        ? files.slice(0, MAX_FILES).join(', ') + ', ' + t('and {{count}} more', { count: files.length - MAX_FILES })
+        : files.join(', ');
+    const lines = [].concat(Object.keys(overrides).map(modFolder => t('Overrides {{modFolder}}: {{files}}', { replace: { modFolder, files: fileList(overrides[modFolder]) } })), Object.keys(overriddenBy).map(modFolder => t('Overridden by {{modFolder}}: {{files}}', { replace: { modFolder, files: fileList(overriddenBy[modFolder]) } })));
+    return (React.createElement(vortex_api_1.tooltip.Icon, { className: (Object.keys(overriddenBy).length > 0)
+            ? 'witcher3-bundle-overrides overridden'
+            : 'witcher3-bundle-overrides', name: 'conflict', tooltip: lines.join('\n') }));
+}
 function renderViewModIcon(props) {
     const { item, mods } = props;
     if (isExternal(item.loEntry) || item.loEntry.modId === item.loEntry.name) {
@@ -101,6 +118,7 @@ function renderDraggable(props) {
         React.createElement("p", { className: 'load-order-index' }, position),
         renderValidationError(props),
         React.createElement("p", { className: 'load-order-name' }, key),
+        renderBundleOverrides(props),
         renderExternalBanner(item.loEntry),
         renderViewModIcon(props),
         checkBox(),
@@ -120,7 +138,8 @@ function mapStateToProps(state) {
         loadOrder: vortex_api_1.util.getSafe(state, ['persistent', 'loadOrder', profile.id], []),
         modState: vortex_api_1.util.getSafe(profile, ['modState'], empty),
         mods: vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {}),
+        bundleConflicts: vortex_api_1.util.getSafe(state, ['session', 'witcher3', 'bundleConflicts'], empty),
     };
 }
 exports.default = ItemRenderer;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiSXRlbVJlbmRlcmVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiSXRlbVJlbmRlcmVyLnRzeCJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUFBLDZDQUErQjtBQUMvQixxREFBMEQ7QUFDMUQsaURBQStDO0FBQy9DLDZDQUF1RDtBQUV2RCwyQ0FBeUY7QUFDekYsc0NBQW9EO0FBaUJwRCxTQUFnQixZQUFZLENBQUMsS0FBaUI7O0lBQzVDLElBQUksQ0FBQSxNQUFBLEtBQUssYUFBTCxLQUFLLHVCQUFMLEtBQUssQ0FBRSxJQUFJLDBDQUFFLE9BQU8sTUFBSyxTQUFTLEVBQUU7UUFDdEMsT0FBTyxJQUFJLENBQUM7S0FDYjtJQUNELE1BQU0sVUFBVSxHQUFHLElBQUEseUJBQVcsRUFBQyxlQUFlLENBQUMsQ0FBQztJQUNoRCxPQUFPLGVBQWUsaUNBQU0sS0FBSyxHQUFLLFVBQVUsRUFBRyxDQUFDO0FBQ3RELENBQUM7QUFORCxvQ0FNQztBQUVELFNBQVMscUJBQXFCLENBQUMsS0FBYTtJQUMxQyxNQUFNLEVBQUUsY0FBYyxFQUFFLE9BQU8sRUFBRSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUM7SUFDL0MsTUFBTSxZQUFZLEdBQUcsQ0FBQyxjQUFjLEtBQUssU0FBUyxDQUFDO1FBQ2pELENBQUMsQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxXQUFXLEVBQUUsS0FBSyxPQUFPLENBQUMsRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO1FBQy9FLENBQUMsQ0FBQyxTQUFTLENBQUM7SUFDZCxPQUFPLENBQUMsWUFBWSxLQUFLLFNBQVMsQ0FBQztRQUNqQyxDQUFDLENBQUMsQ0FDQSxvQkFBQyxvQkFBTyxDQUFDLElBQUksSUFDWCxTQUFTLEVBQUMsb0JBQW9CLEVBQzlCLElBQUksRUFBQyxnQkFBZ0IsRUFDckIsT0FBTyxFQUFFLFlBQVksQ0FBQyxNQUFNLEdBQzVCLENBQ0gsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0FBQ2IsQ0FBQztBQUVELFNBQVMsaUJBQWlCLENBQUMsS0FBYTtJQUN0QyxNQUFNLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxHQUFHLEtBQUssQ0FBQztJQUM3QixJQUFJLFVBQVUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEtBQUssSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUU7UUFDeEUsT0FBTyxJQUFJLENBQUM7S0FDYjtJQUNELE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxVQUFVLENBQUMsd0JBQVcsQ0FBQyxDQUFDO0lBQzlDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFBLDhCQUFjLEVBQUMsdUJBQWMsQ0FBQyxDQUFDO0lBQzNDLE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsR0FBRyxFQUFFO1FBQ3JDLE1BQU0sRUFBRSxLQUFLLEVBQUUsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDO1FBQy9CLE1BQU0sR0FBRyxHQUFHLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRyxLQUFLLENBQUMsQ0FBQztRQUMxQixJQUFJLEdBQUcsS0FBSyxTQUFTLEVBQUU7WUFDckIsT0FBTztTQUNSO1FBQ0QsTUFBTSxPQUFPLEdBQUc7WUFDZCxvQkFBTyxDQUFDLGtCQUFrQixDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsaUJBQUksQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDcEUsQ0FBQztRQUNGLGlCQUFJLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUN4RCxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDcEQsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQzFCLE9BQU8sSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUN4QyxvQkFBQyxvQkFBTyxDQUFDLFVBQVUsSUFDakIsU0FBUyxFQUFDLHdCQUF3QixFQUNsQyxJQUFJLEVBQUMsVUFBVSxFQUNmLE9BQU8sRUFBRSxDQUFDLENBQUMsaUJBQWlCLENBQUMsRUFDN0IsT0FBTyxFQUFFLE9BQU8sR0FDaEIsQ0FDSCxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDWCxDQUFDO0FBRUQsU0FBUyxvQkFBb0IsQ0FBQyxJQUEyQjtJQUN2RCxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBQSw4QkFBYyxFQUFDLHVCQUFjLENBQUMsQ0FBQztJQUMzQyxPQUFPLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FDeEIsNkJBQUssU0FBUyxFQUFDLDZCQUE2QjtRQUMxQyxvQkFBQyxpQkFBSSxJQUFDLFNBQVMsRUFBQyx1QkFBdUIsRUFBQyxJQUFJLEVBQUMsa0JBQWtCLEdBQUc7UUFDbEUsOEJBQU0sU0FBUyxFQUFDLG9CQUFvQixJQUFFLENBQUMsQ0FBQyx1QkFBdUIsQ0FBQyxDQUFRLENBQ3BFLENBQ1AsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0FBQ1gsQ0FBQztBQUVELFNBQVMsZUFBZSxDQUFDLEtBQWE7O0lBQ3BDLE1BQU0sRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsR0FBRyxLQUFLLENBQUM7SUFDdEQsTUFBTSxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUEsTUFBQSxJQUFJLGFBQUosSUFBSSx1QkFBSixJQUFJLENBQUUsT0FBTywwQ0FBRSxJQUFJLENBQUEsQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxFQUFFLENBQUM7SUFDbEYsTUFBTSxRQUFRLEdBQUcsSUFBQSx5QkFBVyxHQUFFLENBQUM7SUFDL0IsTUFBTSxRQUFRLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxFQUFFLEtBQUssSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUM7SUFFaEYsSUFBSSxPQUFPLEdBQUcsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDO0lBQ25DLElBQUksU0FBUyxLQUFLLFNBQVMsRUFBRTtRQUMzQixPQUFPLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7S0FDaEQ7SUFFRCxJQUFJLFVBQVUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUU7UUFDNUIsT0FBTyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUM7S0FDdEM7SUFFRCxNQUFNLGNBQWMsR0FBRyxLQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsR0FBUSxFQUFFLEVBQUU7UUFDcEQsTUFBTSxLQUFLLG1DQUNOLElBQUksQ0FBQyxPQUFPLEtBQ2YsT0FBTyxFQUFFLEdBQUcsQ0FBQyxNQUFNLENBQUMsT0FBTyxHQUM1QixDQUFDO1FBQ0YsUUFBUSxDQUFDLG9CQUFPLENBQUMsbUJBQW1CLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFBO0lBQzFELENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUU5QixNQUFNLFFBQVEsR0FBRyxHQUFHLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQztRQUM3QyxDQUFDLENBQUMsQ0FDQSxvQkFBQywwQkFBUSxJQUNQLFNBQVMsRUFBQyxnQkFBZ0IsRUFDMUIsT0FBTyxFQUFFLElBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUM3QixRQUFRLEVBQUUsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFDaEMsUUFBUSxFQUFFLGNBQWMsR0FDeEIsQ0FDSDtRQUNELENBQUMsQ0FBQyxJQUFJLENBQUM7SUFFVCxNQUFNLElBQUksR0FBRyxHQUFHLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDekMsQ0FBQyxDQUFDLENBQ0Esb0JBQUMsaUJBQUksSUFBQyxTQUFTLEVBQUMsbUJBQW1CLEVBQUMsSUFBSSxFQUFDLFFBQVEsR0FBRyxDQUNyRCxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7SUFFWCxPQUFPLENBQ0wsb0JBQUMsK0JBQWEsSUFDWixHQUFHLEVBQUUsR0FBRyxFQUNSLFNBQVMsRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUM1QixHQUFHLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNO1FBRXRCLG9CQUFDLGlCQUFJLElBQUMsU0FBUyxFQUFDLGtCQUFrQixFQUFDLElBQUksRUFBQyxhQUFhLEdBQUc7UUFDeEQsMkJBQUcsU0FBUyxFQUFDLGtCQUFrQixJQUFFLFFBQVEsQ0FBSztRQUM3QyxxQkFBcUIsQ0FBQyxLQUFLLENBQUM7UUFDN0IsMkJBQUcsU0FBUyxFQUFDLGlCQUFpQixJQUFFLEdBQUcsQ0FBSztRQUN2QyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDO1FBQ2xDLGlCQUFpQixDQUFDLEtBQUssQ0FBQztRQUN4QixRQUFRLEVBQUU7UUFDVixJQUFJLEVBQUUsQ0FDTyxDQUNqQixDQUFDO0FBQ0osQ0FBQztBQUVELFNBQVMsUUFBUSxDQUFDLElBQTJCO0lBQzNDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7QUFDeEQsQ0FBQztBQUVELFNBQVMsVUFBVSxDQUFDLElBQTJCO0lBQzdDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUNuRCxDQUFDO0FBRUQsTUFBTSxLQUFLLEdBQUcsRUFBRSxDQUFDO0FBQ2pCLFNBQVMsZUFBZSxDQUFDLEtBQW1CO0lBQzFDLE1BQU0sT0FBTyxHQUFtQixzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUMvRCxPQUFPO1FBQ0wsT0FBTztRQUNQLFNBQVMsRUFBRSxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7UUFDM0UsUUFBUSxFQUFFLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVUsQ0FBQyxFQUFFLEtBQUssQ0FBQztRQUNwRCxJQUFJLEVBQUUsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDO0tBQy9ELENBQUM7QUFDSixDQUFDO0FBRUQsa0JBQWUsWUFBWSxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0ICogYXMgUmVhY3QgZnJvbSAncmVhY3QnO1xyXG5pbXBvcnQgeyBDaGVja2JveCwgTGlzdEdyb3VwSXRlbSB9IGZyb20gJ3JlYWN0LWJvb3RzdHJhcCc7XHJcbmltcG9ydCB7IHVzZVRyYW5zbGF0aW9uIH0gZnJvbSAncmVhY3QtaTE4bmV4dCc7XHJcbmltcG9ydCB7IHVzZURpc3BhdGNoLCB1c2VTZWxlY3RvciB9IGZyb20gJ3JlYWN0LXJlZHV4JztcclxuXHJcbmltcG9ydCB7IGFjdGlvbnMsIEljb24sIHRvb2x0aXAsIHNlbGVjdG9ycywgdHlwZXMsIHV0aWwsIE1haW5Db250ZXh0IH0gZnJvbSAndm9ydGV4LWFwaSc7XHJcbmltcG9ydCB7IEkxOE5fTkFNRVNQQUNFLCBHQU1FX0lEIH0gZnJvbSAnLi4vY29tbW9uJztcclxuaW1wb3J0IHsgSUl0ZW1SZW5kZXJlclByb3BzIH0gZnJvbSAnLi4vdHlwZXMnO1xyXG5cclxuaW50ZXJmYWNlIElDb25uZWN0ZWRQcm9wcyB7XHJcbiAgbW9kU3RhdGU6IGFueTtcclxuICBsb2FkT3JkZXI6IHR5cGVzLkxvYWRPcmRlcjtcclxuICBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZTtcclxuICBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9O1xyXG59XHJcblxyXG5pbnRlcmZhY2UgSUJhc2VQcm9wcyB7XHJcbiAgY2xhc3NOYW1lPzogc3RyaW5nO1xyXG4gIGl0ZW06IElJdGVtUmVuZGVyZXJQcm9wcztcclxufVxyXG5cclxudHlwZSBJUHJvcHMgPSBJQmFzZVByb3BzICYgSUNvbm5lY3RlZFByb3BzO1xyXG5cclxuZXhwb3J0IGZ1bmN0aW9uIEl0ZW1SZW5kZXJlcihwcm9wczogSUJhc2VQcm9wcykge1xyXG4gIGlmIChwcm9wcz8uaXRlbT8ubG9FbnRyeSA9PT0gdW5kZWZpbmVkKSB7XHJcbiAgICByZXR1cm4gbnVsbDtcclxuICB9XHJcbiAgY29uc3Qgc3RhdGVQcm9wcyA9IHVzZVNlbGVjdG9yKG1hcFN0YXRlVG9Qcm9wcyk7XHJcbiAgcmV0dXJuIHJlbmRlckRyYWdnYWJsZSh7IC4uLnByb3BzLCAuLi5zdGF0ZVByb3BzIH0pO1xyXG59XHJcblxyXG5mdW5jdGlvbiByZW5kZXJWYWxpZGF0aW9uRXJyb3IocHJvcHM6IElQcm9wcyk6IEpTWC5FbGVtZW50IHtcclxuICBjb25zdCB7IGludmFsaWRFbnRyaWVzLCBsb0VudHJ5IH0gPSBwcm9wcy5pdGVtO1xyXG4gIGNvbnN0IGludmFsaWRFbnRyeSA9IChpbnZhbGlkRW50cmllcyAhPT0gdW5kZWZpbmVkKVxyXG4gICAgPyBpbnZhbGlkRW50cmllcy5maW5kKGludiA9PiBpbnYuaWQudG9Mb3dlckNhc2UoKSA9PT0gbG9FbnRyeS5pZC50b0xvd2VyQ2FzZSgpKVxyXG4gICAgOiB1bmRlZmluZWQ7XHJcbiAgcmV0dXJuIChpbnZhbGlkRW50cnkgIT09IHVuZGVmaW5lZClcclxuICAgID8gKFxyXG4gICAgICA8dG9vbHRpcC5JY29uXHJcbiAgICAgICAgY2xhc3NOYW1lPSdmYmxvLWludmFsaWQtZW50cnknXHJcbiAgICAgICAgbmFtZT0nZmVlZGJhY2stZXJyb3InXHJcbiAgICAgICAgdG9vbHRpcD17aW52YWxpZEVudHJ5LnJlYXNvbn1cclxuICAgICAgLz5cclxuICAgICkgOiBudWxsO1xyXG59XHJcblxyXG5mdW5jdGlvbiByZW5kZXJWaWV3TW9kSWNvbihwcm9wczogSVByb3BzKTogSlNYLkVsZW1lbnQge1xyXG4gIGNvbnN0IHsgaXRlbSwgbW9kcyB9ID0gcHJvcHM7XHJcbiAgaWYgKGlzRXh0ZXJuYWwoaXRlbS5sb0VudHJ5KSB8fCBpdGVtLmxvRW50cnkubW9kSWQgPT09IGl0ZW0ubG9FbnRyeS5uYW1lKSB7XHJcbiAgICByZXR1cm4gbnVsbDtcclxuICB9XHJcbiAgY29uc3QgY29udGV4dCA9IFJlYWN0LnVzZUNvbnRleHQoTWFpbkNvbnRleHQpO1xyXG4gIGNvbnN0IFt0XSA9IHVzZVRyYW5zbGF0aW9uKEkxOE5fTkFNRVNQQUNFKTtcclxuICBjb25zdCBvbkNsaWNrID0gUmVhY3QudXNlQ2FsbGJhY2soKCkgPT4ge1xyXG4gICAgY29uc3QgeyBtb2RJZCB9ID0gaXRlbS5sb0VudHJ5O1xyXG4gICAgY29uc3QgbW9kID0gbW9kcz8uW21vZElkXTtcclxuICAgIGlmIChtb2QgPT09IHVuZGVmaW5lZCkge1xyXG4gICAgICByZXR1cm47XHJcbiAgICB9XHJcbiAgICBjb25zdCBiYXRjaGVkID0gW1xyXG4gICAgICBhY3Rpb25zLnNldEF0dHJpYnV0ZUZpbHRlcignbW9kcycsICduYW1lJywgdXRpbC5yZW5kZXJNb2ROYW1lKG1vZCkpLFxyXG4gICAgXTtcclxuICAgIHV0aWwuYmF0Y2hEaXNwYXRjaChjb250ZXh0LmFwaS5zdG9yZS5kaXNwYXRjaCwgYmF0Y2hlZCk7XHJcbiAgICBjb250ZXh0LmFwaS5ldmVudHMuZW1pdCgnc2hvdy1tYWluLXBhZ2UnLCAnTW9kcycpO1xyXG4gIH0sIFtpdGVtLCBtb2RzLCBjb250ZXh0XSk7XHJcbiAgcmV0dXJuIGl0ZW0ubG9FbnRyeS5tb2RJZCAhPT0gdW5kZWZpbmVkID8gKFxyXG4gICAgPHRvb2x0aXAuSWNvbkJ1dHRvblxyXG4gICAgICBjbGFzc05hbWU9J3dpdGNoZXIzLXZpZXctbW9kLWljb24nXHJcbiAgICAgIGljb249J29wZW4tZXh0J1xyXG4gICAgICB0b29sdGlwPXt0KCdWaWV3IHNvdXJjZSBNb2QnKX1cclxuICAgICAgb25DbGljaz17b25DbGlja31cclxuICAgIC8+XHJcbiAgKSA6IG51bGw7XHJcbn1cclxuXHJcbmZ1bmN0aW9uIHJlbmRlckV4dGVybmFsQmFubmVyKGl0ZW06IHR5cGVzLklMb2FkT3JkZXJFbnRyeSk6IEpTWC5FbGVtZW50IHtcclxuICBjb25zdCBbdF0gPSB1c2VUcmFuc2xhdGlvbihJMThOX05BTUVTUEFDRSk7XHJcbiAgcmV0dXJuIGlzRXh0ZXJuYWwoaXRlbSkgPyAoXHJcbiAgICA8ZGl2IGNsYXNzTmFtZT0nbG9hZC1vcmRlci11bm1hbmFnZWQtYmFubmVyJz5cclxuICAgICAgPEljb24gY2xhc3NOYW1lPSdleHRlcm5hbC1jYXV0aW9uLWxvZ28nIG5hbWU9J2ZlZWRiYWNrLXdhcm5pbmcnIC8+XHJcbiAgICAgIDxzcGFuIGNsYXNzTmFtZT0nZXh0ZXJuYWwtdGV4dC1hcmVhJz57dCgnTm90IG1hbmFnZWQgYnkgVm9ydGV4Jyl9PC9zcGFuPlxyXG4gICAgPC9kaXY+XHJcbiAgKSA6IG51bGw7XHJcbn1cclxuXHJcbmZ1bmN0aW9uIHJlbmRlckRyYWdnYWJsZShwcm9wczogSVByb3BzKTogSlNYLkVsZW1lbnQge1xyXG4gIGNvbnN0IHsgbG9hZE9yZGVyLCBjbGFzc05hbWUsIGl0ZW0sIHByb2ZpbGUgfSA9IHByb3BzO1xyXG4gIGNvbnN0IGtleSA9ICEhaXRlbT8ubG9FbnRyeT8ubmFtZSA/IGAke2l0ZW0ubG9FbnRyeS5uYW1lfWAgOiBgJHtpdGVtLmxvRW50cnkuaWR9YDtcclxuICBjb25zdCBkaXNwYXRjaCA9IHVzZURpc3BhdGNoKCk7XHJcbiAgY29uc3QgcG9zaXRpb24gPSBsb2FkT3JkZXIuZmluZEluZGV4KGVudHJ5ID0+IGVudHJ5LmlkID09PSBpdGVtLmxvRW50cnkuaWQpICsgMTtcclxuXHJcbiAgbGV0IGNsYXNzZXMgPSBbJ2xvYWQtb3JkZXItZW50cnknXTtcclxuICBpZiAoY2xhc3NOYW1lICE9PSB1bmRlZmluZWQpIHtcclxuICAgIGNsYXNzZXMgPSBjbGFzc2VzLmNvbmNhdChjbGFzc05hbWUuc3BsaXQoJyAnKSk7XHJcbiAgfVxyXG5cclxuICBpZiAoaXNFeHRlcm5hbChpdGVtLmxvRW50cnkpKSB7XHJcbiAgICBjbGFzc2VzID0gY2xhc3Nlcy5jb25jYXQoJ2V4dGVybmFsJyk7XHJcbiAgfVxyXG5cclxuICBjb25zdCBvblN0YXR1c0NoYW5nZSA9IFJlYWN0LnVzZUNhbGxiYWNrKChldnQ6IGFueSkgPT4ge1xyXG4gICAgY29uc3QgZW50cnkgPSB7XHJcbiAgICAgIC4uLml0ZW0ubG9FbnRyeSxcclxuICAgICAgZW5hYmxlZDogZXZ0LnRhcmdldC5jaGVja2VkLFxyXG4gICAgfTtcclxuICAgIGRpc3BhdGNoKGFjdGlvbnMuc2V0RkJMb2FkT3JkZXJFbnRyeShwcm9maWxlLmlkLCBlbnRyeSkpXHJcbiAgfSwgW2Rpc3BhdGNoLCBwcm9maWxlLCBpdGVtXSk7XHJcblxyXG4gIGNvbnN0IGNoZWNrQm94ID0gKCkgPT4gKGl0ZW0uZGlzcGxheUNoZWNrYm94ZXMpXHJcbiAgICA/IChcclxuICAgICAgPENoZWNrYm94XHJcbiAgICAgICAgY2xhc3NOYW1lPSdlbnRyeS1jaGVja2JveCdcclxuICAgICAgICBjaGVja2VkPXtpdGVtLmxvRW50cnkuZW5hYmxlZH1cclxuICAgICAgICBkaXNhYmxlZD17aXNMb2NrZWQoaXRlbS5sb0VudHJ5KX1cclxuICAgICAgICBvbkNoYW5nZT17b25TdGF0dXNDaGFuZ2V9XHJcbiAgICAgIC8+XHJcbiAgICApXHJcbiAgICA6IG51bGw7XHJcblxyXG4gIGNvbnN0IGxvY2sgPSAoKSA9PiAoaXNMb2NrZWQoaXRlbS5sb0VudHJ5KSlcclxuICAgID8gKFxyXG4gICAgICA8SWNvbiBjbGFzc05hbWU9J2xvY2tlZC1lbnRyeS1sb2dvJyBuYW1lPSdsb2NrZWQnIC8+XHJcbiAgICApIDogbnVsbDtcclxuXHJcbiAgcmV0dXJuIChcclxuICAgIDxMaXN0R3JvdXBJdGVtXHJcbiAgICAgIGtleT17a2V5fVxyXG4gICAgICBjbGFzc05hbWU9e2NsYXNzZXMuam9pbignICcpfVxyXG4gICAgICByZWY9e3Byb3BzLml0ZW0uc2V0UmVmfVxyXG4gICAgPlxyXG4gICAgICA8SWNvbiBjbGFzc05hbWU9J2RyYWctaGFuZGxlLWljb24nIG5hbWU9J2RyYWctaGFuZGxlJyAvPlxyXG4gICAgICA8cCBjbGFzc05hbWU9J2xvYWQtb3JkZXItaW5kZXgnPntwb3NpdGlvbn08L3A+XHJcbiAgICAgIHtyZW5kZXJWYWxpZGF0aW9uRXJyb3IocHJvcHMpfVxyXG4gICAgICA8cCBjbGFzc05hbWU9J2xvYWQtb3JkZXItbmFtZSc+e2tleX08L3A+XHJcbiAgICAgIHtyZW5kZXJFeHRlcm5hbEJhbm5lcihpdGVtLmxvRW50cnkpfVxyXG4gICAgICB7cmVuZGVyVmlld01vZEljb24ocHJvcHMpfVxyXG4gICAgICB7Y2hlY2tCb3goKX1cclxuICAgICAge2xvY2soKX1cclxuICAgIDwvTGlzdEdyb3VwSXRlbT5cclxuICApO1xyXG59XHJcblxyXG5mdW5jdGlvbiBpc0xvY2tlZChpdGVtOiB0eXBlcy5JTG9hZE9yZGVyRW50cnkpOiBib29sZWFuIHtcclxuICByZXR1cm4gW3RydWUsICd0cnVlJywgJ2Fsd2F5cyddLmluY2x1ZGVzKGl0ZW0ubG9ja2VkKTtcclxufVxyXG5cclxuZnVuY3Rpb24gaXNFeHRlcm5hbChpdGVtOiB0eXBlcy5JTG9hZE9yZGVyRW50cnkpOiBib29sZWFuIHtcclxuICByZXR1cm4gKGl0ZW0ubW9kSWQgIT09IHVuZGVmaW5lZCkgPyBmYWxzZSA6IHRydWU7XHJcbn1cclxuXHJcbmNvbnN0IGVtcHR5ID0ge307XHJcbmZ1bmN0aW9uIG1hcFN0YXRlVG9Qcm9wcyhzdGF0ZTogdHlwZXMuSVN0YXRlKTogSUNvbm5lY3RlZFByb3BzIHtcclxuICBjb25zdCBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZSA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKTtcclxuICByZXR1cm4ge1xyXG4gICAgcHJvZmlsZSxcclxuICAgIGxvYWRPcmRlcjogdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZS5pZF0sIFtdKSxcclxuICAgIG1vZFN0YXRlOiB1dGlsLmdldFNhZmUocHJvZmlsZSwgWydtb2RTdGF0ZSddLCBlbXB0eSksXHJcbiAgICBtb2RzOiB1dGlsLmdldFNhZmUoc3RhdGUsIFsncGVyc2lzdGVudCcsICdtb2RzJywgR0FNRV9JRF0sIHt9KSxcclxuICB9O1xyXG59XHJcblxyXG5leHBvcnQgZGVmYXVsdCBJdGVtUmVuZGVyZXI7XHJcbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiSXRlbVJlbmRlcmVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiSXRlbVJlbmRlcmVyLnRzeCJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUFBLDZDQUErQjtBQUMvQixxREFBMEQ7QUFDMUQsaURBQStDO0FBQy9DLDZDQUF1RDtBQUV2RCwyQ0FBeUY7QUFDekYsc0NBQW9EO0FBRXBELHNEQUFvRDtBQWlCcEQsU0FBZ0IsWUFBWSxDQUFDLEtBQWlCOztJQUM1QyxJQUFJLENBQUEsTUFBQSxLQUFLLGFBQUwsS0FBSyx1QkFBTCxLQUFLLENBQUUsSUFBSSwwQ0FBRSxPQUFPLE1BQUssU0FBUyxFQUFFO1FBQ3RDLE9BQU8sSUFBSSxDQUFDO0tBQ2I7SUFDRCxNQUFNLFVBQVUsR0FBRyxJQUFBLHlCQUFXLEVBQUMsZUFBZSxDQUFDLENBQUM7SUFDaEQsT0FBTyxlQUFlLGlDQUFNLEtBQUssR0FBSyxVQUFVLEVBQUcsQ0FBQztBQUN0RCxDQUFDO0FBTkQsb0NBTUM7QUFFRCxTQUFTLHFCQUFxQixDQUFDLEtBQWE7SUFDMUMsTUFBTSxFQUFFLGNBQWMsRUFBRSxPQUFPLEVBQUUsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDO0lBQy9DLE1BQU0sWUFBWSxHQUFHLENBQUMsY0FBYyxLQUFLLFNBQVMsQ0FBQztRQUNqRCxDQUFDLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsV0FBVyxFQUFFLEtBQUssT0FBTyxDQUFDLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUMvRSxDQUFDLENBQUMsU0FBUyxDQUFDO0lBQ2QsT0FBTyxDQUFDLFlBQVksS0FBSyxTQUFTLENBQUM7UUFDakMsQ0FBQyxDQUFDLENBQ0Esb0JBQUMsb0JBQU8sQ0FBQyxJQUFJLElBQ1gsU0FBUyxFQUFDLG9CQUFvQixFQUM5QixJQUFJLEVBQUMsZ0JBQWdCLEVBQ3JCLE9BQU8sRUFBRSxZQUFZLENBQUMsTUFBTSxHQUM1QixDQUNILENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUNiLENBQUM7QUFFRCxTQUFTLHFCQUFxQixDQUFDLEtBQWE7SUFDMUMsTUFBTSxFQUFFLGVBQWUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQ25ELE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFBLDhCQUFjLEVBQUMsdUJBQWMsQ0FBQyxDQUFDO0lBQzNDLE1BQU0sRUFBRSxTQUFTLEVBQUUsWUFBWSxFQUFFLEdBQUcsSUFBQSxnQ0FBZSxFQUFDLGVBQWUsRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUNqRyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsRUFBRTtRQUNyRixPQUFPLElBQUksQ0FBQztLQUNiO0lBQ0QsTUFBTSxTQUFTLEdBQUcsQ0FBQyxDQUFDO0lBQ3BCLE1BQU0sUUFBUSxHQUFHLENBQUMsS0FBZSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsU0FBUyxDQUFDO1FBQzlELENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxHQUFHLENBQUMsQ0FBQyxvQkFBb0IsRUFBRSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsTUFBTSxHQUFHLFNBQVMsRUFBRSxDQUFDO1FBQzVHLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3JCLE1BQU0sS0FBSyxHQUFHLEVBQUUsQ0FBQyxNQUFNLENBQ3JCLE1BQU0sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLG9DQUFvQyxFQUM1RSxFQUFFLE9BQU8sRUFBRSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQ3JFLE1BQU0sQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLHdDQUF3QyxFQUNuRixFQUFFLE9BQU8sRUFBRSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM1RSxPQUFPLENBQ0wsb0JBQUMsb0JBQU8sQ0FBQyxJQUFJLElBQ1gsU0FBUyxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1lBQy9DLENBQUMsQ0FBQyxzQ0FBc0M7WUFDeEMsQ0FBQyxDQUFDLDJCQUEyQixFQUMvQixJQUFJLEVBQUMsVUFBVSxFQUNmLE9BQU8sRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUN6QixDQUNILENBQUM7QUFDSixDQUFDO0FBRUQsU0FBUyxpQkFBaUIsQ0FBQyxLQUFhO0lBQ3RDLE1BQU0sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEdBQUcsS0FBSyxDQUFDO0lBQzdCLElBQUksVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRTtRQUN4RSxPQUFPLElBQUksQ0FBQztLQUNiO0lBQ0QsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLFVBQVUsQ0FBQyx3QkFBVyxDQUFDLENBQUM7SUFDOUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUEsOEJBQWMsRUFBQyx1QkFBYyxDQUFDLENBQUM7SUFDM0MsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLFdBQVcsQ0FBQyxHQUFHLEVBQUU7UUFDckMsTUFBTSxFQUFFLEtBQUssRUFBRSxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUM7UUFDL0IsTUFBTSxHQUFHLEdBQUcsSUFBSSxhQUFKLElBQUksdUJBQUosSUFBSSxDQUFHLEtBQUssQ0FBQyxDQUFDO1FBQzFCLElBQUksR0FBRyxLQUFLLFNBQVMsRUFBRTtZQUNyQixPQUFPO1NBQ1I7UUFDRCxNQUFNLE9BQU8sR0FBRztZQUNkLG9CQUFPLENBQUMsa0JBQWtCLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsQ0FBQztTQUNwRSxDQUFDO1FBQ0YsaUJBQUksQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQ3hELE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUNwRCxDQUFDLEVBQUUsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDMUIsT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQ3hDLG9CQUFDLG9CQUFPLENBQUMsVUFBVSxJQUNqQixTQUFTLEVBQUMsd0JBQXdCLEVBQ2xDLElBQUksRUFBQyxVQUFVLEVBQ2YsT0FBTyxFQUFFLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxFQUM3QixPQUFPLEVBQUUsT0FBTyxHQUNoQixDQUNILENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUNYLENBQUM7QUFFRCxTQUFTLG9CQUFvQixDQUFDLElBQTJCO0lBQ3ZELE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFBLDhCQUFjLEVBQUMsdUJBQWMsQ0FBQyxDQUFDO0lBQzNDLE9BQU8sVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUN4Qiw2QkFBSyxTQUFTLEVBQUMsNkJBQTZCO1FBQzFDLG9CQUFDLGlCQUFJLElBQUMsU0FBUyxFQUFDLHVCQUF1QixFQUFDLElBQUksRUFBQyxrQkFBa0IsR0FBRztRQUNsRSw4QkFBTSxTQUFTLEVBQUMsb0JBQW9CLElBQUUsQ0FBQyxDQUFDLHVCQUF1QixDQUFDLENBQVEsQ0FDcEUsQ0FDUCxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDWCxDQUFDO0FBRUQsU0FBUyxlQUFlLENBQUMsS0FBYTs7SUFDcEMsTUFBTSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxHQUFHLEtBQUssQ0FBQztJQUN0RCxNQUFNLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQSxNQUFBLElBQUksYUFBSixJQUFJLHVCQUFKLElBQUksQ0FBRSxPQUFPLDBDQUFFLElBQUksQ0FBQSxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQztJQUNsRixNQUFNLFFBQVEsR0FBRyxJQUFBLHlCQUFXLEdBQUUsQ0FBQztJQUMvQixNQUFNLFFBQVEsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUVoRixJQUFJLE9BQU8sR0FBRyxDQUFDLGtCQUFrQixDQUFDLENBQUM7SUFDbkMsSUFBSSxTQUFTLEtBQUssU0FBUyxFQUFFO1FBQzNCLE9BQU8sR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztLQUNoRDtJQUVELElBQUksVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRTtRQUM1QixPQUFPLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsQ0FBQztLQUN0QztJQUVELE1BQU0sY0FBYyxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsQ0FBQyxHQUFRLEVBQUUsRUFBRTtRQUNwRCxNQUFNLEtBQUssbUNBQ04sSUFBSSxDQUFDLE9BQU8sS0FDZixPQUFPLEVBQUUsR0FBRyxDQUFDLE1BQU0sQ0FBQyxPQUFPLEdBQzVCLENBQUM7UUFDRixRQUFRLENBQUMsb0JBQU8sQ0FBQyxtQkFBbUIsQ0FBQyxPQUFPLENBQUMsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUE7SUFDMUQsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBRTlCLE1BQU0sUUFBUSxHQUFHLEdBQUcsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLGlCQUFpQixDQUFDO1FBQzdDLENBQUMsQ0FBQyxDQUNBLG9CQUFDLDBCQUFRLElBQ1AsU0FBUyxFQUFDLGdCQUFnQixFQUMxQixPQUFPLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQzdCLFFBQVEsRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUNoQyxRQUFRLEVBQUUsY0FBYyxHQUN4QixDQUNIO1FBQ0QsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUVULE1BQU0sSUFBSSxHQUFHLEdBQUcsRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUN6QyxDQUFDLENBQUMsQ0FDQSxvQkFBQyxpQkFBSSxJQUFDLFNBQVMsRUFBQyxtQkFBbUIsRUFBQyxJQUFJLEVBQUMsUUFBUSxHQUFHLENBQ3JELENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUVYLE9BQU8sQ0FDTCxvQkFBQywrQkFBYSxJQUNaLEdBQUcsRUFBRSxHQUFHLEVBQ1IsU0FBUyxFQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQzVCLEdBQUcsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU07UUFFdEIsb0JBQUMsaUJBQUksSUFBQyxTQUFTLEVBQUMsa0JBQWtCLEVBQUMsSUFBSSxFQUFDLGFBQWEsR0FBRztRQUN4RCwyQkFBRyxTQUFTLEVBQUMsa0JBQWtCLElBQUUsUUFBUSxDQUFLO1FBQzdDLHFCQUFxQixDQUFDLEtBQUssQ0FBQztRQUM3QiwyQkFBRyxTQUFTLEVBQUMsaUJBQWlCLElBQUUsR0FBRyxDQUFLO1FBQ3ZDLHFCQUFxQixDQUFDLEtBQUssQ0FBQztRQUM1QixvQkFBb0IsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDO1FBQ2xDLGlCQUFpQixDQUFDLEtBQUssQ0FBQztRQUN4QixRQUFRLEVBQUU7UUFDVixJQUFJLEVBQUUsQ0FDTyxDQUNqQixDQUFDO0FBQ0osQ0FBQztBQUVELFNBQVMsUUFBUSxDQUFDLElBQTJCO0lBQzNDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7QUFDeEQsQ0FBQztBQUVELFNBQVMsVUFBVSxDQUFDLElBQTJCO0lBQzdDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUNuRCxDQUFDO0FBRUQsTUFBTSxLQUFLLEdBQUcsRUFBRSxDQUFDO0FBQ2pCLFNBQVMsZUFBZSxDQUFDLEtBQW1CO0lBQzFDLE1BQU0sT0FBTyxHQUFtQixzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUMvRCxPQUFPO1FBQ0wsT0FBTztRQUNQLFNBQVMsRUFBRSxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7UUFDM0UsUUFBUSxFQUFFLGlCQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVUsQ0FBQyxFQUFFLEtBQUssQ0FBQztRQUNwRCxJQUFJLEVBQUUsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDO1FBQzlELGVBQWUsRUFBRSxpQkFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLGlCQUFpQixDQUFDLEVBQUUsS0FBSyxDQUFDO0tBQ3hGLENBQUM7QUFDSixDQUFDO0FBRUQsa0JBQWUsWUFBWSxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0ICogYXMgUmVhY3QgZnJvbSAncmVhY3QnO1xuaW1wb3J0IHsgQ2hlY2tib3gsIExpc3RHcm91cEl0ZW0gfSBmcm9tICdyZWFjdC1ib290c3RyYXAnO1xuaW1wb3J0IHsgdXNlVHJhbnNsYXRpb24gfSBmcm9tICdyZWFjdC1pMThuZXh0JztcbmltcG9ydCB7IHVzZURpc3BhdGNoLCB1c2VTZWxlY3RvciB9IGZyb20gJ3JlYWN0LXJlZHV4JztcblxuaW1wb3J0IHsgYWN0aW9ucywgSWNvbiwgdG9vbHRpcCwgc2VsZWN0b3JzLCB0eXBlcywgdXRpbCwgTWFpbkNvbnRleHQgfSBmcm9tICd2b3J0ZXgtYXBpJztcbmltcG9ydCB7IEkxOE5fTkFNRVNQQUNFLCBHQU1FX0lEIH0gZnJvbSAnLi4vY29tbW9uJztcbmltcG9ydCB7IElCdW5kbGVDb25mbGljdHMsIElJdGVtUmVuZGVyZXJQcm9wcyB9IGZyb20gJy4uL3R5cGVzJztcbmltcG9ydCB7IGJ1bmRsZU92ZXJyaWRlcyB9IGZyb20gJy4uL2J1bmRsZUFuYWx5c2lzJztcblxuaW50ZXJmYWNlIElDb25uZWN0ZWRQcm9wcyB7XG4gIG1vZFN0YXRlOiBhbnk7XG4gIGxvYWRPcmRlcjogdHlwZXMuTG9hZE9yZGVyO1xuICBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZTtcbiAgbW9kczogeyBbbW9kSWQ6IHN0cmluZ106IHR5cGVzLklNb2QgfTtcbiAgYnVuZGxlQ29uZmxpY3RzOiBJQnVuZGxlQ29uZmxpY3RzO1xufVxuXG5pbnRlcmZhY2UgSUJhc2VQcm9wcyB7XG4gIGNsYXNzTmFtZT86IHN0cmluZztcbiAgaXRlbTogSUl0ZW1SZW5kZXJlclByb3BzO1xufVxuXG50eXBlIElQcm9wcyA9IElCYXNlUHJvcHMgJiBJQ29ubmVjdGVkUHJvcHM7XG5cbmV4cG9ydCBmdW5jdGlvbiBJdGVtUmVuZGVyZXIocHJvcHM6IElCYXNlUHJvcHMpIHtcbiAgaWYgKHByb3BzPy5pdGVtPy5sb0VudHJ5ID09PSB1bmRlZmluZWQpIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuICBjb25zdCBzdGF0ZVByb3BzID0gdXNlU2VsZWN0b3IobWFwU3RhdGVUb1Byb3BzKTtcbiAgcmV0dXJuIHJlbmRlckRyYWdnYWJsZSh7IC4uLnByb3BzLCAuLi5zdGF0ZVByb3BzIH0pO1xufVxuXG5mdW5jdGlvbiByZW5kZXJWYWxpZGF0aW9uRXJyb3IocHJvcHM6IElQcm9wcyk6IEpTWC5FbGVtZW50IHtcbiAgY29uc3QgeyBpbnZhbGlkRW50cmllcywgbG9FbnRyeSB9ID0gcHJvcHMuaXRlbTtcbiAgY29uc3QgaW52YWxpZEVudHJ5ID0gKGludmFsaWRFbnRyaWVzICE9PSB1bmRlZmluZWQpXG4gICAgPyBpbnZhbGlkRW50cmllcy5maW5kKGludiA9PiBpbnYuaWQudG9Mb3dlckNhc2UoKSA9PT0gbG9FbnRyeS5pZC50b0xvd2VyQ2FzZSgpKVxuICAgIDogdW5kZWZpbmVkO1xuICByZXR1cm4gKGludmFsaWRFbnRyeSAhPT0gdW5kZWZpbmVkKVxuICAgID8gKFxuICAgICAgPHRvb2x0aXAuSWNvblxuICAgICAgICBjbGFzc05hbWU9J2ZibG8taW52YWxpZC1lbnRyeSdcbiAgICAgICAgbmFtZT0nZmVlZGJhY2stZXJyb3InXG4gICAgICAgIHRvb2x0aXA9e2ludmFsaWRFbnRyeS5yZWFzb259XG4gICAgICAvPlxuICAgICkgOiBudWxsO1xufVxuXG5mdW5jdGlvbiByZW5kZXJCdW5kbGVPdmVycmlkZXMocHJvcHM6IElQcm9wcyk6IEpTWC5FbGVtZW50IHtcbiAgY29uc3QgeyBidW5kbGVDb25mbGljdHMsIGl0ZW0sIGxvYWRPcmRlciB9ID0gcHJvcHM7XG4gIGNvbnN0IFt0XSA9IHVzZVRyYW5zbGF0aW9uKEkxOE5fTkFNRVNQQUNFKTtcbiAgY29uc3QgeyBvdmVycmlkZXMsIG92ZXJyaWRkZW5CeSB9ID0gYnVuZGxlT3ZlcnJpZGVzKGJ1bmRsZUNvbmZsaWN0cywgaXRlbS5sb0VudHJ5LmlkLCBsb2FkT3JkZXIpO1xuICBpZiAoKE9iamVjdC5rZXlzKG92ZXJyaWRlcykubGVuZ3RoID09PSAwKSAmJiAoT2JqZWN0LmtleXMob3ZlcnJpZGRlbkJ5KS5sZW5ndGggPT09IDApKSB7XG4gICAgcmV0dXJuIG51bGw7XG4gIH1cbiAgY29uc3QgTUFYX0ZJTEVTID0gMztcbiAgY29uc3QgZmlsZUxpc3QgPSAoZmlsZXM6IHN0cmluZ1tdKSA9PiAoZmlsZXMubGVuZ3RoID4gTUFYX0ZJTEVTKVxuICAgID8gZmlsZXMuc2xpY2UoMCwgTUFYX0ZJTEVTKS5qb2luKCcsICcpICsgJywgJyArIHQoJ2FuZCB7e2NvdW50fX0gbW9yZScsIHsgY291bnQ6IGZpbGVzLmxlbmd0aCAtIE1BWF9GSUxFUyB9KVxuICAgIDogZmlsZXMuam9pbignLCAnKTtcbiAgY29uc3QgbGluZXMgPSBbXS5jb25jYXQoXG4gICAgT2JqZWN0LmtleXMob3ZlcnJpZGVzKS5tYXAobW9kRm9sZGVyID0+IHQoJ092ZXJyaWRlcyB7e21vZEZvbGRlcn19OiB7e2ZpbGVzfX0nLFxuICAgICAgeyByZXBsYWNlOiB7IG1vZEZvbGRlciwgZmlsZXM6IGZpbGVMaXN0KG92ZXJyaWRlc1ttb2RGb2xkZXJdKSB9IH0pKSxcbiAgICBPYmplY3Qua2V5cyhvdmVycmlkZGVuQnkpLm1hcChtb2RGb2xkZXIgPT4gdCgnT3ZlcnJpZGRlbiBieSB7e21vZEZvbGRlcn19OiB7e2ZpbGVzfX0nLFxuICAgICAgeyByZXBsYWNlOiB7IG1vZEZvbGRlciwgZmlsZXM6IGZpbGVMaXN0KG92ZXJyaWRkZW5CeVttb2RGb2xkZXJdKSB9IH0pKSk7XG4gIHJldHVybiAoXG4gICAgPHRvb2x0aXAuSWNvblxuICAgICAgY2xhc3NOYW1lPXsoT2JqZWN0LmtleXMob3ZlcnJpZGRlbkJ5KS5sZW5ndGggPiAwKVxuICAgICAgICA/ICd3aXRjaGVyMy1idW5kbGUtb3ZlcnJpZGVzIG92ZXJyaWRkZW4nXG4gICAgICAgIDogJ3dpdGNoZXIzLWJ1bmRsZS1vdmVycmlkZXMnfVxuICAgICAgbmFtZT0nY29uZmxpY3QnXG4gICAgICB0b29sdGlwPXtsaW5lcy5qb2luKCdcXG4nKX1cbiAgICAvPlxuICApO1xufVxuXG5mdW5jdGlvbiByZW5kZXJWaWV3TW9kSWNvbihwcm9wczogSVByb3BzKTogSlNYLkVsZW1lbnQge1xuICBjb25zdCB7IGl0ZW0sIG1vZHMgfSA9IHByb3BzO1xuICBpZiAoaXNFeHRlcm5hbChpdGVtLmxvRW50cnkpIHx8IGl0ZW0ubG9FbnRyeS5tb2RJZCA9PT0gaXRlbS5sb0VudHJ5Lm5hbWUpIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuICBjb25zdCBjb250ZXh0ID0gUmVhY3QudXNlQ29udGV4dChNYWluQ29udGV4dCk7XG4gIGNvbnN0IFt0XSA9IHVzZVRyYW5zbGF0aW9uKEkxOE5fTkFNRVNQQUNFKTtcbiAgY29uc3Qgb25DbGljayA9IFJlYWN0LnVzZUNhbGxiYWNrKCgpID0+IHtcbiAgICBjb25zdCB7IG1vZElkIH0gPSBpdGVtLmxvRW50cnk7XG4gICAgY29uc3QgbW9kID0gbW9kcz8uW21vZElkXTtcbiAgICBpZiAobW9kID09PSB1bmRlZmluZWQpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgY29uc3QgYmF0Y2hlZCA9IFtcbiAgICAgIGFjdGlvbnMuc2V0QXR0cmlidXRlRmlsdGVyKCdtb2RzJywgJ25hbWUnLCB1dGlsLnJlbmRlck1vZE5hbWUobW9kKSksXG4gICAgXTtcbiAgICB1dGlsLmJhdGNoRGlzcGF0Y2goY29udGV4dC5hcGkuc3RvcmUuZGlzcGF0Y2gsIGJhdGNoZWQpO1xuICAgIGNvbnRleHQuYXBpLmV2ZW50cy5lbWl0KCdzaG93LW1haW4tcGFnZScsICdNb2RzJyk7XG4gIH0sIFtpdGVtLCBtb2RzLCBjb250ZXh0XSk7XG4gIHJldHVybiBpdGVtLmxvRW50cnkubW9kSWQgIT09IHVuZGVmaW5lZCA/IChcbiAgICA8dG9vbHRpcC5JY29uQnV0dG9uXG4gICAgICBjbGFzc05hbWU9J3dpdGNoZXIzLXZpZXctbW9kLWljb24nXG4gICAgICBpY29uPSdvcGVuLWV4dCdcbiAgICAgIHRvb2x0aXA9e3QoJ1ZpZXcgc291cmNlIE1vZCcpfVxuICAgICAgb25DbGljaz17b25DbGlja31cbiAgICAvPlxuICApIDogbnVsbDtcbn1cblxuZnVuY3Rpb24gcmVuZGVyRXh0ZXJuYWxCYW5uZXIoaXRlbTogdHlwZXMuSUxvYWRPcmRlckVudHJ5KTogSlNYLkVsZW1lbnQge1xuICBjb25zdCBbdF0gPSB1c2VUcmFuc2xhdGlvbihJMThOX05BTUVTUEFDRSk7XG4gIHJldHVybiBpc0V4dGVybmFsKGl0ZW0pID8gKFxuICAgIDxkaXYgY2xhc3NOYW1lPSdsb2FkLW9yZGVyLXVubWFuYWdlZC1iYW5uZXInPlxuICAgICAgPEljb24gY2xhc3NOYW1lPSdleHRlcm5hbC1jYXV0aW9uLWxvZ28nIG5hbWU9J2ZlZWRiYWNrLXdhcm5pbmcnIC8+XG4gICAgICA8c3BhbiBjbGFzc05hbWU9J2V4dGVybmFsLXRleHQtYXJlYSc+e3QoJ05vdCBtYW5hZ2VkIGJ5IFZvcnRleCcpfTwvc3Bhbj5cbiAgICA8L2Rpdj5cbiAgKSA6IG51bGw7XG59XG5cbmZ1bmN0aW9uIHJlbmRlckRyYWdnYWJsZShwcm9wczogSVByb3BzKTogSlNYLkVsZW1lbnQge1xuICBjb25zdCB7IGxvYWRPcmRlciwgY2xhc3NOYW1lLCBpdGVtLCBwcm9maWxlIH0gPSBwcm9wcztcbiAgY29uc3Qga2V5ID0gISFpdGVtPy5sb0VudHJ5Py5uYW1lID8gYCR7aXRlbS5sb0VudHJ5Lm5hbWV9YCA6IGAke2l0ZW0ubG9FbnRyeS5pZH1gO1xuICBjb25zdCBkaXNwYXRjaCA9IHVzZURpc3BhdGNoKCk7XG4gIGNvbnN0IHBvc2l0aW9uID0gbG9hZE9yZGVyLmZpbmRJbmRleChlbnRyeSA9PiBlbnRyeS5pZCA9PT0gaXRlbS5sb0VudHJ5LmlkKSArIDE7XG5cbiAgbGV0IGNsYXNzZXMgPSBbJ2xvYWQtb3JkZXItZW50cnknXTtcbiAgaWYgKGNsYXNzTmFtZSAhPT0gdW5kZWZpbmVkKSB7XG4gICAgY2xhc3NlcyA9IGNsYXNzZXMuY29uY2F0KGNsYXNzTmFtZS5zcGxpdCgnICcpKTtcbiAgfVxuXG4gIGlmIChpc0V4dGVybmFsKGl0ZW0ubG9FbnRyeSkpIHtcbiAgICBjbGFzc2VzID0gY2xhc3Nlcy5jb25jYXQoJ2V4dGVybmFsJyk7XG4gIH1cblxuICBjb25zdCBvblN0YXR1c0NoYW5nZSA9IFJlYWN0LnVzZUNhbGxiYWNrKChldnQ6IGFueSkgPT4ge1xuICAgIGNvbnN0IGVudHJ5ID0ge1xuICAgICAgLi4uaXRlbS5sb0VudHJ5LFxuICAgICAgZW5hYmxlZDogZXZ0LnRhcmdldC5jaGVja2VkLFxuICAgIH07XG4gICAgZGlzcGF0Y2goYWN0aW9ucy5zZXRGQkxvYWRPcmRlckVudHJ5KHByb2ZpbGUuaWQsIGVudHJ5KSlcbiAgfSwgW2Rpc3BhdGNoLCBwcm9maWxlLCBpdGVtXSk7XG5cbiAgY29uc3QgY2hlY2tCb3ggPSAoKSA9PiAoaXRlbS5kaXNwbGF5Q2hlY2tib3hlcylcbiAgICA/IChcbiAgICAgIDxDaGVja2JveFxuICAgICAgICBjbGFzc05hbWU9J2VudHJ5LWNoZWNrYm94J1xuICAgICAgICBjaGVja2VkPXtpdGVtLmxvRW50cnkuZW5hYmxlZH1cbiAgICAgICAgZGlzYWJsZWQ9e2lzTG9ja2VkKGl0ZW0ubG9FbnRyeSl9XG4gICAgICAgIG9uQ2hhbmdlPXtvblN0YXR1c0NoYW5nZX1cbiAgICAgIC8+XG4gICAgKVxuICAgIDogbnVsbDtcblxuICBjb25zdCBsb2NrID0gKCkgPT4gKGlzTG9ja2VkKGl0ZW0ubG9FbnRyeSkpXG4gICAgPyAoXG4gICAgICA8SWNvbiBjbGFzc05hbWU9J2xvY2tlZC1lbnRyeS1sb2dvJyBuYW1lPSdsb2NrZWQnIC8+XG4gICAgKSA6IG51bGw7XG5cbiAgcmV0dXJuIChcbiAgICA8TGlzdEdyb3VwSXRlbVxuICAgICAga2V5PXtrZXl9XG4gICAgICBjbGFzc05hbWU9e2NsYXNzZXMuam9pbignICcpfVxuICAgICAgcmVmPXtwcm9wcy5pdGVtLnNldFJlZn1cbiAgICA+XG4gICAgICA8SWNvbiBjbGFzc05hbWU9J2RyYWctaGFuZGxlLWljb24nIG5hbWU9J2RyYWctaGFuZGxlJyAvPlxuICAgICAgPHAgY2xhc3NOYW1lPSdsb2FkLW9yZGVyLWluZGV4Jz57cG9zaXRpb259PC9wPlxuICAgICAge3JlbmRlclZhbGlkYXRpb25FcnJvcihwcm9wcyl9XG4gICAgICA8cCBjbGFzc05hbWU9J2xvYWQtb3JkZXItbmFtZSc+e2tleX08L3A+XG4gICAgICB7cmVuZGVyQnVuZGxlT3ZlcnJpZGVzKHByb3BzKX1cbiAgICAgIHtyZW5kZXJFeHRlcm5hbEJhbm5lcihpdGVtLmxvRW50cnkpfVxuICAgICAge3JlbmRlclZpZXdNb2RJY29uKHByb3BzKX1cbiAgICAgIHtjaGVja0JveCgpfVxuICAgICAge2xvY2soKX1cbiAgICA8L0xpc3RHcm91cEl0ZW0+XG4gICk7XG59XG5cbmZ1bmN0aW9uIGlzTG9ja2VkKGl0ZW06IHR5cGVzLklMb2FkT3JkZXJFbnRyeSk6IGJvb2xlYW4ge1xuICByZXR1cm4gW3RydWUsICd0cnVlJywgJ2Fsd2F5cyddLmluY2x1ZGVzKGl0ZW0ubG9ja2VkKTtcbn1cblxuZnVuY3Rpb24gaXNFeHRlcm5hbChpdGVtOiB0eXBlcy5JTG9hZE9yZGVyRW50cnkpOiBib29sZWFuIHtcbiAgcmV0dXJuIChpdGVtLm1vZElkICE9PSB1bmRlZmluZWQpID8gZmFsc2UgOiB0cnVlO1xufVxuXG5jb25zdCBlbXB0eSA9IHt9O1xuZnVuY3Rpb24gbWFwU3RhdGVUb1Byb3BzKHN0YXRlOiB0eXBlcy5JU3RhdGUpOiBJQ29ubmVjdGVkUHJvcHMge1xuICBjb25zdCBwcm9maWxlOiB0eXBlcy5JUHJvZmlsZSA9IHNlbGVjdG9ycy5hY3RpdmVQcm9maWxlKHN0YXRlKTtcbiAgcmV0dXJuIHtcbiAgICBwcm9maWxlLFxuICAgIGxvYWRPcmRlcjogdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbG9hZE9yZGVyJywgcHJvZmlsZS5pZF0sIFtdKSxcbiAgICBtb2RTdGF0ZTogdXRpbC5nZXRTYWZlKHByb2ZpbGUsIFsnbW9kU3RhdGUnXSwgZW1wdHkpLFxuICAgIG1vZHM6IHV0aWwuZ2V0U2FmZShzdGF0ZSwgWydwZXJzaXN0ZW50JywgJ21vZHMnLCBHQU1FX0lEXSwge30pLFxuICAgIGJ1bmRsZUNvbmZsaWN0czogdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3Nlc3Npb24nLCAnd2l0Y2hlcjMnLCAnYnVuZGxlQ29uZmxpY3RzJ10sIGVtcHR5KSxcbiAgfTtcbn1cblxuZXhwb3J0IGRlZmF1bHQgSXRlbVJlbmRlcmVyO1xuIl19
\ No newline at end of file
@@ -5,13 +5,15 @@ import { useDispatch, useSelector } from 'react-redux';
 
 import { actions, Icon, tooltip, selectors, types, util, MainContext } from 'vortex-api';
 import { I18N_NAMESPACE, GAME_ID } from '../common';
-import { IItemRendererProps } from '../types';
+import { IBundleConflicts, IItemRendererProps } from '../types';
+import { bundleOverrides } from '../bundleAnalysis';
 
 interface IConnectedProps {
   modState: any;
   loadOrder: types.LoadOrder;
   profile: types.IProfile;
   mods: { [modId: string]: types.IMod };
+  bundleConflicts: IBundleConflicts;
 }
 
 interface IBaseProps {
@@ -44,6 +46,33 @@ function renderValidationError(props: IProps): JSX.Element {
     ) : null;
 }
 
+function renderBundleOverrides(props: IProps): JSX.Element {
+  const { bundleConflicts, item, loadOrder } = props;
+  const [t] = useTranslation(I18N_NAMESPACE);
+  const { overrides, overriddenBy } = bundleOverrides(bundleConflicts, item.loEntry.id, loadOrder);
+  if ((Object.keys(overrides).length === 0) && (Object.keys(overriddenBy).length === 0)) {
+    return null;
+  }
+  const MAX_FILES = 3;
+  const fileList = (files: string[]) => (files.length > MAX_FILES)
+    ? files.slice(0, MAX_FILES).join(', ') + ', ' + t('and {{count}} more', { count: files.length - MAX_FILES })
+    : files.join(', ');
+  const lines = [].concat(
+    Object.keys(overrides).map(modFolder => t('Overrides {{modFolder}}: {{files}}',
+      { replace: { modFolder, files: fileList(overrides[modFolder]) } })),
+    Object.keys(overriddenBy).map(modFolder => t('Overridden by {{modFolder}}: {{files}}',
+      { replace: { modFolder, files: fileList(overriddenBy[modFolder]) } })));
+  return (
+    <tooltip.Icon
+      className={(Object.keys(overriddenBy).length > 0)
+        ? 'witcher3-bundle-overrides overridden'
+        : 'witcher3-bundle-overrides'}
+      name='conflict'
+      tooltip={lines.join('\n')}
+    />
+  );
+}
+
 function renderViewModIcon(props: IProps): JSX.Element {
   const { item, mods } = props;
   if (isExternal(item.loEntry) || item.loEntry.modId === item.loEntry.name) {
@@ -132,6 +161,7 @@ function renderDraggable(props: IProps): JSX.Element {
       <p className='load-order-index'>{position}</p>
       {renderValidationError(props)}
       <p className='load-order-name'>{key}</p>
+      {renderBundleOverrides(props)}
       {renderExternalBanner(item.loEntry)}
       {renderViewModIcon(props)}
       {checkBox()}
@@ -156,6 +186,7 @@ function mapStateToProps(state: types.IState): IConnectedProps {
     loadOrder: util.getSafe(state, ['persistent', 'loadOrder', profile.id], []),
     modState: util.getSafe(profile, ['modState'], empty),
     mods: util.getSafe(state, ['persistent', 'mods', GAME_ID], {}),
+    bundleConflicts: util.getSafe(state, ['session', 'witcher3', 'bundleConflicts'], empty),
   };
 }
 
@@ -0,0 +1,166 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const React = __importStar(require("react"));
+const react_bootstrap_1 = require("react-bootstrap");
+const react_i18next_1 = require("react-i18next");
+const react_redux_1 = require("react-redux");
+const vortex_api_1 = require("vortex-api");
+const actions_1 = require("../actions");
+const common_1 = require("../common");
+const menumod_1 = require("../menumod");
+const ALL_MODS = '__all';
+function MenuSettingsMod(props) {
+    const { modId, modName, defaults, overrides, onSetValue } = props;
+    const { t } = (0, react_i18next_1.useTranslation)(common_1.I18N_NAMESPACE);
+    const renderEntry = (fileKey, section, key) => {
+        var _a, _b;
+        const defaultValue = defaults[fileKey][section][key];
+        const override = (_b = (_a = overrides === null || overrides === void 0 ? void 0 : overrides[fileKey]) === null || _a === void 0 ? void 0 : _a[section]) === null || _b === void 0 ? void 0 : _b[key];
+        const onChange = (evt) => {
+            const value = evt.currentTarget.value;
+            onSetValue(modId, fileKey, section, key, (value === defaultValue) ? undefined : value);
+        };
+        const onReset = () => onSetValue(modId, fileKey, section, key, undefined);
+        return (React.createElement("tr", { key: `${fileKey}-${section}-${key}` },
+            React.createElement("td", null, key),
+            React.createElement("td", null,
+                React.createElement("code", null, defaultValue)),
+            React.createElement("td", null,
+                React.createElement(react_bootstrap_1.FormControl, { type: 'text', value: override !== null && override !== void 0 ? override : defaultValue, onChange: onChange })),
+            React.createElement("td", null,
+                React.createElement(vortex_api_1.tooltip.IconButton, { icon: 'revert', tooltip: t('Reset to the mod\'s default'), disabled: override === undefined, onClick: onReset }))));
+    };
+    return (React.createElement(react_bootstrap_1.Panel, null,
+        React.createElement(react_bootstrap_1.Panel.Heading, null, modName),
+        React.createElement(react_bootstrap_1.Panel.Body, null, Object.keys(defaults).map(fileKey => Object.keys(defaults[fileKey]).map(section => (React.createElement(react_bootstrap_1.Table, { condensed: true, key: `${fileKey}-${section}` },
+            React.createElement("thead", null,
+                React.createElement("tr", null,
+                    React.createElement("th", { colSpan: 4 }, `${fileKey} [${section}]`))),
+            React.createElement("tbody", null, Object.keys(defaults[fileKey][section])
+                .map(key => renderEntry(fileKey, section, key))))))))));
+}
+function MenuSettingsPage(props) {
+    const { api } = props;
+    const { t } = (0, react_i18next_1.useTranslation)(common_1.I18N_NAMESPACE);
+    const dispatch = (0, react_redux_1.useDispatch)();
+    const profile = (0, react_redux_1.useSelector)((state) => vortex_api_1.selectors.activeProfile(state));
+    const mods = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['persistent', 'mods', common_1.GAME_ID], {}));
+    const selectedMod = (0, react_redux_1.useSelector)((state) => vortex_api_1.util.getSafe(state, ['session', 'witcher3', 'menuSettingsMod'], undefined));
+    const [loading, setLoading] = React.useState(false);
+    const [defaults, setDefaults] = React.useState({});
+    const [saved, setSaved] = React.useState({});
+    const [overrides, setOverrides] = React.useState({});
+    const refresh = React.useCallback(() => __awaiter(this, void 0, void 0, function* () {
+        if ((profile === null || profile === void 0 ? void 0 : profile.gameId) !== common_1.GAME_ID) {
+            return;
+        }
+        setLoading(true);
+        try {
+            const [settings, current] = yield Promise.all([
+                (0, menumod_1.getMenuModSettings)(api, profile),
+                (0, menumod_1.readOverrides)(api, profile),
+            ]);
+            setDefaults(settings);
+            setSaved(current);
+            setOverrides(current);
+        }
+        catch (err) {
+            api.showErrorNotification('Failed to read menu settings', err);
+        }
+        setLoading(false);
+    }), [api, profile]);
+    React.useEffect(() => {
+        refresh();
+    }, [profile === null || profile === void 0 ? void 0 : profile.id]);
+    const onSetValue = React.useCallback((modId, fileKey, section, key, value) => {
+        setOverrides(prev => (value !== undefined)
+            ? vortex_api_1.util.setSafe(prev, [modId, fileKey, section, key], value)
+            : vortex_api_1.util.deleteOrNop(prev, [modId, fileKey, section, key]));
+    }, [setOverrides]);
+    const onSelectMod = React.useCallback((evt) => {
+        const modId = evt.currentTarget.value;
+        dispatch((0, actions_1.setMenuSettingsMod)((modId === ALL_MODS) ? undefined : modId));
+    }, [dispatch]);
+    const onSave = React.useCallback(() => __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield (0, menumod_1.writeOverrides)(api, profile, overrides);
+            setSaved(overrides);
+            dispatch(vortex_api_1.actions.setDeploymentNecessary(common_1.GAME_ID, true));
+        }
+        catch (err) {
+            api.showErrorNotification('Failed to save menu settings', err, { allowReport: !(err instanceof vortex_api_1.util.ProcessCanceled) });
+        }
+    }), [api, profile, overrides, dispatch]);
+    const onRevert = React.useCallback(() => {
+        setOverrides(saved);
+    }, [saved, setOverrides]);
+    const modName = (modId) => (mods[modId] !== undefined)
+        ? vortex_api_1.util.renderModName(mods[modId])
+        : modId;
+    const modIds = Object.keys(defaults)
+        .sort((lhs, rhs) => modName(lhs).localeCompare(modName(rhs)));
+    const visible = (selectedMod !== undefined) && modIds.includes(selectedMod)
+        ? [selectedMod]
+        : modIds;
+    const dirty = JSON.stringify(saved) !== JSON.stringify(overrides);
+    const renderContent = () => {
+        if (loading) {
+            return React.createElement(vortex_api_1.Spinner, null);
+        }
+        if (modIds.length === 0) {
+            return (React.createElement(vortex_api_1.EmptyPlaceholder, { icon: 'settings', text: t('None of your enabled mods contribute menu settings'), subtext: t('Menu settings are read from the menu mod cache which is created when you deploy.') }));
+        }
+        return visible.map(modId => (React.createElement(MenuSettingsMod, { key: modId, modId: modId, modName: modName(modId), defaults: defaults[modId], overrides: overrides[modId], onSetValue: onSetValue })));
+    };
+    return (React.createElement(vortex_api_1.MainPage, null,
+        React.createElement(vortex_api_1.MainPage.Body, null,
+            React.createElement(react_bootstrap_1.Panel, null,
+                React.createElement(react_bootstrap_1.Panel.Body, null,
+                    React.createElement("p", null, t('These are the menu settings added to the game by your mods. Values you change here '
+                        + 'are stored for the current profile and applied on top of the mods\' defaults '
+                        + 'whenever you deploy, so they are kept when you update or redeploy your mods.')),
+                    React.createElement(vortex_api_1.FlexLayout, { type: 'row' },
+                        React.createElement(vortex_api_1.FlexLayout.Flex, null,
+                            React.createElement(react_bootstrap_1.FormControl, { componentClass: 'select', value: selectedMod !== null && selectedMod !== void 0 ? selectedMod : ALL_MODS, onChange: onSelectMod },
+                                React.createElement("option", { value: ALL_MODS }, t('All mods')),
+                                modIds.map(modId => React.createElement("option", { key: modId, value: modId }, modName(modId))))),
+                        React.createElement(vortex_api_1.FlexLayout.Fixed, null,
+                            React.createElement(react_bootstrap_1.Button, { onClick: refresh, disabled: loading }, t('Refresh')),
+                            React.createElement(react_bootstrap_1.Button, { onClick: onRevert, disabled: !dirty }, t('Discard changes')),
+                            React.createElement(react_bootstrap_1.Button, { onClick: onSave, disabled: !dirty }, t('Save')))),
+                    renderContent())))));
+}
+exports.default = MenuSettingsPage;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiTWVudVNldHRpbmdzUGFnZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIk1lbnVTZXR0aW5nc1BhZ2UudHN4Il0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFDQSw2Q0FBK0I7QUFDL0IscURBQW9FO0FBQ3BFLGlEQUErQztBQUMvQyw2Q0FBdUQ7QUFDdkQsMkNBQzJDO0FBRTNDLHdDQUFnRDtBQUNoRCxzQ0FBb0Q7QUFDcEQsd0NBQStFO0FBTy9FLE1BQU0sUUFBUSxHQUFHLE9BQU8sQ0FBQztBQWN6QixTQUFTLGVBQWUsQ0FBQyxLQUE0QjtJQUNuRCxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxHQUFHLEtBQUssQ0FBQztJQUNsRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLEdBQUcsSUFBQSw4QkFBYyxFQUFDLHVCQUFjLENBQUMsQ0FBQztJQUU3QyxNQUFNLFdBQVcsR0FBRyxDQUFDLE9BQWUsRUFBRSxPQUFlLEVBQUUsR0FBVyxFQUFFLEVBQUU7O1FBQ3BFLE1BQU0sWUFBWSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNyRCxNQUFNLFFBQVEsR0FBRyxNQUFBLE1BQUEsU0FBUyxhQUFULFNBQVMsdUJBQVQsU0FBUyxDQUFHLE9BQU8sQ0FBQywwQ0FBRyxPQUFPLENBQUMsMENBQUcsR0FBRyxDQUFDLENBQUM7UUFDeEQsTUFBTSxRQUFRLEdBQUcsQ0FBQyxHQUF5QixFQUFFLEVBQUU7WUFDN0MsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUM7WUFDdEMsVUFBVSxDQUFDLEtBQUssRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEdBQUcsRUFBRSxDQUFDLEtBQUssS0FBSyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN6RixDQUFDLENBQUM7UUFDRixNQUFNLE9BQU8sR0FBRyxHQUFHLEVBQUUsQ0FBQyxVQUFVLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsR0FBRyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQzFFLE9BQU8sQ0FDTCw0QkFBSSxHQUFHLEVBQUUsR0FBRyxPQUFPLElBQUksT0FBTyxJQUFJLEdBQUcsRUFBRTtZQUNyQyxnQ0FBSyxHQUFHLENBQU07WUFDZDtnQkFBSSxrQ0FBTyxZQUFZLENBQVEsQ0FBSztZQUNwQztnQkFDRSxvQkFBQyw2QkFBVyxJQUFDLElBQUksRUFBQyxNQUFNLEVBQUMsS0FBSyxFQUFFLFFBQVEsYUFBUixRQUFRLGNBQVIsUUFBUSxHQUFJLFlBQVksRUFBRSxRQUFRLEVBQUUsUUFBUSxHQUFJLENBQzdFO1lBQ0w7Z0JBQ0Usb0JBQUMsb0JBQU8sQ0FBQyxVQUFVLElBQ2pCLElBQUksRUFBQyxRQUFRLEVBQ2IsT0FBTyxFQUFFLENBQUMsQ0FBQyw2QkFBNkIsQ0FBQyxFQUN6QyxRQUFRLEVBQUUsUUFBUSxLQUFLLFNBQVMsRUFDaEMsT0FBTyxFQUFFLE9BQU8sR0FDaEIsQ0FDQyxDQUNGLENBQ04sQ0FBQztJQUNKLENBQUMsQ0FBQztJQUVGLE9BQU8sQ0FDTCxvQkFBQyx1QkFBSztRQUNKLG9CQUFDLHVCQUFLLENBQUMsT0FBTyxRQUFFLE9BQU8sQ0FBaUI7UUFDeEMsb0JBQUMsdUJBQUssQ0FBQyxJQUFJLFFBQ1IsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQ2xGLG9CQUFDLHVCQUFLLElBQUMsU0FBUyxRQUFDLEdBQUcsRUFBRSxHQUFHLE9BQU8sSUFBSSxPQUFPLEVBQUU7WUFDM0M7Z0JBQ0U7b0JBQ0UsNEJBQUksT0FBTyxFQUFFLENBQUMsSUFBRyxHQUFHLE9BQU8sS0FBSyxPQUFPLEdBQUcsQ0FBTSxDQUM3QyxDQUNDO1lBQ1IsbUNBQ0csTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUM7aUJBQ3JDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxPQUFPLEVBQUUsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQzNDLENBQ0YsQ0FDVCxDQUFDLENBQUMsQ0FDUSxDQUNQLENBQ1QsQ0FBQztBQUNKLENBQUM7QUFFRCxTQUFTLGdCQUFnQixDQUFDLEtBQTZCO0lBQ3JELE1BQU0sRUFBRSxHQUFHLEVBQUUsR0FBRyxLQUFLLENBQUM7SUFDdEIsTUFBTSxFQUFFLENBQUMsRUFBRSxHQUFHLElBQUEsOEJBQWMsRUFBQyx1QkFBYyxDQUFDLENBQUM7SUFDN0MsTUFBTSxRQUFRLEdBQUcsSUFBQSx5QkFBVyxHQUFFLENBQUM7SUFDL0IsTUFBTSxPQUFPLEdBQW1CLElBQUEseUJBQVcsRUFBQyxDQUFDLEtBQW1CLEVBQUUsRUFBRSxDQUNsRSxzQkFBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0lBQ2xDLE1BQU0sSUFBSSxHQUFvQyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsQ0FDaEYsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxnQkFBTyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUM1RCxNQUFNLFdBQVcsR0FBVyxJQUFBLHlCQUFXLEVBQUMsQ0FBQyxLQUFtQixFQUFFLEVBQUUsQ0FDOUQsaUJBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUMsU0FBUyxFQUFFLFVBQVUsRUFBRSxpQkFBaUIsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFFOUUsTUFBTSxDQUFDLE9BQU8sRUFBRSxVQUFVLENBQUMsR0FBRyxLQUFLLENBQUMsUUFBUSxDQUFVLEtBQUssQ0FBQyxDQUFDO0lBQzdELE1BQU0sQ0FBQyxRQUFRLEVBQUUsV0FBVyxDQUFDLEdBQUcsS0FBSyxDQUFDLFFBQVEsQ0FBZ0IsRUFBRSxDQUFDLENBQUM7SUFDbEUsTUFBTSxDQUFDLEtBQUssRUFBRSxRQUFRLENBQUMsR0FBRyxLQUFLLENBQUMsUUFBUSxDQUFnQixFQUFFLENBQUMsQ0FBQztJQUM1RCxNQUFNLENBQUMsU0FBUyxFQUFFLFlBQVksQ0FBQyxHQUFHLEtBQUssQ0FBQyxRQUFRLENBQWdCLEVBQUUsQ0FBQyxDQUFDO0lBRXBFLE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsR0FBUyxFQUFFO1FBQzNDLElBQUksQ0FBQSxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsTUFBTSxNQUFLLGdCQUFPLEVBQUU7WUFDL0IsT0FBTztTQUNSO1FBQ0QsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ2pCLElBQUk7WUFDRixNQUFNLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxHQUFHLE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FBQztnQkFDNUMsSUFBQSw0QkFBa0IsRUFBQyxHQUFHLEVBQUUsT0FBTyxDQUFDO2dCQUNoQyxJQUFBLHVCQUFhLEVBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQzthQUM1QixDQUFDLENBQUM7WUFDSCxXQUFXLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDdEIsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQ2xCLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQztTQUN2QjtRQUFDLE9BQU8sR0FBRyxFQUFFO1lBQ1osR0FBRyxDQUFDLHFCQUFxQixDQUFDLDhCQUE4QixFQUFFLEdBQUcsQ0FBQyxDQUFDO1NBQ2hFO1FBQ0QsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3BCLENBQUMsQ0FBQSxFQUFFLENBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFFbkIsS0FBSyxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7UUFDbkIsT0FBTyxFQUFFLENBQUM7SUFDWixDQUFDLEVBQUUsQ0FBQyxPQUFPLGFBQVAsT0FBTyx1QkFBUCxPQUFPLENBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUVsQixNQUFNLFVBQVUsR0FBRyxLQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsS0FBYSxFQUFFLE9BQWUsRUFBRSxPQUFlLEVBQy9DLEdBQVcsRUFBRSxLQUFhLEVBQUUsRUFBRTtRQUNsRSxZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssS0FBSyxTQUFTLENBQUM7WUFDeEMsQ0FBQyxDQUFDLGlCQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEdBQUcsQ0FBQyxFQUFFLEtBQUssQ0FBQztZQUMzRCxDQUFDLENBQUMsaUJBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzlELENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFFbkIsTUFBTSxXQUFXLEdBQUcsS0FBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDLEdBQXlCLEVBQUUsRUFBRTtRQUNsRSxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQztRQUN0QyxRQUFRLENBQUMsSUFBQSw0QkFBa0IsRUFBQyxDQUFDLEtBQUssS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0lBQ3pFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFFZixNQUFNLE1BQU0sR0FBRyxLQUFLLENBQUMsV0FBVyxDQUFDLEdBQVMsRUFBRTtRQUMxQyxJQUFJO1lBQ0YsTUFBTSxJQUFBLHdCQUFjLEVBQUMsR0FBRyxFQUFFLE9BQU8sRUFBRSxTQUFTLENBQUMsQ0FBQztZQUM5QyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQUM7WUFFcEIsUUFBUSxDQUFDLG9CQUFPLENBQUMsc0JBQXNCLENBQUMsZ0JBQU8sRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO1NBQ3pEO1FBQUMsT0FBTyxHQUFHLEVBQUU7WUFDWixHQUFHLENBQUMscUJBQXFCLENBQUMsOEJBQThCLEVBQUUsR0FBRyxFQUMzRCxFQUFFLFdBQVcsRUFBRSxDQUFDLENBQUMsR0FBRyxZQUFZLGlCQUFJLENBQUMsZUFBZSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQzVEO0lBQ0gsQ0FBQyxDQUFBLEVBQUUsQ0FBQyxHQUFHLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBRXhDLE1BQU0sUUFBUSxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsR0FBRyxFQUFFO1FBQ3RDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN0QixDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUUxQixNQUFNLE9BQU8sR0FBRyxDQUFDLEtBQWEsRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssU0FBUyxDQUFDO1FBQzVELENBQUMsQ0FBQyxpQkFBSSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDakMsQ0FBQyxDQUFDLEtBQUssQ0FBQztJQUVWLE1BQU0sTUFBTSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDO1NBQ2pDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoRSxNQUFNLE9BQU8sR0FBRyxDQUFDLFdBQVcsS0FBSyxTQUFTLENBQUMsSUFBSSxNQUFNLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQztRQUN6RSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUM7UUFDZixDQUFDLENBQUMsTUFBTSxDQUFDO0lBQ1gsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsS0FBSyxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBRWxFLE1BQU0sYUFBYSxHQUFHLEdBQUcsRUFBRTtRQUN6QixJQUFJLE9BQU8sRUFBRTtZQUNYLE9BQU8sb0JBQUMsb0JBQU8sT0FBRyxDQUFDO1NBQ3BCO1FBQ0QsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUN2QixPQUFPLENBQ0wsb0JBQUMsNkJBQWdCLElBQ2YsSUFBSSxFQUFDLFVBQVUsRUFDZixJQUFJLEVBQUUsQ0FBQyxDQUFDLG9EQUFvRCxDQUFDLEVBQzdELE9BQU8sRUFBRSxDQUFDLENBQUMsa0ZBQWtGLENBQUMsR0FDOUYsQ0FDSCxDQUFDO1NBQ0g7UUFDRCxPQUFPLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUMxQixvQkFBQyxlQUFlLElBQ2QsR0FBRyxFQUFFLEtBQUssRUFDVixLQUFLLEVBQUUsS0FBSyxFQUNaLE9BQU8sRUFBRSxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQ3ZCLFFBQVEsRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLEVBQ3pCLFNBQVMsRUFBRSxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQzNCLFVBQVUsRUFBRSxVQUFVLEdBQ3RCLENBQ0gsQ0FBQyxDQUFDO0lBQ0wsQ0FBQyxDQUFDO0lBRUYsT0FBTyxDQUNMLG9CQUFDLHFCQUFRO1FBQ1Asb0JBQUMscUJBQVEsQ0FBQyxJQUFJO1lBQ1osb0JBQUMsdUJBQUs7Z0JBQ0osb0JBQUMsdUJBQUssQ0FBQyxJQUFJO29CQUNULCtCQUNHLENBQUMsQ0FBQyxxRkFBcUY7MEJBQ3BGLCtFQUErRTswQkFDL0UsOEVBQThFLENBQUMsQ0FDakY7b0JBQ0osb0JBQUMsdUJBQVUsSUFBQyxJQUFJLEVBQUMsS0FBSzt3QkFDcEIsb0JBQUMsdUJBQVUsQ0FBQyxJQUFJOzRCQUNkLG9CQUFDLDZCQUFXLElBQUMsY0FBYyxFQUFDLFFBQVEsRUFBQyxLQUFLLEVBQUUsV0FBVyxhQUFYLFdBQVcsY0FBWCxXQUFXLEdBQUksUUFBUSxFQUFFLFFBQVEsRUFBRSxXQUFXO2dDQUN4RixnQ0FBUSxLQUFLLEVBQUUsUUFBUSxJQUFHLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBVTtnQ0FDaEQsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLGdDQUFRLEdBQUcsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLEtBQUssSUFBRyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQVUsQ0FBQyxDQUNyRSxDQUNFO3dCQUNsQixvQkFBQyx1QkFBVSxDQUFDLEtBQUs7NEJBQ2Ysb0JBQUMsd0JBQU0sSUFBQyxPQUFPLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxPQUFPLElBQUcsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFVOzRCQUNwRSxvQkFBQyx3QkFBTSxJQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUMsS0FBSyxJQUFHLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFVOzRCQUM1RSxvQkFBQyx3QkFBTSxJQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLENBQUMsS0FBSyxJQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBVSxDQUM5QyxDQUNSO29CQUNaLGFBQWEsRUFBRSxDQUNMLENBQ1AsQ0FDTSxDQUNQLENBQ1osQ0FBQztBQUNKLENBQUM7QUFFRCxrQkFBZSxnQkFBZ0IsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qIGVzbGludC1kaXNhYmxlICovXG5pbXBvcnQgKiBhcyBSZWFjdCBmcm9tICdyZWFjdCc7XG5pbXBvcnQgeyBCdXR0b24sIEZvcm1Db250cm9sLCBQYW5lbCwgVGFibGUgfSBmcm9tICdyZWFjdC1ib290c3RyYXAnO1xuaW1wb3J0IHsgdXNlVHJhbnNsYXRpb24gfSBmcm9tICdyZWFjdC1pMThuZXh0JztcbmltcG9ydCB7IHVzZURpc3BhdGNoLCB1c2VTZWxlY3RvciB9IGZyb20gJ3JlYWN0LXJlZHV4JztcbmltcG9ydCB7IGFjdGlvbnMsIEVtcHR5UGxhY2Vob2xkZXIsIEZsZXhMYXlvdXQsIE1haW5QYWdlLCBzZWxlY3RvcnMsIFNwaW5uZXIsXG4gIHRvb2x0aXAsIHR5cGVzLCB1dGlsIH0gZnJvbSAndm9ydGV4LWFwaSc7XG5cbmltcG9ydCB7IHNldE1lbnVTZXR0aW5nc01vZCB9IGZyb20gJy4uL2FjdGlvbnMnO1xuaW1wb3J0IHsgR0FNRV9JRCwgSTE4Tl9OQU1FU1BBQ0UgfSBmcm9tICcuLi9jb21tb24nO1xuaW1wb3J0IHsgZ2V0TWVudU1vZFNldHRpbmdzLCByZWFkT3ZlcnJpZGVzLCB3cml0ZU92ZXJyaWRlcyB9IGZyb20gJy4uL21lbnVtb2QnO1xuXG4vLyB7ICRtb2RJZDogeyAkZmlsZUtleTogeyAkc2VjdGlvbjogeyAka2V5OiAndmFsdWUnIH0gfSB9IH1cbmludGVyZmFjZSBJTWVudVNldHRpbmdzIHtcbiAgW21vZElkOiBzdHJpbmddOiB7IFtmaWxlS2V5OiBzdHJpbmddOiB7IFtzZWN0aW9uOiBzdHJpbmddOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9IH0gfTtcbn1cblxuY29uc3QgQUxMX01PRFMgPSAnX19hbGwnO1xuXG5leHBvcnQgaW50ZXJmYWNlIElNZW51U2V0dGluZ3NQYWdlUHJvcHMge1xuICBhcGk6IHR5cGVzLklFeHRlbnNpb25BcGk7XG59XG5cbmludGVyZmFjZSBJTWVudVNldHRpbmdzTW9kUHJvcHMge1xuICBtb2RJZDogc3RyaW5nO1xuICBtb2ROYW1lOiBzdHJpbmc7XG4gIGRlZmF1bHRzOiBJTWVudVNldHRpbmdzW3N0cmluZ107XG4gIG92ZXJyaWRlczogSU1lbnVTZXR0aW5nc1tzdHJpbmddO1xuICBvblNldFZhbHVlOiAobW9kSWQ6IHN0cmluZywgZmlsZUtleTogc3RyaW5nLCBzZWN0aW9uOiBzdHJpbmcsIGtleTogc3RyaW5nLCB2YWx1ZTogc3RyaW5nKSA9PiB2b2lkO1xufVxuXG5mdW5jdGlvbiBNZW51U2V0dGluZ3NNb2QocHJvcHM6IElNZW51U2V0dGluZ3NNb2RQcm9wcykge1xuICBjb25zdCB7IG1vZElkLCBtb2ROYW1lLCBkZWZhdWx0cywgb3ZlcnJpZGVzLCBvblNldFZhbHVlIH0gPSBwcm9wcztcbiAgY29uc3QgeyB0IH0gPSB1c2VUcmFuc2xhdGlvbihJMThOX05BTUVTUEFDRSk7XG5cbiAgY29uc3QgcmVuZGVyRW50cnkgPSAoZmlsZUtleTogc3RyaW5nLCBzZWN0aW9uOiBzdHJpbmcsIGtleTogc3RyaW5nKSA9PiB7XG4gICAgY29uc3QgZGVmYXVsdFZhbHVlID0gZGVmYXVsdHNbZmlsZUtleV1bc2VjdGlvbl1ba2V5XTtcbiAgICBjb25zdCBvdmVycmlkZSA9IG92ZXJyaWRlcz8uW2ZpbGVLZXldPy5bc2VjdGlvbl0/LltrZXldO1xuICAgIGNvbnN0IG9uQ2hhbmdlID0gKGV2dDogUmVhY3QuRm9ybUV2ZW50PGFueT4pID0+IHtcbiAgICAgIGNvbnN0IHZhbHVlID0gZXZ0LmN1cnJlbnRUYXJnZXQudmFsdWU7XG4gICAgICBvblNldFZhbHVlKG1vZElkLCBmaWxlS2V5LCBzZWN0aW9uLCBrZXksICh2YWx1ZSA9PT0gZGVmYXVsdFZhbHVlKSA/IHVuZGVmaW5lZCA6IHZhbHVlKTtcbiAgICB9O1xuICAgIGNvbnN0IG9uUmVzZXQgPSAoKSA9PiBvblNldFZhbHVlKG1vZElkLCBmaWxlS2V5LCBzZWN0aW9uLCBrZXksIHVuZGVmaW5lZCk7XG4gICAgcmV0dXJuIChcbiAgICAgIDx0ciBrZXk9e2Ake2ZpbGVLZXl9LSR7c2VjdGlvbn0tJHtrZXl9YH0+XG4gICAgICAgIDx0ZD57a2V5fTwvdGQ+XG4gICAgICAgIDx0ZD48Y29kZT57ZGVmYXVsdFZhbHVlfTwvY29kZT48L3RkPlxuICAgICAgICA8dGQ+XG4gICAgICAgICAgPEZvcm1Db250cm9sIHR5cGU9J3RleHQnIHZhbHVlPXtvdmVycmlkZSA/PyBkZWZhdWx0VmFsdWV9IG9uQ2hhbmdlPXtvbkNoYW5nZX0gLz5cbiAgICAgICAgPC90ZD5cbiAgICAgICAgPHRkPlxuICAgICAgICAgIDx0b29sdGlwLkljb25CdXR0b25cbiAgICAgICAgICAgIGljb249J3JldmVydCdcbiAgICAgICAgICAgIHRvb2x0aXA9e3QoJ1Jlc2V0IHRvIHRoZSBtb2RcXCdzIGRlZmF1bHQnKX1cbiAgICAgICAgICAgIGRpc2FibGVkPXtvdmVycmlkZSA9PT0gdW5kZWZpbmVkfVxuICAgICAgICAgICAgb25DbGljaz17b25SZXNldH1cbiAgICAgICAgICAvPlxuICAgICAgICA8L3RkPlxuICAgICAgPC90cj5cbiAgICApO1xuICB9O1xuXG4gIHJldHVybiAoXG4gICAgPFBhbmVsPlxuICAgICAgPFBhbmVsLkhlYWRpbmc+e21vZE5hbWV9PC9QYW5lbC5IZWFkaW5nPlxuICAgICAgPFBhbmVsLkJvZHk+XG4gICAgICAgIHtPYmplY3Qua2V5cyhkZWZhdWx0cykubWFwKGZpbGVLZXkgPT4gT2JqZWN0LmtleXMoZGVmYXVsdHNbZmlsZUtleV0pLm1hcChzZWN0aW9uID0+IChcbiAgICAgICAgICA8VGFibGUgY29uZGVuc2VkIGtleT17YCR7ZmlsZUtleX0tJHtzZWN0aW9ufWB9PlxuICAgICAgICAgICAgPHRoZWFkPlxuICAgICAgICAgICAgICA8dHI+XG4gICAgICAgICAgICAgICAgPHRoIGNvbFNwYW49ezR9PntgJHtmaWxlS2V5fSBbJHtzZWN0aW9ufV1gfTwvdGg+XG4gICAgICAgICAgICAgIDwvdHI+XG4gICAgICAgICAgICA8L3RoZWFkPlxuICAgICAgICAgICAgPHRib2R5PlxuICAgICAgICAgICAgICB7T2JqZWN0LmtleXMoZGVmYXVsdHNbZmlsZUtleV1bc2VjdGlvbl0pXG4gICAgICAgICAgICAgICAgLm1hcChrZXkgPT4gcmVuZGVyRW50cnkoZmlsZUtleSwgc2VjdGlvbiwga2V5KSl9XG4gICAgICAgICAgICA8L3Rib2R5PlxuICAgICAgICAgIDwvVGFibGU+XG4gICAgICAgICkpKX1cbiAgICAgIDwvUGFuZWwuQm9keT5cbiAgICA8L1BhbmVsPlxuICApO1xufVxuXG5mdW5jdGlvbiBNZW51U2V0dGluZ3NQYWdlKHByb3BzOiBJTWVudVNldHRpbmdzUGFnZVByb3BzKSB7XG4gIGNvbnN0IHsgYXBpIH0gPSBwcm9wcztcbiAgY29uc3QgeyB0IH0gPSB1c2VUcmFuc2xhdGlvbihJMThOX05BTUVTUEFDRSk7XG4gIGNvbnN0IGRpc3BhdGNoID0gdXNlRGlzcGF0Y2goKTtcbiAgY29uc3QgcHJvZmlsZTogdHlwZXMuSVByb2ZpbGUgPSB1c2VTZWxlY3Rvcigoc3RhdGU6IHR5cGVzLklTdGF0ZSkgPT5cbiAgICBzZWxlY3RvcnMuYWN0aXZlUHJvZmlsZShzdGF0ZSkpO1xuICBjb25zdCBtb2RzOiB7IFttb2RJZDogc3RyaW5nXTogdHlwZXMuSU1vZCB9ID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XG4gICAgdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3BlcnNpc3RlbnQnLCAnbW9kcycsIEdBTUVfSURdLCB7fSkpO1xuICBjb25zdCBzZWxlY3RlZE1vZDogc3RyaW5nID0gdXNlU2VsZWN0b3IoKHN0YXRlOiB0eXBlcy5JU3RhdGUpID0+XG4gICAgdXRpbC5nZXRTYWZlKHN0YXRlLCBbJ3Nlc3Npb24nLCAnd2l0Y2hlcjMnLCAnbWVudVNldHRpbmdzTW9kJ10sIHVuZGVmaW5lZCkpO1xuXG4gIGNvbnN0IFtsb2FkaW5nLCBzZXRMb2FkaW5nXSA9IFJlYWN0LnVzZVN0YXRlPGJvb2xlYW4+KGZhbHNlKTtcbiAgY29uc3QgW2RlZmF1bHRzLCBzZXREZWZhdWx0c10gPSBSZWFjdC51c2VTdGF0ZTxJTWVudVNldHRpbmdzPih7fSk7XG4gIGNvbnN0IFtzYXZlZCwgc2V0U2F2ZWRdID0gUmVhY3QudXNlU3RhdGU8SU1lbnVTZXR0aW5ncz4oe30pO1xuICBjb25zdCBbb3ZlcnJpZGVzLCBzZXRPdmVycmlkZXNdID0gUmVhY3QudXNlU3RhdGU8SU1lbnVTZXR0aW5ncz4oe30pO1xuXG4gIGNvbnN0IHJlZnJlc2ggPSBSZWFjdC51c2VDYWxsYmFjayhhc3luYyAoKSA9PiB7XG4gICAgaWYgKHByb2ZpbGU/LmdhbWVJZCAhPT0gR0FNRV9JRCkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICBzZXRMb2FkaW5nKHRydWUpO1xuICAgIHRyeSB7XG4gICAgICBjb25zdCBbc2V0dGluZ3MsIGN1cnJlbnRdID0gYXdhaXQgUHJvbWlzZS5hbGwoW1xuICAgICAgICBnZXRNZW51TW9kU2V0dGluZ3MoYXBpLCBwcm9maWxlKSxcbiAgICAgICAgcmVhZE92ZXJyaWRlcyhhcGksIHByb2ZpbGUpLFxuICAgICAgXSk7XG4gICAgICBzZXREZWZhdWx0cyhzZXR0aW5ncyk7XG4gICAgICBzZXRTYXZlZChjdXJyZW50KTtcbiAgICAgIHNldE92ZXJyaWRlcyhjdXJyZW50KTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byByZWFkIG1lbnUgc2V0dGluZ3MnLCBlcnIpO1xuICAgIH1cbiAgICBzZXRMb2FkaW5nKGZhbHNlKTtcbiAgfSwgW2FwaSwgcHJvZmlsZV0pO1xuXG4gIFJlYWN0LnVzZUVmZmVjdCgoKSA9PiB7XG4gICAgcmVmcmVzaCgpO1xuICB9LCBbcHJvZmlsZT8uaWRdKTtcblxuICBjb25zdCBvblNldFZhbHVlID0gUmVhY3QudXNlQ2FsbGJhY2soKG1vZElkOiBzdHJpbmcsIGZpbGVLZXk6IHN0cmluZywgc2VjdGlvbjogc3RyaW5nLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGtleTogc3RyaW5nLCB2YWx1ZTogc3RyaW5nKSA9PiB7XG4gICAgc2V0T3ZlcnJpZGVzKHByZXYgPT4gKHZhbHVlICE9PSB1bmRlZmluZWQpXG4gICAgICA/IHV0aWwuc2V0U2FmZShwcmV2LCBbbW9kSWQsIGZpbGVLZXksIHNlY3Rpb24sIGtleV0sIHZhbHVlKVxuICAgICAgOiB1dGlsLmRlbGV0ZU9yTm9wKHByZXYsIFttb2RJZCwgZmlsZUtleSwgc2VjdGlvbiwga2V5XSkpO1xuICB9LCBbc2V0T3ZlcnJpZGVzXSk7XG5cbiAgY29uc3Qgb25TZWxlY3RNb2QgPSBSZWFjdC51c2VDYWxsYmFjaygoZXZ0OiBSZWFjdC5Gb3JtRXZlbnQ8YW55PikgPT4ge1xuICAgIGNvbnN0IG1vZElkID0gZXZ0LmN1cnJlbnRUYXJnZXQudmFsdWU7XG4gICAgZGlzcGF0Y2goc2V0TWVudVNldHRpbmdzTW9kKChtb2RJZCA9PT0gQUxMX01PRFMpID8gdW5kZWZpbmVkIDogbW9kSWQpKTtcbiAgfSwgW2Rpc3BhdGNoXSk7XG5cbiAgY29uc3Qgb25TYXZlID0gUmVhY3QudXNlQ2FsbGJhY2soYXN5bmMgKCkgPT4ge1xuICAgIHRyeSB7XG4gICAgICBhd2FpdCB3cml0ZU92ZXJyaWRlcyhhcGksIHByb2ZpbGUsIG92ZXJyaWRlcyk7XG4gICAgICBzZXRTYXZlZChvdmVycmlkZXMpO1xuICAgICAgLy8gdGhlIG92ZXJyaWRlcyBhcmUgYXBwbGllZCB3aGVuIHRoZSBtZW51IG1vZCBnZXRzIGdlbmVyYXRlZCBhZ2FpblxuICAgICAgZGlzcGF0Y2goYWN0aW9ucy5zZXREZXBsb3ltZW50TmVjZXNzYXJ5KEdBTUVfSUQsIHRydWUpKTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIGFwaS5zaG93RXJyb3JOb3RpZmljYXRpb24oJ0ZhaWxlZCB0byBzYXZlIG1lbnUgc2V0dGluZ3MnLCBlcnIsXG4gICAgICAgIHsgYWxsb3dSZXBvcnQ6ICEoZXJyIGluc3RhbmNlb2YgdXRpbC5Qcm9jZXNzQ2FuY2VsZWQpIH0pO1xuICAgIH1cbiAgfSwgW2FwaSwgcHJvZmlsZSwgb3ZlcnJpZGVzLCBkaXNwYXRjaF0pO1xuXG4gIGNvbnN0IG9uUmV2ZXJ0ID0gUmVhY3QudXNlQ2FsbGJhY2soKCkgPT4ge1xuICAgIHNldE92ZXJyaWRlcyhzYXZlZCk7XG4gIH0sIFtzYXZlZCwgc2V0T3ZlcnJpZGVzXSk7XG5cbiAgY29uc3QgbW9kTmFtZSA9IChtb2RJZDogc3RyaW5nKSA9PiAobW9kc1ttb2RJZF0gIT09IHVuZGVmaW5lZClcbiAgICA/IHV0aWwucmVuZGVyTW9kTmFtZShtb2RzW21vZElkXSlcbiAgICA6IG1vZElkO1xuXG4gIGNvbnN0IG1vZElkcyA9IE9iamVjdC5rZXlzKGRlZmF1bHRzKVxuICAgIC5zb3J0KChsaHMsIHJocykgPT4gbW9kTmFtZShsaHMpLmxvY2FsZUNvbXBhcmUobW9kTmFtZShyaHMpKSk7XG4gIGNvbnN0IHZpc2libGUgPSAoc2VsZWN0ZWRNb2QgIT09IHVuZGVmaW5lZCkgJiYgbW9kSWRzLmluY2x1ZGVzKHNlbGVjdGVkTW9kKVxuICAgID8gW3NlbGVjdGVkTW9kXVxuICAgIDogbW9kSWRzO1xuICBjb25zdCBkaXJ0eSA9IEpTT04uc3RyaW5naWZ5KHNhdmVkKSAhPT0gSlNPTi5zdHJpbmdpZnkob3ZlcnJpZGVzKTtcblxuICBjb25zdCByZW5kZXJDb250ZW50ID0gKCkgPT4ge1xuICAgIGlmIChsb2FkaW5nKSB7XG4gICAgICByZXR1cm4gPFNwaW5uZXIgLz47XG4gICAgfVxuICAgIGlmIChtb2RJZHMubGVuZ3RoID09PSAwKSB7XG4gICAgICByZXR1cm4gKFxuICAgICAgICA8RW1wdHlQbGFjZWhvbGRlclxuICAgICAgICAgIGljb249J3NldHRpbmdzJ1xuICAgICAgICAgIHRleHQ9e3QoJ05vbmUgb2YgeW91ciBlbmFibGVkIG1vZHMgY29udHJpYnV0ZSBtZW51IHNldHRpbmdzJyl9XG4gICAgICAgICAgc3VidGV4dD17dCgnTWVudSBzZXR0aW5ncyBhcmUgcmVhZCBmcm9tIHRoZSBtZW51IG1vZCBjYWNoZSB3aGljaCBpcyBjcmVhdGVkIHdoZW4geW91IGRlcGxveS4nKX1cbiAgICAgICAgLz5cbiAgICAgICk7XG4gICAgfVxuICAgIHJldHVybiB2aXNpYmxlLm1hcChtb2RJZCA9PiAoXG4gICAgICA8TWVudVNldHRpbmdzTW9kXG4gICAgICAgIGtleT17bW9kSWR9XG4gICAgICAgIG1vZElkPXttb2RJZH1cbiAgICAgICAgbW9kTmFtZT17bW9kTmFtZShtb2RJZCl9XG4gICAgICAgIGRlZmF1bHRzPXtkZWZhdWx0c1ttb2RJZF19XG4gICAgICAgIG92ZXJyaWRlcz17b3ZlcnJpZGVzW21vZElkXX1cbiAgICAgICAgb25TZXRWYWx1ZT17b25TZXRWYWx1ZX1cbiAgICAgIC8+XG4gICAgKSk7XG4gIH07XG5cbiAgcmV0dXJuIChcbiAgICA8TWFpblBhZ2U+XG4gICAgICA8TWFpblBhZ2UuQm9keT5cbiAgICAgICAgPFBhbmVsPlxuICAgICAgICAgIDxQYW5lbC5Cb2R5PlxuICAgICAgICAgICAgPHA+XG4gICAgICAgICAgICAgIHt0KCdUaGVzZSBhcmUgdGhlIG1lbnUgc2V0dGluZ3MgYWRkZWQgdG8gdGhlIGdhbWUgYnkgeW91ciBtb2RzLiBWYWx1ZXMgeW91IGNoYW5nZSBoZXJlICdcbiAgICAgICAgICAgICAgICArICdhcmUgc3RvcmVkIGZvciB0aGUgY3VycmVudCBwcm9maWxlIGFuZCBhcHBsaWVkIG9uIHRvcCBvZiB0aGUgbW9kc1xcJyBkZWZhdWx0cyAnXG4gICAgICAgICAgICAgICAgKyAnd2hlbmV2ZXIgeW91IGRlcGxveSwgc28gdGhleSBhcmUga2VwdCB3aGVuIHlvdSB1cGRhdGUgb3IgcmVkZXBsb3kgeW91ciBtb2RzLicpfVxuICAgICAgICAgICAgPC9wPlxuICAgICAgICAgICAgPEZsZXhMYXlvdXQgdHlwZT0ncm93Jz5cbiAgICAgICAgICAgICAgPEZsZXhMYXlvdXQuRmxleD5cbiAgICAgICAgICAgICAgICA8Rm9ybUNvbnRyb2wgY29tcG9uZW50Q2xhc3M9J3NlbGVjdCcgdmFsdWU9e3NlbGVjdGVkTW9kID8/IEFMTF9NT0RTfSBvbkNoYW5nZT17b25TZWxlY3RNb2R9PlxuICAgICAgICAgICAgICAgICAgPG9wdGlvbiB2YWx1ZT17QUxMX01PRFN9Pnt0KCdBbGwgbW9kcycpfTwvb3B0aW9uPlxuICAgICAgICAgICAgICAgICAge21vZElkcy5tYXAobW9kSWQgPT4gPG9wdGlvbiBrZXk9e21vZElkfSB2YWx1ZT17bW9kSWR9Pnttb2ROYW1lKG1vZElkKX08L29wdGlvbj4pfVxuICAgICAgICAgICAgICAgIDwvRm9ybUNvbnRyb2w+XG4gICAgICAgICAgICAgIDwvRmxleExheW91dC5GbGV4PlxuICAgICAgICAgICAgICA8RmxleExheW91dC5GaXhlZD5cbiAgICAgICAgICAgICAgICA8QnV0dG9uIG9uQ2xpY2s9e3JlZnJlc2h9IGRpc2FibGVkPXtsb2FkaW5nfT57dCgnUmVmcmVzaCcpfTwvQnV0dG9uPlxuICAgICAgICAgICAgICAgIDxCdXR0b24gb25DbGljaz17b25SZXZlcnR9IGRpc2FibGVkPXshZGlydHl9Pnt0KCdEaXNjYXJkIGNoYW5nZXMnKX08L0J1dHRvbj5cbiAgICAgICAgICAgICAgICA8QnV0dG9uIG9uQ2xpY2s9e29uU2F2ZX0gZGlzYWJsZWQ9eyFkaXJ0eX0+e3QoJ1NhdmUnKX08L0J1dHRvbj5cbiAgICAgICAgICAgICAgPC9GbGV4TGF5b3V0LkZpeGVkPlxuICAgICAgICAgICAgPC9GbGV4TGF5b3V0PlxuICAgICAgICAgICAge3JlbmRlckNvbnRlbnQoKX1cbiAgICAgICAgICA8L1BhbmVsLkJvZHk+XG4gICAgICAgIDwvUGFuZWw+XG4gICAgICA8L01haW5QYWdlLkJvZHk+XG4gICAgPC9NYWluUGFnZT5cbiAgKTtcbn1cblxuZXhwb3J0IGRlZmF1bHQgTWVudVNldHRpbmdzUGFnZTtcbiJdfQ==
\ No newline at end of file
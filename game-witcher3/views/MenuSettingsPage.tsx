@@ -0,0 +1,219 @@
+/* eslint-disable */
+import * as React from 'react';
+import { Button, FormControl, Panel, Table } from 'react-bootstrap';
+import { useTranslation } from 'react-i18next';
+import { useDispatch, useSelector } from 'react-redux';
+import { actions, EmptyPlaceholder, FlexLayout, MainPage, selectors, Spinner,
+  tooltip, types, util } from 'vortex-api';
+
+import { setMenuSettingsMod } from '../actions';
+import { GAME_ID, I18N_NAMESPACE } from '../common';
+import { getMenuModSettings, readOverrides, writeOverrides } from '../menumod';
+
+// { $modId: { $fileKey: { $section: { $key: 'value' } } } }
+interface IMenuSettings {
+  [modId: string]: { [fileKey: string]: { [section: string]: { [key: string]: string } } };
+}
+
+const ALL_MODS = '__all';
+
+export interface IMenuSettingsPageProps {
+  api: types.IExtensionApi;
+}
+
+interface IMenuSettingsModProps {
+  modId: string;
+  modName: string;
+  defaults: IMenuSettings[string];
+  overrides: IMenuSettings[string];
+  onSetValue: (modId: string, fileKey: string, section: string, key: string, value: string) => void;
+}
+
+function MenuSettingsMod(props: IMenuSettingsModProps) {
+  const { modId, modName, defaults, overrides, onSetValue } = props;
+  const { t } = useTranslation(I18N_NAMESPACE);
+
+  const renderEntry = (fileKey: string, section: string, key: string) => {
+    const defaultValue = defaults[fileKey][section][key];
+    const override = overrides?.[fileKey]?.[section]?.[key];
+    const onChange = (evt: React.FormEvent<any>) => {
+      const value = evt.currentTarget.value;
+      onSetValue(modId, fileKey, section, key, (value === defaultValue) ? undefined : value);
+    };
+    const onReset = () => onSetValue(modId, fileKey, section, key, undefined);
+    return (
+      <tr key={`${fileKey}-${section}-${key}`}>
+        <td>{key}</td>
+        <td><code>{defaultValue}</code></td>
+        <td>
+          <FormControl type='text' value={override ?? defaultValue} onChange={onChange} />
+        </td>
+        <td>
+          <tooltip.IconButton
+            icon='revert'
+            tooltip={t('Reset to the mod\'s default')}
+            disabled={override === undefined}
+            onClick={onReset}
+          />
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <Panel>
+      <Panel.Heading>{modName}</Panel.Heading>
+      <Panel.Body>
+        {Object.keys(defaults).map(fileKey => Object.keys(defaults[fileKey]).map(section => (
+          <Table condensed key={`${fileKey}-${section}`}>
+            <thead>
+              <tr>
+                <th colSpan={4}>{`${fileKey} [${section}]`}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(defaults[fileKey][section])
+                .map(key => renderEntry(fileKey, section, key))}
+            </tbody>
+          </Table>
+        )))}
+      </Panel.Body>
+    </Panel>
+  );
+}
+
+function MenuSettingsPage(props: IMenuSettingsPageProps) {
+  const { api } = props;
+  const { t } = useTranslation(I18N_NAMESPACE);
+  const dispatch = useDispatch();
+  const profile: types.IProfile = useSelector((state: types.IState) =>
+    selectors.activeProfile(state));
+  const mods: { [modId: string]: types.IMod } = useSelector((state: types.IState) =>
+    util.getSafe(state, ['persistent', 'mods', GAME_ID], {}));
+  const selectedMod: string = useSelector((state: types.IState) =>
+    util.getSafe(state, ['session', 'witcher3', 'menuSettingsMod'], undefined));
+
+  const [loading, setLoading] = React.useState<boolean>(false);
+  const [defaults, setDefaults] = React.useState<IMenuSettings>({});
+  const [saved, setSaved] = React.useState<IMenuSettings>({});
+  const [overrides, setOverrides] = React.useState<IMenuSettings>({});
+
+  const refresh = React.useCallback(async () => {
+    if (profile?.gameId !== GAME_ID) {
+      return;
+    }
+    setLoading(true);
+    try {
+      const [settings, current] = await Promise.all([
+        getMenuModSettings(api, profile),
+        readOverrides(api, profile),
+      ]);
+      setDefaults(settings);
+      setSaved(current);
+      setOverrides(current);
+    } catch (err) {
+      api.showErrorNotification('Failed to read menu settings', err);
+    }
+    setLoading(false);
+  }, [api, profile]);
+
+  React.useEffect(() => {
+    refresh();
+  }, [profile?.id]);
+
+  const onSetValue = React.useCallback((modId: string, fileKey: string, section: string,
+                                        key: string, value: string) => {
+    setOverrides(prev => (value !== undefined)
+      ? util.setSafe(prev, [modId, fileKey, section, key], value)
+      : util.deleteOrNop(prev, [modId, fileKey, section, key]));
+  }, [setOverrides]);
+
+  const onSelectMod = React.useCallback((evt: React.FormEvent<any>) => {
+    const modId = evt.currentTarget.value;
+    dispatch(setMenuSettingsMod((modId === ALL_MODS) ? undefined : modId));
+  }, [dispatch]);
+
+  const onSave = React.useCallback(async () => {
+    try {
+      await writeOverrides(api, profile, overrides);
+      setSaved(overrides);
+      // the overrides are applied when the menu mod gets generated again
+      dispatch(actions.setDeploymentNecessary(GAME_ID, true));
+    } catch (err) {
+      api.showErrorNotification('Failed to save menu settings', err,
+        { allowReport: !(err instanceof util.ProcessCanceled) });
+    }
+  }, [api, profile, overrides, dispatch]);
+
+  const onRevert = React.useCallback(() => {
+    setOverrides(saved);
+  }, [saved, setOverrides]);
+
+  const modName = (modId: string) => (mods[modId] !== undefined)
+    ? util.renderModName(mods[modId])
+    : modId;
+
+  const modIds = Object.keys(defaults)
+    .sort((lhs, rhs) => modName(lhs).localeCompare(modName(rhs)));
+  const visible = (selectedMod !== undefined) && modIds.includes(selectedMod)
+    ? [selectedMod]
+    : modIds;
+  const dirty = JSON.stringify(saved) !== JSON.stringify(overrides);
+
+  const renderContent = () => {
+    if (loading) {
+      return <Spinner />;
+    }
+    if (modIds.length === 0) {
+      return (
+        <EmptyPlaceholder
+          icon='settings'
+          text={t('None of your enabled mods contribute menu settings')}
+          subtext={t('Menu settings are read from the menu mod cache which is created when you deploy.')}
+        />
+      );
+    }
+    return visible.map(modId => (
+      <MenuSettingsMod
+        key={modId}
+        modId={modId}
+        modName={modName(modId)}
+        defaults={defaults[modId]}
+        overrides={overrides[modId]}
+        onSetValue={onSetValue}
+      />
+    ));
+  };
+
+  return (
+    <MainPage>
+      <MainPage.Body>
+        <Panel>
+          <Panel.Body>
+            <p>
+              {t('These are the menu settings added to the game by your mods. Values you change here '
+                + 'are stored for the current profile and applied on top of the mods\' defaults '
+                + 'whenever you deploy, so they are kept when you update or redeploy your mods.')}
+            </p>
+            <FlexLayout type='row'>
+              <FlexLayout.Flex>
+                <FormControl componentClass='select' value={selectedMod ?? ALL_MODS} onChange={onSelectMod}>
+                  <option value={ALL_MODS}>{t('All mods')}</option>
+                  {modIds.map(modId => <option key={modId} value={modId}>{modName(modId)}</option>)}
+                </FormControl>
+              </FlexLayout.Flex>
+              <FlexLayout.Fixed>
+                <Button onClick={refresh} disabled={loading}>{t('Refresh')}</Button>
+                <Button onClick={onRevert} disabled={!dirty}>{t('Discard changes')}</Button>
+                <Button onClick={onSave} disabled={!dirty}>{t('Save')}</Button>
+              </FlexLayout.Fixed>
+            </FlexLayout>
+            {renderContent()}
+          </Panel.Body>
+        </Panel>
+      </MainPage.Body>
+    </MainPage>
+  );
+}
+
+export default MenuSettingsPage;